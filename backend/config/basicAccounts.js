@@ -47,6 +47,42 @@ const basicAccounts = [
     level: 2,
     parentCode: '1100'
   },
+  {
+    accountCode: '1140',
+    accountName: 'Cheques in Hand',
+    accountType: 'asset',
+    accountCategory: 'current_assets',
+    normalBalance: 'debit',
+    level: 2,
+    parentCode: '1100'
+  },
+  {
+    accountCode: '1150',
+    accountName: 'Input Tax Receivable',
+    accountType: 'asset',
+    accountCategory: 'current_assets',
+    normalBalance: 'debit',
+    level: 2,
+    parentCode: '1100'
+  },
+  {
+    accountCode: '1160',
+    accountName: 'Sales Tax Refundable',
+    accountType: 'asset',
+    accountCategory: 'current_assets',
+    normalBalance: 'debit',
+    level: 2,
+    parentCode: '1100'
+  },
+  {
+    accountCode: '1170',
+    accountName: 'Withholding Tax Receivable',
+    accountType: 'asset',
+    accountCategory: 'current_assets',
+    normalBalance: 'debit',
+    level: 2,
+    parentCode: '1100'
+  },
   {
     accountCode: '1200',
     accountName: 'Inventory',
@@ -56,6 +92,24 @@ const basicAccounts = [
     level: 1,
     parentCode: '1000'
   },
+  {
+    accountCode: '1500',
+    accountName: 'Property, Plant and Equipment',
+    accountType: 'asset',
+    accountCategory: 'fixed_assets',
+    normalBalance: 'debit',
+    level: 1,
+    parentCode: '1000'
+  },
+  {
+    accountCode: '1590',
+    accountName: 'Accumulated Depreciation',
+    accountType: 'asset',
+    accountCategory: 'fixed_assets',
+    normalBalance: 'credit',
+    level: 1,
+    parentCode: '1000'
+  },
 
   // Liability hierarchy
   {
@@ -96,6 +150,33 @@ const basicAccounts = [
     level: 2,
     parentCode: '2100'
   },
+  {
+    accountCode: '2130',
+    accountName: 'Cheques Issued',
+    accountType: 'liability',
+    accountCategory: 'current_liabilities',
+    normalBalance: 'credit',
+    level: 2,
+    parentCode: '2100'
+  },
+  {
+    accountCode: '2140',
+    accountName: 'Sales Tax Due to Authority',
+    accountType: 'liability',
+    accountCategory: 'current_liabilities',
+    normalBalance: 'credit',
+    level: 2,
+    parentCode: '2100'
+  },
+  {
+    accountCode: '2150',
+    accountName: 'Withholding Tax Payable',
+    accountType: 'liability',
+    accountCategory: 'current_liabilities',
+    normalBalance: 'credit',
+    level: 2,
+    parentCode: '2100'
+  },
   {
     accountCode: '2200',
     accountName: 'Customer Deposits',
@@ -165,6 +246,33 @@ const basicAccounts = [
     level: 1,
     parentCode: '4000'
   },
+  {
+    accountCode: '4210',
+    accountName: 'Gain on Disposal of Assets',
+    accountType: 'revenue',
+    accountCategory: 'other_revenue',
+    normalBalance: 'credit',
+    level: 2,
+    parentCode: '4200'
+  },
+  {
+    accountCode: '4220',
+    accountName: 'Realised Exchange Gain',
+    accountType: 'revenue',
+    accountCategory: 'other_revenue',
+    normalBalance: 'credit',
+    level: 2,
+    parentCode: '4200'
+  },
+  {
+    accountCode: '4230',
+    accountName: 'Unrealised Exchange Gain',
+    accountType: 'revenue',
+    accountCategory: 'other_revenue',
+    normalBalance: 'credit',
+    level: 2,
+    parentCode: '4200'
+  },
 
   // Expense hierarchy
   {
@@ -221,6 +329,42 @@ const basicAccounts = [
     normalBalance: 'debit',
     level: 1,
     parentCode: '5000'
+  },
+  {
+    accountCode: '5440',
+    accountName: 'Depreciation Expense',
+    accountType: 'expense',
+    accountCategory: 'other_expenses',
+    normalBalance: 'debit',
+    level: 1,
+    parentCode: '5000'
+  },
+  {
+    accountCode: '5450',
+    accountName: 'Loss on Disposal of Assets',
+    accountType: 'expense',
+    accountCategory: 'other_expenses',
+    normalBalance: 'debit',
+    level: 1,
+    parentCode: '5000'
+  },
+  {
+    accountCode: '5460',
+    accountName: 'Realised Exchange Loss',
+    accountType: 'expense',
+    accountCategory: 'other_expenses',
+    normalBalance: 'debit',
+    level: 1,
+    parentCode: '5000'
+  },
+  {
+    accountCode: '5470',
+    accountName: 'Unrealised Exchange Loss',
+    accountType: 'expense',
+    accountCategory: 'other_expenses',
+    normalBalance: 'debit',
+    level: 1,
+    parentCode: '5000'
   }
 ];
 
@@ -0,0 +1,250 @@
+/**
+ * Notification Templates
+ *
+ * One entry per event the backend can raise. Title, message and email subject are
+ * rendered with {{placeholder}} values from the event data (dot paths are allowed).
+ *
+ * Structure:
+ * - name: Label shown in notification preferences
+ * - category: Grouping for the preferences screen and inbox filters
+ * - severity: 'info', 'warning' or 'critical'
+ * - audience: Permissions that make a user an internal recipient (admins always qualify).
+ *   Events with no audience are only sent to explicit recipients (e.g. a customer's email).
+ * - defaultChannels: Channels used when the user has no subscription entry for the event
+ * - link: Frontend route the notification points to
+ */
+
+const CHANNELS = ['in_app', 'email', 'webhook'];
+
+const notificationTemplates = {
+  'inventory.expiry_alert': {
+    name: 'Expiring and expired stock',
+    category: 'inventory',
+    severity: 'warning',
+    audience: ['view_inventory'],
+    defaultChannels: ['in_app'],
+    link: '/inventory-alerts',
+    title: 'Stock expiry alert',
+    message: '{{expiringCount}} item(s) expire within {{days}} days and {{expiredCount}} item(s) have already expired.',
+    emailSubject: 'Stock expiry alert: {{expiringCount}} expiring, {{expiredCount}} expired'
+  },
+  'inventory.low_stock': {
+    name: 'Low and out-of-stock products',
+    category: 'inventory',
+    severity: 'warning',
+    audience: ['view_low_stock_alerts', 'view_inventory'],
+    defaultChannels: ['in_app'],
+    link: '/inventory-alerts',
+    title: 'Low stock: {{outOfStock}} out of stock, {{lowStock}} running low',
+    message: '{{total}} product(s) need attention: {{outOfStock}} out of stock, {{critical}} critical and {{warning}} below reorder point.',
+    emailSubject: 'Low stock alert: {{outOfStock}} product(s) out of stock'
+  },
+  'journal_voucher.pending_approval': {
+    name: 'Journal vouchers awaiting approval',
+    category: 'accounting',
+    severity: 'warning',
+    audience: ['approve_journal_vouchers'],
+    defaultChannels: ['in_app'],
+    link: '/journal-vouchers',
+    title: 'Journal voucher {{voucherNumber}} needs approval',
+    message: '{{createdByName}} created journal voucher {{voucherNumber}} for {{amount}}, which is above the {{approvalThreshold}} approval threshold.',
+    emailSubject: 'Approval needed: journal voucher {{voucherNumber}}'
+  },
+  'anomaly.detected': {
+    name: 'Anomalies detected',
+    category: 'security',
+    severity: 'critical',
+    audience: ['view_anomaly_detection'],
+    defaultChannels: ['in_app'],
+    link: '/anomaly-detection',
+    title: '{{critical}} critical and {{high}} high-severity anomalies detected',
+    message: 'Anomaly detection flagged {{total}} item(s) in the last {{periodDays}} day(s): {{critical}} critical, {{high}} high. Review them on the Anomaly Detection page.',
+    emailSubject: 'Anomalies detected: {{critical}} critical, {{high}} high'
+  },
+  'reconciliation.discrepancy': {
+    name: 'Customer balance discrepancies',
+    category: 'accounting',
+    severity: 'critical',
+    audience: ['view_customer_balance', 'view_accounting_summary'],
+    defaultChannels: ['in_app', 'email'],
+    link: '/customers',
+    title: 'Customer balance discrepancies detected',
+    message: 'Daily reconciliation found {{discrepancies}} customer balance discrepancy(ies) out of {{total}} customers checked.',
+    emailSubject: 'Balance reconciliation: {{discrepancies}} discrepancy(ies) found'
+  },
+  'reconciliation.summary': {
+    name: 'Weekly reconciliation summary',
+    category: 'accounting',
+    severity: 'warning',
+    audience: ['view_customer_balance', 'view_accounting_summary'],
+    defaultChannels: ['in_app'],
+    link: '/customers',
+    title: 'Weekly reconciliation summary',
+    message: 'Weekly reconciliation checked {{total}} customers: {{discrepancies}} discrepancy(ies) found, {{corrected}} corrected.',
+    emailSubject: 'Weekly reconciliation: {{corrected}} balance(s) corrected'
+  },
+  'customer.overdue_warning': {
+    name: 'Customers approaching suspension',
+    category: 'customers',
+    severity: 'warning',
+    audience: ['view_customer_balance'],
+    defaultChannels: ['in_app'],
+    link: '/customers',
+    title: 'Customer overdue: {{customerName}}',
+    message: '{{customerName}} has invoices {{daysOverdue}} days overdue and will be suspended at {{autoSuspendDays}} days.',
+    emailSubject: 'Overdue customer: {{customerName}}'
+  },
+  'customer.suspended': {
+    name: 'Customers auto-suspended',
+    category: 'customers',
+    severity: 'critical',
+    audience: ['view_customer_balance'],
+    defaultChannels: ['in_app', 'email'],
+    link: '/customers',
+    title: 'Customer suspended: {{customerName}}',
+    message: '{{customerName}} was automatically suspended: {{reason}}.',
+    emailSubject: 'Customer suspended: {{customerName}}'
+  },
+  'customer.overdue_notice': {
+    name: 'Overdue notice to customer',
+    category: 'customers',
+    severity: 'warning',
+    audience: [],
+    defaultChannels: ['email'],
+    title: 'Overdue invoice reminder',
+    message: 'Dear {{customerName}},\n\n{{warningLines}}\n\nTotal overdue: {{totalOverdue}}. Please arrange payment at your earliest convenience.',
+    emailSubject: 'Payment reminder: {{invoiceCount}} overdue invoice(s)'
+  },
+  'customer.suspension_notice': {
+    name: 'Suspension notice to customer',
+    category: 'customers',
+    severity: 'critical',
+    audience: [],
+    defaultChannels: ['email'],
+    title: 'Account on hold',
+    message: 'Dear {{customerName}},\n\nYour account has been placed on hold because invoices are {{daysOverdue}} days overdue. Please contact us to settle the outstanding balance.',
+    emailSubject: 'Your account has been placed on hold'
+  },
+  'customer.statement': {
+    name: 'Statement of account to customer',
+    category: 'customers',
+    severity: 'info',
+    audience: [],
+    defaultChannels: ['email'],
+    title: 'Statement of account',
+    message: 'Dear {{customerName}},\n\nPlease find attached your statement of account for {{periodLabel}}.\n\nOpening balance: {{openingBalance}}\nClosing balance: {{closingBalance}}\n\nRegards,\n{{companyName}}',
+    emailSubject: '{{companyName}}: statement of account for {{periodLabel}}'
+  },
+  'backup.completed': {
+    name: 'Backup completed',
+    category: 'system',
+    severity: 'info',
+    audience: ['view_backups', 'manage_backups'],
+    defaultChannels: [],
+    link: '/backups',
+    title: 'Backup {{backupId}} completed',
+    message: '{{type}} backup {{backupId}} completed: {{collections}} collection(s), {{size}} in {{duration}}.',
+    emailSubject: 'Backup completed: {{backupId}}'
+  },
+  'backup.failed': {
+    name: 'Backup failed',
+    category: 'system',
+    severity: 'critical',
+    audience: ['view_backups', 'manage_backups'],
+    defaultChannels: ['in_app', 'email'],
+    link: '/backups',
+    title: 'Backup {{backupId}} failed',
+    message: '{{type}} backup {{backupId}} failed: {{error}}',
+    emailSubject: 'Backup FAILED: {{backupId}}'
+  },
+  'report.delivery': {
+    name: 'Scheduled report delivery',
+    category: 'reports',
+    severity: 'info',
+    audience: [],
+    defaultChannels: ['email'],
+    title: '{{reportName}}',
+    message: 'Attached is the {{reportName}} report for {{periodLabel}} ({{rowCount}} row(s)), generated {{generatedAt}}.',
+    emailSubject: '{{reportName}}: {{periodLabel}}'
+  },
+  'report.failed': {
+    name: 'Scheduled report failed',
+    category: 'reports',
+    severity: 'warning',
+    audience: ['schedule_reports'],
+    defaultChannels: ['in_app'],
+    link: '/reports',
+    title: 'Scheduled report failed: {{reportName}}',
+    message: '{{reportName}} could not be generated: {{error}}',
+    emailSubject: 'Scheduled report failed: {{reportName}}'
+  },
+  'cheque.due': {
+    name: 'Cheques falling due',
+    category: 'accounting',
+    severity: 'info',
+    audience: ['view_cheques'],
+    defaultChannels: ['in_app'],
+    title: 'Cheques due {{date}}: {{receivedDueCount}} to deposit, {{issuedDueCount}} issued',
+    message: '{{receivedDueCount}} received cheque(s) worth {{receivedDueAmount}} are due for deposit today and {{receivedOverdueCount}} worth {{receivedOverdueAmount}} are past their date and still in hand. {{issuedDueCount}} issued cheque(s) worth {{issuedDueAmount}} fall due today.',
+    emailSubject: 'Cheques due {{date}}: {{receivedDueCount}} to deposit, {{issuedDueCount}} issued'
+  },
+  'cheque.bounced': {
+    name: 'Bounced cheques',
+    category: 'accounting',
+    severity: 'warning',
+    audience: ['view_cheques'],
+    defaultChannels: ['in_app'],
+    title: 'Cheque {{chequeNumber}} bounced',
+    message: 'The {{direction}} cheque {{chequeNumber}} ({{registerNumber}}) for {{amount}} from/to {{partyName}} bounced: {{reason}}. The payment has been reversed.',
+    emailSubject: 'Bounced cheque {{chequeNumber}} ({{partyName}})'
+  },
+  'notification.test': {
+    name: 'Test notification',
+    category: 'system',
+    severity: 'info',
+    audience: [],
+    defaultChannels: ['in_app'],
+    title: 'Test notification',
+    message: 'This is a test notification sent by {{sentBy}} to check {{channel}} delivery.',
+    emailSubject: 'Test notification'
+  }
+};
+
+/**
+ * Get the template for an event
+ * @param {string} event - Event key
+ * @returns {object|null}
+ */
+function getTemplate(event) {
+  return notificationTemplates[event] || null;
+}
+
+/**
+ * Replace {{placeholders}} with values from data
+ * @param {string} text - Template text
+ * @param {object} data - Event data
+ * @returns {string}
+ */
+function renderTemplate(text, data = {}) {
+  if (!text) return '';
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), data);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * List all events (for preferences screens)
+ * @returns {Array}
+ */
+function getAllTemplates() {
+  return Object.entries(notificationTemplates).map(([event, template]) => ({ event, ...template }));
+}
+
+module.exports = {
+  CHANNELS,
+  notificationTemplates,
+  getTemplate,
+  renderTemplate,
+  getAllTemplates,
+};
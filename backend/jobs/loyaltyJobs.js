@@ -0,0 +1,39 @@
+const cron = require('node-cron');
+const loyaltyService = require('../services/loyaltyService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule loyalty point expiry and the automatic tier review
+ */
+function startLoyaltyJobs() {
+  // Expire lapsed points every night at 1 AM
+  cron.schedule('0 1 * * *', async () => {
+    try {
+      const results = await loyaltyService.expirePoints();
+      if (results.points > 0) {
+        logger.info('Loyalty points expired:', results);
+      }
+    } catch (error) {
+      logger.error('Loyalty point expiry job failed:', error);
+    }
+  });
+
+  // Move customers between tiers on rolling spend every night at 1:30 AM
+  cron.schedule('30 1 * * *', async () => {
+    try {
+      const program = await loyaltyService.getProgram();
+      if (!program.isActive || !program.autoTierReview || program.tiers.length === 0) return;
+
+      const results = await loyaltyService.reviewTiers();
+      logger.info(`Loyalty tier review: ${results.reviewed} reviewed, ${results.promoted} promoted, ${results.demoted} demoted`);
+    } catch (error) {
+      logger.error('Loyalty tier review job failed:', error);
+    }
+  });
+
+  logger.info('Loyalty jobs scheduled: point expiry daily at 1 AM, tier review daily at 1:30 AM');
+}
+
+module.exports = {
+  startLoyaltyJobs
+};
@@ -0,0 +1,56 @@
+const cron = require('node-cron');
+const notificationService = require('../services/notificationService');
+const InventoryAlertService = require('../services/inventoryAlertService');
+const AnomalyDetectionService = require('../services/anomalyDetectionService');
+const chequeService = require('../services/chequeService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule notification outbox delivery and the periodic alert checks that feed it
+ */
+function startNotificationJobs() {
+  // Deliver due and retrying outbox entries every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const results = await notificationService.processOutbox({ limit: 100 });
+      if (results.processed > 0) {
+        logger.info('Notification outbox processed:', results);
+      }
+    } catch (error) {
+      logger.error('Notification outbox job failed:', error);
+    }
+  });
+
+  // Low stock check every hour (each recipient is alerted at most once a day)
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await InventoryAlertService.notifyLowStock();
+    } catch (error) {
+      logger.error('Low stock notification job failed:', error);
+    }
+  });
+
+  // Anomaly scan of the previous day at 7 AM
+  cron.schedule('0 7 * * *', async () => {
+    try {
+      await AnomalyDetectionService.notifyAnomalies({ periodDays: 1 });
+    } catch (error) {
+      logger.error('Anomaly notification job failed:', error);
+    }
+  });
+
+  // Cheques due for deposit or falling due today, every morning at 8 AM
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      await chequeService.notifyDueCheques();
+    } catch (error) {
+      logger.error('Due cheque notification job failed:', error);
+    }
+  });
+
+  logger.info('Notification jobs scheduled: outbox delivery every minute, low stock hourly, anomalies daily at 7 AM, due cheques daily at 8 AM');
+}
+
+module.exports = {
+  startNotificationJobs
+};
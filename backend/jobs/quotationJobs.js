@@ -0,0 +1,26 @@
+const cron = require('node-cron');
+const quotationService = require('../services/quotationService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule quotation expiry
+ */
+function startQuotationJobs() {
+  // Mark quotations past their validity date as expired every night at 1:30 AM
+  cron.schedule('30 1 * * *', async () => {
+    try {
+      const results = await quotationService.expireLapsedQuotations();
+      if (results.expired > 0) {
+        logger.info('Quotations expired:', results);
+      }
+    } catch (error) {
+      logger.error('Quotation expiry job failed:', error);
+    }
+  });
+
+  logger.info('Quotation jobs scheduled: quotation expiry daily at 1:30 AM');
+}
+
+module.exports = {
+  startQuotationJobs
+};
@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const reconciliationService = require('../services/reconciliationService');
+const notificationService = require('../services/notificationService');
 const logger = require('../utils/logger');
 
 /**
@@ -26,7 +27,10 @@ function startReconciliationJobs() {
 
       if (results.discrepancies > 0) {
         logger.warn(`Balance discrepancies detected: ${results.discrepancies} customers`);
-        // TODO: Send alert notification
+        await notificationService.notify('reconciliation.discrepancy', {
+          total: results.total,
+          discrepancies: results.discrepancies
+        });
       }
     } catch (error) {
       logger.error('Daily reconciliation job failed:', error);
@@ -54,7 +58,11 @@ function startReconciliationJobs() {
 
       if (results.discrepancies > 0) {
         logger.warn(`Balance discrepancies found and corrected: ${results.discrepancies} customers`);
-        // TODO: Send summary notification
+        await notificationService.notify('reconciliation.summary', {
+          total: results.total,
+          discrepancies: results.discrepancies,
+          corrected: results.corrected
+        });
       }
     } catch (error) {
       logger.error('Weekly reconciliation job failed:', error);
@@ -0,0 +1,26 @@
+const cron = require('node-cron');
+const storedValueService = require('../services/storedValueService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule gift card and credit note expiry
+ */
+function startStoredValueJobs() {
+  // Expire lapsed cards and take their balances to breakage income every night at 1:15 AM
+  cron.schedule('15 1 * * *', async () => {
+    try {
+      const results = await storedValueService.expireCards();
+      if (results.cards > 0) {
+        logger.info('Gift cards and credit notes expired:', results);
+      }
+    } catch (error) {
+      logger.error('Gift card expiry job failed:', error);
+    }
+  });
+
+  logger.info('Stored value jobs scheduled: card expiry daily at 1:15 AM');
+}
+
+module.exports = {
+  startStoredValueJobs
+};
@@ -254,18 +254,19 @@ async function updateUniqueIndexes() {
       console.log(`⚠️  Investor.email index: ${error.message}`);
     }
 
-    // Inventory - product should be unique only for non-deleted inventory
+    // Inventory - product should be unique per warehouse only for non-deleted inventory
     try {
       await Inventory.collection.dropIndex('product_1').catch(() => {});
+      await Inventory.collection.dropIndex('product_1_location.warehouse_1').catch(() => {});
       await Inventory.collection.createIndex(
-        { product: 1 },
+        { product: 1, 'location.warehouse': 1 },
         { 
           unique: true, 
           partialFilterExpression: { isDeleted: false } 
         }
       );
-      console.log('✅ Inventory.product index updated');
-      indexUpdates.push('Inventory.product');
+      console.log('✅ Inventory.product + location.warehouse index updated');
+      indexUpdates.push('Inventory.product+location.warehouse');
     } catch (error) {
       console.log(`⚠️  Inventory.product index: ${error.message}`);
     }
@@ -0,0 +1,107 @@
+/**
+ * Migration Script: Make Batch Numbers Unique per Warehouse
+ *
+ * Batches used to be unique on { product, batchNumber }, so the same supplier
+ * lot delivered to a second warehouse topped up the first warehouse's batch.
+ * Batches are now unique on { product, batchNumber, location.warehouse }.
+ *
+ * This script drops the old unique index and builds the indexes declared on
+ * the Batch schema.
+ *
+ * Usage:
+ *   node backend/migrations/dropBatchNumberUniqueIndex.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Batch = require('../models/Batch');
+
+const isLegacyBatchNumberIndex = (index) => {
+  const keys = Object.keys(index.key || {});
+  return index.unique === true && keys.length === 2 && keys[0] === 'product' && keys[1] === 'batchNumber';
+};
+
+/**
+ * Drop the unique { product: 1, batchNumber: 1 } index from the batches collection
+ */
+async function dropLegacyBatchNumberIndex() {
+  try {
+    console.log('🚀 Looking for the legacy unique batch number index...\n');
+
+    const indexes = await Batch.collection.indexes();
+    const legacyIndexes = indexes.filter(isLegacyBatchNumberIndex);
+
+    if (legacyIndexes.length === 0) {
+      console.log('   ✅ Batch: No legacy unique batch number index found\n');
+      return [];
+    }
+
+    const dropped = [];
+    for (const index of legacyIndexes) {
+      await Batch.collection.dropIndex(index.name);
+      console.log(`   ✅ Batch: Dropped unique index ${index.name}`);
+      dropped.push(index.name);
+    }
+
+    console.log(`\n✅ Dropped ${dropped.length} legacy index(es)`);
+    return dropped;
+  } catch (error) {
+    console.error('❌ Dropping legacy index failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the indexes declared on the Batch schema that are missing
+ */
+async function createBatchIndexes() {
+  try {
+    console.log('\n📇 Creating batch schema indexes...\n');
+    await Batch.createIndexes();
+    console.log('   ✅ Batch: Schema indexes in place');
+  } catch (error) {
+    console.error('❌ Index creation failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Main migration function
+ */
+async function runMigration() {
+  const connectionString = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/sa-pos';
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(connectionString);
+    console.log('✅ Connected to MongoDB\n');
+
+    await dropLegacyBatchNumberIndex();
+    await createBatchIndexes();
+
+    console.log('\n' + '='.repeat(50));
+    console.log('🎉 Migration completed successfully!');
+    console.log('='.repeat(50));
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run migration if script is executed directly
+if (require.main === module) {
+  runMigration().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  dropLegacyBatchNumberIndex,
+  createBatchIndexes,
+  runMigration
+};
@@ -0,0 +1,109 @@
+/**
+ * Migration Script: Drop the Legacy Unique Product Index on Inventory
+ *
+ * Inventory used to hold a single record per product, enforced by a unique
+ * { product: 1 } index (created by Mongoose, or with a partial filter by
+ * addSoftDeleteFields.js). Stock is now held per product per warehouse, so that
+ * index makes every second warehouse record fail with E11000.
+ *
+ * This script drops any unique index keyed on { product: 1 } alone and then
+ * builds the indexes declared on the Inventory schema (the non-unique product
+ * index and the unique product + warehouse index).
+ *
+ * Usage:
+ *   node backend/migrations/dropInventoryProductUniqueIndex.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Inventory = require('../models/Inventory');
+
+const isLegacyProductIndex = (index) => {
+  const keys = Object.keys(index.key || {});
+  return index.unique === true && keys.length === 1 && keys[0] === 'product';
+};
+
+/**
+ * Drop unique indexes on { product: 1 } from the inventory collection
+ */
+async function dropLegacyProductIndex() {
+  try {
+    console.log('🚀 Looking for the legacy unique inventory product index...\n');
+
+    const indexes = await Inventory.collection.indexes();
+    const legacyIndexes = indexes.filter(isLegacyProductIndex);
+
+    if (legacyIndexes.length === 0) {
+      console.log('   ✅ Inventory: No legacy unique product index found\n');
+      return [];
+    }
+
+    const dropped = [];
+    for (const index of legacyIndexes) {
+      await Inventory.collection.dropIndex(index.name);
+      console.log(`   ✅ Inventory: Dropped unique index ${index.name}`);
+      dropped.push(index.name);
+    }
+
+    console.log(`\n✅ Dropped ${dropped.length} legacy index(es)`);
+    return dropped;
+  } catch (error) {
+    console.error('❌ Dropping legacy index failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the indexes declared on the Inventory schema that are missing
+ */
+async function createInventoryIndexes() {
+  try {
+    console.log('\n📇 Creating inventory schema indexes...\n');
+    await Inventory.createIndexes();
+    console.log('   ✅ Inventory: Schema indexes in place');
+  } catch (error) {
+    console.error('❌ Index creation failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Main migration function
+ */
+async function runMigration() {
+  const connectionString = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/sa-pos';
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(connectionString);
+    console.log('✅ Connected to MongoDB\n');
+
+    await dropLegacyProductIndex();
+    await createInventoryIndexes();
+
+    console.log('\n' + '='.repeat(50));
+    console.log('🎉 Migration completed successfully!');
+    console.log('='.repeat(50));
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run migration if script is executed directly
+if (require.main === module) {
+  runMigration().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  dropLegacyProductIndex,
+  createInventoryIndexes,
+  runMigration
+};
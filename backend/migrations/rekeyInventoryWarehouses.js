@@ -0,0 +1,159 @@
+/**
+ * Migration Script: Key Primary Warehouse Stock by Warehouse ID
+ *
+ * Stock for the primary warehouse used to be stored under the label
+ * "Main Warehouse" in location.warehouse, while every other warehouse was keyed
+ * by its _id. Changing the primary warehouse orphaned that stock. Every row is
+ * now keyed by warehouse _id.
+ *
+ * This script moves Inventory and Batch rows whose location.warehouse is not the
+ * id of an existing warehouse (the old label, empty or missing) to the primary
+ * warehouse. When the product already has a row for the primary warehouse, the
+ * legacy row's stock and movements are merged into it and the legacy row removed.
+ *
+ * Run dropInventoryProductUniqueIndex.js first.
+ *
+ * Usage:
+ *   node backend/migrations/rekeyInventoryWarehouses.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Inventory = require('../models/Inventory');
+const Batch = require('../models/Batch');
+const Warehouse = require('../models/Warehouse');
+
+const legacyFilter = (warehouseKeys) => ({
+  $or: [
+    { 'location.warehouse': { $exists: false } },
+    { 'location.warehouse': { $nin: warehouseKeys } }
+  ]
+});
+
+/**
+ * Move legacy inventory rows to the primary warehouse key
+ * @param {string} primaryKey - Primary warehouse _id as a string
+ * @param {Array<string>} warehouseKeys - Ids of all warehouses as strings
+ */
+async function rekeyInventory(primaryKey, warehouseKeys) {
+  console.log('📝 Processing Inventory...');
+
+  const results = { rekeyed: 0, merged: 0, errors: [] };
+  const legacyRows = await Inventory.collection.find(legacyFilter(warehouseKeys)).toArray();
+
+  for (const row of legacyRows) {
+    try {
+      const existing = await Inventory.collection.findOne({
+        product: row.product,
+        'location.warehouse': primaryKey
+      });
+
+      if (!existing) {
+        await Inventory.collection.updateOne(
+          { _id: row._id },
+          { $set: { 'location.warehouse': primaryKey } }
+        );
+        results.rekeyed++;
+        continue;
+      }
+
+      // Weighted average cost across both rows
+      const legacyStock = row.currentStock || 0;
+      const existingStock = existing.currentStock || 0;
+      const totalStock = legacyStock + existingStock;
+      const averageCost = totalStock > 0
+        ? ((row.cost?.average || 0) * legacyStock + (existing.cost?.average || 0) * existingStock) / totalStock
+        : (existing.cost?.average || row.cost?.average || 0);
+      const reservedStock = (row.reservedStock || 0) + (existing.reservedStock || 0);
+
+      await Inventory.collection.updateOne(
+        { _id: existing._id },
+        {
+          $set: {
+            currentStock: totalStock,
+            reservedStock,
+            availableStock: Math.max(0, totalStock - reservedStock),
+            'cost.average': averageCost
+          },
+          $push: { movements: { $each: row.movements || [] } }
+        }
+      );
+      await Inventory.collection.deleteOne({ _id: row._id });
+      results.merged++;
+    } catch (error) {
+      console.error(`   ❌ Inventory ${row._id}: ${error.message}`);
+      results.errors.push({ id: row._id, error: error.message });
+    }
+  }
+
+  console.log(`   ✅ Inventory: ${results.rekeyed} rekeyed, ${results.merged} merged\n`);
+  return results;
+}
+
+/**
+ * Move legacy batch rows to the primary warehouse key
+ * @param {string} primaryKey - Primary warehouse _id as a string
+ * @param {Array<string>} warehouseKeys - Ids of all warehouses as strings
+ */
+async function rekeyBatches(primaryKey, warehouseKeys) {
+  console.log('📝 Processing Batch...');
+
+  const result = await Batch.collection.updateMany(
+    legacyFilter(warehouseKeys),
+    { $set: { 'location.warehouse': primaryKey } }
+  );
+
+  console.log(`   ✅ Batch: ${result.modifiedCount} rekeyed\n`);
+  return { rekeyed: result.modifiedCount };
+}
+
+/**
+ * Main migration function
+ */
+async function runMigration() {
+  const connectionString = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/sa-pos';
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(connectionString);
+    console.log('✅ Connected to MongoDB\n');
+
+    const primary = await Warehouse.findOrCreatePrimary();
+    const primaryKey = String(primary._id);
+    const warehouses = await Warehouse.find({}).select('_id').lean();
+    const warehouseKeys = warehouses.map(warehouse => String(warehouse._id));
+    console.log(`🏬 Primary warehouse: ${primary.name} (${primaryKey})\n`);
+
+    const inventoryResults = await rekeyInventory(primaryKey, warehouseKeys);
+    await rekeyBatches(primaryKey, warehouseKeys);
+
+    console.log('\n' + '='.repeat(50));
+    if (inventoryResults.errors.length > 0) {
+      console.log(`⚠️  Migration completed with ${inventoryResults.errors.length} error(s)`);
+    } else {
+      console.log('🎉 Migration completed successfully!');
+    }
+    console.log('='.repeat(50));
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run migration if script is executed directly
+if (require.main === module) {
+  runMigration().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  rekeyInventory,
+  rekeyBatches,
+  runMigration
+};
@@ -203,5 +203,14 @@ accountingPeriodSchema.statics.findPeriodForDate = async function(date, periodTy
   });
 };
 
+// Static method to find a closed or locked period of any type (monthly, quarterly, yearly) covering a date
+accountingPeriodSchema.statics.findClosedPeriodForDate = async function(date) {
+  return await this.findOne({
+    periodStart: { $lte: date },
+    periodEnd: { $gte: date },
+    status: { $in: ['closed', 'locked'] }
+  }).sort({ periodStart: 1 });
+};
+
 module.exports = mongoose.model('AccountingPeriod', accountingPeriodSchema);
 
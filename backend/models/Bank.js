@@ -60,6 +60,13 @@ const bankSchema = new mongoose.Schema({
     maxlength: 50
   },
   
+  // Account currency (ISO code); empty means the base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
   // Balance Information
   openingBalance: {
     type: Number,
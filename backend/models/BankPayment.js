@@ -70,6 +70,49 @@ const bankPaymentSchema = new mongoose.Schema({
     required: false
   },
   
+  // Purchase invoices this payment settles (set by payables runs)
+  purchaseInvoices: [{
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice'
+    },
+    invoiceNumber: String,
+    amount: Number,
+    foreignAmount: Number
+  }],
+  payablesRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayablesRun'
+  },
+  // Foreign-currency payments: amount in that currency and the rate used for the base amount
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  foreignAmount: Number,
+  exchangeRate: Number,
+  // Realised exchange loss (positive) or gain (negative) against the invoice rates
+  exchangeDifference: Number,
+  
+  // Tax withheld on this voucher; amount above is the net amount paid from the bank
+  withholding: {
+    taxCode: String,
+    transactionType: String,
+    rate: Number,
+    grossAmount: Number,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Certificate issued to the supplier (WHT-YYYYMM-NNNN)
+    certificateNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  
   // Additional Information
   notes: {
     type: String,
@@ -77,6 +120,20 @@ const bankPaymentSchema = new mongoose.Schema({
     maxlength: 1000
   },
   
+  // Bank Reconciliation - set while a bank statement line is matched to this voucher
+  bankStatement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement'
+  },
+  clearedDate: {
+    type: Date
+  },
+  // Set when the voucher was created by clearing a cheque in the cheque register
+  cheque: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cheque'
+  },
+  
   // Audit Fields
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -145,5 +202,6 @@ bankPaymentSchema.pre('save', async function(next) {
 bankPaymentSchema.index({ date: -1 });
 bankPaymentSchema.index({ voucherCode: 1 }, { unique: true, sparse: true }); // Sparse allows multiple null values
 bankPaymentSchema.index({ createdBy: 1 });
+bankPaymentSchema.index({ bank: 1, date: 1 });
 
 module.exports = mongoose.model('BankPayment', bankPaymentSchema);
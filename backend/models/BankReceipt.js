@@ -73,6 +73,33 @@ const bankReceiptSchema = new mongoose.Schema({
     default: 'confirmed'
   },
   
+  // Receipts into a foreign-currency bank: amount in that currency and the rate used for the base amount
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  foreignAmount: Number,
+  exchangeRate: Number,
+
+  // Tax withheld on this voucher; amount above is the net amount received in the bank
+  withholding: {
+    taxCode: String,
+    transactionType: String,
+    rate: Number,
+    grossAmount: Number,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Certificate number issued by the customer
+    certificateNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  
   // Additional Information
   notes: {
     type: String,
@@ -80,6 +107,20 @@ const bankReceiptSchema = new mongoose.Schema({
     maxlength: 1000
   },
   
+  // Bank Reconciliation - set while a bank statement line is matched to this voucher
+  bankStatement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement'
+  },
+  clearedDate: {
+    type: Date
+  },
+  // Set when the voucher was created by clearing a cheque in the cheque register
+  cheque: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cheque'
+  },
+  
   // Audit Fields
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -148,5 +189,6 @@ bankReceiptSchema.pre('save', async function(next) {
 bankReceiptSchema.index({ date: -1 });
 bankReceiptSchema.index({ voucherCode: 1 }, { unique: true, sparse: true }); // Sparse allows multiple null values
 bankReceiptSchema.index({ createdBy: 1 });
+bankReceiptSchema.index({ bank: 1, date: 1 });
 
 module.exports = mongoose.model('BankReceipt', bankReceiptSchema);
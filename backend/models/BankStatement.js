@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// A voucher (or part of one) that a statement line clears
+const statementMatchSchema = new mongoose.Schema({
+  voucherType: {
+    type: String,
+    enum: ['BankReceipt', 'BankPayment'],
+    required: true
+  },
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'lines.matches.voucherType',
+    required: true
+  },
+  voucherCode: {
+    type: String,
+    trim: true
+  },
+  // Signed like the statement line: receipts positive, payments negative
+  amount: {
+    type: Number,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['auto', 'manual', 'created'],
+    default: 'manual'
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  matchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const statementLineSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  valueDate: {
+    type: Date
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Customer reference / cheque number printed on the statement
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Bank's own transaction ID (OFX FITID, MT940 bank reference)
+  bankReference: {
+    type: String,
+    trim: true
+  },
+  // Positive = deposit into the account, negative = withdrawal
+  amount: {
+    type: Number,
+    required: true
+  },
+  balance: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  matches: [statementMatchSchema],
+  // Set on the parts created when a line is split; points at the original line
+  splitFrom: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+});
+
+const bankStatementSchema = new mongoose.Schema({
+  statementNumber: {
+    type: String,
+    unique: true
+  },
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: true
+  },
+  sourceFormat: {
+    type: String,
+    enum: ['csv', 'excel', 'ofx', 'mt940'],
+    required: true
+  },
+  originalFilename: {
+    type: String,
+    trim: true
+  },
+  // SHA-256 of the uploaded file, used to reject duplicate imports
+  fileHash: {
+    type: String
+  },
+  accountNumber: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    trim: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  closingBalance: {
+    type: Number,
+    default: 0
+  },
+  lines: [statementLineSchema],
+  status: {
+    type: String,
+    enum: ['in_progress', 'reconciled', 'discrepancy'],
+    default: 'in_progress'
+  },
+  // Snapshot of the reconciliation report taken when the statement is completed
+  reconciliation: {
+    bookBalance: { type: Number },
+    statementBalance: { type: Number },
+    unclearedReceipts: { type: Number },
+    unclearedPayments: { type: Number },
+    unmatchedLines: { type: Number },
+    adjustedBankBalance: { type: Number },
+    difference: { type: Number },
+    notes: { type: String, trim: true, maxlength: 1000 }
+  },
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reconciledAt: {
+    type: Date
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Soft Delete Fields
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+bankStatementSchema.index({ bank: 1, periodEnd: -1 });
+bankStatementSchema.index({ bank: 1, fileHash: 1 });
+bankStatementSchema.index({ 'lines.matches.voucher': 1 });
+bankStatementSchema.index({ isDeleted: 1 });
+
+// Pre-save middleware to generate statement number using atomic Counter
+bankStatementSchema.pre('save', async function(next) {
+  if (this.isNew && !this.statementNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+      const day = String(today.getDate()).padStart(2, '0');
+
+      // Counter key format: bankStatementNumber_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `bankStatementNumber_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.statementNumber = `BST-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -76,12 +76,17 @@ const batchSchema = new mongoose.Schema({
     ref: 'PurchaseOrder'
   },
   
+  // Quantity allocated to sales (initialQuantity - currentQuantity may also include write-offs)
+  soldQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
   // Location Information
   location: {
-    warehouse: {
-      type: String,
-      default: 'Main Warehouse'
-    },
+    // Warehouse _id as a string, matching Inventory's location.warehouse key
+    warehouse: String,
     aisle: String,
     shelf: String,
     bin: String
@@ -138,14 +143,19 @@ const batchSchema = new mongoose.Schema({
     maxlength: 1000
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Compound indexes
-batchSchema.index({ product: 1, batchNumber: 1 }, { unique: true });
+// A lot split across warehouses is tracked as one batch per warehouse
+batchSchema.index({ product: 1, batchNumber: 1, 'location.warehouse': 1 }, { unique: true });
 batchSchema.index({ product: 1, expiryDate: 1 });
 batchSchema.index({ status: 1, expiryDate: 1 });
 batchSchema.index({ expiryDate: 1 }); // For expiry queries
+batchSchema.index({ purchaseInvoice: 1 });
+batchSchema.index({ product: 1, 'location.warehouse': 1, status: 1 });
 
 // Virtual for days until expiry
 batchSchema.virtual('daysUntilExpiry').get(function() {
@@ -194,14 +204,26 @@ batchSchema.methods.consume = function(quantity) {
 };
 
 // Static method to find batches for FEFO (First Expired First Out)
-batchSchema.statics.findFEFOBatches = function(productId, quantity) {
-  return this.find({
+// Batches without an expiry date are picked last, oldest purchase first (FIFO)
+batchSchema.statics.findFEFOBatches = async function(productId, quantity, warehouseKey = null) {
+  const query = {
     product: productId,
     status: 'active',
-    currentQuantity: { $gt: 0 }
-  })
-  .sort({ expiryDate: 1, purchaseDate: 1 }) // Oldest expiry first, then oldest purchase
-  .limit(100); // Reasonable limit
+    currentQuantity: { $gt: 0 },
+    'recall.isRecalled': { $ne: true }
+  };
+  if (warehouseKey) {
+    query['location.warehouse'] = warehouseKey;
+  }
+
+  const batches = await this.find(query)
+    .sort({ expiryDate: 1, purchaseDate: 1 }) // Oldest expiry first, then oldest purchase
+    .limit(100); // Reasonable limit
+
+  return [
+    ...batches.filter(batch => batch.expiryDate),
+    ...batches.filter(batch => !batch.expiryDate)
+  ];
 };
 
 // Pre-save hook to update status based on expiry
@@ -1,6 +1,24 @@
 const mongoose = require('mongoose');
 
+const monthlyAmountSchema = new mongoose.Schema({
+  // Calendar month in YYYY-MM format
+  month: {
+    type: String,
+    required: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const budgetItemSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccounts'
+  },
   accountCode: {
     type: String,
     required: true,
@@ -26,6 +44,8 @@ const budgetItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Monthly phasing; budgetedAmount is the sum of the months when present
+  monthlyAmounts: [monthlyAmountSchema],
   notes: {
     type: String,
     trim: true
@@ -111,15 +131,38 @@ const budgetSchema = new mongoose.Schema({
     required: true
   },
   
-  // Version tracking
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Version tracking: original -> revised (approving a revision archives the version it replaces)
   version: {
     type: Number,
     default: 1
   },
+  versionType: {
+    type: String,
+    enum: ['original', 'revised'],
+    default: 'original'
+  },
   parentBudget: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Budget'
   },
+  rootBudget: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  revisionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  copiedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
   
   // Metadata
   metadata: {
@@ -134,6 +177,17 @@ const budgetSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Derive item amounts from their monthly phasing before validation
+budgetSchema.pre('validate', function(next) {
+  (this.items || []).forEach(item => {
+    if (item.monthlyAmounts && item.monthlyAmounts.length > 0) {
+      const total = item.monthlyAmounts.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+      item.budgetedAmount = Math.round(total * 100) / 100;
+    }
+  });
+  next();
+});
+
 // Pre-save middleware to generate budget ID
 budgetSchema.pre('save', async function(next) {
   if (this.isNew && !this.budgetId) {
@@ -167,6 +221,8 @@ budgetSchema.index({ 'period.startDate': 1, 'period.endDate': 1 });
 budgetSchema.index({ status: 1 });
 budgetSchema.index({ budgetType: 1 });
 budgetSchema.index({ createdBy: 1 });
+budgetSchema.index({ rootBudget: 1, version: 1 });
+budgetSchema.index({ 'items.accountCode': 1, status: 1 });
 
 // Static method to find budget for period
 budgetSchema.statics.findBudgetForPeriod = function(startDate, endDate, budgetType = 'expense') {
@@ -189,6 +245,24 @@ budgetSchema.methods.getBudgetForAccount = function(accountCode, category = null
   return item ? item.budgetedAmount : 0;
 };
 
+// Method to get the phased budget for an account in a month (YYYY-MM)
+// Items without phasing are spread evenly across the months of the period
+budgetSchema.methods.getBudgetForAccountMonth = function(accountCode, month) {
+  const { startDate, endDate } = this.period;
+  const periodMonths = (endDate.getFullYear() - startDate.getFullYear()) * 12 +
+    (endDate.getMonth() - startDate.getMonth()) + 1;
+
+  return this.items
+    .filter(item => item.accountCode === accountCode)
+    .reduce((sum, item) => {
+      if (!item.monthlyAmounts || item.monthlyAmounts.length === 0) {
+        return sum + item.budgetedAmount / Math.max(periodMonths, 1);
+      }
+      const entry = item.monthlyAmounts.find(m => m.month === month);
+      return sum + (entry ? entry.amount : 0);
+    }, 0);
+};
+
 // Method to get budget for category
 budgetSchema.methods.getBudgetForCategory = function(category, expenseType = null) {
   const filtered = this.items.filter(item => {
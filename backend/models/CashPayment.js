@@ -42,6 +42,31 @@ const cashPaymentSchema = new mongoose.Schema({
     required: false
   },
   
+  // Purchase invoices this payment settles (set by payables runs)
+  purchaseInvoices: [{
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice'
+    },
+    invoiceNumber: String,
+    amount: Number,
+    foreignAmount: Number
+  }],
+  payablesRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayablesRun'
+  },
+  // Foreign-currency payments: amount in that currency and the rate used for the base amount
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  foreignAmount: Number,
+  exchangeRate: Number,
+  // Realised exchange loss (positive) or gain (negative) against the invoice rates
+  exchangeDifference: Number,
+  
   // Payment Method
   paymentMethod: {
     type: String,
@@ -53,6 +78,24 @@ const cashPaymentSchema = new mongoose.Schema({
     ref: 'ChartOfAccounts'
   },
   
+  // Tax withheld on this voucher; amount above is the net cash paid
+  withholding: {
+    taxCode: String,
+    transactionType: String,
+    rate: Number,
+    grossAmount: Number,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Certificate issued to the supplier (WHT-YYYYMM-NNNN)
+    certificateNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  
   // Additional Information
   notes: {
     type: String,
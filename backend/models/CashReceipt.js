@@ -57,6 +57,24 @@ const cashReceiptSchema = new mongoose.Schema({
     default: 'confirmed'
   },
   
+  // Tax withheld on this voucher; amount above is the net cash received
+  withholding: {
+    taxCode: String,
+    transactionType: String,
+    rate: Number,
+    grossAmount: Number,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Certificate number issued by the customer
+    certificateNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  
   // Additional Information
   notes: {
     type: String,
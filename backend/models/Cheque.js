@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Allowed status changes per direction; anything else is rejected by the service
+const CHEQUE_TRANSITIONS = {
+  received: {
+    in_hand: ['deposited', 'returned', 'cancelled'],
+    deposited: ['cleared', 'bounced'],
+    bounced: ['deposited', 'returned'],
+    cleared: [],
+    returned: [],
+    cancelled: []
+  },
+  issued: {
+    issued: ['cleared', 'bounced', 'cancelled'],
+    cleared: [],
+    bounced: [],
+    cancelled: []
+  }
+};
+
+const chequeStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const chequeSchema = new mongoose.Schema({
+  // Internal register number (e.g., CHQ-20260101-0001)
+  chequeRegisterNumber: {
+    type: String,
+    unique: true
+  },
+  // received = customer cheque we hold; issued = our cheque given to a supplier/payee
+  direction: {
+    type: String,
+    enum: ['received', 'issued'],
+    required: true
+  },
+  chequeNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Bank the cheque is drawn on (the customer's bank for received cheques)
+  drawerBank: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  drawerBankBranch: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  accountTitle: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Our bank account: deposited into (received) or drawn on (issued)
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Date the cheque was received or issued
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Date written on the cheque; later than date for post-dated cheques
+  dueDate: {
+    type: Date,
+    required: true
+  },
+
+  // Party Information
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // Issued cheques that are not supplier payments are charged to this account
+  expenseAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccounts'
+  },
+  payee: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales'
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['in_hand', 'issued', 'deposited', 'cleared', 'bounced', 'returned', 'cancelled'],
+    required: true
+  },
+  statusHistory: [chequeStatusHistorySchema],
+  depositedAt: {
+    type: Date
+  },
+  clearedAt: {
+    type: Date
+  },
+  bouncedAt: {
+    type: Date
+  },
+  bounceCount: {
+    type: Number,
+    default: 0
+  },
+  bounceReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  penaltyAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Linked records
+  // Customer sub-ledger payment currently standing for this cheque (cleared on bounce/return)
+  customerTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerTransaction'
+  },
+  // Bank voucher created on clearance so the bank statement line can be matched to it
+  bankVoucherType: {
+    type: String,
+    enum: ['BankReceipt', 'BankPayment']
+  },
+  bankVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'bankVoucherType'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Audit Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Soft Delete Fields
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+chequeSchema.index({ direction: 1, status: 1, dueDate: 1 });
+chequeSchema.index({ customer: 1, dueDate: -1 });
+chequeSchema.index({ supplier: 1, dueDate: -1 });
+chequeSchema.index({ chequeNumber: 1 });
+chequeSchema.index({ isDeleted: 1 });
+
+// Statuses the cheque may move to from its current status
+chequeSchema.methods.getAllowedTransitions = function() {
+  const transitions = CHEQUE_TRANSITIONS[this.direction] || {};
+  return transitions[this.status] || [];
+};
+
+chequeSchema.methods.canTransitionTo = function(status) {
+  return this.getAllowedTransitions().includes(status);
+};
+
+// Pre-save middleware to generate register number using atomic Counter
+chequeSchema.pre('save', async function(next) {
+  if (this.isNew && !this.chequeRegisterNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+      const day = String(today.getDate()).padStart(2, '0');
+
+      // Counter key format: chequeRegisterNumber_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `chequeRegisterNumber_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.chequeRegisterNumber = `CHQ-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Cheque', chequeSchema);
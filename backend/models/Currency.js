@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const currencySchema = new mongoose.Schema({
+  // ISO 4217 code (e.g., USD, CNY)
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency code must be three letters']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  symbol: {
+    type: String,
+    trim: true,
+    maxlength: 10
+  },
+  decimalPlaces: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 4
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Audit Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// code index removed - already has unique: true in field definition
+currencySchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Currency', currencySchema);
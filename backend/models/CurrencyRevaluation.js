@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const revaluationLineSchema = new mongoose.Schema({
+  // Open foreign-currency purchase invoice, or a foreign-currency bank balance
+  type: {
+    type: String,
+    enum: ['payable', 'bank'],
+    default: 'payable'
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseInvoice'
+  },
+  invoiceNumber: String,
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  supplierName: String,
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank'
+  },
+  bankName: String,
+  currency: String,
+  foreignOutstanding: Number,
+  invoiceRate: Number,
+  closingRate: Number,
+  bookedAmount: Number,
+  revaluedAmount: Number,
+  // Loss positive, gain negative: an increase in a payable or a decrease in a bank balance is a loss
+  difference: Number
+}, { _id: false });
+
+const currencyRevaluationSchema = new mongoose.Schema({
+  revaluationDate: {
+    type: Date,
+    required: true
+  },
+  rates: [{
+    _id: false,
+    currency: String,
+    rate: Number,
+    rateDate: Date
+  }],
+  lines: [revaluationLineSchema],
+  totalGain: {
+    type: Number,
+    default: 0
+  },
+  totalLoss: {
+    type: Number,
+    default: 0
+  },
+  // Net loss (positive) or gain (negative)
+  netDifference: {
+    type: Number,
+    default: 0
+  },
+  journalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  journalVoucherNumber: String,
+  // Unrealised entries are reversed on the next day so settlement books the full realised difference
+  autoReverse: {
+    type: Boolean,
+    default: true
+  },
+  reversalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  reversalVoucherNumber: String,
+  reversalDate: Date,
+  status: {
+    type: String,
+    enum: ['posted', 'reversed'],
+    default: 'posted'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+currencyRevaluationSchema.index({ revaluationDate: -1 });
+
+module.exports = mongoose.model('CurrencyRevaluation', currencyRevaluationSchema);
@@ -40,6 +40,39 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Withholding tax this customer deducts from its payments to us
+  withholdingTax: {
+    applicable: {
+      type: Boolean,
+      default: false
+    },
+    // Transaction type used when a voucher doesn't name one
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    // Rates agreed for this party, overriding the withholding tax code rate for a transaction type
+    rates: [{
+      _id: false,
+      transactionType: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 1
+      }
+    }],
+    // Exemption certificate; nothing is withheld until it expires
+    exemptionCertificate: {
+      type: String,
+      trim: true
+    },
+    exemptUntil: Date
+  },
 
   // Address Information
   addresses: [{
@@ -68,6 +101,20 @@ const customerSchema = new mongoose.Schema({
     enum: ['bronze', 'silver', 'gold', 'platinum'],
     default: 'bronze'
   },
+  // Loyalty points balance, kept in step with the loyalty ledger
+  loyaltyPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Last automatic tier review against rolling spend
+  tierReviewedAt: Date,
+  // Unexpired gift card and credit note balances held by the customer, kept in step with their cards
+  storeCreditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   creditLimit: {
     type: Number,
     default: 0,
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const statementItemSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  customerName: String,
+  email: String,
+  openingBalance: Number,
+  closingBalance: Number,
+  filename: String,
+  status: {
+    type: String,
+    enum: ['generated', 'emailed', 'no_email', 'failed'],
+    default: 'generated'
+  },
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  error: String
+}, { _id: false });
+
+const customerStatementBatchSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Only customers whose closing balance is above this amount get a statement
+  minBalance: {
+    type: Number,
+    default: 0
+  },
+  delivery: {
+    type: String,
+    enum: ['download', 'email'],
+    default: 'download'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  items: [statementItemSchema],
+  customersChecked: {
+    type: Number,
+    default: 0
+  },
+  statementCount: {
+    type: Number,
+    default: 0
+  },
+  emailedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  totalBalance: {
+    type: Number,
+    default: 0
+  },
+  // All statements in one PDF for printing
+  combinedFilename: String,
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+customerStatementBatchSchema.index({ createdAt: -1 });
+customerStatementBatchSchema.index({ 'items.customer': 1 });
+
+module.exports = mongoose.model('CustomerStatementBatch', customerStatementBatchSchema);
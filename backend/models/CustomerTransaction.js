@@ -377,9 +377,9 @@ customerTransactionSchema.pre('save', async function(next) {
   if ((this.isNew || this.isModified('transactionDate')) && this.transactionDate) {
     try {
       const AccountingPeriod = require('./AccountingPeriod');
-      const period = await AccountingPeriod.findPeriodForDate(this.transactionDate);
+      const period = await AccountingPeriod.findClosedPeriodForDate(this.transactionDate);
       
-      if (period && (period.status === 'closed' || period.status === 'locked')) {
+      if (period) {
         return next(new Error(
           `Cannot create transaction in ${period.status} period: ${period.periodName} ` +
           `(${period.periodStart.toISOString().split('T')[0]} to ${period.periodEnd.toISOString().split('T')[0]})`
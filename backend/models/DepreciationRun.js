@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const depreciationRunLineSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FixedAsset',
+    required: true
+  },
+  assetNumber: String,
+  assetName: String,
+  category: String,
+  expenseAccountCode: String,
+  accumulatedDepreciationAccountCode: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Months charged; more than one when the asset had missed runs to catch up
+  monthsCharged: {
+    type: Number,
+    default: 1
+  },
+  accumulatedBefore: Number,
+  accumulatedAfter: Number,
+  bookValueAfter: Number,
+  // Asset state before the run, restored if the run is reversed
+  statusBefore: String,
+  depreciatedThroughBefore: Date
+}, { _id: false });
+
+const depreciationRunSchema = new mongoose.Schema({
+  // One posted run per month (e.g., DEP-2026-01)
+  runNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'reversed'],
+    default: 'posted'
+  },
+  lines: [depreciationRunLineSchema],
+  assetCount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  journalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  reversalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversalReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+depreciationRunSchema.index({ year: -1, month: -1 });
+depreciationRunSchema.index({ status: 1, periodEnd: -1 });
+depreciationRunSchema.index({ 'lines.asset': 1 });
+
+module.exports = mongoose.model('DepreciationRun', depreciationRunSchema);
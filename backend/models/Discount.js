@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Coupon-style discounts, and the rules-based promotions the promotion engine evaluates
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+const PROMOTION_TYPES = ['buy_x_get_y', 'bundle', 'tiered_spend', 'free_item'];
+
 const discountSchema = new mongoose.Schema({
   // Basic Information
   name: {
@@ -26,13 +30,15 @@ const discountSchema = new mongoose.Schema({
   // Discount Type and Value
   type: {
     type: String,
-    enum: ['percentage', 'fixed_amount'],
+    enum: [...DISCOUNT_TYPES, ...PROMOTION_TYPES],
     required: true
   },
+  // Percentage or amount off; promotion types carry their terms in `promotion` instead
   value: {
     type: Number,
-    required: true,
-    min: 0
+    required: function() { return DISCOUNT_TYPES.includes(this.type); },
+    min: 0,
+    default: 0
   },
   maximumDiscount: {
     type: Number,
@@ -45,6 +51,68 @@ const discountSchema = new mongoose.Schema({
     default: 0
   },
 
+  // Promotion Terms
+  promotion: {
+    // buy_x_get_y: for every buyQuantity qualifying units, getQuantity more (the cheapest) are discounted
+    buyQuantity: {
+      type: Number,
+      min: 1
+    },
+    getQuantity: {
+      type: Number,
+      min: 1
+    },
+    getDiscountPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100
+    },
+    // bundle: any bundleQuantity qualifying units, mixed and matched, for bundlePrice
+    bundleQuantity: {
+      type: Number,
+      min: 2
+    },
+    bundlePrice: {
+      type: Number,
+      min: 0
+    },
+    // tiered_spend: the highest threshold the qualifying spend reaches
+    tiers: [{
+      _id: false,
+      minimumSpend: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+        required: true
+      },
+      value: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    // free_item: freeQuantity of freeProduct once the rest of the order qualifies
+    freeProduct: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    freeQuantity: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  },
+  // Applied at the till without a code when the cart qualifies
+  autoApply: {
+    type: Boolean,
+    default: false
+  },
+
   // Applicability
   applicableTo: {
     type: String,
@@ -313,8 +381,7 @@ discountSchema.pre('save', function(next) {
 });
 
 // Method to check if discount is applicable to an order
-discountSchema.methods.isApplicableToOrder = function(order, customer = null) {
-  const now = new Date();
+discountSchema.methods.isApplicableToOrder = function(order, customer = null, now = new Date()) {
   
   // Check if discount is active and within validity period
   if (!this.isActive || now < this.validFrom || now > this.validUntil) {
@@ -334,7 +401,8 @@ discountSchema.methods.isApplicableToOrder = function(order, customer = null) {
   // Check customer restrictions
   if (customer) {
     // Check if customer is in applicable customers list
-    if (this.applicableCustomers.length > 0 && !this.applicableCustomers.includes(customer._id)) {
+    if (this.applicableCustomers.length > 0 &&
+        !this.applicableCustomers.some(id => id.toString() === customer._id.toString())) {
       return { applicable: false, reason: 'Discount not applicable to this customer' };
     }
     
@@ -385,7 +453,7 @@ discountSchema.methods.isApplicableToOrder = function(order, customer = null) {
   
   // Check day of week restrictions
   if (this.conditions.daysOfWeek.length > 0) {
-    const dayOfWeek = now.toLocaleDateString('en-US', { weekday: 'lowercase' });
+    const dayOfWeek = now.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
     if (!this.conditions.daysOfWeek.includes(dayOfWeek)) {
       return { applicable: false, reason: 'Discount not valid on this day of week' };
     }
@@ -402,7 +470,7 @@ discountSchema.methods.isApplicableToOrder = function(order, customer = null) {
   return { applicable: true, reason: 'Discount is applicable' };
 };
 
-// Method to calculate discount amount
+// Method to calculate discount amount (percentage and fixed amount types; promotions are priced by promotionService)
 discountSchema.methods.calculateDiscountAmount = function(orderAmount) {
   let discountAmount = 0;
   
@@ -579,4 +647,7 @@ discountSchema.statics.getDiscountStats = async function(period = {}) {
   };
 };
 
+discountSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+discountSchema.statics.PROMOTION_TYPES = PROMOTION_TYPES;
+
 module.exports = mongoose.model('Discount', discountSchema);
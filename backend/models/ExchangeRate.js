@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Day the rate applies from; it stays in use until a later rate is entered
+  rateDate: {
+    type: Date,
+    required: true
+  },
+  // Base currency units for one unit of the foreign currency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, rateDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// A single line of a cash flow section (inflows positive, outflows negative)
+const cashFlowLineSchema = new mongoose.Schema({
+  key: String,
+  label: String,
+  amount: { type: Number, default: 0 },
+  accountCode: String,
+  count: Number,
+}, { _id: false });
+
+const cashFlowSectionSchema = new mongoose.Schema({
+  lines: [cashFlowLineSchema],
+  total: { type: Number, default: 0 },
+}, { _id: false });
+
 const FinancialStatementSchema = new mongoose.Schema({
   statementId: {
     type: String,
@@ -192,6 +206,30 @@ const FinancialStatementSchema = new mongoose.Schema({
     inventoryTurnover: { type: Number, default: 0 },
     accountsReceivableTurnover: { type: Number, default: 0 },
   },
+  // Cash flow statement sections (type 'cash_flow' only)
+  cashFlow: {
+    method: {
+      type: String,
+      enum: ['indirect', 'direct'],
+    },
+    operating: cashFlowSectionSchema,
+    investing: cashFlowSectionSchema,
+    financing: cashFlowSectionSchema,
+    netChangeInCash: Number,
+    openingCash: Number,
+    closingCash: Number,
+    // Ledger cash movement not explained by the three sections
+    unreconciledDifference: Number,
+    comparison: {
+      period: String,
+      operating: Number,
+      investing: Number,
+      financing: Number,
+      netChangeInCash: Number,
+      change: Number,
+      changePercent: Number,
+    },
+  },
   comparison: {
     previousPeriod: {
       period: String,
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const closingLineSchema = new mongoose.Schema({
+  accountCode: String,
+  accountName: String,
+  accountType: String,
+  // Balance in the account's normal direction at year end
+  balance: Number,
+  debit: Number,
+  credit: Number
+}, { _id: false });
+
+const openingBalanceSchema = new mongoose.Schema({
+  accountCode: String,
+  accountName: String,
+  accountType: String,
+  normalBalance: String,
+  balance: Number,
+  debit: Number,
+  credit: Number
+}, { _id: false });
+
+const fiscalYearCloseSchema = new mongoose.Schema({
+  // Calendar year in which the fiscal year starts
+  fiscalYear: {
+    type: Number,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  fiscalYearStart: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  closingLines: [closingLineSchema],
+  totalRevenue: {
+    type: Number,
+    default: 0
+  },
+  totalExpenses: {
+    type: Number,
+    default: 0
+  },
+  netIncome: {
+    type: Number,
+    default: 0
+  },
+  retainedEarningsAccountCode: String,
+  // Balance-sheet balances brought forward into the next fiscal year
+  openingBalances: [openingBalanceSchema],
+  // Periods locked by the close, with the status to restore on reversal
+  periods: [{
+    _id: false,
+    period: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AccountingPeriod'
+    },
+    periodName: String,
+    periodType: String,
+    previousStatus: String,
+    created: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  closingVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  closingVoucherNumber: String,
+  status: {
+    type: String,
+    enum: ['closed', 'reversed'],
+    default: 'closed'
+  },
+  reversalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  reversalVoucherNumber: String,
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversalReason: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+fiscalYearCloseSchema.index({ fiscalYear: -1, status: 1 });
+
+module.exports = mongoose.model('FiscalYearClose', fiscalYearCloseSchema);
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const fixedAssetSchema = new mongoose.Schema({
+  // Register number (e.g., FA-000001)
+  assetNumber: {
+    type: String,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Categories line up with the property, plant and equipment breakdown on the balance sheet
+  category: {
+    type: String,
+    enum: ['land', 'buildings', 'equipment', 'vehicles', 'furniture_and_fixtures', 'computer_equipment', 'other'],
+    default: 'equipment'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  serialNumber: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+
+  // Cost and depreciation basis
+  cost: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  salvageValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  acquisitionDate: {
+    type: Date,
+    required: true
+  },
+  // First month depreciation is charged for (full-month convention); defaults to the acquisition date
+  depreciationStartDate: {
+    type: Date
+  },
+  usefulLifeMonths: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  depreciationMethod: {
+    type: String,
+    enum: ['straight_line', 'declining_balance'],
+    default: 'straight_line'
+  },
+  // Annual rate (%) for declining balance; defaults to double the straight-line rate
+  decliningBalanceRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+
+  // Ledger accounts (chart of accounts codes)
+  assetAccountCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  accumulatedDepreciationAccountCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  depreciationExpenseAccountCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Depreciation already charged before the asset was added to the register
+  openingAccumulatedDepreciation: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Opening amount plus every posted depreciation run
+  accumulatedDepreciation: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  monthsDepreciated: {
+    type: Number,
+    default: 0
+  },
+  // End of the last month depreciation was posted for
+  depreciatedThrough: {
+    type: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'fully_depreciated', 'disposed'],
+    default: 'active'
+  },
+  disposal: {
+    date: Date,
+    method: {
+      type: String,
+      enum: ['sale', 'scrap', 'write_off']
+    },
+    proceeds: {
+      type: Number,
+      default: 0
+    },
+    proceedsAccountCode: String,
+    bookValue: Number,
+    gainLoss: Number,
+    journalVoucher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalVoucher'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+
+  // Voucher that capitalised the asset, when the register posted the purchase
+  acquisitionVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Audit Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Soft Delete Fields
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+fixedAssetSchema.index({ status: 1, category: 1 });
+fixedAssetSchema.index({ acquisitionDate: -1 });
+fixedAssetSchema.index({ isDeleted: 1 });
+
+fixedAssetSchema.virtual('bookValue').get(function() {
+  return Math.round(((this.cost || 0) - (this.accumulatedDepreciation || 0)) * 100) / 100;
+});
+
+// Pre-save middleware to generate asset number using atomic Counter
+fixedAssetSchema.pre('save', async function(next) {
+  if (this.isNew && !this.assetNumber) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { _id: 'fixedAssetNumber' },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      this.assetNumber = `FA-${String(counter.seq).padStart(6, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('FixedAsset', fixedAssetSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const Warehouse = require('./Warehouse');
+
+// Every stock row is keyed by its Warehouse _id (as a string) in location.warehouse, the
+// primary warehouse included, so changing which warehouse is primary leaves stock in place.
+// Rows created before per-warehouse tracking are rekeyed by migrations/rekeyInventoryWarehouses.js.
 
 const InventorySchema = new mongoose.Schema({
   product: {
@@ -82,7 +87,6 @@ const InventorySchema = new mongoose.Schema({
     warehouse: {
       type: String,
       trim: true,
-      default: 'Main Warehouse',
     },
     aisle: {
       type: String,
@@ -160,7 +164,7 @@ const InventorySchema = new mongoose.Schema({
     },
     referenceModel: {
       type: String,
-      enum: ['SalesOrder', 'PurchaseOrder', 'PurchaseInvoice', 'StockAdjustment', 'Transfer', 'Return', 'Sales', 'ProductTransformation'],
+      enum: ['SalesOrder', 'PurchaseOrder', 'PurchaseInvoice', 'StockAdjustment', 'Transfer', 'TransferOrder', 'Return', 'Sales', 'ProductTransformation'],
     },
     cost: {
       type: Number,
@@ -197,13 +201,13 @@ const InventorySchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-// Unique constraint on product field ensures one inventory record per product ID
-// Since MongoDB ObjectIds are globally unique across collections, a unique index
-// on 'product' alone is sufficient even with polymorphic references (refPath).
-// This prevents duplicate inventory tracking regardless of productModel value.
-// Note: If separate inventory tracking is needed for Product vs ProductVariant
-// of the same underlying product, use compound unique index: { product: 1, productModel: 1 }
-InventorySchema.index({ product: 1 }, { unique: true });
+// One inventory record per product per warehouse. Since MongoDB ObjectIds are globally
+// unique across collections, product + location.warehouse is sufficient even with
+// polymorphic references (refPath).
+// Note: databases created before per-warehouse stock carry a unique { product: 1 } index;
+// run migrations/dropInventoryProductUniqueIndex.js to drop it.
+InventorySchema.index({ product: 1, 'location.warehouse': 1 }, { unique: true });
+InventorySchema.index({ product: 1 });
 InventorySchema.index({ currentStock: 1 });
 InventorySchema.index({ status: 1 });
 InventorySchema.index({ 'location.warehouse': 1 });
@@ -218,6 +222,13 @@ InventorySchema.virtual('calculatedAvailableStock').get(function() {
   return Math.max(0, this.currentStock - this.reservedStock);
 });
 
+// Rows created without a location belong to the primary warehouse
+InventorySchema.pre('validate', async function() {
+  if (!this.location || !this.location.warehouse) {
+    this.set('location.warehouse', await this.constructor.getPrimaryWarehouseKey());
+  }
+});
+
 // Pre-save middleware to update available stock
 InventorySchema.pre('save', function(next) {
   this.availableStock = this.calculatedAvailableStock;
@@ -233,11 +244,28 @@ InventorySchema.pre('save', function(next) {
   next();
 });
 
+// Resolve the location.warehouse key for a Warehouse document or id
+InventorySchema.statics.getWarehouseKey = function(warehouse) {
+  return String(warehouse._id || warehouse);
+};
+
+// location.warehouse key of the primary warehouse, used when no warehouse is given
+InventorySchema.statics.getPrimaryWarehouseKey = async function() {
+  const primary = await Warehouse.findOrCreatePrimary();
+  return String(primary._id);
+};
+
 // Static method to update stock using atomic operations
-InventorySchema.statics.updateStock = async function(productId, movement) {
+// warehouseKey selects the per-warehouse row (defaults to the primary warehouse)
+// options.session runs the reads and writes inside the caller's transaction
+InventorySchema.statics.updateStock = async function(productId, movement, warehouseKey = null, options = {}) {
   const { retryMongoOperation } = require('../utils/retry');
+  const session = options.session || null;
+  warehouseKey = warehouseKey ? String(warehouseKey) : await this.getPrimaryWarehouseKey();
+  // Inside a transaction a write conflict aborts the whole transaction, so the caller retries it
+  const run = session ? (operation) => operation() : retryMongoOperation;
   
-  return retryMongoOperation(async () => {
+  return run(async () => {
     // Determine quantity change based on movement type
     let quantityChange = 0;
     switch (movement.type) {
@@ -253,7 +281,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
       case 'adjustment':
         // For adjustments, we need to set exact value, not increment
         // First get current stock, then calculate difference
-        const current = await this.findOne({ product: productId });
+        const current = await this.findOne({ product: productId, 'location.warehouse': warehouseKey }).session(session);
         const currentStock = current ? current.currentStock : 0;
         quantityChange = movement.quantity - currentStock;
         break;
@@ -275,16 +303,17 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
     }
 
     // Use findOneAndUpdate with atomic operations
-    const filter = { product: productId };
-    const options = {
+    const filter = { product: productId, 'location.warehouse': warehouseKey };
+    const updateOptions = {
       upsert: true,
       new: true,
       runValidators: true,
-      setDefaultsOnInsert: true
+      setDefaultsOnInsert: true,
+      session
     };
 
     // If upserting, set default values
-    if (!(await this.findOne(filter))) {
+    if (!(await this.findOne(filter).session(session))) {
       updateOps.$setOnInsert = {
         product: productId,
         productModel: 'Product',
@@ -298,7 +327,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
 
     // Check stock availability before updating (for out movements)
     if (movement.type !== 'adjustment' && quantityChange < 0) {
-      const current = await this.findOne(filter);
+      const current = await this.findOne(filter).session(session);
       if (!current) {
         throw new Error('Inventory record not found and cannot create with negative stock');
       }
@@ -307,7 +336,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
       }
     }
 
-    const updated = await this.findOneAndUpdate(filter, updateOps, options);
+    const updated = await this.findOneAndUpdate(filter, updateOps, updateOptions);
     
     // Update available stock
     updated.availableStock = Math.max(0, updated.currentStock - updated.reservedStock);
@@ -321,14 +350,13 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
     
     // Update cost if provided in movement (for stock in/return)
     if (movement.cost !== undefined && movement.cost !== null && (movement.type === 'in' || movement.type === 'return')) {
-      const CostingService = require('../services/costingService');
-      const costingService = new CostingService();
+      const costingService = require('../services/costingService');
       
       // Update average cost (this will update inventory.cost.average and save)
-      const newAverageCost = await costingService.updateAverageCost(productId, movement.quantity, movement.cost);
+      const newAverageCost = await costingService.updateAverageCost(productId, movement.quantity, movement.cost, warehouseKey, session);
       
       // Reload inventory to get updated cost and set lastPurchase
-      const inventoryWithCost = await this.findOne({ product: productId });
+      const inventoryWithCost = await this.findOne(filter).session(session);
       
       if (inventoryWithCost) {
         // Update last purchase cost
@@ -340,7 +368,7 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
         
         // Sync cost to Product model
         const Product = require('../models/Product');
-        const product = await Product.findById(productId);
+        const product = await Product.findById(productId).session(session);
         if (product) {
           // Update product pricing.cost with average cost from inventory
           if (!product.pricing) {
@@ -359,12 +387,14 @@ InventorySchema.statics.updateStock = async function(productId, movement) {
 };
 
 // Static method to reserve stock using atomic operations
-InventorySchema.statics.reserveStock = async function(productId, quantity) {
+InventorySchema.statics.reserveStock = async function(productId, quantity, warehouseKey = null) {
   const { retryMongoOperation } = require('../utils/retry');
+  warehouseKey = warehouseKey ? String(warehouseKey) : await this.getPrimaryWarehouseKey();
+  const filter = { product: productId, 'location.warehouse': warehouseKey };
   
   return retryMongoOperation(async () => {
     // First check if sufficient stock is available
-    const inventory = await this.findOne({ product: productId });
+    const inventory = await this.findOne(filter);
     if (!inventory) {
       throw new Error('Inventory record not found for product');
     }
@@ -376,7 +406,7 @@ InventorySchema.statics.reserveStock = async function(productId, quantity) {
 
     // Atomically increment reserved stock
     const updated = await this.findOneAndUpdate(
-      { product: productId },
+      filter,
       {
         $inc: { reservedStock: quantity },
         $set: { lastUpdated: new Date() }
@@ -393,13 +423,14 @@ InventorySchema.statics.reserveStock = async function(productId, quantity) {
 };
 
 // Static method to release reserved stock using atomic operations
-InventorySchema.statics.releaseStock = async function(productId, quantity) {
+InventorySchema.statics.releaseStock = async function(productId, quantity, warehouseKey = null) {
   const { retryMongoOperation } = require('../utils/retry');
+  warehouseKey = warehouseKey ? String(warehouseKey) : await this.getPrimaryWarehouseKey();
   
   return retryMongoOperation(async () => {
     // Atomically decrement reserved stock (ensure it doesn't go below 0)
     const updated = await this.findOneAndUpdate(
-      { product: productId },
+      { product: productId, 'location.warehouse': warehouseKey },
       {
         $inc: { reservedStock: -quantity },
         $set: { lastUpdated: new Date() }
@@ -474,14 +505,17 @@ InventorySchema.methods.addStockMovement = async function(movementData) {
 };
 
 // Static method to get low stock items
-InventorySchema.statics.getLowStockItems = async function() {
+InventorySchema.statics.getLowStockItems = async function(warehouseKey = null) {
+  const match = { status: 'active' };
+  if (warehouseKey) {
+    match['location.warehouse'] = warehouseKey;
+  }
+
   // Use aggregation pipeline for field comparison
   // Handle polymorphic references: product can reference either 'products' or 'productvariants' collections
   return await this.aggregate([
     {
-      $match: {
-        status: 'active'
-      }
+      $match: match
     },
     {
       $addFields: {
@@ -533,6 +567,7 @@ InventorySchema.statics.getLowStockItems = async function() {
         currentStock: 1,
         reorderPoint: 1,
         status: 1,
+        'location.warehouse': 1,
         'productData.name': 1,
         'productData.description': 1,
         'productData.pricing': 1
@@ -541,4 +576,13 @@ InventorySchema.statics.getLowStockItems = async function() {
   ]);
 };
 
+// Total on-hand stock for a product across all warehouses
+InventorySchema.statics.getTotalStock = async function(productId, options = {}) {
+  const result = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), isDeleted: { $ne: true } } },
+    { $group: { _id: null, currentStock: { $sum: '$currentStock' } } }
+  ]).session(options.session || null);
+  return result.length > 0 ? result[0].currentStock : 0;
+};
+
 module.exports = mongoose.model('Inventory', InventorySchema);
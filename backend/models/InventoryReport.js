@@ -47,6 +47,7 @@ const inventoryReportSchema = new mongoose.Schema({
     filters: {
       categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
       suppliers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' }],
+      warehouses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' }],
       stockStatus: [String], // ['in_stock', 'low_stock', 'out_of_stock', 'overstocked']
       turnoverRanges: [String], // ['fast', 'medium', 'slow', 'dead']
       agingRanges: [String] // ['new', 'aging', 'old', 'very_old']
@@ -78,6 +79,12 @@ const inventoryReportSchema = new mongoose.Schema({
       stockValue: { type: Number, default: 0 },
       stockStatus: { type: String, enum: ['in_stock', 'low_stock', 'out_of_stock', 'overstocked'] }
     },
+    // Stock held per warehouse (inventory location key)
+    warehouseBreakdown: [{
+      warehouse: { type: String },
+      currentStock: { type: Number, default: 0 },
+      stockValue: { type: Number, default: 0 }
+    }],
     trend: {
       previousStock: { type: Number, default: 0 },
       stockChange: { type: Number, default: 0 },
@@ -194,6 +201,18 @@ const inventoryReportSchema = new mongoose.Schema({
     totalPotentialLoss: { type: Number, default: 0 }
   },
 
+  // Stock aggregated per warehouse
+  warehouseSummary: [{
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+    warehouseKey: { type: String },
+    warehouseName: { type: String },
+    totalProducts: { type: Number, default: 0 },
+    totalStock: { type: Number, default: 0 },
+    totalStockValue: { type: Number, default: 0 },
+    lowStockProducts: { type: Number, default: 0 },
+    outOfStockProducts: { type: Number, default: 0 }
+  }],
+
   // Comparison with Previous Period
   comparison: {
     previousPeriod: {
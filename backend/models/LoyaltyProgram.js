@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const CUSTOMER_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+const categoryRuleSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // Applied to the points a category's lines earn; 0 earns nothing
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const tierSchema = new mongoose.Schema({
+  tier: {
+    type: String,
+    enum: CUSTOMER_TIERS,
+    required: true
+  },
+  // Rolling spend that qualifies a customer for the tier
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Applied to all points earned by customers on the tier
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const loyaltyProgramSchema = new mongoose.Schema({
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+
+  // Earning: earnPoints for every earnPerAmount spent, before tax
+  earnPoints: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  earnPerAmount: {
+    type: Number,
+    default: 100,
+    min: 0.01
+  },
+  categoryRules: [categoryRuleSchema],
+
+  // Redemption
+  pointValue: {
+    type: Number,
+    default: 1,
+    min: 0 // Currency value of one point
+  },
+  minimumRedemption: {
+    type: Number,
+    default: 0,
+    min: 0 // Fewest points that can be redeemed at once
+  },
+  maxRedemptionPercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100 // Share of a bill points can pay
+  },
+
+  // Expiry; 0 keeps points forever
+  expiryMonths: {
+    type: Number,
+    default: 12,
+    min: 0
+  },
+
+  // Tiers: customers move to the highest tier their spend over the window qualifies for
+  tiers: [tierSchema],
+  tierReviewMonths: {
+    type: Number,
+    default: 12,
+    min: 1
+  },
+  autoTierReview: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Singleton pattern - only one program document should exist
+  _id: {
+    type: String,
+    default: 'loyalty_program'
+  }
+}, {
+  timestamps: true,
+  _id: false // Disable auto _id generation since we're providing our own
+});
+
+// Validation: each tier appears once
+loyaltyProgramSchema.pre('save', function(next) {
+  const tiers = this.tiers.map(tier => tier.tier);
+  if (new Set(tiers).size !== tiers.length) {
+    return next(new Error('Cannot save loyalty program: each tier can only be listed once'));
+  }
+  next();
+});
+
+loyaltyProgramSchema.statics.getProgram = async function () {
+  let program = await this.findById('loyalty_program');
+  if (!program) {
+    try {
+      program = await this.create({ _id: 'loyalty_program' });
+    } catch (err) {
+      if (err.code === 11000) {
+        // Duplicate key - program already exists, fetch it
+        program = await this.findById('loyalty_program');
+      } else {
+        throw err;
+      }
+    }
+  }
+  return program;
+};
+
+loyaltyProgramSchema.statics.updateProgram = async function (updates) {
+  const program = await this.getProgram();
+  Object.assign(program, updates);
+  await program.save();
+  return program;
+};
+
+loyaltyProgramSchema.statics.CUSTOMER_TIERS = CUSTOMER_TIERS;
+
+module.exports = mongoose.model('LoyaltyProgram', loyaltyProgramSchema);
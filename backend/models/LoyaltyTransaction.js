@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// earn/adjust entries with positive points are lots that redemption, expiry and reversal draw down
+const LOYALTY_TRANSACTION_TYPES = ['earn', 'redeem', 'expire', 'reverse', 'adjust', 'tier_change'];
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LOYALTY_TRANSACTION_TYPES,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  // Signed: positive adds to the balance, negative takes from it
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    default: 0
+  },
+  // Spend the points were earned on, or the value redeemed
+  amount: {
+    type: Number,
+    default: 0
+  },
+
+  // Lots only: points not yet redeemed, expired or reversed
+  remainingPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: Date,
+
+  // Tier changes
+  fromTier: String,
+  toTier: String,
+
+  // Source Documents
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales'
+  },
+  saleReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyTransactionSchema.index({ customer: 1, date: -1 });
+loyaltyTransactionSchema.index({ customer: 1, remainingPoints: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remainingPoints: 1 });
+loyaltyTransactionSchema.index({ sale: 1, type: 1 });
+
+loyaltyTransactionSchema.statics.TYPES = LOYALTY_TRANSACTION_TYPES;
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
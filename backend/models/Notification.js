@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// One row per recipient per channel. Pending rows are the outbox; in-app rows double as the user's inbox.
+const notificationSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    enum: ['in_app', 'email', 'webhook'],
+    required: true
+  },
+  recipient: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // External recipients (e.g. a customer's email or a system webhook) have no user
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    url: {
+      type: String,
+      trim: true
+    }
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Email subject line (falls back to title)
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Frontend route the notification points to
+  link: {
+    type: String,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Files attached to email deliveries, read from disk when the email is sent
+  attachments: [{
+    filename: { type: String, required: true },
+    path: { type: String, required: true },
+    contentType: { type: String }
+  }],
+  // Suppresses repeats of the same alert for the same recipient and channel
+  dedupeKey: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ 'recipient.user': 1, channel: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1, channel: 1, 'recipient.user': 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
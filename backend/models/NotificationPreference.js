@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  channels: [{
+    type: String,
+    enum: ['in_app', 'email', 'webhook']
+  }]
+}, { _id: false });
+
+// Events without a subscription entry fall back to the template's default channels
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Overrides the account email for email notifications
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  webhookUrl: {
+    type: String,
+    trim: true
+  },
+  subscriptions: [subscriptionSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.methods.getSubscription = function(event) {
+  return (this.subscriptions || []).find(s => s.event === event) || null;
+};
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const payablesRunLineSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: String,
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseInvoice',
+    required: true
+  },
+  invoiceNumber: String,
+  dueDate: Date,
+  daysOverdue: Number,
+  outstandingBefore: Number,
+  // Base-currency amount cleared from the invoice (at the invoice rate)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Foreign-currency invoices: amount paid in that currency, the invoice and payment
+  // rates, the base amount actually paid and the realised difference (loss positive)
+  currency: String,
+  foreignAmount: Number,
+  invoiceRate: Number,
+  exchangeRate: Number,
+  paidAmount: Number,
+  exchangeDifference: Number,
+  voucherModel: {
+    type: String,
+    enum: ['CashPayment', 'BankPayment']
+  },
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'lines.voucherModel'
+  },
+  voucherCode: String
+}, { _id: false });
+
+const payablesRunSchema = new mongoose.Schema({
+  // Run number (e.g., PR-20260115-0001)
+  runNumber: {
+    type: String,
+    unique: true
+  },
+  paymentDate: {
+    type: Date,
+    required: true
+  },
+  // Cash runs create cash payment vouchers; bank runs create bank payment vouchers
+  method: {
+    type: String,
+    enum: ['cash', 'bank'],
+    required: true
+  },
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank'
+  },
+  // Cash available for the run when it was proposed (optional)
+  budget: {
+    type: Number,
+    min: 0
+  },
+  lines: [payablesRunLineSchema],
+  supplierCount: {
+    type: Number,
+    default: 0
+  },
+  invoiceCount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  // Tax withheld from suppliers; the vouchers pay totalAmount less this
+  withheldAmount: {
+    type: Number,
+    default: 0
+  },
+  // Net realised exchange loss (positive) or gain (negative) across the run
+  exchangeDifference: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+payablesRunSchema.index({ paymentDate: -1 });
+payablesRunSchema.index({ 'lines.supplier': 1 });
+payablesRunSchema.index({ 'lines.invoice': 1 });
+
+// Pre-save middleware to generate run number using atomic Counter
+payablesRunSchema.pre('save', async function(next) {
+  if (this.isNew && !this.runNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+      const day = String(today.getDate()).padStart(2, '0');
+
+      // Counter key format: payablesRunNumber_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `payablesRunNumber_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.runNumber = `PR-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('PayablesRun', payablesRunSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Product prices a markup or discount rule is worked out from
+const BASE_PRICES = ['cost', 'retail', 'wholesale', 'distributor'];
+
+// Customer tiers a list can be assigned to, as on the customer record
+const CUSTOMER_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Fixed price per base unit
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Quantity break; the largest break the line quantity reaches wins
+  minQuantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  }
+}, { _id: false });
+
+const priceListRuleSchema = new mongoose.Schema({
+  // Limits the rule to one category; rules without a category cover every product
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  basePrice: {
+    type: String,
+    enum: BASE_PRICES,
+    default: 'retail'
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['markup', 'discount'],
+    required: true
+  },
+  percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1000
+  }
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Validity Period; open-ended when left empty
+  validFrom: Date,
+  validUntil: Date,
+
+  // Breaks ties between lists assigned at the same level
+  priority: {
+    type: Number,
+    default: 0,
+    min: 0 // Higher number = higher priority
+  },
+
+  // Fixed prices win over rules for the products they list
+  items: [priceListItemSchema],
+  rules: [priceListRuleSchema],
+
+  // Assignment: customers, then cities, then tiers, in that order of precedence
+  customers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  }],
+  cities: [{
+    type: String,
+    trim: true
+  }],
+  customerTiers: [{
+    type: String,
+    enum: CUSTOMER_TIERS
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// name index removed - already has unique: true in field definition
+priceListSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+priceListSchema.index({ customers: 1 });
+priceListSchema.index({ cities: 1 });
+priceListSchema.index({ customerTiers: 1 });
+
+// Validation: the period must not end before it starts
+priceListSchema.pre('save', function(next) {
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    return next(new Error('Cannot save price list: valid until date is before valid from date'));
+  }
+  next();
+});
+
+priceListSchema.statics.BASE_PRICES = BASE_PRICES;
+priceListSchema.statics.CUSTOMER_TIERS = CUSTOMER_TIERS;
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -116,6 +116,47 @@ const productSchema = new mongoose.Schema({
     maxlength: 50,
     sparse: true
   },
+
+  // Units of Measure - stock, costs and prices are always held in the base unit
+  baseUnit: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'pcs'
+  },
+  alternateUnits: [{
+    unit: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    // Number of base units in one of this unit (e.g. 12 for a dozen)
+    conversionFactor: {
+      type: Number,
+      required: true,
+      min: 0.000001
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    // Optional unit-specific prices; falls back to base price x conversionFactor
+    pricing: {
+      retail: { type: Number, min: 0 },
+      wholesale: { type: Number, min: 0 },
+      distributor: { type: Number, min: 0 }
+    },
+    isDefaultSalesUnit: {
+      type: Boolean,
+      default: false
+    },
+    isDefaultPurchaseUnit: {
+      type: Boolean,
+      default: false
+    }
+  }],
   weight: {
     type: Number,
     min: 0
@@ -160,6 +201,12 @@ const productSchema = new mongoose.Schema({
       default: 0,
       min: 0,
       max: 1
+    },
+    // Tax code for sales tax returns (e.g., STD, RED, ZERO, EXEMPT)
+    taxCode: {
+      type: String,
+      trim: true,
+      uppercase: true
     }
   },
   
@@ -254,6 +301,7 @@ productSchema.index({ 'inventory.reorderPoint': 1, 'inventory.currentStock': 1 }
 productSchema.index({ brand: 1, status: 1 }); // For brand filtering
 productSchema.index({ createdAt: -1 }); // For recent products
 productSchema.index({ hasInvestors: 1, status: 1 }); // For investor-linked products
+productSchema.index({ 'alternateUnits.barcode': 1 }, { sparse: true }); // For unit barcode scans
 
 // Virtual for profit margin
 productSchema.virtual('profitMargin').get(function() {
@@ -295,6 +343,29 @@ productSchema.methods.getPriceForCustomerType = function(customerType, quantity
   return Math.round(basePrice * 100) / 100; // Round to 2 decimal places
 };
 
+// Method to resolve a unit of measure (base unit when no unit or the base unit is given)
+productSchema.methods.getUnit = function(unitCode) {
+  const baseUnit = this.baseUnit || 'pcs';
+  const code = unitCode ? String(unitCode).trim().toLowerCase() : baseUnit;
+
+  if (code === baseUnit) {
+    return { unit: baseUnit, conversionFactor: 1, isBaseUnit: true };
+  }
+
+  const alternate = (this.alternateUnits || []).find(u => u.unit === code);
+  if (!alternate) {
+    return null;
+  }
+
+  return {
+    unit: alternate.unit,
+    conversionFactor: alternate.conversionFactor,
+    barcode: alternate.barcode,
+    pricing: alternate.pricing,
+    isBaseUnit: false
+  };
+};
+
 // Method to check if stock is low
 productSchema.methods.isLowStock = function() {
   return this.inventory.currentStock <= this.inventory.reorderPoint;
@@ -10,20 +10,67 @@ const purchaseInvoiceItemSchema = new mongoose.Schema({
     type: String,
     required: false // Product name for manual entries
   },
+  // Quantity in the product's base unit (fractional for units such as kg)
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.000001
+  },
+  // Unit the line was entered in; unitCost stays per base unit
+  uom: {
+    unit: { type: String, trim: true, lowercase: true },
+    quantity: { type: Number, min: 0 },
+    conversionFactor: { type: Number, default: 1 },
+    unitPrice: { type: Number, min: 0 }
   },
   unitCost: {
     type: Number,
     required: true,
     min: 0
   },
+  // Unit cost as entered in the invoice currency (foreign-currency invoices only)
+  foreignUnitCost: {
+    type: Number,
+    min: 0
+  },
   totalCost: {
     type: Number,
     required: true,
     min: 0
+  },
+  // Input tax per line; invoices without coded lines report pricing.taxAmount as a whole
+  taxCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  taxRate: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  taxAmount: {
+    type: Number,
+    min: 0
+  },
+  // Batch/lot details; a batch is created for each item when the invoice is confirmed
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  manufactureDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
   }
 });
 
@@ -56,6 +103,12 @@ const purchaseInvoiceSchema = new mongoose.Schema({
   
   // Invoice Items
   items: [purchaseInvoiceItemSchema],
+
+  // Stock Location (defaults to the user's assigned warehouse, then the primary warehouse)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   
   // Pricing Summary
   pricing: {
@@ -85,6 +138,28 @@ const purchaseInvoiceSchema = new mongoose.Schema({
     }
   },
   
+  // Foreign-currency invoices: amounts as entered, and the rate used to convert
+  // them into the base-currency pricing/payment fields above and below
+  foreignCurrency: {
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    exchangeRate: {
+      type: Number,
+      min: 0
+    },
+    subtotal: Number,
+    discountAmount: Number,
+    taxAmount: Number,
+    total: Number,
+    paidAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+  
   // Payment Information
   payment: {
     status: {
@@ -110,6 +185,36 @@ const purchaseInvoiceSchema = new mongoose.Schema({
     }
   },
   
+  // Cash/bank payment vouchers applied to this invoice (e.g., by a payables run)
+  paymentApplications: [{
+    voucherModel: {
+      type: String,
+      enum: ['CashPayment', 'BankPayment'],
+      required: true
+    },
+    voucher: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'paymentApplications.voucherModel',
+      required: true
+    },
+    voucherCode: String,
+    // Base-currency amount cleared from the invoice (at the invoice rate)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    foreignAmount: Number,
+    exchangeRate: Number,
+    // Realised exchange loss (positive) or gain (negative) on this payment
+    exchangeDifference: Number,
+    date: Date,
+    payablesRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayablesRun'
+    }
+  }],
+  
   // Additional Information
   expectedDelivery: Date,
   actualDelivery: Date,
@@ -131,6 +236,11 @@ const purchaseInvoiceSchema = new mongoose.Schema({
   },
   confirmedDate: Date,
   receivedDate: Date,
+  // Input tax booked to the ledger so far; edits and cancellation post the difference
+  inputTaxPosted: {
+    type: Number,
+    default: 0
+  },
   lastModifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -158,6 +268,7 @@ const purchaseInvoiceSchema = new mongoose.Schema({
 // Indexes
 // invoiceNumber index removed - already has unique: true in field definition
 purchaseInvoiceSchema.index({ supplier: 1 });
+purchaseInvoiceSchema.index({ warehouse: 1 });
 purchaseInvoiceSchema.index({ status: 1 });
 purchaseInvoiceSchema.index({ createdAt: -1 });
 
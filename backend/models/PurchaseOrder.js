@@ -6,10 +6,18 @@ const purchaseOrderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Quantity in the product's base unit (fractional for units such as kg)
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.000001
+  },
+  // Unit the line was entered in; costPerUnit stays per base unit
+  uom: {
+    unit: { type: String, trim: true, lowercase: true },
+    quantity: { type: Number, min: 0 },
+    conversionFactor: { type: Number, default: 1 },
+    unitPrice: { type: Number, min: 0 }
   },
   costPerUnit: {
     type: Number,
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const QUOTATION_STATUSES = ['draft', 'sent', 'accepted', 'rejected', 'expired', 'converted', 'cancelled'];
+
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Quantity in the product's base unit (fractional for units such as kg)
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  // Unit the line was entered in; unitPrice stays per base unit
+  uom: {
+    unit: { type: String, trim: true, lowercase: true },
+    quantity: { type: Number, min: 0 },
+    conversionFactor: { type: Number, default: 1 },
+    unitPrice: { type: Number, min: 0 }
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price list the unit price was taken from, when it wasn't entered by hand
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+// Snapshot of a quotation as it stood before it was revised
+const quotationRevisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  items: [quotationItemSchema],
+  subtotal: Number,
+  tax: Number,
+  total: Number,
+  validUntil: Date,
+  notes: String,
+  terms: String,
+  status: String,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  revisedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const quotationSchema = new mongoose.Schema({
+  // Basic Information
+  quoteNumber: {
+    type: String,
+    unique: true,
+    uppercase: true
+  },
+  // Starts at 1 and goes up each time the quotation is revised
+  revision: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  // Quoted Items
+  items: {
+    type: [quotationItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+
+  // Financial Information
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isTaxExempt: {
+    type: Boolean,
+    default: true
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Status and Workflow
+  status: {
+    type: String,
+    enum: QUOTATION_STATUSES,
+    default: 'draft'
+  },
+
+  // Dates
+  quoteDate: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  sentAt: Date,
+
+  // Customer Response
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // What the customer said, in their words (PO number, contact, remarks)
+  customerResponse: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Conversion Tracking
+  salesOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesOrder'
+  },
+  convertedAt: Date,
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revisions: [quotationRevisionSchema],
+
+  // Additional Information
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Audit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quotationSchema.index({ customer: 1, status: 1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+quotationSchema.index({ quoteDate: -1 });
+quotationSchema.index({ createdBy: 1, quoteDate: -1 });
+
+// Number shown to the customer, with the revision once it has been revised
+quotationSchema.virtual('displayNumber').get(function() {
+  return this.revision > 1 ? `${this.quoteNumber}-R${this.revision}` : this.quoteNumber;
+});
+
+// Open quotations past their validity date that the nightly job hasn't expired yet
+quotationSchema.virtual('isLapsed').get(function() {
+  return ['draft', 'sent'].includes(this.status) && !!this.validUntil && this.validUntil < new Date();
+});
+
+quotationSchema.statics.STATUSES = QUOTATION_STATUSES;
+
+// Pre-save middleware to calculate totals and generate the quote number using atomic Counter
+quotationSchema.pre('save', async function(next) {
+  this.items.forEach(item => {
+    item.totalPrice = Math.round(item.quantity * item.unitPrice * 100) / 100;
+  });
+  this.subtotal = Math.round(this.items.reduce((sum, item) => sum + item.totalPrice, 0) * 100) / 100;
+  this.total = Math.round((this.subtotal + (this.tax || 0)) * 100) / 100;
+
+  if (this.isNew && !this.quoteNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+      const day = String(today.getDate()).padStart(2, '0');
+
+      // Counter key format: quoteNumber_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `quoteNumber_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.quoteNumber = `QT-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Quotation', quotationSchema);
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const recallBatchSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  // Snapshot when the recall was opened
+  initialQuantity: {
+    type: Number,
+    default: 0
+  },
+  quantityOnHand: {
+    type: Number,
+    default: 0
+  },
+  quantitySold: {
+    type: Number,
+    default: 0
+  },
+  // Status the batch had before it was blocked (restored if the recall is cancelled)
+  previousStatus: {
+    type: String
+  },
+  // Stock on hand reserved in Inventory so that it cannot be sold (released if the recall is cancelled
+  // or the stock is written off on closure)
+  reservedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Stock on hand taken out of inventory when the recall was closed with a write-off
+  writtenOffQuantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const affectedSaleSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales',
+    required: true
+  },
+  orderNumber: {
+    type: String
+  },
+  saleDate: {
+    type: Date
+  },
+  saleItem: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  batchNumber: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  }
+}, { _id: false });
+
+const recallSchema = new mongoose.Schema({
+  recallNumber: {
+    type: String,
+    unique: true,
+    uppercase: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'high'
+  },
+  batches: {
+    type: [recallBatchSchema],
+    validate: {
+      validator: (batches) => Array.isArray(batches) && batches.length > 0,
+      message: 'Recall must cover at least one batch'
+    }
+  },
+  affectedSales: [affectedSaleSchema],
+
+  // Workflow: open -> in_progress (return requests issued) -> closed; open -> cancelled
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'closed', 'cancelled'],
+    default: 'open'
+  },
+
+  returnsGeneratedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  closureNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // What happened to recalled stock still on hand at closure: written off, or kept quarantined (still reserved)
+  closureDisposition: {
+    type: String,
+    enum: ['write_off', 'quarantine']
+  },
+
+  // Recovered vs outstanding quantities captured when the recall is closed
+  closureSummary: {
+    distributedQuantity: { type: Number, default: 0 },
+    recoveredQuantity: { type: Number, default: 0 },
+    outstandingQuantity: { type: Number, default: 0 },
+    quantityOnHand: { type: Number, default: 0 }
+  },
+
+  // Audit
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Soft Delete Fields
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// recallNumber index removed - already has unique: true in field definition
+recallSchema.index({ status: 1, createdAt: -1 });
+recallSchema.index({ 'batches.batch': 1 });
+recallSchema.index({ 'batches.product': 1 });
+recallSchema.index({ 'affectedSales.customer': 1 });
+
+// Virtual for quantity distributed to customers
+recallSchema.virtual('distributedQuantity').get(function() {
+  return (this.affectedSales || []).reduce((sum, entry) => sum + (entry.quantity || 0), 0);
+});
+
+// Pre-save middleware to generate recall number using atomic Counter
+recallSchema.pre('save', async function(next) {
+  if (this.isNew && !this.recallNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+      const day = String(today.getDate()).padStart(2, '0');
+
+      // Counter key format: recallNumber_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `recallNumber_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.recallNumber = `RCL-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Recall', recallSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// One generation of a scheduled report: the file it produced and how it was delivered
+const reportRunSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledReport',
+    required: true
+  },
+  reportName: {
+    type: String,
+    trim: true
+  },
+  reportType: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'excel', 'csv'],
+    required: true
+  },
+  file: {
+    filename: { type: String },
+    size: { type: Number },
+    // Set when the retention cleanup removes the file
+    deletedAt: { type: Date }
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  delivery: {
+    method: {
+      type: String,
+      enum: ['email', 'download'],
+      default: 'download'
+    },
+    recipients: [{
+      type: String
+    }],
+    status: {
+      type: String,
+      enum: ['not_required', 'queued', 'failed'],
+      default: 'not_required'
+    },
+    // Email rows in the notification outbox (their status shows whether each email was sent)
+    notifications: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    }],
+    error: {
+      type: String
+    }
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  duration: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reportRunSchema.index({ report: 1, startedAt: -1 });
+reportRunSchema.index({ 'file.filename': 1 });
+
+module.exports = mongoose.model('ReportRun', reportRunSchema);
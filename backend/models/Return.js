@@ -13,10 +13,11 @@ const returnItemSchema = new mongoose.Schema({
     // Note: This stores the _id of a subdocument in Sales.items array
     // Cannot use ref for subdocuments - must manually find item in Sales.items array
   },
+  // Quantity in the product's base unit, like the original line
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.000001
   },
   originalPrice: {
     type: Number,
@@ -107,6 +108,11 @@ const returnSchema = new mongoose.Schema({
     enum: ['sales', 'purchase'],
     default: 'sales'
   },
+  // Warehouse the returned stock goes back to (or leaves from, for purchase returns)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   returnType: {
     type: String,
     required: true,
@@ -227,7 +233,12 @@ const returnSchema = new mongoose.Schema({
     },
     refundDate: Date,
     refundReference: String,
-    refundNotes: String
+    refundNotes: String,
+    // Store credit refunds are issued as a credit note
+    creditNote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredValueCard'
+    }
   },
   inspection: {
     inspectedBy: {
@@ -359,6 +370,7 @@ const returnSchema = new mongoose.Schema({
 returnSchema.index({ originalOrder: 1 });
 returnSchema.index({ customer: 1 });
 returnSchema.index({ supplier: 1 });
+returnSchema.index({ warehouse: 1 });
 returnSchema.index({ status: 1 });
 returnSchema.index({ returnDate: -1 });
 returnSchema.index({ requestedBy: 1 });
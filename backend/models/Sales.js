@@ -6,10 +6,18 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Quantity in the product's base unit (fractional for units such as kg)
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.000001
+  },
+  // Unit the line was entered in; unitPrice/unitCost stay per base unit
+  uom: {
+    unit: { type: String, trim: true, lowercase: true },
+    quantity: { type: Number, min: 0 },
+    conversionFactor: { type: Number, default: 1 },
+    unitPrice: { type: Number, min: 0 }
   },
   unitCost: {
     type: Number,
@@ -21,6 +29,11 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Price list the unit price was taken from, when it wasn't entered by hand
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   discountPercent: {
     type: Number,
     default: 0,
@@ -33,6 +46,12 @@ const orderItemSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  // Tax code the line reports under on sales tax returns
+  taxCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   // Calculated fields
   subtotal: {
     type: Number,
@@ -53,7 +72,21 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
-  }
+  },
+  // Batches/lots the quantity was picked from (FEFO), for traceability
+  batches: [{
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    batchNumber: String,
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: {
+      type: Number,
+      min: 0
+    }
+  }]
 });
 
 const orderSchema = new mongoose.Schema({
@@ -88,6 +121,50 @@ const orderSchema = new mongoose.Schema({
   // Order Items
   items: [orderItemSchema],
 
+  // Stock Location (defaults to the user's assigned warehouse, then the primary warehouse)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+
+  // Promotions applied at the till; their savings are included in the line discounts
+  promotions: [{
+    _id: false,
+    discount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Discount'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+
+  // Loyalty points earned on the sale, and redeemed towards paying it
+  loyalty: {
+    pointsEarned: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    pointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amountRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0 // Included in payment.amountPaid
+    }
+  },
+
   // Pricing Summary
   pricing: {
     subtotal: {
@@ -125,7 +202,7 @@ const orderSchema = new mongoose.Schema({
   payment: {
     method: {
       type: String,
-      enum: ['cash', 'credit_card', 'debit_card', 'check', 'account', 'split'],
+      enum: ['cash', 'credit_card', 'debit_card', 'check', 'account', 'split', 'gift_card', 'store_credit'],
       required: true
     },
     status: {
@@ -156,6 +233,22 @@ const orderSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Gift cards, credit notes and store credit tendered, included in amountPaid
+    storedValue: [{
+      card: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoredValueCard'
+      },
+      code: String,
+      type: {
+        type: String,
+        enum: ['gift_card', 'credit_note']
+      },
+      amount: {
+        type: Number,
+        min: 0
+      }
+    }],
     transactions: [{
       method: String,
       amount: Number,
@@ -246,6 +339,8 @@ const orderSchema = new mongoose.Schema({
 // Indexes for better query performance
 // orderNumber index removed - already has unique: true in field definition
 orderSchema.index({ customer: 1, createdAt: -1 });
+orderSchema.index({ warehouse: 1, createdAt: -1 }); // For warehouse-specific sales
+orderSchema.index({ 'items.batches.batch': 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
 orderSchema.index({ createdAt: -1 }); // For date range queries
@@ -6,16 +6,29 @@ const salesOrderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Quantity in the product's base unit (fractional for units such as kg)
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: 0.000001
+  },
+  // Unit the line was entered in; unitPrice stays per base unit
+  uom: {
+    unit: { type: String, trim: true, lowercase: true },
+    quantity: { type: Number, min: 0 },
+    conversionFactor: { type: Number, default: 1 },
+    unitPrice: { type: Number, min: 0 }
   },
   unitPrice: {
     type: Number,
     required: true,
     min: 0
   },
+  // Price list the unit price was taken from, when it wasn't entered by hand
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -104,6 +117,12 @@ const salesOrderSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Quotation this order was converted from
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  
   // Conversion Tracking
   conversions: [{
     invoiceId: {
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// A saved report definition that is generated on a cron schedule (or on demand)
+const scheduledReportSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  reportType: {
+    type: String,
+    enum: ['sales', 'profit_loss', 'inventory', 'customer_aging', 'trial_balance'],
+    required: true
+  },
+  // Report-specific filters (e.g. groupBy/orderType for sales, lowStock/category for inventory)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Date range resolved relative to each run; as-of reports use the end date
+  period: {
+    preset: {
+      type: String,
+      enum: [
+        'previous_day', 'last_7_days', 'last_30_days', 'previous_week', 'previous_month',
+        'month_to_date', 'year_to_date', 'custom'
+      ],
+      default: 'previous_month'
+    },
+    startDate: {
+      type: Date
+    },
+    endDate: {
+      type: Date
+    }
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'excel', 'csv'],
+    default: 'pdf'
+  },
+  schedule: {
+    cron: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    timezone: {
+      type: String,
+      trim: true
+    }
+  },
+  delivery: {
+    method: {
+      type: String,
+      enum: ['email', 'download'],
+      default: 'download'
+    },
+    recipients: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastRunStatus: {
+    type: String,
+    enum: ['running', 'completed', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Soft Delete Fields
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scheduledReportSchema.index({ isActive: 1 });
+scheduledReportSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScheduledReport', scheduledReportSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const STORED_VALUE_TYPES = ['gift_card', 'credit_note'];
+const STORED_VALUE_STATUSES = ['active', 'redeemed', 'expired', 'cancelled'];
+const STORED_VALUE_TRANSACTION_TYPES = ['issue', 'redeem', 'refund', 'expire', 'cancel'];
+
+const storedValueTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STORED_VALUE_TRANSACTION_TYPES,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  // Signed: positive adds to the balance, negative takes from it
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    default: 0
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales'
+  },
+  saleReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  journalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: true });
+
+// Gift cards are sold for cash; credit notes are given in place of a refund. Either way the
+// unspent balance is a liability until it is redeemed, refunded or expires.
+const storedValueCardSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STORED_VALUE_TYPES,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  barcode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  // Credit notes and customer-held gift cards make up the customer's store credit wallet;
+  // cards without a customer can be redeemed by whoever presents the code
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  initialValue: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: STORED_VALUE_STATUSES,
+    default: 'active'
+  },
+
+  // Source Documents
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sales'
+  },
+  saleReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  issueVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+
+  transactions: [storedValueTransactionSchema],
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+storedValueCardSchema.index({ customer: 1, status: 1, expiresAt: 1 });
+storedValueCardSchema.index({ status: 1, expiresAt: 1 });
+storedValueCardSchema.index({ type: 1, issuedAt: -1 });
+storedValueCardSchema.index({ 'transactions.sale': 1 });
+
+storedValueCardSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+storedValueCardSchema.set('toJSON', { virtuals: true });
+storedValueCardSchema.set('toObject', { virtuals: true });
+
+storedValueCardSchema.statics.TYPES = STORED_VALUE_TYPES;
+storedValueCardSchema.statics.STATUSES = STORED_VALUE_STATUSES;
+
+module.exports = mongoose.model('StoredValueCard', storedValueCardSchema);
@@ -41,6 +41,39 @@ const supplierSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Withholding tax deducted from our payments to this supplier
+  withholdingTax: {
+    applicable: {
+      type: Boolean,
+      default: false
+    },
+    // Transaction type used when a voucher doesn't name one
+    transactionType: {
+      type: String,
+      trim: true
+    },
+    // Rates agreed for this party, overriding the withholding tax code rate for a transaction type
+    rates: [{
+      _id: false,
+      transactionType: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 1
+      }
+    }],
+    // Exemption certificate; nothing is withheld until it expires
+    exemptionCertificate: {
+      type: String,
+      trim: true
+    },
+    exemptUntil: Date
+  },
   businessType: {
     type: String,
     enum: ['manufacturer', 'distributor', 'wholesaler', 'dropshipper', 'other'],
@@ -79,6 +112,12 @@ const supplierSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Invoicing currency (ISO code); empty means the base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   openingBalance: {
     type: Number,
     default: 0
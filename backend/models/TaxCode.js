@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Kinds of payment a withholding code applies to
+const WITHHOLDING_TRANSACTION_TYPES = ['goods', 'services', 'rent', 'contracts', 'commission', 'other'];
+
+const taxCodeSchema = new mongoose.Schema({
+  // Short code printed on returns (e.g., STD, RED, ZERO, EXEMPT, WHT)
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{1,20}$/, 'Tax code may only contain letters, digits, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['standard', 'reduced', 'zero_rated', 'exempt', 'withholding'],
+    required: true
+  },
+  // Fraction of the taxable amount (0.17 = 17%), as stored on sales items
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  // Withholding codes only: kind of payment, and whether we deduct it, customers deduct it, or both
+  transactionType: {
+    type: String,
+    enum: WITHHOLDING_TRANSACTION_TYPES
+  },
+  appliesTo: {
+    type: String,
+    enum: ['payments', 'receipts', 'both'],
+    default: 'both'
+  },
+  // Used for lines that carry a rate but no code of their own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Box or section of the filed return the code reports under
+  returnBox: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Audit Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// code index removed - already has unique: true in field definition
+taxCodeSchema.index({ type: 1, isActive: 1 });
+
+taxCodeSchema.statics.WITHHOLDING_TRANSACTION_TYPES = WITHHOLDING_TRANSACTION_TYPES;
+
+module.exports = mongoose.model('TaxCode', taxCodeSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const taxReturnLineSchema = new mongoose.Schema({
+  side: {
+    type: String,
+    enum: ['output', 'input'],
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: ['sale', 'sale_return', 'purchase_invoice', 'purchase_return'],
+    required: true
+  },
+  document: mongoose.Schema.Types.ObjectId,
+  documentNumber: String,
+  documentDate: Date,
+  party: mongoose.Schema.Types.ObjectId,
+  partyName: String,
+  partyTaxNumber: String,
+  taxCode: String,
+  taxType: String,
+  rate: Number,
+  // Returns are negative so each side sums directly
+  taxableAmount: Number,
+  taxAmount: Number
+}, { _id: false });
+
+const taxReturnSummarySchema = new mongoose.Schema({
+  taxCode: String,
+  name: String,
+  taxType: String,
+  rate: Number,
+  returnBox: String,
+  outputTaxable: Number,
+  outputTax: Number,
+  inputTaxable: Number,
+  inputTax: Number
+}, { _id: false });
+
+const taxReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  summary: [taxReturnSummarySchema],
+  lines: [taxReturnLineSchema],
+  outputTax: {
+    type: Number,
+    default: 0
+  },
+  inputTax: {
+    type: Number,
+    default: 0
+  },
+  // Withholding codes are reported but kept out of output minus input
+  withholdingTax: {
+    type: Number,
+    default: 0
+  },
+  // Payable to the authority (positive) or refundable (negative)
+  netTax: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'posted'],
+    default: 'draft'
+  },
+  journalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher'
+  },
+  journalVoucherNumber: String,
+  postedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Acknowledgement or reference issued by the tax authority
+  filingReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+taxReturnSchema.index({ periodStart: -1, status: 1 });
+
+// Generate return number before saving
+taxReturnSchema.pre('save', async function(next) {
+  if (this.isNew && !this.returnNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+
+      // Counter key format: taxReturnNumber_YYYYMM
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `taxReturnNumber_${year}${month}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.returnNumber = `TR-${year}${month}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('TaxReturn', taxReturnSchema);
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Cash taken out of (drop, payout) or put into (pay_in) the drawer mid-session
+const cashMovementSchema = new mongoose.Schema({
+  type: { type: String, enum: ['drop', 'payout', 'pay_in'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  reason: { type: String, trim: true, maxlength: 500 },
+  reference: { type: String, trim: true, maxlength: 100 },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const denominationSchema = new mongoose.Schema({
+  value: { type: Number, required: true, min: 0 },
+  count: { type: Number, required: true, min: 0 },
+  total: { type: Number, min: 0 }
+}, { _id: false });
 
 const tillSessionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
@@ -13,14 +30,31 @@ const tillSessionSchema = new mongoose.Schema({
   varianceType: { type: String, enum: ['over', 'short', 'exact'], default: 'exact' },
   notesOpen: { type: String, default: '' },
   notesClose: { type: String, default: '' },
-  status: { type: String, enum: ['open', 'closed'], default: 'open', index: true }
+  status: { type: String, enum: ['open', 'closed'], default: 'open', index: true },
+  cashMovements: [cashMovementSchema],
+  closingDenominations: [denominationSchema],
+  // Server-computed components of expectedAmount, captured at close
+  expectedBreakdown: {
+    openingAmount: { type: Number, default: 0 },
+    cashSales: { type: Number, default: 0 },
+    cashReceipts: { type: Number, default: 0 },
+    payIns: { type: Number, default: 0 },
+    cashRefunds: { type: Number, default: 0 },
+    cashPayments: { type: Number, default: 0 },
+    cashDrops: { type: Number, default: 0 },
+    payouts: { type: Number, default: 0 }
+  },
+  // Z-report snapshot so reprints match what was reported at close
+  zReportNumber: { type: String, unique: true, sparse: true },
+  zReport: { type: mongoose.Schema.Types.Mixed }
 }, { timestamps: true });
 
+// expectedAmount is always computed by the server from the session's transactions
 tillSessionSchema.methods.closeTill = function(closingDeclaredAmount, expectedAmount, notesClose) {
   if (this.status !== 'open') return false;
   this.closedAt = new Date();
   this.closingDeclaredAmount = closingDeclaredAmount;
-  this.expectedAmount = expectedAmount !== undefined ? expectedAmount : closingDeclaredAmount;
+  this.expectedAmount = expectedAmount;
   this.varianceAmount = this.closingDeclaredAmount - this.expectedAmount;
   if (this.varianceAmount > 0) {
     this.varianceType = 'over';
@@ -37,5 +71,29 @@ tillSessionSchema.methods.closeTill = function(closingDeclaredAmount, expectedAm
 tillSessionSchema.index({ user: 1, status: 1 });
 tillSessionSchema.index({ createdAt: -1 });
 
+// Assign the Z-report number using atomic Counter when the session is closed
+tillSessionSchema.pre('save', async function(next) {
+  if (this.status === 'closed' && !this.zReportNumber) {
+    try {
+      const closedAt = this.closedAt || new Date();
+      const year = closedAt.getFullYear();
+      const month = String(closedAt.getMonth() + 1).padStart(2, '0');
+      const day = String(closedAt.getDate()).padStart(2, '0');
+
+      // Counter key format: tillZReport_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `tillZReport_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.zReportNumber = `Z-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
 module.exports = mongoose.model('TillSession', tillSessionSchema);
 
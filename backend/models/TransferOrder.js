@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const transferOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  productSku: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  dispatchedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quantity reported short/damaged on receipt (dispatched - received once closed)
+  discrepancyQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discrepancyReason: {
+    type: String,
+    enum: ['short', 'damaged', 'lost', 'excess', 'other'],
+  },
+  discrepancyNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Source batches the dispatched quantity was picked from (FEFO) and how much of each has arrived
+  batches: [{
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    batchNumber: String,
+    lotNumber: String,
+    expiryDate: Date,
+    quantity: {
+      type: Number,
+      min: 0
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }]
+});
+
+const transferOrderSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    unique: true,
+    uppercase: true
+  },
+  fromWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  toWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  items: {
+    type: [transferOrderItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: 'Transfer order must have at least one item'
+    }
+  },
+
+  // Workflow: draft -> dispatched -> in_transit -> received / partially_received
+  status: {
+    type: String,
+    enum: ['draft', 'dispatched', 'in_transit', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+
+  // Gate pass / transport details
+  transport: {
+    vehicleNumber: { type: String, trim: true },
+    driverName: { type: String, trim: true },
+    driverPhone: { type: String, trim: true },
+    carrier: { type: String, trim: true }
+  },
+  gatePassNumber: {
+    type: String,
+    trim: true
+  },
+
+  // Dates
+  transferDate: {
+    type: Date,
+    default: Date.now
+  },
+  expectedArrival: {
+    type: Date
+  },
+  dispatchedAt: {
+    type: Date
+  },
+  inTransitAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  receiptNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Audit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Soft Delete Fields
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// transferNumber index removed - already has unique: true in field definition
+transferOrderSchema.index({ status: 1, transferDate: -1 });
+transferOrderSchema.index({ fromWarehouse: 1, status: 1 });
+transferOrderSchema.index({ toWarehouse: 1, status: 1 });
+transferOrderSchema.index({ 'items.product': 1, status: 1 });
+transferOrderSchema.index({ createdAt: -1 });
+
+// Virtual for quantity still held in transit
+transferOrderSchema.virtual('inTransitQuantity').get(function() {
+  if (!['dispatched', 'in_transit'].includes(this.status)) return 0;
+  return this.items.reduce((sum, item) =>
+    sum + Math.max(0, item.dispatchedQuantity - item.receivedQuantity), 0);
+});
+
+// Virtual for total discrepancy across items
+transferOrderSchema.virtual('totalDiscrepancy').get(function() {
+  return this.items.reduce((sum, item) => sum + (item.discrepancyQuantity || 0), 0);
+});
+
+// Pre-save middleware to generate transfer number using atomic Counter
+transferOrderSchema.pre('save', async function(next) {
+  if (this.isNew && !this.transferNumber) {
+    try {
+      const today = new Date();
+      const year = today.getFullYear();
+      const month = String(today.getMonth() + 1).padStart(2, '0');
+      const day = String(today.getDate()).padStart(2, '0');
+
+      // Counter key format: transferNumber_YYYYMMDD
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `transferNumber_${year}${month}${day}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+
+      this.transferNumber = `TO-${year}${month}${day}-${String(counter.seq).padStart(4, '0')}`;
+    } catch (err) {
+      return next(err);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('TransferOrder', transferOrderSchema);
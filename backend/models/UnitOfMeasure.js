@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Units seeded on first use so products can reference them out of the box
+const DEFAULT_UNITS = [
+  { code: 'pcs', name: 'Pieces', allowsFraction: false, decimalPlaces: 0 },
+  { code: 'dz', name: 'Dozen', allowsFraction: false, decimalPlaces: 0 },
+  { code: 'box', name: 'Box', allowsFraction: false, decimalPlaces: 0 },
+  { code: 'ctn', name: 'Carton', allowsFraction: false, decimalPlaces: 0 },
+  { code: 'pack', name: 'Pack', allowsFraction: false, decimalPlaces: 0 },
+  { code: 'kg', name: 'Kilogram', allowsFraction: true, decimalPlaces: 3 },
+  { code: 'g', name: 'Gram', allowsFraction: true, decimalPlaces: 0 },
+  { code: 'l', name: 'Litre', allowsFraction: true, decimalPlaces: 3 },
+  { code: 'ml', name: 'Millilitre', allowsFraction: true, decimalPlaces: 0 },
+  { code: 'm', name: 'Metre', allowsFraction: true, decimalPlaces: 2 }
+];
+
+const unitOfMeasureSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 20
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Whether quantities in this unit may be fractional (e.g. 1.5 kg)
+  allowsFraction: {
+    type: Boolean,
+    default: false
+  },
+  decimalPlaces: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 6
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// code index removed - already has unique: true in field definition
+unitOfMeasureSchema.index({ isActive: 1 });
+
+unitOfMeasureSchema.statics.DEFAULT_UNITS = DEFAULT_UNITS;
+
+module.exports = mongoose.model('UnitOfMeasure', unitOfMeasureSchema);
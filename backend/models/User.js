@@ -83,7 +83,7 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: [
       'view_products', 'create_products', 'edit_products', 'delete_products',
-      'view_customers', 'create_customers', 'edit_customers', 'delete_customers',
+      'view_customers', 'create_customers', 'edit_customers', 'delete_customers', 'send_customer_statements',
       'view_suppliers', 'create_suppliers', 'edit_suppliers', 'delete_suppliers',
       'view_orders', 'create_orders', 'edit_orders', 'cancel_orders',
       'view_inventory', 'update_inventory',       'view_reports', 'view_pl_statements', 
@@ -120,6 +120,14 @@ const userSchema = new mongoose.Schema({
       'process_returns',
       'view_discounts',
       'manage_discounts',
+      'view_price_lists',
+      'manage_price_lists',
+      'view_loyalty',
+      'manage_loyalty',
+      'view_gift_cards',
+      'manage_gift_cards',
+      'view_quotations',
+      'manage_quotations',
       'view_cost_prices',
       // Accounting granular permissions (standardized to underscores)
       'view_accounting_transactions',
@@ -128,6 +136,7 @@ const userSchema = new mongoose.Schema({
       'update_balance_sheet',
       'view_chart_of_accounts',
       'view_accounting_summary',
+      'reconcile_accounts',
       // Attendance granular permissions (standardized to underscores)
       'clock_attendance',
       'clock_in',
@@ -153,6 +162,20 @@ const userSchema = new mongoose.Schema({
       'view_bank_receipts', 'create_bank_receipts', 'edit_bank_receipts', 'delete_bank_receipts',
       // Financial Operations - Bank Payments
       'view_bank_payments', 'create_bank_payments', 'edit_bank_payments', 'delete_bank_payments',
+      // Financial Operations - Cheques
+      'view_cheques', 'create_cheques', 'edit_cheques', 'delete_cheques',
+      // Financial Operations - Fixed Assets
+      'view_fixed_assets', 'create_fixed_assets', 'edit_fixed_assets', 'delete_fixed_assets', 'run_depreciation',
+      // Financial Operations - Payables
+      'view_payables', 'run_payables',
+      // Financial Operations - Currencies
+      'view_currencies', 'manage_currencies', 'run_currency_revaluation',
+      // Financial Operations - Year-End Close
+      'view_year_end_close', 'run_year_end_close',
+      // Financial Operations - Sales Tax
+      'view_tax', 'manage_tax_codes', 'file_tax_returns',
+      // Financial Operations - Withholding Tax
+      'view_withholding_tax',
       // Financial Operations - Expenses
       'view_expenses', 'create_expenses', 'edit_expenses', 'delete_expenses', 'approve_expenses',
       // Purchase Operations - Granular
@@ -203,6 +226,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Default stock location for sales, purchases and returns entered by this user
+  assignedWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   
   // Settings
   preferences: {
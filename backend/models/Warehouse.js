@@ -101,5 +101,25 @@ WarehouseSchema.pre('save', async function ensureSinglePrimary(next) {
   next();
 });
 
+// The primary warehouse, falling back to the oldest active one. A database with no warehouses
+// gets a "Main Warehouse" so that stock always has a location to belong to.
+WarehouseSchema.statics.findOrCreatePrimary = async function findOrCreatePrimary() {
+  const primary = await this.findOne({ isPrimary: true, isDeleted: { $ne: true } });
+  if (primary) {
+    return primary;
+  }
+
+  const fallback = await this.findOne({ isActive: true, isDeleted: { $ne: true } }).sort({ createdAt: 1 });
+  if (fallback) {
+    return fallback;
+  }
+
+  return await this.findOneAndUpdate(
+    { code: 'MAIN' },
+    { $setOnInsert: { name: 'Main Warehouse', code: 'MAIN', isPrimary: true, isActive: true, isDeleted: false } },
+    { upsert: true, new: true }
+  );
+};
+
 module.exports = mongoose.model('Warehouse', WarehouseSchema);
 
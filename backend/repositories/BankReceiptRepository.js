@@ -114,6 +114,27 @@ class BankReceiptRepository extends BaseRepository {
       maxAmount: 0
     };
   }
+
+  /**
+   * Total receipts of a bank up to a date, in the bank's currency and in the base currency.
+   * Vouchers without a foreign amount were entered in the base currency.
+   * @param {string} bankId - Bank ID
+   * @param {Date} asOfDate - Cut-off date
+   * @returns {Promise<{foreignAmount: number, amount: number}>}
+   */
+  async getCurrencyTotals(bankId, asOfDate) {
+    const [totals] = await this.aggregate([
+      { $match: { bank: bankId, date: { $lte: asOfDate }, status: { $ne: 'cancelled' } } },
+      {
+        $group: {
+          _id: null,
+          foreignAmount: { $sum: { $ifNull: ['$foreignAmount', '$amount'] } },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]);
+    return { foreignAmount: totals?.foreignAmount || 0, amount: totals?.amount || 0 };
+  }
 }
 
 module.exports = new BankReceiptRepository();
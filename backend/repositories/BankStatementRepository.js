@@ -0,0 +1,77 @@
+const BaseRepository = require('./BaseRepository');
+const BankStatement = require('../models/BankStatement');
+
+class BankStatementRepository extends BaseRepository {
+  constructor() {
+    super(BankStatement);
+  }
+
+  /**
+   * Find bank statements with pagination (lines are left out of the list)
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{statements: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { periodEnd: -1, createdAt: -1 },
+      populate = [
+        { path: 'bank', select: 'accountName accountNumber bankName' },
+        { path: 'importedBy', select: 'firstName lastName' },
+        { path: 'reconciledBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const query = { ...filter, isDeleted: { $ne: true } };
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(query).select('-lines').sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [statements, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      statements,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find a statement already imported from the same file
+   * @param {string} bankId - Bank ID
+   * @param {string} fileHash - SHA-256 of the file
+   * @returns {Promise<object|null>}
+   */
+  async findByFileHash(bankId, fileHash) {
+    return await this.findOne({ bank: bankId, fileHash });
+  }
+
+  /**
+   * Find the latest statement for a bank that ends before a date
+   * @param {string} bankId - Bank ID
+   * @param {Date} beforeDate - Exclusive upper bound for periodEnd
+   * @returns {Promise<object|null>}
+   */
+  async findPrevious(bankId, beforeDate) {
+    return await this.Model.findOne({
+      bank: bankId,
+      periodEnd: { $lt: beforeDate },
+      isDeleted: { $ne: true }
+    }).select('-lines').sort({ periodEnd: -1 });
+  }
+}
+
+module.exports = new BankStatementRepository();
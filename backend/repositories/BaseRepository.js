@@ -75,7 +75,7 @@ class BaseRepository {
    * Automatically filters out soft-deleted documents (if isDeleted field exists)
    */
   async findOne(query = {}, options = {}) {
-    const { populate, select, lean, includeDeleted = false } = options;
+    const { populate, select, lean, session, includeDeleted = false } = options;
     
     // Add soft delete filter (only if model supports soft delete)
     const finalQuery = { ...query };
@@ -85,6 +85,10 @@ class BaseRepository {
     
     let queryBuilder = this.Model.findOne(finalQuery);
     
+    if (session) {
+      queryBuilder = queryBuilder.session(session);
+    }
+    
     if (populate) {
       if (Array.isArray(populate)) {
         populate.forEach(pop => queryBuilder = queryBuilder.populate(pop));
@@ -129,10 +133,12 @@ class BaseRepository {
 
   /**
    * Create a new document
+   * @param {object} data - Document data
+   * @param {object} options - { session }
    */
-  async create(data) {
+  async create(data, options = {}) {
     const document = new this.Model(data);
-    return await document.save();
+    return await document.save({ session: options.session });
   }
 
   /**
@@ -147,7 +153,7 @@ class BaseRepository {
    * Automatically filters out soft-deleted documents (if isDeleted field exists)
    */
   async updateById(id, updateData, options = {}) {
-    const { new: returnNew = true, runValidators = true, includeDeleted = false } = options;
+    const { new: returnNew = true, runValidators = true, includeDeleted = false, session } = options;
     
     const query = { _id: id };
     if (!includeDeleted && this.Model.schema.paths.isDeleted) {
@@ -157,7 +163,7 @@ class BaseRepository {
     return await this.Model.findOneAndUpdate(
       query,
       updateData,
-      { new: returnNew, runValidators }
+      { new: returnNew, runValidators, session }
     );
   }
 
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const BaseRepository = require('./BaseRepository');
+const Batch = require('../models/Batch');
+
+class BatchRepository extends BaseRepository {
+  constructor() {
+    super(Batch);
+  }
+
+  /**
+   * Find batches with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{batches: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { expiryDate: 1, createdAt: -1 },
+      populate = [
+        { path: 'product', select: 'name sku' },
+        { path: 'supplier', select: 'name companyName' },
+        { path: 'purchaseInvoice', select: 'invoiceNumber' }
+      ]
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(filter).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [batches, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      batches,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find a product's batch by batch number in a warehouse
+   * @param {string} productId - Product ID
+   * @param {string} batchNumber - Batch number
+   * @param {string} warehouseKey - Inventory location key of the warehouse
+   * @param {object} [options] - Query options (session)
+   * @returns {Promise<Batch|null>}
+   */
+  async findByBatchNumber(productId, batchNumber, warehouseKey, options = {}) {
+    return await this.findOne({ product: productId, batchNumber, 'location.warehouse': warehouseKey }, options);
+  }
+
+  /**
+   * Find batches created from a purchase invoice
+   * @param {string} purchaseInvoiceId - Purchase invoice ID
+   * @returns {Promise<Array>}
+   */
+  async findByPurchaseInvoice(purchaseInvoiceId) {
+    return await this.findAll({ purchaseInvoice: purchaseInvoiceId });
+  }
+
+  /**
+   * Atomically take quantity out of a batch if enough remains
+   * @param {string} batchId - Batch ID
+   * @param {number} quantity - Quantity to take
+   * @returns {Promise<Batch|null>} Updated batch, or null if the batch no longer holds the quantity
+   */
+  async consumeQuantity(batchId, quantity) {
+    return await this.Model.findOneAndUpdate(
+      { _id: batchId, currentQuantity: { $gte: quantity } },
+      { $inc: { currentQuantity: -quantity, soldQuantity: quantity } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Put previously consumed quantity back into a batch
+   * @param {string} batchId - Batch ID
+   * @param {number} quantity - Quantity to return
+   * @returns {Promise<Batch|null>}
+   */
+  async restoreQuantity(batchId, quantity) {
+    return await this.Model.findByIdAndUpdate(
+      batchId,
+      { $inc: { currentQuantity: quantity, soldQuantity: -quantity } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Atomically move quantity out of a batch (transfer dispatch) if enough remains; it is not counted as sold
+   * @param {string} batchId - Batch ID
+   * @param {number} quantity - Quantity to take
+   * @param {object} [options] - { session }
+   * @returns {Promise<Batch|null>} Updated batch, or null if the batch no longer holds the quantity
+   */
+  async takeQuantity(batchId, quantity, { session } = {}) {
+    return await this.Model.findOneAndUpdate(
+      { _id: batchId, currentQuantity: { $gte: quantity } },
+      { $inc: { currentQuantity: -quantity } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Put quantity moved out with takeQuantity back into a batch
+   * @param {string} batchId - Batch ID
+   * @param {number} quantity - Quantity to return
+   * @param {object} [options] - { session }
+   * @returns {Promise<Batch|null>}
+   */
+  async returnQuantity(batchId, quantity, { session } = {}) {
+    return await this.Model.findByIdAndUpdate(
+      batchId,
+      { $inc: { currentQuantity: quantity } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Quantity on hand in recalled batches of a product
+   * @param {string} productId - Product ID
+   * @param {string} [warehouseKey] - Inventory location key; all warehouses when omitted
+   * @returns {Promise<number>}
+   */
+  async getRecalledQuantity(productId, warehouseKey = null) {
+    const match = {
+      product: new mongoose.Types.ObjectId(String(productId)),
+      'recall.isRecalled': true,
+      currentQuantity: { $gt: 0 },
+      isDeleted: { $ne: true }
+    };
+    if (warehouseKey) {
+      match['location.warehouse'] = String(warehouseKey);
+    }
+
+    const result = await this.Model.aggregate([
+      { $match: match },
+      { $group: { _id: null, quantity: { $sum: '$currentQuantity' } } }
+    ]);
+    return result.length > 0 ? result[0].quantity : 0;
+  }
+}
+
+module.exports = new BatchRepository();
@@ -0,0 +1,85 @@
+const BaseRepository = require('./BaseRepository');
+const Budget = require('../models/Budget');
+
+class BudgetRepository extends BaseRepository {
+  constructor() {
+    super(Budget);
+  }
+
+  /**
+   * Find budgets with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{budgets: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { 'period.startDate': -1, version: -1 },
+      populate = [
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'approvedBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(filter).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [budgets, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      budgets,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find approved/active budgets overlapping a period
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @param {string} budgetType - Budget type
+   * @param {Array} excludeIds - Budget IDs to ignore
+   * @returns {Promise<Array>}
+   */
+  async findApprovedOverlapping(startDate, endDate, budgetType, excludeIds = []) {
+    return await this.findAll({
+      _id: { $nin: excludeIds },
+      budgetType,
+      status: { $in: ['approved', 'active'] },
+      'period.startDate': { $lte: endDate },
+      'period.endDate': { $gte: startDate }
+    });
+  }
+
+  /**
+   * Find the approved/active budget covering a date that includes an account
+   * @param {string} accountCode - Ledger account code
+   * @param {Date} date - Transaction date
+   * @returns {Promise<Budget|null>}
+   */
+  async findApprovedForAccount(accountCode, date) {
+    return await this.Model.findOne({
+      'items.accountCode': accountCode,
+      budgetType: { $in: ['expense', 'full'] },
+      status: { $in: ['approved', 'active'] },
+      'period.startDate': { $lte: date },
+      'period.endDate': { $gte: date }
+    }).sort({ version: -1 });
+  }
+}
+
+module.exports = new BudgetRepository();
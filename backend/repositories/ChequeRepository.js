@@ -0,0 +1,92 @@
+const BaseRepository = require('./BaseRepository');
+const Cheque = require('../models/Cheque');
+
+class ChequeRepository extends BaseRepository {
+  constructor() {
+    super(Cheque);
+  }
+
+  /**
+   * Find cheques with pagination and filtering
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{cheques: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      sort = { dueDate: 1, createdAt: -1 },
+      populate = [
+        { path: 'bank', select: 'accountName accountNumber bankName' },
+        { path: 'customer', select: 'name businessName' },
+        { path: 'supplier', select: 'companyName name' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const query = { ...filter, isDeleted: { $ne: true } };
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(query).select('-statusHistory').sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [cheques, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      cheques,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find an existing cheque with the same number from the same party
+   * @param {object} data - { direction, chequeNumber, drawerBank, customer, supplier, bank }
+   * @returns {Promise<object|null>}
+   */
+  async findDuplicate(data) {
+    const query = {
+      direction: data.direction,
+      chequeNumber: data.chequeNumber,
+      status: { $nin: ['cancelled', 'returned'] }
+    };
+    if (data.direction === 'received') {
+      if (data.drawerBank) query.drawerBank = data.drawerBank;
+      if (data.customer) query.customer = data.customer;
+    } else if (data.bank) {
+      query.bank = data.bank;
+    }
+    return await this.findOne(query);
+  }
+
+  /**
+   * Count and total cheques grouped by direction and status
+   * @param {object} filter - Additional match conditions
+   * @returns {Promise<Array>} [{ _id: { direction, status }, count, amount }]
+   */
+  async getStatusTotals(filter = {}) {
+    return await this.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { direction: '$direction', status: '$status' },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]);
+  }
+}
+
+module.exports = new ChequeRepository();
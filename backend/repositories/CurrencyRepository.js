@@ -0,0 +1,21 @@
+const BaseRepository = require('./BaseRepository');
+const Currency = require('../models/Currency');
+
+class CurrencyRepository extends BaseRepository {
+  constructor() {
+    super(Currency);
+  }
+
+  /**
+   * Find currency by ISO code
+   * @param {string} code - Currency code
+   * @param {object} options - Query options
+   * @returns {Promise<Currency|null>}
+   */
+  async findByCode(code, options = {}) {
+    if (!code) return null;
+    return await this.findOne({ code: String(code).trim().toUpperCase() }, options);
+  }
+}
+
+module.exports = new CurrencyRepository();
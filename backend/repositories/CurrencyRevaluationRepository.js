@@ -0,0 +1,47 @@
+const BaseRepository = require('./BaseRepository');
+const CurrencyRevaluation = require('../models/CurrencyRevaluation');
+
+class CurrencyRevaluationRepository extends BaseRepository {
+  constructor() {
+    super(CurrencyRevaluation);
+  }
+
+  /**
+   * Find revaluations with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{revaluations: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { revaluationDate: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [revaluations, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-lines')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'createdBy', select: 'firstName lastName' }),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      revaluations,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new CurrencyRevaluationRepository();
@@ -186,6 +186,25 @@ class CustomerRepository extends BaseRepository {
     return await customer.save();
   }
 
+  /**
+   * Add to, or with a negative delta take from, a customer's loyalty points
+   * @param {string} id - Customer ID
+   * @param {number} delta - Points to add (negative to deduct)
+   * @param {object} options - { session }
+   * @returns {Promise<Customer|null>} Updated customer, or null if the balance is too low for the deduction
+   */
+  async incrementLoyaltyPoints(id, delta, options = {}) {
+    const query = { _id: id };
+    if (delta < 0) {
+      query.loyaltyPoints = { $gte: -delta };
+    }
+    return await this.Model.findOneAndUpdate(
+      query,
+      { $inc: { loyaltyPoints: delta, __v: 1 } },
+      { new: true, session: options.session }
+    );
+  }
+
   /**
    * Check if email exists
    * @param {string} email - Email to check
@@ -0,0 +1,47 @@
+const BaseRepository = require('./BaseRepository');
+const CustomerStatementBatch = require('../models/CustomerStatementBatch');
+
+class CustomerStatementBatchRepository extends BaseRepository {
+  constructor() {
+    super(CustomerStatementBatch);
+  }
+
+  /**
+   * Find statement batches with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{batches: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { createdAt: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [batches, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-items')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'createdBy', select: 'firstName lastName' }),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      batches,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new CustomerStatementBatchRepository();
@@ -0,0 +1,47 @@
+const BaseRepository = require('./BaseRepository');
+const DepreciationRun = require('../models/DepreciationRun');
+
+class DepreciationRunRepository extends BaseRepository {
+  constructor() {
+    super(DepreciationRun);
+  }
+
+  /**
+   * Find the posted run for a month
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Promise<object|null>}
+   */
+  async findPostedForPeriod(year, month) {
+    return await this.findOne({ year, month, status: 'posted' });
+  }
+
+  /**
+   * Find the most recent posted run
+   * @returns {Promise<object|null>}
+   */
+  async findLatestPosted() {
+    return await this.findOne({ status: 'posted' }, { sort: { periodEnd: -1 } });
+  }
+
+  /**
+   * Total depreciation posted per asset for runs ending within a date range
+   * @param {Date|null} fromDate - Earliest period end (inclusive); null for all runs up to toDate
+   * @param {Date} toDate - Latest period end (inclusive)
+   * @returns {Promise<Map<string, number>>} Asset ID -> amount
+   */
+  async getDepreciationByAsset(fromDate, toDate) {
+    const periodEnd = { $lte: toDate };
+    if (fromDate) periodEnd.$gte = fromDate;
+
+    const results = await this.aggregate([
+      { $match: { status: 'posted', periodEnd } },
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.asset', amount: { $sum: '$lines.amount' } } }
+    ]);
+
+    return new Map(results.map(result => [result._id.toString(), result.amount]));
+  }
+}
+
+module.exports = new DepreciationRunRepository();
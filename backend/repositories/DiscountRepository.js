@@ -82,6 +82,27 @@ class DiscountRepository extends BaseRepository {
       .sort(sort);
   }
 
+  /**
+   * Find promotions a cart is checked against: automatic ones plus those whose code was entered
+   * @param {Array<string>} codes - Codes entered at the till
+   * @param {Date} date - Evaluation time
+   * @returns {Promise<Array>}
+   */
+  async findPromotionCandidates(codes = [], date = new Date()) {
+    const query = {
+      isActive: true,
+      validFrom: { $lte: date },
+      validUntil: { $gte: date },
+      $or: [{ autoApply: true }, { code: { $in: codes } }]
+    };
+
+    if (this.hasSoftDelete) {
+      query.isDeleted = false;
+    }
+
+    return this.Model.find(query).sort({ priority: -1, createdAt: -1 });
+  }
+
   /**
    * Find discounts by status
    * @param {string} status - Discount status
@@ -0,0 +1,23 @@
+const BaseRepository = require('./BaseRepository');
+const ExchangeRate = require('../models/ExchangeRate');
+
+class ExchangeRateRepository extends BaseRepository {
+  constructor() {
+    super(ExchangeRate);
+  }
+
+  /**
+   * Rate in force on a date: the latest rate dated on or before it
+   * @param {string} currency - Currency code
+   * @param {Date} date - Transaction date
+   * @returns {Promise<ExchangeRate|null>}
+   */
+  async findRateOn(currency, date) {
+    return await this.Model.findOne({
+      currency: String(currency).toUpperCase(),
+      rateDate: { $lte: date }
+    }).sort({ rateDate: -1 });
+  }
+}
+
+module.exports = new ExchangeRateRepository();
@@ -0,0 +1,57 @@
+const BaseRepository = require('./BaseRepository');
+const FiscalYearClose = require('../models/FiscalYearClose');
+
+class FiscalYearCloseRepository extends BaseRepository {
+  constructor() {
+    super(FiscalYearClose);
+  }
+
+  /**
+   * Find the active (not reversed) close of a fiscal year
+   * @param {number} fiscalYear - Calendar year in which the fiscal year starts
+   * @returns {Promise<FiscalYearClose|null>}
+   */
+  async findClosed(fiscalYear) {
+    return await this.findOne({ fiscalYear, status: 'closed' });
+  }
+
+  /**
+   * Find fiscal year closes with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{closes: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { fiscalYear: -1, createdAt: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [closes, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-closingLines -openingBalances')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'createdBy', select: 'firstName lastName' })
+        .populate({ path: 'reversedBy', select: 'firstName lastName' }),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      closes,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new FiscalYearCloseRepository();
@@ -0,0 +1,109 @@
+const BaseRepository = require('./BaseRepository');
+const FixedAsset = require('../models/FixedAsset');
+
+class FixedAssetRepository extends BaseRepository {
+  constructor() {
+    super(FixedAsset);
+  }
+
+  /**
+   * Find fixed assets with pagination and filtering
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{assets: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      sort = { acquisitionDate: -1, createdAt: -1 },
+      populate = [
+        { path: 'supplier', select: 'companyName name' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const query = { ...filter, isDeleted: { $ne: true } };
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(query).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [assets, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      assets,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find assets that may be charged depreciation for a month
+   * @param {Date} periodStart - First day of the month
+   * @param {Date} periodEnd - Last moment of the month
+   * @returns {Promise<Array>}
+   */
+  async findDepreciable(periodStart, periodEnd) {
+    return await this.findAll({
+      status: 'active',
+      acquisitionDate: { $lte: periodEnd },
+      $and: [
+        {
+          $or: [
+            { depreciationStartDate: { $lte: periodEnd } },
+            { depreciationStartDate: null }
+          ]
+        },
+        {
+          $or: [
+            { depreciatedThrough: null },
+            { depreciatedThrough: { $lt: periodStart } }
+          ]
+        }
+      ]
+    }, { sort: { assetNumber: 1 } });
+  }
+
+  /**
+   * Find assets held at any time in a period (acquired before it ends, not disposed before it starts)
+   * @param {Date} startDate - Period start (null for "as of" endDate)
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Array>}
+   */
+  async findHeldDuring(startDate, endDate) {
+    const disposalFilter = startDate
+      ? { $or: [{ 'disposal.date': null }, { 'disposal.date': { $gte: startDate } }] }
+      : { $or: [{ 'disposal.date': null }, { 'disposal.date': { $gt: endDate } }] };
+
+    return await this.findAll({
+      acquisitionDate: { $lte: endDate },
+      ...disposalFilter
+    }, { sort: { category: 1, assetNumber: 1 }, lean: true });
+  }
+
+  /**
+   * Find assets disposed of within a period
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Array>}
+   */
+  async findDisposedDuring(startDate, endDate) {
+    return await this.findAll({
+      status: 'disposed',
+      'disposal.date': { $gte: startDate, $lte: endDate }
+    }, { sort: { 'disposal.date': 1 }, lean: true });
+  }
+}
+
+module.exports = new FixedAssetRepository();
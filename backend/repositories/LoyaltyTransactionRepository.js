@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const BaseRepository = require('./BaseRepository');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+
+class LoyaltyTransactionRepository extends BaseRepository {
+  constructor() {
+    super(LoyaltyTransaction);
+  }
+
+  /**
+   * Find a customer's lots with points left, soonest to expire first
+   * @param {string} customerId - Customer ID
+   * @param {object} options - { session }
+   * @returns {Promise<Array>}
+   */
+  async findOpenLots(customerId, options = {}) {
+    return await this.Model.find({ customer: customerId, remainingPoints: { $gt: 0 } })
+      .sort({ expiresAt: 1, date: 1, _id: 1 })
+      .session(options.session || null);
+  }
+
+  /**
+   * Find lots with points left that expired on or before a date
+   * @param {Date} asOf - Expiry cut-off
+   * @returns {Promise<Array>}
+   */
+  async findExpiredLots(asOf) {
+    return await this.Model.find({ remainingPoints: { $gt: 0 }, expiresAt: { $lte: asOf } })
+      .sort({ customer: 1, expiresAt: 1 });
+  }
+
+  /**
+   * Sum a customer's points movements before a date (statement opening balance)
+   * @param {string} customerId - Customer ID
+   * @param {Date} before - Cut-off date
+   * @returns {Promise<number>}
+   */
+  async sumPointsBefore(customerId, before) {
+    const [result] = await this.Model.aggregate([
+      { $match: { customer: new mongoose.Types.ObjectId(String(customerId)), date: { $lt: before } } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ]);
+    return result?.points || 0;
+  }
+
+  /**
+   * Sum points still open on lots expiring within a window
+   * @param {string} customerId - Customer ID
+   * @param {Date} from - Window start
+   * @param {Date} until - Window end
+   * @returns {Promise<number>}
+   */
+  async sumExpiringPoints(customerId, from, until) {
+    const [result] = await this.Model.aggregate([
+      {
+        $match: {
+          customer: new mongoose.Types.ObjectId(String(customerId)),
+          remainingPoints: { $gt: 0 },
+          expiresAt: { $gt: from, $lte: until }
+        }
+      },
+      { $group: { _id: null, points: { $sum: '$remainingPoints' } } }
+    ]);
+    return result?.points || 0;
+  }
+}
+
+module.exports = new LoyaltyTransactionRepository();
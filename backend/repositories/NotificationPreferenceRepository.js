@@ -0,0 +1,42 @@
+const BaseRepository = require('./BaseRepository');
+const NotificationPreference = require('../models/NotificationPreference');
+
+class NotificationPreferenceRepository extends BaseRepository {
+  constructor() {
+    super(NotificationPreference);
+  }
+
+  /**
+   * Find a user's preferences
+   * @param {string} userId - User ID
+   * @returns {Promise<NotificationPreference|null>}
+   */
+  async findByUser(userId) {
+    return await this.findOne({ user: userId });
+  }
+
+  /**
+   * Find preferences for several users
+   * @param {Array} userIds - User IDs
+   * @returns {Promise<Array>}
+   */
+  async findByUsers(userIds) {
+    return await this.findAll({ user: { $in: userIds } });
+  }
+
+  /**
+   * Create or replace a user's preferences
+   * @param {string} userId - User ID
+   * @param {object} data - Preference fields
+   * @returns {Promise<NotificationPreference>}
+   */
+  async upsertForUser(userId, data) {
+    return await this.Model.findOneAndUpdate(
+      { user: userId },
+      { $set: { ...data, user: userId } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+module.exports = new NotificationPreferenceRepository();
@@ -0,0 +1,119 @@
+const BaseRepository = require('./BaseRepository');
+const Notification = require('../models/Notification');
+
+class NotificationRepository extends BaseRepository {
+  constructor() {
+    super(Notification);
+  }
+
+  /**
+   * Find notifications with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{notifications: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { createdAt: -1 },
+      populate = [{ path: 'recipient.user', select: 'firstName lastName email' }]
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(filter).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [notifications, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      notifications,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Atomically claim the next due outbox entry so concurrent workers never send it twice
+   * @param {Date} now - Current time
+   * @returns {Promise<Notification|null>}
+   */
+  async claimNextDue(now = new Date()) {
+    return await this.Model.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Claim a specific pending entry
+   * @param {string} id - Notification ID
+   * @returns {Promise<Notification|null>}
+   */
+  async claimById(id) {
+    return await this.Model.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Return entries stuck in 'sending' (worker crashed mid-send) to the queue
+   * @param {Date} staleBefore - Entries last updated before this are considered stuck
+   * @returns {Promise<object>}
+   */
+  async releaseStale(staleBefore) {
+    return await this.Model.updateMany(
+      { status: 'sending', updatedAt: { $lt: staleBefore } },
+      { $set: { status: 'pending', nextAttemptAt: new Date() } }
+    );
+  }
+
+  /**
+   * Check whether a recipient already got this alert within the dedupe window
+   * @param {string} dedupeKey - Dedupe key
+   * @param {string} channel - Channel name
+   * @param {object} recipient - { user, email, url }
+   * @param {Date} since - Window start
+   * @returns {Promise<boolean>}
+   */
+  async existsRecent(dedupeKey, channel, recipient, since) {
+    const query = {
+      dedupeKey,
+      channel,
+      status: { $ne: 'cancelled' },
+      createdAt: { $gte: since }
+    };
+    if (recipient.user) query['recipient.user'] = recipient.user;
+    if (recipient.email) query['recipient.email'] = recipient.email;
+    if (recipient.url) query['recipient.url'] = recipient.url;
+    return !!(await this.Model.exists(query));
+  }
+
+  /**
+   * Count outbox entries by status
+   * @returns {Promise<object>}
+   */
+  async countByStatus() {
+    const rows = await this.Model.aggregate([
+      { $match: { channel: { $ne: 'in_app' } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    return rows.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {});
+  }
+}
+
+module.exports = new NotificationRepository();
@@ -0,0 +1,51 @@
+const BaseRepository = require('./BaseRepository');
+const PayablesRun = require('../models/PayablesRun');
+
+class PayablesRunRepository extends BaseRepository {
+  constructor() {
+    super(PayablesRun);
+  }
+
+  /**
+   * Find payables runs with pagination and filtering
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{runs: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { paymentDate: -1, createdAt: -1 },
+      populate = [
+        { path: 'bank', select: 'accountName accountNumber bankName' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(filter).select('-lines').sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [runs, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      runs,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new PayablesRunRepository();
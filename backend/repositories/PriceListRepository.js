@@ -0,0 +1,85 @@
+const BaseRepository = require('./BaseRepository');
+const PriceList = require('../models/PriceList');
+
+const escapeRegex = (value) => String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class PriceListRepository extends BaseRepository {
+  constructor() {
+    super(PriceList);
+  }
+
+  /**
+   * Find price list by name (case-insensitive)
+   * @param {string} name - Price list name
+   * @param {object} options - Query options
+   * @returns {Promise<PriceList|null>}
+   */
+  async findByName(name, options = {}) {
+    if (!name) return null;
+    return await this.findOne({ name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' } }, options);
+  }
+
+  /**
+   * Find active lists effective on a date and assigned to any of a customer, cities or tier
+   * @param {object} criteria - { customer, cities, customerTier, date }
+   * @returns {Promise<Array>}
+   */
+  async findEffectiveFor({ customer, cities = [], customerTier, date = new Date() }) {
+    const assignment = [];
+    if (customer) assignment.push({ customers: customer });
+    if (cities.length > 0) {
+      // City names are typed on customer addresses, so match them case-insensitively
+      assignment.push({ cities: { $in: cities.map(city => new RegExp(`^${escapeRegex(city)}$`, 'i')) } });
+    }
+    if (customerTier) assignment.push({ customerTiers: customerTier });
+    if (assignment.length === 0) return [];
+
+    return await this.findAll({
+      isActive: true,
+      $and: [
+        { $or: assignment },
+        { $or: [{ validFrom: null }, { validFrom: { $lte: date } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gte: date } }] }
+      ]
+    }, { sort: { priority: -1, validFrom: -1 } });
+  }
+
+  /**
+   * Find price lists with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{priceLists: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { priority: -1, name: 1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [priceLists, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-items')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'customers', select: 'businessName name' }),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      priceLists,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new PriceListRepository();
@@ -237,19 +237,32 @@ class ProductRepository extends BaseRepository {
   }
 
   /**
-   * Check if barcode exists
+   * Check if barcode exists (on a product or on one of its alternate units)
    * @param {string} barcode - Product barcode
    * @param {string} excludeId - Product ID to exclude from check
    * @returns {Promise<boolean>}
    */
   async barcodeExists(barcode, excludeId = null) {
-    const query = { barcode };
+    const query = { $or: [{ barcode }, { 'alternateUnits.barcode': barcode }] };
     if (excludeId) {
       query._id = { $ne: excludeId };
     }
     return await this.exists(query);
   }
 
+  /**
+   * Find product by its own barcode or an alternate unit barcode
+   * @param {string} barcode - Scanned barcode
+   * @param {object} options - Query options
+   * @returns {Promise<Product|null>}
+   */
+  async findByAnyBarcode(barcode, options = {}) {
+    if (!barcode) return null;
+    return await this.findOne({
+      $or: [{ barcode }, { 'alternateUnits.barcode': barcode }]
+    }, options);
+  }
+
   /**
    * Run aggregation pipeline on products
    * @param {Array} pipeline - Aggregation pipeline
@@ -144,6 +144,24 @@ class PurchaseInvoiceRepository extends BaseRepository {
     return await this.findAll(filter, options);
   }
 
+  /**
+   * Find supplier purchase invoices that still have an unpaid balance
+   * @param {object} filter - Extra filter (e.g., { supplier })
+   * @returns {Promise<Array>}
+   */
+  async findOpenPayables(filter = {}) {
+    return await this.findAll({
+      ...filter,
+      invoiceType: 'purchase',
+      supplier: filter.supplier || { $ne: null },
+      status: { $nin: ['draft', 'cancelled'] },
+      $expr: { $gt: ['$pricing.total', { $ifNull: ['$payment.paidAmount', 0] }] }
+    }, {
+      populate: [{ path: 'supplier', select: 'companyName contactPerson paymentTerms status' }],
+      sort: { invoiceDate: 1, createdAt: 1 }
+    });
+  }
+
   /**
    * Find the most recent purchase invoice containing a specific product
    * @param {string} productId - Product ID
@@ -0,0 +1,87 @@
+const BaseRepository = require('./BaseRepository');
+const Quotation = require('../models/Quotation');
+
+class QuotationRepository extends BaseRepository {
+  constructor() {
+    super(Quotation);
+  }
+
+  /**
+   * Find quotation by quote number
+   * @param {string} quoteNumber - Quote number
+   * @param {object} options - Query options
+   * @returns {Promise<Quotation|null>}
+   */
+  async findByQuoteNumber(quoteNumber, options = {}) {
+    return await this.findOne({ quoteNumber: quoteNumber.toUpperCase() }, options);
+  }
+
+  /**
+   * Find quotations with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{quotations: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { quoteDate: -1, createdAt: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [quotations, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-revisions')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate([
+          { path: 'customer', select: 'businessName name email phone' },
+          { path: 'items.product', select: 'name sku' },
+          { path: 'salesOrder', select: 'soNumber status' },
+          { path: 'createdBy', select: 'firstName lastName' }
+        ]),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      quotations,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Open quotations whose validity ended before a date
+   * @param {Date} asOf - Validity cut-off
+   * @returns {Promise<Array>}
+   */
+  async findLapsed(asOf = new Date()) {
+    return await this.Model.find({ status: { $in: ['draft', 'sent'] }, validUntil: { $lt: asOf } })
+      .select('_id quoteNumber validUntil');
+  }
+
+  /**
+   * Quotations dated within a period, lean, for reporting
+   * @param {object} filter - Filter query (quoteDate range and any other conditions)
+   * @returns {Promise<Array>}
+   */
+  async findForReport(filter = {}) {
+    return await this.Model.find(filter)
+      .select('quoteNumber customer status total quoteDate validUntil acceptedAt rejectedAt convertedAt createdBy')
+      .populate([
+        { path: 'customer', select: 'businessName name' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ])
+      .lean();
+  }
+}
+
+module.exports = new QuotationRepository();
@@ -0,0 +1,64 @@
+const BaseRepository = require('./BaseRepository');
+const Recall = require('../models/Recall');
+
+class RecallRepository extends BaseRepository {
+  constructor() {
+    super(Recall);
+  }
+
+  /**
+   * Find recalls with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{recalls: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { createdAt: -1 },
+      populate = [
+        { path: 'batches.product', select: 'name sku' },
+        { path: 'openedBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const query = { ...filter, isDeleted: { $ne: true } };
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(query).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [recalls, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      recalls,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find active (not closed or cancelled) recalls covering any of the given batches
+   * @param {Array} batchIds - Batch IDs
+   * @returns {Promise<Array>}
+   */
+  async findActiveByBatches(batchIds) {
+    return await this.findAll({
+      'batches.batch': { $in: batchIds },
+      status: { $in: ['open', 'in_progress'] }
+    });
+  }
+}
+
+module.exports = new RecallRepository();
@@ -0,0 +1,73 @@
+const BaseRepository = require('./BaseRepository');
+const ReportRun = require('../models/ReportRun');
+
+class ReportRunRepository extends BaseRepository {
+  constructor() {
+    super(ReportRun);
+  }
+
+  /**
+   * Find report runs with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{runs: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { startedAt: -1 },
+      populate = [
+        { path: 'triggeredBy', select: 'firstName lastName' },
+        { path: 'delivery.notifications', select: 'recipient.email status attempts lastError sentAt' }
+      ]
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(filter).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [runs, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      runs,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find the run that produced an export file
+   * @param {string} filename - Export filename
+   * @returns {Promise<ReportRun|null>}
+   */
+  async findByFilename(filename) {
+    return await this.findOne({ 'file.filename': filename });
+  }
+
+  /**
+   * Runs whose files are older than the cutoff and still on disk
+   * @param {Date} before - Cutoff date
+   * @returns {Promise<Array>}
+   */
+  async findExpiredFiles(before) {
+    return await this.findAll({
+      completedAt: { $lt: before },
+      'file.filename': { $exists: true },
+      'file.deletedAt': null
+    });
+  }
+}
+
+module.exports = new ReportRunRepository();
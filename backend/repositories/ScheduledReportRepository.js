@@ -0,0 +1,57 @@
+const BaseRepository = require('./BaseRepository');
+const ScheduledReport = require('../models/ScheduledReport');
+
+class ScheduledReportRepository extends BaseRepository {
+  constructor() {
+    super(ScheduledReport);
+  }
+
+  /**
+   * Find scheduled reports with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{reports: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { createdAt: -1 },
+      populate = [{ path: 'createdBy', select: 'firstName lastName' }]
+    } = options;
+
+    const query = { ...filter, isDeleted: { $ne: true } };
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(query).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [reports, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      reports,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find reports that should be registered with the scheduler
+   * @returns {Promise<Array>}
+   */
+  async findActive() {
+    return await this.findAll({ isActive: true });
+  }
+}
+
+module.exports = new ScheduledReportRepository();
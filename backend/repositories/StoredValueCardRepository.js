@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const BaseRepository = require('./BaseRepository');
+const StoredValueCard = require('../models/StoredValueCard');
+
+class StoredValueCardRepository extends BaseRepository {
+  constructor() {
+    super(StoredValueCard);
+  }
+
+  /**
+   * Find a card by its code or barcode
+   * @param {string} codeOrBarcode - Code as printed, or scanned barcode
+   * @param {object} options - Query options
+   * @returns {Promise<StoredValueCard|null>}
+   */
+  async findByCode(codeOrBarcode, options = {}) {
+    if (!codeOrBarcode) return null;
+    const value = String(codeOrBarcode).trim();
+    return await this.findOne({ $or: [{ code: value.toUpperCase() }, { barcode: value }] }, options);
+  }
+
+  /**
+   * Find a customer's active cards with a balance left, soonest to expire first
+   * @param {string} customerId - Customer ID
+   * @param {Date} asOf - Cards expiring before this are left out
+   * @returns {Promise<Array>}
+   */
+  async findWalletCards(customerId, asOf = new Date()) {
+    return await this.Model.find({
+      customer: customerId,
+      status: 'active',
+      balance: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: asOf } }]
+    })
+      .select('-transactions')
+      .sort({ expiresAt: 1, issuedAt: 1, _id: 1 });
+  }
+
+  /**
+   * Find active cards with a balance left that expired on or before a date
+   * @param {Date} asOf - Expiry cut-off
+   * @returns {Promise<Array>}
+   */
+  async findExpiredCards(asOf) {
+    return await this.Model.find({ status: 'active', balance: { $gt: 0 }, expiresAt: { $lte: asOf } })
+      .sort({ expiresAt: 1 });
+  }
+
+  /**
+   * Sum the unexpired balance of a customer's active cards
+   * @param {string} customerId - Customer ID
+   * @param {Date} asOf - Cards expiring before this are left out
+   * @param {object} options - { session }
+   * @returns {Promise<number>}
+   */
+  async sumWalletBalance(customerId, asOf = new Date(), options = {}) {
+    const [result] = await this.Model.aggregate([
+      {
+        $match: {
+          customer: new mongoose.Types.ObjectId(String(customerId)),
+          status: 'active',
+          balance: { $gt: 0 },
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: asOf } }]
+        }
+      },
+      { $group: { _id: null, balance: { $sum: '$balance' } } }
+    ]).session(options.session || null);
+    return result?.balance || 0;
+  }
+
+  /**
+   * Change a card's balance and append the movement to its ledger in one atomic update.
+   * Deductions only apply to an active card holding at least the amount.
+   * @param {string} id - Card ID
+   * @param {number} amount - Signed amount
+   * @param {object} entry - Ledger entry (type, date, sale, reference, ...)
+   * @param {object} options - { session }
+   * @returns {Promise<StoredValueCard|null>} Updated card, or null if the balance was too low
+   */
+  async applyMovement(id, amount, entry, options = {}) {
+    const query = { _id: id };
+    if (amount < 0) {
+      query.status = 'active';
+      query.balance = { $gte: -amount };
+    }
+    const card = await this.Model.findOneAndUpdate(
+      query,
+      { $inc: { balance: amount, __v: 1 } },
+      { new: true, session: options.session }
+    );
+    if (!card) return null;
+
+    const balanceAfter = Math.round(card.balance * 100) / 100;
+    const update = { $push: { transactions: { ...entry, amount, balanceAfter } } };
+    if (balanceAfter <= 0 && card.status === 'active' && entry.type === 'redeem') {
+      update.$set = { status: 'redeemed' };
+    } else if (balanceAfter > 0 && card.status === 'redeemed') {
+      update.$set = { status: 'active' };
+    }
+    return await this.Model.findByIdAndUpdate(id, update, { new: true, session: options.session });
+  }
+
+  /**
+   * Point the expiry movements of a run at the breakage voucher posted for them
+   * @param {Array} ids - IDs of the cards expired
+   * @param {Date} date - Date of the expiry movements
+   * @param {object} voucher - Journal voucher posted for the run
+   * @param {object} options - { session }
+   * @returns {Promise<object>}
+   */
+  async linkExpiryToVoucher(ids, date, voucher, options = {}) {
+    return await this.Model.updateMany(
+      { _id: { $in: ids } },
+      {
+        $set: {
+          'transactions.$[entry].journalVoucher': voucher._id,
+          'transactions.$[entry].reference': voucher.voucherNumber
+        }
+      },
+      {
+        arrayFilters: [{ 'entry.type': 'expire', 'entry.date': date, 'entry.journalVoucher': null }],
+        session: options.session
+      }
+    );
+  }
+
+  /**
+   * Find cards with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{cards: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { issuedAt: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [cards, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-transactions')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'customer', select: 'businessName name phone' }),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      cards,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Outstanding balances by card type (the liability to reconcile against the ledger)
+   * @returns {Promise<Array>}
+   */
+  async getOutstandingByType() {
+    return await this.Model.aggregate([
+      { $match: { status: 'active', balance: { $gt: 0 } } },
+      { $group: { _id: '$type', cards: { $sum: 1 }, balance: { $sum: '$balance' } } }
+    ]);
+  }
+}
+
+module.exports = new StoredValueCardRepository();
@@ -0,0 +1,21 @@
+const BaseRepository = require('./BaseRepository');
+const TaxCode = require('../models/TaxCode');
+
+class TaxCodeRepository extends BaseRepository {
+  constructor() {
+    super(TaxCode);
+  }
+
+  /**
+   * Find tax code by its short code
+   * @param {string} code - Tax code
+   * @param {object} options - Query options
+   * @returns {Promise<TaxCode|null>}
+   */
+  async findByCode(code, options = {}) {
+    if (!code) return null;
+    return await this.findOne({ code: String(code).trim().toUpperCase() }, options);
+  }
+}
+
+module.exports = new TaxCodeRepository();
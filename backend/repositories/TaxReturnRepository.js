@@ -0,0 +1,48 @@
+const BaseRepository = require('./BaseRepository');
+const TaxReturn = require('../models/TaxReturn');
+
+class TaxReturnRepository extends BaseRepository {
+  constructor() {
+    super(TaxReturn);
+  }
+
+  /**
+   * Find tax returns with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{returns: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { periodStart: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [returns, total] = await Promise.all([
+      this.Model.find(filter)
+        .select('-lines')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'createdBy', select: 'firstName lastName' })
+        .populate({ path: 'postedBy', select: 'firstName lastName' }),
+      this.Model.countDocuments(filter)
+    ]);
+
+    return {
+      returns,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new TaxReturnRepository();
@@ -15,7 +15,7 @@ class TillSessionRepository extends BaseRepository {
   async findOpenSessionByUser(userId, options = {}) {
     const query = { user: userId, status: 'open' };
     if (this.hasSoftDelete) query.isDeleted = false;
-    return this.model.findOne(query, null, options);
+    return this.Model.findOne(query, null, options);
   }
 
   /**
@@ -28,7 +28,7 @@ class TillSessionRepository extends BaseRepository {
     const { limit = 20, sort = { createdAt: -1 }, populate = [] } = options;
     const query = this.hasSoftDelete ? { user: userId, isDeleted: false } : { user: userId };
     
-    let queryBuilder = this.model.find(query);
+    let queryBuilder = this.Model.find(query);
     
     if (populate && populate.length > 0) {
       populate.forEach(pop => queryBuilder = queryBuilder.populate(pop));
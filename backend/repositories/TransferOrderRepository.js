@@ -0,0 +1,76 @@
+const BaseRepository = require('./BaseRepository');
+const TransferOrder = require('../models/TransferOrder');
+
+class TransferOrderRepository extends BaseRepository {
+  constructor() {
+    super(TransferOrder);
+  }
+
+  /**
+   * Find transfer orders with pagination
+   * @param {object} filter - Filter query
+   * @param {object} options - Pagination and sorting options
+   * @returns {Promise<{transferOrders: Array, total: number, pagination: object}>}
+   */
+  async findWithPagination(filter = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = { createdAt: -1 },
+      populate = [
+        { path: 'fromWarehouse', select: 'name code' },
+        { path: 'toWarehouse', select: 'name code' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    } = options;
+
+    const query = { ...filter, isDeleted: { $ne: true } };
+    const skip = (page - 1) * limit;
+
+    let queryBuilder = this.Model.find(query).sort(sort).skip(skip).limit(limit);
+    populate.forEach(pop => {
+      queryBuilder = queryBuilder.populate(pop);
+    });
+
+    const [transferOrders, total] = await Promise.all([
+      queryBuilder,
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      transferOrders,
+      total,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Find transfer order by number
+   * @param {string} transferNumber - Transfer number
+   * @param {object} options - Query options
+   * @returns {Promise<TransferOrder|null>}
+   */
+  async findByTransferNumber(transferNumber, options = {}) {
+    return await this.findOne({ transferNumber: transferNumber.toUpperCase() }, options);
+  }
+
+  /**
+   * Find transfer orders that still hold stock in transit
+   * @param {object} filter - Additional filter
+   * @param {object} options - Query options
+   * @returns {Promise<Array>}
+   */
+  async findInTransit(filter = {}, options = {}) {
+    return await this.findAll({
+      ...filter,
+      status: { $in: ['dispatched', 'in_transit'] }
+    }, options);
+  }
+}
+
+module.exports = new TransferOrderRepository();
@@ -0,0 +1,29 @@
+const BaseRepository = require('./BaseRepository');
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+
+class UnitOfMeasureRepository extends BaseRepository {
+  constructor() {
+    super(UnitOfMeasure);
+  }
+
+  /**
+   * Find unit by code
+   * @param {string} code - Unit code (e.g. 'kg', 'box')
+   * @returns {Promise<UnitOfMeasure|null>}
+   */
+  async findByCode(code) {
+    if (!code) return null;
+    return await this.findOne({ code: String(code).trim().toLowerCase() });
+  }
+
+  /**
+   * Find units by codes
+   * @param {Array<string>} codes - Unit codes
+   * @returns {Promise<Array>}
+   */
+  async findByCodes(codes) {
+    return await this.findAll({ code: { $in: codes } });
+  }
+}
+
+module.exports = new UnitOfMeasureRepository();
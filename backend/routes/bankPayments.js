@@ -5,6 +5,7 @@ const { auth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const BankPayment = require('../models/BankPayment'); // Still needed for new BankPayment() and static methods
+const withholdingTaxService = require('../services/withholdingTaxService');
 const Bank = require('../models/Bank'); // Still needed for model reference in populate
 const Sales = require('../models/Sales'); // Still needed for model reference in populate
 const bankPaymentRepository = require('../repositories/BankPaymentRepository');
@@ -13,6 +14,10 @@ const supplierRepository = require('../repositories/SupplierRepository');
 const customerRepository = require('../repositories/CustomerRepository');
 const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
 const salesRepository = require('../repositories/SalesRepository');
+const budgetService = require('../services/budgetService');
+const currencyService = require('../services/currencyService');
+const payablesService = require('../services/payablesService');
+const AccountingService = require('../services/accountingService');
 
 // @route   GET /api/bank-payments
 // @desc    Get all bank payments with filtering and pagination
@@ -135,7 +140,11 @@ router.post('/', [
   body('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('expenseAccount').optional().isMongoId().withMessage('Invalid expense account ID'),
-  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be greater than 0'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('withholding.apply').optional().isBoolean().withMessage('withholding.apply must be true or false'),
+  body('withholding.transactionType').optional({ checkFalsy: true }).isIn(withholdingTaxService.getTransactionTypes()).withMessage('Invalid withholding transaction type'),
+  body('withholding.rate').optional({ checkFalsy: true }).isFloat({ min: 0, max: 1 }).withMessage('Withholding rate must be a fraction between 0 and 1')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -239,6 +248,57 @@ router.post('/', [
       expenseAccount: expenseAccountDoc ? expenseAccountDoc._id : null
     };
 
+    // Payments from a foreign-currency bank are entered in the bank's currency
+    const withholdingOptions = req.body.withholding || {};
+    try {
+      if (await currencyService.convertVoucher(bankPaymentData, { currency: bankExists.currency, exchangeRate: req.body.exchangeRate })) {
+        if (withholdingOptions.apply && withholdingOptions.apply !== 'false') {
+          throw new Error('Cannot withhold tax on a payment from a foreign-currency bank account');
+        }
+        withholdingOptions.apply = false;
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Warn (without blocking) when the expense would exceed the remaining budget for its account
+    let budgetWarning = null;
+    if (expenseAccountDoc) {
+      try {
+        budgetWarning = await budgetService.checkExpenseAgainstBudget({
+          expenseAccount: expenseAccountDoc._id,
+          amount: bankPaymentData.amount,
+          date: bankPaymentData.date
+        });
+      } catch (error) {
+        console.error('Error checking budget for bank payment:', error);
+      }
+    }
+
+    // Split off tax withheld from the supplier: the voucher carries the net paid,
+    // balances are still settled with the gross amount
+    try {
+      await withholdingTaxService.applyToVoucher(bankPaymentData, 'payments', withholdingOptions);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Ledger posting after the save does not fail the request, so a closed period is refused here
+    try {
+      await AccountingService.assertPostingPeriodOpen(bankPaymentData.date, 'bank payment');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const bankPayment = new BankPayment(bankPaymentData);
     await bankPayment.save();
 
@@ -246,7 +306,11 @@ router.post('/', [
     if (supplier && amount > 0) {
       try {
         const SupplierBalanceService = require('../services/supplierBalanceService');
-        await SupplierBalanceService.recordPayment(supplier, amount, order);
+        // Foreign payments clear the supplier's invoices at the rates they were booked at
+        const settledAmount = bankPayment.currency
+          ? await payablesService.settleForeignPayment(bankPayment, req.user)
+          : amount;
+        await SupplierBalanceService.recordPayment(supplier, settledAmount, order);
       } catch (error) {
         console.error('Error updating supplier balance for bank payment:', error);
         // Don't fail the bank payment creation if balance update fails
@@ -260,7 +324,7 @@ router.post('/', [
     if (customer && amount > 0) {
       try {
         const CustomerBalanceService = require('../services/customerBalanceService');
-        await CustomerBalanceService.recordRefund(customer, amount, order);
+        await CustomerBalanceService.recordRefund(customer, bankPayment.currency ? bankPayment.amount : amount, order);
       } catch (error) {
         console.error('Error updating customer balance for bank payment:', error);
         // Don't fail the bank payment creation if balance update fails
@@ -269,7 +333,6 @@ router.post('/', [
 
     // Create accounting entries
     try {
-      const AccountingService = require('../services/accountingService');
       await AccountingService.recordBankPayment(bankPayment);
     } catch (error) {
       console.error('Error creating accounting entries for bank payment:', error);
@@ -289,7 +352,8 @@ router.post('/', [
     res.status(201).json({
       success: true,
       message: 'Bank payment created successfully',
-      data: bankPayment
+      data: bankPayment,
+      budgetWarning: budgetWarning || undefined
     });
   } catch (error) {
     console.error('Create bank payment error:', error);
@@ -394,6 +458,58 @@ router.put('/:id', [
       expenseAccount
     } = req.body;
 
+    // Cheque clearance vouchers follow the cheque register; change the cheque instead
+    if (bankPayment.cheque && (
+      (amount !== undefined && parseFloat(amount) !== bankPayment.amount) ||
+      (bank !== undefined && String(bank) !== String(bankPayment.bank))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount or bank of a bank payment created by clearing a cheque'
+      });
+    }
+
+    // A voucher cleared on a bank statement must keep its amount and bank until it is unmatched
+    if (bankPayment.bankStatement && (
+      (amount !== undefined && parseFloat(amount) !== bankPayment.amount) ||
+      (bank !== undefined && String(bank) !== String(bankPayment.bank))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount or bank of a bank payment that is matched to a bank statement; unmatch it first'
+      });
+    }
+
+    // Tax withheld was worked out on the original amount; re-enter the voucher to change it
+    if (bankPayment.withholding?.amount > 0 && amount !== undefined && parseFloat(amount) !== bankPayment.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount of a bank payment with tax withheld; delete it and enter a new one'
+      });
+    }
+
+    // Foreign-currency payments were converted and settled against invoices at the rate of their date
+    if (bankPayment.currency && (
+      (amount !== undefined && parseFloat(amount) !== bankPayment.amount) ||
+      (date !== undefined && new Date(date).getTime() !== bankPayment.date.getTime()) ||
+      (bank !== undefined && String(bank) !== String(bankPayment.bank)) ||
+      (supplier !== undefined && String(supplier || '') !== String(bankPayment.supplier || ''))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount, date, bank or supplier of a foreign-currency bank payment; delete it and enter a new one'
+      });
+    }
+    if (!bankPayment.currency && bank !== undefined && String(bank) !== String(bankPayment.bank)) {
+      const newBank = await bankRepository.findById(bank);
+      if (newBank && await currencyService.isForeign(newBank.currency)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot move a bank payment to a foreign-currency bank account; enter a new payment from that account'
+        });
+      }
+    }
+
     // Update fields
     if (date !== undefined) bankPayment.date = new Date(date);
     if (amount !== undefined) bankPayment.amount = parseFloat(amount);
@@ -451,6 +567,20 @@ router.delete('/:id', [
       });
     }
 
+    if (bankPayment.cheque) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a bank payment created by clearing a cheque'
+      });
+    }
+
+    if (bankPayment.bankStatement) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a bank payment that is matched to a bank statement; unmatch it first'
+      });
+    }
+
     await BankPayment.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -6,9 +6,12 @@ const { handleValidationErrors } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const bankReceiptService = require('../services/bankReceiptService');
 const BankReceipt = require('../models/BankReceipt'); // Still needed for create/update operations
+const withholdingTaxService = require('../services/withholdingTaxService');
+const currencyService = require('../services/currencyService');
 const Bank = require('../models/Bank');
 const Sales = require('../models/Sales');
 const Customer = require('../models/Customer');
+const AccountingService = require('../services/accountingService');
 
 // @route   GET /api/bank-receipts
 // @desc    Get all bank receipts with filtering and pagination
@@ -122,7 +125,12 @@ router.post('/', [
   body('order').optional().isMongoId().withMessage('Invalid order ID'),
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
-  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be greater than 0'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('withholding.apply').optional().isBoolean().withMessage('withholding.apply must be true or false'),
+  body('withholding.transactionType').optional({ checkFalsy: true }).isIn(withholdingTaxService.getTransactionTypes()).withMessage('Invalid withholding transaction type'),
+  body('withholding.rate').optional({ checkFalsy: true }).isFloat({ min: 0, max: 1 }).withMessage('Withholding rate must be a fraction between 0 and 1'),
+  body('withholding.certificateNumber').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }).withMessage('Certificate number must be less than 50 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -207,14 +215,53 @@ router.post('/', [
       createdBy: req.user._id
     };
 
+    // Receipts into a foreign-currency bank are entered in the bank's currency
+    const withholdingOptions = req.body.withholding || {};
+    try {
+      if (await currencyService.convertVoucher(bankReceiptData, { currency: bankExists.currency, exchangeRate: req.body.exchangeRate })) {
+        if (withholdingOptions.apply && withholdingOptions.apply !== 'false') {
+          throw new Error('Cannot record tax withheld on a receipt into a foreign-currency bank account');
+        }
+        withholdingOptions.apply = false;
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Split off tax the customer withheld: the voucher carries the net received,
+    // balances are still settled with the gross amount
+    try {
+      await withholdingTaxService.applyToVoucher(bankReceiptData, 'receipts', withholdingOptions);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Ledger posting after the save does not fail the request, so a closed period is refused here
+    try {
+      await AccountingService.assertPostingPeriodOpen(bankReceiptData.date, 'bank receipt');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const bankReceipt = new BankReceipt(bankReceiptData);
     await bankReceipt.save();
+    // Balances are kept in the base currency
+    const balanceAmount = bankReceipt.currency ? bankReceipt.amount : amount;
 
     // Update customer balance if customer is provided
     if (customer && amount > 0) {
       try {
         const CustomerBalanceService = require('../services/customerBalanceService');
-        await CustomerBalanceService.recordPayment(customer, amount, order);
+        await CustomerBalanceService.recordPayment(customer, balanceAmount, order);
       } catch (error) {
         console.error('Error updating customer balance for bank receipt:', error);
         // Don't fail the bank receipt creation if balance update fails
@@ -226,7 +273,7 @@ router.post('/', [
     if (supplier && amount > 0) {
       try {
         const SupplierBalanceService = require('../services/supplierBalanceService');
-        await SupplierBalanceService.recordPayment(supplier, amount, order);
+        await SupplierBalanceService.recordPayment(supplier, balanceAmount, order);
       } catch (error) {
         console.error('Error updating supplier balance for bank receipt:', error);
         // Don't fail the bank receipt creation if balance update fails
@@ -235,7 +282,6 @@ router.post('/', [
 
     // Create accounting entries
     try {
-      const AccountingService = require('../services/accountingService');
       await AccountingService.recordBankReceipt(bankReceipt);
     } catch (error) {
       console.error('Error creating accounting entries for bank receipt:', error);
@@ -343,6 +389,57 @@ router.put('/:id', [
       notes
     } = req.body;
 
+    // Cheque clearance vouchers follow the cheque register; change the cheque instead
+    if (bankReceipt.cheque && (
+      (amount !== undefined && parseFloat(amount) !== bankReceipt.amount) ||
+      (bank !== undefined && String(bank) !== String(bankReceipt.bank))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount or bank of a bank receipt created by clearing a cheque'
+      });
+    }
+
+    // A voucher cleared on a bank statement must keep its amount and bank until it is unmatched
+    if (bankReceipt.bankStatement && (
+      (amount !== undefined && parseFloat(amount) !== bankReceipt.amount) ||
+      (bank !== undefined && String(bank) !== String(bankReceipt.bank))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount or bank of a bank receipt that is matched to a bank statement; unmatch it first'
+      });
+    }
+
+    // Tax withheld was worked out on the original amount; re-enter the voucher to change it
+    if (bankReceipt.withholding?.amount > 0 && amount !== undefined && parseFloat(amount) !== bankReceipt.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount of a bank receipt with tax withheld; delete it and enter a new one'
+      });
+    }
+
+    // Foreign-currency receipts were converted at the rate of their date
+    if (bankReceipt.currency && (
+      (amount !== undefined && parseFloat(amount) !== bankReceipt.amount) ||
+      (date !== undefined && new Date(date).getTime() !== bankReceipt.date.getTime()) ||
+      (bank !== undefined && String(bank) !== String(bankReceipt.bank))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount, date or bank of a foreign-currency bank receipt; delete it and enter a new one'
+      });
+    }
+    if (!bankReceipt.currency && bank !== undefined && String(bank) !== String(bankReceipt.bank)) {
+      const newBank = await Bank.findById(bank);
+      if (newBank && await currencyService.isForeign(newBank.currency)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot move a bank receipt to a foreign-currency bank account; enter a new receipt into that account'
+        });
+      }
+    }
+
     // Update fields
     if (date !== undefined) bankReceipt.date = new Date(date);
     if (amount !== undefined) bankReceipt.amount = parseFloat(amount);
@@ -398,6 +495,20 @@ router.delete('/:id', [
       });
     }
 
+    if (bankReceipt.cheque) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a bank receipt created by clearing a cheque'
+      });
+    }
+
+    if (bankReceipt.bankStatement) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a bank receipt that is matched to a bank statement; unmatch it first'
+      });
+    }
+
     await BankReceipt.findByIdAndDelete(req.params.id);
 
     res.json({
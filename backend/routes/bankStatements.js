@@ -0,0 +1,378 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const bankReconciliationService = require('../services/bankReconciliationService');
+
+const router = express.Router();
+
+// Statement files are parsed in memory; OFX/MT940 mimetypes vary by bank, so filter on extension
+const STATEMENT_EXTENSIONS = ['.csv', '.xls', '.xlsx', '.ofx', '.qfx', '.sta', '.mt940', '.940', '.txt'];
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (STATEMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, Excel, OFX and MT940 statements are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
+const validateStatementId = [
+  param('id').isMongoId().withMessage('Valid bank statement ID is required'),
+];
+
+const validateLineId = [
+  ...validateStatementId,
+  param('lineId').isMongoId().withMessage('Valid statement line ID is required'),
+];
+
+// Map service errors to HTTP responses
+const handleBankStatementError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/bank-statements
+// @desc    List imported bank statements
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  sanitizeRequest,
+  query('bank').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid bank ID'),
+  query('status').optional({ checkFalsy: true }).isIn(['in_progress', 'reconciled', 'discrepancy']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await bankReconciliationService.getStatements(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error fetching bank statements');
+  }
+});
+
+// @route   POST /api/bank-statements/import
+// @desc    Upload a bank statement (CSV, Excel, OFX or MT940) and auto-match its lines
+// @access  Private
+// Skips sanitizeRequest: it HTML-escapes the quotes in the JSON column mapping
+router.post('/import', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  upload.single('file'),
+  body('bank').isMongoId().withMessage('Valid bank account is required'),
+  body('format').optional({ checkFalsy: true }).isIn(['csv', 'excel', 'ofx', 'mt940']).withMessage('Format must be csv, excel, ofx or mt940'),
+  body('dateOrder').optional({ checkFalsy: true }).isIn(['DMY', 'MDY']).withMessage('Date order must be DMY or MDY'),
+  body('columns').optional({ checkFalsy: true }).isJSON().withMessage('Column mapping must be a JSON object'),
+  body('openingBalance').optional({ checkFalsy: true }).isFloat().withMessage('Opening balance must be a number'),
+  body('closingBalance').optional({ checkFalsy: true }).isFloat().withMessage('Closing balance must be a number'),
+  body('autoMatch').optional().isBoolean(),
+  body('dateWindowDays').optional({ checkFalsy: true }).isInt({ min: 0, max: 30 }).withMessage('Date window must be 0-30 days'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const {
+      bank, format, dateOrder, columns, openingBalance, closingBalance, autoMatch, dateWindowDays
+    } = req.body;
+    const result = await bankReconciliationService.importStatement(req.file, {
+      bank,
+      format: format || undefined,
+      dateOrder: dateOrder || undefined,
+      columns: columns ? JSON.parse(columns) : undefined,
+      openingBalance: openingBalance ? parseFloat(openingBalance) : undefined,
+      closingBalance: closingBalance ? parseFloat(closingBalance) : undefined,
+      autoMatch: autoMatch === undefined ? true : String(autoMatch) === 'true',
+      dateWindowDays: dateWindowDays ? parseInt(dateWindowDays) : undefined
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: result.autoMatch
+        ? `Statement imported: ${result.autoMatch.matched} line(s) matched automatically, ${result.autoMatch.unmatched} left to reconcile`
+        : 'Statement imported successfully',
+      data: result
+    });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error importing bank statement');
+  }
+});
+
+// @route   GET /api/bank-statements/:id
+// @desc    Get a statement with its lines and matches
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateStatementId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.getStatementById(req.params.id);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error fetching bank statement');
+  }
+});
+
+// @route   GET /api/bank-statements/:id/report
+// @desc    Reconciliation report: book vs statement balance, uncleared items and difference
+// @access  Private
+router.get('/:id/report', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateStatementId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await bankReconciliationService.getReconciliationReport(req.params.id);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error building reconciliation report');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/auto-match
+// @desc    Re-run automatic matching on unmatched lines
+// @access  Private
+router.post('/:id/auto-match', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateStatementId,
+  body('dateWindowDays').optional().isInt({ min: 0, max: 30 }).withMessage('Date window must be 0-30 days'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await bankReconciliationService.autoMatch(req.params.id, {
+      dateWindowDays: req.body.dateWindowDays !== undefined ? parseInt(req.body.dateWindowDays) : undefined
+    }, req.user);
+    res.json({
+      success: true,
+      message: `${result.matched} line(s) matched automatically`,
+      data: result
+    });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error auto-matching statement');
+  }
+});
+
+// @route   GET /api/bank-statements/:id/lines/:lineId/candidates
+// @desc    Uncleared vouchers that could be matched to a line
+// @access  Private
+router.get('/:id/lines/:lineId/candidates', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  sanitizeRequest,
+  ...validateLineId,
+  query('dateWindowDays').optional().isInt({ min: 0, max: 365 }),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const candidates = await bankReconciliationService.getCandidates(req.params.id, req.params.lineId, {
+      dateWindowDays: req.query.dateWindowDays !== undefined ? parseInt(req.query.dateWindowDays) : undefined,
+      search: req.query.search
+    });
+    res.json({ success: true, data: candidates });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error fetching match candidates');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/lines/:lineId/match
+// @desc    Match a line to one or more vouchers
+// @access  Private
+router.post('/:id/lines/:lineId/match', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateLineId,
+  body('vouchers').isArray({ min: 1, max: 100 }).withMessage('Select at least one voucher'),
+  body('vouchers.*.voucherType').isIn(['BankReceipt', 'BankPayment']).withMessage('Voucher type must be BankReceipt or BankPayment'),
+  body('vouchers.*.voucherId').isMongoId().withMessage('Valid voucher ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.matchLine(req.params.id, req.params.lineId, req.body.vouchers, req.user);
+    res.json({ success: true, message: 'Statement line matched', data: statement });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error matching statement line');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/lines/:lineId/unmatch
+// @desc    Remove a line's matches (or restore an ignored line)
+// @access  Private
+router.post('/:id/lines/:lineId/unmatch', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateLineId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.unmatchLine(req.params.id, req.params.lineId, req.user);
+    res.json({ success: true, message: 'Statement line unmatched', data: statement });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error unmatching statement line');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/lines/:lineId/ignore
+// @desc    Mark a line as needing no voucher
+// @access  Private
+router.post('/:id/lines/:lineId/ignore', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  sanitizeRequest,
+  ...validateLineId,
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.ignoreLine(req.params.id, req.params.lineId, req.body.notes, req.user);
+    res.json({ success: true, message: 'Statement line ignored', data: statement });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error ignoring statement line');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/lines/:lineId/split
+// @desc    Split a line into parts that are matched separately
+// @access  Private
+router.post('/:id/lines/:lineId/split', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateLineId,
+  body('amounts').isArray({ min: 2, max: 50 }).withMessage('Provide at least two amounts'),
+  body('amounts.*').isFloat().withMessage('Amounts must be numbers'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const amounts = req.body.amounts.map(amount => parseFloat(amount));
+    const statement = await bankReconciliationService.splitLine(req.params.id, req.params.lineId, amounts, req.user);
+    res.json({ success: true, message: 'Statement line split', data: statement });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error splitting statement line');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/lines/:lineId/create-voucher
+// @desc    Create the missing bank charge / interest voucher for a line
+// @access  Private
+router.post('/:id/lines/:lineId/create-voucher', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  sanitizeRequest,
+  ...validateLineId,
+  body('kind').optional().isIn(['bank_charge', 'interest']).withMessage('Kind must be bank_charge or interest'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('particular').optional().isString().trim().isLength({ max: 500 }),
+  body('expenseAccount').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid expense account ID'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { kind, amount, particular, expenseAccount, notes } = req.body;
+    const result = await bankReconciliationService.createVoucherFromLine(req.params.id, req.params.lineId, {
+      kind,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      particular,
+      expenseAccount: expenseAccount || undefined,
+      notes
+    }, req.user);
+    res.status(201).json({
+      success: true,
+      message: result.matched
+        ? `${result.voucher.voucherCode} created and matched`
+        : `${result.voucher.voucherCode} created; match it together with the other vouchers for this line`,
+      data: result
+    });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error creating voucher from statement line');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/complete
+// @desc    Complete the reconciliation and unlock the bank account
+// @access  Private
+router.post('/:id/complete', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  sanitizeRequest,
+  ...validateStatementId,
+  body('acceptDifference').optional().isBoolean(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await bankReconciliationService.completeReconciliation(req.params.id, {
+      acceptDifference: req.body.acceptDifference === true || req.body.acceptDifference === 'true',
+      notes: req.body.notes
+    }, req.user);
+    res.json({
+      success: true,
+      message: report.isReconciled
+        ? 'Bank statement reconciled'
+        : `Bank statement closed with a difference of ${report.difference}`,
+      data: report
+    });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error completing reconciliation');
+  }
+});
+
+// @route   POST /api/bank-statements/:id/reopen
+// @desc    Reopen a completed reconciliation
+// @access  Private
+router.post('/:id/reopen', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateStatementId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.reopenStatement(req.params.id, req.user);
+    res.json({ success: true, message: 'Bank statement reopened', data: statement });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error reopening bank statement');
+  }
+});
+
+// @route   DELETE /api/bank-statements/:id
+// @desc    Delete an in-progress statement and release its matched vouchers
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('reconcile_accounts'),
+  ...validateStatementId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await bankReconciliationService.deleteStatement(req.params.id);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleBankStatementError(res, error, 'Server error deleting bank statement');
+  }
+});
+
+module.exports = router;
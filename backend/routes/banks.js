@@ -80,6 +80,7 @@ router.post('/', [
   body('routingNumber').optional().isString().trim().isLength({ max: 50 }).withMessage('Routing number must be at most 50 characters'),
   body('swiftCode').optional().isString().trim().isLength({ max: 50 }).withMessage('SWIFT code must be at most 50 characters'),
   body('iban').optional().isString().trim().isLength({ max: 50 }).withMessage('IBAN must be at most 50 characters'),
+  body('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }).withMessage('Currency must be a three-letter code'),
   body('openingBalance').optional().isFloat().withMessage('Opening balance must be a number'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
   body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
@@ -100,6 +101,7 @@ router.post('/', [
       routingNumber,
       swiftCode,
       iban,
+      currency,
       openingBalance = 0,
       isActive = true,
       notes
@@ -115,6 +117,7 @@ router.post('/', [
       routingNumber,
       swiftCode,
       iban,
+      currency,
       openingBalance,
       isActive,
       notes
@@ -149,6 +152,7 @@ router.put('/:id', [
   body('routingNumber').optional().isString().trim().isLength({ max: 50 }).withMessage('Routing number must be at most 50 characters'),
   body('swiftCode').optional().isString().trim().isLength({ max: 50 }).withMessage('SWIFT code must be at most 50 characters'),
   body('iban').optional().isString().trim().isLength({ max: 50 }).withMessage('IBAN must be at most 50 characters'),
+  body('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }).withMessage('Currency must be a three-letter code'),
   body('openingBalance').optional().isFloat().withMessage('Opening balance must be a number'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
   body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
@@ -173,6 +177,9 @@ router.put('/:id', [
         message: 'Bank not found'
       });
     }
+    if (/^Cannot/.test(error.message)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Update bank error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const batchService = require('../services/batchService');
+
+const router = express.Router();
+
+const validateBatchId = [
+  param('id').isMongoId().withMessage('Valid batch ID is required'),
+];
+
+const batchDetailValidators = [
+  body('lotNumber').optional().isString().trim().isLength({ max: 100 }),
+  body('manufactureDate').optional({ nullable: true }).isISO8601().withMessage('Invalid manufacture date'),
+  body('expiryDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('location').optional().isObject(),
+  body('location.aisle').optional().isString().trim().isLength({ max: 50 }),
+  body('location.shelf').optional().isString().trim().isLength({ max: 50 }),
+  body('location.bin').optional().isString().trim().isLength({ max: 50 }),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+];
+
+// Map service errors to HTTP responses
+const handleBatchError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^(Cannot|Insufficient)|already exists/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/batches
+// @desc    List batches/lots
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_inventory'),
+  sanitizeRequest,
+  query('product').optional({ checkFalsy: true }).isMongoId(),
+  query('status').optional({ checkFalsy: true }).isIn(['active', 'quarantined', 'recalled', 'expired', 'depleted']),
+  query('warehouse').optional({ checkFalsy: true }).isMongoId(),
+  query('supplier').optional({ checkFalsy: true }).isMongoId(),
+  query('purchaseInvoice').optional({ checkFalsy: true }).isMongoId(),
+  query('expiringWithinDays').optional({ checkFalsy: true }).isInt({ min: 0 }),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { batches, pagination } = await batchService.getBatches(req.query);
+    res.json({ success: true, data: { batches, pagination } });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error fetching batches');
+  }
+});
+
+// @route   GET /api/batches/fefo
+// @desc    Preview the batches a sale would be picked from (FEFO)
+// @access  Private
+router.get('/fefo', [
+  auth,
+  requirePermission('view_inventory'),
+  query('product').isMongoId().withMessage('Valid product is required'),
+  query('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  query('warehouse').optional({ checkFalsy: true }).isMongoId(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const allocation = await batchService.previewAllocation(
+      req.query.product,
+      Number(req.query.quantity),
+      req.query.warehouse || null
+    );
+    res.json({ success: true, data: allocation });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error picking batches');
+  }
+});
+
+// @route   GET /api/batches/:id
+// @desc    Get batch details
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_inventory'),
+  ...validateBatchId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const batch = await batchService.getBatchById(req.params.id);
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error fetching batch');
+  }
+});
+
+// @route   GET /api/batches/:id/trace
+// @desc    Sales and customers that received this batch
+// @access  Private
+router.get('/:id/trace', [
+  auth,
+  requirePermission('view_inventory'),
+  ...validateBatchId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const trace = await batchService.getBatchTrace(req.params.id);
+    res.json({ success: true, data: trace });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error tracing batch');
+  }
+});
+
+// @route   POST /api/batches
+// @desc    Register a batch for stock already on hand
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  body('product').isMongoId().withMessage('Valid product is required'),
+  body('batchNumber').isString().trim().notEmpty().withMessage('Batch number is required').isLength({ max: 100 }),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be positive'),
+  body('purchaseDate').optional().isISO8601().withMessage('Invalid purchase date'),
+  body('supplier').optional({ checkFalsy: true }).isMongoId(),
+  body('warehouse').optional({ checkFalsy: true }).isMongoId(),
+  ...batchDetailValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const batch = await batchService.createBatch(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Batch created successfully',
+      data: batch,
+    });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error creating batch');
+  }
+});
+
+// @route   PUT /api/batches/:id
+// @desc    Update batch details or quarantine/release it
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateBatchId,
+  body('status').optional().isIn(['active', 'quarantined']).withMessage('Status must be active or quarantined'),
+  ...batchDetailValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const batch = await batchService.updateBatch(req.params.id, req.body);
+    res.json({
+      success: true,
+      message: 'Batch updated successfully',
+      data: batch,
+    });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error updating batch');
+  }
+});
+
+// @route   POST /api/batches/:id/quality-check
+// @desc    Record a quality check (a failed check quarantines the batch)
+// @access  Private
+router.post('/:id/quality-check', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateBatchId,
+  body('passed').isBoolean().withMessage('passed must be true or false'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const batch = await batchService.recordQualityCheck(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Quality check recorded',
+      data: batch,
+    });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error recording quality check');
+  }
+});
+
+// @route   DELETE /api/batches/:id
+// @desc    Delete a batch that has never been sold from
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('update_inventory'),
+  ...validateBatchId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await batchService.deleteBatch(req.params.id);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleBatchError(res, error, 'Server error deleting batch');
+  }
+});
+
+module.exports = router;
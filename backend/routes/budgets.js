@@ -0,0 +1,287 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const budgetService = require('../services/budgetService');
+
+const router = express.Router();
+
+const validateBudgetId = [
+  param('id').isMongoId().withMessage('Valid budget ID is required'),
+];
+
+const budgetItemValidators = [
+  body('items.*.account').optional({ checkFalsy: true }).isMongoId().withMessage('Valid account ID is required'),
+  body('items.*.accountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }),
+  body('items.*.budgetedAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Budgeted amount must be positive'),
+  body('items.*.monthlyAmounts').optional().isArray(),
+  body('items.*.monthlyAmounts.*.month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  body('items.*.monthlyAmounts.*.amount').isFloat({ min: 0 }).withMessage('Monthly amount must be positive'),
+  body('items.*.expenseType').optional().isIn(['selling', 'administrative', 'other']),
+  body('items.*.category').optional().isString().trim().isLength({ max: 100 }),
+  body('items.*.notes').optional().isString().trim().isLength({ max: 500 }),
+];
+
+// Map service errors to HTTP responses
+const handleBudgetError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/budgets
+// @desc    List budgets
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  query('status').optional({ checkFalsy: true }).isIn(['draft', 'approved', 'active', 'archived']),
+  query('budgetType').optional({ checkFalsy: true }).isIn(['expense', 'revenue', 'full']),
+  query('versionType').optional({ checkFalsy: true }).isIn(['original', 'revised']),
+  query('year').optional({ checkFalsy: true }).isInt({ min: 2000, max: 2100 }),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { budgets, pagination } = await budgetService.getBudgets(req.query);
+    res.json({ success: true, data: { budgets, pagination } });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error fetching budgets');
+  }
+});
+
+// @route   GET /api/budgets/check
+// @desc    Check whether an expense would exceed the remaining budget for its account
+// @access  Private
+router.get('/check', [
+  auth,
+  sanitizeRequest,
+  query('expenseAccount').optional({ checkFalsy: true }).isMongoId(),
+  query('accountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }),
+  query('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  query('date').optional({ checkFalsy: true }).isISO8601(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const warning = await budgetService.checkExpenseAgainstBudget(req.query);
+    res.json({ success: true, data: { withinBudget: !warning, warning } });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error checking budget');
+  }
+});
+
+// @route   GET /api/budgets/:id
+// @desc    Get budget details
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_reports'),
+  ...validateBudgetId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const budget = await budgetService.getBudgetById(req.params.id);
+    res.json({ success: true, data: budget });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error fetching budget');
+  }
+});
+
+// @route   GET /api/budgets/:id/versions
+// @desc    Original budget and all its revisions
+// @access  Private
+router.get('/:id/versions', [
+  auth,
+  requirePermission('view_reports'),
+  ...validateBudgetId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const versions = await budgetService.getVersions(req.params.id);
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error fetching budget versions');
+  }
+});
+
+// @route   GET /api/budgets/:id/vs-actual
+// @desc    Budget vs actual by account and month (actuals from the ledger)
+// @access  Private
+router.get('/:id/vs-actual', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  ...validateBudgetId,
+  query('month').optional({ checkFalsy: true }).matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  query('accountCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await budgetService.getBudgetVsActual(req.params.id, req.query);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error generating budget vs actual report');
+  }
+});
+
+// @route   POST /api/budgets
+// @desc    Create a draft budget with per-account monthly phasing
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('create_expenses'),
+  sanitizeRequest,
+  body('name').isString().trim().notEmpty().withMessage('Budget name is required').isLength({ max: 200 }),
+  body('description').optional().isString().trim().isLength({ max: 1000 }),
+  body('period.startDate').isISO8601().withMessage('Valid start date is required'),
+  body('period.endDate').isISO8601().withMessage('Valid end date is required'),
+  body('period.type').optional().isIn(['monthly', 'quarterly', 'yearly', 'custom']),
+  body('budgetType').optional().isIn(['expense', 'revenue', 'full']),
+  body('items').isArray({ min: 1 }).withMessage('At least one budget line is required'),
+  ...budgetItemValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const budget = await budgetService.createBudget(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: budget,
+    });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error creating budget');
+  }
+});
+
+// @route   PUT /api/budgets/:id
+// @desc    Update a draft budget
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('edit_expenses'),
+  sanitizeRequest,
+  ...validateBudgetId,
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional().isString().trim().isLength({ max: 1000 }),
+  body('period.startDate').optional().isISO8601(),
+  body('period.endDate').optional().isISO8601(),
+  body('period.type').optional().isIn(['monthly', 'quarterly', 'yearly', 'custom']),
+  body('budgetType').optional().isIn(['expense', 'revenue', 'full']),
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one budget line is required'),
+  ...budgetItemValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const budget = await budgetService.updateBudget(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: budget,
+    });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error updating budget');
+  }
+});
+
+// @route   POST /api/budgets/:id/approve
+// @desc    Approve a draft budget (approving a revision archives the previous version)
+// @access  Private
+router.post('/:id/approve', [
+  auth,
+  requirePermission('approve_expenses'),
+  ...validateBudgetId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const budget = await budgetService.approveBudget(req.params.id, req.user);
+    res.json({
+      success: true,
+      message: 'Budget approved successfully',
+      data: budget,
+    });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error approving budget');
+  }
+});
+
+// @route   POST /api/budgets/:id/revise
+// @desc    Create a draft revision of an approved budget
+// @access  Private
+router.post('/:id/revise', [
+  auth,
+  requirePermission('edit_expenses'),
+  sanitizeRequest,
+  ...validateBudgetId,
+  body('reason').isString().trim().notEmpty().withMessage('Revision reason is required').isLength({ max: 500 }),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('items').optional().isArray({ min: 1 }),
+  ...budgetItemValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const revision = await budgetService.reviseBudget(req.params.id, req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Budget revision created successfully',
+      data: revision,
+    });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error revising budget');
+  }
+});
+
+// @route   POST /api/budgets/:id/copy
+// @desc    Copy a budget into a new period (defaults to the following year)
+// @access  Private
+router.post('/:id/copy', [
+  auth,
+  requirePermission('create_expenses'),
+  sanitizeRequest,
+  ...validateBudgetId,
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('adjustmentPercent').optional().isFloat({ min: -100, max: 1000 }).withMessage('Adjustment must be between -100 and 1000 percent'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const budget = await budgetService.copyBudget(req.params.id, req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Budget copied successfully',
+      data: budget,
+    });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error copying budget');
+  }
+});
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete a draft budget
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('delete_expenses'),
+  ...validateBudgetId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await budgetService.deleteBudget(req.params.id);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleBudgetError(res, error, 'Server error deleting budget');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const path = require('path');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors, sanitizeRequest } = require('../middleware/validation');
+const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
+const { getStartOfDayPakistan, getEndOfDayPakistan } = require('../utils/dateFilter');
+const cashFlowStatementService = require('../services/cashFlowStatementService');
+const cashFlowExportService = require('../services/cashFlowExportService');
+
+const router = express.Router();
+
+// @route   POST /api/cash-flow-statements/generate
+// @desc    Generate a cash flow statement (indirect or direct method) for a period
+// @access  Private (requires 'view_reports' permission)
+router.post('/generate', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('method').optional().isIn(['indirect', 'direct']).withMessage('Method must be indirect or direct'),
+  body('periodType').optional().isIn(['monthly', 'quarterly', 'yearly', 'custom']),
+  body('companyInfo').optional().isObject(),
+  body('calculateComparisons').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const {
+      method = 'indirect',
+      periodType = 'custom',
+      companyInfo = {},
+      calculateComparisons = true,
+    } = req.body;
+
+    const startDate = getStartOfDayPakistan(req.body.startDate);
+    const endDate = getEndOfDayPakistan(req.body.endDate);
+
+    if (startDate >= endDate) {
+      return res.status(400).json({ message: 'Start date must be before end date' });
+    }
+
+    const existingStatement = await cashFlowStatementService.findExistingStatement(startDate, endDate, method);
+
+    if (existingStatement && existingStatement.status === 'published') {
+      return res.status(400).json({
+        message: 'Cash flow statement already exists for this period',
+        statementId: existingStatement.statementId
+      });
+    }
+
+    const statement = await cashFlowStatementService.generateStatement({
+      startDate,
+      endDate,
+      type: periodType,
+    }, {
+      method,
+      companyInfo,
+      calculateComparisons,
+      userId: req.user._id,
+    });
+
+    res.status(201).json({
+      message: 'Cash flow statement generated successfully',
+      statement: {
+        _id: statement._id,
+        statementId: statement.statementId,
+        period: statement.period,
+        method: statement.cashFlow.method,
+        operating: statement.cashFlow.operating.total,
+        investing: statement.cashFlow.investing.total,
+        financing: statement.cashFlow.financing.total,
+        netChangeInCash: statement.cashFlow.netChangeInCash,
+        openingCash: statement.cashFlow.openingCash,
+        closingCash: statement.cashFlow.closingCash,
+        unreconciledDifference: statement.cashFlow.unreconciledDifference,
+        comparison: statement.cashFlow.comparison,
+        status: statement.status,
+        createdAt: statement.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error generating cash flow statement:', error);
+    res.status(500).json({ message: 'Server error generating cash flow statement', error: error.message });
+  }
+});
+
+// @route   GET /api/cash-flow-statements
+// @desc    Get list of cash flow statements with filters
+// @access  Private (requires 'view_reports' permission)
+router.get('/', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  query('page').optional({ checkFalsy: true }).isInt({ min: 1 }),
+  query('limit').optional({ checkFalsy: true }).isInt({ min: 1, max: 100 }),
+  ...validateDateParams,
+  query('method').optional({ checkFalsy: true }).isIn(['indirect', 'direct']),
+  query('periodType').optional({ checkFalsy: true }).isIn(['monthly', 'quarterly', 'yearly', 'custom']),
+  query('status').optional({ checkFalsy: true }).isIn(['draft', 'review', 'approved', 'published']),
+  handleValidationErrors,
+  processDateFilter('createdAt'),
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 10, method, periodType, status } = req.query;
+
+    const queryParams = { page, limit, method, periodType, status };
+
+    if (req.dateRange) {
+      queryParams.startDate = req.dateRange.startDate || undefined;
+      queryParams.endDate = req.dateRange.endDate || undefined;
+    }
+
+    const result = await cashFlowStatementService.getStatements(queryParams);
+
+    res.json({
+      statements: result.statements,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching cash flow statements:', error);
+    res.status(500).json({ message: 'Server error fetching cash flow statements', error: error.message });
+  }
+});
+
+// @route   GET /api/cash-flow-statements/:statementId
+// @desc    Get detailed cash flow statement
+// @access  Private (requires 'view_reports' permission)
+router.get('/:statementId', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  param('statementId').isMongoId().withMessage('Valid Statement ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await cashFlowStatementService.getStatementById(req.params.statementId);
+
+    res.json(statement);
+  } catch (error) {
+    if (error.message === 'Cash flow statement not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error fetching cash flow statement:', error);
+    res.status(500).json({ message: 'Server error fetching cash flow statement', error: error.message });
+  }
+});
+
+// @route   PUT /api/cash-flow-statements/:statementId/status
+// @desc    Update cash flow statement status
+// @access  Private (requires 'view_reports' permission)
+router.put('/:statementId/status', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  param('statementId').isMongoId().withMessage('Valid Statement ID is required'),
+  body('status').isIn(['draft', 'review', 'approved', 'published']).withMessage('Valid status is required'),
+  body('notes').optional().trim(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    const statement = await cashFlowStatementService.updateStatementStatus(req.params.statementId, status, req.user._id, notes);
+
+    res.json({
+      message: 'Cash flow statement status updated successfully',
+      statement
+    });
+  } catch (error) {
+    if (error.message === 'Cash flow statement not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error updating cash flow statement status:', error);
+    res.status(500).json({ message: 'Server error updating cash flow statement status', error: error.message });
+  }
+});
+
+// @route   DELETE /api/cash-flow-statements/:statementId
+// @desc    Delete a draft cash flow statement
+// @access  Private (requires 'view_reports' permission)
+router.delete('/:statementId', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  param('statementId').isMongoId().withMessage('Valid Statement ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await cashFlowStatementService.deleteStatement(req.params.statementId);
+
+    res.json({ message: result.message });
+  } catch (error) {
+    if (error.message === 'Cash flow statement not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Only draft statements can be deleted') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error deleting cash flow statement:', error);
+    res.status(500).json({ message: 'Server error deleting cash flow statement', error: error.message });
+  }
+});
+
+// @route   POST /api/cash-flow-statements/:statementId/export
+// @desc    Export cash flow statement to Excel or PDF
+// @access  Private (requires 'view_reports' permission)
+router.post('/:statementId/export', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  param('statementId').isMongoId().withMessage('Valid Statement ID is required'),
+  body('format').optional().isIn(['pdf', 'excel']),
+  body('purpose').optional().trim().isLength({ max: 500 }).withMessage('Purpose too long'),
+  body('recipient').optional().trim().isLength({ max: 200 }).withMessage('Recipient too long'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { statementId } = req.params;
+    const { format = 'pdf', purpose, recipient } = req.body;
+
+    const statement = await cashFlowStatementService.getStatementById(statementId);
+
+    const FinancialStatementExport = require('../models/FinancialStatementExport');
+    const exportRecord = new FinancialStatementExport({
+      statementId: statement._id,
+      statementType: 'cash_flow',
+      exportedBy: req.user._id,
+      format: format.toLowerCase(),
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      purpose: purpose || 'Internal review',
+      recipient: recipient || null,
+      approvalRequired: false
+    });
+    await exportRecord.save();
+
+    const exportResult = format === 'excel'
+      ? await cashFlowExportService.exportToExcel(statementId)
+      : await cashFlowExportService.exportToPDF(statementId);
+
+    const fileBuffer = await require('fs').promises.readFile(exportResult.filepath);
+    exportRecord.fileSize = fileBuffer.length;
+    exportRecord.fileHash = FinancialStatementExport.calculateFileHash(fileBuffer);
+    exportRecord.downloadUrl = `/api/cash-flow-statements/${statementId}/download?format=${format}&exportId=${exportRecord._id}`;
+    await exportRecord.save();
+
+    const auditLogService = require('../services/auditLogService');
+    await auditLogService.logActivity(
+      req.user._id,
+      'FinancialStatement',
+      statementId,
+      'export',
+      `Exported cash flow statement as ${format.toUpperCase()}`,
+      null,
+      { exportId: exportRecord._id, format: format.toLowerCase(), purpose, recipient },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Cash flow statement exported successfully',
+      export: {
+        exportId: exportRecord._id,
+        filename: exportResult.filename,
+        format: exportResult.format,
+        size: exportResult.size,
+        downloadUrl: exportRecord.downloadUrl,
+        exportedAt: exportRecord.exportedAt
+      },
+    });
+  } catch (error) {
+    if (error.message === 'Cash flow statement not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error exporting cash flow statement:', error);
+    res.status(500).json({ message: 'Server error exporting cash flow statement', error: error.message });
+  }
+});
+
+// @route   GET /api/cash-flow-statements/:statementId/download
+// @desc    Download an exported cash flow statement file
+// @access  Private (requires 'view_reports' permission)
+router.get('/:statementId/download', [
+  auth,
+  requirePermission('view_reports'),
+  sanitizeRequest,
+  param('statementId').isMongoId().withMessage('Valid Statement ID is required'),
+  query('format').optional().isIn(['pdf', 'excel']),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+
+    const statement = await cashFlowStatementService.getStatementById(req.params.statementId);
+
+    const filename = cashFlowExportService.getExportFilename(statement, format);
+    const filepath = path.join(cashFlowExportService.exportDir, filename);
+
+    const fs = require('fs');
+    if (!fs.existsSync(filepath)) {
+      return res.status(404).json({ message: 'Export file not found. Please generate the export first.' });
+    }
+
+    const mimeTypes = {
+      pdf: 'application/pdf',
+      excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    };
+
+    res.setHeader('Content-Type', mimeTypes[format] || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const fileStream = fs.createReadStream(filepath);
+    fileStream.pipe(res);
+
+    fileStream.on('error', (error) => {
+      console.error('Error streaming file:', error);
+      res.status(500).json({ message: 'Error downloading file' });
+    });
+  } catch (error) {
+    if (error.message === 'Cash flow statement not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error downloading cash flow statement:', error);
+    res.status(500).json({ message: 'Server error downloading cash flow statement', error: error.message });
+  }
+});
+
+module.exports = router;
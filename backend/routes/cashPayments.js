@@ -5,12 +5,17 @@ const { auth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const CashPayment = require('../models/CashPayment'); // Still needed for new CashPayment() and static methods
+const withholdingTaxService = require('../services/withholdingTaxService');
 const Sales = require('../models/Sales'); // Still needed for model reference in populate
 const cashPaymentRepository = require('../repositories/CashPaymentRepository');
 const supplierRepository = require('../repositories/SupplierRepository');
 const customerRepository = require('../repositories/CustomerRepository');
 const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
 const salesRepository = require('../repositories/SalesRepository');
+const budgetService = require('../services/budgetService');
+const currencyService = require('../services/currencyService');
+const payablesService = require('../services/payablesService');
+const AccountingService = require('../services/accountingService');
 
 // @route   GET /api/cash-payments
 // @desc    Get all cash payments with filtering and pagination
@@ -129,7 +134,12 @@ router.post('/', [
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('paymentMethod').optional().isIn(['cash', 'check', 'other']).withMessage('Invalid payment method'),
   body('expenseAccount').optional().isMongoId().withMessage('Invalid expense account ID'),
-  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  body('currency').optional({ checkFalsy: true }).isString().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be greater than 0'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('withholding.apply').optional().isBoolean().withMessage('withholding.apply must be true or false'),
+  body('withholding.transactionType').optional({ checkFalsy: true }).isIn(withholdingTaxService.getTransactionTypes()).withMessage('Invalid withholding transaction type'),
+  body('withholding.rate').optional({ checkFalsy: true }).isFloat({ min: 0, max: 1 }).withMessage('Withholding rate must be a fraction between 0 and 1')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -213,6 +223,57 @@ router.post('/', [
       expenseAccount: expenseAccountDoc ? expenseAccountDoc._id : null
     };
 
+    // Cash paid out in a foreign currency is entered in that currency
+    const withholdingOptions = req.body.withholding || {};
+    try {
+      if (await currencyService.convertVoucher(cashPaymentData, { currency: req.body.currency, exchangeRate: req.body.exchangeRate })) {
+        if (withholdingOptions.apply && withholdingOptions.apply !== 'false') {
+          throw new Error('Cannot withhold tax on a foreign-currency cash payment');
+        }
+        withholdingOptions.apply = false;
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Warn (without blocking) when the expense would exceed the remaining budget for its account
+    let budgetWarning = null;
+    if (expenseAccountDoc) {
+      try {
+        budgetWarning = await budgetService.checkExpenseAgainstBudget({
+          expenseAccount: expenseAccountDoc._id,
+          amount: cashPaymentData.amount,
+          date: cashPaymentData.date
+        });
+      } catch (error) {
+        console.error('Error checking budget for cash payment:', error);
+      }
+    }
+
+    // Split off tax withheld from the supplier: the voucher carries the net paid,
+    // balances are still settled with the gross amount
+    try {
+      await withholdingTaxService.applyToVoucher(cashPaymentData, 'payments', withholdingOptions);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Ledger posting after the save does not fail the request, so a closed period is refused here
+    try {
+      await AccountingService.assertPostingPeriodOpen(cashPaymentData.date, 'cash payment');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const cashPayment = new CashPayment(cashPaymentData);
     await cashPayment.save();
 
@@ -220,7 +281,11 @@ router.post('/', [
     if (supplier && amount > 0) {
       try {
         const SupplierBalanceService = require('../services/supplierBalanceService');
-        await SupplierBalanceService.recordPayment(supplier, amount, order);
+        // Foreign payments clear the supplier's invoices at the rates they were booked at
+        const settledAmount = cashPayment.currency
+          ? await payablesService.settleForeignPayment(cashPayment, req.user)
+          : amount;
+        await SupplierBalanceService.recordPayment(supplier, settledAmount, order);
       } catch (error) {
         console.error('Error updating supplier balance for cash payment:', error);
         // Don't fail the cash payment creation if balance update fails
@@ -234,7 +299,7 @@ router.post('/', [
     if (customer && amount > 0) {
       try {
         const CustomerBalanceService = require('../services/customerBalanceService');
-        await CustomerBalanceService.recordRefund(customer, amount, order);
+        await CustomerBalanceService.recordRefund(customer, cashPayment.currency ? cashPayment.amount : amount, order);
       } catch (error) {
         console.error('Error updating customer balance for cash payment:', error);
         // Don't fail the cash payment creation if balance update fails
@@ -243,7 +308,6 @@ router.post('/', [
 
     // Create accounting entries
     try {
-      const AccountingService = require('../services/accountingService');
       await AccountingService.recordCashPayment(cashPayment);
     } catch (error) {
       console.error('Error creating accounting entries for cash payment:', error);
@@ -262,7 +326,8 @@ router.post('/', [
     res.status(201).json({
       success: true,
       message: 'Cash payment created successfully',
-      data: cashPayment
+      data: cashPayment,
+      budgetWarning: budgetWarning || undefined
     });
   } catch (error) {
     console.error('Create cash payment error:', error);
@@ -366,6 +431,26 @@ router.put('/:id', [
       expenseAccount
     } = req.body;
 
+    // Tax withheld was worked out on the original amount; re-enter the voucher to change it
+    if (cashPayment.withholding?.amount > 0 && amount !== undefined && parseFloat(amount) !== cashPayment.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount of a cash payment with tax withheld; delete it and enter a new one'
+      });
+    }
+
+    // Foreign-currency payments were converted and settled against invoices at the rate of their date
+    if (cashPayment.currency && (
+      (amount !== undefined && parseFloat(amount) !== cashPayment.amount) ||
+      (date !== undefined && new Date(date).getTime() !== cashPayment.date.getTime()) ||
+      (supplier !== undefined && String(supplier || '') !== String(cashPayment.supplier || ''))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount, date or supplier of a foreign-currency cash payment; delete it and enter a new one'
+      });
+    }
+
     // Update fields
     if (date !== undefined) cashPayment.date = new Date(date);
     if (amount !== undefined) cashPayment.amount = parseFloat(amount);
@@ -6,9 +6,11 @@ const { handleValidationErrors } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const cashReceiptService = require('../services/cashReceiptService');
 const CashReceipt = require('../models/CashReceipt'); // Still needed for create/update operations
+const withholdingTaxService = require('../services/withholdingTaxService');
 const Sales = require('../models/Sales');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
+const AccountingService = require('../services/accountingService');
 
 // @route   GET /api/cash-receipts
 // @desc    Get all cash receipts with filtering and pagination
@@ -157,7 +159,11 @@ router.post('/', [
   body('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
   body('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid supplier ID'),
   body('paymentMethod').optional().isIn(['cash', 'check', 'bank_transfer', 'other']).withMessage('Invalid payment method'),
-  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('withholding.apply').optional().isBoolean().withMessage('withholding.apply must be true or false'),
+  body('withholding.transactionType').optional({ checkFalsy: true }).isIn(withholdingTaxService.getTransactionTypes()).withMessage('Invalid withholding transaction type'),
+  body('withholding.rate').optional({ checkFalsy: true }).isFloat({ min: 0, max: 1 }).withMessage('Withholding rate must be a fraction between 0 and 1'),
+  body('withholding.certificateNumber').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }).withMessage('Certificate number must be less than 50 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -222,6 +228,27 @@ router.post('/', [
       createdBy: req.user._id
     };
 
+    // Split off tax the customer withheld: the voucher carries the net received,
+    // balances are still settled with the gross amount
+    try {
+      await withholdingTaxService.applyToVoucher(cashReceiptData, 'receipts', req.body.withholding || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Ledger posting after the save does not fail the request, so a closed period is refused here
+    try {
+      await AccountingService.assertPostingPeriodOpen(cashReceiptData.date, 'cash receipt');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const cashReceipt = new CashReceipt(cashReceiptData);
     await cashReceipt.save();
 
@@ -250,7 +277,6 @@ router.post('/', [
 
     // Create accounting entries
     try {
-      const AccountingService = require('../services/accountingService');
       await AccountingService.recordCashReceipt(cashReceipt);
     } catch (error) {
       console.error('Error creating accounting entries for cash receipt:', error);
@@ -328,6 +354,14 @@ router.put('/:id', [
       notes
     } = req.body;
 
+    // Tax withheld was worked out on the original amount; re-enter the voucher to change it
+    if (cashReceipt.withholding?.amount > 0 && amount !== undefined && parseFloat(amount) !== cashReceipt.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the amount of a cash receipt with tax withheld; delete it and enter a new one'
+      });
+    }
+
     // Update fields
     if (date !== undefined) cashReceipt.date = new Date(date);
     if (amount !== undefined) cashReceipt.amount = parseFloat(amount);
@@ -490,10 +524,18 @@ router.post('/batch', [
       });
     }
 
+    try {
+      await AccountingService.assertPostingPeriodOpen(new Date(voucherDate), 'cash receipt');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     // Create cash receipts
     const createdReceipts = [];
     const CustomerBalanceService = require('../services/customerBalanceService');
-    const AccountingService = require('../services/accountingService');
 
     for (const receiptData of receipts) {
       if (!receiptData.amount || receiptData.amount <= 0) {
@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const chequeService = require('../services/chequeService');
+
+const router = express.Router();
+
+const CHEQUE_STATUSES = ['in_hand', 'issued', 'deposited', 'cleared', 'bounced', 'returned', 'cancelled'];
+
+const validateChequeId = [
+  param('id').isMongoId().withMessage('Valid cheque ID is required'),
+];
+
+const validateStatusChange = [
+  ...validateChequeId,
+  body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Date must be a valid date'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+];
+
+// Map service errors to HTTP responses
+const handleChequeError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/cheques
+// @desc    List cheques in the register
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_cheques'),
+  sanitizeRequest,
+  query('direction').optional({ checkFalsy: true }).isIn(['received', 'issued']),
+  query('status').optional({ checkFalsy: true }).isIn(CHEQUE_STATUSES),
+  query('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
+  query('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid supplier ID'),
+  query('bank').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid bank ID'),
+  query('dueFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid due from date'),
+  query('dueTo').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid due to date'),
+  query('search').optional({ checkFalsy: true }).isString().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await chequeService.getCheques(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error fetching cheques');
+  }
+});
+
+// @route   GET /api/cheques/dashboard
+// @desc    Due-cheques dashboard: overdue, due today, upcoming, awaiting clearance and bounced
+// @access  Private
+router.get('/dashboard', [
+  auth,
+  requirePermission('view_cheques'),
+  query('days').optional({ checkFalsy: true }).isInt({ min: 1, max: 90 }).withMessage('Days must be 1-90'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const dashboard = await chequeService.getDueDashboard({ days: req.query.days });
+    res.json({ success: true, data: dashboard });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error fetching cheque dashboard');
+  }
+});
+
+// @route   GET /api/cheques/:id
+// @desc    Get a cheque with its status history and linked records
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_cheques'),
+  ...validateChequeId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.getChequeById(req.params.id);
+    res.json({ success: true, data: cheque });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error fetching cheque');
+  }
+});
+
+// @route   POST /api/cheques
+// @desc    Register a received or issued cheque
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('create_cheques'),
+  sanitizeRequest,
+  body('direction').isIn(['received', 'issued']).withMessage('Direction must be received or issued'),
+  body('chequeNumber').trim().notEmpty().withMessage('Cheque number is required').isLength({ max: 50 }),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero'),
+  body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Date must be a valid date'),
+  body('dueDate').isISO8601().withMessage('Valid cheque due date is required'),
+  body('drawerBank').optional().isString().trim().isLength({ max: 200 }),
+  body('drawerBankBranch').optional().isString().trim().isLength({ max: 200 }),
+  body('accountTitle').optional().isString().trim().isLength({ max: 200 }),
+  body('payee').optional().isString().trim().isLength({ max: 200 }),
+  body('bank').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid bank ID'),
+  body('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
+  body('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid supplier ID'),
+  body('expenseAccount').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid expense account ID'),
+  body('order').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid order ID'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.createCheque(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Cheque registered successfully',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error registering cheque');
+  }
+});
+
+// @route   PUT /api/cheques/:id
+// @desc    Update cheque details (drawer bank, title, payee, due date, notes)
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('edit_cheques'),
+  sanitizeRequest,
+  ...validateChequeId,
+  body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Due date must be a valid date'),
+  body('drawerBank').optional().isString().trim().isLength({ max: 200 }),
+  body('drawerBankBranch').optional().isString().trim().isLength({ max: 200 }),
+  body('accountTitle').optional().isString().trim().isLength({ max: 200 }),
+  body('payee').optional().isString().trim().isLength({ max: 200 }),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.updateCheque(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Cheque updated successfully',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error updating cheque');
+  }
+});
+
+// @route   POST /api/cheques/:id/deposit
+// @desc    Deposit a received cheque (or re-present a bounced one)
+// @access  Private
+router.post('/:id/deposit', [
+  auth,
+  requirePermission('edit_cheques'),
+  sanitizeRequest,
+  ...validateStatusChange,
+  body('bank').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid bank ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.depositCheque(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Cheque deposited',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error depositing cheque');
+  }
+});
+
+// @route   POST /api/cheques/:id/clear
+// @desc    Mark a cheque as cleared and create the matching bank voucher
+// @access  Private
+router.post('/:id/clear', [
+  auth,
+  requirePermission('edit_cheques'),
+  sanitizeRequest,
+  ...validateStatusChange,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.clearCheque(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Cheque cleared',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error clearing cheque');
+  }
+});
+
+// @route   POST /api/cheques/:id/bounce
+// @desc    Record a bounced cheque, reverse the payment and optionally charge a penalty
+// @access  Private
+router.post('/:id/bounce', [
+  auth,
+  requirePermission('edit_cheques'),
+  sanitizeRequest,
+  ...validateStatusChange,
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('penaltyAmount').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Penalty amount must be zero or more'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.bounceCheque(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: parseFloat(req.body.penaltyAmount) > 0
+        ? 'Cheque marked as bounced, payment reversed and penalty charged'
+        : 'Cheque marked as bounced and payment reversed',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error recording bounced cheque');
+  }
+});
+
+// @route   POST /api/cheques/:id/return
+// @desc    Return a received cheque to the customer
+// @access  Private
+router.post('/:id/return', [
+  auth,
+  requirePermission('edit_cheques'),
+  sanitizeRequest,
+  ...validateStatusChange,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.returnCheque(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Cheque returned',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error returning cheque');
+  }
+});
+
+// @route   POST /api/cheques/:id/cancel
+// @desc    Cancel a cheque and reverse its posting
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  requirePermission('edit_cheques'),
+  sanitizeRequest,
+  ...validateStatusChange,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const cheque = await chequeService.cancelCheque(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Cheque cancelled',
+      data: cheque
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error cancelling cheque');
+  }
+});
+
+// @route   DELETE /api/cheques/:id
+// @desc    Delete a cancelled or returned cheque
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('delete_cheques'),
+  ...validateChequeId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    await chequeService.deleteCheque(req.params.id);
+    res.json({
+      success: true,
+      message: 'Cheque deleted successfully'
+    });
+  } catch (error) {
+    handleChequeError(res, error, 'Server error deleting cheque');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const currencyService = require('../services/currencyService');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handleCurrencyError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const currencyCode = (location, field) => location(field)
+  .trim()
+  .isAlpha()
+  .isLength({ min: 3, max: 3 })
+  .withMessage('Currency must be a three-letter code');
+
+// @route   GET /api/currencies
+// @desc    List currencies with their current exchange rate
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_currencies'),
+  query('isActive').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await currencyService.getCurrencies(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error fetching currencies');
+  }
+});
+
+// @route   POST /api/currencies
+// @desc    Add a currency
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('manage_currencies'),
+  sanitizeRequest,
+  currencyCode(body, 'code'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Currency name is required'),
+  body('symbol').optional().isString().trim().isLength({ max: 10 }),
+  body('decimalPlaces').optional().isInt({ min: 0, max: 4 }).withMessage('Decimal places must be 0-4'),
+  body('isActive').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const currency = await currencyService.createCurrency(req.body, req.user);
+    res.status(201).json({ success: true, message: 'Currency added', data: currency });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error adding currency');
+  }
+});
+
+// @route   GET /api/currencies/convert
+// @desc    Convert an amount to the base currency at the rate in force on a date
+// @access  Private
+router.get('/convert', [
+  auth,
+  requirePermission('view_currencies'),
+  sanitizeRequest,
+  query('amount').isFloat().withMessage('Amount must be a number'),
+  currencyCode(query, 'currency'),
+  query('date').optional({ checkFalsy: true }).isISO8601().withMessage('Date must be a valid date'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await currencyService.convert(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error converting amount');
+  }
+});
+
+// @route   GET /api/currencies/suppliers/:supplierId/ledger
+// @desc    Supplier ledger in the supplier's invoice currency with base equivalents
+// @access  Private
+router.get('/suppliers/:supplierId/ledger', [
+  auth,
+  requirePermission('view_currencies'),
+  sanitizeRequest,
+  param('supplierId').isMongoId().withMessage('Valid supplier ID is required'),
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('End date must be a valid date'),
+  query('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const ledger = await currencyService.getSupplierCurrencyLedger(req.params.supplierId, req.query);
+    res.json({ success: true, data: ledger });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error building supplier currency ledger');
+  }
+});
+
+// @route   GET /api/currencies/revaluations
+// @desc    List period-end revaluations
+// @access  Private
+router.get('/revaluations', [
+  auth,
+  requirePermission('view_currencies'),
+  query('status').optional({ checkFalsy: true }).isIn(['posted', 'reversed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await currencyService.getRevaluations(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error fetching revaluations');
+  }
+});
+
+// @route   GET /api/currencies/revaluations/preview
+// @desc    Unrealised exchange differences on open foreign-currency invoices at a date
+// @access  Private
+router.get('/revaluations/preview', [
+  auth,
+  requirePermission('view_currencies'),
+  sanitizeRequest,
+  query('revaluationDate').optional({ checkFalsy: true }).isISO8601().withMessage('Revaluation date must be a valid date'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const preview = await currencyService.previewRevaluation(req.query);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error previewing revaluation');
+  }
+});
+
+// @route   POST /api/currencies/revaluations
+// @desc    Post the period-end unrealised revaluation journal
+// @access  Private
+router.post('/revaluations', [
+  auth,
+  requirePermission('run_currency_revaluation'),
+  sanitizeRequest,
+  body('revaluationDate').optional({ checkFalsy: true }).isISO8601().withMessage('Revaluation date must be a valid date'),
+  body('autoReverse').optional().isBoolean().toBoolean(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const revaluation = await currencyService.runRevaluation(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: `Revaluation posted as ${revaluation.journalVoucherNumber}`,
+      data: revaluation
+    });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error posting revaluation');
+  }
+});
+
+// @route   GET /api/currencies/revaluations/:id
+// @desc    Get a revaluation with its invoice lines
+// @access  Private
+router.get('/revaluations/:id', [
+  auth,
+  requirePermission('view_currencies'),
+  param('id').isMongoId().withMessage('Valid revaluation ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const revaluation = await currencyService.getRevaluationById(req.params.id);
+    res.json({ success: true, data: revaluation });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error fetching revaluation');
+  }
+});
+
+// @route   POST /api/currencies/revaluations/:id/reverse
+// @desc    Reverse a revaluation that was not reversed automatically
+// @access  Private
+router.post('/revaluations/:id/reverse', [
+  auth,
+  requirePermission('run_currency_revaluation'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Valid revaluation ID is required'),
+  body('reversalDate').optional({ checkFalsy: true }).isISO8601().withMessage('Reversal date must be a valid date'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const revaluation = await currencyService.reverseRevaluation(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: `Revaluation reversed by ${revaluation.reversalVoucherNumber}`,
+      data: revaluation
+    });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error reversing revaluation');
+  }
+});
+
+// @route   PUT /api/currencies/:id
+// @desc    Update a currency
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('manage_currencies'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Valid currency ID is required'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('symbol').optional().isString().trim().isLength({ max: 10 }),
+  body('decimalPlaces').optional().isInt({ min: 0, max: 4 }).withMessage('Decimal places must be 0-4'),
+  body('isActive').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const currency = await currencyService.updateCurrency(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Currency updated', data: currency });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error updating currency');
+  }
+});
+
+// @route   GET /api/currencies/:id/rates
+// @desc    Exchange rate history for a currency
+// @access  Private
+router.get('/:id/rates', [
+  auth,
+  requirePermission('view_currencies'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Valid currency ID is required'),
+  query('fromDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid from date'),
+  query('toDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid to date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await currencyService.getRates(req.params.id, req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error fetching exchange rates');
+  }
+});
+
+// @route   POST /api/currencies/:id/rates
+// @desc    Set the exchange rate for a day (base currency units per one unit)
+// @access  Private
+router.post('/:id/rates', [
+  auth,
+  requirePermission('manage_currencies'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Valid currency ID is required'),
+  body('rateDate').optional({ checkFalsy: true }).isISO8601().withMessage('Rate date must be a valid date'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be greater than zero'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const rate = await currencyService.setRate(req.params.id, req.body, req.user);
+    res.status(201).json({ success: true, message: 'Exchange rate saved', data: rate });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error saving exchange rate');
+  }
+});
+
+// @route   DELETE /api/currencies/:id/rates/:rateId
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/:id/rates/:rateId', [
+  auth,
+  requirePermission('manage_currencies'),
+  param('id').isMongoId().withMessage('Valid currency ID is required'),
+  param('rateId').isMongoId().withMessage('Valid rate ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    await currencyService.deleteRate(req.params.id, req.params.rateId);
+    res.json({ success: true, message: 'Exchange rate deleted' });
+  } catch (error) {
+    handleCurrencyError(res, error, 'Server error deleting exchange rate');
+  }
+});
+
+module.exports = router;
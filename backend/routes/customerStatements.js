@@ -0,0 +1,197 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const customerStatementService = require('../services/customerStatementService');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handleStatementError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const sendPdf = (res, { filename, filepath }) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const fileStream = fs.createReadStream(filepath);
+  fileStream.pipe(res);
+  fileStream.on('error', (error) => {
+    console.error('Error streaming statement file:', error);
+    res.status(500).json({ success: false, message: 'Error downloading file' });
+  });
+};
+
+const periodValidators = (location) => [
+  location('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Start date must be a valid date'),
+  location('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('End date must be a valid date'),
+];
+
+// @route   POST /api/customer-statements/bulk
+// @desc    Generate statements for all active customers with a balance above minBalance (runs in the background)
+// @access  Private
+router.post('/bulk', [
+  auth,
+  requirePermission('send_customer_statements'),
+  sanitizeRequest,
+  ...periodValidators(body),
+  body('minBalance').optional({ checkFalsy: true }).isFloat().withMessage('Minimum balance must be a number'),
+  body('delivery').optional().isIn(['download', 'email']).withMessage('Delivery must be download or email'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const batch = await customerStatementService.runBulkStatements(req.body, req.user);
+    res.status(202).json({
+      success: true,
+      message: 'Statement generation started',
+      data: batch
+    });
+  } catch (error) {
+    handleStatementError(res, error, 'Server error starting statement batch');
+  }
+});
+
+// @route   GET /api/customer-statements/bulk
+// @desc    List statement batches
+// @access  Private
+router.get('/bulk', [
+  auth,
+  requirePermission('view_customer_balance'),
+  query('status').optional({ checkFalsy: true }).isIn(['queued', 'processing', 'completed', 'failed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await customerStatementService.getBatches(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleStatementError(res, error, 'Server error fetching statement batches');
+  }
+});
+
+// @route   GET /api/customer-statements/bulk/:id
+// @desc    Get a statement batch with per-customer results
+// @access  Private
+router.get('/bulk/:id', [
+  auth,
+  requirePermission('view_customer_balance'),
+  param('id').isMongoId().withMessage('Valid statement batch ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const batch = await customerStatementService.getBatchById(req.params.id);
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    handleStatementError(res, error, 'Server error fetching statement batch');
+  }
+});
+
+// @route   GET /api/customer-statements/bulk/:id/download
+// @desc    Download all statements of a batch as one PDF
+// @access  Private
+router.get('/bulk/:id/download', [
+  auth,
+  requirePermission('view_customer_balance'),
+  param('id').isMongoId().withMessage('Valid statement batch ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    sendPdf(res, await customerStatementService.getBatchFile(req.params.id));
+  } catch (error) {
+    handleStatementError(res, error, 'Server error downloading statements');
+  }
+});
+
+// @route   GET /api/customer-statements/bulk/:id/customers/:customerId/download
+// @desc    Download one customer's statement from a batch
+// @access  Private
+router.get('/bulk/:id/customers/:customerId/download', [
+  auth,
+  requirePermission('view_customer_balance'),
+  param('id').isMongoId().withMessage('Valid statement batch ID is required'),
+  param('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    sendPdf(res, await customerStatementService.getBatchFile(req.params.id, req.params.customerId));
+  } catch (error) {
+    handleStatementError(res, error, 'Server error downloading statement');
+  }
+});
+
+// @route   GET /api/customer-statements/:customerId
+// @desc    Customer statement of account (opening balance, transactions, closing balance, aging)
+// @access  Private
+router.get('/:customerId', [
+  auth,
+  requirePermission('view_customer_balance'),
+  sanitizeRequest,
+  param('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  ...periodValidators(query),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await customerStatementService.buildStatement(req.params.customerId, req.query);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleStatementError(res, error, 'Server error building customer statement');
+  }
+});
+
+// @route   GET /api/customer-statements/:customerId/pdf
+// @desc    Download a customer's statement of account as PDF
+// @access  Private
+router.get('/:customerId/pdf', [
+  auth,
+  requirePermission('view_customer_balance'),
+  sanitizeRequest,
+  param('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  ...periodValidators(query),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    sendPdf(res, await customerStatementService.generateStatementPdf(req.params.customerId, req.query));
+  } catch (error) {
+    handleStatementError(res, error, 'Server error generating customer statement');
+  }
+});
+
+// @route   POST /api/customer-statements/:customerId/email
+// @desc    Email a customer's statement of account as a PDF attachment
+// @access  Private
+router.post('/:customerId/email', [
+  auth,
+  requirePermission('send_customer_statements'),
+  sanitizeRequest,
+  param('customerId').isMongoId().withMessage('Valid customer ID is required'),
+  ...periodValidators(body),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await customerStatementService.emailStatement(req.params.customerId, req.body, req.user);
+    res.json({
+      success: true,
+      message: `Statement queued for ${result.email}`,
+      data: result
+    });
+  } catch (error) {
+    handleStatementError(res, error, 'Server error emailing customer statement');
+  }
+});
+
+module.exports = router;
@@ -507,6 +507,9 @@ router.put('/:id', [
   body('customerTier').optional().isIn(['bronze', 'silver', 'gold', 'platinum']),
   body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit must be a positive number'),
   body('openingBalance').optional().isFloat().withMessage('Opening balance must be a valid number'),
+  body('withholdingTax.applicable').optional().isBoolean(),
+  body('withholdingTax.rates.*.rate').optional().isFloat({ min: 0, max: 1 }).withMessage('Withholding rates must be fractions between 0 and 1'),
+  body('withholdingTax.exemptUntil').optional({ checkFalsy: true }).isISO8601().withMessage('Exemption end date must be a valid date'),
   body('status').optional().isIn(['active', 'inactive', 'suspended'])
 ], async (req, res) => {
   try {
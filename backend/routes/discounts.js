@@ -4,9 +4,33 @@ const { auth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors, sanitizeRequest } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const discountService = require('../services/discountService');
+const promotionService = require('../services/promotionService');
+const customerRepository = require('../repositories/CustomerRepository');
+const Discount = require('../models/Discount');
 
 const router = express.Router();
 
+const DISCOUNT_TYPES = [...Discount.DISCOUNT_TYPES, ...Discount.PROMOTION_TYPES];
+
+// Promotion terms and stacking, shared by create and update
+const promotionValidators = [
+  body('promotion.buyQuantity').optional().isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+  body('promotion.getQuantity').optional().isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+  body('promotion.getDiscountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Get discount must be 0-100%'),
+  body('promotion.bundleQuantity').optional().isInt({ min: 2 }).withMessage('Bundle quantity must be at least 2'),
+  body('promotion.bundlePrice').optional().isFloat({ min: 0 }).withMessage('Bundle price must be non-negative'),
+  body('promotion.tiers').optional().isArray(),
+  body('promotion.tiers.*.minimumSpend').isFloat({ min: 0 }).withMessage('Tier minimum spend must be non-negative'),
+  body('promotion.tiers.*.type').isIn(Discount.DISCOUNT_TYPES).withMessage('Tier type must be percentage or fixed_amount'),
+  body('promotion.tiers.*.value').isFloat({ min: 0 }).withMessage('Tier value must be non-negative'),
+  body('promotion.freeProduct').optional({ checkFalsy: true }).isMongoId().withMessage('Valid free product is required'),
+  body('promotion.freeQuantity').optional().isInt({ min: 1 }).withMessage('Free quantity must be at least 1'),
+  body('autoApply').optional().isBoolean(),
+  body('combinableWithOtherDiscounts').optional().isBoolean(),
+  body('combinableDiscounts').optional().isArray(),
+  body('combinableDiscounts.*').isMongoId().withMessage('Valid combinable discount is required'),
+];
+
 // @route   POST /api/discounts
 // @desc    Create a new discount
 // @access  Private (requires 'manage_discounts' permission)
@@ -16,8 +40,8 @@ router.post('/', [
   sanitizeRequest,
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be 1-100 characters'),
   body('code').trim().isLength({ min: 1, max: 20 }).matches(/^[A-Z0-9-_]+$/).withMessage('Valid code is required (uppercase letters, numbers, hyphens, underscores)'),
-  body('type').isIn(['percentage', 'fixed_amount']).withMessage('Type must be percentage or fixed_amount'),
-  body('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  body('type').isIn(DISCOUNT_TYPES).withMessage(`Type must be one of ${DISCOUNT_TYPES.join(', ')}`),
+  body('value').if(body('type').isIn(Discount.DISCOUNT_TYPES)).isFloat({ min: 0 }).withMessage('Value must be a positive number'),
   body('validFrom').isISO8601().toDate().withMessage('Valid from date is required'),
   body('validUntil').isISO8601().toDate().withMessage('Valid until date is required'),
   body('applicableTo').optional().isIn(['all', 'products', 'categories', 'customers']).withMessage('Invalid applicable to value'),
@@ -26,6 +50,7 @@ router.post('/', [
   body('minimumOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order amount must be non-negative'),
   body('maximumDiscount').optional().isFloat({ min: 0 }).withMessage('Maximum discount must be non-negative'),
   body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
+  ...promotionValidators,
   handleValidationErrors,
 ], async (req, res) => {
   try {
@@ -51,7 +76,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('search').optional({ checkFalsy: true }).trim(),
-  query('type').optional({ checkFalsy: true }).isIn(['percentage', 'fixed_amount']),
+  query('type').optional({ checkFalsy: true }).isIn(DISCOUNT_TYPES),
   query('status').optional({ checkFalsy: true }).isIn(['active', 'inactive', 'scheduled', 'expired', 'exhausted']),
   query('isActive').optional({ checkFalsy: true }).isBoolean(),
   query('validFrom').optional({ checkFalsy: true }).isISO8601().toDate(),
@@ -123,10 +148,11 @@ router.put('/:discountId', [
   param('discountId').isMongoId().withMessage('Valid Discount ID is required'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
   body('code').optional().trim().isLength({ min: 1, max: 20 }).matches(/^[A-Z0-9-_]+$/).withMessage('Valid code is required'),
-  body('type').optional().isIn(['percentage', 'fixed_amount']).withMessage('Type must be percentage or fixed_amount'),
+  body('type').optional().isIn(DISCOUNT_TYPES).withMessage(`Type must be one of ${DISCOUNT_TYPES.join(', ')}`),
   body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
   body('validFrom').optional().isISO8601().toDate().withMessage('Valid from date is required'),
   body('validUntil').optional().isISO8601().toDate().withMessage('Valid until date is required'),
+  ...promotionValidators,
   handleValidationErrors,
 ], async (req, res) => {
   try {
@@ -301,6 +327,37 @@ router.post('/check-applicable', [
   }
 });
 
+// @route   POST /api/discounts/promotions/preview
+// @desc    Promotions a till cart gets, with the saving per line and why others didn't apply
+// @access  Private
+router.post('/promotions/preview', [
+  auth,
+  sanitizeRequest,
+  body('items').isArray().withMessage('Items must be an array'),
+  body('items.*.product').isMongoId().withMessage('Valid product is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be non-negative'),
+  body('items.*.discountAmount').optional().isFloat({ min: 0 }),
+  body('customer').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid customer is required'),
+  body('codes').optional().isArray(),
+  body('codes.*').isString().trim().isLength({ min: 1, max: 20 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { items, customer, codes } = req.body;
+    const customerData = customer ? await customerRepository.findById(customer) : null;
+    if (customer && !customerData) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const preview = await promotionService.evaluate({ items, customer: customerData, codes });
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Error previewing promotions:', error);
+    res.status(500).json({ message: 'Server error previewing promotions', error: error.message });
+  }
+});
+
 // @route   GET /api/discounts/code/:code
 // @desc    Get discount by code
 // @access  Private (requires 'view_discounts' permission)
@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const fiscalYearCloseService = require('../services/fiscalYearCloseService');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handleFiscalYearError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const fiscalYear = (location) => location('fiscalYear')
+  .optional({ checkFalsy: true })
+  .isInt({ min: 2000, max: 2100 })
+  .withMessage('Fiscal year must be the year in which it starts');
+
+// @route   GET /api/fiscal-years/closes
+// @desc    List fiscal year closes
+// @access  Private
+router.get('/closes', [
+  auth,
+  requirePermission('view_year_end_close'),
+  query('status').optional({ checkFalsy: true }).isIn(['closed', 'reversed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await fiscalYearCloseService.getCloses(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleFiscalYearError(res, error, 'Server error fetching fiscal year closes');
+  }
+});
+
+// @route   GET /api/fiscal-years/closes/preview
+// @desc    Readiness checks, closing journal and balances brought forward for a year-end close
+// @access  Private
+router.get('/closes/preview', [
+  auth,
+  requirePermission('view_year_end_close'),
+  sanitizeRequest,
+  fiscalYear(query),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const preview = await fiscalYearCloseService.previewClose(req.query);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleFiscalYearError(res, error, 'Server error previewing fiscal year close');
+  }
+});
+
+// @route   POST /api/fiscal-years/closes
+// @desc    Close a fiscal year into retained earnings and lock its periods
+// @access  Private
+router.post('/closes', [
+  auth,
+  requirePermission('run_year_end_close'),
+  sanitizeRequest,
+  fiscalYear(body),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const close = await fiscalYearCloseService.closeFiscalYear(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: close.closingVoucherNumber
+        ? `${close.label} closed by ${close.closingVoucherNumber}`
+        : `${close.label} closed`,
+      data: close
+    });
+  } catch (error) {
+    handleFiscalYearError(res, error, 'Server error closing fiscal year');
+  }
+});
+
+// @route   GET /api/fiscal-years/opening-balances
+// @desc    Balances brought forward into a fiscal year from the previous year's close
+// @access  Private
+router.get('/opening-balances', [
+  auth,
+  requirePermission('view_year_end_close'),
+  sanitizeRequest,
+  fiscalYear(query),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await fiscalYearCloseService.getOpeningBalances(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleFiscalYearError(res, error, 'Server error fetching opening balances');
+  }
+});
+
+// @route   GET /api/fiscal-years/closes/:id
+// @desc    Get a fiscal year close with its closing lines and opening balances
+// @access  Private
+router.get('/closes/:id', [
+  auth,
+  requirePermission('view_year_end_close'),
+  param('id').isMongoId().withMessage('Valid fiscal year close ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const close = await fiscalYearCloseService.getCloseById(req.params.id);
+    res.json({ success: true, data: close });
+  } catch (error) {
+    handleFiscalYearError(res, error, 'Server error fetching fiscal year close');
+  }
+});
+
+// @route   POST /api/fiscal-years/closes/:id/reverse
+// @desc    Reverse a fiscal year close and reopen its periods
+// @access  Private
+router.post('/closes/:id/reverse', [
+  auth,
+  requirePermission('run_year_end_close'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Valid fiscal year close ID is required'),
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('A reason is required to reverse a close'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const close = await fiscalYearCloseService.reverseClose(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: `Close of ${close.label} reversed`,
+      data: close
+    });
+  } catch (error) {
+    handleFiscalYearError(res, error, 'Server error reversing fiscal year close');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const fixedAssetService = require('../services/fixedAssetService');
+
+const router = express.Router();
+
+const ASSET_CATEGORIES = ['land', 'buildings', 'equipment', 'vehicles', 'furniture_and_fixtures', 'computer_equipment', 'other'];
+const ASSET_STATUSES = ['active', 'fully_depreciated', 'disposed'];
+const DEPRECIATION_METHODS = ['straight_line', 'declining_balance'];
+
+const validateAssetId = [
+  param('id').isMongoId().withMessage('Valid fixed asset ID is required'),
+];
+
+const validatePeriod = (location) => [
+  location('year').isInt({ min: 2000, max: 2100 }).withMessage('Valid year is required'),
+  location('month').isInt({ min: 1, max: 12 }).withMessage('Month must be 1-12'),
+];
+
+// Fields shared by create and update; required-ness is added on create
+const validateAssetFields = [
+  body('category').optional().isIn(ASSET_CATEGORIES).withMessage('Invalid asset category'),
+  body('description').optional().isString().trim().isLength({ max: 1000 }),
+  body('serialNumber').optional().isString().trim().isLength({ max: 100 }),
+  body('location').optional().isString().trim().isLength({ max: 200 }),
+  body('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid supplier ID'),
+  body('salvageValue').optional().isFloat({ min: 0 }).withMessage('Salvage value cannot be negative'),
+  body('depreciationStartDate').optional({ checkFalsy: true }).isISO8601().withMessage('Depreciation start date must be a valid date'),
+  body('depreciationMethod').optional().isIn(DEPRECIATION_METHODS).withMessage('Method must be straight_line or declining_balance'),
+  body('decliningBalanceRate').optional().isFloat({ min: 0.01, max: 100 }).withMessage('Declining balance rate must be between 0.01 and 100'),
+  body('openingAccumulatedDepreciation').optional().isFloat({ min: 0 }).withMessage('Opening accumulated depreciation cannot be negative'),
+  body('assetAccountCode').optional({ checkFalsy: true }).isString().trim(),
+  body('accumulatedDepreciationAccountCode').optional({ checkFalsy: true }).isString().trim(),
+  body('depreciationExpenseAccountCode').optional({ checkFalsy: true }).isString().trim(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+];
+
+// Map service errors to HTTP responses
+const handleFixedAssetError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/fixed-assets
+// @desc    List assets in the fixed asset register
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_fixed_assets'),
+  sanitizeRequest,
+  query('status').optional({ checkFalsy: true }).isIn(ASSET_STATUSES),
+  query('category').optional({ checkFalsy: true }).isIn(ASSET_CATEGORIES),
+  query('search').optional({ checkFalsy: true }).isString().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await fixedAssetService.getAssets(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error fetching fixed assets');
+  }
+});
+
+// @route   GET /api/fixed-assets/schedule
+// @desc    Asset schedule: cost and accumulated depreciation roll-forward for a period
+// @access  Private
+router.get('/schedule', [
+  auth,
+  requirePermission('view_fixed_assets'),
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('endDate').isISO8601().withMessage('Valid end date is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const schedule = await fixedAssetService.getAssetSchedule({
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error building asset schedule');
+  }
+});
+
+// @route   GET /api/fixed-assets/depreciation-runs
+// @desc    List monthly depreciation runs
+// @access  Private
+router.get('/depreciation-runs', [
+  auth,
+  requirePermission('view_fixed_assets'),
+  query('year').optional({ checkFalsy: true }).isInt({ min: 2000, max: 2100 }),
+  query('status').optional({ checkFalsy: true }).isIn(['posted', 'reversed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await fixedAssetService.getDepreciationRuns(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error fetching depreciation runs');
+  }
+});
+
+// @route   GET /api/fixed-assets/depreciation-runs/preview
+// @desc    Show the depreciation a run would post for a month
+// @access  Private
+router.get('/depreciation-runs/preview', [
+  auth,
+  requirePermission('run_depreciation'),
+  ...validatePeriod(query),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const preview = await fixedAssetService.previewDepreciation(parseInt(req.query.year), parseInt(req.query.month));
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error previewing depreciation');
+  }
+});
+
+// @route   GET /api/fixed-assets/depreciation-runs/:id
+// @desc    Get a depreciation run with its per-asset lines
+// @access  Private
+router.get('/depreciation-runs/:id', [
+  auth,
+  requirePermission('view_fixed_assets'),
+  param('id').isMongoId().withMessage('Valid depreciation run ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const run = await fixedAssetService.getDepreciationRunById(req.params.id);
+    res.json({ success: true, data: run });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error fetching depreciation run');
+  }
+});
+
+// @route   POST /api/fixed-assets/depreciation-runs
+// @desc    Post depreciation for a month as a journal voucher
+// @access  Private
+router.post('/depreciation-runs', [
+  auth,
+  requirePermission('run_depreciation'),
+  sanitizeRequest,
+  ...validatePeriod(body),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const run = await fixedAssetService.runDepreciation(parseInt(req.body.year), parseInt(req.body.month), req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: `Depreciation run ${run.runNumber} posted successfully`,
+      data: run
+    });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error running depreciation');
+  }
+});
+
+// @route   POST /api/fixed-assets/depreciation-runs/:id/reverse
+// @desc    Reverse the latest depreciation run
+// @access  Private
+router.post('/depreciation-runs/:id/reverse', [
+  auth,
+  requirePermission('run_depreciation'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Valid depreciation run ID is required'),
+  body('reason').trim().notEmpty().withMessage('Reversal reason is required').isLength({ max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const run = await fixedAssetService.reverseDepreciationRun(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: `Depreciation run ${run.runNumber} reversed`,
+      data: run
+    });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error reversing depreciation run');
+  }
+});
+
+// @route   GET /api/fixed-assets/:id
+// @desc    Get an asset with its depreciation history
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_fixed_assets'),
+  ...validateAssetId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const asset = await fixedAssetService.getAssetById(req.params.id);
+    res.json({ success: true, data: asset });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error fetching fixed asset');
+  }
+});
+
+// @route   POST /api/fixed-assets
+// @desc    Add an asset to the register, optionally posting its purchase against a funding account
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('create_fixed_assets'),
+  sanitizeRequest,
+  body('name').trim().notEmpty().withMessage('Asset name is required').isLength({ max: 200 }),
+  body('cost').isFloat({ min: 0.01 }).withMessage('Cost must be greater than zero'),
+  body('acquisitionDate').isISO8601().withMessage('Valid acquisition date is required'),
+  body('usefulLifeMonths').isInt({ min: 1, max: 1200 }).withMessage('Useful life must be 1-1200 months'),
+  ...validateAssetFields,
+  body('fundingAccountCode').optional({ checkFalsy: true }).isString().trim(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const asset = await fixedAssetService.createAsset(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Fixed asset registered successfully',
+      data: asset
+    });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error registering fixed asset');
+  }
+});
+
+// @route   PUT /api/fixed-assets/:id
+// @desc    Update an asset (cost and accounts are fixed once depreciation is posted)
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('edit_fixed_assets'),
+  sanitizeRequest,
+  ...validateAssetId,
+  body('name').optional().trim().notEmpty().withMessage('Asset name cannot be empty').isLength({ max: 200 }),
+  body('cost').optional().isFloat({ min: 0.01 }).withMessage('Cost must be greater than zero'),
+  body('acquisitionDate').optional().isISO8601().withMessage('Acquisition date must be a valid date'),
+  body('usefulLifeMonths').optional().isInt({ min: 1, max: 1200 }).withMessage('Useful life must be 1-1200 months'),
+  ...validateAssetFields,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const asset = await fixedAssetService.updateAsset(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Fixed asset updated successfully',
+      data: asset
+    });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error updating fixed asset');
+  }
+});
+
+// @route   POST /api/fixed-assets/:id/dispose
+// @desc    Dispose of an asset and post the gain or loss
+// @access  Private
+router.post('/:id/dispose', [
+  auth,
+  requirePermission('edit_fixed_assets'),
+  sanitizeRequest,
+  ...validateAssetId,
+  body('date').optional({ checkFalsy: true }).isISO8601().withMessage('Date must be a valid date'),
+  body('method').optional().isIn(['sale', 'scrap', 'write_off']).withMessage('Method must be sale, scrap or write_off'),
+  body('proceeds').optional().isFloat({ min: 0 }).withMessage('Proceeds cannot be negative'),
+  body('proceedsAccountCode').optional({ checkFalsy: true }).isString().trim(),
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const asset = await fixedAssetService.disposeAsset(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Fixed asset disposed successfully',
+      data: asset
+    });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error disposing of fixed asset');
+  }
+});
+
+// @route   DELETE /api/fixed-assets/:id
+// @desc    Delete an asset that has nothing posted against it
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('delete_fixed_assets'),
+  ...validateAssetId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await fixedAssetService.deleteAsset(req.params.id);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleFixedAssetError(res, error, 'Server error deleting fixed asset');
+  }
+});
+
+module.exports = router;
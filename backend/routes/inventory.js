@@ -3,6 +3,7 @@ const { body, param, query } = require('express-validator');
 const { auth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors, sanitizeRequest } = require('../middleware/validation');
 const inventoryService = require('../services/inventoryService');
+const Inventory = require('../models/Inventory');
 const inventoryRepository = require('../repositories/InventoryRepository');
 const productRepository = require('../repositories/ProductRepository');
 const stockAdjustmentRepository = require('../repositories/StockAdjustmentRepository');
@@ -125,6 +126,9 @@ router.get('/', [
       inventoryMap.set(inv.product._id.toString(), inv);
     });
     
+    // Products without a stock row are shown in the primary warehouse
+    const primaryWarehouseKey = await Inventory.getPrimaryWarehouseKey();
+
     // Combine products with their inventory records
     const combinedResults = allProducts.map(product => {
       const existingInv = inventoryMap.get(product._id.toString());
@@ -146,7 +150,7 @@ router.get('/', [
           reorderQuantity: product.inventory?.reorderQuantity || 0,
           status: 'active',
           movements: [],
-          location: { warehouse: 'Main Warehouse' },
+          location: { warehouse: primaryWarehouseKey },
           createdAt: product.createdAt,
           updatedAt: product.updatedAt
         };
@@ -223,12 +227,16 @@ router.get('/low-stock', [
   auth,
   requirePermission('view_inventory'),
   sanitizeRequest,
+  query('warehouse').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid warehouse ID'),
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const lowStockItems = await inventoryService.getLowStockItems();
+    const lowStockItems = await inventoryService.getLowStockItems({ warehouse: req.query.warehouse });
     res.json({ items: lowStockItems });
   } catch (error) {
+    if (error.message === 'Warehouse not found') {
+      return res.status(404).json({ message: error.message });
+    }
     console.error('Error fetching low stock items:', error);
     res.status(500).json({ message: 'Server error fetching low stock items', error: error.message });
   }
@@ -242,13 +250,17 @@ router.get('/:productId', [
   requirePermission('view_inventory'),
   sanitizeRequest,
   param('productId').isMongoId().withMessage('Valid Product ID is required'),
+  query('warehouse').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid warehouse ID'),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const { productId } = req.params;
-    const inventory = await inventoryService.getInventoryStatus(productId);
+    const inventory = await inventoryService.getInventoryStatus(productId, { warehouse: req.query.warehouse });
     res.json(inventory);
   } catch (error) {
+    if (error.message === 'Warehouse not found') {
+      return res.status(404).json({ message: error.message });
+    }
     console.error('Error fetching inventory details:', error);
     res.status(500).json({ message: 'Server error fetching inventory details', error: error.message });
   }
@@ -267,14 +279,16 @@ router.get('/:productId/history', [
   query('type').optional().isIn(['in', 'out', 'adjustment', 'transfer', 'return', 'damage', 'theft']),
   query('startDate').optional().isISO8601().toDate(),
   query('endDate').optional().isISO8601().toDate(),
+  query('warehouse').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid warehouse ID'),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const { productId } = req.params;
-    const { limit = 50, offset = 0, type, startDate, endDate } = req.query;
+    const { limit = 50, offset = 0, type, startDate, endDate, warehouse } = req.query;
     
     const history = await inventoryService.getInventoryHistory({
       productId,
+      warehouse,
       limit: parseInt(limit),
       offset: parseInt(offset),
       type,
@@ -284,6 +298,9 @@ router.get('/:productId/history', [
     
     res.json(history);
   } catch (error) {
+    if (error.message === 'Warehouse not found') {
+      return res.status(404).json({ message: error.message });
+    }
     console.error('Error fetching inventory history:', error);
     res.status(500).json({ message: 'Server error fetching inventory history', error: error.message });
   }
@@ -13,7 +13,8 @@ router.get('/', [
   requirePermission('view_inventory'),
   query('includeOutOfStock').optional().isIn(['true', 'false']),
   query('includeCritical').optional().isIn(['true', 'false']),
-  query('includeWarning').optional().isIn(['true', 'false'])
+  query('includeWarning').optional().isIn(['true', 'false']),
+  query('warehouse').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,7 +25,8 @@ router.get('/', [
     const options = {
       includeOutOfStock: req.query.includeOutOfStock !== 'false',
       includeCritical: req.query.includeCritical !== 'false',
-      includeWarning: req.query.includeWarning !== 'false'
+      includeWarning: req.query.includeWarning !== 'false',
+      warehouse: req.query.warehouse || null
     };
 
     const alerts = await InventoryAlertService.getLowStockAlerts(options);
@@ -35,6 +37,9 @@ router.get('/', [
       count: alerts.length
     });
   } catch (error) {
+    if (error.message === 'Warehouse not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
     console.error('Get inventory alerts error:', error);
     res.status(500).json({
       success: false,
@@ -49,16 +54,27 @@ router.get('/', [
 // @access  Private
 router.get('/summary', [
   auth,
-  requirePermission('view_inventory')
+  requirePermission('view_inventory'),
+  query('warehouse').optional().isMongoId()
 ], async (req, res) => {
   try {
-    const summary = await InventoryAlertService.getAlertSummary();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const summary = await InventoryAlertService.getAlertSummary({
+      warehouse: req.query.warehouse || null
+    });
 
     res.json({
       success: true,
       data: summary
     });
   } catch (error) {
+    if (error.message === 'Warehouse not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
     console.error('Get alert summary error:', error);
     res.status(500).json({
       success: false,
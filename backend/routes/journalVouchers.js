@@ -10,6 +10,7 @@ const ChartOfAccounts = require('../models/ChartOfAccounts'); // Still needed fo
 const { runWithTransactionRetry } = require('../services/transactionUtils');
 const journalVoucherRepository = require('../repositories/JournalVoucherRepository');
 const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const notificationService = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -242,6 +243,18 @@ router.post('/', [
       });
     });
 
+    if (populatedVoucher.requiresApproval) {
+      notificationService.notify('journal_voucher.pending_approval', {
+        voucherId: populatedVoucher._id,
+        voucherNumber: populatedVoucher.voucherNumber,
+        amount: totalDebit.toFixed(2),
+        approvalThreshold: populatedVoucher.approvalThreshold,
+        createdByName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.email
+      }, { createdBy: req.user._id }).catch(error => {
+        console.error('Error sending journal voucher approval notification:', error);
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: populatedVoucher.requiresApproval 
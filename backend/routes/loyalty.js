@@ -0,0 +1,179 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const loyaltyService = require('../services/loyaltyService');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handleLoyaltyError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/loyalty/program
+// @desc    Get the loyalty program rules
+// @access  Private
+router.get('/program', [
+  auth,
+  requirePermission('view_loyalty'),
+], async (req, res) => {
+  try {
+    const program = await loyaltyService.getProgram();
+    res.json({ success: true, data: program });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error fetching loyalty program');
+  }
+});
+
+// @route   PUT /api/loyalty/program
+// @desc    Update earning, redemption, expiry and tier rules
+// @access  Private
+router.put('/program', [
+  auth,
+  requirePermission('manage_loyalty'),
+  sanitizeRequest,
+  body('isActive').optional().isBoolean(),
+  body('earnPoints').optional().isFloat({ min: 0 }).withMessage('Points earned must be a positive number'),
+  body('earnPerAmount').optional().isFloat({ min: 0.01 }).withMessage('Spend per earning must be greater than 0'),
+  body('categoryRules').optional().isArray(),
+  body('categoryRules.*.category').isMongoId().withMessage('Valid category is required'),
+  body('categoryRules.*.multiplier').isFloat({ min: 0, max: 100 }).withMessage('Multiplier must be between 0 and 100'),
+  body('pointValue').optional().isFloat({ min: 0 }).withMessage('Point value must be a positive number'),
+  body('minimumRedemption').optional().isInt({ min: 0 }).withMessage('Minimum redemption must be a whole number'),
+  body('maxRedemptionPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Maximum redemption must be between 0 and 100 percent'),
+  body('expiryMonths').optional().isInt({ min: 0 }).withMessage('Expiry must be a whole number of months'),
+  body('tiers').optional().isArray(),
+  body('tiers.*.tier').isIn(LoyaltyProgram.CUSTOMER_TIERS).withMessage('Invalid customer tier'),
+  body('tiers.*.minimumSpend').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+  body('tiers.*.multiplier').optional().isFloat({ min: 0, max: 100 }).withMessage('Multiplier must be between 0 and 100'),
+  body('tierReviewMonths').optional().isInt({ min: 1 }).withMessage('Review window must be at least one month'),
+  body('autoTierReview').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const program = await loyaltyService.updateProgram(req.body, req.user);
+    res.json({ success: true, message: 'Loyalty program updated successfully', data: program });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error updating loyalty program');
+  }
+});
+
+// @route   POST /api/loyalty/expire
+// @desc    Expire lapsed points now instead of waiting for the nightly job
+// @access  Private
+router.post('/expire', [
+  auth,
+  requirePermission('manage_loyalty'),
+  sanitizeRequest,
+  body('asOf').optional({ checkFalsy: true }).isISO8601().withMessage('As of must be a date'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const results = await loyaltyService.expirePoints(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json({
+      success: true,
+      message: `${results.points} point(s) expired for ${results.customers} customer(s)`,
+      data: results
+    });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error expiring loyalty points');
+  }
+});
+
+// @route   POST /api/loyalty/tiers/review
+// @desc    Promote and demote customers on rolling spend; dryRun previews the changes
+// @access  Private
+router.post('/tiers/review', [
+  auth,
+  requirePermission('manage_loyalty'),
+  sanitizeRequest,
+  body('asOf').optional({ checkFalsy: true }).isISO8601().withMessage('As of must be a date'),
+  body('customerId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid customer is required'),
+  body('dryRun').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const results = await loyaltyService.reviewTiers({
+      asOf: req.body.asOf ? new Date(req.body.asOf) : new Date(),
+      customerId: req.body.customerId || null,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+    }, req.user);
+    res.json({ success: true, data: results });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error reviewing customer tiers');
+  }
+});
+
+// @route   GET /api/loyalty/customers/:customerId
+// @desc    A customer's points, their value and progress to the next tier (used at checkout)
+// @access  Private
+router.get('/customers/:customerId', [
+  auth,
+  param('customerId').isMongoId().withMessage('Invalid customer ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const summary = await loyaltyService.getCustomerSummary(req.params.customerId);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error fetching loyalty points');
+  }
+});
+
+// @route   GET /api/loyalty/customers/:customerId/statement
+// @desc    Customer loyalty statement for a period
+// @access  Private
+router.get('/customers/:customerId/statement', [
+  auth,
+  requirePermission('view_loyalty'),
+  sanitizeRequest,
+  param('customerId').isMongoId().withMessage('Invalid customer ID'),
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Start date must be a date'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('End date must be a date'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const statement = await loyaltyService.getStatement(req.params.customerId, req.query);
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error building loyalty statement');
+  }
+});
+
+// @route   POST /api/loyalty/customers/:customerId/adjust
+// @desc    Manually add (positive) or remove (negative) points
+// @access  Private
+router.post('/customers/:customerId/adjust', [
+  auth,
+  requirePermission('manage_loyalty'),
+  sanitizeRequest,
+  param('customerId').isMongoId().withMessage('Invalid customer ID'),
+  body('points').isInt().not().equals('0').withMessage('Points must be a whole number other than 0'),
+  body('description').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const entry = await loyaltyService.adjustPoints(req.params.customerId, {
+      points: parseInt(req.body.points, 10),
+      description: req.body.description
+    }, req.user);
+    res.status(201).json({ success: true, message: 'Loyalty points adjusted successfully', data: entry });
+  } catch (error) {
+    handleLoyaltyError(res, error, 'Server error adjusting loyalty points');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+const CHANNELS = ['in_app', 'email', 'webhook'];
+
+// Preference and test routes skip sanitizeRequest: it HTML-escapes '/' and would corrupt webhook URLs
+const preferenceValidators = [
+  body('email').optional({ nullable: true }).trim().custom(value => value === '' || /^\S+@\S+\.\S+$/.test(value))
+    .withMessage('Valid email is required'),
+  body('webhookUrl').optional({ nullable: true }).trim().custom(value => value === '' || /^https?:\/\/\S+$/.test(value))
+    .withMessage('Webhook URL must be an http(s) URL'),
+  body('subscriptions').optional().isArray(),
+  body('subscriptions.*.event').isString().trim().notEmpty().withMessage('Event is required'),
+  body('subscriptions.*.enabled').optional().isBoolean(),
+  body('subscriptions.*.channels').isArray().withMessage('Channels must be an array'),
+  body('subscriptions.*.channels.*').isIn(CHANNELS).withMessage(`Channel must be one of ${CHANNELS.join(', ')}`),
+];
+
+// Map service errors to HTTP responses
+const handleNotificationError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/notifications
+// @desc    Current user's in-app notifications (inbox feed)
+// @access  Private
+router.get('/', [
+  auth,
+  query('status').optional({ checkFalsy: true }).isIn(['active', 'unread', 'read', 'archived', 'all']),
+  query('category').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  query('severity').optional({ checkFalsy: true }).isIn(['info', 'warning', 'critical']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const inbox = await notificationService.getInbox(req.user._id, req.query);
+    res.json({ success: true, data: inbox });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error fetching notifications');
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Unread counts for the notification bell (polled by the frontend)
+// @access  Private
+router.get('/unread-count', [auth], async (req, res) => {
+  try {
+    const counts = await notificationService.getUnreadCount(req.user._id);
+    res.json({ success: true, data: counts });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error fetching unread notifications');
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all unread notifications as read
+// @access  Private
+router.put('/read-all', [
+  auth,
+  body('category').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await notificationService.markAllRead(req.user._id, req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error marking notifications as read');
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read (send { read: false } to mark it unread)
+// @access  Private
+router.put('/:id/read', [
+  auth,
+  param('id').isMongoId().withMessage('Valid notification ID is required'),
+  body('read').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const notification = await notificationService.setRead(req.params.id, req.user._id, req.body.read !== false);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error updating notification');
+  }
+});
+
+// @route   PUT /api/notifications/:id/archive
+// @desc    Archive a notification (send { archived: false } to restore it)
+// @access  Private
+router.put('/:id/archive', [
+  auth,
+  param('id').isMongoId().withMessage('Valid notification ID is required'),
+  body('archived').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const notification = await notificationService.setArchived(req.params.id, req.user._id, req.body.archived !== false);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error archiving notification');
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Current user's notification subscriptions (with template defaults)
+// @access  Private
+router.get('/preferences', [auth], async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user._id);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error fetching notification preferences');
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update current user's notification subscriptions (setting a webhook URL needs configure_notifications)
+// @access  Private
+router.put('/preferences', [
+  auth,
+  ...preferenceValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    if (req.body.webhookUrl && !req.user.hasPermission('configure_notifications')) {
+      const current = await notificationService.getPreferences(req.user._id);
+      if (req.body.webhookUrl !== current.webhookUrl) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Setting a webhook URL requires the configure_notifications permission'
+        });
+      }
+    }
+    const preferences = await notificationService.updatePreferences(req.user._id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: preferences,
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error updating notification preferences');
+  }
+});
+
+// @route   GET /api/notifications/users/:userId/preferences
+// @desc    Another user's notification subscriptions
+// @access  Private
+router.get('/users/:userId/preferences', [
+  auth,
+  requirePermission('configure_notifications'),
+  param('userId').isMongoId().withMessage('Valid user ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.params.userId);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error fetching notification preferences');
+  }
+});
+
+// @route   PUT /api/notifications/users/:userId/preferences
+// @desc    Update another user's notification subscriptions
+// @access  Private
+router.put('/users/:userId/preferences', [
+  auth,
+  requirePermission('configure_notifications'),
+  param('userId').isMongoId().withMessage('Valid user ID is required'),
+  ...preferenceValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.params.userId, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: preferences,
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error updating notification preferences');
+  }
+});
+
+// @route   GET /api/notifications/outbox
+// @desc    Email/webhook delivery queue with status counts and channel configuration
+// @access  Private
+router.get('/outbox', [
+  auth,
+  requirePermission('configure_notifications'),
+  sanitizeRequest,
+  query('status').optional({ checkFalsy: true }).isIn(['pending', 'sending', 'sent', 'failed', 'cancelled']),
+  query('channel').optional({ checkFalsy: true }).isIn(['email', 'webhook']),
+  query('event').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const outbox = await notificationService.getOutbox(req.query);
+    res.json({ success: true, data: outbox });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error fetching notification outbox');
+  }
+});
+
+// @route   POST /api/notifications/outbox/process
+// @desc    Deliver due outbox entries now instead of waiting for the scheduled job
+// @access  Private
+router.post('/outbox/process', [
+  auth,
+  requirePermission('configure_notifications'),
+], async (req, res) => {
+  try {
+    const results = await notificationService.processOutbox();
+    res.json({ success: true, data: results });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error processing notification outbox');
+  }
+});
+
+// @route   POST /api/notifications/outbox/:id/retry
+// @desc    Requeue a failed delivery and try it immediately
+// @access  Private
+router.post('/outbox/:id/retry', [
+  auth,
+  requirePermission('configure_notifications'),
+  param('id').isMongoId().withMessage('Valid notification ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const notification = await notificationService.retry(req.params.id);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error retrying notification');
+  }
+});
+
+// @route   POST /api/notifications/outbox/:id/cancel
+// @desc    Cancel a pending delivery
+// @access  Private
+router.post('/outbox/:id/cancel', [
+  auth,
+  requirePermission('configure_notifications'),
+  param('id').isMongoId().withMessage('Valid notification ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const notification = await notificationService.cancel(req.params.id);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error cancelling notification');
+  }
+});
+
+// @route   POST /api/notifications/test
+// @desc    Send a test notification through one channel and report the outcome
+// @access  Private
+router.post('/test', [
+  auth,
+  requirePermission('configure_notifications'),
+  body('channel').isIn(CHANNELS).withMessage(`Channel must be one of ${CHANNELS.join(', ')}`),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required'),
+  body('webhookUrl').optional({ checkFalsy: true }).trim().matches(/^https?:\/\/\S+$/).withMessage('Webhook URL must be an http(s) URL'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await notificationService.sendTest(req.body, req.user);
+    res.json({
+      success: result.status === 'sent',
+      message: result.status === 'sent'
+        ? 'Test notification delivered'
+        : `Test notification not delivered: ${result.lastError || result.status}`,
+      data: result,
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Server error sending test notification');
+  }
+});
+
+module.exports = router;
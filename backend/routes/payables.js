@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const payablesService = require('../services/payablesService');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handlePayablesError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/payables/aging
+// @desc    Supplier aging (current, 1-30, 31-60, 61-90, 90+ days past due)
+// @access  Private
+router.get('/aging', [
+  auth,
+  requirePermission('view_payables'),
+  sanitizeRequest,
+  query('asOfDate').optional({ checkFalsy: true }).isISO8601().withMessage('As-of date must be a valid date'),
+  query('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid supplier ID'),
+  query('includeInvoices').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const aging = await payablesService.getSupplierAging(req.query);
+    res.json({ success: true, data: aging });
+  } catch (error) {
+    handlePayablesError(res, error, 'Server error building supplier aging');
+  }
+});
+
+// @route   GET /api/payables/proposal
+// @desc    Propose due supplier invoices to pay within a cash budget
+// @access  Private
+router.get('/proposal', [
+  auth,
+  requirePermission('view_payables'),
+  sanitizeRequest,
+  query('budget').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Budget cannot be negative'),
+  query('asOfDate').optional({ checkFalsy: true }).isISO8601().withMessage('As-of date must be a valid date'),
+  query('dueWithinDays').optional({ checkFalsy: true }).isInt({ min: 0, max: 365 }).withMessage('Due within days must be 0-365'),
+  query('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid supplier ID'),
+  query('allowPartial').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const proposal = await payablesService.getPaymentProposal(req.query);
+    res.json({ success: true, data: proposal });
+  } catch (error) {
+    handlePayablesError(res, error, 'Server error building payment proposal');
+  }
+});
+
+// @route   GET /api/payables/runs
+// @desc    List payables runs
+// @access  Private
+router.get('/runs', [
+  auth,
+  requirePermission('view_payables'),
+  query('method').optional({ checkFalsy: true }).isIn(['cash', 'bank']),
+  query('fromDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid from date'),
+  query('toDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid to date'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await payablesService.getPaymentRuns(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handlePayablesError(res, error, 'Server error fetching payables runs');
+  }
+});
+
+// @route   GET /api/payables/runs/:id
+// @desc    Get a payables run with its invoices and vouchers
+// @access  Private
+router.get('/runs/:id', [
+  auth,
+  requirePermission('view_payables'),
+  param('id').isMongoId().withMessage('Valid payables run ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const run = await payablesService.getPaymentRunById(req.params.id);
+    res.json({ success: true, data: run });
+  } catch (error) {
+    handlePayablesError(res, error, 'Server error fetching payables run');
+  }
+});
+
+// @route   POST /api/payables/runs
+// @desc    Pay selected invoices with one cash or bank payment voucher per supplier
+// @access  Private
+router.post('/runs', [
+  auth,
+  requirePermission('run_payables'),
+  sanitizeRequest,
+  body('paymentDate').optional({ checkFalsy: true }).isISO8601().withMessage('Payment date must be a valid date'),
+  body('method').isIn(['cash', 'bank']).withMessage('Method must be cash or bank'),
+  body('bank').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid bank ID'),
+  body('budget').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Budget cannot be negative'),
+  body('allocations').isArray({ min: 1 }).withMessage('Select at least one invoice'),
+  body('allocations.*.invoice').isMongoId().withMessage('Invalid purchase invoice ID'),
+  body('allocations.*.amount').isFloat({ min: 0.01 }).withMessage('Payment amount must be greater than zero'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const run = await payablesService.createPaymentRun(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: `Payables run ${run.runNumber} paid ${run.invoiceCount} invoice(s)`,
+      data: run
+    });
+  } catch (error) {
+    handlePayablesError(res, error, 'Server error running payables');
+  }
+});
+
+module.exports = router;
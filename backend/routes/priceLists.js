@@ -0,0 +1,238 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const priceListService = require('../services/priceListService');
+const PriceList = require('../models/PriceList');
+
+const router = express.Router();
+
+// Imports are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only Excel (.xlsx) files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
+// Map service errors to HTTP responses
+const handlePriceListError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const priceListValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('validFrom').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid from must be a date'),
+  body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid until must be a date'),
+  body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
+  body('items').optional().isArray(),
+  body('items.*.product').isMongoId().withMessage('Valid product is required'),
+  body('items.*.price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('items.*.minQuantity').optional().isFloat({ min: 0 }).withMessage('Min quantity must be a positive number'),
+  body('rules').optional().isArray(),
+  body('rules.*.category').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid category is required'),
+  body('rules.*.basePrice').optional().isIn(PriceList.BASE_PRICES).withMessage('Invalid base price'),
+  body('rules.*.adjustmentType').isIn(['markup', 'discount']).withMessage('Adjustment must be markup or discount'),
+  body('rules.*.percent').isFloat({ min: 0, max: 1000 }).withMessage('Percent must be between 0 and 1000'),
+  body('customers').optional().isArray(),
+  body('customers.*').isMongoId().withMessage('Valid customer is required'),
+  body('cities').optional().isArray(),
+  body('cities.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('customerTiers').optional().isArray(),
+  body('customerTiers.*').isIn(PriceList.CUSTOMER_TIERS).withMessage('Invalid customer tier'),
+  body('isActive').optional().isBoolean(),
+];
+
+// @route   GET /api/price-lists
+// @desc    List price lists
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_price_lists'),
+  sanitizeRequest,
+  query('search').optional().isString().trim(),
+  query('isActive').optional({ checkFalsy: true }).isBoolean(),
+  query('customer').optional({ checkFalsy: true }).isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await priceListService.getPriceLists(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error fetching price lists');
+  }
+});
+
+// @route   POST /api/price-lists/quote
+// @desc    Prices a customer's lines would be charged, with the price list each came from
+// @access  Private
+router.post('/quote', [
+  auth,
+  sanitizeRequest,
+  body('customer').isMongoId().withMessage('Valid customer is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product is required'),
+  body('items.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('date').optional({ checkFalsy: true }).isISO8601(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quote = await priceListService.quote(req.body);
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error pricing items');
+  }
+});
+
+// @route   POST /api/price-lists
+// @desc    Add a price list
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('manage_price_lists'),
+  sanitizeRequest,
+  ...priceListValidators(false),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const priceList = await priceListService.createPriceList(req.body, req.user);
+    res.status(201).json({ success: true, message: 'Price list added successfully', data: priceList });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error adding price list');
+  }
+});
+
+// @route   GET /api/price-lists/:id
+// @desc    Get a price list with its prices and rules
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_price_lists'),
+  param('id').isMongoId().withMessage('Invalid price list ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const priceList = await priceListService.getPriceListById(req.params.id);
+    res.json({ success: true, data: priceList });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error fetching price list');
+  }
+});
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update a price list
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('manage_price_lists'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Invalid price list ID'),
+  ...priceListValidators(true),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const priceList = await priceListService.updatePriceList(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Price list updated successfully', data: priceList });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error updating price list');
+  }
+});
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete a price list
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('manage_price_lists'),
+  param('id').isMongoId().withMessage('Invalid price list ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    await priceListService.deletePriceList(req.params.id);
+    res.json({ success: true, message: 'Price list deleted successfully' });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error deleting price list');
+  }
+});
+
+// @route   GET /api/price-lists/:id/export
+// @desc    Download a price list's prices as Excel
+// @access  Private
+router.get('/:id/export', [
+  auth,
+  requirePermission('view_price_lists'),
+  param('id').isMongoId().withMessage('Invalid price list ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { filename, filepath } = await priceListService.exportToExcel(req.params.id);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.sendFile(path.resolve(filepath));
+
+    setTimeout(() => {
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+      }
+    }, 60000); // Delete after 1 minute
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error exporting price list');
+  }
+});
+
+// @route   POST /api/price-lists/:id/import
+// @desc    Upload prices from Excel, merging into or replacing the list's prices
+// @access  Private
+router.post('/:id/import', [
+  auth,
+  requirePermission('manage_price_lists'),
+  upload.single('file'),
+  param('id').isMongoId().withMessage('Invalid price list ID'),
+  body('replace').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const results = await priceListService.importFromExcel(req.params.id, req.file, {
+      replace: String(req.body.replace) === 'true'
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: `Import completed: ${results.imported} of ${results.total} price(s) imported`,
+      data: results
+    });
+  } catch (error) {
+    handlePriceListError(res, error, 'Server error importing price list');
+  }
+});
+
+module.exports = router;
@@ -12,9 +12,28 @@ const productService = require('../services/productService');
 const auditLogService = require('../services/auditLogService');
 const expiryManagementService = require('../services/expiryManagementService');
 const costingService = require('../services/costingService');
+const uomService = require('../services/uomService');
 
 const router = express.Router();
 
+// Units of measure: base unit plus alternate pack units with conversion factors
+const unitOfMeasureValidators = [
+  body('baseUnit').optional().isString().trim().isLength({ min: 1, max: 20 }).withMessage('Base unit is invalid'),
+  body('alternateUnits').optional().isArray().withMessage('Alternate units must be an array'),
+  body('alternateUnits.*.unit').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Alternate unit is required'),
+  body('alternateUnits.*.conversionFactor').isFloat({ gt: 0 }).withMessage('Conversion factor must be greater than 0'),
+  body('alternateUnits.*.barcode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  body('alternateUnits.*.pricing.retail').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('alternateUnits.*.pricing.wholesale').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('alternateUnits.*.pricing.distributor').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('alternateUnits.*.isDefaultSalesUnit').optional().isBoolean(),
+  body('alternateUnits.*.isDefaultPurchaseUnit').optional().isBoolean()
+];
+
+// Unit of measure validation errors raised by the service
+const isUnitOfMeasureError = (error) =>
+  /^Cannot|^Unit of measure .* not found|barcode already exists/.test(error.message || '');
+
 // Helper function to transform product names to uppercase
 const transformProductToUppercase = (product) => {
   if (!product) return product;
@@ -159,6 +178,27 @@ router.get('/:id/last-purchase-price', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/products/barcode/:barcode
+// @desc    Look up a product by its barcode or an alternate unit (pack/carton) barcode
+// @access  Private
+router.get('/barcode/:barcode', auth, async (req, res) => {
+  try {
+    const { product, unit, conversionFactor } = await uomService.lookupBarcode(req.params.barcode);
+    res.json({
+      success: true,
+      product: transformProductToUppercase(product),
+      unit,
+      conversionFactor
+    });
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    console.error('Barcode lookup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Private
@@ -185,7 +225,8 @@ router.post('/', [
   body('name').trim().isLength({ min: 1 }).withMessage('Product name is required'),
   body('pricing.cost').isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
   body('pricing.retail').isFloat({ min: 0 }).withMessage('Retail price must be a positive number'),
-  body('pricing.wholesale').isFloat({ min: 0 }).withMessage('Wholesale price must be a positive number')
+  body('pricing.wholesale').isFloat({ min: 0 }).withMessage('Wholesale price must be a positive number'),
+  ...unitOfMeasureValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -207,6 +248,10 @@ router.post('/', [
       stack: error.stack
     });
     
+    if (isUnitOfMeasureError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+
     if (error.code === 11000) {
       
       
@@ -234,7 +279,8 @@ router.put('/:id', [
   body('name').optional().trim().isLength({ min: 1 }),
   body('pricing.cost').optional().isFloat({ min: 0 }),
   body('pricing.retail').optional().isFloat({ min: 0 }),
-  body('pricing.wholesale').optional().isFloat({ min: 0 })
+  body('pricing.wholesale').optional().isFloat({ min: 0 }),
+  ...unitOfMeasureValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -248,6 +294,9 @@ router.put('/:id', [
     res.json(result);
   } catch (error) {
     console.error('Update product error:', error);
+    if (isUnitOfMeasureError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
     if (error.code === 11000) {
       return res.status(400).json({ 
         message: 'A product with this name already exists. Please choose a different name.',
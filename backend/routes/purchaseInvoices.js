@@ -11,6 +11,11 @@ const { validateDateParams, processDateFilter } = require('../middleware/dateFil
 const purchaseInvoiceService = require('../services/purchaseInvoiceService');
 const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
 const supplierRepository = require('../repositories/SupplierRepository');
+const warehouseService = require('../services/warehouseService');
+const uomService = require('../services/uomService');
+const currencyService = require('../services/currencyService');
+const taxService = require('../services/taxService');
+const AccountingService = require('../services/accountingService');
 
 const router = express.Router();
 
@@ -114,8 +119,11 @@ router.post('/', [
   body('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
   body('items').isArray({ min: 1 }).withMessage('Items array is required'),
   body('items.*.product').isMongoId().withMessage('Valid Product ID is required'),
-  body('items.*.quantity').isFloat({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Invalid unit'),
   body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be positive'),
+  body('items.*.taxCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Invalid tax code'),
+  body('items.*.taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be between 0 and 1'),
   body('pricing.subtotal').isFloat({ min: 0 }).withMessage('Subtotal must be positive'),
   body('pricing.total').isFloat({ min: 0 }).withMessage('Total must be positive'),
   body('invoiceNumber')
@@ -132,6 +140,13 @@ router.post('/', [
       return true;
     }),
   body('invoiceDate').optional().isISO8601().withMessage('Valid invoice date required (ISO 8601 format)'),
+  body('warehouse').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid warehouse ID'),
+  body('items.*.batchNumber').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  body('items.*.lotNumber').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  body('items.*.manufactureDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid manufacture date'),
+  body('items.*.expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }).withMessage('Currency must be a three-letter code'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be greater than zero'),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -150,9 +165,45 @@ router.post('/', [
       expectedDelivery,
       notes,
       terms,
-      invoiceDate
+      invoiceDate,
+      warehouse,
+      currency,
+      exchangeRate
     } = req.body;
     
+    // Ledger posting after the save does not fail the request, so a closed period is refused here
+    try {
+      await AccountingService.assertPostingPeriodOpen(invoiceDate ? new Date(invoiceDate) : null, 'purchase invoice');
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+    
+    // Stock is received into the requested warehouse, the user's assigned one, or the primary
+    let receivingWarehouse;
+    try {
+      receivingWarehouse = await warehouseService.resolveTransactionWarehouse(req.user, warehouse);
+    } catch (warehouseError) {
+      return res.status(400).json({ message: warehouseError.message });
+    }
+    const warehouseId = receivingWarehouse ? receivingWarehouse._id : null;
+    
+    // Convert pack/carton quantities and costs to the products' base units
+    try {
+      await uomService.normalizeLineItems(items, 'unitCost');
+    } catch (uomError) {
+      return res.status(400).json({ message: uomError.message });
+    }
+    
+    // Foreign-currency invoices are entered in that currency and stored in base currency
+    let foreignCurrency = null;
+    try {
+      foreignCurrency = await currencyService.convertPurchaseInvoice({
+        currency, exchangeRate, supplier, invoiceDate, items, pricing, payment
+      });
+    } catch (currencyError) {
+      return res.status(400).json({ message: currencyError.message });
+    }
+    
     const invoiceData = {
       supplier,
       supplierInfo,
@@ -170,6 +221,8 @@ router.post('/', [
       notes,
       terms,
       invoiceDate: invoiceDate ? new Date(invoiceDate) : null, // Allow custom invoice date (for backdating/postdating)
+      warehouse: warehouseId,
+      foreignCurrency: foreignCurrency || undefined,
       createdBy: req.user._id
     };
     
@@ -222,7 +275,8 @@ router.post('/', [
           referenceId: invoice._id,
           referenceModel: 'PurchaseInvoice',
           performedBy: req.user._id,
-          notes: `Stock increased due to purchase invoice creation - Invoice: ${invoiceNumber}`
+          notes: `Stock increased due to purchase invoice creation - Invoice: ${invoiceNumber}`,
+          warehouse: warehouseId
         });
         
         inventoryUpdates.push({
@@ -292,6 +346,24 @@ router.post('/', [
     // Update invoice status to 'confirmed' since inventory was updated
     invoice.status = 'confirmed';
     invoice.confirmedDate = new Date();
+
+    // Create a batch/lot for each received item (links item.batch before the save below)
+    try {
+      const batchService = require('../services/batchService');
+      await batchService.createBatchesFromPurchaseInvoice(invoice, req.user);
+    } catch (batchError) {
+      console.error('Error creating batches for purchase invoice:', batchError);
+      // Don't fail the invoice creation - batches can be registered manually
+    }
+
+    // Book input tax (sets invoice.inputTaxPosted before the save below)
+    try {
+      await taxService.postPurchaseInvoiceTax(invoice, req.user);
+    } catch (taxError) {
+      console.error('Error posting input tax for purchase invoice:', taxError);
+      // Don't fail the invoice creation - the tax return still reports the invoice
+    }
+
     await invoice.save();
     
     await invoice.populate([
@@ -332,9 +404,14 @@ router.put('/:id', [
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
   body('items').optional().isArray({ min: 1 }).withMessage('Items array is required'),
   body('items.*.product').optional().isMongoId().withMessage('Valid Product ID is required'),
-  body('items.*.quantity').optional().isFloat({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Invalid unit'),
   body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be positive'),
+  body('items.*.taxCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Invalid tax code'),
+  body('items.*.taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be between 0 and 1'),
   body('invoiceDate').optional().isISO8601().withMessage('Valid invoice date required (ISO 8601 format)'),
+  body('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }).withMessage('Currency must be a three-letter code'),
+  body('exchangeRate').optional({ checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be greater than zero'),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -348,6 +425,25 @@ router.put('/:id', [
       return res.status(400).json({ message: 'Cannot update received, paid, or closed invoices' });
     }
     
+    // The edit re-posts the invoice, so both its current date and any new one must be in an open period
+    try {
+      await AccountingService.assertPostingPeriodOpen(invoice.invoiceDate || invoice.createdAt, 'purchase invoice');
+      if (req.body.invoiceDate) {
+        await AccountingService.assertPostingPeriodOpen(new Date(req.body.invoiceDate), 'purchase invoice');
+      }
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+    
+    // Convert pack/carton quantities and costs to the products' base units
+    if (req.body.items) {
+      try {
+        await uomService.normalizeLineItems(req.body.items, 'unitCost');
+      } catch (uomError) {
+        return res.status(400).json({ message: uomError.message });
+      }
+    }
+    
     // Store old values for comparison
     const oldItems = JSON.parse(JSON.stringify(invoice.items));
     const oldTotal = invoice.pricing.total;
@@ -363,11 +459,39 @@ router.put('/:id', [
       }
     }
     
+    // Foreign-currency invoices: new item costs are in the invoice currency. The currency
+    // cannot change once payments have been applied at the invoice rate.
+    const currentCurrency = invoice.foreignCurrency?.code || '';
+    const requestedCurrency = req.body.currency !== undefined ? String(req.body.currency || '').toUpperCase() : currentCurrency;
+    if (requestedCurrency !== currentCurrency && (invoice.paymentApplications || []).length > 0) {
+      return res.status(400).json({ message: 'Cannot change the currency of an invoice with payments applied' });
+    }
+    if (requestedCurrency !== currentCurrency && !req.body.items) {
+      return res.status(400).json({ message: 'Items with costs in the new currency are required to change the invoice currency' });
+    }
+    let foreignCurrency = null;
+    if (req.body.items && requestedCurrency) {
+      try {
+        foreignCurrency = await currencyService.convertPurchaseInvoice({
+          currency: requestedCurrency,
+          exchangeRate: req.body.exchangeRate || (requestedCurrency === currentCurrency ? invoice.foreignCurrency.exchangeRate : undefined),
+          invoiceDate: req.body.invoiceDate || invoice.invoiceDate || invoice.createdAt,
+          items: req.body.items
+        });
+      } catch (currencyError) {
+        return res.status(400).json({ message: currencyError.message });
+      }
+    }
+    
     // Prepare update data
     const updateData = {
       ...req.body,
       lastModifiedBy: req.user._id
     };
+    // Stock was already received into the invoice's warehouse; moving it requires a transfer order
+    delete updateData.warehouse;
+    delete updateData.currency;
+    delete updateData.exchangeRate;
     
     // Update invoiceDate if provided (for backdating/postdating)
     if (req.body.invoiceDate !== undefined) {
@@ -411,6 +535,17 @@ router.put('/:id', [
         taxAmount: newTotalTax,
         total: newSubtotal - newTotalDiscount + newTotalTax
       };
+      
+      if (foreignCurrency) {
+        updateData.foreignCurrency = currencyService.toForeignPricing(updateData.pricing, {
+          ...foreignCurrency,
+          paidAmount: invoice.foreignCurrency?.paidAmount || 0
+        });
+      } else if (currentCurrency) {
+        // Switched back to the base currency
+        updateData.foreignCurrency = null;
+        req.body.items.forEach(item => { delete item.foreignUnitCost; });
+      }
     }
     
     const updatedInvoice = await purchaseInvoiceRepository.update(req.params.id, updateData, {
@@ -444,7 +579,8 @@ router.put('/:id', [
                 referenceId: updatedInvoice._id,
                 referenceModel: 'PurchaseInvoice',
                 performedBy: req.user._id,
-                notes: `Inventory increased due to purchase invoice ${updatedInvoice.invoiceNumber} update - quantity increased by ${quantityChange}`
+                notes: `Inventory increased due to purchase invoice ${updatedInvoice.invoiceNumber} update - quantity increased by ${quantityChange}`,
+                warehouse: invoice.warehouse
               });
             } else {
               // Quantity decreased - reduce inventory
@@ -457,7 +593,8 @@ router.put('/:id', [
                 referenceId: updatedInvoice._id,
                 referenceModel: 'PurchaseInvoice',
                 performedBy: req.user._id,
-                notes: `Inventory reduced due to purchase invoice ${updatedInvoice.invoiceNumber} update - quantity decreased by ${Math.abs(quantityChange)}`
+                notes: `Inventory reduced due to purchase invoice ${updatedInvoice.invoiceNumber} update - quantity decreased by ${Math.abs(quantityChange)}`,
+                warehouse: invoice.warehouse
               });
             }
           }
@@ -482,7 +619,8 @@ router.put('/:id', [
               referenceId: updatedInvoice._id,
               referenceModel: 'PurchaseInvoice',
               performedBy: req.user._id,
-              notes: `Inventory reduced due to purchase invoice ${updatedInvoice.invoiceNumber} update - item removed`
+              notes: `Inventory reduced due to purchase invoice ${updatedInvoice.invoiceNumber} update - item removed`,
+              warehouse: invoice.warehouse
             });
           }
         }
@@ -490,6 +628,16 @@ router.put('/:id', [
         console.error('Error adjusting inventory on purchase invoice update:', error);
         // Don't fail update if inventory adjustment fails
       }
+
+      // Keep the invoice's batches in step with the edited lines (relinks each item to its batch)
+      try {
+        const batchService = require('../services/batchService');
+        await batchService.syncPurchaseInvoiceBatches(updatedInvoice, oldItems, req.user);
+        await updatedInvoice.save();
+      } catch (batchError) {
+        console.error('Error adjusting batches on purchase invoice update:', batchError);
+        // Don't fail update - batches can be corrected manually
+      }
     }
     
     // Adjust supplier balance if total changed, payment changed, or supplier changed
@@ -554,6 +702,16 @@ router.put('/:id', [
       }
     }
     
+    // Book the change in input tax
+    try {
+      if (await taxService.postPurchaseInvoiceTax(updatedInvoice, req.user)) {
+        await updatedInvoice.save();
+      }
+    } catch (error) {
+      console.error('Error adjusting input tax on purchase invoice update:', error);
+      // Don't fail update if tax adjustment fails
+    }
+    
     await updatedInvoice.populate([
       { path: 'supplier', select: 'name companyName email phone address' },
       { path: 'items.product', select: 'name description pricing' }
@@ -587,6 +745,12 @@ router.delete('/:id', [
       return res.status(400).json({ message: 'Cannot delete paid or closed invoices' });
     }
     
+    try {
+      await AccountingService.assertPostingPeriodOpen(invoice.invoiceDate || invoice.createdAt, 'purchase invoice');
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+    
     
     // ROLLBACK INVENTORY - Subtract the quantities that were added
     const inventoryService = require('../services/inventoryService');
@@ -605,7 +769,8 @@ router.delete('/:id', [
             referenceId: invoice._id,
             referenceModel: 'PurchaseInvoice',
             performedBy: req.user._id,
-            notes: `Inventory rolled back due to deletion of purchase invoice ${invoice.invoiceNumber}`
+            notes: `Inventory rolled back due to deletion of purchase invoice ${invoice.invoiceNumber}`,
+            warehouse: invoice.warehouse
           });
           
           inventoryRollbacks.push({
@@ -625,6 +790,14 @@ router.delete('/:id', [
           });
         }
       }
+
+      // Take the invoice's quantities back out of the batches it created
+      try {
+        const batchService = require('../services/batchService');
+        await batchService.reverseBatchesForPurchaseInvoice(invoice);
+      } catch (error) {
+        console.error('Error reversing batches for purchase invoice:', error);
+      }
     }
     
     // ROLLBACK SUPPLIER BALANCE - Reverse invoice total and payment
@@ -662,6 +835,13 @@ router.delete('/:id', [
       }
     }
     
+    // Reverse input tax booked for the invoice
+    try {
+      await taxService.postPurchaseInvoiceTax(invoice, req.user, { removed: true });
+    } catch (error) {
+      console.error('Error reversing input tax for purchase invoice:', error);
+    }
+    
     // Delete the invoice
     await purchaseInvoiceRepository.delete(req.params.id);
     
@@ -716,9 +896,22 @@ router.put('/:id/cancel', [
       return res.status(400).json({ message: 'Cannot cancel paid or closed invoice' });
     }
     
+    try {
+      await AccountingService.assertPostingPeriodOpen(invoice.invoiceDate || invoice.createdAt, 'purchase invoice');
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+    
     invoice.status = 'cancelled';
     invoice.lastModifiedBy = req.user._id;
     
+    // Reverse input tax booked for the invoice
+    try {
+      await taxService.postPurchaseInvoiceTax(invoice, req.user);
+    } catch (error) {
+      console.error('Error reversing input tax for cancelled purchase invoice:', error);
+    }
+    
     await invoice.save();
     
     res.json({
@@ -5,6 +5,7 @@ const { handleValidationErrors } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const inventoryService = require('../services/inventoryService');
 const purchaseOrderService = require('../services/purchaseOrderService');
+const uomService = require('../services/uomService');
 const supplierRepository = require('../repositories/SupplierRepository');
 const PurchaseOrder = require('../models/PurchaseOrder'); // Still needed for generatePONumber static method
 
@@ -101,7 +102,7 @@ router.post('/', [
   body('supplier').isMongoId().withMessage('Valid supplier is required'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
   body('items.*.costPerUnit').isFloat({ min: 0 }).withMessage('Cost per unit must be positive'),
   body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
@@ -113,6 +114,13 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
     
+    // Quantities and costs entered in other units are stored per base unit
+    try {
+      await uomService.normalizeLineItems(req.body.items, 'costPerUnit');
+    } catch (uomError) {
+      return res.status(400).json({ message: uomError.message });
+    }
+
     const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.body, req.user._id);
     
     // Transform names to uppercase
@@ -154,7 +162,7 @@ router.put('/:id', [
   body('supplier').optional().isMongoId().withMessage('Valid supplier is required'),
   body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').optional().isMongoId().withMessage('Valid product is required'),
-  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
   body('items.*.costPerUnit').optional().isFloat({ min: 0 }).withMessage('Cost per unit must be positive'),
   body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
@@ -167,6 +175,14 @@ router.put('/:id', [
       return res.status(400).json({ errors: errors.array() });
     }
     
+    if (req.body.items) {
+      try {
+        await uomService.normalizeLineItems(req.body.items, 'costPerUnit');
+      } catch (uomError) {
+        return res.status(400).json({ message: uomError.message });
+      }
+    }
+
     const updatedPO = await purchaseOrderService.updatePurchaseOrder(
       req.params.id,
       req.body,
@@ -575,7 +591,7 @@ router.post('/:id/convert', [
   requirePermission('manage_inventory'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
   body('items.*.costPerUnit').isFloat({ min: 0 }).withMessage('Cost per unit must be positive')
 ], async (req, res) => {
   try {
@@ -594,6 +610,12 @@ router.post('/:id/convert', [
     const { items } = req.body;
     const conversionResults = [];
 
+    try {
+      await uomService.normalizeLineItems(items, 'costPerUnit');
+    } catch (uomError) {
+      return res.status(400).json({ message: uomError.message });
+    }
+
     // Process each item
     for (const item of items) {
       try {
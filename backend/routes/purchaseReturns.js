@@ -39,7 +39,7 @@ router.post('/', [
   body('items').isArray({ min: 1 }).withMessage('At least one return item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
   body('items.*.originalOrderItem').isMongoId().withMessage('Valid order item ID is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Valid quantity is required'),
   body('items.*.returnReason').isIn([
     'defective', 'wrong_item', 'not_as_described', 'damaged_shipping',
     'changed_mind', 'duplicate_order', 'size_issue', 'quality_issue',
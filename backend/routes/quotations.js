@@ -0,0 +1,333 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const quotationService = require('../services/quotationService');
+const Quotation = require('../models/Quotation');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handleQuotationError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const sendPdf = (res, { filename, filepath }) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const fileStream = fs.createReadStream(filepath);
+  fileStream.pipe(res);
+  fileStream.on('error', (error) => {
+    console.error('Error streaming quotation file:', error);
+    res.status(500).json({ success: false, message: 'Error downloading file' });
+  });
+};
+
+const itemValidators = (required) => [
+  (required ? body('items') : body('items').optional()).isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+];
+
+const termsValidators = [
+  body('validUntil').optional({ checkFalsy: true }).isISO8601().withMessage('Valid until must be a date'),
+  body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be positive'),
+  body('isTaxExempt').optional().isBoolean().withMessage('Tax exempt must be a boolean'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+  body('terms').optional().isString().trim().isLength({ max: 500 }).withMessage('Terms too long'),
+];
+
+const idValidator = param('id').isMongoId().withMessage('Invalid quotation ID');
+
+// @route   GET /api/quotations
+// @desc    List quotations
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_quotations'),
+  sanitizeRequest,
+  query('status').optional({ checkFalsy: true }).isIn(Quotation.STATUSES).withMessage('Invalid status'),
+  query('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  query('dateFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Date from must be a date'),
+  query('dateTo').optional({ checkFalsy: true }).isISO8601().withMessage('Date to must be a date'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await quotationService.getQuotations(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error fetching quotations');
+  }
+});
+
+// @route   GET /api/quotations/reports/conversion
+// @desc    Quote-to-order conversion rate for quotations dated in a period
+// @access  Private
+router.get('/reports/conversion', [
+  auth,
+  requirePermission('view_quotations'),
+  sanitizeRequest,
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('End date must be a valid date'),
+  query('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await quotationService.getConversionReport(req.query);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error building conversion report');
+  }
+});
+
+// @route   POST /api/quotations/expire
+// @desc    Expire lapsed quotations now instead of waiting for the nightly job
+// @access  Private
+router.post('/expire', [
+  auth,
+  requirePermission('manage_quotations'),
+], async (req, res) => {
+  try {
+    const results = await quotationService.expireLapsedQuotations();
+    res.json({ success: true, message: `${results.expired} quotation(s) expired`, data: results });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error expiring quotations');
+  }
+});
+
+// @route   POST /api/quotations
+// @desc    Create a draft quotation; lines without a price are priced from the customer's price lists
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('manage_quotations'),
+  sanitizeRequest,
+  body('customer').isMongoId().withMessage('Valid customer is required'),
+  body('quoteDate').optional({ checkFalsy: true }).isISO8601().withMessage('Quotation date must be a date'),
+  ...itemValidators(true),
+  ...termsValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.createQuotation(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: `Quotation ${quotation.quoteNumber} created successfully`,
+      data: quotation
+    });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error creating quotation');
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Quotation with its revision history
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_quotations'),
+  idValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.getQuotationById(req.params.id);
+    res.json({ success: true, data: quotation });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error fetching quotation');
+  }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Edit a draft quotation
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('manage_quotations'),
+  sanitizeRequest,
+  idValidator,
+  ...itemValidators(false),
+  ...termsValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.updateQuotation(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Quotation updated successfully', data: quotation });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error updating quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/revise
+// @desc    Issue a new revision, keeping the previous terms in the history
+// @access  Private
+router.post('/:id/revise', [
+  auth,
+  requirePermission('manage_quotations'),
+  sanitizeRequest,
+  idValidator,
+  ...itemValidators(false),
+  ...termsValidators,
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.reviseQuotation(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: `Quotation ${quotation.displayNumber} issued`,
+      data: quotation
+    });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error revising quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/send
+// @desc    Mark a quotation as sent to the customer
+// @access  Private
+router.post('/:id/send', [
+  auth,
+  requirePermission('manage_quotations'),
+  idValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.sendQuotation(req.params.id, req.user);
+    res.json({ success: true, message: 'Quotation marked as sent', data: quotation });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error sending quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/accept
+// @desc    Record the customer's acceptance
+// @access  Private
+router.post('/:id/accept', [
+  auth,
+  requirePermission('manage_quotations'),
+  sanitizeRequest,
+  idValidator,
+  body('customerResponse').optional().isString().trim().isLength({ max: 500 }).withMessage('Response too long'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.acceptQuotation(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Quotation accepted', data: quotation });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error accepting quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/reject
+// @desc    Record the customer's rejection and why
+// @access  Private
+router.post('/:id/reject', [
+  auth,
+  requirePermission('manage_quotations'),
+  sanitizeRequest,
+  idValidator,
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required'),
+  body('customerResponse').optional().isString().trim().isLength({ max: 500 }).withMessage('Response too long'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.rejectQuotation(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Quotation rejected', data: quotation });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error rejecting quotation');
+  }
+});
+
+// @route   POST /api/quotations/:id/cancel
+// @desc    Withdraw a quotation
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  requirePermission('manage_quotations'),
+  idValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const quotation = await quotationService.cancelQuotation(req.params.id, req.user);
+    res.json({ success: true, message: 'Quotation cancelled', data: quotation });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error cancelling quotation');
+  }
+});
+
+// @route   GET /api/quotations/:id/convert
+// @desc    Get quotation data for conversion to a sales order
+// @access  Private
+router.get('/:id/convert', [
+  auth,
+  requirePermission('view_quotations'),
+  idValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const data = await quotationService.getConversionData(req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error fetching conversion data');
+  }
+});
+
+// @route   POST /api/quotations/:id/convert
+// @desc    Convert a quotation into a draft sales order at the quoted prices
+// @access  Private
+router.post('/:id/convert', [
+  auth,
+  requirePermission('manage_quotations'),
+  requirePermission('create_sales_orders'),
+  sanitizeRequest,
+  idValidator,
+  body('expectedDelivery').optional({ checkFalsy: true }).isISO8601().withMessage('Valid delivery date required'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await quotationService.convertToSalesOrder(req.params.id, req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: `Sales order ${result.salesOrder.soNumber} created from quotation ${result.quotation.quoteNumber}`,
+      data: result
+    });
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error converting quotation');
+  }
+});
+
+// @route   GET /api/quotations/:id/pdf
+// @desc    Download a quotation as PDF
+// @access  Private
+router.get('/:id/pdf', [
+  auth,
+  requirePermission('view_quotations'),
+  idValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    sendPdf(res, await quotationService.generateQuotationPdf(req.params.id));
+  } catch (error) {
+    handleQuotationError(res, error, 'Server error generating quotation PDF');
+  }
+});
+
+module.exports = router;
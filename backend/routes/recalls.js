@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const recallService = require('../services/recallService');
+
+const router = express.Router();
+
+const validateRecallId = [
+  param('id').isMongoId().withMessage('Valid recall ID is required'),
+];
+
+// Map service errors to HTTP responses
+const handleRecallError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/recalls
+// @desc    List product recalls
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_inventory'),
+  sanitizeRequest,
+  query('status').optional({ checkFalsy: true }).isIn(['open', 'in_progress', 'closed', 'cancelled']),
+  query('severity').optional({ checkFalsy: true }).isIn(['low', 'medium', 'high', 'critical']),
+  query('product').optional({ checkFalsy: true }).isMongoId(),
+  query('batch').optional({ checkFalsy: true }).isMongoId(),
+  query('customer').optional({ checkFalsy: true }).isMongoId(),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { recalls, pagination } = await recallService.getRecalls(req.query);
+    res.json({ success: true, data: { recalls, pagination } });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error fetching recalls');
+  }
+});
+
+// @route   GET /api/recalls/:id
+// @desc    Get recall details with affected sales and customers
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_inventory'),
+  ...validateRecallId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const recall = await recallService.getRecallById(req.params.id);
+    res.json({ success: true, data: recall });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error fetching recall');
+  }
+});
+
+// @route   GET /api/recalls/:id/report
+// @desc    Recall closure report (recovered vs outstanding quantity)
+// @access  Private
+router.get('/:id/report', [
+  auth,
+  requirePermission('view_inventory'),
+  ...validateRecallId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await recallService.getClosureReport(req.params.id);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error generating recall report');
+  }
+});
+
+// @route   POST /api/recalls
+// @desc    Open a recall against one or more batches (blocks them from sale)
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  body('batches').isArray({ min: 1 }).withMessage('At least one batch is required'),
+  body('batches.*').isMongoId().withMessage('Valid batch ID is required'),
+  body('reason').isString().trim().notEmpty().withMessage('Recall reason is required').isLength({ max: 1000 }),
+  body('severity').optional().isIn(['low', 'medium', 'high', 'critical']),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const recall = await recallService.openRecall(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Recall opened successfully',
+      data: recall,
+    });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error opening recall');
+  }
+});
+
+// @route   POST /api/recalls/:id/generate-returns
+// @desc    Issue recall return requests for each affected customer
+// @access  Private
+router.post('/:id/generate-returns', [
+  auth,
+  requirePermission('update_inventory'),
+  ...validateRecallId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { recall, returnRequests, skipped } = await recallService.generateReturnRequests(req.params.id, req.user);
+    res.json({
+      success: true,
+      message: `${returnRequests.length} recall return request(s) created`,
+      data: { recall, returnRequests, skipped },
+    });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error generating recall returns');
+  }
+});
+
+// @route   POST /api/recalls/:id/close
+// @desc    Close a recall, writing off or quarantining its stock still on hand
+// @access  Private
+router.post('/:id/close', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateRecallId,
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  body('disposition').optional().isIn(['write_off', 'quarantine']).withMessage('Disposition must be write_off or quarantine'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const recall = await recallService.closeRecall(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Recall closed successfully',
+      data: recall,
+    });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error closing recall');
+  }
+});
+
+// @route   POST /api/recalls/:id/cancel
+// @desc    Cancel a recall opened in error (releases its batches)
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateRecallId,
+  body('reason').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const recall = await recallService.cancelRecall(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Recall cancelled successfully',
+      data: recall,
+    });
+  } catch (error) {
+    handleRecallError(res, error, 'Server error cancelling recall');
+  }
+});
+
+module.exports = router;
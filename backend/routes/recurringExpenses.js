@@ -16,6 +16,7 @@ const recurringExpenseRepository = require('../repositories/RecurringExpenseRepo
 const supplierRepository = require('../repositories/SupplierRepository');
 const customerRepository = require('../repositories/CustomerRepository');
 const bankRepository = require('../repositories/BankRepository');
+const budgetService = require('../services/budgetService');
 
 const router = express.Router();
 
@@ -257,6 +258,20 @@ router.post(
 
       await recurringExpense.save();
 
+      // Warn (without blocking) when the first instalment would exceed the remaining budget
+      let budgetWarning = null;
+      if (recurringExpense.expenseAccount) {
+        try {
+          budgetWarning = await budgetService.checkExpenseAgainstBudget({
+            expenseAccount: recurringExpense.expenseAccount,
+            amount: recurringExpense.amount,
+            date: recurringExpense.nextDueDate
+          });
+        } catch (error) {
+          console.error('Error checking budget for recurring expense:', error);
+        }
+      }
+
       await recurringExpense.populate([
         { path: 'supplier', select: 'name companyName businessName displayName' },
         { path: 'customer', select: 'name firstName lastName businessName displayName email' },
@@ -267,7 +282,8 @@ router.post(
       res.status(201).json({
         success: true,
         message: 'Recurring expense created successfully',
-        data: recurringExpense
+        data: recurringExpense,
+        budgetWarning: budgetWarning || undefined
       });
     } catch (error) {
       console.error('Error creating recurring expense:', error);
@@ -488,6 +504,20 @@ router.post(
 
       let paymentRecord = null;
 
+      // Warn (without blocking) when the payment would exceed the remaining budget
+      let budgetWarning = null;
+      if (recurringExpense.expenseAccount) {
+        try {
+          budgetWarning = await budgetService.checkExpenseAgainstBudget({
+            expenseAccount: recurringExpense.expenseAccount,
+            amount: recurringExpense.amount,
+            date: effectivePaymentDate
+          });
+        } catch (error) {
+          console.error('Error checking budget for recurring expense payment:', error);
+        }
+      }
+
       if (effectivePaymentType === 'bank') {
         if (!recurringExpense.bank) {
           await session.abortTransaction();
@@ -504,6 +534,7 @@ router.post(
           bank: recurringExpense.bank,
           supplier: recurringExpense.supplier || undefined,
           customer: recurringExpense.customer || undefined,
+          expenseAccount: recurringExpense.expenseAccount || undefined,
           notes: notes ? notes.trim() : recurringExpense.notes,
           createdBy: req.user._id
         });
@@ -544,6 +575,7 @@ router.post(
           supplier: recurringExpense.supplier || undefined,
           customer: recurringExpense.customer || undefined,
           paymentMethod: 'cash',
+          expenseAccount: recurringExpense.expenseAccount || undefined,
           notes: notes ? notes.trim() : recurringExpense.notes,
           createdBy: req.user._id
         });
@@ -608,7 +640,8 @@ router.post(
         data: {
           payment: paymentRecord,
           recurringExpense
-        }
+        },
+        budgetWarning: budgetWarning || undefined
       });
     } catch (error) {
       await session.abortTransaction();
@@ -13,6 +13,15 @@ const BankReceipt = require('../models/BankReceipt');
 const Inventory = require('../models/Inventory');
 const StockMovementService = require('../services/stockMovementService');
 const salesService = require('../services/salesService');
+const warehouseService = require('../services/warehouseService');
+const inventoryService = require('../services/inventoryService');
+const batchService = require('../services/batchService');
+const uomService = require('../services/uomService');
+const priceListService = require('../services/priceListService');
+const promotionService = require('../services/promotionService');
+const loyaltyService = require('../services/loyaltyService');
+const storedValueService = require('../services/storedValueService');
+const AccountingService = require('../services/accountingService');
 const salesRepository = require('../repositories/SalesRepository');
 const productRepository = require('../repositories/ProductRepository');
 const productVariantRepository = require('../repositories/ProductVariantRepository');
@@ -353,15 +362,24 @@ router.post('/', [
   body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   body('items').isArray({ min: 1 }).withMessage('Order must have at least one item'),
   body('items.*.product').isMongoId().withMessage('Invalid product ID'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('payment.method').isIn(['cash', 'credit_card', 'debit_card', 'check', 'account', 'split', 'bank']).withMessage('Invalid payment method'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Invalid unit'),
+  body('payment.method').isIn(['cash', 'credit_card', 'debit_card', 'check', 'account', 'split', 'bank', 'gift_card', 'store_credit']).withMessage('Invalid payment method'),
   body('payment.amount').optional().isFloat({ min: 0 }).withMessage('Payment amount must be a positive number'),
   body('payment.remainingBalance').optional().isFloat().withMessage('Remaining balance must be a valid number'),
   body('payment.isPartialPayment').optional().isBoolean().withMessage('Partial payment must be a boolean'),
   body('payment.isAdvancePayment').optional().isBoolean().withMessage('Advance payment must be a boolean'),
   body('payment.advanceAmount').optional().isFloat({ min: 0 }).withMessage('Advance amount must be a positive number'),
+  body('payment.loyaltyPoints').optional().isInt({ min: 0 }).withMessage('Loyalty points must be a whole number'),
+  body('payment.storedValue').optional().isArray().withMessage('Gift cards must be an array'),
+  body('payment.storedValue.*.code').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Gift card or credit note code is required'),
+  body('payment.storedValue.*.amount').isFloat({ gt: 0 }).withMessage('Gift card amount must be greater than 0'),
+  body('payment.storeCredit').optional().isFloat({ min: 0 }).withMessage('Store credit must be a positive number'),
   body('isTaxExempt').optional().isBoolean().withMessage('Tax exempt must be a boolean'),
-  body('billDate').optional().isISO8601().withMessage('Valid bill date required (ISO 8601 format)')
+  body('billDate').optional().isISO8601().withMessage('Valid bill date required (ISO 8601 format)'),
+  body('warehouse').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid warehouse ID'),
+  body('promotionCodes').optional().isArray().withMessage('Promotion codes must be an array'),
+  body('promotionCodes.*').isString().trim().isLength({ min: 1, max: 20 }).withMessage('Invalid promotion code')
 ], async (req, res) => {
   // Capture bill start time (when billing begins)
   const billStartTime = new Date();
@@ -381,7 +399,7 @@ router.post('/', [
       });
     }
 
-    const { customer, items, orderType, payment, notes, isTaxExempt, billDate } = req.body;
+    const { customer, items, orderType, payment, notes, isTaxExempt, billDate, warehouse, promotionCodes } = req.body;
 
     // Validate customer if provided
     let customerData = null;
@@ -392,6 +410,30 @@ router.post('/', [
       }
     }
 
+    // Resolve the stock location: requested warehouse, user's assigned warehouse, then primary
+    let saleWarehouse;
+    try {
+      saleWarehouse = await warehouseService.resolveTransactionWarehouse(req.user, warehouse);
+    } catch (warehouseError) {
+      return res.status(400).json({ message: warehouseError.message });
+    }
+    const warehouseId = saleWarehouse ? saleWarehouse._id : null;
+    const warehouseKey = saleWarehouse
+      ? Inventory.getWarehouseKey(saleWarehouse)
+      : await Inventory.getPrimaryWarehouseKey();
+    const isPrimaryLocation = !saleWarehouse || !!saleWarehouse.isPrimary;
+
+    // Ledger posting happens after the sale is committed and does not fail it, so a bill dated
+    // in a closed period is refused before any stock moves
+    try {
+      await AccountingService.assertPostingPeriodOpen(parseLocalDate(billDate) || new Date(), 'sale');
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+
+    // Price lists assigned to the customer and in effect on the bill date
+    const priceLists = await priceListService.getApplicablePriceLists(customerData, parseLocalDate(billDate) || new Date());
+
     // Validate products and calculate pricing
     const orderItems = [];
     let subtotal = 0;
@@ -415,30 +457,48 @@ router.post('/', [
         return res.status(400).json({ message: `Product or variant ${item.product} not found` });
       }
 
-      // Check actual inventory from Inventory model (source of truth) instead of Product/Variant model cache
-      let inventoryRecord = await Inventory.findOne({ product: item.product });
+      // Normalise the line to the product's base unit; stock always moves in base units
+      let uom;
+      let customPrice;
+      try {
+        uom = await uomService.normalizeQuantity(product, item.quantity, item.unit);
+        // A custom price is quoted per entered unit
+        customPrice = uomService.toBaseUnitPrice(item.unitPrice, uom.conversionFactor);
+      } catch (uomError) {
+        return res.status(400).json({ message: uomError.message });
+      }
+      item.unitPrice = customPrice === null ? undefined : customPrice;
+      item.quantity = uom.quantity;
+
+      // Check actual inventory from Inventory model (source of truth) for the sale's warehouse
+      let inventoryRecord = await Inventory.findOne({ product: item.product, 'location.warehouse': warehouseKey });
       let availableStock = 0;
       const productStock = Number(product.inventory?.currentStock || 0);
+      // Stock on the Product/Variant cache that no warehouse row accounts for belongs to the primary warehouse
+      const untrackedStock = isPrimaryLocation
+        ? Math.max(0, productStock - await Inventory.getTotalStock(item.product))
+        : 0;
 
-      // If Inventory record doesn't exist, create it from Product/Variant's stock
+      // If Inventory record doesn't exist, create it from Product/Variant's untracked stock
       if (!inventoryRecord) {
         // Create Inventory record with Product/Variant's stock value
         try {
           inventoryRecord = await Inventory.create({
             product: item.product,
             productModel: isVariant ? 'ProductVariant' : 'Product',
-            currentStock: productStock,
+            currentStock: untrackedStock,
             reorderPoint: product.inventory?.reorderPoint || product.inventory?.minStock || 10,
             reorderQuantity: product.inventory?.reorderQuantity || 50,
             reservedStock: 0,
-            availableStock: productStock,
-            status: productStock > 0 ? 'active' : 'out_of_stock'
+            availableStock: untrackedStock,
+            location: { warehouse: warehouseKey },
+            status: untrackedStock > 0 ? 'active' : 'out_of_stock'
           });
-          availableStock = productStock;
+          availableStock = untrackedStock;
         } catch (inventoryError) {
           // If creation fails, use Product/Variant stock as fallback
           console.error('Error creating inventory record:', inventoryError);
-          availableStock = productStock;
+          availableStock = untrackedStock;
         }
       } else {
         // Use availableStock from Inventory model (currentStock - reservedStock)
@@ -454,10 +514,10 @@ router.post('/', [
         availableStock = inventoryAvailableStock > 0 ? inventoryAvailableStock : calculatedAvailableStock;
 
         // Check if Product has more stock than Inventory (sync issue)
-        if (productStock > inventoryCurrentStock) {
-          // Product has more stock, use Product stock as available (Inventory might be outdated)
+        if (untrackedStock > 0) {
+          // Product has more stock, count it as available here (Inventory might be outdated)
           // But still account for reserved stock
-          availableStock = Math.max(0, productStock - inventoryReservedStock);
+          availableStock = Math.max(0, inventoryCurrentStock + untrackedStock - inventoryReservedStock);
         }
       }
 
@@ -469,19 +529,29 @@ router.post('/', [
         : product.name;
 
       if (availableStock < requestedQuantity) {
+        // Say so when the rest of the stock is held back by a product recall
+        const recalledQuantity = await batchService.getRecalledQuantity(item.product, warehouseKey);
         return res.status(400).json({
-          message: `Insufficient stock for ${productName}. Available: ${availableStock}, Requested: ${requestedQuantity}`,
+          message: recalledQuantity > 0
+            ? `Insufficient stock for ${productName}. ${recalledQuantity} on hand is blocked by a product recall. Available: ${availableStock}, Requested: ${requestedQuantity}`
+            : `Insufficient stock for ${productName}. Available: ${availableStock}, Requested: ${requestedQuantity}`,
           product: productName,
           availableStock: availableStock,
+          recalledQuantity,
           requestedQuantity: requestedQuantity
         });
       }
 
-      // Use custom unitPrice if provided, otherwise calculate based on customer type
+      // Use custom unitPrice if provided, otherwise the customer's price list, then customer type pricing
       let unitPrice;
+      let listPrice = null;
       if (item.unitPrice !== undefined && item.unitPrice !== null) {
-        // Use the custom unitPrice from the request
+        // Use the custom unitPrice from the request; it came from the price list when it matches the list price
         unitPrice = item.unitPrice;
+        if (!isVariant) {
+          const quoted = priceListService.resolvePrice(product, item.quantity, priceLists);
+          if (quoted && Math.abs(quoted.unitPrice - unitPrice) < 0.005) listPrice = quoted;
+        }
       } else {
         // Determine customer type for pricing and calculate default price
         const customerType = customerData ? customerData.businessType : 'retail';
@@ -493,8 +563,12 @@ router.post('/', [
             unitPrice = product.pricing?.retail || 0;
           }
         } else {
-          // For regular products, use the method
-          unitPrice = product.getPriceForCustomerType ? product.getPriceForCustomerType(customerType, item.quantity) : (product.pricing?.retail || 0);
+          // For regular products, a negotiated list price wins, then unit-specific (pack) prices, then the base price
+          listPrice = priceListService.resolvePrice(product, item.quantity, priceLists);
+          unitPrice = listPrice
+            ? listPrice.unitPrice
+            : uomService.getUnitPrice(product, uom.unitInfo, customerType)
+              ?? (product.getPriceForCustomerType ? product.getPriceForCustomerType(customerType, item.quantity) : (product.pricing?.retail || 0));
         }
       }
 
@@ -516,8 +590,7 @@ router.post('/', [
 
       // First try to get from Inventory (most accurate - reflects actual purchase cost)
       try {
-        const Inventory = require('../models/Inventory');
-        const inventory = await Inventory.findOne({ product: product._id });
+        const inventory = await Inventory.findOne({ product: product._id, 'location.warehouse': warehouseKey });
         if (inventory && inventory.cost) {
           // Use average cost if available, otherwise last purchase cost
           unitCost = inventory.cost.average || inventory.cost.lastPurchase || 0;
@@ -535,12 +608,22 @@ router.post('/', [
       orderItems.push({
         product: product._id,
         quantity: item.quantity,
+        uom: {
+          unit: uom.unit,
+          quantity: uom.unitQuantity,
+          conversionFactor: uom.conversionFactor,
+          unitPrice: unitPrice * uom.conversionFactor
+        },
         unitCost,
         unitPrice,
+        priceList: listPrice ? listPrice.priceList : undefined,
         discountPercent: itemDiscountPercent,
         taxRate: isVariant
           ? (product.baseProduct?.taxSettings?.taxRate || 0)
           : (product.taxSettings?.taxRate || 0),
+        taxCode: isVariant
+          ? product.baseProduct?.taxSettings?.taxCode
+          : product.taxSettings?.taxCode,
         subtotal: itemSubtotal,
         discountAmount: itemDiscount,
         taxAmount: itemTax,
@@ -552,6 +635,18 @@ router.post('/', [
       totalTax += itemTax;
     }
 
+    // Automatic promotions and entered codes, best deal first, on top of the line discounts
+    const promotions = await promotionService.evaluate({
+      items: orderItems,
+      customer: customerData,
+      codes: promotionCodes
+    });
+    if (promotions.totalDiscount > 0) {
+      promotionService.applyToSaleItems(orderItems, promotions, isTaxExempt);
+      totalDiscount = orderItems.reduce((sum, item) => sum + item.discountAmount, 0);
+      totalTax = orderItems.reduce((sum, item) => sum + item.taxAmount, 0);
+    }
+
     // Generate order number
     const today = new Date();
     const year = today.getFullYear();
@@ -564,6 +659,33 @@ router.post('/', [
     // Calculate order total
     const orderTotal = subtotal - totalDiscount + totalTax;
 
+    // Loyalty points redeemed at checkout count towards the amount paid
+    let loyaltyRedemption = { points: 0, amount: 0 };
+    if (Number(payment.loyaltyPoints) > 0) {
+      try {
+        loyaltyRedemption = await loyaltyService.quoteRedemption(customerData, Number(payment.loyaltyPoints), orderTotal);
+      } catch (loyaltyError) {
+        return res.status(400).json({ message: loyaltyError.message });
+      }
+      payment.amount = (payment.amount || 0) + loyaltyRedemption.amount;
+    }
+
+    // Gift cards, credit notes and store credit tendered are split-payment legs towards the amount paid
+    let storedValueRedemption = { legs: [], amount: 0 };
+    if ((payment.storedValue || []).length > 0 || Number(payment.storeCredit) > 0) {
+      try {
+        storedValueRedemption = await storedValueService.quoteRedemption({
+          cards: payment.storedValue || [],
+          storeCredit: Number(payment.storeCredit) || 0,
+          customer: customerData,
+          billTotal: orderTotal - loyaltyRedemption.amount
+        });
+      } catch (storedValueError) {
+        return res.status(400).json({ message: storedValueError.message });
+      }
+      payment.amount = (payment.amount || 0) + storedValueRedemption.amount;
+    }
+
     // Check credit limit for credit sales (account payment or partial payment)
     if (customerData && customerData.creditLimit > 0) {
       // Determine unpaid amount
@@ -597,9 +719,30 @@ router.post('/', [
     }
 
     // Update inventory BEFORE order save to prevent creating orders with insufficient stock
-    const inventoryService = require('../services/inventoryService');
     const inventoryUpdates = [];
 
+    // Put back the stock taken for lines already processed when the sale cannot go ahead
+    const rollbackInventoryUpdates = async () => {
+      for (const successUpdate of inventoryUpdates) {
+        try {
+          await inventoryService.updateStock({
+            productId: successUpdate.productId,
+            type: 'in',
+            quantity: successUpdate.quantity,
+            reason: 'Rollback - Sales Order Creation Failed',
+            reference: 'Sales Order',
+            referenceId: null,
+            referenceModel: 'SalesOrder',
+            performedBy: req.user._id,
+            notes: `Rollback: Sales order creation failed`,
+            warehouse: warehouseId
+          });
+        } catch (rollbackError) {
+          console.error(`Failed to rollback inventory for product ${successUpdate.productId}:`, rollbackError);
+        }
+      }
+    };
+
     for (const item of items) {
       try {
         // Try to find as product first, then as variant
@@ -622,25 +765,29 @@ router.post('/', [
           ? (product.displayName || product.variantName || `${product.baseProduct?.name || 'Product'} - ${product.variantValue || ''}`)
           : product.name;
 
-        // Check actual inventory from Inventory model (source of truth) instead of Product/Variant model cache
-        let inventoryRecord = await Inventory.findOne({ product: item.product });
+        // Check actual inventory from Inventory model (source of truth) for the sale's warehouse
+        let inventoryRecord = await Inventory.findOne({ product: item.product, 'location.warehouse': warehouseKey });
         let availableStock = 0;
         const productStock = Number(product.inventory?.currentStock || 0);
+        const untrackedStock = isPrimaryLocation
+          ? Math.max(0, productStock - await Inventory.getTotalStock(item.product))
+          : 0;
 
-        // If Inventory record doesn't exist, create it from Product/Variant's stock
+        // If Inventory record doesn't exist, create it from Product/Variant's untracked stock
         if (!inventoryRecord) {
           // Create Inventory record with Product/Variant's stock value
           inventoryRecord = await Inventory.create({
             product: item.product,
             productModel: isVariant ? 'ProductVariant' : 'Product',
-            currentStock: productStock,
+            currentStock: untrackedStock,
             reorderPoint: product.inventory?.reorderPoint || product.inventory?.minStock || 10,
             reorderQuantity: 50,
             reservedStock: 0,
-            availableStock: productStock,
-            status: productStock > 0 ? 'active' : 'out_of_stock'
+            availableStock: untrackedStock,
+            location: { warehouse: warehouseKey },
+            status: untrackedStock > 0 ? 'active' : 'out_of_stock'
           });
-          availableStock = productStock;
+          availableStock = untrackedStock;
         } else {
           // Use availableStock from Inventory model (currentStock - reservedStock)
           const inventoryCurrentStock = Number(inventoryRecord.currentStock || 0);
@@ -654,24 +801,26 @@ router.post('/', [
           availableStock = inventoryAvailableStock > 0 ? inventoryAvailableStock : calculatedAvailableStock;
 
           // Check if Product has more stock than Inventory (sync issue)
-          if (productStock > inventoryCurrentStock) {
+          if (untrackedStock > 0) {
+            const syncedStock = inventoryCurrentStock + untrackedStock;
             // Sync Inventory to match Product stock
             await inventoryService.updateStock({
               productId: item.product,
               type: 'adjustment',
-              quantity: productStock,
+              quantity: syncedStock,
               reason: 'Auto-sync from Product model',
               reference: 'Stock Sync',
               referenceId: null,
               referenceModel: 'StockAdjustment',
               performedBy: req.user._id,
-              notes: `Syncing Inventory model to match Product model stock (${inventoryCurrentStock} -> ${productStock})`
+              notes: `Syncing Inventory model to match Product model stock (${inventoryCurrentStock} -> ${syncedStock})`,
+              warehouse: warehouseId
             });
             // Refresh inventory record
-            inventoryRecord = await Inventory.findOne({ product: item.product });
+            inventoryRecord = await Inventory.findOne({ product: item.product, 'location.warehouse': warehouseKey });
             // Recalculate available stock after sync
             const refreshedReservedStock = Number(inventoryRecord.reservedStock || 0);
-            availableStock = Math.max(0, productStock - refreshedReservedStock);
+            availableStock = Math.max(0, syncedStock - refreshedReservedStock);
           }
         }
 
@@ -697,7 +846,8 @@ router.post('/', [
           referenceId: null, // Will be updated after order save
           referenceModel: 'SalesOrder',
           performedBy: req.user._id,
-          notes: `Stock reduced due to sales order creation`
+          notes: `Stock reduced due to sales order creation`,
+          warehouse: warehouseId
         });
 
         inventoryUpdates.push({
@@ -718,7 +868,7 @@ router.post('/', [
           if (productForError) {
             productName = productForError.name;
             // Get actual stock from Inventory model (source of truth)
-            const inventoryRecord = await Inventory.findOne({ product: item.product });
+            const inventoryRecord = await Inventory.findOne({ product: item.product, 'location.warehouse': warehouseKey });
             availableStock = Number(inventoryRecord ? inventoryRecord.currentStock : (productForError.inventory?.currentStock || 0));
           }
         } catch (productError) {
@@ -730,23 +880,7 @@ router.post('/', [
         const statusCode = isInsufficientStock ? 400 : 500;
 
         // Rollback successful inventory updates
-        for (const successUpdate of inventoryUpdates) {
-          try {
-            await inventoryService.updateStock({
-              productId: successUpdate.productId,
-              type: 'in',
-              quantity: successUpdate.quantity,
-              reason: 'Rollback - Sales Order Creation Failed',
-              reference: 'Sales Order',
-              referenceId: null,
-              referenceModel: 'SalesOrder',
-              performedBy: req.user._id,
-              notes: `Rollback: Sales order creation failed`
-            });
-          } catch (rollbackError) {
-            console.error(`Failed to rollback inventory for product ${successUpdate.productId}:`, rollbackError);
-          }
-        }
+        await rollbackInventoryUpdates();
 
         return res.status(statusCode).json({
           message: isInsufficientStock
@@ -761,6 +895,22 @@ router.post('/', [
       }
     }
 
+    // Pick batches for the stock that left the warehouse (FEFO, then FIFO for lots without expiry)
+    // Stock received before batch tracking simply stays unallocated; an error here fails the sale
+    try {
+      await batchService.allocateSaleItems(orderItems, warehouseKey);
+    } catch (batchError) {
+      console.error('Error allocating batches for sales order:', batchError);
+      await batchService.releaseSaleItems(orderItems).catch(releaseError => {
+        console.error('Error releasing batches for failed sales order:', releaseError);
+      });
+      await rollbackInventoryUpdates();
+      return res.status(500).json({
+        message: 'Failed to allocate stock batches for the sale',
+        error: batchError.message
+      });
+    }
+
     // Create order
     // Note: orderNumber will be auto-generated by Order model's pre-save hook with SI- prefix
     // Sales page orders are automatically confirmed since they directly impact stock
@@ -778,6 +928,12 @@ router.post('/', [
         advanceBalance: customerData.advanceBalance
       } : null,
       items: orderItems,
+      warehouse: warehouseId,
+      promotions: promotions.applied.map(({ discount, code, name, type, amount }) => ({ discount, code, name, type, amount })),
+      loyalty: {
+        pointsRedeemed: loyaltyRedemption.points,
+        amountRedeemed: loyaltyRedemption.amount
+      },
       pricing: {
         subtotal,
         discountAmount: totalDiscount,
@@ -788,12 +944,13 @@ router.post('/', [
       },
       payment: {
         method: payment.method,
-        status: payment.isPartialPayment ? 'partial' : (payment.method === 'cash' ? 'paid' : 'pending'),
+        status: payment.isPartialPayment ? 'partial' : (['cash', 'gift_card', 'store_credit'].includes(payment.method) ? 'paid' : 'pending'),
         amountPaid: payment.amount || 0,
         remainingBalance: payment.remainingBalance || 0,
         isPartialPayment: payment.isPartialPayment || false,
         isAdvancePayment: payment.isAdvancePayment || false,
-        advanceAmount: payment.advanceAmount || 0
+        advanceAmount: payment.advanceAmount || 0,
+        storedValue: storedValueRedemption.legs
       },
       status: 'confirmed', // Sales page orders are automatically confirmed since they directly impact stock
       notes,
@@ -892,9 +1049,18 @@ router.post('/', [
         }
       }
 
-      // 5. Create accounting entries
+      // 5. Take redeemed loyalty points off the customer's balance
+      if (loyaltyRedemption.points > 0) {
+        await loyaltyService.redeemForSale(order, req.user, { session });
+      }
+
+      // 6. Draw gift cards, credit notes and store credit down
+      if (storedValueRedemption.legs.length > 0) {
+        await storedValueService.redeemForSale(order, req.user, { session });
+      }
+
+      // 7. Create accounting entries
       try {
-        const AccountingService = require('../services/accountingService');
         await AccountingService.recordSale(order);
       } catch (error) {
         console.error('Error creating accounting entries for sales order:', error);
@@ -914,6 +1080,20 @@ router.post('/', [
       // Update order with bill end time
       await Sales.findByIdAndUpdate(orderId, { billEndTime }, { new: true });
 
+      if (promotions.applied.length > 0) {
+        try {
+          await promotionService.recordUsage(promotions, order, customer);
+        } catch (usageError) {
+          console.error('Error recording promotion usage:', usageError);
+        }
+      }
+
+      try {
+        await loyaltyService.earnForSale(order, req.user);
+      } catch (loyaltyError) {
+        console.error('Error crediting loyalty points:', loyaltyError);
+      }
+
       // Reload order after transaction (since it was saved in session)
       const savedOrder = await Sales.findById(orderId);
 
@@ -940,8 +1120,13 @@ router.post('/', [
         order: orderForResponse
       });
     } catch (error) {
-      // Rollback transaction on error
-      await session.abortTransaction();
+      // Rollback transaction on error; stock was taken before the transaction started, so put it back too
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+        await batchService.releaseSaleItems(orderItems).catch(releaseError =>
+          console.error('Error releasing batches after failed sales order:', releaseError));
+        await rollbackInventoryUpdates();
+      }
       throw error;
     } finally {
       session.endSession();
@@ -1020,11 +1205,48 @@ router.put('/:id/status', [
 
     // If cancelling, restore inventory and reverse customer balance
     if (req.body.status === 'cancelled') {
+      try {
+        await AccountingService.assertPostingPeriodOpen(order.billDate || order.createdAt, 'sale');
+      } catch (periodError) {
+        return res.status(400).json({ message: periodError.message });
+      }
+
+      // Undo loyalty and credit gift cards, credit notes and store credit back first, so nothing else
+      // has moved if either fails (the loyalty reversal is safe to repeat, so it goes first)
+      try {
+        await loyaltyService.reverseForSale(order, req.user, { reason: 'cancelled' });
+        await storedValueService.reverseForSale(order, req.user, { reason: 'cancelled' });
+      } catch (error) {
+        console.error('Error reversing loyalty and stored value on cancellation:', error);
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Put the stock back in the warehouse it was sold from
       for (const item of order.items) {
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { 'inventory.currentStock': item.quantity } }
-        );
+        try {
+          await inventoryService.updateStock({
+            productId: item.product,
+            type: 'in',
+            quantity: item.quantity,
+            reason: 'Order Cancellation',
+            reference: 'Sales Order',
+            referenceId: order._id,
+            referenceModel: 'SalesOrder',
+            performedBy: req.user._id,
+            notes: `Inventory restored due to cancellation of order ${order.orderNumber}`,
+            warehouse: order.warehouse
+          });
+        } catch (error) {
+          console.error(`Failed to restore inventory for product ${item.product}:`, error);
+        }
+      }
+
+      // Return picked quantities to their batches
+      try {
+        await batchService.releaseSaleItems(order.items);
+        order.items.forEach(item => { item.batches = []; });
+      } catch (error) {
+        console.error('Error releasing batches on order cancellation:', error);
       }
 
       // Reverse customer balance for cancelled orders
@@ -1087,7 +1309,8 @@ router.put('/:id', [
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
   body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').optional().isMongoId().withMessage('Valid product is required'),
-  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }).withMessage('Invalid unit'),
   body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be positive'),
   body('billDate').optional().isISO8601().withMessage('Valid bill date required (ISO 8601 format)')
 ], async (req, res) => {
@@ -1102,6 +1325,16 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    // The edit re-posts the sale, so both its current date and any new bill date must be in an open period
+    try {
+      await AccountingService.assertPostingPeriodOpen(order.billDate || order.createdAt, 'sale');
+      if (req.body.billDate) {
+        await AccountingService.assertPostingPeriodOpen(parseLocalDate(req.body.billDate), 'sale');
+      }
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+
     // Get customer data if customer is being updated
     let customerData = null;
     if (req.body.customer) {
@@ -1163,6 +1396,27 @@ router.put('/:id', [
           return res.status(400).json({ message: `Product or variant ${item.product} not found` });
         }
 
+        // Normalise the line to the product's base unit before comparing with the old quantity
+        let uom;
+        let basePrice;
+        try {
+          uom = await uomService.normalizeQuantity(product, item.quantity, item.unit);
+          basePrice = uomService.toBaseUnitPrice(item.unitPrice, uom.conversionFactor);
+        } catch (uomError) {
+          return res.status(400).json({ message: uomError.message });
+        }
+        if (basePrice === null) {
+          return res.status(400).json({ message: `Unit price is required for ${product.name || item.product}` });
+        }
+        item.quantity = uom.quantity;
+        item.unitPrice = basePrice;
+        item.uom = {
+          unit: uom.unit,
+          quantity: uom.unitQuantity,
+          conversionFactor: uom.conversionFactor,
+          unitPrice: item.unitPrice * uom.conversionFactor
+        };
+
         // Find old quantity for this product
         const oldItem = oldItems.find(oi => {
           const oldProductId = oi.product?._id ? oi.product._id.toString() : oi.product?.toString() || oi.product;
@@ -1179,10 +1433,17 @@ router.put('/:id', [
             ? (product.displayName || product.variantName || `${product.baseProduct?.name || 'Product'} - ${product.variantValue || ''}`)
             : product.name;
 
-          const currentStock = product.inventory?.currentStock || 0;
-          if (currentStock < quantityChange) {
+          // The extra units come out of the order's own warehouse, less anything reserved there
+          let inventory;
+          try {
+            inventory = await inventoryService.getWarehouseStock(item.product, order.warehouse);
+          } catch (stockError) {
+            return res.status(400).json({ message: stockError.message });
+          }
+          const availableStock = inventory ? Math.max(0, inventory.currentStock - (inventory.reservedStock || 0)) : 0;
+          if (availableStock < quantityChange) {
             return res.status(400).json({
-              message: `Insufficient stock for ${productName}. Available: ${currentStock}, Additional needed: ${quantityChange}`
+              message: `Insufficient stock for ${productName}. Available: ${availableStock}, Additional needed: ${quantityChange}`
             });
           }
         }
@@ -1219,9 +1480,15 @@ router.put('/:id', [
         newOrderItems.push({
           product: item.product,
           quantity: item.quantity,
+          uom: item.uom,
           unitPrice: item.unitPrice,
           discountPercent: item.discountPercent || 0,
           taxRate: item.taxRate || 0,
+          taxCode: item.taxCode !== undefined
+            ? item.taxCode
+            : (isVariantForTax
+              ? productForTax?.baseProduct?.taxSettings?.taxCode
+              : productForTax?.taxSettings?.taxCode),
           subtotal: itemSubtotal,
           discountAmount: itemDiscount,
           taxAmount: itemTax,
@@ -1290,78 +1557,113 @@ router.put('/:id', [
       }
     }
 
-    await order.save();
-
-    // Adjust inventory based on item changes
+    // Adjust inventory based on item changes before saving, so a failed movement leaves the order as it was
+    const stockMovements = [];
     if (req.body.items && req.body.items.length > 0) {
-      try {
-        const inventoryService = require('../services/inventoryService');
+      for (const newItem of req.body.items) {
+        const oldItem = oldItems.find(oi => {
+          const oldProductId = oi.product?._id ? oi.product._id.toString() : oi.product?.toString() || oi.product;
+          const newProductId = newItem.product?.toString() || newItem.product;
+          return oldProductId === newProductId;
+        });
+        const oldQuantity = oldItem ? oldItem.quantity : 0;
+        const quantityChange = newItem.quantity - oldQuantity;
 
-        for (const newItem of req.body.items) {
-          const oldItem = oldItems.find(oi => {
-            const oldProductId = oi.product?._id ? oi.product._id.toString() : oi.product?.toString() || oi.product;
-            const newProductId = newItem.product?.toString() || newItem.product;
-            return oldProductId === newProductId;
+        if (quantityChange > 0) {
+          // Quantity increased - reduce inventory
+          stockMovements.push({
+            productId: newItem.product,
+            type: 'out',
+            quantity: quantityChange,
+            reason: 'Order Update - Quantity Increased',
+            notes: `Inventory reduced due to order ${order.orderNumber} update - quantity increased by ${quantityChange}`
+          });
+        } else if (quantityChange < 0) {
+          // Quantity decreased - restore inventory
+          stockMovements.push({
+            productId: newItem.product,
+            type: 'in',
+            quantity: Math.abs(quantityChange),
+            reason: 'Order Update - Quantity Decreased',
+            notes: `Inventory restored due to order ${order.orderNumber} update - quantity decreased by ${Math.abs(quantityChange)}`
           });
-          const oldQuantity = oldItem ? oldItem.quantity : 0;
-          const quantityChange = newItem.quantity - oldQuantity;
-
-          if (quantityChange !== 0) {
-            if (quantityChange > 0) {
-              // Quantity increased - reduce inventory
-              await inventoryService.updateStock({
-                productId: newItem.product,
-                type: 'out',
-                quantity: quantityChange,
-                reason: 'Order Update - Quantity Increased',
-                reference: 'Sales Order',
-                referenceId: order._id,
-                referenceModel: 'SalesOrder',
-                performedBy: req.user._id,
-                notes: `Inventory reduced due to order ${order.orderNumber} update - quantity increased by ${quantityChange}`
-              });
-            } else {
-              // Quantity decreased - restore inventory
-              await inventoryService.updateStock({
-                productId: newItem.product,
-                type: 'in',
-                quantity: Math.abs(quantityChange),
-                reason: 'Order Update - Quantity Decreased',
-                reference: 'Sales Order',
-                referenceId: order._id,
-                referenceModel: 'SalesOrder',
-                performedBy: req.user._id,
-                notes: `Inventory restored due to order ${order.orderNumber} update - quantity decreased by ${Math.abs(quantityChange)}`
-              });
-            }
-          }
         }
+      }
 
-        // Handle removed items (items that were in old but not in new)
-        for (const oldItem of oldItems) {
-          const oldProductId = oldItem.product?._id ? oldItem.product._id.toString() : oldItem.product?.toString() || oldItem.product;
-          const stillExists = req.body.items.find(newItem => {
-            const newProductId = newItem.product?.toString() || newItem.product;
-            return oldProductId === newProductId;
+      // Handle removed items (items that were in old but not in new)
+      for (const oldItem of oldItems) {
+        const oldProductId = oldItem.product?._id ? oldItem.product._id.toString() : oldItem.product?.toString() || oldItem.product;
+        const stillExists = req.body.items.find(newItem => {
+          const newProductId = newItem.product?.toString() || newItem.product;
+          return oldProductId === newProductId;
+        });
+        if (!stillExists) {
+          // Item was removed - restore inventory
+          stockMovements.push({
+            productId: oldItem.product?._id || oldItem.product,
+            type: 'in',
+            quantity: oldItem.quantity,
+            reason: 'Order Update - Item Removed',
+            notes: `Inventory restored due to order ${order.orderNumber} update - item removed`
           });
-          if (!stillExists) {
-            // Item was removed - restore inventory
-            await inventoryService.updateStock({
-              productId: oldItem.product?._id || oldItem.product,
-              type: 'in',
-              quantity: oldItem.quantity,
-              reason: 'Order Update - Item Removed',
-              reference: 'Sales Order',
-              referenceId: order._id,
-              referenceModel: 'SalesOrder',
-              performedBy: req.user._id,
-              notes: `Inventory restored due to order ${order.orderNumber} update - item removed`
-            });
-          }
         }
+      }
+    }
+
+    const appliedMovements = [];
+    const moveStock = (movement) => inventoryService.updateStock({
+      ...movement,
+      reference: 'Sales Order',
+      referenceId: order._id,
+      referenceModel: 'SalesOrder',
+      performedBy: req.user._id,
+      warehouse: order.warehouse
+    });
+
+    // Undo the movements already applied when the update cannot go ahead
+    const rollbackStockMovements = async () => {
+      for (const applied of appliedMovements) {
+        try {
+          await moveStock({
+            productId: applied.productId,
+            type: applied.type === 'out' ? 'in' : 'out',
+            quantity: applied.quantity,
+            reason: 'Rollback - Order Update Failed',
+            notes: `Rollback: update of order ${order.orderNumber} failed`
+          });
+        } catch (rollbackError) {
+          console.error(`Failed to rollback inventory for product ${applied.productId}:`, rollbackError);
+        }
+      }
+    };
+
+    for (const movement of stockMovements) {
+      try {
+        await moveStock(movement);
+        appliedMovements.push(movement);
       } catch (error) {
         console.error('Error adjusting inventory on order update:', error);
-        // Don't fail update if inventory adjustment fails
+        await rollbackStockMovements();
+        return res.status(400).json({
+          message: `Failed to update inventory for order ${order.orderNumber}: ${error.message}`
+        });
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await rollbackStockMovements();
+      throw error;
+    }
+
+    if (req.body.items && req.body.items.length > 0) {
+      // Keep batch allocations in step with the edited quantities
+      try {
+        await batchService.syncSaleItems(order, oldItems);
+        await order.save();
+      } catch (error) {
+        console.error('Error adjusting batches on order update:', error);
       }
     }
 
@@ -1557,6 +1859,23 @@ router.delete('/:id', [
       });
     }
 
+    try {
+      await AccountingService.assertPostingPeriodOpen(order.billDate || order.createdAt, 'sale');
+    } catch (periodError) {
+      return res.status(400).json({ message: periodError.message });
+    }
+
+    // Undo loyalty and credit gift cards, credit notes and store credit back (a cancelled order already did)
+    if (order.status !== 'cancelled') {
+      try {
+        await loyaltyService.reverseForSale(order, req.user, { reason: 'deleted' });
+        await storedValueService.reverseForSale(order, req.user, { reason: 'deleted' });
+      } catch (error) {
+        console.error('Error reversing loyalty and stored value on order deletion:', error);
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
     // Update customer balance - reverse invoice total and payment
     // This matches the new logic in sales order creation
     if (order.customer && order.pricing && order.pricing.total > 0) {
@@ -1599,30 +1918,40 @@ router.delete('/:id', [
       }
     }
 
-    // Restore inventory for items in the order using inventoryService for audit trail
-    try {
-      const inventoryService = require('../services/inventoryService');
-      for (const item of order.items) {
-        try {
-          await inventoryService.updateStock({
-            productId: item.product,
-            type: 'in',
-            quantity: item.quantity,
-            reason: 'Order Deletion',
-            reference: 'Sales Order',
-            referenceId: order._id,
-            referenceModel: 'SalesOrder',
-            performedBy: req.user._id,
-            notes: `Inventory restored due to deletion of order ${order.orderNumber}`
-          });
-        } catch (error) {
-          console.error(`Failed to restore inventory for product ${item.product}:`, error);
-          // Continue with other items
+    // A cancelled order has already put its stock and batches back
+    if (order.status !== 'cancelled') {
+      // Restore inventory for items in the order using inventoryService for audit trail
+      try {
+        for (const item of order.items) {
+          try {
+            await inventoryService.updateStock({
+              productId: item.product,
+              type: 'in',
+              quantity: item.quantity,
+              reason: 'Order Deletion',
+              reference: 'Sales Order',
+              referenceId: order._id,
+              referenceModel: 'SalesOrder',
+              performedBy: req.user._id,
+              notes: `Inventory restored due to deletion of order ${order.orderNumber}`,
+              warehouse: order.warehouse
+            });
+          } catch (error) {
+            console.error(`Failed to restore inventory for product ${item.product}:`, error);
+            // Continue with other items
+          }
         }
+      } catch (error) {
+        console.error('Error restoring inventory on order deletion:', error);
+        // Don't fail deletion if inventory update fails
+      }
+
+      // Return picked quantities to their batches
+      try {
+        await batchService.releaseSaleItems(order.items);
+      } catch (error) {
+        console.error('Error releasing batches on order deletion:', error);
       }
-    } catch (error) {
-      console.error('Error restoring inventory on order deletion:', error);
-      // Don't fail deletion if inventory update fails
     }
 
     await Sales.findByIdAndDelete(req.params.id);
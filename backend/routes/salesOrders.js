@@ -9,6 +9,8 @@ const { auth, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation');
 const { validateDateParams, processDateFilter } = require('../middleware/dateFilter');
 const inventoryService = require('../services/inventoryService');
+const priceListService = require('../services/priceListService');
+const uomService = require('../services/uomService');
 const salesOrderRepository = require('../repositories/SalesOrderRepository');
 const customerRepository = require('../repositories/CustomerRepository');
 
@@ -201,11 +203,11 @@ router.post('/', [
   body('customer').isMongoId().withMessage('Valid customer is required'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be positive'),
-  body('items.*.totalPrice').isFloat({ min: 0 }).withMessage('Total price must be positive'),
-  body('items.*.invoicedQuantity').optional().isInt({ min: 0 }).withMessage('Invoiced quantity must be non-negative'),
-  body('items.*.remainingQuantity').isInt({ min: 0 }).withMessage('Remaining quantity must be non-negative'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be positive'),
+  body('items.*.totalPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Total price must be positive'),
+  body('items.*.invoicedQuantity').optional().isFloat({ min: 0 }).withMessage('Invoiced quantity must be non-negative'),
+  body('items.*.remainingQuantity').isFloat({ min: 0 }).withMessage('Remaining quantity must be non-negative'),
   body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
   body('terms').optional().trim().isLength({ max: 500 }).withMessage('Terms too long'),
@@ -223,6 +225,48 @@ router.post('/', [
       soNumber: SalesOrder.generateSONumber(),
       createdBy: req.user._id
     };
+
+    // Quantities and prices entered in other units are stored per base unit
+    try {
+      await uomService.normalizeLineItems(soData.items, 'unitPrice');
+    } catch (uomError) {
+      return res.status(400).json({ message: uomError.message });
+    }
+    
+    // Lines sent without a price are charged from the customer's price list, then customer type pricing;
+    // priced lines that match the list price are recorded against the list
+    let quote;
+    try {
+      quote = await priceListService.quote({ customer: soData.customer, items: soData.items });
+    } catch (pricingError) {
+      return res.status(400).json({ message: pricingError.message });
+    }
+    let repriced = false;
+    for (const [index, item] of soData.items.entries()) {
+      const line = quote.items[index];
+      if (item.unitPrice !== undefined && item.unitPrice !== null) {
+        if (line.priceList && Math.abs(line.unitPrice - item.unitPrice) < 0.005) {
+          item.priceList = line.priceList._id;
+        }
+        continue;
+      }
+      if (line.unitPrice === null) {
+        return res.status(400).json({ message: `Product ${item.product} not found` });
+      }
+      item.unitPrice = line.unitPrice;
+      item.priceList = line.priceList ? line.priceList._id : undefined;
+      if (item.uom) {
+        item.uom.unitPrice = line.unitPrice * item.uom.conversionFactor;
+      }
+      repriced = true;
+    }
+    if (repriced) {
+      soData.items.forEach(item => {
+        item.totalPrice = item.quantity * item.unitPrice;
+      });
+      soData.subtotal = soData.items.reduce((sum, item) => sum + item.totalPrice, 0);
+      soData.total = soData.subtotal + (Number(soData.tax) || 0);
+    }
     
     const salesOrder = new SalesOrder(soData);
     await salesOrder.save();
@@ -265,7 +309,7 @@ router.put('/:id', [
   body('orderType').optional().isIn(['retail', 'wholesale', 'return', 'exchange']).withMessage('Invalid order type'),
   body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').optional().isMongoId().withMessage('Valid product is required'),
-  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
   body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be positive'),
   body('expectedDelivery').optional().isISO8601().withMessage('Valid delivery date required'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
@@ -294,6 +338,14 @@ router.put('/:id', [
       ...req.body,
       lastModifiedBy: req.user._id
     };
+
+    if (updateData.items) {
+      try {
+        await uomService.normalizeLineItems(updateData.items, 'unitPrice');
+      } catch (uomError) {
+        return res.status(400).json({ message: uomError.message });
+      }
+    }
     
     const updatedSO = await salesOrderRepository.update(req.params.id, updateData, {
       new: true,
@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const scheduledReportService = require('../services/scheduledReportService');
+
+const router = express.Router();
+
+const REPORT_TYPES = ['sales', 'profit_loss', 'inventory', 'customer_aging', 'trial_balance'];
+const PERIOD_PRESETS = [
+  'previous_day', 'last_7_days', 'last_30_days', 'previous_week', 'previous_month',
+  'month_to_date', 'year_to_date', 'custom'
+];
+
+const validateReportId = [
+  param('id').isMongoId().withMessage('Valid scheduled report ID is required'),
+];
+
+// Create/update skip sanitizeRequest: it HTML-escapes '/' and would corrupt cron steps such as */15
+const reportValidators = [
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('period.preset').optional().isIn(PERIOD_PRESETS).withMessage(`Period must be one of ${PERIOD_PRESETS.join(', ')}`),
+  body('period.startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid start date is required'),
+  body('period.endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
+  body('format').optional().isIn(['pdf', 'excel', 'csv']).withMessage('Format must be pdf, excel or csv'),
+  body('schedule.timezone').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }),
+  body('delivery.method').optional().isIn(['email', 'download']).withMessage('Delivery method must be email or download'),
+  body('delivery.recipients').optional().isArray({ max: 50 }),
+  body('delivery.recipients.*').isEmail().withMessage('Recipients must be valid email addresses'),
+  body('isActive').optional().isBoolean(),
+];
+
+// Map service errors to HTTP responses
+const handleScheduledReportError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/scheduled-reports/types
+// @desc    Report types that can be scheduled and the filters each accepts
+// @access  Private
+router.get('/types', [
+  auth,
+  requirePermission('schedule_reports'),
+], async (req, res) => {
+  res.json({ success: true, data: scheduledReportService.getReportTypes() });
+});
+
+// @route   GET /api/scheduled-reports
+// @desc    List scheduled reports (admins see all, others their own)
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('schedule_reports'),
+  sanitizeRequest,
+  query('reportType').optional({ checkFalsy: true }).isIn(REPORT_TYPES),
+  query('isActive').optional({ checkFalsy: true }).isBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await scheduledReportService.getReports(req.query, req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error fetching scheduled reports');
+  }
+});
+
+// @route   GET /api/scheduled-reports/runs/:runId/download
+// @desc    Download the file generated by a report run
+// @access  Private
+router.get('/runs/:runId/download', [
+  auth,
+  requirePermission('schedule_reports'),
+  requirePermission('view_reports'),
+  param('runId').isMongoId().withMessage('Valid report run ID is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const file = await scheduledReportService.getRunFile(req.params.runId, req.user);
+    res.setHeader('Content-Type', file.contentType);
+    res.download(file.filepath, file.downloadName);
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error downloading report');
+  }
+});
+
+// @route   GET /api/scheduled-reports/:id
+// @desc    Get a scheduled report
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('schedule_reports'),
+  ...validateReportId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await scheduledReportService.getReportById(req.params.id, req.user);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error fetching scheduled report');
+  }
+});
+
+// @route   GET /api/scheduled-reports/:id/runs
+// @desc    Run history of a scheduled report
+// @access  Private
+router.get('/:id/runs', [
+  auth,
+  requirePermission('schedule_reports'),
+  ...validateReportId,
+  query('status').optional({ checkFalsy: true }).isIn(['running', 'completed', 'failed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await scheduledReportService.getRuns(req.params.id, req.query, req.user);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error fetching report runs');
+  }
+});
+
+// @route   POST /api/scheduled-reports
+// @desc    Save a report definition and schedule it
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('schedule_reports'),
+  requirePermission('view_reports'),
+  body('name').isString().trim().notEmpty().withMessage('Report name is required').isLength({ max: 200 }),
+  body('reportType').isIn(REPORT_TYPES).withMessage(`Report type must be one of ${REPORT_TYPES.join(', ')}`),
+  body('schedule.cron').isString().trim().notEmpty().withMessage('Cron schedule is required'),
+  ...reportValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await scheduledReportService.createReport(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Scheduled report created successfully',
+      data: report,
+    });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error creating scheduled report');
+  }
+});
+
+// @route   PUT /api/scheduled-reports/:id
+// @desc    Update a report definition and reschedule it
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('schedule_reports'),
+  requirePermission('view_reports'),
+  ...validateReportId,
+  body('name').optional().isString().trim().notEmpty().withMessage('Report name cannot be empty').isLength({ max: 200 }),
+  body('reportType').optional().isIn(REPORT_TYPES).withMessage(`Report type must be one of ${REPORT_TYPES.join(', ')}`),
+  body('schedule.cron').optional().isString().trim().notEmpty().withMessage('Cron schedule cannot be empty'),
+  ...reportValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await scheduledReportService.updateReport(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Scheduled report updated successfully',
+      data: report,
+    });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error updating scheduled report');
+  }
+});
+
+// @route   POST /api/scheduled-reports/:id/run
+// @desc    Generate (and deliver) a report now
+// @access  Private
+router.post('/:id/run', [
+  auth,
+  requirePermission('schedule_reports'),
+  requirePermission('view_reports'),
+  ...validateReportId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const run = await scheduledReportService.runReport(req.params.id, { trigger: 'manual', user: req.user });
+    res.json({
+      success: run.status === 'completed',
+      message: run.status === 'completed'
+        ? 'Report generated successfully'
+        : `Report generation failed: ${run.error}`,
+      data: run,
+    });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error running scheduled report');
+  }
+});
+
+// @route   DELETE /api/scheduled-reports/:id
+// @desc    Delete a scheduled report (run history is kept)
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('schedule_reports'),
+  ...validateReportId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await scheduledReportService.deleteReport(req.params.id, req.user);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleScheduledReportError(res, error, 'Server error deleting scheduled report');
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const StockMovement = require('../models/StockMovement');
 const Product = require('../models/Product');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
 
 /**
  * @route   GET /api/stock-ledger
@@ -24,6 +25,7 @@ router.get('/', [
   query('customer').optional().isMongoId().withMessage('Invalid customer ID'),
   query('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
   query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('warehouse').optional().isMongoId().withMessage('Invalid warehouse ID'),
   query('invoiceNo').optional().isString().trim().withMessage('Invalid invoice number'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
@@ -37,13 +39,14 @@ router.get('/', [
       customer,
       supplier,
       product,
+      warehouse,
       invoiceNo,
       page = 1,
       limit = 1000
     } = req.query;
 
     // If no filters are selected, return empty data
-    const hasFilters = invoiceType || customer || supplier || product || invoiceNo || 
+    const hasFilters = invoiceType || customer || supplier || product || warehouse || invoiceNo || 
                       (req.dateRange && (req.dateRange.startDate || req.dateRange.endDate));
     
     if (!hasFilters) {
@@ -88,6 +91,25 @@ router.get('/', [
       return Object.keys(filter).length > 0 ? filter : {};
     };
 
+    // Build warehouse filter - documents without a warehouse predate per-warehouse stock
+    // and belong to the primary warehouse
+    const warehouseFilter = {};
+    let damageLocationFilter = {};
+    if (warehouse) {
+      const selectedWarehouse = await Warehouse.findById(warehouse).lean();
+      if (!selectedWarehouse) {
+        return res.status(404).json({ success: false, message: 'Warehouse not found' });
+      }
+      warehouseFilter.warehouse = selectedWarehouse.isPrimary
+        ? { $in: [selectedWarehouse._id, null] }
+        : selectedWarehouse._id;
+      damageLocationFilter = {
+        location: selectedWarehouse.isPrimary
+          ? { $in: [selectedWarehouse.code, 'main_warehouse'] }
+          : selectedWarehouse.code
+      };
+    }
+
     const ledgerEntries = [];
 
     // Helper function to add entry
@@ -99,7 +121,8 @@ router.get('/', [
     if (!invoiceType || invoiceType === 'SALE' || invoiceType === '--All--') {
       const salesFilter = {
         isDeleted: false,
-        ...buildDateFilter('billDate')
+        ...buildDateFilter('billDate'),
+        ...warehouseFilter
       };
       
       if (customer) salesFilter.customer = customer;
@@ -139,7 +162,8 @@ router.get('/', [
       const purchaseFilter = {
         isDeleted: false,
         invoiceType: 'purchase',
-        ...buildDateFilter('invoiceDate')
+        ...buildDateFilter('invoiceDate'),
+        ...warehouseFilter
       };
       
       if (supplier) purchaseFilter.supplier = supplier;
@@ -180,7 +204,8 @@ router.get('/', [
       const saleReturnFilter = {
         origin: 'sales',
         status: { $in: ['approved', 'processing', 'received', 'completed', 'refunded'] },
-        ...buildDateFilter('returnDate')
+        ...buildDateFilter('returnDate'),
+        ...warehouseFilter
       };
       
       if (customer) saleReturnFilter.customer = customer;
@@ -225,7 +250,8 @@ router.get('/', [
       const purchaseReturnFilter = {
         origin: 'purchase',
         status: { $in: ['approved', 'processing', 'received', 'completed', 'refunded'] },
-        ...buildDateFilter('returnDate')
+        ...buildDateFilter('returnDate'),
+        ...warehouseFilter
       };
       
       if (supplier) purchaseReturnFilter.supplier = supplier;
@@ -269,7 +295,8 @@ router.get('/', [
     if (!invoiceType || invoiceType === 'DEMAGE' || invoiceType === '--All--') {
       const damageFilter = {
         movementType: 'damage',
-        ...buildDateFilter('movementDate')
+        ...buildDateFilter('movementDate'),
+        ...damageLocationFilter
       };
       
       if (product) damageFilter.product = product;
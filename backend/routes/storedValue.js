@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const storedValueService = require('../services/storedValueService');
+const StoredValueCard = require('../models/StoredValueCard');
+
+const router = express.Router();
+
+// Map service errors to HTTP responses
+const handleStoredValueError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// Blank means the default expiry; null means the card never expires
+const expiryFrom = (value) => (value === null ? null : value || undefined);
+
+// @route   GET /api/stored-value
+// @desc    List gift cards and credit notes, with the outstanding balance by type
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_gift_cards'),
+  sanitizeRequest,
+  query('type').optional({ checkFalsy: true }).isIn(StoredValueCard.TYPES).withMessage('Invalid card type'),
+  query('status').optional({ checkFalsy: true }).isIn(StoredValueCard.STATUSES).withMessage('Invalid status'),
+  query('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await storedValueService.getCards(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error fetching gift cards');
+  }
+});
+
+// @route   GET /api/stored-value/lookup/:code
+// @desc    Balance lookup by code or barcode (used at checkout)
+// @access  Private
+router.get('/lookup/:code', [
+  auth,
+  param('code').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Code is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const card = await storedValueService.lookup(req.params.code);
+    res.json({ success: true, data: card });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error looking up card');
+  }
+});
+
+// @route   GET /api/stored-value/customers/:customerId/wallet
+// @desc    A customer's store credit wallet (used at checkout)
+// @access  Private
+router.get('/customers/:customerId/wallet', [
+  auth,
+  param('customerId').isMongoId().withMessage('Invalid customer ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const wallet = await storedValueService.getWallet(req.params.customerId);
+    res.json({ success: true, data: wallet });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error fetching store credit');
+  }
+});
+
+// @route   POST /api/stored-value/gift-cards
+// @desc    Sell a gift card for cash or bank
+// @access  Private
+router.post('/gift-cards', [
+  auth,
+  requirePermission('manage_gift_cards'),
+  sanitizeRequest,
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer ID'),
+  body('expiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry must be a date'),
+  body('barcode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 30 }).withMessage('Barcode is too long'),
+  body('paymentMethod').optional().isIn(['cash', 'bank']).withMessage('Payment method must be cash or bank'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const card = await storedValueService.issueGiftCard({
+      ...req.body,
+      amount: parseFloat(req.body.amount),
+      expiresAt: expiryFrom(req.body.expiresAt)
+    }, req.user);
+    res.status(201).json({ success: true, message: `Gift card ${card.code} issued successfully`, data: card });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error issuing gift card');
+  }
+});
+
+// @route   POST /api/stored-value/credit-notes
+// @desc    Give a customer a credit note outside a return
+// @access  Private
+router.post('/credit-notes', [
+  auth,
+  requirePermission('manage_gift_cards'),
+  sanitizeRequest,
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('customer').isMongoId().withMessage('Customer is required'),
+  body('expiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry must be a date'),
+  body('notes').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const card = await storedValueService.issueCreditNote({
+      ...req.body,
+      amount: parseFloat(req.body.amount),
+      expiresAt: expiryFrom(req.body.expiresAt)
+    }, req.user);
+    res.status(201).json({ success: true, message: `Credit note ${card.code} issued successfully`, data: card });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error issuing credit note');
+  }
+});
+
+// @route   POST /api/stored-value/expire
+// @desc    Expire lapsed cards now instead of waiting for the nightly job
+// @access  Private
+router.post('/expire', [
+  auth,
+  requirePermission('manage_gift_cards'),
+  sanitizeRequest,
+  body('asOf').optional({ checkFalsy: true }).isISO8601().withMessage('As of must be a date'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const results = await storedValueService.expireCards(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json({
+      success: true,
+      message: `${results.cards} card(s) expired with ${results.amount} unspent`,
+      data: results
+    });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error expiring gift cards');
+  }
+});
+
+// @route   GET /api/stored-value/:id
+// @desc    Card with its full history
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_gift_cards'),
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const card = await storedValueService.getCardById(req.params.id);
+    res.json({ success: true, data: card });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error fetching card');
+  }
+});
+
+// @route   POST /api/stored-value/:id/cancel
+// @desc    Cancel a card and pay out its balance
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  requirePermission('manage_gift_cards'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  body('refundMethod').optional().isIn(['cash', 'bank']).withMessage('Refund method must be cash or bank'),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const card = await storedValueService.cancelCard(req.params.id, req.body, req.user);
+    res.json({ success: true, message: `${card.code} cancelled successfully`, data: card });
+  } catch (error) {
+    handleStoredValueError(res, error, 'Server error cancelling card');
+  }
+});
+
+module.exports = router;
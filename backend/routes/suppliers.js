@@ -246,7 +246,11 @@ router.post('/', [
   body('phone').optional({ checkFalsy: true }).trim(),
   body('businessType').optional().isIn(['manufacturer', 'distributor', 'wholesaler', 'dropshipper', 'other']),
   body('paymentTerms').optional().isIn(['cash', 'net15', 'net30', 'net45', 'net60', 'net90']),
+  body('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }).withMessage('Currency must be a three-letter code'),
   body('openingBalance').optional().isFloat().withMessage('Opening balance must be a valid number'),
+  body('withholdingTax.applicable').optional().isBoolean(),
+  body('withholdingTax.rates.*.rate').optional().isFloat({ min: 0, max: 1 }).withMessage('Withholding rates must be fractions between 0 and 1'),
+  body('withholdingTax.exemptUntil').optional({ checkFalsy: true }).isISO8601().withMessage('Exemption end date must be a valid date'),
   body('status').optional().isIn(['active', 'inactive', 'suspended', 'blacklisted'])
 ], async (req, res) => {
   try {
@@ -301,7 +305,11 @@ router.put('/:id', [
   body('phone').optional({ checkFalsy: true }).trim(),
   body('businessType').optional().isIn(['manufacturer', 'distributor', 'wholesaler', 'dropshipper', 'other']),
   body('paymentTerms').optional().isIn(['cash', 'net15', 'net30', 'net45', 'net60', 'net90']),
+  body('currency').optional({ checkFalsy: true }).isAlpha().isLength({ min: 3, max: 3 }).withMessage('Currency must be a three-letter code'),
   body('openingBalance').optional().isFloat().withMessage('Opening balance must be a valid number'),
+  body('withholdingTax.applicable').optional().isBoolean(),
+  body('withholdingTax.rates.*.rate').optional().isFloat({ min: 0, max: 1 }).withMessage('Withholding rates must be fractions between 0 and 1'),
+  body('withholdingTax.exemptUntil').optional({ checkFalsy: true }).isISO8601().withMessage('Exemption end date must be a valid date'),
   body('status').optional().isIn(['active', 'inactive', 'suspended', 'blacklisted'])
 ], async (req, res) => {
   try {
@@ -0,0 +1,258 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const taxService = require('../services/taxService');
+const taxReturnExportService = require('../services/taxReturnExportService');
+const TaxCode = require('../models/TaxCode');
+
+const router = express.Router();
+
+const TAX_CODE_TYPES = ['standard', 'reduced', 'zero_rated', 'exempt', 'withholding'];
+
+// Map service errors to HTTP responses
+const handleTaxError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+const taxCodeValidators = (isUpdate) => [
+  (isUpdate ? body('code').optional() : body('code'))
+    .isString().trim().matches(/^[A-Za-z0-9_-]{1,20}$/)
+    .withMessage('Code may only contain letters, digits, dashes and underscores (max 20)'),
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(TAX_CODE_TYPES).withMessage('Invalid tax code type'),
+  body('rate').optional().isFloat({ min: 0, max: 1 }).withMessage('Rate must be a fraction between 0 and 1'),
+  body('isDefault').optional().isBoolean(),
+  body('isActive').optional().isBoolean(),
+  body('returnBox').optional().isString().trim().isLength({ max: 50 }),
+  body('transactionType').optional({ checkFalsy: true }).isIn(TaxCode.WITHHOLDING_TRANSACTION_TYPES).withMessage('Invalid withholding transaction type'),
+  body('appliesTo').optional({ checkFalsy: true }).isIn(['payments', 'receipts', 'both']),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+];
+
+const periodValidators = (location) => [
+  location('startDate').isISO8601().withMessage('Valid start date is required'),
+  location('endDate').isISO8601().withMessage('Valid end date is required'),
+];
+
+// @route   GET /api/tax/codes
+// @desc    List tax codes
+// @access  Private
+router.get('/codes', [
+  auth,
+  requirePermission('view_tax'),
+  query('type').optional({ checkFalsy: true }).isIn(TAX_CODE_TYPES),
+  query('isActive').optional({ checkFalsy: true }).isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const codes = await taxService.getTaxCodes(req.query);
+    res.json({ success: true, data: codes });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error fetching tax codes');
+  }
+});
+
+// @route   POST /api/tax/codes
+// @desc    Add a tax code
+// @access  Private
+router.post('/codes', [
+  auth,
+  requirePermission('manage_tax_codes'),
+  sanitizeRequest,
+  ...taxCodeValidators(false),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const taxCode = await taxService.createTaxCode(req.body, req.user);
+    res.status(201).json({ success: true, message: 'Tax code added successfully', data: taxCode });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error adding tax code');
+  }
+});
+
+// @route   PUT /api/tax/codes/:id
+// @desc    Update a tax code
+// @access  Private
+router.put('/codes/:id', [
+  auth,
+  requirePermission('manage_tax_codes'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Invalid tax code ID'),
+  ...taxCodeValidators(true),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const taxCode = await taxService.updateTaxCode(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Tax code updated successfully', data: taxCode });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error updating tax code');
+  }
+});
+
+// @route   GET /api/tax/returns/preview
+// @desc    Output and input tax for a period without saving a return
+// @access  Private
+router.get('/returns/preview', [
+  auth,
+  requirePermission('view_tax'),
+  sanitizeRequest,
+  ...periodValidators(query),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const preview = await taxService.prepareReturn(req.query);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error preparing tax return');
+  }
+});
+
+// @route   GET /api/tax/returns
+// @desc    List tax returns
+// @access  Private
+router.get('/returns', [
+  auth,
+  requirePermission('view_tax'),
+  query('status').optional({ checkFalsy: true }).isIn(['draft', 'posted']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await taxService.getReturns(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error fetching tax returns');
+  }
+});
+
+// @route   POST /api/tax/returns
+// @desc    Prepare and save a draft tax return for a period
+// @access  Private
+router.post('/returns', [
+  auth,
+  requirePermission('file_tax_returns'),
+  sanitizeRequest,
+  ...periodValidators(body),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const taxReturn = await taxService.createReturn(req.body, req.user);
+    res.status(201).json({ success: true, message: 'Tax return prepared successfully', data: taxReturn });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error saving tax return');
+  }
+});
+
+// @route   GET /api/tax/returns/:id
+// @desc    Get a tax return with per-document detail
+// @access  Private
+router.get('/returns/:id', [
+  auth,
+  requirePermission('view_tax'),
+  param('id').isMongoId().withMessage('Invalid tax return ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const taxReturn = await taxService.getReturnById(req.params.id);
+    res.json({ success: true, data: taxReturn });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error fetching tax return');
+  }
+});
+
+// @route   GET /api/tax/returns/:id/export
+// @desc    Download a tax return as Excel, CSV detail or filing JSON
+// @access  Private
+router.get('/returns/:id/export', [
+  auth,
+  requirePermission('view_tax'),
+  param('id').isMongoId().withMessage('Invalid tax return ID'),
+  query('format').optional().isIn(['excel', 'csv', 'json']).withMessage('Format must be excel, csv or json'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const taxReturn = await taxService.getReturnById(req.params.id);
+    const format = req.query.format || 'excel';
+
+    if (format === 'json') {
+      const filing = await taxReturnExportService.buildFilingJson(taxReturn);
+      res.setHeader('Content-Disposition', `attachment; filename="${taxReturnExportService.getExportFilename(taxReturn, 'json')}"`);
+      return res.json(filing);
+    }
+
+    const { filename, filepath } = format === 'csv'
+      ? await taxReturnExportService.exportToCSV(taxReturn)
+      : await taxReturnExportService.exportToExcel(taxReturn);
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.sendFile(path.resolve(filepath));
+
+    setTimeout(() => {
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+      }
+    }, 60000); // Delete after 1 minute
+  } catch (error) {
+    handleTaxError(res, error, 'Server error exporting tax return');
+  }
+});
+
+// @route   POST /api/tax/returns/:id/post
+// @desc    Post a filed return, clearing output and input tax into tax due or refundable
+// @access  Private
+router.post('/returns/:id/post', [
+  auth,
+  requirePermission('file_tax_returns'),
+  sanitizeRequest,
+  param('id').isMongoId().withMessage('Invalid tax return ID'),
+  body('filingReference').optional().isString().trim().isLength({ max: 100 }),
+  body('postingDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid posting date required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const taxReturn = await taxService.postReturn(req.params.id, req.body, req.user);
+    res.json({ success: true, message: 'Tax return posted successfully', data: taxReturn });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error posting tax return');
+  }
+});
+
+// @route   DELETE /api/tax/returns/:id
+// @desc    Delete a draft tax return
+// @access  Private
+router.delete('/returns/:id', [
+  auth,
+  requirePermission('file_tax_returns'),
+  param('id').isMongoId().withMessage('Invalid tax return ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    await taxService.deleteReturn(req.params.id);
+    res.json({ success: true, message: 'Tax return deleted successfully' });
+  } catch (error) {
+    handleTaxError(res, error, 'Server error deleting tax return');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,45 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const fs = require('fs');
+const path = require('path');
+const { body, param, query } = require('express-validator');
 const { auth, requireAnyPermission } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
 const tillService = require('../services/tillService');
 
 const router = express.Router();
 
+// Map service errors to HTTP responses
+const handleTillError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^(Cannot|No open till)/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// Return the report as JSON, or export it when ?format=pdf|excel is given
+const sendReport = async (req, res, report) => {
+  if (!req.query.format) {
+    return res.json({ success: true, data: report });
+  }
+  const { filename } = await tillService.exportReport(report, req.query.format);
+  return res.json({
+    success: true,
+    message: `${report.reportType} report exported successfully`,
+    filename,
+    downloadUrl: `/api/tills/download/${filename}`
+  });
+};
+
+const reportFormatValidator = query('format').optional({ checkFalsy: true }).isIn(['pdf', 'excel']).withMessage('format must be pdf or excel');
+
 router.post('/open', [
   auth,
   requireAnyPermission(['open_till']),
@@ -20,7 +55,7 @@ router.post('/open', [
       deviceId: req.body.deviceId,
       notesOpen: req.body.notesOpen
     }, req.user._id);
-    
+
     res.json({ success: true, data: session });
   } catch (err) {
     if (err.message === 'Till already open for this user') {
@@ -36,26 +71,91 @@ router.post('/open', [
   }
 });
 
+// @route   GET /api/tills/current
+// @desc    Current open session with server-computed expected cash
+// @access  Private
+router.get('/current', [
+  auth,
+  requireAnyPermission(['open_till', 'close_till', 'view_till']),
+], async (req, res) => {
+  try {
+    const session = await tillService.getOpenSession(req.user._id);
+    const { expectedAmount, breakdown } = await tillService.calculateExpectedCash(session);
+    res.json({ success: true, data: { session, expectedAmount, expectedBreakdown: breakdown } });
+  } catch (err) {
+    handleTillError(res, err, 'Server error fetching till session');
+  }
+});
+
+// @route   POST /api/tills/movements
+// @desc    Record a cash drop, pay-out or pay-in against the open till
+// @access  Private
+router.post('/movements', [
+  auth,
+  requireAnyPermission(['open_till', 'close_till']),
+  body('type').isIn(['drop', 'payout', 'pay_in']).withMessage('type must be drop, payout or pay_in'),
+  body('amount').isFloat({ gt: 0 }).withMessage('amount must be > 0'),
+  body('reason').if(body('type').equals('payout')).isString().trim().notEmpty().withMessage('reason is required for pay-outs'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  body('reference').optional().isString().trim().isLength({ max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { session, expectedAmount } = await tillService.recordCashMovement({
+      type: req.body.type,
+      amount: req.body.amount,
+      reason: req.body.reason,
+      reference: req.body.reference
+    }, req.user._id);
+
+    res.status(201).json({ success: true, data: { session, expectedAmount } });
+  } catch (err) {
+    handleTillError(res, err, 'Server error recording cash movement');
+  }
+});
+
+// @route   GET /api/tills/current/x-report
+// @desc    X (mid-shift) report for the open till; ?format=pdf|excel to export
+// @access  Private
+router.get('/current/x-report', [
+  auth,
+  requireAnyPermission(['open_till', 'close_till', 'view_till']),
+  reportFormatValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await tillService.getXReport(req.user._id);
+    await sendReport(req, res, report);
+  } catch (err) {
+    handleTillError(res, err, 'Server error generating X report');
+  }
+});
+
+// @route   POST /api/tills/close
+// @desc    Close the open till; expected cash is computed by the server
+// @access  Private
 router.post('/close', [
   auth,
   requireAnyPermission(['close_till']),
-  body('closingDeclaredAmount').isFloat({ min: 0 }).withMessage('closingDeclaredAmount must be >= 0'),
-  body('expectedAmount').optional().isFloat({ min: 0 }),
+  body('closingDeclaredAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('closingDeclaredAmount must be >= 0'),
+  body('closingDeclaredAmount').if(body('denominations').not().exists()).exists({ checkNull: true })
+    .withMessage('closingDeclaredAmount or denominations is required'),
+  body('denominations').optional().isArray({ min: 1 }).withMessage('denominations must be a non-empty array'),
+  body('denominations.*.value').isFloat({ gt: 0 }).withMessage('Denomination value must be > 0'),
+  body('denominations.*.count').isInt({ min: 0 }).withMessage('Denomination count must be a whole number >= 0'),
   body('notesClose').optional().isString(),
+  handleValidationErrors,
 ], async (req, res) => {
   try {
-    const session = await tillService.closeTill({
+    const { session, zReport } = await tillService.closeTill({
       closingDeclaredAmount: req.body.closingDeclaredAmount,
-      expectedAmount: req.body.expectedAmount,
+      denominations: req.body.denominations,
       notesClose: req.body.notesClose
     }, req.user._id);
-    
-    res.json({ success: true, data: session });
+
+    res.json({ success: true, data: session, zReport });
   } catch (err) {
-    if (err.message === 'No open till to close') {
-      return res.status(400).json({ message: err.message });
-    }
-    res.status(500).json({ success: false, message: 'Server error' });
+    handleTillError(res, err, 'Server error closing till');
   }
 });
 
@@ -73,6 +173,49 @@ router.get('/variance', [
   }
 });
 
-module.exports = router;
+// @route   GET /api/tills/download/:filename
+// @desc    Download an exported X/Z report
+// @access  Private
+router.get('/download/:filename', [
+  auth,
+  requireAnyPermission(['view_till', 'close_till', 'open_till']),
+], async (req, res) => {
+  try {
+    const filename = path.basename(req.params.filename);
+    const filepath = path.join(__dirname, '../exports', filename);
 
+    if (!filename.startsWith('till_') || !fs.existsSync(filepath)) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
 
+    const isPdf = path.extname(filename).toLowerCase() === '.pdf';
+    res.setHeader('Content-Type', isPdf
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    // PDFs open inline so they can be printed straight from the browser
+    res.setHeader('Content-Disposition', `${isPdf ? 'inline' : 'attachment'}; filename="${filename}"`);
+    fs.createReadStream(filepath).pipe(res);
+  } catch (err) {
+    handleTillError(res, err, 'Server error downloading report');
+  }
+});
+
+// @route   GET /api/tills/:id/z-report
+// @desc    Z (end-of-shift) report for a closed session; ?format=pdf|excel to export
+// @access  Private (own sessions, or any session with view_till)
+router.get('/:id/z-report', [
+  auth,
+  requireAnyPermission(['view_till', 'close_till']),
+  param('id').isMongoId().withMessage('Valid till session ID is required'),
+  reportFormatValidator,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const report = await tillService.getZReport(req.params.id, req.user);
+    await sendReport(req, res, report);
+  } catch (err) {
+    handleTillError(res, err, 'Server error generating Z report');
+  }
+});
+
+module.exports = router;
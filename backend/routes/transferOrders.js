@@ -0,0 +1,292 @@
+const express = require('express');
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const transferOrderService = require('../services/transferOrderService');
+
+const router = express.Router();
+
+const validateTransferOrderId = [
+  param('id').isMongoId().withMessage('Valid transfer order ID is required'),
+];
+
+const transferOrderValidators = ({ allowPartial = false } = {}) => {
+  const optionalIfPartial = (chain) => (allowPartial ? chain.optional() : chain);
+  return [
+    optionalIfPartial(body('fromWarehouse').isMongoId().withMessage('Valid source warehouse is required')),
+    optionalIfPartial(body('toWarehouse').isMongoId().withMessage('Valid destination warehouse is required')),
+    optionalIfPartial(body('items').isArray({ min: 1 }).withMessage('At least one item is required')),
+    body('items.*.product').isMongoId().withMessage('Valid product is required'),
+    body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    body('transferDate').optional().isISO8601().withMessage('Invalid transfer date'),
+    body('expectedArrival').optional().isISO8601().withMessage('Invalid expected arrival date'),
+    body('transport').optional().isObject(),
+    body('transport.vehicleNumber').optional().isString().trim().isLength({ max: 50 }),
+    body('transport.driverName').optional().isString().trim().isLength({ max: 150 }),
+    body('transport.driverPhone').optional().isString().trim().isLength({ max: 50 }),
+    body('transport.carrier').optional().isString().trim().isLength({ max: 150 }),
+    body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  ];
+};
+
+// Map service errors to HTTP responses
+const handleTransferError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^(Cannot|Insufficient)/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/transfer-orders
+// @desc    List transfer orders
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_inventory'),
+  sanitizeRequest,
+  query('status').optional({ checkFalsy: true }).isIn(['draft', 'dispatched', 'in_transit', 'partially_received', 'received', 'cancelled']),
+  query('fromWarehouse').optional({ checkFalsy: true }).isMongoId(),
+  query('toWarehouse').optional({ checkFalsy: true }).isMongoId(),
+  query('warehouse').optional({ checkFalsy: true }).isMongoId(),
+  query('product').optional({ checkFalsy: true }).isMongoId(),
+  query('search').optional({ checkFalsy: true }).isString().trim().isLength({ max: 150 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { transferOrders, pagination } = await transferOrderService.getTransferOrders(req.query);
+    res.json({ success: true, data: { transferOrders, pagination } });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error fetching transfer orders');
+  }
+});
+
+// @route   GET /api/transfer-orders/in-transit
+// @desc    Quantities currently in transit, per product and destination warehouse
+// @access  Private
+router.get('/in-transit', [
+  auth,
+  requirePermission('view_inventory'),
+  query('warehouse').optional({ checkFalsy: true }).isMongoId(),
+  query('product').optional({ checkFalsy: true }).isMongoId(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const summary = await transferOrderService.getInTransitSummary(req.query);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error fetching in-transit stock');
+  }
+});
+
+// @route   GET /api/transfer-orders/:id
+// @desc    Get transfer order details
+// @access  Private
+router.get('/:id', [
+  auth,
+  requirePermission('view_inventory'),
+  ...validateTransferOrderId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.getTransferOrderById(req.params.id);
+    res.json({ success: true, data: transferOrder });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error fetching transfer order');
+  }
+});
+
+// @route   POST /api/transfer-orders
+// @desc    Create a draft transfer order
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...transferOrderValidators(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.createTransferOrder(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      message: 'Transfer order created successfully',
+      data: transferOrder,
+    });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error creating transfer order');
+  }
+});
+
+// @route   PUT /api/transfer-orders/:id
+// @desc    Update a draft transfer order
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateTransferOrderId,
+  ...transferOrderValidators({ allowPartial: true }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.updateTransferOrder(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Transfer order updated successfully',
+      data: transferOrder,
+    });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error updating transfer order');
+  }
+});
+
+// @route   POST /api/transfer-orders/:id/dispatch
+// @desc    Dispatch a transfer (decrements source warehouse stock)
+// @access  Private
+router.post('/:id/dispatch', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateTransferOrderId,
+  body('gatePassNumber').optional().isString().trim().isLength({ max: 50 }),
+  body('expectedArrival').optional().isISO8601(),
+  body('transport').optional().isObject(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.dispatchTransferOrder(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: 'Transfer order dispatched successfully',
+      data: transferOrder,
+    });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error dispatching transfer order');
+  }
+});
+
+// @route   POST /api/transfer-orders/:id/in-transit
+// @desc    Mark a dispatched transfer as in transit
+// @access  Private
+router.post('/:id/in-transit', [
+  auth,
+  requirePermission('update_inventory'),
+  ...validateTransferOrderId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.markInTransit(req.params.id, req.user);
+    res.json({
+      success: true,
+      message: 'Transfer order marked as in transit',
+      data: transferOrder,
+    });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error updating transfer order');
+  }
+});
+
+// @route   POST /api/transfer-orders/:id/receive
+// @desc    Receive goods at the destination warehouse, capturing discrepancies
+// @access  Private
+router.post('/:id/receive', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateTransferOrderId,
+  body('items').optional().isArray(),
+  body('items.*.itemId').optional().isMongoId(),
+  body('items.*.product').optional().isMongoId(),
+  body('items.*.receivedQuantity').isFloat({ min: 0 }).withMessage('Received quantity must be 0 or more'),
+  body('items.*.discrepancyReason').optional().isIn(['short', 'damaged', 'lost', 'excess', 'other']),
+  body('items.*.discrepancyNotes').optional().isString().trim().isLength({ max: 500 }),
+  body('closeTransfer').optional().isBoolean(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.receiveTransferOrder(req.params.id, req.body, req.user);
+    res.json({
+      success: true,
+      message: transferOrder.status === 'received'
+        ? 'Transfer order received successfully'
+        : 'Transfer order partially received',
+      data: transferOrder,
+    });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error receiving transfer order');
+  }
+});
+
+// @route   POST /api/transfer-orders/:id/cancel
+// @desc    Cancel a transfer (returns dispatched stock to the source warehouse)
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  requirePermission('update_inventory'),
+  sanitizeRequest,
+  ...validateTransferOrderId,
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const transferOrder = await transferOrderService.cancelTransferOrder(req.params.id, req.body.reason, req.user);
+    res.json({
+      success: true,
+      message: 'Transfer order cancelled successfully',
+      data: transferOrder,
+    });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error cancelling transfer order');
+  }
+});
+
+// @route   GET /api/transfer-orders/:id/gate-pass
+// @desc    Download the printable gate pass PDF
+// @access  Private
+router.get('/:id/gate-pass', [
+  auth,
+  requirePermission('view_inventory'),
+  ...validateTransferOrderId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { filepath, filename } = await transferOrderService.generateGatePass(req.params.id);
+    const disposition = req.query.view === 'inline' ? 'inline' : 'attachment';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    fs.createReadStream(filepath).pipe(res);
+  } catch (error) {
+    handleTransferError(res, error, 'Server error generating gate pass');
+  }
+});
+
+// @route   DELETE /api/transfer-orders/:id
+// @desc    Delete a draft transfer order
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('update_inventory'),
+  ...validateTransferOrderId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await transferOrderService.deleteTransferOrder(req.params.id);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleTransferError(res, error, 'Server error deleting transfer order');
+  }
+});
+
+module.exports = router;
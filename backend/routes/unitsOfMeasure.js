@@ -0,0 +1,139 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const uomService = require('../services/uomService');
+
+const router = express.Router();
+
+const validateUnitId = [
+  param('id').isMongoId().withMessage('Valid unit ID is required'),
+];
+
+const unitRuleValidators = [
+  body('allowsFraction').optional().isBoolean().withMessage('allowsFraction must be true or false'),
+  body('decimalPlaces').optional().isInt({ min: 0, max: 6 }).withMessage('Decimal places must be between 0 and 6'),
+  body('isActive').optional().isBoolean(),
+];
+
+// Map service errors to HTTP responses
+const handleUnitError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot|already exists/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/units-of-measure
+// @desc    List units of measure
+// @access  Private
+router.get('/', [
+  auth,
+  requirePermission('view_products'),
+  sanitizeRequest,
+  query('isActive').optional().isBoolean(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const units = await uomService.getUnits(req.query);
+    res.json({ success: true, data: units });
+  } catch (error) {
+    handleUnitError(res, error, 'Server error fetching units of measure');
+  }
+});
+
+// @route   POST /api/units-of-measure/convert
+// @desc    Convert a quantity in any product unit to base units and quote its price
+// @access  Private
+router.post('/convert', [
+  auth,
+  requirePermission('view_products'),
+  sanitizeRequest,
+  body('product').isMongoId().withMessage('Valid product is required'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('unit').optional({ checkFalsy: true }).isString().trim().isLength({ max: 20 }),
+  body('customerType').optional().isIn(['retail', 'wholesale', 'distributor', 'individual']),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const conversion = await uomService.convert(req.body);
+    res.json({ success: true, data: conversion });
+  } catch (error) {
+    handleUnitError(res, error, 'Server error converting quantity');
+  }
+});
+
+// @route   POST /api/units-of-measure
+// @desc    Create a unit of measure
+// @access  Private
+router.post('/', [
+  auth,
+  requirePermission('edit_products'),
+  sanitizeRequest,
+  body('code').isString().trim().notEmpty().withMessage('Unit code is required').isLength({ max: 20 }),
+  body('name').isString().trim().notEmpty().withMessage('Unit name is required').isLength({ max: 100 }),
+  ...unitRuleValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const unit = await uomService.createUnit(req.body, req.user._id);
+    res.status(201).json({
+      success: true,
+      message: 'Unit of measure created successfully',
+      data: unit,
+    });
+  } catch (error) {
+    handleUnitError(res, error, 'Server error creating unit of measure');
+  }
+});
+
+// @route   PUT /api/units-of-measure/:id
+// @desc    Update a unit of measure
+// @access  Private
+router.put('/:id', [
+  auth,
+  requirePermission('edit_products'),
+  sanitizeRequest,
+  ...validateUnitId,
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  ...unitRuleValidators,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const unit = await uomService.updateUnit(req.params.id, req.body, req.user._id);
+    res.json({
+      success: true,
+      message: 'Unit of measure updated successfully',
+      data: unit,
+    });
+  } catch (error) {
+    handleUnitError(res, error, 'Server error updating unit of measure');
+  }
+});
+
+// @route   DELETE /api/units-of-measure/:id
+// @desc    Delete a unit of measure not used by any product
+// @access  Private
+router.delete('/:id', [
+  auth,
+  requirePermission('edit_products'),
+  ...validateUnitId,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await uomService.deleteUnit(req.params.id);
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    handleUnitError(res, error, 'Server error deleting unit of measure');
+  }
+});
+
+module.exports = router;
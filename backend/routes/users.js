@@ -52,7 +52,8 @@ router.put('/:id', [
   body('lastName').optional().trim().isLength({ min: 1 }).withMessage('Last name is required'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('role').optional().isIn(['admin', 'manager', 'cashier', 'inventory', 'viewer']).withMessage('Invalid role'),
-  body('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status')
+  body('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status'),
+  body('assignedWarehouse').optional({ nullable: true }).isMongoId().withMessage('Invalid warehouse ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,13 +62,14 @@ router.put('/:id', [
     }
 
     const updateData = {};
-    const { firstName, lastName, email, role, status, permissions } = req.body;
+    const { firstName, lastName, email, role, status, permissions, assignedWarehouse } = req.body;
     if (firstName) updateData.firstName = firstName;
     if (lastName) updateData.lastName = lastName;
     if (email) updateData.email = email;
     if (role) updateData.role = role;
     if (status) updateData.status = status;
     if (permissions) updateData.permissions = permissions;
+    if (assignedWarehouse !== undefined) updateData.assignedWarehouse = assignedWarehouse || null;
 
     const updatedUser = await userService.updateUser(req.params.id, updateData, req.user);
 
@@ -0,0 +1,105 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { param, query } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { sanitizeRequest, handleValidationErrors } = require('../middleware/validation');
+const withholdingTaxService = require('../services/withholdingTaxService');
+
+const router = express.Router();
+
+const VOUCHER_TYPES = ['cash_payment', 'bank_payment', 'cash_receipt', 'bank_receipt'];
+
+// Map service errors to HTTP responses
+const handleWithholdingError = (res, error, fallbackMessage) => {
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (/^Cannot/.test(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+  });
+};
+
+// @route   GET /api/withholding-tax/transaction-types
+// @desc    Transaction types withholding rates are set up for
+// @access  Private
+router.get('/transaction-types', [
+  auth,
+], async (req, res) => {
+  res.json({ success: true, data: withholdingTaxService.getTransactionTypes() });
+});
+
+// @route   GET /api/withholding-tax/calculate
+// @desc    Tax to withhold on a gross amount for a supplier payment or customer receipt
+// @access  Private
+router.get('/calculate', [
+  auth,
+  sanitizeRequest,
+  query('partyType').isIn(['supplier', 'customer']).withMessage('Party type must be supplier or customer'),
+  query('party').isMongoId().withMessage('Valid party ID is required'),
+  query('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  query('transactionType').optional({ checkFalsy: true }).isIn(withholdingTaxService.getTransactionTypes()),
+  query('rate').optional({ checkFalsy: true }).isFloat({ min: 0, max: 1 }),
+  query('date').optional({ checkFalsy: true }).isISO8601(),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const result = await withholdingTaxService.calculate(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleWithholdingError(res, error, 'Server error calculating withholding tax');
+  }
+});
+
+// @route   GET /api/withholding-tax/summary
+// @desc    Tax withheld from suppliers and by customers in a period
+// @access  Private
+router.get('/summary', [
+  auth,
+  requirePermission('view_withholding_tax'),
+  sanitizeRequest,
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('endDate').isISO8601().withMessage('Valid end date is required'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const summary = await withholdingTaxService.getSummary(req.query);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    handleWithholdingError(res, error, 'Server error building withholding summary');
+  }
+});
+
+// @route   GET /api/withholding-tax/certificates/:voucherType/:id
+// @desc    Download the withholding certificate for a voucher as PDF
+// @access  Private
+router.get('/certificates/:voucherType/:id', [
+  auth,
+  requirePermission('view_withholding_tax'),
+  param('voucherType').isIn(VOUCHER_TYPES).withMessage('Invalid voucher type'),
+  param('id').isMongoId().withMessage('Invalid voucher ID'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { filename, filepath } = await withholdingTaxService.generateCertificatePdf(req.params.voucherType, req.params.id);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.sendFile(path.resolve(filepath));
+
+    setTimeout(() => {
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+      }
+    }, 60000); // Delete after 1 minute
+  } catch (error) {
+    handleWithholdingError(res, error, 'Server error generating withholding certificate');
+  }
+});
+
+module.exports = router;
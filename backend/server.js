@@ -155,6 +155,7 @@ app.use('/api/payments', require('./routes/payments'));
 app.use('/api/returns', require('./routes/returns')); // Legacy route - kept for backward compatibility
 app.use('/api/recurring-expenses', require('./routes/recurringExpenses'));
 app.use('/api/balance-sheets', require('./routes/balanceSheets'));
+app.use('/api/cash-flow-statements', require('./routes/cashFlowStatements'));
 app.use('/api/discounts', require('./routes/discounts'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/sales-performance', require('./routes/salesPerformance'));
@@ -164,6 +165,19 @@ app.use('/api/cash-payments', require('./routes/cashPayments'));
 app.use('/api/bank-receipts', require('./routes/bankReceipts'));
 app.use('/api/bank-payments', require('./routes/bankPayments'));
 app.use('/api/banks', require('./routes/banks'));
+app.use('/api/bank-statements', require('./routes/bankStatements')); // Bank statement import and reconciliation
+app.use('/api/cheques', require('./routes/cheques')); // Cheque register and post-dated cheques
+app.use('/api/fixed-assets', require('./routes/fixedAssets')); // Fixed asset register and depreciation runs
+app.use('/api/payables', require('./routes/payables')); // Supplier aging, payment proposals and payables runs
+app.use('/api/customer-statements', require('./routes/customerStatements')); // Statements of account: PDF, email and bulk runs
+app.use('/api/currencies', require('./routes/currencies')); // Currencies, exchange rates and revaluation
+app.use('/api/fiscal-years', require('./routes/fiscalYears')); // Year-end close and opening balance carry-forward
+app.use('/api/tax', require('./routes/tax')); // Tax codes, sales tax returns and filing postings
+app.use('/api/withholding-tax', require('./routes/withholdingTax')); // Withholding calculation, certificates and period summary
+app.use('/api/price-lists', require('./routes/priceLists')); // Customer, city and tier price lists with Excel import/export
+app.use('/api/loyalty', require('./routes/loyalty')); // Loyalty points ledger, redemption, expiry, tier reviews and statements
+app.use('/api/stored-value', require('./routes/storedValue')); // Gift cards, credit notes and customer store credit wallets
+app.use('/api/quotations', require('./routes/quotations')); // Quotations with revisions, accept/reject tracking and conversion to sales orders
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/company', require('./routes/company'));
 app.use('/api/chart-of-accounts', require('./routes/chartOfAccounts'));
@@ -174,6 +188,13 @@ app.use('/api/backdate-report', require('./routes/backdateReport'));
 app.use('/api/stock-movements', require('./routes/stockMovements'));
 app.use('/api/stock-ledger', require('./routes/stockLedger'));
 app.use('/api/warehouses', require('./routes/warehouses'));
+app.use('/api/transfer-orders', require('./routes/transferOrders'));
+app.use('/api/batches', require('./routes/batches'));
+app.use('/api/recalls', require('./routes/recalls'));
+app.use('/api/units-of-measure', require('./routes/unitsOfMeasure'));
+app.use('/api/budgets', require('./routes/budgets'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/scheduled-reports', require('./routes/scheduledReports'));
 app.use('/api/employees', require('./routes/employees'));
 app.use('/api/attendance', require('./routes/attendance'));
 app.use('/api/tills', require('./routes/tills'));
@@ -342,6 +363,28 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   const { startReconciliationJobs } = require('./jobs/reconciliationJobs');
   startReconciliationJobs();
 
+  // Start notification outbox delivery
+  const { startNotificationJobs } = require('./jobs/notificationJobs');
+  startNotificationJobs();
+
+  // Expire loyalty points and review customer tiers
+  const { startLoyaltyJobs } = require('./jobs/loyaltyJobs');
+  startLoyaltyJobs();
+
+  // Expire lapsed gift cards and credit notes
+  const { startStoredValueJobs } = require('./jobs/storedValueJobs');
+  startStoredValueJobs();
+
+  // Expire quotations past their validity date
+  const { startQuotationJobs } = require('./jobs/quotationJobs');
+  startQuotationJobs();
+
+  // Schedule saved report definitions
+  const scheduledReportService = require('./services/scheduledReportService');
+  scheduledReportService.startScheduler()
+    .then(count => logger.info(`Report scheduler started with ${count} scheduled report(s)`))
+    .catch(error => logger.error('Failed to start report scheduler:', error));
+
   // Initialize production critical features scheduled jobs
   try {
     // Data integrity validation (daily at 2 AM)
@@ -804,6 +804,303 @@ class AccountLedgerService {
       throw new Error(`Failed to load ledger summary: ${error.message}`);
     }
   }
+
+  /**
+   * Customer sub-ledger for a date range: sales, receipts, payments and returns with a running balance
+   * @param {object} customer - Customer document
+   * @param {object} range - { start, end } (either may be null)
+   * @returns {Promise<{openingBalance: number, entries: Array, closingBalance: number}>}
+   */
+  async getCustomerLedger(customer, { start, end } = {}) {
+    const customerId = customer._id;
+
+    // Get opening balance
+    let openingBalance = customer.openingBalance || 0;
+
+    // Calculate adjusted opening balance (transactions before startDate)
+    if (start) {
+      // Sales before startDate (increases receivables)
+      const openingSales = await salesRepository.findAll({
+        customer: customerId,
+        createdAt: { $lt: start },
+        isDeleted: { $ne: true }
+      }, { lean: true });
+
+      const openingSalesTotal = openingSales.reduce((sum, sale) => {
+        return sum + (sale.pricing?.total || 0);
+      }, 0);
+
+      // Cash receipts before startDate (decreases receivables)
+      const openingCashReceipts = await cashReceiptRepository.findAll({
+        customer: customerId,
+        date: { $lt: start }
+      }, { lean: true });
+
+      const openingCashReceiptsTotal = openingCashReceipts.reduce((sum, receipt) => {
+        return sum + (receipt.amount || 0);
+      }, 0);
+
+      // Bank receipts before startDate (decreases receivables)
+      const openingBankReceipts = await bankReceiptRepository.findAll({
+        customer: customerId,
+        date: { $lt: start }
+      }, { lean: true });
+
+      const openingBankReceiptsTotal = openingBankReceipts.reduce((sum, receipt) => {
+        return sum + (receipt.amount || 0);
+      }, 0);
+
+      // Cash payments before startDate (increases receivables/advance - DEBIT)
+      const openingCashPayments = await cashPaymentRepository.findAll({
+        customer: customerId,
+        date: { $lt: start }
+      }, { lean: true });
+
+      const openingCashPaymentsTotal = openingCashPayments.reduce((sum, payment) => {
+        return sum + (payment.amount || 0);
+      }, 0);
+
+      // Bank payments before startDate (increases receivables/advance - DEBIT)
+      const openingBankPayments = await bankPaymentRepository.findAll({
+        customer: customerId,
+        date: { $lt: start }
+      }, { lean: true });
+
+      const openingBankPaymentsTotal = openingBankPayments.reduce((sum, payment) => {
+        return sum + (payment.amount || 0);
+      }, 0);
+
+      // Returns before startDate (decreases receivables - CREDIT)
+      const Return = require('../models/Return');
+      const openingReturns = await Return.find({
+        customer: customerId,
+        origin: 'sales',
+        returnDate: { $lt: start },
+        status: { $in: ['pending', 'completed', 'received', 'approved', 'refunded', 'processing'] }
+      }).lean();
+
+      const openingReturnsTotal = openingReturns.reduce((sum, ret) => {
+        return sum + (ret.netRefundAmount || ret.totalRefundAmount || 0);
+      }, 0);
+
+      // Adjusted opening balance
+      openingBalance = openingBalance + openingSalesTotal + openingCashPaymentsTotal + openingBankPaymentsTotal - openingCashReceiptsTotal - openingBankReceiptsTotal - openingReturnsTotal;
+    }
+
+    // Build date filters
+    const salesDateFilter = {};
+    const receiptDateFilter = {};
+    const paymentDateFilter = {};
+    const returnDateFilter = {};
+
+    if (start || end) {
+      if (start) {
+        // Set start to beginning of day
+        const startOfDay = new Date(start);
+        startOfDay.setHours(0, 0, 0, 0);
+        salesDateFilter.createdAt = { $gte: startOfDay };
+        receiptDateFilter.date = { $gte: startOfDay };
+        paymentDateFilter.date = { $gte: startOfDay };
+        returnDateFilter.returnDate = { $gte: startOfDay };
+      }
+      if (end) {
+        // Set end to end of day (add 1 day and set to start, then use $lt)
+        const endOfDay = new Date(end);
+        endOfDay.setDate(endOfDay.getDate() + 1);
+        endOfDay.setHours(0, 0, 0, 0);
+        if (salesDateFilter.createdAt) {
+          salesDateFilter.createdAt.$lt = endOfDay;
+        } else {
+          salesDateFilter.createdAt = { $lt: endOfDay };
+        }
+        if (receiptDateFilter.date) {
+          receiptDateFilter.date.$lt = endOfDay;
+        } else {
+          receiptDateFilter.date = { $lt: endOfDay };
+        }
+        if (paymentDateFilter.date) {
+          paymentDateFilter.date.$lt = endOfDay;
+        } else {
+          paymentDateFilter.date = { $lt: endOfDay };
+        }
+        if (returnDateFilter.returnDate) {
+          returnDateFilter.returnDate.$lt = endOfDay;
+        } else {
+          returnDateFilter.returnDate = { $lt: endOfDay };
+        }
+      }
+    }
+
+    // Fetch all transactions in parallel
+    const Return = require('../models/Return');
+    const [sales, cashReceipts, bankReceipts, cashPayments, bankPayments, returns] = await Promise.all([
+      salesRepository.findAll({
+        customer: customerId,
+        ...salesDateFilter,
+        isDeleted: { $ne: true }
+      }, { lean: true, sort: { createdAt: 1 } }),
+      cashReceiptRepository.findAll({
+        customer: customerId,
+        ...receiptDateFilter
+      }, { lean: true, sort: { date: 1 } }),
+      bankReceiptRepository.findAll({
+        customer: customerId,
+        ...receiptDateFilter
+      }, { lean: true, sort: { date: 1 } }),
+      cashPaymentRepository.findAll({
+        customer: customerId,
+        ...paymentDateFilter
+      }, { lean: true, sort: { date: 1 } }),
+      bankPaymentRepository.findAll({
+        customer: customerId,
+        ...paymentDateFilter
+      }, { lean: true, sort: { date: 1 } }),
+      Return.find({
+        customer: customerId,
+        origin: 'sales',
+        status: { $in: ['pending', 'completed', 'received', 'approved', 'refunded', 'processing'] },
+        ...returnDateFilter
+      }).lean().sort({ returnDate: 1 })
+    ]);
+
+    // Combine all transactions into a single array
+    const allEntries = [];
+
+    // Add sales (DEBITS - increases receivables)
+    sales.forEach(sale => {
+      const saleTotal = sale.pricing?.total || sale.total || 0;
+      if (saleTotal > 0) { // Only add sales with positive amounts
+        // Use createdAt for precise datetime (includes time)
+        const entryDate = sale.createdAt || sale.date || new Date();
+        allEntries.push({
+          date: entryDate,
+          datetime: new Date(entryDate).getTime(), // For precise sorting
+          voucherNo: sale.orderNumber || '',
+          particular: `Sale: ${sale.orderNumber || sale._id}`,
+          debitAmount: saleTotal,
+          creditAmount: 0,
+          source: 'Sale',
+          referenceId: sale._id?.toString?.() || sale._id
+        });
+      }
+    });
+
+    // Add cash receipts (CREDITS - decreases receivables)
+    cashReceipts.forEach(receipt => {
+      // Prefer createdAt for time precision, fallback to date
+      const entryDate = receipt.createdAt || receipt.date || new Date();
+      allEntries.push({
+        date: entryDate,
+        datetime: new Date(entryDate).getTime(), // For precise sorting
+        voucherNo: receipt.voucherCode || '',
+        particular: receipt.particular || `Cash Receipt: ${receipt.voucherCode || receipt._id}`,
+        debitAmount: 0,
+        creditAmount: receipt.amount || 0,
+        source: 'Cash Receipt',
+        referenceId: receipt._id?.toString?.() || receipt._id
+      });
+    });
+
+    // Add bank receipts (CREDITS - decreases receivables)
+    bankReceipts.forEach(receipt => {
+      // Prefer createdAt for time precision, fallback to date
+      const entryDate = receipt.createdAt || receipt.date || new Date();
+      allEntries.push({
+        date: entryDate,
+        datetime: new Date(entryDate).getTime(), // For precise sorting
+        voucherNo: receipt.voucherCode || receipt.transactionReference || '',
+        particular: receipt.particular || `Bank Receipt: ${receipt.voucherCode || receipt._id}`,
+        debitAmount: 0,
+        creditAmount: receipt.amount || 0,
+        source: 'Bank Receipt',
+        referenceId: receipt._id?.toString?.() || receipt._id
+      });
+    });
+
+    // Add cash payments (DEBITS - increases receivables/advance)
+    cashPayments.forEach(payment => {
+      // Prefer createdAt for time precision, fallback to date
+      const entryDate = payment.createdAt || payment.date || new Date();
+      allEntries.push({
+        date: entryDate,
+        datetime: new Date(entryDate).getTime(), // For precise sorting
+        voucherNo: payment.voucherCode || '',
+        particular: payment.particular || `Cash Payment: ${payment.voucherCode || payment._id}`,
+        debitAmount: payment.amount || 0,
+        creditAmount: 0,
+        source: 'Cash Payment',
+        referenceId: payment._id?.toString?.() || payment._id
+      });
+    });
+
+    // Add bank payments (DEBITS - increases receivables/advance)
+    bankPayments.forEach(payment => {
+      // Prefer createdAt for time precision, fallback to date
+      const entryDate = payment.createdAt || payment.date || new Date();
+      allEntries.push({
+        date: entryDate,
+        datetime: new Date(entryDate).getTime(), // For precise sorting
+        voucherNo: payment.voucherCode || payment.transactionReference || '',
+        particular: payment.particular || `Bank Payment: ${payment.voucherCode || payment._id}`,
+        debitAmount: payment.amount || 0,
+        creditAmount: 0,
+        source: 'Bank Payment',
+        referenceId: payment._id?.toString?.() || payment._id
+      });
+    });
+
+    // Add returns (CREDITS - decreases receivables)
+    returns.forEach(returnItem => {
+      const returnAmount = returnItem.netRefundAmount || returnItem.totalRefundAmount || 0;
+      // Include returns even if amount is 0 (for pending returns that haven't calculated amounts yet)
+      // Use returnDate for the entry date
+      const entryDate = returnItem.returnDate || returnItem.createdAt || new Date();
+      allEntries.push({
+        date: entryDate,
+        datetime: new Date(entryDate).getTime(), // For precise sorting
+        voucherNo: returnItem.returnNumber || '',
+        particular: `Return: ${returnItem.returnNumber || returnItem._id}${returnItem.status === 'pending' ? ' (Pending)' : ''}`,
+        debitAmount: 0,
+        creditAmount: returnAmount,
+        source: 'Sale Return',
+        referenceId: returnItem._id?.toString?.() || returnItem._id
+      });
+    });
+
+    // Sort all entries by datetime (chronological order - step by step)
+    allEntries.sort((a, b) => {
+      // First sort by datetime (includes time)
+      const dateDiff = (a.datetime || new Date(a.date).getTime()) - (b.datetime || new Date(b.date).getTime());
+      if (dateDiff !== 0) return dateDiff;
+      // If same datetime, sort by source type for consistency
+      const sourceOrder = { 'Cash Receipt': 1, 'Bank Receipt': 2, 'Sale Return': 3, 'Cash Payment': 4, 'Bank Payment': 5, 'Sale': 6 };
+      return (sourceOrder[a.source] || 99) - (sourceOrder[b.source] || 99);
+    });
+
+    // Calculate running balance
+    let runningBalance = openingBalance;
+    const entries = allEntries.map(entry => {
+      // For customers (receivables), debit increases balance, credit decreases
+      runningBalance = runningBalance + entry.debitAmount - entry.creditAmount;
+
+      return {
+        date: entry.date,
+        voucherNo: entry.voucherNo,
+        particular: entry.particular,
+        debitAmount: entry.debitAmount,
+        creditAmount: entry.creditAmount,
+        balance: runningBalance,
+        source: entry.source,
+        referenceId: entry.referenceId
+      };
+    });
+
+    return {
+      openingBalance,
+      entries,
+      closingBalance: runningBalance
+    };
+  }
 }
 
 module.exports = new AccountLedgerService();
@@ -184,6 +184,93 @@ class AccountingPeriodService {
     return period;
   }
 
+  /**
+   * Lock every period of a fiscal year, creating the yearly period if it does not exist.
+   * Periods are locked directly: the year-end closing journal replaces per-period closing entries.
+   * @param {Object} fiscalYear - { label, startDate, endDate }
+   * @param {Object} user - User closing the year
+   * @param {String} reason - Lock reason
+   * @returns {Promise<Array>} Locked periods with the status to restore on reversal
+   */
+  async lockFiscalYear(fiscalYear, user, reason = '') {
+    const snapshots = [];
+
+    const yearly = await AccountingPeriod.findOne({
+      periodType: 'yearly',
+      periodStart: fiscalYear.startDate,
+      periodEnd: fiscalYear.endDate
+    });
+    if (!yearly) {
+      // Saved directly: a calendar-year period created by getCurrentPeriod may overlap a non-calendar fiscal year
+      const created = new AccountingPeriod({
+        periodName: fiscalYear.label,
+        periodType: 'yearly',
+        periodStart: fiscalYear.startDate,
+        periodEnd: fiscalYear.endDate,
+        createdBy: user._id,
+        status: 'open'
+      });
+      await created.save();
+      snapshots.push({ period: created._id, periodName: created.periodName, periodType: 'yearly', previousStatus: 'open', created: true });
+    }
+
+    const periods = await AccountingPeriod.find({
+      periodStart: { $gte: fiscalYear.startDate },
+      periodEnd: { $lte: fiscalYear.endDate }
+    });
+
+    const now = new Date();
+    for (const period of periods) {
+      if (!snapshots.some(snapshot => snapshot.period.equals(period._id))) {
+        snapshots.push({ period: period._id, periodName: period.periodName, periodType: period.periodType, previousStatus: period.status, created: false });
+      }
+      if (period.status === 'locked') continue;
+
+      if (period.status !== 'closed') {
+        period.closedBy = user._id;
+        period.closedAt = now;
+        period.closingNotes = reason;
+      }
+      period.status = 'locked';
+      period.lockedBy = user._id;
+      period.lockedAt = now;
+      period.lockReason = reason;
+      await period.save();
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Undo lockFiscalYear: restore each period's previous status and remove periods it created
+   * @param {Array} snapshots - Periods recorded by lockFiscalYear
+   * @returns {Promise<void>}
+   */
+  async restoreFiscalYearPeriods(snapshots) {
+    for (const snapshot of snapshots) {
+      if (snapshot.created) {
+        await AccountingPeriod.deleteOne({ _id: snapshot.period });
+        continue;
+      }
+
+      const period = await AccountingPeriod.findById(snapshot.period);
+      if (!period || period.status === snapshot.previousStatus) continue;
+
+      if (snapshot.previousStatus !== 'locked') {
+        period.lockedBy = null;
+        period.lockedAt = null;
+        period.lockReason = null;
+      }
+      if (snapshot.previousStatus === 'open' || snapshot.previousStatus === 'closing') {
+        period.closedBy = null;
+        period.closedAt = null;
+        period.closingNotes = null;
+      }
+      period.status = snapshot.previousStatus;
+      await period.save();
+    }
+  }
+
   /**
    * Calculate period statistics
    * @param {AccountingPeriod} period - Period
@@ -245,20 +332,17 @@ class AccountingPeriodService {
    * @returns {Promise<{allowed: boolean, reason?: string}>}
    */
   async validateTransactionDate(date) {
-    const period = await AccountingPeriod.findPeriodForDate(date);
-    
+    // Every period type counts, so a closed fiscal year blocks months without their own period
+    const period = await AccountingPeriod.findClosedPeriodForDate(date);
+
     if (!period) {
       return { allowed: true }; // No period restriction
     }
 
-    if (period.status === 'closed' || period.status === 'locked') {
-      return {
-        allowed: false,
-        reason: `Transaction date falls in ${period.status} period: ${period.periodName}`
-      };
-    }
-
-    return { allowed: true };
+    return {
+      allowed: false,
+      reason: `Transaction date falls in ${period.status} period: ${period.periodName}`
+    };
   }
 }
 
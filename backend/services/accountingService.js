@@ -5,6 +5,10 @@ const BalanceSheetRepository = require('../repositories/BalanceSheetRepository')
 const Transaction = require('../models/Transaction');
 const ChartOfAccounts = require('../models/ChartOfAccounts');
 const BalanceSheet = require('../models/BalanceSheet');
+const JournalVoucher = require('../models/JournalVoucher');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const Counter = require('../models/Counter');
+const { runWithTransactionRetry } = require('./transactionUtils');
 
 class AccountingService {
   /**
@@ -170,6 +174,9 @@ class AccountingService {
     try {
       const transactions = [];
       const accountCodes = await this.getDefaultAccountCodes();
+      // Tax withheld by the customer: the customer is credited with the gross amount
+      const withheld = cashReceipt.withholding?.amount || 0;
+      const grossAmount = cashReceipt.amount + withheld;
       
       // Debit: Cash Account
       const cashTransaction = await this.createTransaction({
@@ -200,13 +207,13 @@ class AccountingService {
           paymentId: cashReceipt._id,
           paymentMethod: cashReceipt.paymentMethod || 'cash',
           type: 'sale',
-          amount: cashReceipt.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Customer Payment: ${cashReceipt.particular}`,
           accountCode: accountCodes.accountsReceivable,
           debitAmount: 0,
-          creditAmount: cashReceipt.amount,
+          creditAmount: grossAmount,
           reference: cashReceipt.voucherCode,
           customer: cashReceipt.customer,
           createdBy: cashReceipt.createdBy
@@ -220,19 +227,41 @@ class AccountingService {
           paymentId: cashReceipt._id,
           paymentMethod: cashReceipt.paymentMethod || 'cash',
           type: 'sale',
-          amount: cashReceipt.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Other Income: ${cashReceipt.particular}`,
           accountCode: accountCodes.otherRevenue,
           debitAmount: 0,
-          creditAmount: cashReceipt.amount,
+          creditAmount: grossAmount,
           reference: cashReceipt.voucherCode,
           createdBy: cashReceipt.createdBy
         });
         transactions.push(revenueTransaction);
       }
 
+      if (withheld > 0) {
+        const withholdingAccounts = await this.getWithholdingAccountCodes();
+        const withholdingTransaction = await this.createTransaction({
+          transactionId: `CR-WHT-${cashReceipt._id}`,
+          orderId: cashReceipt.order || undefined,
+          paymentId: cashReceipt._id,
+          paymentMethod: cashReceipt.paymentMethod || 'cash',
+          type: 'sale',
+          amount: withheld,
+          currency: 'USD',
+          status: 'completed',
+          description: `Tax Withheld by Customer: ${cashReceipt.withholding.certificateNumber || cashReceipt.particular}`,
+          accountCode: withholdingAccounts.receivable,
+          debitAmount: withheld,
+          creditAmount: 0,
+          reference: cashReceipt.voucherCode,
+          customer: cashReceipt.customer,
+          createdBy: cashReceipt.createdBy
+        });
+        transactions.push(withholdingTransaction);
+      }
+
       // Validate double-entry balance
       const balance = await this.validateBalance(transactions, `cash receipt ${cashReceipt.voucherCode || cashReceipt._id}`);
 
@@ -253,6 +282,9 @@ class AccountingService {
     try {
       const transactions = [];
       const accountCodes = await this.getDefaultAccountCodes();
+      // Tax withheld from the supplier: the supplier is debited with the gross amount
+      const withheld = cashPayment.withholding?.amount || 0;
+      const grossAmount = cashPayment.amount + withheld;
       
       // Credit: Cash Account
       const cashTransaction = await this.createTransaction({
@@ -284,12 +316,12 @@ class AccountingService {
           paymentId: cashPayment._id,
           paymentMethod: cashPayment.paymentMethod || 'cash',
           type: 'sale',
-          amount: cashPayment.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Supplier Payment: ${cashPayment.particular}`,
           accountCode: accountCodes.accountsPayable,
-          debitAmount: cashPayment.amount,
+          debitAmount: grossAmount,
           creditAmount: 0,
           reference: cashPayment.voucherCode,
           supplier: cashPayment.supplier,
@@ -304,12 +336,12 @@ class AccountingService {
           paymentId: cashPayment._id,
           paymentMethod: cashPayment.paymentMethod || 'cash',
           type: 'refund',
-          amount: cashPayment.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Customer Refund: ${cashPayment.particular}`,
           accountCode: accountCodes.accountsReceivable,
-          debitAmount: cashPayment.amount,
+          debitAmount: grossAmount,
           creditAmount: 0,
           reference: cashPayment.voucherCode,
           customer: cashPayment.customer,
@@ -338,12 +370,12 @@ class AccountingService {
           paymentId: cashPayment._id,
           paymentMethod: cashPayment.paymentMethod || 'cash', // Provide payment method
           type: 'sale',
-          amount: cashPayment.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Expense: ${cashPayment.particular}`,
           accountCode: expenseAccountCode,
-          debitAmount: cashPayment.amount,
+          debitAmount: grossAmount,
           creditAmount: 0,
           reference: cashPayment.voucherCode,
           createdBy: cashPayment.createdBy
@@ -351,6 +383,28 @@ class AccountingService {
         transactions.push(expenseTransaction);
       }
 
+      if (withheld > 0) {
+        const withholdingAccounts = await this.getWithholdingAccountCodes();
+        const withholdingTransaction = await this.createTransaction({
+          transactionId: `CP-WHT-${cashPayment._id}`,
+          orderId: cashPayment.order || undefined,
+          paymentId: cashPayment._id,
+          paymentMethod: cashPayment.paymentMethod || 'cash',
+          type: 'sale',
+          amount: withheld,
+          currency: 'USD',
+          status: 'completed',
+          description: `Tax Withheld: ${cashPayment.withholding.certificateNumber || cashPayment.particular}`,
+          accountCode: withholdingAccounts.payable,
+          debitAmount: 0,
+          creditAmount: withheld,
+          reference: cashPayment.voucherCode,
+          supplier: cashPayment.supplier,
+          createdBy: cashPayment.createdBy
+        });
+        transactions.push(withholdingTransaction);
+      }
+
       // Validate double-entry balance
       const balance = await this.validateBalance(transactions, `cash payment ${cashPayment.voucherCode || cashPayment._id}`);
 
@@ -371,6 +425,9 @@ class AccountingService {
     try {
       const transactions = [];
       const accountCodes = await this.getDefaultAccountCodes();
+      // Tax withheld by the customer: the customer is credited with the gross amount
+      const withheld = bankReceipt.withholding?.amount || 0;
+      const grossAmount = bankReceipt.amount + withheld;
       
       // Debit: Bank Account
       const bankTransaction = await this.createTransaction({
@@ -401,13 +458,13 @@ class AccountingService {
           paymentId: bankReceipt._id,
           paymentMethod: 'bank_transfer',
           type: 'sale',
-          amount: bankReceipt.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Customer Payment: ${bankReceipt.particular}`,
           accountCode: accountCodes.accountsReceivable,
           debitAmount: 0,
-          creditAmount: bankReceipt.amount,
+          creditAmount: grossAmount,
           reference: bankReceipt.transactionReference,
           customer: bankReceipt.customer,
           createdBy: bankReceipt.createdBy
@@ -421,19 +478,41 @@ class AccountingService {
           paymentId: bankReceipt._id,
           paymentMethod: 'bank_transfer',
           type: 'sale',
-          amount: bankReceipt.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Other Income: ${bankReceipt.particular}`,
           accountCode: accountCodes.otherRevenue,
           debitAmount: 0,
-          creditAmount: bankReceipt.amount,
+          creditAmount: grossAmount,
           reference: bankReceipt.transactionReference,
           createdBy: bankReceipt.createdBy
         });
         transactions.push(revenueTransaction);
       }
 
+      if (withheld > 0) {
+        const withholdingAccounts = await this.getWithholdingAccountCodes();
+        const withholdingTransaction = await this.createTransaction({
+          transactionId: `BR-WHT-${bankReceipt._id}`,
+          orderId: bankReceipt.order || undefined,
+          paymentId: bankReceipt._id,
+          paymentMethod: 'bank_transfer',
+          type: 'sale',
+          amount: withheld,
+          currency: 'USD',
+          status: 'completed',
+          description: `Tax Withheld by Customer: ${bankReceipt.withholding.certificateNumber || bankReceipt.particular}`,
+          accountCode: withholdingAccounts.receivable,
+          debitAmount: withheld,
+          creditAmount: 0,
+          reference: bankReceipt.transactionReference,
+          customer: bankReceipt.customer,
+          createdBy: bankReceipt.createdBy
+        });
+        transactions.push(withholdingTransaction);
+      }
+
       // Validate double-entry balance
       const balance = await this.validateBalance(transactions, `bank receipt ${bankReceipt.transactionReference || bankReceipt._id}`);
 
@@ -454,6 +533,9 @@ class AccountingService {
     try {
       const transactions = [];
       const accountCodes = await this.getDefaultAccountCodes();
+      // Tax withheld from the supplier: the supplier is debited with the gross amount
+      const withheld = bankPayment.withholding?.amount || 0;
+      const grossAmount = bankPayment.amount + withheld;
       
       // Credit: Bank Account
       const bankTransaction = await this.createTransaction({
@@ -485,12 +567,12 @@ class AccountingService {
           paymentId: bankPayment._id,
           paymentMethod: 'bank_transfer',
           type: 'sale',
-          amount: bankPayment.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Supplier Payment: ${bankPayment.particular}`,
           accountCode: accountCodes.accountsPayable,
-          debitAmount: bankPayment.amount,
+          debitAmount: grossAmount,
           creditAmount: 0,
           reference: bankPayment.transactionReference,
           supplier: bankPayment.supplier,
@@ -505,12 +587,12 @@ class AccountingService {
           paymentId: bankPayment._id,
           paymentMethod: 'bank_transfer',
           type: 'refund',
-          amount: bankPayment.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Customer Refund: ${bankPayment.particular}`,
           accountCode: accountCodes.accountsReceivable,
-          debitAmount: bankPayment.amount,
+          debitAmount: grossAmount,
           creditAmount: 0,
           reference: bankPayment.transactionReference,
           customer: bankPayment.customer,
@@ -539,12 +621,12 @@ class AccountingService {
           paymentId: bankPayment._id,
           paymentMethod: 'bank_transfer', // Bank payment uses bank transfer
           type: 'sale',
-          amount: bankPayment.amount,
+          amount: grossAmount,
           currency: 'USD',
           status: 'completed',
           description: `Expense: ${bankPayment.particular}`,
           accountCode: expenseAccountCode,
-          debitAmount: bankPayment.amount,
+          debitAmount: grossAmount,
           creditAmount: 0,
           reference: bankPayment.transactionReference,
           createdBy: bankPayment.createdBy
@@ -552,6 +634,28 @@ class AccountingService {
         transactions.push(expenseTransaction);
       }
 
+      if (withheld > 0) {
+        const withholdingAccounts = await this.getWithholdingAccountCodes();
+        const withholdingTransaction = await this.createTransaction({
+          transactionId: `BP-WHT-${bankPayment._id}`,
+          orderId: bankPayment.order || undefined,
+          paymentId: bankPayment._id,
+          paymentMethod: 'bank_transfer',
+          type: 'sale',
+          amount: withheld,
+          currency: 'USD',
+          status: 'completed',
+          description: `Tax Withheld: ${bankPayment.withholding.certificateNumber || bankPayment.particular}`,
+          accountCode: withholdingAccounts.payable,
+          debitAmount: 0,
+          creditAmount: withheld,
+          reference: bankPayment.transactionReference,
+          supplier: bankPayment.supplier,
+          createdBy: bankPayment.createdBy
+        });
+        transactions.push(withholdingTransaction);
+      }
+
       // Validate double-entry balance
       const balance = await this.validateBalance(transactions, `bank payment ${bankPayment.transactionReference || bankPayment._id}`);
 
@@ -563,6 +667,513 @@ class AccountingService {
     }
   }
 
+  /**
+   * Get the clearing account codes used by the cheque register, creating the accounts if missing
+   * @returns {Promise<Object>} { chequesInHand, chequesIssued }
+   */
+  static async getChequeAccountCodes() {
+    const definitions = {
+      chequesInHand: {
+        namePattern: /^(cheques?|checks?) in hand$/i,
+        accountCode: '1140',
+        accountName: 'Cheques in Hand',
+        accountType: 'asset',
+        accountCategory: 'current_assets',
+        normalBalance: 'debit',
+        description: 'Customer cheques received but not yet cleared, including post-dated cheques'
+      },
+      chequesIssued: {
+        namePattern: /^(cheques?|checks?) issued$/i,
+        accountCode: '2130',
+        accountName: 'Cheques Issued',
+        accountType: 'liability',
+        accountCategory: 'current_liabilities',
+        normalBalance: 'credit',
+        description: 'Cheques issued to suppliers and payees but not yet presented to the bank'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'the cheque register');
+  }
+
+  /**
+   * Get the accounts used by the fixed asset register, creating the accounts if missing
+   * @returns {Promise<Object>} { fixedAssets, accumulatedDepreciation, depreciationExpense, gainOnDisposal, lossOnDisposal }
+   */
+  static async getFixedAssetAccountCodes() {
+    const definitions = {
+      fixedAssets: {
+        namePattern: /^(property,? plant,? (and|&) equipment|fixed assets)$/i,
+        accountCode: '1500',
+        accountName: 'Property, Plant and Equipment',
+        accountType: 'asset',
+        accountCategory: 'fixed_assets',
+        normalBalance: 'debit',
+        description: 'Cost of fixed assets held in the asset register'
+      },
+      accumulatedDepreciation: {
+        namePattern: /^accumulated depreciation$/i,
+        accountCode: '1590',
+        accountName: 'Accumulated Depreciation',
+        accountType: 'asset',
+        accountCategory: 'fixed_assets',
+        normalBalance: 'credit',
+        description: 'Contra-asset holding depreciation charged on fixed assets'
+      },
+      depreciationExpense: {
+        namePattern: /^depreciation expense$/i,
+        accountCode: '5440',
+        accountName: 'Depreciation Expense',
+        accountType: 'expense',
+        accountCategory: 'other_expenses',
+        normalBalance: 'debit',
+        description: 'Monthly depreciation charged by depreciation runs'
+      },
+      gainOnDisposal: {
+        namePattern: /^gain on (disposal|sale) of (fixed )?assets$/i,
+        accountCode: '4210',
+        accountName: 'Gain on Disposal of Assets',
+        accountType: 'revenue',
+        accountCategory: 'other_revenue',
+        normalBalance: 'credit',
+        description: 'Proceeds above book value on disposal of fixed assets'
+      },
+      lossOnDisposal: {
+        namePattern: /^loss on (disposal|sale) of (fixed )?assets$/i,
+        accountCode: '5450',
+        accountName: 'Loss on Disposal of Assets',
+        accountType: 'expense',
+        accountCategory: 'other_expenses',
+        normalBalance: 'debit',
+        description: 'Book value not recovered on disposal of fixed assets'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'the fixed asset register');
+  }
+
+  /**
+   * Get the exchange gain/loss accounts used for foreign-currency settlement and revaluation, creating the accounts if missing
+   * @returns {Promise<Object>} { realisedGain, realisedLoss, unrealisedGain, unrealisedLoss }
+   */
+  static async getExchangeAccountCodes() {
+    const definitions = {
+      realisedGain: {
+        namePattern: /^realised exchange gain$/i,
+        accountCode: '4220',
+        accountName: 'Realised Exchange Gain',
+        accountType: 'revenue',
+        accountCategory: 'other_revenue',
+        normalBalance: 'credit',
+        description: 'Gain when foreign-currency invoices are settled at a better rate than booked'
+      },
+      realisedLoss: {
+        namePattern: /^realised exchange loss$/i,
+        accountCode: '5460',
+        accountName: 'Realised Exchange Loss',
+        accountType: 'expense',
+        accountCategory: 'other_expenses',
+        normalBalance: 'debit',
+        description: 'Loss when foreign-currency invoices are settled at a worse rate than booked'
+      },
+      unrealisedGain: {
+        namePattern: /^unrealised exchange gain$/i,
+        accountCode: '4230',
+        accountName: 'Unrealised Exchange Gain',
+        accountType: 'revenue',
+        accountCategory: 'other_revenue',
+        normalBalance: 'credit',
+        description: 'Period-end revaluation gain on open foreign-currency balances'
+      },
+      unrealisedLoss: {
+        namePattern: /^unrealised exchange loss$/i,
+        accountCode: '5470',
+        accountName: 'Unrealised Exchange Loss',
+        accountType: 'expense',
+        accountCategory: 'other_expenses',
+        normalBalance: 'debit',
+        description: 'Period-end revaluation loss on open foreign-currency balances'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'foreign currency accounting');
+  }
+
+  /**
+   * Get the sales tax control accounts, creating the accounts if missing. Output and input tax
+   * accumulate as documents are posted and are cleared into the due/refundable account when a return is filed.
+   * @returns {Promise<Object>} { outputTax, inputTax, taxDue, taxRefundable }
+   */
+  static async getTaxAccountCodes() {
+    const definitions = {
+      outputTax: {
+        namePattern: /^(sales|output) tax payable$/i,
+        accountCode: '2120',
+        accountName: 'Sales Tax Payable',
+        accountType: 'liability',
+        accountCategory: 'current_liabilities',
+        normalBalance: 'credit',
+        description: 'Output tax charged on sales, net of returns, not yet filed'
+      },
+      inputTax: {
+        namePattern: /^input tax receivable$/i,
+        accountCode: '1150',
+        accountName: 'Input Tax Receivable',
+        accountType: 'asset',
+        accountCategory: 'current_assets',
+        normalBalance: 'debit',
+        description: 'Input tax charged by suppliers, claimable on the next return'
+      },
+      taxDue: {
+        namePattern: /^sales tax due to authority$/i,
+        accountCode: '2140',
+        accountName: 'Sales Tax Due to Authority',
+        accountType: 'liability',
+        accountCategory: 'current_liabilities',
+        normalBalance: 'credit',
+        description: 'Net tax payable on filed returns'
+      },
+      taxRefundable: {
+        namePattern: /^sales tax refundable$/i,
+        accountCode: '1160',
+        accountName: 'Sales Tax Refundable',
+        accountType: 'asset',
+        accountCategory: 'current_assets',
+        normalBalance: 'debit',
+        description: 'Net tax refundable or carried forward on filed returns'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'sales tax returns');
+  }
+
+  /**
+   * Get the accounts tax withheld on payments and receipts is posted to, creating them if missing
+   * @returns {Promise<Object>} { payable, receivable } account codes
+   */
+  static async getWithholdingAccountCodes() {
+    const definitions = {
+      payable: {
+        namePattern: /^withholding tax payable$/i,
+        accountCode: '2150',
+        accountName: 'Withholding Tax Payable',
+        accountType: 'liability',
+        accountCategory: 'current_liabilities',
+        normalBalance: 'credit',
+        description: 'Tax withheld from supplier payments, due to the tax authority'
+      },
+      receivable: {
+        namePattern: /^withholding tax receivable$/i,
+        accountCode: '1170',
+        accountName: 'Withholding Tax Receivable',
+        accountType: 'asset',
+        accountCategory: 'current_assets',
+        normalBalance: 'debit',
+        description: 'Tax withheld by customers from their payments, adjustable against our tax liability'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'withholding tax');
+  }
+
+  /**
+   * Get the account the value of redeemed loyalty points is charged to, creating it if missing
+   * @returns {Promise<Object>} { redemptionExpense } account code
+   */
+  static async getLoyaltyAccountCodes() {
+    const definitions = {
+      redemptionExpense: {
+        namePattern: /^loyalty (points )?redemption expense$/i,
+        accountCode: '5480',
+        accountName: 'Loyalty Redemption Expense',
+        accountType: 'expense',
+        accountCategory: 'operating_expenses',
+        normalBalance: 'debit',
+        description: 'Value of loyalty points customers redeemed towards their bills'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'the loyalty program');
+  }
+
+  /**
+   * Get the accounts gift cards and credit notes are carried in until redeemed, creating them if missing
+   * @returns {Promise<Object>} { liability, breakage } account codes
+   */
+  static async getStoredValueAccountCodes() {
+    const definitions = {
+      liability: {
+        namePattern: /^gift card and store credit liability$/i,
+        accountCode: '2170',
+        accountName: 'Gift Card and Store Credit Liability',
+        accountType: 'liability',
+        accountCategory: 'current_liabilities',
+        normalBalance: 'credit',
+        description: 'Deferred revenue: unspent gift card and credit note balances owed to holders'
+      },
+      breakage: {
+        namePattern: /^gift card breakage income$/i,
+        accountCode: '4240',
+        accountName: 'Gift Card Breakage Income',
+        accountType: 'revenue',
+        accountCategory: 'other_revenue',
+        normalBalance: 'credit',
+        description: 'Gift card and credit note balances left unspent when they expired'
+      }
+    };
+
+    return await this.ensureSystemAccounts(definitions, 'gift cards and store credit');
+  }
+
+  /**
+   * Get the retained earnings account that revenue and expenses are closed into at year end, creating it if missing
+   * @returns {Promise<String>} Account code
+   */
+  static async getRetainedEarningsAccountCode() {
+    const { retainedEarnings } = await this.ensureSystemAccounts({
+      retainedEarnings: {
+        namePattern: /^retained earnings$/i,
+        accountCode: '3200',
+        accountName: 'Retained Earnings',
+        accountType: 'equity',
+        accountCategory: 'retained_earnings',
+        normalBalance: 'credit',
+        description: 'Accumulated profit or loss closed from revenue and expense accounts'
+      }
+    }, 'the fiscal year close');
+
+    return retainedEarnings;
+  }
+
+  /**
+   * Find system accounts by name, creating any that are missing
+   * @param {Object} definitions - Keyed account definitions with a namePattern and default accountCode
+   * @param {String} purpose - Feature the accounts are created for (used in log messages)
+   * @returns {Promise<Object>} Account codes keyed like the definitions
+   */
+  static async ensureSystemAccounts(definitions, purpose) {
+    const codes = {};
+    for (const [key, { namePattern, ...accountData }] of Object.entries(definitions)) {
+      const existing = await ChartOfAccountsRepository.findOne({
+        accountName: { $regex: namePattern },
+        accountType: accountData.accountType,
+        isActive: true
+      });
+      if (existing) {
+        codes[key] = existing.accountCode;
+        continue;
+      }
+
+      // Use the standard code unless another account already holds it
+      let accountCode = accountData.accountCode;
+      for (let offset = 1; offset < 10 && await ChartOfAccountsRepository.findOne({ accountCode }, { includeDeleted: true }); offset++) {
+        accountCode = String(Number(accountData.accountCode) + offset);
+      }
+
+      try {
+        const account = new ChartOfAccounts({
+          ...accountData,
+          accountCode,
+          allowDirectPosting: true,
+          isActive: true,
+          isSystemAccount: true
+        });
+        await account.save();
+        console.log(`Created ${account.accountName} account (${account.accountCode}) for ${purpose}`);
+        codes[key] = account.accountCode;
+      } catch (error) {
+        throw new Error(`Failed to create ${accountData.accountName} account: ${error.message}`);
+      }
+    }
+
+    return codes;
+  }
+
+  /**
+   * Refuse postings dated inside a closed or locked accounting period
+   * @param {Date} date - Posting date
+   * @param {String} description - What is being posted, for the error message
+   */
+  static async assertPeriodOpen(date, description = 'transaction') {
+    const period = await AccountingPeriod.findClosedPeriodForDate(date);
+    if (period) {
+      throw new Error(
+        `Cannot post ${description} in ${period.status} period: ${period.periodName} ` +
+        `(${period.periodStart.toISOString().split('T')[0]} to ${period.periodEnd.toISOString().split('T')[0]})`
+      );
+    }
+  }
+
+  /**
+   * Refuse a document up front when it, or the ledger entries it will post, falls in a closed
+   * or locked period. Routes call this before saving, since their ledger posting runs after the
+   * save and does not fail the request. Ledger entries are dated when posted, so today is checked too.
+   * @param {Date} documentDate - Date on the document
+   * @param {String} description - What is being posted, for the error message
+   */
+  static async assertPostingPeriodOpen(documentDate, description = 'transaction') {
+    await this.assertPeriodOpen(documentDate || new Date(), description);
+    await this.assertPeriodOpen(new Date(), description);
+  }
+
+  /**
+   * Save a posted journal voucher built from account codes and record it in the ledger
+   * The voucher, account balances and ledger transactions are written in one transaction, joining
+   * the caller's when data.session is given.
+   * @param {Object} data - { voucherDate, reference, description, notes, lines: [{ accountCode, debit, credit, particulars }], numberPrefix, metadata, createdBy,
+   *   allowClosedPeriod (year-end closing entries only), session }
+   * @returns {Promise<Object>} Saved journal voucher
+   */
+  static async postJournalVoucher(data) {
+    const voucherDate = data.voucherDate || new Date();
+    if (!data.allowClosedPeriod) {
+      await this.assertPeriodOpen(voucherDate, 'journal voucher');
+    }
+
+    const lines = (data.lines || []).filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0);
+    const entries = [];
+    const accounts = [];
+    for (const line of lines) {
+      const account = await this.validateAccount(line.accountCode);
+      accounts.push(account);
+      entries.push({
+        account: account._id,
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        particulars: line.particulars || '',
+        debit: Math.round((line.debit || 0) * 100) / 100,
+        credit: Math.round((line.credit || 0) * 100) / 100
+      });
+    }
+
+    const counter = await Counter.findOneAndUpdate(
+      { _id: 'journalVoucherNumber' },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+    const prefix = data.numberPrefix ? `JV-${data.numberPrefix}` : 'JV';
+
+    const post = async (session) => {
+      const voucher = new JournalVoucher({
+        voucherNumber: `${prefix}-${String(counter.seq).padStart(6, '0')}`,
+        voucherDate,
+        reference: data.reference,
+        description: data.description,
+        entries,
+        status: 'posted',
+        notes: data.notes,
+        createdBy: data.createdBy,
+        metadata: data.metadata
+      });
+      await voucher.save({ session });
+
+      // Keep running balances in step, as manual journal vouchers do
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const isDebitEntry = entry.debit > 0;
+        const amount = isDebitEntry ? entry.debit : entry.credit;
+        const delta = accounts[i].normalBalance === 'debit'
+          ? (isDebitEntry ? amount : -amount)
+          : (isDebitEntry ? -amount : amount);
+        await ChartOfAccountsRepository.updateBalance(entry.account, { $inc: { currentBalance: delta } }, { session });
+      }
+
+      await this.recordJournalVoucherEntries(voucher, { allowClosedPeriod: data.allowClosedPeriod, session });
+      return voucher;
+    };
+
+    return data.session ? await post(data.session) : await runWithTransactionRetry(post);
+  }
+
+  /**
+   * Create ledger transactions for the lines of a journal voucher, dated on the voucher date
+   * @param {Object} voucher - Journal voucher document
+   * @param {Object} options - { allowClosedPeriod, session }
+   * @returns {Promise<Array>} Created transactions
+   */
+  static async recordJournalVoucherEntries(voucher, options = {}) {
+    try {
+      const transactions = [];
+      for (let i = 0; i < voucher.entries.length; i++) {
+        const entry = voucher.entries[i];
+        transactions.push(await this.createTransaction({
+          transactionId: `${voucher.voucherNumber}-${i + 1}`,
+          paymentId: voucher._id,
+          type: 'adjustment',
+          amount: entry.debit || entry.credit,
+          currency: 'USD',
+          status: 'completed',
+          accountCode: entry.accountCode,
+          debitAmount: entry.debit || 0,
+          creditAmount: entry.credit || 0,
+          description: entry.particulars || voucher.description,
+          reference: voucher.voucherNumber,
+          createdBy: voucher.createdBy,
+          createdAt: voucher.voucherDate
+        }, options));
+      }
+
+      const balance = await this.validateBalance(transactions, `journal voucher ${voucher.voucherNumber}`);
+
+      console.log(`Created ${transactions.length} accounting entries for journal voucher ${voucher.voucherNumber} (Debits: ${balance.totalDebits.toFixed(2)} = Credits: ${balance.totalCredits.toFixed(2)})`);
+      return transactions;
+    } catch (error) {
+      console.error('Error creating accounting entries for journal voucher:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a balanced debit/credit pair for a cheque register event
+   * @param {Object} cheque - Cheque document
+   * @param {Object} entry - { key, debitAccount, creditAccount, amount, type, description }
+   * @returns {Promise<Array>} Created transactions
+   */
+  static async recordChequeEntry(cheque, entry) {
+    try {
+      const amount = entry.amount !== undefined ? entry.amount : cheque.amount;
+      const common = {
+        orderId: cheque.order || undefined,
+        paymentId: cheque._id,
+        paymentMethod: 'check',
+        type: entry.type || 'sale',
+        amount,
+        currency: 'USD',
+        status: 'completed',
+        description: entry.description,
+        reference: cheque.chequeNumber,
+        customer: cheque.customer || undefined,
+        supplier: cheque.supplier || undefined,
+        createdBy: entry.createdBy || cheque.createdBy
+      };
+
+      const transactions = [];
+      transactions.push(await this.createTransaction({
+        ...common,
+        transactionId: `CHQ-${entry.key}-DR-${cheque._id}`,
+        accountCode: entry.debitAccount,
+        debitAmount: amount,
+        creditAmount: 0
+      }));
+      transactions.push(await this.createTransaction({
+        ...common,
+        transactionId: `CHQ-${entry.key}-CR-${cheque._id}`,
+        accountCode: entry.creditAccount,
+        debitAmount: 0,
+        creditAmount: amount
+      }));
+
+      // Validate double-entry balance
+      const balance = await this.validateBalance(transactions, `cheque ${cheque.chequeRegisterNumber || cheque._id}`);
+
+      console.log(`Created ${transactions.length} accounting entries for cheque ${cheque._id} ${entry.key} (Debits: ${balance.totalDebits.toFixed(2)} = Credits: ${balance.totalCredits.toFixed(2)})`);
+      return transactions;
+    } catch (error) {
+      console.error('Error creating accounting entries for cheque:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate that transactions are balanced (double-entry bookkeeping)
    * @param {Array} transactions - Array of transaction objects
@@ -600,17 +1211,22 @@ class AccountingService {
   /**
    * Create a single transaction entry
    * @param {Object} transactionData - Transaction data
+   * @param {Object} options - { allowClosedPeriod (year-end closing entries only), session }
    * @returns {Promise<Object>} Created transaction
    */
-  static async createTransaction(transactionData) {
+  static async createTransaction(transactionData, options = {}) {
     try {
       // Validate account code before creating transaction
       if (transactionData.accountCode) {
         await this.validateAccount(transactionData.accountCode);
       }
+      // Ledger entries are dated by createdAt
+      if (!options.allowClosedPeriod) {
+        await this.assertPeriodOpen(transactionData.createdAt || new Date());
+      }
       
       const transaction = new Transaction(transactionData);
-      await transaction.save();
+      await transaction.save({ session: options.session });
       return transaction;
     } catch (error) {
       console.error('Error creating transaction:', error);
@@ -720,11 +1336,18 @@ class AccountingService {
       }
       const amountPaid = order.payment?.amountPaid || 0;
       const unpaidAmount = orderTotal - amountPaid;
+      // Part of the amount paid may be loyalty points, gift cards or store credit rather than cash
+      const loyaltyAmount = Math.min(order.loyalty?.amountRedeemed || 0, amountPaid);
+      const storedValueAmount = Math.min(
+        (order.payment?.storedValue || []).reduce((sum, leg) => sum + (leg.amount || 0), 0),
+        amountPaid - loyaltyAmount
+      );
+      const cashPaid = amountPaid - loyaltyAmount - storedValueAmount;
       const accountCodes = await this.getDefaultAccountCodes();
       
       // Handle payment method and partial payments
       // For partial payments, debit both Cash and AR
-      if (amountPaid > 0) {
+      if (cashPaid > 0) {
         // Debit Cash for amount paid (even if partial)
         const cashTransaction = await this.createTransaction({
           transactionId: `SO-CASH-${order._id}`,
@@ -732,12 +1355,12 @@ class AccountingService {
           paymentId: order._id,
           paymentMethod: order.payment.method || 'cash',
           type: 'sale',
-          amount: amountPaid,
+          amount: cashPaid,
           currency: 'USD',
           status: 'completed',
-          description: `Sale Payment: ${order.orderNumber}${unpaidAmount > 0 ? ` (Partial: $${amountPaid})` : ''}`,
+          description: `Sale Payment: ${order.orderNumber}${unpaidAmount > 0 ? ` (Partial: $${cashPaid})` : ''}`,
           accountCode: accountCodes.cash,
-          debitAmount: amountPaid,
+          debitAmount: cashPaid,
           creditAmount: 0,
           reference: order.orderNumber,
           customer: order.customer,
@@ -745,6 +1368,52 @@ class AccountingService {
         });
         transactions.push(cashTransaction);
       }
+
+      // Debit Loyalty Redemption Expense for points redeemed towards the bill
+      if (loyaltyAmount > 0) {
+        const { redemptionExpense } = await this.getLoyaltyAccountCodes();
+        const loyaltyTransaction = await this.createTransaction({
+          transactionId: `SO-LOY-${order._id}`,
+          orderId: order._id,
+          paymentId: order._id,
+          paymentMethod: order.payment.method || 'cash',
+          type: 'sale',
+          amount: loyaltyAmount,
+          currency: 'USD',
+          status: 'completed',
+          description: `Loyalty Points Redeemed: ${order.orderNumber} (${order.loyalty.pointsRedeemed} points)`,
+          accountCode: redemptionExpense,
+          debitAmount: loyaltyAmount,
+          creditAmount: 0,
+          reference: order.orderNumber,
+          customer: order.customer,
+          createdBy: order.createdBy
+        });
+        transactions.push(loyaltyTransaction);
+      }
+
+      // Debit Gift Card and Store Credit Liability for balances redeemed towards the bill
+      if (storedValueAmount > 0) {
+        const { liability } = await this.getStoredValueAccountCodes();
+        const storedValueTransaction = await this.createTransaction({
+          transactionId: `SO-SV-${order._id}`,
+          orderId: order._id,
+          paymentId: order._id,
+          paymentMethod: order.payment.storedValue.some(leg => leg.type === 'gift_card') ? 'gift_card' : 'store_credit',
+          type: 'sale',
+          amount: storedValueAmount,
+          currency: 'USD',
+          status: 'completed',
+          description: `Gift Card / Store Credit Redeemed: ${order.orderNumber} (${order.payment.storedValue.map(leg => leg.code).join(', ')})`,
+          accountCode: liability,
+          debitAmount: storedValueAmount,
+          creditAmount: 0,
+          reference: order.orderNumber,
+          customer: order.customer,
+          createdBy: order.createdBy
+        });
+        transactions.push(storedValueTransaction);
+      }
       
       // Debit AR for unpaid amount (if any)
       if (unpaidAmount > 0) {
@@ -768,26 +1437,50 @@ class AccountingService {
         transactions.push(arTransaction);
       }
 
-      // Credit: Sales Revenue (full order amount)
+      // Credit: Sales Revenue (order amount excluding output tax)
+      const taxAmount = Math.round((order.pricing?.taxAmount || 0) * 100) / 100;
       const revenueTransaction = await this.createTransaction({
         transactionId: `SO-REV-${order._id}`,
         orderId: order._id,
         paymentId: order._id,
         paymentMethod: order.payment.method || 'cash',
         type: 'sale',
-        amount: orderTotal,
+        amount: orderTotal - taxAmount,
         currency: 'USD',
         status: 'completed',
         description: `Sales Revenue: ${order.orderNumber}`,
         accountCode: accountCodes.salesRevenue,
         debitAmount: 0,
-        creditAmount: orderTotal,
+        creditAmount: orderTotal - taxAmount,
         reference: order.orderNumber,
         customer: order.customer,
         createdBy: order.createdBy
       });
       transactions.push(revenueTransaction);
 
+      // Credit: Sales Tax Payable (output tax, cleared when the tax return is filed)
+      if (taxAmount > 0) {
+        const { outputTax } = await this.getTaxAccountCodes();
+        const taxTransaction = await this.createTransaction({
+          transactionId: `SO-TAX-${order._id}`,
+          orderId: order._id,
+          paymentId: order._id,
+          paymentMethod: order.payment.method || 'cash',
+          type: 'sale',
+          amount: taxAmount,
+          currency: 'USD',
+          status: 'completed',
+          description: `Output Tax: ${order.orderNumber}`,
+          accountCode: outputTax,
+          debitAmount: 0,
+          creditAmount: taxAmount,
+          reference: order.orderNumber,
+          customer: order.customer,
+          createdBy: order.createdBy
+        });
+        transactions.push(taxTransaction);
+      }
+
       // Debit: Cost of Goods Sold (COGS)
       let totalCOGS = 0;
       const Product = require('../models/Product');
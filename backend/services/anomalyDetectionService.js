@@ -4,6 +4,7 @@ const ProductRepository = require('../repositories/ProductRepository');
 const CashReceiptRepository = require('../repositories/CashReceiptRepository');
 const CashPaymentRepository = require('../repositories/CashPaymentRepository');
 const StockMovementRepository = require('../repositories/StockMovementRepository');
+const notificationService = require('./notificationService');
 
 /**
  * Anomaly Detection Service
@@ -731,6 +732,31 @@ class AnomalyDetectionService {
       currency: 'USD'
     }).format(amount || 0);
   }
+
+  /**
+   * Raise a notification when critical or high-severity anomalies are found.
+   * Repeats at most once a day per recipient.
+   * @param {Object} options - Detection options (defaults to the last day)
+   * @returns {Promise<Object>} Severity summary
+   */
+  static async notifyAnomalies(options = {}) {
+    const periodDays = options.periodDays || 1;
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - periodDays);
+
+    const result = await this.getAllAnomalies({ startDate, ...options });
+    if (result.summary.critical > 0 || result.summary.high > 0) {
+      await notificationService.notify('anomaly.detected', {
+        ...result.summary,
+        total: result.total,
+        periodDays
+      }, {
+        severity: result.summary.critical > 0 ? 'critical' : 'warning',
+        dedupeKey: `anomaly.detected:${new Date().toISOString().slice(0, 10)}`
+      });
+    }
+    return result.summary;
+  }
 }
 
 module.exports = AnomalyDetectionService;
@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const { spawn } = require('child_process');
 const Backup = require('../models/Backup');
 const User = require('../models/User');
+const notificationService = require('./notificationService');
 
 class BackupService {
   constructor() {
@@ -116,6 +117,7 @@ class BackupService {
       };
       backup.metadata.endTime = new Date();
       await backup.save();
+      await this.notifyBackupEvent('backup.failed', backup);
       throw error;
     }
   }
@@ -412,8 +414,8 @@ class BackupService {
     backup.notifications = notifications;
     await backup.save();
 
-    // Send notifications
-    for (const notification of notifications) {
+    // Send notifications (update the saved subdocuments so the outcome is persisted)
+    for (const notification of backup.notifications) {
       try {
         await this.sendNotification(backup, notification);
         notification.sent = true;
@@ -424,6 +426,7 @@ class BackupService {
     }
 
     await backup.save();
+    await this.notifyBackupEvent('backup.completed', backup);
   }
 
   // Send individual notification
@@ -432,7 +435,7 @@ class BackupService {
 
     switch (notification.type) {
       case 'email':
-        // Implement email sending
+        await this.sendEmailNotification(notification.recipient, backup, message);
         break;
       case 'slack':
         await this.sendSlackNotification(notification.recipient, message);
@@ -443,6 +446,33 @@ class BackupService {
     }
   }
 
+  // Raise a backup event for users subscribed through the notification service
+  async notifyBackupEvent(event, backup) {
+    try {
+      await notificationService.notify(event, {
+        backupId: backup.backupId,
+        type: backup.type,
+        collections: backup.collections.length,
+        size: backup.metadata.compressedSize ? this.formatBytes(backup.metadata.compressedSize) : 'N/A',
+        duration: backup.metadata.duration ? `${backup.metadata.duration}ms` : 'N/A',
+        error: backup.error?.message || ''
+      });
+    } catch (error) {
+      console.error(`Backup notification error (${event}):`, error);
+    }
+  }
+
+  // Send email notification
+  async sendEmailNotification(recipient, backup, message) {
+    const emailChannel = require('./notificationChannels/emailChannel');
+    await emailChannel.send({
+      recipient: { email: recipient },
+      subject: `Backup ${backup.backupId} ${backup.status}`,
+      title: `Backup ${backup.backupId} ${backup.status}`,
+      message
+    });
+  }
+
   // Format notification message
   formatNotificationMessage(backup) {
     const status = backup.status === 'completed' ? '✅' : '❌';
@@ -459,17 +489,31 @@ Collections: ${backup.collections.length}`;
 
   // Send Slack notification
   async sendSlackNotification(webhookUrl, message) {
-    const axios = require('axios');
-    await axios.post(webhookUrl, { text: message });
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: message }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`Slack webhook responded with ${response.status}`);
+    }
   }
 
   // Send webhook notification
   async sendWebhookNotification(webhookUrl, backup) {
-    const axios = require('axios');
-    await axios.post(webhookUrl, {
-      event: 'backup.completed',
-      backup: backup.toObject(),
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'backup.completed',
+        backup: backup.toObject(),
+      }),
+      signal: AbortSignal.timeout(10000)
     });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
   }
 
   // Format bytes to human readable
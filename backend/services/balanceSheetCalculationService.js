@@ -8,6 +8,7 @@ const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsReposi
 const TransactionRepository = require('../repositories/TransactionRepository');
 const FinancialStatementRepository = require('../repositories/FinancialStatementRepository');
 const AccountingService = require('./accountingService');
+const fixedAssetService = require('./fixedAssetService');
 const BalanceSheet = require('../models/BalanceSheet'); // Keep for model instance methods
 const FinancialStatement = require('../models/FinancialStatement');
 const Sales = require('../models/Sales');
@@ -508,13 +509,28 @@ class BalanceSheetCalculationService {
   // Calculate property, plant, and equipment
   async calculatePropertyPlantEquipment(statementDate) {
     try {
-      // Find fixed asset accounts
-      const fixedAssetAccounts = await ChartOfAccountsRepository.findAll({
+      // The fixed asset register is the source of truth once it holds assets
+      const register = await fixedAssetService.getRegisterTotals(statementDate);
+      if (register.assetCount > 0) {
+        const byCategory = register.costByCategory;
+        return {
+          land: byCategory.land || 0,
+          buildings: byCategory.buildings || 0,
+          equipment: (byCategory.equipment || 0) + (byCategory.other || 0),
+          vehicles: byCategory.vehicles || 0,
+          furnitureAndFixtures: byCategory.furniture_and_fixtures || 0,
+          computerEquipment: byCategory.computer_equipment || 0,
+          total: register.totalCost
+        };
+      }
+
+      // Find fixed asset accounts (accumulated depreciation is reported separately)
+      const fixedAssetAccounts = (await ChartOfAccountsRepository.findAll({
         accountType: 'asset',
         accountCategory: 'fixed_assets',
         isActive: true,
         allowDirectPosting: true
-      });
+      })).filter(account => !/accumulated.*depreciation|depreciation.*accumulated/i.test(account.accountName || ''));
 
       let land = 0;
       let buildings = 0;
@@ -573,6 +589,11 @@ class BalanceSheetCalculationService {
   // Calculate accumulated depreciation
   async calculateAccumulatedDepreciation(statementDate) {
     try {
+      const register = await fixedAssetService.getRegisterTotals(statementDate);
+      if (register.assetCount > 0) {
+        return register.accumulatedDepreciation;
+      }
+
       // Find accumulated depreciation accounts (contra-asset accounts)
       const depreciationAccounts = await ChartOfAccountsRepository.findAll({
         accountType: 'asset',
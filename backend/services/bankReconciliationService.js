@@ -0,0 +1,821 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BankStatement = require('../models/BankStatement');
+const BankReceipt = require('../models/BankReceipt');
+const BankPayment = require('../models/BankPayment');
+const bankStatementRepository = require('../repositories/BankStatementRepository');
+const bankRepository = require('../repositories/BankRepository');
+const bankReceiptRepository = require('../repositories/BankReceiptRepository');
+const bankPaymentRepository = require('../repositories/BankPaymentRepository');
+const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const { parseStatement } = require('../utils/bankStatementParser');
+const { getStartOfDayPakistan, getEndOfDayPakistan, formatDatePakistan } = require('../utils/dateFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Amounts closer than this are treated as equal
+const AMOUNT_TOLERANCE = 0.005;
+// Auto-match accepts vouchers dated this many days either side of the statement line
+const DEFAULT_DATE_WINDOW_DAYS = parseInt(process.env.BANK_MATCH_DATE_WINDOW_DAYS) || 3;
+// Manual matching suggests vouchers from a wider window
+const CANDIDATE_WINDOW_DAYS = 30;
+// How long the bank GL account stays locked after the last reconciliation action
+const LOCK_MINUTES = 60;
+
+const VOUCHER_MODELS = {
+  BankReceipt: { Model: BankReceipt, repository: bankReceiptRepository, sign: 1 },
+  BankPayment: { Model: BankPayment, repository: bankPaymentRepository, sign: -1 }
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const amountsEqual = (a, b) => Math.abs(a - b) < AMOUNT_TOLERANCE;
+const daysApart = (a, b) => Math.abs(Date.parse(formatDatePakistan(a)) - Date.parse(formatDatePakistan(b))) / DAY_MS;
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+class BankReconciliationService {
+  /**
+   * Import a bank statement file and auto-match its lines
+   * @param {object} file - Uploaded file ({ buffer, originalname })
+   * @param {object} options - { bank, format, dateOrder, columns, openingBalance, closingBalance, autoMatch, dateWindowDays }
+   * @param {object} user - Importing user
+   * @returns {Promise<{statement: object, autoMatch: object, warnings: Array}>}
+   */
+  async importStatement(file, options, user) {
+    if (!file || !file.buffer) {
+      throw new Error('Cannot import statement: no file uploaded');
+    }
+
+    const bank = await bankRepository.findById(options.bank);
+    if (!bank) {
+      throw new Error('Bank account not found');
+    }
+    if (!bank.isActive) {
+      throw new Error('Cannot import statement: bank account is inactive');
+    }
+
+    const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const existing = await bankStatementRepository.findByFileHash(bank._id, fileHash);
+    if (existing) {
+      throw new Error(`Cannot import statement: this file was already imported as ${existing.statementNumber}`);
+    }
+
+    const parsed = parseStatement(file.buffer, {
+      filename: file.originalname,
+      format: options.format,
+      dateOrder: options.dateOrder,
+      columns: options.columns
+    });
+
+    const lines = parsed.lines.map(line => ({
+      date: getStartOfDayPakistan(line.date),
+      valueDate: line.valueDate ? getStartOfDayPakistan(line.valueDate) : undefined,
+      description: (line.description || '').slice(0, 1000),
+      reference: line.reference || undefined,
+      bankReference: line.bankReference || undefined,
+      amount: round2(line.amount),
+      balance: line.balance
+    }));
+    const movement = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    // Balances typed in by the user win over those read from the file; a missing side is derived from the lines
+    let openingBalance = options.openingBalance ?? parsed.openingBalance;
+    let closingBalance = options.closingBalance ?? parsed.closingBalance;
+    if (openingBalance === undefined && closingBalance === undefined) {
+      throw new Error('Cannot import statement: the file has no balances; enter the statement closing balance');
+    }
+    if (openingBalance === undefined) openingBalance = closingBalance - movement;
+    if (closingBalance === undefined) closingBalance = openingBalance + movement;
+    openingBalance = round2(openingBalance);
+    closingBalance = round2(closingBalance);
+
+    const warnings = [];
+    if (!amountsEqual(round2(openingBalance + movement), closingBalance)) {
+      warnings.push(`Opening balance ${openingBalance} plus transactions ${movement} does not equal the closing balance ${closingBalance}`);
+    }
+    const accountDigits = normalizeReference(bank.accountNumber);
+    const fileDigits = normalizeReference(parsed.accountNumber);
+    if (fileDigits && accountDigits && !fileDigits.endsWith(accountDigits) && !accountDigits.endsWith(fileDigits)) {
+      warnings.push(`Statement account ${parsed.accountNumber} does not match ${bank.bankName} ${bank.accountNumber}`);
+    }
+
+    const periodStart = getStartOfDayPakistan(parsed.periodStart);
+    const periodEnd = getEndOfDayPakistan(parsed.periodEnd);
+    const previous = await bankStatementRepository.findPrevious(bank._id, periodEnd);
+    if (previous && !amountsEqual(previous.closingBalance, openingBalance)) {
+      warnings.push(`Opening balance ${openingBalance} differs from the closing balance ${previous.closingBalance} of ${previous.statementNumber}`);
+    }
+
+    await this._lockBankAccount(user);
+
+    const statement = new BankStatement({
+      bank: bank._id,
+      sourceFormat: parsed.format,
+      originalFilename: file.originalname,
+      fileHash,
+      accountNumber: parsed.accountNumber,
+      currency: parsed.currency,
+      periodStart,
+      periodEnd,
+      openingBalance,
+      closingBalance,
+      lines,
+      importedBy: user._id
+    });
+    await statement.save();
+
+    let autoMatch = null;
+    if (options.autoMatch !== false) {
+      autoMatch = await this._autoMatchStatement(statement, options.dateWindowDays, user);
+    }
+
+    return { statement, autoMatch, warnings };
+  }
+
+  /**
+   * List imported statements
+   * @param {object} queryParams - { bank, status, page, limit }
+   * @returns {Promise<{statements: Array, total: number, pagination: object}>}
+   */
+  async getStatements(queryParams = {}) {
+    const filter = {};
+    if (queryParams.bank) filter.bank = queryParams.bank;
+    if (queryParams.status) filter.status = queryParams.status;
+
+    return await bankStatementRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  /**
+   * Get a statement with its lines and a summary of their matching
+   * @param {string} id - Statement ID
+   * @returns {Promise<object>}
+   */
+  async getStatementById(id) {
+    const statement = await bankStatementRepository.findById(id, {
+      populate: [
+        { path: 'bank', select: 'accountName accountNumber bankName' },
+        { path: 'importedBy', select: 'firstName lastName' },
+        { path: 'reconciledBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!statement) {
+      throw new Error('Bank statement not found');
+    }
+
+    return {
+      ...statement.toObject(),
+      summary: this._summarizeLines(statement.lines)
+    };
+  }
+
+  /**
+   * Match every unmatched line that has exactly one convincing voucher
+   * @param {string} id - Statement ID
+   * @param {object} options - { dateWindowDays }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async autoMatch(id, options = {}, user) {
+    const statement = await this._getEditableStatement(id);
+    await this._lockBankAccount(user);
+    return await this._autoMatchStatement(statement, options.dateWindowDays, user);
+  }
+
+  /**
+   * Vouchers that could be matched to a statement line by hand
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {object} options - { dateWindowDays, search }
+   * @returns {Promise<Array>}
+   */
+  async getCandidates(id, lineId, options = {}) {
+    const statement = await this._getStatement(id);
+    const line = this._getLine(statement, lineId);
+    const windowDays = options.dateWindowDays ?? CANDIDATE_WINDOW_DAYS;
+    const dateFilter = {
+      $gte: new Date(line.date.getTime() - windowDays * DAY_MS),
+      $lte: new Date(line.date.getTime() + (windowDays + 1) * DAY_MS)
+    };
+
+    const vouchers = await this._findUnclearedVouchers(statement.bank, dateFilter, options.search);
+    const target = Math.abs(line.amount);
+
+    return vouchers
+      .map(voucher => ({
+        ...voucher,
+        signedAmount: voucher.voucherType === 'BankReceipt' ? voucher.amount : -voucher.amount,
+        amountDifference: round2(Math.abs(voucher.amount - target)),
+        daysApart: daysApart(voucher.date, line.date),
+        referenceMatch: this._referenceMatches(line, voucher)
+      }))
+      .sort((a, b) => {
+        // Vouchers on the same side as the line first, then closest amount, reference hits and dates
+        const aSide = Math.sign(a.signedAmount) === Math.sign(line.amount) ? 0 : 1;
+        const bSide = Math.sign(b.signedAmount) === Math.sign(line.amount) ? 0 : 1;
+        return aSide - bSide
+          || a.amountDifference - b.amountDifference
+          || Number(b.referenceMatch) - Number(a.referenceMatch)
+          || a.daysApart - b.daysApart;
+      })
+      .slice(0, 50);
+  }
+
+  /**
+   * Match a statement line to one or more vouchers whose signed total equals the line
+   * (receipts count positive and payments negative, so a deposit net of a bank charge can be cleared
+   * against the receipt and the charge together)
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {Array} vouchers - [{ voucherType, voucherId }]
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated statement
+   */
+  async matchLine(id, lineId, vouchers, user) {
+    const statement = await this._getEditableStatement(id);
+    const line = this._getLine(statement, lineId);
+    if (line.status !== 'unmatched') {
+      throw new Error(`Cannot match: the statement line is already ${line.status}; unmatch it first`);
+    }
+
+    const seen = new Set();
+    const docs = [];
+    for (const { voucherType, voucherId } of vouchers) {
+      const key = `${voucherType}:${voucherId}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      docs.push(await this._getMatchableVoucher(voucherType, voucherId, statement.bank));
+    }
+
+    const total = round2(docs.reduce((sum, { voucherType, voucher }) => (
+      sum + VOUCHER_MODELS[voucherType].sign * voucher.amount
+    ), 0));
+    if (!amountsEqual(total, line.amount)) {
+      throw new Error(`Cannot match: the selected vouchers total ${total} but the statement line is ${line.amount}`);
+    }
+
+    await this._lockBankAccount(user);
+    await this._applyMatch(statement, line, docs, 'manual', user);
+    return await this.getStatementById(statement._id);
+  }
+
+  /**
+   * Clear a line's matches (or restore an ignored line)
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated statement
+   */
+  async unmatchLine(id, lineId, user) {
+    const statement = await this._getEditableStatement(id);
+    const line = this._getLine(statement, lineId);
+    if (line.status === 'unmatched') {
+      throw new Error('Cannot unmatch: the statement line is not matched');
+    }
+
+    await this._lockBankAccount(user);
+    await this._releaseVouchers(line.matches);
+    line.matches = [];
+    line.status = 'unmatched';
+    await statement.save();
+
+    return await this.getStatementById(statement._id);
+  }
+
+  /**
+   * Mark a line as not needing a voucher (e.g. a bank error reversed on the same statement)
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} notes - Why the line is ignored
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated statement
+   */
+  async ignoreLine(id, lineId, notes, user) {
+    const statement = await this._getEditableStatement(id);
+    const line = this._getLine(statement, lineId);
+    if (line.status !== 'unmatched') {
+      throw new Error(`Cannot ignore: the statement line is already ${line.status}`);
+    }
+
+    await this._lockBankAccount(user);
+    line.status = 'ignored';
+    line.notes = notes || line.notes;
+    await statement.save();
+
+    return await this.getStatementById(statement._id);
+  }
+
+  /**
+   * Split a line into parts that can be matched separately
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {Array<number>} amounts - Part amounts (same sign as the line, adding up to it)
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated statement
+   */
+  async splitLine(id, lineId, amounts, user) {
+    const statement = await this._getEditableStatement(id);
+    const line = this._getLine(statement, lineId);
+    if (line.status !== 'unmatched') {
+      throw new Error('Cannot split: only unmatched lines can be split');
+    }
+
+    const parts = amounts.map(amount => round2(Math.abs(amount) * Math.sign(line.amount)));
+    if (parts.length < 2 || parts.some(amount => !amount)) {
+      throw new Error('Cannot split: provide at least two non-zero amounts');
+    }
+    const total = round2(parts.reduce((sum, amount) => sum + amount, 0));
+    if (!amountsEqual(total, line.amount)) {
+      throw new Error(`Cannot split: the parts total ${total} but the statement line is ${line.amount}`);
+    }
+
+    await this._lockBankAccount(user);
+    const index = statement.lines.findIndex(item => item._id.equals(line._id));
+    const base = line.toObject();
+    statement.lines.splice(index, 1, ...parts.map(amount => ({
+      date: base.date,
+      valueDate: base.valueDate,
+      description: base.description,
+      reference: base.reference,
+      bankReference: base.bankReference,
+      amount,
+      splitFrom: base.splitFrom || base._id,
+      notes: base.notes
+    })));
+    await statement.save();
+
+    return await this.getStatementById(statement._id);
+  }
+
+  /**
+   * Create the missing voucher for an unmatched line (bank charges, interest, ...)
+   * and match it when it covers the whole line
+   * @param {string} id - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {object} data - { kind: 'bank_charge'|'interest', amount, particular, expenseAccount, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<{statement: object, voucher: object, matched: boolean}>}
+   */
+  async createVoucherFromLine(id, lineId, data, user) {
+    const statement = await this._getEditableStatement(id);
+    const line = this._getLine(statement, lineId);
+    if (line.status !== 'unmatched') {
+      throw new Error(`Cannot create voucher: the statement line is already ${line.status}`);
+    }
+
+    const kind = data.kind || (line.amount < 0 ? 'bank_charge' : 'interest');
+    const voucherType = kind === 'bank_charge' ? 'BankPayment' : 'BankReceipt';
+    const amount = round2(data.amount !== undefined ? Math.abs(data.amount) : Math.abs(line.amount));
+    if (!amount) {
+      throw new Error('Cannot create voucher: amount must be greater than zero');
+    }
+
+    let expenseAccount = null;
+    if (voucherType === 'BankPayment') {
+      expenseAccount = data.expenseAccount
+        ? await chartOfAccountsRepository.findById(data.expenseAccount)
+        : await chartOfAccountsRepository.findOne({ accountName: /bank charges/i, accountType: 'expense', isActive: true });
+      if (data.expenseAccount && !expenseAccount) {
+        throw new Error('Expense account not found');
+      }
+    }
+
+    await this._lockBankAccount(user);
+
+    const label = kind === 'bank_charge' ? 'Bank charges' : 'Bank interest';
+    const { Model } = VOUCHER_MODELS[voucherType];
+    const voucher = new Model({
+      date: line.date,
+      amount,
+      particular: (data.particular || [label, line.description].filter(Boolean).join(' - ')).slice(0, 500),
+      bank: statement.bank,
+      transactionReference: line.bankReference || line.reference || undefined,
+      expenseAccount: expenseAccount ? expenseAccount._id : undefined,
+      notes: data.notes || `Created from bank statement ${statement.statementNumber}`,
+      createdBy: user._id
+    });
+    await voucher.save();
+
+    // Create accounting entries
+    try {
+      const AccountingService = require('./accountingService');
+      if (voucherType === 'BankPayment') {
+        await AccountingService.recordBankPayment(voucher);
+      } else {
+        await AccountingService.recordBankReceipt(voucher);
+      }
+    } catch (error) {
+      console.error(`Error creating accounting entries for ${voucherType} from bank statement:`, error);
+      // Don't fail the voucher creation if accounting fails
+    }
+
+    const matched = amountsEqual(VOUCHER_MODELS[voucherType].sign * amount, line.amount);
+    if (matched) {
+      await this._applyMatch(statement, line, [{ voucherType, voucher }], 'created', user);
+    }
+
+    return {
+      statement: await this.getStatementById(statement._id),
+      voucher,
+      matched
+    };
+  }
+
+  /**
+   * Reconciliation report: statement vs book balance with the items that explain the gap
+   * @param {string} id - Statement ID
+   * @returns {Promise<object>}
+   */
+  async getReconciliationReport(id) {
+    const statement = await this._getStatement(id);
+    const bank = await bankRepository.findById(statement.bank);
+    if (!bank) {
+      throw new Error('Bank account not found');
+    }
+
+    const periodEnd = statement.periodEnd;
+    const bankId = new mongoose.Types.ObjectId(String(statement.bank));
+    const sumAmounts = async (repository, match) => {
+      const [result] = await repository.aggregate([
+        { $match: match },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+      return result ? result.total : 0;
+    };
+
+    const [receiptsTotal, paymentsTotal] = await Promise.all([
+      sumAmounts(bankReceiptRepository, { bank: bankId, date: { $lte: periodEnd }, status: { $ne: 'cancelled' } }),
+      sumAmounts(bankPaymentRepository, { bank: bankId, date: { $lte: periodEnd } })
+    ]);
+    const bookBalance = round2((bank.openingBalance || 0) + receiptsTotal - paymentsTotal);
+
+    // Recorded on or before the statement date but not cleared by the bank within it
+    const unclearedFilter = {
+      bank: statement.bank,
+      date: { $lte: periodEnd },
+      $or: [{ bankStatement: null }, { clearedDate: { $gt: periodEnd } }]
+    };
+    const select = 'voucherCode date amount particular transactionReference';
+    const [unclearedReceipts, unclearedPayments] = await Promise.all([
+      bankReceiptRepository.findAll({ ...unclearedFilter, status: { $ne: 'cancelled' } }, { select, sort: { date: 1 }, lean: true }),
+      bankPaymentRepository.findAll(unclearedFilter, { select, sort: { date: 1 }, lean: true })
+    ]);
+    const unclearedReceiptsTotal = round2(unclearedReceipts.reduce((sum, item) => sum + item.amount, 0));
+    const unclearedPaymentsTotal = round2(unclearedPayments.reduce((sum, item) => sum + item.amount, 0));
+
+    const unmatchedLines = statement.lines.filter(line => line.status === 'unmatched');
+    const ignoredLines = statement.lines.filter(line => line.status === 'ignored');
+
+    // Vouchers cleared on this statement but dated after it are in the bank balance but not the book balance
+    const laterDatedVouchers = await this._loadLaterDated(statement.lines.flatMap(line => line.matches), periodEnd);
+
+    const lineTotal = lines => round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    const statementBalance = round2(statement.closingBalance);
+    const adjustedBankBalance = round2(statementBalance + unclearedReceiptsTotal - unclearedPaymentsTotal);
+    const difference = round2(adjustedBankBalance - bookBalance);
+    const explained = round2(lineTotal(unmatchedLines) + lineTotal(ignoredLines) - laterDatedVouchers.total);
+
+    return {
+      statement: {
+        _id: statement._id,
+        statementNumber: statement.statementNumber,
+        periodStart: statement.periodStart,
+        periodEnd,
+        openingBalance: statement.openingBalance,
+        status: statement.status
+      },
+      bank: {
+        _id: bank._id,
+        bankName: bank.bankName,
+        accountName: bank.accountName,
+        accountNumber: bank.accountNumber
+      },
+      statementBalance,
+      unclearedReceipts: { items: unclearedReceipts, total: unclearedReceiptsTotal },
+      unclearedPayments: { items: unclearedPayments, total: unclearedPaymentsTotal },
+      adjustedBankBalance,
+      bookBalance,
+      difference,
+      explainedBy: {
+        unmatchedLines: { items: unmatchedLines, total: lineTotal(unmatchedLines) },
+        ignoredLines: { items: ignoredLines, total: lineTotal(ignoredLines) },
+        laterDatedVouchers
+      },
+      unexplainedDifference: round2(difference - explained),
+      summary: this._summarizeLines(statement.lines),
+      isReconciled: amountsEqual(difference, 0)
+    };
+  }
+
+  /**
+   * Finish reconciling a statement and release the bank account lock
+   * @param {string} id - Statement ID
+   * @param {object} data - { acceptDifference, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Report snapshot
+   */
+  async completeReconciliation(id, data, user) {
+    const statement = await this._getEditableStatement(id);
+    const report = await this.getReconciliationReport(id);
+
+    if (!report.isReconciled) {
+      if (!data.acceptDifference) {
+        throw new Error(`Cannot complete reconciliation: a difference of ${report.difference} remains; match or create vouchers for the unmatched lines, or accept the difference`);
+      }
+      if (!data.notes) {
+        throw new Error('Cannot complete reconciliation: a note explaining the accepted difference is required');
+      }
+    }
+
+    await this._unlockBankAccount(user, statement, report, data.notes);
+
+    statement.status = report.isReconciled ? 'reconciled' : 'discrepancy';
+    statement.reconciliation = {
+      bookBalance: report.bookBalance,
+      statementBalance: report.statementBalance,
+      unclearedReceipts: report.unclearedReceipts.total,
+      unclearedPayments: report.unclearedPayments.total,
+      unmatchedLines: report.explainedBy.unmatchedLines.items.length,
+      adjustedBankBalance: report.adjustedBankBalance,
+      difference: report.difference,
+      notes: data.notes
+    };
+    statement.reconciledBy = user._id;
+    statement.reconciledAt = new Date();
+    await statement.save();
+
+    return { ...report, statement: { ...report.statement, status: statement.status } };
+  }
+
+  /**
+   * Reopen a completed statement for corrections
+   * @param {string} id - Statement ID
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated statement
+   */
+  async reopenStatement(id, user) {
+    const statement = await this._getStatement(id);
+    if (statement.status === 'in_progress') {
+      throw new Error('Cannot reopen: the statement is still in progress');
+    }
+
+    await this._lockBankAccount(user);
+    statement.status = 'in_progress';
+    statement.reconciliation = undefined;
+    statement.reconciledBy = undefined;
+    statement.reconciledAt = undefined;
+    await statement.save();
+
+    return await this.getStatementById(statement._id);
+  }
+
+  /**
+   * Delete an in-progress statement and release the vouchers it cleared
+   * @param {string} id - Statement ID
+   * @returns {Promise<{message: string}>}
+   */
+  async deleteStatement(id) {
+    const statement = await this._getEditableStatement(id);
+    await this._releaseVouchers(statement.lines.flatMap(line => line.matches));
+    await bankStatementRepository.softDelete(statement._id);
+    return { message: `Bank statement ${statement.statementNumber} deleted` };
+  }
+
+  async _getStatement(id) {
+    const statement = await bankStatementRepository.findById(id);
+    if (!statement) {
+      throw new Error('Bank statement not found');
+    }
+    return statement;
+  }
+
+  async _getEditableStatement(id) {
+    const statement = await this._getStatement(id);
+    if (statement.status !== 'in_progress') {
+      throw new Error('Cannot change a completed reconciliation; reopen it first');
+    }
+    return statement;
+  }
+
+  _getLine(statement, lineId) {
+    const line = statement.lines.id(lineId);
+    if (!line) {
+      throw new Error('Statement line not found');
+    }
+    return line;
+  }
+
+  _summarizeLines(lines) {
+    const summary = { total: lines.length, matched: 0, unmatched: 0, ignored: 0, credits: 0, debits: 0 };
+    lines.forEach((line) => {
+      summary[line.status] += 1;
+      if (line.amount > 0) summary.credits = round2(summary.credits + line.amount);
+      else summary.debits = round2(summary.debits - line.amount);
+    });
+    return summary;
+  }
+
+  // A voucher reference (length 4+) appearing in the line's reference or description, or vice versa
+  _referenceMatches(line, voucher) {
+    const lineText = normalizeReference([line.reference, line.bankReference, line.description].join(' '));
+    const lineReference = normalizeReference(line.reference);
+    return [voucher.transactionReference, voucher.voucherCode].some((value) => {
+      const reference = normalizeReference(value);
+      if (reference.length >= 4 && lineText.includes(reference)) return true;
+      return lineReference.length >= 4 && reference.includes(lineReference);
+    });
+  }
+
+  // Receipts and payments of a bank that no statement line has cleared yet
+  async _findUnclearedVouchers(bankId, dateFilter, search) {
+    const filter = { bank: bankId, date: dateFilter, bankStatement: null };
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ voucherCode: pattern }, { particular: pattern }, { transactionReference: pattern }];
+    }
+    const select = 'voucherCode date amount particular transactionReference';
+
+    const [receipts, payments] = await Promise.all([
+      bankReceiptRepository.findAll({ ...filter, status: { $ne: 'cancelled' } }, { select, lean: true }),
+      bankPaymentRepository.findAll(filter, { select, lean: true })
+    ]);
+
+    return [
+      ...receipts.map(voucher => ({ ...voucher, voucherType: 'BankReceipt' })),
+      ...payments.map(voucher => ({ ...voucher, voucherType: 'BankPayment' }))
+    ];
+  }
+
+  async _getMatchableVoucher(voucherType, voucherId, bankId) {
+    const config = VOUCHER_MODELS[voucherType];
+    if (!config) {
+      throw new Error(`Cannot match: unknown voucher type ${voucherType}`);
+    }
+
+    const voucher = await config.repository.findById(voucherId);
+    if (!voucher) {
+      throw new Error(`${voucherType === 'BankReceipt' ? 'Bank receipt' : 'Bank payment'} not found`);
+    }
+    if (String(voucher.bank) !== String(bankId)) {
+      throw new Error(`Cannot match: ${voucher.voucherCode} belongs to a different bank account`);
+    }
+    if (voucher.status === 'cancelled') {
+      throw new Error(`Cannot match: ${voucher.voucherCode} is cancelled`);
+    }
+    if (voucher.bankStatement) {
+      throw new Error(`Cannot match: ${voucher.voucherCode} is already matched to a statement line`);
+    }
+
+    return { voucherType, voucher };
+  }
+
+  async _autoMatchStatement(statement, dateWindowDays, user) {
+    const windowDays = dateWindowDays ?? DEFAULT_DATE_WINDOW_DAYS;
+    const unmatched = statement.lines
+      .filter(line => line.status === 'unmatched')
+      .sort((a, b) => a.date - b.date);
+    const result = { matched: 0, ambiguous: 0, unmatched: unmatched.length, dateWindowDays: windowDays };
+    if (unmatched.length === 0) return result;
+
+    const dateFilter = {
+      $gte: new Date(unmatched[0].date.getTime() - windowDays * DAY_MS),
+      $lte: new Date(unmatched[unmatched.length - 1].date.getTime() + (windowDays + 1) * DAY_MS)
+    };
+    const vouchers = await this._findUnclearedVouchers(statement.bank, dateFilter);
+    const used = new Set();
+    const matches = [];
+
+    unmatched.forEach((line) => {
+      const voucherType = line.amount > 0 ? 'BankReceipt' : 'BankPayment';
+      const candidates = vouchers
+        .filter(voucher => voucher.voucherType === voucherType
+          && !used.has(String(voucher._id))
+          && amountsEqual(voucher.amount, Math.abs(line.amount))
+          && daysApart(voucher.date, line.date) <= windowDays)
+        .map(voucher => ({
+          voucher,
+          // A reference hit outweighs any date difference inside the window
+          score: (this._referenceMatches(line, voucher) ? 1000 : 0) - daysApart(voucher.date, line.date)
+        }))
+        .sort((a, b) => b.score - a.score);
+
+      if (candidates.length === 0) return;
+      // Two equally good vouchers (e.g. identical amounts on the same day) are left for a person to pick
+      if (candidates.length > 1 && candidates[0].score === candidates[1].score) {
+        result.ambiguous += 1;
+        return;
+      }
+
+      used.add(String(candidates[0].voucher._id));
+      matches.push({ line, voucherType, voucher: candidates[0].voucher });
+    });
+
+    for (const { line, voucherType, voucher } of matches) {
+      await this._applyMatch(statement, line, [{ voucherType, voucher }], 'auto', user, false);
+    }
+    if (matches.length > 0) {
+      await statement.save();
+    }
+
+    result.matched = matches.length;
+    result.unmatched = unmatched.length - matches.length;
+    return result;
+  }
+
+  // Record matches on the line and flag the vouchers as cleared
+  async _applyMatch(statement, line, docs, method, user, save = true) {
+    line.matches = docs.map(({ voucherType, voucher }) => ({
+      voucherType,
+      voucher: voucher._id,
+      voucherCode: voucher.voucherCode,
+      amount: round2(VOUCHER_MODELS[voucherType].sign * voucher.amount),
+      method,
+      matchedBy: user._id,
+      matchedAt: new Date()
+    }));
+    line.status = 'matched';
+
+    for (const { voucherType, voucher } of docs) {
+      await VOUCHER_MODELS[voucherType].repository.updateById(voucher._id, {
+        bankStatement: statement._id,
+        clearedDate: line.date
+      });
+    }
+
+    if (save) {
+      await statement.save();
+    }
+  }
+
+  async _releaseVouchers(matches) {
+    for (const voucherType of Object.keys(VOUCHER_MODELS)) {
+      const ids = matches.filter(match => match.voucherType === voucherType).map(match => match.voucher);
+      if (ids.length > 0) {
+        await VOUCHER_MODELS[voucherType].repository.updateMany(
+          { _id: { $in: ids } },
+          { $unset: { bankStatement: 1, clearedDate: 1 } }
+        );
+      }
+    }
+  }
+
+  async _loadLaterDated(matches, periodEnd) {
+    const items = [];
+    for (const voucherType of Object.keys(VOUCHER_MODELS)) {
+      const ids = matches.filter(match => match.voucherType === voucherType).map(match => match.voucher);
+      if (ids.length === 0) continue;
+      const vouchers = await VOUCHER_MODELS[voucherType].repository.findAll(
+        { _id: { $in: ids }, date: { $gt: periodEnd } },
+        { select: 'voucherCode date amount particular', lean: true }
+      );
+      vouchers.forEach(voucher => items.push({
+        ...voucher,
+        voucherType,
+        signedAmount: VOUCHER_MODELS[voucherType].sign * voucher.amount
+      }));
+    }
+    return { items, total: round2(items.reduce((sum, item) => sum + item.signedAmount, 0)) };
+  }
+
+  // The bank GL account every Bank posts to
+  async _getBankLedgerAccount() {
+    const AccountingService = require('./accountingService');
+    const accountCodes = await AccountingService.getDefaultAccountCodes();
+    return await chartOfAccountsRepository.findOne({ accountCode: accountCodes.bank });
+  }
+
+  // Lock (or extend the lock on) the bank GL account when it requires reconciliation
+  async _lockBankAccount(user) {
+    const account = await this._getBankLedgerAccount();
+    if (!account || !account.requiresReconciliation) return null;
+
+    const status = account.reconciliationStatus || {};
+    const lockActive = status.lockedBy && status.lockExpiresAt > new Date();
+    if (lockActive && String(status.lockedBy) === String(user._id)) {
+      account.reconciliationStatus.lockExpiresAt = new Date(Date.now() + LOCK_MINUTES * 60000);
+      return await account.save();
+    }
+
+    try {
+      return await account.lockForReconciliation(user._id, LOCK_MINUTES);
+    } catch (error) {
+      throw new Error(`Cannot start reconciliation: ${account.accountName} ${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}`);
+    }
+  }
+
+  async _unlockBankAccount(user, statement, report, notes) {
+    // Re-taking the lock first fails if someone else holds it and takes over an expired one
+    const account = await this._lockBankAccount(user);
+    if (!account) return;
+
+    account.lastReconciliationDate = statement.periodEnd;
+    await account.unlockAfterReconciliation(
+      user._id,
+      report.isReconciled,
+      report.isReconciled ? null : report.difference,
+      report.isReconciled ? null : `${statement.statementNumber}: ${notes}`
+    );
+  }
+}
+
+module.exports = new BankReconciliationService();
@@ -48,6 +48,7 @@ class BankService {
       routingNumber: bankData.routingNumber ? bankData.routingNumber.trim() : null,
       swiftCode: bankData.swiftCode ? bankData.swiftCode.trim() : null,
       iban: bankData.iban ? bankData.iban.trim() : null,
+      currency: bankData.currency ? bankData.currency.trim().toUpperCase() : undefined,
       openingBalance: parseFloat(bankData.openingBalance || 0),
       currentBalance: parseFloat(bankData.openingBalance || 0),
       isActive: bankData.isActive !== undefined ? bankData.isActive : true,
@@ -81,6 +82,13 @@ class BankService {
     if (updateData.routingNumber !== undefined) processedData.routingNumber = updateData.routingNumber ? updateData.routingNumber.trim() : null;
     if (updateData.swiftCode !== undefined) processedData.swiftCode = updateData.swiftCode ? updateData.swiftCode.trim() : null;
     if (updateData.iban !== undefined) processedData.iban = updateData.iban ? updateData.iban.trim() : null;
+    if (updateData.currency !== undefined) {
+      const currency = updateData.currency ? updateData.currency.trim().toUpperCase() : '';
+      if (currency !== (bank.currency || '') && (await this.checkBankUsage(id)).isUsed) {
+        throw new Error('Cannot change the currency of a bank account that has transactions');
+      }
+      processedData.currency = currency;
+    }
     if (updateData.openingBalance !== undefined) {
       const newOpeningBalance = parseFloat(updateData.openingBalance);
       const balanceDifference = newOpeningBalance - bank.openingBalance;
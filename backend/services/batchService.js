@@ -0,0 +1,655 @@
+const BatchRepository = require('../repositories/BatchRepository');
+const ProductRepository = require('../repositories/ProductRepository');
+const Sales = require('../models/Sales');
+const Inventory = require('../models/Inventory');
+const inventoryService = require('./inventoryService');
+const expiryManagementService = require('./expiryManagementService');
+
+const EDITABLE_STATUSES = ['active', 'quarantined'];
+
+class BatchService {
+  /**
+   * Get batches with filters
+   * @param {object} queryParams - Query parameters
+   * @returns {Promise<{batches: Array, pagination: object}>}
+   */
+  async getBatches(queryParams = {}) {
+    const {
+      product,
+      status,
+      warehouse,
+      supplier,
+      purchaseInvoice,
+      expiringWithinDays,
+      search,
+      page = 1,
+      limit = 20
+    } = queryParams;
+
+    const filter = {};
+    if (product) filter.product = product;
+    if (status) filter.status = status;
+    if (supplier) filter.supplier = supplier;
+    if (purchaseInvoice) filter.purchaseInvoice = purchaseInvoice;
+    if (warehouse) {
+      filter['location.warehouse'] = await inventoryService.resolveWarehouseKey(warehouse);
+    }
+    if (expiringWithinDays !== undefined && expiringWithinDays !== '') {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() + parseInt(expiringWithinDays, 10));
+      filter.expiryDate = { $ne: null, $lte: cutoff };
+    }
+    if (search) {
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ batchNumber: searchRegex }, { lotNumber: searchRegex }];
+    }
+
+    const { batches, pagination } = await BatchRepository.findWithPagination(filter, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20
+    });
+
+    return { batches, pagination };
+  }
+
+  /**
+   * Get single batch by ID
+   * @param {string} id - Batch ID
+   * @returns {Promise<object>}
+   */
+  async getBatchById(id) {
+    const batch = await BatchRepository.findById(id, {
+      populate: [
+        { path: 'product', select: 'name sku' },
+        { path: 'supplier', select: 'name companyName' },
+        { path: 'purchaseInvoice', select: 'invoiceNumber invoiceDate' },
+        { path: 'qualityCheck.checkedBy', select: 'firstName lastName' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+    return batch;
+  }
+
+  /**
+   * Register a batch for stock already on hand (does not change inventory levels)
+   * @param {object} data - Batch data
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async createBatch(data, user) {
+    const product = await ProductRepository.findById(data.product);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const warehouseKey = await inventoryService.resolveWarehouseKey(data.warehouse);
+    const existing = await BatchRepository.findByBatchNumber(data.product, data.batchNumber, warehouseKey);
+    if (existing) {
+      throw new Error('Batch number already exists for this product in this warehouse');
+    }
+
+    const quantity = Number(data.quantity);
+    const unitCost = Number(data.unitCost ?? product.pricing?.cost ?? 0);
+
+    return await BatchRepository.create({
+      product: data.product,
+      batchNumber: data.batchNumber,
+      lotNumber: data.lotNumber,
+      initialQuantity: quantity,
+      currentQuantity: quantity,
+      unitCost,
+      totalCost: unitCost * quantity,
+      manufactureDate: data.manufactureDate,
+      expiryDate: data.expiryDate,
+      purchaseDate: data.purchaseDate || new Date(),
+      supplier: data.supplier,
+      location: {
+        warehouse: warehouseKey,
+        aisle: data.location?.aisle,
+        shelf: data.location?.shelf,
+        bin: data.location?.bin
+      },
+      notes: data.notes,
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Update batch details (quantities change only through purchases, sales and adjustments)
+   * @param {string} id - Batch ID
+   * @param {object} data - Fields to update
+   * @returns {Promise<object>}
+   */
+  async updateBatch(id, data) {
+    const batch = await BatchRepository.findById(id);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    if (data.status !== undefined) {
+      if (!EDITABLE_STATUSES.includes(batch.status) || !EDITABLE_STATUSES.includes(data.status)) {
+        throw new Error(`Cannot change batch status from ${batch.status} to ${data.status}`);
+      }
+      batch.status = data.status;
+    }
+
+    ['lotNumber', 'manufactureDate', 'expiryDate', 'notes'].forEach(field => {
+      if (data[field] !== undefined) {
+        batch[field] = data[field];
+      }
+    });
+    if (data.location) {
+      ['aisle', 'shelf', 'bin'].forEach(field => {
+        if (data.location[field] !== undefined) {
+          batch.location[field] = data.location[field];
+        }
+      });
+    }
+
+    return await batch.save();
+  }
+
+  /**
+   * Record a quality check on a batch
+   * @param {string} id - Batch ID
+   * @param {object} data - { passed, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async recordQualityCheck(id, data, user) {
+    const batch = await BatchRepository.findById(id);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    batch.qualityCheck = {
+      passed: Boolean(data.passed),
+      checkedBy: user._id,
+      checkedDate: new Date(),
+      notes: data.notes
+    };
+
+    // A failed check holds the batch back from sale until it is released
+    if (!batch.qualityCheck.passed && batch.status === 'active') {
+      batch.status = 'quarantined';
+    }
+
+    return await batch.save();
+  }
+
+  /**
+   * Delete a batch that has never been sold from
+   * @param {string} id - Batch ID
+   * @returns {Promise<{message: string}>}
+   */
+  async deleteBatch(id) {
+    const batch = await BatchRepository.findById(id);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    const soldFrom = await Sales.exists({ 'items.batches.batch': batch._id });
+    if (batch.soldQuantity > 0 || soldFrom) {
+      throw new Error('Cannot delete a batch that has been sold from');
+    }
+
+    await BatchRepository.hardDelete(id);
+    return { message: 'Batch deleted successfully' };
+  }
+
+  /**
+   * Preview which batches a sale of the given quantity would be picked from
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity needed
+   * @param {string} [warehouseId] - Warehouse ID (defaults to the primary warehouse)
+   * @returns {Promise<{allocations: Array, unallocatedQuantity: number}>}
+   */
+  async previewAllocation(productId, quantity, warehouseId = null) {
+    const warehouseKey = await inventoryService.resolveWarehouseKey(warehouseId);
+    const picks = await expiryManagementService.getFEFOBatches(productId, quantity, {
+      warehouseKey,
+      allowPartial: true
+    });
+
+    const allocations = picks.map(pick => this._toAllocation(pick.batch, pick.quantity));
+    const allocated = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+    return { allocations, unallocatedQuantity: Math.max(0, quantity - allocated) };
+  }
+
+  /**
+   * Pick and consume batches for a sale line, earliest expiry first.
+   * Quantity the batches cannot cover (stock received before batch tracking) is left unallocated.
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity sold
+   * @param {string} [warehouseKey] - Inventory location key
+   * @returns {Promise<Array>} Allocations stored on the sale item
+   */
+  async allocateBatches(productId, quantity, warehouseKey = null) {
+    warehouseKey = warehouseKey || await Inventory.getPrimaryWarehouseKey();
+    const picks = await expiryManagementService.getFEFOBatches(productId, quantity, {
+      warehouseKey,
+      allowPartial: true
+    });
+
+    const allocations = [];
+    for (const pick of picks) {
+      const batch = await BatchRepository.consumeQuantity(pick.batch._id, pick.quantity);
+      // Another sale took this batch in the meantime; leave that quantity unallocated
+      if (!batch) continue;
+
+      if (batch.currentQuantity === 0) {
+        batch.status = 'depleted';
+        await batch.save();
+      }
+      allocations.push(this._toAllocation(batch, pick.quantity));
+    }
+    return allocations;
+  }
+
+  /**
+   * Quantity on hand in a product's recalled batches, which cannot be sold
+   * @param {string} productId - Product ID
+   * @param {string} [warehouseKey] - Inventory location key
+   * @returns {Promise<number>}
+   */
+  async getRecalledQuantity(productId, warehouseKey = null) {
+    return await BatchRepository.getRecalledQuantity(productId, warehouseKey);
+  }
+
+  /**
+   * Return batch allocations to stock (sale deleted, line reduced or removed)
+   * @param {Array} allocations - Allocations from a sale item
+   * @returns {Promise<void>}
+   */
+  async releaseBatches(allocations = []) {
+    for (const allocation of allocations) {
+      if (!allocation.batch || !allocation.quantity) continue;
+
+      const batch = await BatchRepository.restoreQuantity(allocation.batch._id || allocation.batch, allocation.quantity);
+      if (batch && batch.status === 'depleted' && batch.currentQuantity > 0) {
+        batch.status = 'active';
+        await batch.save();
+      }
+    }
+  }
+
+  /**
+   * Allocate batches for every line of a new sale
+   * @param {Array} items - Sale items (mutated with their batches)
+   * @param {string} warehouseKey - Inventory location key
+   * @returns {Promise<Array>} Items with batches
+   */
+  async allocateSaleItems(items, warehouseKey) {
+    for (const item of items) {
+      item.batches = await this.allocateBatches(item.product, Number(item.quantity), warehouseKey);
+    }
+    return items;
+  }
+
+  /**
+   * Release the batches of every line of a sale
+   * @param {Array} items - Sale items
+   * @returns {Promise<void>}
+   */
+  async releaseSaleItems(items = []) {
+    for (const item of items) {
+      await this.releaseBatches(item.batches);
+    }
+  }
+
+  /**
+   * Keep batch allocations in step after a sale's lines are edited.
+   * Added quantity is picked FEFO; removed quantity goes back to the most recently picked batches.
+   * @param {object} order - Sales document with its new items
+   * @param {Array} oldItems - Items before the edit
+   * @returns {Promise<object>} The order (not saved)
+   */
+  async syncSaleItems(order, oldItems = []) {
+    const warehouseKey = await inventoryService.resolveWarehouseKey(order.warehouse);
+    const productKey = (product) => String(product?._id || product);
+
+    for (const item of order.items) {
+      const oldItem = oldItems.find(oi => productKey(oi.product) === productKey(item.product));
+      const oldQuantity = oldItem ? oldItem.quantity : 0;
+      const allocations = (oldItem?.batches || []).map(allocation => ({ ...allocation }));
+
+      if (item.quantity > oldQuantity) {
+        const added = await this.allocateBatches(item.product, item.quantity - oldQuantity, warehouseKey);
+        added.forEach(newAllocation => {
+          const existing = allocations.find(a => String(a.batch) === String(newAllocation.batch));
+          if (existing) {
+            existing.quantity += newAllocation.quantity;
+          } else {
+            allocations.push(newAllocation);
+          }
+        });
+      } else {
+        let excess = allocations.reduce((sum, a) => sum + a.quantity, 0) - item.quantity;
+        const released = [];
+        for (let i = allocations.length - 1; i >= 0 && excess > 0; i--) {
+          const quantity = Math.min(excess, allocations[i].quantity);
+          released.push({ batch: allocations[i].batch, quantity });
+          allocations[i].quantity -= quantity;
+          excess -= quantity;
+        }
+        await this.releaseBatches(released);
+      }
+
+      item.batches = allocations.filter(allocation => allocation.quantity > 0);
+    }
+
+    // Lines removed from the sale give their batches back
+    for (const oldItem of oldItems) {
+      const stillExists = order.items.some(item => productKey(item.product) === productKey(oldItem.product));
+      if (!stillExists) {
+        await this.releaseBatches(oldItem.batches);
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Take a transfer line out of its source batches, earliest expiry first.
+   * Quantity the batches cannot cover is left unallocated, as on a sale.
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity dispatched
+   * @param {string} warehouseKey - Inventory location key of the source warehouse
+   * @param {object} [options] - { session }
+   * @returns {Promise<Array>} Allocations stored on the transfer item
+   */
+  async dispatchTransferBatches(productId, quantity, warehouseKey, { session } = {}) {
+    const picks = await expiryManagementService.getFEFOBatches(productId, quantity, {
+      warehouseKey,
+      allowPartial: true
+    });
+
+    const allocations = [];
+    for (const pick of picks) {
+      const batch = await BatchRepository.takeQuantity(pick.batch._id, pick.quantity, { session });
+      if (!batch) continue;
+
+      if (batch.currentQuantity === 0) {
+        batch.status = 'depleted';
+        await batch.save({ session });
+      }
+      allocations.push(this._toAllocation(batch, pick.quantity));
+    }
+    return allocations;
+  }
+
+  /**
+   * Put received transfer quantity into the destination warehouse's batches, in the order it was picked.
+   * A lot reaching the warehouse for the first time gets its own batch there, carrying the source's details.
+   * @param {string} productId - Product ID
+   * @param {Array} allocations - Transfer item allocations (receivedQuantity is updated)
+   * @param {number} quantity - Quantity received
+   * @param {string} warehouseKey - Inventory location key of the destination warehouse
+   * @param {object} [options] - { session, user }
+   * @returns {Promise<void>}
+   */
+  async receiveTransferBatches(productId, allocations, quantity, warehouseKey, { session, user } = {}) {
+    let left = quantity;
+    for (const allocation of allocations) {
+      if (left <= 0) break;
+      const take = Math.min(left, allocation.quantity - (allocation.receivedQuantity || 0));
+      if (take <= 0) continue;
+
+      const source = await BatchRepository.findById(allocation.batch, { session });
+      let batch = await BatchRepository.findByBatchNumber(productId, allocation.batchNumber, warehouseKey, { session });
+      if (batch) {
+        batch.initialQuantity += take;
+        batch.currentQuantity += take;
+        batch.totalCost += batch.unitCost * take;
+        if (batch.status === 'depleted') {
+          batch.status = 'active';
+        }
+        await batch.save({ session });
+      } else {
+        const unitCost = source?.unitCost || 0;
+        batch = await BatchRepository.create({
+          product: productId,
+          batchNumber: allocation.batchNumber,
+          lotNumber: allocation.lotNumber,
+          initialQuantity: take,
+          currentQuantity: take,
+          unitCost,
+          totalCost: unitCost * take,
+          manufactureDate: source?.manufactureDate,
+          expiryDate: allocation.expiryDate,
+          purchaseDate: source?.purchaseDate,
+          supplier: source?.supplier,
+          purchaseInvoice: source?.purchaseInvoice,
+          purchaseOrder: source?.purchaseOrder,
+          qualityCheck: source?.qualityCheck,
+          location: { warehouse: warehouseKey },
+          createdBy: user?._id
+        }, { session });
+      }
+
+      allocation.receivedQuantity = (allocation.receivedQuantity || 0) + take;
+      left -= take;
+    }
+  }
+
+  /**
+   * Return a cancelled transfer's unreceived quantity to its source batches
+   * @param {Array} allocations - Transfer item allocations
+   * @param {object} [options] - { session }
+   * @returns {Promise<void>}
+   */
+  async returnTransferBatches(allocations = [], { session } = {}) {
+    for (const allocation of allocations) {
+      const quantity = allocation.quantity - (allocation.receivedQuantity || 0);
+      if (!allocation.batch || quantity <= 0) continue;
+
+      const batch = await BatchRepository.returnQuantity(allocation.batch, quantity, { session });
+      if (batch && batch.status === 'depleted' && batch.currentQuantity > 0) {
+        batch.status = 'active';
+        await batch.save({ session });
+      }
+    }
+  }
+
+  /**
+   * Create (or top up) a batch for each item of a confirmed purchase invoice
+   * @param {object} invoice - PurchaseInvoice document (items are linked to their batch, not saved)
+   * @param {object} user - Current user
+   * @returns {Promise<Array>} Batches created or topped up
+   */
+  async createBatchesFromPurchaseInvoice(invoice, user) {
+    const warehouseKey = await inventoryService.resolveWarehouseKey(invoice.warehouse);
+    const batches = [];
+
+    for (const [index, item] of invoice.items.entries()) {
+      if (!item.product) continue;
+      batches.push(await this._receiveInvoiceItem(invoice, item, index, warehouseKey, user));
+    }
+
+    return batches;
+  }
+
+  /**
+   * Keep a confirmed purchase invoice's batches in step after its lines are edited.
+   * A changed line adjusts its batch, a removed line comes out of its batch and an added line
+   * gets a batch like on creation.
+   * @param {object} invoice - Updated PurchaseInvoice document (items are linked to their batch, not saved)
+   * @param {Array} oldItems - Items before the edit
+   * @param {object} user - Current user
+   * @returns {Promise<void>}
+   */
+  async syncPurchaseInvoiceBatches(invoice, oldItems = [], user) {
+    const warehouseKey = await inventoryService.resolveWarehouseKey(invoice.warehouse);
+    const productKey = (product) => String(product?._id || product);
+
+    for (const [index, item] of invoice.items.entries()) {
+      if (!item.product) continue;
+
+      const oldItem = oldItems.find(oi => productKey(oi.product) === productKey(item.product));
+      if (!oldItem) {
+        await this._receiveInvoiceItem(invoice, item, index, warehouseKey, user);
+        continue;
+      }
+      // Lines received before batch tracking have no batch to adjust
+      if (!oldItem.batch) continue;
+
+      item.batch = oldItem.batch;
+      item.batchNumber = oldItem.batchNumber;
+      const batch = await BatchRepository.findById(oldItem.batch);
+      if (!batch) continue;
+
+      const quantity = Number(item.quantity);
+      const quantityChange = quantity - oldItem.quantity;
+      batch.initialQuantity = Math.max(0, batch.initialQuantity + quantityChange);
+      batch.currentQuantity = Math.max(0, batch.currentQuantity + quantityChange);
+      batch.totalCost = Math.max(0, batch.totalCost - oldItem.quantity * (oldItem.unitCost || 0) + quantity * Number(item.unitCost || 0));
+      if (batch.currentQuantity === 0) {
+        batch.status = 'depleted';
+      } else if (batch.status === 'depleted') {
+        batch.status = 'active';
+      }
+      await batch.save();
+    }
+
+    const removed = oldItems.filter(oldItem =>
+      !invoice.items.some(item => productKey(item.product) === productKey(oldItem.product)));
+    await this.reverseBatchesForPurchaseInvoice({ items: removed });
+  }
+
+  /**
+   * Take a deleted purchase invoice's quantities back out of its batches
+   * @param {object} invoice - PurchaseInvoice document
+   * @returns {Promise<void>}
+   */
+  async reverseBatchesForPurchaseInvoice(invoice) {
+    for (const item of invoice.items) {
+      if (!item.batch) continue;
+
+      const batch = await BatchRepository.findById(item.batch);
+      if (!batch) continue;
+
+      // Untouched batches that came only from this invoice are removed outright
+      if (batch.initialQuantity === item.quantity && batch.soldQuantity === 0) {
+        await BatchRepository.hardDelete(batch._id);
+        continue;
+      }
+
+      batch.initialQuantity = Math.max(0, batch.initialQuantity - item.quantity);
+      batch.currentQuantity = Math.max(0, batch.currentQuantity - item.quantity);
+      batch.totalCost = Math.max(0, batch.totalCost - item.quantity * (item.unitCost || 0));
+      if (batch.currentQuantity === 0) {
+        batch.status = 'depleted';
+      }
+      await batch.save();
+    }
+  }
+
+  /**
+   * Trace a batch forward to the sales and customers that received it
+   * @param {string} id - Batch ID
+   * @returns {Promise<{batch: object, sales: Array, customers: Array, totalSold: number}>}
+   */
+  async getBatchTrace(id) {
+    const batch = await this.getBatchById(id);
+
+    const orders = await Sales.find({ 'items.batches.batch': batch._id, isDeleted: { $ne: true } })
+      .populate('customer', 'name businessName phone email')
+      .select('orderNumber billDate createdAt customer customerInfo items status')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const sales = [];
+    const customerTotals = new Map();
+
+    for (const order of orders) {
+      const quantity = order.items.reduce((sum, item) =>
+        sum + (item.batches || [])
+          .filter(allocation => String(allocation.batch) === String(batch._id))
+          .reduce((lineSum, allocation) => lineSum + allocation.quantity, 0), 0);
+
+      sales.push({
+        sale: order._id,
+        orderNumber: order.orderNumber,
+        date: order.billDate || order.createdAt,
+        status: order.status,
+        customer: order.customer || null,
+        customerName: order.customer?.businessName || order.customer?.name || order.customerInfo?.name || 'Walk-in Customer',
+        quantity
+      });
+
+      const customerKey = order.customer ? String(order.customer._id) : 'walk-in';
+      const entry = customerTotals.get(customerKey) || {
+        customer: order.customer || null,
+        customerName: sales[sales.length - 1].customerName,
+        sales: 0,
+        quantity: 0
+      };
+      entry.sales += 1;
+      entry.quantity += quantity;
+      customerTotals.set(customerKey, entry);
+    }
+
+    return {
+      batch,
+      sales,
+      customers: Array.from(customerTotals.values()),
+      totalSold: sales.reduce((sum, sale) => sum + sale.quantity, 0)
+    };
+  }
+
+  // Create (or top up) the batch for one received invoice line and link the line to it
+  async _receiveInvoiceItem(invoice, item, index, warehouseKey, user) {
+    const productId = item.product._id || item.product;
+    const batchNumber = item.batchNumber || `${invoice.invoiceNumber}-${index + 1}`;
+    const quantity = Number(item.quantity);
+    const unitCost = Number(item.unitCost || 0);
+
+    // The same supplier lot delivered again to the same warehouse tops up the existing batch
+    let batch = await BatchRepository.findByBatchNumber(productId, batchNumber, warehouseKey);
+    if (batch) {
+      batch.initialQuantity += quantity;
+      batch.currentQuantity += quantity;
+      batch.totalCost += unitCost * quantity;
+      if (batch.status === 'depleted') {
+        batch.status = 'active';
+      }
+      await batch.save();
+    } else {
+      batch = await BatchRepository.create({
+        product: productId,
+        batchNumber,
+        lotNumber: item.lotNumber,
+        initialQuantity: quantity,
+        currentQuantity: quantity,
+        unitCost,
+        totalCost: unitCost * quantity,
+        manufactureDate: item.manufactureDate,
+        expiryDate: item.expiryDate,
+        purchaseDate: invoice.invoiceDate || new Date(),
+        supplier: invoice.supplier?._id || invoice.supplier,
+        purchaseInvoice: invoice._id,
+        location: { warehouse: warehouseKey },
+        createdBy: user._id
+      });
+    }
+
+    item.batchNumber = batchNumber;
+    item.batch = batch._id;
+    return batch;
+  }
+
+  _toAllocation(batch, quantity) {
+    return {
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      lotNumber: batch.lotNumber,
+      expiryDate: batch.expiryDate,
+      quantity
+    };
+  }
+}
+
+module.exports = new BatchService();
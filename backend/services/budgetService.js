@@ -0,0 +1,652 @@
+const Budget = require('../models/Budget');
+const BudgetRepository = require('../repositories/BudgetRepository');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const budgetComparisonService = require('./budgetComparisonService');
+const expenseCategorizationService = require('./expenseCategorizationService');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Calendar month key (YYYY-MM) in local time, matching how budget periods are entered
+const getMonthKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const getPeriodMonths = (startDate, endDate) => {
+  const months = [];
+  const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  const last = new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+  while (cursor <= last) {
+    months.push(getMonthKey(cursor));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return months;
+};
+
+const shiftMonthKey = (month, offset) => {
+  const [year, mon] = month.split('-').map(Number);
+  return getMonthKey(new Date(year, mon - 1 + offset, 1));
+};
+
+// Shift a date by whole months, keeping month-end dates on the month end
+const shiftDate = (date, offset) => {
+  const d = new Date(date);
+  const isMonthEnd = d.getDate() === new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  const target = new Date(d.getFullYear(), d.getMonth() + offset, 1, d.getHours(), d.getMinutes(), d.getSeconds());
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(isMonthEnd ? lastDay : Math.min(d.getDate(), lastDay));
+  return target;
+};
+
+const phaseEvenly = (amount, months) => {
+  const perMonth = Math.floor((amount / months.length) * 100) / 100;
+  return months.map((month, idx) => ({
+    month,
+    // The last month absorbs rounding so the phasing adds up to the full amount
+    amount: idx === months.length - 1 ? roundAmount(amount - perMonth * (months.length - 1)) : perMonth
+  }));
+};
+
+class BudgetService {
+  /**
+   * Get budgets with filters
+   * @param {object} queryParams - Query parameters
+   * @returns {Promise<{budgets: Array, pagination: object}>}
+   */
+  async getBudgets(queryParams = {}) {
+    const { status, budgetType, versionType, year, search, page = 1, limit = 20 } = queryParams;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (budgetType) filter.budgetType = budgetType;
+    if (versionType) filter.versionType = versionType;
+    if (year) {
+      const y = parseInt(year, 10);
+      filter['period.startDate'] = { $lte: new Date(y, 11, 31, 23, 59, 59, 999) };
+      filter['period.endDate'] = { $gte: new Date(y, 0, 1) };
+    }
+    if (search) {
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ budgetId: searchRegex }, { name: searchRegex }];
+    }
+
+    const { budgets, pagination } = await BudgetRepository.findWithPagination(filter, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20
+    });
+
+    return { budgets, pagination };
+  }
+
+  /**
+   * Get single budget by ID
+   * @param {string} id - Budget ID
+   * @returns {Promise<Budget>}
+   */
+  async getBudgetById(id) {
+    const budget = await BudgetRepository.findById(id, {
+      populate: [
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'approvedBy', select: 'firstName lastName' },
+        { path: 'parentBudget', select: 'budgetId name version status' }
+      ]
+    });
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+    return budget;
+  }
+
+  /**
+   * Get every version (original and revisions) of a budget
+   * @param {string} id - Any budget ID in the version chain
+   * @returns {Promise<Array>}
+   */
+  async getVersions(id) {
+    const budget = await BudgetRepository.findById(id);
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+    const rootId = budget.rootBudget || budget._id;
+    return await BudgetRepository.findAll(
+      { $or: [{ _id: rootId }, { rootBudget: rootId }] },
+      {
+        sort: { version: 1 },
+        populate: [{ path: 'approvedBy', select: 'firstName lastName' }]
+      }
+    );
+  }
+
+  /**
+   * Resolve budget lines against the chart of accounts and phase them by month
+   * @param {Array} itemsInput - [{ account | accountCode, budgetedAmount | monthlyAmounts, expenseType, category, notes }]
+   * @param {object} period - { startDate, endDate }
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _buildItems(itemsInput, period) {
+    const months = getPeriodMonths(period.startDate, period.endDate);
+    const monthSet = new Set(months);
+    const seenCodes = new Set();
+    const items = [];
+
+    for (const input of itemsInput || []) {
+      const account = input.account
+        ? await ChartOfAccountsRepository.findById(input.account)
+        : await ChartOfAccountsRepository.findByAccountCode(String(input.accountCode || '').toUpperCase());
+      if (!account) {
+        throw new Error(`Account ${input.account || input.accountCode} not found`);
+      }
+      if (seenCodes.has(account.accountCode)) {
+        throw new Error(`Cannot budget account ${account.accountCode} more than once`);
+      }
+      seenCodes.add(account.accountCode);
+
+      let monthlyAmounts;
+      if (Array.isArray(input.monthlyAmounts) && input.monthlyAmounts.length > 0) {
+        const seenMonths = new Set();
+        monthlyAmounts = input.monthlyAmounts.map(entry => {
+          if (!monthSet.has(entry.month)) {
+            throw new Error(`Cannot phase account ${account.accountCode} into ${entry.month}; month is outside the budget period`);
+          }
+          if (seenMonths.has(entry.month)) {
+            throw new Error(`Cannot phase account ${account.accountCode} into ${entry.month} more than once`);
+          }
+          seenMonths.add(entry.month);
+          return { month: entry.month, amount: roundAmount(Number(entry.amount) || 0) };
+        }).sort((a, b) => a.month.localeCompare(b.month));
+      } else if (input.budgetedAmount !== undefined && input.budgetedAmount !== null) {
+        monthlyAmounts = phaseEvenly(Number(input.budgetedAmount), months);
+      } else {
+        throw new Error(`Cannot add account ${account.accountCode} without a budgeted amount or monthly phasing`);
+      }
+
+      const categorization = expenseCategorizationService.categorizeExpense({
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        description: input.notes || ''
+      });
+
+      items.push({
+        account: account._id,
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        category: input.category || categorization.category || account.accountCategory,
+        expenseType: input.expenseType || (categorization.expenseType === 'selling' ? 'selling' : 'administrative'),
+        budgetedAmount: roundAmount(monthlyAmounts.reduce((sum, m) => sum + m.amount, 0)),
+        monthlyAmounts,
+        notes: input.notes
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Plain copy of a budget's lines, suitable as input for _buildItems
+   * @param {Budget} budget - Source budget
+   * @param {number} monthOffset - Months to shift the phasing by
+   * @param {number} adjustmentPercent - Percentage uplift (or cut) applied to every month
+   * @returns {Array}
+   * @private
+   */
+  _copyItems(budget, monthOffset = 0, adjustmentPercent = 0) {
+    const factor = 1 + (Number(adjustmentPercent) || 0) / 100;
+    return budget.items.map(item => ({
+      account: item.account,
+      accountCode: item.accountCode,
+      category: item.category,
+      expenseType: item.expenseType,
+      notes: item.notes,
+      monthlyAmounts: (item.monthlyAmounts || []).length > 0
+        ? item.monthlyAmounts.map(m => ({
+          month: shiftMonthKey(m.month, monthOffset),
+          amount: roundAmount(m.amount * factor)
+        }))
+        : undefined,
+      budgetedAmount: roundAmount(item.budgetedAmount * factor)
+    }));
+  }
+
+  /**
+   * Create a draft budget
+   * @param {object} data - Budget data
+   * @param {object} user - Current user
+   * @returns {Promise<Budget>}
+   */
+  async createBudget(data, user) {
+    const period = {
+      startDate: new Date(data.period.startDate),
+      endDate: new Date(data.period.endDate),
+      type: data.period.type || 'yearly'
+    };
+    if (period.endDate < period.startDate) {
+      throw new Error('Cannot create a budget whose end date is before its start date');
+    }
+
+    const items = await this._buildItems(data.items, period);
+
+    const budget = new Budget({
+      name: data.name,
+      description: data.description,
+      period,
+      budgetType: data.budgetType || 'expense',
+      items,
+      metadata: data.metadata,
+      status: 'draft',
+      version: 1,
+      versionType: 'original',
+      createdBy: user._id
+    });
+    await budget.save();
+
+    return budget;
+  }
+
+  /**
+   * Update a draft budget
+   * @param {string} id - Budget ID
+   * @param {object} data - Fields to update
+   * @param {object} user - Current user
+   * @returns {Promise<Budget>}
+   */
+  async updateBudget(id, data, user) {
+    const budget = await BudgetRepository.findById(id);
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+    if (budget.status !== 'draft') {
+      throw new Error('Cannot edit a budget that is not in draft; create a revision instead');
+    }
+
+    ['name', 'description', 'budgetType', 'metadata'].forEach(field => {
+      if (data[field] !== undefined) {
+        budget[field] = data[field];
+      }
+    });
+
+    if (data.period) {
+      budget.period = {
+        startDate: data.period.startDate ? new Date(data.period.startDate) : budget.period.startDate,
+        endDate: data.period.endDate ? new Date(data.period.endDate) : budget.period.endDate,
+        type: data.period.type || budget.period.type
+      };
+      if (budget.period.endDate < budget.period.startDate) {
+        throw new Error('Cannot set a budget end date before its start date');
+      }
+    }
+
+    if (data.items || data.period) {
+      // Re-check phasing against the (possibly new) period
+      budget.items = await this._buildItems(data.items || this._copyItems(budget), budget.period);
+    }
+
+    budget.lastModifiedBy = user._id;
+    await budget.save();
+
+    return budget;
+  }
+
+  /**
+   * Approve a draft budget. Approving a revision archives the version it replaces.
+   * @param {string} id - Budget ID
+   * @param {object} user - Current user
+   * @returns {Promise<Budget>}
+   */
+  async approveBudget(id, user) {
+    const budget = await BudgetRepository.findById(id);
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+    if (budget.status !== 'draft') {
+      throw new Error('Cannot approve a budget that is not in draft');
+    }
+    if (!budget.items || budget.items.length === 0) {
+      throw new Error('Cannot approve a budget without any accounts');
+    }
+
+    const overlapping = await BudgetRepository.findApprovedOverlapping(
+      budget.period.startDate,
+      budget.period.endDate,
+      budget.budgetType,
+      [budget._id, budget.parentBudget].filter(Boolean)
+    );
+    if (overlapping.length > 0) {
+      throw new Error(`Cannot approve budget: its period overlaps approved budget ${overlapping[0].budgetId}`);
+    }
+
+    budget.status = 'approved';
+    budget.approvedBy = user._id;
+    budget.approvedAt = new Date();
+    budget.lastModifiedBy = user._id;
+    await budget.save();
+
+    if (budget.parentBudget) {
+      await BudgetRepository.updateById(budget.parentBudget, { status: 'archived', lastModifiedBy: user._id });
+    }
+
+    return budget;
+  }
+
+  /**
+   * Create a draft revision of an approved budget
+   * @param {string} id - Budget ID
+   * @param {object} data - { reason, name, items }
+   * @param {object} user - Current user
+   * @returns {Promise<Budget>}
+   */
+  async reviseBudget(id, data, user) {
+    const budget = await BudgetRepository.findById(id);
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+    if (!['approved', 'active'].includes(budget.status)) {
+      throw new Error('Cannot revise a budget that has not been approved');
+    }
+
+    const pendingRevision = await BudgetRepository.findOne({ parentBudget: budget._id, status: 'draft' });
+    if (pendingRevision) {
+      throw new Error(`Cannot revise budget: draft revision ${pendingRevision.budgetId} already exists`);
+    }
+
+    const items = await this._buildItems(data.items || this._copyItems(budget), budget.period);
+
+    const revision = new Budget({
+      name: data.name || budget.name,
+      description: budget.description,
+      period: budget.period,
+      budgetType: budget.budgetType,
+      items,
+      metadata: budget.metadata,
+      status: 'draft',
+      version: budget.version + 1,
+      versionType: 'revised',
+      parentBudget: budget._id,
+      rootBudget: budget.rootBudget || budget._id,
+      revisionReason: data.reason,
+      createdBy: user._id
+    });
+    await revision.save();
+
+    return revision;
+  }
+
+  /**
+   * Copy a budget into a new period as a draft original (e.g. next year's budget)
+   * @param {string} id - Source budget ID
+   * @param {object} data - { name, startDate, adjustmentPercent }
+   * @param {object} user - Current user
+   * @returns {Promise<Budget>}
+   */
+  async copyBudget(id, data, user) {
+    const source = await BudgetRepository.findById(id);
+    if (!source) {
+      throw new Error('Budget not found');
+    }
+
+    const sourceStart = source.period.startDate;
+    let monthOffset = 12;
+    if (data.startDate) {
+      const target = new Date(data.startDate);
+      monthOffset = (target.getFullYear() - sourceStart.getFullYear()) * 12 + (target.getMonth() - sourceStart.getMonth());
+    }
+    if (monthOffset === 0) {
+      throw new Error('Cannot copy a budget onto its own period; create a revision instead');
+    }
+
+    const period = {
+      startDate: shiftDate(sourceStart, monthOffset),
+      endDate: shiftDate(source.period.endDate, monthOffset),
+      type: source.period.type
+    };
+    const items = await this._buildItems(this._copyItems(source, monthOffset, data.adjustmentPercent), period);
+
+    const copy = new Budget({
+      name: data.name || `${source.name} (copy)`,
+      description: source.description,
+      period,
+      budgetType: source.budgetType,
+      items,
+      metadata: source.metadata,
+      status: 'draft',
+      version: 1,
+      versionType: 'original',
+      copiedFrom: source._id,
+      createdBy: user._id
+    });
+    await copy.save();
+
+    return copy;
+  }
+
+  /**
+   * Delete a draft budget
+   * @param {string} id - Budget ID
+   * @returns {Promise<{message: string}>}
+   */
+  async deleteBudget(id) {
+    const budget = await BudgetRepository.findById(id);
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+    if (budget.status !== 'draft') {
+      throw new Error('Cannot delete a budget that is not in draft');
+    }
+
+    await BudgetRepository.hardDelete(id);
+    return { message: 'Budget deleted successfully' };
+  }
+
+  /**
+   * Net ledger movement per account and month
+   * @param {Array} accounts - Chart of accounts documents
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Map<string, Map<string, number>>>} - accountCode -> month -> amount
+   * @private
+   */
+  async _getActuals(accounts, startDate, endDate) {
+    const normalBalance = new Map(accounts.map(a => [a.accountCode, a.normalBalance || 'debit']));
+    const actuals = new Map(accounts.map(a => [a.accountCode, new Map()]));
+    if (accounts.length === 0) return actuals;
+
+    const transactions = await TransactionRepository.findAll({
+      accountCode: { $in: accounts.map(a => a.accountCode) },
+      status: 'completed',
+      createdAt: { $gte: startDate, $lte: endDate }
+    }, {
+      select: 'accountCode debitAmount creditAmount createdAt',
+      lean: true
+    });
+
+    transactions.forEach(transaction => {
+      const debit = transaction.debitAmount || 0;
+      const credit = transaction.creditAmount || 0;
+      const amount = normalBalance.get(transaction.accountCode) === 'credit' ? credit - debit : debit - credit;
+      const byMonth = actuals.get(transaction.accountCode);
+      const month = getMonthKey(transaction.createdAt);
+      byMonth.set(month, (byMonth.get(month) || 0) + amount);
+    });
+
+    return actuals;
+  }
+
+  /**
+   * Load the chart of accounts entries behind a budget's lines
+   * @param {Budget} budget - Budget document
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _getBudgetAccounts(budget) {
+    const codes = budget.items.map(item => item.accountCode);
+    const accounts = await ChartOfAccountsRepository.findAll({ accountCode: { $in: codes } });
+    const found = new Set(accounts.map(a => a.accountCode));
+    // Budget lines whose account was since removed still report their budget (with no actuals)
+    budget.items
+      .filter(item => !found.has(item.accountCode))
+      .forEach(item => accounts.push({ accountCode: item.accountCode, accountName: item.accountName, normalBalance: 'debit' }));
+    return accounts;
+  }
+
+  /**
+   * Build a budget vs actual line with variance and status
+   * @private
+   */
+  _compareLine(budgeted, actual, isRevenue) {
+    const variance = roundAmount(actual - budgeted);
+    const variancePercent = budgeted > 0 ? roundAmount((variance / budgeted) * 100) : 0;
+    return {
+      budget: roundAmount(budgeted),
+      actual: roundAmount(actual),
+      variance,
+      variancePercent,
+      // Spending above budget is unfavourable; earning above budget is favourable
+      status: budgetComparisonService.getVarianceStatus(isRevenue ? -variancePercent : variancePercent)
+    };
+  }
+
+  /**
+   * Budget vs actual by account and month, with actuals taken from the ledger
+   * @param {string} id - Budget ID
+   * @param {object} options - { month: 'YYYY-MM', accountCode }
+   * @returns {Promise<object>}
+   */
+  async getBudgetVsActual(id, options = {}) {
+    const budget = await BudgetRepository.findById(id);
+    if (!budget) {
+      throw new Error('Budget not found');
+    }
+
+    let months = getPeriodMonths(budget.period.startDate, budget.period.endDate);
+    if (options.month) {
+      if (!months.includes(options.month)) {
+        throw new Error(`Cannot report on ${options.month}; month is outside the budget period`);
+      }
+      months = [options.month];
+    }
+
+    const items = options.accountCode
+      ? budget.items.filter(item => item.accountCode === String(options.accountCode).toUpperCase())
+      : budget.items;
+
+    const accounts = await this._getBudgetAccounts(budget);
+    const accountMap = new Map(accounts.map(a => [a.accountCode, a]));
+    const actuals = await this._getActuals(accounts, budget.period.startDate, budget.period.endDate);
+
+    const monthlyTotals = new Map(months.map(month => [month, { budget: 0, actual: 0 }]));
+    let totalBudget = 0;
+    let totalActual = 0;
+
+    const lines = items.map(item => {
+      const account = accountMap.get(item.accountCode);
+      const isRevenue = account?.accountType === 'revenue';
+      const byMonth = actuals.get(item.accountCode) || new Map();
+
+      const monthLines = months.map(month => {
+        const budgeted = budget.getBudgetForAccountMonth(item.accountCode, month);
+        const actual = byMonth.get(month) || 0;
+        const totals = monthlyTotals.get(month);
+        totals.budget += budgeted;
+        totals.actual += actual;
+        return { month, ...this._compareLine(budgeted, actual, isRevenue) };
+      });
+
+      const lineBudget = monthLines.reduce((sum, m) => sum + m.budget, 0);
+      const lineActual = monthLines.reduce((sum, m) => sum + m.actual, 0);
+      totalBudget += lineBudget;
+      totalActual += lineActual;
+
+      return {
+        accountCode: item.accountCode,
+        accountName: item.accountName,
+        category: item.category,
+        expenseType: item.expenseType,
+        ...this._compareLine(lineBudget, lineActual, isRevenue),
+        months: monthLines
+      };
+    });
+
+    return {
+      budget: {
+        _id: budget._id,
+        budgetId: budget.budgetId,
+        name: budget.name,
+        version: budget.version,
+        versionType: budget.versionType,
+        status: budget.status,
+        period: budget.period
+      },
+      months,
+      accounts: lines,
+      monthlyTotals: months.map(month => {
+        const totals = monthlyTotals.get(month);
+        return { month, ...this._compareLine(totals.budget, totals.actual, false) };
+      }),
+      totals: this._compareLine(totalBudget, totalActual, budget.budgetType === 'revenue'),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Check whether an expense would exceed the remaining approved budget for its account.
+   * Returns a warning (never blocks the payment) or null when within budget or unbudgeted.
+   * @param {object} params - { expenseAccount | accountCode, amount, date }
+   * @returns {Promise<object|null>}
+   */
+  async checkExpenseAgainstBudget({ expenseAccount, accountCode, amount, date }) {
+    const account = expenseAccount
+      ? await ChartOfAccountsRepository.findById(expenseAccount)
+      : accountCode ? await ChartOfAccountsRepository.findByAccountCode(String(accountCode).toUpperCase()) : null;
+    if (!account) return null;
+
+    const expenseDate = date ? new Date(date) : new Date();
+    const budget = await BudgetRepository.findApprovedForAccount(account.accountCode, expenseDate);
+    if (!budget) return null;
+
+    const actuals = await this._getActuals([account], budget.period.startDate, budget.period.endDate);
+    const byMonth = actuals.get(account.accountCode);
+    const month = getMonthKey(expenseDate);
+
+    const periodBudget = budget.getBudgetForAccount(account.accountCode);
+    const periodSpent = [...byMonth.values()].reduce((sum, value) => sum + value, 0);
+    const periodRemaining = roundAmount(periodBudget - periodSpent);
+
+    const monthBudget = budget.getBudgetForAccountMonth(account.accountCode, month);
+    const monthSpent = byMonth.get(month) || 0;
+    const monthRemaining = roundAmount(monthBudget - monthSpent);
+
+    const expenseAmount = Number(amount) || 0;
+    const exceedsPeriod = expenseAmount > periodRemaining;
+    const exceedsMonth = expenseAmount > monthRemaining;
+    if (!exceedsPeriod && !exceedsMonth) return null;
+
+    const scope = exceedsPeriod ? 'period' : 'month';
+    const remaining = exceedsPeriod ? periodRemaining : monthRemaining;
+
+    return {
+      budget: budget._id,
+      budgetId: budget.budgetId,
+      accountCode: account.accountCode,
+      accountName: account.accountName,
+      amount: roundAmount(expenseAmount),
+      scope,
+      exceedsBy: roundAmount(expenseAmount - Math.max(remaining, 0)),
+      period: {
+        budgeted: roundAmount(periodBudget),
+        spent: roundAmount(periodSpent),
+        remaining: periodRemaining
+      },
+      month: {
+        month,
+        budgeted: roundAmount(monthBudget),
+        spent: roundAmount(monthSpent),
+        remaining: monthRemaining
+      },
+      message: `Expense of ${expenseAmount.toFixed(2)} exceeds the remaining ${scope === 'period' ? 'budget' : `${month} budget`} ` +
+        `for ${account.accountCode} ${account.accountName} (${Math.max(remaining, 0).toFixed(2)} remaining in ${budget.budgetId})`
+    };
+  }
+}
+
+module.exports = new BudgetService();
@@ -3,6 +3,7 @@ const Inventory = require('../models/Inventory');
 const ChartOfAccounts = require('../models/ChartOfAccounts');
 const AccountingPeriod = require('../models/AccountingPeriod');
 const Product = require('../models/Product');
+const { resolveWarehouseKey } = require('./inventoryService');
 
 /**
  * Business Rule Validation Service
@@ -98,12 +99,13 @@ class BusinessRuleValidationService {
             });
           }
           
-          // Validate stock availability
-          const Inventory = require('../models/Inventory');
-          const inventory = await Inventory.findOne({ product: item.product });
+          // Validate stock availability in the order's warehouse (no warehouse = primary warehouse);
+          // product-level stock without a warehouse row belongs to the primary warehouse
+          const warehouseKey = await resolveWarehouseKey(orderData.warehouse);
+          const inventory = await Inventory.findOne({ product: item.product, 'location.warehouse': warehouseKey });
           const availableStock = inventory 
             ? Math.max(0, inventory.currentStock - inventory.reservedStock)
-            : (product.inventory?.currentStock || 0);
+            : (warehouseKey === await Inventory.getPrimaryWarehouseKey() ? (product.inventory?.currentStock || 0) : 0);
           
           const productName = isVariant 
             ? (product.displayName || product.variantName || 'Variant')
@@ -479,7 +481,8 @@ class BusinessRuleValidationService {
     // Validate adjustment won't cause negative stock (unless explicitly allowed)
     if (adjustmentData.quantity < 0 && !adjustmentData.allowNegative) {
       try {
-        const inventory = await Inventory.findOne({ product: adjustmentData.productId });
+        const warehouseKey = await resolveWarehouseKey(adjustmentData.warehouse);
+        const inventory = await Inventory.findOne({ product: adjustmentData.productId, 'location.warehouse': warehouseKey });
         const currentStock = inventory?.currentStock || 0;
         const newStock = currentStock + adjustmentData.quantity;
         
@@ -0,0 +1,412 @@
+const FinancialStatementRepository = require('../repositories/FinancialStatementRepository');
+const FinancialStatement = require('../models/FinancialStatement');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const CashReceiptRepository = require('../repositories/CashReceiptRepository');
+const CashPaymentRepository = require('../repositories/CashPaymentRepository');
+const BankReceiptRepository = require('../repositories/BankReceiptRepository');
+const BankPaymentRepository = require('../repositories/BankPaymentRepository');
+const AccountingService = require('./accountingService');
+const plCalculationService = require('./plCalculationService');
+const balanceSheetCalculationService = require('./balanceSheetCalculationService');
+const fixedAssetService = require('./fixedAssetService');
+
+// Working capital movements in the operating section of the indirect method.
+// Assets use cash when they grow, liabilities provide cash when they grow.
+const WORKING_CAPITAL_ITEMS = [
+  { key: 'accounts_receivable', label: '(Increase) / decrease in accounts receivable', balance: 'accountsReceivable', type: 'asset' },
+  { key: 'cheques_in_hand', label: '(Increase) / decrease in cheques in hand', balance: 'chequesInHand', type: 'asset' },
+  { key: 'inventory', label: '(Increase) / decrease in inventory', balance: 'inventory', type: 'asset' },
+  { key: 'prepaid_expenses', label: '(Increase) / decrease in prepaid expenses', balance: 'prepaidExpenses', type: 'asset' },
+  { key: 'accounts_payable', label: 'Increase / (decrease) in accounts payable', balance: 'accountsPayable', type: 'liability' },
+  { key: 'cheques_issued', label: 'Increase / (decrease) in cheques issued', balance: 'chequesIssued', type: 'liability' },
+  { key: 'accrued_expenses', label: 'Increase / (decrease) in accrued expenses', balance: 'accruedExpenses', type: 'liability' },
+  { key: 'deferred_revenue', label: 'Increase / (decrease) in deferred revenue', balance: 'deferredRevenue', type: 'liability' }
+];
+
+const INVESTING_ITEMS = [
+  { key: 'property_plant_equipment', label: 'Purchase of property, plant and equipment', balance: 'propertyPlantEquipment', type: 'asset' },
+  { key: 'intangible_assets', label: 'Purchase of intangible assets', balance: 'intangibleAssets', type: 'asset' },
+  { key: 'long_term_investments', label: 'Purchase of long-term investments', balance: 'longTermInvestments', type: 'asset' },
+  { key: 'other_assets', label: 'Purchase of other non-current assets', balance: 'otherAssets', type: 'asset' }
+];
+
+const FINANCING_ITEMS = [
+  { key: 'short_term_debt', label: 'Proceeds from / (repayment of) short-term borrowings', balance: 'shortTermDebt', type: 'liability' },
+  { key: 'long_term_debt', label: 'Proceeds from / (repayment of) long-term borrowings', balance: 'longTermDebt', type: 'liability' },
+  { key: 'contributed_capital', label: 'Capital contributed by owners', balance: 'contributedCapital', type: 'liability' }
+];
+
+// Payment voucher expense accounts in these categories are not operating cash flows
+const INVESTING_CATEGORIES = ['fixed_assets', 'other_assets'];
+const FINANCING_CATEGORIES = ['long_term_liabilities', 'owner_equity', 'retained_earnings'];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+class CashFlowCalculationService {
+  // Generate a cash flow statement for a period using the indirect or direct method
+  async generateCashFlowStatement(period, options = {}) {
+    const {
+      method = 'indirect',
+      companyInfo = {},
+      calculateComparisons = true,
+      userId = null
+    } = options;
+
+    const startTime = Date.now();
+
+    try {
+      const cashFlow = method === 'direct'
+        ? await this.calculateDirectCashFlow(period)
+        : await this.calculateIndirectCashFlow(period);
+
+      const statement = new FinancialStatement({
+        type: 'cash_flow',
+        period: {
+          startDate: period.startDate,
+          endDate: period.endDate,
+          type: period.type || 'monthly',
+        },
+        company: companyInfo,
+        generatedBy: userId,
+        status: 'draft',
+        cashFlow: {
+          method,
+          operating: cashFlow.operating,
+          investing: cashFlow.investing,
+          financing: cashFlow.financing,
+          netChangeInCash: cashFlow.netChangeInCash,
+          openingCash: cashFlow.openingCash,
+          closingCash: cashFlow.closingCash,
+          unreconciledDifference: cashFlow.unreconciledDifference
+        },
+        metadata: {
+          calculationMethod: method,
+          currency: 'USD',
+          dataSource: method === 'direct' ? 'cash_bank_vouchers' : 'ledger',
+          generationTime: 0,
+        },
+      });
+
+      if (cashFlow.netIncome !== undefined) {
+        statement.netIncome.amount = cashFlow.netIncome;
+      }
+
+      if (calculateComparisons) {
+        await this.addComparisons(statement);
+      }
+
+      statement.metadata.generationTime = Date.now() - startTime;
+      await statement.save();
+
+      return statement;
+    } catch (error) {
+      console.error('Error generating cash flow statement:', error);
+      throw error;
+    }
+  }
+
+  // Indirect method: net income adjusted for non-cash items and balance sheet movements
+  async calculateIndirectCashFlow(period) {
+    const openingDate = this.getOpeningDate(period.startDate);
+    const [plSummary, otherExpenses, disposals] = await Promise.all([
+      plCalculationService.getPLSummary(period),
+      plCalculationService.calculateOtherExpenses(period),
+      fixedAssetService.getDisposalTotals(period.startDate, period.endDate)
+    ]);
+    const opening = await this.getBalanceSnapshot(openingDate);
+    const closing = await this.getBalanceSnapshot(period.endDate);
+
+    const operating = this.createSection();
+    this.addLine(operating, 'net_income', 'Net income', plSummary.netIncome, { keepZero: true });
+    this.addLine(operating, 'depreciation', 'Add: depreciation', otherExpenses.depreciation);
+    this.addLine(operating, 'amortization', 'Add: amortization', otherExpenses.amortization);
+    // Disposal gains and losses are part of the investing proceeds, not operating cash
+    this.addLine(operating, 'disposal_gain_loss', '(Gain) / loss on disposal of fixed assets', -disposals.gainLoss);
+    this.addBalanceMovements(operating, WORKING_CAPITAL_ITEMS, opening, closing);
+
+    const investing = this.createSection();
+    this.addBalanceMovements(investing, INVESTING_ITEMS, opening, closing);
+    // The cost of disposed assets leaves PPE without cash being spent; the cash is the proceeds
+    this.addLine(investing, 'property_plant_equipment', 'Purchase of property, plant and equipment', -disposals.cost);
+    this.addLine(investing, 'disposal_proceeds', 'Proceeds from disposal of fixed assets', disposals.proceeds, { count: disposals.count });
+
+    const financing = this.createSection();
+    this.addBalanceMovements(financing, FINANCING_ITEMS, opening, closing);
+    const dividendsPaid = await this.calculateDividendsPaid(period);
+    this.addLine(financing, 'dividends_paid', 'Dividends / drawings paid', -dividendsPaid);
+
+    return {
+      netIncome: round(plSummary.netIncome),
+      ...this.summarize({ operating, investing, financing }, opening.cash, closing.cash)
+    };
+  }
+
+  // Direct method: cash and bank receipt and payment vouchers grouped by counterparty
+  async calculateDirectCashFlow(period) {
+    const dateFilter = { date: { $gte: period.startDate, $lte: period.endDate } };
+    const [cashReceipts, bankReceipts, cashPayments, bankPayments] = await Promise.all([
+      CashReceiptRepository.aggregate([
+        { $match: { ...dateFilter, status: { $ne: 'cancelled' } } },
+        this.groupVouchersStage()
+      ]),
+      BankReceiptRepository.aggregate([
+        { $match: { ...dateFilter, status: { $ne: 'cancelled' } } },
+        this.groupVouchersStage()
+      ]),
+      CashPaymentRepository.aggregate([
+        { $match: { ...dateFilter } },
+        this.groupVouchersStage()
+      ]),
+      BankPaymentRepository.aggregate([
+        { $match: { ...dateFilter } },
+        this.groupVouchersStage()
+      ])
+    ]);
+
+    const payments = [...cashPayments, ...bankPayments];
+    const accountIds = [...new Set(payments
+      .map(group => group._id.expenseAccount)
+      .filter(Boolean)
+      .map(id => id.toString()))];
+    const accounts = accountIds.length > 0
+      ? await ChartOfAccountsRepository.findAll({ _id: { $in: accountIds } }, {
+        select: 'accountCode accountName accountCategory',
+        lean: true
+      })
+      : [];
+    const accountMap = new Map(accounts.map(account => [account._id.toString(), account]));
+
+    const operating = this.createSection();
+    const investing = this.createSection();
+    const financing = this.createSection();
+
+    [...cashReceipts, ...bankReceipts].forEach(group => {
+      const { party } = group._id;
+      if (party === 'customer') {
+        this.addLine(operating, 'receipts_from_customers', 'Cash received from customers', group.amount, { count: group.count });
+      } else if (party === 'supplier') {
+        this.addLine(operating, 'refunds_from_suppliers', 'Refunds received from suppliers', group.amount, { count: group.count });
+      } else {
+        this.addLine(operating, 'other_receipts', 'Other cash receipts', group.amount, { count: group.count });
+      }
+    });
+
+    payments.forEach(group => {
+      const { party, expenseAccount } = group._id;
+      const account = expenseAccount ? accountMap.get(expenseAccount.toString()) : null;
+      const amount = -group.amount;
+
+      if (account && INVESTING_CATEGORIES.includes(account.accountCategory)) {
+        this.addLine(investing, `account_${account.accountCode}`, `Payments for ${account.accountName}`, amount, {
+          accountCode: account.accountCode,
+          count: group.count
+        });
+      } else if (account && FINANCING_CATEGORIES.includes(account.accountCategory)) {
+        this.addLine(financing, `account_${account.accountCode}`, `Payments to ${account.accountName}`, amount, {
+          accountCode: account.accountCode,
+          count: group.count
+        });
+      } else if (party === 'supplier') {
+        this.addLine(operating, 'payments_to_suppliers', 'Cash paid to suppliers', amount, { count: group.count });
+      } else if (party === 'customer') {
+        this.addLine(operating, 'refunds_to_customers', 'Refunds paid to customers', amount, { count: group.count });
+      } else if (account) {
+        this.addLine(operating, 'payments_for_expenses', 'Cash paid for operating expenses', amount, { count: group.count });
+      } else {
+        this.addLine(operating, 'other_payments', 'Other cash payments', amount, { count: group.count });
+      }
+    });
+
+    const openingCash = await this.getCashBalance(this.getOpeningDate(period.startDate));
+    const closingCash = await this.getCashBalance(period.endDate);
+
+    return this.summarize({ operating, investing, financing }, openingCash, closingCash);
+  }
+
+  // Group vouchers by counterparty type and expense account
+  groupVouchersStage() {
+    return {
+      $group: {
+        _id: {
+          party: {
+            $cond: [
+              { $ifNull: ['$customer', false] },
+              'customer',
+              { $cond: [{ $ifNull: ['$supplier', false] }, 'supplier', 'other'] }
+            ]
+          },
+          expenseAccount: '$expenseAccount'
+        },
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    };
+  }
+
+  // Balance sheet figures needed for the indirect method as of a date
+  async getBalanceSnapshot(date) {
+    const bs = balanceSheetCalculationService;
+    const chequeAccounts = await AccountingService.getChequeAccountCodes();
+
+    const cash = await bs.calculateCashAndCashEquivalents(date);
+    const accountsReceivable = await bs.calculateAccountsReceivable(date);
+    const inventory = await bs.calculateInventory(date);
+    const prepaidExpenses = await bs.calculatePrepaidExpenses(date);
+    const chequesInHand = await bs.calculateAccountBalance(chequeAccounts.chequesInHand, date);
+    const propertyPlantEquipment = await bs.calculatePropertyPlantEquipment(date);
+    const intangibleAssets = await bs.calculateIntangibleAssets(date);
+    const longTermInvestments = await bs.calculateLongTermInvestments(date);
+    const otherAssets = await bs.calculateOtherAssets(date);
+    const accountsPayable = await bs.calculateAccountsPayable(date);
+    const chequesIssued = await bs.calculateAccountBalance(chequeAccounts.chequesIssued, date);
+    const accruedExpenses = await bs.calculateAccruedExpenses(date);
+    const deferredRevenue = await bs.calculateDeferredRevenue(date);
+    const shortTermDebt = await bs.calculateShortTermDebt(date);
+    const longTermDebt = await bs.calculateLongTermDebt(date);
+    const contributedCapital = await bs.calculateContributedCapital(date);
+
+    return {
+      cash: cash.total,
+      // Gross receivables: the doubtful-accounts allowance is an estimate, not a cash movement
+      accountsReceivable: accountsReceivable.tradeReceivables + accountsReceivable.otherReceivables,
+      inventory: inventory.total,
+      prepaidExpenses,
+      chequesInHand,
+      propertyPlantEquipment: propertyPlantEquipment.total,
+      intangibleAssets: intangibleAssets.total,
+      longTermInvestments,
+      otherAssets,
+      accountsPayable: accountsPayable.total,
+      chequesIssued,
+      accruedExpenses: accruedExpenses.total,
+      deferredRevenue,
+      shortTermDebt: shortTermDebt.total,
+      longTermDebt: longTermDebt.total,
+      contributedCapital: contributedCapital.total
+    };
+  }
+
+  // Cash and bank balance as of a date
+  async getCashBalance(date) {
+    const cash = await balanceSheetCalculationService.calculateCashAndCashEquivalents(date);
+    return cash.total;
+  }
+
+  // Dividends and owner drawings posted during the period
+  async calculateDividendsPaid(period) {
+    const dividendAccounts = await ChartOfAccountsRepository.findAll({
+      accountType: 'equity',
+      accountName: { $regex: /dividend|drawing/i },
+      isActive: true
+    }, {
+      select: 'accountCode'
+    });
+
+    if (dividendAccounts.length === 0) {
+      return 0;
+    }
+
+    const result = await TransactionRepository.aggregate([
+      {
+        $match: {
+          accountCode: { $in: dividendAccounts.map(account => account.accountCode) },
+          createdAt: { $gte: period.startDate, $lte: period.endDate },
+          status: 'completed'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalDebits: { $sum: { $ifNull: ['$debitAmount', 0] } },
+          totalCredits: { $sum: { $ifNull: ['$creditAmount', 0] } }
+        }
+      }
+    ]);
+
+    return result.length > 0 ? Math.max(0, result[0].totalDebits - result[0].totalCredits) : 0;
+  }
+
+  // Add previous-period cash flow figures for the same method
+  async addComparisons(statement) {
+    try {
+      const previousStatement = await FinancialStatementRepository.findOne({
+        type: 'cash_flow',
+        'cashFlow.method': statement.cashFlow.method,
+        'period.endDate': { $lt: statement.period.startDate },
+      }, {
+        sort: { 'period.endDate': -1 }
+      });
+
+      if (!previousStatement) {
+        return;
+      }
+
+      const previous = previousStatement.cashFlow;
+      const change = statement.cashFlow.netChangeInCash - previous.netChangeInCash;
+      const changePercent = previous.netChangeInCash !== 0 ?
+        (change / Math.abs(previous.netChangeInCash)) * 100 : 0;
+
+      statement.cashFlow.comparison = {
+        period: `${previousStatement.period.startDate.toISOString().split('T')[0]} to ${previousStatement.period.endDate.toISOString().split('T')[0]}`,
+        operating: previous.operating?.total || 0,
+        investing: previous.investing?.total || 0,
+        financing: previous.financing?.total || 0,
+        netChangeInCash: previous.netChangeInCash,
+        change: round(change),
+        changePercent: round(changePercent),
+      };
+    } catch (error) {
+      console.error('Error adding cash flow comparisons:', error);
+      // Don't throw error, just skip comparisons
+    }
+  }
+
+  // Add the period movement of each balance as a cash flow line
+  addBalanceMovements(section, items, opening, closing) {
+    items.forEach(item => {
+      const increase = (closing[item.balance] || 0) - (opening[item.balance] || 0);
+      this.addLine(section, item.key, item.label, item.type === 'asset' ? -increase : increase);
+    });
+  }
+
+  createSection() {
+    return { lines: [], total: 0 };
+  }
+
+  // Add an amount to a section, merging lines that share a key
+  addLine(section, key, label, amount, extra = {}) {
+    const { keepZero = false, count, accountCode } = extra;
+    const value = round(amount);
+    const existing = section.lines.find(line => line.key === key);
+
+    if (existing) {
+      existing.amount = round(existing.amount + value);
+      if (count) existing.count = (existing.count || 0) + count;
+    } else if (value !== 0 || keepZero) {
+      section.lines.push({ key, label, amount: value, accountCode, count });
+    }
+
+    section.total = round(section.total + value);
+  }
+
+  // Totals and reconciliation against the ledger cash movement
+  summarize(sections, openingCash, closingCash) {
+    const netChangeInCash = round(sections.operating.total + sections.investing.total + sections.financing.total);
+
+    return {
+      ...sections,
+      netChangeInCash,
+      openingCash: round(openingCash),
+      closingCash: round(closingCash),
+      unreconciledDifference: round(closingCash - openingCash - netChangeInCash)
+    };
+  }
+
+  // Balances at the opening of a period are taken as of the instant before it starts
+  getOpeningDate(startDate) {
+    return new Date(new Date(startDate).getTime() - 1);
+  }
+}
+
+module.exports = new CashFlowCalculationService();
@@ -0,0 +1,322 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const FinancialStatement = require('../models/FinancialStatement');
+
+const SECTIONS = [
+  { key: 'operating', title: 'CASH FLOWS FROM OPERATING ACTIVITIES', total: 'Net cash from operating activities' },
+  { key: 'investing', title: 'CASH FLOWS FROM INVESTING ACTIVITIES', total: 'Net cash from investing activities' },
+  { key: 'financing', title: 'CASH FLOWS FROM FINANCING ACTIVITIES', total: 'Net cash from financing activities' }
+];
+
+class CashFlowExportService {
+  constructor() {
+    this.exportDir = path.join(__dirname, '../exports');
+    this.ensureExportDir();
+  }
+
+  async ensureExportDir() {
+    try {
+      await fs.access(this.exportDir);
+    } catch (error) {
+      await fs.mkdir(this.exportDir, { recursive: true });
+    }
+  }
+
+  async getStatement(statementId) {
+    const statement = await FinancialStatement.findById(statementId).populate('generatedBy', 'firstName lastName');
+    if (!statement || statement.type !== 'cash_flow') {
+      throw new Error('Cash flow statement not found');
+    }
+    return statement;
+  }
+
+  // Flatten the statement into rows shared by the Excel and PDF layouts
+  buildRows(statement) {
+    const cashFlow = statement.cashFlow;
+    const comparison = cashFlow.comparison?.period ? cashFlow.comparison : null;
+    const rows = [];
+
+    SECTIONS.forEach(section => {
+      const data = cashFlow[section.key] || { lines: [], total: 0 };
+      rows.push({ type: 'header', label: section.title });
+      if (data.lines.length === 0) {
+        rows.push({ type: 'line', label: 'No activity in this period', amount: 0 });
+      }
+      data.lines.forEach(line => {
+        rows.push({ type: 'line', label: line.label, amount: line.amount });
+      });
+      rows.push({
+        type: 'total',
+        label: section.total,
+        amount: data.total,
+        previous: comparison ? comparison[section.key] : undefined
+      });
+      rows.push({ type: 'spacer' });
+    });
+
+    rows.push({
+      type: 'total',
+      label: 'Net increase / (decrease) in cash',
+      amount: cashFlow.netChangeInCash,
+      previous: comparison ? comparison.netChangeInCash : undefined
+    });
+    rows.push({ type: 'line', label: 'Cash and cash equivalents at beginning of period', amount: cashFlow.openingCash });
+    rows.push({ type: 'total', label: 'Cash and cash equivalents at end of period', amount: cashFlow.closingCash });
+
+    if (Math.abs(cashFlow.unreconciledDifference || 0) >= 0.01) {
+      rows.push({ type: 'spacer' });
+      rows.push({ type: 'line', label: 'Unreconciled difference to ledger cash', amount: cashFlow.unreconciledDifference });
+    }
+
+    return { rows, comparison };
+  }
+
+  // Export cash flow statement to Excel
+  async exportToExcel(statementId) {
+    try {
+      const statement = await this.getStatement(statementId);
+      const { rows, comparison } = this.buildRows(statement);
+
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Cash Flow Statement');
+
+      const headerStyle = {
+        font: { bold: true, size: 12 },
+        fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6E6FA' } },
+        border: { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } },
+        alignment: { horizontal: 'center', vertical: 'middle' }
+      };
+
+      const dataStyle = {
+        border: { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } },
+        alignment: { vertical: 'middle' }
+      };
+
+      const currencyStyle = {
+        ...dataStyle,
+        numFmt: '$#,##0.00;($#,##0.00)'
+      };
+
+      const totalStyle = {
+        ...headerStyle,
+        font: { bold: true, size: 11 }
+      };
+
+      worksheet.getColumn(1).width = 50;
+      worksheet.getColumn(2).width = 20;
+      worksheet.getColumn(3).width = 20;
+
+      let row = 1;
+
+      if (statement.company?.name) {
+        worksheet.mergeCells(`A${row}:C${row}`);
+        worksheet.getCell(`A${row}`).value = statement.company.name;
+        worksheet.getCell(`A${row}`).font = { bold: true, size: 16 };
+        worksheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+        row += 2;
+      }
+
+      worksheet.mergeCells(`A${row}:C${row}`);
+      worksheet.getCell(`A${row}`).value = `CASH FLOW STATEMENT (${this.getMethodLabel(statement).toUpperCase()})`;
+      worksheet.getCell(`A${row}`).font = { bold: true, size: 14 };
+      worksheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+      row += 2;
+
+      worksheet.mergeCells(`A${row}:C${row}`);
+      worksheet.getCell(`A${row}`).value = `Period: ${this.formatDate(statement.period.startDate)} - ${this.formatDate(statement.period.endDate)}`;
+      worksheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+      row += 2;
+
+      worksheet.getCell(`B${row}`).value = 'Current Period';
+      worksheet.getCell(`B${row}`).style = headerStyle;
+      if (comparison) {
+        worksheet.getCell(`C${row}`).value = comparison.period;
+        worksheet.getCell(`C${row}`).style = headerStyle;
+      }
+      row++;
+
+      rows.forEach(item => {
+        if (item.type === 'spacer') {
+          row++;
+          return;
+        }
+
+        if (item.type === 'header') {
+          worksheet.getCell(`A${row}`).value = item.label;
+          worksheet.getCell(`A${row}`).style = headerStyle;
+          worksheet.mergeCells(`A${row}:C${row}`);
+          row++;
+          return;
+        }
+
+        const isTotal = item.type === 'total';
+        worksheet.getCell(`A${row}`).value = item.label;
+        worksheet.getCell(`A${row}`).style = isTotal ? totalStyle : dataStyle;
+        worksheet.getCell(`B${row}`).value = item.amount || 0;
+        worksheet.getCell(`B${row}`).style = isTotal ? { ...currencyStyle, font: { bold: true } } : currencyStyle;
+        if (item.previous !== undefined) {
+          worksheet.getCell(`C${row}`).value = item.previous;
+          worksheet.getCell(`C${row}`).style = { ...currencyStyle, font: { bold: true } };
+        }
+        row++;
+      });
+
+      row += 2;
+      worksheet.getCell(`A${row}`).value = `Generated on: ${this.formatDate(new Date())}`;
+      worksheet.getCell(`A${row}`).style = { ...dataStyle, font: { size: 9 } };
+      worksheet.mergeCells(`A${row}:C${row}`);
+      row++;
+
+      if (statement.generatedBy) {
+        worksheet.getCell(`A${row}`).value = `Generated by: ${statement.generatedBy.firstName} ${statement.generatedBy.lastName}`;
+        worksheet.getCell(`A${row}`).style = { ...dataStyle, font: { size: 9 } };
+        worksheet.mergeCells(`A${row}:C${row}`);
+      }
+
+      const filename = this.getExportFilename(statement, 'excel');
+      const filepath = path.join(this.exportDir, filename);
+
+      await workbook.xlsx.writeFile(filepath);
+
+      return {
+        filename,
+        filepath,
+        size: (await fs.stat(filepath)).size,
+        format: 'excel'
+      };
+    } catch (error) {
+      console.error('Error exporting cash flow statement to Excel:', error);
+      throw error;
+    }
+  }
+
+  // Export cash flow statement to PDF
+  async exportToPDF(statementId) {
+    try {
+      const statement = await this.getStatement(statementId);
+      const { rows, comparison } = this.buildRows(statement);
+
+      const doc = new PDFDocument({ margin: 50 });
+      const filename = this.getExportFilename(statement, 'pdf');
+      const filepath = path.join(this.exportDir, filename);
+
+      const stream = require('fs').createWriteStream(filepath);
+      doc.pipe(stream);
+
+      if (statement.company?.name) {
+        doc.fontSize(20).font('Helvetica-Bold').text(statement.company.name, { align: 'center' });
+        doc.moveDown(0.5);
+      }
+
+      doc.fontSize(16).font('Helvetica-Bold').text(`CASH FLOW STATEMENT (${this.getMethodLabel(statement).toUpperCase()})`, { align: 'center' });
+      doc.moveDown(0.5);
+
+      doc.fontSize(12).font('Helvetica').text(
+        `Period: ${this.formatDate(statement.period.startDate)} - ${this.formatDate(statement.period.endDate)}`,
+        { align: 'center' }
+      );
+      doc.moveDown(2);
+
+      const itemHeight = 22;
+      const leftMargin = 50;
+      const descriptionWidth = 300;
+      const amountWidth = 100;
+      const bottomLimit = doc.page.height - 80;
+
+      let currentY = doc.y;
+
+      const addRow = (description, amount, previous, isHeader = false, isTotal = false) => {
+        if (currentY + itemHeight > bottomLimit) {
+          doc.addPage();
+          currentY = 50;
+        }
+
+        doc.fontSize(isHeader ? 11 : isTotal ? 10 : 9)
+           .font(isHeader || isTotal ? 'Helvetica-Bold' : 'Helvetica')
+           .text(description, leftMargin + 10, currentY + (itemHeight - 10) / 2, { width: descriptionWidth - 20 });
+
+        if (amount !== undefined) {
+          doc.text(this.formatCurrency(amount), leftMargin + descriptionWidth, currentY + (itemHeight - 10) / 2, { width: amountWidth - 10, align: 'right' });
+        }
+        if (previous !== undefined) {
+          doc.text(this.formatCurrency(previous), leftMargin + descriptionWidth + amountWidth, currentY + (itemHeight - 10) / 2, { width: amountWidth - 10, align: 'right' });
+        }
+
+        currentY += itemHeight;
+      };
+
+      if (comparison) {
+        addRow('', undefined, undefined, true);
+        doc.fontSize(9).font('Helvetica-Bold')
+           .text('Current', leftMargin + descriptionWidth, currentY - itemHeight + 6, { width: amountWidth - 10, align: 'right' })
+           .text('Previous', leftMargin + descriptionWidth + amountWidth, currentY - itemHeight + 6, { width: amountWidth - 10, align: 'right' });
+      }
+
+      rows.forEach(item => {
+        if (item.type === 'spacer') {
+          currentY += 10;
+        } else if (item.type === 'header') {
+          addRow(item.label, undefined, undefined, true);
+        } else {
+          addRow(item.label, item.amount || 0, item.previous, false, item.type === 'total');
+        }
+      });
+
+      currentY += 30;
+      doc.fontSize(9).font('Helvetica').text(`Generated on: ${this.formatDate(new Date())}`, leftMargin, currentY);
+
+      if (statement.generatedBy) {
+        currentY += 15;
+        doc.text(`Generated by: ${statement.generatedBy.firstName} ${statement.generatedBy.lastName}`, leftMargin, currentY);
+      }
+
+      doc.end();
+
+      return new Promise((resolve, reject) => {
+        stream.on('finish', async () => {
+          try {
+            const stats = await fs.stat(filepath);
+            resolve({
+              filename,
+              filepath,
+              size: stats.size,
+              format: 'pdf'
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+
+        stream.on('error', reject);
+      });
+    } catch (error) {
+      console.error('Error exporting cash flow statement to PDF:', error);
+      throw error;
+    }
+  }
+
+  // File name for an export; dates use dashes so they are safe in file paths
+  getExportFilename(statement, format) {
+    const extension = format === 'excel' ? 'xlsx' : format;
+    const startDate = this.formatDate(statement.period.startDate).replace(/\//g, '-');
+    const endDate = this.formatDate(statement.period.endDate).replace(/\//g, '-');
+    return `CF_Statement_${statement.cashFlow?.method || 'indirect'}_${startDate}_to_${endDate}.${extension}`;
+  }
+
+  getMethodLabel(statement) {
+    return statement.cashFlow?.method === 'direct' ? 'Direct Method' : 'Indirect Method';
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US');
+  }
+
+  formatCurrency(amount) {
+    const formatted = `$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    return amount < 0 ? `(${formatted})` : formatted;
+  }
+}
+
+module.exports = new CashFlowExportService();
@@ -0,0 +1,144 @@
+const financialStatementRepository = require('../repositories/FinancialStatementRepository');
+const cashFlowCalculationService = require('../services/cashFlowCalculationService');
+
+class CashFlowStatementService {
+  /**
+   * Check if a cash flow statement exists for the period and method
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {string} method - 'indirect' or 'direct'
+   * @returns {Promise<object|null>}
+   */
+  async findExistingStatement(startDate, endDate, method = 'indirect') {
+    return await financialStatementRepository.findOne({
+      type: 'cash_flow',
+      'cashFlow.method': method,
+      'period.startDate': startDate,
+      'period.endDate': endDate
+    });
+  }
+
+  /**
+   * Generate cash flow statement
+   * @param {object} period - Period object
+   * @param {object} options - Generation options (method, companyInfo, calculateComparisons, userId)
+   * @returns {Promise<object>}
+   */
+  async generateStatement(period, options) {
+    return await cashFlowCalculationService.generateCashFlowStatement(period, options);
+  }
+
+  /**
+   * Get cash flow statements with filters and pagination
+   * @param {object} queryParams - Query parameters
+   * @returns {Promise<object>}
+   */
+  async getStatements(queryParams) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 10;
+
+    const filter = { type: 'cash_flow' };
+
+    if (queryParams.startDate || queryParams.endDate) {
+      filter['period.startDate'] = {};
+      if (queryParams.startDate) filter['period.startDate'].$gte = queryParams.startDate;
+      if (queryParams.endDate) filter['period.startDate'].$lte = queryParams.endDate;
+    }
+
+    if (queryParams.method) filter['cashFlow.method'] = queryParams.method;
+    if (queryParams.periodType) filter['period.type'] = queryParams.periodType;
+    if (queryParams.status) filter.status = queryParams.status;
+
+    const result = await financialStatementRepository.findWithPagination(filter, {
+      page,
+      limit,
+      sort: { 'period.startDate': -1 },
+      populate: [
+        { path: 'generatedBy', select: 'firstName lastName email' },
+        { path: 'approvedBy', select: 'firstName lastName email' }
+      ]
+    });
+
+    return {
+      statements: result.statements,
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Get single cash flow statement by ID
+   * @param {string} statementId - Statement ID
+   * @returns {Promise<object>}
+   */
+  async getStatementById(statementId) {
+    const statement = await financialStatementRepository.findById(statementId, {
+      populate: [
+        { path: 'generatedBy', select: 'firstName lastName email' },
+        { path: 'approvedBy', select: 'firstName lastName email' }
+      ]
+    });
+
+    if (!statement || statement.type !== 'cash_flow') {
+      throw new Error('Cash flow statement not found');
+    }
+
+    return statement;
+  }
+
+  /**
+   * Update cash flow statement status
+   * @param {string} statementId - Statement ID
+   * @param {string} status - New status
+   * @param {string} userId - User ID making the change
+   * @param {string} notes - Optional notes
+   * @returns {Promise<object>}
+   */
+  async updateStatementStatus(statementId, status, userId, notes) {
+    const statement = await this.getStatementById(statementId);
+
+    const updateData = { status };
+
+    if (status === 'approved' || status === 'published') {
+      updateData.approvedBy = userId;
+      updateData.approvedAt = new Date();
+    }
+
+    if (notes) {
+      const currentNotes = statement.notes || [];
+      currentNotes.push({
+        section: 'status_change',
+        note: notes,
+        date: new Date()
+      });
+      updateData.notes = currentNotes;
+    }
+
+    const updatedStatement = await financialStatementRepository.updateById(statementId, updateData);
+    return {
+      statementId: updatedStatement.statementId,
+      status: updatedStatement.status,
+      approvedBy: updatedStatement.approvedBy,
+      approvedAt: updatedStatement.approvedAt
+    };
+  }
+
+  /**
+   * Delete cash flow statement
+   * @param {string} statementId - Statement ID
+   * @returns {Promise<object>}
+   */
+  async deleteStatement(statementId) {
+    const statement = await this.getStatementById(statementId);
+
+    // Only allow deletion of draft statements
+    if (statement.status !== 'draft') {
+      throw new Error('Only draft statements can be deleted');
+    }
+
+    // Financial statements have no soft-delete flag, so drafts are removed outright
+    await financialStatementRepository.hardDelete(statementId);
+    return { message: 'Cash flow statement deleted successfully' };
+  }
+}
+
+module.exports = new CashFlowStatementService();
@@ -0,0 +1,751 @@
+const Cheque = require('../models/Cheque');
+const BankReceipt = require('../models/BankReceipt');
+const BankPayment = require('../models/BankPayment');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const chequeRepository = require('../repositories/ChequeRepository');
+const bankRepository = require('../repositories/BankRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const supplierRepository = require('../repositories/SupplierRepository');
+const chartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const customerTransactionService = require('./customerTransactionService');
+const SupplierBalanceService = require('./supplierBalanceService');
+const notificationService = require('./notificationService');
+const {
+  TIMEZONE,
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan,
+  getCurrentDatePakistan
+} = require('../utils/dateFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cheques listed per dashboard bucket; counts and totals always cover all of them
+const DASHBOARD_LIST_LIMIT = 50;
+// Days ahead covered by the dashboard's due-date schedule
+const SCHEDULE_DAYS = 30;
+
+// GL legs per cheque event: [code, debit account, credit account, transaction type, description]
+// 'payable' is Accounts Payable for supplier cheques, otherwise the cheque's expense account
+const POSTINGS = {
+  received: ['RCV', 'chequesInHand', 'accountsReceivable', 'sale', 'Cheque received'],
+  received_cleared: ['CLR', 'bank', 'chequesInHand', 'sale', 'Cheque cleared'],
+  received_reversed: ['REV', 'accountsReceivable', 'chequesInHand', 'adjustment', 'Cheque reversed'],
+  bounce_penalty: ['PEN', 'accountsReceivable', 'otherRevenue', 'adjustment', 'Bounced cheque penalty'],
+  issued: ['ISS', 'payable', 'chequesIssued', 'sale', 'Cheque issued'],
+  issued_cleared: ['CLR', 'chequesIssued', 'bank', 'sale', 'Cheque cleared'],
+  issued_reversed: ['REV', 'chequesIssued', 'payable', 'adjustment', 'Cheque reversed']
+};
+
+const CHEQUE_POPULATE = [
+  { path: 'bank', select: 'accountName accountNumber bankName' },
+  { path: 'customer', select: 'name businessName' },
+  { path: 'supplier', select: 'companyName name' }
+];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const describeStatus = (status) => status.replace(/_/g, ' ');
+
+class ChequeService {
+  /**
+   * List cheques in the register
+   * @param {object} queryParams - { direction, status, customer, supplier, bank, dueFrom, dueTo, search, page, limit }
+   * @returns {Promise<{cheques: Array, total: number, pagination: object}>}
+   */
+  async getCheques(queryParams = {}) {
+    const filter = {};
+    ['direction', 'status', 'customer', 'supplier', 'bank'].forEach(key => {
+      if (queryParams[key]) filter[key] = queryParams[key];
+    });
+
+    if (queryParams.dueFrom || queryParams.dueTo) {
+      filter.dueDate = {};
+      if (queryParams.dueFrom) filter.dueDate.$gte = getStartOfDayPakistan(queryParams.dueFrom);
+      if (queryParams.dueTo) filter.dueDate.$lte = getEndOfDayPakistan(queryParams.dueTo);
+    }
+
+    if (queryParams.search) {
+      const pattern = new RegExp(String(queryParams.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { chequeNumber: pattern },
+        { chequeRegisterNumber: pattern },
+        { drawerBank: pattern },
+        { accountTitle: pattern },
+        { payee: pattern }
+      ];
+    }
+
+    return await chequeRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 50
+    });
+  }
+
+  /**
+   * Get a cheque with its history, linked records and the statuses it can move to
+   * @param {string} id - Cheque ID
+   * @returns {Promise<object>}
+   */
+  async getChequeById(id) {
+    const cheque = await chequeRepository.findById(id, {
+      populate: [
+        ...CHEQUE_POPULATE,
+        { path: 'expenseAccount', select: 'accountCode accountName' },
+        { path: 'order', select: 'orderNumber' },
+        { path: 'customerTransaction', select: 'transactionNumber status' },
+        { path: 'bankVoucher', select: 'voucherCode date amount bankStatement' },
+        { path: 'statusHistory.changedBy', select: 'firstName lastName' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!cheque) {
+      throw new Error('Cheque not found');
+    }
+
+    return {
+      ...cheque.toObject(),
+      allowedTransitions: cheque.getAllowedTransitions()
+    };
+  }
+
+  /**
+   * Register a received or issued cheque and post it to the cheque clearing account
+   * @param {object} data - Cheque details
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async createCheque(data, user) {
+    const direction = data.direction;
+    const amount = round2(parseFloat(data.amount));
+    if (!(amount > 0)) {
+      throw new Error('Cannot register cheque: amount must be greater than zero');
+    }
+
+    if (direction === 'received') {
+      if (!data.customer) {
+        throw new Error('Cannot register cheque: a received cheque needs a customer');
+      }
+      if (!await customerRepository.findById(data.customer)) {
+        throw new Error('Customer not found');
+      }
+    } else {
+      if (!data.bank) {
+        throw new Error('Cannot register cheque: an issued cheque needs the bank account it is drawn on');
+      }
+      if (!data.supplier && !data.payee) {
+        throw new Error('Cannot register cheque: an issued cheque needs a supplier or a payee');
+      }
+      if (data.supplier && !await supplierRepository.findById(data.supplier)) {
+        throw new Error('Supplier not found');
+      }
+      if (data.expenseAccount && !await chartOfAccountsRepository.findById(data.expenseAccount)) {
+        throw new Error('Expense account not found');
+      }
+    }
+    if (data.bank) {
+      await this._getActiveBank(data.bank);
+    }
+
+    const chequeNumber = String(data.chequeNumber).trim();
+    const duplicate = await chequeRepository.findDuplicate({ ...data, direction, chequeNumber });
+    if (duplicate) {
+      throw new Error(`Cannot register cheque: cheque ${chequeNumber} is already in the register as ${duplicate.chequeRegisterNumber}`);
+    }
+
+    const date = data.date ? new Date(data.date) : new Date();
+    await this._assertPeriodOpen(date);
+    const status = direction === 'received' ? 'in_hand' : 'issued';
+    const cheque = new Cheque({
+      direction,
+      chequeNumber,
+      drawerBank: data.drawerBank,
+      drawerBankBranch: data.drawerBankBranch,
+      accountTitle: data.accountTitle,
+      bank: data.bank || undefined,
+      amount,
+      date,
+      dueDate: data.dueDate ? new Date(data.dueDate) : date,
+      customer: direction === 'received' ? data.customer : undefined,
+      supplier: direction === 'issued' ? data.supplier || undefined : undefined,
+      expenseAccount: direction === 'issued' && !data.supplier ? data.expenseAccount || undefined : undefined,
+      payee: data.payee,
+      order: data.order || undefined,
+      status,
+      statusHistory: [{ status, date, notes: data.notes, changedBy: user._id }],
+      notes: data.notes,
+      createdBy: user._id
+    });
+    await cheque.save();
+
+    if (direction === 'received') {
+      // The customer's balance drops as soon as the cheque is in hand; undo the cheque if that fails
+      try {
+        await this._recordCustomerReceipt(cheque, user);
+        await cheque.save();
+      } catch (error) {
+        await chequeRepository.hardDelete(cheque._id);
+        throw error;
+      }
+    } else if (cheque.supplier) {
+      try {
+        await SupplierBalanceService.recordPayment(cheque.supplier, amount, null);
+      } catch (error) {
+        console.error('Error updating supplier balance for issued cheque:', error);
+        // Don't fail the cheque registration if balance update fails
+      }
+    }
+
+    await this._post(cheque, direction, user);
+
+    return await this.getChequeById(cheque._id);
+  }
+
+  /**
+   * Update descriptive details; amount, direction and party are fixed once registered
+   * @param {string} id - Cheque ID
+   * @param {object} data - { drawerBank, drawerBankBranch, accountTitle, payee, dueDate, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async updateCheque(id, data, user) {
+    const cheque = await this._getCheque(id);
+
+    const fixedChanged = (data.amount !== undefined && round2(parseFloat(data.amount)) !== cheque.amount) ||
+      (data.customer !== undefined && String(data.customer) !== String(cheque.customer || '')) ||
+      (data.supplier !== undefined && String(data.supplier) !== String(cheque.supplier || '')) ||
+      (data.direction !== undefined && data.direction !== cheque.direction);
+    if (fixedChanged) {
+      throw new Error('Cannot change the amount, direction or party of a registered cheque; cancel it and register a new one');
+    }
+
+    if (data.dueDate !== undefined) {
+      if (!['in_hand', 'issued'].includes(cheque.status)) {
+        throw new Error(`Cannot change the due date of a cheque that is ${describeStatus(cheque.status)}`);
+      }
+      cheque.dueDate = new Date(data.dueDate);
+    }
+    ['drawerBank', 'drawerBankBranch', 'accountTitle', 'payee', 'notes'].forEach(field => {
+      if (data[field] !== undefined) cheque[field] = data[field];
+    });
+    cheque.updatedBy = user._id;
+    await cheque.save();
+
+    return await this.getChequeById(cheque._id);
+  }
+
+  /**
+   * Deposit a received cheque into a bank account (also used to re-present a bounced cheque)
+   * @param {string} id - Cheque ID
+   * @param {object} data - { bank, date, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async depositCheque(id, data, user) {
+    const cheque = await this._getCheque(id);
+    this._assertTransition(cheque, 'deposited');
+
+    const date = data.date ? new Date(data.date) : new Date();
+    if (formatDatePakistan(date) < formatDatePakistan(cheque.dueDate)) {
+      throw new Error(`Cannot deposit cheque: it is post-dated to ${formatDatePakistan(cheque.dueDate)}`);
+    }
+
+    const bankId = data.bank || cheque.bank;
+    if (!bankId) {
+      throw new Error('Cannot deposit cheque: choose the bank account to deposit it into');
+    }
+    await this._getActiveBank(bankId);
+
+    // Re-presenting a bounced cheque puts the receipt back on the customer's account
+    const represented = cheque.status === 'bounced';
+    if (represented) {
+      await this._assertPeriodOpen(date);
+      await this._recordCustomerReceipt(cheque, user);
+    }
+
+    cheque.bank = bankId;
+    cheque.depositedAt = date;
+    this._addHistory(cheque, 'deposited', date, data.notes || (represented ? 'Re-presented after bounce' : undefined), user);
+    await cheque.save();
+
+    if (represented) {
+      await this._post(cheque, 'received', user);
+    }
+
+    return await this.getChequeById(cheque._id);
+  }
+
+  /**
+   * Mark a cheque as cleared by the bank and move it from the clearing account to the bank
+   * @param {string} id - Cheque ID
+   * @param {object} data - { date, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async clearCheque(id, data, user) {
+    const cheque = await this._getCheque(id);
+    this._assertTransition(cheque, 'cleared');
+
+    const date = data.date ? new Date(data.date) : new Date();
+    if (date < cheque.date) {
+      throw new Error('Cannot clear cheque: clearing date is before the cheque was registered');
+    }
+    await this._assertPeriodOpen(date);
+    await this._getActiveBank(cheque.bank);
+
+    // A bank voucher dated on clearance is what the bank statement line gets matched to
+    const isReceived = cheque.direction === 'received';
+    const partyName = await this._getPartyName(cheque);
+    const Model = isReceived ? BankReceipt : BankPayment;
+    const voucher = new Model({
+      date,
+      amount: cheque.amount,
+      particular: [`Cheque ${cheque.chequeNumber} cleared`, partyName].filter(Boolean).join(' - ').slice(0, 500),
+      bank: cheque.bank,
+      transactionReference: cheque.chequeNumber,
+      order: cheque.order || undefined,
+      customer: cheque.customer || undefined,
+      supplier: cheque.supplier || undefined,
+      expenseAccount: isReceived ? undefined : cheque.expenseAccount || undefined,
+      notes: `Cleared from cheque register ${cheque.chequeRegisterNumber}`,
+      cheque: cheque._id,
+      createdBy: user._id
+    });
+    await voucher.save();
+
+    cheque.bankVoucherType = isReceived ? 'BankReceipt' : 'BankPayment';
+    cheque.bankVoucher = voucher._id;
+    cheque.clearedAt = date;
+    this._addHistory(cheque, 'cleared', date, data.notes, user);
+    await cheque.save();
+
+    await this._post(cheque, isReceived ? 'received_cleared' : 'issued_cleared', user);
+
+    return await this.getChequeById(cheque._id);
+  }
+
+  /**
+   * Record a bounced cheque: reverse the receipt or payment and optionally charge the customer a penalty
+   * @param {string} id - Cheque ID
+   * @param {object} data - { date, reason, penaltyAmount, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async bounceCheque(id, data, user) {
+    const cheque = await this._getCheque(id);
+    this._assertTransition(cheque, 'bounced');
+
+    const date = data.date ? new Date(data.date) : new Date();
+    const reason = data.reason || 'Cheque bounced';
+    const penaltyAmount = round2(parseFloat(data.penaltyAmount) || 0);
+    if (penaltyAmount < 0) {
+      throw new Error('Cannot record bounce: penalty amount cannot be negative');
+    }
+    if (penaltyAmount > 0 && cheque.direction !== 'received') {
+      throw new Error('Cannot record bounce: a penalty can only be charged on received cheques');
+    }
+    await this._assertPeriodOpen(date);
+
+    if (cheque.direction === 'received') {
+      await this._reverseCustomerReceipt(cheque, `Cheque ${cheque.chequeNumber} bounced: ${reason}`, user);
+      if (penaltyAmount > 0) {
+        await customerTransactionService.createTransaction({
+          customerId: cheque.customer.toString(),
+          transactionType: 'debit_note',
+          netAmount: penaltyAmount,
+          referenceType: 'payment',
+          referenceId: cheque._id,
+          referenceNumber: cheque.chequeRegisterNumber,
+          dueDate: date,
+          reason: `Bounced cheque penalty for cheque ${cheque.chequeNumber}`,
+          notes: reason
+        }, user);
+      }
+    } else {
+      await this._restoreSupplierBalance(cheque);
+    }
+
+    cheque.bouncedAt = date;
+    cheque.bounceCount = (cheque.bounceCount || 0) + 1;
+    cheque.bounceReason = reason;
+    cheque.penaltyAmount = round2((cheque.penaltyAmount || 0) + penaltyAmount);
+    this._addHistory(cheque, 'bounced', date, data.notes || reason, user);
+    await cheque.save();
+
+    await this._post(cheque, cheque.direction === 'received' ? 'received_reversed' : 'issued_reversed', user);
+    if (penaltyAmount > 0) {
+      await this._post(cheque, 'bounce_penalty', user, penaltyAmount);
+    }
+
+    await this._notifySafely('cheque.bounced', {
+      chequeNumber: cheque.chequeNumber,
+      registerNumber: cheque.chequeRegisterNumber,
+      direction: cheque.direction,
+      partyName: await this._getPartyName(cheque) || cheque.payee || '-',
+      amount: cheque.amount.toFixed(2),
+      reason
+    });
+
+    return await this.getChequeById(cheque._id);
+  }
+
+  /**
+   * Hand a received cheque back to the customer (before deposit or after it bounced)
+   * @param {string} id - Cheque ID
+   * @param {object} data - { date, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async returnCheque(id, data, user) {
+    return await this._withdrawCheque(id, 'returned', data, user);
+  }
+
+  /**
+   * Cancel a cheque that was registered in error or stopped before presentation
+   * @param {string} id - Cheque ID
+   * @param {object} data - { date, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async cancelCheque(id, data, user) {
+    return await this._withdrawCheque(id, 'cancelled', data, user);
+  }
+
+  /**
+   * Delete a cheque from the register; only cancelled and returned cheques have nothing left to post
+   * @param {string} id - Cheque ID
+   * @returns {Promise<void>}
+   */
+  async deleteCheque(id) {
+    const cheque = await this._getCheque(id);
+    if (!['cancelled', 'returned'].includes(cheque.status)) {
+      throw new Error(`Cannot delete a cheque that is ${describeStatus(cheque.status)}; cancel or return it first`);
+    }
+    await chequeRepository.softDelete(cheque._id);
+  }
+
+  /**
+   * Due-cheques dashboard: overdue, due today and upcoming cheques plus totals by status
+   * @param {object} options - { days } look-ahead for the upcoming bucket (default 7)
+   * @returns {Promise<object>}
+   */
+  async getDueDashboard(options = {}) {
+    const days = Math.max(parseInt(options.days) || 7, 1);
+    const today = getCurrentDatePakistan();
+    const startOfToday = getStartOfDayPakistan(today);
+    const endOfToday = getEndOfDayPakistan(today);
+    const horizonEnd = getEndOfDayPakistan(formatDatePakistan(new Date(Date.now() + days * DAY_MS)));
+    const scheduleEnd = getEndOfDayPakistan(formatDatePakistan(new Date(Date.now() + SCHEDULE_DAYS * DAY_MS)));
+
+    const [
+      receivedOverdue,
+      receivedDueToday,
+      receivedUpcoming,
+      awaitingClearance,
+      bounced,
+      issuedOverdue,
+      issuedDueToday,
+      issuedUpcoming,
+      statusTotals,
+      schedule
+    ] = await Promise.all([
+      // Post-dated cheques whose date has passed but are still in the safe
+      this._bucket({ direction: 'received', status: 'in_hand', dueDate: { $lt: startOfToday } }),
+      this._bucket({ direction: 'received', status: 'in_hand', dueDate: { $gte: startOfToday, $lte: endOfToday } }),
+      this._bucket({ direction: 'received', status: 'in_hand', dueDate: { $gt: endOfToday, $lte: horizonEnd } }),
+      this._bucket({ direction: 'received', status: 'deposited' }, { depositedAt: 1 }),
+      this._bucket({ direction: 'received', status: 'bounced' }, { bouncedAt: -1 }),
+      // Our cheques past their date that the payee has not presented yet
+      this._bucket({ direction: 'issued', status: 'issued', dueDate: { $lt: startOfToday } }),
+      this._bucket({ direction: 'issued', status: 'issued', dueDate: { $gte: startOfToday, $lte: endOfToday } }),
+      this._bucket({ direction: 'issued', status: 'issued', dueDate: { $gt: endOfToday, $lte: horizonEnd } }),
+      chequeRepository.getStatusTotals(),
+      chequeRepository.aggregate([
+        {
+          $match: {
+            status: { $in: ['in_hand', 'issued'] },
+            dueDate: { $gte: startOfToday, $lte: scheduleEnd }
+          }
+        },
+        {
+          $group: {
+            _id: {
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$dueDate', timezone: TIMEZONE } },
+              direction: '$direction'
+            },
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' }
+          }
+        }
+      ])
+    ]);
+
+    // Expected cash in and out per day for the schedule period
+    const scheduleByDate = new Map();
+    schedule.forEach(({ _id, count, amount }) => {
+      const day = scheduleByDate.get(_id.date) || { date: _id.date, count: 0, received: 0, issued: 0 };
+      day.count += count;
+      day[_id.direction] = round2(day[_id.direction] + amount);
+      scheduleByDate.set(_id.date, day);
+    });
+
+    return {
+      asOf: today,
+      days,
+      received: {
+        overdue: receivedOverdue,
+        dueToday: receivedDueToday,
+        upcoming: receivedUpcoming,
+        awaitingClearance,
+        bounced
+      },
+      issued: {
+        overdue: issuedOverdue,
+        dueToday: issuedDueToday,
+        upcoming: issuedUpcoming
+      },
+      byStatus: statusTotals
+        .map(({ _id, count, amount }) => ({ direction: _id.direction, status: _id.status, count, amount: round2(amount) }))
+        .sort((a, b) => a.direction.localeCompare(b.direction) || a.status.localeCompare(b.status)),
+      schedule: [...scheduleByDate.values()]
+        .map(day => ({ ...day, net: round2(day.received - day.issued) }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  /**
+   * Daily reminder of received cheques to deposit and issued cheques falling due
+   * @returns {Promise<object>} Counts that were notified
+   */
+  async notifyDueCheques() {
+    const dashboard = await this.getDueDashboard({ days: 1 });
+    const summary = {
+      date: dashboard.asOf,
+      receivedDueCount: dashboard.received.dueToday.count,
+      receivedDueAmount: dashboard.received.dueToday.amount.toFixed(2),
+      receivedOverdueCount: dashboard.received.overdue.count,
+      receivedOverdueAmount: dashboard.received.overdue.amount.toFixed(2),
+      issuedDueCount: dashboard.issued.dueToday.count,
+      issuedDueAmount: dashboard.issued.dueToday.amount.toFixed(2)
+    };
+
+    if (summary.receivedDueCount + summary.receivedOverdueCount + summary.issuedDueCount > 0) {
+      await notificationService.notify('cheque.due', summary, {
+        dedupeKey: `cheque.due:${dashboard.asOf}`
+      });
+    }
+    return summary;
+  }
+
+  async _getCheque(id) {
+    const cheque = await chequeRepository.findById(id);
+    if (!cheque) {
+      throw new Error('Cheque not found');
+    }
+    return cheque;
+  }
+
+  async _getActiveBank(bankId) {
+    const bank = await bankRepository.findById(bankId);
+    if (!bank) {
+      throw new Error('Bank account not found');
+    }
+    if (!bank.isActive) {
+      throw new Error('Cannot use an inactive bank account');
+    }
+    return bank;
+  }
+
+  _assertTransition(cheque, status) {
+    if (!cheque.canTransitionTo(status)) {
+      const allowed = cheque.getAllowedTransitions();
+      throw new Error(
+        `Cannot mark ${cheque.direction} cheque ${cheque.chequeNumber} as ${describeStatus(status)}: it is ${describeStatus(cheque.status)}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.map(describeStatus).join(', ')})` : '')
+      );
+    }
+  }
+
+  _addHistory(cheque, status, date, notes, user) {
+    cheque.status = status;
+    cheque.statusHistory.push({ status, date, notes, changedBy: user._id });
+    cheque.updatedBy = user._id;
+  }
+
+  // Return or cancel: undo whatever is still posted for the cheque
+  async _withdrawCheque(id, status, data, user) {
+    const cheque = await this._getCheque(id);
+    this._assertTransition(cheque, status);
+
+    const date = data.date ? new Date(data.date) : new Date();
+    // A bounced cheque was already reversed when it bounced
+    const reverse = cheque.status !== 'bounced';
+    if (reverse) {
+      await this._assertPeriodOpen(date);
+      if (cheque.direction === 'received') {
+        await this._reverseCustomerReceipt(cheque, `Cheque ${cheque.chequeNumber} ${status}${data.notes ? `: ${data.notes}` : ''}`, user);
+      } else {
+        await this._restoreSupplierBalance(cheque);
+      }
+    }
+
+    this._addHistory(cheque, status, date, data.notes, user);
+    await cheque.save();
+
+    if (reverse) {
+      await this._post(cheque, cheque.direction === 'received' ? 'received_reversed' : 'issued_reversed', user);
+    }
+
+    return await this.getChequeById(cheque._id);
+  }
+
+  // Customer sub-ledger payment for a cheque in hand
+  async _recordCustomerReceipt(cheque, user) {
+    const transaction = await customerTransactionService.createTransaction({
+      customerId: cheque.customer.toString(),
+      transactionType: 'payment',
+      netAmount: cheque.amount,
+      referenceType: 'payment',
+      referenceId: cheque._id,
+      referenceNumber: cheque.chequeRegisterNumber,
+      paymentDetails: {
+        paymentMethod: 'check',
+        paymentReference: cheque.chequeRegisterNumber,
+        paymentDate: cheque.date,
+        bankAccount: cheque.drawerBank,
+        checkNumber: cheque.chequeNumber
+      },
+      notes: `Cheque ${cheque.chequeNumber} due ${formatDatePakistan(cheque.dueDate)}`
+    }, user);
+    cheque.customerTransaction = transaction._id;
+    return transaction;
+  }
+
+  // Put the cheque amount back on the customer's account and mark the original payment reversed
+  async _reverseCustomerReceipt(cheque, reason, user) {
+    if (!cheque.customerTransaction) return null;
+
+    const payment = await CustomerTransaction.findById(cheque.customerTransaction);
+    const reversal = await customerTransactionService.createTransaction({
+      customerId: cheque.customer.toString(),
+      transactionType: 'debit_note',
+      netAmount: cheque.amount,
+      referenceType: 'payment',
+      referenceId: cheque._id,
+      referenceNumber: cheque.chequeRegisterNumber,
+      dueDate: new Date(),
+      reason: payment ? `Reversal of ${payment.transactionNumber}: ${reason}` : reason,
+      notes: reason
+    }, user);
+
+    reversal.isReversal = true;
+    reversal.reversesTransaction = payment ? payment._id : undefined;
+    reversal.reversedAt = new Date();
+    await reversal.save();
+
+    if (payment) {
+      payment.status = 'reversed';
+      payment.reversedBy = reversal._id;
+      payment.reversedAt = new Date();
+      await payment.save();
+    }
+
+    cheque.customerTransaction = undefined;
+    return reversal;
+  }
+
+  // Issued cheque did not pay the supplier after all
+  async _restoreSupplierBalance(cheque) {
+    if (!cheque.supplier) return;
+    try {
+      await SupplierBalanceService.recordPurchase(cheque.supplier, cheque.amount, null);
+    } catch (error) {
+      console.error('Error restoring supplier balance for cheque:', error);
+      // Don't fail the status change if balance update fails
+    }
+  }
+
+  // Postings do not fail the cheque update, so a closed period is refused before anything is saved
+  async _assertPeriodOpen(date) {
+    const AccountingService = require('./accountingService');
+    await AccountingService.assertPostingPeriodOpen(date, 'cheque');
+  }
+
+  async _post(cheque, event, user, amount) {
+    const [code, debitKey, creditKey, type, label] = POSTINGS[event];
+    try {
+      const AccountingService = require('./accountingService');
+      const accountCodes = {
+        ...await AccountingService.getDefaultAccountCodes(),
+        ...await AccountingService.getChequeAccountCodes()
+      };
+      if (debitKey === 'payable' || creditKey === 'payable') {
+        accountCodes.payable = await this._getPayableAccountCode(cheque, accountCodes);
+      }
+
+      await AccountingService.recordChequeEntry(cheque, {
+        // History length keeps keys unique when a cheque bounces and is re-presented
+        key: `${code}${cheque.statusHistory.length}`,
+        debitAccount: accountCodes[debitKey],
+        creditAccount: accountCodes[creditKey],
+        amount,
+        type,
+        description: `${label}: ${cheque.chequeNumber} (${cheque.chequeRegisterNumber})`,
+        createdBy: user._id
+      });
+    } catch (error) {
+      console.error(`Error creating accounting entries for cheque ${cheque.chequeRegisterNumber} (${event}):`, error);
+      // Don't fail the cheque update if accounting fails
+    }
+  }
+
+  async _getPayableAccountCode(cheque, accountCodes) {
+    if (cheque.supplier) return accountCodes.accountsPayable;
+    if (cheque.expenseAccount) {
+      const account = await chartOfAccountsRepository.findById(cheque.expenseAccount);
+      if (account?.accountCode) return account.accountCode;
+    }
+    return accountCodes.otherExpenses;
+  }
+
+  async _getPartyName(cheque) {
+    if (cheque.customer) {
+      const customer = await customerRepository.findById(cheque.customer);
+      return customer ? customer.displayName || customer.businessName || customer.name : null;
+    }
+    if (cheque.supplier) {
+      const supplier = await supplierRepository.findById(cheque.supplier);
+      return supplier ? supplier.displayName || supplier.companyName : null;
+    }
+    return cheque.payee || null;
+  }
+
+  async _bucket(filter, sort = { dueDate: 1 }) {
+    const [cheques, totals] = await Promise.all([
+      chequeRepository.findAll(filter, {
+        sort,
+        limit: DASHBOARD_LIST_LIMIT,
+        select: '-statusHistory',
+        populate: CHEQUE_POPULATE
+      }),
+      chequeRepository.aggregate([
+        { $match: filter },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    return {
+      count: totals[0] ? totals[0].count : 0,
+      amount: round2(totals[0] ? totals[0].amount : 0),
+      cheques
+    };
+  }
+
+  async _notifySafely(event, data, options = {}) {
+    try {
+      await notificationService.notify(event, data, options);
+    } catch (error) {
+      console.error(`Notification error (${event}):`, error);
+    }
+  }
+}
+
+module.exports = new ChequeService();
@@ -1,15 +1,23 @@
 const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
 
+// Costing is tracked per warehouse stock row; callers that do not pass a warehouse key
+// operate on the primary warehouse
+const inventoryFilter = async (productId, warehouseKey) => ({
+  product: productId,
+  'location.warehouse': warehouseKey || await Inventory.getPrimaryWarehouseKey()
+});
+
 class CostingService {
   /**
    * Calculate cost using FIFO method
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to calculate cost for
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
    * @returns {Promise<{unitCost: number, totalCost: number, batches: Array}>}
    */
-  async calculateFIFOCost(productId, quantity) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async calculateFIFOCost(productId, quantity, warehouseKey) {
+    const inventory = await Inventory.findOne(await inventoryFilter(productId, warehouseKey));
     
     if (!inventory || !inventory.cost?.fifo || inventory.cost.fifo.length === 0) {
       // Fallback to average or standard cost
@@ -74,10 +82,11 @@ class CostingService {
    * Calculate cost using LIFO method
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to calculate cost for
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
    * @returns {Promise<{unitCost: number, totalCost: number, batches: Array}>}
    */
-  async calculateLIFOCost(productId, quantity) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async calculateLIFOCost(productId, quantity, warehouseKey) {
+    const inventory = await Inventory.findOne(await inventoryFilter(productId, warehouseKey));
     
     if (!inventory || !inventory.cost?.fifo || inventory.cost.fifo.length === 0) {
       // Fallback to average or standard cost
@@ -142,10 +151,11 @@ class CostingService {
    * Calculate cost using Average Cost method
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to calculate cost for
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
    * @returns {Promise<{unitCost: number, totalCost: number}>}
    */
-  async calculateAverageCost(productId, quantity) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async calculateAverageCost(productId, quantity, warehouseKey) {
+    const inventory = await Inventory.findOne(await inventoryFilter(productId, warehouseKey));
     const product = await Product.findById(productId);
     
     const avgCost = inventory?.cost?.average || product?.pricing?.cost || 0;
@@ -161,9 +171,10 @@ class CostingService {
    * Calculate cost based on product's costing method
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to calculate cost for
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
    * @returns {Promise<{unitCost: number, totalCost: number, batches: Array}>}
    */
-  async calculateCost(productId, quantity) {
+  async calculateCost(productId, quantity, warehouseKey) {
     const product = await Product.findById(productId);
     
     if (!product) {
@@ -174,11 +185,11 @@ class CostingService {
 
     switch (costingMethod) {
       case 'fifo':
-        return await this.calculateFIFOCost(productId, quantity);
+        return await this.calculateFIFOCost(productId, quantity, warehouseKey);
       case 'lifo':
-        return await this.calculateLIFOCost(productId, quantity);
+        return await this.calculateLIFOCost(productId, quantity, warehouseKey);
       case 'average':
-        return await this.calculateAverageCost(productId, quantity);
+        return await this.calculateAverageCost(productId, quantity, warehouseKey);
       case 'standard':
       default:
         // Use product.pricing.cost directly
@@ -195,10 +206,12 @@ class CostingService {
    * @param {string} productId - Product ID
    * @param {number} newQuantity - New quantity received
    * @param {number} newCost - Cost per unit of new stock
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
+   * @param {object} [session] - Mongo session when called inside a transaction
    * @returns {Promise<number>} Updated average cost
    */
-  async updateAverageCost(productId, newQuantity, newCost) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async updateAverageCost(productId, newQuantity, newCost, warehouseKey, session = null) {
+    const inventory = await Inventory.findOne(await inventoryFilter(productId, warehouseKey)).session(session);
     
     if (!inventory) {
       throw new Error('Inventory record not found');
@@ -233,10 +246,11 @@ class CostingService {
    * @param {number} cost - Cost per unit
    * @param {Date} date - Purchase date
    * @param {string} purchaseOrderId - Purchase order ID (optional)
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
    * @returns {Promise<void>}
    */
-  async addFIFOBatch(productId, quantity, cost, date = new Date(), purchaseOrderId = null) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async addFIFOBatch(productId, quantity, cost, date = new Date(), purchaseOrderId = null, warehouseKey) {
+    const inventory = await Inventory.findOne(await inventoryFilter(productId, warehouseKey));
     
     if (!inventory) {
       throw new Error('Inventory record not found');
@@ -259,7 +273,7 @@ class CostingService {
     });
 
     // Update average cost
-    await this.updateAverageCost(productId, quantity, cost);
+    await this.updateAverageCost(productId, quantity, cost, warehouseKey);
     
     await inventory.save();
   }
@@ -268,10 +282,11 @@ class CostingService {
    * Consume FIFO batches when stock is sold
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to consume
+   * @param {string} [warehouseKey] - Inventory location key (defaults to the primary warehouse)
    * @returns {Promise<{totalCost: number, batches: Array}>}
    */
-  async consumeFIFOBatches(productId, quantity) {
-    const inventory = await Inventory.findOne({ product: productId });
+  async consumeFIFOBatches(productId, quantity, warehouseKey) {
+    const inventory = await Inventory.findOne(await inventoryFilter(productId, warehouseKey));
     
     if (!inventory || !inventory.cost?.fifo) {
       throw new Error('FIFO batches not found');
@@ -0,0 +1,738 @@
+const Settings = require('../models/Settings');
+const currencyRepository = require('../repositories/CurrencyRepository');
+const exchangeRateRepository = require('../repositories/ExchangeRateRepository');
+const currencyRevaluationRepository = require('../repositories/CurrencyRevaluationRepository');
+const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
+const supplierRepository = require('../repositories/SupplierRepository');
+const bankRepository = require('../repositories/BankRepository');
+const bankReceiptRepository = require('../repositories/BankReceiptRepository');
+const bankPaymentRepository = require('../repositories/BankPaymentRepository');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+// Converted unit costs keep extra precision so line totals still add up
+const round4 = (value) => Math.round((value + Number.EPSILON) * 10000) / 10000;
+
+const normalizeCode = (code) => (code ? String(code).trim().toUpperCase() : '');
+
+class CurrencyService {
+  /**
+   * Base (reporting) currency from company settings
+   * @returns {Promise<string>}
+   */
+  async getBaseCurrency() {
+    const settings = await Settings.getSettings();
+    return normalizeCode(settings.currency) || 'USD';
+  }
+
+  /**
+   * Whether a code is a foreign currency (not empty and not the base currency)
+   * @param {string} code - Currency code
+   * @returns {Promise<boolean>}
+   */
+  async isForeign(code) {
+    const normalized = normalizeCode(code);
+    return !!normalized && normalized !== await this.getBaseCurrency();
+  }
+
+  async getCurrencies(queryParams = {}) {
+    const filter = {};
+    if (queryParams.isActive !== undefined) {
+      filter.isActive = queryParams.isActive === true || queryParams.isActive === 'true';
+    }
+
+    const [baseCurrency, currencies] = await Promise.all([
+      this.getBaseCurrency(),
+      currencyRepository.findAll(filter, { sort: { code: 1 }, lean: true })
+    ]);
+
+    // Attach the current rate so lists can show it without a second request
+    const now = new Date();
+    for (const currency of currencies) {
+      currency.isBase = currency.code === baseCurrency;
+      if (!currency.isBase) {
+        const rate = await exchangeRateRepository.findRateOn(currency.code, now);
+        currency.currentRate = rate ? rate.rate : null;
+        currency.currentRateDate = rate ? rate.rateDate : null;
+      }
+    }
+
+    return { baseCurrency, currencies };
+  }
+
+  async getCurrencyById(id) {
+    const currency = await currencyRepository.findById(id);
+    if (!currency) {
+      throw new Error('Currency not found');
+    }
+    return currency;
+  }
+
+  async createCurrency(data, user) {
+    const code = normalizeCode(data.code);
+    if (await currencyRepository.findByCode(code)) {
+      throw new Error(`Cannot add currency: ${code} already exists`);
+    }
+
+    return await currencyRepository.create({
+      code,
+      name: data.name,
+      symbol: data.symbol,
+      decimalPlaces: data.decimalPlaces,
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      createdBy: user._id
+    });
+  }
+
+  async updateCurrency(id, data, user) {
+    const currency = await this.getCurrencyById(id);
+    if (data.code && normalizeCode(data.code) !== currency.code) {
+      throw new Error('Cannot change a currency code; add a new currency instead');
+    }
+
+    ['name', 'symbol', 'decimalPlaces', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) currency[field] = data[field];
+    });
+    currency.updatedBy = user._id;
+    await currency.save();
+    return currency;
+  }
+
+  /**
+   * Exchange rate history for a currency, newest first
+   * @param {string} id - Currency ID
+   * @param {object} queryParams - { fromDate, toDate, limit }
+   * @returns {Promise<{currency: object, rates: Array}>}
+   */
+  async getRates(id, queryParams = {}) {
+    const currency = await this.getCurrencyById(id);
+    const filter = { currency: currency.code };
+    if (queryParams.fromDate || queryParams.toDate) {
+      filter.rateDate = {};
+      if (queryParams.fromDate) filter.rateDate.$gte = getStartOfDayPakistan(queryParams.fromDate);
+      if (queryParams.toDate) filter.rateDate.$lte = getEndOfDayPakistan(queryParams.toDate);
+    }
+
+    const rates = await exchangeRateRepository.findAll(filter, {
+      sort: { rateDate: -1 },
+      limit: parseInt(queryParams.limit) || 100,
+      populate: [{ path: 'createdBy', select: 'firstName lastName' }]
+    });
+    return { currency, rates };
+  }
+
+  /**
+   * Set the rate for a day; entering a rate again for the same day replaces it
+   * @param {string} id - Currency ID
+   * @param {object} data - { rateDate, rate, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Saved rate
+   */
+  async setRate(id, data, user) {
+    const currency = await this.getCurrencyById(id);
+    if (currency.code === await this.getBaseCurrency()) {
+      throw new Error('Cannot set an exchange rate for the base currency');
+    }
+
+    const rateDate = getStartOfDayPakistan(data.rateDate || formatDatePakistan(new Date()));
+    const existing = await exchangeRateRepository.findOne({ currency: currency.code, rateDate });
+    if (existing) {
+      existing.rate = data.rate;
+      existing.notes = data.notes;
+      await existing.save();
+      return existing;
+    }
+
+    return await exchangeRateRepository.create({
+      currency: currency.code,
+      rateDate,
+      rate: data.rate,
+      notes: data.notes,
+      createdBy: user._id
+    });
+  }
+
+  async deleteRate(id, rateId) {
+    const currency = await this.getCurrencyById(id);
+    const rate = await exchangeRateRepository.findOne({ _id: rateId, currency: currency.code });
+    if (!rate) {
+      throw new Error('Exchange rate not found');
+    }
+    await exchangeRateRepository.hardDelete(rate._id);
+    return rate;
+  }
+
+  /**
+   * Rate in force for a currency on a date (1 for the base currency)
+   * @param {string} code - Currency code
+   * @param {Date} date - Transaction date
+   * @returns {Promise<{currency: string, rate: number, rateDate: Date|null}>}
+   */
+  async getRate(code, date = new Date()) {
+    const currency = normalizeCode(code);
+    if (!await this.isForeign(currency)) {
+      return { currency: await this.getBaseCurrency(), rate: 1, rateDate: null };
+    }
+
+    const rate = await exchangeRateRepository.findRateOn(currency, date);
+    if (!rate) {
+      throw new Error(`Cannot convert ${currency}: no exchange rate on or before ${formatDatePakistan(date)}`);
+    }
+    return { currency, rate: rate.rate, rateDate: rate.rateDate };
+  }
+
+  /**
+   * Convert a foreign-currency amount into the base currency
+   * @param {object} params - { amount, currency, date }
+   * @returns {Promise<{currency: string, baseCurrency: string, amount: number, rate: number, rateDate: Date|null, baseAmount: number}>}
+   */
+  async convert({ amount, currency, date }) {
+    const when = date ? getEndOfDayPakistan(date) : new Date();
+    const { rate, rateDate } = await this.getRate(currency, when);
+    const value = Number(amount) || 0;
+    return {
+      currency: normalizeCode(currency) || await this.getBaseCurrency(),
+      baseCurrency: await this.getBaseCurrency(),
+      amount: value,
+      rate,
+      rateDate,
+      baseAmount: round2(value * rate)
+    };
+  }
+
+  /**
+   * Convert a purchase invoice entered in a foreign currency to the base currency in place.
+   * Item unit costs, pricing and the amount paid arrive in the invoice currency; they are
+   * replaced with base amounts and the entered values are returned as the foreignCurrency block.
+   * The currency defaults to the supplier's currency; the rate defaults to the invoice date rate.
+   * @param {object} data - { currency, exchangeRate, supplier, invoiceDate, items, pricing, payment }
+   * @returns {Promise<object|null>} foreignCurrency block, or null for base-currency invoices
+   */
+  async convertPurchaseInvoice({ currency, exchangeRate, supplier, invoiceDate, items, pricing, payment }) {
+    let code = normalizeCode(currency);
+    if (!code && supplier) {
+      const supplierDoc = await supplierRepository.findById(supplier, { select: 'currency' });
+      code = normalizeCode(supplierDoc?.currency);
+    }
+    if (!await this.isForeign(code)) {
+      return null;
+    }
+
+    const currencyDoc = await currencyRepository.findByCode(code);
+    if (!currencyDoc || !currencyDoc.isActive) {
+      throw new Error(`Cannot use currency ${code}: it is not an active currency`);
+    }
+    const rate = exchangeRate
+      ? Number(exchangeRate)
+      : (await this.getRate(code, invoiceDate ? new Date(invoiceDate) : new Date())).rate;
+
+    (items || []).forEach(item => {
+      item.foreignUnitCost = item.unitCost;
+      item.unitCost = round4(item.unitCost * rate);
+      if (item.totalCost !== undefined) item.totalCost = round2(item.totalCost * rate);
+    });
+
+    const foreignCurrency = { code, exchangeRate: rate, paidAmount: 0 };
+    if (pricing) {
+      ['subtotal', 'discountAmount', 'taxAmount', 'total'].forEach(field => {
+        if (pricing[field] === undefined) return;
+        foreignCurrency[field] = Number(pricing[field]) || 0;
+        pricing[field] = round2(foreignCurrency[field] * rate);
+      });
+    }
+    if (payment) {
+      const paid = Number(payment.amount || payment.paidAmount || 0);
+      if (paid > 0) {
+        foreignCurrency.paidAmount = paid;
+        payment.amount = round2(paid * rate);
+        payment.paidAmount = payment.amount;
+      }
+    }
+
+    return foreignCurrency;
+  }
+
+  /**
+   * Convert a manual bank or cash voucher entered in a foreign currency to the base currency in place.
+   * The amount arrives in that currency and is kept as foreignAmount; the rate defaults to the voucher date rate.
+   * @param {object} voucherData - Voucher fields (date, amount)
+   * @param {object} options - { currency, exchangeRate }
+   * @returns {Promise<boolean>} Whether the voucher was in a foreign currency
+   */
+  async convertVoucher(voucherData, { currency, exchangeRate } = {}) {
+    const code = normalizeCode(currency);
+    if (!await this.isForeign(code)) {
+      return false;
+    }
+
+    const currencyDoc = await currencyRepository.findByCode(code);
+    if (!currencyDoc || !currencyDoc.isActive) {
+      throw new Error(`Cannot use currency ${code}: it is not an active currency`);
+    }
+    const rate = exchangeRate
+      ? Number(exchangeRate)
+      : (await this.getRate(code, voucherData.date || new Date())).rate;
+
+    voucherData.currency = code;
+    voucherData.foreignAmount = round2(voucherData.amount);
+    voucherData.exchangeRate = rate;
+    voucherData.amount = round2(voucherData.foreignAmount * rate);
+    return true;
+  }
+
+  /**
+   * Foreign totals for base-currency pricing already converted at a known rate
+   * @param {object} pricing - Base-currency pricing
+   * @param {object} foreignCurrency - Existing foreignCurrency block (code, exchangeRate, paidAmount)
+   * @returns {object} Updated foreignCurrency block
+   */
+  toForeignPricing(pricing, foreignCurrency) {
+    const rate = foreignCurrency.exchangeRate;
+    return {
+      code: foreignCurrency.code,
+      exchangeRate: rate,
+      subtotal: round2((pricing.subtotal || 0) / rate),
+      discountAmount: round2((pricing.discountAmount || 0) / rate),
+      taxAmount: round2((pricing.taxAmount || 0) / rate),
+      total: round2((pricing.total || 0) / rate),
+      paidAmount: foreignCurrency.paidAmount || 0
+    };
+  }
+
+  /**
+   * Settle part of a foreign-currency invoice at the payment-date rate.
+   * The base amount cleared from the invoice is valued at the invoice rate; the amount paid
+   * is valued at the payment rate, and the difference is the realised exchange gain/loss.
+   * @param {object} invoice - { foreignCurrency, outstanding } where outstanding is the base amount still owed
+   * @param {number} amount - Base amount to clear, at the invoice rate
+   * @param {Date} paymentDate - Payment date
+   * @returns {Promise<object>} { currency, foreignAmount, invoiceRate, exchangeRate, paidAmount, exchangeDifference }
+   */
+  async getSettlement({ foreignCurrency, outstanding }, amount, paymentDate) {
+    const { code, exchangeRate: invoiceRate } = foreignCurrency;
+    const { rate } = await this.getRate(code, paymentDate);
+    const foreignOutstanding = round2((foreignCurrency.total || 0) - (foreignCurrency.paidAmount || 0));
+
+    // Clearing the whole balance settles the whole foreign balance, whatever the rounding
+    const foreignAmount = amount >= outstanding - 0.005
+      ? foreignOutstanding
+      : round2(amount / invoiceRate);
+    const paidAmount = round2(foreignAmount * rate);
+
+    return {
+      currency: code,
+      foreignAmount,
+      invoiceRate,
+      exchangeRate: rate,
+      paidAmount,
+      exchangeDifference: round2(paidAmount - amount)
+    };
+  }
+
+  /**
+   * Post a realised exchange difference so accounts payable is cleared at the invoice rate
+   * @param {object} data - { difference (loss positive), date, reference, description, createdBy }
+   * @returns {Promise<object|null>} Journal voucher, or null when there is no difference
+   */
+  async postRealisedDifference({ difference, date, reference, description, createdBy }) {
+    if (Math.abs(difference) < 0.01) return null;
+
+    const AccountingService = require('./accountingService');
+    const [accountCodes, exchangeCodes] = await Promise.all([
+      AccountingService.getDefaultAccountCodes(),
+      AccountingService.getExchangeAccountCodes()
+    ]);
+    const amount = Math.abs(difference);
+    const isLoss = difference > 0;
+
+    // The payment voucher debited payables with the amount paid; bring it back to the invoice amount
+    return await AccountingService.postJournalVoucher({
+      voucherDate: date,
+      reference,
+      description,
+      numberPrefix: 'FX',
+      lines: isLoss
+        ? [
+          { accountCode: exchangeCodes.realisedLoss, debit: amount, particulars: description },
+          { accountCode: accountCodes.accountsPayable, credit: amount, particulars: description }
+        ]
+        : [
+          { accountCode: accountCodes.accountsPayable, debit: amount, particulars: description },
+          { accountCode: exchangeCodes.realisedGain, credit: amount, particulars: description }
+        ],
+      metadata: { source: 'realised_exchange_difference', reference },
+      createdBy
+    });
+  }
+
+  /**
+   * Supplier ledger in the supplier's invoice currency: foreign invoices and the payments
+   * applied to them, with base equivalents and realised exchange differences
+   * @param {string} supplierId - Supplier ID
+   * @param {object} queryParams - { startDate, endDate, currency }
+   * @returns {Promise<object>}
+   */
+  async getSupplierCurrencyLedger(supplierId, queryParams = {}) {
+    const supplier = await supplierRepository.findById(supplierId);
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+    const currency = normalizeCode(queryParams.currency) || normalizeCode(supplier.currency);
+    if (!await this.isForeign(currency)) {
+      throw new Error('Cannot build currency ledger: supplier is invoiced in the base currency');
+    }
+
+    const start = queryParams.startDate ? getStartOfDayPakistan(queryParams.startDate) : null;
+    const end = queryParams.endDate ? getEndOfDayPakistan(queryParams.endDate) : new Date();
+
+    const invoices = await purchaseInvoiceRepository.findAll({
+      supplier: supplier._id,
+      'foreignCurrency.code': currency,
+      status: { $nin: ['draft', 'cancelled'] }
+    }, { sort: { invoiceDate: 1, createdAt: 1 }, lean: true });
+
+    const movements = [];
+    invoices.forEach(invoice => {
+      const fc = invoice.foreignCurrency;
+      movements.push({
+        date: invoice.invoiceDate || invoice.createdAt,
+        type: 'invoice',
+        reference: invoice.invoiceNumber,
+        invoice: invoice._id,
+        exchangeRate: fc.exchangeRate,
+        foreignCredit: fc.total || 0,
+        foreignDebit: 0,
+        baseCredit: invoice.pricing.total,
+        baseDebit: 0,
+        exchangeDifference: 0
+      });
+      (invoice.paymentApplications || []).forEach(application => {
+        if (!application.foreignAmount) return;
+        movements.push({
+          date: application.date,
+          type: 'payment',
+          reference: application.voucherCode,
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          exchangeRate: application.exchangeRate,
+          foreignCredit: 0,
+          foreignDebit: application.foreignAmount,
+          baseCredit: 0,
+          baseDebit: round2(application.amount + (application.exchangeDifference || 0)),
+          exchangeDifference: application.exchangeDifference || 0
+        });
+      });
+      // Payment recorded on the invoice itself when it was entered
+      const applied = (invoice.paymentApplications || []).reduce((sum, a) => sum + (a.foreignAmount || 0), 0);
+      const paidOnEntry = round2((fc.paidAmount || 0) - applied);
+      if (paidOnEntry >= 0.01) {
+        movements.push({
+          date: invoice.invoiceDate || invoice.createdAt,
+          type: 'payment',
+          reference: invoice.invoiceNumber,
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          exchangeRate: fc.exchangeRate,
+          foreignCredit: 0,
+          foreignDebit: paidOnEntry,
+          baseCredit: 0,
+          baseDebit: round2(paidOnEntry * fc.exchangeRate),
+          exchangeDifference: 0
+        });
+      }
+    });
+    movements.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let openingForeign = 0;
+    let openingBase = 0;
+    let foreignBalance = 0;
+    let baseBalance = 0;
+    const entries = [];
+    movements.forEach(movement => {
+      // Payables are credit balances: credits increase what we owe
+      const foreignChange = movement.foreignCredit - movement.foreignDebit;
+      const baseChange = movement.baseCredit - movement.baseDebit + movement.exchangeDifference;
+      if (start && new Date(movement.date) < start) {
+        openingForeign += foreignChange;
+        openingBase += baseChange;
+        return;
+      }
+      if (new Date(movement.date) > end) return;
+      foreignBalance = round2((entries.length ? foreignBalance : openingForeign) + foreignChange);
+      baseBalance = round2((entries.length ? baseBalance : openingBase) + baseChange);
+      entries.push({ ...movement, foreignBalance, baseBalance });
+    });
+    if (entries.length === 0) {
+      foreignBalance = openingForeign;
+      baseBalance = openingBase;
+    }
+
+    const closingRate = await this.getRate(currency, end).catch(() => null);
+
+    return {
+      supplier: { _id: supplier._id, companyName: supplier.companyName, currency },
+      baseCurrency: await this.getBaseCurrency(),
+      period: { startDate: start, endDate: end },
+      openingBalance: { foreign: round2(openingForeign), base: round2(openingBase) },
+      entries,
+      closingBalance: {
+        foreign: round2(foreignBalance),
+        base: round2(baseBalance),
+        closingRate: closingRate ? closingRate.rate : null,
+        revaluedBase: closingRate ? round2(foreignBalance * closingRate.rate) : null
+      }
+    };
+  }
+
+  /**
+   * Unrealised exchange differences on open foreign-currency purchase invoices and foreign-currency bank balances at a date
+   * @param {object} params - { revaluationDate }
+   * @returns {Promise<object>} { revaluationDate, rates, lines, totalGain, totalLoss, netDifference }
+   */
+  async previewRevaluation(params = {}) {
+    const revaluationDate = getEndOfDayPakistan(params.revaluationDate || formatDatePakistan(new Date()));
+    const invoices = await purchaseInvoiceRepository.findOpenPayables({
+      'foreignCurrency.code': { $nin: [null, ''] }
+    });
+
+    const rates = new Map();
+    const lines = [];
+    for (const invoice of invoices) {
+      if ((invoice.invoiceDate || invoice.createdAt) > revaluationDate) continue;
+      const fc = invoice.foreignCurrency;
+      if (!rates.has(fc.code)) {
+        const { rate, rateDate } = await this.getRate(fc.code, revaluationDate);
+        rates.set(fc.code, { currency: fc.code, rate, rateDate });
+      }
+
+      const closingRate = rates.get(fc.code).rate;
+      const foreignOutstanding = round2((fc.total || 0) - (fc.paidAmount || 0));
+      const bookedAmount = round2(invoice.pricing.total - (invoice.payment?.paidAmount || 0));
+      const revaluedAmount = round2(foreignOutstanding * closingRate);
+      lines.push({
+        type: 'payable',
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        supplier: invoice.supplier?._id,
+        supplierName: invoice.supplier?.companyName,
+        currency: fc.code,
+        foreignOutstanding,
+        invoiceRate: fc.exchangeRate,
+        closingRate,
+        bookedAmount,
+        revaluedAmount,
+        difference: round2(revaluedAmount - bookedAmount)
+      });
+    }
+
+    lines.push(...await this._getBankRevaluationLines(revaluationDate, rates));
+
+    const totalLoss = round2(lines.filter(line => line.difference > 0).reduce((sum, line) => sum + line.difference, 0));
+    const totalGain = round2(-lines.filter(line => line.difference < 0).reduce((sum, line) => sum + line.difference, 0));
+
+    return {
+      revaluationDate,
+      rates: Array.from(rates.values()),
+      lines,
+      totalGain,
+      totalLoss,
+      netDifference: round2(totalLoss - totalGain)
+    };
+  }
+
+  /**
+   * Post the period-end unrealised revaluation journal. By default it is reversed on the
+   * next day, so payments made afterwards book the full realised difference.
+   * @param {object} data - { revaluationDate, autoReverse, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Saved revaluation
+   */
+  async runRevaluation(data, user) {
+    const preview = await this.previewRevaluation(data);
+    const autoReverse = data.autoReverse !== false && data.autoReverse !== 'false';
+
+    const open = await currencyRevaluationRepository.findOne({ status: 'posted' });
+    if (open) {
+      throw new Error(`Cannot revalue: the revaluation of ${formatDatePakistan(open.revaluationDate)} is still posted; reverse it first`);
+    }
+    if (preview.lines.length === 0) {
+      throw new Error('Cannot revalue: there are no open foreign-currency invoices or bank balances');
+    }
+    if (preview.totalGain < 0.01 && preview.totalLoss < 0.01) {
+      throw new Error('Cannot revalue: open foreign-currency balances have no exchange difference');
+    }
+
+    const AccountingService = require('./accountingService');
+    const [accountCodes, exchangeCodes] = await Promise.all([
+      AccountingService.getDefaultAccountCodes(),
+      AccountingService.getExchangeAccountCodes()
+    ]);
+    const label = `Unrealised exchange revaluation ${formatDatePakistan(preview.revaluationDate)}`;
+    const sumDifferences = (type, sign) => round2(Math.abs(preview.lines
+      .filter(line => line.type === type && Math.sign(line.difference) === sign)
+      .reduce((sum, line) => sum + line.difference, 0)));
+    const payableLoss = sumDifferences('payable', 1);
+    const payableGain = sumDifferences('payable', -1);
+    const bankLoss = sumDifferences('bank', 1);
+    const bankGain = sumDifferences('bank', -1);
+    // A loss raises the payable but lowers the bank balance; a gain does the opposite
+    const lines = [
+      { accountCode: exchangeCodes.unrealisedLoss, debit: preview.totalLoss, particulars: label },
+      { accountCode: accountCodes.accountsPayable, credit: payableLoss, particulars: label },
+      { accountCode: accountCodes.bank, credit: bankLoss, particulars: label },
+      { accountCode: accountCodes.accountsPayable, debit: payableGain, particulars: label },
+      { accountCode: accountCodes.bank, debit: bankGain, particulars: label },
+      { accountCode: exchangeCodes.unrealisedGain, credit: preview.totalGain, particulars: label }
+    ];
+
+    const voucher = await AccountingService.postJournalVoucher({
+      voucherDate: preview.revaluationDate,
+      reference: 'FX-REVALUATION',
+      description: label,
+      notes: data.notes,
+      numberPrefix: 'FX',
+      lines,
+      metadata: { source: 'currency_revaluation', revaluationDate: preview.revaluationDate },
+      createdBy: user._id
+    });
+
+    const revaluation = await currencyRevaluationRepository.create({
+      ...preview,
+      journalVoucher: voucher._id,
+      journalVoucherNumber: voucher.voucherNumber,
+      autoReverse,
+      notes: data.notes,
+      createdBy: user._id
+    });
+
+    if (autoReverse) {
+      const nextDay = getStartOfDayPakistan(formatDatePakistan(new Date(preview.revaluationDate.getTime() + 1)));
+      await this._postReversal(revaluation, nextDay, user);
+    }
+
+    return revaluation;
+  }
+
+  /**
+   * Reverse a posted revaluation that was not reversed automatically
+   * @param {string} id - Revaluation ID
+   * @param {object} data - { reversalDate }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated revaluation
+   */
+  async reverseRevaluation(id, data, user) {
+    const revaluation = await this.getRevaluationById(id);
+    if (revaluation.status === 'reversed') {
+      throw new Error('Cannot reverse: this revaluation is already reversed');
+    }
+    const reversalDate = data.reversalDate ? getStartOfDayPakistan(data.reversalDate) : new Date();
+    if (reversalDate <= revaluation.revaluationDate) {
+      throw new Error('Cannot reverse: the reversal date must be after the revaluation date');
+    }
+    return await this._postReversal(revaluation, reversalDate, user);
+  }
+
+  // Foreign-currency bank balances as of a date: the opening balance is booked at the rate on the
+  // day the account was opened, vouchers at the base amounts they were posted with
+  async _getBankRevaluationLines(revaluationDate, rates) {
+    const banks = await bankRepository.findActive();
+    const lines = [];
+    for (const bank of banks) {
+      const code = normalizeCode(bank.currency);
+      if (!await this.isForeign(code) || bank.createdAt > revaluationDate) continue;
+      if (!rates.has(code)) {
+        const { rate, rateDate } = await this.getRate(code, revaluationDate);
+        rates.set(code, { currency: code, rate, rateDate });
+      }
+      const closingRate = rates.get(code).rate;
+
+      const [receipts, payments] = await Promise.all([
+        bankReceiptRepository.getCurrencyTotals(bank._id, revaluationDate),
+        bankPaymentRepository.getCurrencyTotals(bank._id, revaluationDate)
+      ]);
+      let openingRate = closingRate;
+      if (bank.openingBalance) {
+        const openingRateDoc = await exchangeRateRepository.findRateOn(code, bank.createdAt);
+        if (openingRateDoc) openingRate = openingRateDoc.rate;
+      }
+
+      const foreignBalance = round2((bank.openingBalance || 0) + receipts.foreignAmount - payments.foreignAmount);
+      const bookedAmount = round2((bank.openingBalance || 0) * openingRate + receipts.amount - payments.amount);
+      const revaluedAmount = round2(foreignBalance * closingRate);
+      if (Math.abs(foreignBalance) < 0.01 && Math.abs(bookedAmount) < 0.01) continue;
+
+      lines.push({
+        type: 'bank',
+        bank: bank._id,
+        bankName: bank.displayName,
+        currency: code,
+        foreignOutstanding: foreignBalance,
+        invoiceRate: foreignBalance ? round4(bookedAmount / foreignBalance) : openingRate,
+        closingRate,
+        bookedAmount,
+        revaluedAmount,
+        difference: round2(bookedAmount - revaluedAmount)
+      });
+    }
+    return lines;
+  }
+
+  async getRevaluations(queryParams = {}) {
+    const filter = {};
+    if (queryParams.status) filter.status = queryParams.status;
+    return await currencyRevaluationRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  async getRevaluationById(id) {
+    const revaluation = await currencyRevaluationRepository.findById(id, {
+      populate: [
+        { path: 'lines.supplier', select: 'companyName' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!revaluation) {
+      throw new Error('Revaluation not found');
+    }
+    return revaluation;
+  }
+
+  async _postReversal(revaluation, reversalDate, user) {
+    const AccountingService = require('./accountingService');
+    const original = await require('../models/JournalVoucher').findById(revaluation.journalVoucher);
+    if (!original) {
+      throw new Error('Revaluation journal voucher not found');
+    }
+
+    const label = `Reversal of unrealised exchange revaluation ${formatDatePakistan(revaluation.revaluationDate)}`;
+    const voucher = await AccountingService.postJournalVoucher({
+      voucherDate: reversalDate,
+      reference: original.voucherNumber,
+      description: label,
+      numberPrefix: 'FX',
+      lines: original.entries.map(entry => ({
+        accountCode: entry.accountCode,
+        debit: entry.credit,
+        credit: entry.debit,
+        particulars: label
+      })),
+      metadata: { source: 'currency_revaluation_reversal', revaluation: revaluation._id },
+      createdBy: user._id
+    });
+
+    revaluation.reversalVoucher = voucher._id;
+    revaluation.reversalVoucherNumber = voucher.voucherNumber;
+    revaluation.reversalDate = reversalDate;
+    revaluation.status = 'reversed';
+    await revaluation.save();
+    return revaluation;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -1,6 +1,7 @@
 const Customer = require('../models/Customer');
 const CustomerTransaction = require('../models/CustomerTransaction');
 const customerAuditLogService = require('./customerAuditLogService');
+const notificationService = require('./notificationService');
 
 class CustomerCreditPolicyService {
   /**
@@ -72,12 +73,26 @@ class CustomerCreditPolicyService {
             console.error('Audit logging error:', auditError);
           }
 
-          // TODO: Send notification to customer
-          // await notificationService.notifyCustomer(customer, 'suspension');
+          await this._notifySafely('customer.suspended', {
+            customerId: customer._id,
+            customerName: customer.displayName,
+            reason: customer.suspensionReason
+          });
+          if (customer.email) {
+            await this._notifySafely('customer.suspension_notice', {
+              customerName: customer.displayName,
+              daysOverdue: maxDaysOverdue
+            }, { emails: [customer.email] });
+          }
         } else if (maxDaysOverdue >= (autoSuspendDays - 30)) {
           // Warning threshold (30 days before suspension)
           results.warnings++;
-          // TODO: Send warning notification
+          await this._notifySafely('customer.overdue_warning', {
+            customerId: customer._id,
+            customerName: customer.displayName,
+            daysOverdue: maxDaysOverdue,
+            autoSuspendDays
+          }, { dedupeKey: `customer.overdue_warning:${customer._id}`, dedupeWindowHours: 7 * 24 });
         }
       } catch (error) {
         results.errors.push({
@@ -229,12 +244,23 @@ class CustomerCreditPolicyService {
       }
     }
 
-    // TODO: Send actual notifications based on action type
-    // await notificationService.sendWarnings(customer, warnings);
+    // Email warnings go to the customer; sms/letter/call need someone to follow up manually
+    const emailWarnings = warnings.filter(w => w.action === 'email');
+    let warningsSent = 0;
+    if (emailWarnings.length > 0 && customer.email) {
+      const result = await notificationService.notify('customer.overdue_notice', {
+        customerName: customer.displayName,
+        invoiceCount: emailWarnings.length,
+        warningLines: emailWarnings.map(w => `- ${w.message}`).join('\n'),
+        totalOverdue: emailWarnings.reduce((sum, w) => sum + (w.amount || 0), 0).toFixed(2)
+      }, { emails: [customer.email] });
+      warningsSent = result.queued > 0 ? emailWarnings.length : 0;
+    }
 
     return {
       customerId,
-      warningsSent: warnings.length,
+      warningsSent,
+      followUps: warnings.filter(w => w.action !== 'email' || !customer.email),
       warnings
     };
   }
@@ -316,6 +342,21 @@ class CustomerCreditPolicyService {
     if (score >= 40) return 'high';
     return 'very_high';
   }
+
+  /**
+   * Raise a notification without letting delivery problems stop the credit check
+   * @param {String} event - Notification event
+   * @param {Object} data - Template data
+   * @param {Object} options - Notification options
+   * @private
+   */
+  async _notifySafely(event, data, options = {}) {
+    try {
+      await notificationService.notify(event, data, options);
+    } catch (error) {
+      console.error(`Notification error (${event}):`, error);
+    }
+  }
 }
 
 module.exports = new CustomerCreditPolicyService();
@@ -0,0 +1,612 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Settings = require('../models/Settings');
+const Company = require('../models/Company');
+const customerRepository = require('../repositories/CustomerRepository');
+const customerStatementBatchRepository = require('../repositories/CustomerStatementBatchRepository');
+const accountLedgerService = require('./accountLedgerService');
+const notificationService = require('./notificationService');
+const { formatDatePakistan } = require('../utils/dateFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TERMS_DAYS = { cash: 0, net15: 15, net30: 30, net45: 45, net60: 60 };
+
+const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class CustomerStatementService {
+  constructor() {
+    this.exportDir = path.join(__dirname, '../exports');
+    this.ensureExportDir();
+  }
+
+  async ensureExportDir() {
+    try {
+      await fs.promises.access(this.exportDir);
+    } catch (error) {
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Resolve the statement period; dates are whole days like the customer ledger screen
+   * @param {object} params - { startDate, endDate }
+   * @returns {{start: Date, end: Date}}
+   */
+  resolvePeriod({ startDate, endDate } = {}) {
+    const { start, end } = accountLedgerService.clampDateRange(startDate, endDate);
+    if (start > end) {
+      throw new Error('Cannot build statement: start date is after end date');
+    }
+    return { start, end };
+  }
+
+  /**
+   * Build a customer's statement of account for a period
+   * @param {string} customerId - Customer ID
+   * @param {object} params - { startDate, endDate }
+   * @returns {Promise<object>} - Statement with entries, totals and aging
+   */
+  async buildStatement(customerId, params = {}) {
+    const customer = await customerRepository.findById(customerId, {
+      populate: [{ path: 'ledgerAccount', select: 'accountCode accountName' }]
+    });
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    return this.buildStatementForCustomer(customer, this.resolvePeriod(params));
+  }
+
+  async buildStatementForCustomer(customer, { start, end }) {
+    const { openingBalance, entries, closingBalance } = await accountLedgerService.getCustomerLedger(customer, { start, end });
+
+    const summary = { invoices: 0, receipts: 0, returns: 0, refunds: 0 };
+    entries.forEach(entry => {
+      if (entry.source === 'Sale') {
+        summary.invoices += entry.debitAmount;
+      } else if (entry.source === 'Cash Receipt' || entry.source === 'Bank Receipt') {
+        summary.receipts += entry.creditAmount;
+      } else if (entry.source === 'Sale Return') {
+        summary.returns += entry.creditAmount;
+      } else {
+        // Cash/bank payments to the customer (refunds and advances) are debits
+        summary.refunds += entry.debitAmount;
+      }
+    });
+    Object.keys(summary).forEach(key => { summary[key] = round2(summary[key]); });
+
+    const defaultAddress = (customer.addresses || []).find(address => address.isDefault) || (customer.addresses || [])[0];
+
+    return {
+      customer: {
+        _id: customer._id,
+        name: customer.displayName || customer.businessName || customer.name,
+        contactName: customer.businessName ? customer.name : undefined,
+        email: customer.email,
+        phone: customer.phone,
+        address: defaultAddress ? {
+          street: defaultAddress.street,
+          city: defaultAddress.city,
+          state: defaultAddress.state,
+          zipCode: defaultAddress.zipCode,
+          country: defaultAddress.country
+        } : undefined,
+        paymentTerms: customer.paymentTerms,
+        accountCode: customer.ledgerAccount?.accountCode || ''
+      },
+      period: { startDate: start, endDate: end },
+      openingBalance: round2(openingBalance),
+      closingBalance: round2(closingBalance),
+      summary,
+      entries,
+      aging: this.calculateAging(openingBalance, entries, { start, end }, TERMS_DAYS[customer.paymentTerms] ?? 0),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Age the closing balance: credits settle the oldest debits first (FIFO), and whatever
+   * remains of each debit is aged from its due date (entry date + payment terms) to the period end.
+   * The opening balance is treated as a single debit on the first day of the period.
+   * @param {number} openingBalance - Balance brought forward
+   * @param {Array} entries - Ledger entries for the period
+   * @param {object} period - { start, end }; aging is as of the end
+   * @param {number} termsDays - Customer credit days
+   * @returns {object} - Amount per aging bucket plus total
+   */
+  calculateAging(openingBalance, entries, { start, end }, termsDays = 0) {
+    const aging = AGING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket]: 0 }), {});
+
+    const debits = [];
+    let credits = 0;
+    if (openingBalance > 0) {
+      debits.push({ date: new Date(start), amount: openingBalance });
+    } else {
+      credits += -openingBalance;
+    }
+    entries.forEach(entry => {
+      if (entry.debitAmount > 0) debits.push({ date: new Date(entry.date), amount: entry.debitAmount });
+      if (entry.creditAmount > 0) credits += entry.creditAmount;
+    });
+    debits.sort((a, b) => a.date - b.date);
+
+    debits.forEach(debit => {
+      const settled = Math.min(debit.amount, credits);
+      credits -= settled;
+      const outstanding = debit.amount - settled;
+      if (outstanding <= 0) return;
+
+      const dueDate = new Date(debit.date.getTime() + termsDays * DAY_MS);
+      const daysPastDue = Math.floor((end - dueDate) / DAY_MS);
+      let bucket = '90+';
+      if (daysPastDue <= 0) bucket = 'current';
+      else if (daysPastDue <= 30) bucket = '1-30';
+      else if (daysPastDue <= 60) bucket = '31-60';
+      else if (daysPastDue <= 90) bucket = '61-90';
+      aging[bucket] += outstanding;
+    });
+
+    AGING_BUCKETS.forEach(bucket => { aging[bucket] = round2(aging[bucket]); });
+    aging.total = round2(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket], 0));
+    return aging;
+  }
+
+  /**
+   * Company details and print options for statement headers
+   * @returns {Promise<{settings: object, logo: Buffer|null}>}
+   */
+  async loadBranding() {
+    const [settings, company] = await Promise.all([Settings.getSettings(), Company.getCompany()]);
+    const printSettings = settings.printSettings || {};
+
+    let logo = null;
+    if (printSettings.showLogo !== false && company.logo) {
+      try {
+        if (/^data:image\/(png|jpe?g);base64,/.test(company.logo)) {
+          logo = Buffer.from(company.logo.split(',')[1], 'base64');
+        } else if (/^https?:\/\//.test(company.logo)) {
+          const response = await fetch(company.logo, { signal: AbortSignal.timeout(10000) });
+          if (response.ok) {
+            logo = Buffer.from(await response.arrayBuffer());
+          }
+        }
+      } catch (error) {
+        // A missing logo should not stop statements from being produced
+        console.error('Could not load company logo for statements:', error.message);
+      }
+    }
+
+    return {
+      settings: {
+        companyName: settings.companyName || company.companyName || '',
+        address: settings.address || company.address || '',
+        contactNumber: settings.contactNumber || company.phone || '',
+        email: settings.email || '',
+        website: settings.website || '',
+        taxId: settings.taxId || '',
+        currency: settings.currency || 'PKR',
+        printSettings
+      },
+      logo
+    };
+  }
+
+  /**
+   * Draw one statement onto the current page of a PDF document
+   * @param {PDFDocument} doc - Target document
+   * @param {object} statement - Result of buildStatement
+   * @param {object} branding - Result of loadBranding
+   */
+  renderStatement(doc, statement, branding) {
+    const { settings, logo } = branding;
+    const print = settings.printSettings;
+    const left = 50;
+    const right = doc.page.width - 50;
+    const bottomLimit = doc.page.height - 70;
+
+    let headerX = left;
+    if (logo) {
+      try {
+        doc.image(logo, left, 45, { fit: [80, 60] });
+        headerX = left + 95;
+      } catch (error) {
+        // Unsupported image formats are skipped rather than failing the statement
+      }
+    }
+
+    doc.fontSize(16).font('Helvetica-Bold').text(settings.companyName, headerX, 50, { width: right - headerX });
+    if (print.showCompanyDetails !== false) {
+      doc.fontSize(9).font('Helvetica');
+      if (settings.address) doc.text(settings.address, { width: right - headerX });
+      const contact = [
+        settings.contactNumber && `Phone: ${settings.contactNumber}`,
+        print.showEmail !== false && settings.email && `Email: ${settings.email}`,
+        settings.website
+      ].filter(Boolean).join('   ');
+      if (contact) doc.text(contact, { width: right - headerX });
+      if (settings.taxId) doc.text(`Tax ID: ${settings.taxId}`, { width: right - headerX });
+    }
+    if (print.headerText) {
+      doc.moveDown(0.3).fontSize(9).font('Helvetica-Oblique').text(print.headerText, { width: right - headerX });
+    }
+
+    doc.y = Math.max(doc.y, logo ? 110 : doc.y) + 15;
+    doc.fontSize(14).font('Helvetica-Bold').text('STATEMENT OF ACCOUNT', left, doc.y, { width: right - left, align: 'center' });
+    doc.fontSize(10).font('Helvetica').text(
+      `Period: ${formatDatePakistan(statement.period.startDate)} to ${formatDatePakistan(statement.period.endDate)}`,
+      { width: right - left, align: 'center' }
+    );
+    if (print.showDate !== false) {
+      doc.text(`Statement date: ${formatDatePakistan(statement.generatedAt)}`, { width: right - left, align: 'center' });
+    }
+    doc.moveDown(1);
+
+    // Customer block on the left, account summary on the right
+    const blockY = doc.y;
+    const { customer } = statement;
+    doc.fontSize(10).font('Helvetica-Bold').text('Statement for:', left, blockY);
+    doc.font('Helvetica').text(customer.name, left, doc.y, { width: 250 });
+    if (customer.contactName) doc.text(`Attn: ${customer.contactName}`, { width: 250 });
+    if (customer.address) {
+      const { street, city, state, zipCode } = customer.address;
+      if (print.showPrintAddress !== false && street) doc.text(street, { width: 250 });
+      const locality = [
+        print.showPrintCity !== false && city,
+        print.showPrintState !== false && state,
+        print.showPrintPostalCode !== false && zipCode
+      ].filter(Boolean).join(', ');
+      if (locality) doc.text(locality, { width: 250 });
+    }
+    if (customer.email) doc.text(customer.email, { width: 250 });
+    if (customer.accountCode) doc.text(`Account: ${customer.accountCode}`, { width: 250 });
+    const customerBlockEnd = doc.y;
+
+    const summaryRows = [
+      ['Opening balance', statement.openingBalance],
+      ['Invoices', statement.summary.invoices],
+      ['Receipts', -statement.summary.receipts],
+      ['Returns', -statement.summary.returns],
+      ['Refunds & payments', statement.summary.refunds]
+    ];
+    let summaryY = blockY;
+    const summaryX = right - 220;
+    doc.fontSize(9);
+    summaryRows.forEach(([label, amount]) => {
+      doc.font('Helvetica').text(label, summaryX, summaryY, { width: 120 });
+      doc.text(this.formatAmount(amount), summaryX + 120, summaryY, { width: 100, align: 'right' });
+      summaryY += 14;
+    });
+    doc.moveTo(summaryX, summaryY).lineTo(right, summaryY).stroke();
+    summaryY += 4;
+    doc.font('Helvetica-Bold').text(`Amount due (${settings.currency})`, summaryX, summaryY, { width: 120 });
+    doc.text(this.formatAmount(statement.closingBalance), summaryX + 120, summaryY, { width: 100, align: 'right' });
+    summaryY += 14;
+
+    // Transactions table
+    const columns = [
+      { key: 'date', label: 'Date', width: 65 },
+      { key: 'voucherNo', label: 'Reference', width: 80 },
+      { key: 'particular', label: 'Particulars', width: 135 },
+      { key: 'debitAmount', label: 'Debit', width: 70, align: 'right' },
+      { key: 'creditAmount', label: 'Credit', width: 70, align: 'right' },
+      { key: 'balance', label: 'Balance', width: 75, align: 'right' }
+    ];
+    let currentY = Math.max(customerBlockEnd, summaryY) + 20;
+
+    const drawRow = (values, bold = false) => {
+      const height = Math.max(16, doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+        .heightOfString(String(values.particular || ''), { width: columns[2].width - 4 }) + 6);
+      if (currentY + height > bottomLimit) {
+        doc.addPage();
+        currentY = 50;
+        drawHeader();
+      }
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      columns.forEach(column => {
+        doc.text(String(values[column.key] ?? ''), x + 2, currentY + 4, { width: column.width - 4, align: column.align || 'left' });
+        x += column.width;
+      });
+      currentY += height;
+    };
+
+    const drawHeader = () => {
+      doc.rect(left, currentY, right - left, 16).fill('#eeeeee').fillColor('black');
+      drawRow(columns.reduce((acc, column) => ({ ...acc, [column.key]: column.label }), {}), true);
+    };
+
+    drawHeader();
+    drawRow({
+      date: formatDatePakistan(statement.period.startDate),
+      particular: 'Balance brought forward',
+      balance: this.formatAmount(statement.openingBalance)
+    }, true);
+    statement.entries.forEach(entry => {
+      drawRow({
+        date: formatDatePakistan(entry.date),
+        voucherNo: entry.voucherNo,
+        particular: entry.particular,
+        debitAmount: entry.debitAmount ? this.formatAmount(entry.debitAmount) : '',
+        creditAmount: entry.creditAmount ? this.formatAmount(entry.creditAmount) : '',
+        balance: this.formatAmount(entry.balance)
+      });
+    });
+    drawRow({
+      particular: 'Closing balance',
+      debitAmount: this.formatAmount(statement.summary.invoices + statement.summary.refunds),
+      creditAmount: this.formatAmount(statement.summary.receipts + statement.summary.returns),
+      balance: this.formatAmount(statement.closingBalance)
+    }, true);
+
+    // Aging summary
+    if (currentY + 50 > bottomLimit) {
+      doc.addPage();
+      currentY = 50;
+    }
+    currentY += 15;
+    doc.fontSize(10).font('Helvetica-Bold').text('Aging summary (days past due)', left, currentY);
+    currentY += 16;
+    const agingLabels = [...AGING_BUCKETS, 'total'];
+    const agingWidth = (right - left) / agingLabels.length;
+    agingLabels.forEach((bucket, index) => {
+      const x = left + index * agingWidth;
+      doc.fontSize(8).font('Helvetica-Bold').text(bucket === 'current' ? 'Current' : bucket === 'total' ? 'Total' : bucket, x, currentY, { width: agingWidth - 4, align: 'right' });
+      doc.font('Helvetica').text(this.formatAmount(statement.aging[bucket]), x, currentY + 12, { width: agingWidth - 4, align: 'right' });
+    });
+    currentY += 30;
+
+    if (print.showFooter !== false && print.footerText) {
+      doc.fontSize(8).font('Helvetica-Oblique').text(print.footerText, left, currentY + 10, { width: right - left, align: 'center' });
+    }
+  }
+
+  /**
+   * Write a PDF file; draw receives the document and fills it
+   * @returns {Promise<{filename: string, filepath: string, size: number}>}
+   */
+  async writePdf(filename, draw) {
+    await this.ensureExportDir();
+    const filepath = path.join(this.exportDir, filename);
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const stream = fs.createWriteStream(filepath);
+    doc.pipe(stream);
+    draw(doc);
+    doc.end();
+
+    await new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    const stats = await fs.promises.stat(filepath);
+    return { filename, filepath, size: stats.size };
+  }
+
+  getStatementFilename(statement) {
+    const code = (statement.customer.accountCode || String(statement.customer._id)).replace(/[^\w-]/g, '');
+    return `Statement_${code}_${formatDatePakistan(statement.period.startDate)}_to_${formatDatePakistan(statement.period.endDate)}.pdf`;
+  }
+
+  /**
+   * Generate a customer's statement as a PDF file
+   * @param {string} customerId - Customer ID
+   * @param {object} params - { startDate, endDate }
+   * @returns {Promise<{filename: string, filepath: string, size: number, statement: object}>}
+   */
+  async generateStatementPdf(customerId, params = {}) {
+    const statement = await this.buildStatement(customerId, params);
+    const branding = await this.loadBranding();
+    const file = await this.writePdf(this.getStatementFilename(statement), doc => this.renderStatement(doc, statement, branding));
+    return { ...file, statement };
+  }
+
+  /**
+   * Email a customer's statement as a PDF attachment
+   * @param {string} customerId - Customer ID
+   * @param {object} params - { startDate, endDate, email } (email overrides the customer's address)
+   * @param {object} user - Sending user
+   * @returns {Promise<{filename: string, email: string, queued: number, notification: object}>}
+   */
+  async emailStatement(customerId, params = {}, user) {
+    const { statement, filename, filepath } = await this.generateStatementPdf(customerId, params);
+    const email = params.email || statement.customer.email;
+    if (!email) {
+      throw new Error('Cannot email statement: customer has no email address');
+    }
+
+    const branding = await Settings.getSettings();
+    const result = await this.sendStatementEmail(statement, email, { filename, filepath }, branding.companyName, user);
+    return {
+      filename,
+      email,
+      queued: result.queued,
+      notification: result.notifications[0]
+    };
+  }
+
+  async sendStatementEmail(statement, email, file, companyName, user) {
+    return notificationService.notify('customer.statement', {
+      customerName: statement.customer.name,
+      companyName: companyName || '',
+      periodLabel: `${formatDatePakistan(statement.period.startDate)} to ${formatDatePakistan(statement.period.endDate)}`,
+      openingBalance: this.formatAmount(statement.openingBalance),
+      closingBalance: this.formatAmount(statement.closingBalance)
+    }, {
+      emails: [email],
+      channels: ['email'],
+      attachments: [{ filename: file.filename, path: file.filepath, contentType: 'application/pdf' }],
+      createdBy: user?._id
+    });
+  }
+
+  /**
+   * Queue statements for every active customer whose closing balance is above minBalance.
+   * The batch runs in the background; poll getBatchById for progress.
+   * @param {object} params - { startDate, endDate, minBalance, delivery: 'download'|'email' }
+   * @param {object} user - Requesting user
+   * @returns {Promise<object>} - Queued batch
+   */
+  async runBulkStatements(params = {}, user) {
+    const { start, end } = this.resolvePeriod(params);
+    const batch = await customerStatementBatchRepository.create({
+      startDate: start,
+      endDate: end,
+      minBalance: Number(params.minBalance) || 0,
+      delivery: params.delivery || 'download',
+      status: 'queued',
+      createdBy: user._id
+    });
+
+    this.processBatch(batch._id).catch(error => {
+      console.error(`Customer statement batch ${batch._id} failed:`, error);
+    });
+
+    return batch;
+  }
+
+  async processBatch(batchId) {
+    const batch = await customerStatementBatchRepository.findById(batchId);
+    if (!batch) {
+      throw new Error('Statement batch not found');
+    }
+
+    batch.status = 'processing';
+    batch.startedAt = new Date();
+    await batch.save();
+
+    let combined = null;
+    try {
+      const branding = await this.loadBranding();
+      const customers = await customerRepository.findAll({ status: 'active' }, {
+        populate: [{ path: 'ledgerAccount', select: 'accountCode accountName' }],
+        sort: { businessName: 1, name: 1 }
+      });
+      const period = { start: batch.startDate, end: batch.endDate };
+      const combinedFilename = `Statements_${formatDatePakistan(batch.startDate)}_to_${formatDatePakistan(batch.endDate)}_${batch._id}.pdf`;
+
+      for (const customer of customers) {
+        batch.customersChecked += 1;
+        let statement;
+        try {
+          statement = await this.buildStatementForCustomer(customer, period);
+        } catch (error) {
+          batch.items.push({ customer: customer._id, customerName: customer.displayName, status: 'failed', error: error.message });
+          batch.failedCount += 1;
+          continue;
+        }
+        if (statement.closingBalance <= batch.minBalance) continue;
+
+        const item = {
+          customer: customer._id,
+          customerName: statement.customer.name,
+          email: statement.customer.email,
+          openingBalance: statement.openingBalance,
+          closingBalance: statement.closingBalance,
+          status: 'generated'
+        };
+        try {
+          const file = await this.writePdf(this.getStatementFilename(statement), doc => this.renderStatement(doc, statement, branding));
+          item.filename = file.filename;
+
+          if (!combined) {
+            await this.ensureExportDir();
+            combined = new PDFDocument({ margin: 50, size: 'A4', autoFirstPage: false });
+            combined.filepath = path.join(this.exportDir, combinedFilename);
+            combined.stream = fs.createWriteStream(combined.filepath);
+            combined.pipe(combined.stream);
+          }
+          combined.addPage();
+          this.renderStatement(combined, statement, branding);
+
+          if (batch.delivery === 'email') {
+            if (statement.customer.email) {
+              const result = await this.sendStatementEmail(statement, statement.customer.email, file, branding.settings.companyName, { _id: batch.createdBy });
+              item.status = 'emailed';
+              item.notification = result.notifications[0]?._id;
+              batch.emailedCount += 1;
+            } else {
+              item.status = 'no_email';
+            }
+          }
+          batch.statementCount += 1;
+          batch.totalBalance = round2(batch.totalBalance + statement.closingBalance);
+        } catch (error) {
+          item.status = 'failed';
+          item.error = error.message;
+          batch.failedCount += 1;
+        }
+        batch.items.push(item);
+      }
+
+      if (combined) {
+        combined.end();
+        await new Promise((resolve, reject) => {
+          combined.stream.on('finish', resolve);
+          combined.stream.on('error', reject);
+        });
+        batch.combinedFilename = combinedFilename;
+      }
+
+      batch.status = 'completed';
+    } catch (error) {
+      batch.status = 'failed';
+      batch.error = error.message;
+      if (combined) combined.end();
+    }
+
+    batch.completedAt = new Date();
+    await batch.save();
+    return batch;
+  }
+
+  async getBatches(queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+    const filter = {};
+    if (queryParams.status) filter.status = queryParams.status;
+
+    return customerStatementBatchRepository.findWithPagination(filter, { page, limit });
+  }
+
+  async getBatchById(id) {
+    const batch = await customerStatementBatchRepository.findById(id, {
+      populate: [{ path: 'createdBy', select: 'firstName lastName' }]
+    });
+    if (!batch) {
+      throw new Error('Statement batch not found');
+    }
+    return batch;
+  }
+
+  /**
+   * Path of a generated batch file: the combined PDF, or one customer's statement
+   * @param {string} id - Batch ID
+   * @param {string} [customerId] - Customer ID for a single statement
+   * @returns {Promise<{filename: string, filepath: string}>}
+   */
+  async getBatchFile(id, customerId) {
+    const batch = await this.getBatchById(id);
+    let filename = batch.combinedFilename;
+    if (customerId) {
+      const item = batch.items.find(i => String(i.customer) === String(customerId));
+      filename = item?.filename;
+    }
+
+    const filepath = filename && path.join(this.exportDir, filename);
+    if (!filepath || !fs.existsSync(filepath)) {
+      throw new Error('Statement file not found');
+    }
+    return { filename, filepath };
+  }
+
+  formatAmount(amount) {
+    const value = Number(amount) || 0;
+    const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return value < 0 ? `(${formatted})` : formatted;
+  }
+}
+
+module.exports = new CustomerStatementService();
@@ -195,32 +195,38 @@ class DataIntegrityService {
     const products = await Product.find({ status: 'active' }).limit(1000);
     for (const product of products) {
       try {
-        const inventory = await Inventory.findOne({ product: product._id });
+        // One Inventory row per warehouse; the product-level figure is their total
+        const inventories = await Inventory.find({ product: product._id, isDeleted: { $ne: true } });
         
-        if (!inventory) {
+        if (inventories.length === 0) {
           issues.push({
             type: 'missing_inventory_record',
             productId: product._id,
             productName: product.name,
             severity: 'medium'
           });
-        } else {
-          // Check if Product and Inventory stock are in sync
-          const productStock = product.inventory?.currentStock || 0;
-          const inventoryStock = inventory.currentStock || 0;
-          const difference = Math.abs(productStock - inventoryStock);
-          
-          if (difference > 0.01) {
-            issues.push({
-              type: 'stock_sync_mismatch',
-              productId: product._id,
-              productName: product.name,
-              productStock,
-              inventoryStock,
-              difference,
-              severity: 'medium'
-            });
-          }
+          continue;
+        }
+        
+        // Check if Product and Inventory stock are in sync
+        const productStock = product.inventory?.currentStock || 0;
+        const inventoryStock = inventories.reduce((sum, inventory) => sum + (inventory.currentStock || 0), 0);
+        const difference = Math.abs(productStock - inventoryStock);
+        
+        if (difference > 0.01) {
+          issues.push({
+            type: 'stock_sync_mismatch',
+            productId: product._id,
+            productName: product.name,
+            productStock,
+            inventoryStock,
+            difference,
+            severity: 'medium'
+          });
+        }
+        
+        for (const inventory of inventories) {
+          const warehouse = inventory.location?.warehouse;
           
           // Check if availableStock is correct
           const calculatedAvailable = Math.max(0, inventory.currentStock - inventory.reservedStock);
@@ -232,6 +238,7 @@ class DataIntegrityService {
               type: 'incorrect_available_stock',
               productId: product._id,
               productName: product.name,
+              warehouse,
               calculated: calculatedAvailable,
               stored: storedAvailable,
               difference: availableDifference,
@@ -245,6 +252,7 @@ class DataIntegrityService {
               type: 'negative_stock',
               productId: product._id,
               productName: product.name,
+              warehouse,
               currentStock: inventory.currentStock,
               severity: 'high'
             });
@@ -256,6 +264,7 @@ class DataIntegrityService {
               type: 'reserved_exceeds_current',
               productId: product._id,
               productName: product.name,
+              warehouse,
               currentStock: inventory.currentStock,
               reservedStock: inventory.reservedStock,
               severity: 'high'
@@ -424,7 +433,7 @@ class DataIntegrityService {
         switch (issue.type) {
           case 'incorrect_available_stock':
             // Fix available stock calculation
-            const inventory = await Inventory.findOne({ product: issue.productId });
+            const inventory = await Inventory.findOne({ product: issue.productId, 'location.warehouse': issue.warehouse });
             if (inventory) {
               inventory.availableStock = Math.max(0, inventory.currentStock - inventory.reservedStock);
               await inventory.save();
@@ -436,22 +445,32 @@ class DataIntegrityService {
             }
             break;
             
-          case 'stock_sync_mismatch':
-            // Sync inventory to match product (use higher value)
+          case 'stock_sync_mismatch': {
+            // Sync to the higher value: top up the primary warehouse row when the product figure is higher,
+            // then set the product figure to the warehouse total
             const product = await Product.findById(issue.productId);
-            const inv = await Inventory.findOne({ product: issue.productId });
-            if (product && inv) {
-              const higherStock = Math.max(issue.productStock, issue.inventoryStock);
-              inv.currentStock = higherStock;
-              inv.availableStock = Math.max(0, higherStock - inv.reservedStock);
-              await inv.save();
+            if (product) {
+              if (issue.productStock > issue.inventoryStock) {
+                const primaryWarehouseKey = await Inventory.getPrimaryWarehouseKey();
+                const inv = await Inventory.findOne({ product: issue.productId, 'location.warehouse': primaryWarehouseKey });
+                if (!inv) break;
+                inv.currentStock += issue.productStock - issue.inventoryStock;
+                inv.availableStock = Math.max(0, inv.currentStock - inv.reservedStock);
+                await inv.save();
+              }
+              const totalStock = await Inventory.getTotalStock(issue.productId);
+              await Product.updateOne(
+                { _id: issue.productId },
+                { $set: { 'inventory.currentStock': totalStock, 'inventory.lastUpdated': new Date() } }
+              );
               fixes.push({
                 issue,
                 fixed: true,
-                action: `Synced inventory stock to ${higherStock}`
+                action: `Synced inventory stock to ${totalStock}`
               });
             }
             break;
+          }
             
           // Add more fixable issues here
         }
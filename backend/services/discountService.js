@@ -152,7 +152,8 @@ class DiscountService {
         { path: 'lastModifiedBy', select: 'firstName lastName email' },
         { path: 'applicableProducts', select: 'name description' },
         { path: 'applicableCategories', select: 'name' },
-        { path: 'applicableCustomers', select: 'displayName email' }
+        { path: 'applicableCustomers', select: 'displayName email' },
+        { path: 'promotion.freeProduct', select: 'name' }
       ];
 
       const { discounts, total } = await DiscountRepository.findWithPagination(query, {
@@ -193,6 +194,7 @@ class DiscountService {
         { path: 'applicableProducts', select: 'name description price' },
         { path: 'applicableCategories', select: 'name description' },
         { path: 'applicableCustomers', select: 'displayName email businessType customerTier' },
+        { path: 'promotion.freeProduct', select: 'name' },
         { path: 'analytics.usageHistory.orderId', select: 'orderNumber total createdAt' },
         { path: 'analytics.usageHistory.customerId', select: 'displayName email' }
       ];
@@ -366,14 +368,19 @@ class DiscountService {
       errors.push('Code is required');
     }
 
-    if (!discountData.type || !['percentage', 'fixed_amount'].includes(discountData.type)) {
-      errors.push('Valid type (percentage or fixed_amount) is required');
+    const isPromotion = Discount.PROMOTION_TYPES.includes(discountData.type);
+    if (!discountData.type || (!Discount.DISCOUNT_TYPES.includes(discountData.type) && !isPromotion)) {
+      errors.push(`Valid type (${[...Discount.DISCOUNT_TYPES, ...Discount.PROMOTION_TYPES].join(', ')}) is required`);
     }
 
-    if (discountData.value === undefined || discountData.value === null || discountData.value < 0) {
+    if (!isPromotion && (discountData.value === undefined || discountData.value === null || discountData.value < 0)) {
       errors.push('Valid value is required');
     }
 
+    if (isPromotion) {
+      errors.push(...this.validatePromotionTerms(discountData.type, discountData.promotion || {}));
+    }
+
     if (discountData.type === 'percentage' && discountData.value > 100) {
       errors.push('Percentage discount cannot exceed 100%');
     }
@@ -429,6 +436,36 @@ class DiscountService {
     };
   }
 
+  // Validate the terms a promotion type needs
+  validatePromotionTerms(type, promotion) {
+    const errors = [];
+    switch (type) {
+      case 'buy_x_get_y':
+        if (!(promotion.buyQuantity >= 1) || !(promotion.getQuantity >= 1)) {
+          errors.push('Buy and get quantities are required for buy X get Y promotions');
+        }
+        break;
+      case 'bundle':
+        if (!(promotion.bundleQuantity >= 2) || promotion.bundlePrice === undefined || promotion.bundlePrice === null || promotion.bundlePrice < 0) {
+          errors.push('Bundle quantity (at least 2) and bundle price are required for bundle promotions');
+        }
+        break;
+      case 'tiered_spend':
+        if (!Array.isArray(promotion.tiers) || promotion.tiers.length === 0) {
+          errors.push('At least one spend tier is required for tiered spend promotions');
+        } else if (promotion.tiers.some(tier => tier.type === 'percentage' && tier.value > 100)) {
+          errors.push('Percentage tier discount cannot exceed 100%');
+        }
+        break;
+      case 'free_item':
+        if (!promotion.freeProduct) {
+          errors.push('A free product is required for free item promotions');
+        }
+        break;
+    }
+    return errors;
+  }
+
   // Parse time string to minutes
   parseTime(timeString) {
     const [hours, minutes] = timeString.split(':').map(Number);
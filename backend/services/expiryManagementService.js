@@ -3,6 +3,7 @@ const Product = require('../models/Product');
 const Inventory = require('../models/Inventory');
 const StockMovement = require('../models/StockMovement');
 const auditLogService = require('./auditLogService');
+const notificationService = require('./notificationService');
 
 class ExpiryManagementService {
   /**
@@ -112,6 +113,11 @@ class ExpiryManagementService {
         const quantity = batch.currentQuantity;
         const value = quantity * batch.unitCost;
 
+        // The batch's stock sits on the Inventory row of its warehouse (batches without one are primary-warehouse stock)
+        const warehouseKey = batch.location?.warehouse || await Inventory.getPrimaryWarehouseKey();
+        const inventory = await Inventory.findOne({ product: batch.product, 'location.warehouse': warehouseKey });
+        const previousStock = inventory?.currentStock || 0;
+
         // Create stock movement for expiry write-off
         await StockMovement.create({
           product: batch.product,
@@ -120,8 +126,8 @@ class ExpiryManagementService {
           quantity,
           unitCost: batch.unitCost,
           totalValue: value,
-          previousStock: (await Inventory.findOne({ product: batch.product }))?.currentStock || 0,
-          newStock: ((await Inventory.findOne({ product: batch.product }))?.currentStock || 0) - quantity,
+          previousStock,
+          newStock: previousStock - quantity,
           referenceType: 'system_generated',
           referenceId: batch._id,
           referenceNumber: `EXP-${batch.batchNumber}`,
@@ -134,7 +140,6 @@ class ExpiryManagementService {
         });
 
         // Update inventory
-        const inventory = await Inventory.findOne({ product: batch.product });
         if (inventory) {
           await Inventory.updateStock(batch.product, {
             type: 'expiry',
@@ -143,7 +148,7 @@ class ExpiryManagementService {
             reference: `Batch ${batch.batchNumber}`,
             date: new Date(),
             performedBy: userId
-          });
+          }, warehouseKey);
         }
 
         // Update batch status
@@ -193,10 +198,13 @@ class ExpiryManagementService {
    * Get FEFO batches for a product (First Expired First Out)
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity needed
+   * @param {object} [options] - warehouseKey to pick from one location; allowPartial to return
+   *   whatever the batches cover instead of throwing when they fall short
    * @returns {Promise<Array>} Array of batches to use
    */
-  async getFEFOBatches(productId, quantity) {
-    const batches = await Batch.findFEFOBatches(productId, quantity);
+  async getFEFOBatches(productId, quantity, options = {}) {
+    const { warehouseKey = null, allowPartial = false } = options;
+    const batches = await Batch.findFEFOBatches(productId, quantity, warehouseKey);
     
     let remainingQty = quantity;
     const batchesToUse = [];
@@ -214,7 +222,7 @@ class ExpiryManagementService {
       remainingQty -= qtyToUse;
     }
 
-    if (remainingQty > 0) {
+    if (remainingQty > 0 && !allowPartial) {
       throw new Error(`Insufficient stock in valid batches. Need ${quantity}, available ${quantity - remainingQty}`);
     }
 
@@ -234,8 +242,12 @@ class ExpiryManagementService {
       expired: []
     };
 
+    const maxDays = Math.max(...days);
+    let expiringCount = 0;
+
     for (const day of days) {
       const expiring = await this.getExpiringSoon(day);
+      if (day === maxDays) expiringCount = expiring.totalItems;
       if (day === 30) alerts.expiring30Days = expiring;
       if (day === 15) alerts.expiring15Days = expiring;
       if (day === 7) alerts.expiring7Days = expiring;
@@ -244,8 +256,21 @@ class ExpiryManagementService {
     const expired = await this.getExpired();
     alerts.expired = expired;
 
-    // TODO: Send notifications (email, SMS, etc.)
-    // await notificationService.sendExpiryAlerts(alerts);
+    alerts.totalItems = expiringCount;
+
+    if (expiringCount > 0 || expired.totalItems > 0) {
+      try {
+        // One alert per day per recipient, however often the check runs
+        await notificationService.notify('inventory.expiry_alert', {
+          days: maxDays,
+          expiringCount,
+          expiring7Days: alerts.expiring7Days.totalItems || 0,
+          expiredCount: expired.totalItems
+        }, { dedupeKey: `inventory.expiry_alert:${new Date().toISOString().slice(0, 10)}` });
+      } catch (error) {
+        console.error('Error sending expiry alert notifications:', error);
+      }
+    }
 
     return alerts;
   }
@@ -206,9 +206,11 @@ class ExportService {
       margin = 50
     } = options;
 
+    // bufferPages lets the footer loop below go back and number every page
     const doc = new PDFDocument({ 
       size: pageSize,
-      margin: margin
+      margin: margin,
+      bufferPages: true
     });
     
     const filepath = path.join(this.exportDir, filename);
@@ -278,6 +280,8 @@ class ExportService {
     const pageCount = doc.bufferedPageRange().count;
     for (let i = 0; i < pageCount; i++) {
       doc.switchToPage(i);
+      // The footer sits inside the bottom margin; clear it so pdfkit does not start a new page
+      doc.page.margins.bottom = 0;
       doc.fontSize(8).font('Helvetica').text(
         `Page ${i + 1} of ${pageCount}`,
         doc.page.width / 2 - 50,
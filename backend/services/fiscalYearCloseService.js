@@ -0,0 +1,393 @@
+const Settings = require('../models/Settings');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const JournalVoucher = require('../models/JournalVoucher');
+const fiscalYearCloseRepository = require('../repositories/FiscalYearCloseRepository');
+const ChartOfAccountsRepository = require('../repositories/ChartOfAccountsRepository');
+const AccountingService = require('./accountingService');
+const accountingPeriodService = require('./accountingPeriodService');
+const trialBalanceService = require('./trialBalanceService');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const BALANCE_SHEET_TYPES = ['asset', 'liability', 'equity'];
+
+/**
+ * Split a balance held in the account's normal direction into debit/credit columns
+ */
+const toDebitCredit = (normalBalance, balance) => {
+  const isDebit = normalBalance === 'debit' ? balance >= 0 : balance < 0;
+  return isDebit
+    ? { debit: round2(Math.abs(balance)), credit: 0 }
+    : { debit: 0, credit: round2(Math.abs(balance)) };
+};
+
+/**
+ * Fiscal Year Close Service
+ * Closes revenue and expense accounts into retained earnings at the end of the fiscal year
+ * configured in Settings.fiscalYearStart, records the balance-sheet balances brought forward
+ * and locks every accounting period of the year. A close can be reversed.
+ */
+class FiscalYearCloseService {
+  /**
+   * Boundaries of a fiscal year
+   * @param {number} [fiscalYear] - Calendar year in which the fiscal year starts; defaults to the last year that has ended
+   * @returns {Promise<object>} { fiscalYear, label, fiscalYearStart, startDate, endDate }
+   */
+  async getFiscalYear(fiscalYear) {
+    const settings = await Settings.getSettings();
+    const fiscalYearStart = settings.fiscalYearStart || 1;
+
+    let year = parseInt(fiscalYear);
+    if (!year) {
+      const [currentYear, currentMonth] = formatDatePakistan(new Date()).split('-').map(Number);
+      year = (currentMonth >= fiscalYearStart ? currentYear : currentYear - 1) - 1;
+    }
+
+    const lastDay = new Date(Date.UTC(year + 1, fiscalYearStart - 1, 0));
+    return {
+      fiscalYear: year,
+      label: fiscalYearStart === 1 ? `FY${year}` : `FY${year}-${String(year + 1).slice(-2)}`,
+      fiscalYearStart,
+      startDate: getStartOfDayPakistan(`${year}-${pad2(fiscalYearStart)}-01`),
+      endDate: getEndOfDayPakistan(`${lastDay.getUTCFullYear()}-${pad2(lastDay.getUTCMonth() + 1)}-${pad2(lastDay.getUTCDate())}`)
+    };
+  }
+
+  /**
+   * Guided preview of a year-end close: readiness checks, the closing journal and the balances brought forward
+   * @param {object} params - { fiscalYear }
+   * @returns {Promise<object>}
+   */
+  async previewClose(params = {}) {
+    const year = await this.getFiscalYear(params.fiscalYear);
+
+    const [existing, previous, later, periods, trialBalance, retainedEarningsAccountCode] = await Promise.all([
+      fiscalYearCloseRepository.findClosed(year.fiscalYear),
+      fiscalYearCloseRepository.findClosed(year.fiscalYear - 1),
+      fiscalYearCloseRepository.findOne({ fiscalYear: { $gt: year.fiscalYear }, status: 'closed' }),
+      AccountingPeriod.find({
+        periodStart: { $gte: year.startDate },
+        periodEnd: { $lte: year.endDate }
+      }).sort({ periodStart: 1 }),
+      trialBalanceService.generateTrialBalance(year.endDate),
+      AccountingService.getRetainedEarningsAccountCode()
+    ]);
+
+    // Revenue and expense balances at year end are closed into retained earnings
+    const closingLines = [];
+    let totalRevenue = 0;
+    let totalExpenses = 0;
+    for (const row of trialBalance.trialBalance) {
+      if ((row.accountType !== 'revenue' && row.accountType !== 'expense') || row.netBalance === 0) continue;
+
+      const { debit, credit } = toDebitCredit(row.normalBalance, row.netBalance);
+      closingLines.push({
+        accountCode: row.accountCode,
+        accountName: row.accountName,
+        accountType: row.accountType,
+        balance: row.netBalance,
+        // Reverse the balance to bring the account to zero
+        debit: credit,
+        credit: debit
+      });
+      if (row.accountType === 'revenue') {
+        totalRevenue += row.netBalance;
+      } else {
+        totalExpenses += row.netBalance;
+      }
+    }
+    const netIncome = round2(totalRevenue - totalExpenses);
+
+    // Post-closing balance-sheet balances become the opening balances of the next year
+    const openingBalances = trialBalance.trialBalance
+      .filter(row => BALANCE_SHEET_TYPES.includes(row.accountType))
+      .map(row => ({
+        accountCode: row.accountCode,
+        accountName: row.accountName,
+        accountType: row.accountType,
+        normalBalance: row.normalBalance,
+        balance: row.accountCode === retainedEarningsAccountCode
+          ? round2(row.netBalance + netIncome)
+          : row.netBalance
+      }));
+    if (!openingBalances.some(line => line.accountCode === retainedEarningsAccountCode)) {
+      const account = await ChartOfAccountsRepository.findByAccountCode(retainedEarningsAccountCode);
+      openingBalances.push({
+        accountCode: retainedEarningsAccountCode,
+        accountName: account?.accountName || 'Retained Earnings',
+        accountType: 'equity',
+        normalBalance: 'credit',
+        balance: netIncome
+      });
+    }
+    const carriedForward = openingBalances
+      .filter(line => line.balance !== 0)
+      .map(line => ({ ...line, ...toDebitCredit(line.normalBalance, line.balance) }));
+
+    const openPeriods = periods.filter(period => period.status === 'open' || period.status === 'closing');
+    const checks = [
+      {
+        key: 'year_ended',
+        label: 'Fiscal year has ended',
+        blocking: true,
+        passed: year.endDate < new Date(),
+        message: `${year.label} ends on ${formatDatePakistan(year.endDate)}`
+      },
+      {
+        key: 'not_closed',
+        label: 'Fiscal year is not already closed',
+        blocking: true,
+        passed: !existing,
+        message: existing
+          ? `${year.label} was already closed by ${existing.closingVoucherNumber || 'a close with no journal'}`
+          : `${year.label} has not been closed`
+      },
+      {
+        key: 'later_years',
+        label: 'No later fiscal year is closed',
+        blocking: true,
+        passed: !later,
+        message: later ? `${later.label} is closed; reverse it first` : 'No later fiscal year is closed'
+      },
+      {
+        key: 'trial_balance',
+        label: 'Trial balance is balanced',
+        blocking: true,
+        passed: trialBalance.isBalanced,
+        message: trialBalance.validation.message
+      },
+      {
+        key: 'previous_year',
+        label: 'Previous fiscal year is closed',
+        blocking: false,
+        passed: !!previous,
+        message: previous
+          ? `${previous.label} was closed by ${previous.closingVoucherNumber || 'a close with no journal'}`
+          : 'No close is recorded for the previous fiscal year; earlier revenue and expenses are closed with this year'
+      },
+      {
+        key: 'open_periods',
+        label: 'Accounting periods of the year are closed',
+        blocking: false,
+        passed: openPeriods.length === 0,
+        message: openPeriods.length === 0
+          ? 'All accounting periods of the year are closed'
+          : `${openPeriods.length} open period(s) will be locked without their own closing entries: ${openPeriods.map(period => period.periodName).join(', ')}`
+      }
+    ];
+
+    return {
+      ...year,
+      checks,
+      canClose: checks.every(check => check.passed || !check.blocking),
+      closingLines,
+      totalRevenue: round2(totalRevenue),
+      totalExpenses: round2(totalExpenses),
+      netIncome,
+      retainedEarningsAccountCode,
+      openingBalances: carriedForward,
+      periods: periods.map(period => ({
+        period: period._id,
+        periodName: period.periodName,
+        periodType: period.periodType,
+        status: period.status
+      }))
+    };
+  }
+
+  /**
+   * Close a fiscal year: post the closing journal, lock its periods and save the audit record
+   * @param {object} data - { fiscalYear, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Saved fiscal year close
+   */
+  async closeFiscalYear(data, user) {
+    const preview = await this.previewClose(data);
+    const failed = preview.checks.find(check => check.blocking && !check.passed);
+    if (failed) {
+      throw new Error(`Cannot close ${preview.label}: ${failed.message}`);
+    }
+
+    let voucher = null;
+    if (preview.closingLines.length > 0) {
+      const label = `Year-end close ${preview.label}`;
+      voucher = await AccountingService.postJournalVoucher({
+        voucherDate: preview.endDate,
+        reference: `YEAR-END ${preview.label}`,
+        description: `Year-end closing entries for ${preview.label} (${formatDatePakistan(preview.startDate)} to ${formatDatePakistan(preview.endDate)})`,
+        notes: `${data.notes ? `${data.notes}\n` : ''}Net income: ${preview.netIncome >= 0 ? '+' : ''}${preview.netIncome.toFixed(2)}`,
+        numberPrefix: 'CLOSE',
+        lines: [
+          ...preview.closingLines.map(line => ({
+            accountCode: line.accountCode,
+            debit: line.debit,
+            credit: line.credit,
+            particulars: `${label}: close ${line.accountName} to Retained Earnings`
+          })),
+          {
+            accountCode: preview.retainedEarningsAccountCode,
+            debit: preview.netIncome < 0 ? -preview.netIncome : 0,
+            credit: preview.netIncome > 0 ? preview.netIncome : 0,
+            particulars: `${label}: net ${preview.netIncome >= 0 ? 'income' : 'loss'} to Retained Earnings`
+          }
+        ],
+        metadata: {
+          isClosingEntry: true,
+          source: 'fiscal_year_close',
+          fiscalYear: preview.fiscalYear,
+          netIncome: preview.netIncome
+        },
+        // Months of the year may already be closed; the year is locked straight after
+        allowClosedPeriod: true,
+        createdBy: user._id
+      });
+    }
+
+    let periods;
+    try {
+      periods = await accountingPeriodService.lockFiscalYear(preview, user, `Fiscal year ${preview.label} closed`);
+    } catch (error) {
+      // Undo the closing journal so the year is left as it was
+      if (voucher) {
+        await this._postReversal(voucher, preview, user);
+      }
+      throw error;
+    }
+
+    return await fiscalYearCloseRepository.create({
+      fiscalYear: preview.fiscalYear,
+      label: preview.label,
+      fiscalYearStart: preview.fiscalYearStart,
+      startDate: preview.startDate,
+      endDate: preview.endDate,
+      closingLines: preview.closingLines,
+      totalRevenue: preview.totalRevenue,
+      totalExpenses: preview.totalExpenses,
+      netIncome: preview.netIncome,
+      retainedEarningsAccountCode: preview.retainedEarningsAccountCode,
+      openingBalances: preview.openingBalances,
+      periods,
+      closingVoucher: voucher?._id,
+      closingVoucherNumber: voucher?.voucherNumber,
+      notes: data.notes,
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Reverse a fiscal year close: post the reversing journal and restore its periods
+   * @param {string} id - Fiscal year close ID
+   * @param {object} data - { reason }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated fiscal year close
+   */
+  async reverseClose(id, data, user) {
+    const close = await this.getCloseById(id);
+    if (close.status === 'reversed') {
+      throw new Error(`Cannot reverse: the close of ${close.label} is already reversed`);
+    }
+    const later = await fiscalYearCloseRepository.findOne({ fiscalYear: { $gt: close.fiscalYear }, status: 'closed' });
+    if (later) {
+      throw new Error(`Cannot reverse ${close.label}: ${later.label} is closed; reverse it first`);
+    }
+
+    if (close.closingVoucher) {
+      const original = await JournalVoucher.findById(close.closingVoucher);
+      if (!original) {
+        throw new Error('Year-end closing journal voucher not found');
+      }
+      const voucher = await this._postReversal(original, close, user);
+      close.reversalVoucher = voucher._id;
+      close.reversalVoucherNumber = voucher.voucherNumber;
+    }
+
+    await accountingPeriodService.restoreFiscalYearPeriods(close.periods);
+
+    close.status = 'reversed';
+    close.reversedAt = new Date();
+    close.reversedBy = user._id;
+    close.reversalReason = data.reason;
+    await close.save();
+    return close;
+  }
+
+  /**
+   * Balances brought forward into a fiscal year from the close of the year before it
+   * @param {object} params - { fiscalYear } of the new year; defaults to the current year
+   * @returns {Promise<object>}
+   */
+  async getOpeningBalances(params = {}) {
+    const previousYear = await this.getFiscalYear(params.fiscalYear ? parseInt(params.fiscalYear) - 1 : undefined);
+    const year = await this.getFiscalYear(previousYear.fiscalYear + 1);
+    const close = await fiscalYearCloseRepository.findClosed(previousYear.fiscalYear);
+    if (!close) {
+      throw new Error(`Opening balances for ${year.label} not found: ${previousYear.label} has not been closed`);
+    }
+
+    return {
+      ...year,
+      broughtForwardFrom: {
+        _id: close._id,
+        label: close.label,
+        closingVoucherNumber: close.closingVoucherNumber
+      },
+      openingBalances: close.openingBalances,
+      totals: {
+        debit: round2(close.openingBalances.reduce((sum, line) => sum + (line.debit || 0), 0)),
+        credit: round2(close.openingBalances.reduce((sum, line) => sum + (line.credit || 0), 0))
+      }
+    };
+  }
+
+  async getCloses(queryParams = {}) {
+    const filter = {};
+    if (queryParams.status) filter.status = queryParams.status;
+    return await fiscalYearCloseRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  async getCloseById(id) {
+    const close = await fiscalYearCloseRepository.findById(id, {
+      populate: [
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'reversedBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!close) {
+      throw new Error('Fiscal year close not found');
+    }
+    return close;
+  }
+
+  async _postReversal(original, year, user) {
+    // Dated on the last day of the year so year-end balances are restored
+    const label = `Reversal of year-end close ${year.label}`;
+    return await AccountingService.postJournalVoucher({
+      voucherDate: year.endDate,
+      reference: original.voucherNumber,
+      description: label,
+      numberPrefix: 'CLOSE',
+      lines: original.entries.map(entry => ({
+        accountCode: entry.accountCode,
+        debit: entry.credit,
+        credit: entry.debit,
+        particulars: label
+      })),
+      metadata: { source: 'fiscal_year_close_reversal', fiscalYear: year.fiscalYear },
+      // Posted while the year is still locked; its periods are restored afterwards
+      allowClosedPeriod: true,
+      createdBy: user._id
+    });
+  }
+}
+
+module.exports = new FiscalYearCloseService();
@@ -0,0 +1,758 @@
+const FixedAsset = require('../models/FixedAsset');
+const DepreciationRun = require('../models/DepreciationRun');
+const fixedAssetRepository = require('../repositories/FixedAssetRepository');
+const depreciationRunRepository = require('../repositories/DepreciationRunRepository');
+const supplierRepository = require('../repositories/SupplierRepository');
+const AccountingService = require('./accountingService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const CATEGORIES = ['land', 'buildings', 'equipment', 'vehicles', 'furniture_and_fixtures', 'computer_equipment', 'other'];
+
+// Depreciation inputs that can be revised until the first run is posted
+const BASIS_FIELDS = ['cost', 'salvageValue', 'acquisitionDate', 'depreciationStartDate', 'openingAccumulatedDepreciation',
+  'assetAccountCode', 'accumulatedDepreciationAccountCode', 'depreciationExpenseAccountCode'];
+// Estimates that may change prospectively while the asset is in use
+const ESTIMATE_FIELDS = ['usefulLifeMonths', 'depreciationMethod', 'decliningBalanceRate'];
+const DESCRIPTIVE_FIELDS = ['name', 'category', 'description', 'serialNumber', 'location', 'supplier', 'notes'];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Months since year 0, taken in Pakistan time so month-end postings stay in their month
+const monthIndexOf = (date) => {
+  const [year, month] = formatDatePakistan(date).split('-').map(Number);
+  return year * 12 + (month - 1);
+};
+
+class FixedAssetService {
+  /**
+   * List assets in the register
+   * @param {object} queryParams - { status, category, search, page, limit }
+   * @returns {Promise<{assets: Array, total: number, pagination: object}>}
+   */
+  async getAssets(queryParams = {}) {
+    const filter = {};
+    ['status', 'category'].forEach(key => {
+      if (queryParams[key]) filter[key] = queryParams[key];
+    });
+
+    if (queryParams.search) {
+      const pattern = new RegExp(String(queryParams.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { assetNumber: pattern },
+        { name: pattern },
+        { serialNumber: pattern },
+        { location: pattern }
+      ];
+    }
+
+    return await fixedAssetRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 50
+    });
+  }
+
+  /**
+   * Get an asset with its depreciation history
+   * @param {string} id - Asset ID
+   * @returns {Promise<object>}
+   */
+  async getAssetById(id) {
+    const asset = await fixedAssetRepository.findById(id, {
+      populate: [
+        { path: 'supplier', select: 'companyName name' },
+        { path: 'acquisitionVoucher', select: 'voucherNumber voucherDate' },
+        { path: 'disposal.journalVoucher', select: 'voucherNumber voucherDate' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!asset) {
+      throw new Error('Fixed asset not found');
+    }
+
+    const runs = await depreciationRunRepository.findAll(
+      { 'lines.asset': asset._id },
+      { sort: { periodEnd: -1 }, lean: true }
+    );
+    const depreciationHistory = runs.map(run => {
+      const line = run.lines.find(item => item.asset.toString() === asset._id.toString());
+      return {
+        run: run._id,
+        runNumber: run.runNumber,
+        periodEnd: run.periodEnd,
+        status: run.status,
+        amount: line.amount,
+        monthsCharged: line.monthsCharged,
+        accumulatedAfter: line.accumulatedAfter,
+        bookValueAfter: line.bookValueAfter
+      };
+    });
+
+    return {
+      ...asset.toObject(),
+      monthlyDepreciation: asset.status === 'active' ? this.calculateDepreciation(asset, 1) : 0,
+      depreciationHistory
+    };
+  }
+
+  /**
+   * Add an asset to the register, optionally posting its purchase
+   * @param {object} data - Asset details; fundingAccountCode posts Dr asset / Cr funding account for the cost
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async createAsset(data, user) {
+    const accountCodes = await AccountingService.getFixedAssetAccountCodes();
+    const asset = new FixedAsset({
+      name: data.name,
+      category: data.category,
+      description: data.description,
+      serialNumber: data.serialNumber,
+      location: data.location,
+      supplier: data.supplier || undefined,
+      cost: round2(parseFloat(data.cost)),
+      salvageValue: round2(parseFloat(data.salvageValue) || 0),
+      acquisitionDate: new Date(data.acquisitionDate),
+      depreciationStartDate: data.depreciationStartDate ? new Date(data.depreciationStartDate) : undefined,
+      usefulLifeMonths: parseInt(data.usefulLifeMonths),
+      depreciationMethod: data.depreciationMethod,
+      decliningBalanceRate: data.decliningBalanceRate !== undefined ? parseFloat(data.decliningBalanceRate) : undefined,
+      assetAccountCode: data.assetAccountCode || accountCodes.fixedAssets,
+      accumulatedDepreciationAccountCode: data.accumulatedDepreciationAccountCode || accountCodes.accumulatedDepreciation,
+      depreciationExpenseAccountCode: data.depreciationExpenseAccountCode || accountCodes.depreciationExpense,
+      openingAccumulatedDepreciation: round2(parseFloat(data.openingAccumulatedDepreciation) || 0),
+      notes: data.notes,
+      createdBy: user._id
+    });
+    asset.accumulatedDepreciation = asset.openingAccumulatedDepreciation;
+    await this._validateBasis(asset);
+
+    if (data.fundingAccountCode) {
+      await AccountingService.validateAccount(data.fundingAccountCode);
+    }
+
+    await asset.save();
+
+    if (data.fundingAccountCode) {
+      try {
+        const voucher = await AccountingService.postJournalVoucher({
+          voucherDate: asset.acquisitionDate,
+          reference: asset.assetNumber,
+          description: `Acquisition of ${asset.name} (${asset.assetNumber})`,
+          numberPrefix: 'FA',
+          lines: [
+            { accountCode: asset.assetAccountCode, debit: asset.cost, particulars: `${asset.assetNumber} ${asset.name}` },
+            { accountCode: data.fundingAccountCode, credit: asset.cost, particulars: `${asset.assetNumber} ${asset.name}` }
+          ],
+          metadata: { source: 'fixed_asset_acquisition', asset: asset._id },
+          createdBy: user._id
+        });
+        asset.acquisitionVoucher = voucher._id;
+        await asset.save();
+      } catch (error) {
+        // Nothing has been posted for the asset yet, so drop it rather than leave it unfunded
+        await fixedAssetRepository.hardDelete(asset._id);
+        throw error;
+      }
+    }
+
+    return await this.getAssetById(asset._id);
+  }
+
+  /**
+   * Update an asset; cost and accounts are fixed once depreciation has been posted,
+   * while useful life and method changes apply to the remaining book value
+   * @param {string} id - Asset ID
+   * @param {object} data - Fields to change
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async updateAsset(id, data, user) {
+    const asset = await this._getAsset(id);
+    if (asset.status === 'disposed') {
+      throw new Error(`Cannot update ${asset.assetNumber}: the asset has been disposed`);
+    }
+
+    const basisChanges = BASIS_FIELDS.filter(field => data[field] !== undefined);
+    if (basisChanges.length > 0) {
+      if (asset.depreciatedThrough) {
+        throw new Error(`Cannot change ${basisChanges.join(', ')} of ${asset.assetNumber}: depreciation has already been posted`);
+      }
+      if (asset.acquisitionVoucher && (data.cost !== undefined || data.assetAccountCode !== undefined)) {
+        throw new Error(`Cannot change the cost or asset account of ${asset.assetNumber}: its acquisition has been posted`);
+      }
+    }
+
+    [...DESCRIPTIVE_FIELDS, ...ESTIMATE_FIELDS, ...BASIS_FIELDS].forEach(field => {
+      if (data[field] !== undefined) asset[field] = data[field] === '' ? undefined : data[field];
+    });
+    if (data.openingAccumulatedDepreciation !== undefined) {
+      asset.accumulatedDepreciation = asset.openingAccumulatedDepreciation;
+    }
+    await this._validateBasis(asset);
+
+    if (asset.status === 'fully_depreciated' && this._remaining(asset) > 0) {
+      asset.status = 'active';
+    }
+    asset.updatedBy = user._id;
+    await asset.save();
+
+    return await this.getAssetById(asset._id);
+  }
+
+  /**
+   * Remove an asset entered by mistake; only possible while nothing has been posted for it
+   * @param {string} id - Asset ID
+   * @returns {Promise<object>}
+   */
+  async deleteAsset(id) {
+    const asset = await this._getAsset(id);
+    if (asset.depreciatedThrough || asset.acquisitionVoucher || asset.status === 'disposed') {
+      throw new Error(`Cannot delete ${asset.assetNumber}: entries have been posted for it; dispose of it instead`);
+    }
+
+    await fixedAssetRepository.softDelete(asset._id);
+    return { message: 'Fixed asset deleted successfully' };
+  }
+
+  /**
+   * Depreciation for a number of months from the asset's current position, never below salvage value.
+   * Straight line spreads the remaining depreciable amount evenly over the remaining life, so revised
+   * estimates apply prospectively; declining balance applies the annual rate to book value monthly.
+   * The last month of the useful life takes whatever is left.
+   * @param {object} asset - Fixed asset
+   * @param {number} months - Months to charge
+   * @returns {number}
+   */
+  calculateDepreciation(asset, months) {
+    const remaining = this._remaining(asset);
+    if (remaining <= 0 || months <= 0) return 0;
+
+    if (asset.monthsDepreciated + months >= asset.usefulLifeMonths) {
+      return remaining;
+    }
+
+    let amount;
+    if (asset.depreciationMethod === 'declining_balance') {
+      const annualRate = (asset.decliningBalanceRate || 200 / (asset.usefulLifeMonths / 12)) / 100;
+      const monthlyRate = Math.min(annualRate / 12, 1);
+      let bookValue = asset.cost - asset.accumulatedDepreciation;
+      amount = 0;
+      for (let i = 0; i < months; i++) {
+        const charge = bookValue * monthlyRate;
+        amount += charge;
+        bookValue -= charge;
+      }
+    } else {
+      amount = remaining / (asset.usefulLifeMonths - asset.monthsDepreciated) * months;
+    }
+
+    return round2(Math.min(amount, remaining));
+  }
+
+  /**
+   * Work out the depreciation a run would post for a month without posting it
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Promise<object>} { runNumber, year, month, periodStart, periodEnd, lines, assetCount, totalAmount }
+   */
+  async previewDepreciation(year, month) {
+    const { periodStart, periodEnd } = this._getPeriod(year, month);
+    const periodIndex = year * 12 + (month - 1);
+    const assets = await fixedAssetRepository.findDepreciable(periodStart, periodEnd);
+
+    const lines = [];
+    assets.forEach(asset => {
+      const firstIndex = asset.depreciatedThrough
+        ? monthIndexOf(asset.depreciatedThrough) + 1
+        : monthIndexOf(asset.depreciationStartDate || asset.acquisitionDate);
+      const monthsCharged = periodIndex - firstIndex + 1;
+      const amount = this.calculateDepreciation(asset, monthsCharged);
+      if (amount <= 0) return;
+
+      const accumulatedAfter = round2(asset.accumulatedDepreciation + amount);
+      lines.push({
+        asset: asset._id,
+        assetNumber: asset.assetNumber,
+        assetName: asset.name,
+        category: asset.category,
+        expenseAccountCode: asset.depreciationExpenseAccountCode,
+        accumulatedDepreciationAccountCode: asset.accumulatedDepreciationAccountCode,
+        amount,
+        monthsCharged,
+        accumulatedBefore: asset.accumulatedDepreciation,
+        accumulatedAfter,
+        bookValueAfter: round2(asset.cost - accumulatedAfter),
+        statusBefore: asset.status,
+        depreciatedThroughBefore: asset.depreciatedThrough
+      });
+    });
+
+    return {
+      runNumber: `DEP-${year}-${pad2(month)}`,
+      year,
+      month,
+      periodStart,
+      periodEnd,
+      lines,
+      assetCount: lines.length,
+      totalAmount: round2(lines.reduce((sum, line) => sum + line.amount, 0))
+    };
+  }
+
+  /**
+   * Post a month's depreciation as one journal voucher and roll each asset forward
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {object} data - { notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Saved depreciation run
+   */
+  async runDepreciation(year, month, data, user) {
+    const label = `${year}-${pad2(month)}`;
+    const { periodStart } = this._getPeriod(year, month);
+    if (periodStart > new Date()) {
+      throw new Error(`Cannot run depreciation for ${label}: the month has not started`);
+    }
+
+    const existing = await depreciationRunRepository.findPostedForPeriod(year, month);
+    if (existing) {
+      throw new Error(`Cannot run depreciation for ${label}: it was already posted as ${existing.runNumber}`);
+    }
+    const latest = await depreciationRunRepository.findLatestPosted();
+    if (latest && latest.periodEnd > periodStart) {
+      throw new Error(`Cannot run depreciation for ${label}: ${latest.runNumber} covers a later month`);
+    }
+
+    const preview = await this.previewDepreciation(year, month);
+    if (preview.lines.length === 0) {
+      throw new Error(`Cannot run depreciation for ${label}: no assets are due for depreciation`);
+    }
+
+    // The voucher, the run and the asset roll-forward are saved together or not at all
+    return await runWithTransactionRetry(async (session) => {
+      const voucher = await AccountingService.postJournalVoucher({
+        voucherDate: preview.periodEnd,
+        reference: preview.runNumber,
+        description: `Depreciation for ${label}`,
+        notes: data.notes,
+        numberPrefix: 'DEP',
+        lines: this._groupLines(preview.lines, 'expenseAccountCode', 'accumulatedDepreciationAccountCode', `Depreciation ${label}`),
+        metadata: { source: 'depreciation_run', runNumber: preview.runNumber },
+        createdBy: user._id,
+        session
+      });
+
+      const run = new DepreciationRun({
+        ...preview,
+        journalVoucher: voucher._id,
+        notes: data.notes,
+        createdBy: user._id
+      });
+      await run.save({ session });
+
+      for (const line of preview.lines) {
+        const asset = await fixedAssetRepository.findById(line.asset, { session });
+        asset.accumulatedDepreciation = line.accumulatedAfter;
+        asset.monthsDepreciated += line.monthsCharged;
+        asset.depreciatedThrough = preview.periodEnd;
+        if (this._remaining(asset) <= 0) {
+          asset.status = 'fully_depreciated';
+        }
+        await asset.save({ session });
+      }
+
+      return run;
+    });
+  }
+
+  /**
+   * Reverse the latest depreciation run, restoring the assets it charged
+   * @param {string} id - Depreciation run ID
+   * @param {object} data - { reason }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Reversed depreciation run
+   */
+  async reverseDepreciationRun(id, data, user) {
+    const run = await depreciationRunRepository.findById(id);
+    if (!run) {
+      throw new Error('Depreciation run not found');
+    }
+    if (run.status !== 'posted') {
+      throw new Error(`Cannot reverse ${run.runNumber}: it has already been reversed`);
+    }
+    const latest = await depreciationRunRepository.findLatestPosted();
+    if (latest && latest._id.toString() !== run._id.toString()) {
+      throw new Error(`Cannot reverse ${run.runNumber}: reverse ${latest.runNumber} first`);
+    }
+
+    const assets = [];
+    for (const line of run.lines) {
+      const asset = await fixedAssetRepository.findById(line.asset, { includeDeleted: true });
+      if (asset && asset.status === 'disposed') {
+        throw new Error(`Cannot reverse ${run.runNumber}: ${asset.assetNumber} has since been disposed`);
+      }
+      assets.push(asset);
+    }
+
+    return await runWithTransactionRetry(async (session) => {
+      // Swap the sides of the original posting
+      const voucher = await AccountingService.postJournalVoucher({
+        voucherDate: run.periodEnd,
+        reference: run.runNumber,
+        description: `Reversal of depreciation run ${run.runNumber}`,
+        notes: data.reason,
+        numberPrefix: 'DEP',
+        lines: this._groupLines(run.lines, 'accumulatedDepreciationAccountCode', 'expenseAccountCode', `Reversal of ${run.runNumber}`),
+        metadata: { source: 'depreciation_run_reversal', runNumber: run.runNumber },
+        createdBy: user._id,
+        session
+      });
+
+      for (let i = 0; i < run.lines.length; i++) {
+        const line = run.lines[i];
+        const asset = assets[i];
+        if (!asset) continue;
+        asset.accumulatedDepreciation = line.accumulatedBefore;
+        asset.monthsDepreciated = Math.max(0, asset.monthsDepreciated - (line.monthsCharged || 1));
+        asset.depreciatedThrough = line.depreciatedThroughBefore || undefined;
+        asset.status = line.statusBefore || 'active';
+        await asset.save({ session });
+      }
+
+      run.status = 'reversed';
+      run.reversalVoucher = voucher._id;
+      run.reversedAt = new Date();
+      run.reversedBy = user._id;
+      run.reversalReason = data.reason;
+      await run.save({ session });
+
+      return run;
+    });
+  }
+
+  /**
+   * List depreciation runs, newest first
+   * @param {object} queryParams - { year, status, page, limit }
+   * @returns {Promise<{runs: Array, pagination: object}>}
+   */
+  async getDepreciationRuns(queryParams = {}) {
+    const filter = {};
+    if (queryParams.year) filter.year = parseInt(queryParams.year);
+    if (queryParams.status) filter.status = queryParams.status;
+
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 24;
+    const [runs, total] = await Promise.all([
+      depreciationRunRepository.findAll(filter, {
+        sort: { periodEnd: -1, createdAt: -1 },
+        skip: (page - 1) * limit,
+        limit,
+        select: '-lines',
+        populate: [
+          { path: 'journalVoucher', select: 'voucherNumber' },
+          { path: 'reversalVoucher', select: 'voucherNumber' },
+          { path: 'createdBy', select: 'firstName lastName' }
+        ]
+      }),
+      depreciationRunRepository.count(filter)
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Get a depreciation run with its lines
+   * @param {string} id - Depreciation run ID
+   * @returns {Promise<object>}
+   */
+  async getDepreciationRunById(id) {
+    const run = await depreciationRunRepository.findById(id, {
+      populate: [
+        { path: 'journalVoucher', select: 'voucherNumber voucherDate totalDebit' },
+        { path: 'reversalVoucher', select: 'voucherNumber voucherDate' },
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'reversedBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!run) {
+      throw new Error('Depreciation run not found');
+    }
+    return run;
+  }
+
+  /**
+   * Dispose of an asset: remove its cost and accumulated depreciation and post any gain or loss
+   * against the proceeds
+   * @param {string} id - Asset ID
+   * @param {object} data - { date, method, proceeds, proceedsAccountCode, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async disposeAsset(id, data, user) {
+    const asset = await this._getAsset(id);
+    if (asset.status === 'disposed') {
+      throw new Error(`Cannot dispose of ${asset.assetNumber}: it was already disposed on ${formatDatePakistan(asset.disposal.date)}`);
+    }
+
+    const date = data.date ? getEndOfDayPakistan(data.date) : new Date();
+    if (date < asset.acquisitionDate) {
+      throw new Error(`Cannot dispose of ${asset.assetNumber} before its acquisition date`);
+    }
+    if (asset.depreciatedThrough && date < asset.depreciatedThrough) {
+      throw new Error(`Cannot dispose of ${asset.assetNumber} on ${formatDatePakistan(date)}: depreciation is posted through ${formatDatePakistan(asset.depreciatedThrough)}`);
+    }
+
+    const method = data.method || 'sale';
+    const proceeds = round2(parseFloat(data.proceeds) || 0);
+    if (proceeds < 0) {
+      throw new Error('Cannot dispose of an asset for negative proceeds');
+    }
+    const accountCodes = await AccountingService.getFixedAssetAccountCodes();
+    const proceedsAccountCode = proceeds > 0
+      ? (data.proceedsAccountCode || (await AccountingService.getDefaultAccountCodes()).cash)
+      : undefined;
+
+    const bookValue = round2(asset.cost - asset.accumulatedDepreciation);
+    const gainLoss = round2(proceeds - bookValue);
+    const particulars = `Disposal of ${asset.assetNumber} ${asset.name}`;
+
+    const voucher = await AccountingService.postJournalVoucher({
+      voucherDate: date,
+      reference: asset.assetNumber,
+      description: `${particulars} (${method.replace(/_/g, ' ')})`,
+      notes: data.notes,
+      numberPrefix: 'FA',
+      lines: [
+        { accountCode: asset.accumulatedDepreciationAccountCode, debit: asset.accumulatedDepreciation, particulars },
+        { accountCode: proceedsAccountCode, debit: proceeds, particulars: `Proceeds: ${particulars}` },
+        { accountCode: accountCodes.lossOnDisposal, debit: gainLoss < 0 ? -gainLoss : 0, particulars: `Loss on ${particulars}` },
+        { accountCode: asset.assetAccountCode, credit: asset.cost, particulars },
+        { accountCode: accountCodes.gainOnDisposal, credit: gainLoss > 0 ? gainLoss : 0, particulars: `Gain on ${particulars}` }
+      ],
+      metadata: { source: 'fixed_asset_disposal', asset: asset._id },
+      createdBy: user._id
+    });
+
+    asset.status = 'disposed';
+    asset.disposal = {
+      date,
+      method,
+      proceeds,
+      proceedsAccountCode,
+      bookValue,
+      gainLoss,
+      journalVoucher: voucher._id,
+      notes: data.notes
+    };
+    asset.updatedBy = user._id;
+    await asset.save();
+
+    return await this.getAssetById(asset._id);
+  }
+
+  /**
+   * Asset schedule: cost and accumulated depreciation rolled forward per asset and category
+   * @param {object} options - { startDate, endDate }
+   * @returns {Promise<object>} { period, assets, categories, totals }
+   */
+  async getAssetSchedule({ startDate, endDate }) {
+    const start = getStartOfDayPakistan(startDate);
+    const end = getEndOfDayPakistan(endDate);
+    const [assets, chargedBefore, chargedDuring] = await Promise.all([
+      fixedAssetRepository.findHeldDuring(start, end),
+      depreciationRunRepository.getDepreciationByAsset(null, new Date(start.getTime() - 1)),
+      depreciationRunRepository.getDepreciationByAsset(start, end)
+    ]);
+
+    const rows = assets.map(asset => {
+      const key = asset._id.toString();
+      const addedInPeriod = asset.acquisitionDate >= start;
+      const disposedInPeriod = !!(asset.disposal?.date && asset.disposal.date <= end);
+
+      const openingCost = addedInPeriod ? 0 : asset.cost;
+      const additions = addedInPeriod ? asset.cost : 0;
+      const disposals = disposedInPeriod ? asset.cost : 0;
+
+      const broughtForward = round2((asset.openingAccumulatedDepreciation || 0) + (chargedBefore.get(key) || 0));
+      const openingAccumulated = addedInPeriod ? 0 : broughtForward;
+      // Depreciation charged before an asset joined the register arrives with it
+      const accumulatedOnAdditions = addedInPeriod ? broughtForward : 0;
+      const charge = round2(chargedDuring.get(key) || 0);
+      const accumulatedOnDisposals = disposedInPeriod ? round2(openingAccumulated + accumulatedOnAdditions + charge) : 0;
+
+      const closingCost = round2(openingCost + additions - disposals);
+      const closingAccumulated = round2(openingAccumulated + accumulatedOnAdditions + charge - accumulatedOnDisposals);
+
+      return {
+        asset: asset._id,
+        assetNumber: asset.assetNumber,
+        name: asset.name,
+        category: asset.category,
+        acquisitionDate: asset.acquisitionDate,
+        depreciationMethod: asset.depreciationMethod,
+        usefulLifeMonths: asset.usefulLifeMonths,
+        status: asset.status,
+        disposalDate: disposedInPeriod ? asset.disposal.date : null,
+        cost: { opening: openingCost, additions, disposals, closing: closingCost },
+        accumulatedDepreciation: {
+          opening: openingAccumulated,
+          additions: accumulatedOnAdditions,
+          charge,
+          disposals: accumulatedOnDisposals,
+          closing: closingAccumulated
+        },
+        netBookValue: round2(closingCost - closingAccumulated)
+      };
+    });
+
+    const emptyTotals = () => ({
+      assetCount: 0,
+      cost: { opening: 0, additions: 0, disposals: 0, closing: 0 },
+      accumulatedDepreciation: { opening: 0, additions: 0, charge: 0, disposals: 0, closing: 0 },
+      netBookValue: 0
+    });
+    const addTo = (totals, row) => {
+      totals.assetCount += 1;
+      Object.keys(totals.cost).forEach(key => {
+        totals.cost[key] = round2(totals.cost[key] + row.cost[key]);
+      });
+      Object.keys(totals.accumulatedDepreciation).forEach(key => {
+        totals.accumulatedDepreciation[key] = round2(totals.accumulatedDepreciation[key] + row.accumulatedDepreciation[key]);
+      });
+      totals.netBookValue = round2(totals.netBookValue + row.netBookValue);
+    };
+
+    const categories = {};
+    const totals = emptyTotals();
+    rows.forEach(row => {
+      if (!categories[row.category]) categories[row.category] = emptyTotals();
+      addTo(categories[row.category], row);
+      addTo(totals, row);
+    });
+
+    return {
+      period: { startDate: start, endDate: end },
+      assets: rows,
+      categories: CATEGORIES
+        .filter(category => categories[category])
+        .map(category => ({ category, ...categories[category] })),
+      totals
+    };
+  }
+
+  /**
+   * Cost by category and accumulated depreciation of assets held at a date (used by the balance sheet)
+   * @param {Date} asOfDate - Statement date
+   * @returns {Promise<object>} { assetCount, costByCategory, totalCost, accumulatedDepreciation }
+   */
+  async getRegisterTotals(asOfDate) {
+    const [assets, charged] = await Promise.all([
+      fixedAssetRepository.findHeldDuring(null, asOfDate),
+      depreciationRunRepository.getDepreciationByAsset(null, asOfDate)
+    ]);
+
+    const costByCategory = {};
+    let totalCost = 0;
+    let accumulatedDepreciation = 0;
+    assets.forEach(asset => {
+      costByCategory[asset.category] = round2((costByCategory[asset.category] || 0) + asset.cost);
+      totalCost += asset.cost;
+      accumulatedDepreciation += (asset.openingAccumulatedDepreciation || 0) + (charged.get(asset._id.toString()) || 0);
+    });
+
+    return {
+      assetCount: assets.length,
+      costByCategory,
+      totalCost: round2(totalCost),
+      accumulatedDepreciation: round2(accumulatedDepreciation)
+    };
+  }
+
+  /**
+   * Cost, proceeds and gain or loss of assets disposed of in a period (used by the cash flow statement)
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<object>} { count, cost, proceeds, gainLoss }
+   */
+  async getDisposalTotals(startDate, endDate) {
+    const assets = await fixedAssetRepository.findDisposedDuring(startDate, endDate);
+    return {
+      count: assets.length,
+      cost: round2(assets.reduce((sum, asset) => sum + (asset.cost || 0), 0)),
+      proceeds: round2(assets.reduce((sum, asset) => sum + (asset.disposal.proceeds || 0), 0)),
+      gainLoss: round2(assets.reduce((sum, asset) => sum + (asset.disposal.gainLoss || 0), 0))
+    };
+  }
+
+  async _getAsset(id) {
+    const asset = await fixedAssetRepository.findById(id);
+    if (!asset) {
+      throw new Error('Fixed asset not found');
+    }
+    return asset;
+  }
+
+  _remaining(asset) {
+    return round2(asset.cost - asset.salvageValue - asset.accumulatedDepreciation);
+  }
+
+  _getPeriod(year, month) {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return {
+      periodStart: getStartOfDayPakistan(`${year}-${pad2(month)}-01`),
+      periodEnd: getEndOfDayPakistan(`${year}-${pad2(month)}-${pad2(lastDay)}`)
+    };
+  }
+
+  // One debit and one credit line per account across all run lines
+  _groupLines(lines, debitKey, creditKey, particulars) {
+    const debits = new Map();
+    const credits = new Map();
+    lines.forEach(line => {
+      debits.set(line[debitKey], round2((debits.get(line[debitKey]) || 0) + line.amount));
+      credits.set(line[creditKey], round2((credits.get(line[creditKey]) || 0) + line.amount));
+    });
+
+    return [
+      ...[...debits].map(([accountCode, debit]) => ({ accountCode, debit, particulars })),
+      ...[...credits].map(([accountCode, credit]) => ({ accountCode, credit, particulars }))
+    ];
+  }
+
+  async _validateBasis(asset) {
+    if (asset.salvageValue >= asset.cost) {
+      throw new Error('Cannot save asset: salvage value must be less than cost');
+    }
+    if (asset.openingAccumulatedDepreciation > round2(asset.cost - asset.salvageValue)) {
+      throw new Error('Cannot save asset: opening accumulated depreciation exceeds the depreciable amount');
+    }
+    if (asset.depreciationStartDate && asset.depreciationStartDate < asset.acquisitionDate) {
+      throw new Error('Cannot save asset: depreciation cannot start before the acquisition date');
+    }
+    if (asset.supplier && !await supplierRepository.findById(asset.supplier)) {
+      throw new Error('Supplier not found');
+    }
+    for (const field of ['assetAccountCode', 'accumulatedDepreciationAccountCode', 'depreciationExpenseAccountCode']) {
+      await AccountingService.validateAccount(asset[field]);
+    }
+    if (asset.openingAccumulatedDepreciation >= round2(asset.cost - asset.salvageValue) && asset.status === 'active') {
+      asset.status = 'fully_depreciated';
+    }
+  }
+}
+
+module.exports = new FixedAssetService();
@@ -1,6 +1,9 @@
 const ProductRepository = require('../repositories/ProductRepository');
 const InventoryRepository = require('../repositories/InventoryRepository');
 const SalesRepository = require('../repositories/SalesRepository');
+const inventoryService = require('./inventoryService');
+const Inventory = require('../models/Inventory');
+const notificationService = require('./notificationService');
 
 class InventoryAlertService {
   /**
@@ -17,6 +20,10 @@ class InventoryAlertService {
         warehouse = null
       } = options;
 
+      // With a warehouse, evaluate that location only; otherwise evaluate stock across all warehouses
+      const warehouseKey = warehouse ? await inventoryService.resolveWarehouseKey(warehouse) : null;
+      const reorderKey = warehouseKey || await Inventory.getPrimaryWarehouseKey();
+
       // Get all products with their inventory
       const products = await ProductRepository.findAll(
         { status: 'active' },
@@ -29,12 +36,20 @@ class InventoryAlertService {
       const alerts = [];
 
       for (const product of products) {
-        // Get inventory record
-        const inventory = await InventoryRepository.findOne({ product: product._id });
+        // Get inventory records
+        const inventoryRows = await InventoryRepository.findAll(
+          warehouseKey
+            ? { product: product._id, 'location.warehouse': warehouseKey }
+            : { product: product._id }
+        );
         
-        if (!inventory) continue;
+        if (inventoryRows.length === 0) continue;
 
-        const currentStock = inventory.currentStock || 0;
+        // Reorder settings come from the selected (or primary) warehouse row
+        const inventory = inventoryRows.find(row =>
+          row.location?.warehouse === reorderKey
+        ) || inventoryRows[0];
+        const currentStock = inventoryRows.reduce((sum, row) => sum + (row.currentStock || 0), 0);
         const reorderPoint = inventory.reorderPoint || product.inventory?.reorderPoint || 10;
         const minStock = product.inventory?.minStock || 0;
 
@@ -67,6 +82,7 @@ class InventoryAlertService {
               sku: product.sku,
               category: product.category
             },
+            warehouse: warehouse || null,
             inventory: {
               currentStock,
               reorderPoint,
@@ -202,11 +218,12 @@ class InventoryAlertService {
 
   /**
    * Get alert summary statistics
+   * @param {Object} options - Alert options (e.g. warehouse)
    * @returns {Promise<Object>} Alert summary
    */
-  static async getAlertSummary() {
+  static async getAlertSummary(options = {}) {
     try {
-      const alerts = await this.getLowStockAlerts();
+      const alerts = await this.getLowStockAlerts(options);
       
       return {
         total: alerts.length,
@@ -220,6 +237,21 @@ class InventoryAlertService {
       throw error;
     }
   }
+
+  /**
+   * Raise a low-stock notification when products are out of stock or below their reorder point.
+   * Repeats at most once a day per recipient.
+   * @returns {Promise<Object>} Alert summary
+   */
+  static async notifyLowStock() {
+    const summary = await this.getAlertSummary();
+    if (summary.total > 0) {
+      await notificationService.notify('inventory.low_stock', summary, {
+        dedupeKey: `inventory.low_stock:${new Date().toISOString().slice(0, 10)}`
+      });
+    }
+    return summary;
+  }
 }
 
 module.exports = InventoryAlertService;
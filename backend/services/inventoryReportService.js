@@ -3,6 +3,8 @@ const Product = require('../models/Product');
 const Sales = require('../models/Sales');
 const Category = require('../models/Category');
 const Supplier = require('../models/Supplier');
+const Inventory = require('../models/Inventory');
+const Warehouse = require('../models/Warehouse');
 
 class InventoryReportService {
   constructor() {
@@ -82,6 +84,7 @@ class InventoryReportService {
 
         // Generate summary and comparison data
         await this.generateSummaryData(report);
+        await this.generateWarehouseSummaryData(report);
         await this.generateComparisonData(report);
         await this.generateInsights(report);
 
@@ -144,10 +147,20 @@ class InventoryReportService {
       const previousPeriod = this.getPreviousPeriod(startDate, endDate, report.periodType);
       const previousStockLevels = await this.getPreviousStockLevels(previousPeriod.startDate, previousPeriod.endDate, products.map(p => p._id));
 
+      // Per-warehouse stock; when warehouses are filtered, only their stock is counted
+      const warehouseKeys = await this.getWarehouseKeys(filters.warehouses);
+      const warehouseStock = await this.getWarehouseStockLevels(products.map(p => p._id), warehouseKeys);
+
       // Calculate stock levels and categorize
       const stockLevels = await Promise.all(products.map(async (product, index) => {
         const previousStock = previousStockLevels.find(p => p._id.toString() === product._id.toString());
-        const currentStock = product.inventory.currentStock;
+        const warehouseBreakdown = (warehouseStock.get(product._id.toString()) || []).map(entry => ({
+          ...entry,
+          stockValue: entry.currentStock * product.pricing.cost
+        }));
+        const currentStock = warehouseKeys
+          ? warehouseBreakdown.reduce((sum, entry) => sum + entry.currentStock, 0)
+          : product.inventory.currentStock;
         const reorderPoint = product.inventory.reorderPoint;
         const minStock = product.inventory.minStock;
         const maxStock = product.inventory.maxStock;
@@ -174,6 +187,7 @@ class InventoryReportService {
             stockValue,
             stockStatus
           },
+          warehouseBreakdown,
           trend: {
             previousStock: previousStock?.currentStock || 0,
             stockChange: currentStock - (previousStock?.currentStock || 0),
@@ -874,6 +888,116 @@ class InventoryReportService {
     return `${typeNames[reportType]} Report - ${periodNames[periodType]} (${dateRange.startDate.toLocaleDateString()} - ${dateRange.endDate.toLocaleDateString()})`;
   }
 
+  // Generate stock totals per warehouse
+  async generateWarehouseSummaryData(report) {
+    try {
+      const { filters } = report.config;
+
+      const warehouseQuery = { isDeleted: { $ne: true } };
+      if (filters.warehouses && filters.warehouses.length > 0) {
+        warehouseQuery._id = { $in: filters.warehouses };
+      }
+      const warehouses = await Warehouse.find(warehouseQuery).sort({ isPrimary: -1, name: 1 });
+      const warehouseKeys = warehouses.map(warehouse => Inventory.getWarehouseKey(warehouse));
+
+      const totals = await Inventory.aggregate([
+        {
+          $match: {
+            'location.warehouse': { $in: warehouseKeys },
+            isDeleted: { $ne: true }
+          }
+        },
+        {
+          $lookup: {
+            from: 'products',
+            localField: 'product',
+            foreignField: '_id',
+            as: 'productData'
+          }
+        },
+        {
+          $unwind: { path: '$productData', preserveNullAndEmptyArrays: true }
+        },
+        {
+          $group: {
+            _id: '$location.warehouse',
+            totalProducts: { $sum: 1 },
+            totalStock: { $sum: '$currentStock' },
+            totalStockValue: {
+              $sum: { $multiply: ['$currentStock', { $ifNull: ['$productData.pricing.cost', 0] }] }
+            },
+            lowStockProducts: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $gt: ['$currentStock', 0] }, { $lte: ['$currentStock', '$reorderPoint'] }] },
+                  1,
+                  0
+                ]
+              }
+            },
+            outOfStockProducts: {
+              $sum: { $cond: [{ $lte: ['$currentStock', 0] }, 1, 0] }
+            }
+          }
+        }
+      ]);
+
+      report.warehouseSummary = warehouses.map((warehouse, index) => {
+        const total = totals.find(t => t._id === warehouseKeys[index]) || {};
+        return {
+          warehouse: warehouse._id,
+          warehouseKey: warehouseKeys[index],
+          warehouseName: warehouse.name,
+          totalProducts: total.totalProducts || 0,
+          totalStock: total.totalStock || 0,
+          totalStockValue: total.totalStockValue || 0,
+          lowStockProducts: total.lowStockProducts || 0,
+          outOfStockProducts: total.outOfStockProducts || 0
+        };
+      });
+    } catch (error) {
+      console.error('Error generating warehouse summary data:', error);
+      throw error;
+    }
+  }
+
+  // Resolve inventory location keys for the warehouses selected in report filters
+  async getWarehouseKeys(warehouseIds = []) {
+    if (!warehouseIds || warehouseIds.length === 0) {
+      return null;
+    }
+    const warehouses = await Warehouse.find({ _id: { $in: warehouseIds }, isDeleted: { $ne: true } });
+    return warehouses.map(warehouse => Inventory.getWarehouseKey(warehouse));
+  }
+
+  // Stock per product and warehouse, keyed by product id
+  async getWarehouseStockLevels(productIds, warehouseKeys = null) {
+    const match = { product: { $in: productIds }, isDeleted: { $ne: true } };
+    if (warehouseKeys) {
+      match['location.warehouse'] = { $in: warehouseKeys };
+    }
+
+    const rows = await Inventory.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { product: '$product', warehouse: '$location.warehouse' },
+          currentStock: { $sum: '$currentStock' }
+        }
+      }
+    ]);
+
+    const stockMap = new Map();
+    rows.forEach(row => {
+      const productId = row._id.product.toString();
+      if (!stockMap.has(productId)) {
+        stockMap.set(productId, []);
+      }
+      stockMap.get(productId).push({ warehouse: row._id.warehouse, currentStock: row.currentStock });
+    });
+    return stockMap;
+  }
+
   // Additional helper methods for data retrieval
   async getPreviousStockLevels(startDate, endDate, productIds) {
     // This would need to be implemented with historical data
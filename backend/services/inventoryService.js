@@ -2,9 +2,23 @@ const Inventory = require('../models/Inventory');
 const StockAdjustment = require('../models/StockAdjustment');
 const Product = require('../models/Product');
 const ProductVariant = require('../models/ProductVariant');
+const Warehouse = require('../models/Warehouse');
+
+// Resolve the Inventory location key for a warehouse ID (no warehouse = primary warehouse)
+const resolveWarehouseKey = async (warehouseId) => {
+  if (!warehouseId) {
+    return await Inventory.getPrimaryWarehouseKey();
+  }
+  const warehouse = await Warehouse.findOne({ _id: warehouseId, isDeleted: { $ne: true } });
+  if (!warehouse) {
+    throw new Error('Warehouse not found');
+  }
+  return Inventory.getWarehouseKey(warehouse);
+};
 
 // Update stock levels
-const updateStock = async ({ productId, type, quantity, reason, reference, referenceId, referenceModel, cost, performedBy, notes }) => {
+// Pass session to apply the movement inside the caller's transaction
+const updateStock = async ({ productId, type, quantity, reason, reference, referenceId, referenceModel, cost, performedBy, notes, warehouse, session = null }) => {
   try {
     const movement = {
       type,
@@ -19,18 +33,21 @@ const updateStock = async ({ productId, type, quantity, reason, reference, refer
       date: new Date(),
     };
 
-    const updatedInventory = await Inventory.updateStock(productId, movement);
+    const warehouseKey = await resolveWarehouseKey(warehouse);
+    const updatedInventory = await Inventory.updateStock(productId, movement, warehouseKey, { session });
     
     // Update product's or variant's current stock field for quick access
+    // (the product-level figure is the total across all warehouses)
+    const totalStock = await Inventory.getTotalStock(productId, { session });
     const productUpdate = {
-      'inventory.currentStock': updatedInventory.currentStock,
+      'inventory.currentStock': totalStock,
       'inventory.lastUpdated': new Date(),
     };
     
     // If cost is provided and inventory cost was updated, sync to product pricing.cost
     if (cost !== undefined && cost !== null && (type === 'in' || type === 'return')) {
       // Get updated inventory to check if cost was set
-      const inventory = await Inventory.findOne({ product: productId });
+      const inventory = await Inventory.findOne({ product: productId, 'location.warehouse': warehouseKey }).session(session);
       if (inventory && inventory.cost && inventory.cost.average) {
         // Sync average cost to product pricing.cost
         productUpdate['pricing.cost'] = inventory.cost.average;
@@ -38,10 +55,10 @@ const updateStock = async ({ productId, type, quantity, reason, reference, refer
     }
     
     // Try to update as Product first, if not found, try as ProductVariant
-    let product = await Product.findByIdAndUpdate(productId, productUpdate, { new: false });
+    let product = await Product.findByIdAndUpdate(productId, productUpdate, { new: false, session });
     if (!product) {
       // If not a Product, try as ProductVariant
-      await ProductVariant.findByIdAndUpdate(productId, productUpdate);
+      await ProductVariant.findByIdAndUpdate(productId, productUpdate, { session });
     }
     
     return updatedInventory;
@@ -52,9 +69,10 @@ const updateStock = async ({ productId, type, quantity, reason, reference, refer
 };
 
 // Reserve stock for an order
-const reserveStock = async ({ productId, quantity }) => {
+const reserveStock = async ({ productId, quantity, warehouse }) => {
   try {
-    const inventory = await Inventory.reserveStock(productId, quantity);
+    const warehouseKey = await resolveWarehouseKey(warehouse);
+    const inventory = await Inventory.reserveStock(productId, quantity, warehouseKey);
     return inventory;
   } catch (error) {
     console.error('Error reserving stock:', error);
@@ -63,9 +81,10 @@ const reserveStock = async ({ productId, quantity }) => {
 };
 
 // Release reserved stock
-const releaseStock = async ({ productId, quantity }) => {
+const releaseStock = async ({ productId, quantity, warehouse }) => {
   try {
-    const inventory = await Inventory.releaseStock(productId, quantity);
+    const warehouseKey = await resolveWarehouseKey(warehouse);
+    const inventory = await Inventory.releaseStock(productId, quantity, warehouseKey);
     return inventory;
   } catch (error) {
     console.error('Error releasing stock:', error);
@@ -93,10 +112,11 @@ const processStockAdjustment = async ({ adjustments, type, reason, requestedBy,
   }
 };
 
-// Get inventory status for a product
-const getInventoryStatus = async (productId) => {
+// Get inventory status for a product in a warehouse (no warehouse = primary warehouse)
+const getInventoryStatus = async (productId, { warehouse } = {}) => {
   try {
-    const inventory = await Inventory.findOne({ product: productId })
+    const warehouseKey = await resolveWarehouseKey(warehouse);
+    const inventory = await Inventory.findOne({ product: productId, 'location.warehouse': warehouseKey })
       .populate('product', 'name description pricing')
       .populate('movements.performedBy', 'firstName lastName')
       .sort({ 'movements.date': -1 });
@@ -108,9 +128,12 @@ const getInventoryStatus = async (productId) => {
         throw new Error('Product not found');
       }
 
+      // Only the primary warehouse starts from the product-level figure; other warehouses start empty
+      const primaryWarehouseKey = await Inventory.getPrimaryWarehouseKey();
       const newInventory = new Inventory({
         product: productId,
-        currentStock: product.inventory?.currentStock || 0,
+        location: { warehouse: warehouseKey },
+        currentStock: warehouseKey === primaryWarehouseKey ? (product.inventory?.currentStock || 0) : 0,
         reorderPoint: product.inventory?.reorderPoint || 10,
         reorderQuantity: product.inventory?.reorderQuantity || 50,
       });
@@ -127,9 +150,10 @@ const getInventoryStatus = async (productId) => {
 };
 
 // Get low stock items
-const getLowStockItems = async () => {
+const getLowStockItems = async ({ warehouse } = {}) => {
   try {
-    const lowStockItems = await Inventory.getLowStockItems();
+    const warehouseKey = warehouse ? await resolveWarehouseKey(warehouse) : null;
+    const lowStockItems = await Inventory.getLowStockItems(warehouseKey);
     return lowStockItems;
   } catch (error) {
     console.error('Error getting low stock items:', error);
@@ -137,10 +161,11 @@ const getLowStockItems = async () => {
   }
 };
 
-// Get inventory movement history
-const getInventoryHistory = async ({ productId, limit = 50, offset = 0, type, startDate, endDate }) => {
+// Get inventory movement history for a product in a warehouse (no warehouse = primary warehouse)
+const getInventoryHistory = async ({ productId, warehouse, limit = 50, offset = 0, type, startDate, endDate }) => {
   try {
-    const inventory = await Inventory.findOne({ product: productId });
+    const warehouseKey = await resolveWarehouseKey(warehouse);
+    const inventory = await Inventory.findOne({ product: productId, 'location.warehouse': warehouseKey });
     
     if (!inventory) {
       return [];
@@ -267,7 +292,20 @@ const createInventoryRecord = async (productId, initialStock = 0) => {
   }
 };
 
+// Get a product's stock row in a specific warehouse
+const getWarehouseStock = async (productId, warehouseId, { session = null } = {}) => {
+  try {
+    const warehouseKey = await resolveWarehouseKey(warehouseId);
+    return await Inventory.findOne({ product: productId, 'location.warehouse': warehouseKey }).session(session);
+  } catch (error) {
+    console.error('Error getting warehouse stock:', error);
+    throw error;
+  }
+};
+
 module.exports = {
+  resolveWarehouseKey,
+  getWarehouseStock,
   updateStock,
   reserveStock,
   releaseStock,
@@ -0,0 +1,621 @@
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const loyaltyTransactionRepository = require('../repositories/LoyaltyTransactionRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const productRepository = require('../repositories/ProductRepository');
+const salesRepository = require('../repositories/SalesRepository');
+const returnRepository = require('../repositories/ReturnRepository');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan
+} = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Lowest tier first; customers below every threshold drop to the first
+const TIERS = LoyaltyProgram.CUSTOMER_TIERS;
+
+const PROGRAM_FIELDS = [
+  'isActive', 'earnPoints', 'earnPerAmount', 'categoryRules', 'pointValue', 'minimumRedemption',
+  'maxRedemptionPercent', 'expiryMonths', 'tiers', 'tierReviewMonths', 'autoTierReview'
+];
+
+const customerName = (customer) => customer?.businessName || customer?.name || '';
+
+class LoyaltyService {
+  async getProgram() {
+    return await LoyaltyProgram.getProgram();
+  }
+
+  async updateProgram(data, user) {
+    const updates = { updatedBy: user?._id };
+    PROGRAM_FIELDS.forEach(field => {
+      if (data[field] !== undefined) updates[field] = data[field];
+    });
+    return await LoyaltyProgram.updateProgram(updates);
+  }
+
+  tierMultiplier(program, tier) {
+    const entry = program.tiers.find(t => t.tier === tier);
+    return entry ? entry.multiplier : 1;
+  }
+
+  /**
+   * Points a sale earns: earnPoints per earnPerAmount of each line's pre-tax net, times the line's
+   * category multiplier and the customer's tier multiplier. Whatever part of the bill was paid with
+   * points earns nothing.
+   * @param {object} order - Sales document (or its items, pricing and loyalty)
+   * @param {object} customer - Customer document
+   * @param {object} program - Loyalty program
+   * @returns {Promise<{points: number, eligibleAmount: number}>}
+   */
+  async calculatePoints(order, customer, program) {
+    const items = order.items || [];
+    const products = await productRepository.findByIds(items.map(item => idOf(item.product)), { select: 'category' });
+    const categoryMultipliers = new Map(program.categoryRules.map(rule => [idOf(rule.category), rule.multiplier]));
+
+    const total = order.pricing?.total || 0;
+    const redeemed = order.loyalty?.amountRedeemed || 0;
+    const paidShare = total > 0 ? Math.max(0, 1 - redeemed / total) : 0;
+
+    let eligibleAmount = 0;
+    let weightedAmount = 0;
+    items.forEach(item => {
+      const net = Math.max(0, (item.subtotal || 0) - (item.discountAmount || 0)) * paidShare;
+      const product = products.find(p => p._id.toString() === idOf(item.product));
+      const category = idOf(product?.category);
+      const multiplier = category && categoryMultipliers.has(category) ? categoryMultipliers.get(category) : 1;
+      eligibleAmount += net;
+      weightedAmount += net * multiplier;
+    });
+
+    const points = Math.floor(
+      (weightedAmount / program.earnPerAmount) * program.earnPoints * this.tierMultiplier(program, customer.customerTier)
+    );
+    return { points: Math.max(0, points), eligibleAmount: round2(eligibleAmount) };
+  }
+
+  /**
+   * Value of redeeming points against a bill, checked against the customer's balance and the program limits
+   * @param {object} customer - Customer document
+   * @param {number} points - Points to redeem
+   * @param {number} billTotal - Bill total the points pay towards
+   * @returns {Promise<{points: number, amount: number}>}
+   */
+  async quoteRedemption(customer, points, billTotal) {
+    const program = await this.getProgram();
+    if (!program.isActive) {
+      throw new Error('Cannot redeem points: the loyalty program is not active');
+    }
+    if (!customer) {
+      throw new Error('Cannot redeem points: a customer is required');
+    }
+    if (points > (customer.loyaltyPoints || 0)) {
+      throw new Error(`Cannot redeem ${points} points: ${customerName(customer)} has ${customer.loyaltyPoints || 0}`);
+    }
+    if (points < program.minimumRedemption) {
+      throw new Error(`Cannot redeem points: at least ${program.minimumRedemption} points must be redeemed`);
+    }
+
+    const amount = round2(points * program.pointValue);
+    const limit = round2(billTotal * program.maxRedemptionPercent / 100);
+    if (amount > limit) {
+      throw new Error(`Cannot redeem points worth ${amount}: points can pay at most ${limit} of this bill`);
+    }
+    return { points, amount };
+  }
+
+  /**
+   * Take redeemed points off the customer's balance for a sale
+   * @param {object} order - Saved Sales document with loyalty.pointsRedeemed set
+   * @param {object} user - User making the sale
+   * @param {object} options - { session } to deduct inside the sale's transaction
+   * @returns {Promise<object>} Ledger entry
+   */
+  async redeemForSale(order, user, options = {}) {
+    const { pointsRedeemed, amountRedeemed } = order.loyalty;
+    return await this._deductPoints(order.customer, pointsRedeemed, {
+      type: 'redeem',
+      date: order.billDate || order.createdAt,
+      amount: amountRedeemed,
+      sale: order._id,
+      reference: order.orderNumber,
+      description: `Redeemed on sale ${order.orderNumber}`,
+      createdBy: user?._id
+    }, null, options.session);
+  }
+
+  /**
+   * Credit the points a sale earns to its customer. Does nothing for walk-in sales, while the
+   * program is inactive, or if the sale has already earned.
+   * @param {object} order - Saved Sales document
+   * @param {object} user - User making the sale
+   * @returns {Promise<object|null>} Ledger entry, or null if nothing was earned
+   */
+  async earnForSale(order, user) {
+    if (!order.customer) return null;
+    const program = await this.getProgram();
+    if (!program.isActive) return null;
+
+    const existing = await loyaltyTransactionRepository.findOne({ sale: order._id, type: 'earn' });
+    if (existing) return null;
+
+    const customer = await customerRepository.findById(order.customer);
+    if (!customer) return null;
+
+    const { points, eligibleAmount } = await this.calculatePoints(order, customer, program);
+    if (points <= 0) return null;
+
+    const date = order.billDate || order.createdAt || new Date();
+    const entry = await this._addPoints(customer._id, points, {
+      type: 'earn',
+      date,
+      amount: eligibleAmount,
+      expiresAt: program.expiryMonths > 0 ? getEndOfDayPakistan(addMonths(date, program.expiryMonths)) : undefined,
+      sale: order._id,
+      reference: order.orderNumber,
+      description: `Earned on sale ${order.orderNumber}`,
+      createdBy: user?._id
+    });
+    await salesRepository.updateById(order._id, { 'loyalty.pointsEarned': points });
+    return entry;
+  }
+
+  /**
+   * Take back the points a sale earned in proportion to the pre-tax value returned. Points the
+   * customer has already spent are not clawed back below zero.
+   * @param {object} returnRequest - Completed sale return
+   * @param {object} user - User processing the return
+   * @returns {Promise<object|null>} Ledger entry, or null if nothing was reversed
+   */
+  async reverseForReturn(returnRequest, user) {
+    const saleId = idOf(returnRequest.originalOrder);
+    const earned = await loyaltyTransactionRepository.findOne({ sale: saleId, type: 'earn' });
+    if (!earned) return null;
+
+    const sale = await salesRepository.findById(saleId);
+    if (!sale) return null;
+
+    const saleNet = (sale.pricing?.subtotal || 0) - (sale.pricing?.discountAmount || 0);
+    const returnedNet = (returnRequest.items || []).reduce((sum, returnItem) => {
+      const saleItem = sale.items.find(item => item._id.toString() === idOf(returnItem.originalOrderItem));
+      if (!saleItem || !saleItem.quantity) return sum;
+      const unitNet = ((saleItem.subtotal || 0) - (saleItem.discountAmount || 0)) / saleItem.quantity;
+      return sum + unitNet * (returnItem.quantity || 0);
+    }, 0);
+    if (saleNet <= 0 || returnedNet <= 0) return null;
+
+    const alreadyReversed = await this._earnedPointsReversed(saleId);
+    const due = Math.min(
+      Math.round(earned.points * Math.min(1, returnedNet / saleNet)),
+      earned.points - alreadyReversed
+    );
+    if (due <= 0) return null;
+
+    const customer = await customerRepository.findById(earned.customer);
+    const points = Math.min(due, customer?.loyaltyPoints || 0);
+    if (points <= 0) return null;
+
+    return await this._deductPoints(earned.customer, points, {
+      type: 'reverse',
+      amount: round2(returnedNet),
+      sale: saleId,
+      saleReturn: returnRequest._id,
+      reference: returnRequest.returnNumber,
+      description: `Reversed for return ${returnRequest.returnNumber} of sale ${sale.orderNumber}`
+        + (points < due ? ` (${due - points} already redeemed)` : ''),
+      createdBy: user?._id || user
+    }, saleId);
+  }
+
+  /**
+   * Undo a sale's loyalty when it is cancelled or deleted: give back the points it redeemed and take
+   * back what it earned and no return has reversed yet. Earned points the customer has already spent
+   * are not clawed back below zero. Calling again for the same sale does nothing.
+   * @param {object} order - Sales document
+   * @param {object} user - User cancelling or deleting the sale
+   * @param {object} options - { reason } such as 'cancelled' or 'deleted'
+   * @returns {Promise<{restored: number, reversed: number}>}
+   */
+  async reverseForSale(order, user, { reason = 'cancelled' } = {}) {
+    const saleId = idOf(order._id);
+    const result = { restored: 0, reversed: 0 };
+    if (!order.customer) return result;
+
+    const entries = await loyaltyTransactionRepository.findAll({ sale: saleId, type: 'reverse' });
+    const redeemed = await loyaltyTransactionRepository.findOne({ sale: saleId, type: 'redeem' });
+    if (redeemed && !entries.some(entry => entry.points > 0)) {
+      const program = await this.getProgram();
+      result.restored = -redeemed.points;
+      await this._addPoints(redeemed.customer, result.restored, {
+        type: 'reverse',
+        amount: redeemed.amount,
+        expiresAt: program.expiryMonths > 0 ? getEndOfDayPakistan(addMonths(new Date(), program.expiryMonths)) : undefined,
+        sale: saleId,
+        reference: order.orderNumber,
+        description: `Given back: sale ${order.orderNumber} was ${reason}`,
+        createdBy: user?._id
+      });
+    }
+
+    const earned = await loyaltyTransactionRepository.findOne({ sale: saleId, type: 'earn' });
+    if (earned) {
+      const due = earned.points - await this._earnedPointsReversed(saleId);
+      const customer = await customerRepository.findById(earned.customer);
+      const points = Math.min(due, customer?.loyaltyPoints || 0);
+      if (points > 0) {
+        result.reversed = points;
+        await this._deductPoints(earned.customer, points, {
+          type: 'reverse',
+          amount: earned.amount,
+          sale: saleId,
+          reference: order.orderNumber,
+          description: `Reversed: sale ${order.orderNumber} was ${reason}`
+            + (points < due ? ` (${due - points} already redeemed)` : ''),
+          createdBy: user?._id
+        }, saleId);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Manually add or remove points
+   * @param {string} customerId - Customer ID
+   * @param {object} data - { points (signed), description }
+   * @param {object} user - User making the adjustment
+   * @returns {Promise<object>} Ledger entry
+   */
+  async adjustPoints(customerId, { points, description }, user) {
+    const customer = await customerRepository.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    if (!points) {
+      throw new Error('Cannot adjust points: points must not be zero');
+    }
+
+    if (points > 0) {
+      const program = await this.getProgram();
+      return await this._addPoints(customer._id, points, {
+        type: 'adjust',
+        expiresAt: program.expiryMonths > 0 ? getEndOfDayPakistan(addMonths(new Date(), program.expiryMonths)) : undefined,
+        description,
+        createdBy: user?._id
+      });
+    }
+    if (-points > (customer.loyaltyPoints || 0)) {
+      throw new Error(`Cannot remove ${-points} points: ${customerName(customer)} has ${customer.loyaltyPoints || 0}`);
+    }
+    return await this._deductPoints(customer._id, -points, {
+      type: 'adjust',
+      description,
+      createdBy: user?._id
+    });
+  }
+
+  /**
+   * Expire points left on lots whose expiry date has passed, one ledger entry per customer
+   * @param {Date} asOf - Expire lots that expired on or before this time
+   * @returns {Promise<{customers: number, points: number}>}
+   */
+  async expirePoints(asOf = new Date()) {
+    const lots = await loyaltyTransactionRepository.findExpiredLots(asOf);
+    const byCustomer = new Map();
+    lots.forEach(lot => {
+      const key = lot.customer.toString();
+      if (!byCustomer.has(key)) byCustomer.set(key, []);
+      byCustomer.get(key).push(lot);
+    });
+
+    const results = { customers: 0, points: 0 };
+    for (const [customerId, customerLots] of byCustomer) {
+      const expiring = customerLots.reduce((sum, lot) => sum + lot.remainingPoints, 0);
+      for (const lot of customerLots) {
+        lot.remainingPoints = 0;
+        await lot.save();
+      }
+
+      const customer = await customerRepository.findById(customerId);
+      const points = Math.min(expiring, customer?.loyaltyPoints || 0);
+      if (points <= 0) continue;
+
+      const updated = await customerRepository.incrementLoyaltyPoints(customerId, -points);
+      if (!updated) continue;
+      await loyaltyTransactionRepository.create({
+        customer: customerId,
+        type: 'expire',
+        date: asOf,
+        points: -points,
+        balanceAfter: updated.loyaltyPoints,
+        description: `${points} points expired`
+      });
+      results.customers += 1;
+      results.points += points;
+    }
+    return results;
+  }
+
+  /**
+   * Spend per customer over a period: sales less completed sale returns
+   * @param {Array} customerIds - Customer IDs
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @returns {Promise<Map>} Spend keyed by customer ID
+   */
+  async getRollingSpend(customerIds, from, to) {
+    const sales = await salesRepository.aggregate([
+      { $match: { customer: { $in: customerIds }, status: { $ne: 'cancelled' } } },
+      { $addFields: { saleDate: { $ifNull: ['$billDate', '$createdAt'] } } },
+      { $match: { saleDate: { $gte: from, $lte: to } } },
+      { $group: { _id: '$customer', total: { $sum: '$pricing.total' } } }
+    ]);
+    const returns = await returnRepository.aggregate([
+      {
+        $match: {
+          customer: { $in: customerIds },
+          origin: 'sales',
+          status: 'completed',
+          returnDate: { $gte: from, $lte: to }
+        }
+      },
+      { $group: { _id: '$customer', total: { $sum: '$netRefundAmount' } } }
+    ]);
+
+    const spend = new Map();
+    sales.forEach(row => spend.set(row._id.toString(), row.total));
+    returns.forEach(row => {
+      const key = row._id.toString();
+      spend.set(key, (spend.get(key) || 0) - row.total);
+    });
+    return spend;
+  }
+
+  /**
+   * Move customers to the highest tier their rolling spend qualifies for, promoting or demoting
+   * @param {object} options - { asOf, customerId, dryRun }
+   * @param {object} user - User running the review (none for the scheduled job)
+   * @returns {Promise<object>} { asOf, from, reviewed, promoted, demoted, changes }
+   */
+  async reviewTiers({ asOf = new Date(), customerId = null, dryRun = false } = {}, user = null) {
+    const program = await this.getProgram();
+    if (program.tiers.length === 0) {
+      throw new Error('Cannot review tiers: no tier thresholds are set up');
+    }
+
+    const to = getEndOfDayPakistan(asOf);
+    const from = getStartOfDayPakistan(addMonths(asOf, -program.tierReviewMonths));
+    const filter = { status: 'active' };
+    if (customerId) filter._id = customerId;
+    const customers = await customerRepository.findAll(filter, {
+      select: 'name businessName customerTier loyaltyPoints'
+    });
+    if (customerId && customers.length === 0) {
+      throw new Error('Customer not found');
+    }
+
+    const spend = await this.getRollingSpend(customers.map(customer => customer._id), from, to);
+    const thresholds = [...program.tiers].sort((a, b) => b.minimumSpend - a.minimumSpend);
+    const changes = [];
+
+    for (const customer of customers) {
+      const customerSpend = round2(spend.get(customer._id.toString()) || 0);
+      const target = thresholds.find(t => customerSpend >= t.minimumSpend)?.tier || TIERS[0];
+      const current = customer.customerTier || TIERS[0];
+      if (target === current) continue;
+
+      const change = {
+        customer: customer._id,
+        customerName: customerName(customer),
+        fromTier: current,
+        toTier: target,
+        direction: TIERS.indexOf(target) > TIERS.indexOf(current) ? 'promoted' : 'demoted',
+        spend: customerSpend
+      };
+      changes.push(change);
+
+      if (!dryRun) {
+        await customerRepository.updateById(customer._id, { customerTier: target, tierReviewedAt: to });
+        await loyaltyTransactionRepository.create({
+          customer: customer._id,
+          type: 'tier_change',
+          date: to,
+          points: 0,
+          balanceAfter: customer.loyaltyPoints || 0,
+          fromTier: current,
+          toTier: target,
+          amount: customerSpend,
+          description: `${change.direction === 'promoted' ? 'Promoted' : 'Demoted'} from ${current} to ${target} on spend of ${customerSpend} over ${program.tierReviewMonths} month(s)`,
+          createdBy: user?._id
+        });
+      }
+    }
+
+    if (!dryRun) {
+      const unchanged = customers
+        .filter(customer => !changes.some(change => change.customer === customer._id))
+        .map(customer => customer._id);
+      if (unchanged.length > 0) {
+        await customerRepository.updateMany({ _id: { $in: unchanged } }, { tierReviewedAt: to });
+      }
+    }
+
+    return {
+      asOf: to,
+      from,
+      dryRun,
+      reviewed: customers.length,
+      promoted: changes.filter(change => change.direction === 'promoted').length,
+      demoted: changes.filter(change => change.direction === 'demoted').length,
+      changes
+    };
+  }
+
+  /**
+   * A customer's points, their value, points expiring in the next 30 days and progress to the next tier
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object>}
+   */
+  async getCustomerSummary(customerId) {
+    const customer = await customerRepository.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const program = await this.getProgram();
+
+    const now = new Date();
+    const expiringSoon = await loyaltyTransactionRepository.sumExpiringPoints(customer._id, now, getEndOfDayPakistan(addMonths(now, 1)));
+
+    let nextTier = null;
+    let rollingSpend = null;
+    if (program.tiers.length > 0) {
+      const spend = await this.getRollingSpend([customer._id], getStartOfDayPakistan(addMonths(now, -program.tierReviewMonths)), now);
+      rollingSpend = round2(spend.get(customer._id.toString()) || 0);
+      const next = [...program.tiers]
+        .sort((a, b) => a.minimumSpend - b.minimumSpend)
+        .find(t => TIERS.indexOf(t.tier) > TIERS.indexOf(customer.customerTier));
+      if (next) {
+        nextTier = { tier: next.tier, minimumSpend: next.minimumSpend, spendNeeded: round2(Math.max(0, next.minimumSpend - rollingSpend)) };
+      }
+    }
+
+    return {
+      customer: { _id: customer._id, name: customerName(customer), customerTier: customer.customerTier },
+      programActive: program.isActive,
+      points: customer.loyaltyPoints || 0,
+      pointValue: program.pointValue,
+      value: round2((customer.loyaltyPoints || 0) * program.pointValue),
+      minimumRedemption: program.minimumRedemption,
+      maxRedemptionPercent: program.maxRedemptionPercent,
+      earnMultiplier: this.tierMultiplier(program, customer.customerTier),
+      expiringSoon,
+      rollingSpend,
+      nextTier,
+      tierReviewedAt: customer.tierReviewedAt || null
+    };
+  }
+
+  /**
+   * Loyalty statement: opening balance, every ledger entry in the period and the closing balance
+   * @param {string} customerId - Customer ID
+   * @param {object} params - { startDate, endDate }
+   * @returns {Promise<object>}
+   */
+  async getStatement(customerId, { startDate, endDate } = {}) {
+    const customer = await customerRepository.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const to = endDate ? getEndOfDayPakistan(endDate) : new Date();
+    const from = startDate ? getStartOfDayPakistan(startDate) : getStartOfDayPakistan(addMonths(to, -12));
+    if (from > to) {
+      throw new Error('Cannot build statement: start date is after end date');
+    }
+
+    const openingBalance = await loyaltyTransactionRepository.sumPointsBefore(customer._id, from);
+    const entries = await loyaltyTransactionRepository.findAll(
+      { customer: customer._id, date: { $gte: from, $lte: to } },
+      {
+        sort: { date: 1, createdAt: 1 },
+        populate: [
+          { path: 'sale', select: 'orderNumber' },
+          { path: 'saleReturn', select: 'returnNumber' },
+          { path: 'createdBy', select: 'firstName lastName' }
+        ]
+      }
+    );
+
+    const totals = { earned: 0, redeemed: 0, expired: 0, reversed: 0, adjusted: 0 };
+    const totalKeys = { earn: 'earned', redeem: 'redeemed', expire: 'expired', reverse: 'reversed', adjust: 'adjusted' };
+    let balance = openingBalance;
+    const lines = entries.map(entry => {
+      balance += entry.points;
+      if (totalKeys[entry.type]) totals[totalKeys[entry.type]] += entry.points;
+      return {
+        _id: entry._id,
+        date: entry.date,
+        type: entry.type,
+        reference: entry.reference || entry.sale?.orderNumber || entry.saleReturn?.returnNumber || '',
+        description: entry.description,
+        points: entry.points,
+        amount: entry.amount,
+        expiresAt: entry.expiresAt,
+        fromTier: entry.fromTier,
+        toTier: entry.toTier,
+        balance
+      };
+    });
+
+    return {
+      customer: {
+        _id: customer._id,
+        name: customerName(customer),
+        customerTier: customer.customerTier,
+        points: customer.loyaltyPoints || 0
+      },
+      period: { startDate: from, endDate: to },
+      openingBalance,
+      entries: lines,
+      totals,
+      closingBalance: balance
+    };
+  }
+
+  // Points already taken back from what a sale earned (reversals that give points back are not counted)
+  async _earnedPointsReversed(saleId) {
+    const previous = await loyaltyTransactionRepository.findAll({ sale: saleId, type: 'reverse' });
+    return previous.filter(entry => entry.points < 0).reduce((sum, entry) => sum - entry.points, 0);
+  }
+
+  async _addPoints(customerId, points, entry) {
+    const updated = await customerRepository.incrementLoyaltyPoints(customerId, points);
+    if (!updated) {
+      throw new Error('Customer not found');
+    }
+    return await loyaltyTransactionRepository.create({
+      ...entry,
+      customer: customerId,
+      points,
+      remainingPoints: points,
+      balanceAfter: updated.loyaltyPoints
+    });
+  }
+
+  // Deduct points from the balance and draw them from lots, soonest-expiring first (a sale's own lot first when given)
+  async _deductPoints(customerId, points, entry, preferSaleId = null, session = null) {
+    const updated = await customerRepository.incrementLoyaltyPoints(customerId, -points, { session });
+    if (!updated) {
+      throw new Error(`Cannot deduct ${points} points: the customer's balance is too low`);
+    }
+
+    const lots = await loyaltyTransactionRepository.findOpenLots(customerId, { session });
+    if (preferSaleId) {
+      lots.sort((a, b) => (idOf(b.sale) === idOf(preferSaleId)) - (idOf(a.sale) === idOf(preferSaleId)));
+    }
+    let left = points;
+    for (const lot of lots) {
+      if (left <= 0) break;
+      const take = Math.min(lot.remainingPoints, left);
+      lot.remainingPoints -= take;
+      left -= take;
+      await lot.save({ session });
+    }
+
+    return await loyaltyTransactionRepository.create({
+      ...entry,
+      customer: customerId,
+      points: -points,
+      balanceAfter: updated.loyaltyPoints
+    }, { session });
+  }
+}
+
+module.exports = new LoyaltyService();
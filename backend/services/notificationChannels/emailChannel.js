@@ -0,0 +1,57 @@
+// SMTP email notification channel
+// Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM.
+// For local testing point it at MailHog or smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025).
+const nodemailer = require('nodemailer');
+
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  getTransport() {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || (process.env.SMTP_SECURE === 'true' ? '465' : '587'), 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+      connectionTimeout: 15000
+    });
+  }
+
+  isConfigured() {
+    return !!process.env.SMTP_HOST;
+  }
+
+  // Send a notification by email
+  async send(notification) {
+    if (!this.isConfigured()) {
+      throw new Error('Email channel is not configured (SMTP_HOST is not set)');
+    }
+    if (!notification.recipient || !notification.recipient.email) {
+      throw new Error('Email notifications require a recipient email');
+    }
+
+    const attachments = (notification.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      path: attachment.path
+    }));
+
+    const info = await this.getTransport().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER || `notifications@${process.env.SMTP_HOST}`,
+      to: notification.recipient.email,
+      subject: notification.subject || notification.title,
+      text: notification.message,
+      attachments
+    });
+
+    return {
+      success: true,
+      response: { accepted: info.accepted, response: info.response }
+    };
+  }
+}
+
+module.exports = new EmailChannel();
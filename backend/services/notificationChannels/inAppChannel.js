@@ -0,0 +1,26 @@
+// In-app notification channel
+// The outbox row itself is the inbox item, so delivery only needs a recipient user
+
+class InAppChannel {
+  constructor() {
+    this.name = 'in_app';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Mark an in-app notification as delivered
+  async send(notification) {
+    if (!notification.recipient || !notification.recipient.user) {
+      throw new Error('In-app notifications require a recipient user');
+    }
+
+    return {
+      success: true,
+      response: { delivered: true }
+    };
+  }
+}
+
+module.exports = new InAppChannel();
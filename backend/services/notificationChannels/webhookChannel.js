@@ -0,0 +1,185 @@
+// Generic webhook notification channel
+// POSTs a JSON payload; when NOTIFICATION_WEBHOOK_SECRET is set the body is signed
+// with HMAC-SHA256 in the X-Notification-Signature header.
+// URLs that resolve to private, loopback or link-local addresses are refused unless the
+// host is listed in NOTIFICATION_WEBHOOK_ALLOWED_HOSTS (comma-separated). The address is
+// checked again in the lookup of the request itself, and redirects are never followed.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Lookup used for the connection itself, so the address that was checked is the one connected
+// to and a host cannot be repointed between validation and delivery
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`Cannot use webhook URL: ${hostname} is a private or loopback address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+    this.timeoutMs = 10000;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  allowedHosts() {
+    return (process.env.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check that a webhook URL is http(s) and points at a public host
+   * @param {string} url - Webhook URL
+   * @returns {Promise<void>}
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('Cannot use webhook URL: not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Cannot use webhook URL: only http(s) URLs are allowed');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.allowedHosts().includes(hostname)) {
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error(`Cannot use webhook URL: ${hostname} could not be resolved`);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      throw new Error(`Cannot use webhook URL: ${hostname} is a private or loopback address`);
+    }
+  }
+
+  buildPayload(notification) {
+    return {
+      id: String(notification._id),
+      event: notification.event,
+      severity: notification.severity,
+      category: notification.category,
+      title: notification.title,
+      message: notification.message,
+      link: notification.link,
+      data: notification.data,
+      // Lets Slack/Teams-style incoming webhooks display the notification as-is
+      text: `${notification.title}\n${notification.message}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Send a notification to a webhook URL
+  async send(notification) {
+    const url = notification.recipient && notification.recipient.url;
+    if (!url) {
+      throw new Error('Webhook notifications require a recipient URL');
+    }
+    // The system webhook is set by the administrator; per-user URLs are re-checked on every
+    // send in case the host has been repointed since it was saved
+    const trusted = url === process.env.NOTIFICATION_WEBHOOK_URL
+      || this.allowedHosts().includes(new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase());
+    if (!trusted) {
+      await this.validateUrl(url);
+    }
+
+    const body = JSON.stringify(this.buildPayload(notification));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Notification-Event': notification.event
+    };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      const signature = crypto.createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET).update(body).digest('hex');
+      headers['X-Notification-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await this.post(url, headers, body, trusted ? undefined : guardedLookup);
+
+    // A redirect could point anywhere, including addresses the check above refuses
+    if (response.status >= 300 && response.status < 400) {
+      throw new Error(`Webhook responded with redirect ${response.status} to ${response.location || 'unknown location'}; redirects are not followed`);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Webhook responded with ${response.status}: ${response.body.slice(0, 200)}`);
+    }
+
+    return {
+      success: true,
+      response: { status: response.status, body: response.body.slice(0, 500) }
+    };
+  }
+
+  /**
+   * POST a body without following redirects
+   * @param {string} url - Webhook URL
+   * @param {object} headers - Request headers
+   * @param {string} body - JSON body
+   * @param {Function} [lookup] - DNS lookup for the connection
+   * @returns {Promise<{status: number, location: string, body: string}>}
+   */
+  post(url, headers, body, lookup) {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        timeout: this.timeoutMs
+      }, (response) => {
+        let responseText = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (responseText.length < 2000) responseText += chunk;
+        });
+        response.on('end', () => resolve({
+          status: response.statusCode,
+          location: response.headers.location,
+          body: responseText
+        }));
+        response.on('error', reject);
+      });
+      request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${this.timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = new WebhookChannel();
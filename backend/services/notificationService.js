@@ -0,0 +1,586 @@
+const NotificationRepository = require('../repositories/NotificationRepository');
+const NotificationPreferenceRepository = require('../repositories/NotificationPreferenceRepository');
+const UserRepository = require('../repositories/UserRepository');
+const { CHANNELS, getTemplate, renderTemplate, getAllTemplates } = require('../config/notificationTemplates');
+const logger = require('../utils/logger');
+
+// Entries left in 'sending' this long are assumed to belong to a crashed worker
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const MAX_BACKOFF_MINUTES = 60;
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    this.initializeChannels();
+  }
+
+  // Initialize delivery channels
+  initializeChannels() {
+    this.channels.set('in_app', require('./notificationChannels/inAppChannel'));
+    this.channels.set('email', require('./notificationChannels/emailChannel'));
+    this.channels.set('webhook', require('./notificationChannels/webhookChannel'));
+  }
+
+  /**
+   * Register or replace a channel (e.g. a local stand-in during testing)
+   * @param {string} name - Channel name
+   * @param {object} channel - Object with send(notification) and isConfigured()
+   */
+  registerChannel(name, channel) {
+    if (!CHANNELS.includes(name)) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+    if (!channel || typeof channel.send !== 'function') {
+      throw new Error('Notification channel must implement send(notification)');
+    }
+    this.channels.set(name, channel);
+  }
+
+  /**
+   * Channel configuration status
+   * @returns {Array}
+   */
+  getChannelStatus() {
+    return CHANNELS.map(name => {
+      const channel = this.channels.get(name);
+      return {
+        channel: name,
+        configured: !!channel && (typeof channel.isConfigured !== 'function' || channel.isConfigured())
+      };
+    });
+  }
+
+  /**
+   * Raise an event: render its template, queue it in the outbox for every recipient/channel
+   * and attempt delivery.
+   * @param {string} event - Event key from config/notificationTemplates
+   * @param {object} data - Template data (also stored on the notification)
+   * @param {object} options - { users, emails, webhookUrls, channels, dedupeKey, dedupeWindowHours,
+   *   link, createdBy, awaitDelivery, attachments: [{ filename, path, contentType }] (email only) }
+   * @returns {Promise<{event: string, queued: number, skipped: number, notifications: Array}>}
+   */
+  async notify(event, data = {}, options = {}) {
+    const template = getTemplate(event);
+    if (!template) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const rendered = {
+      event,
+      title: renderTemplate(template.title, data).slice(0, 200),
+      subject: renderTemplate(template.emailSubject || template.title, data).slice(0, 300),
+      message: renderTemplate(template.message, data).slice(0, 5000),
+      severity: options.severity || template.severity || 'info',
+      category: template.category,
+      link: options.link || template.link,
+      data,
+      dedupeKey: options.dedupeKey,
+      createdBy: options.createdBy
+    };
+
+    const targets = await this._resolveRecipients(event, template, options);
+
+    let skipped = 0;
+    const entries = [];
+    const dedupeSince = new Date(Date.now() - (options.dedupeWindowHours || 24) * 60 * 60 * 1000);
+    for (const target of targets) {
+      if (options.dedupeKey &&
+        await NotificationRepository.existsRecent(options.dedupeKey, target.channel, target.recipient, dedupeSince)) {
+        skipped++;
+        continue;
+      }
+      const isInApp = target.channel === 'in_app';
+      entries.push({
+        ...rendered,
+        channel: target.channel,
+        recipient: target.recipient,
+        // The in-app row is the inbox item, so it is delivered as soon as it exists
+        status: isInApp ? 'sent' : 'pending',
+        sentAt: isInApp ? new Date() : undefined,
+        nextAttemptAt: new Date(),
+        attachments: target.channel === 'email' ? options.attachments : undefined
+      });
+    }
+
+    const notifications = entries.length > 0 ? await NotificationRepository.createMany(entries) : [];
+    const pendingIds = notifications.filter(n => n.status === 'pending').map(n => n._id);
+
+    if (pendingIds.length > 0) {
+      const delivery = this._deliverByIds(pendingIds);
+      if (options.awaitDelivery) {
+        await delivery;
+      } else {
+        delivery.catch(error => logger.error(`Notification delivery failed for ${event}:`, error));
+      }
+    }
+
+    return {
+      event,
+      queued: notifications.length,
+      skipped,
+      notifications: options.awaitDelivery
+        ? await NotificationRepository.findAll({ _id: { $in: notifications.map(n => n._id) } })
+        : notifications
+    };
+  }
+
+  /**
+   * Work out who gets an event and on which channels.
+   * Internal users come from options.users or the template audience and are filtered by their
+   * subscription preferences; explicit emails/webhook URLs bypass preferences.
+   * @private
+   */
+  async _resolveRecipients(event, template, options) {
+    const allowedChannels = options.channels || CHANNELS;
+    const targets = [];
+
+    let users = [];
+    if (options.users && options.users.length > 0) {
+      users = await UserRepository.findAll(
+        { _id: { $in: options.users }, status: 'active' },
+        { select: 'firstName lastName email role permissions' }
+      );
+    } else if (template.audience && template.audience.length > 0) {
+      users = await UserRepository.findAll({
+        status: 'active',
+        $or: [{ role: 'admin' }, { permissions: { $in: template.audience } }]
+      }, { select: 'firstName lastName email role permissions' });
+    }
+
+    if (users.length > 0) {
+      const preferences = await NotificationPreferenceRepository.findByUsers(users.map(u => u._id));
+      const preferenceByUser = new Map(preferences.map(p => [String(p.user), p]));
+
+      users.forEach(user => {
+        const preference = preferenceByUser.get(String(user._id));
+        const subscription = preference ? preference.getSubscription(event) : null;
+        if (subscription && !subscription.enabled) return;
+
+        const channels = (subscription ? subscription.channels : template.defaultChannels)
+          .filter(channel => allowedChannels.includes(channel));
+
+        channels.forEach(channel => {
+          if (channel === 'in_app') {
+            targets.push({ channel, recipient: { user: user._id } });
+          } else if (channel === 'email') {
+            const email = preference?.email || user.email;
+            if (email) targets.push({ channel, recipient: { user: user._id, email } });
+          } else if (channel === 'webhook' && preference?.webhookUrl) {
+            targets.push({ channel, recipient: { user: user._id, url: preference.webhookUrl } });
+          }
+        });
+      });
+    }
+
+    if (allowedChannels.includes('email')) {
+      (options.emails || []).filter(Boolean).forEach(email => {
+        targets.push({ channel: 'email', recipient: { email: String(email).toLowerCase() } });
+      });
+    }
+
+    if (allowedChannels.includes('webhook')) {
+      (options.webhookUrls || []).filter(Boolean).forEach(url => {
+        targets.push({ channel: 'webhook', recipient: { url } });
+      });
+
+      // System-wide webhook receives internal events (optionally limited by NOTIFICATION_WEBHOOK_EVENTS)
+      const systemWebhook = process.env.NOTIFICATION_WEBHOOK_URL;
+      const webhookEvents = (process.env.NOTIFICATION_WEBHOOK_EVENTS || '')
+        .split(',').map(e => e.trim()).filter(Boolean);
+      if (systemWebhook && template.audience && template.audience.length > 0 &&
+        (webhookEvents.length === 0 || webhookEvents.includes(event))) {
+        targets.push({ channel: 'webhook', recipient: { url: systemWebhook } });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Deliver specific pending entries
+   * @private
+   */
+  async _deliverByIds(ids) {
+    for (const id of ids) {
+      const notification = await NotificationRepository.claimById(id);
+      if (notification) {
+        await this.deliver(notification);
+      }
+    }
+  }
+
+  /**
+   * Send a claimed outbox entry through its channel and record the outcome.
+   * Failures are retried with exponential backoff until maxAttempts is reached.
+   * @param {Notification} notification - Entry in 'sending' status
+   * @returns {Promise<Notification>}
+   */
+  async deliver(notification) {
+    const channel = this.channels.get(notification.channel);
+
+    try {
+      if (!channel) {
+        throw new Error(`No channel registered for ${notification.channel}`);
+      }
+      const result = await channel.send(notification);
+      notification.status = 'sent';
+      notification.sentAt = new Date();
+      notification.lastError = undefined;
+      notification.providerResponse = result && result.response;
+    } catch (error) {
+      notification.lastError = error.message;
+      if (notification.attempts >= notification.maxAttempts) {
+        notification.status = 'failed';
+        logger.warn(`Notification ${notification._id} (${notification.event}/${notification.channel}) failed permanently: ${error.message}`);
+      } else {
+        const backoffMinutes = Math.min(2 ** (notification.attempts - 1), MAX_BACKOFF_MINUTES);
+        notification.status = 'pending';
+        notification.nextAttemptAt = new Date(Date.now() + backoffMinutes * 60 * 1000);
+      }
+    }
+
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Deliver due outbox entries (run by the notification job)
+   * @param {object} options - { limit }
+   * @returns {Promise<{processed: number, sent: number, retrying: number, failed: number}>}
+   */
+  async processOutbox({ limit = 50 } = {}) {
+    await NotificationRepository.releaseStale(new Date(Date.now() - STALE_SENDING_MS));
+
+    const results = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+    while (results.processed < limit) {
+      const notification = await NotificationRepository.claimNextDue(new Date());
+      if (!notification) break;
+
+      const delivered = await this.deliver(notification);
+      results.processed++;
+      if (delivered.status === 'sent') results.sent++;
+      else if (delivered.status === 'failed') results.failed++;
+      else results.retrying++;
+    }
+
+    return results;
+  }
+
+  /**
+   * List outbox entries (external channels)
+   * @param {object} queryParams - { status, channel, event, page, limit }
+   * @returns {Promise<object>}
+   */
+  async getOutbox(queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+
+    const filter = { channel: { $ne: 'in_app' } };
+    if (queryParams.channel) filter.channel = queryParams.channel;
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.event) filter.event = queryParams.event;
+
+    const [result, statusCounts] = await Promise.all([
+      NotificationRepository.findWithPagination(filter, { page, limit }),
+      NotificationRepository.countByStatus()
+    ]);
+
+    return { ...result, statusCounts, channels: this.getChannelStatus() };
+  }
+
+  /**
+   * Requeue a failed or cancelled entry and try it immediately
+   * @param {string} id - Notification ID
+   * @returns {Promise<Notification>}
+   */
+  async retry(id) {
+    const notification = await NotificationRepository.findById(id);
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+    if (notification.channel === 'in_app') {
+      throw new Error('Cannot retry an in-app notification');
+    }
+    if (!['failed', 'cancelled', 'pending'].includes(notification.status)) {
+      throw new Error(`Cannot retry a notification that is ${notification.status}`);
+    }
+
+    notification.status = 'pending';
+    notification.attempts = 0;
+    notification.nextAttemptAt = new Date();
+    await notification.save();
+
+    await this._deliverByIds([notification._id]);
+    return await NotificationRepository.findById(id);
+  }
+
+  /**
+   * Cancel a pending entry
+   * @param {string} id - Notification ID
+   * @returns {Promise<Notification>}
+   */
+  async cancel(id) {
+    const notification = await NotificationRepository.findById(id);
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+    if (notification.status !== 'pending') {
+      throw new Error(`Cannot cancel a notification that is ${notification.status}`);
+    }
+    notification.status = 'cancelled';
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * A user's in-app notifications
+   * @param {string} userId - User ID
+   * @param {object} queryParams - { status: active|unread|read|archived|all, category, severity, page, limit }
+   * @returns {Promise<object>}
+   */
+  async getInbox(userId, queryParams = {}) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+
+    const filter = { 'recipient.user': userId, channel: 'in_app' };
+    switch (queryParams.status || 'active') {
+      case 'unread':
+        filter.readAt = null;
+        filter.archivedAt = null;
+        break;
+      case 'read':
+        filter.readAt = { $ne: null };
+        filter.archivedAt = null;
+        break;
+      case 'archived':
+        filter.archivedAt = { $ne: null };
+        break;
+      case 'active':
+        filter.archivedAt = null;
+        break;
+      default:
+        break;
+    }
+    if (queryParams.category) filter.category = queryParams.category;
+    if (queryParams.severity) filter.severity = queryParams.severity;
+
+    const [result, counts] = await Promise.all([
+      NotificationRepository.findWithPagination(filter, { page, limit, populate: [] }),
+      this.getUnreadCount(userId)
+    ]);
+
+    return { ...result, ...counts };
+  }
+
+  /**
+   * Unread in-app notification counts for the bell badge
+   * @param {string} userId - User ID
+   * @returns {Promise<{unreadCount: number, criticalCount: number}>}
+   */
+  async getUnreadCount(userId) {
+    const filter = { 'recipient.user': userId, channel: 'in_app', readAt: null, archivedAt: null };
+    const [unreadCount, criticalCount] = await Promise.all([
+      NotificationRepository.count(filter),
+      NotificationRepository.count({ ...filter, severity: 'critical' })
+    ]);
+    return { unreadCount, criticalCount };
+  }
+
+  /**
+   * Load one of the user's in-app notifications
+   * @private
+   */
+  async _getOwnNotification(id, userId) {
+    const notification = await NotificationRepository.findOne({
+      _id: id,
+      'recipient.user': userId,
+      channel: 'in_app'
+    });
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+    return notification;
+  }
+
+  /**
+   * Mark a notification read or unread
+   * @param {string} id - Notification ID
+   * @param {string} userId - User ID
+   * @param {boolean} read - Read state
+   * @returns {Promise<Notification>}
+   */
+  async setRead(id, userId, read = true) {
+    const notification = await this._getOwnNotification(id, userId);
+    notification.readAt = read ? (notification.readAt || new Date()) : null;
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Mark all of a user's unread notifications as read
+   * @param {string} userId - User ID
+   * @param {object} filters - { category }
+   * @returns {Promise<{updated: number}>}
+   */
+  async markAllRead(userId, filters = {}) {
+    const query = { 'recipient.user': userId, channel: 'in_app', readAt: null, archivedAt: null };
+    if (filters.category) query.category = filters.category;
+    const result = await NotificationRepository.updateMany(query, { $set: { readAt: new Date() } });
+    return { updated: result.modifiedCount || 0 };
+  }
+
+  /**
+   * Archive (or restore) a notification. Archiving also marks it read.
+   * @param {string} id - Notification ID
+   * @param {string} userId - User ID
+   * @param {boolean} archived - Archive state
+   * @returns {Promise<Notification>}
+   */
+  async setArchived(id, userId, archived = true) {
+    const notification = await this._getOwnNotification(id, userId);
+    notification.archivedAt = archived ? new Date() : null;
+    if (archived && !notification.readAt) {
+      notification.readAt = new Date();
+    }
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Events a user can subscribe to (those whose audience they belong to)
+   * @param {object} user - User document
+   * @returns {Array}
+   */
+  getEventsForUser(user) {
+    return getAllTemplates().filter(template =>
+      template.audience.length > 0 &&
+      (user.role === 'admin' || template.audience.some(permission => user.permissions?.includes(permission)))
+    );
+  }
+
+  /**
+   * A user's notification preferences merged with template defaults
+   * @param {string} userId - User ID
+   * @returns {Promise<object>}
+   */
+  async getPreferences(userId) {
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    const preference = await NotificationPreferenceRepository.findByUser(userId);
+
+    return {
+      user: userId,
+      accountEmail: user.email,
+      email: preference?.email || '',
+      webhookUrl: preference?.webhookUrl || '',
+      channels: this.getChannelStatus(),
+      events: this.getEventsForUser(user).map(template => {
+        const subscription = preference ? preference.getSubscription(template.event) : null;
+        return {
+          event: template.event,
+          name: template.name,
+          category: template.category,
+          severity: template.severity,
+          defaultChannels: template.defaultChannels,
+          enabled: subscription ? subscription.enabled : template.defaultChannels.length > 0,
+          channels: subscription ? subscription.channels : template.defaultChannels,
+          customized: !!subscription
+        };
+      })
+    };
+  }
+
+  /**
+   * Update a user's notification preferences
+   * @param {string} userId - User ID
+   * @param {object} data - { email, webhookUrl, subscriptions: [{ event, enabled, channels }] }
+   * @param {object} updatedBy - User making the change
+   * @returns {Promise<object>}
+   */
+  async updatePreferences(userId, data, updatedBy) {
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const update = { updatedBy: updatedBy?._id };
+    if (data.email !== undefined) update.email = data.email || '';
+    if (data.webhookUrl !== undefined) update.webhookUrl = data.webhookUrl || '';
+    if (update.webhookUrl) {
+      await this.channels.get('webhook').validateUrl(update.webhookUrl);
+    }
+
+    if (data.subscriptions !== undefined) {
+      const allowedEvents = new Set(this.getEventsForUser(user).map(t => t.event));
+      const seen = new Set();
+      update.subscriptions = data.subscriptions.map(subscription => {
+        if (!allowedEvents.has(subscription.event)) {
+          throw new Error(`Cannot subscribe to ${subscription.event}: unknown event or not available to this user`);
+        }
+        if (seen.has(subscription.event)) {
+          throw new Error(`Cannot subscribe to ${subscription.event} more than once`);
+        }
+        seen.add(subscription.event);
+        return {
+          event: subscription.event,
+          enabled: subscription.enabled !== false,
+          channels: [...new Set(subscription.channels || [])]
+        };
+      });
+    }
+
+    const existing = await NotificationPreferenceRepository.findByUser(userId);
+    const webhookUrl = data.webhookUrl !== undefined ? data.webhookUrl : existing?.webhookUrl;
+    const subscriptions = update.subscriptions || existing?.subscriptions || [];
+    if (!webhookUrl && subscriptions.some(s => s.enabled && s.channels.includes('webhook'))) {
+      throw new Error('Cannot enable webhook notifications without a webhook URL');
+    }
+
+    await NotificationPreferenceRepository.upsertForUser(userId, update);
+    return await this.getPreferences(userId);
+  }
+
+  /**
+   * Send a test notification through one channel and wait for the result
+   * @param {object} testData - { channel, email, webhookUrl }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async sendTest(testData, user) {
+    const { channel } = testData;
+    const options = { channels: [channel], awaitDelivery: true, createdBy: user._id };
+
+    if (channel === 'in_app') {
+      options.users = [user._id];
+    } else if (channel === 'email') {
+      options.emails = [testData.email || user.email];
+    } else if (channel === 'webhook') {
+      const preference = await NotificationPreferenceRepository.findByUser(user._id);
+      const url = testData.webhookUrl || preference?.webhookUrl || process.env.NOTIFICATION_WEBHOOK_URL;
+      if (!url) {
+        throw new Error('Cannot send a test webhook without a webhook URL');
+      }
+      if (url !== process.env.NOTIFICATION_WEBHOOK_URL) {
+        await this.channels.get('webhook').validateUrl(url);
+      }
+      options.webhookUrls = [url];
+    }
+
+    const result = await this.notify('notification.test', {
+      sentBy: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+      channel
+    }, options);
+
+    const notification = result.notifications[0];
+    return {
+      channel,
+      status: notification?.status,
+      lastError: notification?.lastError,
+      notification
+    };
+  }
+}
+
+module.exports = new NotificationService();
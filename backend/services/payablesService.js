@@ -0,0 +1,540 @@
+const CashPayment = require('../models/CashPayment');
+const BankPayment = require('../models/BankPayment');
+const PayablesRun = require('../models/PayablesRun');
+const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
+const payablesRunRepository = require('../repositories/PayablesRunRepository');
+const bankRepository = require('../repositories/BankRepository');
+const SupplierBalanceService = require('./supplierBalanceService');
+const currencyService = require('./currencyService');
+const withholdingTaxService = require('./withholdingTaxService');
+const AccountingService = require('./accountingService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Same buckets as customer aging (days past due)
+const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', '90+'];
+// Suppliers whose invoices are never proposed for payment
+const HELD_SUPPLIER_STATUSES = ['suspended', 'blacklisted'];
+// CashPayment/BankPayment particular limit
+const PARTICULAR_MAX_LENGTH = 500;
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const getAgingBucket = (daysOverdue) => {
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return '1-30';
+  if (daysOverdue <= 60) return '31-60';
+  if (daysOverdue <= 90) return '61-90';
+  return '90+';
+};
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket]: 0 }), { total: 0 });
+
+class PayablesService {
+  /**
+   * Supplier aging: unpaid purchase invoices bucketed by days past their due date.
+   * Due dates come from the invoice, or from the invoice date plus the supplier's payment terms.
+   * @param {object} options - { asOfDate, supplier, includeInvoices }
+   * @returns {Promise<object>} { asOfDate, suppliers, totals }
+   */
+  async getSupplierAging(options = {}) {
+    const asOfDate = options.asOfDate ? getEndOfDayPakistan(options.asOfDate) : new Date();
+    const invoices = await this._getOpenInvoices(asOfDate, options.supplier);
+
+    const suppliers = new Map();
+    const totals = emptyBuckets();
+    invoices.forEach(row => {
+      const key = row.supplier._id.toString();
+      if (!suppliers.has(key)) {
+        suppliers.set(key, {
+          supplier: row.supplier,
+          ...emptyBuckets(),
+          invoiceCount: 0,
+          oldestDueDate: row.dueDate,
+          invoices: []
+        });
+      }
+      const entry = suppliers.get(key);
+      entry[row.bucket] = round2(entry[row.bucket] + row.outstanding);
+      entry.total = round2(entry.total + row.outstanding);
+      entry.invoiceCount += 1;
+      if (row.dueDate < entry.oldestDueDate) entry.oldestDueDate = row.dueDate;
+      entry.invoices.push(row);
+
+      totals[row.bucket] = round2(totals[row.bucket] + row.outstanding);
+      totals.total = round2(totals.total + row.outstanding);
+    });
+
+    return {
+      asOfDate,
+      buckets: AGING_BUCKETS,
+      suppliers: [...suppliers.values()]
+        .sort((a, b) => b.total - a.total)
+        .map(({ invoices: supplierInvoices, ...entry }) => (
+          options.includeInvoices || options.supplier ? { ...entry, invoices: supplierInvoices } : entry
+        )),
+      totals
+    };
+  }
+
+  /**
+   * Propose invoices to pay: oldest due first, up to a cash budget
+   * @param {object} options - { budget, asOfDate, dueWithinDays, supplier, allowPartial }
+   * @returns {Promise<object>} { asOfDate, budget, selected, deferred, bySupplier, totals }
+   */
+  async getPaymentProposal(options = {}) {
+    const asOfDate = options.asOfDate ? getEndOfDayPakistan(options.asOfDate) : new Date();
+    const dueWithinDays = parseInt(options.dueWithinDays) || 0;
+    const budget = options.budget !== undefined && options.budget !== null && options.budget !== ''
+      ? round2(parseFloat(options.budget))
+      : null;
+    const allowPartial = options.allowPartial === true || options.allowPartial === 'true';
+
+    // Invoices due by the horizon, most overdue first; smaller invoices first on the same due date
+    const invoices = (await this._getOpenInvoices(asOfDate, options.supplier))
+      .filter(row => row.daysOverdue >= -dueWithinDays)
+      .sort((a, b) => (a.dueDate - b.dueDate) || (a.outstanding - b.outstanding));
+
+    let remaining = budget === null ? Infinity : budget;
+    const selected = [];
+    const deferred = [];
+    invoices.forEach(row => {
+      if (HELD_SUPPLIER_STATUSES.includes(row.supplier.status)) {
+        deferred.push({ ...row, reason: `Supplier is ${row.supplier.status}` });
+      } else if (row.outstanding <= remaining + 0.005) {
+        selected.push({ ...row, proposedAmount: row.outstanding });
+        remaining = round2(remaining - row.outstanding);
+      } else if (allowPartial && remaining >= 0.01) {
+        selected.push({ ...row, proposedAmount: round2(remaining), isPartial: true });
+        remaining = 0;
+      } else {
+        deferred.push({ ...row, reason: 'Exceeds remaining budget' });
+      }
+    });
+
+    const bySupplier = new Map();
+    selected.forEach(row => {
+      const key = row.supplier._id.toString();
+      if (!bySupplier.has(key)) {
+        bySupplier.set(key, { supplier: row.supplier, invoiceCount: 0, amount: 0 });
+      }
+      const entry = bySupplier.get(key);
+      entry.invoiceCount += 1;
+      entry.amount = round2(entry.amount + row.proposedAmount);
+    });
+
+    const totalSelected = round2(selected.reduce((sum, row) => sum + row.proposedAmount, 0));
+    return {
+      asOfDate,
+      dueWithinDays,
+      budget,
+      selected,
+      deferred,
+      bySupplier: [...bySupplier.values()],
+      totals: {
+        due: round2(invoices.reduce((sum, row) => sum + row.outstanding, 0)),
+        selected: totalSelected,
+        deferred: round2(deferred.reduce((sum, row) => sum + row.outstanding, 0)),
+        remainingBudget: budget === null ? null : round2(budget - totalSelected)
+      }
+    };
+  }
+
+  /**
+   * Pay a set of purchase invoices: one cash or bank payment voucher per supplier (and currency),
+   * each applied to the invoices it settles. Allocation amounts are the base amounts to clear;
+   * foreign-currency invoices are paid at the payment-date rate and the realised exchange
+   * difference is posted. Suppliers subject to withholding tax are paid net of the tax.
+   * @param {object} data - { paymentDate, method, bank, budget, allocations: [{ invoice, amount }], notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Saved payables run
+   */
+  async createPaymentRun(data, user) {
+    const allocations = data.allocations || [];
+    if (allocations.length === 0) {
+      throw new Error('Cannot run payables: select at least one invoice');
+    }
+    const invoiceIds = allocations.map(allocation => String(allocation.invoice));
+    if (new Set(invoiceIds).size !== invoiceIds.length) {
+      throw new Error('Cannot run payables: an invoice is selected more than once');
+    }
+
+    const method = data.method === 'bank' ? 'bank' : 'cash';
+    let bankCurrency = '';
+    if (method === 'bank') {
+      if (!data.bank) {
+        throw new Error('Cannot run payables: a bank run needs the bank account to pay from');
+      }
+      const bank = await bankRepository.findById(data.bank);
+      if (!bank) {
+        throw new Error('Bank account not found');
+      }
+      if (!bank.isActive) {
+        throw new Error('Cannot use an inactive bank account');
+      }
+      if (await currencyService.isForeign(bank.currency)) {
+        bankCurrency = bank.currency;
+      }
+    }
+
+    const paymentDate = data.paymentDate ? new Date(data.paymentDate) : new Date();
+    // The vouchers' ledger posting does not fail the run, so a closed period is refused before anything is saved
+    await AccountingService.assertPostingPeriodOpen(paymentDate, 'payables run');
+    const open = await this._getOpenInvoices(getEndOfDayPakistan(paymentDate));
+    const openById = new Map(open.map(row => [row.invoice.toString(), row]));
+
+    const lines = [];
+    for (const allocation of allocations) {
+      const row = openById.get(String(allocation.invoice));
+      if (!row) {
+        throw new Error(`Cannot run payables: invoice ${allocation.invoice} is not an open supplier invoice`);
+      }
+      const amount = round2(parseFloat(allocation.amount));
+      if (!(amount > 0)) {
+        throw new Error(`Cannot run payables: amount for ${row.invoiceNumber} must be greater than zero`);
+      }
+      if (amount > row.outstanding + 0.005) {
+        throw new Error(`Cannot run payables: ${row.invoiceNumber} has only ${row.outstanding.toFixed(2)} outstanding`);
+      }
+      if (bankCurrency && row.currency !== bankCurrency) {
+        throw new Error(`Cannot run payables: ${row.invoiceNumber} is not in ${bankCurrency}, the currency of the bank account`);
+      }
+
+      const line = {
+        supplier: row.supplier._id,
+        supplierName: row.supplier.companyName,
+        invoice: row.invoice,
+        invoiceNumber: row.invoiceNumber,
+        dueDate: row.dueDate,
+        daysOverdue: row.daysOverdue,
+        outstandingBefore: row.outstanding,
+        amount
+      };
+      if (row.foreignCurrency) {
+        Object.assign(line, await currencyService.getSettlement(row, amount, paymentDate));
+      }
+      lines.push(line);
+    }
+
+    // Budget and run total are the cash actually paid, which differs from the amount cleared on foreign invoices
+    const totalAmount = round2(lines.reduce((sum, line) => sum + (line.paidAmount ?? line.amount), 0));
+    const budget = data.budget !== undefined && data.budget !== null && data.budget !== '' ? round2(parseFloat(data.budget)) : undefined;
+    if (budget !== undefined && totalAmount > budget + 0.005) {
+      throw new Error(`Cannot run payables: selected invoices total ${totalAmount.toFixed(2)}, above the budget of ${budget.toFixed(2)}`);
+    }
+
+    // The run, its vouchers and the invoice applications are saved together or not at all;
+    // supplier balances and ledger postings follow once they are committed
+    const { run, payments } = await runWithTransactionRetry(async (session) => {
+      const run = new PayablesRun({
+        paymentDate,
+        method,
+        bank: method === 'bank' ? data.bank : undefined,
+        budget,
+        lines,
+        supplierCount: new Set(lines.map(line => line.supplier.toString())).size,
+        invoiceCount: lines.length,
+        totalAmount,
+        exchangeDifference: round2(lines.reduce((sum, line) => sum + (line.exchangeDifference || 0), 0)),
+        notes: data.notes,
+        createdBy: user._id
+      });
+      await run.save({ session });
+
+      const bySupplier = new Map();
+      run.lines.forEach(line => {
+        const key = `${line.supplier}:${line.currency || ''}`;
+        if (!bySupplier.has(key)) bySupplier.set(key, []);
+        bySupplier.get(key).push(line);
+      });
+
+      const payments = [];
+      for (const supplierLines of bySupplier.values()) {
+        const voucher = await this._createVoucher(run, supplierLines, data, user, session);
+        for (const line of supplierLines) {
+          line.voucherModel = voucher.constructor.modelName;
+          line.voucher = voucher._id;
+          line.voucherCode = voucher.voucherCode;
+          await this._applyToInvoice(line, voucher, {
+            date: run.paymentDate,
+            payablesRun: run._id,
+            userId: run.createdBy,
+            session
+          });
+        }
+        payments.push({ voucher, lines: supplierLines });
+      }
+      run.withheldAmount = round2(payments.reduce((sum, { voucher }) => sum + (voucher.withholding?.amount || 0), 0));
+      await run.save({ session });
+
+      return { run, payments };
+    });
+
+    for (const { voucher, lines: supplierLines } of payments) {
+      await this._postVoucher(run, voucher, supplierLines, user);
+    }
+
+    return await this.getPaymentRunById(run._id);
+  }
+
+  /**
+   * Apply a manual foreign-currency payment to the supplier's open invoices in that currency,
+   * oldest first, and post the realised exchange difference against the invoice rates.
+   * Anything paid beyond those invoices is an advance and clears the balance at the payment rate.
+   * @param {object} voucher - Saved CashPayment or BankPayment with currency, foreignAmount and exchangeRate
+   * @param {object} user - Current user
+   * @returns {Promise<number>} Base amount cleared from the supplier balance
+   */
+  async settleForeignPayment(voucher, user) {
+    const rows = (await this._getOpenInvoices(voucher.date, voucher.supplier))
+      .filter(row => row.currency === voucher.currency && row.foreignOutstanding >= 0.01)
+      .sort((a, b) => a.invoiceDate - b.invoiceDate);
+
+    let foreignLeft = voucher.foreignAmount;
+    const lines = [];
+    for (const row of rows) {
+      if (foreignLeft < 0.01) break;
+      const foreignAmount = round2(Math.min(foreignLeft, row.foreignOutstanding));
+      const amount = foreignAmount >= row.foreignOutstanding
+        ? row.outstanding
+        : round2(foreignAmount * row.foreignCurrency.exchangeRate);
+      const paidAmount = round2(foreignAmount * voucher.exchangeRate);
+      lines.push({
+        invoice: row.invoice,
+        invoiceNumber: row.invoiceNumber,
+        amount,
+        foreignAmount,
+        exchangeRate: voucher.exchangeRate,
+        exchangeDifference: round2(paidAmount - amount)
+      });
+      foreignLeft = round2(foreignLeft - foreignAmount);
+    }
+
+    const advance = foreignLeft >= 0.01 ? round2(foreignLeft * voucher.exchangeRate) : 0;
+    const cleared = round2(lines.reduce((sum, line) => sum + line.amount, 0) + advance);
+    const exchangeDifference = round2(voucher.amount - cleared);
+
+    for (const line of lines) {
+      await this._applyToInvoice(line, voucher, { date: voucher.date, userId: user._id });
+    }
+    voucher.purchaseInvoices = lines.map(line => ({
+      invoice: line.invoice,
+      invoiceNumber: line.invoiceNumber,
+      amount: line.amount,
+      foreignAmount: line.foreignAmount
+    }));
+    voucher.exchangeDifference = exchangeDifference;
+    await voucher.save();
+
+    try {
+      await currencyService.postRealisedDifference({
+        difference: exchangeDifference,
+        date: voucher.date,
+        reference: voucher.voucherCode,
+        description: `Realised exchange ${exchangeDifference > 0 ? 'loss' : 'gain'} on ${voucher.voucherCode} (${voucher.currency})`,
+        createdBy: user._id
+      });
+    } catch (error) {
+      console.error(`Error posting exchange difference for ${voucher.voucherCode}:`, error);
+      // Don't fail the payment if accounting fails
+    }
+
+    return cleared;
+  }
+
+  /**
+   * List payables runs
+   * @param {object} queryParams - { method, fromDate, toDate, page, limit }
+   * @returns {Promise<{runs: Array, total: number, pagination: object}>}
+   */
+  async getPaymentRuns(queryParams = {}) {
+    const filter = {};
+    if (queryParams.method) filter.method = queryParams.method;
+    if (queryParams.fromDate || queryParams.toDate) {
+      filter.paymentDate = {};
+      if (queryParams.fromDate) filter.paymentDate.$gte = getStartOfDayPakistan(queryParams.fromDate);
+      if (queryParams.toDate) filter.paymentDate.$lte = getEndOfDayPakistan(queryParams.toDate);
+    }
+
+    return await payablesRunRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  /**
+   * Get a payables run with its invoice lines and vouchers
+   * @param {string} id - Payables run ID
+   * @returns {Promise<object>}
+   */
+  async getPaymentRunById(id) {
+    const run = await payablesRunRepository.findById(id, {
+      populate: [
+        { path: 'bank', select: 'accountName accountNumber bankName' },
+        { path: 'lines.supplier', select: 'companyName contactPerson' },
+        { path: 'lines.voucher', select: 'voucherCode date amount' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!run) {
+      throw new Error('Payables run not found');
+    }
+    return run;
+  }
+
+  // Open invoices with due date, outstanding amount and aging bucket as of a date
+  async _getOpenInvoices(asOfDate, supplierId) {
+    const invoices = await purchaseInvoiceRepository.findOpenPayables(supplierId ? { supplier: supplierId } : {});
+    const asOfDay = getStartOfDayPakistan(formatDatePakistan(asOfDate));
+
+    return invoices
+      .filter(invoice => invoice.supplier && (invoice.invoiceDate || invoice.createdAt) <= asOfDate)
+      .map(invoice => {
+        const invoiceDate = invoice.invoiceDate || invoice.createdAt;
+        const dueDate = invoice.payment?.dueDate ||
+          new Date(invoiceDate.getTime() + invoice.supplier.getPaymentTermsDays() * DAY_MS);
+        const daysOverdue = Math.round((asOfDay - getStartOfDayPakistan(formatDatePakistan(dueDate))) / DAY_MS);
+        const outstanding = round2(invoice.pricing.total - (invoice.payment?.paidAmount || 0));
+        const foreignCurrency = invoice.foreignCurrency?.code ? invoice.foreignCurrency : undefined;
+
+        return {
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceDate,
+          dueDate,
+          currency: foreignCurrency ? foreignCurrency.code : '',
+          foreignCurrency,
+          foreignOutstanding: foreignCurrency
+            ? round2((foreignCurrency.total || 0) - (foreignCurrency.paidAmount || 0))
+            : undefined,
+          supplier: {
+            _id: invoice.supplier._id,
+            companyName: invoice.supplier.companyName,
+            paymentTerms: invoice.supplier.paymentTerms,
+            status: invoice.supplier.status
+          },
+          total: invoice.pricing.total,
+          paidAmount: invoice.payment?.paidAmount || 0,
+          outstanding,
+          daysOverdue,
+          bucket: getAgingBucket(daysOverdue)
+        };
+      })
+      .filter(row => row.outstanding >= 0.01);
+  }
+
+  // One voucher per supplier, saved in the run's transaction
+  async _createVoucher(run, lines, data, user, session) {
+    const cleared = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    const amount = round2(lines.reduce((sum, line) => sum + (line.paidAmount ?? line.amount), 0));
+    const exchangeDifference = round2(amount - cleared);
+    let particular = `Payables run ${run.runNumber}: ${lines.map(line => line.invoiceNumber).join(', ')}`;
+    if (particular.length > PARTICULAR_MAX_LENGTH) {
+      particular = `${particular.slice(0, PARTICULAR_MAX_LENGTH - 3)}...`;
+    }
+
+    const voucherData = {
+      date: run.paymentDate,
+      amount,
+      particular,
+      supplier: lines[0].supplier,
+      purchaseInvoices: lines.map(line => ({
+        invoice: line.invoice,
+        invoiceNumber: line.invoiceNumber,
+        amount: line.amount,
+        foreignAmount: line.foreignAmount
+      })),
+      payablesRun: run._id,
+      notes: data.notes,
+      createdBy: user._id
+    };
+    if (lines[0].currency) {
+      voucherData.currency = lines[0].currency;
+      voucherData.foreignAmount = round2(lines.reduce((sum, line) => sum + line.foreignAmount, 0));
+      voucherData.exchangeRate = lines[0].exchangeRate;
+      voucherData.exchangeDifference = exchangeDifference;
+    } else {
+      // Suppliers subject to withholding are paid the net amount; the invoices are still cleared
+      // with the gross and the ledger posting splits off the tax, as on a manual payment
+      await withholdingTaxService.applyToVoucher(voucherData, 'payments');
+    }
+    const voucher = run.method === 'bank'
+      ? new BankPayment({ ...voucherData, bank: run.bank })
+      : new CashPayment({ ...voucherData, paymentMethod: 'cash' });
+    await voucher.save({ session });
+
+    return voucher;
+  }
+
+  // Reflect a run's voucher in the supplier balance and the ledger like a manual payment
+  async _postVoucher(run, voucher, lines, user) {
+    const cleared = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    try {
+      // The supplier balance holds invoices at their booked amounts, so clear those
+      await SupplierBalanceService.recordPayment(voucher.supplier, cleared, null);
+    } catch (error) {
+      console.error('Error updating supplier balance for payables run:', error);
+      // Don't fail the run if balance update fails
+    }
+
+    try {
+      if (run.method === 'bank') {
+        await AccountingService.recordBankPayment(voucher);
+      } else {
+        await AccountingService.recordCashPayment(voucher);
+      }
+    } catch (error) {
+      console.error(`Error creating accounting entries for payables run ${run.runNumber}:`, error);
+      // Don't fail the run if accounting fails
+    }
+
+    if (voucher.currency) {
+      try {
+        await currencyService.postRealisedDifference({
+          difference: voucher.exchangeDifference,
+          date: run.paymentDate,
+          reference: voucher.voucherCode,
+          description: `Realised exchange ${voucher.exchangeDifference > 0 ? 'loss' : 'gain'} on ${voucher.voucherCode} (${voucher.currency})`,
+          createdBy: user._id
+        });
+      } catch (error) {
+        console.error(`Error posting exchange difference for payables run ${run.runNumber}:`, error);
+        // Don't fail the run if accounting fails
+      }
+    }
+  }
+
+  async _applyToInvoice(line, voucher, { date, payablesRun, userId, session }) {
+    const invoice = await purchaseInvoiceRepository.findById(line.invoice, { session });
+    const paidAmount = round2((invoice.payment?.paidAmount || 0) + line.amount);
+    const isPaid = paidAmount >= invoice.pricing.total - 0.005;
+
+    invoice.payment.paidAmount = paidAmount;
+    invoice.payment.status = isPaid ? 'paid' : 'partial';
+    invoice.payment.isPartialPayment = !isPaid;
+    if (isPaid) invoice.payment.paidDate = date;
+    if (line.foreignAmount) {
+      invoice.foreignCurrency.paidAmount = round2((invoice.foreignCurrency.paidAmount || 0) + line.foreignAmount);
+    }
+    invoice.paymentApplications.push({
+      voucherModel: voucher.constructor.modelName,
+      voucher: voucher._id,
+      voucherCode: voucher.voucherCode,
+      amount: line.amount,
+      foreignAmount: line.foreignAmount,
+      exchangeRate: line.exchangeRate,
+      exchangeDifference: line.exchangeDifference,
+      date,
+      payablesRun
+    });
+    invoice.lastModifiedBy = userId;
+    await invoice.save({ session });
+  }
+}
+
+module.exports = new PayablesService();
@@ -0,0 +1,416 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ExcelJS = require('exceljs');
+const priceListRepository = require('../repositories/PriceListRepository');
+const productRepository = require('../repositories/ProductRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Assignment levels, most specific first
+const LEVELS = ['customer', 'city', 'tier'];
+
+const PRICE_HEADERS = ['SKU', 'Product', 'Min Quantity', 'Price', 'Retail Price'];
+
+class PriceListService {
+  constructor() {
+    this.exportDir = path.join(__dirname, '../exports');
+    this.ensureExportDir();
+  }
+
+  async ensureExportDir() {
+    try {
+      await fs.access(this.exportDir);
+    } catch (error) {
+      await fs.mkdir(this.exportDir, { recursive: true });
+    }
+  }
+
+  async getPriceLists(queryParams = {}) {
+    const filter = {};
+    if (queryParams.isActive !== undefined) filter.isActive = queryParams.isActive === 'true' || queryParams.isActive === true;
+    if (queryParams.customer) filter.customers = queryParams.customer;
+    if (queryParams.search) filter.name = { $regex: queryParams.search, $options: 'i' };
+    return await priceListRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  async getPriceListById(id) {
+    const priceList = await priceListRepository.findById(id, {
+      populate: [
+        { path: 'items.product', select: 'name sku barcode pricing' },
+        { path: 'rules.category', select: 'name' },
+        { path: 'customers', select: 'businessName name' },
+        { path: 'createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+    return priceList;
+  }
+
+  async createPriceList(data, user) {
+    if (await priceListRepository.findByName(data.name)) {
+      throw new Error(`Cannot add price list: ${data.name} already exists`);
+    }
+    return await priceListRepository.create({
+      name: data.name,
+      description: data.description,
+      // Validity covers whole days: from the start of validFrom to the end of validUntil
+      validFrom: getStartOfDayPakistan(data.validFrom) || undefined,
+      validUntil: getEndOfDayPakistan(data.validUntil) || undefined,
+      priority: data.priority || 0,
+      items: this._normalizeItems(data.items),
+      rules: data.rules || [],
+      customers: data.customers || [],
+      cities: this._normalizeCities(data.cities),
+      customerTiers: data.customerTiers || [],
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      createdBy: user._id
+    });
+  }
+
+  async updatePriceList(id, data, user) {
+    const priceList = await priceListRepository.findById(id);
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+    if (data.name && data.name.trim().toLowerCase() !== priceList.name.toLowerCase()) {
+      const existing = await priceListRepository.findByName(data.name);
+      if (existing && existing._id.toString() !== id.toString()) {
+        throw new Error(`Cannot rename price list: ${data.name} already exists`);
+      }
+    }
+
+    ['name', 'description', 'priority', 'rules', 'customers', 'customerTiers', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) priceList[field] = data[field];
+    });
+    if (data.validFrom !== undefined) priceList.validFrom = getStartOfDayPakistan(data.validFrom) || undefined;
+    if (data.validUntil !== undefined) priceList.validUntil = getEndOfDayPakistan(data.validUntil) || undefined;
+    if (data.items !== undefined) priceList.items = this._normalizeItems(data.items);
+    if (data.cities !== undefined) priceList.cities = this._normalizeCities(data.cities);
+    priceList.updatedBy = user._id;
+    await priceList.save();
+    return priceList;
+  }
+
+  async deletePriceList(id) {
+    const priceList = await priceListRepository.findById(id);
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+    await priceListRepository.hardDelete(id);
+  }
+
+  /**
+   * Price lists that apply to a customer on a date, most specific first: lists naming the customer,
+   * then lists for the customer's cities, then lists for the tier. Higher priority and the more
+   * recently started list win within a level.
+   * @param {object} customer - Customer document
+   * @param {Date} date - Pricing date
+   * @returns {Promise<Array>} Lists, each with the level it was matched at
+   */
+  async getApplicablePriceLists(customer, date = new Date()) {
+    if (!customer) return [];
+    const cities = this._customerCities(customer);
+    const lists = await priceListRepository.findEffectiveFor({
+      customer: customer._id,
+      cities,
+      customerTier: customer.customerTier,
+      date
+    });
+
+    const customerId = customer._id.toString();
+    const lowerCities = cities.map(city => city.toLowerCase());
+    const levelOf = (list) => {
+      if ((list.customers || []).some(id => idOf(id) === customerId)) return 'customer';
+      if ((list.cities || []).some(city => lowerCities.includes(city.toLowerCase()))) return 'city';
+      return 'tier';
+    };
+
+    return lists
+      .map(list => ({ list, level: levelOf(list) }))
+      .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level)
+        || (b.list.priority || 0) - (a.list.priority || 0)
+        || (b.list.validFrom?.getTime() || 0) - (a.list.validFrom?.getTime() || 0));
+  }
+
+  /**
+   * Price a product from the first applicable list that covers it
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity in base units
+   * @param {Array} applicable - Output of getApplicablePriceLists
+   * @returns {object|null} { unitPrice, priceList, priceListName, level, method } or null when no list covers the product
+   */
+  resolvePrice(product, quantity, applicable) {
+    for (const { list, level } of applicable || []) {
+      const priced = this.priceFromList(list, product, quantity);
+      if (priced) {
+        return {
+          unitPrice: priced.unitPrice,
+          priceList: list._id,
+          priceListName: list.name,
+          level,
+          method: priced.method
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Price a product on one list: a fixed price for the product (largest quantity break reached),
+   * else a rule for its category, else a rule covering every product
+   * @param {object} list - Price list document
+   * @param {object} product - Product document
+   * @param {number} quantity - Line quantity in base units
+   * @returns {{unitPrice: number, method: string}|null}
+   */
+  priceFromList(list, product, quantity = 1) {
+    const productId = idOf(product);
+    const fixed = (list.items || [])
+      .filter(item => idOf(item.product) === productId && quantity >= (item.minQuantity || 0))
+      .sort((a, b) => (b.minQuantity || 0) - (a.minQuantity || 0))[0];
+    if (fixed) {
+      return { unitPrice: round2(fixed.price), method: 'fixed' };
+    }
+
+    const categoryId = idOf(product.category);
+    const rules = list.rules || [];
+    const rule = (categoryId && rules.find(r => r.category && idOf(r.category) === categoryId))
+      || rules.find(r => !r.category);
+    if (!rule) return null;
+
+    const base = this.getBasePrice(product, rule.basePrice);
+    if (base === null) return null;
+    const factor = rule.adjustmentType === 'markup' ? 1 + rule.percent / 100 : 1 - rule.percent / 100;
+    return { unitPrice: round2(Math.max(0, base * factor)), method: rule.adjustmentType };
+  }
+
+  getBasePrice(product, basePrice = 'retail') {
+    const pricing = product.pricing || {};
+    const value = basePrice === 'distributor'
+      ? (pricing.distributor ?? pricing.wholesale)
+      : pricing[basePrice];
+    return value === undefined || value === null ? null : Number(value);
+  }
+
+  /**
+   * Prices for a customer's lines as the sale and sales-order screens would charge them
+   * @param {object} params - { customer, items: [{ product, quantity }], date }
+   * @returns {Promise<{priceLists: Array, items: Array}>}
+   */
+  async quote({ customer: customerId, items = [], date }) {
+    const customer = await customerRepository.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const applicable = await this.getApplicablePriceLists(customer, date ? new Date(date) : new Date());
+    const products = await productRepository.findByIds(items.map(item => item.product));
+
+    const lines = items.map(item => {
+      const quantity = Number(item.quantity) || 1;
+      const product = products.find(p => p._id.toString() === item.product.toString());
+      if (!product) {
+        return { product: item.product, quantity, unitPrice: null, priceList: null };
+      }
+      const standardPrice = product.getPriceForCustomerType(customer.businessType, quantity);
+      const listPrice = this.resolvePrice(product, quantity, applicable);
+      return {
+        product: product._id,
+        quantity,
+        standardPrice,
+        unitPrice: listPrice ? listPrice.unitPrice : standardPrice,
+        priceList: listPrice
+          ? { _id: listPrice.priceList, name: listPrice.priceListName, level: listPrice.level, method: listPrice.method }
+          : null
+      };
+    });
+
+    return {
+      priceLists: applicable.map(({ list, level }) => ({ _id: list._id, name: list.name, level, priority: list.priority })),
+      items: lines
+    };
+  }
+
+  // Export a list's fixed prices to Excel; the Prices sheet re-imports as-is
+  async exportToExcel(id) {
+    try {
+      const priceList = await this.getPriceListById(id);
+      const workbook = new ExcelJS.Workbook();
+      const pricesSheet = workbook.addWorksheet('Prices');
+      const detailsSheet = workbook.addWorksheet('Details');
+
+      const headerStyle = {
+        font: { bold: true, size: 11 },
+        fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6E6FA' } },
+        border: { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } },
+        alignment: { horizontal: 'center', vertical: 'middle' }
+      };
+      const amountFormat = '#,##0.00';
+
+      pricesSheet.columns = [
+        { key: 'sku', width: 18 },
+        { key: 'product', width: 40 },
+        { key: 'minQuantity', width: 14 },
+        { key: 'price', width: 14, style: { numFmt: amountFormat } },
+        { key: 'retail', width: 14, style: { numFmt: amountFormat } }
+      ];
+      pricesSheet.getRow(1).values = PRICE_HEADERS;
+      pricesSheet.getRow(1).eachCell(cell => { cell.style = headerStyle; });
+
+      (priceList.items || []).forEach(item => {
+        pricesSheet.addRow({
+          sku: item.product?.sku || '',
+          product: item.product?.name || '',
+          minQuantity: item.minQuantity || 1,
+          price: item.price,
+          retail: item.product?.pricing?.retail ?? null
+        });
+      });
+
+      detailsSheet.getColumn(1).width = 20;
+      detailsSheet.getColumn(2).width = 60;
+      [
+        ['Price List', priceList.name],
+        ['Description', priceList.description || ''],
+        ['Valid From', priceList.validFrom ? formatDatePakistan(priceList.validFrom) : 'Open'],
+        ['Valid Until', priceList.validUntil ? formatDatePakistan(priceList.validUntil) : 'Open'],
+        ['Priority', priceList.priority || 0],
+        ['Customers', (priceList.customers || []).map(c => c.businessName || c.name).join(', ')],
+        ['Cities', (priceList.cities || []).join(', ')],
+        ['Customer Tiers', (priceList.customerTiers || []).join(', ')],
+        ['Status', priceList.isActive ? 'Active' : 'Inactive'],
+        [],
+        ['Rules'],
+        ...(priceList.rules || []).map(rule => [
+          rule.category?.name || 'All products',
+          `${rule.adjustmentType === 'markup' ? 'Markup' : 'Discount'} ${rule.percent}% on ${rule.basePrice} price`
+        ])
+      ].forEach(values => detailsSheet.addRow(values));
+      detailsSheet.getColumn(1).font = { bold: true };
+
+      const safeName = priceList.name.replace(/[^A-Za-z0-9_-]+/g, '_');
+      const filename = `price_list_${safeName}_${Date.now()}.xlsx`;
+      const filepath = path.join(this.exportDir, filename);
+      await workbook.xlsx.writeFile(filepath);
+
+      return { filename, filepath };
+    } catch (error) {
+      console.error('Price list Excel export error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import fixed prices from an Excel sheet laid out as exportToExcel writes it. Products are
+   * matched on SKU, then by name. Rows update the price for the same product and quantity break.
+   * @param {string} id - Price list ID
+   * @param {object} file - Uploaded file (multer memory storage)
+   * @param {object} options - { replace } drops prices the sheet doesn't list
+   * @param {object} user - Importing user
+   * @returns {Promise<{total: number, imported: number, errors: Array}>}
+   */
+  async importFromExcel(id, file, { replace = false } = {}, user) {
+    const priceList = await priceListRepository.findById(id);
+    if (!priceList) {
+      throw new Error('Price list not found');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.getWorksheet('Prices') || workbook.worksheets[0];
+    if (!sheet) {
+      throw new Error('Cannot import price list: the workbook has no sheets');
+    }
+
+    const columns = {};
+    sheet.getRow(1).eachCell((cell, col) => {
+      const header = String(cell.text || '').trim().toLowerCase();
+      if (header === 'sku') columns.sku = col;
+      if (header === 'product' || header === 'product name') columns.product = col;
+      if (header === 'min quantity') columns.minQuantity = col;
+      if (header === 'price') columns.price = col;
+    });
+    if (!columns.price || (!columns.sku && !columns.product)) {
+      throw new Error('Cannot import price list: the sheet needs a Price column and a SKU or Product column');
+    }
+
+    const results = { total: 0, imported: 0, errors: [] };
+    const imported = [];
+    for (let rowNumber = 2; rowNumber <= sheet.rowCount; rowNumber++) {
+      const row = sheet.getRow(rowNumber);
+      const text = (col) => (col ? String(row.getCell(col).text || '').trim() : '');
+      const sku = text(columns.sku);
+      const name = text(columns.product);
+      if (!sku && !name) continue;
+      results.total++;
+
+      const price = parseFloat(text(columns.price));
+      const minQuantity = columns.minQuantity && text(columns.minQuantity) ? parseFloat(text(columns.minQuantity)) : 1;
+      if (isNaN(price) || price < 0) {
+        results.errors.push({ row: rowNumber, error: 'Price must be a positive number' });
+        continue;
+      }
+      if (isNaN(minQuantity) || minQuantity < 0) {
+        results.errors.push({ row: rowNumber, error: 'Min quantity must be a positive number' });
+        continue;
+      }
+
+      const product = (sku && await productRepository.findBySku(sku))
+        || (name && await productRepository.findByName(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+      if (!product) {
+        results.errors.push({ row: rowNumber, error: `Product not found: ${sku || name}` });
+        continue;
+      }
+
+      imported.push({ product: product._id, price, minQuantity });
+      results.imported++;
+    }
+
+    const kept = replace
+      ? []
+      : priceList.items.filter(item => !imported.some(row =>
+        row.product.toString() === item.product.toString() && row.minQuantity === item.minQuantity
+      ));
+    priceList.items = this._normalizeItems([...kept, ...imported]);
+    priceList.updatedBy = user._id;
+    await priceList.save();
+
+    return results;
+  }
+
+  // Later entries for the same product and quantity break replace earlier ones
+  _normalizeItems(items = []) {
+    const byKey = new Map();
+    items.forEach(item => {
+      const minQuantity = item.minQuantity !== undefined && item.minQuantity !== null ? Number(item.minQuantity) : 1;
+      byKey.set(`${idOf(item.product)}:${minQuantity}`, {
+        product: idOf(item.product),
+        price: Number(item.price),
+        minQuantity
+      });
+    });
+    return [...byKey.values()];
+  }
+
+  _normalizeCities(cities = []) {
+    return [...new Set(cities.map(city => String(city).trim()).filter(Boolean))];
+  }
+
+  _customerCities(customer) {
+    return this._normalizeCities((customer.addresses || []).map(address => address.city).filter(Boolean));
+  }
+}
+
+module.exports = new PriceListService();
@@ -5,6 +5,7 @@ const salesRepository = require('../repositories/SalesRepository');
 const Inventory = require('../models/Inventory');
 const auditLogService = require('./auditLogService');
 const costingService = require('./costingService');
+const uomService = require('./uomService');
 
 class ProductService {
   /**
@@ -35,6 +36,10 @@ class ProductService {
         if (field === 'sku' || field === 'barcode') {
           // Exact match for SKU/barcode
           searchConditions.push({ [field]: { $regex: `^${searchTerm}$`, $options: 'i' } });
+          if (field === 'barcode') {
+            // Pack/carton barcodes resolve to the same product
+            searchConditions.push({ 'alternateUnits.barcode': { $regex: `^${searchTerm}$`, $options: 'i' } });
+          }
         } else {
           // Partial match for other fields
           searchConditions.push({ [field]: { $regex: searchTerm, $options: 'i' } });
@@ -341,6 +346,9 @@ class ProductService {
       }
     }
 
+    // Validate base/alternate units, conversion factors and unit barcodes
+    await uomService.validateProductUnits(productData);
+
     // Set default costing method if not provided
     if (!productData.costingMethod) {
       productData.costingMethod = 'standard';
@@ -364,7 +372,7 @@ class ProductService {
         reorderQuantity: product.inventory?.reorderQuantity || 50,
         status: 'active',
         location: {
-          warehouse: 'Main Warehouse',
+          warehouse: await Inventory.getPrimaryWarehouseKey(),
           aisle: 'A1',
           shelf: 'S1'
         },
@@ -473,6 +481,9 @@ class ProductService {
       }
     }
 
+    // Validate base/alternate units, conversion factors and unit barcodes
+    await uomService.validateProductUnits(updateData, id);
+
     // Remove version from updateData (Mongoose handles __v automatically)
     const { version, ...dataToUpdate } = updateData;
 
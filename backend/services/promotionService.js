@@ -0,0 +1,471 @@
+const DiscountRepository = require('../repositories/DiscountRepository');
+const ProductRepository = require('../repositories/ProductRepository');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Above this many qualifying promotions the best combination is picked greedily
+const MAX_EXHAUSTIVE_PROMOTIONS = 10;
+
+class PromotionService {
+  /**
+   * Work out which promotions a cart gets: automatic promotions plus any codes entered. Every
+   * promotion is checked on its own, then the combination worth most to the customer that the
+   * stacking rules allow is applied. Promotions left out come back with the reason.
+   * @param {object} params - { items: [{ product, quantity, unitPrice, discountAmount }], customer, codes, date }
+   * @returns {Promise<object>} { subtotal, totalDiscount, applied, notApplied, freeItems, lines }
+   */
+  async evaluate({ items = [], customer = null, codes = [], date = new Date() }) {
+    const enteredCodes = [...new Set((codes || []).map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+    const products = await ProductRepository.findByIds(items.map(item => idOf(item.product)), { select: 'name category pricing' });
+
+    const lines = items.map((item, index) => {
+      const product = products.find(p => p._id.toString() === idOf(item.product));
+      const quantity = Number(item.quantity) || 0;
+      const net = Math.max(0, quantity * (Number(item.unitPrice) || 0) - (Number(item.discountAmount) || 0));
+      return {
+        index,
+        product: idOf(item.product),
+        name: product?.name,
+        category: idOf(product?.category),
+        quantity,
+        net,
+        unitNet: quantity > 0 ? net / quantity : 0
+      };
+    });
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.net, 0));
+
+    const candidates = await DiscountRepository.findPromotionCandidates(enteredCodes, date);
+    const notApplied = enteredCodes
+      .filter(code => !candidates.some(discount => discount.code === code))
+      .map(code => ({ code, reason: 'Code not found or not currently valid' }));
+
+    const qualifying = [];
+    for (const discount of candidates) {
+      const result = await this.evaluatePromotion(discount, lines, customer, date, subtotal);
+      if (result.amount > 0 || result.freeItems.length > 0) {
+        qualifying.push({ discount, ...result });
+      } else {
+        notApplied.push({ ...this._summary(discount), reason: result.reason });
+      }
+    }
+
+    const chosen = this.selectBestDeal(qualifying.filter(entry => entry.amount > 0), lines);
+    qualifying.filter(entry => !chosen.includes(entry)).forEach(entry => {
+      const conflicts = chosen.filter(other => !this.canCombine(entry.discount, other.discount));
+      let reason = 'A better deal was applied';
+      if (conflicts.length > 0) {
+        reason = `Cannot be combined with ${conflicts.map(other => other.discount.name).join(', ')}, which saves more`;
+      } else if (entry.amount === 0) {
+        reason = entry.reason;
+      }
+      notApplied.push({ ...this._summary(entry.discount), reason });
+    });
+
+    // Free items still to be added, from promotions that would stack with the chosen deal
+    const freeItems = qualifying
+      .filter(entry => entry.freeItems.length > 0
+        && chosen.every(other => other === entry || this.canCombine(entry.discount, other.discount)))
+      .flatMap(entry => entry.freeItems.map(item => ({ ...item, code: entry.discount.code })));
+
+    // Stacked promotions never take a line below zero
+    const remaining = lines.map(line => line.net);
+    const lineDiscounts = lines.map(() => 0);
+    const applied = chosen.map(entry => {
+      const allocated = [];
+      entry.allocations.forEach((amount, index) => {
+        const take = round2(Math.min(amount, remaining[index]));
+        if (take <= 0) return;
+        remaining[index] = round2(remaining[index] - take);
+        lineDiscounts[index] = round2(lineDiscounts[index] + take);
+        allocated.push({ product: lines[index].product, amount: take });
+      });
+      return {
+        ...this._summary(entry.discount),
+        amount: round2(allocated.reduce((sum, line) => sum + line.amount, 0)),
+        reason: entry.reason,
+        lines: allocated
+      };
+    });
+
+    return {
+      subtotal,
+      totalDiscount: round2(lineDiscounts.reduce((sum, amount) => sum + amount, 0)),
+      applied,
+      notApplied,
+      freeItems,
+      lines: lines.map(line => ({ product: line.product, discountAmount: lineDiscounts[line.index] }))
+    };
+  }
+
+  /**
+   * Check one promotion against the cart and price it
+   * @returns {Promise<{amount: number, allocations: Map, reason: string, freeItems: Array}>}
+   */
+  async evaluatePromotion(discount, lines, customer, date, subtotal) {
+    const none = (reason) => ({ amount: 0, allocations: new Map(), reason, freeItems: [] });
+
+    const customerRestricted = discount.applicableTo === 'customers'
+      || (discount.applicableCustomers || []).length > 0
+      || (discount.customerTiers || []).length > 0
+      || (discount.businessTypes || []).length > 0;
+    if (customerRestricted && !customer) {
+      return none('Requires a customer on the sale');
+    }
+
+    const applicability = discount.isApplicableToOrder({
+      total: subtotal,
+      items: lines.map(line => ({ product: line.product, quantity: line.quantity }))
+    }, customer, date);
+    if (!applicability.applicable) {
+      return none(applicability.reason);
+    }
+
+    if (customer && discount.usageLimitPerCustomer) {
+      const customerUses = (discount.analytics?.usageHistory || [])
+        .filter(use => idOf(use.customerId) === customer._id.toString()).length;
+      if (customerUses >= discount.usageLimitPerCustomer) {
+        return none('Usage limit for this customer reached');
+      }
+    }
+
+    const freeProduct = discount.type === 'free_item' ? idOf(discount.promotion?.freeProduct) : null;
+    const qualifyingLines = this.qualifyingLines(discount, lines)
+      .filter(line => line.net > 0 && line.product !== freeProduct);
+    if (qualifyingLines.length === 0) {
+      return none('No qualifying items in the cart');
+    }
+
+    let result;
+    switch (discount.type) {
+      case 'percentage':
+        result = this._pricePercentage(discount, qualifyingLines);
+        break;
+      case 'fixed_amount':
+        result = this._priceFixedAmount(discount, qualifyingLines);
+        break;
+      case 'buy_x_get_y':
+        result = this._priceBuyXGetY(discount, qualifyingLines);
+        break;
+      case 'bundle':
+        result = this._priceBundle(discount, qualifyingLines);
+        break;
+      case 'tiered_spend':
+        result = this._priceTieredSpend(discount, qualifyingLines);
+        break;
+      case 'free_item':
+        result = await this._priceFreeItem(discount, lines);
+        break;
+      default:
+        return none(`Unsupported promotion type ${discount.type}`);
+    }
+    if (result.reason && this._isHappyHour(discount)) {
+      result.reason = `${result.reason} (${this._happyHourLabel(discount)})`;
+    }
+    return { freeItems: [], ...result };
+  }
+
+  // Lines the promotion's product or category restriction covers
+  qualifyingLines(discount, lines) {
+    if (discount.applicableTo === 'products' && (discount.applicableProducts || []).length > 0) {
+      const productIds = discount.applicableProducts.map(idOf);
+      return lines.filter(line => productIds.includes(line.product));
+    }
+    if (discount.applicableTo === 'categories' && (discount.applicableCategories || []).length > 0) {
+      const categoryIds = discount.applicableCategories.map(idOf);
+      return lines.filter(line => line.category && categoryIds.includes(line.category));
+    }
+    return lines;
+  }
+
+  /**
+   * Pick the set of qualifying promotions worth most to the customer that can all be combined.
+   * Ties go to the higher-priority set.
+   * @param {Array} qualifying - Promotions that qualified on their own
+   * @param {Array} lines - Cart lines
+   * @returns {Array} Chosen promotions, largest saving first
+   */
+  selectBestDeal(qualifying, lines) {
+    const value = (set) => {
+      const perLine = new Map();
+      set.forEach(entry => entry.allocations.forEach((amount, index) => {
+        perLine.set(index, (perLine.get(index) || 0) + amount);
+      }));
+      let total = 0;
+      perLine.forEach((amount, index) => { total += Math.min(amount, lines[index].net); });
+      return round2(total);
+    };
+    const priority = (set) => set.reduce((sum, entry) => sum + (entry.discount.priority || 0), 0);
+    const compatible = (set) => set.every((entry, i) =>
+      set.slice(i + 1).every(other => this.canCombine(entry.discount, other.discount)));
+    const bySaving = (a, b) => b.amount - a.amount
+      || (b.discount.priority || 0) - (a.discount.priority || 0);
+
+    let best = [];
+    if (qualifying.length <= MAX_EXHAUSTIVE_PROMOTIONS) {
+      let bestValue = 0;
+      for (let mask = 1; mask < (1 << qualifying.length); mask++) {
+        const set = qualifying.filter((_, i) => mask & (1 << i));
+        if (!compatible(set)) continue;
+        const setValue = value(set);
+        if (setValue > bestValue
+            || (setValue === bestValue && (priority(set) > priority(best)
+              || (priority(set) === priority(best) && set.length < best.length)))) {
+          best = set;
+          bestValue = setValue;
+        }
+      }
+    } else {
+      [...qualifying].sort(bySaving).forEach(entry => {
+        if (best.every(other => this.canCombine(entry.discount, other.discount))) {
+          best.push(entry);
+        }
+      });
+    }
+    return [...best].sort(bySaving);
+  }
+
+  // Stacking: both promotions allow combining, or either names the other as combinable
+  canCombine(a, b) {
+    if (a.combinableWithOtherDiscounts && b.combinableWithOtherDiscounts) return true;
+    const names = (discount, other) => (discount.combinableDiscounts || []).some(id => idOf(id) === other._id.toString());
+    return names(a, b) || names(b, a);
+  }
+
+  /**
+   * Add a promotion evaluation to sale lines built by the sales route, as extra line discount
+   * @param {Array} orderItems - Sale lines with subtotal, discountAmount and taxRate
+   * @param {object} evaluation - Output of evaluate
+   * @param {boolean} isTaxExempt - Whether the sale is tax exempt
+   */
+  applyToSaleItems(orderItems, evaluation, isTaxExempt) {
+    evaluation.lines.forEach((line, index) => {
+      const item = orderItems[index];
+      if (!item || line.discountAmount <= 0) return;
+      item.discountAmount = Math.min(item.subtotal, item.discountAmount + line.discountAmount);
+      item.discountPercent = item.subtotal > 0 ? Math.min(100, (item.discountAmount / item.subtotal) * 100) : 0;
+      item.taxAmount = isTaxExempt ? 0 : (item.subtotal - item.discountAmount) * (item.taxRate || 0);
+      item.total = item.subtotal - item.discountAmount + item.taxAmount;
+    });
+  }
+
+  /**
+   * Record use of the applied promotions against a saved sale
+   * @param {object} evaluation - Output of evaluate
+   * @param {object} order - Saved Sales document
+   * @param {string} customerId - Customer on the sale
+   */
+  async recordUsage(evaluation, order, customerId) {
+    for (const promotion of evaluation.applied) {
+      const discount = await DiscountRepository.findById(promotion.discount);
+      if (discount) {
+        await discount.recordUsage(order._id, customerId || null, promotion.amount, order.pricing.total);
+      }
+    }
+  }
+
+  _pricePercentage(discount, qualifyingLines) {
+    const base = qualifyingLines.reduce((sum, line) => sum + line.net, 0);
+    let amount = base * discount.value / 100;
+    if (discount.maximumDiscount && amount > discount.maximumDiscount) amount = discount.maximumDiscount;
+    return {
+      amount: round2(amount),
+      allocations: this._spread(qualifyingLines, amount),
+      reason: `${discount.value}% off qualifying items`
+    };
+  }
+
+  _priceFixedAmount(discount, qualifyingLines) {
+    const base = qualifyingLines.reduce((sum, line) => sum + line.net, 0);
+    const amount = Math.min(discount.value, base);
+    return {
+      amount: round2(amount),
+      allocations: this._spread(qualifyingLines, amount),
+      reason: `${round2(amount)} off qualifying items`
+    };
+  }
+
+  _priceBuyXGetY(discount, qualifyingLines) {
+    const { buyQuantity, getQuantity, getDiscountPercent = 100 } = discount.promotion;
+    const groupSize = buyQuantity + getQuantity;
+    const units = this._wholeUnits(qualifyingLines);
+    const offer = getDiscountPercent >= 100 ? 'free' : `at ${getDiscountPercent}% off`;
+    const discountedUnits = Math.floor(units / groupSize) * getQuantity;
+    if (discountedUnits === 0) {
+      return {
+        amount: 0,
+        allocations: new Map(),
+        reason: `Add ${groupSize - units} more qualifying item(s) to get ${getQuantity} ${offer}`
+      };
+    }
+
+    // The cheapest units are the ones discounted
+    const allocations = new Map();
+    let amount = 0;
+    this._takeUnits(qualifyingLines, discountedUnits, 'cheapest').forEach(({ line, units: taken }) => {
+      const lineAmount = taken * line.unitNet * getDiscountPercent / 100;
+      allocations.set(line.index, (allocations.get(line.index) || 0) + lineAmount);
+      amount += lineAmount;
+    });
+    return {
+      amount: round2(amount),
+      allocations,
+      reason: `Buy ${buyQuantity} get ${getQuantity} ${offer}: ${discountedUnits} item(s) ${offer}`
+    };
+  }
+
+  _priceBundle(discount, qualifyingLines) {
+    const { bundleQuantity, bundlePrice } = discount.promotion;
+    const units = this._wholeUnits(qualifyingLines);
+    const bundles = Math.floor(units / bundleQuantity);
+    if (bundles === 0) {
+      return {
+        amount: 0,
+        allocations: new Map(),
+        reason: `Add ${bundleQuantity - units} more qualifying item(s) to complete the bundle`
+      };
+    }
+
+    // Bundle the dearest units, which saves the customer most; stop before bundles that would cost more
+    const unitPrices = this._takeUnits(qualifyingLines, bundles * bundleQuantity, 'dearest')
+      .flatMap(({ line, units: count }) => Array(count).fill(line.unitNet));
+    let bestBundles = 0;
+    let amount = 0;
+    for (let count = 1; count <= bundles; count++) {
+      const saving = unitPrices.slice(0, count * bundleQuantity).reduce((sum, price) => sum + price, 0) - count * bundlePrice;
+      if (saving > amount) {
+        bestBundles = count;
+        amount = saving;
+      }
+    }
+    if (bestBundles === 0) {
+      return { amount: 0, allocations: new Map(), reason: 'Items already cost less than the bundle price' };
+    }
+
+    const taken = this._takeUnits(qualifyingLines, bestBundles * bundleQuantity, 'dearest');
+    const bundledValue = taken.reduce((sum, { line, units: count }) => sum + count * line.unitNet, 0);
+
+    const allocations = new Map();
+    taken.forEach(({ line, units: count }) => {
+      allocations.set(line.index, (allocations.get(line.index) || 0) + amount * (count * line.unitNet) / bundledValue);
+    });
+    return {
+      amount: round2(amount),
+      allocations,
+      reason: `Any ${bundleQuantity} for ${bundlePrice}: ${bestBundles} bundle(s)`
+    };
+  }
+
+  _priceTieredSpend(discount, qualifyingLines) {
+    const spend = qualifyingLines.reduce((sum, line) => sum + line.net, 0);
+    const tiers = [...discount.promotion.tiers].sort((a, b) => b.minimumSpend - a.minimumSpend);
+    const tierLabel = (tier) => (tier.type === 'percentage' ? `${tier.value}% off` : `${tier.value} off`);
+    const tier = tiers.find(t => spend >= t.minimumSpend);
+    if (!tier) {
+      const first = tiers[tiers.length - 1];
+      return {
+        amount: 0,
+        allocations: new Map(),
+        reason: `Spend ${round2(first.minimumSpend - spend)} more to get ${tierLabel(first)}`
+      };
+    }
+
+    let amount = tier.type === 'percentage' ? spend * tier.value / 100 : Math.min(tier.value, spend);
+    if (discount.maximumDiscount && amount > discount.maximumDiscount) amount = discount.maximumDiscount;
+    const next = tiers.filter(t => t.minimumSpend > spend).pop();
+    return {
+      amount: round2(amount),
+      allocations: this._spread(qualifyingLines, amount),
+      reason: `Spent ${round2(spend)}: ${tierLabel(tier)}`
+        + (next ? `; spend ${round2(next.minimumSpend - spend)} more for ${tierLabel(next)}` : '')
+    };
+  }
+
+  async _priceFreeItem(discount, lines) {
+    const freeProduct = idOf(discount.promotion.freeProduct);
+    const freeQuantity = discount.promotion.freeQuantity || 1;
+    const inCart = lines.filter(line => line.product === freeProduct);
+
+    const allocations = new Map();
+    let amount = 0;
+    let covered = 0;
+    this._takeUnits(inCart, freeQuantity, 'cheapest').forEach(({ line, units }) => {
+      allocations.set(line.index, units * line.unitNet);
+      amount += units * line.unitNet;
+      covered += units;
+    });
+
+    // Free units not in the cart yet are returned for the till to add
+    const freeItems = [];
+    if (covered < freeQuantity) {
+      const product = await ProductRepository.findById(freeProduct);
+      if (product) {
+        freeItems.push({ product: product._id, name: product.name, quantity: freeQuantity - covered });
+      }
+    }
+
+    const name = inCart[0]?.name || freeItems[0]?.name || 'item';
+    return {
+      amount: round2(amount),
+      allocations,
+      freeItems,
+      reason: `${freeQuantity} x ${name} free with purchase`
+        + (freeItems.length > 0 ? `; add ${freeItems[0].quantity} to the cart` : '')
+    };
+  }
+
+  // Spread an amount over lines in proportion to their value
+  _spread(lines, amount) {
+    const base = lines.reduce((sum, line) => sum + line.net, 0);
+    const allocations = new Map();
+    if (base <= 0 || amount <= 0) return allocations;
+    lines.forEach(line => allocations.set(line.index, amount * line.net / base));
+    return allocations;
+  }
+
+  // Whole units only; fractional quantities (e.g. kg) don't count towards unit-based offers
+  _wholeUnits(lines) {
+    return lines.reduce((sum, line) => sum + Math.floor(line.quantity), 0);
+  }
+
+  _takeUnits(lines, count, order) {
+    const sorted = [...lines].sort((a, b) => (order === 'cheapest' ? a.unitNet - b.unitNet : b.unitNet - a.unitNet));
+    const taken = [];
+    let left = count;
+    for (const line of sorted) {
+      if (left <= 0) break;
+      const units = Math.min(Math.floor(line.quantity), left);
+      if (units > 0) {
+        taken.push({ line, units });
+        left -= units;
+      }
+    }
+    return taken;
+  }
+
+  _isHappyHour(discount) {
+    const conditions = discount.conditions || {};
+    return (conditions.daysOfWeek || []).length > 0 || !!(conditions.timeOfDay?.start && conditions.timeOfDay?.end);
+  }
+
+  _happyHourLabel(discount) {
+    const { daysOfWeek = [], timeOfDay = {} } = discount.conditions;
+    const parts = [];
+    if (daysOfWeek.length > 0) parts.push(daysOfWeek.map(day => day.slice(0, 3)).join('/'));
+    if (timeOfDay.start && timeOfDay.end) parts.push(`${timeOfDay.start}-${timeOfDay.end}`);
+    return `happy hour ${parts.join(' ')}`;
+  }
+
+  _summary(discount) {
+    return {
+      discount: discount._id,
+      code: discount.code,
+      name: discount.name,
+      type: discount.type,
+      autoApply: !!discount.autoApply
+    };
+  }
+}
+
+module.exports = new PromotionService();
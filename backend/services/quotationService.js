@@ -0,0 +1,644 @@
+const quotationRepository = require('../repositories/QuotationRepository');
+const salesOrderRepository = require('../repositories/SalesOrderRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const SalesOrder = require('../models/SalesOrder');
+const priceListService = require('./priceListService');
+const uomService = require('./uomService');
+const customerStatementService = require('./customerStatementService');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quotations created without a validity date stay open this many days
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// Statuses in which the customer hasn't answered yet
+const OPEN_STATUSES = ['draft', 'sent'];
+
+// Statuses a quotation can still be turned into a sales order from
+const CONVERTIBLE_STATUSES = ['draft', 'sent', 'accepted'];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const percent = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+const customerName = (customer) => customer?.businessName || customer?.name || '';
+
+const userName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '');
+
+const DETAIL_POPULATE = [
+  { path: 'customer', select: 'businessName name email phone addresses businessType customerTier' },
+  { path: 'items.product', select: 'name sku description pricing' },
+  { path: 'items.priceList', select: 'name' },
+  { path: 'salesOrder', select: 'soNumber status total' },
+  { path: 'createdBy', select: 'firstName lastName' },
+  { path: 'acceptedBy', select: 'firstName lastName' },
+  { path: 'rejectedBy', select: 'firstName lastName' },
+  { path: 'convertedBy', select: 'firstName lastName' },
+  { path: 'revisions.revisedBy', select: 'firstName lastName' }
+];
+
+class QuotationService {
+  /**
+   * Price lines sent without a unit price from the customer's price lists, as sales orders do
+   * @param {string} customerId - Customer ID
+   * @param {Array} items - Lines from the request
+   * @returns {Promise<Array>} Lines with unitPrice and priceList filled in
+   */
+  async _priceItems(customerId, items) {
+    // Quantities and prices entered in other units are quoted per base unit
+    await uomService.normalizeLineItems(items, 'unitPrice');
+
+    const lines = items.map(item => ({
+      product: item.product,
+      quantity: Number(item.quantity),
+      uom: item.uom,
+      unitPrice: item.unitPrice === undefined || item.unitPrice === null ? null : Number(item.unitPrice),
+      priceList: item.priceList || undefined
+    }));
+
+    const unpriced = lines.filter(line => line.unitPrice === null);
+    if (unpriced.length > 0) {
+      const quote = await priceListService.quote({ customer: customerId, items: unpriced });
+      unpriced.forEach((line, index) => {
+        const priced = quote.items[index];
+        if (priced.unitPrice === null) {
+          throw new Error(`Product ${line.product} not found`);
+        }
+        line.unitPrice = priced.unitPrice;
+        line.priceList = priced.priceList ? priced.priceList._id : undefined;
+        if (line.uom) {
+          line.uom.unitPrice = priced.unitPrice * line.uom.conversionFactor;
+        }
+      });
+    }
+
+    return lines.map(line => ({ ...line, totalPrice: round2(line.quantity * line.unitPrice) }));
+  }
+
+  _validUntil(value, from = new Date()) {
+    if (value) return getEndOfDayPakistan(value);
+    return getEndOfDayPakistan(new Date(from.getTime() + DEFAULT_VALIDITY_DAYS * DAY_MS));
+  }
+
+  async getQuotations(queryParams = {}) {
+    const filter = {};
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.customer) filter.customer = queryParams.customer;
+    if (queryParams.search) {
+      filter.quoteNumber = { $regex: queryParams.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (queryParams.dateFrom || queryParams.dateTo) {
+      filter.quoteDate = {};
+      if (queryParams.dateFrom) filter.quoteDate.$gte = getStartOfDayPakistan(queryParams.dateFrom);
+      if (queryParams.dateTo) filter.quoteDate.$lte = getEndOfDayPakistan(queryParams.dateTo);
+    }
+
+    return await quotationRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  async getQuotationById(id) {
+    const quotation = await quotationRepository.findById(id, { populate: DETAIL_POPULATE });
+    if (!quotation) {
+      throw new Error('Quotation not found');
+    }
+    return quotation;
+  }
+
+  async createQuotation(data, user) {
+    const customer = await customerRepository.findById(data.customer);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const quoteDate = data.quoteDate ? new Date(data.quoteDate) : new Date();
+    const validUntil = this._validUntil(data.validUntil, quoteDate);
+    if (validUntil < quoteDate) {
+      throw new Error('Cannot set the validity date before the quotation date');
+    }
+
+    const quotation = await quotationRepository.create({
+      customer: customer._id,
+      items: await this._priceItems(customer._id, data.items),
+      tax: Number(data.tax) || 0,
+      isTaxExempt: data.isTaxExempt !== undefined ? data.isTaxExempt : true,
+      quoteDate,
+      validUntil,
+      notes: data.notes,
+      terms: data.terms,
+      createdBy: user._id
+    });
+    return await this.getQuotationById(quotation._id);
+  }
+
+  /**
+   * Edit a draft in place; once a quotation has gone to the customer it is revised instead
+   */
+  async updateQuotation(id, data, user) {
+    const quotation = await quotationRepository.findById(id);
+    if (!quotation) {
+      throw new Error('Quotation not found');
+    }
+    if (quotation.status !== 'draft') {
+      throw new Error(`Cannot edit a ${quotation.status} quotation; revise it instead`);
+    }
+
+    if (data.items) quotation.items = await this._priceItems(quotation.customer, data.items);
+    if (data.validUntil) quotation.validUntil = this._validUntil(data.validUntil);
+    if (data.tax !== undefined) quotation.tax = Number(data.tax) || 0;
+    if (data.isTaxExempt !== undefined) quotation.isTaxExempt = data.isTaxExempt;
+    if (data.notes !== undefined) quotation.notes = data.notes;
+    if (data.terms !== undefined) quotation.terms = data.terms;
+    if (quotation.validUntil < quotation.quoteDate) {
+      throw new Error('Cannot set the validity date before the quotation date');
+    }
+    quotation.lastModifiedBy = user._id;
+    await quotation.save();
+    return await this.getQuotationById(quotation._id);
+  }
+
+  /**
+   * Issue a new revision: the current terms are kept in the history and the quotation goes back to draft
+   * @param {string} id - Quotation ID
+   * @param {object} data - { items, validUntil, tax, notes, terms, reason }
+   * @param {object} user - User revising
+   */
+  async reviseQuotation(id, data, user) {
+    const quotation = await quotationRepository.findById(id);
+    if (!quotation) {
+      throw new Error('Quotation not found');
+    }
+    if (['converted', 'cancelled'].includes(quotation.status)) {
+      throw new Error(`Cannot revise a ${quotation.status} quotation`);
+    }
+
+    quotation.revisions.push({
+      revision: quotation.revision,
+      items: quotation.items.map(item => item.toObject()),
+      subtotal: quotation.subtotal,
+      tax: quotation.tax,
+      total: quotation.total,
+      validUntil: quotation.validUntil,
+      notes: quotation.notes,
+      terms: quotation.terms,
+      status: quotation.status,
+      reason: data.reason,
+      revisedBy: user._id
+    });
+
+    if (data.items) quotation.items = await this._priceItems(quotation.customer, data.items);
+    if (data.tax !== undefined) quotation.tax = Number(data.tax) || 0;
+    if (data.notes !== undefined) quotation.notes = data.notes;
+    if (data.terms !== undefined) quotation.terms = data.terms;
+    // A revision is a fresh offer, so its validity runs from today
+    quotation.quoteDate = new Date();
+    quotation.validUntil = this._validUntil(data.validUntil, quotation.quoteDate);
+    quotation.revision += 1;
+    quotation.status = 'draft';
+    quotation.sentAt = undefined;
+    quotation.acceptedAt = undefined;
+    quotation.acceptedBy = undefined;
+    quotation.rejectedAt = undefined;
+    quotation.rejectedBy = undefined;
+    quotation.rejectionReason = undefined;
+    quotation.customerResponse = undefined;
+    quotation.lastModifiedBy = user._id;
+    await quotation.save();
+    return await this.getQuotationById(quotation._id);
+  }
+
+  /**
+   * Move a quotation between statuses if it is in one of the allowed ones and still valid
+   */
+  async _transition(id, { from, to, action, requireValid = true, set = {} }, user) {
+    const quotation = await quotationRepository.findById(id);
+    if (!quotation) {
+      throw new Error('Quotation not found');
+    }
+    if (!from.includes(quotation.status)) {
+      throw new Error(`Cannot ${action} a ${quotation.status} quotation`);
+    }
+    if (requireValid && quotation.validUntil < new Date()) {
+      throw new Error(`Cannot ${action} quotation ${quotation.quoteNumber}: it was valid until ${formatDatePakistan(quotation.validUntil)}. Revise it first`);
+    }
+
+    const updated = await quotationRepository.Model.findOneAndUpdate(
+      { _id: id, status: quotation.status },
+      { $set: { ...set, status: to, lastModifiedBy: user._id } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error(`Cannot ${action} quotation ${quotation.quoteNumber}: it was changed by someone else`);
+    }
+    return await this.getQuotationById(id);
+  }
+
+  async sendQuotation(id, user) {
+    return await this._transition(id, {
+      from: ['draft', 'sent'],
+      to: 'sent',
+      action: 'send',
+      set: { sentAt: new Date() }
+    }, user);
+  }
+
+  async acceptQuotation(id, { customerResponse } = {}, user) {
+    return await this._transition(id, {
+      from: OPEN_STATUSES,
+      to: 'accepted',
+      action: 'accept',
+      set: { acceptedAt: new Date(), acceptedBy: user._id, customerResponse }
+    }, user);
+  }
+
+  async rejectQuotation(id, { reason, customerResponse } = {}, user) {
+    return await this._transition(id, {
+      from: [...OPEN_STATUSES, 'accepted'],
+      to: 'rejected',
+      action: 'reject',
+      requireValid: false,
+      set: { rejectedAt: new Date(), rejectedBy: user._id, rejectionReason: reason, customerResponse }
+    }, user);
+  }
+
+  async cancelQuotation(id, user) {
+    return await this._transition(id, {
+      from: [...OPEN_STATUSES, 'accepted'],
+      to: 'cancelled',
+      action: 'cancel',
+      requireValid: false
+    }, user);
+  }
+
+  /**
+   * What a conversion will create, in the shape of GET /api/sales-orders/:id/convert
+   * @param {string} id - Quotation ID
+   * @returns {Promise<{quotation: object, availableItems: Array}>}
+   */
+  async getConversionData(id) {
+    const quotation = await this.getQuotationById(id);
+    return {
+      quotation: {
+        _id: quotation._id,
+        quoteNumber: quotation.quoteNumber,
+        revision: quotation.revision,
+        customer: quotation.customer,
+        status: quotation.status,
+        validUntil: quotation.validUntil,
+        total: quotation.total,
+        canConvert: CONVERTIBLE_STATUSES.includes(quotation.status) && quotation.validUntil >= new Date()
+      },
+      availableItems: CONVERTIBLE_STATUSES.includes(quotation.status) ? quotation.items : []
+    };
+  }
+
+  /**
+   * Turn a quotation into a draft sales order at the quoted prices
+   * @param {string} id - Quotation ID
+   * @param {object} data - { expectedDelivery, notes }
+   * @param {object} user - User converting
+   * @returns {Promise<{quotation: object, salesOrder: object}>}
+   */
+  async convertToSalesOrder(id, data = {}, user) {
+    const quotation = await quotationRepository.findById(id);
+    if (!quotation) {
+      throw new Error('Quotation not found');
+    }
+    if (!CONVERTIBLE_STATUSES.includes(quotation.status)) {
+      throw new Error(`Cannot convert a ${quotation.status} quotation`);
+    }
+    if (quotation.validUntil < new Date()) {
+      throw new Error(`Cannot convert quotation ${quotation.quoteNumber}: it was valid until ${formatDatePakistan(quotation.validUntil)}. Revise it first`);
+    }
+
+    // Claim the quotation first so a double click cannot create two orders
+    const previousStatus = quotation.status;
+    const wasAccepted = !!quotation.acceptedAt;
+    const now = new Date();
+    const claimed = await quotationRepository.Model.findOneAndUpdate(
+      { _id: id, status: quotation.status },
+      {
+        $set: {
+          status: 'converted',
+          convertedAt: now,
+          convertedBy: user._id,
+          acceptedAt: quotation.acceptedAt || now,
+          acceptedBy: quotation.acceptedBy || user._id,
+          lastModifiedBy: user._id
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error(`Cannot convert quotation ${quotation.quoteNumber}: it was changed by someone else`);
+    }
+
+    let salesOrder;
+    try {
+      salesOrder = await salesOrderRepository.create({
+        soNumber: SalesOrder.generateSONumber(),
+        customer: quotation.customer,
+        quotation: quotation._id,
+        items: quotation.items.map(item => ({
+          product: item.product,
+          quantity: item.quantity,
+          uom: item.uom,
+          unitPrice: item.unitPrice,
+          priceList: item.priceList,
+          totalPrice: item.totalPrice,
+          invoicedQuantity: 0,
+          remainingQuantity: item.quantity
+        })),
+        subtotal: quotation.subtotal,
+        tax: quotation.tax,
+        isTaxExempt: quotation.isTaxExempt,
+        total: quotation.total,
+        expectedDelivery: data.expectedDelivery || undefined,
+        notes: data.notes || `From quotation ${quotation.revision > 1 ? `${quotation.quoteNumber}-R${quotation.revision}` : quotation.quoteNumber}${quotation.notes ? `. ${quotation.notes}` : ''}`.slice(0, 1000),
+        terms: quotation.terms,
+        createdBy: user._id
+      });
+    } catch (error) {
+      await quotationRepository.Model.updateOne(
+        { _id: id },
+        {
+          $set: { status: previousStatus },
+          $unset: wasAccepted
+            ? { convertedAt: 1, convertedBy: 1 }
+            : { convertedAt: 1, convertedBy: 1, acceptedAt: 1, acceptedBy: 1 }
+        }
+      );
+      throw error;
+    }
+
+    await quotationRepository.updateById(id, { salesOrder: salesOrder._id });
+    return {
+      quotation: await this.getQuotationById(id),
+      salesOrder
+    };
+  }
+
+  /**
+   * Mark open quotations past their validity date as expired
+   * @param {Date} asOf - Validity cut-off
+   * @returns {Promise<{expired: number, quotations: Array}>}
+   */
+  async expireLapsedQuotations(asOf = new Date()) {
+    const lapsed = await quotationRepository.findLapsed(asOf);
+    if (lapsed.length === 0) {
+      return { expired: 0, quotations: [] };
+    }
+    const result = await quotationRepository.updateMany(
+      { _id: { $in: lapsed.map(quotation => quotation._id) }, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'expired' } }
+    );
+    return {
+      expired: result.modifiedCount ?? lapsed.length,
+      quotations: lapsed.map(quotation => quotation.quoteNumber)
+    };
+  }
+
+  /**
+   * Quote-to-order conversion for quotations dated within a period
+   * @param {object} params - { startDate, endDate, customer }
+   * @returns {Promise<object>}
+   */
+  async getConversionReport(params = {}) {
+    const endDate = params.endDate ? getEndOfDayPakistan(params.endDate) : getEndOfDayPakistan(new Date());
+    const startDate = params.startDate
+      ? getStartOfDayPakistan(params.startDate)
+      : getStartOfDayPakistan(new Date(endDate.getTime() - 90 * DAY_MS));
+    const filter = { quoteDate: { $gte: startDate, $lte: endDate }, status: { $ne: 'cancelled' } };
+    if (params.customer) filter.customer = params.customer;
+
+    const quotations = await quotationRepository.findForReport(filter);
+    const now = new Date();
+
+    const emptyBucket = () => ({
+      quoted: 0, quotedValue: 0,
+      converted: 0, convertedValue: 0,
+      accepted: 0, rejected: 0, expired: 0, open: 0
+    });
+    const add = (bucket, quotation, outcome) => {
+      bucket.quoted += 1;
+      bucket.quotedValue += quotation.total || 0;
+      bucket[outcome] += 1;
+      if (outcome === 'converted') bucket.convertedValue += quotation.total || 0;
+    };
+    const finish = (bucket) => ({
+      ...bucket,
+      quotedValue: round2(bucket.quotedValue),
+      convertedValue: round2(bucket.convertedValue),
+      conversionRate: percent(bucket.converted, bucket.quoted),
+      valueConversionRate: percent(bucket.convertedValue, bucket.quotedValue)
+    });
+
+    const totals = emptyBucket();
+    const byMonth = new Map();
+    const byCustomer = new Map();
+    const bySalesperson = new Map();
+    let daysToConvert = 0;
+
+    quotations.forEach(quotation => {
+      // Open quotations whose validity ran out count as expired even before the nightly job marks them
+      let outcome = quotation.status;
+      if (OPEN_STATUSES.includes(outcome)) {
+        outcome = quotation.validUntil < now ? 'expired' : 'open';
+      }
+      if (outcome === 'converted' && quotation.convertedAt) {
+        daysToConvert += (new Date(quotation.convertedAt) - new Date(quotation.quoteDate)) / DAY_MS;
+      }
+
+      add(totals, quotation, outcome);
+
+      const month = formatDatePakistan(quotation.quoteDate).slice(0, 7);
+      if (!byMonth.has(month)) byMonth.set(month, { month, ...emptyBucket() });
+      add(byMonth.get(month), quotation, outcome);
+
+      const customerId = quotation.customer?._id?.toString() || 'unknown';
+      if (!byCustomer.has(customerId)) {
+        byCustomer.set(customerId, { customer: quotation.customer?._id, name: customerName(quotation.customer), ...emptyBucket() });
+      }
+      add(byCustomer.get(customerId), quotation, outcome);
+
+      const userId = quotation.createdBy?._id?.toString() || 'unknown';
+      if (!bySalesperson.has(userId)) {
+        bySalesperson.set(userId, { user: quotation.createdBy?._id, name: userName(quotation.createdBy), ...emptyBucket() });
+      }
+      add(bySalesperson.get(userId), quotation, outcome);
+    });
+
+    // Only quotations the customer has answered (or let lapse) say anything about the win rate
+    const decided = totals.converted + totals.accepted + totals.rejected + totals.expired;
+
+    return {
+      period: { startDate, endDate },
+      summary: {
+        ...finish(totals),
+        decided,
+        winRate: percent(totals.converted + totals.accepted, decided),
+        averageQuoteValue: totals.quoted > 0 ? round2(totals.quotedValue / totals.quoted) : 0,
+        averageDaysToConvert: totals.converted > 0 ? round2(daysToConvert / totals.converted) : 0
+      },
+      byMonth: Array.from(byMonth.values()).map(finish).sort((a, b) => a.month.localeCompare(b.month)),
+      byCustomer: Array.from(byCustomer.values()).map(finish).sort((a, b) => b.quotedValue - a.quotedValue),
+      bySalesperson: Array.from(bySalesperson.values()).map(finish).sort((a, b) => b.quotedValue - a.quotedValue)
+    };
+  }
+
+  /**
+   * Draw a quotation on a PDF document with the company letterhead used for statements
+   */
+  _renderQuotation(doc, quotation, branding) {
+    const { settings, logo } = branding;
+    const print = settings.printSettings || {};
+    const money = (value) => customerStatementService.formatAmount(value);
+    const left = 50;
+    const right = doc.page.width - 50;
+    const bottomLimit = doc.page.height - 70;
+
+    let headerX = left;
+    if (logo) {
+      try {
+        doc.image(logo, left, 45, { fit: [80, 60] });
+        headerX = left + 95;
+      } catch (error) {
+        // Unsupported image formats are skipped rather than failing the quotation
+      }
+    }
+    doc.fontSize(16).font('Helvetica-Bold').text(settings.companyName, headerX, 50, { width: right - headerX });
+    if (print.showCompanyDetails !== false) {
+      doc.fontSize(9).font('Helvetica');
+      if (settings.address) doc.text(settings.address, { width: right - headerX });
+      const contact = [
+        settings.contactNumber && `Phone: ${settings.contactNumber}`,
+        print.showEmail !== false && settings.email && `Email: ${settings.email}`,
+        settings.website
+      ].filter(Boolean).join('   ');
+      if (contact) doc.text(contact, { width: right - headerX });
+      if (settings.taxId) doc.text(`Tax ID: ${settings.taxId}`, { width: right - headerX });
+    }
+    if (print.headerText) {
+      doc.moveDown(0.3).fontSize(9).font('Helvetica-Oblique').text(print.headerText, { width: right - headerX });
+    }
+
+    doc.moveDown(1.5);
+    doc.y = Math.max(doc.y, 115);
+    doc.fontSize(14).font('Helvetica-Bold').text('QUOTATION', left, doc.y, { width: right - left, align: 'center' });
+    doc.moveDown(1);
+
+    // Customer on the left, quotation details on the right
+    const blockY = doc.y;
+    const customer = quotation.customer || {};
+    doc.fontSize(10).font('Helvetica-Bold').text('Quotation for:', left, blockY);
+    doc.font('Helvetica').text(customerName(customer), left, doc.y, { width: 250 });
+    if (customer.businessName && customer.name) doc.text(`Attn: ${customer.name}`, { width: 250 });
+    const address = (customer.addresses || []).find(a => a.isDefault) || (customer.addresses || [])[0];
+    if (address && print.showPrintAddress !== false) {
+      const lines = [address.street, [address.city, address.state, address.zipCode].filter(Boolean).join(', ')].filter(Boolean);
+      lines.forEach(line => doc.text(line, { width: 250 }));
+    }
+    if (customer.phone) doc.text(customer.phone, { width: 250 });
+    if (customer.email) doc.text(customer.email, { width: 250 });
+    const customerBlockEnd = doc.y;
+
+    const detailX = right - 220;
+    let detailY = blockY;
+    [
+      ['Quotation No.', quotation.displayNumber],
+      ['Date', formatDatePakistan(quotation.quoteDate)],
+      ['Valid until', formatDatePakistan(quotation.validUntil)],
+      ['Prepared by', userName(quotation.createdBy)]
+    ].forEach(([label, value]) => {
+      doc.fontSize(9).font('Helvetica-Bold').text(label, detailX, detailY, { width: 90 });
+      doc.font('Helvetica').text(value || '', detailX + 90, detailY, { width: 130, align: 'right' });
+      detailY += 14;
+    });
+
+    const columns = [
+      { key: 'index', label: '#', width: 25 },
+      { key: 'product', label: 'Item', width: 230 },
+      { key: 'quantity', label: 'Qty', width: 50, align: 'right' },
+      { key: 'unitPrice', label: 'Unit Price', width: 85, align: 'right' },
+      { key: 'total', label: 'Amount', width: 105, align: 'right' }
+    ];
+    let currentY = Math.max(customerBlockEnd, detailY) + 20;
+
+    const drawRow = (values, bold = false) => {
+      const height = Math.max(16, doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+        .heightOfString(String(values.product || ''), { width: columns[1].width - 4 }) + 6);
+      if (currentY + height > bottomLimit) {
+        doc.addPage();
+        currentY = 50;
+        drawHeader();
+      }
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      columns.forEach(column => {
+        doc.text(String(values[column.key] ?? ''), x + 2, currentY + 4, { width: column.width - 4, align: column.align || 'left' });
+        x += column.width;
+      });
+      currentY += height;
+    };
+
+    const drawHeader = () => {
+      doc.rect(left, currentY, right - left, 16).fill('#eeeeee').fillColor('black');
+      drawRow(columns.reduce((acc, column) => ({ ...acc, [column.key]: column.label }), {}), true);
+    };
+
+    drawHeader();
+    quotation.items.forEach((item, index) => {
+      drawRow({
+        index: index + 1,
+        product: item.product?.name || 'Unknown product',
+        quantity: item.quantity,
+        unitPrice: money(item.unitPrice),
+        total: money(item.totalPrice)
+      });
+    });
+    doc.moveTo(left, currentY).lineTo(right, currentY).stroke();
+    currentY += 4;
+    drawRow({ unitPrice: 'Subtotal', total: money(quotation.subtotal) });
+    if (quotation.tax > 0) drawRow({ unitPrice: 'Tax', total: money(quotation.tax) });
+    drawRow({ unitPrice: `Total (${settings.currency})`, total: money(quotation.total) }, true);
+
+    const block = (title, text) => {
+      if (!text) return;
+      if (currentY + 40 > bottomLimit) {
+        doc.addPage();
+        currentY = 50;
+      }
+      currentY += 12;
+      doc.fontSize(9).font('Helvetica-Bold').text(title, left, currentY);
+      doc.font('Helvetica').text(text, left, doc.y + 2, { width: right - left });
+      currentY = doc.y;
+    };
+    block('Terms and conditions', quotation.terms);
+    block('Notes', quotation.notes);
+    block('Validity', `Prices in this quotation are valid until ${formatDatePakistan(quotation.validUntil)}.`);
+
+    if (print.showFooter !== false && print.footerText) {
+      doc.fontSize(8).font('Helvetica-Oblique').text(print.footerText, left, currentY + 20, { width: right - left, align: 'center' });
+    }
+  }
+
+  /**
+   * Generate a quotation as a PDF file
+   * @param {string} id - Quotation ID
+   * @returns {Promise<{filename: string, filepath: string, size: number}>}
+   */
+  async generateQuotationPdf(id) {
+    const quotation = await this.getQuotationById(id);
+    const branding = await customerStatementService.loadBranding();
+    const filename = `Quotation_${quotation.displayNumber.replace(/[^\w-]/g, '')}.pdf`;
+    return await customerStatementService.writePdf(filename, doc => this._renderQuotation(doc, quotation, branding));
+  }
+}
+
+module.exports = new QuotationService();
@@ -0,0 +1,483 @@
+const RecallRepository = require('../repositories/RecallRepository');
+const BatchRepository = require('../repositories/BatchRepository');
+const Sales = require('../models/Sales');
+const Return = require('../models/Return');
+const returnManagementService = require('./returnManagementService');
+const inventoryService = require('./inventoryService');
+
+// Return statuses at which recalled goods are physically back with us
+const RECOVERED_RETURN_STATUSES = ['received', 'inspected', 'refunded', 'exchanged', 'completed'];
+
+class RecallService {
+  /**
+   * Get recalls with filters
+   * @param {object} queryParams - Query parameters
+   * @returns {Promise<{recalls: Array, pagination: object}>}
+   */
+  async getRecalls(queryParams = {}) {
+    const { status, severity, product, batch, customer, search, page = 1, limit = 20 } = queryParams;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (severity) filter.severity = severity;
+    if (product) filter['batches.product'] = product;
+    if (batch) filter['batches.batch'] = batch;
+    if (customer) filter['affectedSales.customer'] = customer;
+    if (search) {
+      const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { recallNumber: searchRegex },
+        { reason: searchRegex },
+        { 'batches.batchNumber': searchRegex },
+        { 'batches.lotNumber': searchRegex }
+      ];
+    }
+
+    const { recalls, pagination } = await RecallRepository.findWithPagination(filter, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20
+    });
+
+    return { recalls, pagination };
+  }
+
+  /**
+   * Get single recall by ID
+   * @param {string} id - Recall ID
+   * @returns {Promise<object>}
+   */
+  async getRecallById(id) {
+    const recall = await RecallRepository.findById(id, {
+      populate: [
+        { path: 'batches.product', select: 'name sku' },
+        { path: 'affectedSales.customer', select: 'name businessName phone email' },
+        { path: 'affectedSales.returnRequest', select: 'returnNumber status' },
+        { path: 'openedBy', select: 'firstName lastName' },
+        { path: 'closedBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!recall) {
+      throw new Error('Recall not found');
+    }
+    return recall;
+  }
+
+  /**
+   * Open a recall against one or more batches: blocks them from sale and
+   * records every sale and customer that received them
+   * @param {object} data - { batches: [batchId], reason, severity, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async openRecall(data, user) {
+    const batchIds = [...new Set(data.batches.map(String))];
+    const batches = await BatchRepository.findAll({ _id: { $in: batchIds } });
+    if (batches.length !== batchIds.length) {
+      throw new Error('One or more batches not found');
+    }
+
+    const activeRecalls = await RecallRepository.findActiveByBatches(batchIds);
+    if (activeRecalls.length > 0) {
+      throw new Error(`Cannot open recall: batch already under recall ${activeRecalls[0].recallNumber}`);
+    }
+
+    const affectedSales = await this._findAffectedSales(batchIds);
+
+    const recall = await RecallRepository.create({
+      reason: data.reason,
+      severity: data.severity,
+      notes: data.notes,
+      batches: batches.map(batch => ({
+        batch: batch._id,
+        product: batch.product,
+        batchNumber: batch.batchNumber,
+        lotNumber: batch.lotNumber,
+        initialQuantity: batch.initialQuantity,
+        quantityOnHand: batch.currentQuantity,
+        quantitySold: batch.soldQuantity || 0,
+        previousStatus: batch.status
+      })),
+      affectedSales,
+      openedBy: user._id
+    });
+
+    // Block the lots from sale: FEFO picking skips recalled batches, and their stock
+    // on hand is reserved so that it no longer counts as available
+    for (const batch of batches) {
+      batch.status = 'recalled';
+      batch.recall = {
+        isRecalled: true,
+        recallDate: new Date(),
+        recallReason: data.reason,
+        recallBy: user._id,
+        affectedSales: [...new Set(affectedSales
+          .filter(entry => String(entry.batch) === String(batch._id))
+          .map(entry => String(entry.sale)))]
+      };
+      await batch.save();
+
+      const entry = recall.batches.find(item => String(item.batch) === String(batch._id));
+      entry.reservedQuantity = await this._reserveRecalledStock(batch);
+    }
+
+    return await recall.save();
+  }
+
+  /**
+   * Issue a recall return request for each affected sale with a known customer
+   * @param {string} id - Recall ID
+   * @param {object} user - Current user
+   * @returns {Promise<{recall: object, returnRequests: Array, skipped: number}>}
+   */
+  async generateReturnRequests(id, user) {
+    const recall = await RecallRepository.findById(id);
+    if (!recall) {
+      throw new Error('Recall not found');
+    }
+    if (!['open', 'in_progress'].includes(recall.status)) {
+      throw new Error(`Cannot generate return requests for a ${recall.status} recall`);
+    }
+
+    // Entries still waiting for a return request, grouped by sale
+    const pendingBySale = new Map();
+    let skipped = 0;
+    recall.affectedSales.forEach(entry => {
+      if (entry.returnRequest) return;
+      if (!entry.customer) {
+        // Walk-in sales cannot be contacted; they stay outstanding on the closure report
+        skipped += 1;
+        return;
+      }
+      const key = String(entry.sale);
+      if (!pendingBySale.has(key)) pendingBySale.set(key, []);
+      pendingBySale.get(key).push(entry);
+    });
+
+    const returnRequests = [];
+    for (const [saleId, entries] of pendingBySale) {
+      const sale = await Sales.findById(saleId);
+      if (!sale) {
+        skipped += entries.length;
+        continue;
+      }
+
+      // A sale line may have been picked from more than one recalled batch
+      const itemQuantities = new Map();
+      entries.forEach(entry => {
+        const key = String(entry.saleItem);
+        itemQuantities.set(key, (itemQuantities.get(key) || 0) + entry.quantity);
+      });
+
+      const returnRequest = await returnManagementService.createRecallReturn({
+        sale,
+        items: Array.from(itemQuantities, ([saleItem, quantity]) => ({ saleItem, quantity })),
+        recallNumber: recall.recallNumber
+      }, user._id);
+
+      if (!returnRequest) {
+        // Everything was already returned through a normal return
+        skipped += entries.length;
+        continue;
+      }
+
+      entries.forEach(entry => {
+        entry.returnRequest = returnRequest._id;
+      });
+      returnRequests.push(returnRequest);
+    }
+
+    recall.status = 'in_progress';
+    recall.returnsGeneratedAt = new Date();
+    recall.lastModifiedBy = user._id;
+    await recall.save();
+
+    return { recall, returnRequests, skipped };
+  }
+
+  /**
+   * Recall closure report: recovered vs outstanding quantity per batch and customer
+   * @param {string} id - Recall ID
+   * @returns {Promise<object>}
+   */
+  async getClosureReport(id) {
+    const recall = await this.getRecallById(id);
+
+    const returnIds = recall.affectedSales
+      .map(entry => entry.returnRequest?._id || entry.returnRequest)
+      .filter(Boolean);
+    const returns = await Return.find({ _id: { $in: returnIds } }).lean();
+    const returnsById = new Map(returns.map(returnDoc => [String(returnDoc._id), returnDoc]));
+
+    // Recovered quantity available per return line, consumed across the entries that share it
+    const recoverable = new Map();
+    returns.forEach(returnDoc => {
+      if (!RECOVERED_RETURN_STATUSES.includes(returnDoc.status)) return;
+      returnDoc.items.forEach(item => {
+        recoverable.set(`${returnDoc._id}_${item.originalOrderItem}`, item.quantity);
+      });
+    });
+
+    const batchRows = new Map(recall.batches.map(batch => [String(batch.batch), {
+      batch: batch.batch,
+      batchNumber: batch.batchNumber,
+      lotNumber: batch.lotNumber,
+      product: batch.product,
+      initialQuantity: batch.initialQuantity,
+      quantityOnHand: 0,
+      distributedQuantity: 0,
+      recoveredQuantity: 0,
+      outstandingQuantity: 0
+    }]));
+    const customerRows = new Map();
+
+    for (const entry of recall.affectedSales) {
+      const returnId = entry.returnRequest?._id || entry.returnRequest;
+      const returnDoc = returnId ? returnsById.get(String(returnId)) : null;
+
+      const key = `${returnId}_${entry.saleItem}`;
+      const available = recoverable.get(key) || 0;
+      const recovered = Math.min(entry.quantity, available);
+      if (available) recoverable.set(key, available - recovered);
+
+      const batchRow = batchRows.get(String(entry.batch));
+      if (batchRow) {
+        batchRow.distributedQuantity += entry.quantity;
+        batchRow.recoveredQuantity += recovered;
+        batchRow.outstandingQuantity += entry.quantity - recovered;
+      }
+
+      const customerKey = entry.customer ? String(entry.customer._id || entry.customer) : 'walk-in';
+      const customerRow = customerRows.get(customerKey) || {
+        customer: entry.customer || null,
+        customerName: entry.customerName || 'Walk-in Customer',
+        contactable: Boolean(entry.customer),
+        sales: [],
+        distributedQuantity: 0,
+        recoveredQuantity: 0,
+        outstandingQuantity: 0
+      };
+      customerRow.distributedQuantity += entry.quantity;
+      customerRow.recoveredQuantity += recovered;
+      customerRow.outstandingQuantity += entry.quantity - recovered;
+      if (!customerRow.sales.some(sale => sale.orderNumber === entry.orderNumber)) {
+        customerRow.sales.push({
+          sale: entry.sale,
+          orderNumber: entry.orderNumber,
+          saleDate: entry.saleDate,
+          returnNumber: returnDoc?.returnNumber || null,
+          returnStatus: returnDoc?.status || null
+        });
+      }
+      customerRows.set(customerKey, customerRow);
+    }
+
+    // Stock still in the warehouse is blocked, not outstanding
+    const currentBatches = await BatchRepository.findAll({ _id: { $in: recall.batches.map(b => b.batch) } });
+    currentBatches.forEach(batch => {
+      const batchRow = batchRows.get(String(batch._id));
+      if (batchRow) batchRow.quantityOnHand = batch.currentQuantity;
+    });
+
+    const batchList = Array.from(batchRows.values());
+    const totals = batchList.reduce((sum, row) => ({
+      distributedQuantity: sum.distributedQuantity + row.distributedQuantity,
+      recoveredQuantity: sum.recoveredQuantity + row.recoveredQuantity,
+      outstandingQuantity: sum.outstandingQuantity + row.outstandingQuantity,
+      quantityOnHand: sum.quantityOnHand + row.quantityOnHand
+    }), { distributedQuantity: 0, recoveredQuantity: 0, outstandingQuantity: 0, quantityOnHand: 0 });
+
+    return {
+      recall: {
+        _id: recall._id,
+        recallNumber: recall.recallNumber,
+        reason: recall.reason,
+        severity: recall.severity,
+        status: recall.status,
+        openedAt: recall.createdAt,
+        closedAt: recall.closedAt
+      },
+      totals: {
+        ...totals,
+        recoveryRate: totals.distributedQuantity > 0
+          ? Math.round((totals.recoveredQuantity / totals.distributedQuantity) * 10000) / 100
+          : 100
+      },
+      batches: batchList,
+      customers: Array.from(customerRows.values())
+    };
+  }
+
+  /**
+   * Close a recall, capturing the recovered vs outstanding quantities. Stock still on hand is
+   * either written off, releasing its reservation, or kept quarantined with the reservation
+   * trimmed to what is left. The batches stay flagged as recalled.
+   * @param {string} id - Recall ID
+   * @param {object} data - { disposition: 'quarantine' (default) | 'write_off', notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async closeRecall(id, data, user) {
+    const recall = await RecallRepository.findById(id);
+    if (!recall) {
+      throw new Error('Recall not found');
+    }
+    if (!['open', 'in_progress'].includes(recall.status)) {
+      throw new Error(`Cannot close a ${recall.status} recall`);
+    }
+
+    const report = await this.getClosureReport(id);
+    const disposition = data.disposition === 'write_off' ? 'write_off' : 'quarantine';
+
+    for (const entry of recall.batches) {
+      const batch = await BatchRepository.findById(entry.batch);
+      if (!batch) continue;
+
+      const warehouse = batch.location?.warehouse || null;
+      const onHand = batch.currentQuantity || 0;
+      // Stock that left the batch since opening no longer needs holding back
+      const release = disposition === 'write_off'
+        ? entry.reservedQuantity
+        : Math.max(0, entry.reservedQuantity - onHand);
+      if (release > 0) {
+        await inventoryService.releaseStock({ productId: batch.product, quantity: release, warehouse });
+        entry.reservedQuantity -= release;
+      }
+
+      if (disposition === 'write_off') {
+        if (onHand > 0) {
+          await inventoryService.updateStock({
+            productId: batch.product,
+            type: 'out',
+            quantity: onHand,
+            reason: 'Recall write-off',
+            reference: recall.recallNumber,
+            performedBy: user._id,
+            notes: `Batch ${batch.batchNumber} written off on closing recall ${recall.recallNumber}`,
+            warehouse
+          });
+          batch.currentQuantity = 0;
+        }
+        entry.writtenOffQuantity = onHand;
+      } else if (onHand > 0) {
+        batch.status = 'quarantined';
+      }
+      await batch.save();
+    }
+
+    recall.status = 'closed';
+    recall.closureDisposition = disposition;
+    recall.closedAt = new Date();
+    recall.closedBy = user._id;
+    recall.closureNotes = data.notes;
+    recall.closureSummary = {
+      distributedQuantity: report.totals.distributedQuantity,
+      recoveredQuantity: report.totals.recoveredQuantity,
+      outstandingQuantity: report.totals.outstandingQuantity,
+      quantityOnHand: report.totals.quantityOnHand
+    };
+    recall.lastModifiedBy = user._id;
+    return await recall.save();
+  }
+
+  /**
+   * Cancel a recall opened in error; its batches are released back to their previous status
+   * @param {string} id - Recall ID
+   * @param {object} data - { reason }
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async cancelRecall(id, data, user) {
+    const recall = await RecallRepository.findById(id);
+    if (!recall) {
+      throw new Error('Recall not found');
+    }
+    if (recall.status !== 'open') {
+      throw new Error('Cannot cancel a recall once return requests have been issued');
+    }
+
+    for (const entry of recall.batches) {
+      const batch = await BatchRepository.findById(entry.batch);
+      if (!batch) continue;
+
+      if (entry.reservedQuantity > 0) {
+        await inventoryService.releaseStock({
+          productId: batch.product,
+          quantity: entry.reservedQuantity,
+          warehouse: batch.location?.warehouse || null
+        });
+        entry.reservedQuantity = 0;
+      }
+
+      batch.status = entry.previousStatus && entry.previousStatus !== 'recalled'
+        ? entry.previousStatus
+        : (batch.currentQuantity > 0 ? 'active' : 'depleted');
+      batch.recall = { isRecalled: false, affectedSales: [] };
+      await batch.save();
+    }
+
+    recall.status = 'cancelled';
+    recall.cancelledAt = new Date();
+    recall.closureNotes = data.reason;
+    recall.lastModifiedBy = user._id;
+    return await recall.save();
+  }
+
+  /**
+   * Reserve a recalled batch's stock on hand in its warehouse's inventory row.
+   * Stock already reserved for other orders is left alone, so less may be reserved.
+   * @param {object} batch - Batch document
+   * @returns {Promise<number>} Quantity reserved
+   */
+  async _reserveRecalledStock(batch) {
+    if (!batch.currentQuantity) return 0;
+
+    const warehouse = batch.location?.warehouse || null;
+    const inventory = await inventoryService.getWarehouseStock(batch.product, warehouse);
+    if (!inventory) return 0;
+
+    const available = Math.max(0, inventory.currentStock - (inventory.reservedStock || 0));
+    const quantity = Math.min(batch.currentQuantity, available);
+    if (quantity <= 0) return 0;
+
+    await inventoryService.reserveStock({ productId: batch.product, quantity, warehouse });
+    return quantity;
+  }
+
+  /**
+   * Every sale line that was picked from the given batches
+   * @param {Array} batchIds - Batch IDs
+   * @returns {Promise<Array>} affectedSales entries
+   */
+  async _findAffectedSales(batchIds) {
+    const batchIdSet = new Set(batchIds.map(String));
+    const sales = await Sales.find({ 'items.batches.batch': { $in: batchIds }, isDeleted: { $ne: true } })
+      .populate('customer', 'name businessName')
+      .select('orderNumber billDate createdAt customer customerInfo items')
+      .lean();
+
+    const entries = [];
+    for (const sale of sales) {
+      for (const item of sale.items) {
+        for (const allocation of item.batches || []) {
+          if (!batchIdSet.has(String(allocation.batch))) continue;
+
+          entries.push({
+            sale: sale._id,
+            orderNumber: sale.orderNumber,
+            saleDate: sale.billDate || sale.createdAt,
+            saleItem: item._id,
+            customer: sale.customer?._id || null,
+            customerName: sale.customer?.businessName || sale.customer?.name || sale.customerInfo?.name || 'Walk-in Customer',
+            product: item.product,
+            batch: allocation.batch,
+            batchNumber: allocation.batchNumber,
+            quantity: allocation.quantity
+          });
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = new RecallService();
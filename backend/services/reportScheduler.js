@@ -0,0 +1,69 @@
+const cron = require('node-cron');
+const { TIMEZONE } = require('../utils/dateFilter');
+
+// Holds one cron task per scheduled report, keyed by report ID
+class ReportScheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // Default timezone for report schedules
+  getDefaultTimezone() {
+    return process.env.REPORT_TIMEZONE || TIMEZONE;
+  }
+
+  // Check a cron expression before it is saved
+  isValidExpression(cronExpression) {
+    return typeof cronExpression === 'string' && cron.validate(cronExpression);
+  }
+
+  // Schedule (or reschedule) a report
+  scheduleJob(name, cronExpression, timezone, task) {
+    this.unscheduleJob(name);
+
+    const job = cron.schedule(cronExpression, async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`Error in scheduled report ${name}:`, error);
+      }
+    }, {
+      name: `report-${name}`,
+      timezone: timezone || this.getDefaultTimezone(),
+      noOverlap: true,
+    });
+
+    this.jobs.set(name, job);
+    return job.getNextRun();
+  }
+
+  // Stop and forget a report's job
+  unscheduleJob(name) {
+    if (this.jobs.has(name)) {
+      this.jobs.get(name).destroy();
+      this.jobs.delete(name);
+    }
+  }
+
+  // Next time a report's job fires
+  getNextRun(name) {
+    return this.jobs.has(name) ? this.jobs.get(name).getNextRun() : null;
+  }
+
+  // Get scheduler status
+  getStatus() {
+    const status = {
+      jobs: {},
+    };
+
+    for (const [name, job] of this.jobs) {
+      status.jobs[name] = {
+        nextRun: job.getNextRun(),
+      };
+    }
+
+    return status;
+  }
+}
+
+module.exports = new ReportScheduler();
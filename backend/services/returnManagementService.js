@@ -5,11 +5,16 @@ const PurchaseInvoice = require('../models/PurchaseInvoice');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const Product = require('../models/Product');
 const Inventory = require('../models/Inventory');
+const inventoryService = require('./inventoryService');
 const Transaction = require('../models/Transaction');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
 const CustomerBalanceService = require('../services/customerBalanceService');
 const AccountingService = require('../services/accountingService');
+const taxService = require('../services/taxService');
+const loyaltyService = require('../services/loyaltyService');
+const storedValueService = require('../services/storedValueService');
+const uomService = require('../services/uomService');
 const ReturnRepository = require('../repositories/ReturnRepository');
 const SalesRepository = require('../repositories/SalesRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
@@ -30,6 +35,9 @@ class ReturnManagementService {
 
   // Create a new return request
   async createReturn(returnData, requestedBy) {
+    // Returns are booked today; refuse before anything is written if today's period is closed
+    await AccountingService.assertPostingPeriodOpen(new Date(), 'return');
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -66,6 +74,16 @@ class ReturnManagementService {
         throw new Error('Original order not found');
       }
 
+      // Returned quantities are in the product's base unit, like the original lines
+      for (const item of returnData.items || []) {
+        const orderItem = originalOrder.items.find(line =>
+          String(line._id) === String(item.originalOrderItem));
+        const product = orderItem?.product?._id ? orderItem.product : await Product.findById(item.product);
+        if (product) {
+          item.quantity = (await uomService.normalizeQuantity(product, item.quantity)).quantity;
+        }
+      }
+
       // Check if order is eligible for return (only for sales returns)
       if (!isPurchaseReturn) {
         const eligibility = await this.checkReturnEligibility(originalOrder, returnData.items);
@@ -83,6 +101,8 @@ class ReturnManagementService {
 
       const returnRequest = new Return({
         ...returnData,
+        // Stock goes back to (or leaves from) the warehouse of the original transaction by default
+        warehouse: returnData.warehouse || originalOrder.warehouse || null,
         customer: isPurchaseReturn ? null : (originalOrder.customer?._id || originalOrder.customer),
         supplier: isPurchaseReturn ? (originalOrder.supplier?._id || originalOrder.supplier) : null,
         requestedBy,
@@ -152,6 +172,62 @@ class ReturnManagementService {
     }
   }
 
+  // Create a recall return request for a customer who received recalled stock.
+  // The request is left approved so stock and refund are processed when the goods come back.
+  async createRecallReturn({ sale, items, recallNumber }, requestedBy) {
+    const returnItems = [];
+    for (const item of items) {
+      const saleItem = sale.items.find(si => si._id.toString() === item.saleItem.toString());
+      if (!saleItem) continue;
+
+      const alreadyReturned = await this.getAlreadyReturnedQuantity(sale._id, saleItem._id);
+      const quantity = Math.min(item.quantity, saleItem.quantity - alreadyReturned);
+      if (quantity <= 0) continue;
+
+      returnItems.push({
+        product: saleItem.product?._id || saleItem.product,
+        originalOrderItem: saleItem._id,
+        quantity,
+        originalPrice: Number(saleItem.unitPrice) || 0,
+        returnReason: 'quality_issue',
+        returnReasonDetail: `Product recall ${recallNumber}`,
+        condition: 'good',
+        action: 'refund'
+      });
+    }
+
+    if (returnItems.length === 0) {
+      return null;
+    }
+
+    const returnRequest = new Return({
+      originalOrder: sale._id,
+      origin: 'sales',
+      customer: sale.customer?._id || sale.customer,
+      warehouse: sale.warehouse || null,
+      returnType: 'recall',
+      status: 'approved',
+      priority: 'urgent',
+      items: returnItems,
+      requestedBy,
+      approvedBy: requestedBy,
+      approvalDate: new Date(),
+      // Recalled goods are never put back on sale
+      inspection: { resellable: false, disposalRequired: true },
+      policy: { restockingFeePercent: 0 },
+      tags: ['recall', recallNumber],
+      notes: [{
+        note: `Generated by product recall ${recallNumber}`,
+        addedBy: requestedBy,
+        isInternal: true
+      }]
+    });
+
+    await this.calculateRefundAmounts(returnRequest);
+    await returnRequest.save();
+    return returnRequest;
+  }
+
   // Check if order is eligible for return
   async checkReturnEligibility(order, returnItems) {
     const now = new Date();
@@ -371,6 +447,8 @@ class ReturnManagementService {
 
   // Process received return with full accounting integration
   async processReceivedReturn(returnId, receivedBy, inspectionData = {}) {
+    await AccountingService.assertPostingPeriodOpen(new Date(), 'return');
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -400,6 +478,11 @@ class ReturnManagementService {
           inspectedBy: receivedBy,
           inspectionDate: new Date()
         };
+        // Recalled goods are never put back on sale
+        if (returnRequest.returnType === 'recall') {
+          returnRequest.inspection.resellable = false;
+          returnRequest.inspection.disposalRequired = true;
+        }
         await returnRequest.save({ session });
       }
 
@@ -407,7 +490,7 @@ class ReturnManagementService {
       await this.updateInventoryForReturn(returnRequest);
 
       // Process refund or exchange with accounting entries
-      if (returnRequest.returnType === 'return') {
+      if (returnRequest.returnType === 'return' || returnRequest.returnType === 'recall') {
         await this.processRefund(returnRequest);
       } else if (returnRequest.returnType === 'exchange') {
         await this.processExchange(returnRequest);
@@ -435,16 +518,19 @@ class ReturnManagementService {
   // Update inventory for returned items with proper cost tracking
   async updateInventoryForReturn(returnRequest) {
     const isPurchaseReturn = returnRequest.origin === 'purchase';
+    const warehouseKey = await inventoryService.resolveWarehouseKey(returnRequest.warehouse);
 
     for (const item of returnRequest.items) {
       // Find or create inventory record
       let inventory = await Inventory.findOne({
-        product: item.product._id || item.product
+        product: item.product._id || item.product,
+        'location.warehouse': warehouseKey
       });
 
       if (!inventory) {
         inventory = new Inventory({
           product: item.product._id || item.product,
+          location: { warehouse: warehouseKey },
           currentStock: 0,
           reservedStock: 0,
           reorderPoint: 0,
@@ -477,7 +563,8 @@ class ReturnManagementService {
           item.quantity,
           returnCost,
           returnRequest.returnNumber,
-          returnRequest._id
+          returnRequest._id,
+          warehouseKey
         );
       } else {
         // Sale Return: Increase stock if resellable
@@ -489,7 +576,8 @@ class ReturnManagementService {
             item.quantity,
             returnCost,
             returnRequest.returnNumber,
-            returnRequest._id
+            returnRequest._id,
+            warehouseKey
           );
         }
       }
@@ -514,10 +602,11 @@ class ReturnManagementService {
   }
 
   // Log inventory movement with proper cost tracking
-  async logInventoryMovement(item, type, quantity, cost, reference, returnId = null) {
+  async logInventoryMovement(item, type, quantity, cost, reference, returnId = null, warehouseKey = null) {
     try {
       const productId = item.product._id || item.product;
-      const inventory = await Inventory.findOne({ product: productId });
+      warehouseKey = warehouseKey || await Inventory.getPrimaryWarehouseKey();
+      const inventory = await Inventory.findOne({ product: productId, 'location.warehouse': warehouseKey });
 
       if (inventory) {
         // Determine movement type based on quantity direction
@@ -550,19 +639,28 @@ class ReturnManagementService {
     try {
       const isPurchaseReturn = returnRequest.origin === 'purchase';
       const netAmount = returnRequest.netRefundAmount || 0;
+      let creditNote = null;
 
       if (isPurchaseReturn) {
         // Purchase Return: Process supplier refund/credit
         await this.processPurchaseReturnRefund(returnRequest, netAmount);
       } else {
         // Sale Return: Process customer refund
-        await this.processSaleReturnRefund(returnRequest, netAmount);
+        creditNote = await this.processSaleReturnRefund(returnRequest, netAmount);
+
+        // Take back loyalty points the returned goods earned
+        try {
+          await loyaltyService.reverseForReturn(returnRequest, returnRequest.processedBy || returnRequest.requestedBy);
+        } catch (loyaltyError) {
+          console.error('Error reversing loyalty points for return:', loyaltyError);
+        }
       }
 
       // Update return with refund details
       returnRequest.refundDetails = {
         refundDate: new Date(),
-        refundReference: returnRequest.returnNumber
+        refundReference: creditNote ? creditNote.code : returnRequest.returnNumber,
+        creditNote: creditNote?._id
       };
 
       await returnRequest.save();
@@ -574,7 +672,7 @@ class ReturnManagementService {
     }
   }
 
-  // Process Sale Return refund with accounting entries
+  // Process Sale Return refund with accounting entries; returns the credit note for store credit refunds
   async processSaleReturnRefund(returnRequest, refundAmount) {
     try {
       const accountCodes = await AccountingService.getDefaultAccountCodes();
@@ -591,14 +689,19 @@ class ReturnManagementService {
       // Calculate COGS adjustment (reverse COGS for returned items)
       const cogsAdjustment = await this.calculateCOGSAdjustment(returnRequest, originalSale);
 
+      // Output tax included in the refund is reversed separately from the sales return
+      const returnTax = taxService.getSaleReturnTax(returnRequest, originalSale).taxAmount;
+      const salesReturnAmount = refundAmount - returnTax;
+
       // Create accounting entries based on refund method
       const refundMethod = returnRequest.refundMethod || 'original_payment';
+      let creditNote = null;
 
       if (refundMethod === 'cash' || refundMethod === 'original_payment') {
         // Cash refund: Dr Sales Return, Cr Cash
         await this.createAccountingEntry({
           accountCode: await AccountingService.getAccountCode('Sales Returns', 'revenue', 'sales_revenue').catch(() => accountCodes.salesRevenue),
-          debitAmount: refundAmount,
+          debitAmount: salesReturnAmount,
           creditAmount: 0,
           description: `Sale Return ${returnRequest.returnNumber}`,
           reference: returnRequest.returnNumber,
@@ -614,29 +717,36 @@ class ReturnManagementService {
           returnId: returnRequest._id
         });
       } else if (refundMethod === 'store_credit') {
-        // Store credit: Dr Sales Return, Cr Customer Account Receivable (credit balance)
+        // Store credit: Dr Sales Return, Cr Gift Card and Store Credit Liability (credit note)
         await this.createAccountingEntry({
           accountCode: await AccountingService.getAccountCode('Sales Returns', 'revenue', 'sales_revenue').catch(() => accountCodes.salesRevenue),
-          debitAmount: refundAmount,
+          debitAmount: salesReturnAmount,
           creditAmount: 0,
           description: `Sale Return ${returnRequest.returnNumber}`,
           reference: returnRequest.returnNumber,
           returnId: returnRequest._id
         });
 
-        // Adjust customer balance (credit)
-        await CustomerBalanceService.recordRefund(
-          returnRequest.customer,
+        creditNote = await storedValueService.issueCreditNoteForReturn(
+          returnRequest,
           refundAmount,
-          returnRequest.originalOrder,
-          null,
-          { returnId: returnRequest._id, returnNumber: returnRequest.returnNumber }
+          returnRequest.processedBy || returnRequest.requestedBy
         );
+
+        const { liability } = await AccountingService.getStoredValueAccountCodes();
+        await this.createAccountingEntry({
+          accountCode: liability,
+          debitAmount: 0,
+          creditAmount: refundAmount,
+          description: `Credit Note ${creditNote.code} for Return ${returnRequest.returnNumber}`,
+          reference: returnRequest.returnNumber,
+          returnId: returnRequest._id
+        });
       } else {
         // Bank transfer or other: Dr Sales Return, Cr Bank
         await this.createAccountingEntry({
           accountCode: await AccountingService.getAccountCode('Sales Returns', 'revenue', 'sales_revenue').catch(() => accountCodes.salesRevenue),
-          debitAmount: refundAmount,
+          debitAmount: salesReturnAmount,
           creditAmount: 0,
           description: `Sale Return ${returnRequest.returnNumber}`,
           reference: returnRequest.returnNumber,
@@ -653,6 +763,19 @@ class ReturnManagementService {
         });
       }
 
+      // Output tax reversal: Dr Sales Tax Payable
+      if (returnTax > 0) {
+        const taxAccounts = await AccountingService.getTaxAccountCodes();
+        await this.createAccountingEntry({
+          accountCode: taxAccounts.outputTax,
+          debitAmount: returnTax,
+          creditAmount: 0,
+          description: `Output Tax Reversed - Return ${returnRequest.returnNumber}`,
+          reference: returnRequest.returnNumber,
+          returnId: returnRequest._id
+        });
+      }
+
       // COGS Adjustment: Dr Inventory, Cr COGS (reverse the original COGS)
       if (cogsAdjustment > 0) {
         await this.createAccountingEntry({
@@ -674,8 +797,9 @@ class ReturnManagementService {
         });
       }
 
-      // Update customer balance if sale was on credit
-      if (originalSale.payment?.status === 'pending' || originalSale.payment?.status === 'partial') {
+      // Update customer balance if sale was on credit (store credit is held on the credit note instead)
+      if (refundMethod !== 'store_credit'
+        && (originalSale.payment?.status === 'pending' || originalSale.payment?.status === 'partial')) {
         await CustomerBalanceService.recordRefund(
           returnRequest.customer,
           refundAmount,
@@ -685,6 +809,7 @@ class ReturnManagementService {
         );
       }
 
+      return creditNote;
     } catch (error) {
       console.error('Error processing sale return refund:', error);
       throw error;
@@ -708,7 +833,10 @@ class ReturnManagementService {
       // Calculate COGS adjustment (reverse COGS for returned items)
       const cogsAdjustment = await this.calculatePurchaseCOGSAdjustment(returnRequest, originalInvoice);
 
-      // Accounting Entry: Dr Supplier Accounts Payable, Cr Purchase Returns
+      // Input tax included in the refund is reversed separately from the purchase return
+      const returnTax = taxService.getPurchaseReturnTax(returnRequest, originalInvoice).taxAmount;
+
+      // Accounting Entry: Dr Supplier Accounts Payable, Cr Purchase Returns, Cr Input Tax
       await this.createAccountingEntry({
         accountCode: accountCodes.accountsPayable,
         debitAmount: refundAmount,
@@ -722,12 +850,24 @@ class ReturnManagementService {
       await this.createAccountingEntry({
         accountCode: await AccountingService.getAccountCode('Purchase Returns', 'expense', 'cost_of_goods_sold').catch(() => accountCodes.costOfGoodsSold),
         debitAmount: 0,
-        creditAmount: refundAmount,
+        creditAmount: refundAmount - returnTax,
         description: `Purchase Return ${returnRequest.returnNumber}`,
         reference: returnRequest.returnNumber,
         returnId: returnRequest._id
       });
 
+      if (returnTax > 0) {
+        const taxAccounts = await AccountingService.getTaxAccountCodes();
+        await this.createAccountingEntry({
+          accountCode: taxAccounts.inputTax,
+          debitAmount: 0,
+          creditAmount: returnTax,
+          description: `Input Tax Reversed - Purchase Return ${returnRequest.returnNumber}`,
+          reference: returnRequest.returnNumber,
+          returnId: returnRequest._id
+        });
+      }
+
       // COGS Adjustment: Dr COGS, Cr Inventory (reverse inventory increase)
       if (cogsAdjustment > 0) {
         await this.createAccountingEntry({
@@ -0,0 +1,847 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ScheduledReportRepository = require('../repositories/ScheduledReportRepository');
+const ReportRunRepository = require('../repositories/ReportRunRepository');
+const UserRepository = require('../repositories/UserRepository');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const reportsService = require('./reportsService');
+const plStatementService = require('./plStatementService');
+const trialBalanceService = require('./trialBalanceService');
+const CustomerBalanceService = require('./customerBalanceService');
+const exportService = require('./exportService');
+const notificationService = require('./notificationService');
+const reportScheduler = require('./reportScheduler');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  getCurrentDatePakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+// Report types that can be scheduled. Filters list the allowed values for each filter key.
+const REPORT_TYPES = {
+  sales: {
+    label: 'Sales Report',
+    usesDateRange: true,
+    filters: {
+      groupBy: ['day', 'week', 'month', 'year'],
+      orderType: ['retail', 'wholesale', 'return', 'exchange']
+    }
+  },
+  profit_loss: {
+    label: 'Profit & Loss Statement',
+    usesDateRange: true,
+    filters: {}
+  },
+  inventory: {
+    label: 'Inventory Report',
+    usesDateRange: false,
+    filters: {
+      lowStock: 'boolean',
+      category: 'objectId'
+    }
+  },
+  customer_aging: {
+    label: 'Customer Aging Report',
+    usesDateRange: false,
+    filters: {
+      customer: 'objectId'
+    }
+  },
+  trial_balance: {
+    label: 'Trial Balance',
+    usesDateRange: false,
+    filters: {
+      includeZeroBalances: 'boolean'
+    }
+  }
+};
+
+const FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', contentType: 'text/csv' }
+};
+
+const round = (value) => Math.round(((value || 0) + Number.EPSILON) * 100) / 100;
+
+// YYYY-MM-DD <-> UTC midnight, for calendar arithmetic on Pakistan dates
+const parseDay = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+const formatDay = (date) => date.toISOString().split('T')[0];
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+class ScheduledReportService {
+  /**
+   * Report types and the filters each accepts
+   * @returns {Array}
+   */
+  getReportTypes() {
+    return Object.entries(REPORT_TYPES).map(([type, definition]) => ({ type, ...definition }));
+  }
+
+  /**
+   * Get scheduled reports. Admins see every report; other users see their own.
+   * @param {object} queryParams - { reportType, isActive, page, limit }
+   * @param {User} user - Current user
+   * @returns {Promise<object>}
+   */
+  async getReports(queryParams = {}, user) {
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+
+    const filter = {};
+    if (user.role !== 'admin') filter.createdBy = user._id;
+    if (queryParams.reportType) filter.reportType = queryParams.reportType;
+    if (queryParams.isActive !== undefined && queryParams.isActive !== '') {
+      filter.isActive = queryParams.isActive === true || queryParams.isActive === 'true';
+    }
+
+    return await ScheduledReportRepository.findWithPagination(filter, { page, limit });
+  }
+
+  /**
+   * Get a scheduled report
+   * @param {string} id - Report ID
+   * @param {User} user - Current user
+   * @returns {Promise<ScheduledReport>}
+   */
+  async getReportById(id, user) {
+    return await this._getAccessibleReport(id, user);
+  }
+
+  /**
+   * Save a report definition and schedule it
+   * @param {object} data - Report definition
+   * @param {User} user - Current user
+   * @returns {Promise<ScheduledReport>}
+   */
+  async createReport(data, user) {
+    const definition = this._normalizeDefinition(data, user);
+    const report = await ScheduledReportRepository.create({
+      ...definition,
+      createdBy: user._id
+    });
+
+    await this._syncSchedule(report);
+    return report;
+  }
+
+  /**
+   * Update a report definition and reschedule it
+   * @param {string} id - Report ID
+   * @param {object} data - Fields to update
+   * @param {User} user - Current user
+   * @returns {Promise<ScheduledReport>}
+   */
+  async updateReport(id, data, user) {
+    const report = await this._getAccessibleReport(id, user);
+
+    const current = report.toObject();
+    const definition = this._normalizeDefinition({
+      name: data.name !== undefined ? data.name : current.name,
+      description: data.description !== undefined ? data.description : current.description,
+      reportType: data.reportType || current.reportType,
+      filters: data.filters !== undefined ? data.filters : current.filters,
+      period: data.period ? { ...current.period, ...data.period } : current.period,
+      format: data.format || current.format,
+      schedule: data.schedule ? { ...current.schedule, ...data.schedule } : current.schedule,
+      delivery: data.delivery ? { ...current.delivery, ...data.delivery } : current.delivery,
+      isActive: data.isActive !== undefined ? data.isActive : current.isActive
+    }, user);
+
+    Object.assign(report, definition, { lastModifiedBy: user._id });
+    await report.save();
+
+    await this._syncSchedule(report);
+    return report;
+  }
+
+  /**
+   * Delete a report definition (its run history is kept)
+   * @param {string} id - Report ID
+   * @param {User} user - Current user
+   * @returns {Promise<object>}
+   */
+  async deleteReport(id, user) {
+    const report = await this._getAccessibleReport(id, user);
+    await ScheduledReportRepository.softDelete(report._id);
+    reportScheduler.unscheduleJob(String(report._id));
+    return { message: 'Scheduled report deleted successfully' };
+  }
+
+  /**
+   * Run history of a report
+   * @param {string} id - Report ID
+   * @param {object} queryParams - { status, page, limit }
+   * @param {User} user - Current user
+   * @returns {Promise<object>}
+   */
+  async getRuns(id, queryParams = {}, user) {
+    const report = await this._getAccessibleReport(id, user);
+    const page = parseInt(queryParams.page) || 1;
+    const limit = parseInt(queryParams.limit) || 20;
+
+    const filter = { report: report._id };
+    if (queryParams.status) filter.status = queryParams.status;
+
+    return await ReportRunRepository.findWithPagination(filter, { page, limit });
+  }
+
+  /**
+   * Generate a report now (used by the scheduler and the "run now" endpoint).
+   * Failures are recorded on the run rather than thrown.
+   * @param {string} id - Report ID
+   * @param {object} options - { trigger: 'scheduled'|'manual', user }
+   * @returns {Promise<ReportRun|null>}
+   */
+  async runReport(id, options = {}) {
+    const { trigger = 'scheduled', user = null } = options;
+    const report = user
+      ? await this._getAccessibleReport(id, user)
+      : await ScheduledReportRepository.findById(id);
+
+    if (!report) {
+      // Deleted since it was scheduled
+      reportScheduler.unscheduleJob(String(id));
+      return null;
+    }
+    if (trigger === 'scheduled' && !report.isActive) {
+      return null;
+    }
+
+    const period = this._resolvePeriod(report);
+    const run = await ReportRunRepository.create({
+      report: report._id,
+      reportName: report.name,
+      reportType: report.reportType,
+      trigger,
+      status: 'running',
+      periodStart: period.startDate,
+      periodEnd: period.endDate,
+      format: report.format,
+      delivery: {
+        method: report.delivery.method,
+        recipients: report.delivery.method === 'email' ? report.delivery.recipients : []
+      },
+      triggeredBy: user ? user._id : undefined
+    });
+    await ScheduledReportRepository.updateById(report._id, { lastRunAt: run.startedAt, lastRunStatus: 'running' });
+
+    try {
+      // Scheduled runs act for the owner, who may have lost access since saving the report
+      const owner = user || await UserRepository.findById(report.createdBy);
+      if (!owner || !owner.isActive || !owner.hasPermission('view_reports')) {
+        throw new Error('Cannot run report: its owner no longer has the view_reports permission');
+      }
+
+      const content = await this._buildReport(report, period);
+      const file = await this._writeFile(report, period, content);
+
+      run.file = { filename: file.filename, size: file.size };
+      run.rowCount = content.rows.length;
+      run.summary = content.summary;
+
+      if (report.delivery.method === 'email') {
+        await this._deliverByEmail(report, period, run, file);
+      }
+
+      run.status = 'completed';
+    } catch (error) {
+      console.error(`Scheduled report ${report.name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+
+      try {
+        await notificationService.notify('report.failed', {
+          reportId: report._id,
+          reportName: report.name,
+          error: error.message
+        }, { users: [report.createdBy] });
+      } catch (notifyError) {
+        console.error('Notification error (report.failed):', notifyError);
+      }
+    }
+
+    run.completedAt = new Date();
+    run.duration = run.completedAt - run.startedAt;
+    await run.save();
+
+    await ScheduledReportRepository.updateById(report._id, {
+      lastRunStatus: run.status,
+      nextRunAt: reportScheduler.getNextRun(String(report._id))
+    });
+
+    return run;
+  }
+
+  /**
+   * Locate the file a run produced
+   * @param {string} runId - Run ID
+   * @param {User} user - Current user
+   * @returns {Promise<{filepath: string, downloadName: string, contentType: string}>}
+   */
+  async getRunFile(runId, user) {
+    const run = await ReportRunRepository.findById(runId);
+    if (!run) {
+      throw new Error('Report run not found');
+    }
+    const report = await this._getAccessibleReport(run.report, user);
+
+    const filepath = run.file && run.file.filename && !run.file.deletedAt
+      ? path.join(exportService.exportDir, run.file.filename)
+      : null;
+    if (!filepath || !fs.existsSync(filepath)) {
+      throw new Error('Report file not found');
+    }
+
+    return {
+      filepath,
+      downloadName: this._downloadName(report, run.periodStart, run.periodEnd, run.format),
+      contentType: FORMATS[run.format].contentType
+    };
+  }
+
+  /**
+   * Schedule every active report and the daily file cleanup. Called once at server start.
+   * @returns {Promise<number>} Number of reports scheduled
+   */
+  async startScheduler() {
+    const reports = await ScheduledReportRepository.findActive();
+    for (const report of reports) {
+      try {
+        await this._syncSchedule(report);
+      } catch (error) {
+        console.error(`Could not schedule report ${report.name}:`, error);
+      }
+    }
+
+    // Remove old report files daily at 3:30 AM
+    reportScheduler.scheduleJob('cleanup', '30 3 * * *', null, () => this.cleanupExpiredFiles());
+
+    return reports.length;
+  }
+
+  /**
+   * Delete report files older than REPORT_RETENTION_DAYS (default 30). Run records are kept.
+   * @returns {Promise<number>} Number of files removed
+   */
+  async cleanupExpiredFiles() {
+    const retentionDays = parseInt(process.env.REPORT_RETENTION_DAYS || '30', 10);
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const runs = await ReportRunRepository.findExpiredFiles(cutoff);
+    for (const run of runs) {
+      exportService.deleteExportFile(run.file.filename);
+      run.file.deletedAt = new Date();
+      await run.save();
+    }
+    return runs.length;
+  }
+
+  /**
+   * Load a report the user may manage
+   * @private
+   */
+  async _getAccessibleReport(id, user) {
+    const report = await ScheduledReportRepository.findById(id);
+    if (!report || (user.role !== 'admin' && String(report.createdBy) !== String(user._id))) {
+      throw new Error('Scheduled report not found');
+    }
+    return report;
+  }
+
+  /**
+   * Register, move or remove the report's cron job and store its next run time
+   * @private
+   */
+  async _syncSchedule(report) {
+    const name = String(report._id);
+    let nextRunAt = null;
+
+    if (report.isActive && !report.isDeleted) {
+      nextRunAt = reportScheduler.scheduleJob(
+        name,
+        report.schedule.cron,
+        report.schedule.timezone,
+        () => this.runReport(report._id, { trigger: 'scheduled' })
+      );
+    } else {
+      reportScheduler.unscheduleJob(name);
+    }
+
+    report.nextRunAt = nextRunAt;
+    await ScheduledReportRepository.updateById(report._id, { nextRunAt });
+  }
+
+  /**
+   * Validate a report definition and keep only the filters its report type accepts
+   * @private
+   */
+  _normalizeDefinition(data, user) {
+    const type = REPORT_TYPES[data.reportType];
+    if (!type) {
+      throw new Error(`Cannot schedule report: unknown report type ${data.reportType}`);
+    }
+
+    const filters = {};
+    Object.entries(type.filters).forEach(([key, allowed]) => {
+      const value = data.filters ? data.filters[key] : undefined;
+      if (value === undefined || value === null || value === '') return;
+
+      if (allowed === 'boolean') {
+        filters[key] = value === true || value === 'true';
+      } else if (allowed === 'objectId') {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error(`Cannot schedule report: ${key} must be a valid ID`);
+        }
+        filters[key] = String(value);
+      } else if (allowed.includes(value)) {
+        filters[key] = value;
+      } else {
+        throw new Error(`Cannot schedule report: ${key} must be one of ${allowed.join(', ')}`);
+      }
+    });
+
+    const period = {
+      preset: (data.period && data.period.preset) || 'previous_month',
+      startDate: data.period && data.period.startDate ? new Date(data.period.startDate) : undefined,
+      endDate: data.period && data.period.endDate ? new Date(data.period.endDate) : undefined
+    };
+    if (period.preset === 'custom') {
+      if (!period.startDate || !period.endDate) {
+        throw new Error('Cannot schedule report: a custom period needs a start and end date');
+      }
+      if (period.startDate > period.endDate) {
+        throw new Error('Cannot schedule report: period start date must be before the end date');
+      }
+    }
+
+    const schedule = {
+      cron: data.schedule && data.schedule.cron ? String(data.schedule.cron).trim() : '',
+      timezone: (data.schedule && data.schedule.timezone) || reportScheduler.getDefaultTimezone()
+    };
+    if (!reportScheduler.isValidExpression(schedule.cron)) {
+      throw new Error(`Cannot schedule report: invalid cron expression "${schedule.cron}"`);
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (error) {
+      throw new Error(`Cannot schedule report: unknown timezone ${schedule.timezone}`);
+    }
+
+    const delivery = {
+      method: (data.delivery && data.delivery.method) || 'download',
+      recipients: [...new Set(((data.delivery && data.delivery.recipients) || [])
+        .map(email => String(email).trim().toLowerCase())
+        .filter(Boolean))]
+    };
+    if (delivery.method === 'email') {
+      if (delivery.recipients.length === 0) {
+        throw new Error('Cannot email a report without recipients');
+      }
+      // Sending to anyone but yourself is sharing the report
+      const ownEmail = (user.email || '').toLowerCase();
+      if (delivery.recipients.some(email => email !== ownEmail) && !user.hasPermission('share_reports')) {
+        throw new Error('Cannot email reports to other recipients without the share_reports permission');
+      }
+    } else {
+      delivery.recipients = [];
+    }
+
+    return {
+      name: data.name,
+      description: data.description,
+      reportType: data.reportType,
+      filters,
+      period,
+      format: data.format || 'pdf',
+      schedule,
+      delivery,
+      isActive: data.isActive !== undefined ? data.isActive === true || data.isActive === 'true' : true
+    };
+  }
+
+  /**
+   * Work out the date range for a run (Pakistan calendar days, like the report screens)
+   * @private
+   */
+  _resolvePeriod(report) {
+    const today = parseDay(getCurrentDatePakistan());
+    const preset = (report.period && report.period.preset) || 'previous_month';
+    let from;
+    let to;
+
+    switch (preset) {
+      case 'previous_day':
+        from = to = addDays(today, -1);
+        break;
+      case 'last_7_days':
+        from = addDays(today, -7);
+        to = addDays(today, -1);
+        break;
+      case 'last_30_days':
+        from = addDays(today, -30);
+        to = addDays(today, -1);
+        break;
+      case 'previous_week': {
+        // Weeks start on Monday
+        const monday = addDays(today, -((today.getUTCDay() + 6) % 7));
+        from = addDays(monday, -7);
+        to = addDays(monday, -1);
+        break;
+      }
+      case 'month_to_date':
+        from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+        to = today;
+        break;
+      case 'year_to_date':
+        from = new Date(Date.UTC(today.getUTCFullYear(), 0, 1));
+        to = today;
+        break;
+      case 'custom':
+        from = parseDay(formatDatePakistan(report.period.startDate));
+        to = parseDay(formatDatePakistan(report.period.endDate));
+        break;
+      case 'previous_month':
+      default:
+        from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1));
+        to = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 0));
+        break;
+    }
+
+    const period = {
+      from: formatDay(from),
+      to: formatDay(to),
+      usesDateRange: REPORT_TYPES[report.reportType].usesDateRange
+    };
+    period.startDate = getStartOfDayPakistan(period.from);
+    period.endDate = getEndOfDayPakistan(period.to);
+    period.label = period.usesDateRange ? `${period.from} to ${period.to}` : `as of ${period.to}`;
+    return period;
+  }
+
+  /**
+   * Produce the report as { title, subtitle, headers, rows, amountColumns, summary }
+   * @private
+   */
+  async _buildReport(report, period) {
+    const filters = report.filters || {};
+    let content;
+
+    switch (report.reportType) {
+      case 'sales':
+        content = await this._buildSalesReport(filters, period);
+        break;
+      case 'profit_loss':
+        content = await this._buildProfitLossReport(report, period);
+        break;
+      case 'inventory':
+        content = await this._buildInventoryReport(filters);
+        break;
+      case 'customer_aging':
+        content = await this._buildCustomerAgingReport(filters);
+        break;
+      case 'trial_balance':
+        content = await this._buildTrialBalanceReport(filters, period);
+        break;
+      default:
+        throw new Error(`Unknown report type: ${report.reportType}`);
+    }
+
+    return {
+      title: report.name,
+      subtitle: `${REPORT_TYPES[report.reportType].label}, ${period.label}`,
+      ...content
+    };
+  }
+
+  /** @private */
+  async _buildSalesReport(filters, period) {
+    const report = await reportsService.getSalesReport({
+      dateFrom: period.from,
+      dateTo: period.to,
+      groupBy: filters.groupBy,
+      orderType: filters.orderType
+    });
+    const { summary } = report;
+
+    const rows = report.data.map(entry => [
+      entry.date,
+      entry.totalOrders,
+      entry.totalItems,
+      round(entry.totalRevenue),
+      round(entry.totalReturns),
+      round(entry.netRevenue !== undefined ? entry.netRevenue : entry.totalRevenue),
+      round(entry.averageOrderValue)
+    ]);
+    rows.push([
+      'Total',
+      summary.totalOrders,
+      summary.totalItems,
+      round(summary.totalRevenue),
+      round(summary.totalReturns),
+      round(summary.netRevenue),
+      round(summary.averageOrderValue)
+    ]);
+
+    return {
+      headers: ['Period', 'Orders', 'Items', 'Revenue', 'Returns', 'Net Revenue', 'Avg Order Value'],
+      rows,
+      amountColumns: [3, 4, 5, 6],
+      summary: {
+        totalRevenue: round(summary.totalRevenue),
+        totalReturns: round(summary.totalReturns),
+        netRevenue: round(summary.netRevenue),
+        totalOrders: summary.totalOrders
+      }
+    };
+  }
+
+  /** @private */
+  async _buildProfitLossReport(report, period) {
+    // A published statement for the exact period is final; otherwise calculate a fresh one
+    let statement = await plStatementService.findExistingStatement(period.startDate, period.endDate);
+    if (!statement || statement.status !== 'published') {
+      statement = await plStatementService.generateStatement(
+        { startDate: period.startDate, endDate: period.endDate, type: 'custom' },
+        { calculateComparisons: false, userId: report.createdBy }
+      );
+    }
+
+    const amount = (value) => round(value && value.amount !== undefined ? value.amount : value);
+    const rows = [
+      ['Gross Sales', amount(statement.revenue.grossSales)],
+      ['Sales Returns', amount(statement.revenue.salesReturns)],
+      ['Sales Discounts', amount(statement.revenue.salesDiscounts)],
+      ['Net Sales', amount(statement.revenue.netSales)],
+      ['Other Revenue', amount(statement.revenue.otherRevenue)],
+      ['Total Revenue', amount(statement.revenue.totalRevenue)],
+      ['Cost of Goods Sold', amount(statement.costOfGoodsSold.totalCOGS)],
+      ['Gross Profit', amount(statement.grossProfit)],
+      ['Operating Expenses', amount(statement.operatingExpenses.totalOperatingExpenses)],
+      ['Operating Income', amount(statement.operatingIncome)],
+      ['Other Income', amount(statement.otherIncome.totalOtherIncome)],
+      ['Other Expenses', amount(statement.otherExpenses.totalOtherExpenses)],
+      ['Earnings Before Tax', amount(statement.earningsBeforeTax)],
+      ['Income Tax', amount(statement.incomeTax.total)],
+      ['Net Income', amount(statement.netIncome)]
+    ];
+
+    return {
+      headers: ['Line Item', 'Amount'],
+      rows,
+      amountColumns: [1],
+      summary: {
+        statementId: statement.statementId,
+        totalRevenue: amount(statement.revenue.totalRevenue),
+        grossProfit: amount(statement.grossProfit),
+        netIncome: amount(statement.netIncome)
+      }
+    };
+  }
+
+  /** @private */
+  async _buildInventoryReport(filters) {
+    const report = await reportsService.getInventoryReport({
+      lowStock: filters.lowStock ? 'true' : undefined,
+      category: filters.category
+    });
+
+    const rows = report.products.map(product => {
+      const stock = product.inventory.currentStock || 0;
+      const cost = product.pricing.cost || 0;
+      return [
+        product.name,
+        product.category ? product.category.name : '',
+        stock,
+        product.inventory.reorderPoint || 0,
+        round(cost),
+        round(stock * cost)
+      ];
+    });
+
+    return {
+      headers: ['Product', 'Category', 'Stock', 'Reorder Point', 'Unit Cost', 'Stock Value'],
+      rows,
+      amountColumns: [4, 5],
+      summary: {
+        totalProducts: report.summary.totalProducts,
+        totalValue: round(report.summary.totalValue),
+        lowStockItems: report.summary.lowStockItems,
+        outOfStockItems: report.summary.outOfStockItems
+      }
+    };
+  }
+
+  /** @private */
+  async _buildCustomerAgingReport(filters) {
+    const query = {
+      transactionType: 'invoice',
+      status: { $in: ['posted', 'partially_paid'] },
+      remainingAmount: { $gt: 0 }
+    };
+    if (filters.customer) query.customer = filters.customer;
+
+    const invoices = await CustomerTransaction.find(query).populate('customer', 'name businessName');
+
+    const buckets = ['current', '1-30', '31-60', '61-90', '90+'];
+    const byCustomer = new Map();
+    invoices.forEach(invoice => {
+      if (!invoice.customer) return;
+      const key = String(invoice.customer._id);
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          name: invoice.customer.displayName,
+          ...Object.fromEntries(buckets.map(bucket => [bucket, 0])),
+          total: 0
+        });
+      }
+      // Bucket by today's age rather than the stored agingBucket, which is only refreshed on update
+      const { agingBucket } = invoice.dueDate
+        ? CustomerBalanceService.calculateAging(invoice.dueDate)
+        : { agingBucket: 'current' };
+      const entry = byCustomer.get(key);
+      entry[agingBucket] += invoice.remainingAmount;
+      entry.total += invoice.remainingAmount;
+    });
+
+    const customers = Array.from(byCustomer.values()).sort((a, b) => b.total - a.total);
+    const totals = { total: 0, ...Object.fromEntries(buckets.map(bucket => [bucket, 0])) };
+    customers.forEach(entry => {
+      buckets.forEach(bucket => { totals[bucket] += entry[bucket]; });
+      totals.total += entry.total;
+    });
+
+    const rows = customers.map(entry => [entry.name, ...buckets.map(bucket => round(entry[bucket])), round(entry.total)]);
+    rows.push(['Total', ...buckets.map(bucket => round(totals[bucket])), round(totals.total)]);
+
+    return {
+      headers: ['Customer', 'Current', '1-30 Days', '31-60 Days', '61-90 Days', '90+ Days', 'Total'],
+      rows,
+      amountColumns: [1, 2, 3, 4, 5, 6],
+      summary: {
+        customers: customers.length,
+        ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]))
+      }
+    };
+  }
+
+  /** @private */
+  async _buildTrialBalanceReport(filters, period) {
+    const result = await trialBalanceService.generateTrialBalance(period.endDate);
+
+    const accounts = filters.includeZeroBalances
+      ? result.trialBalance
+      : result.trialBalance.filter(account => account.debitBalance !== 0 || account.creditBalance !== 0);
+
+    const rows = accounts.map(account => [
+      account.accountCode,
+      account.accountName,
+      account.accountType,
+      account.debitBalance,
+      account.creditBalance
+    ]);
+    rows.push(['', 'Total', '', result.totals.totalDebits, result.totals.totalCredits]);
+
+    return {
+      headers: ['Account Code', 'Account Name', 'Type', 'Debit', 'Credit'],
+      rows,
+      amountColumns: [3, 4],
+      summary: {
+        ...result.totals,
+        isBalanced: result.isBalanced
+      }
+    };
+  }
+
+  /**
+   * Write the report with exportService and return the stored file
+   * @private
+   */
+  async _writeFile(report, period, content) {
+    const { extension } = FORMATS[report.format];
+    const filename = exportService.generateFilename(`report_${report.reportType}`, extension);
+    const { title, subtitle, headers, rows, amountColumns = [] } = content;
+
+    if (report.format === 'csv') {
+      await exportService.exportToCSV(rows, headers, filename);
+    } else if (report.format === 'excel') {
+      await exportService.exportToExcel(rows, {
+        headers,
+        sheetName: REPORT_TYPES[report.reportType].label.slice(0, 31),
+        filename,
+        title,
+        subtitle
+      });
+    } else {
+      // PDF cells are printed as text, so format amounts here
+      const formatted = rows.map(row => row.map((cell, index) =>
+        amountColumns.includes(index) && typeof cell === 'number'
+          ? cell.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+          : cell));
+      await exportService.exportToPDF(formatted, {
+        headers,
+        filename,
+        title,
+        subtitle
+      });
+    }
+
+    const filepath = path.join(exportService.exportDir, filename);
+    return {
+      filename,
+      filepath,
+      size: fs.statSync(filepath).size,
+      downloadName: this._downloadName(report, period.startDate, period.endDate, report.format)
+    };
+  }
+
+  /**
+   * Queue the report email with the file attached
+   * @private
+   */
+  async _deliverByEmail(report, period, run, file) {
+    try {
+      const result = await notificationService.notify('report.delivery', {
+        reportId: report._id,
+        reportName: report.name,
+        periodLabel: period.label,
+        rowCount: run.rowCount,
+        generatedAt: exportService.formatDate(new Date(), 'datetime')
+      }, {
+        emails: report.delivery.recipients,
+        channels: ['email'],
+        createdBy: run.triggeredBy,
+        attachments: [{
+          filename: file.downloadName,
+          path: file.filepath,
+          contentType: FORMATS[report.format].contentType
+        }]
+      });
+
+      run.delivery.status = 'queued';
+      run.delivery.notifications = result.notifications.map(notification => notification._id);
+    } catch (error) {
+      // The file is still available from the run history
+      run.delivery.status = 'failed';
+      run.delivery.error = error.message;
+    }
+  }
+
+  /**
+   * Friendly filename for downloads and email attachments
+   * @private
+   */
+  _downloadName(report, startDate, endDate, format) {
+    const slug = report.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || report.reportType;
+    const to = formatDatePakistan(endDate);
+    const range = REPORT_TYPES[report.reportType].usesDateRange ? `${formatDatePakistan(startDate)}_${to}` : to;
+    return `${slug}_${range}.${FORMATS[format].extension}`;
+  }
+}
+
+module.exports = new ScheduledReportService();
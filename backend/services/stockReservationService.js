@@ -1,4 +1,5 @@
 const Inventory = require('../models/Inventory');
+const { resolveWarehouseKey } = require('./inventoryService');
 
 class StockReservationService {
   /**
@@ -14,10 +15,12 @@ class StockReservationService {
       expiresInMinutes = 15, // Default 15 minutes for cart reservations
       referenceType = 'cart',
       referenceId = null,
-      reservationId = null
+      reservationId = null,
+      warehouse = null // Warehouse ID (defaults to the primary warehouse)
     } = options;
 
-    const inventory = await Inventory.findOne({ product: productId });
+    const warehouseKey = await resolveWarehouseKey(warehouse);
+    const inventory = await Inventory.findOne({ product: productId, 'location.warehouse': warehouseKey });
     if (!inventory) {
       throw new Error('Inventory record not found');
     }
@@ -62,6 +65,7 @@ class StockReservationService {
       quantity,
       expiresAt,
       productId,
+      warehouse: warehouseKey,
       availableStock: inventory.availableStock
     };
   }
@@ -73,9 +77,10 @@ class StockReservationService {
    * @returns {Promise<Object>}
    */
   async releaseReservation(productId, reservationId) {
-    const inventory = await Inventory.findOne({ product: productId });
+    // The reservation lives on the stock row of the warehouse it was taken from
+    const inventory = await Inventory.findOne({ product: productId, 'reservations.reservationId': reservationId });
     if (!inventory) {
-      throw new Error('Inventory record not found');
+      throw new Error('Reservation not found');
     }
 
     const reservationIndex = inventory.reservations.findIndex(
@@ -159,9 +164,10 @@ class StockReservationService {
    * @returns {Promise<Object>}
    */
   async extendReservation(productId, reservationId, additionalMinutes) {
-    const inventory = await Inventory.findOne({ product: productId });
+    // The reservation lives on the stock row of the warehouse it was taken from
+    const inventory = await Inventory.findOne({ product: productId, 'reservations.reservationId': reservationId });
     if (!inventory) {
-      throw new Error('Inventory record not found');
+      throw new Error('Reservation not found');
     }
 
     const reservation = inventory.reservations.find(
@@ -189,16 +195,20 @@ class StockReservationService {
   /**
    * Get active reservations for a product
    * @param {string} productId - Product ID
+   * @param {Object} options - { warehouse } limits the result to one warehouse (defaults to all warehouses)
    * @returns {Promise<Array>}
    */
-  async getActiveReservations(productId) {
-    const inventory = await Inventory.findOne({ product: productId });
-    if (!inventory) {
-      return [];
+  async getActiveReservations(productId, options = {}) {
+    const filter = { product: productId };
+    if (options.warehouse) {
+      filter['location.warehouse'] = await resolveWarehouseKey(options.warehouse);
     }
+    const inventories = await Inventory.find(filter);
 
     const now = new Date();
-    return inventory.reservations.filter(r => new Date(r.expiresAt) > now);
+    return inventories.flatMap(inventory => inventory.reservations
+      .filter(r => new Date(r.expiresAt) > now)
+      .map(r => ({ ...r.toObject(), warehouse: inventory.location?.warehouse })));
   }
 }
 
@@ -0,0 +1,624 @@
+const crypto = require('crypto');
+const storedValueCardRepository = require('../repositories/StoredValueCardRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const AccountingService = require('./accountingService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const { getEndOfDayPakistan } = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Cards issued without an expiry date lapse after this many months
+const DEFAULT_EXPIRY_MONTHS = 12;
+
+const CODE_PREFIXES = { gift_card: 'GC', credit_note: 'CN' };
+
+// No 0/O or 1/I so codes read back correctly over the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const TYPE_LABELS = { gift_card: 'Gift card', credit_note: 'Credit note' };
+
+const customerName = (customer) => customer?.businessName || customer?.name || '';
+
+const escapeRegex = (value) => String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class StoredValueService {
+  /**
+   * Random code such as GC-7KQ4-M2XD-9PTA
+   * @param {string} type - Card type
+   * @returns {string}
+   */
+  _randomCode(type) {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${CODE_PREFIXES[type]}-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+  }
+
+  /**
+   * Random EAN-13 in the 29 in-store range, so cards scan like any other barcode
+   * @returns {string}
+   */
+  _randomBarcode() {
+    const digits = '29' + Array.from(crypto.randomBytes(10), byte => byte % 10).join('');
+    const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return digits + ((10 - (sum % 10)) % 10);
+  }
+
+  async _uniqueCode(type) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this._randomCode(type);
+      if (!(await storedValueCardRepository.exists({ code }))) return code;
+    }
+    throw new Error('Failed to generate a unique card code');
+  }
+
+  async _uniqueBarcode() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const barcode = this._randomBarcode();
+      if (!(await storedValueCardRepository.exists({ barcode }))) return barcode;
+    }
+    throw new Error('Failed to generate a unique card barcode');
+  }
+
+  _expiryDate(expiresAt, from = new Date()) {
+    if (expiresAt === null) return undefined;
+    if (expiresAt) {
+      const date = new Date(expiresAt);
+      if (date <= from) {
+        throw new Error('Cannot issue card: expiry date must be in the future');
+      }
+      return getEndOfDayPakistan(date);
+    }
+    return getEndOfDayPakistan(addMonths(from, DEFAULT_EXPIRY_MONTHS));
+  }
+
+  async _getCustomer(customerId) {
+    if (!customerId) return null;
+    const customer = await customerRepository.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    return customer;
+  }
+
+  /**
+   * Create a card and its opening ledger entry; the caller posts the matching liability
+   * @param {object} data - { type, amount, customer, expiresAt, barcode, sale, saleReturn, reference, description, notes }
+   * @param {object} user - User issuing the card
+   * @returns {Promise<StoredValueCard>}
+   */
+  async _createCard(data, user) {
+    const amount = round2(Number(data.amount) || 0);
+    if (amount <= 0) {
+      throw new Error('Cannot issue card: amount must be greater than 0');
+    }
+    const issuedAt = data.issuedAt || new Date();
+    if (data.barcode && await storedValueCardRepository.exists({ barcode: data.barcode })) {
+      throw new Error(`Cannot issue card: barcode ${data.barcode} is already in use`);
+    }
+
+    const code = await this._uniqueCode(data.type);
+    return await storedValueCardRepository.create({
+      type: data.type,
+      code,
+      barcode: data.barcode || await this._uniqueBarcode(),
+      customer: data.customer || undefined,
+      initialValue: amount,
+      balance: amount,
+      issuedAt,
+      expiresAt: this._expiryDate(data.expiresAt, issuedAt),
+      sale: data.sale,
+      saleReturn: data.saleReturn,
+      notes: data.notes,
+      issuedBy: user?._id || user,
+      transactions: [{
+        type: 'issue',
+        date: issuedAt,
+        amount,
+        balanceAfter: amount,
+        sale: data.sale,
+        saleReturn: data.saleReturn,
+        reference: data.reference || code,
+        description: data.description || `${TYPE_LABELS[data.type]} ${code} issued`,
+        createdBy: user?._id || user
+      }]
+    });
+  }
+
+  /**
+   * Post the journal voucher that carries a newly issued balance as a liability, and link it to the card.
+   * The card is removed if posting fails, so a balance never exists without its liability.
+   */
+  async _postIssue(card, debitAccountCode, description, user) {
+    try {
+      const { liability } = await AccountingService.getStoredValueAccountCodes();
+      const voucher = await AccountingService.postJournalVoucher({
+        voucherDate: card.issuedAt,
+        reference: card.code,
+        description,
+        numberPrefix: 'SV',
+        lines: [
+          { accountCode: debitAccountCode, debit: card.initialValue, particulars: description },
+          { accountCode: liability, credit: card.initialValue, particulars: description }
+        ],
+        metadata: { source: 'stored_value_issue', card: card._id, cardType: card.type },
+        createdBy: user?._id
+      });
+      card.issueVoucher = voucher._id;
+      card.transactions[0].journalVoucher = voucher._id;
+      await card.save();
+      return card;
+    } catch (error) {
+      await storedValueCardRepository.hardDelete(card._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Sell a gift card: Dr Cash/Bank, Cr Gift Card and Store Credit Liability
+   * @param {object} data - { amount, customer, expiresAt, barcode, paymentMethod ('cash' | 'bank'), notes }
+   * @param {object} user - User selling the card
+   * @returns {Promise<StoredValueCard>}
+   */
+  async issueGiftCard(data, user) {
+    const customer = await this._getCustomer(data.customer);
+    const card = await this._createCard({
+      type: 'gift_card',
+      amount: data.amount,
+      customer: customer?._id,
+      expiresAt: data.expiresAt,
+      barcode: data.barcode,
+      notes: data.notes
+    }, user);
+
+    const accountCodes = await AccountingService.getDefaultAccountCodes();
+    const fundingAccount = data.paymentMethod === 'bank' ? accountCodes.bank : accountCodes.cash;
+    await this._postIssue(card, fundingAccount, `Gift card ${card.code} sold${customer ? ` to ${customerName(customer)}` : ''}`, user);
+
+    if (customer) await this.refreshWalletBalance(customer._id);
+    return card;
+  }
+
+  /**
+   * Give a customer a credit note outside a return (goodwill, price adjustments):
+   * Dr Sales Returns, Cr Gift Card and Store Credit Liability
+   * @param {object} data - { amount, customer, expiresAt, notes }
+   * @param {object} user - User issuing the note
+   * @returns {Promise<StoredValueCard>}
+   */
+  async issueCreditNote(data, user) {
+    const customer = await this._getCustomer(data.customer);
+    if (!customer) {
+      throw new Error('Cannot issue credit note: a customer is required');
+    }
+    const card = await this._createCard({
+      type: 'credit_note',
+      amount: data.amount,
+      customer: customer._id,
+      expiresAt: data.expiresAt,
+      notes: data.notes,
+      description: data.notes || undefined
+    }, user);
+
+    const accountCodes = await AccountingService.getDefaultAccountCodes();
+    const salesReturns = await AccountingService.getAccountCode('Sales Returns', 'revenue', 'sales_revenue')
+      .catch(() => accountCodes.salesRevenue);
+    await this._postIssue(card, salesReturns, `Credit note ${card.code} issued to ${customerName(customer)}`, user);
+
+    await this.refreshWalletBalance(customer._id);
+    return card;
+  }
+
+  /**
+   * Issue the credit note a sale return is refunded with. The return posts the liability itself
+   * alongside its other entries. Issuing again for the same return gives back the existing note.
+   * @param {object} returnRequest - Sale return being refunded
+   * @param {number} amount - Refund amount
+   * @param {object} user - User processing the return
+   * @returns {Promise<StoredValueCard>}
+   */
+  async issueCreditNoteForReturn(returnRequest, amount, user) {
+    const existing = await storedValueCardRepository.findOne({ type: 'credit_note', saleReturn: returnRequest._id });
+    if (existing) return existing;
+
+    const customerId = idOf(returnRequest.customer);
+    const card = await this._createCard({
+      type: 'credit_note',
+      amount,
+      customer: customerId,
+      sale: idOf(returnRequest.originalOrder),
+      saleReturn: returnRequest._id,
+      reference: returnRequest.returnNumber,
+      description: `Issued for return ${returnRequest.returnNumber}`
+    }, user);
+
+    if (customerId) await this.refreshWalletBalance(customerId);
+    return card;
+  }
+
+  /**
+   * Balance lookup by code or barcode
+   * @param {string} codeOrBarcode - Code or barcode
+   * @returns {Promise<object>} Card with its ledger
+   */
+  async lookup(codeOrBarcode) {
+    const card = await storedValueCardRepository.findByCode(codeOrBarcode, {
+      populate: [
+        { path: 'customer', select: 'businessName name phone' },
+        { path: 'transactions.sale', select: 'orderNumber' },
+        { path: 'transactions.createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!card) {
+      throw new Error('Gift card or credit note not found');
+    }
+    return card;
+  }
+
+  async getCardById(id) {
+    const card = await storedValueCardRepository.findById(id, {
+      populate: [
+        { path: 'customer', select: 'businessName name phone' },
+        { path: 'saleReturn', select: 'returnNumber' },
+        { path: 'transactions.sale', select: 'orderNumber' },
+        { path: 'transactions.createdBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!card) {
+      throw new Error('Card not found');
+    }
+    return card;
+  }
+
+  /**
+   * List cards
+   * @param {object} queryParams - { type, status, customer, search, page, limit }
+   * @returns {Promise<object>} { cards, pagination, outstanding }
+   */
+  async getCards(queryParams = {}) {
+    const filter = {};
+    if (queryParams.type) filter.type = queryParams.type;
+    if (queryParams.status) filter.status = queryParams.status;
+    if (queryParams.customer) filter.customer = queryParams.customer;
+    if (queryParams.search) {
+      const search = escapeRegex(queryParams.search);
+      filter.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { barcode: { $regex: `^${search}` } }
+      ];
+    }
+
+    const result = await storedValueCardRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page, 10) || 1,
+      limit: parseInt(queryParams.limit, 10) || 20
+    });
+    const outstanding = await storedValueCardRepository.getOutstandingByType();
+    return { cards: result.cards, pagination: result.pagination, outstanding };
+  }
+
+  /**
+   * A customer's store credit wallet: their unexpired cards and the total they can spend
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object>} { customer, balance, cards }
+   */
+  async getWallet(customerId) {
+    const customer = await this._getCustomer(customerId);
+    const cards = await storedValueCardRepository.findWalletCards(customer._id);
+    return {
+      customer: { _id: customer._id, name: customerName(customer) },
+      balance: round2(cards.reduce((sum, card) => sum + card.balance, 0)),
+      cards
+    };
+  }
+
+  /**
+   * Recalculate the store credit balance shown on the customer from their cards
+   * @param {string} customerId - Customer ID
+   * @param {object} options - { session }
+   * @returns {Promise<number>} Wallet balance
+   */
+  async refreshWalletBalance(customerId, options = {}) {
+    const balance = round2(await storedValueCardRepository.sumWalletBalance(customerId, new Date(), options));
+    await customerRepository.updateById(customerId, { storeCreditBalance: balance }, { session: options.session });
+    return balance;
+  }
+
+  /**
+   * Check the gift cards, credit notes and store credit tendered for a bill and work out what each
+   * card pays. Store credit is drawn from the customer's wallet cards, soonest to expire first.
+   * @param {object} tender - { cards: [{ code, amount }], storeCredit, customer, billTotal }
+   * @returns {Promise<{legs: Array, amount: number}>} legs: [{ card, code, type, amount }]
+   */
+  async quoteRedemption({ cards = [], storeCredit = 0, customer = null, billTotal = 0 }) {
+    const now = new Date();
+    const customerId = idOf(customer);
+    const drawn = new Map();
+    const legs = [];
+
+    const usable = (card, label) => {
+      if (card.status !== 'active') {
+        throw new Error(`Cannot redeem ${label}: it is ${card.status}`);
+      }
+      if (card.expiresAt && card.expiresAt <= now) {
+        throw new Error(`Cannot redeem ${label}: it expired on ${card.expiresAt.toISOString().slice(0, 10)}`);
+      }
+      if (card.customer && card.customer.toString() !== customerId) {
+        throw new Error(`Cannot redeem ${label}: it belongs to another customer`);
+      }
+    };
+
+    for (const tendered of cards) {
+      const amount = round2(Number(tendered.amount) || 0);
+      if (amount <= 0) continue;
+
+      const card = await storedValueCardRepository.findByCode(tendered.code, { select: '-transactions' });
+      if (!card) {
+        throw new Error(`Cannot redeem ${tendered.code}: no gift card or credit note has this code`);
+      }
+      usable(card, card.code);
+
+      const key = card._id.toString();
+      const available = round2(card.balance - (drawn.get(key) || 0));
+      if (amount > available) {
+        throw new Error(`Cannot redeem ${amount} from ${card.code}: its balance is ${available}`);
+      }
+      drawn.set(key, round2((drawn.get(key) || 0) + amount));
+      legs.push({ card: card._id, code: card.code, type: card.type, amount });
+    }
+
+    let remaining = round2(Number(storeCredit) || 0);
+    if (remaining > 0) {
+      if (!customerId) {
+        throw new Error('Cannot pay with store credit: a customer is required');
+      }
+      const walletCards = await storedValueCardRepository.findWalletCards(customerId, now);
+      const walletBalance = round2(walletCards.reduce(
+        (sum, card) => sum + card.balance - (drawn.get(card._id.toString()) || 0), 0
+      ));
+      if (remaining > walletBalance) {
+        throw new Error(`Cannot pay ${remaining} with store credit: ${customerName(customer)} has ${walletBalance}`);
+      }
+      for (const card of walletCards) {
+        if (remaining <= 0) break;
+        const key = card._id.toString();
+        const take = round2(Math.min(remaining, card.balance - (drawn.get(key) || 0)));
+        if (take <= 0) continue;
+        drawn.set(key, round2((drawn.get(key) || 0) + take));
+        legs.push({ card: card._id, code: card.code, type: card.type, amount: take });
+        remaining = round2(remaining - take);
+      }
+    }
+
+    const amount = round2(legs.reduce((sum, leg) => sum + leg.amount, 0));
+    if (amount > round2(billTotal)) {
+      throw new Error(`Cannot redeem ${amount} in gift cards and store credit against a bill of ${round2(billTotal)}`);
+    }
+    return { legs, amount };
+  }
+
+  /**
+   * Draw the tendered legs down from their cards for a sale. If any card no longer holds enough,
+   * the legs already drawn are put back (or, inside a transaction, rolled back with it) and the sale is refused.
+   * @param {object} order - Saved Sales document with payment.storedValue set
+   * @param {object} user - User making the sale
+   * @param {object} options - { session } to draw down inside the sale's transaction
+   * @returns {Promise<Array>} Updated cards
+   */
+  async redeemForSale(order, user, options = {}) {
+    const { session } = options;
+    const legs = order.payment?.storedValue || [];
+    const date = order.billDate || order.createdAt || new Date();
+    const updated = [];
+
+    for (const leg of legs) {
+      const card = await storedValueCardRepository.applyMovement(leg.card, -leg.amount, {
+        type: 'redeem',
+        date,
+        sale: order._id,
+        reference: order.orderNumber,
+        description: `Redeemed on sale ${order.orderNumber}`,
+        createdBy: user?._id
+      }, { session });
+      if (!card) {
+        // Inside a transaction the legs already drawn are rolled back with it
+        if (!session) {
+          for (const done of updated) {
+            const doneLeg = legs.find(l => idOf(l.card) === done._id.toString());
+            await storedValueCardRepository.applyMovement(done._id, doneLeg.amount, {
+              type: 'refund',
+              date,
+              sale: order._id,
+              reference: order.orderNumber,
+              description: `Put back: sale ${order.orderNumber} was not completed`,
+              createdBy: user?._id
+            });
+          }
+        }
+        throw new Error(`Cannot redeem ${leg.amount} from ${leg.code}: its balance has changed`);
+      }
+      updated.push(card);
+    }
+
+    const customers = new Set(updated.filter(card => card.customer).map(card => card.customer.toString()));
+    for (const customerId of customers) {
+      await this.refreshWalletBalance(customerId, { session });
+    }
+    return updated;
+  }
+
+  /**
+   * Credit the legs a sale drew down back to their cards when the sale is cancelled or deleted, and
+   * reverse the liability it used: Dr Sales Returns, Cr Gift Card and Store Credit Liability.
+   * The cards and the voucher are updated in one transaction.
+   * @param {object} order - Sales document with payment.storedValue set
+   * @param {object} user - User cancelling or deleting the sale
+   * @param {object} options - { reason } such as 'cancelled' or 'deleted'
+   * @returns {Promise<Array>} Updated cards
+   */
+  async reverseForSale(order, user, { reason = 'cancelled' } = {}) {
+    const legs = (order.payment?.storedValue || []).filter(leg => leg.amount > 0);
+    if (legs.length === 0) return [];
+
+    const amount = round2(legs.reduce((sum, leg) => sum + leg.amount, 0));
+    const description = `Sale ${order.orderNumber} ${reason}: ${legs.map(leg => leg.code).join(', ')} credited back`;
+    const { liability } = await AccountingService.getStoredValueAccountCodes();
+    const accountCodes = await AccountingService.getDefaultAccountCodes();
+    const salesReturns = await AccountingService.getAccountCode('Sales Returns', 'revenue', 'sales_revenue')
+      .catch(() => accountCodes.salesRevenue);
+
+    return await runWithTransactionRetry(async (session) => {
+      const voucher = await AccountingService.postJournalVoucher({
+        reference: order.orderNumber,
+        description,
+        numberPrefix: 'SV',
+        lines: [
+          { accountCode: salesReturns, debit: amount, particulars: description },
+          { accountCode: liability, credit: amount, particulars: description }
+        ],
+        metadata: { source: 'stored_value_sale_reversal', sale: order._id },
+        createdBy: user?._id,
+        session
+      });
+
+      const updated = [];
+      for (const leg of legs) {
+        const card = await storedValueCardRepository.applyMovement(leg.card, leg.amount, {
+          type: 'refund',
+          date: voucher.voucherDate || new Date(),
+          sale: order._id,
+          journalVoucher: voucher._id,
+          reference: order.orderNumber,
+          description: `Credited back: sale ${order.orderNumber} was ${reason}`,
+          createdBy: user?._id
+        }, { session });
+        if (!card) {
+          throw new Error(`Cannot credit ${leg.amount} back to ${leg.code}: the card no longer exists`);
+        }
+        updated.push(card);
+      }
+
+      const customers = new Set(updated.filter(card => card.customer).map(card => card.customer.toString()));
+      for (const customerId of customers) {
+        await this.refreshWalletBalance(customerId, { session });
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Take lapsed balances off expired cards: Dr Gift Card and Store Credit Liability, Cr Gift Card Breakage Income.
+   * The cards are expired first and the voucher is posted for what actually lapsed, all in one transaction,
+   * so a card redeemed in the meantime is neither expired nor booked as breakage.
+   * @param {Date} asOf - Expire cards that expired on or before this time
+   * @returns {Promise<{cards: number, amount: number, voucher: string|null}>}
+   */
+  async expireCards(asOf = new Date()) {
+    const candidates = await storedValueCardRepository.findExpiredCards(asOf);
+    if (candidates.length === 0) return { cards: 0, amount: 0, voucher: null };
+
+    return await runWithTransactionRetry(async (session) => {
+      const results = { cards: 0, amount: 0, voucher: null };
+      const expired = [];
+      const customers = new Set();
+
+      for (const candidate of candidates) {
+        // Re-read inside the transaction; the balance may have moved since the candidates were listed
+        const card = await storedValueCardRepository.findById(candidate._id, { session });
+        if (!card || card.status !== 'active' || !(card.balance > 0) || !card.expiresAt || card.expiresAt > asOf) continue;
+
+        const balance = round2(card.balance);
+        const updated = await storedValueCardRepository.applyMovement(card._id, -card.balance, {
+          type: 'expire',
+          date: asOf,
+          description: `Unspent balance of ${balance} expired`
+        }, { session });
+        if (!updated) continue;
+        await storedValueCardRepository.updateById(card._id, { status: 'expired' }, { session });
+        expired.push(card._id);
+        if (card.customer) customers.add(card.customer.toString());
+        results.cards += 1;
+        results.amount = round2(results.amount + balance);
+      }
+      if (results.amount <= 0) return results;
+
+      const { liability, breakage } = await AccountingService.getStoredValueAccountCodes();
+      const voucher = await AccountingService.postJournalVoucher({
+        voucherDate: asOf,
+        reference: 'BREAKAGE',
+        description: `${results.cards} expired gift card(s) and credit note(s)`,
+        numberPrefix: 'SV',
+        lines: [
+          { accountCode: liability, debit: results.amount, particulars: 'Expired stored value balances' },
+          { accountCode: breakage, credit: results.amount, particulars: 'Expired stored value balances' }
+        ],
+        metadata: { source: 'stored_value_expiry', cards: expired },
+        session
+      });
+      await storedValueCardRepository.linkExpiryToVoucher(expired, asOf, voucher, { session });
+
+      for (const customerId of customers) {
+        await this.refreshWalletBalance(customerId, { session });
+      }
+
+      results.voucher = voucher.voucherNumber;
+      return results;
+    });
+  }
+
+  /**
+   * Cancel a card, paying out what is left on it: Dr Gift Card and Store Credit Liability, Cr Cash/Bank
+   * @param {string} id - Card ID
+   * @param {object} data - { refundMethod ('cash' | 'bank'), reason }
+   * @param {object} user - User cancelling the card
+   * @returns {Promise<StoredValueCard>}
+   */
+  async cancelCard(id, { refundMethod = 'cash', reason } = {}, user) {
+    const card = await storedValueCardRepository.findById(id);
+    if (!card) {
+      throw new Error('Card not found');
+    }
+    if (card.status !== 'active') {
+      throw new Error(`Cannot cancel ${card.code}: it is already ${card.status}`);
+    }
+
+    const refund = round2(card.balance);
+    let voucher = null;
+    if (refund > 0) {
+      const { liability } = await AccountingService.getStoredValueAccountCodes();
+      const accountCodes = await AccountingService.getDefaultAccountCodes();
+      const description = `${TYPE_LABELS[card.type]} ${card.code} cancelled and balance paid out`;
+      voucher = await AccountingService.postJournalVoucher({
+        reference: card.code,
+        description,
+        notes: reason,
+        numberPrefix: 'SV',
+        lines: [
+          { accountCode: liability, debit: refund, particulars: description },
+          { accountCode: refundMethod === 'bank' ? accountCodes.bank : accountCodes.cash, credit: refund, particulars: description }
+        ],
+        metadata: { source: 'stored_value_cancel', card: card._id },
+        createdBy: user?._id
+      });
+    }
+
+    await storedValueCardRepository.applyMovement(card._id, refund > 0 ? -refund : 0, {
+      type: 'cancel',
+      journalVoucher: voucher?._id,
+      reference: voucher?.voucherNumber || card.code,
+      description: reason || `Cancelled${refund > 0 ? ` and ${refund} paid out` : ''}`,
+      createdBy: user?._id
+    });
+    const cancelled = await storedValueCardRepository.updateById(card._id, { status: 'cancelled' });
+    if (card.customer) await this.refreshWalletBalance(card.customer);
+    return cancelled;
+  }
+}
+
+module.exports = new StoredValueService();
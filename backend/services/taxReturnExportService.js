@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Settings = require('../models/Settings');
+const exportService = require('./exportService');
+const { formatDatePakistan } = require('../utils/dateFilter');
+
+const DOCUMENT_TYPE_LABELS = {
+  sale: 'Sale',
+  sale_return: 'Sale Return',
+  purchase_invoice: 'Purchase Invoice',
+  purchase_return: 'Purchase Return'
+};
+
+const DETAIL_HEADERS = [
+  'Side', 'Document Type', 'Document Number', 'Document Date', 'Party', 'Party Tax Number',
+  'Tax Code', 'Tax Type', 'Rate %', 'Taxable Amount', 'Tax Amount'
+];
+
+// Version of the JSON filing layout, bumped when fields change
+const FILING_SCHEMA_VERSION = 1;
+
+class TaxReturnExportService {
+  constructor() {
+    this.exportDir = path.join(__dirname, '../exports');
+    this.ensureExportDir();
+  }
+
+  async ensureExportDir() {
+    try {
+      await fs.access(this.exportDir);
+    } catch (error) {
+      await fs.mkdir(this.exportDir, { recursive: true });
+    }
+  }
+
+  buildDetailRows(taxReturn) {
+    return (taxReturn.lines || []).map(line => [
+      line.side === 'output' ? 'Output' : 'Input',
+      DOCUMENT_TYPE_LABELS[line.documentType] || line.documentType,
+      line.documentNumber || '',
+      line.documentDate ? formatDatePakistan(line.documentDate) : '',
+      line.partyName || '',
+      line.partyTaxNumber || '',
+      line.taxCode || '',
+      line.taxType || '',
+      Math.round((line.rate || 0) * 10000) / 100,
+      line.taxableAmount || 0,
+      line.taxAmount || 0
+    ]);
+  }
+
+  // Export return to Excel: summary by tax code on the first sheet, per-document detail on the second
+  async exportToExcel(taxReturn) {
+    try {
+      const settings = await Settings.getSettings();
+      const workbook = new ExcelJS.Workbook();
+      const summarySheet = workbook.addWorksheet('Summary');
+      const detailSheet = workbook.addWorksheet('Detail');
+
+      const headerStyle = {
+        font: { bold: true, size: 11 },
+        fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6E6FA' } },
+        border: { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } },
+        alignment: { horizontal: 'center', vertical: 'middle' }
+      };
+      const dataStyle = {
+        border: { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } },
+        alignment: { vertical: 'middle' }
+      };
+      const amountStyle = { ...dataStyle, numFmt: '#,##0.00;(#,##0.00)' };
+
+      [14, 30, 10, 12, 18, 18, 18, 18].forEach((width, index) => {
+        summarySheet.getColumn(index + 1).width = width;
+      });
+
+      let row = 1;
+      summarySheet.mergeCells(`A${row}:H${row}`);
+      summarySheet.getCell(`A${row}`).value = settings?.companyName || '';
+      summarySheet.getCell(`A${row}`).font = { bold: true, size: 16 };
+      summarySheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+      row++;
+      if (settings?.taxId) {
+        summarySheet.mergeCells(`A${row}:H${row}`);
+        summarySheet.getCell(`A${row}`).value = `Tax ID: ${settings.taxId}`;
+        summarySheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+        row++;
+      }
+      row++;
+
+      summarySheet.mergeCells(`A${row}:H${row}`);
+      summarySheet.getCell(`A${row}`).value = `SALES TAX RETURN ${taxReturn.returnNumber}`;
+      summarySheet.getCell(`A${row}`).font = { bold: true, size: 14 };
+      summarySheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+      row++;
+      summarySheet.mergeCells(`A${row}:H${row}`);
+      summarySheet.getCell(`A${row}`).value = `Period: ${formatDatePakistan(taxReturn.periodStart)} to ${formatDatePakistan(taxReturn.periodEnd)}`;
+      summarySheet.getCell(`A${row}`).alignment = { horizontal: 'center' };
+      row += 2;
+
+      ['Tax Code', 'Name', 'Rate %', 'Return Box', 'Output Taxable', 'Output Tax', 'Input Taxable', 'Input Tax']
+        .forEach((header, index) => {
+          const cell = summarySheet.getCell(row, index + 1);
+          cell.value = header;
+          cell.style = headerStyle;
+        });
+      row++;
+
+      (taxReturn.summary || []).forEach(line => {
+        const values = [
+          line.taxCode, line.name, Math.round((line.rate || 0) * 10000) / 100, line.returnBox || '',
+          line.outputTaxable || 0, line.outputTax || 0, line.inputTaxable || 0, line.inputTax || 0
+        ];
+        values.forEach((value, index) => {
+          const cell = summarySheet.getCell(row, index + 1);
+          cell.value = value;
+          cell.style = index >= 4 ? amountStyle : dataStyle;
+        });
+        row++;
+      });
+      row++;
+
+      const totals = [
+        ['Output tax', taxReturn.outputTax],
+        ['Input tax', taxReturn.inputTax],
+        [taxReturn.netTax >= 0 ? 'Net tax payable' : 'Net tax refundable', Math.abs(taxReturn.netTax)]
+      ];
+      if (taxReturn.withholdingTax) {
+        totals.push(['Withholding tax (reported separately)', taxReturn.withholdingTax]);
+      }
+      totals.forEach(([label, amount]) => {
+        summarySheet.mergeCells(`A${row}:E${row}`);
+        summarySheet.getCell(`A${row}`).value = label;
+        summarySheet.getCell(`A${row}`).style = { ...dataStyle, font: { bold: true } };
+        summarySheet.getCell(`F${row}`).value = amount || 0;
+        summarySheet.getCell(`F${row}`).style = { ...amountStyle, font: { bold: true } };
+        row++;
+      });
+
+      row++;
+      summarySheet.getCell(`A${row}`).value = `Status: ${taxReturn.status}${taxReturn.filingReference ? ` (filing reference ${taxReturn.filingReference})` : ''}`;
+      summarySheet.getCell(`A${row}`).font = { size: 9 };
+      row++;
+      summarySheet.getCell(`A${row}`).value = `Generated on: ${formatDatePakistan(new Date())}`;
+      summarySheet.getCell(`A${row}`).font = { size: 9 };
+
+      detailSheet.columns = DETAIL_HEADERS.map((header, index) => ({
+        header,
+        key: `col${index}`,
+        width: index === 4 ? 30 : 16
+      }));
+      detailSheet.getRow(1).eachCell(cell => { cell.style = headerStyle; });
+      this.buildDetailRows(taxReturn).forEach(values => {
+        const detailRow = detailSheet.addRow(values);
+        detailRow.getCell(10).numFmt = '#,##0.00;(#,##0.00)';
+        detailRow.getCell(11).numFmt = '#,##0.00;(#,##0.00)';
+      });
+
+      const filename = this.getExportFilename(taxReturn, 'xlsx');
+      const filepath = path.join(this.exportDir, filename);
+      await workbook.xlsx.writeFile(filepath);
+
+      return { filename, filepath, format: 'excel' };
+    } catch (error) {
+      console.error('Error exporting tax return to Excel:', error);
+      throw error;
+    }
+  }
+
+  // Export per-document detail as CSV, one row per document and tax code
+  async exportToCSV(taxReturn) {
+    const filename = this.getExportFilename(taxReturn, 'csv');
+    const filepath = await exportService.exportToCSV(this.buildDetailRows(taxReturn), DETAIL_HEADERS, filename);
+    return { filename, filepath, format: 'csv' };
+  }
+
+  /**
+   * Structured return for electronic filing: taxpayer, period, totals, boxes per tax code
+   * and the supporting sales and purchase documents
+   * @param {object} taxReturn - Tax return document
+   * @returns {Promise<object>}
+   */
+  async buildFilingJson(taxReturn) {
+    const settings = await Settings.getSettings();
+    const toDocument = (line) => ({
+      documentType: line.documentType,
+      documentNumber: line.documentNumber,
+      documentDate: line.documentDate ? formatDatePakistan(line.documentDate) : null,
+      partyName: line.partyName || null,
+      partyTaxNumber: line.partyTaxNumber || null,
+      taxCode: line.taxCode,
+      rate: line.rate,
+      taxableAmount: line.taxableAmount,
+      taxAmount: line.taxAmount
+    });
+
+    return {
+      schemaVersion: FILING_SCHEMA_VERSION,
+      returnType: 'sales_tax',
+      returnNumber: taxReturn.returnNumber,
+      status: taxReturn.status,
+      filingReference: taxReturn.filingReference || null,
+      taxpayer: {
+        name: settings?.companyName || null,
+        taxId: settings?.taxId || null,
+        registrationNumber: settings?.registrationNumber || null,
+        address: settings?.address || null
+      },
+      period: {
+        from: formatDatePakistan(taxReturn.periodStart),
+        to: formatDatePakistan(taxReturn.periodEnd)
+      },
+      currency: settings?.currency || null,
+      totals: {
+        outputTax: taxReturn.outputTax,
+        inputTax: taxReturn.inputTax,
+        netTax: taxReturn.netTax,
+        withholdingTax: taxReturn.withholdingTax
+      },
+      boxes: (taxReturn.summary || []).map(line => ({
+        taxCode: line.taxCode,
+        name: line.name,
+        taxType: line.taxType,
+        rate: line.rate,
+        returnBox: line.returnBox || null,
+        outputTaxable: line.outputTaxable,
+        outputTax: line.outputTax,
+        inputTaxable: line.inputTaxable,
+        inputTax: line.inputTax
+      })),
+      sales: (taxReturn.lines || []).filter(line => line.side === 'output').map(toDocument),
+      purchases: (taxReturn.lines || []).filter(line => line.side === 'input').map(toDocument),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  getExportFilename(taxReturn, extension) {
+    return `Tax_Return_${taxReturn.returnNumber}_${formatDatePakistan(taxReturn.periodStart)}_to_${formatDatePakistan(taxReturn.periodEnd)}.${extension}`;
+  }
+}
+
+module.exports = new TaxReturnExportService();
@@ -0,0 +1,608 @@
+const taxCodeRepository = require('../repositories/TaxCodeRepository');
+const taxReturnRepository = require('../repositories/TaxReturnRepository');
+const SalesRepository = require('../repositories/SalesRepository');
+const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
+const ReturnRepository = require('../repositories/ReturnRepository');
+const AccountingService = require('./accountingService');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const normalizeCode = (code) => (code ? String(code).trim().toUpperCase() : '');
+
+// Same statuses calculateSalesTax reports on
+const REPORTED_SALE_STATUSES = ['completed', 'delivered', 'shipped', 'confirmed'];
+
+const percentLabel = (rate) => `${round2(rate * 100)}%`;
+
+class TaxService {
+  async getTaxCodes(queryParams = {}) {
+    const filter = {};
+    if (queryParams.isActive !== undefined) filter.isActive = queryParams.isActive === 'true' || queryParams.isActive === true;
+    if (queryParams.type) filter.type = queryParams.type;
+    return await taxCodeRepository.findAll(filter, { sort: { type: 1, code: 1 } });
+  }
+
+  async getTaxCodeById(id) {
+    const taxCode = await taxCodeRepository.findById(id);
+    if (!taxCode) {
+      throw new Error('Tax code not found');
+    }
+    return taxCode;
+  }
+
+  async createTaxCode(data, user) {
+    const code = normalizeCode(data.code);
+    if (await taxCodeRepository.findByCode(code)) {
+      throw new Error(`Cannot add tax code: ${code} already exists`);
+    }
+    const rate = this._rateForType(data.type, data.rate);
+    const withholding = this._withholdingFields(data.type, data);
+
+    if (data.isDefault) {
+      await this._clearDefault(data.type, withholding.transactionType);
+    }
+    return await taxCodeRepository.create({
+      code,
+      name: data.name,
+      type: data.type,
+      rate,
+      ...withholding,
+      isDefault: !!data.isDefault,
+      returnBox: data.returnBox,
+      description: data.description,
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      createdBy: user._id
+    });
+  }
+
+  async updateTaxCode(id, data, user) {
+    const taxCode = await this.getTaxCodeById(id);
+    if (data.code && normalizeCode(data.code) !== taxCode.code) {
+      throw new Error('Cannot change a tax code; add a new code instead');
+    }
+
+    ['name', 'type', 'rate', 'returnBox', 'description', 'isActive', 'transactionType', 'appliesTo'].forEach(field => {
+      if (data[field] !== undefined) taxCode[field] = data[field];
+    });
+    taxCode.rate = this._rateForType(taxCode.type, taxCode.rate);
+    Object.assign(taxCode, this._withholdingFields(taxCode.type, taxCode));
+    if (data.isDefault !== undefined) {
+      if (data.isDefault && !taxCode.isDefault) {
+        await this._clearDefault(taxCode.type, taxCode.transactionType);
+      }
+      taxCode.isDefault = !!data.isDefault;
+    }
+    taxCode.updatedBy = user._id;
+    await taxCode.save();
+    return taxCode;
+  }
+
+  /**
+   * Tax code a line reports under: its own code, else an active code of the matching type and rate.
+   * Lines that match no configured code get a generated code so returns still balance.
+   * @param {Array} codes - Active tax codes
+   * @param {object} line - { taxCode, rate, isExempt }
+   * @returns {object} { code, name, type, rate, returnBox }
+   */
+  resolveTaxCode(codes, { taxCode, rate = 0, isExempt = false }) {
+    const toResult = (code) => ({
+      code: code.code,
+      name: code.name,
+      type: code.type,
+      rate: code.rate,
+      returnBox: code.returnBox
+    });
+    const pick = (candidates) => candidates.find(code => code.isDefault) || candidates[0];
+
+    const own = taxCode && codes.find(code => code.code === normalizeCode(taxCode));
+    if (own) return toResult(own);
+
+    if (isExempt) {
+      const exempt = pick(codes.filter(code => code.type === 'exempt'));
+      return exempt ? toResult(exempt) : { code: 'EXEMPT', name: 'Exempt supplies', type: 'exempt', rate: 0 };
+    }
+    if (!rate) {
+      const zero = pick(codes.filter(code => code.type === 'zero_rated'));
+      return zero ? toResult(zero) : { code: 'ZERO', name: 'Zero-rated supplies', type: 'zero_rated', rate: 0 };
+    }
+
+    const matching = pick(codes.filter(code =>
+      (code.type === 'standard' || code.type === 'reduced') && Math.abs(code.rate - rate) < 0.00005
+    ));
+    return matching
+      ? toResult(matching)
+      : { code: `RATE-${round2(rate * 100)}`, name: `Tax at ${percentLabel(rate)}`, type: 'standard', rate: round2(rate * 10000) / 10000 };
+  }
+
+  /**
+   * Tax in a sale return refund, per returned line. Refunds are treated as tax-inclusive and the
+   * tax is extracted at the original line's rate, as processSaleReturnRefund posts it.
+   * @param {object} returnRequest - Return document
+   * @param {object} originalSale - Sales document the return was made against
+   * @returns {{lines: Array, taxableAmount: number, taxAmount: number}}
+   */
+  getSaleReturnTax(returnRequest, originalSale) {
+    const lines = [];
+    // Spread the net refund (after restocking fees) over the returned lines
+    const itemsTotal = (returnRequest.items || []).reduce((sum, item) => sum + (item.refundAmount || 0), 0);
+    const refunded = returnRequest.netRefundAmount !== undefined ? returnRequest.netRefundAmount : itemsTotal;
+    const share = itemsTotal > 0 ? refunded / itemsTotal : 0;
+    for (const returnItem of returnRequest.items || []) {
+      const originalItem = (originalSale.items || []).find(item =>
+        item._id.toString() === returnItem.originalOrderItem?.toString()
+      );
+      const refund = round2((returnItem.refundAmount || 0) * share);
+      if (!originalItem || refund <= 0) continue;
+
+      const taxable = (originalItem.subtotal || 0) - (originalItem.discountAmount || 0);
+      const rate = originalItem.taxAmount > 0 && taxable > 0
+        ? originalItem.taxAmount / taxable
+        : (originalItem.taxRate || 0);
+      const taxAmount = originalSale.pricing?.isTaxExempt ? 0 : round2(refund * rate / (1 + rate));
+      lines.push({
+        taxCode: originalItem.taxCode,
+        rate: originalSale.pricing?.isTaxExempt ? 0 : rate,
+        isExempt: !!originalSale.pricing?.isTaxExempt,
+        taxableAmount: round2(refund - taxAmount),
+        taxAmount
+      });
+    }
+
+    return {
+      lines,
+      taxableAmount: round2(lines.reduce((sum, line) => sum + line.taxableAmount, 0)),
+      taxAmount: round2(lines.reduce((sum, line) => sum + line.taxAmount, 0))
+    };
+  }
+
+  /**
+   * Input tax on a purchase invoice, per tax code. Invoices without coded items report their
+   * invoice-level tax at the effective rate.
+   * @param {object} invoice - Purchase invoice document
+   * @returns {Array} [{ taxCode, rate, isExempt, taxableAmount, taxAmount }]
+   */
+  getPurchaseInvoiceTax(invoice) {
+    const pricing = invoice.pricing || {};
+    const codedItems = (invoice.items || []).filter(item => item.taxCode);
+    if (codedItems.length > 0) {
+      const byCode = new Map();
+      for (const item of invoice.items) {
+        const key = item.taxCode || '';
+        const line = byCode.get(key) || { taxCode: item.taxCode, rate: item.taxRate || 0, isExempt: false, taxableAmount: 0, taxAmount: 0 };
+        line.taxableAmount = round2(line.taxableAmount + (item.totalCost || 0));
+        line.taxAmount = round2(line.taxAmount + (item.taxAmount || 0));
+        byCode.set(key, line);
+      }
+      return Array.from(byCode.values());
+    }
+
+    const taxableAmount = round2((pricing.subtotal || 0) - (pricing.discountAmount || 0));
+    const taxAmount = round2(pricing.taxAmount || 0);
+    return [{
+      taxCode: null,
+      rate: taxAmount > 0 && taxableAmount > 0 ? taxAmount / taxableAmount : 0,
+      isExempt: !!pricing.isTaxExempt,
+      taxableAmount,
+      taxAmount
+    }];
+  }
+
+  /**
+   * Book the change in a purchase invoice's input tax: Dr Input Tax Receivable, Cr Accounts Payable
+   * (reversed when the tax goes down). Called when an invoice is created, edited, cancelled or deleted;
+   * updates invoice.inputTaxPosted, the caller saves the invoice.
+   * @param {object} invoice - Purchase invoice document
+   * @param {object} user - Current user
+   * @param {object} options - { removed: true when the invoice is being deleted }
+   * @returns {Promise<object|null>} Journal voucher, or null when nothing changed
+   */
+  async postPurchaseInvoiceTax(invoice, user, { removed = false } = {}) {
+    const reportable = !removed && invoice.invoiceType !== 'return' && !['draft', 'cancelled'].includes(invoice.status);
+    const currentTax = reportable ? round2(invoice.pricing?.taxAmount || 0) : 0;
+    const difference = round2(currentTax - (invoice.inputTaxPosted || 0));
+    if (Math.abs(difference) < 0.01) return null;
+
+    const [accountCodes, taxCodes] = await Promise.all([
+      AccountingService.getDefaultAccountCodes(),
+      AccountingService.getTaxAccountCodes()
+    ]);
+    const label = `Input tax ${difference > 0 ? '' : 'adjustment '}on purchase invoice ${invoice.invoiceNumber}`;
+    const amount = Math.abs(difference);
+    const voucher = await AccountingService.postJournalVoucher({
+      voucherDate: difference > 0 ? (invoice.invoiceDate || new Date()) : new Date(),
+      reference: invoice.invoiceNumber,
+      description: label,
+      numberPrefix: 'TAX',
+      lines: difference > 0
+        ? [
+          { accountCode: taxCodes.inputTax, debit: amount, particulars: label },
+          { accountCode: accountCodes.accountsPayable, credit: amount, particulars: label }
+        ]
+        : [
+          { accountCode: accountCodes.accountsPayable, debit: amount, particulars: label },
+          { accountCode: taxCodes.inputTax, credit: amount, particulars: label }
+        ],
+      metadata: { source: 'purchase_invoice_tax', invoice: invoice._id },
+      createdBy: user._id
+    });
+
+    invoice.inputTaxPosted = currentTax;
+    return voucher;
+  }
+
+  /**
+   * Prepare a sales tax return for a period: output tax on sales less sale returns, input tax on
+   * purchase invoices less purchase returns, with per-document detail and a summary per tax code
+   * @param {object} params - { startDate, endDate }
+   * @returns {Promise<object>}
+   */
+  async prepareReturn(params = {}) {
+    if (!params.startDate || !params.endDate) {
+      throw new Error('Cannot prepare return: start and end dates are required');
+    }
+    const periodStart = getStartOfDayPakistan(params.startDate);
+    const periodEnd = getEndOfDayPakistan(params.endDate);
+    if (periodStart > periodEnd) {
+      throw new Error('Cannot prepare return: start date is after end date');
+    }
+
+    const codes = await taxCodeRepository.findAll({ isActive: true });
+    const period = { $gte: periodStart, $lte: periodEnd };
+    const lines = [];
+
+    const addLine = (line, taxLine) => {
+      const resolved = this.resolveTaxCode(codes, taxLine);
+      lines.push({
+        ...line,
+        taxCode: resolved.code,
+        taxType: resolved.type,
+        rate: resolved.rate,
+        taxableAmount: taxLine.taxableAmount,
+        taxAmount: taxLine.taxAmount,
+        _resolved: resolved
+      });
+    };
+
+    // Output tax: sales
+    const sales = await SalesRepository.findAll({
+      createdAt: period,
+      status: { $in: REPORTED_SALE_STATUSES }
+    }, {
+      populate: [{ path: 'customer', select: 'name businessName taxId' }],
+      sort: { createdAt: 1 }
+    });
+    for (const order of sales) {
+      const byCode = new Map();
+      for (const item of order.items || []) {
+        const taxLine = {
+          taxCode: item.taxCode,
+          rate: order.pricing?.isTaxExempt ? 0 : (item.taxRate || 0),
+          isExempt: !!order.pricing?.isTaxExempt
+        };
+        const key = this.resolveTaxCode(codes, taxLine).code;
+        const entry = byCode.get(key) || { ...taxLine, taxableAmount: 0, taxAmount: 0 };
+        entry.taxableAmount = round2(entry.taxableAmount + (item.subtotal || 0) - (item.discountAmount || 0));
+        entry.taxAmount = round2(entry.taxAmount + (item.taxAmount || 0));
+        byCode.set(key, entry);
+      }
+      for (const taxLine of byCode.values()) {
+        addLine({
+          side: 'output',
+          documentType: 'sale',
+          document: order._id,
+          documentNumber: order.orderNumber,
+          documentDate: order.createdAt,
+          party: order.customer?._id,
+          partyName: order.customer?.businessName || order.customer?.name || order.customerInfo?.businessName || order.customerInfo?.name || 'Walk-in customer',
+          partyTaxNumber: order.customer?.taxId
+        }, taxLine);
+      }
+    }
+
+    // Output tax reversed: sale returns refunded in the period
+    const saleReturns = await ReturnRepository.findAll({
+      origin: { $ne: 'purchase' },
+      status: { $nin: ['cancelled', 'rejected'] },
+      'refundDetails.refundDate': period
+    }, {
+      populate: [{ path: 'customer', select: 'name businessName taxId' }]
+    });
+    const originalSales = await SalesRepository.findAll({
+      _id: { $in: saleReturns.map(returnRequest => returnRequest.originalOrder) }
+    });
+    const salesById = new Map(originalSales.map(order => [order._id.toString(), order]));
+    for (const returnRequest of saleReturns) {
+      const originalSale = salesById.get(returnRequest.originalOrder?.toString());
+      if (!originalSale) continue;
+      for (const taxLine of this.getSaleReturnTax(returnRequest, originalSale).lines) {
+        addLine({
+          side: 'output',
+          documentType: 'sale_return',
+          document: returnRequest._id,
+          documentNumber: returnRequest.returnNumber,
+          documentDate: returnRequest.refundDetails.refundDate,
+          party: returnRequest.customer?._id,
+          partyName: returnRequest.customer?.businessName || returnRequest.customer?.name,
+          partyTaxNumber: returnRequest.customer?.taxId
+        }, { ...taxLine, taxableAmount: -taxLine.taxableAmount, taxAmount: -taxLine.taxAmount });
+      }
+    }
+
+    // Input tax: purchase invoices
+    const invoices = await purchaseInvoiceRepository.findAll({
+      invoiceType: 'purchase',
+      status: { $nin: ['draft', 'cancelled'] },
+      $or: [
+        { invoiceDate: period },
+        { invoiceDate: null, createdAt: period }
+      ]
+    }, {
+      populate: [{ path: 'supplier', select: 'companyName taxId' }],
+      sort: { invoiceDate: 1, createdAt: 1 }
+    });
+    for (const invoice of invoices) {
+      for (const taxLine of this.getPurchaseInvoiceTax(invoice)) {
+        addLine({
+          side: 'input',
+          documentType: 'purchase_invoice',
+          document: invoice._id,
+          documentNumber: invoice.invoiceNumber,
+          documentDate: invoice.invoiceDate || invoice.createdAt,
+          party: invoice.supplier?._id,
+          partyName: invoice.supplier?.companyName || invoice.supplierInfo?.companyName || invoice.supplierInfo?.name,
+          partyTaxNumber: invoice.supplier?.taxId
+        }, taxLine);
+      }
+    }
+
+    // Input tax reversed: purchase returns refunded in the period
+    const purchaseReturns = await ReturnRepository.findAll({
+      origin: 'purchase',
+      status: { $nin: ['cancelled', 'rejected'] },
+      'refundDetails.refundDate': period
+    }, {
+      populate: [{ path: 'supplier', select: 'companyName taxId' }]
+    });
+    const originalInvoices = await purchaseInvoiceRepository.findAll({
+      _id: { $in: purchaseReturns.map(returnRequest => returnRequest.originalOrder) }
+    });
+    const invoicesById = new Map(originalInvoices.map(invoice => [invoice._id.toString(), invoice]));
+    for (const returnRequest of purchaseReturns) {
+      const invoice = invoicesById.get(returnRequest.originalOrder?.toString());
+      if (!invoice) continue;
+      const taxLine = this.getPurchaseReturnTax(returnRequest, invoice);
+      if (taxLine.taxableAmount === 0 && taxLine.taxAmount === 0) continue;
+      addLine({
+        side: 'input',
+        documentType: 'purchase_return',
+        document: returnRequest._id,
+        documentNumber: returnRequest.returnNumber,
+        documentDate: returnRequest.refundDetails.refundDate,
+        party: returnRequest.supplier?._id,
+        partyName: returnRequest.supplier?.companyName,
+        partyTaxNumber: returnRequest.supplier?.taxId
+      }, { ...taxLine, taxableAmount: -taxLine.taxableAmount, taxAmount: -taxLine.taxAmount });
+    }
+
+    // Summary per tax code
+    const summaryByCode = new Map();
+    for (const line of lines) {
+      const resolved = line._resolved;
+      delete line._resolved;
+      const summary = summaryByCode.get(resolved.code) || {
+        taxCode: resolved.code,
+        name: resolved.name,
+        taxType: resolved.type,
+        rate: resolved.rate,
+        returnBox: resolved.returnBox,
+        outputTaxable: 0,
+        outputTax: 0,
+        inputTaxable: 0,
+        inputTax: 0
+      };
+      if (line.side === 'output') {
+        summary.outputTaxable = round2(summary.outputTaxable + line.taxableAmount);
+        summary.outputTax = round2(summary.outputTax + line.taxAmount);
+      } else {
+        summary.inputTaxable = round2(summary.inputTaxable + line.taxableAmount);
+        summary.inputTax = round2(summary.inputTax + line.taxAmount);
+      }
+      summaryByCode.set(resolved.code, summary);
+    }
+    const summary = Array.from(summaryByCode.values()).sort((a, b) => a.taxCode.localeCompare(b.taxCode));
+
+    const sumTax = (side, withholding) => round2(summary
+      .filter(row => (row.taxType === 'withholding') === withholding)
+      .reduce((sum, row) => sum + row[side], 0));
+    const outputTax = sumTax('outputTax', false);
+    const inputTax = sumTax('inputTax', false);
+
+    return {
+      periodStart,
+      periodEnd,
+      summary,
+      lines,
+      outputTax,
+      inputTax,
+      withholdingTax: round2(sumTax('outputTax', true) + sumTax('inputTax', true)),
+      netTax: round2(outputTax - inputTax)
+    };
+  }
+
+  /**
+   * Tax in a purchase return refund, extracted at the invoice's effective rate
+   * @param {object} returnRequest - Return document
+   * @param {object} invoice - Purchase invoice the return was made against
+   * @returns {{ taxCode, rate, isExempt, taxableAmount, taxAmount }}
+   */
+  getPurchaseReturnTax(returnRequest, invoice) {
+    const refund = returnRequest.netRefundAmount || 0;
+    const pricing = invoice.pricing || {};
+    const taxable = (pricing.subtotal || 0) - (pricing.discountAmount || 0);
+    const rate = pricing.taxAmount > 0 && taxable > 0 ? pricing.taxAmount / taxable : 0;
+    const taxAmount = round2(refund * rate / (1 + rate));
+    return {
+      taxCode: null,
+      rate,
+      isExempt: !!pricing.isTaxExempt,
+      taxableAmount: round2(refund - taxAmount),
+      taxAmount
+    };
+  }
+
+  /**
+   * Prepare and save a draft return
+   * @param {object} data - { startDate, endDate, notes }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Saved tax return
+   */
+  async createReturn(data, user) {
+    const prepared = await this.prepareReturn(data);
+
+    const overlapping = await taxReturnRepository.findOne({
+      status: 'posted',
+      periodStart: { $lte: prepared.periodEnd },
+      periodEnd: { $gte: prepared.periodStart }
+    });
+    if (overlapping) {
+      throw new Error(`Cannot prepare return: the period overlaps posted return ${overlapping.returnNumber}`);
+    }
+
+    return await taxReturnRepository.create({
+      ...prepared,
+      notes: data.notes,
+      createdBy: user._id
+    });
+  }
+
+  async getReturns(queryParams = {}) {
+    const filter = {};
+    if (queryParams.status) filter.status = queryParams.status;
+    return await taxReturnRepository.findWithPagination(filter, {
+      page: parseInt(queryParams.page) || 1,
+      limit: parseInt(queryParams.limit) || 20
+    });
+  }
+
+  async getReturnById(id) {
+    const taxReturn = await taxReturnRepository.findById(id, {
+      populate: [
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'postedBy', select: 'firstName lastName' }
+      ]
+    });
+    if (!taxReturn) {
+      throw new Error('Tax return not found');
+    }
+    return taxReturn;
+  }
+
+  async deleteReturn(id) {
+    const taxReturn = await this.getReturnById(id);
+    if (taxReturn.status !== 'draft') {
+      throw new Error('Cannot delete a posted tax return');
+    }
+    await taxReturnRepository.hardDelete(id);
+  }
+
+  /**
+   * Post a filed return: clear output and input tax into the amount due to (or refundable by) the authority
+   * @param {string} id - Tax return ID
+   * @param {object} data - { filingReference, postingDate }
+   * @param {object} user - Current user
+   * @returns {Promise<object>} Updated tax return
+   */
+  async postReturn(id, data, user) {
+    const taxReturn = await this.getReturnById(id);
+    if (taxReturn.status === 'posted') {
+      throw new Error(`Cannot post: return ${taxReturn.returnNumber} is already posted`);
+    }
+    const overlapping = await taxReturnRepository.findOne({
+      _id: { $ne: taxReturn._id },
+      status: 'posted',
+      periodStart: { $lte: taxReturn.periodEnd },
+      periodEnd: { $gte: taxReturn.periodStart }
+    });
+    if (overlapping) {
+      throw new Error(`Cannot post: the period overlaps posted return ${overlapping.returnNumber}`);
+    }
+    if (Math.abs(taxReturn.outputTax) < 0.01 && Math.abs(taxReturn.inputTax) < 0.01) {
+      throw new Error('Cannot post: the return has no output or input tax');
+    }
+
+    const taxCodes = await AccountingService.getTaxAccountCodes();
+    const label = `Sales tax return ${taxReturn.returnNumber} (${formatDatePakistan(taxReturn.periodStart)} to ${formatDatePakistan(taxReturn.periodEnd)})`;
+    // Debit when positive, credit when negative
+    const debitLine = (accountCode, amount) => ({
+      accountCode,
+      debit: amount > 0 ? amount : 0,
+      credit: amount < 0 ? -amount : 0,
+      particulars: label
+    });
+    const lines = [
+      debitLine(taxCodes.outputTax, taxReturn.outputTax),
+      debitLine(taxCodes.inputTax, -taxReturn.inputTax),
+      taxReturn.netTax >= 0
+        ? debitLine(taxCodes.taxDue, -taxReturn.netTax)
+        : debitLine(taxCodes.taxRefundable, -taxReturn.netTax)
+    ];
+
+    const voucher = await AccountingService.postJournalVoucher({
+      voucherDate: data.postingDate ? getEndOfDayPakistan(data.postingDate) : taxReturn.periodEnd,
+      reference: taxReturn.returnNumber,
+      description: label,
+      notes: data.filingReference ? `Filing reference: ${data.filingReference}` : undefined,
+      numberPrefix: 'TAX',
+      lines,
+      metadata: { source: 'tax_return', taxReturn: taxReturn._id },
+      createdBy: user._id
+    });
+
+    taxReturn.status = 'posted';
+    taxReturn.journalVoucher = voucher._id;
+    taxReturn.journalVoucherNumber = voucher.voucherNumber;
+    taxReturn.postedAt = new Date();
+    taxReturn.postedBy = user._id;
+    if (data.filingReference) taxReturn.filingReference = data.filingReference;
+    await taxReturn.save();
+    return taxReturn;
+  }
+
+  _rateForType(type, rate) {
+    if (type === 'zero_rated' || type === 'exempt') return 0;
+    const value = Number(rate) || 0;
+    if (value <= 0 || value > 1) {
+      throw new Error('Cannot save tax code: rate must be a fraction between 0 and 1 (e.g. 0.17 for 17%)');
+    }
+    return value;
+  }
+
+  // Withholding codes are chosen by transaction type; other codes don't carry one
+  _withholdingFields(type, data) {
+    if (type !== 'withholding') {
+      return { transactionType: undefined, appliesTo: undefined };
+    }
+    if (!data.transactionType) {
+      throw new Error('Cannot save tax code: withholding codes need a transaction type');
+    }
+    return { transactionType: data.transactionType, appliesTo: data.appliesTo || 'both' };
+  }
+
+  // Defaults are per type, and per transaction type for withholding codes
+  async _clearDefault(type, transactionType) {
+    const filter = { type, isDefault: true };
+    if (type === 'withholding') filter.transactionType = transactionType;
+    const current = await taxCodeRepository.findAll(filter);
+    for (const code of current) {
+      code.isDefault = false;
+      await code.save();
+    }
+  }
+}
+
+module.exports = new TaxService();
@@ -1,4 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const Settings = require('../models/Settings');
 const TillSessionRepository = require('../repositories/TillSessionRepository');
+const SalesRepository = require('../repositories/SalesRepository');
+const CashReceiptRepository = require('../repositories/CashReceiptRepository');
+const CashPaymentRepository = require('../repositories/CashPaymentRepository');
+const ReturnRepository = require('../repositories/ReturnRepository');
+
+// Refund methods settled from the drawer (original_payment refunds are posted to cash in the ledger)
+const CASH_REFUND_METHODS = ['cash', 'original_payment'];
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
 
 class TillService {
   /**
@@ -35,26 +49,478 @@ class TillService {
   }
 
   /**
-   * Close a till session
-   * @param {object} closeData - Close data
+   * Get the user's open till session
+   * @param {string} userId - User ID
+   * @returns {Promise<object>}
+   */
+  async getOpenSession(userId) {
+    const session = await TillSessionRepository.findOpenSessionByUser(userId);
+    if (!session) {
+      throw new Error('No open till');
+    }
+    return session;
+  }
+
+  /**
+   * Record a cash drop, pay-out or pay-in against the user's open till
+   * @param {object} movementData - { type, amount, reason, reference }
+   * @param {string} userId - User ID
+   * @returns {Promise<{session: object, expectedAmount: number}>}
+   */
+  async recordCashMovement(movementData, userId) {
+    const session = await this.getOpenSession(userId);
+    const amount = Number(movementData.amount);
+
+    if (movementData.type !== 'pay_in') {
+      const { expectedAmount } = await this.calculateExpectedCash(session);
+      if (amount > expectedAmount) {
+        throw new Error(`Cannot remove ${amount.toFixed(2)} from the till; only ${expectedAmount.toFixed(2)} is expected in the drawer`);
+      }
+    }
+
+    session.cashMovements.push({
+      type: movementData.type,
+      amount,
+      reason: movementData.reason,
+      reference: movementData.reference,
+      performedBy: userId,
+      createdAt: new Date()
+    });
+    await session.save();
+
+    const { expectedAmount } = await this.calculateExpectedCash(session);
+    return { session, expectedAmount };
+  }
+
+  /**
+   * Collect the sales, receipts, refunds and payments the session's user made while the till was open
+   * @param {object} session - Till session
+   * @param {Date} endDate - End of the window (defaults to close time or now)
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _getSessionActivity(session, endDate = null) {
+    const window = { $gte: session.openedAt, $lte: endDate || session.closedAt || new Date() };
+
+    const [sales, cashReceipts, cashPayments, refunds] = await Promise.all([
+      SalesRepository.findAll({
+        createdBy: session.user,
+        createdAt: window,
+        status: { $ne: 'cancelled' }
+      }, { select: 'orderNumber orderType pricing payment loyalty status createdAt', lean: true }),
+      CashReceiptRepository.findAll({
+        createdBy: session.user,
+        createdAt: window,
+        status: { $ne: 'cancelled' },
+        paymentMethod: 'cash'
+      }, { select: 'voucherCode amount particular createdAt', lean: true }),
+      CashPaymentRepository.findAll({
+        createdBy: session.user,
+        createdAt: window
+      }, { select: 'voucherCode amount particular createdAt', lean: true }),
+      ReturnRepository.findAll({
+        origin: 'sales',
+        processedBy: session.user,
+        'refundDetails.refundDate': window
+      }, { select: 'returnNumber refundMethod netRefundAmount refundDetails', lean: true })
+    ]);
+
+    return { sales, cashReceipts, cashPayments, refunds };
+  }
+
+  /**
+   * Sum the session's cash movements by type
+   * @param {object} session - Till session
+   * @returns {{cashDrops: number, payouts: number, payIns: number}}
+   * @private
+   */
+  _sumCashMovements(session) {
+    const totals = { cashDrops: 0, payouts: 0, payIns: 0 };
+    (session.cashMovements || []).forEach(movement => {
+      if (movement.type === 'drop') totals.cashDrops += movement.amount;
+      if (movement.type === 'payout') totals.payouts += movement.amount;
+      if (movement.type === 'pay_in') totals.payIns += movement.amount;
+    });
+    return totals;
+  }
+
+  /**
+   * Break sales down by payment method. Split payments are attributed to each tender. Loyalty points,
+   * gift cards and store credit are counted in the amount paid but are tenders of their own, not cash.
+   * @param {Array} sales - Sales documents
+   * @returns {{byPaymentMethod: Array, creditSales: object, totals: object}}
+   * @private
+   */
+  _summarizeSales(sales) {
+    const methods = new Map();
+    const creditSales = { count: 0, amount: 0 };
+    const totals = { count: sales.length, subtotal: 0, discounts: 0, tax: 0, total: 0 };
+
+    const addTender = (method, amount) => {
+      const entry = methods.get(method) || { method, count: 0, amount: 0 };
+      entry.count += 1;
+      entry.amount += amount;
+      methods.set(method, entry);
+    };
+
+    sales.forEach(sale => {
+      const pricing = sale.pricing || {};
+      const payment = sale.payment || {};
+      totals.subtotal += pricing.subtotal || 0;
+      totals.discounts += pricing.discountAmount || 0;
+      totals.tax += pricing.taxAmount || 0;
+      totals.total += pricing.total || 0;
+
+      const amountPaid = payment.amountPaid || 0;
+      const loyaltyAmount = Math.min(sale.loyalty?.amountRedeemed || 0, amountPaid);
+      if (loyaltyAmount > 0) addTender('loyalty_points', loyaltyAmount);
+      let storedValueAmount = 0;
+      (payment.storedValue || []).forEach(leg => {
+        if (!(leg.amount > 0)) return;
+        addTender(leg.type === 'credit_note' ? 'store_credit' : 'gift_card', leg.amount);
+        storedValueAmount += leg.amount;
+      });
+      const tenderedAmount = amountPaid - loyaltyAmount - storedValueAmount;
+
+      const splitTenders = (payment.transactions || []).filter(t => t.method && t.amount);
+      if (payment.method === 'split' && splitTenders.length > 0) {
+        splitTenders.forEach(t => addTender(t.method, t.amount));
+      } else if (tenderedAmount > 0) {
+        addTender(payment.method, tenderedAmount);
+      }
+
+      const unpaid = (pricing.total || 0) - (payment.amountPaid || 0);
+      if (unpaid > 0) {
+        creditSales.count += 1;
+        creditSales.amount += unpaid;
+      }
+    });
+
+    return {
+      byPaymentMethod: [...methods.values()]
+        .map(entry => ({ ...entry, amount: roundAmount(entry.amount) }))
+        .sort((a, b) => a.method.localeCompare(b.method)),
+      creditSales: { count: creditSales.count, amount: roundAmount(creditSales.amount) },
+      totals: {
+        count: totals.count,
+        subtotal: roundAmount(totals.subtotal),
+        discounts: roundAmount(totals.discounts),
+        tax: roundAmount(totals.tax),
+        total: roundAmount(totals.total)
+      }
+    };
+  }
+
+  /**
+   * Compute the cash that should be in the drawer: opening float + cash sales + cash receipts
+   * + pay-ins - cash refunds - cash payments - drops - pay-outs
+   * @param {object} session - Till session
+   * @param {object} activity - Preloaded session activity (optional)
+   * @returns {Promise<{expectedAmount: number, breakdown: object}>}
+   */
+  async calculateExpectedCash(session, activity = null) {
+    const { sales, cashReceipts, cashPayments, refunds } = activity || await this._getSessionActivity(session);
+    const salesSummary = this._summarizeSales(sales);
+    const movements = this._sumCashMovements(session);
+
+    const breakdown = {
+      openingAmount: roundAmount(session.openingAmount),
+      cashSales: salesSummary.byPaymentMethod.find(m => m.method === 'cash')?.amount || 0,
+      cashReceipts: roundAmount(cashReceipts.reduce((sum, r) => sum + (r.amount || 0), 0)),
+      payIns: roundAmount(movements.payIns),
+      cashRefunds: roundAmount(refunds
+        .filter(r => CASH_REFUND_METHODS.includes(r.refundMethod || 'original_payment'))
+        .reduce((sum, r) => sum + (r.netRefundAmount || 0), 0)),
+      cashPayments: roundAmount(cashPayments.reduce((sum, p) => sum + (p.amount || 0), 0)),
+      cashDrops: roundAmount(movements.cashDrops),
+      payouts: roundAmount(movements.payouts)
+    };
+
+    const expectedAmount = roundAmount(
+      breakdown.openingAmount + breakdown.cashSales + breakdown.cashReceipts + breakdown.payIns -
+      breakdown.cashRefunds - breakdown.cashPayments - breakdown.cashDrops - breakdown.payouts
+    );
+
+    return { expectedAmount, breakdown };
+  }
+
+  /**
+   * Build an X (mid-shift) or Z (end-of-shift) report for a session
+   * @param {object} session - Till session
+   * @param {string} reportType - 'X' or 'Z'
+   * @returns {Promise<object>}
+   */
+  async buildSessionReport(session, reportType = 'X') {
+    const activity = await this._getSessionActivity(session);
+    const { expectedAmount, breakdown } = await this.calculateExpectedCash(session, activity);
+    const salesSummary = this._summarizeSales(activity.sales);
+
+    const refundMethods = new Map();
+    activity.refunds.forEach(r => {
+      const method = r.refundMethod || 'original_payment';
+      const entry = refundMethods.get(method) || { method, count: 0, amount: 0 };
+      entry.count += 1;
+      entry.amount += r.netRefundAmount || 0;
+      refundMethods.set(method, entry);
+    });
+
+    const isClosed = session.status === 'closed';
+    return {
+      reportType,
+      reportNumber: reportType === 'Z' ? session.zReportNumber : undefined,
+      generatedAt: new Date(),
+      session: {
+        _id: session._id,
+        user: session.user,
+        storeId: session.storeId,
+        deviceId: session.deviceId,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+        status: session.status
+      },
+      sales: salesSummary,
+      refunds: {
+        count: activity.refunds.length,
+        amount: roundAmount(activity.refunds.reduce((sum, r) => sum + (r.netRefundAmount || 0), 0)),
+        byRefundMethod: [...refundMethods.values()].map(entry => ({ ...entry, amount: roundAmount(entry.amount) }))
+      },
+      cash: {
+        ...breakdown,
+        expectedAmount,
+        declaredAmount: isClosed ? session.closingDeclaredAmount : undefined,
+        varianceAmount: isClosed ? session.varianceAmount : undefined,
+        varianceType: isClosed ? session.varianceType : undefined
+      },
+      cashMovements: (session.cashMovements || []).map(m => ({
+        type: m.type,
+        amount: m.amount,
+        reason: m.reason,
+        reference: m.reference,
+        createdAt: m.createdAt
+      })),
+      denominations: session.closingDenominations || []
+    };
+  }
+
+  /**
+   * X report for the user's open till (does not close or reset anything)
    * @param {string} userId - User ID
    * @returns {Promise<object>}
    */
+  async getXReport(userId) {
+    const session = await this.getOpenSession(userId);
+    return await this.buildSessionReport(session, 'X');
+  }
+
+  /**
+   * Z report for a closed session (the snapshot taken at close)
+   * @param {string} sessionId - Till session ID
+   * @param {object} user - Current user
+   * @returns {Promise<object>}
+   */
+  async getZReport(sessionId, user) {
+    const session = await this._getAccessibleSession(sessionId, user);
+    if (session.status !== 'closed') {
+      throw new Error('Cannot produce a Z report for a till that is still open');
+    }
+    return session.zReport || await this.buildSessionReport(session, 'Z');
+  }
+
+  /**
+   * Load a session the user may report on (their own, or any with view_till)
+   * @private
+   */
+  async _getAccessibleSession(sessionId, user) {
+    const session = await TillSessionRepository.findById(sessionId);
+    if (!session) {
+      throw new Error('Till session not found');
+    }
+    const isOwner = String(session.user) === String(user._id);
+    if (!isOwner && !(user.hasPermission && user.hasPermission('view_till'))) {
+      throw new Error('Till session not found');
+    }
+    return session;
+  }
+
+  /**
+   * Close a till session. Expected cash is computed by the server; the declared amount
+   * comes from the client or from the denomination count.
+   * @param {object} closeData - Close data
+   * @param {string} userId - User ID
+   * @returns {Promise<{session: object, zReport: object}>}
+   */
   async closeTill(closeData, userId) {
     const session = await TillSessionRepository.findOpenSessionByUser(userId);
     if (!session) {
       throw new Error('No open till to close');
     }
 
-    // Use the model's closeTill method
-    session.closeTill(
-      Number(closeData.closingDeclaredAmount),
-      typeof closeData.expectedAmount !== 'undefined' ? Number(closeData.expectedAmount) : undefined,
-      closeData.notesClose
-    );
+    let declaredAmount = closeData.closingDeclaredAmount !== undefined && closeData.closingDeclaredAmount !== null
+      ? Number(closeData.closingDeclaredAmount)
+      : undefined;
+
+    if (Array.isArray(closeData.denominations) && closeData.denominations.length > 0) {
+      const denominations = closeData.denominations.map(d => ({
+        value: Number(d.value),
+        count: Number(d.count),
+        total: roundAmount(Number(d.value) * Number(d.count))
+      }));
+      const countedAmount = roundAmount(denominations.reduce((sum, d) => sum + d.total, 0));
+      if (declaredAmount !== undefined && roundAmount(declaredAmount) !== countedAmount) {
+        throw new Error(`Cannot close till: declared amount ${declaredAmount.toFixed(2)} does not match the denomination count ${countedAmount.toFixed(2)}`);
+      }
+      session.closingDenominations = denominations;
+      declaredAmount = countedAmount;
+    }
+
+    if (declaredAmount === undefined) {
+      throw new Error('Cannot close till without a declared amount or denomination count');
+    }
 
+    const closedAt = new Date();
+    const activity = await this._getSessionActivity(session, closedAt);
+    const { expectedAmount, breakdown } = await this.calculateExpectedCash(session, activity);
+
+    session.closeTill(declaredAmount, expectedAmount, closeData.notesClose);
+    session.closedAt = closedAt;
+    session.varianceAmount = roundAmount(session.varianceAmount);
+    session.expectedBreakdown = breakdown;
+    await session.save(); // Assigns the Z-report number
+
+    session.zReport = await this.buildSessionReport(session, 'Z');
+    session.markModified('zReport');
     await session.save();
-    return session;
+
+    return { session, zReport: session.zReport };
+  }
+
+  /**
+   * Export an X or Z report to PDF (printable) or Excel
+   * @param {object} report - Report from buildSessionReport
+   * @param {string} format - 'pdf' or 'excel'
+   * @returns {Promise<{filename: string, filepath: string}>}
+   */
+  async exportReport(report, format = 'pdf') {
+    const exportsDir = path.join(__dirname, '../exports');
+    if (!fs.existsSync(exportsDir)) {
+      fs.mkdirSync(exportsDir, { recursive: true });
+    }
+
+    const label = report.reportNumber || `${report.reportType}-${String(report.session._id).slice(-6)}`;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `till_${report.reportType.toLowerCase()}_report_${label}_${timestamp}.${format === 'excel' ? 'xlsx' : 'pdf'}`;
+    const filepath = path.join(exportsDir, filename);
+
+    const cashLines = [
+      ['Opening float', report.cash.openingAmount],
+      ['Cash sales', report.cash.cashSales],
+      ['Cash receipts', report.cash.cashReceipts],
+      ['Pay-ins', report.cash.payIns],
+      ['Cash refunds', -report.cash.cashRefunds],
+      ['Cash payments', -report.cash.cashPayments],
+      ['Cash drops', -report.cash.cashDrops],
+      ['Pay-outs', -report.cash.payouts],
+      ['Expected cash', report.cash.expectedAmount]
+    ];
+    if (report.cash.declaredAmount !== undefined) {
+      cashLines.push(['Declared cash', report.cash.declaredAmount]);
+      cashLines.push([`Variance (${report.cash.varianceType})`, report.cash.varianceAmount]);
+    }
+
+    const { currency } = await Settings.getSettings();
+
+    if (format === 'excel') {
+      const workbook = XLSX.utils.book_new();
+      const summaryRows = [
+        [`${report.reportType} Report`, report.reportNumber || ''],
+        ['Opened', report.session.openedAt ? new Date(report.session.openedAt).toLocaleString() : ''],
+        ['Closed', report.session.closedAt ? new Date(report.session.closedAt).toLocaleString() : ''],
+        ['Device', report.session.deviceId || ''],
+        [],
+        ['Cash', `Amount (${currency})`],
+        ...cashLines
+      ];
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'Summary');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(
+        report.sales.byPaymentMethod.map(m => ({ 'Payment Method': m.method, Count: m.count, Amount: m.amount }))
+      ), 'Sales by Method');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(
+        report.cashMovements.map(m => ({
+          Type: m.type,
+          Amount: m.amount,
+          Reason: m.reason || '',
+          Reference: m.reference || '',
+          Time: new Date(m.createdAt).toLocaleString()
+        }))
+      ), 'Cash Movements');
+      if (report.denominations.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(
+          report.denominations.map(d => ({ Denomination: d.value, Count: d.count, Total: d.total }))
+        ), 'Denominations');
+      }
+      XLSX.writeFile(workbook, filepath);
+      return { filename, filepath };
+    }
+
+    await new Promise((resolve, reject) => {
+      const formatCurrency = (amount) =>
+        `${amount < 0 ? '-' : ''}${currency} ${Math.abs(Number(amount || 0)).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const row = (labelText, value) => {
+        const y = doc.y;
+        doc.text(labelText, 40, y, { width: 140 });
+        doc.text(value, 180, y, { width: 66, align: 'right' });
+      };
+
+      // Narrow page for receipt printers
+      const doc = new PDFDocument({ margin: 20, size: [226, 800] });
+      const stream = fs.createWriteStream(filepath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+
+      doc.fontSize(12).font('Helvetica-Bold').text(`${report.reportType} REPORT`, { align: 'center' });
+      if (report.reportNumber) {
+        doc.fontSize(9).font('Helvetica').text(report.reportNumber, { align: 'center' });
+      }
+      doc.fontSize(8).font('Helvetica');
+      doc.text(`Opened: ${new Date(report.session.openedAt).toLocaleString()}`, { align: 'center' });
+      if (report.session.closedAt) {
+        doc.text(`Closed: ${new Date(report.session.closedAt).toLocaleString()}`, { align: 'center' });
+      }
+      doc.text(`Printed: ${new Date(report.generatedAt).toLocaleString()}`, { align: 'center' });
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').text('SALES BY PAYMENT METHOD', 20);
+      doc.font('Helvetica');
+      report.sales.byPaymentMethod.forEach(m => row(`${m.method} (${m.count})`, formatCurrency(m.amount)));
+      if (report.sales.creditSales.count > 0) {
+        row(`on account (${report.sales.creditSales.count})`, formatCurrency(report.sales.creditSales.amount));
+      }
+      row(`Total sales (${report.sales.totals.count})`, formatCurrency(report.sales.totals.total));
+      doc.moveDown();
+
+      if (report.refunds.count > 0) {
+        doc.font('Helvetica-Bold').text('REFUNDS', 20);
+        doc.font('Helvetica');
+        report.refunds.byRefundMethod.forEach(m => row(`${m.method} (${m.count})`, formatCurrency(m.amount)));
+        doc.moveDown();
+      }
+
+      doc.font('Helvetica-Bold').text('CASH', 20);
+      doc.font('Helvetica');
+      cashLines.forEach(([labelText, value]) => row(labelText, formatCurrency(value)));
+
+      if (report.denominations.length > 0) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').text('DENOMINATIONS', 20);
+        doc.font('Helvetica');
+        report.denominations.forEach(d => row(`${d.value} x ${d.count}`, formatCurrency(d.total)));
+      }
+
+      doc.end();
+    });
+
+    return { filename, filepath };
   }
 
   /**
@@ -70,4 +536,3 @@ class TillService {
 }
 
 module.exports = new TillService();
-
@@ -0,0 +1,696 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const TransferOrderRepository = require('../repositories/TransferOrderRepository');
+const WarehouseRepository = require('../repositories/WarehouseRepository');
+const ProductRepository = require('../repositories/ProductRepository');
+const inventoryService = require('./inventoryService');
+const batchService = require('./batchService');
+const StockMovementService = require('./stockMovementService');
+const { runWithTransactionRetry } = require('./transactionUtils');
+const Settings = require('../models/Settings');
+
+const detailPopulate = [
+  { path: 'fromWarehouse', select: 'name code address contact' },
+  { path: 'toWarehouse', select: 'name code address contact' },
+  { path: 'items.product', select: 'name sku barcode' },
+  { path: 'createdBy', select: 'firstName lastName' },
+  { path: 'dispatchedBy', select: 'firstName lastName' },
+  { path: 'receivedBy', select: 'firstName lastName' }
+];
+
+class TransferOrderService {
+  /**
+   * Get transfer orders with filters
+   * @param {object} queryParams - Query parameters
+   * @returns {Promise<{transferOrders: Array, pagination: object}>}
+   */
+  async getTransferOrders(queryParams) {
+    const { status, fromWarehouse, toWarehouse, warehouse, product, search, page = 1, limit = 20 } = queryParams;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (fromWarehouse) filter.fromWarehouse = fromWarehouse;
+    if (toWarehouse) filter.toWarehouse = toWarehouse;
+    if (warehouse) {
+      filter.$or = [{ fromWarehouse: warehouse }, { toWarehouse: warehouse }];
+    }
+    if (product) filter['items.product'] = product;
+    if (search) {
+      const searchRegex = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$and = [{
+        $or: [
+          { transferNumber: searchRegex },
+          { gatePassNumber: searchRegex },
+          { 'items.productName': searchRegex },
+          { notes: searchRegex }
+        ]
+      }];
+    }
+
+    const { transferOrders, pagination } = await TransferOrderRepository.findWithPagination(filter, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20
+    });
+
+    return { transferOrders, pagination };
+  }
+
+  /**
+   * Get single transfer order by ID
+   * @param {string} id - Transfer order ID
+   * @returns {Promise<object>}
+   */
+  async getTransferOrderById(id) {
+    const transferOrder = await TransferOrderRepository.findById(id, { populate: detailPopulate });
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    return transferOrder;
+  }
+
+  /**
+   * Create a draft transfer order
+   * @param {object} data - Transfer order data
+   * @param {object} user - User creating the transfer
+   * @returns {Promise<object>}
+   */
+  async createTransferOrder(data, user) {
+    await this._validateWarehouses(data.fromWarehouse, data.toWarehouse);
+    const items = await this._buildItems(data.items);
+
+    return await TransferOrderRepository.create({
+      fromWarehouse: data.fromWarehouse,
+      toWarehouse: data.toWarehouse,
+      items,
+      transport: data.transport,
+      transferDate: data.transferDate || new Date(),
+      expectedArrival: data.expectedArrival,
+      notes: data.notes,
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Update a draft transfer order
+   * @param {string} id - Transfer order ID
+   * @param {object} data - Update data
+   * @param {object} user - User updating the transfer
+   * @returns {Promise<object>}
+   */
+  async updateTransferOrder(id, data, user) {
+    const transferOrder = await TransferOrderRepository.findById(id);
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    if (transferOrder.status !== 'draft') {
+      throw new Error('Cannot edit a transfer order after it has been dispatched');
+    }
+
+    const fromWarehouse = data.fromWarehouse || transferOrder.fromWarehouse;
+    const toWarehouse = data.toWarehouse || transferOrder.toWarehouse;
+    await this._validateWarehouses(fromWarehouse, toWarehouse);
+
+    transferOrder.fromWarehouse = fromWarehouse;
+    transferOrder.toWarehouse = toWarehouse;
+    if (data.items) transferOrder.items = await this._buildItems(data.items);
+    if (data.transport !== undefined) transferOrder.transport = data.transport;
+    if (data.transferDate !== undefined) transferOrder.transferDate = data.transferDate;
+    if (data.expectedArrival !== undefined) transferOrder.expectedArrival = data.expectedArrival;
+    if (data.notes !== undefined) transferOrder.notes = data.notes;
+    transferOrder.lastModifiedBy = user._id;
+
+    return await transferOrder.save();
+  }
+
+  /**
+   * Dispatch a transfer: decrements stock and its batches (earliest expiry first) at the source warehouse.
+   * The dispatched quantity is held in transit on the transfer order until received.
+   * All lines move in one transaction, so a failure part-way leaves source stock untouched.
+   * @param {string} id - Transfer order ID
+   * @param {object} data - Dispatch data (transport details, gate pass number)
+   * @param {object} user - User dispatching the transfer
+   * @returns {Promise<object>}
+   */
+  async dispatchTransferOrder(id, data, user) {
+    let movements = [];
+    const transferOrder = await runWithTransactionRetry(async (session) => {
+      movements = [];
+      return await this._dispatch(id, data, user, session, movements);
+    });
+
+    await this._recordMovements(transferOrder, movements, user);
+    return transferOrder;
+  }
+
+  async _dispatch(id, data, user, session, movements) {
+    const transferOrder = await TransferOrderRepository.findById(id, { session });
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    if (transferOrder.status !== 'draft') {
+      throw new Error(`Cannot dispatch a transfer order with status ${transferOrder.status}`);
+    }
+
+    const [fromWarehouse, toWarehouse] = await this._validateWarehouses(
+      transferOrder.fromWarehouse,
+      transferOrder.toWarehouse
+    );
+
+    // Validate availability for every line before moving anything
+    const sourceRows = [];
+    for (const item of transferOrder.items) {
+      const inventory = await inventoryService.getWarehouseStock(item.product, fromWarehouse._id, { session });
+      const available = inventory ? Math.max(0, inventory.currentStock - (inventory.reservedStock || 0)) : 0;
+      if (available < item.quantity) {
+        throw new Error(`Insufficient stock for ${item.productName || item.product} in ${fromWarehouse.name}. Available: ${available}, Requested: ${item.quantity}`);
+      }
+      sourceRows.push(inventory);
+    }
+
+    const fromKey = await inventoryService.resolveWarehouseKey(fromWarehouse._id);
+    for (let i = 0; i < transferOrder.items.length; i++) {
+      const item = transferOrder.items[i];
+      const previousStock = sourceRows[i].currentStock;
+      item.unitCost = sourceRows[i].cost?.average || item.unitCost || 0;
+
+      const updated = await inventoryService.updateStock({
+        productId: item.product,
+        type: 'out',
+        quantity: item.quantity,
+        reason: `Transfer to ${toWarehouse.name}`,
+        reference: transferOrder.transferNumber,
+        referenceId: transferOrder._id,
+        referenceModel: 'TransferOrder',
+        performedBy: user._id,
+        notes: `Dispatched on transfer ${transferOrder.transferNumber}`,
+        warehouse: fromWarehouse._id,
+        session
+      });
+      item.dispatchedQuantity = item.quantity;
+      item.batches = await batchService.dispatchTransferBatches(item.product, item.quantity, fromKey, { session });
+
+      movements.push({
+        item,
+        movementType: 'transfer_out',
+        quantity: item.quantity,
+        location: fromWarehouse.code,
+        fromLocation: fromWarehouse.code,
+        toLocation: toWarehouse.code,
+        previousStock,
+        newStock: updated.currentStock
+      });
+    }
+
+    if (data.transport) transferOrder.transport = data.transport;
+    if (data.expectedArrival) transferOrder.expectedArrival = data.expectedArrival;
+    transferOrder.gatePassNumber = data.gatePassNumber || transferOrder.gatePassNumber || `GP-${transferOrder.transferNumber}`;
+    transferOrder.status = 'dispatched';
+    transferOrder.dispatchedAt = new Date();
+    transferOrder.dispatchedBy = user._id;
+    transferOrder.lastModifiedBy = user._id;
+
+    return await transferOrder.save({ session });
+  }
+
+  /**
+   * Mark a dispatched transfer as in transit (goods have left the gate)
+   * @param {string} id - Transfer order ID
+   * @param {object} user - User updating the transfer
+   * @returns {Promise<object>}
+   */
+  async markInTransit(id, user) {
+    const transferOrder = await TransferOrderRepository.findById(id);
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    if (transferOrder.status !== 'dispatched') {
+      throw new Error(`Cannot mark a transfer order with status ${transferOrder.status} as in transit`);
+    }
+
+    transferOrder.status = 'in_transit';
+    transferOrder.inTransitAt = new Date();
+    transferOrder.lastModifiedBy = user._id;
+    return await transferOrder.save();
+  }
+
+  /**
+   * Receive goods at the destination warehouse.
+   * Received quantities increment destination stock and carry their batches across. When
+   * closeTransfer is set, any quantity still outstanding is recorded as a discrepancy and the
+   * transfer is closed as received.
+   * The receipt is applied in one transaction, like dispatch.
+   * @param {string} id - Transfer order ID
+   * @param {object} data - { items: [{ itemId|product, receivedQuantity, discrepancyReason, discrepancyNotes }], closeTransfer, notes }
+   * @param {object} user - User receiving the transfer
+   * @returns {Promise<object>}
+   */
+  async receiveTransferOrder(id, data, user) {
+    let movements = [];
+    const transferOrder = await runWithTransactionRetry(async (session) => {
+      movements = [];
+      return await this._receive(id, data, user, session, movements);
+    });
+
+    await this._recordMovements(transferOrder, movements, user);
+    return transferOrder;
+  }
+
+  async _receive(id, data, user, session, movements) {
+    const transferOrder = await TransferOrderRepository.findById(id, { session });
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    if (!['dispatched', 'in_transit', 'partially_received'].includes(transferOrder.status)) {
+      throw new Error(`Cannot receive a transfer order with status ${transferOrder.status}`);
+    }
+
+    const [fromWarehouse, toWarehouse] = await this._validateWarehouses(
+      transferOrder.fromWarehouse,
+      transferOrder.toWarehouse
+    );
+
+    // Default: receive everything outstanding
+    const receipts = Array.isArray(data.items) && data.items.length > 0
+      ? data.items
+      : transferOrder.items.map(item => ({
+        itemId: item._id,
+        receivedQuantity: item.dispatchedQuantity - item.receivedQuantity
+      }));
+
+    const lines = receipts.map(receipt => {
+      const item = receipt.itemId
+        ? transferOrder.items.id(receipt.itemId)
+        : transferOrder.items.find(i => i.product.toString() === String(receipt.product));
+      if (!item) {
+        throw new Error(`Transfer order item not found: ${receipt.itemId || receipt.product}`);
+      }
+      const quantity = Number(receipt.receivedQuantity) || 0;
+      const outstanding = item.dispatchedQuantity - item.receivedQuantity - item.discrepancyQuantity;
+      if (quantity < 0 || quantity > outstanding) {
+        throw new Error(`Cannot receive ${quantity} of ${item.productName || item.product}. Outstanding: ${outstanding}`);
+      }
+      return { item, quantity, receipt };
+    });
+
+    const toKey = await inventoryService.resolveWarehouseKey(toWarehouse._id);
+    for (const { item, quantity, receipt } of lines) {
+      if (receipt.discrepancyReason) item.discrepancyReason = receipt.discrepancyReason;
+      if (receipt.discrepancyNotes) item.discrepancyNotes = receipt.discrepancyNotes;
+      if (quantity === 0) continue;
+
+      const before = await inventoryService.getWarehouseStock(item.product, toWarehouse._id, { session });
+      const previousStock = before ? before.currentStock : 0;
+
+      const updated = await inventoryService.updateStock({
+        productId: item.product,
+        type: 'in',
+        quantity,
+        reason: `Transfer from ${fromWarehouse.name}`,
+        reference: transferOrder.transferNumber,
+        referenceId: transferOrder._id,
+        referenceModel: 'TransferOrder',
+        performedBy: user._id,
+        notes: `Received on transfer ${transferOrder.transferNumber}`,
+        warehouse: toWarehouse._id,
+        session
+      });
+
+      // Carry the source cost over to a destination row that has none yet
+      if (!updated.cost?.average && item.unitCost) {
+        updated.cost.average = item.unitCost;
+        updated.cost.lastPurchase = item.unitCost;
+        await updated.save({ session });
+      }
+
+      await batchService.receiveTransferBatches(item.product, item.batches, quantity, toKey, { session, user });
+      item.receivedQuantity += quantity;
+
+      movements.push({
+        item,
+        movementType: 'transfer_in',
+        quantity,
+        location: toWarehouse.code,
+        fromLocation: fromWarehouse.code,
+        toLocation: toWarehouse.code,
+        previousStock,
+        newStock: updated.currentStock
+      });
+    }
+
+    if (data.closeTransfer) {
+      transferOrder.items.forEach(item => {
+        const outstanding = item.dispatchedQuantity - item.receivedQuantity - item.discrepancyQuantity;
+        if (outstanding > 0) {
+          item.discrepancyQuantity += outstanding;
+          if (!item.discrepancyReason) item.discrepancyReason = 'short';
+        }
+      });
+    }
+
+    const fullySettled = transferOrder.items.every(item =>
+      item.receivedQuantity + item.discrepancyQuantity >= item.dispatchedQuantity);
+    const anyReceived = transferOrder.items.some(item => item.receivedQuantity > 0);
+
+    if (fullySettled) {
+      transferOrder.status = 'received';
+      transferOrder.receivedAt = new Date();
+    } else if (anyReceived) {
+      transferOrder.status = 'partially_received';
+    }
+    if (data.notes) transferOrder.receiptNotes = data.notes;
+    transferOrder.receivedBy = user._id;
+    transferOrder.lastModifiedBy = user._id;
+
+    return await transferOrder.save({ session });
+  }
+
+  /**
+   * Cancel a transfer order. Drafts are simply cancelled; a dispatched transfer with nothing
+   * received yet returns its stock to the source warehouse and its batches.
+   * @param {string} id - Transfer order ID
+   * @param {string} reason - Cancellation reason
+   * @param {object} user - User cancelling the transfer
+   * @returns {Promise<object>}
+   */
+  async cancelTransferOrder(id, reason, user) {
+    let movements = [];
+    const transferOrder = await runWithTransactionRetry(async (session) => {
+      movements = [];
+      return await this._cancel(id, reason, user, session, movements);
+    });
+
+    await this._recordMovements(transferOrder, movements, user);
+    return transferOrder;
+  }
+
+  async _cancel(id, reason, user, session, movements) {
+    const transferOrder = await TransferOrderRepository.findById(id, { session });
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    if (!['draft', 'dispatched', 'in_transit'].includes(transferOrder.status)) {
+      throw new Error(`Cannot cancel a transfer order with status ${transferOrder.status}`);
+    }
+    if (transferOrder.items.some(item => item.receivedQuantity > 0)) {
+      throw new Error('Cannot cancel a transfer order that has received items');
+    }
+
+    if (transferOrder.status !== 'draft') {
+      const [fromWarehouse, toWarehouse] = await this._validateWarehouses(
+        transferOrder.fromWarehouse,
+        transferOrder.toWarehouse
+      );
+
+      for (const item of transferOrder.items) {
+        if (!item.dispatchedQuantity) continue;
+
+        const before = await inventoryService.getWarehouseStock(item.product, fromWarehouse._id, { session });
+        const updated = await inventoryService.updateStock({
+          productId: item.product,
+          type: 'in',
+          quantity: item.dispatchedQuantity,
+          reason: 'Transfer cancelled',
+          reference: transferOrder.transferNumber,
+          referenceId: transferOrder._id,
+          referenceModel: 'TransferOrder',
+          performedBy: user._id,
+          notes: `Stock returned on cancellation of transfer ${transferOrder.transferNumber}`,
+          warehouse: fromWarehouse._id,
+          session
+        });
+        await batchService.returnTransferBatches(item.batches, { session });
+
+        movements.push({
+          item,
+          movementType: 'transfer_in',
+          quantity: item.dispatchedQuantity,
+          location: fromWarehouse.code,
+          fromLocation: toWarehouse.code,
+          toLocation: fromWarehouse.code,
+          previousStock: before ? before.currentStock : 0,
+          newStock: updated.currentStock,
+          reason: 'Transfer cancelled'
+        });
+      }
+    }
+
+    transferOrder.status = 'cancelled';
+    transferOrder.cancelledAt = new Date();
+    transferOrder.cancellationReason = reason;
+    transferOrder.lastModifiedBy = user._id;
+    return await transferOrder.save({ session });
+  }
+
+  /**
+   * Delete a draft transfer order
+   * @param {string} id - Transfer order ID
+   * @returns {Promise<object>}
+   */
+  async deleteTransferOrder(id) {
+    const transferOrder = await TransferOrderRepository.findById(id);
+    if (!transferOrder) {
+      throw new Error('Transfer order not found');
+    }
+    if (transferOrder.status !== 'draft') {
+      throw new Error('Cannot delete a transfer order after it has been dispatched. Cancel it instead.');
+    }
+
+    await TransferOrderRepository.softDelete(id);
+    return { message: 'Transfer order deleted successfully' };
+  }
+
+  /**
+   * Summarise quantities currently in transit, per product and destination warehouse
+   * @param {object} filters - { warehouse, product }
+   * @returns {Promise<Array>}
+   */
+  async getInTransitSummary(filters = {}) {
+    const filter = {};
+    if (filters.warehouse) filter.toWarehouse = filters.warehouse;
+    if (filters.product) filter['items.product'] = filters.product;
+
+    const transferOrders = await TransferOrderRepository.findInTransit(filter, {
+      populate: [
+        { path: 'fromWarehouse', select: 'name code' },
+        { path: 'toWarehouse', select: 'name code' }
+      ]
+    });
+
+    const summary = {};
+    transferOrders.forEach(transferOrder => {
+      transferOrder.items.forEach(item => {
+        const inTransit = item.dispatchedQuantity - item.receivedQuantity - item.discrepancyQuantity;
+        if (inTransit <= 0) return;
+        if (filters.product && item.product.toString() !== String(filters.product)) return;
+
+        const key = `${item.product}_${transferOrder.toWarehouse._id}`;
+        if (!summary[key]) {
+          summary[key] = {
+            product: item.product,
+            productName: item.productName,
+            productSku: item.productSku,
+            toWarehouse: transferOrder.toWarehouse,
+            quantity: 0,
+            value: 0,
+            transfers: []
+          };
+        }
+        summary[key].quantity += inTransit;
+        summary[key].value += inTransit * (item.unitCost || 0);
+        summary[key].transfers.push({
+          _id: transferOrder._id,
+          transferNumber: transferOrder.transferNumber,
+          fromWarehouse: transferOrder.fromWarehouse,
+          dispatchedAt: transferOrder.dispatchedAt,
+          quantity: inTransit
+        });
+      });
+    });
+
+    return Object.values(summary);
+  }
+
+  /**
+   * Generate a printable gate pass PDF for a dispatched transfer
+   * @param {string} id - Transfer order ID
+   * @returns {Promise<{filepath: string, filename: string}>}
+   */
+  async generateGatePass(id) {
+    const transferOrder = await this.getTransferOrderById(id);
+    if (transferOrder.status === 'draft' || transferOrder.status === 'cancelled') {
+      throw new Error('Cannot print a gate pass for a transfer order that has not been dispatched');
+    }
+
+    const settings = await Settings.getSettings();
+
+    const exportsDir = path.join(__dirname, '../exports');
+    if (!fs.existsSync(exportsDir)) {
+      fs.mkdirSync(exportsDir, { recursive: true });
+    }
+    const filename = `gate_pass_${transferOrder.transferNumber}.pdf`;
+    const filepath = path.join(exportsDir, filename);
+
+    const formatDate = (date) => {
+      if (!date) return 'N/A';
+      const d = new Date(date);
+      return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+    };
+    const userName = (u) => (u ? `${u.firstName || ''} ${u.lastName || ''}`.trim() : '');
+
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const stream = fs.createWriteStream(filepath);
+    doc.pipe(stream);
+
+    // Header
+    doc.fontSize(16).font('Helvetica-Bold').text(settings.companyName, { align: 'center' });
+    doc.fontSize(9).font('Helvetica').text(settings.address, { align: 'center' });
+    doc.text(settings.contactNumber, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).font('Helvetica-Bold').text('GATE PASS / STOCK TRANSFER', { align: 'center' });
+    doc.moveDown();
+
+    // Transfer details
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Gate Pass No: ${transferOrder.gatePassNumber || '-'}`);
+    doc.text(`Transfer No: ${transferOrder.transferNumber}`);
+    doc.text(`Dispatched: ${formatDate(transferOrder.dispatchedAt)}`);
+    doc.text(`From: ${transferOrder.fromWarehouse.name} (${transferOrder.fromWarehouse.code})`);
+    doc.text(`To: ${transferOrder.toWarehouse.name} (${transferOrder.toWarehouse.code})`);
+    const transport = transferOrder.transport || {};
+    if (transport.vehicleNumber) doc.text(`Vehicle: ${transport.vehicleNumber}`);
+    if (transport.driverName) doc.text(`Driver: ${transport.driverName}${transport.driverPhone ? ` (${transport.driverPhone})` : ''}`);
+    if (transport.carrier) doc.text(`Carrier: ${transport.carrier}`);
+    doc.moveDown();
+
+    // Items table
+    const columns = [
+      { label: '#', width: 30 },
+      { label: 'Product', width: 235 },
+      { label: 'SKU', width: 110 },
+      { label: 'Qty Dispatched', width: 60 },
+      { label: 'Qty Received', width: 60 }
+    ];
+    const rowHeight = 20;
+    let y = doc.y;
+    const drawRow = (cells, bold = false) => {
+      let x = 50;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      cells.forEach((cell, index) => {
+        doc.rect(x, y, columns[index].width, rowHeight).stroke();
+        doc.text(String(cell), x + 4, y + 6, { width: columns[index].width - 8 });
+        x += columns[index].width;
+      });
+      y += rowHeight;
+    };
+
+    drawRow(columns.map(c => c.label), true);
+    transferOrder.items.forEach((item, index) => {
+      if (y > doc.page.height - 150) {
+        doc.addPage();
+        y = 50;
+      }
+      drawRow([
+        index + 1,
+        item.productName || item.product?.name || '',
+        item.productSku || item.product?.sku || '',
+        item.dispatchedQuantity,
+        transferOrder.status === 'received' || transferOrder.status === 'partially_received' ? item.receivedQuantity : ''
+      ]);
+    });
+
+    if (transferOrder.notes) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(9).text(`Notes: ${transferOrder.notes}`, 50, y + 10);
+      y = doc.y;
+    }
+
+    // Signatures
+    y += 60;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Dispatched by: ${userName(transferOrder.dispatchedBy)}`, 50, y);
+    doc.text('Driver signature: ____________', 230, y);
+    doc.text(`Received by: ${userName(transferOrder.receivedBy) || '____________'}`, 400, y);
+
+    doc.end();
+
+    await new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+
+    return { filepath, filename };
+  }
+
+  async _validateWarehouses(fromWarehouseId, toWarehouseId) {
+    if (String(fromWarehouseId) === String(toWarehouseId)) {
+      throw new Error('Cannot transfer stock to the same warehouse');
+    }
+
+    const [fromWarehouse, toWarehouse] = await Promise.all([
+      WarehouseRepository.findById(fromWarehouseId),
+      WarehouseRepository.findById(toWarehouseId)
+    ]);
+    if (!fromWarehouse) {
+      throw new Error('Source warehouse not found');
+    }
+    if (!toWarehouse) {
+      throw new Error('Destination warehouse not found');
+    }
+    if (!fromWarehouse.isActive || !toWarehouse.isActive) {
+      throw new Error('Cannot transfer stock to or from an inactive warehouse');
+    }
+    return [fromWarehouse, toWarehouse];
+  }
+
+  async _buildItems(items = []) {
+    const built = [];
+    for (const item of items) {
+      const product = await ProductRepository.findById(item.product);
+      if (!product) {
+        throw new Error(`Product not found: ${item.product}`);
+      }
+      built.push({
+        product: product._id,
+        productName: product.name,
+        productSku: product.sku,
+        quantity: Number(item.quantity)
+      });
+    }
+    return built;
+  }
+
+  // Stock ledger entries are written once the transaction has committed
+  async _recordMovements(transferOrder, movements, user) {
+    for (const { item, ...movement } of movements) {
+      await this._recordMovement(transferOrder, item, user, movement);
+    }
+  }
+
+  async _recordMovement(transferOrder, item, user, movement) {
+    try {
+      await StockMovementService.createMovement({
+        productId: item.product,
+        movementType: movement.movementType,
+        quantity: movement.quantity,
+        unitCost: item.unitCost || 0,
+        referenceType: 'transfer',
+        referenceId: transferOrder._id,
+        referenceNumber: transferOrder.transferNumber,
+        location: movement.location,
+        fromLocation: movement.fromLocation,
+        toLocation: movement.toLocation,
+        previousStock: movement.previousStock,
+        newStock: movement.newStock,
+        reason: movement.reason || (movement.movementType === 'transfer_out' ? 'Stock transfer out' : 'Stock transfer in'),
+        notes: `Transfer: ${transferOrder.transferNumber}`,
+        skipInventoryUpdate: true
+      }, user);
+    } catch (error) {
+      // The stock ledger entry is informational; the inventory update has already been applied
+      console.error('Error recording transfer stock movement:', error);
+    }
+  }
+}
+
+module.exports = new TransferOrderService();
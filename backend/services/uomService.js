@@ -0,0 +1,400 @@
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const unitOfMeasureRepository = require('../repositories/UnitOfMeasureRepository');
+const productRepository = require('../repositories/ProductRepository');
+
+// Precision used when converting to base units to avoid floating point drift
+const BASE_QUANTITY_PRECISION = 6;
+
+const roundQuantity = (value, places = BASE_QUANTITY_PRECISION) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+class UomService {
+  constructor() {
+    this.defaultsSeeded = false;
+  }
+
+  /**
+   * Seed the default unit catalogue the first time it is needed
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultUnits() {
+    if (this.defaultsSeeded) return;
+
+    const existing = await unitOfMeasureRepository.findAll({}, { select: 'code', lean: true });
+    const existingCodes = new Set(existing.map(u => u.code));
+    const missing = UnitOfMeasure.DEFAULT_UNITS.filter(u => !existingCodes.has(u.code));
+
+    if (missing.length > 0) {
+      try {
+        await unitOfMeasureRepository.Model.insertMany(missing, { ordered: false });
+      } catch (error) {
+        // Duplicate keys mean another request seeded the same units concurrently
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    this.defaultsSeeded = true;
+  }
+
+  /**
+   * Get units of measure
+   * @param {object} queryParams - Query parameters
+   * @returns {Promise<Array>}
+   */
+  async getUnits(queryParams = {}) {
+    await this.ensureDefaultUnits();
+
+    const filter = {};
+    if (queryParams.isActive !== undefined) {
+      filter.isActive = queryParams.isActive === 'true' || queryParams.isActive === true;
+    }
+
+    return await unitOfMeasureRepository.findAll(filter, { sort: { code: 1 } });
+  }
+
+  /**
+   * Create a unit of measure
+   * @param {object} unitData - Unit data
+   * @param {string} userId - User ID
+   * @returns {Promise<UnitOfMeasure>}
+   */
+  async createUnit(unitData, userId) {
+    await this.ensureDefaultUnits();
+
+    const existing = await unitOfMeasureRepository.findByCode(unitData.code);
+    if (existing) {
+      throw new Error('Unit of measure with this code already exists');
+    }
+
+    return await unitOfMeasureRepository.create({
+      code: unitData.code,
+      name: unitData.name,
+      allowsFraction: unitData.allowsFraction === true,
+      decimalPlaces: unitData.allowsFraction ? (unitData.decimalPlaces ?? 2) : 0,
+      isActive: unitData.isActive !== undefined ? unitData.isActive : true,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Update a unit of measure (the code cannot change once products may use it)
+   * @param {string} id - Unit ID
+   * @param {object} updateData - Fields to update
+   * @param {string} userId - User ID
+   * @returns {Promise<UnitOfMeasure>}
+   */
+  async updateUnit(id, updateData, userId) {
+    const unit = await unitOfMeasureRepository.findById(id);
+    if (!unit) {
+      throw new Error('Unit of measure not found');
+    }
+
+    ['name', 'allowsFraction', 'decimalPlaces', 'isActive'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        unit[field] = updateData[field];
+      }
+    });
+    if (!unit.allowsFraction) {
+      unit.decimalPlaces = 0;
+    }
+    unit.updatedBy = userId;
+
+    return await unit.save();
+  }
+
+  /**
+   * Delete a unit of measure that no product uses
+   * @param {string} id - Unit ID
+   * @returns {Promise<{message: string}>}
+   */
+  async deleteUnit(id) {
+    const unit = await unitOfMeasureRepository.findById(id);
+    if (!unit) {
+      throw new Error('Unit of measure not found');
+    }
+
+    const inUse = await productRepository.exists({
+      $or: [{ baseUnit: unit.code }, { 'alternateUnits.unit': unit.code }]
+    });
+    if (inUse) {
+      throw new Error('Cannot delete a unit of measure that is used by products');
+    }
+
+    await unitOfMeasureRepository.hardDelete(id);
+    return { message: 'Unit of measure deleted successfully' };
+  }
+
+  /**
+   * Load catalogue rules for the given unit codes
+   * @param {Array<string>} codes - Unit codes
+   * @returns {Promise<Map<string, UnitOfMeasure>>}
+   */
+  async getUnitRules(codes) {
+    await this.ensureDefaultUnits();
+    const units = await unitOfMeasureRepository.findByCodes([...new Set(codes.filter(Boolean))]);
+    return new Map(units.map(u => [u.code, u]));
+  }
+
+  /**
+   * Validate the base unit and alternate units submitted for a product
+   * @param {object} productData - Product create/update payload (normalised in place)
+   * @param {string} excludeId - Product ID to exclude from barcode checks
+   * @returns {Promise<void>}
+   */
+  async validateProductUnits(productData, excludeId = null) {
+    if (productData.baseUnit === undefined && productData.alternateUnits === undefined) {
+      return;
+    }
+
+    let baseUnit = productData.baseUnit;
+    if (baseUnit === undefined && excludeId) {
+      const current = await productRepository.findById(excludeId, { select: 'baseUnit', lean: true });
+      baseUnit = current?.baseUnit;
+    }
+    baseUnit = (baseUnit || 'pcs').trim().toLowerCase();
+
+    const alternateUnits = (productData.alternateUnits || []).map(u => ({
+      ...u,
+      unit: String(u.unit || '').trim().toLowerCase(),
+      barcode: u.barcode ? String(u.barcode).trim() : undefined
+    }));
+
+    const rules = await this.getUnitRules([baseUnit, ...alternateUnits.map(u => u.unit)]);
+    if (!rules.has(baseUnit)) {
+      throw new Error(`Unit of measure ${baseUnit} not found`);
+    }
+
+    const seenUnits = new Set();
+    const seenBarcodes = new Set();
+    for (const alternate of alternateUnits) {
+      if (!rules.has(alternate.unit)) {
+        throw new Error(`Unit of measure ${alternate.unit} not found`);
+      }
+      if (alternate.unit === baseUnit) {
+        throw new Error(`Cannot add the base unit ${baseUnit} as an alternate unit`);
+      }
+      if (seenUnits.has(alternate.unit)) {
+        throw new Error(`Cannot add unit ${alternate.unit} more than once`);
+      }
+      seenUnits.add(alternate.unit);
+
+      if (!(Number(alternate.conversionFactor) > 0)) {
+        throw new Error(`Cannot use a conversion factor of ${alternate.conversionFactor} for unit ${alternate.unit}`);
+      }
+
+      if (alternate.barcode) {
+        if (seenBarcodes.has(alternate.barcode) || alternate.barcode === productData.barcode) {
+          throw new Error(`Cannot reuse barcode ${alternate.barcode} on the same product`);
+        }
+        seenBarcodes.add(alternate.barcode);
+
+        const barcodeExists = await productRepository.barcodeExists(alternate.barcode, excludeId);
+        if (barcodeExists) {
+          throw new Error('A product with this barcode already exists.');
+        }
+      }
+    }
+
+    if (alternateUnits.filter(u => u.isDefaultSalesUnit).length > 1) {
+      throw new Error('Cannot mark more than one default sales unit');
+    }
+    if (alternateUnits.filter(u => u.isDefaultPurchaseUnit).length > 1) {
+      throw new Error('Cannot mark more than one default purchase unit');
+    }
+
+    if (productData.baseUnit !== undefined) {
+      productData.baseUnit = baseUnit;
+    }
+    if (productData.alternateUnits !== undefined) {
+      productData.alternateUnits = alternateUnits;
+    }
+  }
+
+  /**
+   * Check a quantity against a unit's fraction rules
+   * @param {number} quantity - Quantity in the unit
+   * @param {string} unitCode - Unit code
+   * @param {Map} rules - Unit rules from getUnitRules
+   * @private
+   */
+  _assertQuantityAllowed(quantity, unitCode, rules) {
+    const rule = rules.get(unitCode);
+    const allowsFraction = rule ? rule.allowsFraction : false;
+
+    if (!allowsFraction && !Number.isInteger(quantity)) {
+      throw new Error(`Cannot use fractional quantity ${quantity} for unit ${unitCode}`);
+    }
+    if (allowsFraction && roundQuantity(quantity, rule.decimalPlaces) !== quantity) {
+      throw new Error(`Cannot use more than ${rule.decimalPlaces} decimal places for unit ${unitCode}`);
+    }
+  }
+
+  /**
+   * Convert a quantity entered in any product unit to the product's base unit
+   * @param {object} product - Product (or variant) document
+   * @param {number} quantity - Quantity in the entered unit
+   * @param {string} unitCode - Entered unit (defaults to the base unit)
+   * @param {Map} rules - Optional preloaded unit rules
+   * @returns {Promise<{unit: string, unitQuantity: number, conversionFactor: number, quantity: number, unitInfo: object}>}
+   */
+  async normalizeQuantity(product, quantity, unitCode = null, rules = null) {
+    const baseUnit = product.baseUnit || 'pcs';
+    const code = unitCode ? String(unitCode).trim().toLowerCase() : baseUnit;
+    const unitInfo = typeof product.getUnit === 'function'
+      ? product.getUnit(code)
+      : (code === baseUnit ? { unit: baseUnit, conversionFactor: 1, isBaseUnit: true } : null);
+
+    if (!unitInfo) {
+      throw new Error(`Cannot sell or buy ${product.name || 'product'} in unit ${code}; unit is not configured for this product`);
+    }
+
+    const unitQuantity = Number(quantity);
+    if (!(unitQuantity > 0)) {
+      throw new Error(`Cannot use quantity ${quantity}; quantity must be greater than 0`);
+    }
+
+    const unitRules = rules || await this.getUnitRules([baseUnit, unitInfo.unit]);
+    this._assertQuantityAllowed(unitQuantity, unitInfo.unit, unitRules);
+
+    const baseQuantity = roundQuantity(unitQuantity * unitInfo.conversionFactor);
+    if (!unitInfo.isBaseUnit) {
+      this._assertQuantityAllowed(baseQuantity, baseUnit, unitRules);
+    }
+
+    return {
+      unit: unitInfo.unit,
+      unitQuantity,
+      conversionFactor: unitInfo.conversionFactor,
+      quantity: baseQuantity,
+      unitInfo
+    };
+  }
+
+  /**
+   * Normalise document line items to base units in place. Quantities and the
+   * price field are taken as entered in item.unit; the entered values are kept
+   * on item.uom.
+   * @param {Array} items - Line items ({ product, quantity, unit, ... })
+   * @param {string} priceField - Per-unit price field (e.g. 'unitCost')
+   * @returns {Promise<Array>}
+   */
+  async normalizeLineItems(items, priceField = 'unitPrice') {
+    for (const item of items || []) {
+      const product = item.product ? await productRepository.findById(item.product) : null;
+      if (!product) continue; // Manual lines and missing products are validated by the caller
+
+      const uom = await this.normalizeQuantity(product, item.quantity, item.unit);
+      const basePrice = this.toBaseUnitPrice(item[priceField], uom.conversionFactor);
+      item[priceField] = basePrice === null ? undefined : basePrice;
+      item.quantity = uom.quantity;
+      item.uom = {
+        unit: uom.unit,
+        quantity: uom.unitQuantity,
+        conversionFactor: uom.conversionFactor,
+        unitPrice: basePrice === null ? undefined : basePrice * uom.conversionFactor
+      };
+    }
+    return items;
+  }
+
+  /**
+   * Price of one base unit from a price entered per unit of the line
+   * @param {*} enteredPrice - Price as entered (number or numeric string)
+   * @param {number} conversionFactor - Base units per entered unit
+   * @returns {number|null} - Price per base unit, or null when no price was entered
+   */
+  toBaseUnitPrice(enteredPrice, conversionFactor = 1) {
+    if (enteredPrice === undefined || enteredPrice === null || enteredPrice === '') {
+      return null;
+    }
+    const price = Number(enteredPrice);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new Error(`Cannot use unit price ${enteredPrice}; price must be a number of 0 or more`);
+    }
+    return price / conversionFactor;
+  }
+
+  /**
+   * Price of one base unit when selling in a given unit. Unit-specific prices
+   * take precedence; otherwise the base price (with bulk discounts) applies.
+   * @param {object} product - Product document
+   * @param {object} unitInfo - Result of product.getUnit()
+   * @param {string} customerType - Customer pricing tier
+   * @returns {number|null} - Price per base unit, or null when no unit price is set
+   */
+  getUnitPrice(product, unitInfo, customerType) {
+    if (!unitInfo || unitInfo.isBaseUnit || !unitInfo.pricing) {
+      return null;
+    }
+
+    const { retail, wholesale, distributor } = unitInfo.pricing;
+    let unitPrice;
+    switch (customerType) {
+      case 'wholesale':
+        unitPrice = wholesale;
+        break;
+      case 'distributor':
+        unitPrice = distributor ?? wholesale;
+        break;
+      default:
+        unitPrice = retail;
+    }
+
+    if (unitPrice === undefined || unitPrice === null) {
+      return null;
+    }
+    return unitPrice / unitInfo.conversionFactor;
+  }
+
+  /**
+   * Convert a quantity for a product and quote its price in the entered unit
+   * @param {object} params - { product, quantity, unit, customerType }
+   * @returns {Promise<object>}
+   */
+  async convert({ product: productId, quantity, unit, customerType }) {
+    const product = await productRepository.findById(productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const uom = await this.normalizeQuantity(product, quantity, unit);
+    const pricePerBaseUnit = this.getUnitPrice(product, uom.unitInfo, customerType)
+      ?? product.getPriceForCustomerType(customerType, uom.quantity);
+
+    return {
+      product: product._id,
+      baseUnit: product.baseUnit || 'pcs',
+      unit: uom.unit,
+      unitQuantity: uom.unitQuantity,
+      conversionFactor: uom.conversionFactor,
+      quantity: uom.quantity,
+      pricePerBaseUnit: Math.round(pricePerBaseUnit * 100) / 100,
+      pricePerUnit: Math.round(pricePerBaseUnit * uom.conversionFactor * 100) / 100
+    };
+  }
+
+  /**
+   * Resolve a scanned barcode to a product and the unit it identifies
+   * @param {string} barcode - Scanned barcode
+   * @returns {Promise<{product: Product, unit: string, conversionFactor: number}>}
+   */
+  async lookupBarcode(barcode) {
+    const product = await productRepository.findByAnyBarcode(barcode, {
+      populate: [{ path: 'category', select: 'name' }]
+    });
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const alternate = (product.alternateUnits || []).find(u => u.barcode === barcode);
+    return {
+      product,
+      unit: alternate ? alternate.unit : (product.baseUnit || 'pcs'),
+      conversionFactor: alternate ? alternate.conversionFactor : 1
+    };
+  }
+}
+
+module.exports = new UomService();
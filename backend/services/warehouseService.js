@@ -102,6 +102,35 @@ class WarehouseService {
     return await WarehouseRepository.update(id, processedData);
   }
 
+  /**
+   * Resolve the warehouse a stock transaction (sale, purchase, return) applies to.
+   * Priority: the requested warehouse, the user's assigned warehouse, the primary warehouse.
+   * @param {object} user - Requesting user
+   * @param {string} [warehouseId] - Explicitly requested warehouse ID
+   * @returns {Promise<object|null>} Warehouse, or null when no warehouse is configured
+   */
+  async resolveTransactionWarehouse(user, warehouseId = null) {
+    if (warehouseId) {
+      const warehouse = await WarehouseRepository.findById(warehouseId);
+      if (!warehouse) {
+        throw new Error('Warehouse not found');
+      }
+      if (!warehouse.isActive) {
+        throw new Error('Warehouse is inactive');
+      }
+      return warehouse;
+    }
+
+    if (user && user.assignedWarehouse) {
+      const assigned = await WarehouseRepository.findById(user.assignedWarehouse._id || user.assignedWarehouse);
+      if (assigned && assigned.isActive) {
+        return assigned;
+      }
+    }
+
+    return await WarehouseRepository.findPrimary();
+  }
+
   /**
    * Delete warehouse
    * @param {string} id - Warehouse ID
@@ -0,0 +1,353 @@
+const TaxCode = require('../models/TaxCode');
+const Counter = require('../models/Counter');
+const taxCodeRepository = require('../repositories/TaxCodeRepository');
+const supplierRepository = require('../repositories/SupplierRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const cashPaymentRepository = require('../repositories/CashPaymentRepository');
+const bankPaymentRepository = require('../repositories/BankPaymentRepository');
+const cashReceiptRepository = require('../repositories/CashReceiptRepository');
+const bankReceiptRepository = require('../repositories/BankReceiptRepository');
+const AccountingService = require('./accountingService');
+const customerStatementService = require('./customerStatementService');
+const {
+  getStartOfDayPakistan,
+  getEndOfDayPakistan,
+  formatDatePakistan
+} = require('../utils/dateFilter');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const TRANSACTION_TYPES = TaxCode.WITHHOLDING_TRANSACTION_TYPES;
+
+// Vouchers that can carry withholding; payments withhold from suppliers, customers withhold from receipts
+const VOUCHER_TYPES = {
+  cash_payment: { repository: cashPaymentRepository, direction: 'payments', label: 'Cash Payment' },
+  bank_payment: { repository: bankPaymentRepository, direction: 'payments', label: 'Bank Payment' },
+  cash_receipt: { repository: cashReceiptRepository, direction: 'receipts', label: 'Cash Receipt' },
+  bank_receipt: { repository: bankReceiptRepository, direction: 'receipts', label: 'Bank Receipt' }
+};
+
+const partyName = (party) => party?.companyName || party?.businessName || party?.name || '';
+
+class WithholdingTaxService {
+  getTransactionTypes() {
+    return TRANSACTION_TYPES;
+  }
+
+  async getParty(direction, partyId) {
+    const party = direction === 'payments'
+      ? await supplierRepository.findById(partyId)
+      : await customerRepository.findById(partyId);
+    if (!party) {
+      throw new Error(direction === 'payments' ? 'Supplier not found' : 'Customer not found');
+    }
+    return party;
+  }
+
+  /**
+   * Rate to withhold for a party: the party's own rate for the transaction type, else the
+   * active withholding tax code for that type (default code first)
+   * @param {object} party - Supplier or customer document
+   * @param {string} direction - 'payments' (we withhold) or 'receipts' (the customer withholds)
+   * @param {object} options - { transactionType, date }
+   * @returns {Promise<object>} { taxCode, transactionType, rate, exempt }
+   */
+  async resolveRate(party, direction, { transactionType, date = new Date() } = {}) {
+    const settings = party.withholdingTax || {};
+    const type = transactionType || settings.transactionType;
+    if (!type) {
+      throw new Error(`Cannot apply withholding: no transaction type given or set for ${partyName(party)}`);
+    }
+    if (!TRANSACTION_TYPES.includes(type)) {
+      throw new Error(`Cannot apply withholding: unknown transaction type ${type}`);
+    }
+
+    if (settings.exemptionCertificate && settings.exemptUntil && new Date(settings.exemptUntil) >= new Date(date)) {
+      return { taxCode: null, transactionType: type, rate: 0, exempt: true };
+    }
+
+    const codes = await taxCodeRepository.findAll({
+      type: 'withholding',
+      isActive: true,
+      transactionType: type,
+      appliesTo: { $in: [direction, 'both'] }
+    });
+    const code = codes.find(taxCode => taxCode.isDefault) || codes[0];
+    const override = (settings.rates || []).find(rate => rate.transactionType === type);
+
+    const rate = override ? override.rate : code?.rate;
+    if (rate === undefined) {
+      throw new Error(`Cannot apply withholding: no withholding rate is set up for ${type}`);
+    }
+    return { taxCode: code?.code || null, transactionType: type, rate, exempt: false };
+  }
+
+  /**
+   * Work out the withholding on a gross amount, for voucher forms
+   * @param {object} params - { partyType: 'supplier'|'customer', party, amount, transactionType, rate, date }
+   * @returns {Promise<object>}
+   */
+  async calculate(params) {
+    const direction = params.partyType === 'customer' ? 'receipts' : 'payments';
+    const party = await this.getParty(direction, params.party);
+    const resolved = await this.resolveRate(party, direction, params);
+    const rate = params.rate !== undefined && params.rate !== '' && !resolved.exempt ? Number(params.rate) : resolved.rate;
+    const grossAmount = round2(Number(params.amount) || 0);
+    const amount = round2(grossAmount * rate);
+    return {
+      ...resolved,
+      rate,
+      applicable: !!party.withholdingTax?.applicable,
+      grossAmount,
+      amount,
+      netAmount: round2(grossAmount - amount)
+    };
+  }
+
+  /**
+   * Split tax withheld off a new voucher. The voucher's amount becomes the net cash or bank movement
+   * and voucher.withholding keeps the gross, rate and amount withheld. Applies when the request asks
+   * for it, or when the party is set up for withholding and the request doesn't opt out.
+   * @param {object} voucherData - Voucher fields before saving (amount is the gross)
+   * @param {string} direction - 'payments' or 'receipts'
+   * @param {object} options - Request withholding fields: { apply, transactionType, rate, certificateNumber }
+   * @returns {Promise<object>} voucherData
+   */
+  async applyToVoucher(voucherData, direction, options = {}) {
+    const partyId = direction === 'payments' ? voucherData.supplier : voucherData.customer;
+    if (options.apply === false || options.apply === 'false') {
+      return voucherData;
+    }
+    if (!partyId) {
+      if (options.apply) {
+        throw new Error(direction === 'payments'
+          ? 'Cannot apply withholding: select the supplier the tax is withheld from'
+          : 'Cannot apply withholding: select the customer that withheld the tax');
+      }
+      return voucherData;
+    }
+
+    const party = await this.getParty(direction, partyId);
+    if (!options.apply && !party.withholdingTax?.applicable) {
+      return voucherData;
+    }
+
+    const resolved = await this.resolveRate(party, direction, {
+      transactionType: options.transactionType,
+      date: voucherData.date
+    });
+    const rate = options.rate !== undefined && options.rate !== '' && !resolved.exempt ? Number(options.rate) : resolved.rate;
+    const grossAmount = round2(voucherData.amount);
+    const withheld = round2(grossAmount * rate);
+    if (withheld <= 0) {
+      return voucherData;
+    }
+
+    voucherData.amount = round2(grossAmount - withheld);
+    voucherData.withholding = {
+      taxCode: resolved.taxCode,
+      transactionType: resolved.transactionType,
+      rate,
+      grossAmount,
+      amount: withheld,
+      certificateNumber: direction === 'payments'
+        ? await this.nextCertificateNumber(voucherData.date)
+        : (options.certificateNumber ? String(options.certificateNumber).trim() : undefined)
+    };
+    return voucherData;
+  }
+
+  async nextCertificateNumber(date = new Date()) {
+    const day = new Date(date);
+    const year = day.getFullYear();
+    const month = String(day.getMonth() + 1).padStart(2, '0');
+
+    // Counter key format: whtCertificate_YYYYMM
+    const counter = await Counter.findOneAndUpdate(
+      { _id: `whtCertificate_${year}${month}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+    return `WHT-${year}${month}-${String(counter.seq).padStart(4, '0')}`;
+  }
+
+  /**
+   * Withholding summary for a period: tax we withheld from suppliers (payable) and tax customers
+   * withheld from us (receivable), by transaction type and party, with voucher detail
+   * @param {object} params - { startDate, endDate }
+   * @returns {Promise<object>}
+   */
+  async getSummary(params = {}) {
+    if (!params.startDate || !params.endDate) {
+      throw new Error('Cannot build withholding summary: start and end dates are required');
+    }
+    const start = getStartOfDayPakistan(params.startDate);
+    const end = getEndOfDayPakistan(params.endDate);
+    const filter = { date: { $gte: start, $lte: end }, 'withholding.amount': { $gt: 0 } };
+
+    const sides = {
+      payments: { vouchers: [], totalGross: 0, totalWithheld: 0, byTransactionType: new Map(), byParty: new Map() },
+      receipts: { vouchers: [], totalGross: 0, totalWithheld: 0, byTransactionType: new Map(), byParty: new Map() }
+    };
+
+    for (const [voucherType, config] of Object.entries(VOUCHER_TYPES)) {
+      const partyPath = config.direction === 'payments' ? 'supplier' : 'customer';
+      const vouchers = await config.repository.findAll(filter, {
+        populate: [{ path: partyPath, select: 'companyName businessName name taxId' }],
+        sort: { date: 1 }
+      });
+      const side = sides[config.direction];
+
+      for (const voucher of vouchers) {
+        const withholding = voucher.withholding;
+        const party = voucher[partyPath];
+        side.vouchers.push({
+          voucherType,
+          voucher: voucher._id,
+          voucherCode: voucher.voucherCode,
+          date: voucher.date,
+          party: party?._id,
+          partyName: partyName(party),
+          partyTaxNumber: party?.taxId,
+          transactionType: withholding.transactionType,
+          taxCode: withholding.taxCode,
+          rate: withholding.rate,
+          grossAmount: withholding.grossAmount,
+          amount: withholding.amount,
+          netAmount: voucher.amount,
+          certificateNumber: withholding.certificateNumber
+        });
+        side.totalGross = round2(side.totalGross + (withholding.grossAmount || 0));
+        side.totalWithheld = round2(side.totalWithheld + withholding.amount);
+
+        const typeKey = withholding.transactionType || 'other';
+        const byType = side.byTransactionType.get(typeKey) || { transactionType: typeKey, count: 0, grossAmount: 0, amount: 0 };
+        byType.count += 1;
+        byType.grossAmount = round2(byType.grossAmount + (withholding.grossAmount || 0));
+        byType.amount = round2(byType.amount + withholding.amount);
+        side.byTransactionType.set(typeKey, byType);
+
+        const partyKey = party?._id ? party._id.toString() : 'none';
+        const byParty = side.byParty.get(partyKey) || {
+          party: party?._id, partyName: partyName(party), partyTaxNumber: party?.taxId, count: 0, grossAmount: 0, amount: 0
+        };
+        byParty.count += 1;
+        byParty.grossAmount = round2(byParty.grossAmount + (withholding.grossAmount || 0));
+        byParty.amount = round2(byParty.amount + withholding.amount);
+        side.byParty.set(partyKey, byParty);
+      }
+    }
+
+    const finish = (side) => ({
+      totalGross: side.totalGross,
+      totalWithheld: side.totalWithheld,
+      byTransactionType: Array.from(side.byTransactionType.values()),
+      byParty: Array.from(side.byParty.values()).sort((a, b) => b.amount - a.amount),
+      vouchers: side.vouchers.sort((a, b) => new Date(a.date) - new Date(b.date))
+    });
+
+    const accounts = await AccountingService.getWithholdingAccountCodes();
+    const [payableBalance, receivableBalance] = await Promise.all([
+      AccountingService.getAccountBalance(accounts.payable, end),
+      AccountingService.getAccountBalance(accounts.receivable, end)
+    ]);
+
+    return {
+      period: { startDate: start, endDate: end },
+      withheldFromSuppliers: finish(sides.payments),
+      withheldByCustomers: finish(sides.receipts),
+      ledger: {
+        payableAccount: accounts.payable,
+        payableBalance: round2(payableBalance),
+        receivableAccount: accounts.receivable,
+        receivableBalance: round2(receivableBalance)
+      }
+    };
+  }
+
+  async getVoucher(voucherType, id) {
+    const config = VOUCHER_TYPES[voucherType];
+    if (!config) {
+      throw new Error(`Cannot print certificate: unknown voucher type ${voucherType}`);
+    }
+    const partyPath = config.direction === 'payments' ? 'supplier' : 'customer';
+    const voucher = await config.repository.findById(id, {
+      populate: [{ path: partyPath }]
+    });
+    if (!voucher) {
+      throw new Error('Voucher not found');
+    }
+    if (!(voucher.withholding?.amount > 0)) {
+      throw new Error('Cannot print certificate: no tax was withheld on this voucher');
+    }
+    return { voucher, config, party: voucher[partyPath] };
+  }
+
+  /**
+   * Printable withholding certificate: issued to the supplier for tax we withheld, or a record of
+   * tax a customer withheld from us (with the customer's certificate number)
+   * @param {string} voucherType - cash_payment | bank_payment | cash_receipt | bank_receipt
+   * @param {string} id - Voucher ID
+   * @returns {Promise<{filename: string, filepath: string, size: number}>}
+   */
+  async generateCertificatePdf(voucherType, id) {
+    const { voucher, config, party } = await this.getVoucher(voucherType, id);
+    const branding = await customerStatementService.loadBranding();
+    const reference = (voucher.withholding.certificateNumber || voucher.voucherCode || String(voucher._id)).replace(/[^\w-]/g, '');
+    return await customerStatementService.writePdf(
+      `WHT_Certificate_${reference}.pdf`,
+      doc => this.renderCertificate(doc, { voucher, config, party }, branding)
+    );
+  }
+
+  renderCertificate(doc, { voucher, config, party }, branding) {
+    const { settings } = branding;
+    const withholding = voucher.withholding;
+    const isPayment = config.direction === 'payments';
+    const left = 50;
+    const width = doc.page.width - 100;
+    const money = (amount) => `${settings.currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+    doc.fontSize(16).font('Helvetica-Bold').text(settings.companyName, left, 50, { width, align: 'center' });
+    doc.fontSize(9).font('Helvetica');
+    if (settings.address) doc.text(settings.address, { width, align: 'center' });
+    if (settings.taxId) doc.text(`Tax ID: ${settings.taxId}`, { width, align: 'center' });
+
+    doc.moveDown(1.5).fontSize(14).font('Helvetica-Bold')
+      .text(isPayment ? 'CERTIFICATE OF TAX WITHHELD' : 'RECORD OF TAX WITHHELD BY CUSTOMER', { width, align: 'center' });
+    doc.moveDown(1);
+
+    const rows = [
+      ['Certificate No.', withholding.certificateNumber || '-'],
+      ['Date', formatDatePakistan(voucher.date)],
+      ['Voucher', `${config.label} ${voucher.voucherCode || ''}`.trim()],
+      [isPayment ? 'Withheld from (supplier)' : 'Withheld by (customer)', partyName(party) || '-'],
+      [isPayment ? 'Supplier Tax ID' : 'Customer Tax ID', party?.taxId || '-'],
+      [isPayment ? 'Withheld by' : 'Withheld from', `${settings.companyName}${settings.taxId ? ` (Tax ID ${settings.taxId})` : ''}`],
+      ['Transaction type', withholding.transactionType || '-'],
+      ['Tax code', withholding.taxCode || '-'],
+      ['Gross amount', money(withholding.grossAmount)],
+      ['Rate', `${round2((withholding.rate || 0) * 100)}%`],
+      ['Tax withheld', money(withholding.amount)],
+      [isPayment ? 'Net amount paid' : 'Net amount received', money(voucher.amount)]
+    ];
+    rows.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.fontSize(10).font('Helvetica-Bold').text(label, left, y, { width: 180 });
+      doc.font('Helvetica').text(String(value), left + 190, y, { width: width - 190 });
+      doc.moveDown(0.4);
+    });
+
+    doc.moveDown(1).fontSize(9).font('Helvetica').text(isPayment
+      ? `Certified that the tax shown above was deducted from the payment to ${partyName(party)} and is payable to the tax authority on its behalf.`
+      : `The tax shown above was withheld by ${partyName(party)} from its payment and may be claimed against our tax liability.`,
+    left, doc.y, { width });
+
+    doc.moveDown(4);
+    doc.text('______________________________', left, doc.y);
+    doc.text('Authorised signature', left, doc.y);
+    doc.moveDown(1).fontSize(8).text(`Generated on ${formatDatePakistan(new Date())}`, left, doc.y, { width });
+  }
+}
+
+module.exports = new WithholdingTaxService();
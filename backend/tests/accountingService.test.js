@@ -0,0 +1,83 @@
+const AccountingPeriod = require('../models/AccountingPeriod');
+const Counter = require('../models/Counter');
+const Transaction = require('../models/Transaction');
+const AccountingService = require('../services/accountingService');
+
+// March 2025 is locked; every other date is open
+const lockedMarch = {
+  periodName: 'March 2025',
+  status: 'locked',
+  periodStart: new Date('2025-03-01T00:00:00.000Z'),
+  periodEnd: new Date('2025-03-31T23:59:59.999Z')
+};
+const inLockedMarch = (date) => date >= lockedMarch.periodStart && date <= lockedMarch.periodEnd;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(AccountingPeriod, 'findClosedPeriodForDate').mockImplementation(async (date) =>
+    (inLockedMarch(new Date(date)) ? lockedMarch : null));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('AccountingPeriod.findClosedPeriodForDate', () => {
+  it('looks for closed and locked periods covering the date', async () => {
+    AccountingPeriod.findClosedPeriodForDate.mockRestore();
+    const sort = jest.fn().mockResolvedValue(lockedMarch);
+    const findOne = jest.spyOn(AccountingPeriod, 'findOne').mockReturnValue({ sort });
+    const date = new Date('2025-03-15T10:00:00.000Z');
+
+    await expect(AccountingPeriod.findClosedPeriodForDate(date)).resolves.toBe(lockedMarch);
+    expect(findOne).toHaveBeenCalledWith({
+      periodStart: { $lte: date },
+      periodEnd: { $gte: date },
+      status: { $in: ['closed', 'locked'] }
+    });
+  });
+});
+
+describe('AccountingService period locking', () => {
+  it('refuses postings dated in a locked period', async () => {
+    await expect(AccountingService.assertPeriodOpen(new Date('2025-03-15'), 'cash receipt'))
+      .rejects.toThrow('Cannot post cash receipt in locked period: March 2025 (2025-03-01 to 2025-03-31)');
+    await expect(AccountingService.assertPeriodOpen(new Date('2025-04-01'), 'cash receipt'))
+      .resolves.toBeUndefined();
+  });
+
+  it('checks both the document date and today before a document is saved', async () => {
+    jest.useFakeTimers({ now: new Date('2025-04-10T09:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    await expect(AccountingService.assertPostingPeriodOpen(new Date('2025-03-20'), 'sale'))
+      .rejects.toThrow('Cannot post sale in locked period: March 2025');
+    await expect(AccountingService.assertPostingPeriodOpen(new Date('2025-04-05'), 'sale'))
+      .resolves.toBeUndefined();
+
+    // Ledger entries are dated when posted, so an open document date does not help while today is locked
+    jest.setSystemTime(new Date('2025-03-20T09:00:00.000Z'));
+    await expect(AccountingService.assertPostingPeriodOpen(new Date('2025-04-05'), 'sale'))
+      .rejects.toThrow('Cannot post sale in locked period: March 2025');
+  });
+
+  it('refuses a journal voucher in a locked period before numbering it', async () => {
+    const counter = jest.spyOn(Counter, 'findOneAndUpdate');
+
+    await expect(AccountingService.postJournalVoucher({
+      voucherDate: new Date('2025-03-31'),
+      lines: [{ accountCode: '1000', debit: 100 }, { accountCode: '4000', credit: 100 }]
+    })).rejects.toThrow('Cannot post journal voucher in locked period: March 2025');
+    expect(counter).not.toHaveBeenCalled();
+  });
+
+  it('refuses a ledger transaction dated in a locked period without saving it', async () => {
+    const save = jest.spyOn(Transaction.prototype, 'save');
+
+    await expect(AccountingService.createTransaction({
+      transactionId: 'TXN-1',
+      createdAt: new Date('2025-03-10'),
+      debitAmount: 50,
+      creditAmount: 0
+    })).rejects.toThrow('Cannot post transaction in locked period: March 2025');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
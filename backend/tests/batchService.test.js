@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/BatchRepository', () => ({
+  findById: jest.fn(),
+  findByBatchNumber: jest.fn(),
+  create: jest.fn(),
+  hardDelete: jest.fn()
+}));
+jest.mock('../services/inventoryService', () => ({
+  resolveWarehouseKey: jest.fn(async (warehouseId) => String(warehouseId))
+}));
+
+const BatchRepository = require('../repositories/BatchRepository');
+const batchService = require('../services/batchService');
+
+const id = () => new mongoose.Types.ObjectId();
+const user = { _id: id() };
+const warehouse = id();
+const rice = id();
+const sugar = id();
+const tea = id();
+
+describe('batchService.syncPurchaseInvoiceBatches', () => {
+  it('adjusts, removes and adds batches to match the edited invoice lines', async () => {
+    const riceBatch = { _id: id(), batchNumber: 'PI-5-1', initialQuantity: 10, currentQuantity: 7, totalCost: 100, soldQuantity: 3, status: 'active', save: jest.fn() };
+    const sugarBatch = { _id: id(), batchNumber: 'PI-5-2', initialQuantity: 4, currentQuantity: 4, totalCost: 20, soldQuantity: 0, save: jest.fn() };
+    const batches = [riceBatch, sugarBatch];
+    BatchRepository.findById.mockImplementation(async (batchId) => batches.find(b => String(b._id) === String(batchId)));
+    BatchRepository.findByBatchNumber.mockResolvedValue(null);
+    BatchRepository.create.mockImplementation(async (data) => ({ _id: id(), ...data }));
+
+    // Rice cut from 10 to 8 at a new cost, sugar removed, tea added
+    const oldItems = [
+      { product: String(rice), quantity: 10, unitCost: 10, batch: String(riceBatch._id), batchNumber: 'PI-5-1' },
+      { product: String(sugar), quantity: 4, unitCost: 5, batch: String(sugarBatch._id), batchNumber: 'PI-5-2' }
+    ];
+    const invoice = {
+      _id: id(),
+      invoiceNumber: 'PI-5',
+      warehouse,
+      items: [
+        { product: rice, quantity: 8, unitCost: 11 },
+        { product: tea, quantity: 6, unitCost: 9 }
+      ]
+    };
+
+    await batchService.syncPurchaseInvoiceBatches(invoice, oldItems, user);
+
+    expect(riceBatch).toMatchObject({ initialQuantity: 8, currentQuantity: 5, totalCost: 88 });
+    expect(invoice.items[0]).toMatchObject({ batch: String(riceBatch._id), batchNumber: 'PI-5-1' });
+    expect(BatchRepository.hardDelete).toHaveBeenCalledWith(sugarBatch._id);
+    expect(BatchRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      product: tea,
+      batchNumber: 'PI-5-2',
+      initialQuantity: 6,
+      location: { warehouse: String(warehouse) }
+    }));
+    expect(invoice.items[1].batchNumber).toBe('PI-5-2');
+  });
+});
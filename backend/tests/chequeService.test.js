@@ -0,0 +1,34 @@
+jest.mock('../repositories/ChequeRepository', () => ({ findById: jest.fn() }));
+jest.mock('../services/customerTransactionService', () => ({ createTransaction: jest.fn() }));
+
+const chequeRepository = require('../repositories/ChequeRepository');
+const customerTransactionService = require('../services/customerTransactionService');
+const AccountingService = require('../services/accountingService');
+const chequeService = require('../services/chequeService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('chequeService period lock', () => {
+  it('refuses to bounce a cheque in a closed period before reversing the receipt', async () => {
+    const cheque = {
+      direction: 'received',
+      chequeNumber: '000123',
+      customer: 'customer-1',
+      canTransitionTo: () => true,
+      save: jest.fn()
+    };
+    chequeRepository.findById.mockResolvedValue(cheque);
+    jest.spyOn(AccountingService, 'assertPeriodOpen').mockRejectedValue(
+      new Error('Cannot post cheque in closed period: March 2026'));
+    const reverse = jest.spyOn(chequeService, '_reverseCustomerReceipt');
+
+    await expect(chequeService.bounceCheque('cheque-1', { date: '2026-03-10', penaltyAmount: 500 }, 'user-1'))
+      .rejects.toThrow('Cannot post cheque in closed period: March 2026');
+    expect(reverse).not.toHaveBeenCalled();
+    expect(customerTransactionService.createTransaction).not.toHaveBeenCalled();
+    expect(cheque.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/FiscalYearCloseRepository', () => ({
+  findClosed: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../services/trialBalanceService', () => ({ generateTrialBalance: jest.fn() }));
+jest.mock('../services/accountingPeriodService', () => ({
+  lockFiscalYear: jest.fn(),
+  restoreFiscalYearPeriods: jest.fn()
+}));
+
+const Settings = require('../models/Settings');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const JournalVoucher = require('../models/JournalVoucher');
+const fiscalYearCloseRepository = require('../repositories/FiscalYearCloseRepository');
+const trialBalanceService = require('../services/trialBalanceService');
+const accountingPeriodService = require('../services/accountingPeriodService');
+const AccountingService = require('../services/accountingService');
+const fiscalYearCloseService = require('../services/fiscalYearCloseService');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const row = (accountCode, accountName, accountType, normalBalance, netBalance) =>
+  ({ accountCode, accountName, accountType, normalBalance, netBalance });
+
+// FY2024-25 (July to June): 100,000 sales less 70,000 expenses
+const trialBalance = [
+  row('1000', 'Cash', 'asset', 'debit', 80000),
+  row('2000', 'Accounts Payable', 'liability', 'credit', 20000),
+  row('3100', 'Retained Earnings', 'equity', 'credit', 30000),
+  row('4000', 'Sales Revenue', 'revenue', 'credit', 100000),
+  row('5000', 'Cost of Goods Sold', 'expense', 'debit', 60000),
+  row('5100', 'Rent Expense', 'expense', 'debit', 10000),
+  row('5200', 'Insurance Expense', 'expense', 'debit', 0)
+];
+const lockedPeriods = [{ period: new mongoose.Types.ObjectId(), periodName: 'FY2024-25', previousStatus: 'open', created: true }];
+
+let posted;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  posted = [];
+
+  jest.spyOn(Settings, 'getSettings').mockResolvedValue({ fiscalYearStart: 7 });
+  jest.spyOn(AccountingPeriod, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+  jest.spyOn(AccountingService, 'getRetainedEarningsAccountCode').mockResolvedValue('3100');
+  jest.spyOn(AccountingService, 'postJournalVoucher').mockImplementation(async (data) => {
+    const voucher = {
+      _id: new mongoose.Types.ObjectId(),
+      voucherNumber: `JV-CLOSE-00000${posted.length + 1}`,
+      entries: data.lines.map(({ accountCode, debit, credit }) => ({ accountCode, debit, credit })),
+      ...data
+    };
+    posted.push(voucher);
+    return voucher;
+  });
+
+  trialBalanceService.generateTrialBalance.mockResolvedValue({
+    trialBalance,
+    isBalanced: true,
+    validation: { message: 'Trial balance is balanced' }
+  });
+  fiscalYearCloseRepository.findClosed.mockResolvedValue(null);
+  fiscalYearCloseRepository.findOne.mockResolvedValue(null);
+  fiscalYearCloseRepository.create.mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), status: 'closed', ...data }));
+  accountingPeriodService.lockFiscalYear.mockResolvedValue(lockedPeriods);
+});
+
+describe('fiscalYearCloseService.closeFiscalYear', () => {
+  it('closes revenue and expenses into retained earnings and carries balance-sheet balances forward', async () => {
+    const close = await fiscalYearCloseService.closeFiscalYear({ fiscalYear: 2024 }, user);
+
+    expect(posted).toHaveLength(1);
+    const [voucher] = posted;
+    expect(voucher.allowClosedPeriod).toBe(true);
+    expect(voucher.voucherDate).toEqual(close.endDate);
+    expect(voucher.lines.map(({ accountCode, debit, credit }) => ({ accountCode, debit, credit }))).toEqual([
+      { accountCode: '4000', debit: 100000, credit: 0 },
+      { accountCode: '5000', debit: 0, credit: 60000 },
+      { accountCode: '5100', debit: 0, credit: 10000 },
+      { accountCode: '3100', debit: 0, credit: 30000 }
+    ]);
+    const totalDebit = voucher.lines.reduce((sum, line) => sum + line.debit, 0);
+    const totalCredit = voucher.lines.reduce((sum, line) => sum + line.credit, 0);
+    expect(totalDebit).toBe(totalCredit);
+
+    expect(close).toMatchObject({
+      fiscalYear: 2024,
+      label: 'FY2024-25',
+      netIncome: 30000,
+      closingVoucherNumber: 'JV-CLOSE-000001',
+      periods: lockedPeriods
+    });
+    expect(close.openingBalances.map(({ accountCode, debit, credit }) => ({ accountCode, debit, credit }))).toEqual([
+      { accountCode: '1000', debit: 80000, credit: 0 },
+      { accountCode: '2000', debit: 0, credit: 20000 },
+      { accountCode: '3100', debit: 0, credit: 60000 }
+    ]);
+    expect(accountingPeriodService.lockFiscalYear).toHaveBeenCalledWith(
+      expect.objectContaining({ label: 'FY2024-25' }), user, 'Fiscal year FY2024-25 closed');
+  });
+
+  it('refuses a year that is already closed and posts nothing', async () => {
+    fiscalYearCloseRepository.findClosed.mockImplementation(async (year) =>
+      (year === 2024 ? { label: 'FY2024-25', closingVoucherNumber: 'JV-CLOSE-000001' } : null));
+
+    await expect(fiscalYearCloseService.closeFiscalYear({ fiscalYear: 2024 }, user))
+      .rejects.toThrow('Cannot close FY2024-25: FY2024-25 was already closed by JV-CLOSE-000001');
+    expect(posted).toHaveLength(0);
+    expect(accountingPeriodService.lockFiscalYear).not.toHaveBeenCalled();
+  });
+
+  it('refuses an unbalanced trial balance', async () => {
+    trialBalanceService.generateTrialBalance.mockResolvedValue({
+      trialBalance,
+      isBalanced: false,
+      validation: { message: 'Trial balance is out by 10.00' }
+    });
+
+    await expect(fiscalYearCloseService.closeFiscalYear({ fiscalYear: 2024 }, user))
+      .rejects.toThrow('Cannot close FY2024-25: Trial balance is out by 10.00');
+    expect(posted).toHaveLength(0);
+  });
+
+  it('reverses the closing journal when the periods cannot be locked', async () => {
+    accountingPeriodService.lockFiscalYear.mockRejectedValue(new Error('Period save failed'));
+
+    await expect(fiscalYearCloseService.closeFiscalYear({ fiscalYear: 2024 }, user))
+      .rejects.toThrow('Period save failed');
+
+    expect(posted).toHaveLength(2);
+    const [closing, reversal] = posted;
+    expect(reversal.reference).toBe(closing.voucherNumber);
+    expect(reversal.lines.map(({ accountCode, debit, credit }) => ({ accountCode, debit, credit }))).toEqual(
+      closing.lines.map(({ accountCode, debit, credit }) => ({ accountCode, debit: credit, credit: debit })));
+    expect(fiscalYearCloseRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('fiscalYearCloseService.reverseClose', () => {
+  const closedYear = () => {
+    const closingVoucher = new mongoose.Types.ObjectId();
+    const close = {
+      _id: new mongoose.Types.ObjectId(),
+      fiscalYear: 2024,
+      label: 'FY2024-25',
+      endDate: new Date('2025-06-30T18:59:59.999Z'),
+      status: 'closed',
+      closingVoucher,
+      periods: lockedPeriods,
+      save: jest.fn().mockResolvedValue()
+    };
+    fiscalYearCloseRepository.findById.mockResolvedValue(close);
+    jest.spyOn(JournalVoucher, 'findById').mockResolvedValue({
+      _id: closingVoucher,
+      voucherNumber: 'JV-CLOSE-000001',
+      entries: [
+        { accountCode: '4000', debit: 100000, credit: 0 },
+        { accountCode: '5000', debit: 0, credit: 70000 },
+        { accountCode: '3100', debit: 0, credit: 30000 }
+      ]
+    });
+    return close;
+  };
+
+  it('posts the mirror of the closing journal and restores the periods', async () => {
+    const close = closedYear();
+
+    const result = await fiscalYearCloseService.reverseClose(close._id, { reason: 'Late supplier invoice' }, user);
+
+    expect(posted).toHaveLength(1);
+    expect(posted[0]).toMatchObject({ reference: 'JV-CLOSE-000001', voucherDate: close.endDate, allowClosedPeriod: true });
+    expect(posted[0].lines.map(({ accountCode, debit, credit }) => ({ accountCode, debit, credit }))).toEqual([
+      { accountCode: '4000', debit: 0, credit: 100000 },
+      { accountCode: '5000', debit: 70000, credit: 0 },
+      { accountCode: '3100', debit: 30000, credit: 0 }
+    ]);
+    expect(accountingPeriodService.restoreFiscalYearPeriods).toHaveBeenCalledWith(lockedPeriods);
+    expect(result).toMatchObject({
+      status: 'reversed',
+      reversalReason: 'Late supplier invoice',
+      reversalVoucherNumber: 'JV-CLOSE-000001'
+    });
+    expect(close.save).toHaveBeenCalled();
+  });
+
+  it('refuses while a later fiscal year is still closed', async () => {
+    const close = closedYear();
+    fiscalYearCloseRepository.findOne.mockResolvedValue({ label: 'FY2025-26' });
+
+    await expect(fiscalYearCloseService.reverseClose(close._id, {}, user))
+      .rejects.toThrow('Cannot reverse FY2024-25: FY2025-26 is closed; reverse it first');
+    expect(posted).toHaveLength(0);
+    expect(accountingPeriodService.restoreFiscalYearPeriods).not.toHaveBeenCalled();
+  });
+
+  it('refuses a close that is already reversed', async () => {
+    const close = closedYear();
+    close.status = 'reversed';
+
+    await expect(fiscalYearCloseService.reverseClose(close._id, {}, user))
+      .rejects.toThrow('Cannot reverse: the close of FY2024-25 is already reversed');
+  });
+});
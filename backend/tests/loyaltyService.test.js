@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/LoyaltyTransactionRepository', () => ({
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  findOpenLots: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../repositories/CustomerRepository', () => ({
+  findById: jest.fn(),
+  incrementLoyaltyPoints: jest.fn()
+}));
+jest.mock('../repositories/ProductRepository', () => ({ findByIds: jest.fn() }));
+jest.mock('../repositories/SalesRepository', () => ({
+  findById: jest.fn(),
+  updateById: jest.fn()
+}));
+jest.mock('../repositories/ReturnRepository', () => ({}));
+
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const loyaltyTransactionRepository = require('../repositories/LoyaltyTransactionRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const productRepository = require('../repositories/ProductRepository');
+const salesRepository = require('../repositories/SalesRepository');
+const loyaltyService = require('../services/loyaltyService');
+
+const id = () => new mongoose.Types.ObjectId();
+const electronics = id();
+const kettle = { _id: id(), category: electronics };
+const tea = { _id: id(), category: id() };
+const user = { _id: id() };
+
+// 1 point per 100 spent, electronics earn double, gold customers earn 1.5x; a point is worth 0.5
+const program = new LoyaltyProgram({
+  isActive: true,
+  earnPoints: 1,
+  earnPerAmount: 100,
+  categoryRules: [{ category: electronics, multiplier: 2 }],
+  pointValue: 0.5,
+  minimumRedemption: 50,
+  maxRedemptionPercent: 50,
+  expiryMonths: 12,
+  tiers: [{ tier: 'gold', minimumSpend: 100000, multiplier: 1.5 }]
+});
+
+let customer;
+let ledger;
+
+const buildSale = (overrides = {}) => {
+  const kettleLine = { _id: id(), product: kettle._id, quantity: 2, subtotal: 1000, discountAmount: 0 };
+  const teaLine = { _id: id(), product: tea._id, quantity: 5, subtotal: 500, discountAmount: 100 };
+  return {
+    _id: id(),
+    orderNumber: 'SO-1001',
+    customer: customer._id,
+    billDate: new Date('2026-01-15T10:00:00.000Z'),
+    items: [kettleLine, teaLine],
+    pricing: { subtotal: 1500, discountAmount: 100, total: 1400 },
+    loyalty: {},
+    ...overrides
+  };
+};
+
+// A lot as the ledger stores it, with points still to be drawn
+const lot = (fields) => {
+  const entry = { _id: id(), customer: customer._id, type: 'earn', ...fields };
+  entry.save = jest.fn().mockResolvedValue(entry);
+  ledger.push(entry);
+  return entry;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  customer = { _id: id(), name: 'Ayesha Traders', customerTier: 'gold', loyaltyPoints: 0 };
+  ledger = [];
+
+  jest.spyOn(LoyaltyProgram, 'getProgram').mockResolvedValue(program);
+  productRepository.findByIds.mockResolvedValue([kettle, tea]);
+  customerRepository.findById.mockImplementation(async () => customer);
+  customerRepository.incrementLoyaltyPoints.mockImplementation(async (customerId, delta) => {
+    if (customer.loyaltyPoints + delta < 0) return null;
+    customer.loyaltyPoints += delta;
+    return { ...customer };
+  });
+  loyaltyTransactionRepository.create.mockImplementation(async (entry) => {
+    const saved = { _id: id(), ...entry };
+    ledger.push(saved);
+    return saved;
+  });
+  loyaltyTransactionRepository.findOne.mockImplementation(async (query) =>
+    ledger.find(entry => String(entry.sale) === String(query.sale) && entry.type === query.type) || null);
+  loyaltyTransactionRepository.findAll.mockImplementation(async (query) =>
+    ledger.filter(entry => String(entry.sale) === String(query.sale) && entry.type === query.type));
+  loyaltyTransactionRepository.findOpenLots.mockImplementation(async () =>
+    ledger.filter(entry => entry.remainingPoints > 0)
+      .sort((a, b) => (a.expiresAt || Infinity) - (b.expiresAt || Infinity)));
+});
+
+describe('loyaltyService.earnForSale', () => {
+  it('earns on pre-tax net with category and tier multipliers and opens an expiring lot', async () => {
+    const sale = buildSale();
+
+    const entry = await loyaltyService.earnForSale(sale, user);
+
+    // (1000 x 2 + 400) / 100 x 1.5
+    expect(entry).toMatchObject({ type: 'earn', points: 36, remainingPoints: 36, amount: 1400, balanceAfter: 36 });
+    expect(entry.expiresAt.getUTCFullYear()).toBe(2027);
+    expect(customer.loyaltyPoints).toBe(36);
+    expect(salesRepository.updateById).toHaveBeenCalledWith(sale._id, { 'loyalty.pointsEarned': 36 });
+  });
+
+  it('earns nothing on the part of the bill paid with points', async () => {
+    const sale = buildSale({ loyalty: { pointsRedeemed: 1400, amountRedeemed: 700 } });
+
+    const entry = await loyaltyService.earnForSale(sale, user);
+
+    expect(entry.points).toBe(18);
+    expect(entry.amount).toBe(700);
+  });
+
+  it('earns once per sale, and not at all while the program is inactive or for walk-in sales', async () => {
+    const sale = buildSale();
+    await loyaltyService.earnForSale(sale, user);
+
+    await expect(loyaltyService.earnForSale(sale, user)).resolves.toBeNull();
+    await expect(loyaltyService.earnForSale(buildSale({ customer: null }), user)).resolves.toBeNull();
+    LoyaltyProgram.getProgram.mockResolvedValue(new LoyaltyProgram({ isActive: false }));
+    await expect(loyaltyService.earnForSale(buildSale(), user)).resolves.toBeNull();
+    expect(customer.loyaltyPoints).toBe(36);
+  });
+});
+
+describe('loyaltyService redemption', () => {
+  it('quotes a redemption within the balance, minimum and bill share', async () => {
+    customer.loyaltyPoints = 300;
+
+    await expect(loyaltyService.quoteRedemption(customer, 200, 1000)).resolves.toEqual({ points: 200, amount: 100 });
+    await expect(loyaltyService.quoteRedemption(customer, 400, 1000))
+      .rejects.toThrow('Cannot redeem 400 points: Ayesha Traders has 300');
+    await expect(loyaltyService.quoteRedemption(customer, 40, 1000))
+      .rejects.toThrow('Cannot redeem points: at least 50 points must be redeemed');
+    await expect(loyaltyService.quoteRedemption(customer, 300, 200))
+      .rejects.toThrow('Cannot redeem points worth 150: points can pay at most 100 of this bill');
+    await expect(loyaltyService.quoteRedemption(null, 100, 1000))
+      .rejects.toThrow('Cannot redeem points: a customer is required');
+  });
+
+  it('draws redeemed points from the soonest-expiring lots inside the sale transaction', async () => {
+    customer.loyaltyPoints = 150;
+    const later = lot({ points: 100, remainingPoints: 100, expiresAt: new Date('2026-12-31') });
+    const sooner = lot({ points: 50, remainingPoints: 50, expiresAt: new Date('2026-06-30') });
+    const session = { id: 'sale-session' };
+    const sale = buildSale({ loyalty: { pointsRedeemed: 80, amountRedeemed: 40 } });
+
+    const entry = await loyaltyService.redeemForSale(sale, user, { session });
+
+    expect(entry).toMatchObject({ type: 'redeem', points: -80, amount: 40, balanceAfter: 70, sale: sale._id });
+    expect(sooner.remainingPoints).toBe(0);
+    expect(later.remainingPoints).toBe(70);
+    expect(sooner.save).toHaveBeenCalledWith({ session });
+    expect(customerRepository.incrementLoyaltyPoints).toHaveBeenCalledWith(customer._id, -80, { session });
+    expect(loyaltyTransactionRepository.create).toHaveBeenCalledWith(expect.any(Object), { session });
+  });
+
+  it('refuses to redeem more than the balance holds', async () => {
+    customer.loyaltyPoints = 30;
+    const sale = buildSale({ loyalty: { pointsRedeemed: 80, amountRedeemed: 40 } });
+
+    await expect(loyaltyService.redeemForSale(sale, user))
+      .rejects.toThrow("Cannot deduct 80 points: the customer's balance is too low");
+    expect(customer.loyaltyPoints).toBe(30);
+  });
+});
+
+describe('loyaltyService.reverseForReturn', () => {
+  const earnedSale = async () => {
+    const sale = buildSale();
+    salesRepository.findById.mockResolvedValue(sale);
+    await loyaltyService.earnForSale(sale, user);
+    return sale;
+  };
+  const returnOf = (sale, quantity, returnNumber = 'RET-1') => ({
+    _id: id(),
+    returnNumber,
+    originalOrder: sale._id,
+    items: [{ originalOrderItem: sale.items[0]._id, quantity }]
+  });
+
+  it('takes back points in proportion to the net value returned, from the sale\'s own lot', async () => {
+    const sale = await earnedSale();
+    const otherLot = lot({ points: 20, remainingPoints: 20, expiresAt: new Date('2026-02-01') });
+    customer.loyaltyPoints += 20;
+    const saleLot = ledger.find(entry => entry.type === 'earn' && entry.sale === sale._id);
+    saleLot.save = jest.fn().mockResolvedValue(saleLot);
+
+    // One kettle of two: 500 of the sale's 1400 net
+    const entry = await loyaltyService.reverseForReturn(returnOf(sale, 1), user);
+
+    expect(entry).toMatchObject({ type: 'reverse', points: -13, amount: 500, sale: String(sale._id) });
+    expect(customer.loyaltyPoints).toBe(43);
+    expect(saleLot.remainingPoints).toBe(23);
+    expect(otherLot.remainingPoints).toBe(20);
+  });
+
+  it('never reverses more than the sale earned across several returns', async () => {
+    const sale = await earnedSale();
+    ledger.find(entry => entry.type === 'earn').save = jest.fn();
+
+    // The kettles were 1000 of 1400: 26 of 36 points; a second return can only take the 10 left
+    const first = await loyaltyService.reverseForReturn(returnOf(sale, 2, 'RET-1'), user);
+    expect(first).toMatchObject({ points: -26 });
+    expect(customer.loyaltyPoints).toBe(10);
+
+    const again = await loyaltyService.reverseForReturn(returnOf(sale, 2, 'RET-2'), user);
+    expect(again).toMatchObject({ points: -10 });
+    expect(customer.loyaltyPoints).toBe(0);
+    await expect(loyaltyService.reverseForReturn(returnOf(sale, 2, 'RET-3'), user)).resolves.toBeNull();
+  });
+
+  it('does not take the balance below zero when the points were already spent', async () => {
+    const sale = await earnedSale();
+    ledger.find(entry => entry.type === 'earn').save = jest.fn();
+    customer.loyaltyPoints = 5;
+
+    const entry = await loyaltyService.reverseForReturn(returnOf(sale, 1), user);
+
+    expect(entry.points).toBe(-5);
+    expect(entry.description).toBe('Reversed for return RET-1 of sale SO-1001 (8 already redeemed)');
+    expect(customer.loyaltyPoints).toBe(0);
+  });
+});
+
+describe('loyaltyService.reverseForSale', () => {
+  beforeEach(() => {
+    // Points given back open a lot of their own, which later deductions draw from
+    loyaltyTransactionRepository.create.mockImplementation(async (entry) => {
+      const saved = { _id: id(), ...entry, save: jest.fn() };
+      ledger.push(saved);
+      return saved;
+    });
+  });
+
+  const redeemedSale = async () => {
+    customer.loyaltyPoints = 100;
+    lot({ points: 100, remainingPoints: 100, expiresAt: new Date('2026-12-31') });
+    const sale = buildSale({ loyalty: { pointsRedeemed: 80, amountRedeemed: 40 } });
+    salesRepository.findById.mockResolvedValue(sale);
+    await loyaltyService.redeemForSale(sale, user);
+    await loyaltyService.earnForSale(sale, user);
+    return sale;
+  };
+
+  it('gives back redeemed points and takes back what the sale earned', async () => {
+    const sale = await redeemedSale();
+    // 100 - 80 redeemed + 34 earned on the 1360 not paid with points
+    expect(customer.loyaltyPoints).toBe(54);
+
+    const result = await loyaltyService.reverseForSale(sale, user, { reason: 'cancelled' });
+
+    expect(result).toEqual({ restored: 80, reversed: 34 });
+    expect(customer.loyaltyPoints).toBe(100);
+    expect(ledger.filter(entry => entry.type === 'reverse').map(entry => entry.description)).toEqual([
+      'Given back: sale SO-1001 was cancelled',
+      'Reversed: sale SO-1001 was cancelled'
+    ]);
+  });
+
+  it('takes back only what a return has not, and does nothing the second time', async () => {
+    const sale = await redeemedSale();
+    // Both kettles returned: 1000 of the 1400 net takes back 24 of the 34 earned
+    await loyaltyService.reverseForReturn({
+      _id: id(), returnNumber: 'RET-1', originalOrder: sale._id, items: [{ originalOrderItem: sale.items[0]._id, quantity: 2 }]
+    }, user);
+    expect(customer.loyaltyPoints).toBe(30);
+
+    await expect(loyaltyService.reverseForSale(sale, user)).resolves.toEqual({ restored: 80, reversed: 10 });
+    expect(customer.loyaltyPoints).toBe(100);
+    await expect(loyaltyService.reverseForSale(sale, user)).resolves.toEqual({ restored: 0, reversed: 0 });
+    expect(customer.loyaltyPoints).toBe(100);
+  });
+});
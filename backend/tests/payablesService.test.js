@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/PurchaseInvoiceRepository', () => ({ findById: jest.fn() }));
+jest.mock('../services/supplierBalanceService', () => ({ recordPayment: jest.fn() }));
+jest.mock('../services/transactionUtils', () => ({
+  runWithTransactionRetry: jest.fn(fn => fn({ id: 'transaction-session' }))
+}));
+
+const purchaseInvoiceRepository = require('../repositories/PurchaseInvoiceRepository');
+const SupplierBalanceService = require('../services/supplierBalanceService');
+const AccountingService = require('../services/accountingService');
+const withholdingTaxService = require('../services/withholdingTaxService');
+const CashPayment = require('../models/CashPayment');
+const PayablesRun = require('../models/PayablesRun');
+const payablesService = require('../services/payablesService');
+
+const id = () => new mongoose.Types.ObjectId();
+const user = { _id: id() };
+const session = { id: 'transaction-session' };
+
+const openRow = (invoiceNumber, outstanding) => ({
+  invoice: id(),
+  invoiceNumber,
+  dueDate: new Date('2026-02-28T19:00:00.000Z'),
+  daysOverdue: 3,
+  currency: '',
+  supplier: { _id: id(), companyName: `${invoiceNumber} Traders`, status: 'active' },
+  outstanding
+});
+
+let rows;
+let invoices;
+let savedRun;
+let vouchers;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  rows = [openRow('PI-1', 600), openRow('PI-2', 400)];
+  invoices = new Map(rows.map(row => [row.invoice.toString(), {
+    pricing: { total: row.outstanding },
+    payment: { paidAmount: 0 },
+    paymentApplications: [],
+    save: jest.fn()
+  }]));
+  purchaseInvoiceRepository.findById.mockImplementation(async (invoiceId) => invoices.get(invoiceId.toString()));
+  jest.spyOn(AccountingService, 'assertPostingPeriodOpen').mockResolvedValue();
+  jest.spyOn(AccountingService, 'recordCashPayment').mockResolvedValue([]);
+  jest.spyOn(payablesService, '_getOpenInvoices').mockResolvedValue(rows);
+  jest.spyOn(payablesService, 'getPaymentRunById').mockImplementation(async (runId) => ({ _id: runId }));
+  jest.spyOn(withholdingTaxService, 'getParty').mockResolvedValue({ withholdingTax: { applicable: false } });
+  vouchers = [];
+  jest.spyOn(PayablesRun.prototype, 'save').mockImplementation(async function() { savedRun = this; return this; });
+  jest.spyOn(CashPayment.prototype, 'save').mockImplementation(async function() { vouchers.push(this); return this; });
+});
+
+const runPayables = () => payablesService.createPaymentRun({
+  paymentDate: '2026-03-03',
+  method: 'cash',
+  allocations: rows.map(row => ({ invoice: row.invoice, amount: row.outstanding }))
+}, user);
+
+describe('payablesService.createPaymentRun', () => {
+  it('saves the run, vouchers and invoices in one transaction, then posts the vouchers', async () => {
+    await runPayables();
+
+    expect(PayablesRun.prototype.save).toHaveBeenCalledWith({ session });
+    expect(CashPayment.prototype.save).toHaveBeenCalledTimes(2);
+    expect(CashPayment.prototype.save).toHaveBeenCalledWith({ session });
+    invoices.forEach(invoice => {
+      expect(invoice.save).toHaveBeenCalledWith({ session });
+      expect(invoice.payment.status).toBe('paid');
+    });
+    expect(SupplierBalanceService.recordPayment).toHaveBeenCalledTimes(2);
+    expect(AccountingService.recordCashPayment).toHaveBeenCalledTimes(2);
+  });
+
+  it('posts nothing when a voucher cannot be saved', async () => {
+    CashPayment.prototype.save
+      .mockImplementationOnce(async function() { return this; })
+      .mockRejectedValueOnce(new Error('Voucher validation failed'));
+
+    await expect(runPayables()).rejects.toThrow('Voucher validation failed');
+    expect(SupplierBalanceService.recordPayment).not.toHaveBeenCalled();
+    expect(AccountingService.recordCashPayment).not.toHaveBeenCalled();
+  });
+
+  it('pays suppliers subject to withholding net of the tax', async () => {
+    withholdingTaxService.getParty.mockImplementation(async (direction, supplierId) => (
+      supplierId.toString() === rows[0].supplier._id.toString()
+        ? { companyName: 'PI-1 Traders', withholdingTax: { applicable: true, transactionType: 'services' } }
+        : { withholdingTax: { applicable: false } }));
+    jest.spyOn(withholdingTaxService, 'resolveRate').mockResolvedValue({ taxCode: 'WHT-S', transactionType: 'services', rate: 0.045 });
+    jest.spyOn(withholdingTaxService, 'nextCertificateNumber').mockResolvedValue('WHT-202603-0001');
+
+    await runPayables();
+
+    expect(vouchers.map(voucher => voucher.amount)).toEqual([573, 400]);
+    expect(vouchers[0].withholding).toMatchObject({ grossAmount: 600, amount: 27, certificateNumber: 'WHT-202603-0001' });
+    expect(vouchers[1].withholding?.amount).toBeFalsy();
+    expect(savedRun.withheldAmount).toBe(27);
+    // Invoices and the supplier balance are still settled with the gross amount
+    expect(invoices.get(rows[0].invoice.toString()).payment.status).toBe('paid');
+    expect(SupplierBalanceService.recordPayment).toHaveBeenCalledWith(rows[0].supplier._id, 600, null);
+  });
+});
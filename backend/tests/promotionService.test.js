@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/DiscountRepository', () => ({
+  findPromotionCandidates: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../repositories/ProductRepository', () => ({
+  findByIds: jest.fn(),
+  findById: jest.fn()
+}));
+
+const Discount = require('../models/Discount');
+const DiscountRepository = require('../repositories/DiscountRepository');
+const ProductRepository = require('../repositories/ProductRepository');
+const promotionService = require('../services/promotionService');
+
+const id = () => new mongoose.Types.ObjectId();
+const tea = { _id: id(), name: 'Green Tea', category: id() };
+const kettle = { _id: id(), name: 'Electric Kettle', category: id() };
+const mug = { _id: id(), name: 'Mug', category: id() };
+
+// 3 x tea at 150 and a kettle at 550: subtotal 1000
+const cart = [
+  { product: tea._id, quantity: 3, unitPrice: 150 },
+  { product: kettle._id, quantity: 1, unitPrice: 550 }
+];
+
+const promotion = (fields) => new Discount({
+  name: fields.code,
+  isActive: true,
+  validFrom: new Date('2020-01-01'),
+  validUntil: new Date('2100-01-01'),
+  createdBy: id(),
+  ...fields
+});
+
+const evaluate = (candidates, params = {}) => {
+  DiscountRepository.findPromotionCandidates.mockResolvedValue(candidates);
+  return promotionService.evaluate({ items: cart, ...params });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ProductRepository.findByIds.mockResolvedValue([tea, kettle]);
+  ProductRepository.findById.mockImplementation(async (productId) =>
+    [tea, kettle, mug].find(product => String(product._id) === String(productId)) || null);
+});
+
+describe('promotionService.evaluate best-deal selection', () => {
+  it('applies the promotion that saves most when two cannot be combined', async () => {
+    const tenPercent = promotion({ code: 'TEN', type: 'percentage', value: 10 });
+    const teaOffer = promotion({
+      code: 'TEA3',
+      type: 'buy_x_get_y',
+      applicableTo: 'products',
+      applicableProducts: [tea._id],
+      promotion: { buyQuantity: 2, getQuantity: 1 }
+    });
+
+    const result = await evaluate([tenPercent, teaOffer]);
+
+    expect(result.subtotal).toBe(1000);
+    expect(result.applied.map(entry => entry.code)).toEqual(['TEA3']);
+    expect(result.totalDiscount).toBe(150);
+    expect(result.lines).toEqual([
+      { product: String(tea._id), discountAmount: 150 },
+      { product: String(kettle._id), discountAmount: 0 }
+    ]);
+    expect(result.notApplied).toEqual([expect.objectContaining({
+      code: 'TEN',
+      reason: 'Cannot be combined with TEA3, which saves more'
+    })]);
+  });
+
+  it('prefers a combination of stackable promotions worth more than the best single one', async () => {
+    const fivePercent = promotion({ code: 'FIVE', type: 'percentage', value: 5, combinableWithOtherDiscounts: true });
+    const kettleCoupon = promotion({
+      code: 'KETTLE80',
+      type: 'fixed_amount',
+      value: 80,
+      applicableTo: 'products',
+      applicableProducts: [kettle._id],
+      combinableWithOtherDiscounts: true
+    });
+    const tenPercent = promotion({ code: 'TEN', type: 'percentage', value: 10 });
+
+    const result = await evaluate([fivePercent, kettleCoupon, tenPercent]);
+
+    expect(result.applied.map(entry => entry.code)).toEqual(['KETTLE80', 'FIVE']);
+    expect(result.totalDiscount).toBe(130);
+    expect(result.notApplied.map(entry => entry.code)).toEqual(['TEN']);
+  });
+
+  it('breaks a tie in favour of the higher-priority promotion', async () => {
+    const low = promotion({ code: 'LOW', type: 'fixed_amount', value: 100, priority: 1 });
+    const high = promotion({ code: 'HIGH', type: 'percentage', value: 10, priority: 5 });
+
+    const result = await evaluate([low, high]);
+
+    expect(result.applied.map(entry => entry.code)).toEqual(['HIGH']);
+    expect(result.notApplied).toEqual([expect.objectContaining({ code: 'LOW' })]);
+  });
+
+  it('never discounts a line below zero when promotions stack', async () => {
+    const kettleHalf = promotion({
+      code: 'HALF',
+      type: 'percentage',
+      value: 60,
+      applicableTo: 'products',
+      applicableProducts: [kettle._id],
+      combinableWithOtherDiscounts: true
+    });
+    const kettleCoupon = promotion({
+      code: 'KETTLE300',
+      type: 'fixed_amount',
+      value: 300,
+      applicableTo: 'products',
+      applicableProducts: [kettle._id],
+      combinableWithOtherDiscounts: true
+    });
+
+    const result = await evaluate([kettleHalf, kettleCoupon]);
+
+    expect(result.totalDiscount).toBe(550);
+    expect(result.lines[1].discountAmount).toBe(550);
+    expect(result.applied.reduce((sum, entry) => sum + entry.amount, 0)).toBe(550);
+  });
+
+  it('prices a bundle from the dearest qualifying units', async () => {
+    const bundle = promotion({ code: 'ANY2', type: 'bundle', promotion: { bundleQuantity: 2, bundlePrice: 500 } });
+
+    const result = await evaluate([bundle]);
+
+    // Kettle (550) and one tea (150) bundled for 500
+    expect(result.totalDiscount).toBe(200);
+    expect(result.applied[0].reason).toBe('Any 2 for 500: 1 bundle(s)');
+  });
+
+  it('explains promotions that do not qualify yet', async () => {
+    const spend = promotion({
+      code: 'SPEND',
+      type: 'tiered_spend',
+      promotion: { tiers: [{ minimumSpend: 1500, type: 'percentage', value: 10 }] }
+    });
+    const members = promotion({ code: 'GOLD', type: 'percentage', value: 15, customerTiers: ['gold'] });
+
+    const result = await evaluate([spend, members], { codes: ['spend', 'nope'] });
+
+    expect(result.applied).toEqual([]);
+    expect(result.totalDiscount).toBe(0);
+    expect(result.notApplied).toEqual([
+      { code: 'NOPE', reason: 'Code not found or not currently valid' },
+      expect.objectContaining({ code: 'SPEND', reason: 'Spend 500 more to get 10% off' }),
+      expect.objectContaining({ code: 'GOLD', reason: 'Requires a customer on the sale' })
+    ]);
+    expect(DiscountRepository.findPromotionCandidates).toHaveBeenCalledWith(['SPEND', 'NOPE'], expect.any(Date));
+  });
+
+  it('returns free items still to be added to the cart', async () => {
+    const freeMug = promotion({
+      code: 'MUG',
+      type: 'free_item',
+      applicableTo: 'products',
+      applicableProducts: [kettle._id],
+      promotion: { freeProduct: mug._id, freeQuantity: 1 }
+    });
+
+    const result = await evaluate([freeMug]);
+
+    expect(result.totalDiscount).toBe(0);
+    expect(result.freeItems).toEqual([{ product: mug._id, name: 'Mug', quantity: 1, code: 'MUG' }]);
+  });
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/RecallRepository', () => ({ findById: jest.fn() }));
+jest.mock('../repositories/BatchRepository', () => ({ findById: jest.fn() }));
+jest.mock('../services/inventoryService', () => ({
+  releaseStock: jest.fn(),
+  updateStock: jest.fn()
+}));
+
+const RecallRepository = require('../repositories/RecallRepository');
+const BatchRepository = require('../repositories/BatchRepository');
+const inventoryService = require('../services/inventoryService');
+const recallService = require('../services/recallService');
+
+const id = () => new mongoose.Types.ObjectId();
+const user = { _id: id() };
+const product = id();
+
+let recall;
+let batch;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  batch = {
+    _id: id(),
+    product,
+    batchNumber: 'PI-3-1',
+    currentQuantity: 6,
+    status: 'recalled',
+    location: { warehouse: 'lahore' },
+    save: jest.fn()
+  };
+  // 10 were reserved when the recall opened; 4 have since left the batch
+  recall = {
+    _id: id(),
+    recallNumber: 'RC-0001',
+    status: 'in_progress',
+    batches: [{ batch: batch._id, reservedQuantity: 10 }],
+    save: jest.fn(async function() { return this; })
+  };
+  RecallRepository.findById.mockResolvedValue(recall);
+  BatchRepository.findById.mockResolvedValue(batch);
+  jest.spyOn(recallService, 'getClosureReport').mockResolvedValue({
+    totals: { distributedQuantity: 20, recoveredQuantity: 15, outstandingQuantity: 5, quantityOnHand: 6 }
+  });
+});
+
+describe('recallService.closeRecall', () => {
+  it('keeps quarantined stock reserved, trimmed to what is still on hand', async () => {
+    const closed = await recallService.closeRecall(recall._id, {}, user);
+
+    expect(closed.closureDisposition).toBe('quarantine');
+    expect(inventoryService.releaseStock).toHaveBeenCalledWith({ productId: product, quantity: 4, warehouse: 'lahore' });
+    expect(closed.batches[0].reservedQuantity).toBe(6);
+    expect(batch.status).toBe('quarantined');
+    expect(inventoryService.updateStock).not.toHaveBeenCalled();
+  });
+
+  it('releases the reservation and writes off the stock on hand', async () => {
+    const closed = await recallService.closeRecall(recall._id, { disposition: 'write_off' }, user);
+
+    expect(inventoryService.releaseStock).toHaveBeenCalledWith({ productId: product, quantity: 10, warehouse: 'lahore' });
+    expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({
+      productId: product,
+      type: 'out',
+      quantity: 6,
+      reason: 'Recall write-off',
+      warehouse: 'lahore'
+    }));
+    expect(closed.batches[0]).toMatchObject({ reservedQuantity: 0, writtenOffQuantity: 6 });
+    expect(batch.currentQuantity).toBe(0);
+    expect(closed.status).toBe('closed');
+  });
+});
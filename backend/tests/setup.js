@@ -0,0 +1,13 @@
+// Jest setup: the unit tests mock repositories and models, so no database connection is opened
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Services log and continue on non-critical failures; keep that noise out of the test output
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
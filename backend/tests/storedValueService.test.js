@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/StoredValueCardRepository', () => ({
+  findByCode: jest.fn(),
+  findWalletCards: jest.fn(),
+  findExpiredCards: jest.fn(),
+  findById: jest.fn(),
+  updateById: jest.fn(),
+  applyMovement: jest.fn(),
+  sumWalletBalance: jest.fn(),
+  linkExpiryToVoucher: jest.fn()
+}));
+jest.mock('../repositories/CustomerRepository', () => ({ updateById: jest.fn() }));
+jest.mock('../services/transactionUtils', () => ({
+  runWithTransactionRetry: jest.fn(fn => fn({ id: 'transaction-session' }))
+}));
+
+const storedValueCardRepository = require('../repositories/StoredValueCardRepository');
+const customerRepository = require('../repositories/CustomerRepository');
+const AccountingService = require('../services/accountingService');
+const storedValueService = require('../services/storedValueService');
+
+const id = () => new mongoose.Types.ObjectId();
+const user = { _id: id() };
+const customer = { _id: id(), name: 'Bilal Stores' };
+const past = new Date('2025-12-31T18:59:59.999Z');
+const future = new Date('2099-12-31T18:59:59.999Z');
+
+// Cards by id, standing in for the StoredValueCard collection
+let cards;
+const card = (fields) => {
+  const saved = { _id: id(), type: 'gift_card', status: 'active', expiresAt: future, transactions: [], ...fields };
+  cards.set(saved._id.toString(), saved);
+  return saved;
+};
+const snapshot = (saved) => ({ ...saved, transactions: [...saved.transactions] });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  cards = new Map();
+
+  storedValueCardRepository.findByCode.mockImplementation(async (code) =>
+    [...cards.values()].find(saved => saved.code === code) || null);
+  storedValueCardRepository.findById.mockImplementation(async (cardId) => {
+    const saved = cards.get(String(cardId));
+    return saved ? snapshot(saved) : null;
+  });
+  storedValueCardRepository.updateById.mockImplementation(async (cardId, update) =>
+    Object.assign(cards.get(String(cardId)), update));
+  // Same guard as the repository: deductions need an active card holding the amount
+  storedValueCardRepository.applyMovement.mockImplementation(async (cardId, amount, entry) => {
+    const saved = cards.get(String(cardId));
+    if (!saved || (amount < 0 && (saved.status !== 'active' || saved.balance < -amount))) return null;
+    saved.balance = Math.round((saved.balance + amount) * 100) / 100;
+    saved.transactions.push({ ...entry, amount, balanceAfter: saved.balance });
+    return snapshot(saved);
+  });
+  storedValueCardRepository.sumWalletBalance.mockImplementation(async (customerId) =>
+    [...cards.values()]
+      .filter(saved => String(saved.customer) === String(customerId) && saved.status === 'active')
+      .reduce((sum, saved) => sum + saved.balance, 0));
+
+  jest.spyOn(AccountingService, 'getStoredValueAccountCodes').mockResolvedValue({ liability: '2150', breakage: '4150' });
+  jest.spyOn(AccountingService, 'postJournalVoucher').mockImplementation(async (data) =>
+    ({ _id: id(), voucherNumber: 'JV-SV-000001', ...data }));
+});
+
+describe('storedValueService.quoteRedemption', () => {
+  it('splits store credit over wallet cards, soonest to expire first, after any cards tendered', async () => {
+    const gift = card({ code: 'GC-AAAA-BBBB', balance: 300 });
+    const soon = card({ code: 'CN-SOON', type: 'credit_note', customer: customer._id, balance: 100, expiresAt: new Date('2099-01-31') });
+    const later = card({ code: 'CN-LATER', type: 'credit_note', customer: customer._id, balance: 400 });
+    storedValueCardRepository.findWalletCards.mockResolvedValue([soon, later]);
+
+    const quote = await storedValueService.quoteRedemption({
+      cards: [{ code: 'GC-AAAA-BBBB', amount: 250 }],
+      storeCredit: 150,
+      customer,
+      billTotal: 1000
+    });
+
+    expect(quote.amount).toBe(400);
+    expect(quote.legs).toEqual([
+      { card: gift._id, code: 'GC-AAAA-BBBB', type: 'gift_card', amount: 250 },
+      { card: soon._id, code: 'CN-SOON', type: 'credit_note', amount: 100 },
+      { card: later._id, code: 'CN-LATER', type: 'credit_note', amount: 50 }
+    ]);
+  });
+
+  it('refuses cards that cannot pay', async () => {
+    card({ code: 'GC-OLD', balance: 100, expiresAt: past });
+    card({ code: 'GC-USED', balance: 0, status: 'redeemed' });
+    card({ code: 'CN-OTHER', type: 'credit_note', customer: id(), balance: 100 });
+    card({ code: 'GC-LOW', balance: 50 });
+    const quote = (code, amount, billTotal = 1000) =>
+      storedValueService.quoteRedemption({ cards: [{ code, amount }], customer, billTotal });
+
+    await expect(quote('GC-OLD', 10)).rejects.toThrow('Cannot redeem GC-OLD: it expired on 2025-12-31');
+    await expect(quote('GC-USED', 10)).rejects.toThrow('Cannot redeem GC-USED: it is redeemed');
+    await expect(quote('CN-OTHER', 10)).rejects.toThrow('Cannot redeem CN-OTHER: it belongs to another customer');
+    await expect(quote('GC-LOW', 60)).rejects.toThrow('Cannot redeem 60 from GC-LOW: its balance is 50');
+    await expect(quote('GC-LOW', 50, 40)).rejects.toThrow('Cannot redeem 50 in gift cards and store credit against a bill of 40');
+    await expect(quote('GC-NONE', 10)).rejects.toThrow('Cannot redeem GC-NONE: no gift card or credit note has this code');
+  });
+});
+
+describe('storedValueService.redeemForSale', () => {
+  const sale = (legs) => ({
+    _id: id(),
+    orderNumber: 'SO-2001',
+    billDate: new Date('2026-03-01'),
+    payment: { storedValue: legs }
+  });
+
+  it('draws every leg down inside the sale transaction and refreshes the wallet', async () => {
+    const gift = card({ code: 'GC-1', balance: 300 });
+    const credit = card({ code: 'CN-1', type: 'credit_note', customer: customer._id, balance: 200 });
+    const session = { id: 'sale-session' };
+
+    await storedValueService.redeemForSale(sale([
+      { card: gift._id, code: 'GC-1', amount: 300 },
+      { card: credit._id, code: 'CN-1', amount: 50 }
+    ]), user, { session });
+
+    expect(gift.balance).toBe(0);
+    expect(credit.balance).toBe(150);
+    expect(credit.transactions[0]).toMatchObject({ type: 'redeem', amount: -50, reference: 'SO-2001' });
+    expect(storedValueCardRepository.applyMovement).toHaveBeenCalledWith(gift._id, -300, expect.any(Object), { session });
+    expect(customerRepository.updateById).toHaveBeenCalledWith(customer._id.toString(), { storeCreditBalance: 150 }, { session });
+  });
+
+  it('puts drawn legs back and refuses the sale when a card no longer holds enough', async () => {
+    const gift = card({ code: 'GC-1', balance: 300 });
+    const spent = card({ code: 'GC-2', balance: 20 });
+
+    await expect(storedValueService.redeemForSale(sale([
+      { card: gift._id, code: 'GC-1', amount: 100 },
+      { card: spent._id, code: 'GC-2', amount: 50 }
+    ]), user)).rejects.toThrow('Cannot redeem 50 from GC-2: its balance has changed');
+
+    expect(gift.balance).toBe(300);
+    expect(gift.transactions.map(entry => entry.type)).toEqual(['redeem', 'refund']);
+    expect(spent.balance).toBe(20);
+  });
+
+  it('leaves the put-back to the transaction when drawing down inside one', async () => {
+    const gift = card({ code: 'GC-1', balance: 300 });
+    const spent = card({ code: 'GC-2', balance: 20 });
+
+    await expect(storedValueService.redeemForSale(sale([
+      { card: gift._id, code: 'GC-1', amount: 100 },
+      { card: spent._id, code: 'GC-2', amount: 50 }
+    ]), user, { session: { id: 'sale-session' } })).rejects.toThrow('its balance has changed');
+
+    expect(gift.transactions.map(entry => entry.type)).toEqual(['redeem']);
+  });
+});
+
+describe('storedValueService.reverseForSale', () => {
+  beforeEach(() => {
+    jest.spyOn(AccountingService, 'getDefaultAccountCodes').mockResolvedValue({ salesRevenue: '4000' });
+    jest.spyOn(AccountingService, 'getAccountCode').mockResolvedValue('4100');
+  });
+
+  it('credits every leg back to its card and reverses the liability in one transaction', async () => {
+    const gift = card({ code: 'GC-1', balance: 0, status: 'redeemed' });
+    const credit = card({ code: 'CN-1', type: 'credit_note', customer: customer._id, balance: 150 });
+    const order = {
+      _id: id(),
+      orderNumber: 'SO-2001',
+      payment: { storedValue: [
+        { card: gift._id, code: 'GC-1', amount: 300 },
+        { card: credit._id, code: 'CN-1', amount: 50 }
+      ] }
+    };
+
+    await storedValueService.reverseForSale(order, user, { reason: 'deleted' });
+
+    expect(gift).toMatchObject({ balance: 300 });
+    expect(credit.balance).toBe(200);
+    expect(credit.transactions[0]).toMatchObject({
+      type: 'refund', amount: 50, sale: order._id, description: 'Credited back: sale SO-2001 was deleted'
+    });
+    expect(AccountingService.postJournalVoucher.mock.calls[0][0]).toMatchObject({
+      reference: 'SO-2001',
+      lines: [
+        { accountCode: '4100', debit: 350 },
+        { accountCode: '2150', credit: 350 }
+      ],
+      session: { id: 'transaction-session' }
+    });
+    expect(customerRepository.updateById).toHaveBeenCalledWith(customer._id.toString(), { storeCreditBalance: 200 }, { session: { id: 'transaction-session' } });
+  });
+
+  it('does nothing for a sale paid without stored value', async () => {
+    await expect(storedValueService.reverseForSale({ orderNumber: 'SO-1', payment: {} }, user)).resolves.toEqual([]);
+    expect(AccountingService.postJournalVoucher).not.toHaveBeenCalled();
+  });
+});
+
+describe('storedValueService.expireCards', () => {
+  it('expires lapsed balances and posts breakage for the amount that actually expired', async () => {
+    const lapsed = card({ code: 'GC-1', balance: 120.5, expiresAt: past });
+    const wallet = card({ code: 'CN-1', type: 'credit_note', customer: customer._id, balance: 80, expiresAt: past });
+    const live = card({ code: 'CN-2', type: 'credit_note', customer: customer._id, balance: 40 });
+    // Listed as lapsed, but redeemed in full before the run reached it
+    const redeemed = card({ code: 'GC-2', balance: 0, status: 'redeemed', expiresAt: past });
+    storedValueCardRepository.findExpiredCards.mockResolvedValue([
+      { ...lapsed, balance: 120.5 },
+      { ...wallet },
+      { ...redeemed, balance: 60, status: 'active' }
+    ]);
+    const session = { id: 'transaction-session' };
+
+    const result = await storedValueService.expireCards(new Date('2026-01-01'));
+
+    expect(result).toEqual({ cards: 2, amount: 200.5, voucher: 'JV-SV-000001' });
+    expect(lapsed).toMatchObject({ balance: 0, status: 'expired' });
+    expect(wallet).toMatchObject({ balance: 0, status: 'expired' });
+    expect(redeemed.status).toBe('redeemed');
+    expect(live.balance).toBe(40);
+
+    expect(AccountingService.postJournalVoucher).toHaveBeenCalledTimes(1);
+    expect(AccountingService.postJournalVoucher.mock.calls[0][0]).toMatchObject({
+      lines: [
+        { accountCode: '2150', debit: 200.5 },
+        { accountCode: '4150', credit: 200.5 }
+      ],
+      metadata: { source: 'stored_value_expiry', cards: [lapsed._id, wallet._id] },
+      session
+    });
+    expect(storedValueCardRepository.linkExpiryToVoucher).toHaveBeenCalledWith(
+      [lapsed._id, wallet._id], new Date('2026-01-01'), expect.objectContaining({ voucherNumber: 'JV-SV-000001' }), { session });
+    expect(customerRepository.updateById).toHaveBeenCalledWith(customer._id.toString(), { storeCreditBalance: 40 }, { session });
+  });
+
+  it('posts nothing when every listed card was spent before the run', async () => {
+    const redeemed = card({ code: 'GC-2', balance: 0, status: 'redeemed', expiresAt: past });
+    storedValueCardRepository.findExpiredCards.mockResolvedValue([{ ...redeemed, balance: 60, status: 'active' }]);
+
+    const result = await storedValueService.expireCards(new Date('2026-01-01'));
+
+    expect(result).toEqual({ cards: 0, amount: 0, voucher: null });
+    expect(AccountingService.postJournalVoucher).not.toHaveBeenCalled();
+  });
+});
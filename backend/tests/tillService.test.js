@@ -0,0 +1,63 @@
+jest.mock('../repositories/TillSessionRepository', () => ({}));
+jest.mock('../repositories/SalesRepository', () => ({ findAll: jest.fn() }));
+jest.mock('../repositories/CashReceiptRepository', () => ({ findAll: jest.fn() }));
+jest.mock('../repositories/CashPaymentRepository', () => ({ findAll: jest.fn() }));
+jest.mock('../repositories/ReturnRepository', () => ({ findAll: jest.fn() }));
+
+const SalesRepository = require('../repositories/SalesRepository');
+const CashReceiptRepository = require('../repositories/CashReceiptRepository');
+const CashPaymentRepository = require('../repositories/CashPaymentRepository');
+const ReturnRepository = require('../repositories/ReturnRepository');
+const tillService = require('../services/tillService');
+
+const session = {
+  user: 'cashier',
+  openedAt: new Date('2026-03-01T08:00:00.000Z'),
+  openingAmount: 5000,
+  cashMovements: [{ type: 'drop', amount: 1000 }]
+};
+
+const sale = (fields) => ({
+  pricing: { subtotal: fields.total, discountAmount: 0, taxAmount: 0, total: fields.total },
+  payment: { method: 'cash', amountPaid: fields.total, ...fields.payment },
+  loyalty: fields.loyalty
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CashReceiptRepository.findAll.mockResolvedValue([]);
+  CashPaymentRepository.findAll.mockResolvedValue([]);
+  ReturnRepository.findAll.mockResolvedValue([]);
+});
+
+describe('tillService.calculateExpectedCash', () => {
+  it('counts only the cash part of sales paid partly with points, gift cards or store credit', async () => {
+    SalesRepository.findAll.mockResolvedValue([
+      sale({ total: 1000 }),
+      // 1500 paid: 100 in points, 300 on a gift card, 200 from a credit note, 900 in cash
+      sale({
+        total: 1500,
+        loyalty: { pointsRedeemed: 200, amountRedeemed: 100 },
+        payment: { storedValue: [
+          { type: 'gift_card', code: 'GC-1', amount: 300 },
+          { type: 'credit_note', code: 'CN-1', amount: 200 }
+        ] }
+      }),
+      // Paid in full with a gift card
+      sale({ total: 400, payment: { method: 'card', storedValue: [{ type: 'gift_card', code: 'GC-2', amount: 400 }] } })
+    ]);
+
+    const { expectedAmount, breakdown } = await tillService.calculateExpectedCash(session);
+
+    expect(breakdown.cashSales).toBe(1900);
+    expect(expectedAmount).toBe(5900);
+
+    const { byPaymentMethod } = tillService._summarizeSales(await SalesRepository.findAll());
+    expect(byPaymentMethod).toEqual([
+      { method: 'cash', count: 2, amount: 1900 },
+      { method: 'gift_card', count: 2, amount: 700 },
+      { method: 'loyalty_points', count: 1, amount: 100 },
+      { method: 'store_credit', count: 1, amount: 200 }
+    ]);
+  });
+});
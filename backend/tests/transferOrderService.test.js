@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+
+jest.mock('../repositories/TransferOrderRepository', () => ({ findById: jest.fn() }));
+jest.mock('../repositories/WarehouseRepository', () => ({ findById: jest.fn() }));
+jest.mock('../repositories/ProductRepository', () => ({ findById: jest.fn() }));
+jest.mock('../repositories/BatchRepository', () => ({
+  takeQuantity: jest.fn(),
+  returnQuantity: jest.fn(),
+  findById: jest.fn(),
+  findByBatchNumber: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../services/inventoryService', () => ({
+  getWarehouseStock: jest.fn(),
+  updateStock: jest.fn(),
+  resolveWarehouseKey: jest.fn(async (warehouseId) => String(warehouseId))
+}));
+jest.mock('../services/expiryManagementService', () => ({ getFEFOBatches: jest.fn() }));
+jest.mock('../services/stockMovementService', () => ({ createMovement: jest.fn() }));
+jest.mock('../services/transactionUtils', () => ({
+  runWithTransactionRetry: jest.fn(fn => fn({ id: 'session' }))
+}));
+
+const TransferOrder = require('../models/TransferOrder');
+const TransferOrderRepository = require('../repositories/TransferOrderRepository');
+const WarehouseRepository = require('../repositories/WarehouseRepository');
+const BatchRepository = require('../repositories/BatchRepository');
+const inventoryService = require('../services/inventoryService');
+const expiryManagementService = require('../services/expiryManagementService');
+const StockMovementService = require('../services/stockMovementService');
+const transferOrderService = require('../services/transferOrderService');
+
+const id = () => new mongoose.Types.ObjectId();
+const user = { _id: id() };
+const lahore = { _id: id(), name: 'Lahore', code: 'LHR', isActive: true };
+const karachi = { _id: id(), name: 'Karachi', code: 'KHI', isActive: true };
+const productA = id();
+const productB = id();
+
+// Stock rows per "product_warehouse", standing in for the Inventory collection
+let stock;
+const key = (product, warehouse) => `${product}_${warehouse}`;
+
+const buildTransfer = (overrides = {}) => {
+  const transfer = new TransferOrder({
+    transferNumber: 'TO-0001',
+    fromWarehouse: lahore._id,
+    toWarehouse: karachi._id,
+    items: [
+      { product: productA, productName: 'Rice 5kg', quantity: 10 },
+      { product: productB, productName: 'Sugar 1kg', quantity: 4 }
+    ],
+    createdBy: user._id,
+    ...overrides
+  });
+  jest.spyOn(transfer, 'save').mockImplementation(async function () { return this; });
+  return transfer;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stock = {
+    [key(productA, lahore._id)]: { currentStock: 25, reservedStock: 5, cost: { average: 12 } },
+    [key(productB, lahore._id)]: { currentStock: 4, reservedStock: 0, cost: { average: 3 } }
+  };
+
+  WarehouseRepository.findById.mockImplementation(async (warehouseId) =>
+    [lahore, karachi].find(w => String(w._id) === String(warehouseId)) || null);
+  inventoryService.getWarehouseStock.mockImplementation(async (product, warehouse) =>
+    stock[key(product, warehouse)] || null);
+  inventoryService.updateStock.mockImplementation(async ({ productId, type, quantity, warehouse }) => {
+    const rowKey = key(productId, warehouse);
+    const row = stock[rowKey] || (stock[rowKey] = { currentStock: 0, reservedStock: 0, cost: {} });
+    row.currentStock += type === 'out' ? -quantity : quantity;
+    row.save = jest.fn().mockResolvedValue(row);
+    return row;
+  });
+  expiryManagementService.getFEFOBatches.mockResolvedValue([]);
+});
+
+describe('transferOrderService.dispatchTransferOrder', () => {
+  it('takes every line out of the source warehouse and holds it in transit', async () => {
+    const transfer = buildTransfer();
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+
+    const result = await transferOrderService.dispatchTransferOrder(transfer._id, {}, user);
+
+    expect(result.status).toBe('dispatched');
+    expect(result.gatePassNumber).toBe('GP-TO-0001');
+    expect(stock[key(productA, lahore._id)].currentStock).toBe(15);
+    expect(stock[key(productB, lahore._id)].currentStock).toBe(0);
+    expect(result.items.map(item => item.dispatchedQuantity)).toEqual([10, 4]);
+    expect(result.items[0].unitCost).toBe(12);
+    expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'out',
+      warehouse: lahore._id,
+      session: { id: 'session' }
+    }));
+    expect(StockMovementService.createMovement).toHaveBeenCalledTimes(2);
+    expect(StockMovementService.createMovement.mock.calls[0][0]).toMatchObject({
+      movementType: 'transfer_out',
+      previousStock: 25,
+      newStock: 15,
+      fromLocation: 'LHR',
+      toLocation: 'KHI'
+    });
+  });
+
+  it('moves nothing when any line lacks unreserved stock at the source', async () => {
+    stock[key(productA, lahore._id)].reservedStock = 20;
+    const transfer = buildTransfer();
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+
+    await expect(transferOrderService.dispatchTransferOrder(transfer._id, {}, user))
+      .rejects.toThrow('Insufficient stock for Rice 5kg in Lahore. Available: 5, Requested: 10');
+
+    expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    expect(transfer.status).toBe('draft');
+    expect(StockMovementService.createMovement).not.toHaveBeenCalled();
+  });
+
+  it('refuses a transfer that has already been dispatched', async () => {
+    const transfer = buildTransfer({ status: 'dispatched' });
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+
+    await expect(transferOrderService.dispatchTransferOrder(transfer._id, {}, user))
+      .rejects.toThrow('Cannot dispatch a transfer order with status dispatched');
+  });
+
+  it('refuses to dispatch from an inactive warehouse', async () => {
+    WarehouseRepository.findById.mockImplementation(async (warehouseId) =>
+      (String(warehouseId) === String(lahore._id) ? { ...lahore, isActive: false } : karachi));
+    const transfer = buildTransfer();
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+
+    await expect(transferOrderService.dispatchTransferOrder(transfer._id, {}, user))
+      .rejects.toThrow('Cannot transfer stock to or from an inactive warehouse');
+  });
+});
+
+describe('transferOrderService.receiveTransferOrder', () => {
+  const dispatchedTransfer = () => {
+    const transfer = buildTransfer({ status: 'in_transit' });
+    transfer.items[0].dispatchedQuantity = 10;
+    transfer.items[0].unitCost = 12;
+    transfer.items[1].dispatchedQuantity = 4;
+    transfer.items[1].unitCost = 3;
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+    return transfer;
+  };
+
+  it('receives everything outstanding into the destination warehouse by default', async () => {
+    const transfer = dispatchedTransfer();
+
+    const result = await transferOrderService.receiveTransferOrder(transfer._id, {}, user);
+
+    expect(result.status).toBe('received');
+    expect(result.receivedAt).toBeInstanceOf(Date);
+    expect(stock[key(productA, karachi._id)].currentStock).toBe(10);
+    expect(stock[key(productB, karachi._id)].currentStock).toBe(4);
+    // The destination rows were new, so they take the cost carried on the transfer
+    expect(stock[key(productA, karachi._id)].cost.average).toBe(12);
+    expect(stock[key(productA, karachi._id)].save).toHaveBeenCalledWith({ session: { id: 'session' } });
+    expect(inventoryService.updateStock).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'in',
+      warehouse: karachi._id
+    }));
+    expect(StockMovementService.createMovement.mock.calls[0][0]).toMatchObject({
+      movementType: 'transfer_in',
+      previousStock: 0,
+      newStock: 10
+    });
+  });
+
+  it('leaves a partial receipt open and closes the shortfall as a discrepancy', async () => {
+    const transfer = dispatchedTransfer();
+    const [rice, sugar] = transfer.items;
+
+    const partial = await transferOrderService.receiveTransferOrder(transfer._id, {
+      items: [{ itemId: rice._id, receivedQuantity: 6 }]
+    }, user);
+    expect(partial.status).toBe('partially_received');
+    expect(rice.receivedQuantity).toBe(6);
+    expect(stock[key(productA, karachi._id)].currentStock).toBe(6);
+
+    const closed = await transferOrderService.receiveTransferOrder(transfer._id, {
+      items: [{ itemId: sugar._id, receivedQuantity: 4 }],
+      closeTransfer: true
+    }, user);
+    expect(closed.status).toBe('received');
+    expect(rice.discrepancyQuantity).toBe(4);
+    expect(rice.discrepancyReason).toBe('short');
+    expect(sugar.discrepancyQuantity).toBe(0);
+  });
+
+  it('refuses to receive more than is outstanding on a line', async () => {
+    const transfer = dispatchedTransfer();
+
+    await expect(transferOrderService.receiveTransferOrder(transfer._id, {
+      items: [{ itemId: transfer.items[0]._id, receivedQuantity: 11 }]
+    }, user)).rejects.toThrow('Cannot receive 11 of Rice 5kg. Outstanding: 10');
+
+    expect(inventoryService.updateStock).not.toHaveBeenCalled();
+  });
+
+  it('refuses to receive a draft transfer', async () => {
+    const transfer = buildTransfer();
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+
+    await expect(transferOrderService.receiveTransferOrder(transfer._id, {}, user))
+      .rejects.toThrow('Cannot receive a transfer order with status draft');
+  });
+});
+
+describe('transferOrderService batches', () => {
+  let batches;
+  const batch = (fields) => {
+    const saved = { _id: id(), status: 'active', unitCost: 12, save: jest.fn(), ...fields };
+    batches.push(saved);
+    return saved;
+  };
+
+  beforeEach(() => {
+    batches = [];
+    const early = batch({ batchNumber: 'PI-7-1', expiryDate: new Date('2026-06-30'), currentQuantity: 6, location: { warehouse: String(lahore._id) } });
+    const late = batch({ batchNumber: 'PI-9-1', expiryDate: new Date('2026-12-31'), currentQuantity: 20, location: { warehouse: String(lahore._id) } });
+    expiryManagementService.getFEFOBatches.mockImplementation(async (product, quantity) =>
+      (String(product) === String(productA) ? [{ batch: early, quantity: 6 }, { batch: late, quantity: quantity - 6 }] : []));
+
+    const find = (batchId) => batches.find(b => String(b._id) === String(batchId));
+    BatchRepository.takeQuantity.mockImplementation(async (batchId, quantity) => {
+      const found = find(batchId);
+      found.currentQuantity -= quantity;
+      return found;
+    });
+    BatchRepository.returnQuantity.mockImplementation(async (batchId, quantity) => {
+      const found = find(batchId);
+      found.currentQuantity += quantity;
+      return found;
+    });
+    BatchRepository.findById.mockImplementation(async (batchId) => find(batchId));
+    BatchRepository.findByBatchNumber.mockImplementation(async (product, batchNumber, warehouseKey) =>
+      batches.find(b => b.batchNumber === batchNumber && b.location.warehouse === warehouseKey) || null);
+    BatchRepository.create.mockImplementation(async (data) => batch({ ...data, save: jest.fn() }));
+  });
+
+  it('carries dispatched batches to the destination as they are received', async () => {
+    const transfer = buildTransfer();
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+    await transferOrderService.dispatchTransferOrder(transfer._id, {}, user);
+
+    const [early, late] = batches;
+    expect(early).toMatchObject({ currentQuantity: 0, status: 'depleted' });
+    expect(late.currentQuantity).toBe(16);
+    expect(transfer.items[0].batches.map(a => [a.batchNumber, a.quantity])).toEqual([['PI-7-1', 6], ['PI-9-1', 4]]);
+    expect(transfer.items[1].batches).toHaveLength(0);
+
+    // Karachi already holds some of the later lot
+    const karachiLate = batch({ batchNumber: 'PI-9-1', currentQuantity: 2, initialQuantity: 2, totalCost: 24, location: { warehouse: String(karachi._id) } });
+    await transferOrderService.receiveTransferOrder(transfer._id, {
+      items: [{ itemId: transfer.items[0]._id, receivedQuantity: 8 }]
+    }, user);
+
+    expect(BatchRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      batchNumber: 'PI-7-1',
+      initialQuantity: 6,
+      currentQuantity: 6,
+      location: { warehouse: String(karachi._id) }
+    }), { session: { id: 'session' } });
+    expect(karachiLate).toMatchObject({ currentQuantity: 4, initialQuantity: 4, totalCost: 48 });
+    expect(transfer.items[0].batches.map(a => a.receivedQuantity)).toEqual([6, 2]);
+  });
+
+  it('returns dispatched batches to the source when the transfer is cancelled', async () => {
+    const transfer = buildTransfer();
+    TransferOrderRepository.findById.mockResolvedValue(transfer);
+    await transferOrderService.dispatchTransferOrder(transfer._id, {}, user);
+
+    await transferOrderService.cancelTransferOrder(transfer._id, 'Truck unavailable', user);
+
+    const [early, late] = batches;
+    expect(early).toMatchObject({ currentQuantity: 6, status: 'active' });
+    expect(late.currentQuantity).toBe(20);
+  });
+});
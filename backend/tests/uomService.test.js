@@ -0,0 +1,104 @@
+jest.mock('../repositories/UnitOfMeasureRepository', () => ({
+  findAll: jest.fn(),
+  findByCodes: jest.fn()
+}));
+jest.mock('../repositories/ProductRepository', () => ({ findById: jest.fn() }));
+
+const UnitOfMeasure = require('../models/UnitOfMeasure');
+const Product = require('../models/Product');
+const unitOfMeasureRepository = require('../repositories/UnitOfMeasureRepository');
+const productRepository = require('../repositories/ProductRepository');
+const uomService = require('../services/uomService');
+
+const rice = new Product({
+  name: 'Basmati Rice',
+  baseUnit: 'kg',
+  alternateUnits: [{ unit: 'g', conversionFactor: 0.001 }, { unit: 'pack', conversionFactor: 2.5 }]
+});
+const soap = new Product({
+  name: 'Soap Bar',
+  baseUnit: 'pcs',
+  alternateUnits: [{ unit: 'dz', conversionFactor: 12 }, { unit: 'box', conversionFactor: 0.5 }]
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  unitOfMeasureRepository.findAll.mockResolvedValue(UnitOfMeasure.DEFAULT_UNITS);
+  unitOfMeasureRepository.findByCodes.mockImplementation(async (codes) =>
+    UnitOfMeasure.DEFAULT_UNITS.filter(unit => codes.includes(unit.code)));
+});
+
+describe('uomService.normalizeQuantity', () => {
+  it('keeps fractional quantities in units that allow them', async () => {
+    const result = await uomService.normalizeQuantity(rice, 1.25, 'KG');
+
+    expect(result).toMatchObject({ unit: 'kg', unitQuantity: 1.25, conversionFactor: 1, quantity: 1.25 });
+  });
+
+  it('converts an alternate unit to base units without floating point drift', async () => {
+    const grams = await uomService.normalizeQuantity(rice, 1500, 'g');
+    expect(grams.quantity).toBe(1.5);
+
+    const packs = await uomService.normalizeQuantity(rice, 3, 'pack');
+    expect(packs.quantity).toBe(7.5);
+
+    const dozens = await uomService.normalizeQuantity(soap, 3, 'dz');
+    expect(dozens.quantity).toBe(36);
+  });
+
+  it('rejects fractions in a whole-number unit', async () => {
+    await expect(uomService.normalizeQuantity(soap, 1.5))
+      .rejects.toThrow('Cannot use fractional quantity 1.5 for unit pcs');
+  });
+
+  it('rejects more decimal places than the unit allows', async () => {
+    await expect(uomService.normalizeQuantity(rice, 1.2345, 'kg'))
+      .rejects.toThrow('Cannot use more than 3 decimal places for unit kg');
+  });
+
+  it('rejects an alternate unit that converts to a fraction of a whole-number base unit', async () => {
+    await expect(uomService.normalizeQuantity(soap, 3, 'box'))
+      .rejects.toThrow('Cannot use fractional quantity 1.5 for unit pcs');
+  });
+
+  it('rejects units not configured on the product and non-positive quantities', async () => {
+    await expect(uomService.normalizeQuantity(soap, 1, 'kg'))
+      .rejects.toThrow('unit is not configured for this product');
+    await expect(uomService.normalizeQuantity(soap, 0))
+      .rejects.toThrow('Cannot use quantity 0; quantity must be greater than 0');
+    await expect(uomService.normalizeQuantity(soap, 'abc'))
+      .rejects.toThrow('Cannot use quantity abc; quantity must be greater than 0');
+  });
+});
+
+describe('uomService.normalizeLineItems', () => {
+  it('stores base quantities and per-base-unit prices, keeping what was entered on item.uom', async () => {
+    productRepository.findById.mockImplementation(async (id) =>
+      [rice, soap].find(product => String(product._id) === String(id)) || null);
+    const items = [
+      { product: rice._id, quantity: '0.75', unit: 'kg', unitPrice: '400' },
+      { product: rice._id, quantity: 2, unit: 'pack', unitPrice: 500 },
+      { product: soap._id, quantity: 2, unit: 'dz', unitPrice: 240 },
+      { name: 'Delivery charge', quantity: 1, unitPrice: 100 }
+    ];
+
+    await uomService.normalizeLineItems(items);
+
+    expect(items[0]).toMatchObject({ quantity: 0.75, unitPrice: 400, uom: { unit: 'kg', quantity: 0.75 } });
+    expect(items[1]).toMatchObject({
+      quantity: 5,
+      unitPrice: 200,
+      uom: { unit: 'pack', quantity: 2, conversionFactor: 2.5, unitPrice: 500 }
+    });
+    expect(items[2]).toMatchObject({ quantity: 24, unitPrice: 20, uom: { unit: 'dz', quantity: 2 } });
+    // Lines without a product are left for the caller to validate
+    expect(items[3]).toEqual({ name: 'Delivery charge', quantity: 1, unitPrice: 100 });
+  });
+
+  it('rejects a non-numeric unit price', async () => {
+    productRepository.findById.mockResolvedValue(soap);
+
+    await expect(uomService.normalizeLineItems([{ product: soap._id, quantity: 1, unitPrice: 'ten' }]))
+      .rejects.toThrow('Cannot use unit price ten; price must be a number of 0 or more');
+  });
+});
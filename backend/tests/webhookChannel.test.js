@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const webhookChannel = require('../services/notificationChannels/webhookChannel');
+
+const notification = {
+  _id: 'n1',
+  event: 'stock.low',
+  severity: 'warning',
+  category: 'inventory',
+  title: 'Low stock',
+  message: 'Rice 5kg is below its reorder point',
+  recipient: {}
+};
+
+// Local receiver; 127.0.0.1 is only reachable because it is listed as an allowed host
+let server;
+let baseUrl;
+let reply;
+let received;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { headers: req.headers, body };
+      res.writeHead(reply.status, reply.headers || {});
+      res.end(reply.body || '');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  received = null;
+  reply = { status: 200, body: 'ok' };
+  process.env.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  delete process.env.NOTIFICATION_WEBHOOK_SECRET;
+  delete process.env.NOTIFICATION_WEBHOOK_URL;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS;
+});
+
+const send = (url) => webhookChannel.send({ ...notification, recipient: { url } });
+
+describe('webhookChannel.send', () => {
+  it('posts the signed JSON payload', async () => {
+    process.env.NOTIFICATION_WEBHOOK_SECRET = 'shh';
+
+    const result = await send(`${baseUrl}/hook`);
+
+    expect(result).toEqual({ success: true, response: { status: 200, body: 'ok' } });
+    expect(JSON.parse(received.body)).toMatchObject({ id: 'n1', event: 'stock.low', title: 'Low stock' });
+    const signature = crypto.createHmac('sha256', 'shh').update(received.body).digest('hex');
+    expect(received.headers['x-notification-signature']).toBe(`sha256=${signature}`);
+  });
+
+  it('refuses to follow a redirect', async () => {
+    reply = { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data/' } };
+
+    await expect(send(`${baseUrl}/hook`)).rejects.toThrow(
+      'Webhook responded with redirect 302 to http://169.254.169.254/latest/meta-data/; redirects are not followed');
+  });
+
+  it('reports error responses', async () => {
+    reply = { status: 500, body: 'boom' };
+
+    await expect(send(`${baseUrl}/hook`)).rejects.toThrow('Webhook responded with 500: boom');
+  });
+
+  it('refuses private addresses that are not allowed hosts', async () => {
+    delete process.env.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS;
+
+    await expect(send(`${baseUrl}/hook`)).rejects.toThrow('Cannot use webhook URL: 127.0.0.1 is a private or loopback address');
+    await expect(send('http://[::ffff:10.0.0.5]/hook')).rejects.toThrow('is a private or loopback address');
+    await expect(send('ftp://hooks.example.com/hook')).rejects.toThrow('Cannot use webhook URL: only http(s) URLs are allowed');
+    expect(received).toBeNull();
+  });
+
+  it('connects only to the address that was checked when the host is repointed', async () => {
+    delete process.env.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS;
+    // Public when validated, loopback by the time the request looks it up
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    await expect(send('http://hooks.example.com/hook')).rejects.toThrow(
+      'Cannot use webhook URL: hooks.example.com is a private or loopback address');
+    expect(received).toBeNull();
+  });
+});
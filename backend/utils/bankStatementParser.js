@@ -0,0 +1,439 @@
+/**
+ * Bank Statement Parser
+ * Turns uploaded bank statements (CSV, Excel, OFX/QFX, MT940) into a common shape:
+ *
+ * {
+ *   format, accountNumber, currency, periodStart, periodEnd, openingBalance, closingBalance,
+ *   lines: [{ date, valueDate, description, reference, bankReference, amount, balance }]
+ * }
+ *
+ * Dates are 'YYYY-MM-DD' strings. Amounts are signed from the account holder's side:
+ * positive = money into the account (deposit), negative = money out (withdrawal).
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+
+const FORMATS = ['csv', 'excel', 'ofx', 'mt940'];
+
+// Header names recognised in CSV/Excel statements (compared lower-cased, punctuation stripped)
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'txn date', 'trans date', 'posting date', 'post date', 'booking date', 'tran date'],
+  valueDate: ['value date', 'valuedate'],
+  description: ['description', 'narration', 'details', 'particulars', 'transaction details', 'memo', 'remarks', 'transaction description'],
+  reference: ['reference', 'ref', 'ref no', 'reference no', 'reference number', 'cheque no', 'cheque number', 'chq no', 'check number', 'instrument no', 'transaction id', 'transaction reference'],
+  amount: ['amount', 'transaction amount', 'amt'],
+  debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'paid out', 'dr', 'debit amount', 'money out'],
+  credit: ['credit', 'credits', 'deposit', 'deposits', 'paid in', 'cr', 'credit amount', 'money in'],
+  balance: ['balance', 'running balance', 'closing balance', 'available balance', 'ledger balance']
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateString = (year, month, day) => {
+  if (!year || !month || !day || month > 12 || day > 31) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Detect the statement format from the file name, falling back to the content
+ * @param {string} filename - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null}
+ */
+function detectFormat(filename, buffer) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.xls' || ext === '.xlsx') return 'excel';
+  if (ext === '.ofx' || ext === '.qfx') return 'ofx';
+  if (ext === '.sta' || ext === '.mt940' || ext === '.940') return 'mt940';
+
+  const head = buffer.slice(0, 2048).toString('utf8');
+  if (/<OFX>|OFXHEADER/i.test(head)) return 'ofx';
+  if (/^:20:/m.test(head) && /^:61:|^:60[FM]:/m.test(head)) return 'mt940';
+  if (ext === '.txt') return 'csv';
+  return null;
+}
+
+/**
+ * Parse a statement amount such as "1,250.00", "(300.00)", "300.00-", "450.00 CR"
+ * @param {*} value - Cell value
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\s*(dr|db)\.?$/i.test(text)) {
+    sign = -1;
+    text = text.replace(/\s*(dr|db)\.?$/i, '');
+  } else if (/\s*cr\.?$/i.test(text)) {
+    text = text.replace(/\s*cr\.?$/i, '');
+  }
+  if (/-$/.test(text)) {
+    sign = -1;
+    text = text.slice(0, -1);
+  }
+
+  text = text.replace(/[^0-9.-]/g, '');
+  if (!text || text === '-' || text === '.') return null;
+
+  const amount = parseFloat(text);
+  return Number.isFinite(amount) ? sign * amount : null;
+}
+
+/**
+ * Parse a statement date into 'YYYY-MM-DD'
+ * @param {*} value - Cell value (Date, Excel serial number or text)
+ * @param {string} dateOrder - 'DMY' (default, as Pakistani banks print dates) or 'MDY' for slash dates
+ * @returns {string|null}
+ */
+function parseDate(value, dateOrder = 'DMY') {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return toDateString(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? toDateString(parsed.y, parsed.m, parsed.d) : null;
+  }
+
+  const text = String(value).trim();
+  let match;
+
+  // 2026-03-05, 2026/03/05, 20260305
+  if ((match = text.match(/^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})/))) {
+    return toDateString(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  // 05-Mar-2026, 05 Mar 26
+  if ((match = text.match(/^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/. ,]+(\d{2,4})$/))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return toDateString(year, month, Number(match[1]));
+  }
+
+  // 05/03/2026, 5-3-26
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    const [day, month] = dateOrder === 'MDY'
+      ? [Number(match[2]), Number(match[1])]
+      : [Number(match[1]), Number(match[2])];
+    return toDateString(year, month, day);
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime())
+    ? null
+    : toDateString(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+// Find the header row and map each known column to its index
+function findColumns(rows, mapping = {}) {
+  const scanRows = Math.min(rows.length, 25);
+
+  for (let rowIndex = 0; rowIndex < scanRows; rowIndex++) {
+    const headers = (rows[rowIndex] || []).map(normalizeHeader);
+    const columns = {};
+
+    Object.keys(COLUMN_ALIASES).forEach((field) => {
+      const names = mapping[field]
+        ? [normalizeHeader(mapping[field])]
+        : COLUMN_ALIASES[field];
+      const index = headers.findIndex(header => header && names.includes(header));
+      if (index !== -1) columns[field] = index;
+    });
+
+    const hasAmount = columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined;
+    if (columns.date !== undefined && hasAmount) {
+      return { headerRow: rowIndex, columns };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a CSV or Excel statement
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { format: 'csv'|'excel', columns: { date: 'Txn Date', ... }, dateOrder }
+ * @returns {object}
+ */
+function parseSpreadsheet(buffer, options = {}) {
+  const isCsv = options.format === 'csv';
+  // CSV cells stay as text so day-first dates are not reinterpreted as month-first
+  const workbook = XLSX.read(buffer, isCsv ? { type: 'buffer', raw: true } : { type: 'buffer', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error('Cannot import statement: the file has no worksheets');
+  }
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true, blankrows: false });
+  const detected = findColumns(rows, options.columns || {});
+  if (!detected) {
+    throw new Error('Cannot import statement: could not find a date column and an amount (or debit/credit) column');
+  }
+
+  const { headerRow, columns } = detected;
+  const cell = (row, field) => (columns[field] === undefined ? '' : row[columns[field]]);
+  const lines = [];
+
+  rows.slice(headerRow + 1).forEach((row) => {
+    const date = parseDate(cell(row, 'date'), options.dateOrder);
+    if (!date) return; // totals, footers and blank rows
+
+    let amount;
+    if (columns.amount !== undefined) {
+      amount = parseAmount(cell(row, 'amount'));
+    } else {
+      const credit = parseAmount(cell(row, 'credit')) || 0;
+      const debit = parseAmount(cell(row, 'debit')) || 0;
+      amount = Math.abs(credit) - Math.abs(debit);
+    }
+    if (!amount) return;
+
+    const balance = parseAmount(cell(row, 'balance'));
+    lines.push({
+      date,
+      valueDate: parseDate(cell(row, 'valueDate'), options.dateOrder) || undefined,
+      description: String(cell(row, 'description') || '').trim(),
+      reference: String(cell(row, 'reference') || '').trim(),
+      amount,
+      balance: balance === null ? undefined : balance
+    });
+  });
+
+  const result = { format: isCsv ? 'csv' : 'excel', lines };
+
+  // Derive opening/closing balances from the running balance column when present
+  const withBalance = lines.filter(line => line.balance !== undefined);
+  if (withBalance.length > 0) {
+    const first = withBalance[0];
+    const last = withBalance[withBalance.length - 1];
+    const ascending = lines[0].date <= lines[lines.length - 1].date;
+    result.openingBalance = ascending ? first.balance - first.amount : last.balance - last.amount;
+    result.closingBalance = ascending ? last.balance : first.balance;
+  }
+
+  return result;
+}
+
+// Read an OFX tag value (SGML files leave tags unclosed)
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Parse an OFX/QFX statement (SGML v1 or XML v2)
+ * @param {Buffer} buffer - File contents
+ * @returns {object}
+ */
+function parseOfx(buffer) {
+  const text = buffer.toString('utf8');
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('Cannot import statement: file is not a valid OFX document');
+  }
+
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  const lines = blocks.map((block) => {
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    return {
+      date: parseDate(ofxValue(block, 'DTPOSTED')),
+      valueDate: parseDate(ofxValue(block, 'DTAVAIL')) || undefined,
+      description: [name, memo].filter(Boolean).join(' - '),
+      reference: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM') || '',
+      bankReference: ofxValue(block, 'FITID') || undefined,
+      amount
+    };
+  }).filter(line => line.date && line.amount);
+
+  const ledger = text.match(/<LEDGERBAL>[\s\S]*?(?=<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>)/i);
+  const tranList = text.match(/<BANKTRANLIST>[\s\S]*?(?=<STMTTRN>|<\/BANKTRANLIST>)/i);
+  const closingBalance = ledger ? parseAmount(ofxValue(ledger[0], 'BALAMT')) : null;
+
+  return {
+    format: 'ofx',
+    accountNumber: ofxValue(text, 'ACCTID'),
+    currency: ofxValue(text, 'CURDEF'),
+    periodStart: tranList ? parseDate(ofxValue(tranList[0], 'DTSTART')) : undefined,
+    periodEnd: tranList ? parseDate(ofxValue(tranList[0], 'DTEND')) : undefined,
+    closingBalance: closingBalance === null ? undefined : closingBalance,
+    lines
+  };
+}
+
+// MT940 dates are YYMMDD
+const parseSwiftDate = (value) => (
+  value ? toDateString(2000 + Number(value.slice(0, 2)), Number(value.slice(2, 4)), Number(value.slice(4, 6))) : null
+);
+
+// MT940 amounts use a comma as the decimal separator
+const parseSwiftAmount = (value) => parseFloat(String(value).replace(',', '.'));
+
+// :60F:/:62F: balance - C/D mark, date, currency, amount
+const parseSwiftBalance = (value) => {
+  const match = (value || '').match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!match) return null;
+  const amount = parseSwiftAmount(match[4]);
+  return {
+    date: parseSwiftDate(match[2]),
+    currency: match[3],
+    amount: match[1] === 'D' ? -amount : amount
+  };
+};
+
+/**
+ * Parse a SWIFT MT940 statement
+ * @param {Buffer} buffer - File contents
+ * @returns {object}
+ */
+function parseMt940(buffer) {
+  const text = buffer.toString('utf8').replace(/\r\n?/g, '\n');
+
+  // Split into tags; continuation lines belong to the preceding tag
+  const fields = [];
+  text.split('\n').forEach((rawLine) => {
+    const match = rawLine.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length > 0 && rawLine.trim() && !/^-\}?$|^\{/.test(rawLine.trim())) {
+      fields[fields.length - 1].value += `\n${rawLine}`;
+    }
+  });
+
+  if (!fields.some(field => field.tag === '61')) {
+    throw new Error('Cannot import statement: no MT940 transaction (:61:) lines found');
+  }
+
+  const result = { format: 'mt940', lines: [] };
+  let opening = null;
+  let closing = null;
+
+  fields.forEach((field) => {
+    switch (field.tag) {
+      case '25':
+        result.accountNumber = result.accountNumber || field.value.trim();
+        break;
+      case '60F':
+      case '60M':
+        // A multi-page statement repeats :60M:; only the first opening balance counts
+        opening = opening || parseSwiftBalance(field.value);
+        break;
+      case '62F':
+      case '62M':
+        closing = parseSwiftBalance(field.value);
+        break;
+      case '61': {
+        // YYMMDD [MMDD] [R]C|D [funds code] amount N|F|S type-code reference [//bank reference]
+        const [firstLine, ...extra] = field.value.split('\n');
+        const match = firstLine.match(/^(\d{6})(\d{4})?(R?[CD])([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/);
+        if (!match) break;
+
+        const amount = parseSwiftAmount(match[5]);
+        // C = credit, D = debit; RC/RD reverse them
+        const isCredit = match[3] === 'C' || match[3] === 'RD';
+        const date = parseSwiftDate(match[1]);
+        let entryDate = null;
+        if (match[2]) {
+          entryDate = toDateString(Number(date.slice(0, 4)), Number(match[2].slice(0, 2)), Number(match[2].slice(2, 4)));
+        }
+        const reference = match[7].trim();
+
+        result.lines.push({
+          date: entryDate || date,
+          valueDate: date,
+          description: extra.join(' ').trim(),
+          reference: reference === 'NONREF' ? '' : reference,
+          bankReference: match[8] ? match[8].trim() : undefined,
+          amount: isCredit ? amount : -amount
+        });
+        break;
+      }
+      case '86': {
+        // Information to account owner - describes the preceding :61: line
+        const last = result.lines[result.lines.length - 1];
+        if (last) {
+          const info = field.value.replace(/\n/g, ' ').replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+          last.description = [last.description, info].filter(Boolean).join(' ');
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  if (opening) {
+    result.openingBalance = opening.amount;
+    result.currency = opening.currency;
+    result.periodStart = opening.date;
+  }
+  if (closing) {
+    result.closingBalance = closing.amount;
+    result.periodEnd = closing.date;
+  }
+
+  return result;
+}
+
+/**
+ * Parse an uploaded statement
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { filename, format, columns, dateOrder }
+ * @returns {object}
+ */
+function parseStatement(buffer, options = {}) {
+  const format = options.format || detectFormat(options.filename, buffer);
+  if (!FORMATS.includes(format)) {
+    throw new Error('Cannot import statement: unsupported file format (use CSV, Excel, OFX or MT940)');
+  }
+
+  let result;
+  if (format === 'ofx') {
+    result = parseOfx(buffer);
+  } else if (format === 'mt940') {
+    result = parseMt940(buffer);
+  } else {
+    result = parseSpreadsheet(buffer, { ...options, format });
+  }
+
+  if (result.lines.length === 0) {
+    throw new Error('Cannot import statement: no transactions found in the file');
+  }
+
+  // Fill the period from the transactions when the file does not state it
+  const dates = result.lines.map(line => line.date).sort();
+  result.periodStart = result.periodStart || dates[0];
+  result.periodEnd = result.periodEnd || dates[dates.length - 1];
+
+  return result;
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseAmount,
+  parseDate,
+  parseStatement
+};
@@ -27,6 +27,7 @@ const SalesInvoices = lazy(() => import('./pages/Orders').then(m => ({ default:
 const Inventory = lazy(() => import('./pages/Inventory').then(m => ({ default: m.Inventory })));
 const InventoryAlerts = lazy(() => import('./pages/InventoryAlerts'));
 const CustomerAnalytics = lazy(() => import('./pages/CustomerAnalytics'));
+const CustomerStatements = lazy(() => import('./pages/CustomerStatements'));
 const AnomalyDetection = lazy(() => import('./pages/AnomalyDetection'));
 const Warehouses = lazy(() => import('./pages/Warehouses'));
 const Backups = lazy(() => import('./pages/Backups').then(m => ({ default: m.Backups })));
@@ -35,7 +36,12 @@ const Returns = lazy(() => import('./pages/Returns'));
 const SaleReturns = lazy(() => import('./pages/SaleReturns'));
 const PurchaseReturns = lazy(() => import('./pages/PurchaseReturns'));
 const BalanceSheets = lazy(() => import('./pages/BalanceSheets'));
+const CashFlowStatements = lazy(() => import('./pages/CashFlowStatements'));
 const Discounts = lazy(() => import('./pages/Discounts'));
+const PriceLists = lazy(() => import('./pages/PriceLists'));
+const GiftCards = lazy(() => import('./pages/GiftCards'));
+const Loyalty = lazy(() => import('./pages/Loyalty'));
+const Quotations = lazy(() => import('./pages/Quotations'));
 const SalesPerformanceReports = lazy(() => import('./pages/SalesPerformanceReports'));
 const InventoryReports = lazy(() => import('./pages/InventoryReports'));
 const CashReceipts = lazy(() => import('./pages/CashReceipts'));
@@ -45,11 +51,22 @@ const Cities = lazy(() => import('./pages/Cities'));
 const Expenses = lazy(() => import('./pages/Expenses'));
 const BankReceipts = lazy(() => import('./pages/BankReceipts'));
 const BankPayments = lazy(() => import('./pages/BankPayments'));
+const BankReconciliation = lazy(() => import('./pages/BankReconciliation'));
+const Cheques = lazy(() => import('./pages/Cheques'));
+const PaymentProposals = lazy(() => import('./pages/PaymentProposals'));
 const Reports = lazy(() => import('./pages/Reports').then(m => ({ default: m.Reports })));
 const Settings2 = lazy(() => import('./pages/Settings').then(m => ({ default: m.Settings2 })));
 const StockMovements = lazy(() => import('./pages/StockMovements').then(m => ({ default: m.StockMovements })));
+const TransferOrders = lazy(() => import('./pages/TransferOrders'));
+const Batches = lazy(() => import('./pages/Batches'));
+const Recalls = lazy(() => import('./pages/Recalls'));
 const ChartOfAccounts = lazy(() => import('./pages/ChartOfAccounts'));
 const AccountLedgerSummary = lazy(() => import('./pages/AccountLedgerSummary'));
+const FixedAssets = lazy(() => import('./pages/FixedAssets'));
+const Currencies = lazy(() => import('./pages/Currencies'));
+const FiscalYearClose = lazy(() => import('./pages/FiscalYearClose'));
+const TaxReturns = lazy(() => import('./pages/TaxReturns'));
+const WithholdingTax = lazy(() => import('./pages/WithholdingTax'));
 const Migration = lazy(() => import('./pages/Migration'));
 const BackdateReport = lazy(() => import('./pages/BackdateReport'));
 const Categories = lazy(() => import('./pages/Categories'));
@@ -61,6 +78,10 @@ const Attendance = lazy(() => import('./pages/Attendance'));
 const Employees = lazy(() => import('./pages/Employees'));
 const ProductVariants = lazy(() => import('./pages/ProductVariants'));
 const ProductTransformations = lazy(() => import('./pages/ProductTransformations'));
+const UnitsOfMeasure = lazy(() => import('./pages/UnitsOfMeasure'));
+const Budgets = lazy(() => import('./pages/Budgets'));
+const Till = lazy(() => import('./pages/Till'));
+const ScheduledReports = lazy(() => import('./pages/ScheduledReports'));
 const CCTVAccess = lazy(() => import('./pages/CCTVAccess'));
 
 function App() {
@@ -80,14 +101,17 @@ function App() {
                     <Routes>
                       <Route path="/" element={<Navigate to="/dashboard" replace />} />
                       <Route path="/dashboard" element={<Dashboard />} />
+                      <Route path="/quotations" element={<Suspense fallback={<LoadingPage />}><Quotations /></Suspense>} />
                       <Route path="/sales-orders" element={<Suspense fallback={<LoadingPage />}><SalesOrders /></Suspense>} />
                       <Route path="/sales" element={<Suspense fallback={<LoadingPage />}><Sales /></Suspense>} />
+                      <Route path="/till" element={<Suspense fallback={<LoadingPage />}><Till /></Suspense>} />
                       <Route path="/purchase-orders" element={<Suspense fallback={<LoadingPage />}><PurchaseOrders /></Suspense>} />
                       <Route path="/purchase-invoices" element={<Suspense fallback={<LoadingPage />}><PurchaseInvoices /></Suspense>} />
                       <Route path="/purchase" element={<Suspense fallback={<LoadingPage />}><Purchase /></Suspense>} />
                       <Route path="/products" element={<Suspense fallback={<LoadingPage />}><Products /></Suspense>} />
                       <Route path="/product-variants" element={<Suspense fallback={<LoadingPage />}><ProductVariants /></Suspense>} />
                       <Route path="/product-transformations" element={<Suspense fallback={<LoadingPage />}><ProductTransformations /></Suspense>} />
+                      <Route path="/units-of-measure" element={<Suspense fallback={<LoadingPage />}><UnitsOfMeasure /></Suspense>} />
                       <Route path="/categories" element={<Suspense fallback={<LoadingPage />}><Categories /></Suspense>} />
                       <Route path="/customers" element={<Suspense fallback={<LoadingPage />}><Customers /></Suspense>} />
                       <Route path="/suppliers" element={<Suspense fallback={<LoadingPage />}><Suppliers /></Suspense>} />
@@ -97,16 +121,24 @@ function App() {
                       <Route path="/inventory" element={<Suspense fallback={<LoadingPage />}><Inventory /></Suspense>} />
                       <Route path="/inventory-alerts" element={<Suspense fallback={<LoadingPage />}><InventoryAlerts /></Suspense>} />
                       <Route path="/customer-analytics" element={<Suspense fallback={<LoadingPage />}><CustomerAnalytics /></Suspense>} />
+                      <Route path="/customer-statements" element={<Suspense fallback={<LoadingPage />}><CustomerStatements /></Suspense>} />
                       <Route path="/anomaly-detection" element={<Suspense fallback={<LoadingPage />}><AnomalyDetection /></Suspense>} />
                       <Route path="/warehouses" element={<Suspense fallback={<LoadingPage />}><Warehouses /></Suspense>} />
                       <Route path="/stock-movements" element={<Suspense fallback={<LoadingPage />}><StockMovements /></Suspense>} />
+                      <Route path="/transfer-orders" element={<Suspense fallback={<LoadingPage />}><TransferOrders /></Suspense>} />
+                      <Route path="/batches" element={<Suspense fallback={<LoadingPage />}><Batches /></Suspense>} />
+                      <Route path="/recalls" element={<Suspense fallback={<LoadingPage />}><Recalls /></Suspense>} />
                       <Route path="/backups" element={<Suspense fallback={<LoadingPage />}><Backups /></Suspense>} />
                       <Route path="/pl-statements" element={<Suspense fallback={<LoadingPage />}><PLStatements /></Suspense>} />
                       <Route path="/returns" element={<Suspense fallback={<LoadingPage />}><Returns /></Suspense>} />
                       <Route path="/sale-returns" element={<Suspense fallback={<LoadingPage />}><SaleReturns /></Suspense>} />
                       <Route path="/purchase-returns" element={<Suspense fallback={<LoadingPage />}><PurchaseReturns /></Suspense>} />
                       <Route path="/balance-sheets" element={<Suspense fallback={<LoadingPage />}><BalanceSheets /></Suspense>} />
+                      <Route path="/cash-flow-statements" element={<Suspense fallback={<LoadingPage />}><CashFlowStatements /></Suspense>} />
                       <Route path="/discounts" element={<Suspense fallback={<LoadingPage />}><Discounts /></Suspense>} />
+                      <Route path="/price-lists" element={<Suspense fallback={<LoadingPage />}><PriceLists /></Suspense>} />
+                      <Route path="/gift-cards" element={<Suspense fallback={<LoadingPage />}><GiftCards /></Suspense>} />
+                      <Route path="/loyalty" element={<Suspense fallback={<LoadingPage />}><Loyalty /></Suspense>} />
                       <Route path="/sales-performance" element={<Suspense fallback={<LoadingPage />}><SalesPerformanceReports /></Suspense>} />
                       <Route path="/inventory-reports" element={<Suspense fallback={<LoadingPage />}><InventoryReports /></Suspense>} />
                       <Route path="/cash-receipts" element={<Suspense fallback={<LoadingPage />}><CashReceipts /></Suspense>} />
@@ -114,12 +146,22 @@ function App() {
                       <Route path="/cash-payments" element={<Suspense fallback={<LoadingPage />}><CashPayments /></Suspense>} />
                       <Route path="/cities" element={<Suspense fallback={<LoadingPage />}><Cities /></Suspense>} />
                       <Route path="/expenses" element={<Suspense fallback={<LoadingPage />}><Expenses /></Suspense>} />
+                      <Route path="/budgets" element={<Suspense fallback={<LoadingPage />}><Budgets /></Suspense>} />
                       <Route path="/bank-receipts" element={<Suspense fallback={<LoadingPage />}><BankReceipts /></Suspense>} />
                       <Route path="/bank-payments" element={<Suspense fallback={<LoadingPage />}><BankPayments /></Suspense>} />
+                      <Route path="/bank-reconciliation" element={<Suspense fallback={<LoadingPage />}><BankReconciliation /></Suspense>} />
+                      <Route path="/cheques" element={<Suspense fallback={<LoadingPage />}><Cheques /></Suspense>} />
+                      <Route path="/payment-proposals" element={<Suspense fallback={<LoadingPage />}><PaymentProposals /></Suspense>} />
                       <Route path="/journal-vouchers" element={<Suspense fallback={<LoadingPage />}><JournalVouchers /></Suspense>} />
                       <Route path="/chart-of-accounts" element={<Suspense fallback={<LoadingPage />}><ChartOfAccounts /></Suspense>} />
                       <Route path="/account-ledger" element={<Suspense fallback={<LoadingPage />}><AccountLedgerSummary /></Suspense>} />
+                      <Route path="/fixed-assets" element={<Suspense fallback={<LoadingPage />}><FixedAssets /></Suspense>} />
+                      <Route path="/currencies" element={<Suspense fallback={<LoadingPage />}><Currencies /></Suspense>} />
+                      <Route path="/fiscal-year-close" element={<Suspense fallback={<LoadingPage />}><FiscalYearClose /></Suspense>} />
+                      <Route path="/tax-returns" element={<Suspense fallback={<LoadingPage />}><TaxReturns /></Suspense>} />
+                      <Route path="/withholding-tax" element={<Suspense fallback={<LoadingPage />}><WithholdingTax /></Suspense>} />
                       <Route path="/reports" element={<Suspense fallback={<LoadingPage />}><Reports /></Suspense>} />
+                      <Route path="/scheduled-reports" element={<Suspense fallback={<LoadingPage />}><ScheduledReports /></Suspense>} />
                       <Route path="/backdate-report" element={<Suspense fallback={<LoadingPage />}><BackdateReport /></Suspense>} />
                       <Route path="/settings" element={<Suspense fallback={<LoadingPage />}><Settings2 /></Suspense>} />
                       <Route path="/migration" element={<Suspense fallback={<LoadingPage />}><Migration /></Suspense>} />
@@ -24,6 +24,9 @@ import { useGetCustomersQuery } from '../store/services/customersApi';
 import { showSuccessToast, showErrorToast, handleApiError } from '../utils/errorHandler';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 
+// Rules-based promotion types; their terms go in `promotion` instead of `value`
+const PROMOTION_TYPES = ['buy_x_get_y', 'bundle', 'tiered_spend', 'free_item'];
+
 const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
   const [formData, setFormData] = useState({
     name: '',
@@ -46,6 +49,17 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
     combinableWithOtherDiscounts: false,
     combinableDiscounts: [],
     priority: 0,
+    autoApply: false,
+    promotion: {
+      buyQuantity: 2,
+      getQuantity: 1,
+      getDiscountPercent: 100,
+      bundleQuantity: 2,
+      bundlePrice: '',
+      tiers: [{ minimumSpend: '', type: 'percentage', value: '' }],
+      freeProduct: '',
+      freeQuantity: 1
+    },
     conditions: {
       minimumQuantity: 1,
       maximumQuantity: '',
@@ -125,6 +139,88 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
     }
   };
 
+  const isPromotion = PROMOTION_TYPES.includes(formData.type);
+
+  // Check the terms the selected promotion type needs
+  const validatePromotionTerms = () => {
+    const { promotion } = formData;
+    switch (formData.type) {
+      case 'buy_x_get_y':
+        if (!(parseInt(promotion.buyQuantity) >= 1) || !(parseInt(promotion.getQuantity) >= 1)) {
+          return 'Buy and get quantities must be at least 1';
+        }
+        if (!(parseFloat(promotion.getDiscountPercent) > 0) || parseFloat(promotion.getDiscountPercent) > 100) {
+          return 'Discount on the free units must be between 1 and 100%';
+        }
+        break;
+      case 'bundle':
+        if (!(parseInt(promotion.bundleQuantity) >= 2)) {
+          return 'A bundle needs at least 2 items';
+        }
+        if (promotion.bundlePrice === '' || !(parseFloat(promotion.bundlePrice) >= 0)) {
+          return 'Bundle price is required';
+        }
+        break;
+      case 'tiered_spend':
+        if (promotion.tiers.length === 0) {
+          return 'At least one spend tier is required';
+        }
+        if (promotion.tiers.some(tier => tier.minimumSpend === '' || !(parseFloat(tier.value) > 0))) {
+          return 'Every tier needs a minimum spend and a discount greater than 0';
+        }
+        if (promotion.tiers.some(tier => tier.type === 'percentage' && parseFloat(tier.value) > 100)) {
+          return 'Percentage tier discount cannot exceed 100%';
+        }
+        break;
+      case 'free_item':
+        if (!promotion.freeProduct) {
+          return 'Select the product given free';
+        }
+        if (!(parseInt(promotion.freeQuantity) >= 1)) {
+          return 'Free quantity must be at least 1';
+        }
+        break;
+      default:
+        break;
+    }
+    return null;
+  };
+
+  // Only the terms of the selected type are sent
+  const buildPromotionTerms = () => {
+    const { promotion } = formData;
+    switch (formData.type) {
+      case 'buy_x_get_y':
+        return {
+          buyQuantity: parseInt(promotion.buyQuantity),
+          getQuantity: parseInt(promotion.getQuantity),
+          getDiscountPercent: parseFloat(promotion.getDiscountPercent)
+        };
+      case 'bundle':
+        return {
+          bundleQuantity: parseInt(promotion.bundleQuantity),
+          bundlePrice: parseFloat(promotion.bundlePrice)
+        };
+      case 'tiered_spend':
+        return {
+          tiers: promotion.tiers
+            .map(tier => ({
+              minimumSpend: parseFloat(tier.minimumSpend),
+              type: tier.type,
+              value: parseFloat(tier.value)
+            }))
+            .sort((a, b) => a.minimumSpend - b.minimumSpend)
+        };
+      case 'free_item':
+        return {
+          freeProduct: promotion.freeProduct,
+          freeQuantity: parseInt(promotion.freeQuantity)
+        };
+      default:
+        return undefined;
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -139,7 +235,7 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
       newErrors.code = 'Code can only contain uppercase letters, numbers, hyphens, and underscores';
     }
 
-    if (formData.value <= 0) {
+    if (!isPromotion && formData.value <= 0) {
       newErrors.value = 'Value must be greater than 0';
     }
 
@@ -147,6 +243,13 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
       newErrors.value = 'Percentage cannot exceed 100%';
     }
 
+    if (isPromotion) {
+      const promotionError = validatePromotionTerms();
+      if (promotionError) {
+        newErrors.promotion = promotionError;
+      }
+    }
+
     // Validate maximum discount if provided
     if (formData.maximumDiscount && formData.maximumDiscount !== '') {
       const maxDiscountValue = parseFloat(formData.maximumDiscount);
@@ -203,6 +306,7 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
       if (errors.name) errorMessages.push(`Name is incorrect: ${errors.name}`);
       if (errors.code) errorMessages.push(`Code is incorrect: ${errors.code}`);
       if (errors.value) errorMessages.push(`Value is incorrect: ${errors.value}`);
+      if (errors.promotion) errorMessages.push(`Promotion terms are incorrect: ${errors.promotion}`);
       if (errors.validFrom) errorMessages.push(`Valid from date is incorrect: ${errors.validFrom}`);
       if (errors.validUntil) errorMessages.push(`Valid until date is incorrect: ${errors.validUntil}`);
       if (errors.applicableProducts) errorMessages.push(`Products selection is incorrect: ${errors.applicableProducts}`);
@@ -221,14 +325,14 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
       // Check if current tab has errors, if yes, stay on current tab
       // Otherwise, go to first tab with errors
       const currentTabHasErrors = 
-        (activeTab === 'basic' && (errors.name || errors.code || errors.value || errors.validFrom || errors.validUntil || errors.maximumDiscount || errors.minimumOrderAmount)) ||
+        (activeTab === 'basic' && (errors.name || errors.code || errors.value || errors.promotion || errors.validFrom || errors.validUntil || errors.maximumDiscount || errors.minimumOrderAmount)) ||
         (activeTab === 'applicability' && (errors.applicableProducts || errors.applicableCategories || errors.applicableCustomers)) ||
         (activeTab === 'conditions' && (errors.maximumQuantity || errors.minimumQuantity)) ||
         (activeTab === 'advanced' && (errors.usageLimit || errors.usageLimitPerCustomer || errors.priority));
       
       if (!currentTabHasErrors) {
         // Only switch tab if current tab doesn't have errors
-        if (errors.name || errors.code || errors.value || errors.validFrom || errors.validUntil || errors.maximumDiscount || errors.minimumOrderAmount) {
+        if (errors.name || errors.code || errors.value || errors.promotion || errors.validFrom || errors.validUntil || errors.maximumDiscount || errors.minimumOrderAmount) {
           setActiveTab('basic');
         } else if (errors.applicableProducts || errors.applicableCategories || errors.applicableCustomers) {
           setActiveTab('applicability');
@@ -247,7 +351,8 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
       const submitData = {
         ...formData,
         code: formData.code.toUpperCase(),
-        value: parseFloat(formData.value),
+        value: isPromotion ? 0 : parseFloat(formData.value),
+        promotion: isPromotion ? buildPromotionTerms() : undefined,
         // Only include maximumDiscount if it has a value, otherwise omit it completely
         ...(formData.maximumDiscount && formData.maximumDiscount !== '' 
           ? { maximumDiscount: parseFloat(formData.maximumDiscount) } 
@@ -307,14 +412,14 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
         // Check if current tab has errors, if yes, stay on current tab
         // Otherwise, go to first tab with errors
         const currentTabHasErrors = 
-          (activeTab === 'basic' && (newErrors.name || newErrors.code || newErrors.value || newErrors.validFrom || newErrors.validUntil || newErrors.maximumDiscount || newErrors.minimumOrderAmount)) ||
+          (activeTab === 'basic' && (newErrors.name || newErrors.code || newErrors.value || newErrors.promotion || newErrors.validFrom || newErrors.validUntil || newErrors.maximumDiscount || newErrors.minimumOrderAmount)) ||
           (activeTab === 'applicability' && (newErrors.applicableProducts || newErrors.applicableCategories || newErrors.applicableCustomers)) ||
           (activeTab === 'conditions' && (newErrors.maximumQuantity || newErrors.minimumQuantity)) ||
           (activeTab === 'advanced' && (newErrors.usageLimit || newErrors.usageLimitPerCustomer || newErrors.priority));
         
         if (!currentTabHasErrors) {
           // Only switch tab if current tab doesn't have errors
-          if (newErrors.maximumDiscount || newErrors.minimumOrderAmount || newErrors.value || newErrors.name || newErrors.code || newErrors.validFrom || newErrors.validUntil) {
+          if (newErrors.maximumDiscount || newErrors.minimumOrderAmount || newErrors.value || newErrors.promotion || newErrors.name || newErrors.code || newErrors.validFrom || newErrors.validUntil) {
             setActiveTab('basic');
           } else if (newErrors.applicableProducts || newErrors.applicableCategories || newErrors.applicableCustomers) {
             setActiveTab('applicability');
@@ -366,6 +471,29 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
     }
   };
 
+  const handlePromotionChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      promotion: {
+        ...prev.promotion,
+        [field]: value
+      }
+    }));
+
+    if (errors.promotion) {
+      setErrors(prev => ({
+        ...prev,
+        promotion: ''
+      }));
+    }
+  };
+
+  const handleTierChange = (index, field, value) => {
+    handlePromotionChange('tiers', formData.promotion.tiers.map((tier, i) => (
+      i === index ? { ...tier, [field]: value } : tier
+    )));
+  };
+
   const handleTimeChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -583,59 +711,260 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
                     >
                       <option value="percentage">Percentage</option>
                       <option value="fixed_amount">Fixed Amount</option>
+                      <option value="buy_x_get_y">Buy X Get Y</option>
+                      <option value="bundle">Bundle Price</option>
+                      <option value="tiered_spend">Tiered Spend</option>
+                      <option value="free_item">Free Item</option>
                     </select>
                   </div>
 
                   {/* Value */}
-                  <div>
-                    <label className="block text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2 ml-1">Value *</label>
-                    <div className="relative">
-                      {formData.type === 'percentage' ? (
-                        <>
-                          <input
-                            type="number"
-                            min="0"
-                            max="100"
-                            step="0.01"
-                            value={formData.value}
-                            onChange={(e) => handleChange('value', parseFloat(e.target.value) || 0)}
-                            className={`w-full pr-10 px-4 py-2.5 bg-slate-50 border rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium ${
-                              errors.value ? 'border-red-300' : 'border-slate-200'
-                            }`}
-                            placeholder="10"
-                            disabled={isCreating}
-                          />
-                          <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-                            <Percent className="h-4 w-4 text-slate-400" />
+                  {!isPromotion && (
+                    <div>
+                      <label className="block text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2 ml-1">Value *</label>
+                      <div className="relative">
+                        {formData.type === 'percentage' ? (
+                          <>
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              step="0.01"
+                              value={formData.value}
+                              onChange={(e) => handleChange('value', parseFloat(e.target.value) || 0)}
+                              className={`w-full pr-10 px-4 py-2.5 bg-slate-50 border rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium ${
+                                errors.value ? 'border-red-300' : 'border-slate-200'
+                              }`}
+                              placeholder="10"
+                              disabled={isCreating}
+                            />
+                            <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
+                              <Percent className="h-4 w-4 text-slate-400" />
+                            </div>
+                          </>
+                        ) : (
+                          <>
+                            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                              <TrendingUp className="h-4 w-4 text-slate-400" />
+                            </div>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={formData.value}
+                              onChange={(e) => handleChange('value', parseFloat(e.target.value) || 0)}
+                              className={`w-full pl-10 px-4 py-2.5 bg-slate-50 border rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium ${
+                                errors.value ? 'border-red-300' : 'border-slate-200'
+                              }`}
+                              placeholder="10.00"
+                              disabled={isCreating}
+                            />
+                          </>
+                        )}
+                      </div>
+                      {errors.value && (
+                        <p className="mt-1 text-xs text-red-600 flex items-center">
+                          <AlertCircle className="h-3 w-3 mr-1" />
+                          {errors.value}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Promotion Terms */}
+                  {isPromotion && (
+                    <div className="md:col-span-2">
+                      <label className="block text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2 ml-1">Promotion Terms *</label>
+                      {formData.type === 'buy_x_get_y' && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                          <div>
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Buy Quantity</label>
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={formData.promotion.buyQuantity}
+                              onChange={(e) => handlePromotionChange('buyQuantity', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              disabled={isCreating}
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Get Quantity</label>
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={formData.promotion.getQuantity}
+                              onChange={(e) => handlePromotionChange('getQuantity', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              disabled={isCreating}
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Discount On Those (%)</label>
+                            <input
+                              type="number"
+                              min="1"
+                              max="100"
+                              step="0.01"
+                              value={formData.promotion.getDiscountPercent}
+                              onChange={(e) => handlePromotionChange('getDiscountPercent', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              disabled={isCreating}
+                            />
+                          </div>
+                          <p className="md:col-span-3 text-[10px] font-bold text-slate-400 uppercase tracking-tight">
+                            The cheapest qualifying units are the ones discounted; 100% makes them free
+                          </p>
+                        </div>
+                      )}
+
+                      {formData.type === 'bundle' && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Items In Bundle</label>
+                            <input
+                              type="number"
+                              min="2"
+                              step="1"
+                              value={formData.promotion.bundleQuantity}
+                              onChange={(e) => handlePromotionChange('bundleQuantity', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              disabled={isCreating}
+                            />
                           </div>
-                        </>
-                      ) : (
-                        <>
-                          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                            <TrendingUp className="h-4 w-4 text-slate-400" />
+                          <div>
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Bundle Price</label>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={formData.promotion.bundlePrice}
+                              onChange={(e) => handlePromotionChange('bundlePrice', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              placeholder="0.00"
+                              disabled={isCreating}
+                            />
                           </div>
-                          <input
-                            type="number"
-                            min="0"
-                            step="0.01"
-                            value={formData.value}
-                            onChange={(e) => handleChange('value', parseFloat(e.target.value) || 0)}
-                            className={`w-full pl-10 px-4 py-2.5 bg-slate-50 border rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium ${
-                              errors.value ? 'border-red-300' : 'border-slate-200'
-                            }`}
-                            placeholder="10.00"
+                          <p className="md:col-span-2 text-[10px] font-bold text-slate-400 uppercase tracking-tight">
+                            Any mix of the products or categories chosen under Applicability
+                          </p>
+                        </div>
+                      )}
+
+                      {formData.type === 'tiered_spend' && (
+                        <div className="space-y-3">
+                          {formData.promotion.tiers.map((tier, index) => (
+                            <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                              <div>
+                                <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Spend At Least</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={tier.minimumSpend}
+                                  onChange={(e) => handleTierChange(index, 'minimumSpend', e.target.value)}
+                                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                                  placeholder="0.00"
+                                  disabled={isCreating}
+                                />
+                              </div>
+                              <div>
+                                <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Discount Type</label>
+                                <select
+                                  value={tier.type}
+                                  onChange={(e) => handleTierChange(index, 'type', e.target.value)}
+                                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                                  disabled={isCreating}
+                                >
+                                  <option value="percentage">Percentage</option>
+                                  <option value="fixed_amount">Fixed Amount</option>
+                                </select>
+                              </div>
+                              <div>
+                                <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Discount</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={tier.value}
+                                  onChange={(e) => handleTierChange(index, 'value', e.target.value)}
+                                  className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                                  placeholder={tier.type === 'percentage' ? '10' : '10.00'}
+                                  disabled={isCreating}
+                                />
+                              </div>
+                              <div>
+                                <button
+                                  type="button"
+                                  onClick={() => handlePromotionChange('tiers', formData.promotion.tiers.filter((_, i) => i !== index))}
+                                  className="px-4 py-2.5 text-xs font-bold text-red-600 uppercase tracking-widest hover:bg-red-50 rounded-xl transition-all"
+                                  disabled={isCreating || formData.promotion.tiers.length === 1}
+                                >
+                                  Remove
+                                </button>
+                              </div>
+                            </div>
+                          ))}
+                          <button
+                            type="button"
+                            onClick={() => handlePromotionChange('tiers', [...formData.promotion.tiers, { minimumSpend: '', type: 'percentage', value: '' }])}
+                            className="px-4 py-2 text-xs font-bold text-primary-600 uppercase tracking-widest hover:bg-primary-50 rounded-xl transition-all"
                             disabled={isCreating}
-                          />
-                        </>
+                          >
+                            Add Tier
+                          </button>
+                          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-tight">
+                            The highest tier the qualifying spend reaches is applied
+                          </p>
+                        </div>
+                      )}
+
+                      {formData.type === 'free_item' && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                          <div className="md:col-span-2">
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Free Product</label>
+                            <select
+                              value={formData.promotion.freeProduct}
+                              onChange={(e) => handlePromotionChange('freeProduct', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              disabled={isCreating}
+                            >
+                              <option value="">Select product</option>
+                              {products.map((product) => (
+                                <option key={product._id} value={product._id}>
+                                  {product.name}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-slate-500 mb-1 ml-1">Free Quantity</label>
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={formData.promotion.freeQuantity}
+                              onChange={(e) => handlePromotionChange('freeQuantity', e.target.value)}
+                              className="w-full px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl focus:ring-4 focus:ring-primary-500/10 focus:border-primary-500 transition-all text-sm font-medium"
+                              disabled={isCreating}
+                            />
+                          </div>
+                          <p className="md:col-span-3 text-[10px] font-bold text-slate-400 uppercase tracking-tight">
+                            Given once the rest of the order meets the minimum order amount and conditions
+                          </p>
+                        </div>
+                      )}
+
+                      {errors.promotion && (
+                        <p className="mt-1 text-xs text-red-600 flex items-center">
+                          <AlertCircle className="h-3 w-3 mr-1" />
+                          {errors.promotion}
+                        </p>
                       )}
                     </div>
-                    {errors.value && (
-                      <p className="mt-1 text-xs text-red-600 flex items-center">
-                        <AlertCircle className="h-3 w-3 mr-1" />
-                        {errors.value}
-                      </p>
-                    )}
-                  </div>
+                  )}
 
                   {/* Maximum Discount (for percentage) */}
                   {formData.type === 'percentage' && (
@@ -1081,6 +1410,25 @@ const CreateDiscountModal = ({ isOpen, onClose, onSuccess }) => {
                 </div>
               </div>
 
+              {/* Automatic Application */}
+              <div>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={formData.autoApply}
+                    onChange={(e) => handleChange('autoApply', e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    disabled={isCreating}
+                  />
+                  <span className="text-sm font-medium text-gray-700">
+                    Apply automatically at the till
+                  </span>
+                </label>
+                <p className="mt-1 text-xs text-gray-500">
+                  Applied to qualifying carts without the customer entering the code
+                </p>
+              </div>
+
               {/* Combination Rules */}
               <div>
                 <label className="flex items-center space-x-2">
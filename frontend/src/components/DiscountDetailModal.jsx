@@ -36,6 +36,27 @@ const DiscountDetailModal = ({
     return new Date(date).toLocaleDateString();
   };
 
+  const isPromotion = ['buy_x_get_y', 'bundle', 'tiered_spend', 'free_item'].includes(discount?.type);
+
+  // Terms of a rules-based promotion, which has no single percentage or amount
+  const describePromotion = () => {
+    const promotion = discount.promotion || {};
+    switch (discount.type) {
+      case 'buy_x_get_y':
+        return promotion.getDiscountPercent === 100 || promotion.getDiscountPercent === undefined
+          ? `Buy ${promotion.buyQuantity}, get ${promotion.getQuantity} free`
+          : `Buy ${promotion.buyQuantity}, get ${promotion.getQuantity} at ${promotion.getDiscountPercent}% off`;
+      case 'bundle':
+        return `Any ${promotion.bundleQuantity} for ${formatCurrency(promotion.bundlePrice)}`;
+      case 'tiered_spend':
+        return 'Highest tier reached applies';
+      case 'free_item':
+        return `${promotion.freeQuantity || 1} x ${promotion.freeProduct?.name || 'free item'} free`;
+      default:
+        return '';
+    }
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'active':
@@ -84,7 +105,7 @@ const DiscountDetailModal = ({
             <div>
               <h3 className="text-xl font-bold text-gray-900">{discount.name}</h3>
               <p className="text-sm text-gray-500">
-                Code: {discount.code} • {discount.type.replace('_', ' ')}
+                Code: {discount.code} • {discount.type.replace(/_/g, ' ')}
               </p>
             </div>
           </div>
@@ -115,7 +136,12 @@ const DiscountDetailModal = ({
               <div>
                 <label className="block text-sm font-medium text-gray-500">Value</label>
                 <div className="mt-1 flex items-center">
-                  {discount.type === 'percentage' ? (
+                  {isPromotion ? (
+                    <>
+                      <Tag className="h-4 w-4 text-purple-500 mr-1" />
+                      <span className="text-lg font-semibold text-gray-900">{describePromotion()}</span>
+                    </>
+                  ) : discount.type === 'percentage' ? (
                     <>
                       <Percent className="h-4 w-4 text-blue-500 mr-1" />
                       <span className="text-lg font-semibold text-gray-900">{discount.value}%</span>
@@ -132,6 +158,14 @@ const DiscountDetailModal = ({
                     Maximum: {formatCurrency(discount.maximumDiscount)}
                   </p>
                 )}
+                {discount.type === 'tiered_spend' && (discount.promotion?.tiers || []).map((tier, index) => (
+                  <p key={index} className="text-xs text-gray-500 mt-1">
+                    Spend {formatCurrency(tier.minimumSpend)}+: {tier.type === 'percentage' ? `${tier.value}% off` : `${formatCurrency(tier.value)} off`}
+                  </p>
+                ))}
+                {discount.autoApply && (
+                  <p className="text-xs text-gray-500 mt-1">Applied automatically at the till</p>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-500">Minimum Order Amount</label>
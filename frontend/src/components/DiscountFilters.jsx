@@ -83,6 +83,10 @@ const DiscountFilters = ({ filters, onFilterChange, isLoading }) => {
               <option value="">All Types</option>
               <option value="percentage">Percentage</option>
               <option value="fixed_amount">Fixed Amount</option>
+              <option value="buy_x_get_y">Buy X Get Y</option>
+              <option value="bundle">Bundle Price</option>
+              <option value="tiered_spend">Tiered Spend</option>
+              <option value="free_item">Free Item</option>
             </select>
           </div>
 
@@ -211,7 +215,7 @@ const DiscountFilters = ({ filters, onFilterChange, isLoading }) => {
               {filters.type && (
                 <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                   {filters.type === 'percentage' ? <Percent className="h-3 w-3 mr-1" /> : <TrendingUp className="h-3 w-3 mr-1" />}
-                  Type: {filters.type.replace('_', ' ')}
+                  Type: {filters.type.replace(/_/g, ' ')}
                   <button
                     onClick={() => handleFilterChange('type', '')}
                     className="ml-1 inline-flex items-center justify-center w-4 h-4 rounded-full hover:bg-blue-200"
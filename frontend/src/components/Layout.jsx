@@ -33,12 +33,34 @@ import {
   Wallet,
   FolderTree,
   Download,
-  Camera
+  Camera,
+  Gift,
+  ClipboardList,
+  Scale,
+  Banknote,
+  Waves,
+  Landmark,
+  ListChecks,
+  ScrollText,
+  Coins,
+  CalendarCheck,
+  Percent,
+  FileCheck,
+  Tags,
+  Award,
+  ArrowRightLeft,
+  Layers,
+  AlertOctagon,
+  Ruler,
+  PiggyBank,
+  Calculator,
+  CalendarClock
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import ErrorBoundary from './ErrorBoundary';
 import MobileNavigation from './MobileNavigation';
+import NotificationCenter from './NotificationCenter';
 import { useResponsive } from './ResponsiveContainer';
 import { WhatsAppFloat } from './WhatsAppFloat';
 import { usePWAInstall } from '../hooks/usePWAInstall';
@@ -49,8 +71,10 @@ export const navigation = [
 
   // Sales Workflow
   { type: 'heading', name: 'Sales Workflow', color: 'bg-blue-500' },
+  { name: 'Quotations', href: '/quotations', icon: ClipboardList },
   { name: 'Sales Orders', href: '/sales-orders', icon: FileText },
   { name: 'Sales', href: '/sales', icon: CreditCard },
+  { name: 'Till', href: '/till', icon: Calculator },
   { name: 'Sales Invoices', href: '/sales-invoices', icon: Search },
 
   // Purchase Workflow
@@ -65,6 +89,9 @@ export const navigation = [
   { name: 'Purchase Returns', href: '/purchase-returns', icon: RotateCcw },
   { name: 'Returns', href: '/returns', icon: RotateCcw },
   { name: 'Discounts', href: '/discounts', icon: Tag },
+  { name: 'Price Lists', href: '/price-lists', icon: Tags },
+  { name: 'Gift Cards', href: '/gift-cards', icon: Gift },
+  { name: 'Loyalty', href: '/loyalty', icon: Award },
   { name: 'CCTV Access', href: '/cctv-access', icon: Camera },
 
   // Financial Transactions
@@ -73,13 +100,19 @@ export const navigation = [
   { name: 'Cash Payments', href: '/cash-payments', icon: CreditCard },
   { name: 'Bank Receipts', href: '/bank-receipts', icon: Building },
   { name: 'Bank Payments', href: '/bank-payments', icon: ArrowUpDown },
+  { name: 'Bank Reconciliation', href: '/bank-reconciliation', icon: Scale },
+  { name: 'Cheques', href: '/cheques', icon: Banknote },
+  { name: 'Payment Proposals', href: '/payment-proposals', icon: ListChecks },
   { name: 'Record Expense', href: '/expenses', icon: Wallet },
+  { name: 'Budgets', href: '/budgets', icon: PiggyBank },
 
   // Master Data
   { type: 'heading', name: 'Master Data', color: 'bg-purple-500' },
   { name: 'Products', href: '/products', icon: Package },
+  { name: 'Units of Measure', href: '/units-of-measure', icon: Ruler },
   { name: 'Categories', href: '/categories', icon: Tag },
   { name: 'Customers', href: '/customers', icon: Users },
+  { name: 'Customer Statements', href: '/customer-statements', icon: ScrollText },
   { name: 'Suppliers', href: '/suppliers', icon: Building },
   { name: 'Banks', href: '/banks', icon: Building2 },
   { name: 'Investors', href: '/investors', icon: TrendingUp },
@@ -89,6 +122,9 @@ export const navigation = [
   { type: 'heading', name: 'Inventory Management', color: 'bg-orange-500' },
   { name: 'Inventory', href: '/inventory', icon: Warehouse },
   { name: 'Warehouses', href: '/warehouses', icon: Warehouse },
+  { name: 'Transfer Orders', href: '/transfer-orders', icon: ArrowRightLeft },
+  { name: 'Batches', href: '/batches', icon: Layers },
+  { name: 'Recalls', href: '/recalls', icon: AlertOctagon },
   { name: 'Stock Movements', href: '/stock-movements', icon: ArrowUpDown },
   { name: 'Stock Ledger', href: '/stock-ledger', icon: FileText },
 
@@ -97,14 +133,21 @@ export const navigation = [
   { name: 'Chart of Accounts', href: '/chart-of-accounts', icon: FolderTree },
   { name: 'Journal Vouchers', href: '/journal-vouchers', icon: FileText },
   { name: 'Account Ledger Summary', href: '/account-ledger', icon: FileText },
+  { name: 'Fixed Assets', href: '/fixed-assets', icon: Landmark },
+  { name: 'Currencies', href: '/currencies', icon: Coins },
+  { name: 'Year-End Close', href: '/fiscal-year-close', icon: CalendarCheck },
+  { name: 'Sales Tax', href: '/tax-returns', icon: Percent },
+  { name: 'Withholding Tax', href: '/withholding-tax', icon: FileCheck },
 
   // Reports & Analytics
   { type: 'heading', name: 'Reports & Analytics', color: 'bg-indigo-500' },
   { name: 'P&L Statements', href: '/pl-statements', icon: BarChart3 },
   { name: 'Balance Sheets', href: '/balance-sheets', icon: FileText },
+  { name: 'Cash Flow Statements', href: '/cash-flow-statements', icon: Waves },
   { name: 'Sales Performance', href: '/sales-performance', icon: TrendingUp },
   { name: 'Inventory Reports', href: '/inventory-reports', icon: Warehouse },
   { name: 'Reports', href: '/reports', icon: BarChart3 },
+  { name: 'Scheduled Reports', href: '/scheduled-reports', icon: CalendarClock },
   { name: 'Backdate Report', href: '/backdate-report', icon: Clock },
 
   // System Management
@@ -514,6 +557,7 @@ export const Layout = ({ children }) => {
                 </button>
               )}
 
+              <NotificationCenter onNavigate={({ href }) => navigate(href)} />
 
               {/* User menu */}
               <div className="flex items-center gap-x-2">
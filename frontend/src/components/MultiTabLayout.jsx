@@ -33,7 +33,28 @@ import {
   ChevronDown,
   Camera,
   Eye,
-  EyeOff
+  EyeOff,
+  Gift,
+  ClipboardList,
+  Scale,
+  Banknote,
+  Waves,
+  Landmark,
+  ListChecks,
+  ScrollText,
+  Coins,
+  CalendarCheck,
+  Percent,
+  FileCheck,
+  Tags,
+  Award,
+  ArrowRightLeft,
+  Layers,
+  AlertOctagon,
+  Ruler,
+  PiggyBank,
+  Calculator,
+  CalendarClock
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTab } from '../contexts/TabContext';
@@ -43,6 +64,7 @@ import TabContent from './TabContent';
 import toast from 'react-hot-toast';
 import ErrorBoundary from './ErrorBoundary';
 import MobileNavigation from './MobileNavigation';
+import NotificationCenter from './NotificationCenter';
 import { useResponsive } from './ResponsiveContainer';
 import { useGetAlertSummaryQuery } from '../store/services/inventoryAlertsApi';
 
@@ -52,8 +74,10 @@ export const navigation = [
 
   // Sales Section
   { type: 'heading', name: 'Sales Section', color: 'bg-blue-500' },
+  { name: 'Quotations', href: '/quotations', icon: ClipboardList, permission: 'view_quotations' },
   { name: 'Sales Orders', href: '/sales-orders', icon: FileText, permission: 'view_sales_orders' },
   { name: 'Sales', href: '/sales', icon: CreditCard, permission: 'view_sales_orders' },
+  { name: 'Till', href: '/till', icon: Calculator, permission: 'open_till' },
   { name: 'Sales Invoices', href: '/sales-invoices', icon: Search, permission: 'view_sales_invoices' },
 
   // Purchase Section
@@ -67,6 +91,9 @@ export const navigation = [
   { name: 'Sale Returns', href: '/sale-returns', icon: RotateCcw, permission: 'view_returns' },
   { name: 'Purchase Returns', href: '/purchase-returns', icon: RotateCcw, permission: 'view_returns' },
   { name: 'Discounts', href: '/discounts', icon: Tag, permission: 'view_discounts' },
+  { name: 'Price Lists', href: '/price-lists', icon: Tags, permission: 'view_price_lists' },
+  { name: 'Gift Cards', href: '/gift-cards', icon: Gift, permission: 'view_gift_cards' },
+  { name: 'Loyalty', href: '/loyalty', icon: Award, permission: 'view_loyalty' },
   { name: 'CCTV Access', href: '/cctv-access', icon: Camera, permission: 'view_sales_invoices', allowMultiple: true },
 
   // Financial Transactions Section
@@ -75,15 +102,21 @@ export const navigation = [
   { name: 'Cash Payments', href: '/cash-payments', icon: CreditCard, permission: 'view_reports' },
   { name: 'Bank Receipts', href: '/bank-receipts', icon: Building, permission: 'view_reports' },
   { name: 'Bank Payments', href: '/bank-payments', icon: ArrowUpDown, permission: 'view_reports' },
+  { name: 'Bank Reconciliation', href: '/bank-reconciliation', icon: Scale, permission: 'reconcile_accounts' },
+  { name: 'Cheques', href: '/cheques', icon: Banknote, permission: 'view_cheques' },
+  { name: 'Payment Proposals', href: '/payment-proposals', icon: ListChecks, permission: 'view_payables' },
   { name: 'Record Expense', href: '/expenses', icon: Wallet, permission: null },
+  { name: 'Budgets', href: '/budgets', icon: PiggyBank, permission: 'view_reports' },
 
   // Master Data Section
   { type: 'heading', name: 'Master Data Section', color: 'bg-purple-500' },
   { name: 'Products', href: '/products', icon: Package, permission: 'view_products' },
   { name: 'Product Variants', href: '/product-variants', icon: Tag, permission: 'view_products' },
   { name: 'Product Transformations', href: '/product-transformations', icon: ArrowRight, permission: 'update_inventory' },
+  { name: 'Units of Measure', href: '/units-of-measure', icon: Ruler, permission: 'view_products' },
   { name: 'Customers', href: '/customers', icon: Users, permission: 'view_customers' },
   { name: 'Customer Analytics', href: '/customer-analytics', icon: BarChart3, permission: 'view_customer_analytics' },
+  { name: 'Customer Statements', href: '/customer-statements', icon: ScrollText, permission: 'view_customer_balance' },
   { name: 'Suppliers', href: '/suppliers', icon: Building, permission: 'view_suppliers' },
   { name: 'Banks', href: '/banks', icon: Building2, permission: null },
   { name: 'Investors', href: '/investors', icon: TrendingUp, permission: 'view_investors' },
@@ -95,6 +128,9 @@ export const navigation = [
   { name: 'Inventory', href: '/inventory', icon: Warehouse, permission: 'view_inventory' },
   { name: 'Inventory Alerts', href: '/inventory-alerts', icon: AlertTriangle, permission: 'view_inventory' },
   { name: 'Warehouses', href: '/warehouses', icon: Warehouse, permission: 'view_inventory' },
+  { name: 'Transfer Orders', href: '/transfer-orders', icon: ArrowRightLeft, permission: 'view_inventory' },
+  { name: 'Batches', href: '/batches', icon: Layers, permission: 'view_inventory' },
+  { name: 'Recalls', href: '/recalls', icon: AlertOctagon, permission: 'view_inventory' },
   { name: 'Stock Movements', href: '/stock-movements', icon: ArrowUpDown, permission: 'view_stock_movements' },
   { name: 'Stock Ledger', href: '/stock-ledger', icon: FileText, permission: 'view_reports' },
 
@@ -103,15 +139,22 @@ export const navigation = [
   { name: 'Chart of Accounts', href: '/chart-of-accounts', icon: FolderTree, permission: 'view_chart_of_accounts' },
   { name: 'Journal Vouchers', href: '/journal-vouchers', icon: FileText, permission: 'view_reports', allowMultiple: true },
   { name: 'Account Ledger Summary', href: '/account-ledger', icon: FileText, permission: 'view_reports', allowMultiple: true },
+  { name: 'Fixed Assets', href: '/fixed-assets', icon: Landmark, permission: 'view_fixed_assets' },
+  { name: 'Currencies', href: '/currencies', icon: Coins, permission: 'view_currencies' },
+  { name: 'Year-End Close', href: '/fiscal-year-close', icon: CalendarCheck, permission: 'view_year_end_close' },
+  { name: 'Sales Tax', href: '/tax-returns', icon: Percent, permission: 'view_tax' },
+  { name: 'Withholding Tax', href: '/withholding-tax', icon: FileCheck, permission: 'view_withholding_tax' },
 
   // Reports & Analytics Section
   { type: 'heading', name: 'Reports & Analytics', color: 'bg-indigo-500' },
   { name: 'P&L Statements', href: '/pl-statements', icon: BarChart3, permission: 'view_pl_statements' },
   { name: 'Balance Sheets', href: '/balance-sheets', icon: FileText, permission: 'view_balance_sheets' },
+  { name: 'Cash Flow Statements', href: '/cash-flow-statements', icon: Waves, permission: 'view_reports' },
   { name: 'Sales Performance', href: '/sales-performance', icon: TrendingUp, permission: 'view_sales_performance' },
   { name: 'Inventory Reports', href: '/inventory-reports', icon: Warehouse, permission: 'view_inventory_reports' },
   { name: 'Anomaly Detection', href: '/anomaly-detection', icon: AlertTriangle, permission: 'view_anomaly_detection' },
   { name: 'Reports', href: '/reports', icon: BarChart3, permission: 'view_general_reports' },
+  { name: 'Scheduled Reports', href: '/scheduled-reports', icon: CalendarClock, permission: 'schedule_reports' },
   { name: 'Backdate Report', href: '/backdate-report', icon: Clock, permission: 'view_backdate_report' },
 
   // HR/Admin Section
@@ -699,6 +742,9 @@ export const MultiTabLayout = ({ children }) => {
 
             {/* User Profile Section - Right Aligned with Dropdown */}
             <div className="relative flex items-center gap-2 sm:gap-3 ml-auto flex-shrink-0 overflow-visible" ref={userMenuRef}>
+              <div className="flex-shrink-0">
+                <NotificationCenter onNavigate={handleNavigationClick} />
+              </div>
               {/* Alerts Button - Right side, left of Admin user */}
               {sidebarConfig['Inventory Alerts'] !== false && (
                 <div className="flex-shrink-0">
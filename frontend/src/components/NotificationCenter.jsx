@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Bell, Check, CheckCheck, Archive, AlertTriangle, AlertCircle, Info } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  useGetNotificationsQuery,
+  useGetUnreadNotificationCountQuery,
+  useMarkNotificationReadMutation,
+  useMarkAllNotificationsReadMutation,
+  useArchiveNotificationMutation,
+} from '../store/services/notificationsApi';
+
+const severityStyles = {
+  critical: { icon: AlertCircle, className: 'text-red-600' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-600' },
+  info: { icon: Info, className: 'text-blue-600' },
+};
+
+const formatTimeAgo = (value) => {
+  const seconds = Math.floor((Date.now() - new Date(value).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+// Bell with unread badge and a dropdown inbox of backend-generated alerts.
+// onNavigate receives { href, name } so the layout can open the linked page as a tab.
+const NotificationCenter = ({ onNavigate }) => {
+  const [open, setOpen] = useState(false);
+  const [filter, setFilter] = useState('active');
+  const containerRef = useRef(null);
+
+  const { data: countData } = useGetUnreadNotificationCountQuery(undefined, {
+    pollingInterval: 30000, // Refetch every 30 seconds
+  });
+  const counts = countData?.data || countData || {};
+  const unreadCount = counts.unreadCount || 0;
+  const criticalCount = counts.criticalCount || 0;
+
+  const { data: listData, isFetching, refetch } = useGetNotificationsQuery(
+    { status: filter, limit: 20 },
+    { skip: !open }
+  );
+  const notifications = (listData?.data || listData || {}).notifications || [];
+
+  const [markRead] = useMarkNotificationReadMutation();
+  const [markAllRead, { isLoading: markingAll }] = useMarkAllNotificationsReadMutation();
+  const [archiveNotification] = useArchiveNotificationMutation();
+
+  // New notifications arrive through the unread-count poll; refresh the open list when it changes
+  useEffect(() => {
+    if (open) {
+      refetch();
+    }
+  }, [unreadCount]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  const handleOpenItem = (notification) => {
+    if (!notification.readAt) {
+      markRead({ id: notification._id });
+    }
+    if (notification.link) {
+      setOpen(false);
+      onNavigate({ href: notification.link, name: notification.title });
+    }
+  };
+
+  const handleToggleRead = async (event, notification) => {
+    event.stopPropagation();
+    try {
+      await markRead({ id: notification._id, read: !notification.readAt }).unwrap();
+    } catch (error) {
+      toast.error(error?.data?.message || 'Failed to update notification');
+    }
+  };
+
+  const handleArchive = async (event, notification) => {
+    event.stopPropagation();
+    try {
+      await archiveNotification({ id: notification._id, archived: !notification.archivedAt }).unwrap();
+    } catch (error) {
+      toast.error(error?.data?.message || 'Failed to archive notification');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllRead().unwrap();
+    } catch (error) {
+      toast.error(error?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative flex items-center justify-center px-2 py-2 rounded-md bg-gray-50 hover:bg-gray-100 text-gray-900 transition-colors border border-gray-200 shadow-sm"
+        title={`${unreadCount} unread notification(s)`}
+      >
+        <Bell className="h-4 w-4 text-gray-700 flex-shrink-0" />
+        {unreadCount > 0 && (
+          <span
+            className={`absolute -top-1 -right-1 text-white text-xs font-bold rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center ${criticalCount > 0 ? 'bg-red-600' : 'bg-blue-600'}`}
+          >
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-80 sm:w-96 bg-white rounded-md shadow-xl border border-gray-200 z-[60]">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <p className="text-sm font-semibold text-gray-900">Notifications</p>
+            <button
+              onClick={handleMarkAllRead}
+              disabled={unreadCount === 0 || markingAll}
+              className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              <CheckCheck className="h-3.5 w-3.5" />
+              Mark all read
+            </button>
+          </div>
+
+          <div className="flex gap-1 px-4 py-2 border-b border-gray-100">
+            {[
+              { value: 'active', label: 'All' },
+              { value: 'unread', label: 'Unread' },
+              { value: 'archived', label: 'Archived' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setFilter(option.value)}
+                className={`px-2 py-1 text-xs rounded ${filter === option.value ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {isFetching && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications</p>
+            ) : (
+              notifications.map((notification) => {
+                const severity = severityStyles[notification.severity] || severityStyles.info;
+                const SeverityIcon = severity.icon;
+                return (
+                  <div
+                    key={notification._id}
+                    onClick={() => handleOpenItem(notification)}
+                    className={`flex gap-3 px-4 py-3 border-b border-gray-100 last:border-b-0 hover:bg-gray-50 ${notification.link ? 'cursor-pointer' : ''} ${notification.readAt ? '' : 'bg-blue-50'}`}
+                  >
+                    <SeverityIcon className={`h-4 w-4 mt-0.5 flex-shrink-0 ${severity.className}`} />
+                    <div className="flex-1 min-w-0">
+                      <p className={`text-sm text-gray-900 ${notification.readAt ? '' : 'font-semibold'}`}>
+                        {notification.title}
+                      </p>
+                      <p className="text-xs text-gray-600 mt-0.5 line-clamp-2">{notification.message}</p>
+                      <p className="text-xs text-gray-400 mt-1">{formatTimeAgo(notification.createdAt)}</p>
+                    </div>
+                    <div className="flex flex-col gap-1 flex-shrink-0">
+                      {!notification.archivedAt && (
+                        <button
+                          onClick={(event) => handleToggleRead(event, notification)}
+                          className="p-1 text-gray-400 hover:text-blue-600"
+                          title={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                        >
+                          <Check className="h-3.5 w-3.5" />
+                        </button>
+                      )}
+                      <button
+                        onClick={(event) => handleArchive(event, notification)}
+                        className="p-1 text-gray-400 hover:text-gray-700"
+                        title={notification.archivedAt ? 'Restore' : 'Archive'}
+                      >
+                        <Archive className="h-3.5 w-3.5" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
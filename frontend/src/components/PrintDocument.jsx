@@ -71,6 +71,17 @@ const PrintDocument = ({
     const formatText = (value, fallback = 'N/A') =>
         value && String(value).trim() !== '' ? value : fallback;
 
+    // Batch/lot numbers picked for a line, e.g. "Batch: LOT-1 (Exp 01 Jan 2027) x 4"
+    const formatBatches = (item) => {
+        if (!Array.isArray(item.batches) || item.batches.length === 0) return null;
+        return 'Batch: ' + item.batches
+            .map((allocation) => {
+                const expiry = allocation.expiryDate ? ` (Exp ${formatDate(allocation.expiryDate)})` : '';
+                return `${allocation.batchNumber}${expiry} x ${formatCurrency(allocation.quantity)}`;
+            })
+            .join(', ');
+    };
+
     const partyHeaderLabel =
         partyLabel?.toLowerCase() === 'supplier' ? 'Supplier' : 'Bill To';
 
@@ -351,7 +362,12 @@ const PrintDocument = ({
                             return (
                                 <tr key={index}>
                                     <td className="border border-black p-1 text-center">{index + 1}</td>
-                                    <td className="border border-black p-1 uppercase">{item.product?.name || item.name || `Item ${index + 1}`}</td>
+                                    <td className="border border-black p-1 uppercase">
+                                        {item.product?.name || item.name || `Item ${index + 1}`}
+                                        {formatBatches(item) && (
+                                            <div className="text-[10px] normal-case">{formatBatches(item)}</div>
+                                        )}
+                                    </td>
                                     <td className="border border-black p-1 text-center">{formatCurrency(qty)}</td>
                                     <td className="border border-black p-1 text-right">{formatCurrency(price)}</td>
                                     <td className="border border-black p-1 text-right">{formatCurrency(lineTotal)}</td>
@@ -562,7 +578,12 @@ const PrintDocument = ({
                         const lineTotal = toNumber(item.total ?? item.lineTotal ?? item.totalPrice ?? item.totalCost, qty * price);
                         return (
                             <tr key={index}>
-                                <td>{item.product?.name || item.name || `Item ${index + 1}`}</td>
+                                <td>
+                                    {item.product?.name || item.name || `Item ${index + 1}`}
+                                    {formatBatches(item) && (
+                                        <div style={{ fontSize: '10px' }}>{formatBatches(item)}</div>
+                                    )}
+                                </td>
                                 {showDescription && (
                                     <td>
                                         {item.product?.description ||
@@ -20,7 +20,7 @@ import {
 } from '../store/services/expensesApi';
 import { useGetBanksQuery } from '../store/services/banksApi';
 import { formatCurrency, formatDate } from '../utils/formatters';
-import { showSuccessToast, showErrorToast, handleApiError } from '../utils/errorHandler';
+import { showSuccessToast, showErrorToast, showWarningToast, handleApiError } from '../utils/errorHandler';
 
 const defaultFormState = {
   name: '',
@@ -137,8 +137,9 @@ const RecurringExpensesPanel = ({ expenseAccounts = [], onPaymentRecorded }) =>
 
   const handleCreateRecurringExpense = async (payload) => {
     try {
-      await createRecurringExpense(payload).unwrap();
+      const response = await createRecurringExpense(payload).unwrap();
       showSuccessToast('Recurring expense created');
+      if (response?.budgetWarning) showWarningToast(response.budgetWarning.message, { duration: 8000 });
       setShowCreateForm(false);
       resetForm();
     } catch (error) {
@@ -150,6 +151,7 @@ const RecurringExpensesPanel = ({ expenseAccounts = [], onPaymentRecorded }) =>
     try {
       const response = await recordPayment({ id, ...payload }).unwrap();
       showSuccessToast('Payment recorded successfully');
+      if (response?.budgetWarning) showWarningToast(response.budgetWarning.message, { duration: 8000 });
       if (typeof onPaymentRecorded === 'function') {
         onPaymentRecorded(response?.data || response);
       }
@@ -19,7 +19,7 @@ import {
   Building,
   User
 } from 'lucide-react';
-import { showSuccessToast, showErrorToast, handleApiError } from '../utils/errorHandler';
+import { showSuccessToast, showErrorToast, showWarningToast, handleApiError } from '../utils/errorHandler';
 import { formatDate } from '../utils/formatters';
 import ReceiptPaymentPrintModal from '../components/ReceiptPaymentPrintModal';
 import {
@@ -449,9 +449,10 @@ const BankPayments = () => {
 
     createBankPayment(submissionData)
       .unwrap()
-      .then(() => {
+      .then((response) => {
         resetForm();
         showSuccessToast('Bank payment created successfully');
+        if (response?.budgetWarning) showWarningToast(response.budgetWarning.message, { duration: 8000 });
         refetch();
         // Refetch customer/supplier data to update balances immediately
         if (paymentType === 'customer' && formData.customer) {
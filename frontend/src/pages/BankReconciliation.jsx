@@ -0,0 +1,943 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Upload,
+  X,
+  Link2,
+  Unlink,
+  Scissors,
+  EyeOff,
+  Plus,
+  RotateCcw,
+  Zap,
+  CheckCircle,
+  Trash2,
+  ArrowLeft,
+  Search
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { useGetBanksQuery } from '../store/services/banksApi';
+import {
+  useGetBankStatementsQuery,
+  useGetBankStatementQuery,
+  useGetBankReconciliationReportQuery,
+  useGetStatementLineCandidatesQuery,
+  useImportBankStatementMutation,
+  useAutoMatchBankStatementMutation,
+  useMatchStatementLineMutation,
+  useUnmatchStatementLineMutation,
+  useIgnoreStatementLineMutation,
+  useSplitStatementLineMutation,
+  useCreateVoucherFromStatementLineMutation,
+  useCompleteBankReconciliationMutation,
+  useReopenBankStatementMutation,
+  useDeleteBankStatementMutation,
+} from '../store/services/bankStatementsApi';
+
+const STATUS_STYLES = {
+  in_progress: 'bg-blue-100 text-blue-800',
+  reconciled: 'bg-green-100 text-green-800',
+  discrepancy: 'bg-yellow-100 text-yellow-800'
+};
+
+const LINE_STATUS_STYLES = {
+  unmatched: 'bg-yellow-100 text-yellow-800',
+  matched: 'bg-green-100 text-green-800',
+  ignored: 'bg-gray-100 text-gray-800'
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const bankLabel = (bank) => (bank ? `${bank.bankName} - ${bank.accountNumber}${bank.accountName ? ` (${bank.accountName})` : ''}` : '');
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const Modal = ({ title, onClose, children, wide = false }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+    <div className={`bg-white rounded-lg w-full max-h-[90vh] overflow-y-auto ${wide ? 'max-w-4xl' : 'max-w-md'}`}>
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  </div>
+);
+
+const ImportStatementModal = ({ banks, onClose, onImported }) => {
+  const [formData, setFormData] = useState({
+    bank: '',
+    format: '',
+    dateOrder: 'DMY',
+    openingBalance: '',
+    closingBalance: '',
+    autoMatch: true
+  });
+  const [file, setFile] = useState(null);
+  const [importStatement, { isLoading }] = useImportBankStatementMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.bank) {
+      toast.error('Select the bank account the statement belongs to');
+      return;
+    }
+    if (!file) {
+      toast.error('Choose a statement file to upload');
+      return;
+    }
+
+    importStatement({ ...formData, file })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Statement imported');
+        (res?.data?.warnings || []).forEach((warning) => toast(warning, { icon: '⚠️' }));
+        onImported(res?.data?.statement?._id);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to import statement')));
+  };
+
+  return (
+    <Modal title="Import Bank Statement" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Bank Account *</label>
+          <select
+            value={formData.bank}
+            onChange={(e) => setFormData({ ...formData, bank: e.target.value })}
+            className="input"
+            required
+          >
+            <option value="">Select bank account</option>
+            {banks.map((bank) => (
+              <option key={bank._id} value={bank._id}>{bankLabel(bank)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Statement File *</label>
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls,.ofx,.qfx,.sta,.mt940,.txt"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="input"
+          />
+          <p className="text-xs text-gray-500 mt-1">CSV, Excel, OFX or MT940</p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+            <select
+              value={formData.format}
+              onChange={(e) => setFormData({ ...formData, format: e.target.value })}
+              className="input"
+            >
+              <option value="">Detect from file</option>
+              <option value="csv">CSV</option>
+              <option value="excel">Excel</option>
+              <option value="ofx">OFX</option>
+              <option value="mt940">MT940</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Date Order</label>
+            <select
+              value={formData.dateOrder}
+              onChange={(e) => setFormData({ ...formData, dateOrder: e.target.value })}
+              className="input"
+            >
+              <option value="DMY">Day / Month / Year</option>
+              <option value="MDY">Month / Day / Year</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Opening Balance</label>
+            <input
+              type="number"
+              step="0.01"
+              value={formData.openingBalance}
+              onChange={(e) => setFormData({ ...formData, openingBalance: e.target.value })}
+              className="input"
+              placeholder="From file"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Closing Balance</label>
+            <input
+              type="number"
+              step="0.01"
+              value={formData.closingBalance}
+              onChange={(e) => setFormData({ ...formData, closingBalance: e.target.value })}
+              className="input"
+              placeholder="From file"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="autoMatch"
+            checked={formData.autoMatch}
+            onChange={(e) => setFormData({ ...formData, autoMatch: e.target.checked })}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label htmlFor="autoMatch" className="ml-2 block text-sm text-gray-700">
+            Match lines to vouchers automatically after import
+          </label>
+        </div>
+
+        <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={isLoading}>
+            {isLoading ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const MatchLineModal = ({ statementId, line, onClose }) => {
+  const [search, setSearch] = useState('');
+  const [dateWindowDays, setDateWindowDays] = useState(7);
+  const [selected, setSelected] = useState({});
+  const { data, isFetching } = useGetStatementLineCandidatesQuery(
+    { id: statementId, lineId: line._id, dateWindowDays, search: search || undefined },
+    { refetchOnMountOrArgChange: true }
+  );
+  const [matchLine, { isLoading }] = useMatchStatementLineMutation();
+
+  const candidates = data?.data || [];
+  const selectedVouchers = Object.values(selected);
+  const selectedTotal = round2(selectedVouchers.reduce((sum, voucher) => sum + voucher.signedAmount, 0));
+  const remaining = round2(line.amount - selectedTotal);
+
+  const toggle = (voucher) => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (next[voucher._id]) delete next[voucher._id];
+      else next[voucher._id] = voucher;
+      return next;
+    });
+  };
+
+  const handleMatch = () => {
+    matchLine({
+      id: statementId,
+      lineId: line._id,
+      vouchers: selectedVouchers.map((voucher) => ({ voucherType: voucher.voucherType, voucherId: voucher._id }))
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Statement line matched');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to match line')));
+  };
+
+  return (
+    <Modal title="Match Statement Line" onClose={onClose} wide>
+      <div className="bg-gray-50 rounded p-3 mb-4 text-sm">
+        <div className="flex flex-wrap justify-between gap-2">
+          <span>{formatDate(line.date)} — {line.description || line.reference || 'No description'}</span>
+          <span className={`font-semibold ${line.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {formatCurrency(line.amount)}
+          </span>
+        </div>
+        {line.reference && <p className="text-xs text-gray-500 mt-1">Ref: {line.reference}</p>}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <div className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search voucher code, reference or particular..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input pl-10 w-full"
+          />
+        </div>
+        <select
+          value={dateWindowDays}
+          onChange={(e) => setDateWindowDays(parseInt(e.target.value))}
+          className="input sm:w-48"
+        >
+          <option value={3}>Within 3 days</option>
+          <option value={7}>Within 7 days</option>
+          <option value={30}>Within 30 days</option>
+          <option value={90}>Within 90 days</option>
+          <option value={365}>Within a year</option>
+        </select>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded max-h-80">
+        {isFetching ? (
+          <LoadingSpinner />
+        ) : candidates.length === 0 ? (
+          <p className="p-4 text-center text-sm text-gray-500">No uncleared vouchers found for this line.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2" />
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voucher</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Particular</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {candidates.map((voucher) => (
+                <tr
+                  key={voucher._id}
+                  className={`cursor-pointer ${selected[voucher._id] ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                  onClick={() => toggle(voucher)}
+                >
+                  <td className="px-3 py-2">
+                    <input type="checkbox" checked={!!selected[voucher._id]} readOnly className="h-4 w-4" />
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
+                    {voucher.voucherCode}
+                    {voucher.referenceMatch && (
+                      <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-green-100 text-green-700">ref</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                    {formatDate(voucher.date)}
+                    <span className="text-xs text-gray-400 ml-1">({voucher.daysApart}d)</span>
+                  </td>
+                  <td className="px-3 py-2 text-sm text-gray-500">
+                    {voucher.particular}
+                    {voucher.transactionReference && <span className="text-xs text-gray-400 ml-1">{voucher.transactionReference}</span>}
+                  </td>
+                  <td className={`px-3 py-2 whitespace-nowrap text-sm text-right ${voucher.signedAmount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatCurrency(voucher.signedAmount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 pt-4 mt-4 border-t border-gray-200">
+        <div className="text-sm">
+          Selected {formatCurrency(selectedTotal)} of {formatCurrency(line.amount)}
+          {selectedVouchers.length > 0 && Math.abs(remaining) >= 0.01 && (
+            <span className="ml-2 text-yellow-700">({formatCurrency(remaining)} left — split the line or add a charge voucher)</span>
+          )}
+        </div>
+        <div className="flex space-x-3">
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleMatch}
+            className="btn btn-primary"
+            disabled={isLoading || selectedVouchers.length === 0 || Math.abs(remaining) >= 0.01}
+          >
+            {isLoading ? 'Matching...' : 'Match'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+const SplitLineModal = ({ statementId, line, onClose }) => {
+  const [amounts, setAmounts] = useState(['', '']);
+  const [splitLine, { isLoading }] = useSplitStatementLineMutation();
+
+  const entered = amounts.map((amount) => parseFloat(amount) || 0);
+  const remaining = round2(line.amount - entered.reduce((sum, amount) => sum + amount, 0));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (entered.some((amount) => amount === 0)) {
+      toast.error('Every part needs an amount');
+      return;
+    }
+    if (Math.abs(remaining) >= 0.01) {
+      toast.error(`The parts must add up to ${formatCurrency(line.amount)}`);
+      return;
+    }
+    splitLine({ id: statementId, lineId: line._id, amounts: entered })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Statement line split');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to split line')));
+  };
+
+  return (
+    <Modal title="Split Statement Line" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Split {formatCurrency(line.amount)} into parts that are matched separately.
+          Withdrawals are entered as negative amounts.
+        </p>
+        {amounts.map((amount, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              type="number"
+              step="0.01"
+              value={amount}
+              onChange={(e) => setAmounts(amounts.map((value, i) => (i === index ? e.target.value : value)))}
+              className="input flex-1"
+              placeholder={`Part ${index + 1}`}
+            />
+            {amounts.length > 2 && (
+              <button
+                type="button"
+                onClick={() => setAmounts(amounts.filter((_, i) => i !== index))}
+                className="p-2 text-gray-400 hover:text-red-600"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+        ))}
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => setAmounts([...amounts, Math.abs(remaining) >= 0.01 ? String(remaining) : ''])}
+            className="text-blue-600 hover:text-blue-800 inline-flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add part
+          </button>
+          <span className={Math.abs(remaining) >= 0.01 ? 'text-yellow-700' : 'text-green-700'}>
+            Remaining: {formatCurrency(remaining)}
+          </span>
+        </div>
+        <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={isLoading}>
+            {isLoading ? 'Splitting...' : 'Split'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const CreateVoucherModal = ({ statementId, line, onClose }) => {
+  const [formData, setFormData] = useState({
+    kind: line.amount < 0 ? 'bank_charge' : 'interest',
+    particular: line.description || '',
+    notes: ''
+  });
+  const [createVoucher, { isLoading }] = useCreateVoucherFromStatementLineMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createVoucher({
+      id: statementId,
+      lineId: line._id,
+      kind: formData.kind,
+      particular: formData.particular.trim() || undefined,
+      notes: formData.notes.trim() || undefined
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Voucher created');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to create voucher')));
+  };
+
+  return (
+    <Modal title="Create Voucher from Line" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Record the {formatCurrency(Math.abs(line.amount))} on {formatDate(line.date)} that is on the statement but not in the books.
+        </p>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+          <select
+            value={formData.kind}
+            onChange={(e) => setFormData({ ...formData, kind: e.target.value })}
+            className="input"
+          >
+            <option value="bank_charge">Bank charge (payment)</option>
+            <option value="interest">Interest received (receipt)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Particular</label>
+          <input
+            type="text"
+            value={formData.particular}
+            onChange={(e) => setFormData({ ...formData, particular: e.target.value })}
+            className="input"
+            maxLength={500}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            className="input"
+            rows="2"
+          />
+        </div>
+        <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={isLoading}>
+            {isLoading ? 'Creating...' : 'Create Voucher'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const ReconciliationReport = ({ statementId }) => {
+  const { data, isLoading, error } = useGetBankReconciliationReportQuery(statementId, {
+    refetchOnMountOrArgChange: true,
+  });
+  const report = data?.data;
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error || !report) {
+    return <p className="text-sm text-red-600">{errorMessage(error, 'Failed to load reconciliation report')}</p>;
+  }
+
+  const rows = [
+    { label: 'Balance per statement', value: report.statementBalance },
+    { label: 'Add: receipts not yet cleared', value: report.unclearedReceipts?.total },
+    { label: 'Less: payments not yet cleared', value: -(report.unclearedPayments?.total || 0) },
+    { label: 'Adjusted bank balance', value: report.adjustedBankBalance, bold: true },
+    { label: 'Balance per books', value: report.bookBalance, bold: true },
+    { label: 'Difference', value: report.difference, bold: true, highlight: Math.abs(report.difference) >= 0.01 }
+  ];
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <table className="min-w-full text-sm">
+        <tbody className="divide-y divide-gray-200">
+          {rows.map((row) => (
+            <tr key={row.label}>
+              <td className={`py-2 ${row.bold ? 'font-semibold text-gray-900' : 'text-gray-600'}`}>{row.label}</td>
+              <td className={`py-2 text-right ${row.bold ? 'font-semibold' : ''} ${row.highlight ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatCurrency(row.value)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="space-y-3 text-sm">
+        {[
+          ['Uncleared receipts', report.unclearedReceipts],
+          ['Uncleared payments', report.unclearedPayments]
+        ].map(([label, group]) => (
+          <div key={label}>
+            <p className="font-medium text-gray-700">{label} ({group?.items?.length || 0})</p>
+            <ul className="max-h-32 overflow-y-auto text-gray-600">
+              {(group?.items || []).map((item) => (
+                <li key={item._id} className="flex justify-between">
+                  <span>{formatDate(item.date)} {item.voucherCode}</span>
+                  <span>{formatCurrency(item.amount)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const StatementWorkspace = ({ statementId, onBack }) => {
+  const [lineFilter, setLineFilter] = useState('');
+  const [modal, setModal] = useState(null);
+  const [showReport, setShowReport] = useState(false);
+
+  const { data, isLoading, error } = useGetBankStatementQuery(statementId, { refetchOnMountOrArgChange: true });
+  const [autoMatch, { isLoading: autoMatching }] = useAutoMatchBankStatementMutation();
+  const [unmatchLine] = useUnmatchStatementLineMutation();
+  const [ignoreLine] = useIgnoreStatementLineMutation();
+  const [completeReconciliation, { isLoading: completing }] = useCompleteBankReconciliationMutation();
+  const [reopenStatement, { isLoading: reopening }] = useReopenBankStatementMutation();
+  const [deleteStatement] = useDeleteBankStatementMutation();
+
+  const statement = data?.data;
+  const summary = statement?.summary || {};
+  const isEditable = statement?.status === 'in_progress';
+  const lines = useMemo(
+    () => (statement?.lines || []).filter((line) => !lineFilter || line.status === lineFilter),
+    [statement, lineFilter]
+  );
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error || !statement) {
+    return <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load statement')}</p>;
+  }
+
+  const handleAutoMatch = () => {
+    autoMatch({ id: statementId })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Auto-match complete'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to auto-match')));
+  };
+
+  const handleUnmatch = (line) => {
+    unmatchLine({ id: statementId, lineId: line._id })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Line unmatched'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to unmatch line')));
+  };
+
+  const handleIgnore = (line) => {
+    const notes = window.prompt('Why does this line need no voucher? (optional)');
+    if (notes === null) return;
+    ignoreLine({ id: statementId, lineId: line._id, notes: notes.trim() || undefined })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Line ignored'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to ignore line')));
+  };
+
+  const handleComplete = () => {
+    const complete = (acceptDifference, notes) => completeReconciliation({ id: statementId, acceptDifference, notes })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Reconciliation completed'));
+
+    complete(false).catch((err) => {
+      const message = errorMessage(err, 'Failed to complete reconciliation');
+      if (!/difference/i.test(message)) {
+        toast.error(message);
+        return;
+      }
+      const notes = window.prompt(`${message}\n\nTo close the statement with this difference, explain it below:`);
+      if (!notes || !notes.trim()) return;
+      complete(true, notes.trim()).catch((retryErr) => toast.error(errorMessage(retryErr, 'Failed to complete reconciliation')));
+    });
+  };
+
+  const handleReopen = () => {
+    reopenStatement(statementId)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Statement reopened'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to reopen statement')));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete ${statement.statementNumber} and release its matched vouchers?`)) return;
+    deleteStatement(statementId)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Statement deleted');
+        onBack();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete statement')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <button onClick={onBack} className="text-sm text-blue-600 hover:text-blue-800 inline-flex items-center mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            All statements
+          </button>
+          <h2 className="text-xl font-bold text-gray-900">
+            {statement.statementNumber}
+            <span className={`ml-3 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[statement.status]}`}>
+              {statement.status.replace('_', ' ')}
+            </span>
+          </h2>
+          <p className="text-gray-600 text-sm">
+            {bankLabel(statement.bank)} · {formatDate(statement.periodStart)} to {formatDate(statement.periodEnd)}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {isEditable && (
+            <>
+              <button onClick={handleAutoMatch} className="btn btn-secondary btn-md" disabled={autoMatching}>
+                <Zap className="h-4 w-4 mr-2" />
+                {autoMatching ? 'Matching...' : 'Auto-match'}
+              </button>
+              <button onClick={handleComplete} className="btn btn-primary btn-md" disabled={completing}>
+                <CheckCircle className="h-4 w-4 mr-2" />
+                {completing ? 'Completing...' : 'Complete'}
+              </button>
+              <button onClick={handleDelete} className="btn btn-secondary btn-md text-red-600">
+                <Trash2 className="h-4 w-4 mr-2" />
+                Delete
+              </button>
+            </>
+          )}
+          {!isEditable && (
+            <button onClick={handleReopen} className="btn btn-secondary btn-md" disabled={reopening}>
+              <RotateCcw className="h-4 w-4 mr-2" />
+              {reopening ? 'Reopening...' : 'Reopen'}
+            </button>
+          )}
+          <button onClick={() => setShowReport(!showReport)} className="btn btn-secondary btn-md">
+            {showReport ? 'Hide Report' : 'Reconciliation Report'}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {[
+          ['Opening', formatCurrency(statement.openingBalance)],
+          ['Closing', formatCurrency(statement.closingBalance)],
+          ['Matched', `${summary.matched || 0} / ${summary.total || 0}`],
+          ['Unmatched', summary.unmatched || 0],
+          ['Ignored', summary.ignored || 0]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-white rounded-lg shadow p-4">
+            <p className="text-xs text-gray-500 uppercase">{label}</p>
+            <p className="text-lg font-bold text-gray-900">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {showReport && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <ReconciliationReport statementId={statementId} />
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="font-semibold text-gray-900">Statement Lines</h3>
+          <select value={lineFilter} onChange={(e) => setLineFilter(e.target.value)} className="input w-40">
+            <option value="">All Lines</option>
+            <option value="unmatched">Unmatched</option>
+            <option value="matched">Matched</option>
+            <option value="ignored">Ignored</option>
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Matched To</th>
+                {isEditable && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {lines.map((line) => (
+                <tr key={line._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(line.date)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {line.description}
+                    {line.reference && <span className="block text-xs text-gray-500">Ref: {line.reference}</span>}
+                    {line.splitFrom && <span className="block text-xs text-gray-400">Split part</span>}
+                    {line.notes && <span className="block text-xs text-gray-400">{line.notes}</span>}
+                  </td>
+                  <td className={`px-4 py-3 whitespace-nowrap text-sm text-right font-medium ${line.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatCurrency(line.amount)}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LINE_STATUS_STYLES[line.status]}`}>
+                      {line.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {(line.matches || []).map((match) => (
+                      <span key={`${match.voucherType}-${match.voucher}`} className="block">
+                        {match.voucherCode} ({formatCurrency(match.amount)}){match.method === 'auto' && ' · auto'}
+                      </span>
+                    ))}
+                  </td>
+                  {isEditable && (
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                      {line.status === 'unmatched' ? (
+                        <div className="flex justify-end gap-2">
+                          <button onClick={() => setModal({ type: 'match', line })} className="text-blue-600 hover:text-blue-900" title="Match">
+                            <Link2 className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => setModal({ type: 'split', line })} className="text-gray-600 hover:text-gray-900" title="Split">
+                            <Scissors className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => setModal({ type: 'voucher', line })} className="text-green-600 hover:text-green-900" title="Create voucher">
+                            <Plus className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => handleIgnore(line)} className="text-gray-400 hover:text-gray-700" title="Ignore">
+                            <EyeOff className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <button onClick={() => handleUnmatch(line)} className="text-red-600 hover:text-red-900" title={line.status === 'ignored' ? 'Restore' : 'Unmatch'}>
+                          <Unlink className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {lines.length === 0 && <p className="p-6 text-center text-gray-500">No lines to show.</p>}
+        </div>
+      </div>
+
+      {modal?.type === 'match' && (
+        <MatchLineModal statementId={statementId} line={modal.line} onClose={() => setModal(null)} />
+      )}
+      {modal?.type === 'split' && (
+        <SplitLineModal statementId={statementId} line={modal.line} onClose={() => setModal(null)} />
+      )}
+      {modal?.type === 'voucher' && (
+        <CreateVoucherModal statementId={statementId} line={modal.line} onClose={() => setModal(null)} />
+      )}
+    </div>
+  );
+};
+
+export const BankReconciliation = () => {
+  const [filters, setFilters] = useState({ bank: '', status: '' });
+  const [showImport, setShowImport] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: banksData } = useGetBanksQuery({ isActive: true });
+  const banks = banksData?.data?.banks || banksData?.banks || [];
+  const { data, isLoading, error } = useGetBankStatementsQuery(
+    { bank: filters.bank || undefined, status: filters.status || undefined },
+    { refetchOnMountOrArgChange: true, skip: !!selectedId }
+  );
+  const statements = data?.data?.statements || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Bank Reconciliation</h1>
+          <p className="text-gray-600">Import bank statements and clear them against bank receipts and payments</p>
+        </div>
+        {!selectedId && (
+          <button onClick={() => setShowImport(true)} className="btn btn-primary btn-md">
+            <Upload className="h-4 w-4 mr-2" />
+            Import Statement
+          </button>
+        )}
+      </div>
+
+      {selectedId ? (
+        <StatementWorkspace statementId={selectedId} onBack={() => setSelectedId(null)} />
+      ) : (
+        <>
+          <div className="bg-white rounded-lg shadow p-4">
+            <div className="flex flex-col sm:flex-row gap-4">
+              <select
+                value={filters.bank}
+                onChange={(e) => setFilters({ ...filters, bank: e.target.value })}
+                className="input flex-[2]"
+              >
+                <option value="">All Bank Accounts</option>
+                {banks.map((bank) => (
+                  <option key={bank._id} value={bank._id}>{bankLabel(bank)}</option>
+                ))}
+              </select>
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                className="input flex-1"
+              >
+                <option value="">All Statuses</option>
+                <option value="in_progress">In Progress</option>
+                <option value="reconciled">Reconciled</option>
+                <option value="discrepancy">Discrepancy</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {isLoading ? (
+              <LoadingSpinner />
+            ) : error ? (
+              <div className="p-6 text-center text-red-600">
+                <p>Error loading statements: {errorMessage(error, error?.message)}</p>
+              </div>
+            ) : statements.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                <p>No bank statements imported yet.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Statement</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bank Account</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Closing Balance</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {statements.map((statement) => (
+                      <tr
+                        key={statement._id}
+                        className="hover:bg-gray-50 cursor-pointer"
+                        onClick={() => setSelectedId(statement._id)}
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {statement.statementNumber}
+                          {statement.originalFilename && (
+                            <span className="block text-xs text-gray-500">{statement.originalFilename}</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{bankLabel(statement.bank)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(statement.periodStart)} - {formatDate(statement.periodEnd)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(statement.closingBalance)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[statement.status]}`}>
+                            {statement.status.replace('_', ' ')}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {showImport && (
+        <ImportStatementModal
+          banks={banks}
+          onClose={() => setShowImport(false)}
+          onImported={(id) => {
+            setShowImport(false);
+            if (id) setSelectedId(id);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BankReconciliation;
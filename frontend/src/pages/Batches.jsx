@@ -0,0 +1,345 @@
+import React, { useState } from 'react';
+import { Layers, Search, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { useGetWarehousesQuery } from '../store/services/warehousesApi';
+import {
+  useGetBatchesQuery,
+  useGetBatchTraceQuery,
+  useUpdateBatchMutation,
+  useRecordBatchQualityCheckMutation,
+} from '../store/services/batchesApi';
+
+const STATUS_LABELS = {
+  active: 'Active',
+  quarantined: 'Quarantined',
+  recalled: 'Recalled',
+  expired: 'Expired',
+  depleted: 'Depleted'
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  quarantined: 'bg-yellow-100 text-yellow-800',
+  recalled: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-200 text-gray-800',
+  depleted: 'bg-gray-100 text-gray-600'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status] || STATUS_STYLES.active}`}>
+    {STATUS_LABELS[status] || status}
+  </span>
+);
+
+const expiryLabel = (batch) => {
+  if (!batch.expiryDate) return <span className="text-gray-400">No expiry</span>;
+  if (batch.isExpired) return <span className="text-red-600">{formatDate(batch.expiryDate)} (expired)</span>;
+  if (batch.isExpiringSoon) return <span className="text-yellow-600">{formatDate(batch.expiryDate)} ({batch.daysUntilExpiry}d)</span>;
+  return <span className="text-gray-500">{formatDate(batch.expiryDate)}</span>;
+};
+
+const BatchTraceModal = ({ batchId, warehouseName, canManage, onClose }) => {
+  const { data, isLoading, error } = useGetBatchTraceQuery(batchId, { refetchOnMountOrArgChange: true });
+  const [updateBatch, { isLoading: updating }] = useUpdateBatchMutation();
+  const [recordQualityCheck, { isLoading: checking }] = useRecordBatchQualityCheckMutation();
+  const [qcNotes, setQcNotes] = useState('');
+  const trace = data?.data;
+  const batch = trace?.batch;
+
+  const handleStatus = (status) => {
+    updateBatch({ id: batchId, status })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Batch updated'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to update batch')));
+  };
+
+  const handleQualityCheck = (passed) => {
+    recordQualityCheck({ id: batchId, passed, notes: qcNotes || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Quality check recorded');
+        setQcNotes('');
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to record quality check')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{batch ? `Batch ${batch.batchNumber}` : 'Batch Trace'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : error || !batch ? (
+            <p className="text-center text-red-600">{errorMessage(error, 'Failed to trace batch')}</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <StatusBadge status={batch.status} />
+                <span>{batch.product?.name}</span>
+                {batch.lotNumber && <span>· Lot {batch.lotNumber}</span>}
+                <span>· {warehouseName(batch.location?.warehouse)}</span>
+                <span>· Expiry {expiryLabel(batch)}</span>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                  ['Received', batch.initialQuantity],
+                  ['On Hand', batch.currentQuantity],
+                  ['Sold', trace.totalSold],
+                  ['Customers', trace.customers.length]
+                ].map(([label, value]) => (
+                  <div key={label} className="bg-gray-50 rounded-lg p-4">
+                    <p className="text-xs text-gray-500 uppercase">{label}</p>
+                    <p className="text-lg font-bold text-gray-900">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <p className="text-sm text-gray-600">
+                Supplied by {batch.supplier?.companyName || batch.supplier?.name || 'unknown supplier'}
+                {batch.purchaseInvoice?.invoiceNumber && ` on invoice ${batch.purchaseInvoice.invoiceNumber}`}
+                {batch.purchaseDate && ` · ${formatDate(batch.purchaseDate)}`}
+                {' '}· {formatCurrency(batch.unitCost)} per unit
+              </p>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Customers</h3>
+                {trace.customers.length === 0 ? (
+                  <p className="text-sm text-gray-500">No sales have drawn on this batch.</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Sales</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {trace.customers.map((row) => (
+                        <tr key={row.customer?._id || 'walk-in'}>
+                          <td className="px-4 py-2 text-gray-900">{row.customerName}</td>
+                          <td className="px-4 py-2 text-gray-500">{[row.customer?.phone, row.customer?.email].filter(Boolean).join(' · ')}</td>
+                          <td className="px-4 py-2 text-right text-gray-500">{row.sales}</td>
+                          <td className="px-4 py-2 text-right text-gray-900">{row.quantity}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {trace.sales.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Sales</h3>
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {trace.sales.map((sale) => (
+                        <tr key={sale.sale}>
+                          <td className="px-4 py-2 text-gray-900">{sale.orderNumber}</td>
+                          <td className="px-4 py-2 text-gray-500">{formatDate(sale.date)}</td>
+                          <td className="px-4 py-2 text-gray-500">{sale.customerName}</td>
+                          <td className="px-4 py-2 text-right text-gray-900">{sale.quantity}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {canManage && ['active', 'quarantined'].includes(batch.status) && (
+                <div className="border-t border-gray-200 pt-4 space-y-3">
+                  <h3 className="text-sm font-semibold text-gray-900">Quality</h3>
+                  {batch.qualityCheck?.checkedDate && (
+                    <p className="text-sm text-gray-600">
+                      Last check {batch.qualityCheck.passed ? 'passed' : 'failed'} on {formatDate(batch.qualityCheck.checkedDate)}
+                      {batch.qualityCheck.notes && ` · ${batch.qualityCheck.notes}`}
+                    </p>
+                  )}
+                  <div className="flex flex-col sm:flex-row gap-3">
+                    <input
+                      type="text"
+                      value={qcNotes}
+                      onChange={(e) => setQcNotes(e.target.value)}
+                      className="input flex-1"
+                      placeholder="Quality check notes"
+                    />
+                    <button onClick={() => handleQualityCheck(true)} disabled={checking} className="btn btn-secondary btn-md">
+                      Passed
+                    </button>
+                    <button onClick={() => handleQualityCheck(false)} disabled={checking} className="btn btn-secondary btn-md text-red-600">
+                      Failed
+                    </button>
+                    {batch.status === 'active' ? (
+                      <button onClick={() => handleStatus('quarantined')} disabled={updating} className="btn btn-secondary btn-md">
+                        Quarantine
+                      </button>
+                    ) : (
+                      <button onClick={() => handleStatus('active')} disabled={updating} className="btn btn-primary btn-md">
+                        Release
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const Batches = () => {
+  const { hasPermission } = useAuth();
+  const [filters, setFilters] = useState({ status: '', warehouse: '', expiringWithinDays: '', search: '' });
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: warehousesData } = useGetWarehousesQuery({ isActive: 'true', limit: 100 });
+  const warehouses = warehousesData?.data?.warehouses || warehousesData?.warehouses || [];
+  const warehouseName = (id) => warehouses.find((warehouse) => String(warehouse._id) === String(id))?.name || 'Main stock';
+
+  const { data, isLoading, error } = useGetBatchesQuery(
+    {
+      status: filters.status || undefined,
+      warehouse: filters.warehouse || undefined,
+      expiringWithinDays: filters.expiringWithinDays || undefined,
+      search: filters.search || undefined,
+      page
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const batches = data?.data?.batches || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <Layers className="h-6 w-6 mr-2" />
+          Batches
+        </h1>
+        <p className="text-gray-600">Track lots and expiry dates and trace each batch to the customers who bought it</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={updateFilter('search')}
+            className="input pl-10"
+            placeholder="Search by batch or lot number..."
+          />
+        </div>
+        <select value={filters.status} onChange={updateFilter('status')} className="input sm:w-40">
+          <option value="">All Statuses</option>
+          {Object.entries(STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.warehouse} onChange={updateFilter('warehouse')} className="input sm:w-48">
+          <option value="">All Warehouses</option>
+          {warehouses.map((warehouse) => (
+            <option key={warehouse._id} value={warehouse._id}>{warehouse.name}</option>
+          ))}
+        </select>
+        <select value={filters.expiringWithinDays} onChange={updateFilter('expiringWithinDays')} className="input sm:w-48">
+          <option value="">Any Expiry</option>
+          <option value="30">Expiring in 30 days</option>
+          <option value="60">Expiring in 60 days</option>
+          <option value="90">Expiring in 90 days</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load batches')}</p>
+        ) : batches.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No batches found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batch</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expiry</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">On Hand</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Sold</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {batches.map((batch) => (
+                  <tr key={batch._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedId(batch._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {batch.batchNumber}
+                      {batch.lotNumber && <span className="block text-xs text-gray-500">Lot {batch.lotNumber}</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{batch.product?.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{warehouseName(batch.location?.warehouse)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{expiryLabel(batch)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{batch.currentQuantity}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{batch.soldQuantity}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm"><StatusBadge status={batch.status} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedId && (
+        <BatchTraceModal
+          batchId={selectedId}
+          warehouseName={warehouseName}
+          canManage={hasPermission('update_inventory')}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Batches;
@@ -0,0 +1,611 @@
+import React, { useState } from 'react';
+import { Copy, Edit, PiggyBank, Plus, Search, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import {
+  useGetBudgetsQuery,
+  useGetBudgetQuery,
+  useGetBudgetVersionsQuery,
+  useGetBudgetVsActualQuery,
+  useCreateBudgetMutation,
+  useUpdateBudgetMutation,
+  useApproveBudgetMutation,
+  useReviseBudgetMutation,
+  useCopyBudgetMutation,
+  useDeleteBudgetMutation,
+} from '../store/services/budgetsApi';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  approved: 'bg-green-100 text-green-800',
+  active: 'bg-blue-100 text-blue-800',
+  archived: 'bg-yellow-100 text-yellow-800'
+};
+
+const VARIANCE_STYLES = {
+  favorable: 'text-green-700',
+  on_target: 'text-gray-700',
+  unfavorable: 'text-red-600'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const currentYear = new Date().getFullYear();
+
+const emptyLine = { account: '', budgetedAmount: '', expenseType: '', notes: '' };
+
+const BudgetFormModal = ({ budget, onClose }) => {
+  const [formData, setFormData] = useState({
+    name: budget?.name || '',
+    description: budget?.description || '',
+    budgetType: budget?.budgetType || 'expense',
+    startDate: toDateInput(budget?.period?.startDate) || `${currentYear}-01-01`,
+    endDate: toDateInput(budget?.period?.endDate) || `${currentYear}-12-31`,
+    periodType: budget?.period?.type || 'yearly'
+  });
+  const [lines, setLines] = useState(
+    budget?.items?.length
+      ? budget.items.map((item) => ({
+        account: item.account?._id || item.account,
+        budgetedAmount: String(item.budgetedAmount),
+        originalAmount: item.budgetedAmount,
+        monthlyAmounts: item.monthlyAmounts,
+        expenseType: item.expenseType || '',
+        notes: item.notes || ''
+      }))
+      : [{ ...emptyLine }]
+  );
+  const { data: expenseData } = useGetAccountsQuery({ accountType: 'expense', isActive: 'true' });
+  const { data: revenueData } = useGetAccountsQuery({ accountType: 'revenue', isActive: 'true' }, { skip: formData.budgetType === 'expense' });
+  const accounts = [
+    ...(expenseData?.data || expenseData?.accounts || []),
+    ...(formData.budgetType === 'expense' ? [] : revenueData?.data || revenueData?.accounts || [])
+  ];
+  const [createBudget, { isLoading: creating }] = useCreateBudgetMutation();
+  const [updateBudget, { isLoading: updating }] = useUpdateBudgetMutation();
+
+  const updateLine = (index, field, value) => setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  const total = lines.reduce((sum, line) => sum + (parseFloat(line.budgetedAmount) || 0), 0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const items = lines
+      .filter((line) => line.account)
+      .map((line) => {
+        const amount = parseFloat(line.budgetedAmount) || 0;
+        // Keep the existing monthly phasing unless the annual amount was changed
+        const keepPhasing = line.monthlyAmounts?.length && amount === line.originalAmount;
+        return {
+          account: line.account,
+          ...(keepPhasing
+            ? { monthlyAmounts: line.monthlyAmounts.map(({ month, amount: value }) => ({ month, amount: value })) }
+            : { budgetedAmount: amount }),
+          expenseType: line.expenseType || undefined,
+          notes: line.notes || undefined
+        };
+      });
+    if (items.length === 0) {
+      toast.error('Add at least one budget line');
+      return;
+    }
+
+    const payload = {
+      name: formData.name,
+      description: formData.description || undefined,
+      budgetType: formData.budgetType,
+      period: { startDate: formData.startDate, endDate: formData.endDate, type: formData.periodType },
+      items
+    };
+    const request = budget ? updateBudget({ id: budget._id, ...payload }) : createBudget(payload);
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Budget saved');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save budget')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">{budget ? `Edit ${budget.budgetId || budget.name}` : 'New Budget'}</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Budget Type</label>
+              <select
+                value={formData.budgetType}
+                onChange={(e) => setFormData({ ...formData, budgetType: e.target.value })}
+                className="input"
+              >
+                <option value="expense">Expenses</option>
+                <option value="revenue">Revenue</option>
+                <option value="full">Revenue &amp; Expenses</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+              <input
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+              <input
+                type="date"
+                value={formData.endDate}
+                onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Budget Lines</label>
+            <p className="text-xs text-gray-500 mb-2">Amounts cover the whole period and are phased evenly across its months.</p>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <tbody className="divide-y divide-gray-200">
+                {lines.map((line, index) => (
+                  <tr key={index}>
+                    <td className="py-2 pr-2">
+                      <select
+                        value={line.account}
+                        onChange={(e) => updateLine(index, 'account', e.target.value)}
+                        className="input"
+                      >
+                        <option value="">Select account</option>
+                        {accounts.map((account) => (
+                          <option key={account._id} value={account._id}>{account.accountCode} - {account.accountName}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-2 w-36">
+                      <select
+                        value={line.expenseType}
+                        onChange={(e) => updateLine(index, 'expenseType', e.target.value)}
+                        className="input"
+                      >
+                        <option value="">Auto</option>
+                        <option value="selling">Selling</option>
+                        <option value="administrative">Administrative</option>
+                        <option value="other">Other</option>
+                      </select>
+                    </td>
+                    <td className="py-2 pr-2 w-36">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.budgetedAmount}
+                        onChange={(e) => updateLine(index, 'budgetedAmount', e.target.value)}
+                        className="input"
+                        placeholder="Amount"
+                      />
+                    </td>
+                    <td className="py-2 w-10 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                        className="p-1 text-red-600 hover:text-red-800"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center justify-between mt-2">
+              <button type="button" onClick={() => setLines([...lines, { ...emptyLine }])} className="btn btn-secondary btn-sm">
+                <Plus className="h-4 w-4 mr-1" />
+                Add Line
+              </button>
+              <span className="text-sm font-medium text-gray-900">Total {formatCurrency(total)}</span>
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-md">Cancel</button>
+            <button type="submit" disabled={creating || updating} className="btn btn-primary btn-md">
+              {creating || updating ? 'Saving...' : 'Save Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const BudgetDetailModal = ({ budgetId, permissions, onEdit, onSelect, onClose }) => {
+  const [month, setMonth] = useState('');
+  const { data: budgetData } = useGetBudgetQuery(budgetId, { refetchOnMountOrArgChange: true });
+  const { data: reportData, isFetching, error } = useGetBudgetVsActualQuery(
+    { id: budgetId, month: month || undefined },
+    { refetchOnMountOrArgChange: true }
+  );
+  const { data: versionsData } = useGetBudgetVersionsQuery(budgetId);
+  const [approveBudget, { isLoading: approving }] = useApproveBudgetMutation();
+  const [reviseBudget, { isLoading: revising }] = useReviseBudgetMutation();
+  const [copyBudget, { isLoading: copying }] = useCopyBudgetMutation();
+  const [deleteBudget] = useDeleteBudgetMutation();
+  const budget = budgetData?.data;
+  const report = reportData?.data;
+  const versions = versionsData?.data || [];
+  const periodMonths = [...new Set((budget?.items || []).flatMap((item) => item.monthlyAmounts.map((m) => m.month)))].sort();
+
+  const handleApprove = () => {
+    const replaces = budget.parentBudget ? ' The version it revises will be archived.' : '';
+    if (!window.confirm(`Approve ${budget.budgetId}?${replaces}`)) return;
+    approveBudget(budgetId)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Budget approved'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to approve budget')));
+  };
+
+  const handleRevise = () => {
+    const reason = window.prompt('Reason for revising this budget?');
+    if (!reason) return;
+    reviseBudget({ id: budgetId, reason })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Draft revision created');
+        if (res?.data?._id) onSelect(res.data._id);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to revise budget')));
+  };
+
+  const handleCopy = () => {
+    const nextStart = new Date(budget.period.startDate);
+    nextStart.setFullYear(nextStart.getFullYear() + 1);
+    const startDate = window.prompt('Start date for the copy (YYYY-MM-DD)', toDateInput(nextStart));
+    if (!startDate) return;
+    const adjustment = window.prompt('Adjust every line by (%)', '0');
+    if (adjustment === null) return;
+    copyBudget({ id: budgetId, startDate, adjustmentPercent: parseFloat(adjustment) || 0 })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Budget copied');
+        if (res?.data?._id) onSelect(res.data._id);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to copy budget')));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete draft budget ${budget.budgetId}?`)) return;
+    deleteBudget(budgetId)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Budget deleted');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete budget')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{budget ? `${budget.budgetId} · ${budget.name}` : 'Budget'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {!budget ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[budget.status]}`}>{budget.status}</span>
+                  <span>{formatDate(budget.period.startDate)} – {formatDate(budget.period.endDate)}</span>
+                  <span>· v{budget.version} {budget.versionType}</span>
+                  {budget.revisionReason && <span>· {budget.revisionReason}</span>}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {budget.status === 'draft' && permissions.edit && (
+                    <button onClick={() => onEdit(budget)} className="btn btn-secondary btn-sm">
+                      <Edit className="h-4 w-4 mr-1" />
+                      Edit
+                    </button>
+                  )}
+                  {budget.status === 'draft' && permissions.approve && (
+                    <button onClick={handleApprove} disabled={approving} className="btn btn-primary btn-sm">Approve</button>
+                  )}
+                  {['approved', 'active'].includes(budget.status) && permissions.edit && (
+                    <button onClick={handleRevise} disabled={revising} className="btn btn-secondary btn-sm">Revise</button>
+                  )}
+                  {permissions.create && (
+                    <button onClick={handleCopy} disabled={copying} className="btn btn-secondary btn-sm">
+                      <Copy className="h-4 w-4 mr-1" />
+                      Copy
+                    </button>
+                  )}
+                  {budget.status === 'draft' && permissions.delete && (
+                    <button onClick={handleDelete} className="btn btn-secondary btn-sm text-red-600">
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-gray-900">Budget vs Actual</h3>
+                <select value={month} onChange={(e) => setMonth(e.target.value)} className="input w-44">
+                  <option value="">Whole period</option>
+                  {periodMonths.map((m) => (
+                    <option key={m} value={m}>{m}</option>
+                  ))}
+                </select>
+              </div>
+              {isFetching ? (
+                <LoadingSpinner />
+              ) : error || !report ? (
+                <p className="text-center text-red-600">{errorMessage(error, 'Failed to load budget vs actual')}</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Budget</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actual</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">%</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.accounts.map((line) => (
+                      <tr key={line.accountCode}>
+                        <td className="px-4 py-2 text-gray-900">
+                          {line.accountCode} - {line.accountName}
+                          <span className="block text-xs text-gray-500 capitalize">{line.expenseType}</span>
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-500">{formatCurrency(line.budget)}</td>
+                        <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.actual)}</td>
+                        <td className={`px-4 py-2 text-right ${VARIANCE_STYLES[line.status] || ''}`}>{formatCurrency(line.variance)}</td>
+                        <td className={`px-4 py-2 text-right ${VARIANCE_STYLES[line.status] || ''}`}>{line.variancePercent}%</td>
+                      </tr>
+                    ))}
+                    <tr className="bg-gray-50 font-semibold">
+                      <td className="px-4 py-2 text-gray-900">Total</td>
+                      <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(report.totals.budget)}</td>
+                      <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(report.totals.actual)}</td>
+                      <td className={`px-4 py-2 text-right ${VARIANCE_STYLES[report.totals.status] || ''}`}>{formatCurrency(report.totals.variance)}</td>
+                      <td className={`px-4 py-2 text-right ${VARIANCE_STYLES[report.totals.status] || ''}`}>{report.totals.variancePercent}%</td>
+                    </tr>
+                  </tbody>
+                </table>
+              )}
+
+              {!month && report?.monthlyTotals?.length > 1 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">By Month</h3>
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Budget</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actual</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {report.monthlyTotals.map((line) => (
+                        <tr key={line.month}>
+                          <td className="px-4 py-2 text-gray-900">{line.month}</td>
+                          <td className="px-4 py-2 text-right text-gray-500">{formatCurrency(line.budget)}</td>
+                          <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.actual)}</td>
+                          <td className={`px-4 py-2 text-right ${VARIANCE_STYLES[line.status] || ''}`}>{formatCurrency(line.variance)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {versions.length > 1 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Versions</h3>
+                  <ul className="divide-y divide-gray-200 text-sm">
+                    {versions.map((version) => (
+                      <li key={version._id} className="flex items-center justify-between py-2">
+                        <button
+                          onClick={() => onSelect(version._id)}
+                          className={`text-left ${version._id === budgetId ? 'font-semibold text-gray-900' : 'text-blue-600 hover:text-blue-800'}`}
+                        >
+                          v{version.version} · {version.budgetId}
+                          {version.revisionReason && <span className="ml-2 text-gray-500">{version.revisionReason}</span>}
+                        </button>
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[version.status]}`}>{version.status}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const Budgets = () => {
+  const { hasPermission } = useAuth();
+  const permissions = {
+    create: hasPermission('create_expenses'),
+    edit: hasPermission('edit_expenses'),
+    approve: hasPermission('approve_expenses'),
+    delete: hasPermission('delete_expenses')
+  };
+  const [filters, setFilters] = useState({ status: '', year: String(currentYear), search: '' });
+  const [page, setPage] = useState(1);
+  const [editing, setEditing] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading, error } = useGetBudgetsQuery(
+    {
+      status: filters.status || undefined,
+      year: filters.year || undefined,
+      search: filters.search || undefined,
+      page
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const budgets = data?.data?.budgets || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <PiggyBank className="h-6 w-6 mr-2" />
+            Budgets
+          </h1>
+          <p className="text-gray-600">Plan spending by account and month, and compare it with what the ledger shows</p>
+        </div>
+        {permissions.create && (
+          <button onClick={() => setEditing({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            New Budget
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={updateFilter('search')}
+            className="input pl-10"
+            placeholder="Search budgets..."
+          />
+        </div>
+        <select value={filters.status} onChange={updateFilter('status')} className="input sm:w-40">
+          <option value="">All Statuses</option>
+          {Object.keys(STATUS_STYLES).map((status) => (
+            <option key={status} value={status} className="capitalize">{status}</option>
+          ))}
+        </select>
+        <select value={filters.year} onChange={updateFilter('year')} className="input sm:w-32">
+          <option value="">All Years</option>
+          {[currentYear + 1, currentYear, currentYear - 1, currentYear - 2].map((year) => (
+            <option key={year} value={year}>{year}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load budgets')}</p>
+        ) : budgets.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No budgets found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Budget</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Lines</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {budgets.map((budget) => (
+                  <tr key={budget._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedId(budget._id)}>
+                    <td className="px-6 py-4 text-sm">
+                      <span className="font-medium text-gray-900">{budget.name}</span>
+                      <span className="block text-xs text-gray-500">{budget.budgetId}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(budget.period.startDate)} – {formatDate(budget.period.endDate)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">v{budget.version} {budget.versionType}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{budget.items?.length || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                      {formatCurrency((budget.items || []).reduce((sum, item) => sum + (item.budgetedAmount || 0), 0))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[budget.status]}`}>{budget.status}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {editing && <BudgetFormModal budget={editing._id ? editing : null} onClose={() => setEditing(null)} />}
+      {selectedId && !editing && (
+        <BudgetDetailModal
+          budgetId={selectedId}
+          permissions={permissions}
+          onEdit={setEditing}
+          onSelect={setSelectedId}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Budgets;
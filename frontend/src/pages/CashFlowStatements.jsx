@@ -0,0 +1,389 @@
+import React, { useState } from 'react';
+import { Play, Download, Trash2, X, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan, getStartOfMonth } from '../utils/dateUtils';
+import {
+  useGenerateCashFlowStatementMutation,
+  useGetCashFlowStatementsQuery,
+  useGetCashFlowStatementQuery,
+  useUpdateCashFlowStatementStatusMutation,
+  useDeleteCashFlowStatementMutation,
+  useExportCashFlowStatementMutation,
+  useDownloadCashFlowStatementMutation,
+} from '../store/services/cashFlowStatementsApi';
+
+const STATUSES = ['draft', 'review', 'approved', 'published'];
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  review: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  published: 'bg-green-100 text-green-800'
+};
+
+const SECTIONS = [
+  ['operating', 'Operating Activities'],
+  ['investing', 'Investing Activities'],
+  ['financing', 'Financing Activities']
+];
+
+const amountClass = (amount) => (amount < 0 ? 'text-red-600' : 'text-gray-900');
+
+const periodLabel = (period) => (period ? `${formatDate(period.startDate)} - ${formatDate(period.endDate)}` : '');
+
+const StatementDetail = ({ statementId, onClose }) => {
+  const { data: statement, isLoading, error } = useGetCashFlowStatementQuery(statementId, {
+    refetchOnMountOrArgChange: true,
+  });
+  const [updateStatus, { isLoading: updating }] = useUpdateCashFlowStatementStatusMutation();
+  const [deleteStatement] = useDeleteCashFlowStatementMutation();
+  const [exportStatement, { isLoading: exporting }] = useExportCashFlowStatementMutation();
+  const [downloadStatement] = useDownloadCashFlowStatementMutation();
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error || !statement) {
+    return <p className="p-6 text-center text-red-600">{error?.data?.message || 'Failed to load cash flow statement'}</p>;
+  }
+
+  const cashFlow = statement.cashFlow || {};
+  const comparison = cashFlow.comparison;
+
+  const handleStatusChange = (status) => {
+    updateStatus({ id: statementId, status })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Status updated'))
+      .catch((err) => toast.error(err?.data?.message || 'Failed to update status'));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete draft cash flow statement ${statement.statementId}?`)) return;
+    deleteStatement(statementId)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Statement deleted');
+        onClose();
+      })
+      .catch((err) => toast.error(err?.data?.message || 'Failed to delete statement'));
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const exported = await exportStatement({ id: statementId, format }).unwrap();
+      const result = await downloadStatement({ id: statementId, format }).unwrap();
+      const type = format === 'excel'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'application/pdf';
+      const blob = result instanceof Blob ? result : new Blob([result], { type });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = exported?.export?.filename || `Cash_Flow_${statement.statementId}.${format === 'excel' ? 'xlsx' : 'pdf'}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err?.data?.message || 'Failed to export statement');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Statement of Cash Flows</h2>
+          <p className="text-gray-600 text-sm">
+            {periodLabel(statement.period)} · {cashFlow.method === 'direct' ? 'Direct' : 'Indirect'} method · {statement.statementId}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={statement.status}
+            onChange={(e) => handleStatusChange(e.target.value)}
+            className="input w-36"
+            disabled={updating}
+          >
+            {STATUSES.map((status) => (
+              <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+            ))}
+          </select>
+          <button onClick={() => handleExport('pdf')} className="btn btn-secondary btn-md" disabled={exporting}>
+            <Download className="h-4 w-4 mr-2" />
+            PDF
+          </button>
+          <button onClick={() => handleExport('excel')} className="btn btn-secondary btn-md" disabled={exporting}>
+            <Download className="h-4 w-4 mr-2" />
+            Excel
+          </button>
+          {statement.status === 'draft' && (
+            <button onClick={handleDelete} className="p-2 text-red-600 hover:text-red-900" title="Delete">
+              <Trash2 className="h-5 w-5" />
+            </button>
+          )}
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600" title="Close">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6">
+        <table className="min-w-full text-sm">
+          <tbody>
+            {SECTIONS.map(([key, title]) => {
+              const section = cashFlow[key] || { lines: [], total: 0 };
+              return (
+                <React.Fragment key={key}>
+                  <tr className="bg-gray-50">
+                    <td colSpan={2} className="px-4 py-2 text-xs font-semibold text-gray-600 uppercase tracking-wider">{title}</td>
+                  </tr>
+                  {section.lines.length === 0 && (
+                    <tr>
+                      <td className="px-4 py-2 text-gray-400" colSpan={2}>No activity</td>
+                    </tr>
+                  )}
+                  {section.lines.map((line) => (
+                    <tr key={line.key || line.label} className="border-b border-gray-100">
+                      <td className="px-4 py-2 text-gray-700 pl-8">
+                        {line.label}
+                        {line.count > 0 && <span className="text-xs text-gray-400 ml-2">({line.count})</span>}
+                      </td>
+                      <td className={`px-4 py-2 text-right ${amountClass(line.amount)}`}>{formatCurrency(line.amount)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-gray-300">
+                    <td className="px-4 py-2 font-semibold text-gray-900">Net cash from {title.toLowerCase()}</td>
+                    <td className={`px-4 py-2 text-right font-semibold ${amountClass(section.total)}`}>{formatCurrency(section.total)}</td>
+                  </tr>
+                </React.Fragment>
+              );
+            })}
+            <tr className="border-t-2 border-gray-300">
+              <td className="px-4 py-2 font-semibold text-gray-900">Net change in cash</td>
+              <td className={`px-4 py-2 text-right font-semibold ${amountClass(cashFlow.netChangeInCash)}`}>{formatCurrency(cashFlow.netChangeInCash)}</td>
+            </tr>
+            <tr>
+              <td className="px-4 py-2 text-gray-700">Cash at beginning of period</td>
+              <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(cashFlow.openingCash)}</td>
+            </tr>
+            <tr className="bg-gray-900 text-white">
+              <td className="px-4 py-3 font-bold">Cash at end of period</td>
+              <td className="px-4 py-3 text-right font-bold">{formatCurrency(cashFlow.closingCash)}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        {Math.abs(cashFlow.unreconciledDifference || 0) >= 0.01 && (
+          <div className="mt-4 flex items-start gap-2 p-3 rounded bg-yellow-50 text-sm text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>
+              {formatCurrency(cashFlow.unreconciledDifference)} of the ledger cash movement is not explained by the three sections.
+              Check for cash postings to accounts the statement does not classify.
+            </span>
+          </div>
+        )}
+
+        {comparison?.period && (
+          <div className="mt-6">
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Compared with {comparison.period}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              {[
+                ['Operating', comparison.operating],
+                ['Investing', comparison.investing],
+                ['Financing', comparison.financing],
+                ['Net change', comparison.netChangeInCash]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-gray-50 rounded p-3">
+                  <p className="text-xs text-gray-500 uppercase">{label}</p>
+                  <p className={`font-semibold ${amountClass(value)}`}>{formatCurrency(value)}</p>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Net change moved by {formatCurrency(comparison.change)}
+              {Number.isFinite(comparison.changePercent) && ` (${comparison.changePercent.toFixed(1)}%)`}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const CashFlowStatements = () => {
+  const [formData, setFormData] = useState({
+    startDate: getStartOfMonth(),
+    endDate: getCurrentDatePakistan(),
+    method: 'indirect',
+    periodType: 'monthly'
+  });
+  const [filters, setFilters] = useState({ method: '', status: '' });
+  const [selectedId, setSelectedId] = useState(null);
+
+  const [generateStatement, { isLoading: generating }] = useGenerateCashFlowStatementMutation();
+  const { data, isLoading, error } = useGetCashFlowStatementsQuery(
+    { method: filters.method || undefined, status: filters.status || undefined, limit: 50 },
+    { refetchOnMountOrArgChange: true }
+  );
+  const statements = data?.statements || [];
+
+  const handleGenerate = (e) => {
+    e.preventDefault();
+    if (formData.startDate >= formData.endDate) {
+      toast.error('Start date must be before end date');
+      return;
+    }
+    generateStatement(formData)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Cash flow statement generated');
+        if (res?.statement?._id) setSelectedId(res.statement._id);
+      })
+      .catch((err) => toast.error(err?.data?.message || 'Failed to generate cash flow statement'));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Cash Flow Statements</h1>
+        <p className="text-gray-600">Cash from operating, investing and financing activities for a period</p>
+      </div>
+
+      <form onSubmit={handleGenerate} className="bg-white rounded-lg shadow p-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <input
+              type="date"
+              value={formData.startDate}
+              onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+            <input
+              type="date"
+              value={formData.endDate}
+              onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Method</label>
+            <select
+              value={formData.method}
+              onChange={(e) => setFormData({ ...formData, method: e.target.value })}
+              className="input"
+            >
+              <option value="indirect">Indirect</option>
+              <option value="direct">Direct</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Period Type</label>
+            <select
+              value={formData.periodType}
+              onChange={(e) => setFormData({ ...formData, periodType: e.target.value })}
+              className="input"
+            >
+              <option value="monthly">Monthly</option>
+              <option value="quarterly">Quarterly</option>
+              <option value="yearly">Yearly</option>
+              <option value="custom">Custom</option>
+            </select>
+          </div>
+          <button type="submit" className="btn btn-primary btn-md" disabled={generating}>
+            <Play className="h-4 w-4 mr-2" />
+            {generating ? 'Generating...' : 'Generate'}
+          </button>
+        </div>
+      </form>
+
+      {selectedId && <StatementDetail statementId={selectedId} onClose={() => setSelectedId(null)} />}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <h3 className="font-semibold text-gray-900">Generated Statements</h3>
+          <div className="flex gap-2">
+            <select value={filters.method} onChange={(e) => setFilters({ ...filters, method: e.target.value })} className="input w-36">
+              <option value="">All Methods</option>
+              <option value="indirect">Indirect</option>
+              <option value="direct">Direct</option>
+            </select>
+            <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })} className="input w-36">
+              <option value="">All Statuses</option>
+              {STATUSES.map((status) => (
+                <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-6 text-center text-red-600">
+            <p>Error loading statements: {error?.data?.message || error?.message}</p>
+          </div>
+        ) : statements.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <p>No cash flow statements generated yet.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Operating</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Investing</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Financing</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net Change</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {statements.map((statement) => {
+                  const cashFlow = statement.cashFlow || {};
+                  return (
+                    <tr
+                      key={statement._id}
+                      className={`cursor-pointer ${selectedId === statement._id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                      onClick={() => setSelectedId(statement._id)}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {periodLabel(statement.period)}
+                        <span className="block text-xs text-gray-500">{statement.statementId}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{cashFlow.method}</td>
+                      {['operating', 'investing', 'financing'].map((key) => (
+                        <td key={key} className={`px-6 py-4 whitespace-nowrap text-sm text-right ${amountClass(cashFlow[key]?.total)}`}>
+                          {formatCurrency(cashFlow[key]?.total)}
+                        </td>
+                      ))}
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${amountClass(cashFlow.netChangeInCash)}`}>
+                        {formatCurrency(cashFlow.netChangeInCash)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[statement.status]}`}>
+                          {statement.status}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CashFlowStatements;
@@ -19,7 +19,7 @@ import {
   Building,
   User
 } from 'lucide-react';
-import { showSuccessToast, showErrorToast, handleApiError } from '../utils/errorHandler';
+import { showSuccessToast, showErrorToast, showWarningToast, handleApiError } from '../utils/errorHandler';
 import { formatDate } from '../utils/formatters';
 import ReceiptPaymentPrintModal from '../components/ReceiptPaymentPrintModal';
 import {
@@ -428,9 +428,10 @@ const CashPayments = () => {
 
     createCashPayment(submissionData)
       .unwrap()
-      .then(() => {
+      .then((response) => {
         resetForm();
         showSuccessToast('Cash payment created successfully');
+        if (response?.budgetWarning) showWarningToast(response.budgetWarning.message, { duration: 8000 });
         refetch();
         // Refetch customer/supplier data to update balances immediately
         if (paymentType === 'customer' && formData.customer) {
@@ -0,0 +1,715 @@
+import React, { useState } from 'react';
+import { Plus, X, Search, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { useGetBanksQuery } from '../store/services/banksApi';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import {
+  useGetChequesQuery,
+  useGetChequeDashboardQuery,
+  useCreateChequeMutation,
+  useDepositChequeMutation,
+  useClearChequeMutation,
+  useBounceChequeMutation,
+  useReturnChequeMutation,
+  useCancelChequeMutation,
+  useDeleteChequeMutation,
+} from '../store/services/chequesApi';
+
+const STATUS_STYLES = {
+  in_hand: 'bg-blue-100 text-blue-800',
+  issued: 'bg-indigo-100 text-indigo-800',
+  deposited: 'bg-yellow-100 text-yellow-800',
+  cleared: 'bg-green-100 text-green-800',
+  bounced: 'bg-red-100 text-red-800',
+  returned: 'bg-gray-100 text-gray-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+// Same moves the Cheque model allows; the server rejects anything else
+const TRANSITIONS = {
+  received: {
+    in_hand: ['deposited', 'returned', 'cancelled'],
+    deposited: ['cleared', 'bounced'],
+    bounced: ['deposited', 'returned']
+  },
+  issued: {
+    issued: ['cleared', 'bounced', 'cancelled']
+  }
+};
+
+const ACTION_LABELS = {
+  deposited: 'Deposit',
+  cleared: 'Clear',
+  bounced: 'Bounce',
+  returned: 'Return',
+  cancelled: 'Cancel'
+};
+
+const describeStatus = (status) => status.replace(/_/g, ' ');
+
+const partyName = (cheque) =>
+  cheque.customer?.businessName || cheque.customer?.name ||
+  cheque.supplier?.companyName || cheque.supplier?.name ||
+  cheque.payee || '-';
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const ChequeFormModal = ({ banks, onClose }) => {
+  const [formData, setFormData] = useState({
+    direction: 'received',
+    chequeNumber: '',
+    amount: '',
+    date: todayString(),
+    dueDate: todayString(),
+    drawerBank: '',
+    drawerBankBranch: '',
+    accountTitle: '',
+    bank: '',
+    customer: '',
+    supplier: '',
+    payee: '',
+    expenseAccount: '',
+    notes: ''
+  });
+  const [createCheque, { isLoading }] = useCreateChequeMutation();
+
+  const isReceived = formData.direction === 'received';
+  const { data: customersData } = useGetCustomersQuery({ search: '', limit: 100 }, { skip: !isReceived });
+  const { data: suppliersData } = useGetSuppliersQuery({ search: '', limit: 100 }, { skip: isReceived });
+  const { data: accountsData } = useGetAccountsQuery(
+    { accountType: 'expense', isActive: 'true' },
+    { skip: isReceived || !!formData.supplier }
+  );
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+  const suppliers = suppliersData?.data?.suppliers || suppliersData?.suppliers || [];
+  const expenseAccounts = accountsData?.data || accountsData?.accounts || [];
+
+  const handleChange = (field) => (e) => setFormData({ ...formData, [field]: e.target.value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { customer, supplier, expenseAccount, ...rest } = formData;
+    const payload = isReceived
+      ? { ...rest, customer }
+      : { ...rest, supplier: supplier || undefined, expenseAccount: supplier ? undefined : expenseAccount || undefined };
+
+    createCheque(payload)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Cheque registered');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to register cheque')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Register Cheque</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Direction *</label>
+                <select value={formData.direction} onChange={handleChange('direction')} className="input">
+                  <option value="received">Received from customer</option>
+                  <option value="issued">Issued by us</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Cheque Number *</label>
+                <input type="text" value={formData.chequeNumber} onChange={handleChange('chequeNumber')} className="input" maxLength={50} required />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Amount *</label>
+                <input type="number" step="0.01" min="0.01" value={formData.amount} onChange={handleChange('amount')} className="input" required />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{isReceived ? 'Received On' : 'Issued On'}</label>
+                <input type="date" value={formData.date} onChange={handleChange('date')} className="input" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Cheque Date *</label>
+                <input type="date" value={formData.dueDate} onChange={handleChange('dueDate')} className="input" required />
+                <p className="text-xs text-gray-500 mt-1">Later than today for post-dated cheques</p>
+              </div>
+
+              {isReceived ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Customer *</label>
+                  <select value={formData.customer} onChange={handleChange('customer')} className="input" required>
+                    <option value="">Select customer</option>
+                    {customers.map((customer) => (
+                      <option key={customer._id} value={customer._id}>{customer.businessName || customer.name}</option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Supplier</label>
+                  <select value={formData.supplier} onChange={handleChange('supplier')} className="input">
+                    <option value="">Not a supplier payment</option>
+                    {suppliers.map((supplier) => (
+                      <option key={supplier._id} value={supplier._id}>{supplier.companyName || supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {isReceived ? (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Drawer Bank</label>
+                    <input type="text" value={formData.drawerBank} onChange={handleChange('drawerBank')} className="input" maxLength={200} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Branch</label>
+                    <input type="text" value={formData.drawerBankBranch} onChange={handleChange('drawerBankBranch')} className="input" maxLength={200} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Account Title</label>
+                    <input type="text" value={formData.accountTitle} onChange={handleChange('accountTitle')} className="input" maxLength={200} />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Payee{!formData.supplier && ' *'}</label>
+                    <input
+                      type="text"
+                      value={formData.payee}
+                      onChange={handleChange('payee')}
+                      className="input"
+                      maxLength={200}
+                      required={!formData.supplier}
+                    />
+                  </div>
+                  {!formData.supplier && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Expense Account</label>
+                      <select value={formData.expenseAccount} onChange={handleChange('expenseAccount')} className="input">
+                        <option value="">Select account</option>
+                        {expenseAccounts.map((account) => (
+                          <option key={account._id} value={account._id}>{account.accountCode} - {account.accountName}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {isReceived ? 'Deposit Into' : 'Drawn On *'}
+                </label>
+                <select value={formData.bank} onChange={handleChange('bank')} className="input" required={!isReceived}>
+                  <option value="">{isReceived ? 'Choose when depositing' : 'Select bank account'}</option>
+                  {banks.map((bank) => (
+                    <option key={bank._id} value={bank._id}>{bank.bankName} - {bank.accountNumber}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <textarea value={formData.notes} onChange={handleChange('notes')} className="input" rows="2" maxLength={1000} />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+              <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                {isLoading ? 'Saving...' : 'Register Cheque'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const StatusChangeModal = ({ cheque, action, banks, onClose }) => {
+  const [formData, setFormData] = useState({
+    date: todayString(),
+    notes: '',
+    bank: cheque.bank?._id || cheque.bank || '',
+    reason: '',
+    penaltyAmount: ''
+  });
+  const [depositCheque, { isLoading: depositing }] = useDepositChequeMutation();
+  const [clearCheque, { isLoading: clearing }] = useClearChequeMutation();
+  const [bounceCheque, { isLoading: bouncing }] = useBounceChequeMutation();
+  const [returnCheque, { isLoading: returning }] = useReturnChequeMutation();
+  const [cancelCheque, { isLoading: cancelling }] = useCancelChequeMutation();
+  const isLoading = depositing || clearing || bouncing || returning || cancelling;
+
+  const mutations = {
+    deposited: depositCheque,
+    cleared: clearCheque,
+    bounced: bounceCheque,
+    returned: returnCheque,
+    cancelled: cancelCheque
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = { id: cheque._id, date: formData.date, notes: formData.notes || undefined };
+    if (action === 'deposited') payload.bank = formData.bank;
+    if (action === 'bounced') {
+      payload.reason = formData.reason || undefined;
+      payload.penaltyAmount = formData.penaltyAmount || undefined;
+    }
+
+    mutations[action](payload)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Cheque updated');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to update cheque')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">{ACTION_LABELS[action]} Cheque</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="bg-gray-50 rounded p-3 mb-4 text-sm text-gray-700">
+            Cheque {cheque.chequeNumber} · {partyName(cheque)} · {formatCurrency(cheque.amount)}
+            <span className="block text-xs text-gray-500">Dated {formatDate(cheque.dueDate)}</span>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Date</label>
+              <input type="date" value={formData.date} onChange={(e) => setFormData({ ...formData, date: e.target.value })} className="input" />
+            </div>
+
+            {action === 'deposited' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Deposit Into *</label>
+                <select
+                  value={formData.bank}
+                  onChange={(e) => setFormData({ ...formData, bank: e.target.value })}
+                  className="input"
+                  required
+                >
+                  <option value="">Select bank account</option>
+                  {banks.map((bank) => (
+                    <option key={bank._id} value={bank._id}>{bank.bankName} - {bank.accountNumber}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {action === 'bounced' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+                  <input
+                    type="text"
+                    value={formData.reason}
+                    onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                    className="input"
+                    maxLength={500}
+                    placeholder="e.g., Insufficient funds"
+                  />
+                </div>
+                {cheque.direction === 'received' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Penalty Charged to Customer</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={formData.penaltyAmount}
+                      onChange={(e) => setFormData({ ...formData, penaltyAmount: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                )}
+              </>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <textarea
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                className="input"
+                rows="2"
+                maxLength={500}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+              <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+                Close
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                {isLoading ? 'Saving...' : ACTION_LABELS[action]}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ChequeTable = ({ cheques, canEdit, canDelete, onAction, onDelete }) => (
+  <div className="overflow-x-auto">
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cheque</th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Party</th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cheque Date</th>
+          <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+          {(canEdit || canDelete) && (
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+          )}
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {cheques.map((cheque) => {
+          const actions = TRANSITIONS[cheque.direction]?.[cheque.status] || [];
+          return (
+            <tr key={cheque._id} className="hover:bg-gray-50">
+              <td className="px-6 py-4 whitespace-nowrap text-sm">
+                <span className="font-medium text-gray-900">{cheque.chequeNumber}</span>
+                <span className="block text-xs text-gray-500">
+                  {cheque.chequeRegisterNumber} · {cheque.direction === 'received' ? cheque.drawerBank || 'Received' : cheque.bank?.bankName || 'Issued'}
+                </span>
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{partyName(cheque)}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(cheque.dueDate)}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(cheque.amount)}</td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[cheque.status]}`}>
+                  {describeStatus(cheque.status)}
+                </span>
+                {cheque.bounceCount > 0 && cheque.status !== 'bounced' && (
+                  <span className="block text-xs text-red-600 mt-1">Bounced {cheque.bounceCount}x</span>
+                )}
+              </td>
+              {(canEdit || canDelete) && (
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                  <div className="flex justify-end gap-3">
+                    {canEdit && actions.map((action) => (
+                      <button
+                        key={action}
+                        onClick={() => onAction(cheque, action)}
+                        className={action === 'bounced' || action === 'cancelled' ? 'text-red-600 hover:text-red-900' : 'text-blue-600 hover:text-blue-900'}
+                      >
+                        {ACTION_LABELS[action]}
+                      </button>
+                    ))}
+                    {canDelete && ['cancelled', 'returned'].includes(cheque.status) && (
+                      <button onClick={() => onDelete(cheque)} className="text-red-600 hover:text-red-900" title="Delete">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </td>
+              )}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+const DashboardBucket = ({ title, bucket, tone, ...tableProps }) => {
+  if (!bucket?.count) return null;
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="px-6 py-3 border-b border-gray-200 flex items-center justify-between">
+        <h3 className={`font-semibold ${tone}`}>{title}</h3>
+        <span className="text-sm text-gray-600">
+          {bucket.count} cheque(s) · {formatCurrency(bucket.amount)}
+          {bucket.cheques.length < bucket.count && ` · showing ${bucket.cheques.length}`}
+        </span>
+      </div>
+      <ChequeTable cheques={bucket.cheques} {...tableProps} />
+    </div>
+  );
+};
+
+const DueDashboard = ({ tableProps }) => {
+  const [days, setDays] = useState(7);
+  const { data, isLoading, error } = useGetChequeDashboardQuery({ days }, { refetchOnMountOrArgChange: true });
+  const dashboard = data?.data;
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error || !dashboard) {
+    return <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load cheque dashboard')}</p>;
+  }
+
+  const { received, issued } = dashboard;
+  const cards = [
+    { label: 'To deposit (overdue)', bucket: received.overdue, tone: 'text-red-600' },
+    { label: 'To deposit today', bucket: received.dueToday, tone: 'text-yellow-600' },
+    { label: `Due in ${days} days`, bucket: received.upcoming, tone: 'text-blue-600' },
+    { label: 'Awaiting clearance', bucket: received.awaitingClearance, tone: 'text-gray-900' },
+    { label: 'Bounced', bucket: received.bounced, tone: 'text-red-600' },
+    { label: 'Issued, due by today', bucket: { count: issued.overdue.count + issued.dueToday.count, amount: issued.overdue.amount + issued.dueToday.amount }, tone: 'text-indigo-600' }
+  ];
+  const hasDueCheques = [...Object.values(received), ...Object.values(issued)].some((bucket) => bucket.count > 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">As of {formatDate(dashboard.asOf)}</p>
+        <select value={days} onChange={(e) => setDays(parseInt(e.target.value))} className="input w-44">
+          <option value={7}>Next 7 days</option>
+          <option value={14}>Next 14 days</option>
+          <option value={30}>Next 30 days</option>
+          <option value={90}>Next 90 days</option>
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        {cards.map(({ label, bucket, tone }) => (
+          <div key={label} className="bg-white rounded-lg shadow p-4">
+            <p className="text-xs text-gray-500 uppercase">{label}</p>
+            <p className={`text-lg font-bold ${tone}`}>{formatCurrency(bucket.amount)}</p>
+            <p className="text-xs text-gray-500">{bucket.count} cheque(s)</p>
+          </div>
+        ))}
+      </div>
+
+      {!hasDueCheques && (
+        <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">No cheques need attention.</div>
+      )}
+      <DashboardBucket title="Received — past their date, still in hand" bucket={received.overdue} tone="text-red-600" {...tableProps} />
+      <DashboardBucket title="Received — due today" bucket={received.dueToday} tone="text-yellow-700" {...tableProps} />
+      <DashboardBucket title={`Received — due in the next ${days} days`} bucket={received.upcoming} tone="text-blue-700" {...tableProps} />
+      <DashboardBucket title="Deposited — awaiting clearance" bucket={received.awaitingClearance} tone="text-gray-900" {...tableProps} />
+      <DashboardBucket title="Bounced — re-present or return" bucket={received.bounced} tone="text-red-600" {...tableProps} />
+      <DashboardBucket title="Issued — past their date, not yet presented" bucket={issued.overdue} tone="text-indigo-700" {...tableProps} />
+      <DashboardBucket title="Issued — due today" bucket={issued.dueToday} tone="text-indigo-700" {...tableProps} />
+      <DashboardBucket title={`Issued — due in the next ${days} days`} bucket={issued.upcoming} tone="text-indigo-700" {...tableProps} />
+
+      {dashboard.schedule.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-3 border-b border-gray-200">
+            <h3 className="font-semibold text-gray-900">Cheque schedule — next 30 days</h3>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cheques</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Receiving</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Paying</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {dashboard.schedule.map((day) => (
+                <tr key={day.date}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatDate(day.date)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-500">{day.count}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-green-600">{formatCurrency(day.received)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-red-600">{formatCurrency(day.issued)}</td>
+                  <td className={`px-6 py-3 whitespace-nowrap text-sm text-right font-medium ${day.net < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {formatCurrency(day.net)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChequeRegister = ({ tableProps }) => {
+  const [filters, setFilters] = useState({ direction: '', status: '', search: '', dueFrom: '', dueTo: '' });
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, error } = useGetChequesQuery(
+    {
+      direction: filters.direction || undefined,
+      status: filters.status || undefined,
+      search: filters.search || undefined,
+      dueFrom: filters.dueFrom || undefined,
+      dueTo: filters.dueTo || undefined,
+      page,
+      limit: 50
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const cheques = data?.data?.cheques || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div className="md:col-span-2 relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search cheque number, bank, title or payee..."
+              value={filters.search}
+              onChange={updateFilter('search')}
+              className="input pl-10 w-full"
+            />
+          </div>
+          <select value={filters.direction} onChange={updateFilter('direction')} className="input">
+            <option value="">Received & Issued</option>
+            <option value="received">Received</option>
+            <option value="issued">Issued</option>
+          </select>
+          <select value={filters.status} onChange={updateFilter('status')} className="input">
+            <option value="">All Statuses</option>
+            {Object.keys(STATUS_STYLES).map((status) => (
+              <option key={status} value={status}>{describeStatus(status)}</option>
+            ))}
+          </select>
+          <div className="flex gap-2">
+            <input type="date" value={filters.dueFrom} onChange={updateFilter('dueFrom')} className="input" title="Cheque date from" />
+            <input type="date" value={filters.dueTo} onChange={updateFilter('dueTo')} className="input" title="Cheque date to" />
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-6 text-center text-red-600">
+            <p>Error loading cheques: {errorMessage(error, error?.message)}</p>
+          </div>
+        ) : cheques.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <p>No cheques found.</p>
+          </div>
+        ) : (
+          <>
+            <ChequeTable cheques={cheques} {...tableProps} />
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages} · {pagination.total} cheques</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const Cheques = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [showCreate, setShowCreate] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const { data: banksData } = useGetBanksQuery({ isActive: true });
+  const banks = banksData?.data?.banks || banksData?.banks || [];
+  const [deleteCheque] = useDeleteChequeMutation();
+
+  const handleDelete = (cheque) => {
+    if (!window.confirm(`Delete cheque ${cheque.chequeNumber} from the register?`)) return;
+    deleteCheque(cheque._id)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Cheque deleted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete cheque')));
+  };
+
+  const tableProps = {
+    canEdit: hasPermission('edit_cheques'),
+    canDelete: hasPermission('delete_cheques'),
+    onAction: (cheque, action) => setPendingAction({ cheque, action }),
+    onDelete: handleDelete
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Cheques</h1>
+          <p className="text-gray-600">Post-dated cheques to deposit, cheques awaiting clearance and cheques we have issued</p>
+        </div>
+        {hasPermission('create_cheques') && (
+          <button onClick={() => setShowCreate(true)} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Register Cheque
+          </button>
+        )}
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['dashboard', 'Due Cheques'],
+            ['register', 'Cheque Register']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'dashboard' ? <DueDashboard tableProps={tableProps} /> : <ChequeRegister tableProps={tableProps} />}
+
+      {showCreate && <ChequeFormModal banks={banks} onClose={() => setShowCreate(false)} />}
+      {pendingAction && (
+        <StatusChangeModal
+          cheque={pendingAction.cheque}
+          action={pendingAction.action}
+          banks={banks}
+          onClose={() => setPendingAction(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Cheques;
@@ -0,0 +1,822 @@
+import React, { useState } from 'react';
+import { Plus, Edit, Trash2, X, Search, Play, RotateCcw, ArrowRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan } from '../utils/dateUtils';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import {
+  useGetCurrenciesQuery,
+  useCreateCurrencyMutation,
+  useUpdateCurrencyMutation,
+  useGetExchangeRatesQuery,
+  useSetExchangeRateMutation,
+  useDeleteExchangeRateMutation,
+  useLazyConvertCurrencyQuery,
+  useGetSupplierCurrencyLedgerQuery,
+  useGetRevaluationsQuery,
+  useGetRevaluationPreviewQuery,
+  useGetRevaluationQuery,
+  useRunRevaluationMutation,
+  useReverseRevaluationMutation,
+} from '../store/services/currenciesApi';
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const formatAmount = (value, decimals = 2) =>
+  Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+const CurrencyFormModal = ({ currency, onClose }) => {
+  const [formData, setFormData] = useState({
+    code: currency?.code || '',
+    name: currency?.name || '',
+    symbol: currency?.symbol || '',
+    decimalPlaces: currency?.decimalPlaces ?? 2,
+    isActive: currency?.isActive ?? true
+  });
+  const [createCurrency, { isLoading: creating }] = useCreateCurrencyMutation();
+  const [updateCurrency, { isLoading: updating }] = useUpdateCurrencyMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const data = { ...formData, decimalPlaces: parseInt(formData.decimalPlaces, 10) };
+    const request = currency
+      ? updateCurrency({ id: currency._id, name: data.name, symbol: data.symbol, decimalPlaces: data.decimalPlaces, isActive: data.isActive })
+      : createCurrency({ ...data, code: data.code.trim().toUpperCase() });
+
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Currency saved');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save currency')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full">
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{currency ? `Edit ${currency.code}` : 'Add Currency'}</h2>
+            <button type="button" onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {!currency && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Code *</label>
+              <input
+                type="text"
+                value={formData.code}
+                onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                className="input uppercase"
+                placeholder="USD"
+                maxLength={3}
+                required
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="input"
+              placeholder="US Dollar"
+              required
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Symbol</label>
+              <input
+                type="text"
+                value={formData.symbol}
+                onChange={(e) => setFormData({ ...formData, symbol: e.target.value })}
+                className="input"
+                maxLength={10}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Decimal Places</label>
+              <input
+                type="number"
+                min="0"
+                max="4"
+                value={formData.decimalPlaces}
+                onChange={(e) => setFormData({ ...formData, decimalPlaces: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="currencyActive"
+              checked={formData.isActive}
+              onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <label htmlFor="currencyActive" className="ml-2 text-sm text-gray-700">Active</label>
+          </div>
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={creating || updating}>
+              {creating || updating ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const RatesPanel = ({ currency, baseCurrency, canManage }) => {
+  const [formData, setFormData] = useState({ rateDate: getCurrentDatePakistan(), rate: '', notes: '' });
+  const { data, isLoading } = useGetExchangeRatesQuery({ id: currency._id, limit: 60 });
+  const [setRate, { isLoading: saving }] = useSetExchangeRateMutation();
+  const [deleteRate] = useDeleteExchangeRateMutation();
+  const rates = data?.data?.rates || [];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setRate({ id: currency._id, rateDate: formData.rateDate, rate: parseFloat(formData.rate), notes: formData.notes || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Exchange rate saved');
+        setFormData({ ...formData, rate: '', notes: '' });
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save exchange rate')));
+  };
+
+  const handleDelete = (rate) => {
+    if (!window.confirm(`Delete the ${formatDate(rate.rateDate)} rate?`)) return;
+    deleteRate({ id: currency._id, rateId: rate._id })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Exchange rate deleted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete exchange rate')));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">{currency.code} Rates</h2>
+        <p className="text-sm text-gray-600">{baseCurrency} per 1 {currency.code}; a rate holds until the next one is entered</p>
+      </div>
+      {canManage && (
+        <form onSubmit={handleSubmit} className="p-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <input
+            type="date"
+            value={formData.rateDate}
+            onChange={(e) => setFormData({ ...formData, rateDate: e.target.value })}
+            className="input"
+          />
+          <input
+            type="number"
+            step="0.000001"
+            min="0"
+            value={formData.rate}
+            onChange={(e) => setFormData({ ...formData, rate: e.target.value })}
+            className="input"
+            placeholder="Rate"
+            required
+          />
+          <input
+            type="text"
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            className="input"
+            placeholder="Notes"
+            maxLength={500}
+          />
+          <button type="submit" className="btn btn-primary btn-md" disabled={saving}>
+            {saving ? 'Saving...' : 'Set Rate'}
+          </button>
+        </form>
+      )}
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : rates.length === 0 ? (
+        <p className="p-6 text-center text-gray-500">No rates entered yet.</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rates.map((rate) => (
+                <tr key={rate._id}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatDate(rate.rateDate)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{rate.rate}</td>
+                  <td className="px-6 py-3 text-sm text-gray-500">{rate.notes}</td>
+                  <td className="px-6 py-3 text-right">
+                    {canManage && (
+                      <button onClick={() => handleDelete(rate)} className="text-red-600 hover:text-red-900" title="Delete">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Converter = ({ currencies }) => {
+  const [params, setParams] = useState({ amount: '', currency: '', date: getCurrentDatePakistan() });
+  const [convert, { data, isFetching, error }] = useLazyConvertCurrencyQuery();
+  const result = data?.data;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    convert(params);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4">
+      <h2 className="text-sm font-medium text-gray-900 mb-3">Convert</h2>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <input
+          type="number"
+          step="0.01"
+          value={params.amount}
+          onChange={(e) => setParams({ ...params, amount: e.target.value })}
+          className="input"
+          placeholder="Amount"
+          required
+        />
+        <select value={params.currency} onChange={(e) => setParams({ ...params, currency: e.target.value })} className="input" required>
+          <option value="">Currency</option>
+          {currencies.filter((currency) => !currency.isBase).map((currency) => (
+            <option key={currency._id} value={currency.code}>{currency.code}</option>
+          ))}
+        </select>
+        <input type="date" value={params.date} onChange={(e) => setParams({ ...params, date: e.target.value })} className="input" />
+        <button type="submit" className="btn btn-secondary btn-md" disabled={isFetching}>
+          <ArrowRight className="h-4 w-4 mr-2" />
+          Convert
+        </button>
+      </div>
+      {error && <p className="mt-3 text-sm text-red-600">{errorMessage(error, 'Failed to convert')}</p>}
+      {result && !error && (
+        <p className="mt-3 text-sm text-gray-700">
+          {result.currency} {formatAmount(result.amount)} = {result.baseCurrency} {formatAmount(result.baseAmount)}
+          <span className="text-gray-500"> at {result.rate}{result.rateDate ? ` (rate of ${formatDate(result.rateDate)})` : ''}</span>
+        </p>
+      )}
+    </form>
+  );
+};
+
+const CurrenciesTab = ({ canManage }) => {
+  const [editing, setEditing] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const { data, isLoading, error } = useGetCurrenciesQuery();
+  const currencies = data?.data?.currencies || [];
+  const baseCurrency = data?.data?.baseCurrency;
+  const selected = currencies.find((currency) => currency._id === selectedId);
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error) return <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load currencies')}</p>;
+
+  return (
+    <div className="space-y-6">
+      {canManage && (
+        <div className="flex justify-end">
+          <button onClick={() => setEditing({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Add Currency
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {currencies.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No currencies yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currency</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Current Rate</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {currencies.map((currency) => (
+                  <tr
+                    key={currency._id}
+                    className={`${currency.isBase ? '' : 'cursor-pointer hover:bg-gray-50'} ${selectedId === currency._id ? 'bg-blue-50' : ''}`}
+                    onClick={() => !currency.isBase && setSelectedId(currency._id)}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <span className="font-medium">{currency.code}</span> {currency.name}
+                      {currency.symbol && <span className="text-gray-500"> ({currency.symbol})</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                      {currency.isBase ? (
+                        <span className="text-gray-500">Base currency</span>
+                      ) : currency.currentRate ? (
+                        <>
+                          <span className="text-gray-900">{currency.currentRate}</span>
+                          <span className="block text-xs text-gray-500">{formatDate(currency.currentRateDate)}</span>
+                        </>
+                      ) : (
+                        <span className="text-red-600">No rate</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${currency.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                        {currency.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {canManage && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setEditing(currency);
+                          }}
+                          className="text-blue-600 hover:text-blue-900"
+                          title="Edit"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {selected ? (
+          <RatesPanel key={selected._id} currency={selected} baseCurrency={baseCurrency} canManage={canManage} />
+        ) : (
+          <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">Select a foreign currency to see and enter its rates.</div>
+        )}
+      </div>
+
+      <Converter currencies={currencies} />
+
+      {editing && <CurrencyFormModal currency={editing._id ? editing : null} onClose={() => setEditing(null)} />}
+    </div>
+  );
+};
+
+const RevaluationLinesTable = ({ lines }) => (
+  <div className="overflow-x-auto">
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Foreign</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Booked Rate</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Closing Rate</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Booked</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Revalued</th>
+          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Gain / (Loss)</th>
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {lines.map((line, index) => (
+          <tr key={`${line.invoice || line.bank}-${index}`}>
+            <td className="px-4 py-3 text-sm text-gray-900">
+              {line.type === 'bank' ? (
+                <>
+                  {line.bankName}
+                  <span className="block text-xs text-gray-500">Bank balance</span>
+                </>
+              ) : (
+                <>
+                  {line.invoiceNumber}
+                  <span className="block text-xs text-gray-500">{line.supplierName || line.supplier?.companyName}</span>
+                </>
+              )}
+            </td>
+            <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{line.currency} {formatAmount(line.foreignOutstanding)}</td>
+            <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{line.invoiceRate}</td>
+            <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{line.closingRate}</td>
+            <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(line.bookedAmount)}</td>
+            <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(line.revaluedAmount)}</td>
+            {/* Differences are stored loss-positive */}
+            <td className={`px-4 py-3 whitespace-nowrap text-sm text-right font-medium ${line.difference > 0 ? 'text-red-600' : 'text-green-600'}`}>
+              {line.difference > 0 ? `(${formatCurrency(line.difference)})` : formatCurrency(-line.difference)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const RevaluationTotals = ({ totals }) => (
+  <div className="grid grid-cols-3 gap-4">
+    {[
+      ['Gain', totals.totalGain, 'text-green-600'],
+      ['Loss', totals.totalLoss, 'text-red-600'],
+      [totals.netDifference > 0 ? 'Net Loss' : 'Net Gain', Math.abs(totals.netDifference), totals.netDifference > 0 ? 'text-red-600' : 'text-green-600']
+    ].map(([label, value, color]) => (
+      <div key={label} className="bg-white rounded-lg shadow p-4">
+        <p className="text-xs text-gray-500 uppercase">{label}</p>
+        <p className={`text-lg font-bold ${color}`}>{formatCurrency(value)}</p>
+      </div>
+    ))}
+  </div>
+);
+
+const RevaluationDetailModal = ({ revaluationId, canRun, onClose }) => {
+  const { data, isLoading } = useGetRevaluationQuery(revaluationId);
+  const [reverseRevaluation, { isLoading: reversing }] = useReverseRevaluationMutation();
+  const revaluation = data?.data;
+
+  const handleReverse = () => {
+    const reversalDate = window.prompt('Reversal date (YYYY-MM-DD):', getCurrentDatePakistan());
+    if (!reversalDate) return;
+    reverseRevaluation({ id: revaluationId, reversalDate })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Revaluation reversed'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to reverse revaluation')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Revaluation {revaluation ? formatDate(revaluation.revaluationDate) : ''}
+            </h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !revaluation ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <p className="text-sm text-gray-600">
+                  Posted as {revaluation.journalVoucherNumber}
+                  {revaluation.reversalVoucherNumber && ` · reversed by ${revaluation.reversalVoucherNumber} on ${formatDate(revaluation.reversalDate)}`}
+                </p>
+                {canRun && revaluation.status === 'posted' && (
+                  <button onClick={handleReverse} className="btn btn-secondary btn-md" disabled={reversing}>
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Reverse
+                  </button>
+                )}
+              </div>
+              <RevaluationTotals totals={revaluation} />
+              <RevaluationLinesTable lines={revaluation.lines} />
+              {revaluation.notes && <p className="text-sm text-gray-600">{revaluation.notes}</p>}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const RevaluationTab = ({ canRun }) => {
+  const [revaluationDate, setRevaluationDate] = useState(getCurrentDatePakistan());
+  const [previewDate, setPreviewDate] = useState(null);
+  const [runData, setRunData] = useState({ autoReverse: true, notes: '' });
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: previewData, isFetching: previewing, error: previewError } = useGetRevaluationPreviewQuery(
+    { revaluationDate: previewDate },
+    { skip: !previewDate, refetchOnMountOrArgChange: true }
+  );
+  const { data, isLoading, error } = useGetRevaluationsQuery(
+    { status: statusFilter || undefined, page },
+    { refetchOnMountOrArgChange: true }
+  );
+  const [runRevaluation, { isLoading: running }] = useRunRevaluationMutation();
+  const preview = previewDate ? previewData?.data : null;
+  const revaluations = data?.data?.revaluations || [];
+  const pagination = data?.data?.pagination || {};
+
+  const handleRun = () => {
+    if (!window.confirm(`Post the unrealised exchange revaluation as of ${formatDate(previewDate)}?`)) return;
+    runRevaluation({ revaluationDate: previewDate, autoReverse: runData.autoReverse, notes: runData.notes || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Revaluation posted');
+        setPreviewDate(null);
+        setRunData({ autoReverse: true, notes: '' });
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to post revaluation')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4 sm:items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Revalue As Of</label>
+          <input type="date" value={revaluationDate} onChange={(e) => setRevaluationDate(e.target.value)} className="input" />
+        </div>
+        <button onClick={() => setPreviewDate(revaluationDate)} className="btn btn-primary btn-md">
+          <Search className="h-4 w-4 mr-2" />
+          Preview
+        </button>
+      </div>
+
+      {previewing && <LoadingSpinner />}
+      {!previewing && previewError && (
+        <p className="p-6 text-center text-red-600">{errorMessage(previewError, 'Failed to preview revaluation')}</p>
+      )}
+      {!previewing && preview && (
+        <div className="space-y-4">
+          {preview.rates.length > 0 && (
+            <p className="text-sm text-gray-600">
+              Closing rates: {preview.rates.map((rate) => `${rate.currency} ${rate.rate}`).join(' · ')}
+            </p>
+          )}
+          <RevaluationTotals totals={preview} />
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {preview.lines.length === 0 ? (
+              <p className="p-6 text-center text-gray-500">No open foreign-currency invoices or bank balances.</p>
+            ) : (
+              <RevaluationLinesTable lines={preview.lines} />
+            )}
+          </div>
+          {canRun && preview.lines.length > 0 && (
+            <div className="bg-white rounded-lg shadow p-4 flex flex-col md:flex-row gap-4 md:items-center">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="autoReverse"
+                  checked={runData.autoReverse}
+                  onChange={(e) => setRunData({ ...runData, autoReverse: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="autoReverse" className="ml-2 text-sm text-gray-700">Reverse on the next day</label>
+              </div>
+              <input
+                type="text"
+                value={runData.notes}
+                onChange={(e) => setRunData({ ...runData, notes: e.target.value })}
+                className="input flex-1"
+                placeholder="Notes"
+                maxLength={1000}
+              />
+              <button onClick={handleRun} className="btn btn-primary btn-md" disabled={running}>
+                <Play className="h-4 w-4 mr-2" />
+                {running ? 'Posting...' : 'Post Revaluation'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Revaluation History</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPage(1);
+            }}
+            className="input w-40"
+          >
+            <option value="">All</option>
+            <option value="posted">Posted</option>
+            <option value="reversed">Reversed</option>
+          </select>
+        </div>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load revaluations')}</p>
+        ) : revaluations.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No revaluations posted yet.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voucher</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Gain</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Loss</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {revaluations.map((revaluation) => (
+                  <tr key={revaluation._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedId(revaluation._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(revaluation.revaluationDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{revaluation.journalVoucherNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-green-600">{formatCurrency(revaluation.totalGain)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-red-600">{formatCurrency(revaluation.totalLoss)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${revaluation.status === 'posted' ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-800'}`}>
+                        {revaluation.status === 'posted' ? 'Posted' : 'Reversed'}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedId && <RevaluationDetailModal revaluationId={selectedId} canRun={canRun} onClose={() => setSelectedId(null)} />}
+    </div>
+  );
+};
+
+const SupplierLedgerTab = () => {
+  const [filters, setFilters] = useState({ supplierId: '', startDate: '', endDate: getCurrentDatePakistan() });
+  const [submitted, setSubmitted] = useState(null);
+  const { data: suppliersData } = useGetSuppliersQuery({ search: '', limit: 100 });
+  const suppliers = suppliersData?.data?.suppliers || suppliersData?.suppliers || [];
+  const { data, isFetching, error } = useGetSupplierCurrencyLedgerQuery(
+    {
+      supplierId: submitted?.supplierId,
+      startDate: submitted?.startDate || undefined,
+      endDate: submitted?.endDate || undefined
+    },
+    { skip: !submitted, refetchOnMountOrArgChange: true }
+  );
+  const ledger = submitted ? data?.data : null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!filters.supplierId) {
+      toast.error('Select a supplier');
+      return;
+    }
+    setSubmitted({ ...filters });
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Supplier</label>
+          <select value={filters.supplierId} onChange={(e) => setFilters({ ...filters, supplierId: e.target.value })} className="input">
+            <option value="">Select supplier</option>
+            {suppliers.map((supplier) => (
+              <option key={supplier._id} value={supplier._id}>
+                {supplier.companyName || supplier.name}{supplier.currency ? ` (${supplier.currency})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+          <input type="date" value={filters.startDate} onChange={(e) => setFilters({ ...filters, startDate: e.target.value })} className="input" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+          <input type="date" value={filters.endDate} onChange={(e) => setFilters({ ...filters, endDate: e.target.value })} className="input" />
+        </div>
+        <button type="submit" className="btn btn-primary btn-md">
+          <Search className="h-4 w-4 mr-2" />
+          View Ledger
+        </button>
+      </form>
+
+      {isFetching && <LoadingSpinner />}
+      {!isFetching && error && (
+        <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load currency ledger')}</p>
+      )}
+      {!isFetching && ledger && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="p-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">{ledger.supplier.companyName} · {ledger.supplier.currency}</h2>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{ledger.supplier.currency} Dr / (Cr)</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{ledger.supplier.currency} Balance</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{ledger.baseCurrency} Balance</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Exchange Diff.</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                <tr className="bg-gray-50">
+                  <td colSpan={4} className="px-4 py-3 text-sm text-gray-700">Opening balance</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(ledger.openingBalance.foreign)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900">{formatCurrency(ledger.openingBalance.base)}</td>
+                  <td />
+                </tr>
+                {ledger.entries.map((entry, index) => (
+                  <tr key={`${entry.invoice}-${index}`}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(entry.date)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {entry.reference}
+                      {entry.type === 'payment' && entry.invoiceNumber && entry.invoiceNumber !== entry.reference && (
+                        <span className="block text-xs text-gray-500">against {entry.invoiceNumber}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{entry.exchangeRate}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">
+                      {entry.foreignDebit ? formatAmount(entry.foreignDebit) : `(${formatAmount(entry.foreignCredit)})`}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatAmount(entry.foreignBalance)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(entry.baseBalance)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">
+                      {entry.exchangeDifference ? formatCurrency(entry.exchangeDifference) : ''}
+                    </td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td colSpan={4} className="px-4 py-3 text-sm text-gray-900">
+                    Closing balance
+                    {ledger.closingBalance.closingRate && (
+                      <span className="block text-xs font-normal text-gray-500">
+                        {formatCurrency(ledger.closingBalance.revaluedBase)} at the closing rate of {ledger.closingBalance.closingRate}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(ledger.closingBalance.foreign)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900">{formatCurrency(ledger.closingBalance.base)}</td>
+                  <td />
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const Currencies = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('currencies');
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Currencies</h1>
+        <p className="text-gray-600">Foreign currencies, daily exchange rates and period-end revaluation of foreign balances</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['currencies', 'Currencies & Rates'],
+            ['revaluation', 'Revaluation'],
+            ['ledger', 'Supplier Currency Ledger']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'currencies' && <CurrenciesTab canManage={hasPermission('manage_currencies')} />}
+      {activeTab === 'revaluation' && <RevaluationTab canRun={hasPermission('run_currency_revaluation')} />}
+      {activeTab === 'ledger' && <SupplierLedgerTab />}
+    </div>
+  );
+};
+
+export default Currencies;
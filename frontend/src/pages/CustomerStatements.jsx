@@ -0,0 +1,546 @@
+import React, { useState, useEffect } from 'react';
+import { Search, Download, Mail, Play, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan, getStartOfMonth } from '../utils/dateUtils';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import {
+  useGetCustomerStatementQuery,
+  useDownloadCustomerStatementMutation,
+  useEmailCustomerStatementMutation,
+  useGetStatementBatchesQuery,
+  useGetStatementBatchQuery,
+  useRunStatementBatchMutation,
+  useDownloadStatementBatchMutation,
+} from '../store/services/customerStatementsApi';
+
+const AGING_LABELS = {
+  current: 'Current',
+  '1-30': '1-30 Days',
+  '31-60': '31-60 Days',
+  '61-90': '61-90 Days',
+  '90+': '90+ Days'
+};
+
+const BATCH_STATUS_COLORS = {
+  queued: 'bg-gray-100 text-gray-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const ITEM_STATUS_COLORS = {
+  generated: 'bg-blue-100 text-blue-800',
+  emailed: 'bg-green-100 text-green-800',
+  no_email: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const saveBlob = (result, filename) => {
+  const blob = result instanceof Blob ? result : new Blob([result], { type: 'application/pdf' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+const StatementTab = ({ customers, canSend }) => {
+  const [filters, setFilters] = useState({ customerId: '', startDate: getStartOfMonth(), endDate: getCurrentDatePakistan() });
+  const [submitted, setSubmitted] = useState(null);
+  const { data, isFetching, error } = useGetCustomerStatementQuery(submitted, {
+    skip: !submitted,
+    refetchOnMountOrArgChange: true,
+  });
+  const [downloadStatement, { isLoading: downloading }] = useDownloadCustomerStatementMutation();
+  const [emailStatement, { isLoading: emailing }] = useEmailCustomerStatementMutation();
+  const statement = submitted ? data?.data : null;
+
+  const handleView = (e) => {
+    e.preventDefault();
+    if (!filters.customerId) {
+      toast.error('Select a customer');
+      return;
+    }
+    setSubmitted({ ...filters });
+  };
+
+  const handleDownload = async () => {
+    try {
+      const result = await downloadStatement(submitted).unwrap();
+      saveBlob(result, `Statement_${statement.customer.name}_${submitted.endDate}.pdf`);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to download statement'));
+    }
+  };
+
+  const handleEmail = () => {
+    const email = window.prompt('Send the statement to:', statement.customer.email || '');
+    if (email === null) return;
+    emailStatement({ ...submitted, email: email.trim() || undefined })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Statement emailed'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to email statement')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleView} className="bg-white rounded-lg shadow p-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Customer</label>
+            <select
+              value={filters.customerId}
+              onChange={(e) => setFilters({ ...filters, customerId: e.target.value })}
+              className="input"
+            >
+              <option value="">Select customer</option>
+              {customers.map((customer) => (
+                <option key={customer._id} value={customer._id}>
+                  {customer.displayName || customer.businessName || customer.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+              className="input"
+            />
+          </div>
+          <button type="submit" className="btn btn-primary btn-md">
+            <Search className="h-4 w-4 mr-2" />
+            View Statement
+          </button>
+        </div>
+      </form>
+
+      {isFetching && <LoadingSpinner />}
+      {!isFetching && error && (
+        <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load statement')}</p>
+      )}
+
+      {!isFetching && statement && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">{statement.customer.name}</h2>
+              <p className="text-sm text-gray-600">
+                {statement.customer.accountCode && `${statement.customer.accountCode} · `}
+                {formatDate(statement.period.startDate)} to {formatDate(statement.period.endDate)}
+              </p>
+              {statement.customer.email && <p className="text-sm text-gray-500">{statement.customer.email}</p>}
+            </div>
+            <div className="flex gap-2">
+              <button onClick={handleDownload} className="btn btn-secondary btn-md" disabled={downloading}>
+                <Download className="h-4 w-4 mr-2" />
+                {downloading ? 'Preparing...' : 'PDF'}
+              </button>
+              {canSend && (
+                <button onClick={handleEmail} className="btn btn-primary btn-md" disabled={emailing}>
+                  <Mail className="h-4 w-4 mr-2" />
+                  {emailing ? 'Sending...' : 'Email'}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="p-6 grid grid-cols-2 md:grid-cols-6 gap-4 border-b border-gray-200">
+            {[
+              ['Opening', statement.openingBalance],
+              ['Invoices', statement.summary.invoices],
+              ['Receipts', statement.summary.receipts],
+              ['Returns', statement.summary.returns],
+              ['Refunds', statement.summary.refunds],
+              ['Closing', statement.closingBalance]
+            ].map(([label, value]) => (
+              <div key={label}>
+                <p className="text-xs text-gray-500 uppercase">{label}</p>
+                <p className="text-lg font-bold text-gray-900">{formatCurrency(value)}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voucher</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Particular</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debit</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credit</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                <tr className="bg-gray-50">
+                  <td className="px-6 py-3 text-sm text-gray-500">{formatDate(statement.period.startDate)}</td>
+                  <td />
+                  <td className="px-6 py-3 text-sm text-gray-700">Balance brought forward</td>
+                  <td />
+                  <td />
+                  <td className="px-6 py-3 text-sm text-right font-medium text-gray-900">{formatCurrency(statement.openingBalance)}</td>
+                </tr>
+                {statement.entries.map((entry, index) => (
+                  <tr key={`${entry.referenceId}-${index}`}>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(entry.date)}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{entry.voucherNo}</td>
+                    <td className="px-6 py-3 text-sm text-gray-900">{entry.particular}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">
+                      {entry.debitAmount ? formatCurrency(entry.debitAmount) : ''}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">
+                      {entry.creditAmount ? formatCurrency(entry.creditAmount) : ''}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(entry.balance)}</td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td colSpan={5} className="px-6 py-3 text-sm text-gray-900">Closing balance</td>
+                  <td className="px-6 py-3 text-sm text-right text-gray-900">{formatCurrency(statement.closingBalance)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="p-6 border-t border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Aging as of {formatDate(statement.period.endDate)}</h3>
+            <div className="grid grid-cols-3 md:grid-cols-6 gap-4">
+              {Object.keys(AGING_LABELS).map((bucket) => (
+                <div key={bucket}>
+                  <p className="text-xs text-gray-500 uppercase">{AGING_LABELS[bucket]}</p>
+                  <p className={`text-sm font-medium ${bucket !== 'current' && statement.aging[bucket] > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {formatCurrency(statement.aging[bucket])}
+                  </p>
+                </div>
+              ))}
+              <div>
+                <p className="text-xs text-gray-500 uppercase">Total Due</p>
+                <p className="text-sm font-bold text-gray-900">{formatCurrency(statement.aging.total)}</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BatchDetailModal = ({ batchId, onClose }) => {
+  // Batches run in the background, so keep polling until the run has finished
+  const [pollingInterval, setPollingInterval] = useState(3000);
+  const { data, isLoading } = useGetStatementBatchQuery(batchId, { pollingInterval });
+  const [downloadBatch, { isLoading: downloading }] = useDownloadStatementBatchMutation();
+  const batch = data?.data;
+
+  const isRunning = batch && ['queued', 'processing'].includes(batch.status);
+
+  useEffect(() => {
+    if (batch && !isRunning) setPollingInterval(0);
+  }, [batch, isRunning]);
+
+  const handleDownload = async (item) => {
+    try {
+      const result = await downloadBatch({ id: batchId, customerId: item?.customer }).unwrap();
+      saveBlob(result, item?.filename || batch.combinedFilename || 'Customer_Statements.pdf');
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to download statements'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Statement Run</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !batch ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+                <p className="text-sm text-gray-600">
+                  {formatDate(batch.startDate)} to {formatDate(batch.endDate)} ·{' '}
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${BATCH_STATUS_COLORS[batch.status]}`}>
+                    {batch.status}
+                  </span>
+                  {isRunning && ` · ${batch.customersChecked} customer(s) checked`}
+                </p>
+                {batch.combinedFilename && (
+                  <button onClick={() => handleDownload()} className="btn btn-secondary btn-md" disabled={downloading}>
+                    <Download className="h-4 w-4 mr-2" />
+                    Download All
+                  </button>
+                )}
+              </div>
+              {batch.error && <p className="text-sm text-red-600 mb-4">{batch.error}</p>}
+              {!isRunning && (
+                <p className="text-sm text-gray-600 mb-4">
+                  {batch.statementCount} statement(s) · {batch.emailedCount} emailed · {batch.failedCount} failed ·
+                  total balance {formatCurrency(batch.totalBalance)}
+                </p>
+              )}
+              {batch.items.length > 0 && (
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Opening</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Closing</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-4 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {batch.items.map((item) => (
+                      <tr key={item.customer}>
+                        <td className="px-4 py-2 text-gray-900">
+                          {item.customerName}
+                          {item.email && <span className="block text-xs text-gray-500">{item.email}</span>}
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-500">{formatCurrency(item.openingBalance)}</td>
+                        <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(item.closingBalance)}</td>
+                        <td className="px-4 py-2">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${ITEM_STATUS_COLORS[item.status]}`}>
+                            {item.status.replace('_', ' ')}
+                          </span>
+                          {item.error && <span className="block text-xs text-red-600">{item.error}</span>}
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          {item.filename && (
+                            <button onClick={() => handleDownload(item)} className="text-blue-600 hover:text-blue-900" title="Download" disabled={downloading}>
+                              <Download className="h-4 w-4" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const BatchesTab = ({ canSend }) => {
+  const [formData, setFormData] = useState({ startDate: getStartOfMonth(), endDate: getCurrentDatePakistan(), minBalance: '', delivery: 'download' });
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedBatchId, setSelectedBatchId] = useState(null);
+  const { data, isLoading, error } = useGetStatementBatchesQuery(
+    { status: statusFilter || undefined, page },
+    { refetchOnMountOrArgChange: true }
+  );
+  const [runBatch, { isLoading: starting }] = useRunStatementBatchMutation();
+  const batches = data?.data?.batches || [];
+  const pagination = data?.data?.pagination || {};
+
+  const handleRun = (e) => {
+    e.preventDefault();
+    if (formData.delivery === 'email' && !window.confirm('Email a statement to every customer with a balance?')) return;
+    runBatch({ ...formData, minBalance: formData.minBalance || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Statement generation started');
+        if (res?.data?._id) setSelectedBatchId(res.data._id);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to start statement run')));
+  };
+
+  return (
+    <div className="space-y-4">
+      {canSend && (
+        <form onSubmit={handleRun} className="bg-white rounded-lg shadow p-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+              <input
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+              <input
+                type="date"
+                value={formData.endDate}
+                onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Balance</label>
+              <input
+                type="number"
+                step="0.01"
+                value={formData.minBalance}
+                onChange={(e) => setFormData({ ...formData, minBalance: e.target.value })}
+                className="input"
+                placeholder="0.00"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Delivery</label>
+              <select
+                value={formData.delivery}
+                onChange={(e) => setFormData({ ...formData, delivery: e.target.value })}
+                className="input"
+              >
+                <option value="download">Download only</option>
+                <option value="email">Email customers</option>
+              </select>
+            </div>
+            <button type="submit" className="btn btn-primary btn-md" disabled={starting}>
+              <Play className="h-4 w-4 mr-2" />
+              {starting ? 'Starting...' : 'Run Statements'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value);
+            setPage(1);
+          }}
+          className="input sm:w-48"
+        >
+          <option value="">All Statuses</option>
+          {Object.keys(BATCH_STATUS_COLORS).map((status) => (
+            <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load statement runs')}</p>
+        ) : batches.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No statement runs yet.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run On</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Delivery</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Statements</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Balance</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {batches.map((batch) => (
+                  <tr key={batch._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedBatchId(batch._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(batch.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(batch.startDate)} to {formatDate(batch.endDate)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{batch.delivery === 'email' ? 'Email' : 'Download'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{batch.statementCount}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(batch.totalBalance)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${BATCH_STATUS_COLORS[batch.status]}`}>
+                        {batch.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedBatchId && <BatchDetailModal batchId={selectedBatchId} onClose={() => setSelectedBatchId(null)} />}
+    </div>
+  );
+};
+
+export const CustomerStatements = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('statement');
+  const canSend = hasPermission('send_customer_statements');
+
+  const { data: customersData } = useGetCustomersQuery({ search: '', limit: 100 });
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Customer Statements</h1>
+        <p className="text-gray-600">Statements of account with aging, one customer at a time or for every customer with a balance</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['statement', 'Statement of Account'],
+            ['batches', 'Statement Runs']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'statement' && <StatementTab customers={customers} canSend={canSend} />}
+      {activeTab === 'batches' && <BatchesTab canSend={canSend} />}
+    </div>
+  );
+};
+
+export default CustomerStatements;
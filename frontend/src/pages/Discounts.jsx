@@ -150,6 +150,25 @@ const Discounts = () => {
     }).format(amount);
   };
 
+  // One-line terms for the rules-based promotion types, which carry no percentage or amount
+  const describePromotion = (discount) => {
+    const promotion = discount.promotion || {};
+    switch (discount.type) {
+      case 'buy_x_get_y':
+        return promotion.getDiscountPercent === 100 || promotion.getDiscountPercent === undefined
+          ? `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`
+          : `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} at ${promotion.getDiscountPercent}% off`;
+      case 'bundle':
+        return `Any ${promotion.bundleQuantity} for ${formatCurrency(promotion.bundlePrice)}`;
+      case 'tiered_spend':
+        return `${(promotion.tiers || []).length} spend tier(s)`;
+      case 'free_item':
+        return `${promotion.freeQuantity || 1} free ${promotion.freeProduct?.name || 'item(s)'}`;
+      default:
+        return null;
+    }
+  };
+
   const formatDate = (date) => {
     if (!date) return 'N/A';
     return new Date(date).toLocaleDateString('en-US', { 
@@ -342,7 +361,7 @@ const Discounts = () => {
                           <TrendingUp className="h-3.5 w-3.5 text-green-500" />
                         )}
                         <span className="text-sm font-bold text-slate-700">
-                          {discount.type === 'percentage' ? `${discount.value}%` : formatCurrency(discount.value)}
+                          {describePromotion(discount) || (discount.type === 'percentage' ? `${discount.value}%` : formatCurrency(discount.value))}
                         </span>
                       </div>
                       {discount.maximumDiscount && discount.type === 'percentage' && (
@@ -26,7 +26,7 @@ import {
   useUpdateBankPaymentMutation,
   useDeleteBankPaymentMutation,
 } from '../store/services/bankPaymentsApi';
-import { showSuccessToast, showErrorToast, handleApiError } from '../utils/errorHandler';
+import { showSuccessToast, showErrorToast, showWarningToast, handleApiError } from '../utils/errorHandler';
 import { formatCurrency, formatDate } from '../utils/formatters';
 import RecurringExpensesPanel from '../components/RecurringExpensesPanel';
 
@@ -182,6 +182,7 @@ const Expenses = () => {
         });
       }
       showSuccessToast(editingExpense ? 'Cash expense updated successfully' : 'Cash expense recorded successfully');
+      if (data?.budgetWarning) showWarningToast(data.budgetWarning.message, { duration: 8000 });
       resetForm();
     } catch (error) {
       showErrorToast(handleApiError(error));
@@ -205,6 +206,7 @@ const Expenses = () => {
         });
       }
       showSuccessToast(editingExpense ? 'Bank expense updated successfully' : 'Bank expense recorded successfully');
+      if (data?.budgetWarning) showWarningToast(data.budgetWarning.message, { duration: 8000 });
       resetForm();
     } catch (error) {
       showErrorToast(handleApiError(error));
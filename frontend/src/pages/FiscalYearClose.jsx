@@ -0,0 +1,423 @@
+import React, { useState } from 'react';
+import { Search, Lock, RotateCcw, X, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import {
+  useGetFiscalYearClosesQuery,
+  useGetFiscalYearClosePreviewQuery,
+  useGetFiscalYearCloseQuery,
+  useGetOpeningBalancesQuery,
+  useCloseFiscalYearMutation,
+  useReverseFiscalYearCloseMutation,
+} from '../store/services/fiscalYearsApi';
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const sum = (lines, field) => lines.reduce((total, line) => total + (line[field] || 0), 0);
+
+// Account lines with debit and credit columns, totalled at the foot
+const DebitCreditTable = ({ lines, emptyMessage }) => {
+  if (lines.length === 0) {
+    return <p className="p-6 text-center text-gray-500">{emptyMessage}</p>;
+  }
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debit</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credit</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {lines.map((line) => (
+            <tr key={line.accountCode}>
+              <td className="px-6 py-3 text-sm text-gray-900">
+                <span className="text-gray-500">{line.accountCode}</span> {line.accountName}
+              </td>
+              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500 capitalize">{line.accountType}</td>
+              <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{line.debit ? formatCurrency(line.debit) : ''}</td>
+              <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-900">{line.credit ? formatCurrency(line.credit) : ''}</td>
+            </tr>
+          ))}
+          <tr className="bg-gray-50 font-semibold">
+            <td colSpan={2} className="px-6 py-3 text-sm text-gray-900">Total</td>
+            <td className="px-6 py-3 text-sm text-right text-gray-900">{formatCurrency(sum(lines, 'debit'))}</td>
+            <td className="px-6 py-3 text-sm text-right text-gray-900">{formatCurrency(sum(lines, 'credit'))}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const ResultCards = ({ close }) => (
+  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+    {[
+      ['Revenue', close.totalRevenue, 'text-gray-900'],
+      ['Expenses', close.totalExpenses, 'text-gray-900'],
+      [close.netIncome < 0 ? 'Net Loss' : 'Net Income', Math.abs(close.netIncome), close.netIncome < 0 ? 'text-red-600' : 'text-green-600']
+    ].map(([label, value, color]) => (
+      <div key={label} className="bg-white rounded-lg shadow p-4">
+        <p className="text-xs text-gray-500 uppercase">{label}</p>
+        <p className={`text-lg font-bold ${color}`}>{formatCurrency(value)}</p>
+      </div>
+    ))}
+  </div>
+);
+
+const CloseTab = ({ canClose }) => {
+  const [fiscalYear, setFiscalYear] = useState('');
+  const [submitted, setSubmitted] = useState(null);
+  const [notes, setNotes] = useState('');
+  const { data, isFetching, error } = useGetFiscalYearClosePreviewQuery(submitted, {
+    skip: !submitted,
+    refetchOnMountOrArgChange: true,
+  });
+  const [closeFiscalYear, { isLoading: closing }] = useCloseFiscalYearMutation();
+  const preview = submitted ? data?.data : null;
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    setSubmitted({ fiscalYear: fiscalYear || undefined });
+  };
+
+  const handleClose = () => {
+    if (!window.confirm(`Close ${preview.label}? Revenue and expenses are closed into retained earnings and the year's periods are locked.`)) return;
+    closeFiscalYear({ fiscalYear: preview.fiscalYear, notes: notes || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Fiscal year closed');
+        setNotes('');
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to close fiscal year')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handlePreview} className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4 sm:items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Fiscal Year Starting In</label>
+          <input
+            type="number"
+            min="2000"
+            max="2100"
+            value={fiscalYear}
+            onChange={(e) => setFiscalYear(e.target.value)}
+            className="input sm:w-48"
+            placeholder="Last ended year"
+          />
+        </div>
+        <button type="submit" className="btn btn-primary btn-md">
+          <Search className="h-4 w-4 mr-2" />
+          Review Close
+        </button>
+      </form>
+
+      {isFetching && <LoadingSpinner />}
+      {!isFetching && error && (
+        <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to preview year-end close')}</p>
+      )}
+
+      {!isFetching && preview && (
+        <>
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900">{preview.label}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {formatDate(preview.startDate)} to {formatDate(preview.endDate)} · retained earnings account {preview.retainedEarningsAccountCode}
+            </p>
+            <ul className="space-y-3">
+              {preview.checks.map((check) => {
+                const Icon = check.passed ? CheckCircle : check.blocking ? XCircle : AlertTriangle;
+                const color = check.passed ? 'text-green-600' : check.blocking ? 'text-red-600' : 'text-yellow-600';
+                return (
+                  <li key={check.key} className="flex items-start">
+                    <Icon className={`h-5 w-5 mr-3 flex-shrink-0 ${color}`} />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{check.label}</p>
+                      <p className="text-sm text-gray-600">{check.message}</p>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
+          <ResultCards close={preview} />
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-4 border-b border-gray-200">
+              <h3 className="text-sm font-medium text-gray-900">Closing Journal</h3>
+              <p className="text-xs text-gray-500">
+                Zeroes revenue and expense accounts; the difference of {formatCurrency(preview.netIncome)} goes to {preview.retainedEarningsAccountCode}
+              </p>
+            </div>
+            <DebitCreditTable lines={preview.closingLines} emptyMessage="No revenue or expense balances to close." />
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-4 border-b border-gray-200">
+              <h3 className="text-sm font-medium text-gray-900">Balances Brought Forward</h3>
+            </div>
+            <DebitCreditTable lines={preview.openingBalances} emptyMessage="No balance-sheet balances to bring forward." />
+          </div>
+
+          {canClose && (
+            <div className="bg-white rounded-lg shadow p-4 flex flex-col md:flex-row gap-4 md:items-center">
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                className="input flex-1"
+                placeholder="Notes"
+                maxLength={1000}
+              />
+              <button onClick={handleClose} className="btn btn-primary btn-md" disabled={!preview.canClose || closing}>
+                <Lock className="h-4 w-4 mr-2" />
+                {closing ? 'Closing...' : `Close ${preview.label}`}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const CloseDetailModal = ({ closeId, canReverse, onClose }) => {
+  const { data, isLoading } = useGetFiscalYearCloseQuery(closeId);
+  const [reverseClose, { isLoading: reversing }] = useReverseFiscalYearCloseMutation();
+  const close = data?.data;
+
+  const handleReverse = () => {
+    const reason = window.prompt(`Why is the close of ${close.label} being reversed?`);
+    if (!reason || !reason.trim()) return;
+    reverseClose({ id: closeId, reason: reason.trim() })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Close reversed'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to reverse close')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{close ? `Close of ${close.label}` : 'Year-End Close'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !close ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="text-sm text-gray-600">
+                  <p>
+                    {formatDate(close.startDate)} to {formatDate(close.endDate)}
+                    {close.closingVoucherNumber && ` · closed by ${close.closingVoucherNumber}`}
+                    {close.createdBy && ` · ${close.createdBy.firstName} ${close.createdBy.lastName}`}
+                  </p>
+                  {close.status === 'reversed' && (
+                    <p className="text-red-600">
+                      Reversed {formatDate(close.reversedAt)}
+                      {close.reversalVoucherNumber && ` by ${close.reversalVoucherNumber}`}: {close.reversalReason}
+                    </p>
+                  )}
+                  {close.notes && <p>{close.notes}</p>}
+                </div>
+                {canReverse && close.status === 'closed' && (
+                  <button onClick={handleReverse} className="btn btn-secondary btn-md" disabled={reversing}>
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Reverse Close
+                  </button>
+                )}
+              </div>
+              <ResultCards close={close} />
+              <h3 className="text-sm font-medium text-gray-900">Closing Journal</h3>
+              <DebitCreditTable lines={close.closingLines} emptyMessage="No revenue or expense balances were closed." />
+              <h3 className="text-sm font-medium text-gray-900">Balances Brought Forward</h3>
+              <DebitCreditTable lines={close.openingBalances} emptyMessage="No balances were brought forward." />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const HistoryTab = ({ canClose }) => {
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+  const { data, isLoading, error } = useGetFiscalYearClosesQuery(
+    { status: statusFilter || undefined, page },
+    { refetchOnMountOrArgChange: true }
+  );
+  const closes = data?.data?.closes || [];
+  const pagination = data?.data?.pagination || {};
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value);
+            setPage(1);
+          }}
+          className="input sm:w-48"
+        >
+          <option value="">All</option>
+          <option value="closed">Closed</option>
+          <option value="reversed">Reversed</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load year-end closes')}</p>
+        ) : closes.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No fiscal year has been closed yet.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fiscal Year</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closing Voucher</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net Income</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed On</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {closes.map((close) => (
+                  <tr key={close._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedId(close._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{close.label}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{close.closingVoucherNumber || '-'}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${close.netIncome < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {formatCurrency(close.netIncome)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(close.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${close.status === 'closed' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                        {close.status === 'closed' ? 'Closed' : 'Reversed'}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedId && <CloseDetailModal closeId={selectedId} canReverse={canClose} onClose={() => setSelectedId(null)} />}
+    </div>
+  );
+};
+
+const OpeningBalancesTab = () => {
+  const [fiscalYear, setFiscalYear] = useState('');
+  const { data, isFetching, error } = useGetOpeningBalancesQuery(
+    { fiscalYear: fiscalYear || undefined },
+    { refetchOnMountOrArgChange: true }
+  );
+  const result = data?.data;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Fiscal Year Starting In</label>
+        <input
+          type="number"
+          min="2000"
+          max="2100"
+          value={fiscalYear}
+          onChange={(e) => setFiscalYear(e.target.value)}
+          className="input sm:w-48"
+          placeholder="Current year"
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isFetching ? (
+          <LoadingSpinner />
+        ) : error || !result ? (
+          <p className="p-6 text-center text-gray-500">{errorMessage(error, 'No opening balances found')}</p>
+        ) : (
+          <>
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">{result.label} Opening Balances</h2>
+              <p className="text-sm text-gray-600">
+                Brought forward from the close of {result.broughtForwardFrom.label}
+                {result.broughtForwardFrom.closingVoucherNumber && ` (${result.broughtForwardFrom.closingVoucherNumber})`}
+              </p>
+            </div>
+            <DebitCreditTable lines={result.openingBalances} emptyMessage="No balances were brought forward." />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const FiscalYearClose = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('close');
+  const canClose = hasPermission('run_year_end_close');
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Year-End Close</h1>
+        <p className="text-gray-600">Close a fiscal year into retained earnings and carry balance-sheet balances forward</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['close', 'Close Fiscal Year'],
+            ['history', 'Close History'],
+            ['opening', 'Opening Balances']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'close' && <CloseTab canClose={canClose} />}
+      {activeTab === 'history' && <HistoryTab canClose={canClose} />}
+      {activeTab === 'opening' && <OpeningBalancesTab />}
+    </div>
+  );
+};
+
+export default FiscalYearClose;
@@ -0,0 +1,909 @@
+import React, { useState } from 'react';
+import { Plus, X, Search, Edit, Trash2, Eye, LogOut, Play, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan, getStartOfMonth } from '../utils/dateUtils';
+import { useGetAccountsQuery } from '../store/services/chartOfAccountsApi';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import {
+  useGetFixedAssetsQuery,
+  useGetFixedAssetQuery,
+  useGetAssetScheduleQuery,
+  useCreateFixedAssetMutation,
+  useUpdateFixedAssetMutation,
+  useDisposeFixedAssetMutation,
+  useDeleteFixedAssetMutation,
+  useGetDepreciationRunsQuery,
+  usePreviewDepreciationQuery,
+  useRunDepreciationMutation,
+  useReverseDepreciationRunMutation,
+} from '../store/services/fixedAssetsApi';
+
+const CATEGORIES = {
+  land: 'Land',
+  buildings: 'Buildings',
+  equipment: 'Equipment',
+  vehicles: 'Vehicles',
+  furniture_and_fixtures: 'Furniture & Fixtures',
+  computer_equipment: 'Computer Equipment',
+  other: 'Other'
+};
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  fully_depreciated: 'bg-yellow-100 text-yellow-800',
+  disposed: 'bg-gray-100 text-gray-800',
+  posted: 'bg-green-100 text-green-800',
+  reversed: 'bg-red-100 text-red-800'
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const describe = (value) => (value || '').replace(/_/g, ' ');
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {describe(status)}
+  </span>
+);
+
+const AccountSelect = ({ value, onChange, accounts, placeholder, disabled = false }) => (
+  <select value={value} onChange={onChange} className="input" disabled={disabled}>
+    <option value="">{placeholder}</option>
+    {accounts.map((account) => (
+      <option key={account._id} value={account.accountCode}>{account.accountCode} - {account.accountName}</option>
+    ))}
+  </select>
+);
+
+const AssetFormModal = ({ asset, onClose }) => {
+  const isEdit = !!asset;
+  // The depreciation basis is fixed once depreciation is posted; cost and asset account once the purchase is
+  const isLocked = isEdit && !!asset.depreciatedThrough;
+  const isCostLocked = isLocked || (isEdit && !!asset.acquisitionVoucher);
+  const [initialData] = useState(() => ({
+    name: asset?.name || '',
+    category: asset?.category || 'equipment',
+    description: asset?.description || '',
+    serialNumber: asset?.serialNumber || '',
+    location: asset?.location || '',
+    supplier: asset?.supplier?._id || asset?.supplier || '',
+    cost: asset?.cost ?? '',
+    salvageValue: asset?.salvageValue ?? '',
+    acquisitionDate: toDateInput(asset?.acquisitionDate) || getCurrentDatePakistan(),
+    depreciationStartDate: toDateInput(asset?.depreciationStartDate),
+    usefulLifeMonths: asset?.usefulLifeMonths ?? '',
+    depreciationMethod: asset?.depreciationMethod || 'straight_line',
+    decliningBalanceRate: asset?.decliningBalanceRate ?? '',
+    openingAccumulatedDepreciation: asset?.openingAccumulatedDepreciation ?? '',
+    assetAccountCode: asset?.assetAccountCode || '',
+    accumulatedDepreciationAccountCode: asset?.accumulatedDepreciationAccountCode || '',
+    depreciationExpenseAccountCode: asset?.depreciationExpenseAccountCode || '',
+    fundingAccountCode: '',
+    notes: asset?.notes || ''
+  }));
+  const [formData, setFormData] = useState(initialData);
+
+  const { data: accountsData } = useGetAccountsQuery({ isActive: 'true' });
+  const { data: suppliersData } = useGetSuppliersQuery({ search: '', limit: 100 });
+  const accounts = accountsData?.data || accountsData?.accounts || [];
+  const suppliers = suppliersData?.data?.suppliers || suppliersData?.suppliers || [];
+  const accountsOfType = (type) => accounts.filter((account) => account.accountType === type);
+
+  const [createAsset, { isLoading: creating }] = useCreateFixedAssetMutation();
+  const [updateAsset, { isLoading: updating }] = useUpdateFixedAssetMutation();
+  const isLoading = creating || updating;
+
+  const handleChange = (field) => (e) => setFormData({ ...formData, [field]: e.target.value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Edits send only what changed so untouched locked fields are not rejected
+    const payload = Object.fromEntries(
+      Object.entries(formData).filter(([field, value]) => (
+        isEdit ? field !== 'fundingAccountCode' && value !== initialData[field] : value !== '' && value !== null
+      ))
+    );
+    if (formData.depreciationMethod !== 'declining_balance') delete payload.decliningBalanceRate;
+
+    const request = isEdit ? updateAsset({ id: asset._id, ...payload }) : createAsset(payload);
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || (isEdit ? 'Fixed asset updated' : 'Fixed asset registered'));
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, isEdit ? 'Failed to update fixed asset' : 'Failed to register fixed asset')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isEdit ? `Edit ${asset.assetNumber}` : 'Register Fixed Asset'}
+            </h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+                <input type="text" value={formData.name} onChange={handleChange('name')} className="input" maxLength={200} required />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Category</label>
+                <select value={formData.category} onChange={handleChange('category')} className="input">
+                  {Object.entries(CATEGORIES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Serial Number</label>
+                <input type="text" value={formData.serialNumber} onChange={handleChange('serialNumber')} className="input" maxLength={100} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Location</label>
+                <input type="text" value={formData.location} onChange={handleChange('location')} className="input" maxLength={200} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Supplier</label>
+                <select value={formData.supplier} onChange={handleChange('supplier')} className="input">
+                  <option value="">None</option>
+                  {suppliers.map((supplier) => (
+                    <option key={supplier._id} value={supplier._id}>{supplier.companyName || supplier.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Acquisition Date *</label>
+                <input type="date" value={formData.acquisitionDate} onChange={handleChange('acquisitionDate')} className="input" required disabled={isLocked} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Cost *</label>
+                <input type="number" step="0.01" min="0.01" value={formData.cost} onChange={handleChange('cost')} className="input" required disabled={isCostLocked} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Salvage Value</label>
+                <input type="number" step="0.01" min="0" value={formData.salvageValue} onChange={handleChange('salvageValue')} className="input" disabled={isLocked} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Depreciation Method</label>
+                <select value={formData.depreciationMethod} onChange={handleChange('depreciationMethod')} className="input">
+                  <option value="straight_line">Straight line</option>
+                  <option value="declining_balance">Declining balance</option>
+                </select>
+              </div>
+              {formData.depreciationMethod === 'declining_balance' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Annual Rate (%)</label>
+                  <input type="number" step="0.01" min="0.01" max="100" value={formData.decliningBalanceRate} onChange={handleChange('decliningBalanceRate')} className="input" placeholder="Double the straight-line rate" />
+                </div>
+              ) : <div />}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Useful Life (months) *</label>
+                <input type="number" min="1" max="1200" value={formData.usefulLifeMonths} onChange={handleChange('usefulLifeMonths')} className="input" required />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Depreciate From</label>
+                <input type="date" value={formData.depreciationStartDate} onChange={handleChange('depreciationStartDate')} className="input" disabled={isLocked} />
+                <p className="text-xs text-gray-500 mt-1">Defaults to the acquisition date</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Depreciation Already Charged</label>
+                <input type="number" step="0.01" min="0" value={formData.openingAccumulatedDepreciation} onChange={handleChange('openingAccumulatedDepreciation')} className="input" disabled={isLocked} />
+                <p className="text-xs text-gray-500 mt-1">For assets brought over from an earlier system</p>
+              </div>
+              {!isEdit && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Paid From</label>
+                  <AccountSelect
+                    value={formData.fundingAccountCode}
+                    onChange={handleChange('fundingAccountCode')}
+                    accounts={[...accountsOfType('asset'), ...accountsOfType('liability')]}
+                    placeholder="Don't post the purchase"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Posts the cost against this account</p>
+                </div>
+              )}
+            </div>
+
+            <details className="border border-gray-200 rounded p-3">
+              <summary className="text-sm font-medium text-gray-700 cursor-pointer">Accounts</summary>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Asset</label>
+                  <AccountSelect value={formData.assetAccountCode} onChange={handleChange('assetAccountCode')} accounts={accountsOfType('asset')} placeholder="Default" disabled={isCostLocked} />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Accumulated Depreciation</label>
+                  <AccountSelect value={formData.accumulatedDepreciationAccountCode} onChange={handleChange('accumulatedDepreciationAccountCode')} accounts={accountsOfType('asset')} placeholder="Default" disabled={isLocked} />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Depreciation Expense</label>
+                  <AccountSelect value={formData.depreciationExpenseAccountCode} onChange={handleChange('depreciationExpenseAccountCode')} accounts={accountsOfType('expense')} placeholder="Default" disabled={isLocked} />
+                </div>
+              </div>
+            </details>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <textarea value={formData.notes} onChange={handleChange('notes')} className="input" rows="2" maxLength={1000} />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+              <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                {isLoading ? 'Saving...' : isEdit ? 'Update Asset' : 'Register Asset'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DisposeModal = ({ asset, onClose }) => {
+  const [formData, setFormData] = useState({
+    date: getCurrentDatePakistan(),
+    method: 'sale',
+    proceeds: '',
+    proceedsAccountCode: '',
+    notes: ''
+  });
+  const { data: accountsData } = useGetAccountsQuery({ accountType: 'asset', isActive: 'true' });
+  const accounts = accountsData?.data || accountsData?.accounts || [];
+  const [disposeAsset, { isLoading }] = useDisposeFixedAssetMutation();
+
+  const bookValue = asset.cost - asset.accumulatedDepreciation;
+  const proceeds = formData.method === 'sale' ? parseFloat(formData.proceeds) || 0 : 0;
+  const gainLoss = proceeds - bookValue;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    disposeAsset({
+      id: asset._id,
+      date: formData.date,
+      method: formData.method,
+      proceeds,
+      proceedsAccountCode: proceeds > 0 ? formData.proceedsAccountCode || undefined : undefined,
+      notes: formData.notes || undefined
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Fixed asset disposed');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to dispose of asset')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Dispose of {asset.assetNumber}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="bg-gray-50 rounded p-3 mb-4 text-sm text-gray-700">
+            {asset.name} · book value {formatCurrency(bookValue)}
+            {asset.depreciatedThrough && (
+              <span className="block text-xs text-gray-500">Depreciated through {formatDate(asset.depreciatedThrough)}</span>
+            )}
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Date</label>
+                <input type="date" value={formData.date} onChange={(e) => setFormData({ ...formData, date: e.target.value })} className="input" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Method</label>
+                <select value={formData.method} onChange={(e) => setFormData({ ...formData, method: e.target.value })} className="input">
+                  <option value="sale">Sale</option>
+                  <option value="scrap">Scrap</option>
+                  <option value="write_off">Write off</option>
+                </select>
+              </div>
+            </div>
+            {formData.method === 'sale' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Proceeds</label>
+                  <input type="number" step="0.01" min="0" value={formData.proceeds} onChange={(e) => setFormData({ ...formData, proceeds: e.target.value })} className="input" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Received Into</label>
+                  <AccountSelect
+                    value={formData.proceedsAccountCode}
+                    onChange={(e) => setFormData({ ...formData, proceedsAccountCode: e.target.value })}
+                    accounts={accounts}
+                    placeholder="Cash"
+                  />
+                </div>
+              </>
+            )}
+            <p className={`text-sm font-medium ${gainLoss < 0 ? 'text-red-600' : 'text-green-600'}`}>
+              {gainLoss < 0 ? 'Loss' : 'Gain'} on disposal: {formatCurrency(Math.abs(gainLoss))}
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <textarea value={formData.notes} onChange={(e) => setFormData({ ...formData, notes: e.target.value })} className="input" rows="2" maxLength={500} />
+            </div>
+            <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+              <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                {isLoading ? 'Posting...' : 'Dispose'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AssetDetailModal = ({ assetId, onClose }) => {
+  const { data, isLoading } = useGetFixedAssetQuery(assetId, { refetchOnMountOrArgChange: true });
+  const asset = data?.data;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">{asset ? `${asset.assetNumber} — ${asset.name}` : 'Fixed Asset'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !asset ? (
+            <LoadingSpinner />
+          ) : (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                {[
+                  ['Cost', formatCurrency(asset.cost)],
+                  ['Accumulated', formatCurrency(asset.accumulatedDepreciation)],
+                  ['Book Value', formatCurrency(asset.cost - asset.accumulatedDepreciation)],
+                  ['Monthly Charge', formatCurrency(asset.monthlyDepreciation)],
+                  ['Category', CATEGORIES[asset.category]],
+                  ['Method', describe(asset.depreciationMethod)],
+                  ['Useful Life', `${asset.usefulLifeMonths} months`],
+                  ['Depreciated Through', asset.depreciatedThrough ? formatDate(asset.depreciatedThrough) : '-']
+                ].map(([label, value]) => (
+                  <div key={label}>
+                    <p className="text-xs text-gray-500 uppercase">{label}</p>
+                    <p className="font-medium text-gray-900 capitalize">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {asset.disposal?.date && (
+                <div className="bg-gray-50 rounded p-3 text-sm text-gray-700">
+                  Disposed on {formatDate(asset.disposal.date)} by {describe(asset.disposal.method)} for {formatCurrency(asset.disposal.proceeds)}
+                  {' '}({asset.disposal.gainLoss < 0 ? 'loss' : 'gain'} of {formatCurrency(Math.abs(asset.disposal.gainLoss))})
+                  {asset.disposal.journalVoucher && ` · ${asset.disposal.journalVoucher.voucherNumber}`}
+                </div>
+              )}
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Depreciation History</h3>
+                {asset.depreciationHistory.length === 0 ? (
+                  <p className="text-sm text-gray-500">No depreciation posted yet.</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period End</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Charge</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Book Value After</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {asset.depreciationHistory.map((entry) => (
+                        <tr key={entry.run}>
+                          <td className="px-4 py-2 text-gray-900">{entry.runNumber}</td>
+                          <td className="px-4 py-2 text-gray-500">{formatDate(entry.periodEnd)}</td>
+                          <td className="px-4 py-2 text-right">
+                            {formatCurrency(entry.amount)}
+                            {entry.monthsCharged > 1 && <span className="text-xs text-gray-400 ml-1">({entry.monthsCharged} mo)</span>}
+                          </td>
+                          <td className="px-4 py-2 text-right">{formatCurrency(entry.bookValueAfter)}</td>
+                          <td className="px-4 py-2"><StatusBadge status={entry.status} /></td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AssetRegister = ({ permissions, onEdit, onView, onDispose }) => {
+  const [filters, setFilters] = useState({ status: '', category: '', search: '' });
+  const [page, setPage] = useState(1);
+  const { data, isLoading, error } = useGetFixedAssetsQuery(
+    {
+      status: filters.status || undefined,
+      category: filters.category || undefined,
+      search: filters.search || undefined,
+      page,
+      limit: 50
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const [deleteAsset] = useDeleteFixedAssetMutation();
+  const assets = data?.data?.assets || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  const handleDelete = (asset) => {
+    if (!window.confirm(`Delete ${asset.assetNumber} ${asset.name}?`)) return;
+    deleteAsset(asset._id)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Fixed asset deleted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete fixed asset')));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search asset number, name, serial or location..."
+              value={filters.search}
+              onChange={updateFilter('search')}
+              className="input pl-10 w-full"
+            />
+          </div>
+          <select value={filters.category} onChange={updateFilter('category')} className="input sm:w-48">
+            <option value="">All Categories</option>
+            {Object.entries(CATEGORIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={filters.status} onChange={updateFilter('status')} className="input sm:w-44">
+            <option value="">All Statuses</option>
+            <option value="active">Active</option>
+            <option value="fully_depreciated">Fully depreciated</option>
+            <option value="disposed">Disposed</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-6 text-center text-red-600">
+            <p>Error loading fixed assets: {errorMessage(error, error?.message)}</p>
+          </div>
+        ) : assets.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <p>No fixed assets found.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Acquired</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Accumulated</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Book Value</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {assets.map((asset) => (
+                  <tr key={asset._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className="font-medium text-gray-900">{asset.name}</span>
+                      <span className="block text-xs text-gray-500">
+                        {asset.assetNumber}{asset.location && ` · ${asset.location}`}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{CATEGORIES[asset.category]}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(asset.acquisitionDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(asset.cost)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(asset.accumulatedDepreciation)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                      {formatCurrency(asset.status === 'disposed' ? 0 : asset.cost - asset.accumulatedDepreciation)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap"><StatusBadge status={asset.status} /></td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <div className="flex justify-end gap-2">
+                        <button onClick={() => onView(asset)} className="text-gray-600 hover:text-gray-900" title="View">
+                          <Eye className="h-4 w-4" />
+                        </button>
+                        {permissions.canEdit && asset.status !== 'disposed' && (
+                          <>
+                            <button onClick={() => onEdit(asset)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button onClick={() => onDispose(asset)} className="text-yellow-600 hover:text-yellow-900" title="Dispose">
+                              <LogOut className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                        {permissions.canDelete && !asset.depreciatedThrough && !asset.acquisitionVoucher && asset.status !== 'disposed' && (
+                          <button onClick={() => handleDelete(asset)} className="text-red-600 hover:text-red-900" title="Delete">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages} · {pagination.total} assets</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DepreciationRuns = ({ canRun }) => {
+  const now = new Date();
+  const [period, setPeriod] = useState({ year: now.getFullYear(), month: now.getMonth() + 1 });
+  const [showPreview, setShowPreview] = useState(false);
+  const [notes, setNotes] = useState('');
+
+  const { data: previewData, isFetching: previewLoading, error: previewError } = usePreviewDepreciationQuery(period, {
+    skip: !showPreview || !canRun,
+    refetchOnMountOrArgChange: true,
+  });
+  const { data: runsData, isLoading: runsLoading } = useGetDepreciationRunsQuery({}, { refetchOnMountOrArgChange: true });
+  const [runDepreciation, { isLoading: running }] = useRunDepreciationMutation();
+  const [reverseRun] = useReverseDepreciationRunMutation();
+
+  const preview = previewData?.data;
+  const runs = runsData?.data?.runs || [];
+
+  const handleRun = () => {
+    runDepreciation({ ...period, notes: notes || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Depreciation posted');
+        setShowPreview(false);
+        setNotes('');
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to post depreciation')));
+  };
+
+  const handleReverse = (run) => {
+    const reason = window.prompt(`Why is ${run.runNumber} being reversed?`);
+    if (!reason || !reason.trim()) return;
+    reverseRun({ id: run._id, reason: reason.trim() })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Depreciation run reversed'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to reverse depreciation run')));
+  };
+
+  return (
+    <div className="space-y-6">
+      {canRun && (
+        <div className="bg-white rounded-lg shadow p-4 space-y-4">
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Month</label>
+              <select
+                value={period.month}
+                onChange={(e) => { setPeriod({ ...period, month: parseInt(e.target.value) }); setShowPreview(false); }}
+                className="input"
+              >
+                {MONTHS.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Year</label>
+              <input
+                type="number"
+                min="2000"
+                max="2100"
+                value={period.year}
+                onChange={(e) => { setPeriod({ ...period, year: parseInt(e.target.value) || period.year }); setShowPreview(false); }}
+                className="input w-28"
+              />
+            </div>
+            <button onClick={() => setShowPreview(true)} className="btn btn-secondary btn-md">
+              Preview
+            </button>
+          </div>
+
+          {showPreview && (previewLoading ? (
+            <LoadingSpinner />
+          ) : previewError ? (
+            <p className="text-sm text-red-600">{errorMessage(previewError, 'Failed to preview depreciation')}</p>
+          ) : preview && (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-700">
+                {preview.runNumber}: {preview.assetCount} asset(s), {formatCurrency(preview.totalAmount)} for {formatDate(preview.periodStart)} - {formatDate(preview.periodEnd)}
+              </p>
+              {preview.lines.length > 0 && (
+                <div className="overflow-x-auto border border-gray-200 rounded max-h-80">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Months</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Charge</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Book Value After</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {preview.lines.map((line) => (
+                        <tr key={line.asset}>
+                          <td className="px-4 py-2 text-gray-900">{line.assetNumber} {line.assetName}</td>
+                          <td className="px-4 py-2 text-right text-gray-500">{line.monthsCharged}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrency(line.amount)}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrency(line.bookValueAfter)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {preview.lines.length > 0 && (
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    className="input flex-1"
+                    placeholder="Notes (optional)"
+                    maxLength={1000}
+                  />
+                  <button onClick={handleRun} className="btn btn-primary btn-md" disabled={running}>
+                    <Play className="h-4 w-4 mr-2" />
+                    {running ? 'Posting...' : `Post ${formatCurrency(preview.totalAmount)}`}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {runsLoading ? (
+          <LoadingSpinner />
+        ) : runs.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <p>No depreciation runs posted yet.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Assets</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voucher</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                {canRun && <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {runs.map((run) => (
+                <tr key={run._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{run.runNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{MONTHS[run.month - 1]} {run.year}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{run.assetCount}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(run.totalAmount)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {run.journalVoucher?.voucherNumber}
+                    {run.reversalVoucher && <span className="block text-xs">Reversed by {run.reversalVoucher.voucherNumber}</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <StatusBadge status={run.status} />
+                    {run.reversalReason && <span className="block text-xs text-gray-500 mt-1">{run.reversalReason}</span>}
+                  </td>
+                  {canRun && (
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {run.status === 'posted' && (
+                        <button onClick={() => handleReverse(run)} className="text-red-600 hover:text-red-900" title="Reverse">
+                          <RotateCcw className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const AssetSchedule = () => {
+  const [range, setRange] = useState({ startDate: getStartOfMonth(), endDate: getCurrentDatePakistan() });
+  const { data, isFetching, error } = useGetAssetScheduleQuery(range, { refetchOnMountOrArgChange: true });
+  const schedule = data?.data;
+
+  const rowCells = (row) => [
+    row.cost.opening, row.cost.additions, row.cost.disposals, row.cost.closing,
+    row.accumulatedDepreciation.opening, row.accumulatedDepreciation.charge,
+    row.accumulatedDepreciation.disposals, row.accumulatedDepreciation.closing,
+    row.netBookValue
+  ];
+  const headers = ['Cost b/f', 'Additions', 'Disposals', 'Cost c/f', 'Dep. b/f', 'Charge', 'On Disposals', 'Dep. c/f', 'Book Value'];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <input type="date" value={range.startDate} onChange={(e) => setRange({ ...range, startDate: e.target.value })} className="input sm:w-48" />
+        <input type="date" value={range.endDate} onChange={(e) => setRange({ ...range, endDate: e.target.value })} className="input sm:w-48" />
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isFetching ? (
+          <LoadingSpinner />
+        ) : error || !schedule ? (
+          <div className="p-6 text-center text-red-600">
+            <p>{errorMessage(error, 'Failed to load asset schedule')}</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  {headers.map((header) => (
+                    <th key={header} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {schedule.categories.map((row) => (
+                  <tr key={row.category}>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-900">
+                      {CATEGORIES[row.category]}
+                      <span className="text-xs text-gray-400 ml-1">({row.assetCount})</span>
+                    </td>
+                    {rowCells(row).map((value, index) => (
+                      <td key={headers[index]} className="px-4 py-3 whitespace-nowrap text-right text-gray-700">{formatCurrency(value)}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="px-4 py-3 text-gray-900">Total</td>
+                  {rowCells(schedule.totals).map((value, index) => (
+                    <td key={headers[index]} className="px-4 py-3 whitespace-nowrap text-right text-gray-900">{formatCurrency(value)}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+            {schedule.categories.length === 0 && (
+              <p className="p-6 text-center text-gray-500">No assets were held in this period.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const FixedAssets = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('register');
+  const [formAsset, setFormAsset] = useState(null);
+  const [viewAssetId, setViewAssetId] = useState(null);
+  const [disposeAsset, setDisposeAsset] = useState(null);
+
+  const permissions = {
+    canEdit: hasPermission('edit_fixed_assets'),
+    canDelete: hasPermission('delete_fixed_assets')
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Fixed Assets</h1>
+          <p className="text-gray-600">Asset register, monthly depreciation and disposals</p>
+        </div>
+        {hasPermission('create_fixed_assets') && (
+          <button onClick={() => setFormAsset({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Register Asset
+          </button>
+        )}
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['register', 'Register'],
+            ['depreciation', 'Depreciation'],
+            ['schedule', 'Asset Schedule']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'register' && (
+        <AssetRegister
+          permissions={permissions}
+          onEdit={(asset) => setFormAsset(asset)}
+          onView={(asset) => setViewAssetId(asset._id)}
+          onDispose={(asset) => setDisposeAsset(asset)}
+        />
+      )}
+      {activeTab === 'depreciation' && <DepreciationRuns canRun={hasPermission('run_depreciation')} />}
+      {activeTab === 'schedule' && <AssetSchedule />}
+
+      {formAsset && (
+        <AssetFormModal asset={formAsset._id ? formAsset : null} onClose={() => setFormAsset(null)} />
+      )}
+      {viewAssetId && <AssetDetailModal assetId={viewAssetId} onClose={() => setViewAssetId(null)} />}
+      {disposeAsset && <DisposeModal asset={disposeAsset} onClose={() => setDisposeAsset(null)} />}
+    </div>
+  );
+};
+
+export default FixedAssets;
@@ -0,0 +1,564 @@
+import React, { useState } from 'react';
+import {
+  Plus,
+  Search,
+  Gift,
+  FileText,
+  X,
+  Ban,
+  Clock,
+  RotateCcw
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import {
+  useGetStoredValueCardsQuery,
+  useLazyLookupStoredValueCardQuery,
+  useIssueGiftCardMutation,
+  useIssueCreditNoteMutation,
+  useExpireStoredValueCardsMutation,
+  useCancelStoredValueCardMutation,
+} from '../store/services/storedValueApi';
+
+const TYPE_LABELS = { gift_card: 'Gift Card', credit_note: 'Credit Note' };
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  redeemed: 'bg-gray-100 text-gray-800',
+  expired: 'bg-yellow-100 text-yellow-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2
+  }).format(amount || 0);
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Never');
+
+const customerLabel = (customer) => customer?.businessName || customer?.name || '';
+
+const IssueCardModal = ({ type, customers, onSave, onCancel, isSubmitting }) => {
+  const [formData, setFormData] = useState({
+    amount: '',
+    customer: '',
+    expiresAt: '',
+    noExpiry: false,
+    paymentMethod: 'cash',
+    barcode: '',
+    notes: ''
+  });
+  const isGiftCard = type === 'gift_card';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!(parseFloat(formData.amount) > 0)) {
+      toast.error('Amount must be greater than 0');
+      return;
+    }
+    if (!isGiftCard && !formData.customer) {
+      toast.error('Customer is required');
+      return;
+    }
+    if (!isGiftCard && !formData.notes.trim()) {
+      toast.error('Reason is required');
+      return;
+    }
+
+    const data = {
+      amount: parseFloat(formData.amount),
+      customer: formData.customer || undefined,
+      expiresAt: formData.noExpiry ? null : (formData.expiresAt || undefined),
+      notes: formData.notes.trim() || undefined
+    };
+    if (isGiftCard) {
+      data.paymentMethod = formData.paymentMethod;
+      data.barcode = formData.barcode.trim() || undefined;
+    }
+    onSave(data);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isGiftCard ? 'Sell Gift Card' : 'Issue Credit Note'}
+            </h2>
+            <button
+              onClick={onCancel}
+              className="p-2 text-gray-400 hover:text-gray-600"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Amount *
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.amount}
+                onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                className="input"
+                placeholder="0.00"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Customer {isGiftCard ? '(optional, adds the card to their store credit)' : '*'}
+              </label>
+              <select
+                value={formData.customer}
+                onChange={(e) => setFormData({ ...formData, customer: e.target.value })}
+                className="input"
+              >
+                <option value="">{isGiftCard ? 'Anyone holding the card' : 'Select customer'}</option>
+                {customers.map((customer) => (
+                  <option key={customer._id} value={customer._id}>
+                    {customerLabel(customer)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {isGiftCard && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Paid By
+                  </label>
+                  <select
+                    value={formData.paymentMethod}
+                    onChange={(e) => setFormData({ ...formData, paymentMethod: e.target.value })}
+                    className="input"
+                  >
+                    <option value="cash">Cash</option>
+                    <option value="bank">Bank</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Barcode
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.barcode}
+                    onChange={(e) => setFormData({ ...formData, barcode: e.target.value })}
+                    className="input"
+                    placeholder="Generated if blank"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Expires On
+              </label>
+              <input
+                type="date"
+                value={formData.expiresAt}
+                onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                className="input"
+                disabled={formData.noExpiry}
+              />
+              <div className="flex items-center mt-2">
+                <input
+                  type="checkbox"
+                  id="noExpiry"
+                  checked={formData.noExpiry}
+                  onChange={(e) => setFormData({ ...formData, noExpiry: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="noExpiry" className="ml-2 block text-sm text-gray-700">
+                  Never expires (12 months if no date is set)
+                </label>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {isGiftCard ? 'Notes' : 'Reason *'}
+              </label>
+              <textarea
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                className="input"
+                rows="2"
+                placeholder={isGiftCard ? 'Optional notes' : 'Why the credit is being given'}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="btn btn-secondary"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Saving...' : (isGiftCard ? 'Sell Gift Card' : 'Issue Credit Note')}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CardDetails = ({ card, canManage, onCancelCard }) => (
+  <div className="space-y-4">
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div>
+        <p className="text-xs text-gray-500 uppercase">{TYPE_LABELS[card.type]}</p>
+        <p className="font-mono font-semibold text-gray-900">{card.code}</p>
+        {card.barcode && <p className="font-mono text-xs text-gray-500">{card.barcode}</p>}
+      </div>
+      <div>
+        <p className="text-xs text-gray-500 uppercase">Balance</p>
+        <p className="text-2xl font-bold text-green-600">{formatCurrency(card.balance)}</p>
+        <p className="text-xs text-gray-500">of {formatCurrency(card.initialValue)} issued</p>
+      </div>
+      <div>
+        <p className="text-xs text-gray-500 uppercase">Status</p>
+        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[card.status]}`}>
+          {card.status}
+        </span>
+        <p className="text-xs text-gray-500 mt-1">Expires {formatDate(card.expiresAt)}</p>
+      </div>
+      <div>
+        <p className="text-xs text-gray-500 uppercase">Customer</p>
+        <p className="text-sm text-gray-900">{customerLabel(card.customer) || 'Bearer'}</p>
+        {canManage && card.status === 'active' && (
+          <button
+            onClick={() => onCancelCard(card)}
+            className="mt-1 text-xs text-red-600 hover:text-red-900 inline-flex items-center"
+          >
+            <Ban className="h-3 w-3 mr-1" />
+            Cancel & pay out
+          </button>
+        )}
+      </div>
+    </div>
+
+    <div className="overflow-x-auto border border-gray-200 rounded">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {(card.transactions || []).map((entry) => (
+            <tr key={entry._id}>
+              <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{new Date(entry.date).toLocaleString()}</td>
+              <td className="px-4 py-2 whitespace-nowrap text-sm capitalize text-gray-900">{entry.type}</td>
+              <td className="px-4 py-2 text-sm text-gray-500">
+                {entry.description}
+                {entry.sale?.orderNumber && ` (${entry.sale.orderNumber})`}
+              </td>
+              <td className={`px-4 py-2 whitespace-nowrap text-sm text-right ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatCurrency(entry.amount)}
+              </td>
+              <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(entry.balanceAfter)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+export const GiftCards = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_gift_cards');
+
+  const [lookupCode, setLookupCode] = useState('');
+  const [issueType, setIssueType] = useState(null);
+  const [filters, setFilters] = useState({ type: '', status: '', search: '' });
+
+  const { data, isLoading, error, refetch } = useGetStoredValueCardsQuery(filters, {
+    refetchOnMountOrArgChange: true,
+  });
+  const { data: customersData } = useGetCustomersQuery(
+    { search: '', limit: 100 },
+    { skip: !issueType }
+  );
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+
+  const [lookupCard, { data: lookupData, isFetching: lookingUp, error: lookupError }] = useLazyLookupStoredValueCardQuery();
+  const [issueGiftCard, { isLoading: issuingGiftCard }] = useIssueGiftCardMutation();
+  const [issueCreditNote, { isLoading: issuingCreditNote }] = useIssueCreditNoteMutation();
+  const [expireCards, { isLoading: expiring }] = useExpireStoredValueCardsMutation();
+  const [cancelCard] = useCancelStoredValueCardMutation();
+
+  const cards = data?.data?.cards || [];
+  const outstanding = data?.data?.outstanding || [];
+  const pagination = data?.data?.pagination || {};
+  const lookedUp = lookupData?.data;
+
+  const handleLookup = (code = lookupCode) => {
+    if (!code.trim()) return;
+    setLookupCode(code.trim());
+    lookupCard(code.trim());
+  };
+
+  const handleIssue = (formData) => {
+    const issue = issueType === 'gift_card' ? issueGiftCard : issueCreditNote;
+    issue(formData)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Card issued successfully');
+        setIssueType(null);
+        handleLookup(res?.data?.code || '');
+      })
+      .catch((err) => {
+        toast.error(err?.data?.message || 'Failed to issue card');
+      });
+  };
+
+  const handleExpire = () => {
+    expireCards({})
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Expired cards processed'))
+      .catch((err) => toast.error(err?.data?.message || 'Failed to expire cards'));
+  };
+
+  const handleCancelCard = (card) => {
+    const reason = window.prompt(`Cancel ${card.code} and pay out ${formatCurrency(card.balance)} in cash? Enter a reason:`);
+    if (!reason || !reason.trim()) return;
+    cancelCard({ id: card._id, refundMethod: 'cash', reason: reason.trim() })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Card cancelled');
+        if (lookedUp?._id === card._id) lookupCard(card.code);
+      })
+      .catch((err) => toast.error(err?.data?.message || 'Failed to cancel card'));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Gift Cards & Store Credit</h1>
+          <p className="text-gray-600">Look up balances, sell gift cards and issue credit notes</p>
+        </div>
+        {canManage && (
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => setIssueType('gift_card')} className="btn btn-primary btn-md">
+              <Gift className="h-4 w-4 mr-2" />
+              Sell Gift Card
+            </button>
+            <button onClick={() => setIssueType('credit_note')} className="btn btn-secondary btn-md">
+              <Plus className="h-4 w-4 mr-2" />
+              Issue Credit Note
+            </button>
+            <button onClick={handleExpire} className="btn btn-secondary btn-md" disabled={expiring}>
+              <Clock className="h-4 w-4 mr-2" />
+              {expiring ? 'Expiring...' : 'Expire Lapsed'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Balance Lookup */}
+      <div className="bg-white rounded-lg shadow p-4 space-y-4">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleLookup();
+          }}
+          className="flex flex-col sm:flex-row gap-4"
+        >
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Scan barcode or enter gift card / credit note code..."
+              value={lookupCode}
+              onChange={(e) => setLookupCode(e.target.value)}
+              className="input pl-10 w-full font-mono"
+              autoFocus
+            />
+          </div>
+          <button type="submit" className="btn btn-primary btn-md" disabled={lookingUp || !lookupCode.trim()}>
+            {lookingUp ? 'Checking...' : 'Check Balance'}
+          </button>
+        </form>
+
+        {lookupError && !lookingUp && (
+          <p className="text-sm text-red-600">{lookupError?.data?.message || 'Card not found'}</p>
+        )}
+        {lookedUp && !lookupError && (
+          <CardDetails card={lookedUp} canManage={canManage} onCancelCard={handleCancelCard} />
+        )}
+      </div>
+
+      {/* Outstanding Liability */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {['gift_card', 'credit_note'].map((type) => {
+          const row = outstanding.find((entry) => entry._id === type);
+          return (
+            <div key={type} className="bg-white rounded-lg shadow p-4 flex items-center">
+              {type === 'gift_card'
+                ? <Gift className="h-8 w-8 text-purple-500 mr-4" />
+                : <FileText className="h-8 w-8 text-blue-500 mr-4" />}
+              <div>
+                <p className="text-sm text-gray-500">Outstanding {TYPE_LABELS[type]}s</p>
+                <p className="text-xl font-bold text-gray-900">{formatCurrency(row?.balance)}</p>
+                <p className="text-xs text-gray-500">{row?.cards || 0} active card(s)</p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="flex-[3] relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search codes or barcodes..."
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              className="input pl-10 w-full"
+            />
+          </div>
+          <div className="flex-1">
+            <select
+              value={filters.type}
+              onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+              className="input w-full"
+            >
+              <option value="">All Types</option>
+              <option value="gift_card">Gift Cards</option>
+              <option value="credit_note">Credit Notes</option>
+            </select>
+          </div>
+          <div className="flex-1">
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="input w-full"
+            >
+              <option value="">All Statuses</option>
+              <option value="active">Active</option>
+              <option value="redeemed">Redeemed</option>
+              <option value="expired">Expired</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+          <div className="flex-shrink-0">
+            <button
+              onClick={() => refetch()}
+              className="btn btn-secondary btn-md"
+              disabled={isLoading}
+            >
+              <RotateCcw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Cards Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-6 text-center text-red-600">
+            <p>Error loading cards: {error?.data?.message || error?.message}</p>
+          </div>
+        ) : cards.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <p>No gift cards or credit notes found.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Issued</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {cards.map((card) => (
+                  <tr
+                    key={card._id}
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => handleLookup(card.code)}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{card.code}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{TYPE_LABELS[card.type]}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customerLabel(card.customer) || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(card.initialValue)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{formatCurrency(card.balance)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(card.expiresAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[card.status]}`}>
+                        {card.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {pagination.total > 0 && (
+        <div className="text-sm text-gray-700">
+          Showing {cards.length} of {pagination.total} cards
+        </div>
+      )}
+
+      {issueType && (
+        <IssueCardModal
+          type={issueType}
+          customers={customers}
+          onSave={handleIssue}
+          onCancel={() => setIssueType(null)}
+          isSubmitting={issuingGiftCard || issuingCreditNote}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GiftCards;
@@ -96,7 +96,7 @@ export const Inventory = () => {
     const options = [
       { value: '', label: 'All Warehouses' },
       ...(Array.isArray(warehouseList) ? warehouseList : []).map((warehouse) => ({
-        value: warehouse.name,
+        value: warehouse._id,
         label: warehouse.code ? `${warehouse.name} (${warehouse.code})` : warehouse.name,
       })),
     ];
@@ -111,6 +111,21 @@ export const Inventory = () => {
     return options;
   }, [warehouseList, warehouseFilter]);
 
+  // Stock rows are keyed by warehouse id; show the warehouse name instead
+  const warehouseNames = useMemo(() => {
+    const names = {};
+    (Array.isArray(warehouseList) ? warehouseList : []).forEach((warehouse) => {
+      names[warehouse._id] = warehouse.name;
+    });
+    return names;
+  }, [warehouseList]);
+
+  const getWarehouseName = (item) => {
+    const key = item.location?.warehouse;
+    if (!key) return '-';
+    return warehouseNames[key] || key;
+  };
+
   const handleOpenWarehousesTab = () => {
     const componentInfo = getComponentInfo('/warehouses');
     if (componentInfo) {
@@ -204,7 +219,7 @@ export const Inventory = () => {
     {
       key: 'location',
       header: 'Location',
-      accessor: (item) => item.location?.warehouse || 'Main Warehouse',
+      accessor: (item) => getWarehouseName(item),
       render: (value, item) => (
         <div className="text-sm">
           <div>{value}</div>
@@ -273,7 +288,7 @@ export const Inventory = () => {
           {item.status === 'active' ? 'Active' : item.status === 'out_of_stock' ? 'Out of Stock' : item.status}
         </span>
         <div className="text-xs text-gray-500">
-          {item.location?.warehouse || 'Main Warehouse'}
+          {getWarehouseName(item)}
         </div>
       </div>
       <div className="text-xs text-gray-400">
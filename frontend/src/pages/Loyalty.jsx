@@ -0,0 +1,728 @@
+import React, { useState } from 'react';
+import { Award, Clock, Plus, Search, Trash2, TrendingUp, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate, formatCustomerTier } from '../utils/formatters';
+import { getCurrentDatePakistan, getDateDaysAgo } from '../utils/dateUtils';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import { useGetCategoriesQuery } from '../store/services/categoriesApi';
+import {
+  useGetLoyaltyProgramQuery,
+  useUpdateLoyaltyProgramMutation,
+  useGetCustomerLoyaltyQuery,
+  useGetLoyaltyStatementQuery,
+  useAdjustLoyaltyPointsMutation,
+  useExpireLoyaltyPointsMutation,
+  useReviewCustomerTiersMutation,
+} from '../store/services/loyaltyApi';
+
+const CUSTOMER_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+const ENTRY_LABELS = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  expire: 'Expired',
+  reverse: 'Reversed',
+  adjust: 'Adjustment',
+  tier_change: 'Tier Change'
+};
+
+const TIER_STYLES = {
+  bronze: 'bg-orange-100 text-orange-800',
+  silver: 'bg-gray-100 text-gray-800',
+  gold: 'bg-yellow-100 text-yellow-800',
+  platinum: 'bg-purple-100 text-purple-800'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const customerLabel = (customer) => customer?.businessName || customer?.name || '';
+
+const TierBadge = ({ tier }) => (
+  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${TIER_STYLES[tier] || TIER_STYLES.bronze}`}>
+    {formatCustomerTier(tier || 'bronze')}
+  </span>
+);
+
+const ProgramForm = ({ program, canManage }) => {
+  const [formData, setFormData] = useState({
+    isActive: program.isActive ?? false,
+    earnPoints: String(program.earnPoints ?? 1),
+    earnPerAmount: String(program.earnPerAmount ?? 100),
+    pointValue: String(program.pointValue ?? 1),
+    minimumRedemption: String(program.minimumRedemption ?? 0),
+    maxRedemptionPercent: String(program.maxRedemptionPercent ?? 100),
+    expiryMonths: String(program.expiryMonths ?? 12),
+    tierReviewMonths: String(program.tierReviewMonths ?? 12),
+    autoTierReview: program.autoTierReview ?? true
+  });
+  // Every tier gets a row; tiers left blank are not sent
+  const [tiers, setTiers] = useState(() => CUSTOMER_TIERS.map((tier) => {
+    const existing = (program.tiers || []).find((t) => t.tier === tier);
+    return {
+      tier,
+      minimumSpend: existing ? String(existing.minimumSpend ?? 0) : '',
+      multiplier: existing ? String(existing.multiplier ?? 1) : ''
+    };
+  }));
+  const [categoryRules, setCategoryRules] = useState(() => (program.categoryRules || []).map((rule) => ({
+    category: rule.category?._id || rule.category || '',
+    multiplier: String(rule.multiplier ?? 1)
+  })));
+
+  const { data: categoriesData } = useGetCategoriesQuery();
+  const categories = categoriesData?.categories || categoriesData?.data?.categories || [];
+  const [updateProgram, { isLoading: saving }] = useUpdateLoyaltyProgramMutation();
+
+  const setField = (field, value) => setFormData({ ...formData, [field]: value });
+
+  const updateTier = (index, field, value) => {
+    setTiers(tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const updateRule = (index, field, value) => {
+    setCategoryRules(categoryRules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!(parseFloat(formData.earnPerAmount) > 0)) {
+      toast.error('Spend per earning must be greater than 0');
+      return;
+    }
+    if (categoryRules.some((rule) => !rule.category || rule.multiplier === '')) {
+      toast.error('Every category rule needs a category and a multiplier');
+      return;
+    }
+    const categoryIds = categoryRules.map((rule) => rule.category);
+    if (new Set(categoryIds).size !== categoryIds.length) {
+      toast.error('Each category can only have one rule');
+      return;
+    }
+
+    const data = {
+      isActive: formData.isActive,
+      earnPoints: parseFloat(formData.earnPoints) || 0,
+      earnPerAmount: parseFloat(formData.earnPerAmount),
+      pointValue: parseFloat(formData.pointValue) || 0,
+      minimumRedemption: parseInt(formData.minimumRedemption, 10) || 0,
+      maxRedemptionPercent: parseFloat(formData.maxRedemptionPercent) || 0,
+      expiryMonths: parseInt(formData.expiryMonths, 10) || 0,
+      tierReviewMonths: parseInt(formData.tierReviewMonths, 10) || 1,
+      autoTierReview: formData.autoTierReview,
+      tiers: tiers
+        .filter((tier) => tier.minimumSpend !== '')
+        .map((tier) => ({
+          tier: tier.tier,
+          minimumSpend: parseFloat(tier.minimumSpend) || 0,
+          multiplier: tier.multiplier === '' ? 1 : parseFloat(tier.multiplier)
+        })),
+      categoryRules: categoryRules.map((rule) => ({
+        category: rule.category,
+        multiplier: parseFloat(rule.multiplier)
+      }))
+    };
+
+    updateProgram(data)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Loyalty program updated'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to update loyalty program')));
+  };
+
+  const numberInput = (field, props = {}) => (
+    <input
+      type="number"
+      value={formData[field]}
+      onChange={(e) => setField(field, e.target.value)}
+      className="input"
+      disabled={!canManage}
+      {...props}
+    />
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Program Rules</h2>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={formData.isActive}
+            onChange={(e) => setField('isActive', e.target.checked)}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            disabled={!canManage}
+          />
+          <span>Program active</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Points Earned</label>
+          {numberInput('earnPoints', { min: '0', step: '0.01' })}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">For Every (spend, before tax)</label>
+          {numberInput('earnPerAmount', { min: '0.01', step: '0.01' })}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Value Of One Point</label>
+          {numberInput('pointValue', { min: '0', step: '0.01' })}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Points To Redeem</label>
+          {numberInput('minimumRedemption', { min: '0', step: '1' })}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Max Share Of Bill Paid By Points (%)</label>
+          {numberInput('maxRedemptionPercent', { min: '0', max: '100', step: '0.01' })}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Points Expire After (months, 0 = never)</label>
+          {numberInput('expiryMonths', { min: '0', step: '1' })}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-gray-900">Tiers</h3>
+          <div className="flex items-center space-x-4 text-sm text-gray-700">
+            <label className="flex items-center space-x-2">
+              <span>Rolling spend over</span>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={formData.tierReviewMonths}
+                onChange={(e) => setField('tierReviewMonths', e.target.value)}
+                className="input w-20"
+                disabled={!canManage}
+              />
+              <span>month(s)</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={formData.autoTierReview}
+                onChange={(e) => setField('autoTierReview', e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                disabled={!canManage}
+              />
+              <span>Review nightly</span>
+            </label>
+          </div>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200 border border-gray-200 rounded">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tier</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Minimum Rolling Spend</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Points Multiplier</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {tiers.map((tier, index) => (
+              <tr key={tier.tier}>
+                <td className="px-4 py-2"><TierBadge tier={tier.tier} /></td>
+                <td className="px-4 py-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={tier.minimumSpend}
+                    onChange={(e) => updateTier(index, 'minimumSpend', e.target.value)}
+                    className="input"
+                    placeholder="Not used"
+                    disabled={!canManage}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={tier.multiplier}
+                    onChange={(e) => updateTier(index, 'multiplier', e.target.value)}
+                    className="input"
+                    placeholder="1"
+                    disabled={!canManage}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-gray-900">Category Multipliers</h3>
+          {canManage && (
+            <button
+              type="button"
+              onClick={() => setCategoryRules([...categoryRules, { category: '', multiplier: '1' }])}
+              className="btn btn-secondary btn-sm"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add Rule
+            </button>
+          )}
+        </div>
+        {categoryRules.length === 0 ? (
+          <p className="text-sm text-gray-500">All categories earn at the standard rate.</p>
+        ) : (
+          <div className="space-y-2">
+            {categoryRules.map((rule, index) => (
+              <div key={index} className="flex items-center gap-4">
+                <select
+                  value={rule.category}
+                  onChange={(e) => updateRule(index, 'category', e.target.value)}
+                  className="input flex-1"
+                  disabled={!canManage}
+                >
+                  <option value="">Select category</option>
+                  {categories.map((category) => (
+                    <option key={category._id} value={category._id}>{category.name}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={rule.multiplier}
+                  onChange={(e) => updateRule(index, 'multiplier', e.target.value)}
+                  className="input w-32"
+                  title="0 earns nothing"
+                  disabled={!canManage}
+                />
+                {canManage && (
+                  <button
+                    type="button"
+                    onClick={() => setCategoryRules(categoryRules.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:text-red-900"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {canManage && (
+        <div className="flex justify-end pt-4 border-t border-gray-200">
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Program'}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+const CustomerSearch = ({ onSelect }) => {
+  const [search, setSearch] = useState('');
+  const { data, isFetching } = useGetCustomersQuery({ search, limit: 20 }, { skip: search.trim().length < 2 });
+  const customers = data?.data?.customers || [];
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input pl-10"
+          placeholder="Search a customer to see their points and statement..."
+        />
+      </div>
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {isFetching ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+          ) : customers.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">No customers found.</p>
+          ) : (
+            customers.map((customer) => (
+              <button
+                key={customer._id}
+                type="button"
+                onClick={() => {
+                  onSelect(customer);
+                  setSearch('');
+                }}
+                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                {customerLabel(customer)}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AdjustPointsModal = ({ customer, onClose }) => {
+  const [points, setPoints] = useState('');
+  const [description, setDescription] = useState('');
+  const [adjustPoints, { isLoading }] = useAdjustLoyaltyPointsMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = parseInt(points, 10);
+    if (!value) {
+      toast.error('Enter the points to add (positive) or remove (negative)');
+      return;
+    }
+    if (!description.trim()) {
+      toast.error('Reason is required');
+      return;
+    }
+    adjustPoints({ customerId: customer._id, points: value, description: description.trim() })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Loyalty points adjusted');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to adjust points')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">Adjust Points</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">{customer.name}</p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Points *</label>
+            <input
+              type="number"
+              step="1"
+              value={points}
+              onChange={(e) => setPoints(e.target.value)}
+              className="input"
+              placeholder="e.g. 50 or -20"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="input"
+              rows="2"
+              maxLength={500}
+              required
+            />
+          </div>
+          <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+            <button type="button" onClick={onClose} className="btn btn-secondary" disabled={isLoading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={isLoading}>
+              {isLoading ? 'Saving...' : 'Adjust Points'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const CustomerLoyalty = ({ customerId, canManage }) => {
+  const [period, setPeriod] = useState({ startDate: getDateDaysAgo(365), endDate: getCurrentDatePakistan() });
+  const [adjusting, setAdjusting] = useState(false);
+
+  const { data: summaryData, isLoading: loadingSummary, error: summaryError } = useGetCustomerLoyaltyQuery(customerId, {
+    refetchOnMountOrArgChange: true,
+  });
+  const { data: statementData, isFetching: loadingStatement, error: statementError } = useGetLoyaltyStatementQuery(
+    { customerId, ...period },
+    { skip: !period.startDate || !period.endDate }
+  );
+  const summary = summaryData?.data;
+  const statement = statementData?.data;
+
+  if (loadingSummary) return <LoadingSpinner />;
+  if (summaryError) {
+    return <p className="text-sm text-red-600">{errorMessage(summaryError, 'Failed to load loyalty points')}</p>;
+  }
+  if (!summary) return null;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div>
+          <p className="text-xs text-gray-500 uppercase">Customer</p>
+          <p className="font-semibold text-gray-900">{summary.customer.name}</p>
+          <TierBadge tier={summary.customer.customerTier} />
+        </div>
+        <div>
+          <p className="text-xs text-gray-500 uppercase">Points</p>
+          <p className="text-2xl font-bold text-green-600">{summary.points}</p>
+          <p className="text-xs text-gray-500">worth {formatCurrency(summary.value)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500 uppercase">Expiring In 30 Days</p>
+          <p className="text-lg font-semibold text-yellow-600">{summary.expiringSoon || 0}</p>
+          <p className="text-xs text-gray-500">Earning x{summary.earnMultiplier}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500 uppercase">Next Tier</p>
+          {summary.nextTier ? (
+            <>
+              <TierBadge tier={summary.nextTier.tier} />
+              <p className="text-xs text-gray-500 mt-1">
+                {formatCurrency(summary.nextTier.spendNeeded)} more spend needed
+              </p>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">{summary.rollingSpend === null ? 'No tiers set up' : 'Top tier reached'}</p>
+          )}
+          {canManage && (
+            <button
+              onClick={() => setAdjusting(true)}
+              className="mt-1 text-xs text-blue-600 hover:text-blue-900 inline-flex items-center"
+            >
+              <Plus className="h-3 w-3 mr-1" />
+              Adjust points
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+          <input
+            type="date"
+            value={period.startDate}
+            onChange={(e) => setPeriod({ ...period, startDate: e.target.value })}
+            className="input"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+          <input
+            type="date"
+            value={period.endDate}
+            onChange={(e) => setPeriod({ ...period, endDate: e.target.value })}
+            className="input"
+          />
+        </div>
+        {statement && (
+          <p className="text-sm text-gray-600 sm:ml-auto">
+            Earned {statement.totals.earned} · Redeemed {Math.abs(statement.totals.redeemed)} · Expired {Math.abs(statement.totals.expired)}
+          </p>
+        )}
+      </div>
+
+      {loadingStatement ? (
+        <LoadingSpinner />
+      ) : statementError ? (
+        <p className="text-sm text-red-600">{errorMessage(statementError, 'Failed to load loyalty statement')}</p>
+      ) : statement && (
+        <div className="overflow-x-auto border border-gray-200 rounded">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              <tr className="bg-gray-50">
+                <td className="px-4 py-2 text-sm text-gray-500">{formatDate(statement.period.startDate)}</td>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900" colSpan={3}>Opening balance</td>
+                <td className="px-4 py-2 text-sm text-right font-medium text-gray-900">{statement.openingBalance}</td>
+              </tr>
+              {statement.entries.map((entry) => (
+                <tr key={entry._id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{formatDate(entry.date)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{ENTRY_LABELS[entry.type] || entry.type}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">
+                    {entry.description}
+                    {entry.reference && ` (${entry.reference})`}
+                    {entry.type === 'earn' && entry.expiresAt && (
+                      <span className="block text-xs text-gray-400">Expires {formatDate(entry.expiresAt)}</span>
+                    )}
+                  </td>
+                  <td className={`px-4 py-2 whitespace-nowrap text-sm text-right ${entry.points < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {entry.type === 'tier_change' ? '-' : entry.points}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-900">{entry.balance}</td>
+                </tr>
+              ))}
+              <tr className="bg-gray-50">
+                <td className="px-4 py-2 text-sm text-gray-500">{formatDate(statement.period.endDate)}</td>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900" colSpan={3}>Closing balance</td>
+                <td className="px-4 py-2 text-sm text-right font-medium text-gray-900">{statement.closingBalance}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {adjusting && <AdjustPointsModal customer={summary.customer} onClose={() => setAdjusting(false)} />}
+    </div>
+  );
+};
+
+const TierReviewResults = ({ review, onApply, onClose, isApplying }) => (
+  <div className="bg-white rounded-lg shadow p-4 space-y-4">
+    <div className="flex items-center justify-between">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">
+          {review.dryRun ? 'Tier Review Preview' : 'Tier Review Applied'}
+        </h2>
+        <p className="text-sm text-gray-600">
+          {review.reviewed} customer(s) reviewed on spend from {formatDate(review.from)} to {formatDate(review.asOf)}:
+          {' '}{review.promoted} promoted, {review.demoted} demoted
+        </p>
+      </div>
+      <div className="flex space-x-2">
+        {review.dryRun && review.changes.length > 0 && (
+          <button onClick={onApply} className="btn btn-primary btn-md" disabled={isApplying}>
+            {isApplying ? 'Applying...' : 'Apply Changes'}
+          </button>
+        )}
+        <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+    {review.changes.length > 0 && (
+      <div className="overflow-x-auto border border-gray-200 rounded">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rolling Spend</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {review.changes.map((change) => (
+              <tr key={change.customer}>
+                <td className="px-4 py-2 text-sm text-gray-900">{change.customerName}</td>
+                <td className="px-4 py-2"><TierBadge tier={change.fromTier} /></td>
+                <td className="px-4 py-2">
+                  <TierBadge tier={change.toTier} />
+                  <span className={`ml-2 text-xs ${change.direction === 'promoted' ? 'text-green-600' : 'text-red-600'}`}>
+                    {change.direction}
+                  </span>
+                </td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">{formatCurrency(change.spend)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+export const Loyalty = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_loyalty');
+  const [customer, setCustomer] = useState(null);
+  const [review, setReview] = useState(null);
+
+  const { data: programData, isLoading, error } = useGetLoyaltyProgramQuery();
+  const program = programData?.data;
+
+  const [expirePoints, { isLoading: expiring }] = useExpireLoyaltyPointsMutation();
+  const [reviewTiers, { isLoading: reviewing }] = useReviewCustomerTiersMutation();
+
+  const handleExpire = () => {
+    expirePoints({})
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Lapsed points expired'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to expire points')));
+  };
+
+  const handleReview = (dryRun) => {
+    reviewTiers({ dryRun })
+      .unwrap()
+      .then((res) => {
+        setReview(res?.data || null);
+        if (!dryRun) toast.success('Customer tiers updated');
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to review tiers')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Loyalty Program</h1>
+          <p className="text-gray-600">Earning and redemption rules, customer points, statements and tier reviews</p>
+        </div>
+        {canManage && (
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => handleReview(true)} className="btn btn-secondary btn-md" disabled={reviewing}>
+              <TrendingUp className="h-4 w-4 mr-2" />
+              {reviewing ? 'Reviewing...' : 'Review Tiers'}
+            </button>
+            <button onClick={handleExpire} className="btn btn-secondary btn-md" disabled={expiring}>
+              <Clock className="h-4 w-4 mr-2" />
+              {expiring ? 'Expiring...' : 'Expire Lapsed'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {review && (
+        <TierReviewResults
+          review={review}
+          onApply={() => handleReview(false)}
+          onClose={() => setReview(null)}
+          isApplying={reviewing}
+        />
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 space-y-4">
+        <div className="flex items-center gap-4">
+          <Award className="h-6 w-6 text-purple-500 flex-shrink-0" />
+          <div className="flex-1">
+            <CustomerSearch onSelect={setCustomer} />
+          </div>
+          {customer && (
+            <button onClick={() => setCustomer(null)} className="p-2 text-gray-400 hover:text-gray-600" title="Clear">
+              <X className="h-5 w-5" />
+            </button>
+          )}
+        </div>
+        {customer && <CustomerLoyalty key={customer._id} customerId={customer._id} canManage={canManage} />}
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : error ? (
+        <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load loyalty program')}</p>
+      ) : program && (
+        <ProgramForm key={program.updatedAt || 'new'} program={program} canManage={canManage} />
+      )}
+    </div>
+  );
+};
+
+export default Loyalty;
@@ -0,0 +1,605 @@
+import React, { useState, useEffect } from 'react';
+import { Search, Play, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan } from '../utils/dateUtils';
+import { useGetBanksQuery } from '../store/services/banksApi';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import {
+  useGetSupplierAgingQuery,
+  useGetPaymentProposalQuery,
+  useGetPayablesRunsQuery,
+  useGetPayablesRunQuery,
+  useCreatePayablesRunMutation,
+} from '../store/services/payablesApi';
+
+const BUCKET_LABELS = {
+  current: 'Current',
+  '1-30': '1-30 Days',
+  '31-60': '31-60 Days',
+  '61-90': '61-90 Days',
+  '90+': '90+ Days'
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const overdueLabel = (daysOverdue) => {
+  if (daysOverdue > 0) return <span className="text-red-600">{daysOverdue}d overdue</span>;
+  if (daysOverdue === 0) return <span className="text-yellow-600">Due today</span>;
+  return <span className="text-gray-500">Due in {-daysOverdue}d</span>;
+};
+
+const ProposalTab = ({ suppliers, banks, canRun }) => {
+  const [criteria, setCriteria] = useState({ budget: '', dueWithinDays: '7', supplier: '', allowPartial: false });
+  const [submitted, setSubmitted] = useState(null);
+  const [allocations, setAllocations] = useState({});
+  const [runData, setRunData] = useState({ method: 'bank', bank: '', paymentDate: getCurrentDatePakistan(), notes: '' });
+
+  const { data, isFetching, error } = useGetPaymentProposalQuery(submitted, {
+    skip: !submitted,
+    refetchOnMountOrArgChange: true,
+  });
+  const [createRun, { isLoading: running }] = useCreatePayablesRunMutation();
+  const proposal = submitted ? data?.data : null;
+
+  // Start from the proposed selection each time a new proposal comes back
+  useEffect(() => {
+    if (!proposal) return;
+    setAllocations(Object.fromEntries(
+      proposal.selected.map((row) => [row.invoice, String(row.proposedAmount)])
+    ));
+  }, [proposal]);
+
+  const rows = proposal ? [...proposal.selected, ...proposal.deferred] : [];
+  const selectedTotal = round2(Object.values(allocations).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0));
+
+  const toggle = (row) => {
+    setAllocations((prev) => {
+      const next = { ...prev };
+      if (next[row.invoice] !== undefined) delete next[row.invoice];
+      else next[row.invoice] = String(row.outstanding);
+      return next;
+    });
+  };
+
+  const handlePropose = (e) => {
+    e.preventDefault();
+    setSubmitted({
+      budget: criteria.budget || undefined,
+      dueWithinDays: criteria.dueWithinDays || undefined,
+      supplier: criteria.supplier || undefined,
+      allowPartial: criteria.allowPartial,
+      asOfDate: runData.paymentDate
+    });
+  };
+
+  const handleRun = () => {
+    const selected = Object.entries(allocations)
+      .map(([invoice, amount]) => ({ invoice, amount: parseFloat(amount) }))
+      .filter((allocation) => allocation.amount > 0);
+    if (selected.length === 0) {
+      toast.error('Select at least one invoice to pay');
+      return;
+    }
+    if (runData.method === 'bank' && !runData.bank) {
+      toast.error('Select the bank account to pay from');
+      return;
+    }
+    if (!window.confirm(`Pay ${selected.length} invoice(s) totalling ${formatCurrency(selectedTotal)}?`)) return;
+
+    createRun({
+      paymentDate: runData.paymentDate,
+      method: runData.method,
+      bank: runData.method === 'bank' ? runData.bank : undefined,
+      budget: proposal?.budget ?? undefined,
+      allocations: selected,
+      notes: runData.notes || undefined
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Payables run posted');
+        setSubmitted(null);
+        setAllocations({});
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to run payables')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handlePropose} className="bg-white rounded-lg shadow p-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Cash Available</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={criteria.budget}
+              onChange={(e) => setCriteria({ ...criteria, budget: e.target.value })}
+              className="input"
+              placeholder="No limit"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Include Due Within</label>
+            <select
+              value={criteria.dueWithinDays}
+              onChange={(e) => setCriteria({ ...criteria, dueWithinDays: e.target.value })}
+              className="input"
+            >
+              <option value="0">Due now</option>
+              <option value="7">7 days</option>
+              <option value="14">14 days</option>
+              <option value="30">30 days</option>
+              <option value="60">60 days</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Supplier</label>
+            <select
+              value={criteria.supplier}
+              onChange={(e) => setCriteria({ ...criteria, supplier: e.target.value })}
+              className="input"
+            >
+              <option value="">All Suppliers</option>
+              {suppliers.map((supplier) => (
+                <option key={supplier._id} value={supplier._id}>{supplier.companyName || supplier.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center h-10">
+            <input
+              type="checkbox"
+              id="allowPartial"
+              checked={criteria.allowPartial}
+              onChange={(e) => setCriteria({ ...criteria, allowPartial: e.target.checked })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <label htmlFor="allowPartial" className="ml-2 text-sm text-gray-700">Part-pay the last invoice</label>
+          </div>
+          <button type="submit" className="btn btn-primary btn-md">
+            <Search className="h-4 w-4 mr-2" />
+            Propose
+          </button>
+        </div>
+      </form>
+
+      {isFetching && <LoadingSpinner />}
+      {!isFetching && error && (
+        <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to build payment proposal')}</p>
+      )}
+
+      {!isFetching && proposal && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              ['Due in window', proposal.totals.due],
+              ['Proposed', proposal.totals.selected],
+              ['Deferred', proposal.totals.deferred],
+              ['Left of budget', proposal.budget === null ? null : round2(proposal.budget - selectedTotal)]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-lg shadow p-4">
+                <p className="text-xs text-gray-500 uppercase">{label}</p>
+                <p className={`text-lg font-bold ${value < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {value === null ? 'No limit' : formatCurrency(value)}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {rows.length === 0 ? (
+              <p className="p-6 text-center text-gray-500">No supplier invoices are due in this window.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3" />
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Pay</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {rows.map((row) => {
+                      const isSelected = allocations[row.invoice] !== undefined;
+                      return (
+                        <tr key={row.invoice} className={isSelected ? 'bg-blue-50' : ''}>
+                          <td className="px-4 py-3">
+                            <input
+                              type="checkbox"
+                              checked={isSelected}
+                              onChange={() => toggle(row)}
+                              className="h-4 w-4"
+                              disabled={!canRun}
+                            />
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                            {row.invoiceNumber}
+                            {row.currency && <span className="ml-2 text-xs text-gray-500">{row.currency} {row.foreignOutstanding}</span>}
+                            {row.reason && <span className="block text-xs text-yellow-700">{row.reason}</span>}
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.supplier.companyName}</td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm">
+                            {formatDate(row.dueDate)}
+                            <span className="block text-xs">{overdueLabel(row.daysOverdue)}</span>
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(row.outstanding)}</td>
+                          <td className="px-4 py-3 whitespace-nowrap text-right">
+                            {isSelected && (
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0.01"
+                                max={row.outstanding}
+                                value={allocations[row.invoice]}
+                                onChange={(e) => setAllocations({ ...allocations, [row.invoice]: e.target.value })}
+                                className="input w-32 text-right"
+                                disabled={!canRun}
+                              />
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {canRun && rows.length > 0 && (
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Pay By</label>
+                  <select
+                    value={runData.method}
+                    onChange={(e) => setRunData({ ...runData, method: e.target.value })}
+                    className="input"
+                  >
+                    <option value="bank">Bank</option>
+                    <option value="cash">Cash</option>
+                  </select>
+                </div>
+                {runData.method === 'bank' ? (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Bank Account</label>
+                    <select
+                      value={runData.bank}
+                      onChange={(e) => setRunData({ ...runData, bank: e.target.value })}
+                      className="input"
+                    >
+                      <option value="">Select bank account</option>
+                      {banks.map((bank) => (
+                        <option key={bank._id} value={bank._id}>
+                          {bank.bankName} - {bank.accountNumber}{bank.currency ? ` (${bank.currency})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ) : <div />}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Payment Date</label>
+                  <input
+                    type="date"
+                    value={runData.paymentDate}
+                    onChange={(e) => setRunData({ ...runData, paymentDate: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+                  <input
+                    type="text"
+                    value={runData.notes}
+                    onChange={(e) => setRunData({ ...runData, notes: e.target.value })}
+                    className="input"
+                    maxLength={1000}
+                  />
+                </div>
+                <button onClick={handleRun} className="btn btn-primary btn-md" disabled={running || selectedTotal <= 0}>
+                  <Play className="h-4 w-4 mr-2" />
+                  {running ? 'Paying...' : `Pay ${formatCurrency(selectedTotal)}`}
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const AgingTab = ({ suppliers }) => {
+  const [asOfDate, setAsOfDate] = useState(getCurrentDatePakistan());
+  const [supplier, setSupplier] = useState('');
+  const { data, isFetching, error } = useGetSupplierAgingQuery(
+    { asOfDate, supplier: supplier || undefined },
+    { refetchOnMountOrArgChange: true }
+  );
+  const aging = data?.data;
+  const buckets = aging?.buckets || Object.keys(BUCKET_LABELS);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <input type="date" value={asOfDate} onChange={(e) => setAsOfDate(e.target.value)} className="input sm:w-48" />
+        <select value={supplier} onChange={(e) => setSupplier(e.target.value)} className="input sm:w-64">
+          <option value="">All Suppliers</option>
+          {suppliers.map((item) => (
+            <option key={item._id} value={item._id}>{item.companyName || item.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isFetching ? (
+          <LoadingSpinner />
+        ) : error || !aging ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load supplier aging')}</p>
+        ) : aging.suppliers.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">Nothing is owed to suppliers.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                  {buckets.map((bucket) => (
+                    <th key={bucket} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{BUCKET_LABELS[bucket] || bucket}</th>
+                  ))}
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {aging.suppliers.map((entry) => (
+                  <React.Fragment key={entry.supplier._id}>
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {entry.supplier.companyName}
+                        <span className="block text-xs text-gray-500">{entry.invoiceCount} invoice(s)</span>
+                      </td>
+                      {buckets.map((bucket) => (
+                        <td key={bucket} className={`px-6 py-4 whitespace-nowrap text-sm text-right ${bucket !== 'current' && entry[bucket] > 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                          {entry[bucket] ? formatCurrency(entry[bucket]) : '-'}
+                        </td>
+                      ))}
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{formatCurrency(entry.total)}</td>
+                    </tr>
+                    {(entry.invoices || []).map((row) => (
+                      <tr key={row.invoice} className="bg-gray-50 text-xs">
+                        <td className="px-6 py-2 pl-10 text-gray-600">
+                          {row.invoiceNumber} · due {formatDate(row.dueDate)}
+                        </td>
+                        {buckets.map((bucket) => (
+                          <td key={bucket} className="px-6 py-2 text-right text-gray-600">
+                            {row.bucket === bucket ? formatCurrency(row.outstanding) : ''}
+                          </td>
+                        ))}
+                        <td />
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="px-6 py-3 text-sm text-gray-900">Total</td>
+                  {buckets.map((bucket) => (
+                    <td key={bucket} className="px-6 py-3 text-sm text-right text-gray-900">{formatCurrency(aging.totals[bucket])}</td>
+                  ))}
+                  <td className="px-6 py-3 text-sm text-right text-gray-900">{formatCurrency(aging.totals.total)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RunDetailModal = ({ runId, onClose }) => {
+  const { data, isLoading } = useGetPayablesRunQuery(runId);
+  const run = data?.data;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">{run ? `Payables Run ${run.runNumber}` : 'Payables Run'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !run ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                {formatDate(run.paymentDate)} · {run.method === 'bank' ? `${run.bank?.bankName} - ${run.bank?.accountNumber}` : 'Cash'}
+                {' '}· {run.supplierCount} supplier(s), {run.invoiceCount} invoice(s) · {formatCurrency(run.totalAmount)}
+                {Math.abs(run.exchangeDifference || 0) >= 0.01 && (
+                  <span> · exchange {run.exchangeDifference > 0 ? 'loss' : 'gain'} {formatCurrency(Math.abs(run.exchangeDifference))}</span>
+                )}
+                {(run.withheldAmount || 0) >= 0.01 && (
+                  <span> · tax withheld {formatCurrency(run.withheldAmount)}</span>
+                )}
+              </p>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voucher</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {run.lines.map((line) => (
+                    <tr key={line.invoice}>
+                      <td className="px-4 py-2 text-gray-900">{line.supplierName || line.supplier?.companyName}</td>
+                      <td className="px-4 py-2 text-gray-500">
+                        {line.invoiceNumber}
+                        {line.currency && (
+                          <span className="block text-xs">{line.currency} {line.foreignAmount} @ {line.exchangeRate}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-500">{formatCurrency(line.outstandingBefore)}</td>
+                      <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.amount)}</td>
+                      <td className="px-4 py-2 text-gray-500">{line.voucherCode || line.voucher?.voucherCode}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {run.notes && <p className="text-sm text-gray-600 mt-4">{run.notes}</p>}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const RunsTab = () => {
+  const [filters, setFilters] = useState({ method: '', fromDate: '', toDate: '' });
+  const [page, setPage] = useState(1);
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const { data, isLoading, error } = useGetPayablesRunsQuery(
+    {
+      method: filters.method || undefined,
+      fromDate: filters.fromDate || undefined,
+      toDate: filters.toDate || undefined,
+      page
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const runs = data?.data?.runs || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <select value={filters.method} onChange={updateFilter('method')} className="input sm:w-40">
+          <option value="">Cash & Bank</option>
+          <option value="cash">Cash</option>
+          <option value="bank">Bank</option>
+        </select>
+        <input type="date" value={filters.fromDate} onChange={updateFilter('fromDate')} className="input sm:w-48" />
+        <input type="date" value={filters.toDate} onChange={updateFilter('toDate')} className="input sm:w-48" />
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load payables runs')}</p>
+        ) : runs.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No payables runs yet.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Run</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid From</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Suppliers</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Invoices</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedRunId(run._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{run.runNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(run.paymentDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {run.method === 'bank' ? `${run.bank?.bankName || 'Bank'} - ${run.bank?.accountNumber || ''}` : 'Cash'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{run.supplierCount}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{run.invoiceCount}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(run.totalAmount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedRunId && <RunDetailModal runId={selectedRunId} onClose={() => setSelectedRunId(null)} />}
+    </div>
+  );
+};
+
+export const PaymentProposals = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('proposal');
+
+  const { data: suppliersData } = useGetSuppliersQuery({ search: '', limit: 100 });
+  const suppliers = suppliersData?.data?.suppliers || suppliersData?.suppliers || [];
+  const { data: banksData } = useGetBanksQuery({ isActive: true });
+  const banks = banksData?.data?.banks || banksData?.banks || [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Supplier Payments</h1>
+        <p className="text-gray-600">Propose which supplier invoices to pay from the cash available and pay them in one run</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['proposal', 'Payment Proposal'],
+            ['aging', 'Supplier Aging'],
+            ['runs', 'Payment Runs']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'proposal' && (
+        <ProposalTab suppliers={suppliers} banks={banks} canRun={hasPermission('run_payables')} />
+      )}
+      {activeTab === 'aging' && <AgingTab suppliers={suppliers} />}
+      {activeTab === 'runs' && <RunsTab />}
+    </div>
+  );
+};
+
+export default PaymentProposals;
@@ -0,0 +1,720 @@
+import React, { useState } from 'react';
+import { Plus, Edit, Trash2, X, Search, Download, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { formatDateForInput } from '../utils/dateUtils';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import { useGetCategoriesQuery } from '../store/services/categoriesApi';
+import { useGetActiveCitiesQuery } from '../store/services/citiesApi';
+import {
+  useGetPriceListsQuery,
+  useGetPriceListQuery,
+  useCreatePriceListMutation,
+  useUpdatePriceListMutation,
+  useDeletePriceListMutation,
+  useExportPriceListMutation,
+  useImportPriceListMutation,
+} from '../store/services/priceListsApi';
+
+const BASE_PRICES = {
+  cost: 'Cost',
+  retail: 'Retail',
+  wholesale: 'Wholesale',
+  distributor: 'Distributor'
+};
+
+const CUSTOMER_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const validityLabel = (priceList) => {
+  if (!priceList.validFrom && !priceList.validUntil) return 'Always';
+  if (!priceList.validUntil) return `From ${formatDate(priceList.validFrom)}`;
+  if (!priceList.validFrom) return `Until ${formatDate(priceList.validUntil)}`;
+  return `${formatDate(priceList.validFrom)} - ${formatDate(priceList.validUntil)}`;
+};
+
+const assignmentLabel = (priceList) => {
+  const parts = [];
+  if (priceList.customers?.length) parts.push(`${priceList.customers.length} customer(s)`);
+  if (priceList.cities?.length) parts.push(priceList.cities.join(', '));
+  if (priceList.customerTiers?.length) parts.push(priceList.customerTiers.join(', '));
+  return parts.length ? parts.join(' · ') : 'Unassigned';
+};
+
+const ProductPicker = ({ onSelect }) => {
+  const [search, setSearch] = useState('');
+  const { data, isFetching } = useGetProductsQuery({ search, limit: 50 }, { skip: search.trim().length < 2 });
+  const products = data?.data?.products || data?.products || [];
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input pl-10"
+          placeholder="Search products to add a fixed price..."
+        />
+      </div>
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {isFetching ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+          ) : products.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">No products found.</p>
+          ) : (
+            products.map((product) => (
+              <button
+                key={product._id}
+                type="button"
+                onClick={() => {
+                  onSelect(product);
+                  setSearch('');
+                }}
+                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-900">{product.name}</span>
+                {product.sku && <span className="ml-2 text-gray-500">{product.sku}</span>}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CustomerPicker = ({ selected, onChange }) => {
+  const [search, setSearch] = useState('');
+  const { data, isFetching } = useGetCustomersQuery({ search, limit: 20 }, { skip: search.trim().length < 2 });
+  const selectedIds = selected.map((customer) => customer._id);
+  const customers = (data?.data?.customers || []).filter((customer) => !selectedIds.includes(customer._id));
+
+  return (
+    <div className="space-y-2">
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {selected.map((customer) => (
+            <span key={customer._id} className="inline-flex items-center px-2 py-1 rounded-full bg-blue-50 text-blue-700 text-xs">
+              {customer.businessName || customer.name}
+              <button
+                type="button"
+                onClick={() => onChange(selected.filter((c) => c._id !== customer._id))}
+                className="ml-1 text-blue-500 hover:text-blue-800"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="relative">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input"
+          placeholder="Search customers..."
+        />
+        {search.trim().length >= 2 && (
+          <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+            {isFetching ? (
+              <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+            ) : customers.length === 0 ? (
+              <p className="px-4 py-2 text-sm text-gray-500">No customers found.</p>
+            ) : (
+              customers.map((customer) => (
+                <button
+                  key={customer._id}
+                  type="button"
+                  onClick={() => {
+                    onChange([...selected, customer]);
+                    setSearch('');
+                  }}
+                  className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+                >
+                  {customer.businessName || customer.name}
+                </button>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const PriceListForm = ({ priceList, onClose }) => {
+  const [formData, setFormData] = useState({
+    name: priceList?.name || '',
+    description: priceList?.description || '',
+    validFrom: formatDateForInput(priceList?.validFrom),
+    validUntil: formatDateForInput(priceList?.validUntil),
+    priority: priceList ? String(priceList.priority ?? 0) : '0',
+    isActive: priceList?.isActive ?? true
+  });
+  const [items, setItems] = useState(() => (priceList?.items || [])
+    .filter((item) => item.product)
+    .map((item) => ({ product: item.product, price: String(item.price), minQuantity: String(item.minQuantity ?? 1) })));
+  const [rules, setRules] = useState(() => (priceList?.rules || []).map((rule) => ({
+    category: rule.category?._id || rule.category || '',
+    basePrice: rule.basePrice || 'retail',
+    adjustmentType: rule.adjustmentType || 'discount',
+    percent: String(rule.percent ?? '')
+  })));
+  const [customers, setCustomers] = useState(priceList?.customers || []);
+  const [cities, setCities] = useState(priceList?.cities || []);
+  const [customerTiers, setCustomerTiers] = useState(priceList?.customerTiers || []);
+
+  const { data: categoriesData } = useGetCategoriesQuery();
+  const categories = categoriesData?.categories || categoriesData?.data?.categories || [];
+  const { data: citiesResponse } = useGetActiveCitiesQuery();
+  const cityOptions = Array.isArray(citiesResponse) ? citiesResponse : (citiesResponse?.data || []);
+
+  const [createPriceList, { isLoading: creating }] = useCreatePriceListMutation();
+  const [updatePriceList, { isLoading: updating }] = useUpdatePriceListMutation();
+
+  const updateItem = (index, field, value) => setItems(items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  const updateRule = (index, field, value) => setRules(rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  const toggle = (list, setList, value) => setList(list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (formData.validFrom && formData.validUntil && formData.validUntil < formData.validFrom) {
+      toast.error('Valid until must be on or after valid from');
+      return;
+    }
+    const data = {
+      ...formData,
+      name: formData.name.trim(),
+      priority: parseInt(formData.priority, 10) || 0,
+      items: items.map((item) => ({
+        product: item.product._id,
+        price: parseFloat(item.price) || 0,
+        minQuantity: parseFloat(item.minQuantity) || 0
+      })),
+      rules: rules.map((rule) => ({
+        category: rule.category || null,
+        basePrice: rule.basePrice,
+        adjustmentType: rule.adjustmentType,
+        percent: parseFloat(rule.percent) || 0
+      })),
+      customers: customers.map((customer) => customer._id),
+      cities,
+      customerTiers
+    };
+    const request = priceList ? updatePriceList({ id: priceList._id, ...data }) : createPriceList(data);
+
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Price list saved');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save price list')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-gray-900">{priceList ? `Edit ${priceList.name}` : 'Add Price List'}</h2>
+        <button type="button" onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            className="input"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={formData.priority}
+            onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+            className="input"
+          />
+          <p className="mt-1 text-xs text-gray-500">Higher wins when lists are assigned at the same level</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Valid From</label>
+          <input
+            type="date"
+            value={formData.validFrom}
+            onChange={(e) => setFormData({ ...formData, validFrom: e.target.value })}
+            className="input"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Valid Until</label>
+          <input
+            type="date"
+            value={formData.validUntil}
+            onChange={(e) => setFormData({ ...formData, validUntil: e.target.value })}
+            className="input"
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <textarea
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          className="input"
+          rows={2}
+          maxLength={500}
+        />
+      </div>
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={formData.isActive}
+          onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+          className="mr-2"
+        />
+        Active
+      </label>
+
+      <div className="space-y-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Fixed Prices</h3>
+          <p className="text-xs text-gray-500">Add a product more than once for quantity breaks</p>
+        </div>
+        <ProductPicker onSelect={(product) => setItems([...items, { product, price: '', minQuantity: '1' }])} />
+        {items.length > 0 && (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Retail</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Min Qty</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {items.map((item, index) => (
+                <tr key={index}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {item.product.name}
+                    {item.product.sku && <span className="block text-xs text-gray-500">{item.product.sku}</span>}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-500">{formatCurrency(item.product.pricing?.retail)}</td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={item.price}
+                      onChange={(e) => updateItem(index, 'price', e.target.value)}
+                      className="input w-28 text-right ml-auto"
+                      required
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={item.minQuantity}
+                      onChange={(e) => updateItem(index, 'minQuantity', e.target.value)}
+                      className="input w-24 text-right ml-auto"
+                    />
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button type="button" onClick={() => setItems(items.filter((_, i) => i !== index))} className="text-red-600 hover:text-red-900" title="Remove">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900">Pricing Rules</h3>
+            <p className="text-xs text-gray-500">Apply to products without a fixed price; a rule without a category covers every product</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => setRules([...rules, { category: '', basePrice: 'retail', adjustmentType: 'discount', percent: '' }])}
+            className="btn btn-secondary btn-sm"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Rule
+          </button>
+        </div>
+        {rules.map((rule, index) => (
+          <div key={index} className="grid grid-cols-12 gap-2 items-center">
+            <select value={rule.category} onChange={(e) => updateRule(index, 'category', e.target.value)} className="input col-span-4">
+              <option value="">All Categories</option>
+              {categories.map((category) => (
+                <option key={category._id} value={category._id}>{category.name}</option>
+              ))}
+            </select>
+            <select value={rule.basePrice} onChange={(e) => updateRule(index, 'basePrice', e.target.value)} className="input col-span-3">
+              {Object.entries(BASE_PRICES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select value={rule.adjustmentType} onChange={(e) => updateRule(index, 'adjustmentType', e.target.value)} className="input col-span-2">
+              <option value="discount">Less</option>
+              <option value="markup">Plus</option>
+            </select>
+            <div className="col-span-2 flex items-center">
+              <input
+                type="number"
+                min="0"
+                max="1000"
+                step="0.01"
+                value={rule.percent}
+                onChange={(e) => updateRule(index, 'percent', e.target.value)}
+                className="input text-right"
+                required
+              />
+              <span className="ml-1 text-sm text-gray-500">%</span>
+            </div>
+            <button type="button" onClick={() => setRules(rules.filter((_, i) => i !== index))} className="col-span-1 text-red-600 hover:text-red-900" title="Remove">
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Assignment</h3>
+          <p className="text-xs text-gray-500">Customers take precedence over cities, and cities over tiers</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Customers</label>
+          <CustomerPicker selected={customers} onChange={setCustomers} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Cities</label>
+          <div className="flex flex-wrap gap-3 max-h-32 overflow-y-auto">
+            {cityOptions.map((city) => (
+              <label key={city._id || city.name} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={cities.includes(city.name)}
+                  onChange={() => toggle(cities, setCities, city.name)}
+                  className="mr-1"
+                />
+                {city.name}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Customer Tiers</label>
+          <div className="flex flex-wrap gap-3">
+            {CUSTOMER_TIERS.map((tier) => (
+              <label key={tier} className="flex items-center text-sm text-gray-700 capitalize">
+                <input
+                  type="checkbox"
+                  checked={customerTiers.includes(tier)}
+                  onChange={() => toggle(customerTiers, setCustomerTiers, tier)}
+                  className="mr-1"
+                />
+                {tier}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+        <button type="submit" disabled={creating || updating} className="btn btn-primary">
+          {creating || updating ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const PriceListFormModal = ({ priceListId, onClose }) => {
+  // The list omits items, so editing loads the full price list first
+  const { data, isLoading, error } = useGetPriceListQuery(priceListId, { skip: !priceListId, refetchOnMountOrArgChange: true });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {!priceListId ? (
+          <PriceListForm onClose={onClose} />
+        ) : isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-6 space-y-4">
+            <p className="text-center text-red-600">{errorMessage(error, 'Failed to load price list')}</p>
+            <div className="flex justify-end">
+              <button onClick={onClose} className="btn btn-secondary">Close</button>
+            </div>
+          </div>
+        ) : (
+          <PriceListForm priceList={data?.data} onClose={onClose} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ImportModal = ({ priceList, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [replace, setReplace] = useState(false);
+  const [result, setResult] = useState(null);
+  const [importPriceList, { isLoading }] = useImportPriceListMutation();
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error('Choose an Excel file to import');
+      return;
+    }
+    importPriceList({ id: priceList._id, file, replace })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Import completed');
+        setResult(res?.data);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to import price list')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleImport} className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">Import Prices into {priceList.name}</h2>
+            <button type="button" onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600">
+            Use the layout of an exported price list. Products are matched by SKU, or by name when the SKU is blank.
+          </p>
+          <input
+            type="file"
+            accept=".xlsx"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null);
+              setResult(null);
+            }}
+            className="input"
+          />
+          <label className="flex items-center text-sm text-gray-700">
+            <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} className="mr-2" />
+            Replace existing fixed prices instead of merging
+          </label>
+
+          {result && (
+            <div className="border border-gray-200 rounded-md p-4 space-y-2">
+              <p className="text-sm text-gray-900">{result.imported} of {result.total} row(s) imported</p>
+              {result.errors?.length > 0 && (
+                <ul className="text-sm text-red-600 max-h-40 overflow-y-auto space-y-1">
+                  {result.errors.map((rowError, index) => (
+                    <li key={index}>Row {rowError.row}: {rowError.error}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary">{result ? 'Done' : 'Cancel'}</button>
+            <button type="submit" disabled={isLoading || !file} className="btn btn-primary">
+              {isLoading ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export const PriceLists = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_price_lists');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [editing, setEditing] = useState(null);
+  const [importing, setImporting] = useState(null);
+
+  const { data, isLoading, error } = useGetPriceListsQuery({
+    search: search || undefined,
+    isActive: statusFilter || undefined,
+    page,
+    limit: 20
+  });
+  const priceLists = data?.data?.priceLists || [];
+  const pagination = data?.data?.pagination;
+
+  const [deletePriceList] = useDeletePriceListMutation();
+  const [exportPriceList] = useExportPriceListMutation();
+
+  const handleDelete = (priceList) => {
+    if (!window.confirm(`Delete price list ${priceList.name}? Customers it covers fall back to the next matching list or standard prices.`)) return;
+    deletePriceList(priceList._id)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Price list deleted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete price list')));
+  };
+
+  const handleExport = async (priceList) => {
+    try {
+      const blob = await exportPriceList(priceList._id).unwrap();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `Price_List_${priceList.name.replace(/\s+/g, '_')}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to export price list'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Price Lists</h1>
+          <p className="text-gray-600">Customer-specific prices by product, category rules, customer, city and tier</p>
+        </div>
+        {canManage && (
+          <button onClick={() => setEditing({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Add Price List
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            className="input pl-10"
+            placeholder="Search price lists..."
+          />
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value);
+            setPage(1);
+          }}
+          className="input sm:w-40"
+        >
+          <option value="">All Statuses</option>
+          <option value="true">Active</option>
+          <option value="false">Inactive</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load price lists')}</p>
+        ) : priceLists.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No price lists found.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Validity</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {priceLists.map((priceList) => (
+                <tr key={priceList._id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <span className="font-medium">{priceList.name}</span>
+                    {priceList.description && <span className="block text-xs text-gray-500">{priceList.description}</span>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500 capitalize">{assignmentLabel(priceList)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{validityLabel(priceList)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{priceList.priority || 0}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${priceList.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {priceList.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    <div className="flex justify-end space-x-3">
+                      <button onClick={() => handleExport(priceList)} className="text-gray-600 hover:text-gray-900" title="Export to Excel">
+                        <Download className="h-4 w-4" />
+                      </button>
+                      {canManage && (
+                        <>
+                          <button onClick={() => setImporting(priceList)} className="text-gray-600 hover:text-gray-900" title="Import from Excel">
+                            <Upload className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => setEditing(priceList)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => handleDelete(priceList)} className="text-red-600 hover:text-red-900" title="Delete">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {pagination && pagination.pages > 1 && (
+          <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+            <p className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</p>
+            <div className="flex space-x-2">
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn btn-secondary btn-sm">Previous</button>
+              <button onClick={() => setPage(page + 1)} disabled={page >= pagination.pages} className="btn btn-secondary btn-sm">Next</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {editing && <PriceListFormModal priceListId={editing._id} onClose={() => setEditing(null)} />}
+      {importing && <ImportModal priceList={importing} onClose={() => setImporting(null)} />}
+    </div>
+  );
+};
+
+export default PriceLists;
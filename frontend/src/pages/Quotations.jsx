@@ -0,0 +1,890 @@
+import React, { useState } from 'react';
+import {
+  Plus,
+  Search,
+  X,
+  Send,
+  CheckCircle,
+  XCircle,
+  Ban,
+  Clock,
+  Edit,
+  Copy,
+  Printer,
+  Download,
+  ArrowRight,
+  Trash2,
+  RotateCcw,
+  BarChart3
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import PrintModal from '../components/PrintModal';
+import { useAuth } from '../contexts/AuthContext';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import {
+  useGetQuotationsQuery,
+  useGetQuotationQuery,
+  useGetQuotationConversionReportQuery,
+  useCreateQuotationMutation,
+  useUpdateQuotationMutation,
+  useReviseQuotationMutation,
+  useUpdateQuotationStatusMutation,
+  useExpireQuotationsMutation,
+  useConvertQuotationMutation,
+  useDownloadQuotationPdfMutation,
+} from '../store/services/quotationsApi';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  sent: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  expired: 'bg-yellow-100 text-yellow-800',
+  converted: 'bg-purple-100 text-purple-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2
+  }).format(amount || 0);
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const customerLabel = (customer) => customer?.businessName || customer?.name || '';
+
+const displayNumber = (quotation) =>
+  quotation.revision > 1 ? `${quotation.quoteNumber}-R${quotation.revision}` : quotation.quoteNumber;
+
+// Same shape SalesOrders passes to PrintModal, so quotations print with the configured invoice layout
+const formatQuotationForPrint = (quotation) => ({
+  ...quotation,
+  orderNumber: displayNumber(quotation),
+  customerInfo: {
+    name: customerLabel(quotation.customer) || 'Customer',
+    email: quotation.customer?.email || '',
+    phone: quotation.customer?.phone || ''
+  },
+  items: (quotation.items || []).map((item) => ({
+    ...item,
+    product: { name: item.product?.name || 'Product' },
+    quantity: Number(item.quantity) || 0,
+    unitPrice: Number(item.unitPrice) || 0,
+    total: Number(item.totalPrice) || 0,
+    totalPrice: Number(item.totalPrice) || 0
+  })),
+  pricing: {
+    subtotal: quotation.subtotal || 0,
+    discountAmount: 0,
+    taxAmount: quotation.tax || 0,
+    total: quotation.total || 0
+  },
+  payment: {
+    status: `Valid until ${formatDate(quotation.validUntil)}`,
+    amountPaid: 0,
+    remainingBalance: quotation.total || 0
+  },
+  notes: [quotation.notes, quotation.terms].filter(Boolean).join('\n'),
+  createdAt: quotation.quoteDate || quotation.createdAt
+});
+
+const emptyItem = () => ({ product: '', quantity: 1, unitPrice: '' });
+
+// mode is create, edit or revise
+const QuotationFormModal = ({ mode, quotation, customers, products, onSave, onCancel, isSubmitting }) => {
+  const [formData, setFormData] = useState(() => ({
+    customer: quotation?.customer?._id || quotation?.customer || '',
+    validUntil: mode === 'revise' ? '' : toDateInput(quotation?.validUntil),
+    tax: quotation?.tax || '',
+    notes: quotation?.notes || '',
+    terms: quotation?.terms || '',
+    reason: '',
+    items: quotation?.items?.length
+      ? quotation.items.map((item) => ({
+        product: item.product?._id || item.product,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice
+      }))
+      : [emptyItem()]
+  }));
+
+  const updateItem = (index, changes) => {
+    setFormData({
+      ...formData,
+      items: formData.items.map((item, i) => (i === index ? { ...item, ...changes } : item))
+    });
+  };
+
+  const subtotal = formData.items.reduce(
+    (sum, item) => sum + (parseFloat(item.unitPrice) || 0) * (parseInt(item.quantity) || 0),
+    0
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!formData.customer) {
+      toast.error('Customer is required');
+      return;
+    }
+    const items = formData.items.filter((item) => item.product);
+    if (items.length === 0) {
+      toast.error('At least one item is required');
+      return;
+    }
+    if (items.some((item) => !(parseInt(item.quantity) >= 1))) {
+      toast.error('Quantity must be at least 1');
+      return;
+    }
+
+    const data = {
+      items: items.map((item) => ({
+        product: item.product,
+        quantity: parseInt(item.quantity),
+        // Blank prices are filled from the customer's price lists
+        unitPrice: item.unitPrice === '' || item.unitPrice === null ? null : parseFloat(item.unitPrice)
+      })),
+      validUntil: formData.validUntil || undefined,
+      tax: parseFloat(formData.tax) || 0,
+      notes: formData.notes.trim(),
+      terms: formData.terms.trim()
+    };
+    if (mode === 'create') data.customer = formData.customer;
+    if (mode === 'revise') data.reason = formData.reason.trim() || undefined;
+    onSave(data);
+  };
+
+  const title = mode === 'create'
+    ? 'New Quotation'
+    : mode === 'edit'
+      ? `Edit ${displayNumber(quotation)}`
+      : `Revise ${displayNumber(quotation)}`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+            <button
+              onClick={onCancel}
+              className="p-2 text-gray-400 hover:text-gray-600"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Customer *
+                </label>
+                <select
+                  value={formData.customer}
+                  onChange={(e) => setFormData({ ...formData, customer: e.target.value })}
+                  className="input"
+                  disabled={mode !== 'create'}
+                  required
+                >
+                  <option value="">Select customer</option>
+                  {customers.map((customer) => (
+                    <option key={customer._id} value={customer._id}>
+                      {customerLabel(customer)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Valid Until
+                </label>
+                <input
+                  type="date"
+                  value={formData.validUntil}
+                  onChange={(e) => setFormData({ ...formData, validUntil: e.target.value })}
+                  className="input"
+                />
+                <p className="text-xs text-gray-500 mt-1">30 days if left blank</p>
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">Items *</label>
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, items: [...formData.items, emptyItem()] })}
+                  className="text-sm text-blue-600 hover:text-blue-800 inline-flex items-center"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Item
+                </button>
+              </div>
+              <div className="space-y-2">
+                {formData.items.map((item, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={item.product}
+                      onChange={(e) => updateItem(index, { product: e.target.value, unitPrice: '' })}
+                      className="input col-span-6"
+                    >
+                      <option value="">Select product</option>
+                      {products.map((product) => (
+                        <option key={product._id} value={product._id}>
+                          {product.name}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={item.quantity}
+                      onChange={(e) => updateItem(index, { quantity: e.target.value })}
+                      className="input col-span-2"
+                      placeholder="Qty"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={item.unitPrice}
+                      onChange={(e) => updateItem(index, { unitPrice: e.target.value })}
+                      className="input col-span-3"
+                      placeholder="Price list"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setFormData({
+                        ...formData,
+                        items: formData.items.length > 1 ? formData.items.filter((_, i) => i !== index) : [emptyItem()]
+                      })}
+                      className="col-span-1 p-2 text-red-500 hover:text-red-700"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Leave the price blank to quote the customer's price list price.
+                Subtotal of entered prices: {formatCurrency(subtotal)}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Tax
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.tax}
+                  onChange={(e) => setFormData({ ...formData, tax: e.target.value })}
+                  className="input"
+                  placeholder="0.00"
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Terms
+                </label>
+                <input
+                  type="text"
+                  value={formData.terms}
+                  onChange={(e) => setFormData({ ...formData, terms: e.target.value })}
+                  className="input"
+                  placeholder="Payment and delivery terms"
+                  maxLength={500}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Notes
+              </label>
+              <textarea
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                className="input"
+                rows="2"
+                maxLength={1000}
+              />
+            </div>
+
+            {mode === 'revise' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason for Revision
+                </label>
+                <input
+                  type="text"
+                  value={formData.reason}
+                  onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                  className="input"
+                  placeholder="e.g. Customer asked for a better price"
+                  maxLength={500}
+                />
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="btn btn-secondary"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Saving...' : mode === 'revise' ? 'Issue Revision' : 'Save Quotation'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const QuotationDetailsModal = ({ quotationId, onClose }) => {
+  const { data, isLoading } = useGetQuotationQuery(quotationId);
+  const quotation = data?.data;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {quotation ? `Quotation ${displayNumber(quotation)}` : 'Quotation'}
+            </h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {isLoading || !quotation ? (
+            <LoadingSpinner />
+          ) : (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div>
+                  <p className="text-xs text-gray-500 uppercase">Customer</p>
+                  <p className="text-gray-900">{customerLabel(quotation.customer)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 uppercase">Status</p>
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[quotation.status]}`}>
+                    {quotation.status}
+                  </span>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 uppercase">Quoted / Valid Until</p>
+                  <p className="text-gray-900">{formatDate(quotation.quoteDate)} - {formatDate(quotation.validUntil)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 uppercase">Total</p>
+                  <p className="text-lg font-bold text-gray-900">{formatCurrency(quotation.total)}</p>
+                </div>
+              </div>
+
+              {(quotation.acceptedAt || quotation.rejectedAt || quotation.salesOrder) && (
+                <div className="bg-gray-50 rounded p-3 text-sm space-y-1">
+                  {quotation.acceptedAt && <p>Accepted {formatDate(quotation.acceptedAt)}</p>}
+                  {quotation.rejectedAt && (
+                    <p>Rejected {formatDate(quotation.rejectedAt)}: {quotation.rejectionReason}</p>
+                  )}
+                  {quotation.customerResponse && <p>Customer response: {quotation.customerResponse}</p>}
+                  {quotation.salesOrder && (
+                    <p>Converted {formatDate(quotation.convertedAt)} to sales order {quotation.salesOrder.soNumber}</p>
+                  )}
+                </div>
+              )}
+
+              <div className="overflow-x-auto border border-gray-200 rounded">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Price</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {quotation.items.map((item) => (
+                      <tr key={item._id}>
+                        <td className="px-4 py-2 text-sm text-gray-900">
+                          {item.product?.name}
+                          {item.priceList?.name && <span className="ml-2 text-xs text-gray-500">({item.priceList.name})</span>}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{item.quantity}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatCurrency(item.unitPrice)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatCurrency(item.totalPrice)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {quotation.revisions?.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Revision History</h3>
+                  <div className="overflow-x-auto border border-gray-200 rounded">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Revision</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Revised</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Was</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {[...quotation.revisions].reverse().map((revision) => (
+                          <tr key={revision.revision}>
+                            <td className="px-4 py-2 text-sm text-gray-900">R{revision.revision}</td>
+                            <td className="px-4 py-2 text-sm text-gray-500">
+                              {formatDate(revision.revisedAt)}
+                              {revision.revisedBy && ` by ${revision.revisedBy.firstName || ''}`}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-500 capitalize">{revision.status}</td>
+                            <td className="px-4 py-2 text-sm text-right text-gray-900">{formatCurrency(revision.total)}</td>
+                            <td className="px-4 py-2 text-sm text-gray-500">{revision.reason || '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ConversionReport = () => {
+  const [period, setPeriod] = useState({ startDate: '', endDate: '' });
+  const { data, isLoading } = useGetQuotationConversionReportQuery(period, {
+    refetchOnMountOrArgChange: true,
+  });
+  const report = data?.data;
+  const summary = report?.summary;
+
+  const breakdownTable = (title, rows, labelKey, labelTitle) => (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">{title}</h3>
+      <div className="overflow-x-auto border border-gray-200 rounded">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{labelTitle}</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quoted</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Converted</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value Rate</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-3 text-sm text-center text-gray-500">No quotations in this period</td>
+              </tr>
+            ) : rows.map((row) => (
+              <tr key={row[labelKey] || 'unknown'}>
+                <td className="px-4 py-2 text-sm text-gray-900">{row[labelKey] || 'Unknown'}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-500">
+                  {row.quoted} ({formatCurrency(row.quotedValue)})
+                </td>
+                <td className="px-4 py-2 text-sm text-right text-gray-500">
+                  {row.converted} ({formatCurrency(row.convertedValue)})
+                </td>
+                <td className="px-4 py-2 text-sm text-right font-medium text-gray-900">{row.conversionRate}%</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900">{row.valueConversionRate}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Quote-to-Order Conversion</h2>
+          <p className="text-sm text-gray-500">Quotations dated in the period (last 90 days if blank)</p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={period.startDate}
+            onChange={(e) => setPeriod({ ...period, startDate: e.target.value })}
+            className="input"
+          />
+          <input
+            type="date"
+            value={period.endDate}
+            onChange={(e) => setPeriod({ ...period, endDate: e.target.value })}
+            className="input"
+          />
+        </div>
+      </div>
+
+      {isLoading || !summary ? (
+        <LoadingSpinner />
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+            {[
+              ['Quoted', `${summary.quoted}`, formatCurrency(summary.quotedValue)],
+              ['Converted', `${summary.converted}`, formatCurrency(summary.convertedValue)],
+              ['Conversion Rate', `${summary.conversionRate}%`, `${summary.valueConversionRate}% by value`],
+              ['Win Rate', `${summary.winRate}%`, `of ${summary.decided} decided`],
+              ['Open / Expired', `${summary.open} / ${summary.expired}`, `${summary.rejected} rejected`],
+              ['Days to Convert', `${summary.averageDaysToConvert}`, `avg quote ${formatCurrency(summary.averageQuoteValue)}`]
+            ].map(([label, value, detail]) => (
+              <div key={label} className="border border-gray-200 rounded p-3">
+                <p className="text-xs text-gray-500 uppercase">{label}</p>
+                <p className="text-xl font-bold text-gray-900">{value}</p>
+                <p className="text-xs text-gray-500">{detail}</p>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {breakdownTable('By Month', report.byMonth, 'month', 'Month')}
+            {breakdownTable('By Salesperson', report.bySalesperson, 'name', 'Prepared By')}
+          </div>
+          {breakdownTable('By Customer', report.byCustomer.slice(0, 10), 'name', 'Customer')}
+        </>
+      )}
+    </div>
+  );
+};
+
+export const Quotations = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manage_quotations');
+  const canConvert = canManage && hasPermission('create_sales_orders');
+
+  const [filters, setFilters] = useState({ status: '', search: '' });
+  const [formState, setFormState] = useState(null);
+  const [detailsId, setDetailsId] = useState(null);
+  const [showReport, setShowReport] = useState(false);
+  const [printData, setPrintData] = useState(null);
+
+  const { data, isLoading, error, refetch } = useGetQuotationsQuery(filters, {
+    refetchOnMountOrArgChange: true,
+  });
+  const { data: customersData } = useGetCustomersQuery(
+    { search: '', limit: 100 },
+    { skip: !formState }
+  );
+  const { data: productsData } = useGetProductsQuery(
+    { search: '', limit: 200 },
+    { skip: !formState }
+  );
+  const customers = customersData?.data?.customers || customersData?.customers || [];
+  const products = productsData?.data?.products || productsData?.products || [];
+
+  const [createQuotation, { isLoading: creating }] = useCreateQuotationMutation();
+  const [updateQuotation, { isLoading: updating }] = useUpdateQuotationMutation();
+  const [reviseQuotation, { isLoading: revising }] = useReviseQuotationMutation();
+  const [updateStatus] = useUpdateQuotationStatusMutation();
+  const [expireQuotations, { isLoading: expiring }] = useExpireQuotationsMutation();
+  const [convertQuotation] = useConvertQuotationMutation();
+  const [downloadPdf] = useDownloadQuotationPdfMutation();
+
+  const quotations = data?.data?.quotations || [];
+  const pagination = data?.data?.pagination || {};
+
+  const handleSave = (formData) => {
+    const { mode, quotation } = formState;
+    const request = mode === 'create'
+      ? createQuotation(formData)
+      : mode === 'edit'
+        ? updateQuotation({ id: quotation._id, ...formData })
+        : reviseQuotation({ id: quotation._id, ...formData });
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Quotation saved');
+        setFormState(null);
+      })
+      .catch((err) => toast.error(err?.data?.message || 'Failed to save quotation'));
+  };
+
+  const handleStatus = (quotation, action) => {
+    const data = { id: quotation._id, action };
+    if (action === 'reject') {
+      const reason = window.prompt(`Why did the customer reject ${displayNumber(quotation)}?`);
+      if (!reason || !reason.trim()) return;
+      data.reason = reason.trim();
+    }
+    if (action === 'accept') {
+      const response = window.prompt('Customer response or PO number (optional):', '');
+      if (response === null) return;
+      data.customerResponse = response.trim() || undefined;
+    }
+    if (action === 'cancel' && !window.confirm(`Cancel quotation ${displayNumber(quotation)}?`)) return;
+    updateStatus(data)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Quotation updated'))
+      .catch((err) => toast.error(err?.data?.message || 'Failed to update quotation'));
+  };
+
+  const handleConvert = (quotation) => {
+    if (!window.confirm(`Create a sales order for ${customerLabel(quotation.customer)} from ${displayNumber(quotation)} at ${formatCurrency(quotation.total)}?`)) return;
+    convertQuotation({ id: quotation._id })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Sales order created'))
+      .catch((err) => toast.error(err?.data?.message || 'Failed to convert quotation'));
+  };
+
+  const handleDownload = async (quotation) => {
+    try {
+      const result = await downloadPdf(quotation._id).unwrap();
+      const blob = result instanceof Blob ? result : new Blob([result], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `Quotation_${displayNumber(quotation)}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err?.data?.message || 'Failed to download quotation');
+    }
+  };
+
+  const handleExpire = () => {
+    expireQuotations()
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Lapsed quotations expired'))
+      .catch((err) => toast.error(err?.data?.message || 'Failed to expire quotations'));
+  };
+
+  const isLapsed = (quotation) =>
+    ['draft', 'sent'].includes(quotation.status) && new Date(quotation.validUntil) < new Date();
+
+  const actionButton = (title, icon, onClick, className = 'text-gray-600 hover:text-gray-900') => (
+    <button
+      title={title}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick();
+      }}
+      className={`p-1 ${className}`}
+    >
+      {icon}
+    </button>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-4 sm:space-y-0">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Quotations</h1>
+          <p className="text-gray-600">Quote customers, track their answers and turn accepted quotes into sales orders</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {canManage && (
+            <button onClick={() => setFormState({ mode: 'create' })} className="btn btn-primary btn-md">
+              <Plus className="h-4 w-4 mr-2" />
+              New Quotation
+            </button>
+          )}
+          <button onClick={() => setShowReport(!showReport)} className="btn btn-secondary btn-md">
+            <BarChart3 className="h-4 w-4 mr-2" />
+            {showReport ? 'Hide Conversion Report' : 'Conversion Report'}
+          </button>
+          {canManage && (
+            <button onClick={handleExpire} className="btn btn-secondary btn-md" disabled={expiring}>
+              <Clock className="h-4 w-4 mr-2" />
+              {expiring ? 'Expiring...' : 'Expire Lapsed'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showReport && <ConversionReport />}
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="flex-[3] relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search quote numbers..."
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              className="input pl-10 w-full"
+            />
+          </div>
+          <div className="flex-1">
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="input w-full"
+            >
+              <option value="">All Statuses</option>
+              {Object.keys(STATUS_STYLES).map((status) => (
+                <option key={status} value={status} className="capitalize">{status}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex-shrink-0">
+            <button
+              onClick={() => refetch()}
+              className="btn btn-secondary btn-md"
+              disabled={isLoading}
+            >
+              <RotateCcw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Quotations Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <div className="p-6 text-center text-red-600">
+            <p>Error loading quotations: {error?.data?.message || error?.message}</p>
+          </div>
+        ) : quotations.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <p>No quotations found.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quote</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Valid Until</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {quotations.map((quotation) => {
+                  const open = ['draft', 'sent'].includes(quotation.status);
+                  const lapsed = isLapsed(quotation);
+                  return (
+                    <tr
+                      key={quotation._id}
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => setDetailsId(quotation._id)}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                        {displayNumber(quotation)}
+                        {quotation.salesOrder?.soNumber && (
+                          <p className="text-xs text-purple-600">{quotation.salesOrder.soNumber}</p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{customerLabel(quotation.customer)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(quotation.quoteDate)}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${lapsed ? 'text-red-600' : 'text-gray-500'}`}>
+                        {formatDate(quotation.validUntil)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">{formatCurrency(quotation.total)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[quotation.status]}`}>
+                          {quotation.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <div className="flex justify-end space-x-1">
+                          {actionButton('Print', <Printer className="h-4 w-4" />, () => setPrintData(formatQuotationForPrint(quotation)))}
+                          {actionButton('Download PDF', <Download className="h-4 w-4" />, () => handleDownload(quotation))}
+                          {canManage && quotation.status === 'draft' &&
+                            actionButton('Edit', <Edit className="h-4 w-4" />, () => setFormState({ mode: 'edit', quotation }), 'text-blue-600 hover:text-blue-900')}
+                          {canManage && open && !lapsed &&
+                            actionButton('Mark as sent', <Send className="h-4 w-4" />, () => handleStatus(quotation, 'send'), 'text-blue-600 hover:text-blue-900')}
+                          {canManage && open && !lapsed &&
+                            actionButton('Customer accepted', <CheckCircle className="h-4 w-4" />, () => handleStatus(quotation, 'accept'), 'text-green-600 hover:text-green-900')}
+                          {canManage && (open || quotation.status === 'accepted') &&
+                            actionButton('Customer rejected', <XCircle className="h-4 w-4" />, () => handleStatus(quotation, 'reject'), 'text-red-600 hover:text-red-900')}
+                          {canConvert && (open || quotation.status === 'accepted') && !lapsed &&
+                            actionButton('Convert to sales order', <ArrowRight className="h-4 w-4" />, () => handleConvert(quotation), 'text-purple-600 hover:text-purple-900')}
+                          {canManage && !['converted', 'cancelled'].includes(quotation.status) &&
+                            actionButton('Revise', <Copy className="h-4 w-4" />, () => setFormState({ mode: 'revise', quotation }))}
+                          {canManage && (open || quotation.status === 'accepted') &&
+                            actionButton('Cancel', <Ban className="h-4 w-4" />, () => handleStatus(quotation, 'cancel'), 'text-red-600 hover:text-red-900')}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {pagination.total > 0 && (
+        <div className="text-sm text-gray-700">
+          Showing {quotations.length} of {pagination.total} quotations
+        </div>
+      )}
+
+      {formState && (
+        <QuotationFormModal
+          mode={formState.mode}
+          quotation={formState.quotation}
+          customers={customers}
+          products={products}
+          onSave={handleSave}
+          onCancel={() => setFormState(null)}
+          isSubmitting={creating || updating || revising}
+        />
+      )}
+
+      {detailsId && (
+        <QuotationDetailsModal quotationId={detailsId} onClose={() => setDetailsId(null)} />
+      )}
+
+      <PrintModal
+        isOpen={!!printData}
+        onClose={() => setPrintData(null)}
+        orderData={printData}
+        documentTitle="Quotation"
+        partyLabel="Customer"
+      />
+    </div>
+  );
+};
+
+export default Quotations;
@@ -0,0 +1,532 @@
+import React, { useState } from 'react';
+import { AlertOctagon, Plus, Search, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatDate } from '../utils/formatters';
+import { useGetBatchesQuery } from '../store/services/batchesApi';
+import {
+  useGetRecallsQuery,
+  useGetRecallReportQuery,
+  useOpenRecallMutation,
+  useGenerateRecallReturnsMutation,
+  useCloseRecallMutation,
+  useCancelRecallMutation,
+} from '../store/services/recallsApi';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  in_progress: 'Returns Issued',
+  closed: 'Closed',
+  cancelled: 'Cancelled'
+};
+
+const STATUS_STYLES = {
+  open: 'bg-red-100 text-red-800',
+  in_progress: 'bg-yellow-100 text-yellow-800',
+  closed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const SEVERITY_STYLES = {
+  low: 'bg-gray-100 text-gray-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  high: 'bg-orange-100 text-orange-800',
+  critical: 'bg-red-100 text-red-800'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const Badge = ({ styles, value, label }) => (
+  <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${styles[value] || 'bg-gray-100 text-gray-800'}`}>
+    {label || value}
+  </span>
+);
+
+const BatchPicker = ({ onSelect }) => {
+  const [search, setSearch] = useState('');
+  const { data, isFetching } = useGetBatchesQuery({ search, limit: 50 }, { skip: search.trim().length < 2 });
+  const batches = (data?.data?.batches || []).filter((batch) => batch.status !== 'recalled');
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input pl-10"
+          placeholder="Search by batch or lot number..."
+        />
+      </div>
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {isFetching ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+          ) : batches.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">No batches found.</p>
+          ) : (
+            batches.map((batch) => (
+              <button
+                key={batch._id}
+                type="button"
+                onClick={() => {
+                  onSelect(batch);
+                  setSearch('');
+                }}
+                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-900">{batch.batchNumber}</span>
+                <span className="ml-2 text-gray-500">{batch.product?.name}</span>
+                {batch.lotNumber && <span className="ml-2 text-gray-400">Lot {batch.lotNumber}</span>}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const OpenRecallModal = ({ onClose }) => {
+  const [formData, setFormData] = useState({ reason: '', severity: 'high', notes: '' });
+  const [batches, setBatches] = useState([]);
+  const [openRecall, { isLoading }] = useOpenRecallMutation();
+
+  const addBatch = (batch) => {
+    if (batches.some((row) => row._id === batch._id)) return;
+    setBatches([...batches, batch]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (batches.length === 0) {
+      toast.error('Add at least one batch to recall');
+      return;
+    }
+    if (!window.confirm(`Recall ${batches.length} batch(es)? Their stock is blocked from sale straight away.`)) return;
+
+    openRecall({
+      batches: batches.map((batch) => batch._id),
+      reason: formData.reason,
+      severity: formData.severity,
+      notes: formData.notes || undefined
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Recall opened');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to open recall')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Open Recall</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Batches</label>
+            <BatchPicker onSelect={addBatch} />
+            {batches.length > 0 && (
+              <ul className="mt-2 divide-y divide-gray-200 text-sm">
+                {batches.map((batch) => (
+                  <li key={batch._id} className="flex items-center justify-between py-2">
+                    <span>
+                      <span className="font-medium text-gray-900">{batch.batchNumber}</span>
+                      <span className="ml-2 text-gray-500">{batch.product?.name}</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setBatches(batches.filter((row) => row._id !== batch._id))}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+            <textarea
+              value={formData.reason}
+              onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+              className="input"
+              rows={2}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Severity</label>
+            <select
+              value={formData.severity}
+              onChange={(e) => setFormData({ ...formData, severity: e.target.value })}
+              className="input"
+            >
+              {Object.keys(SEVERITY_STYLES).map((severity) => (
+                <option key={severity} value={severity} className="capitalize">{severity}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+            <input
+              type="text"
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              className="input"
+            />
+          </div>
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-md">Cancel</button>
+            <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+              {isLoading ? 'Opening...' : 'Open Recall'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const CloseRecallForm = ({ recallId, quantityOnHand }) => {
+  const [formData, setFormData] = useState({ disposition: 'quarantine', notes: '' });
+  const [closeRecall, { isLoading }] = useCloseRecallMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const consequence = formData.disposition === 'write_off'
+      ? `${quantityOnHand} unit(s) still on hand will be written off.`
+      : `${quantityOnHand} unit(s) still on hand stay quarantined.`;
+    if (!window.confirm(`Close this recall? ${consequence}`)) return;
+
+    closeRecall({ id: recallId, disposition: formData.disposition, notes: formData.notes || undefined })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Recall closed'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to close recall')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">Close Recall</h3>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select
+          value={formData.disposition}
+          onChange={(e) => setFormData({ ...formData, disposition: e.target.value })}
+          className="input sm:w-64"
+        >
+          <option value="quarantine">Keep stock on hand quarantined</option>
+          <option value="write_off">Write off stock on hand</option>
+        </select>
+        <input
+          type="text"
+          value={formData.notes}
+          onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+          className="input flex-1"
+          placeholder="Closure notes"
+        />
+        <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+          {isLoading ? 'Closing...' : 'Close Recall'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const RecallDetailModal = ({ recallId, canManage, onClose }) => {
+  const { data, isLoading, error } = useGetRecallReportQuery(recallId, { refetchOnMountOrArgChange: true });
+  const [generateReturns, { isLoading: generating }] = useGenerateRecallReturnsMutation();
+  const [cancelRecall, { isLoading: cancelling }] = useCancelRecallMutation();
+  const report = data?.data;
+  const recall = report?.recall;
+
+  const handleGenerateReturns = () => {
+    generateReturns(recallId)
+      .unwrap()
+      .then((res) => {
+        const skipped = res?.data?.skipped || 0;
+        toast.success(`${res?.message || 'Return requests created'}${skipped ? ` (${skipped} sale line(s) skipped)` : ''}`);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to generate return requests')));
+  };
+
+  const handleCancel = () => {
+    const reason = window.prompt('Cancelling unblocks the batches. Reason?');
+    if (reason === null) return;
+    cancelRecall({ id: recallId, reason: reason || undefined })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Recall cancelled'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to cancel recall')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{recall ? `Recall ${recall.recallNumber}` : 'Recall'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : error || !report ? (
+            <p className="text-center text-red-600">{errorMessage(error, 'Failed to load recall report')}</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <Badge styles={STATUS_STYLES} value={recall.status} label={STATUS_LABELS[recall.status]} />
+                <Badge styles={SEVERITY_STYLES} value={recall.severity} />
+                <span>Opened {formatDate(recall.openedAt)}</span>
+                {recall.closedAt && <span>· Closed {formatDate(recall.closedAt)}</span>}
+              </div>
+              <p className="text-sm text-gray-700">{recall.reason}</p>
+
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                {[
+                  ['Distributed', report.totals.distributedQuantity],
+                  ['Recovered', report.totals.recoveredQuantity],
+                  ['Outstanding', report.totals.outstandingQuantity],
+                  ['On Hand', report.totals.quantityOnHand],
+                  ['Recovery', `${report.totals.recoveryRate}%`]
+                ].map(([label, value]) => (
+                  <div key={label} className="bg-gray-50 rounded-lg p-4">
+                    <p className="text-xs text-gray-500 uppercase">{label}</p>
+                    <p className="text-lg font-bold text-gray-900">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Batches</h3>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batch</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Distributed</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Recovered</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">On Hand</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.batches.map((row) => (
+                      <tr key={row.batch}>
+                        <td className="px-4 py-2 text-gray-900">
+                          {row.batchNumber}
+                          {row.lotNumber && <span className="block text-xs text-gray-500">Lot {row.lotNumber}</span>}
+                        </td>
+                        <td className="px-4 py-2 text-gray-500">{row.product?.name}</td>
+                        <td className="px-4 py-2 text-right text-gray-500">{row.distributedQuantity}</td>
+                        <td className="px-4 py-2 text-right text-green-700">{row.recoveredQuantity}</td>
+                        <td className="px-4 py-2 text-right text-red-600">{row.outstandingQuantity}</td>
+                        <td className="px-4 py-2 text-right text-gray-900">{row.quantityOnHand}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Customers</h3>
+                {report.customers.length === 0 ? (
+                  <p className="text-sm text-gray-500">None of the recalled stock had been sold.</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sales &amp; Returns</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Distributed</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Recovered</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {report.customers.map((row) => (
+                        <tr key={row.customer?._id || 'walk-in'}>
+                          <td className="px-4 py-2 text-gray-900">
+                            {row.customerName}
+                            {row.customer?.phone && <span className="block text-xs text-gray-500">{row.customer.phone}</span>}
+                            {!row.contactable && <span className="block text-xs text-yellow-600">Not contactable</span>}
+                          </td>
+                          <td className="px-4 py-2 text-gray-500">
+                            {row.sales.map((sale) => (
+                              <span key={sale.orderNumber} className="block">
+                                {sale.orderNumber} · {formatDate(sale.saleDate)}
+                                {sale.returnNumber && ` → ${sale.returnNumber} (${sale.returnStatus})`}
+                              </span>
+                            ))}
+                          </td>
+                          <td className="px-4 py-2 text-right text-gray-500">{row.distributedQuantity}</td>
+                          <td className="px-4 py-2 text-right text-green-700">{row.recoveredQuantity}</td>
+                          <td className="px-4 py-2 text-right text-red-600">{row.outstandingQuantity}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {canManage && recall.status === 'open' && (
+                <div className="flex justify-end gap-3">
+                  <button onClick={handleCancel} disabled={cancelling} className="btn btn-secondary btn-md text-red-600">
+                    Cancel Recall
+                  </button>
+                  {report.customers.some((row) => row.contactable) && (
+                    <button onClick={handleGenerateReturns} disabled={generating} className="btn btn-primary btn-md">
+                      {generating ? 'Creating...' : 'Create Return Requests'}
+                    </button>
+                  )}
+                </div>
+              )}
+              {canManage && ['open', 'in_progress'].includes(recall.status) && (
+                <CloseRecallForm recallId={recallId} quantityOnHand={report.totals.quantityOnHand} />
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const Recalls = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('update_inventory');
+  const [filters, setFilters] = useState({ status: '', severity: '', search: '' });
+  const [page, setPage] = useState(1);
+  const [showOpen, setShowOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading, error } = useGetRecallsQuery(
+    {
+      status: filters.status || undefined,
+      severity: filters.severity || undefined,
+      search: filters.search || undefined,
+      page
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const recalls = data?.data?.recalls || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <AlertOctagon className="h-6 w-6 mr-2" />
+            Recalls
+          </h1>
+          <p className="text-gray-600">Block recalled batches, reach the customers who bought them and track what comes back</p>
+        </div>
+        {canManage && (
+          <button onClick={() => setShowOpen(true)} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Open Recall
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={updateFilter('search')}
+            className="input pl-10"
+            placeholder="Search recalls..."
+          />
+        </div>
+        <select value={filters.status} onChange={updateFilter('status')} className="input sm:w-48">
+          <option value="">All Statuses</option>
+          {Object.entries(STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.severity} onChange={updateFilter('severity')} className="input sm:w-40">
+          <option value="">All Severities</option>
+          {Object.keys(SEVERITY_STYLES).map((severity) => (
+            <option key={severity} value={severity} className="capitalize">{severity}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load recalls')}</p>
+        ) : recalls.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No recalls found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recall</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batches</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Affected Sales</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {recalls.map((recall) => (
+                  <tr key={recall._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedId(recall._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{recall.recallNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(recall.createdAt)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {recall.batches.map((batch) => batch.batchNumber).join(', ')}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate">{recall.reason}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{recall.affectedSales?.length || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm"><Badge styles={SEVERITY_STYLES} value={recall.severity} /></td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <Badge styles={STATUS_STYLES} value={recall.status} label={STATUS_LABELS[recall.status]} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {showOpen && <OpenRecallModal onClose={() => setShowOpen(false)} />}
+      {selectedId && (
+        <RecallDetailModal recallId={selectedId} canManage={canManage} onClose={() => setSelectedId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default Recalls;
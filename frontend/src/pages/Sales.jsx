@@ -27,6 +27,10 @@ import { useGetVariantsQuery, useGetVariantsByBaseProductQuery } from '../store/
 import { useGetCustomersQuery, useLazySearchCustomersQuery } from '../store/services/customersApi';
 import { useCreateSaleMutation, useUpdateOrderMutation, useLazyGetLastPricesQuery } from '../store/services/salesApi';
 import { useGetBanksQuery } from '../store/services/banksApi';
+import { usePreviewPromotionsMutation } from '../store/services/discountsApi';
+import { useGetCustomerLoyaltyQuery } from '../store/services/loyaltyApi';
+import { useGetCustomerWalletQuery, useLazyLookupStoredValueCardQuery } from '../store/services/storedValueApi';
+import { useGetPriceQuoteMutation } from '../store/services/priceListsApi';
 import { useFuzzySearch } from '../hooks/useFuzzySearch';
 import { SearchableDropdown } from '../components/SearchableDropdown';
 import { handleApiError, showSuccessToast, showErrorToast } from '../utils/errorHandler';
@@ -65,12 +69,15 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
   const [isAddingToCart, setIsAddingToCart] = useState(false);
   const [searchKey, setSearchKey] = useState(0); // Key to force re-render
   const [lastPurchasePrice, setLastPurchasePrice] = useState(null);
+  // Customer's negotiated price for the selected product: { unitPrice, priceList }
+  const [listPrice, setListPrice] = useState(null);
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
   const productSearchRef = useRef(null);
 
   // Fetch all products (or a larger set) for client-side fuzzy search
   const [getLastPurchasePrice] = useLazyGetLastPurchasePriceQuery();
   const [getLastPurchasePrices] = useGetLastPurchasePricesMutation();
+  const [getPriceQuote] = useGetPriceQuoteMutation();
 
   const { data: productsData, isLoading: productsLoading, error: productsError, refetch: refetchProducts } = useGetProductsQuery(
     { limit: 999999, status: 'active' },
@@ -151,6 +158,22 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
     }
   );
 
+  // Price from the customer's price lists, as the server charges it; null when no list covers the product
+  const fetchListPrice = async (product, qty) => {
+    if (!selectedCustomer?._id || !product || product.isVariant) return null;
+    try {
+      const response = await getPriceQuote({
+        customer: selectedCustomer._id,
+        items: [{ product: product._id, quantity: qty }]
+      }).unwrap();
+      const line = (response?.data || response)?.items?.[0];
+      return line?.priceList ? { unitPrice: line.unitPrice, priceList: line.priceList } : null;
+    } catch (error) {
+      // Silently fail - standard pricing still applies
+      return null;
+    }
+  };
+
   const calculatePrice = (product, priceType) => {
     if (!product) return 0;
 
@@ -203,8 +226,10 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       setLastPurchasePrice(null);
     }
 
-    // Calculate the rate based on selected price type
-    const calculatedPrice = calculatePrice(product, priceType);
+    // A price list price wins over the selected price type
+    const quoted = await fetchListPrice(product, 1);
+    setListPrice(quoted);
+    const calculatedPrice = quoted ? quoted.unitPrice : calculatePrice(product, priceType);
 
     setCalculatedRate(calculatedPrice);
     setCustomRate(calculatedPrice.toString());
@@ -212,7 +237,7 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
 
   // Update rate when price type changes
   useEffect(() => {
-    if (selectedProduct) {
+    if (selectedProduct && !listPrice) {
       const calculatedPrice = calculatePrice(selectedProduct, priceType);
       setCalculatedRate(calculatedPrice);
       // Only update customRate if it matches the previous calculated rate (user hasn't manually changed it)
@@ -255,8 +280,14 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
 
     setIsAddingToCart(true);
     try {
-      // Use the rate from the input field
-      const unitPrice = parseInt(customRate) || Math.round(calculatedRate);
+      // Use the rate from the input field; an untouched list price is re-quoted for the quantity (price breaks)
+      let unitPrice = parseInt(customRate) || Math.round(calculatedRate);
+      let linePriceList = null;
+      if (listPrice && customRate === calculatedRate.toString()) {
+        const quoted = quantity === 1 ? listPrice : (await fetchListPrice(selectedProduct, quantity)) || listPrice;
+        unitPrice = quoted.unitPrice;
+        linePriceList = quoted.priceList;
+      }
 
       // Check if sale price is less than cost price (always check, regardless of showCostPrice)
       if (lastPurchasePrice !== null && unitPrice < lastPurchasePrice) {
@@ -281,7 +312,8 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       onAddProduct({
         product: selectedProduct,
         quantity: quantity,
-        unitPrice: unitPrice
+        unitPrice: unitPrice,
+        priceList: linePriceList
       });
 
       // Reset form
@@ -289,6 +321,7 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       setQuantity(1);
       setCustomRate('');
       setCalculatedRate(0);
+      setListPrice(null);
       setIsAddingProduct(false);
 
       // Clear search term and force re-render
@@ -303,7 +336,8 @@ const ProductSearch = ({ onAddProduct, selectedCustomer, showCostPrice, onLastPu
       }, 100);
 
       // Show success message
-      const priceLabel = selectedCustomer?.businessType === 'wholesale' ? 'wholesale' :
+      const priceLabel = linePriceList ? `${linePriceList.name} list` :
+        selectedCustomer?.businessType === 'wholesale' ? 'wholesale' :
         selectedCustomer?.businessType === 'distributor' ? 'distributor' : 'retail';
       toast.success(`${selectedProduct.name} added to cart at ${priceLabel} price: ${Math.round(unitPrice)}`);
     } catch (error) {
@@ -672,6 +706,13 @@ export const Sales = ({ tabId, editData }) => {
   const [showPrintModal, setShowPrintModal] = useState(false);
   const [currentOrder, setCurrentOrder] = useState(null);
   const [appliedDiscounts, setAppliedDiscounts] = useState([]);
+  const [promotionCodes, setPromotionCodes] = useState([]);
+  const [promoCodeInput, setPromoCodeInput] = useState('');
+  const [unappliedPromotions, setUnappliedPromotions] = useState([]);
+  const [loyaltyPointsToRedeem, setLoyaltyPointsToRedeem] = useState(0);
+  const [giftCardLegs, setGiftCardLegs] = useState([]);
+  const [giftCardCodeInput, setGiftCardCodeInput] = useState('');
+  const [storeCreditToUse, setStoreCreditToUse] = useState(0);
   const [isTaxExempt, setIsTaxExempt] = useState(true);
   const [directDiscount, setDirectDiscount] = useState({ type: 'amount', value: 0 });
   const [isAdvancePayment, setIsAdvancePayment] = useState(false);
@@ -846,6 +887,20 @@ export const Sales = ({ tabId, editData }) => {
   const [createSale, { isLoading: isCreatingSale }] = useCreateSaleMutation();
   const [updateOrder, { isLoading: isUpdatingOrder }] = useUpdateOrderMutation();
   const [getLastPrices] = useLazyGetLastPricesQuery();
+  const [previewPromotions] = usePreviewPromotionsMutation();
+
+  // Customer's loyalty points, redeemable as part payment
+  const { data: customerLoyaltyData } = useGetCustomerLoyaltyQuery(selectedCustomer?._id, {
+    skip: !selectedCustomer?._id || editData?.isEditMode,
+  });
+  const customerLoyalty = customerLoyaltyData?.data;
+
+  // Customer's store credit (credit notes and gift cards issued to them)
+  const { data: customerWalletData } = useGetCustomerWalletQuery(selectedCustomer?._id, {
+    skip: !selectedCustomer?._id || editData?.isEditMode,
+  });
+  const customerWallet = customerWalletData?.data;
+  const [lookupStoredValueCard, { isFetching: isLookingUpGiftCard }] = useLazyLookupStoredValueCardQuery();
 
   // Duplicate prevention: use BOTH ref (synchronous check) and state (button disable)
   const isSubmittingRef = useRef(false); // For immediate synchronous checks
@@ -898,6 +953,58 @@ export const Sales = ({ tabId, editData }) => {
     // We only want to sync when the customers list updates, not when selectedCustomer changes.
   }, [customers]);
 
+  // Preview the promotions the cart qualifies for; the server applies the same deal at checkout
+  useEffect(() => {
+    if (editData?.isEditMode || cart.length === 0) {
+      setAppliedDiscounts([]);
+      setUnappliedPromotions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await previewPromotions({
+          items: cart.map(item => ({
+            product: item.product._id,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice
+          })),
+          customer: selectedCustomer?._id,
+          codes: promotionCodes
+        }).unwrap();
+        const preview = response?.data || response;
+        setAppliedDiscounts(preview?.applied || []);
+        setUnappliedPromotions(
+          (preview?.notApplied || []).filter(promo => promotionCodes.includes(promo.code))
+        );
+      } catch (error) {
+        // Silently fail - the sale is still priced on the server at checkout
+        setAppliedDiscounts([]);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [cart, selectedCustomer?._id, promotionCodes, editData?.isEditMode, previewPromotions]);
+
+  useEffect(() => {
+    setLoyaltyPointsToRedeem(0);
+    setStoreCreditToUse(0);
+    setGiftCardLegs([]);
+  }, [selectedCustomer?._id]);
+
+  const handleAddPromotionCode = () => {
+    const code = promoCodeInput.trim().toUpperCase();
+    if (!code) return;
+    if (!promotionCodes.includes(code)) {
+      setPromotionCodes([...promotionCodes, code]);
+    }
+    setPromoCodeInput('');
+  };
+
+  const handleRemovePromotionCode = (code) => {
+    setPromotionCodes(promotionCodes.filter(c => c !== code));
+  };
+
   const subtotal = cart.reduce((sum, item) => sum + (item.unitPrice * item.quantity), 0);
   const codeDiscountAmount = appliedDiscounts.reduce((sum, discount) => sum + discount.amount, 0);
 
@@ -914,7 +1021,48 @@ export const Sales = ({ tabId, editData }) => {
   const subtotalAfterDiscount = subtotal - totalDiscountAmount;
   const tax = isTaxExempt ? 0 : subtotalAfterDiscount * 0.08;
   const total = subtotalAfterDiscount + tax;
-  const change = amountPaid - total;
+  const loyaltyRedeemAmount = customerLoyalty?.programActive
+    ? Math.round(loyaltyPointsToRedeem * (customerLoyalty.pointValue || 0) * 100) / 100
+    : 0;
+  const storedValueAmount = giftCardLegs.reduce((sum, leg) => sum + leg.amount, 0) + storeCreditToUse;
+  const change = amountPaid + loyaltyRedeemAmount + storedValueAmount - total;
+
+  // Gift cards and credit notes are checked on entry; the amount defaults to what is still due
+  const handleAddGiftCard = async () => {
+    const code = giftCardCodeInput.trim();
+    if (!code) return;
+    try {
+      const result = await lookupStoredValueCard(code).unwrap();
+      const card = result?.data;
+      if (!card) return;
+      if (card.status !== 'active' || card.isExpired) {
+        showErrorToast(`${card.code} is ${card.isExpired ? 'expired' : card.status}`);
+        return;
+      }
+      if (card.customer && card.customer._id !== selectedCustomer?._id) {
+        showErrorToast(`${card.code} belongs to ${card.customer.businessName || card.customer.name || 'another customer'}`);
+        return;
+      }
+      if (giftCardLegs.some(leg => leg.code === card.code)) {
+        showErrorToast(`${card.code} is already applied`);
+        return;
+      }
+      const due = Math.max(0, total - amountPaid - loyaltyRedeemAmount - storedValueAmount);
+      const amount = Math.round(Math.min(card.balance, due) * 100) / 100;
+      if (amount <= 0) {
+        showErrorToast('Nothing left to pay on this bill');
+        return;
+      }
+      setGiftCardLegs([...giftCardLegs, { code: card.code, type: card.type, balance: card.balance, amount }]);
+      setGiftCardCodeInput('');
+    } catch (error) {
+      showErrorToast(error?.data?.message || 'Gift card or credit note not found');
+    }
+  };
+
+  const handleRemoveGiftCard = (code) => {
+    setGiftCardLegs(giftCardLegs.filter(leg => leg.code !== code));
+  };
 
   // Map businessType to orderType
   // businessType: ['retail', 'wholesale', 'distributor', 'individual']
@@ -1012,7 +1160,7 @@ export const Sales = ({ tabId, editData }) => {
         // Otherwise, if last prices were applied and original price exists, preserve it
         const updatedCart = prevCart.map(item =>
           item.product._id === itemId
-            ? { ...item, quantity: item.quantity + newItem.quantity, unitPrice: newItem.unitPrice }
+            ? { ...item, quantity: item.quantity + newItem.quantity, unitPrice: newItem.unitPrice, priceList: newItem.priceList }
             : item
         );
 
@@ -1097,7 +1245,7 @@ export const Sales = ({ tabId, editData }) => {
     setCart(prevCart =>
       prevCart.map(cartItem =>
         cartItem.product._id === productId
-          ? { ...cartItem, unitPrice: newPrice }
+          ? { ...cartItem, unitPrice: newPrice, priceList: null }
           : cartItem
       )
     );
@@ -1242,7 +1390,8 @@ export const Sales = ({ tabId, editData }) => {
             priceStatusMap[productId] = 'updated';
             return {
               ...cartItem,
-              unitPrice: lastPrice
+              unitPrice: lastPrice,
+              priceList: null
             };
           } else {
             // Price is the same
@@ -1332,6 +1481,11 @@ export const Sales = ({ tabId, editData }) => {
           setSelectedCustomer(null);
           setCustomerSearchTerm('');
           setAppliedDiscounts([]);
+          setPromotionCodes([]);
+          setLoyaltyPointsToRedeem(0);
+          setGiftCardLegs([]);
+          setStoreCreditToUse(0);
+          setUnappliedPromotions([]);
           setIsTaxExempt(true);
           setDirectDiscount({ type: 'amount', value: 0 });
           setIsAdvancePayment(false);
@@ -1635,6 +1789,11 @@ export const Sales = ({ tabId, editData }) => {
       // setSelectedCustomer(null);
       setAmountPaid(0);
       setAppliedDiscounts([]);
+      setPromotionCodes([]);
+      setLoyaltyPointsToRedeem(0);
+      setGiftCardLegs([]);
+      setStoreCreditToUse(0);
+      setUnappliedPromotions([]);
       setDirectDiscount({ type: 'amount', value: 0 });
       setNotes('');
       setInvoiceNumber('');
@@ -1698,6 +1857,11 @@ export const Sales = ({ tabId, editData }) => {
       // setSelectedCustomer(null);
       setAmountPaid(0);
       setAppliedDiscounts([]);
+      setPromotionCodes([]);
+      setLoyaltyPointsToRedeem(0);
+      setGiftCardLegs([]);
+      setStoreCreditToUse(0);
+      setUnappliedPromotions([]);
       setDirectDiscount({ type: 'amount', value: 0 });
       setNotes('');
       setInvoiceNumber('');
@@ -1759,7 +1923,7 @@ export const Sales = ({ tabId, editData }) => {
     // Check credit limit before proceeding
     if (selectedCustomer && selectedCustomer.creditLimit > 0) {
       const currentPaymentMethod = paymentMethod || 'cash';
-      const currentAmountPaid = amountPaid || 0;
+      const currentAmountPaid = (amountPaid || 0) + loyaltyRedeemAmount + storedValueAmount;
       const unpaidAmount = total - currentAmountPaid;
 
       // For account payments or partial payments, check credit limit
@@ -1807,6 +1971,7 @@ export const Sales = ({ tabId, editData }) => {
         unitPrice: item.unitPrice
       })),
       appliedDiscounts: appliedDiscounts,
+      promotionCodes: promotionCodes,
       directDiscount: directDiscount,
       subtotal: subtotal,
       discountAmount: totalDiscountAmount,
@@ -1820,10 +1985,13 @@ export const Sales = ({ tabId, editData }) => {
         method: paymentMethod,
         bankAccount: paymentMethod === 'bank' ? selectedBankAccount : null,
         amount: amountPaid,
-        remainingBalance: total - amountPaid,
-        isPartialPayment: amountPaid < total,
+        remainingBalance: total - amountPaid - loyaltyRedeemAmount - storedValueAmount,
+        isPartialPayment: amountPaid + loyaltyRedeemAmount + storedValueAmount < total,
         isAdvancePayment: isAdvancePayment,
-        advanceAmount: isAdvancePayment ? (amountPaid - total) : 0
+        advanceAmount: isAdvancePayment ? (amountPaid + loyaltyRedeemAmount + storedValueAmount - total) : 0,
+        loyaltyPoints: loyaltyRedeemAmount > 0 ? loyaltyPointsToRedeem : 0,
+        storedValue: giftCardLegs.map(({ code, amount }) => ({ code, amount })),
+        storeCredit: storeCreditToUse
       }
     };
 
@@ -2267,6 +2435,9 @@ export const Sales = ({ tabId, editData }) => {
                             )}
                             <div className="flex flex-wrap items-center gap-2 mt-1">
                               {isLowStock && <span className="text-yellow-600 text-xs">⚠️ Low Stock</span>}
+                              {item.priceList?.name && (
+                                <span className="text-xs px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700">{item.priceList.name}</span>
+                              )}
                               {lastPurchasePrices[item.product._id] !== undefined &&
                                 item.unitPrice < lastPurchasePrices[item.product._id] && (
                                   <span className="text-xs px-1.5 py-0.5 rounded bg-red-100 text-red-700 font-bold">
@@ -2373,6 +2544,9 @@ export const Sales = ({ tabId, editData }) => {
                                   ? (item.product.displayName || item.product.variantName || item.product.name)
                                   : item.product.name}
                                 {isLowStock && <span className="text-yellow-600 text-xs ml-2">⚠️ Low Stock</span>}
+                                {item.priceList?.name && (
+                                  <span className="text-xs ml-2 px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700" title="Priced from the customer's price list">{item.priceList.name}</span>
+                                )}
                                 {/* Warning if sale price is below cost price (always show, regardless of showCostPrice) */}
                                 {lastPurchasePrices[item.product._id] !== undefined &&
                                   item.unitPrice < lastPurchasePrices[item.product._id] && (
@@ -2800,6 +2974,15 @@ export const Sales = ({ tabId, editData }) => {
                     <span className="text-xl font-bold text-red-600">-{Math.round(totalDiscountAmount)}</span>
                   </div>
                 )}
+                {appliedDiscounts.map((promo) => (
+                  <div key={promo.discount} className="flex justify-between items-start text-sm">
+                    <span className="text-green-700">
+                      <span className="font-semibold">{promo.name}</span>
+                      {promo.reason && <span className="block text-xs text-gray-600">{promo.reason}</span>}
+                    </span>
+                    <span className="font-semibold text-green-700">-{Math.round(promo.amount)}</span>
+                  </div>
+                ))}
                 {!isTaxExempt && (
                   <div className="flex justify-between items-center">
                     <span className="text-gray-800 font-semibold">Tax (8%):</span>
@@ -2893,6 +3076,51 @@ export const Sales = ({ tabId, editData }) => {
                         }
                       </div>
                     )}
+                    {!editData?.isEditMode && (
+                      <div className="flex space-x-2 mt-2">
+                        <input
+                          type="text"
+                          placeholder="Promo code..."
+                          value={promoCodeInput}
+                          onChange={(e) => setPromoCodeInput(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              handleAddPromotionCode();
+                            }
+                          }}
+                          className="flex-1 px-3 py-2 border-2 border-blue-200 rounded-md bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-medium text-gray-900 h-[42px] uppercase"
+                        />
+                        <button
+                          type="button"
+                          onClick={handleAddPromotionCode}
+                          className="btn btn-secondary h-[42px]"
+                        >
+                          Apply
+                        </button>
+                      </div>
+                    )}
+                    {promotionCodes.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {promotionCodes.map((code) => (
+                          <span key={code} className="inline-flex items-center text-xs font-semibold bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                            {code}
+                            <button
+                              type="button"
+                              onClick={() => handleRemovePromotionCode(code)}
+                              className="ml-1 text-blue-600 hover:text-blue-900"
+                            >
+                              <XCircle className="h-3 w-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {unappliedPromotions.map((promo) => (
+                      <div key={promo.code} className="text-xs text-amber-700 mt-1">
+                        {promo.code}: {promo.reason}
+                      </div>
+                    ))}
                   </div>
 
                   {/* Payment Method */}
@@ -2963,6 +3191,91 @@ export const Sales = ({ tabId, editData }) => {
                       className="w-full px-3 py-2 border-2 border-blue-200 rounded-md bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-medium text-gray-900 text-lg h-[42px]"
                       placeholder="0"
                     />
+                    {customerLoyalty?.programActive && customerLoyalty.points > 0 && (
+                      <div className="mt-2">
+                        <label className="block text-xs font-semibold text-gray-700 mb-1">
+                          Redeem Points ({customerLoyalty.points} available, worth {Math.round(customerLoyalty.value)})
+                        </label>
+                        <input
+                          type="number"
+                          step="1"
+                          min="0"
+                          max={customerLoyalty.points}
+                          value={loyaltyPointsToRedeem || ''}
+                          onChange={(e) => setLoyaltyPointsToRedeem(
+                            Math.min(Math.max(parseInt(e.target.value) || 0, 0), customerLoyalty.points)
+                          )}
+                          className="w-full px-3 py-2 border-2 border-purple-200 rounded-md bg-purple-50 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 font-medium text-gray-900 h-[38px]"
+                          placeholder="0"
+                        />
+                        {loyaltyRedeemAmount > 0 && (
+                          <div className="text-sm text-purple-700 font-semibold mt-1">
+                            {Math.round(loyaltyRedeemAmount)} paid with points
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    {customerWallet?.balance > 0 && (
+                      <div className="mt-2">
+                        <label className="block text-xs font-semibold text-gray-700 mb-1">
+                          Use Store Credit ({Math.round(customerWallet.balance)} available)
+                        </label>
+                        <input
+                          type="number"
+                          step="1"
+                          min="0"
+                          max={customerWallet.balance}
+                          value={storeCreditToUse || ''}
+                          onChange={(e) => setStoreCreditToUse(
+                            Math.min(Math.max(parseFloat(e.target.value) || 0, 0), customerWallet.balance)
+                          )}
+                          className="w-full px-3 py-2 border-2 border-green-200 rounded-md bg-green-50 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 font-medium text-gray-900 h-[38px]"
+                          placeholder="0"
+                        />
+                      </div>
+                    )}
+                    {!editData?.isEditMode && (
+                      <div className="mt-2">
+                        <label className="block text-xs font-semibold text-gray-700 mb-1">
+                          Gift Card / Credit Note
+                        </label>
+                        <div className="flex space-x-2">
+                          <input
+                            type="text"
+                            placeholder="Scan or enter code..."
+                            value={giftCardCodeInput}
+                            onChange={(e) => setGiftCardCodeInput(e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') {
+                                e.preventDefault();
+                                handleAddGiftCard();
+                              }
+                            }}
+                            className="flex-1 px-3 py-2 border-2 border-green-200 rounded-md bg-green-50 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 font-medium text-gray-900 h-[38px] uppercase"
+                          />
+                          <button
+                            type="button"
+                            onClick={handleAddGiftCard}
+                            disabled={isLookingUpGiftCard}
+                            className="btn btn-secondary h-[38px]"
+                          >
+                            {isLookingUpGiftCard ? '...' : 'Add'}
+                          </button>
+                        </div>
+                        {giftCardLegs.map((leg) => (
+                          <div key={leg.code} className="flex items-center justify-between text-sm text-green-700 font-semibold mt-1">
+                            <span>{leg.code}: {Math.round(leg.amount)} of {Math.round(leg.balance)}</span>
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveGiftCard(leg.code)}
+                              className="ml-1 text-green-600 hover:text-green-900"
+                            >
+                              <XCircle className="h-3 w-3" />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
 
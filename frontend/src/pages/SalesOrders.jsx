@@ -37,6 +37,7 @@ import { formatDate, formatCurrency } from '../utils/formatters';
 import { LoadingButton } from '../components/LoadingSpinner';
 import { useGetCustomersQuery } from '../store/services/customersApi';
 import { useGetProductsQuery, useLazyGetLastPurchasePriceQuery } from '../store/services/productsApi';
+import { useGetPriceQuoteMutation } from '../store/services/priceListsApi';
 import { useGetVariantsQuery } from '../store/services/productVariantsApi';
 import { useGetSalesQuery, useLazyGetLastPricesQuery } from '../store/services/salesApi';
 import {
@@ -180,6 +181,7 @@ const SalesOrders = () => {
   // Cost price state
   const [showCostPrice, setShowCostPrice] = useState(false); // Toggle to show/hide cost prices
   const [lastPurchasePrice, setLastPurchasePrice] = useState(null); // Last purchase price for selected product
+  const [listPrice, setListPrice] = useState(null); // Customer's price list price for selected product: { unitPrice, priceList }
   const [lastPurchasePrices, setLastPurchasePrices] = useState({}); // Store last purchase prices for products in cart
 
   // Export state
@@ -324,6 +326,7 @@ const SalesOrders = () => {
 
   const [getLastPurchasePrice] = useLazyGetLastPurchasePriceQuery();
   const [getLastPrices] = useLazyGetLastPricesQuery();
+  const [getPriceQuote] = useGetPriceQuoteMutation();
 
   // Fetch customers for dropdown
   const { data: customersData, isLoading: customersLoading } = useGetCustomersQuery(
@@ -543,6 +546,22 @@ const SalesOrders = () => {
     }
   };
 
+  // Price from the customer's price lists, as the server charges it; null when no list covers the product
+  const fetchListPrice = async (product, qty) => {
+    if (!selectedCustomer?._id || !product || product.isVariant) return null;
+    try {
+      const response = await getPriceQuote({
+        customer: selectedCustomer._id,
+        items: [{ product: product._id, quantity: qty }]
+      }).unwrap();
+      const line = (response?.data || response)?.items?.[0];
+      return line?.priceList ? { unitPrice: line.unitPrice, priceList: line.priceList } : null;
+    } catch (error) {
+      // Silently fail - standard pricing still applies
+      return null;
+    }
+  };
+
   const calculatePrice = (product, priceType) => {
     if (!product) return 0;
 
@@ -592,15 +611,17 @@ const SalesOrders = () => {
       setLastPurchasePrice(null);
     }
 
-    // Calculate the rate based on selected price type
-    const calculatedPrice = calculatePrice(product, priceType);
+    // A price list price wins over the selected price type
+    const quoted = await fetchListPrice(product, 1);
+    setListPrice(quoted);
+    const calculatedPrice = quoted ? quoted.unitPrice : calculatePrice(product, priceType);
     setCalculatedRate(calculatedPrice);
     setCustomRate(calculatedPrice.toString());
   };
 
   // Update rate when price type changes
   useEffect(() => {
-    if (selectedProduct) {
+    if (selectedProduct && !listPrice) {
       const calculatedPrice = calculatePrice(selectedProduct, priceType);
       setCalculatedRate(calculatedPrice);
       // Only update customRate if it matches the previous calculated rate (user hasn't manually changed it)
@@ -726,8 +747,14 @@ const SalesOrders = () => {
 
     setIsAddingToCart(true);
     try {
-      // Use the rate from the input field
-      const unitPrice = parseFloat(customRate) || calculatedRate;
+      // Use the rate from the input field; an untouched list price is re-quoted for the quantity (price breaks)
+      let unitPrice = parseFloat(customRate) || calculatedRate;
+      let linePriceList = null;
+      if (listPrice && customRate === calculatedRate.toString()) {
+        const quoted = quantity === 1 ? listPrice : (await fetchListPrice(selectedProduct, quantity)) || listPrice;
+        unitPrice = quoted.unitPrice;
+        linePriceList = quoted.priceList;
+      }
 
       // Check if sale price is less than cost price (always check, regardless of showCostPrice)
       if (lastPurchasePrice !== null && unitPrice < lastPurchasePrice) {
@@ -766,6 +793,7 @@ const SalesOrders = () => {
         productData: selectedProduct, // Store full product/variant data for display
         quantity,
         unitPrice: unitPrice,
+        priceList: linePriceList,
         discountPercent: 0,
         taxRate: taxRate,
         subtotal,
@@ -784,6 +812,7 @@ const SalesOrders = () => {
       setQuantity(1);
       setCustomRate('');
       setCalculatedRate(0);
+      setListPrice(null);
       setIsAddingProduct(false);
 
       // Clear search term and force re-render
@@ -799,7 +828,8 @@ const SalesOrders = () => {
       }, 100);
 
       // Show success message
-      const priceLabel = selectedCustomer?.businessType === 'wholesale' ? 'wholesale' :
+      const priceLabel = linePriceList ? `${linePriceList.name} list` :
+        selectedCustomer?.businessType === 'wholesale' ? 'wholesale' :
         selectedCustomer?.businessType === 'distributor' ? 'distributor' : 'wholesale';
       showSuccessToast(`${displayName} added to order at ${priceLabel} price: ${Math.round(unitPrice)}`);
     } catch (error) {
@@ -948,6 +978,7 @@ const SalesOrders = () => {
             return {
               ...item,
               unitPrice: lastPrice,
+              priceList: null,
               subtotal: newSubtotal,
               taxAmount: newTaxAmount,
               total: newTotal
@@ -2024,6 +2055,9 @@ const SalesOrders = () => {
                               ? (safeRender(product?.displayName || product?.variantName || product?.name) || 'Unknown Variant')
                               : (safeRender(product?.name) || 'Unknown Product')}
                             {isLowStock && <span className="text-yellow-600 text-xs ml-2">⚠️ Low Stock</span>}
+                            {item.priceList?.name && (
+                              <span className="text-xs ml-2 px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700" title="Priced from the customer's price list">{item.priceList.name}</span>
+                            )}
                             {lastPurchasePrices[item.product?.toString()] !== undefined &&
                               item.unitPrice < lastPurchasePrices[item.product?.toString()] && (
                                 <span className="text-xs ml-2 px-1.5 py-0.5 rounded bg-red-100 text-red-700 font-bold" title={`Sale price below cost! Loss: ${Math.round(lastPurchasePrices[item.product?.toString()] - item.unitPrice)} per unit`}>
@@ -2122,7 +2156,7 @@ const SalesOrders = () => {
                             setFormData(prev => ({
                               ...prev,
                               items: prev.items.map((itm, i) =>
-                                i === index ? { ...itm, unitPrice: newPrice, total: itm.quantity * newPrice } : itm
+                                i === index ? { ...itm, unitPrice: newPrice, total: itm.quantity * newPrice, priceList: null } : itm
                               )
                             }));
                           }}
@@ -2243,7 +2277,7 @@ const SalesOrders = () => {
                               setFormData(prev => ({
                                 ...prev,
                                 items: prev.items.map((itm, i) =>
-                                  i === index ? { ...itm, unitPrice: newPrice, total: itm.quantity * newPrice } : itm
+                                  i === index ? { ...itm, unitPrice: newPrice, total: itm.quantity * newPrice, priceList: null } : itm
                                 )
                               }));
                             }}
@@ -0,0 +1,639 @@
+import React, { useState } from 'react';
+import { CalendarClock, Edit, FileDown, History, Play, Plus, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatDate } from '../utils/formatters';
+import { useGetCategoriesQuery } from '../store/services/categoriesApi';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import {
+  useGetScheduledReportTypesQuery,
+  useGetScheduledReportsQuery,
+  useGetScheduledReportRunsQuery,
+  useCreateScheduledReportMutation,
+  useUpdateScheduledReportMutation,
+  useRunScheduledReportMutation,
+  useDeleteScheduledReportMutation,
+  useDownloadReportRunMutation,
+} from '../store/services/scheduledReportsApi';
+
+const PERIOD_PRESETS = {
+  previous_day: 'Previous day',
+  last_7_days: 'Last 7 days',
+  last_30_days: 'Last 30 days',
+  previous_week: 'Previous week',
+  previous_month: 'Previous month',
+  month_to_date: 'Month to date',
+  year_to_date: 'Year to date',
+  custom: 'Custom range'
+};
+
+const CRON_PRESETS = [
+  ['0 7 * * *', 'Every day at 07:00'],
+  ['0 7 * * 1', 'Every Monday at 07:00'],
+  ['0 7 1 * *', '1st of every month at 07:00'],
+  ['0 * * * *', 'Every hour']
+];
+
+const FORMATS = { pdf: 'PDF', excel: 'Excel', csv: 'CSV' };
+
+const RUN_STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const filterLabel = (key) => key.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase());
+
+const CustomerFilter = ({ value, onChange }) => {
+  const [search, setSearch] = useState('');
+  const [selectedName, setSelectedName] = useState(value ? 'Selected customer' : '');
+  const { data, isFetching } = useGetCustomersQuery({ search, limit: 20 }, { skip: search.trim().length < 2 });
+  const customers = data?.data?.customers || [];
+
+  if (value) {
+    return (
+      <span className="inline-flex items-center px-2 py-1 rounded-full bg-blue-50 text-blue-700 text-xs">
+        {selectedName}
+        <button type="button" onClick={() => onChange('')} className="ml-1 text-blue-500 hover:text-blue-800">
+          <X className="h-3 w-3" />
+        </button>
+      </span>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        className="input"
+        placeholder="All customers — search to pick one"
+      />
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+          {isFetching ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+          ) : customers.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">No customers found.</p>
+          ) : (
+            customers.map((customer) => (
+              <button
+                key={customer._id}
+                type="button"
+                onClick={() => {
+                  setSelectedName(customer.businessName || customer.name);
+                  setSearch('');
+                  onChange(customer._id);
+                }}
+                className="block w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                {customer.businessName || customer.name}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ReportFilterField = ({ name, allowed, value, onChange }) => {
+  const { data: categoriesData } = useGetCategoriesQuery(undefined, { skip: name !== 'category' });
+  const categories = categoriesData?.categories || categoriesData?.data?.categories || [];
+
+  if (allowed === 'boolean') {
+    return (
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={!!value} onChange={(e) => onChange(e.target.checked)} />
+        {filterLabel(name)}
+      </label>
+    );
+  }
+
+  let input;
+  if (Array.isArray(allowed)) {
+    input = (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className="input">
+        <option value="">Any</option>
+        {allowed.map((option) => (
+          <option key={option} value={option} className="capitalize">{option}</option>
+        ))}
+      </select>
+    );
+  } else if (name === 'category') {
+    input = (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className="input">
+        <option value="">All categories</option>
+        {categories.map((category) => (
+          <option key={category._id} value={category._id}>{category.name}</option>
+        ))}
+      </select>
+    );
+  } else if (name === 'customer') {
+    input = <CustomerFilter value={value} onChange={onChange} />;
+  } else {
+    input = <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} className="input" />;
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{filterLabel(name)}</label>
+      {input}
+    </div>
+  );
+};
+
+const ScheduledReportModal = ({ report, reportTypes, onClose }) => {
+  const [formData, setFormData] = useState({
+    name: report?.name || '',
+    description: report?.description || '',
+    reportType: report?.reportType || reportTypes[0]?.type || 'sales',
+    filters: report?.filters || {},
+    preset: report?.period?.preset || 'previous_month',
+    startDate: toDateInput(report?.period?.startDate),
+    endDate: toDateInput(report?.period?.endDate),
+    format: report?.format || 'pdf',
+    cron: report?.schedule?.cron || CRON_PRESETS[0][0],
+    timezone: report?.schedule?.timezone || '',
+    deliveryMethod: report?.delivery?.method || 'download',
+    recipients: (report?.delivery?.recipients || []).join(', '),
+    isActive: report?.isActive ?? true
+  });
+  const [createReport, { isLoading: creating }] = useCreateScheduledReportMutation();
+  const [updateReport, { isLoading: updating }] = useUpdateScheduledReportMutation();
+  const typeDefinition = reportTypes.find((type) => type.type === formData.reportType);
+
+  const setField = (field, value) => setFormData({ ...formData, [field]: value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      reportType: formData.reportType,
+      filters: formData.filters,
+      period: {
+        preset: formData.preset,
+        startDate: formData.preset === 'custom' ? formData.startDate : undefined,
+        endDate: formData.preset === 'custom' ? formData.endDate : undefined
+      },
+      format: formData.format,
+      schedule: { cron: formData.cron, timezone: formData.timezone || undefined },
+      delivery: {
+        method: formData.deliveryMethod,
+        recipients: formData.deliveryMethod === 'email'
+          ? formData.recipients.split(',').map((email) => email.trim()).filter(Boolean)
+          : []
+      },
+      isActive: formData.isActive
+    };
+    const request = report ? updateReport({ id: report._id, ...payload }) : createReport(payload);
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Scheduled report saved');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save scheduled report')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">{report ? `Edit ${report.name}` : 'New Scheduled Report'}</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input type="text" value={formData.name} onChange={(e) => setField('name', e.target.value)} className="input" required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Report</label>
+              <select
+                value={formData.reportType}
+                onChange={(e) => setFormData({ ...formData, reportType: e.target.value, filters: {} })}
+                className="input"
+              >
+                {reportTypes.map((type) => (
+                  <option key={type.type} value={type.type}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input type="text" value={formData.description} onChange={(e) => setField('description', e.target.value)} className="input" />
+          </div>
+
+          {typeDefinition && Object.keys(typeDefinition.filters).length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {Object.entries(typeDefinition.filters).map(([name, allowed]) => (
+                <ReportFilterField
+                  key={name}
+                  name={name}
+                  allowed={allowed}
+                  value={formData.filters[name]}
+                  onChange={(value) => setField('filters', { ...formData.filters, [name]: value })}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {typeDefinition?.usesDateRange === false ? 'As of end of' : 'Period'}
+              </label>
+              <select value={formData.preset} onChange={(e) => setField('preset', e.target.value)} className="input">
+                {Object.entries(PERIOD_PRESETS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {formData.preset === 'custom' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+                  <input type="date" value={formData.startDate} onChange={(e) => setField('startDate', e.target.value)} className="input" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+                  <input type="date" value={formData.endDate} onChange={(e) => setField('endDate', e.target.value)} className="input" required />
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Schedule (cron)</label>
+              <input
+                type="text"
+                value={formData.cron}
+                onChange={(e) => setField('cron', e.target.value)}
+                className="input font-mono"
+                list="cron-presets"
+                required
+              />
+              <datalist id="cron-presets">
+                {CRON_PRESETS.map(([cron, label]) => (
+                  <option key={cron} value={cron}>{label}</option>
+                ))}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+              <input
+                type="text"
+                value={formData.timezone}
+                onChange={(e) => setField('timezone', e.target.value)}
+                className="input"
+                placeholder="Server default"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+              <select value={formData.format} onChange={(e) => setField('format', e.target.value)} className="input">
+                {Object.entries(FORMATS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Delivery</label>
+              <select value={formData.deliveryMethod} onChange={(e) => setField('deliveryMethod', e.target.value)} className="input">
+                <option value="download">Keep for download</option>
+                <option value="email">Email</option>
+              </select>
+            </div>
+            {formData.deliveryMethod === 'email' && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Recipients</label>
+                <input
+                  type="text"
+                  value={formData.recipients}
+                  onChange={(e) => setField('recipients', e.target.value)}
+                  className="input"
+                  placeholder="Comma-separated email addresses"
+                  required
+                />
+              </div>
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={formData.isActive} onChange={(e) => setField('isActive', e.target.checked)} />
+            Active
+          </label>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-md">Cancel</button>
+            <button type="submit" disabled={creating || updating} className="btn btn-primary btn-md">
+              {creating || updating ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ReportRunsModal = ({ report, canDownload, onClose }) => {
+  const [page, setPage] = useState(1);
+  const { data, isLoading, error } = useGetScheduledReportRunsQuery({ id: report._id, page }, { refetchOnMountOrArgChange: true });
+  const [downloadRun] = useDownloadReportRunMutation();
+  const runs = data?.data?.runs || [];
+  const pagination = data?.data?.pagination || {};
+
+  const handleDownload = async (run) => {
+    try {
+      const response = await downloadRun(run._id).unwrap();
+      const blob = response instanceof Blob ? response : new Blob([response]);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = run.file?.filename || `${report.name}.${run.format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to download report'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">Run History · {report.name}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-center text-red-600">{errorMessage(error, 'Failed to load run history')}</p>
+          ) : runs.length === 0 ? (
+            <p className="text-center text-gray-500">This report has not run yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trigger</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rows</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run._id}>
+                    <td className="px-4 py-2 text-gray-900 whitespace-nowrap">{formatDateTime(run.startedAt)}</td>
+                    <td className="px-4 py-2 text-gray-500 whitespace-nowrap">
+                      {run.periodStart ? `${formatDate(run.periodStart)} – ${formatDate(run.periodEnd)}` : formatDate(run.periodEnd)}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500 capitalize">{run.trigger}</td>
+                    <td className="px-4 py-2 text-right text-gray-500">{run.rowCount}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${RUN_STATUS_STYLES[run.status]}`}>{run.status}</span>
+                      {run.error && <span className="block text-xs text-red-600 mt-1">{run.error}</span>}
+                      {run.delivery?.status === 'failed' && (
+                        <span className="block text-xs text-red-600 mt-1">Email not sent: {run.delivery.error}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {run.status === 'completed' && run.file?.filename && (
+                        run.file.deletedAt ? (
+                          <span className="text-xs text-gray-400">File expired</span>
+                        ) : canDownload && (
+                          <button onClick={() => handleDownload(run)} className="p-1 text-blue-600 hover:text-blue-800" title="Download">
+                            <FileDown className="h-4 w-4" />
+                          </button>
+                        )
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>Page {pagination.current} of {pagination.pages}</span>
+              <div className="flex gap-2">
+                <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const ScheduledReports = () => {
+  const { hasPermission } = useAuth();
+  // Creating, editing, running and downloading also need view_reports
+  const canManage = hasPermission('view_reports');
+  const [filters, setFilters] = useState({ reportType: '', isActive: '' });
+  const [page, setPage] = useState(1);
+  const [editing, setEditing] = useState(null);
+  const [historyFor, setHistoryFor] = useState(null);
+
+  const { data: typesData } = useGetScheduledReportTypesQuery();
+  const reportTypes = typesData?.data || [];
+  const { data, isLoading, error } = useGetScheduledReportsQuery(
+    {
+      reportType: filters.reportType || undefined,
+      isActive: filters.isActive || undefined,
+      page
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const [runReport, { isLoading: running, originalArgs: runningId }] = useRunScheduledReportMutation();
+  const [deleteReport] = useDeleteScheduledReportMutation();
+  const reports = data?.data?.reports || [];
+  const pagination = data?.data?.pagination || {};
+
+  const typeLabel = (type) => reportTypes.find((t) => t.type === type)?.label || type;
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  const handleRun = (report) => {
+    runReport(report._id)
+      .unwrap()
+      .then((res) => (res?.success ? toast.success(res.message) : toast.error(res?.message || 'Report generation failed')))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to run report')));
+  };
+
+  const handleDelete = (report) => {
+    if (!window.confirm(`Delete scheduled report "${report.name}"? Its run history is kept.`)) return;
+    deleteReport(report._id)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Scheduled report deleted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete scheduled report')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <CalendarClock className="h-6 w-6 mr-2" />
+            Scheduled Reports
+          </h1>
+          <p className="text-gray-600">Generate reports on a schedule and email them or keep them for download</p>
+        </div>
+        {canManage && (
+          <button onClick={() => setEditing({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            New Schedule
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <select value={filters.reportType} onChange={updateFilter('reportType')} className="input sm:w-64">
+          <option value="">All Reports</option>
+          {reportTypes.map((type) => (
+            <option key={type.type} value={type.type}>{type.label}</option>
+          ))}
+        </select>
+        <select value={filters.isActive} onChange={updateFilter('isActive')} className="input sm:w-40">
+          <option value="">Active &amp; Paused</option>
+          <option value="true">Active</option>
+          <option value="false">Paused</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load scheduled reports')}</p>
+        ) : reports.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No scheduled reports found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Report</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Delivery</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Next Run</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Run</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {reports.map((report) => (
+                  <tr key={report._id} className={report.isActive ? '' : 'bg-gray-50'}>
+                    <td className="px-6 py-4 text-sm">
+                      <span className="font-medium text-gray-900">{report.name}</span>
+                      <span className="block text-xs text-gray-500">
+                        {typeLabel(report.reportType)} · {FORMATS[report.format]} · {PERIOD_PRESETS[report.period?.preset]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <span className="font-mono">{report.schedule?.cron}</span>
+                      {report.schedule?.timezone && <span className="block text-xs">{report.schedule.timezone}</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {report.delivery?.method === 'email' ? report.delivery.recipients.join(', ') : 'Download'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {report.isActive ? formatDateTime(report.nextRunAt) : 'Paused'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {report.lastRunAt ? (
+                        <>
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${RUN_STATUS_STYLES[report.lastRunStatus] || ''}`}>
+                            {report.lastRunStatus}
+                          </span>
+                          <span className="block text-xs text-gray-500 mt-1">{formatDateTime(report.lastRunAt)}</span>
+                        </>
+                      ) : (
+                        <span className="text-gray-400">Never</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <div className="flex justify-end gap-2">
+                        {canManage && (
+                          <button
+                            onClick={() => handleRun(report)}
+                            disabled={running && runningId === report._id}
+                            className="p-1 text-green-600 hover:text-green-800"
+                            title="Run now"
+                          >
+                            <Play className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button onClick={() => setHistoryFor(report)} className="p-1 text-gray-600 hover:text-gray-900" title="Run history">
+                          <History className="h-4 w-4" />
+                        </button>
+                        {canManage && (
+                          <button onClick={() => setEditing(report)} className="p-1 text-blue-600 hover:text-blue-800" title="Edit">
+                            <Edit className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button onClick={() => handleDelete(report)} className="p-1 text-red-600 hover:text-red-800" title="Delete">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {editing && (
+        <ScheduledReportModal
+          report={editing._id ? editing : null}
+          reportTypes={reportTypes}
+          onClose={() => setEditing(null)}
+        />
+      )}
+      {historyFor && <ReportRunsModal report={historyFor} canDownload={canManage} onClose={() => setHistoryFor(null)} />}
+    </div>
+  );
+};
+
+export default ScheduledReports;
@@ -191,7 +191,8 @@ export const Settings2 = () => {
         },
         { key: 'create_customers', name: 'Create Customers' },
         { key: 'edit_customers', name: 'Edit Customers' },
-        { key: 'delete_customers', name: 'Delete Customers' }
+        { key: 'delete_customers', name: 'Delete Customers' },
+        { key: 'send_customer_statements', name: 'Send Statements of Account' }
       ]
     },
     suppliers: {
@@ -252,7 +253,15 @@ export const Settings2 = () => {
         { key: 'edit_sales_invoices', name: 'Edit Sales Invoices' },
         { key: 'void_sales_invoices', name: 'Void Sales Invoices' },
         { key: 'apply_discounts', name: 'Apply Discounts' },
-        { key: 'override_prices', name: 'Override Prices' }
+        { key: 'override_prices', name: 'Override Prices' },
+        {
+          key: 'view_quotations',
+          name: 'Quotations',
+          subcategories: [
+            { key: 'view_quotations', name: 'View Quotations & Conversion Report' },
+            { key: 'manage_quotations', name: 'Create, Revise, Accept/Reject & Convert' }
+          ]
+        }
       ]
     },
     inventory: {
@@ -322,6 +331,30 @@ export const Settings2 = () => {
             { key: 'edit_discounts', name: 'Edit Discounts' },
             { key: 'delete_discounts', name: 'Delete Discounts' }
           ]
+        },
+        {
+          key: 'view_price_lists',
+          name: 'Price Lists',
+          subcategories: [
+            { key: 'view_price_lists', name: 'View & Export Price Lists' },
+            { key: 'manage_price_lists', name: 'Create, Import & Delete Price Lists' }
+          ]
+        },
+        {
+          key: 'view_loyalty',
+          name: 'Loyalty Program',
+          subcategories: [
+            { key: 'view_loyalty', name: 'View Points & Statements' },
+            { key: 'manage_loyalty', name: 'Program Rules, Adjustments & Tier Reviews' }
+          ]
+        },
+        {
+          key: 'view_gift_cards',
+          name: 'Gift Cards & Store Credit',
+          subcategories: [
+            { key: 'view_gift_cards', name: 'View Cards & Balances' },
+            { key: 'manage_gift_cards', name: 'Issue, Cancel & Expire Cards' }
+          ]
         }
       ]
     },
@@ -442,6 +475,68 @@ export const Settings2 = () => {
             { key: 'delete_bank_payments', name: 'Delete Bank Payments' }
           ]
         },
+        {
+          key: 'view_cheques',
+          name: 'Cheque Register',
+          subcategories: [
+            { key: 'view_cheques', name: 'View Cheques' },
+            { key: 'create_cheques', name: 'Register Cheques' },
+            { key: 'edit_cheques', name: 'Update Cheque Status' },
+            { key: 'delete_cheques', name: 'Delete Cheques' }
+          ]
+        },
+        {
+          key: 'view_fixed_assets',
+          name: 'Fixed Assets',
+          subcategories: [
+            { key: 'view_fixed_assets', name: 'View Fixed Assets' },
+            { key: 'create_fixed_assets', name: 'Register Fixed Assets' },
+            { key: 'edit_fixed_assets', name: 'Edit & Dispose Fixed Assets' },
+            { key: 'delete_fixed_assets', name: 'Delete Fixed Assets' },
+            { key: 'run_depreciation', name: 'Run Depreciation' }
+          ]
+        },
+        {
+          key: 'view_payables',
+          name: 'Supplier Payables',
+          subcategories: [
+            { key: 'view_payables', name: 'View Supplier Aging & Proposals' },
+            { key: 'run_payables', name: 'Run Supplier Payments' }
+          ]
+        },
+        {
+          key: 'view_currencies',
+          name: 'Currencies',
+          subcategories: [
+            { key: 'view_currencies', name: 'View Currencies & Rates' },
+            { key: 'manage_currencies', name: 'Manage Currencies & Rates' },
+            { key: 'run_currency_revaluation', name: 'Run Exchange Revaluation' }
+          ]
+        },
+        {
+          key: 'view_year_end_close',
+          name: 'Year-End Close',
+          subcategories: [
+            { key: 'view_year_end_close', name: 'View Year-End Close & Opening Balances' },
+            { key: 'run_year_end_close', name: 'Close & Reverse Fiscal Years' }
+          ]
+        },
+        {
+          key: 'view_tax',
+          name: 'Sales Tax',
+          subcategories: [
+            { key: 'view_tax', name: 'View Tax Codes & Returns' },
+            { key: 'manage_tax_codes', name: 'Manage Tax Codes' },
+            { key: 'file_tax_returns', name: 'Prepare, Post & Delete Tax Returns' }
+          ]
+        },
+        {
+          key: 'view_withholding_tax',
+          name: 'Withholding Tax',
+          subcategories: [
+            { key: 'view_withholding_tax', name: 'View Withholding Summary & Certificates' }
+          ]
+        },
         {
           key: 'view_expenses',
           name: 'Expenses',
@@ -463,7 +558,8 @@ export const Settings2 = () => {
         { key: 'view_trial_balance', name: 'View Trial Balance' },
         { key: 'update_balance_sheet', name: 'Update Balance Sheet' },
         { key: 'view_chart_of_accounts', name: 'View Chart of Accounts' },
-        { key: 'view_accounting_summary', name: 'View Financial Summary' }
+        { key: 'view_accounting_summary', name: 'View Financial Summary' },
+        { key: 'reconcile_accounts', name: 'Reconcile Bank Accounts' }
       ]
     },
     attendance: {
@@ -504,7 +600,7 @@ export const Settings2 = () => {
       view_products: true, create_products: true, edit_products: true, delete_products: true,
       view_product_list: true, view_product_details: true, view_product_categories: true, view_product_inventory: true,
       // Customers
-      view_customers: true, create_customers: true, edit_customers: true, delete_customers: true,
+      view_customers: true, create_customers: true, edit_customers: true, delete_customers: true, send_customer_statements: true,
       view_customer_list: true, view_customer_details: true, view_customer_history: true, view_customer_balance: true,
       // Suppliers
       view_suppliers: true, create_suppliers: true, edit_suppliers: true, delete_suppliers: true,
@@ -513,6 +609,7 @@ export const Settings2 = () => {
       view_orders: true, create_orders: true, edit_orders: true, cancel_orders: true,
       view_sales_orders: true, view_purchase_orders: true, view_sales_invoices: true, view_purchase_invoices: true,
       view_cost_prices: true,
+      view_quotations: true, manage_quotations: true,
       // Inventory
       view_inventory: true, update_inventory: true,
       view_inventory_levels: true, view_stock_movements: true, view_low_stock_alerts: true,
@@ -524,6 +621,9 @@ export const Settings2 = () => {
       view_discounts: true, manage_discounts: true,
       view_discount_list: true, view_discount_rules: true, view_discount_history: true,
       create_discounts: true, edit_discounts: true, delete_discounts: true,
+      view_price_lists: true, manage_price_lists: true,
+      view_loyalty: true, manage_loyalty: true,
+      view_gift_cards: true, manage_gift_cards: true,
       // Reports & Analytics
       view_reports: true, view_analytics: true, view_recommendations: true,
       view_pl_statements: true, view_balance_sheets: true, view_sales_performance: true,
@@ -535,6 +635,13 @@ export const Settings2 = () => {
       view_cash_payments: true, create_cash_payments: true, edit_cash_payments: true, delete_cash_payments: true,
       view_bank_receipts: true, create_bank_receipts: true, edit_bank_receipts: true, delete_bank_receipts: true,
       view_bank_payments: true, create_bank_payments: true, edit_bank_payments: true, delete_bank_payments: true,
+      view_cheques: true, create_cheques: true, edit_cheques: true, delete_cheques: true,
+      view_fixed_assets: true, create_fixed_assets: true, edit_fixed_assets: true, delete_fixed_assets: true, run_depreciation: true,
+      view_payables: true, run_payables: true,
+      view_currencies: true, manage_currencies: true, run_currency_revaluation: true,
+      view_year_end_close: true, run_year_end_close: true,
+      view_tax: true, manage_tax_codes: true, file_tax_returns: true,
+      view_withholding_tax: true,
       view_expenses: true, create_expenses: true, edit_expenses: true, delete_expenses: true, approve_expenses: true,
       // Purchase Operations - Granular
       create_purchase_orders: true, edit_purchase_orders: true, delete_purchase_orders: true,
@@ -551,6 +658,7 @@ export const Settings2 = () => {
       // Accounting
       view_accounting_transactions: true, view_accounting_accounts: true, view_trial_balance: true,
       update_balance_sheet: true, view_chart_of_accounts: true, view_accounting_summary: true,
+      reconcile_accounts: true,
       // Attendance
       clock_attendance: true, clock_in: true, clock_out: true, manage_attendance_breaks: true,
       view_own_attendance: true, view_team_attendance: true,
@@ -571,7 +679,7 @@ export const Settings2 = () => {
       view_products: true, create_products: true, edit_products: true,
       view_product_list: true, view_product_details: true, view_product_categories: true, view_product_inventory: true,
       // Customers - Full access
-      view_customers: true, create_customers: true, edit_customers: true, delete_customers: true,
+      view_customers: true, create_customers: true, edit_customers: true, delete_customers: true, send_customer_statements: true,
       view_customer_list: true, view_customer_details: true, view_customer_history: true, view_customer_balance: true,
       // Suppliers - Full access
       view_suppliers: true, create_suppliers: true, edit_suppliers: true, delete_suppliers: true,
@@ -580,6 +688,7 @@ export const Settings2 = () => {
       view_orders: true, create_orders: true, edit_orders: true, cancel_orders: true,
       view_sales_orders: true, view_purchase_orders: true, view_sales_invoices: true, view_purchase_invoices: true,
       view_cost_prices: true,
+      view_quotations: true, manage_quotations: true,
       // Inventory - Full access
       view_inventory: true, update_inventory: true,
       view_inventory_levels: true, view_stock_movements: true, view_low_stock_alerts: true,
@@ -591,6 +700,9 @@ export const Settings2 = () => {
       view_discounts: true, manage_discounts: true,
       view_discount_list: true, view_discount_rules: true, view_discount_history: true,
       create_discounts: true, edit_discounts: true, delete_discounts: true,
+      view_price_lists: true, manage_price_lists: true,
+      view_loyalty: true, manage_loyalty: true,
+      view_gift_cards: true, manage_gift_cards: true,
       // Reports & Analytics - Full access
       view_reports: true, view_analytics: true, view_recommendations: true,
       view_pl_statements: true, view_balance_sheets: true, view_sales_performance: true,
@@ -602,6 +714,13 @@ export const Settings2 = () => {
       view_cash_payments: true, create_cash_payments: true, edit_cash_payments: true, delete_cash_payments: true,
       view_bank_receipts: true, create_bank_receipts: true, edit_bank_receipts: true, delete_bank_receipts: true,
       view_bank_payments: true, create_bank_payments: true, edit_bank_payments: true, delete_bank_payments: true,
+      view_cheques: true, create_cheques: true, edit_cheques: true, delete_cheques: true,
+      view_fixed_assets: true, create_fixed_assets: true, edit_fixed_assets: true, delete_fixed_assets: true, run_depreciation: true,
+      view_payables: true, run_payables: true,
+      view_currencies: true, manage_currencies: true, run_currency_revaluation: true,
+      view_year_end_close: true, run_year_end_close: true,
+      view_tax: true, manage_tax_codes: true, file_tax_returns: true,
+      view_withholding_tax: true,
       view_expenses: true, create_expenses: true, edit_expenses: true, delete_expenses: true, approve_expenses: true,
       // Purchase Operations - Granular
       create_purchase_orders: true, edit_purchase_orders: true, delete_purchase_orders: true,
@@ -618,6 +737,7 @@ export const Settings2 = () => {
       // Accounting
       view_accounting_transactions: true, view_accounting_accounts: true, view_trial_balance: true,
       update_balance_sheet: true, view_chart_of_accounts: true, view_accounting_summary: true,
+      reconcile_accounts: true,
       // Attendance
       clock_attendance: true, clock_in: true, clock_out: true, manage_attendance_breaks: true,
       view_own_attendance: true, view_team_attendance: true,
@@ -0,0 +1,721 @@
+import React, { useState } from 'react';
+import { Plus, Edit, Trash2, X, Search, Save, Send, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan, getStartOfMonth } from '../utils/dateUtils';
+import {
+  useGetTaxCodesQuery,
+  useCreateTaxCodeMutation,
+  useUpdateTaxCodeMutation,
+  useGetTaxReturnPreviewQuery,
+  useGetTaxReturnsQuery,
+  useGetTaxReturnQuery,
+  useCreateTaxReturnMutation,
+  useExportTaxReturnMutation,
+  usePostTaxReturnMutation,
+  useDeleteTaxReturnMutation,
+} from '../store/services/taxApi';
+
+const TAX_TYPES = {
+  standard: 'Standard',
+  reduced: 'Reduced',
+  zero_rated: 'Zero Rated',
+  exempt: 'Exempt',
+  withholding: 'Withholding'
+};
+
+const WITHHOLDING_TRANSACTION_TYPES = ['goods', 'services', 'rent', 'contracts', 'commission', 'other'];
+
+const DOCUMENT_TYPES = {
+  sale: 'Sale',
+  sale_return: 'Sale Return',
+  purchase_invoice: 'Purchase Invoice',
+  purchase_return: 'Purchase Return'
+};
+
+const EXPORT_TYPES = {
+  excel: ['xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  csv: ['csv', 'text/csv'],
+  json: ['json', 'application/json']
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const formatRate = (rate) => `${Math.round((rate || 0) * 10000) / 100}%`;
+
+const TaxCodeFormModal = ({ taxCode, onClose }) => {
+  const [formData, setFormData] = useState({
+    code: taxCode?.code || '',
+    name: taxCode?.name || '',
+    type: taxCode?.type || 'standard',
+    // Entered as a percentage, stored as a fraction
+    rate: taxCode ? String(Math.round((taxCode.rate || 0) * 10000) / 100) : '',
+    transactionType: taxCode?.transactionType || '',
+    appliesTo: taxCode?.appliesTo || 'both',
+    returnBox: taxCode?.returnBox || '',
+    description: taxCode?.description || '',
+    isDefault: taxCode?.isDefault || false,
+    isActive: taxCode?.isActive ?? true
+  });
+  const [createTaxCode, { isLoading: creating }] = useCreateTaxCodeMutation();
+  const [updateTaxCode, { isLoading: updating }] = useUpdateTaxCodeMutation();
+  const hasRate = !['zero_rated', 'exempt'].includes(formData.type);
+  const isWithholding = formData.type === 'withholding';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { code, ...fields } = formData;
+    const data = {
+      ...fields,
+      rate: hasRate ? (parseFloat(formData.rate) || 0) / 100 : 0,
+      transactionType: isWithholding ? formData.transactionType : undefined,
+      appliesTo: isWithholding ? formData.appliesTo : undefined
+    };
+    const request = taxCode
+      ? updateTaxCode({ id: taxCode._id, ...data })
+      : createTaxCode({ ...data, code: code.trim().toUpperCase() });
+
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Tax code saved');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save tax code')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{taxCode ? `Edit ${taxCode.code}` : 'Add Tax Code'}</h2>
+            <button type="button" onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Code *</label>
+              <input
+                type="text"
+                value={formData.code}
+                onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                className="input uppercase"
+                placeholder="STD"
+                maxLength={20}
+                disabled={!!taxCode}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Type *</label>
+              <select
+                value={formData.type}
+                onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                className="input"
+              >
+                {Object.entries(TAX_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="input"
+              required
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            {hasRate && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Rate (%) *</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  max="100"
+                  value={formData.rate}
+                  onChange={(e) => setFormData({ ...formData, rate: e.target.value })}
+                  className="input"
+                  required
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Return Box</label>
+              <input
+                type="text"
+                value={formData.returnBox}
+                onChange={(e) => setFormData({ ...formData, returnBox: e.target.value })}
+                className="input"
+                maxLength={50}
+              />
+            </div>
+          </div>
+          {isWithholding && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Transaction Type *</label>
+                <select
+                  value={formData.transactionType}
+                  onChange={(e) => setFormData({ ...formData, transactionType: e.target.value })}
+                  className="input"
+                  required
+                >
+                  <option value="">Select type</option>
+                  {WITHHOLDING_TRANSACTION_TYPES.map((type) => (
+                    <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Applies To</label>
+                <select
+                  value={formData.appliesTo}
+                  onChange={(e) => setFormData({ ...formData, appliesTo: e.target.value })}
+                  className="input"
+                >
+                  <option value="both">Payments & receipts</option>
+                  <option value="payments">Payments we make</option>
+                  <option value="receipts">Receipts from customers</option>
+                </select>
+              </div>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="input"
+              rows={2}
+              maxLength={500}
+            />
+          </div>
+          <div className="flex items-center space-x-6">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.isDefault}
+                onChange={(e) => setFormData({ ...formData, isDefault: e.target.checked })}
+                className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Default for its type
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Active
+            </label>
+          </div>
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={creating || updating}>
+              {creating || updating ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const TaxCodesTab = ({ canManage }) => {
+  const [typeFilter, setTypeFilter] = useState('');
+  const [editing, setEditing] = useState(null);
+  const { data, isLoading, error } = useGetTaxCodesQuery({ type: typeFilter || undefined });
+  const taxCodes = data?.data || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row sm:justify-between gap-4">
+        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="input sm:w-48">
+          <option value="">All Types</option>
+          {Object.entries(TAX_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {canManage && (
+          <button onClick={() => setEditing({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Add Tax Code
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load tax codes')}</p>
+        ) : taxCodes.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No tax codes yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return Box</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {taxCodes.map((taxCode) => (
+                <tr key={taxCode._id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    <span className="font-medium">{taxCode.code}</span> {taxCode.name}
+                    {taxCode.isDefault && <span className="ml-2 text-xs text-blue-600">Default</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {TAX_TYPES[taxCode.type]}
+                    {taxCode.transactionType && <span className="block text-xs capitalize">{taxCode.transactionType} · {taxCode.appliesTo}</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatRate(taxCode.rate)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{taxCode.returnBox || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${taxCode.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {taxCode.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    {canManage && (
+                      <button onClick={() => setEditing(taxCode)} className="text-blue-600 hover:text-blue-900" title="Edit">
+                        <Edit className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {editing && <TaxCodeFormModal taxCode={editing._id ? editing : null} onClose={() => setEditing(null)} />}
+    </div>
+  );
+};
+
+const ReturnSummary = ({ taxReturn }) => (
+  <>
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      {[
+        ['Output Tax', taxReturn.outputTax, 'text-gray-900'],
+        ['Input Tax', taxReturn.inputTax, 'text-gray-900'],
+        [taxReturn.netTax >= 0 ? 'Net Tax Payable' : 'Net Tax Refundable', Math.abs(taxReturn.netTax), taxReturn.netTax >= 0 ? 'text-red-600' : 'text-green-600'],
+        ['Withholding Tax', taxReturn.withholdingTax, 'text-gray-900']
+      ].map(([label, value, color]) => (
+        <div key={label} className="bg-white rounded-lg shadow p-4">
+          <p className="text-xs text-gray-500 uppercase">{label}</p>
+          <p className={`text-lg font-bold ${color}`}>{formatCurrency(value)}</p>
+        </div>
+      ))}
+    </div>
+    <div className="bg-white rounded-lg shadow overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tax Code</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Box</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Sales Taxable</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Output Tax</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Purchases Taxable</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Input Tax</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {taxReturn.summary.length === 0 ? (
+            <tr>
+              <td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-500">No taxable transactions in this period.</td>
+            </tr>
+          ) : taxReturn.summary.map((row) => (
+            <tr key={row.taxCode}>
+              <td className="px-4 py-3 text-sm text-gray-900">
+                <span className="font-medium">{row.taxCode}</span> {row.name}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{row.returnBox || '-'}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{formatRate(row.rate)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(row.outputTaxable)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(row.outputTax)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(row.inputTaxable)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(row.inputTax)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </>
+);
+
+const ReturnLinesTable = ({ lines }) => (
+  <div className="overflow-x-auto max-h-96 overflow-y-auto">
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead className="bg-gray-50 sticky top-0">
+        <tr>
+          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Document</th>
+          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Party</th>
+          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Taxable</th>
+          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tax</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {lines.map((line, index) => (
+          <tr key={`${line.document}-${line.taxCode}-${index}`}>
+            <td className="px-4 py-2 text-gray-900">
+              {line.documentNumber}
+              <span className="block text-xs text-gray-500">
+                {DOCUMENT_TYPES[line.documentType] || line.documentType} · {formatDate(line.documentDate)}
+              </span>
+            </td>
+            <td className="px-4 py-2 text-gray-500">
+              {line.partyName}
+              {line.partyTaxNumber && <span className="block text-xs">{line.partyTaxNumber}</span>}
+            </td>
+            <td className="px-4 py-2 text-gray-500">{line.taxCode}</td>
+            <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.taxableAmount)}</td>
+            <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(line.taxAmount)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const ReturnDetailModal = ({ returnId, canFile, onClose }) => {
+  const { data, isLoading } = useGetTaxReturnQuery(returnId);
+  const [exportReturn, { isLoading: exporting }] = useExportTaxReturnMutation();
+  const [postReturn, { isLoading: posting }] = usePostTaxReturnMutation();
+  const [deleteReturn] = useDeleteTaxReturnMutation();
+  const [postData, setPostData] = useState({ filingReference: '', postingDate: '' });
+  const taxReturn = data?.data;
+
+  const handleExport = async (format) => {
+    try {
+      const result = await exportReturn({ id: returnId, format }).unwrap();
+      const [extension, type] = EXPORT_TYPES[format];
+      const blob = result instanceof Blob ? result : new Blob([typeof result === 'string' ? result : JSON.stringify(result, null, 2)], { type });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `Tax_Return_${taxReturn.returnNumber}.${extension}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to export tax return'));
+    }
+  };
+
+  const handlePost = () => {
+    if (!window.confirm(`Post return ${taxReturn.returnNumber}? Output and input tax are cleared into the tax ${taxReturn.netTax >= 0 ? 'payable' : 'refundable'} account.`)) return;
+    postReturn({
+      id: returnId,
+      filingReference: postData.filingReference || undefined,
+      postingDate: postData.postingDate || undefined
+    })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Tax return posted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to post tax return')));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete draft return ${taxReturn.returnNumber}?`)) return;
+    deleteReturn(returnId)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Tax return deleted');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete tax return')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-gray-50 rounded-lg max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">{taxReturn ? `Tax Return ${taxReturn.returnNumber}` : 'Tax Return'}</h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !taxReturn ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <p className="text-sm text-gray-600">
+                  {formatDate(taxReturn.periodStart)} to {formatDate(taxReturn.periodEnd)}
+                  {taxReturn.status === 'posted' && ` · posted as ${taxReturn.journalVoucherNumber} on ${formatDate(taxReturn.postedAt)}`}
+                  {taxReturn.filingReference && ` · filing reference ${taxReturn.filingReference}`}
+                </p>
+                <div className="flex gap-2">
+                  {Object.keys(EXPORT_TYPES).map((format) => (
+                    <button key={format} onClick={() => handleExport(format)} className="btn btn-secondary btn-sm" disabled={exporting}>
+                      <Download className="h-4 w-4 mr-1" />
+                      {format.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <ReturnSummary taxReturn={taxReturn} />
+              <div className="bg-white rounded-lg shadow">
+                <ReturnLinesTable lines={taxReturn.lines} />
+              </div>
+              {taxReturn.notes && <p className="text-sm text-gray-600">{taxReturn.notes}</p>}
+              {canFile && taxReturn.status === 'draft' && (
+                <div className="bg-white rounded-lg shadow p-4 flex flex-col md:flex-row gap-4 md:items-end">
+                  <div className="flex-1">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Filing Reference</label>
+                    <input
+                      type="text"
+                      value={postData.filingReference}
+                      onChange={(e) => setPostData({ ...postData, filingReference: e.target.value })}
+                      className="input"
+                      maxLength={100}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Posting Date</label>
+                    <input
+                      type="date"
+                      value={postData.postingDate}
+                      onChange={(e) => setPostData({ ...postData, postingDate: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                  <button onClick={handlePost} className="btn btn-primary btn-md" disabled={posting}>
+                    <Send className="h-4 w-4 mr-2" />
+                    {posting ? 'Posting...' : 'Post Return'}
+                  </button>
+                  <button onClick={handleDelete} className="btn btn-secondary btn-md text-red-600">
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Delete
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ReturnsTab = ({ canFile }) => {
+  const [period, setPeriod] = useState({ startDate: getStartOfMonth(), endDate: getCurrentDatePakistan() });
+  const [submitted, setSubmitted] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: previewData, isFetching: previewing, error: previewError } = useGetTaxReturnPreviewQuery(submitted, {
+    skip: !submitted,
+    refetchOnMountOrArgChange: true,
+  });
+  const { data, isLoading, error } = useGetTaxReturnsQuery(
+    { status: statusFilter || undefined, page },
+    { refetchOnMountOrArgChange: true }
+  );
+  const [createReturn, { isLoading: saving }] = useCreateTaxReturnMutation();
+  const preview = submitted ? previewData?.data : null;
+  const returns = data?.data?.returns || [];
+  const pagination = data?.data?.pagination || {};
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    setSubmitted({ ...period });
+  };
+
+  const handleSave = () => {
+    createReturn({ ...submitted, notes: notes || undefined })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Tax return prepared');
+        setSubmitted(null);
+        setNotes('');
+        if (res?.data?._id) setSelectedId(res.data._id);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save tax return')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handlePreview} className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4 sm:items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+          <input type="date" value={period.startDate} onChange={(e) => setPeriod({ ...period, startDate: e.target.value })} className="input" required />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+          <input type="date" value={period.endDate} onChange={(e) => setPeriod({ ...period, endDate: e.target.value })} className="input" required />
+        </div>
+        <button type="submit" className="btn btn-primary btn-md">
+          <Search className="h-4 w-4 mr-2" />
+          Prepare Return
+        </button>
+      </form>
+
+      {previewing && <LoadingSpinner />}
+      {!previewing && previewError && (
+        <p className="p-6 text-center text-red-600">{errorMessage(previewError, 'Failed to prepare tax return')}</p>
+      )}
+      {!previewing && preview && (
+        <div className="space-y-4">
+          <ReturnSummary taxReturn={preview} />
+          {preview.lines.length > 0 && (
+            <div className="bg-white rounded-lg shadow">
+              <ReturnLinesTable lines={preview.lines} />
+            </div>
+          )}
+          {canFile && (
+            <div className="bg-white rounded-lg shadow p-4 flex flex-col md:flex-row gap-4 md:items-center">
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                className="input flex-1"
+                placeholder="Notes"
+                maxLength={1000}
+              />
+              <button onClick={handleSave} className="btn btn-primary btn-md" disabled={saving}>
+                <Save className="h-4 w-4 mr-2" />
+                {saving ? 'Saving...' : 'Save Draft Return'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Returns</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPage(1);
+            }}
+            className="input w-40"
+          >
+            <option value="">All</option>
+            <option value="draft">Draft</option>
+            <option value="posted">Posted</option>
+          </select>
+        </div>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load tax returns')}</p>
+        ) : returns.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No tax returns yet.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Output</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Input</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {returns.map((taxReturn) => (
+                  <tr key={taxReturn._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelectedId(taxReturn._id)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{taxReturn.returnNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(taxReturn.periodStart)} to {formatDate(taxReturn.periodEnd)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(taxReturn.outputTax)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(taxReturn.inputTax)}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${taxReturn.netTax >= 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {formatCurrency(taxReturn.netTax)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${taxReturn.status === 'posted' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                        {taxReturn.status === 'posted' ? 'Posted' : 'Draft'}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedId && <ReturnDetailModal returnId={selectedId} canFile={canFile} onClose={() => setSelectedId(null)} />}
+    </div>
+  );
+};
+
+export const TaxReturns = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('returns');
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Sales Tax</h1>
+        <p className="text-gray-600">Prepare, export and post sales tax returns, and maintain the tax codes they report under</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['returns', 'Tax Returns'],
+            ['codes', 'Tax Codes']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'returns' && <ReturnsTab canFile={hasPermission('file_tax_returns')} />}
+      {activeTab === 'codes' && <TaxCodesTab canManage={hasPermission('manage_tax_codes')} />}
+    </div>
+  );
+};
+
+export default TaxReturns;
@@ -0,0 +1,568 @@
+import React, { useState } from 'react';
+import { Calculator, FileDown, Printer, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import {
+  useGetCurrentTillQuery,
+  useGetTillSessionsQuery,
+  useGetTillZReportQuery,
+  useLazyGetTillXReportQuery,
+  useLazyGetTillZReportQuery,
+  useLazyDownloadTillReportQuery,
+  useOpenTillMutation,
+  useRecordTillCashMovementMutation,
+  useCloseTillMutation,
+} from '../store/services/tillsApi';
+
+const DENOMINATIONS = [5000, 1000, 500, 100, 50, 20, 10, 5, 2, 1];
+
+const MOVEMENT_TYPES = {
+  drop: 'Cash Drop',
+  payout: 'Pay-out',
+  pay_in: 'Pay-in'
+};
+
+const BREAKDOWN_LINES = [
+  ['openingAmount', 'Opening float', 1],
+  ['cashSales', 'Cash sales', 1],
+  ['cashReceipts', 'Cash receipts', 1],
+  ['payIns', 'Pay-ins', 1],
+  ['cashRefunds', 'Cash refunds', -1],
+  ['cashPayments', 'Cash payments', -1],
+  ['cashDrops', 'Cash drops', -1],
+  ['payouts', 'Pay-outs', -1]
+];
+
+const VARIANCE_STYLES = {
+  over: 'text-yellow-700',
+  short: 'text-red-600',
+  exact: 'text-green-700'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+const methodLabel = (method) => (method || '').replace(/_/g, ' ');
+
+const CashBreakdown = ({ breakdown, expectedAmount }) => (
+  <table className="min-w-full text-sm">
+    <tbody className="divide-y divide-gray-100">
+      {BREAKDOWN_LINES.map(([field, label, sign]) => (
+        <tr key={field}>
+          <td className="py-1 text-gray-600">{label}</td>
+          <td className="py-1 text-right text-gray-900">
+            {sign < 0 && breakdown?.[field] ? '- ' : ''}{formatCurrency(breakdown?.[field] || 0)}
+          </td>
+        </tr>
+      ))}
+      <tr className="font-semibold">
+        <td className="py-1 text-gray-900">Expected in drawer</td>
+        <td className="py-1 text-right text-gray-900">{formatCurrency(expectedAmount)}</td>
+      </tr>
+    </tbody>
+  </table>
+);
+
+const TillReportModal = ({ report, onClose }) => {
+  const [exportXReport] = useLazyGetTillXReportQuery();
+  const [exportZReport] = useLazyGetTillZReportQuery();
+  const [downloadReport] = useLazyDownloadTillReportQuery();
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const exported = report.reportType === 'Z'
+        ? await exportZReport({ id: report.session._id, format }).unwrap()
+        : await exportXReport({ format }).unwrap();
+      const file = await downloadReport(exported.filename).unwrap();
+      const url = URL.createObjectURL(file instanceof Blob ? file : new Blob([file]));
+      if (format === 'pdf') {
+        // PDFs open in a new tab so they can be printed straight away
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exported.filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+      }
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to export report'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const { sales, refunds, cash } = report;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">
+                {report.reportType} Report {report.reportNumber && `· ${report.reportNumber}`}
+              </h2>
+              <p className="text-sm text-gray-500">
+                Opened {formatDateTime(report.session.openedAt)}
+                {report.session.closedAt && ` · Closed ${formatDateTime(report.session.closedAt)}`}
+                {' · '}Generated {formatDateTime(report.generatedAt)}
+              </p>
+            </div>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="flex gap-2">
+            <button onClick={() => handleExport('pdf')} disabled={!!exporting} className="btn btn-secondary btn-sm">
+              <Printer className="h-4 w-4 mr-1" />
+              {exporting === 'pdf' ? 'Preparing...' : 'Print / PDF'}
+            </button>
+            <button onClick={() => handleExport('excel')} disabled={!!exporting} className="btn btn-secondary btn-sm">
+              <FileDown className="h-4 w-4 mr-1" />
+              {exporting === 'excel' ? 'Preparing...' : 'Excel'}
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Sales</h3>
+              <table className="min-w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  <tr><td className="py-1 text-gray-600">Transactions</td><td className="py-1 text-right">{sales.totals.count}</td></tr>
+                  <tr><td className="py-1 text-gray-600">Subtotal</td><td className="py-1 text-right">{formatCurrency(sales.totals.subtotal)}</td></tr>
+                  <tr><td className="py-1 text-gray-600">Discounts</td><td className="py-1 text-right">{formatCurrency(sales.totals.discounts)}</td></tr>
+                  <tr><td className="py-1 text-gray-600">Tax</td><td className="py-1 text-right">{formatCurrency(sales.totals.tax)}</td></tr>
+                  <tr className="font-semibold"><td className="py-1 text-gray-900">Total</td><td className="py-1 text-right">{formatCurrency(sales.totals.total)}</td></tr>
+                  {sales.creditSales.count > 0 && (
+                    <tr><td className="py-1 text-gray-600">On credit ({sales.creditSales.count})</td><td className="py-1 text-right">{formatCurrency(sales.creditSales.amount)}</td></tr>
+                  )}
+                </tbody>
+              </table>
+
+              <h3 className="text-sm font-semibold text-gray-900 mt-4 mb-2">By Payment Method</h3>
+              {sales.byPaymentMethod.length === 0 ? (
+                <p className="text-sm text-gray-500">No payments taken.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {sales.byPaymentMethod.map((entry) => (
+                      <tr key={entry.method}>
+                        <td className="py-1 text-gray-600 capitalize">{methodLabel(entry.method)} ({entry.count})</td>
+                        <td className="py-1 text-right">{formatCurrency(entry.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {refunds.count > 0 && (
+                <>
+                  <h3 className="text-sm font-semibold text-gray-900 mt-4 mb-2">Refunds ({refunds.count})</h3>
+                  <table className="min-w-full text-sm">
+                    <tbody className="divide-y divide-gray-100">
+                      {refunds.byRefundMethod.map((entry) => (
+                        <tr key={entry.method}>
+                          <td className="py-1 text-gray-600 capitalize">{methodLabel(entry.method)} ({entry.count})</td>
+                          <td className="py-1 text-right">{formatCurrency(entry.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Cash</h3>
+              <CashBreakdown breakdown={cash} expectedAmount={cash.expectedAmount} />
+              {cash.declaredAmount !== undefined && cash.declaredAmount !== null && (
+                <table className="min-w-full text-sm mt-2">
+                  <tbody>
+                    <tr><td className="py-1 text-gray-600">Declared</td><td className="py-1 text-right">{formatCurrency(cash.declaredAmount)}</td></tr>
+                    <tr className={`font-semibold ${VARIANCE_STYLES[cash.varianceType] || ''}`}>
+                      <td className="py-1 capitalize">Variance ({cash.varianceType})</td>
+                      <td className="py-1 text-right">{formatCurrency(cash.varianceAmount)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              )}
+
+              {report.denominations?.length > 0 && (
+                <>
+                  <h3 className="text-sm font-semibold text-gray-900 mt-4 mb-2">Counted</h3>
+                  <table className="min-w-full text-sm">
+                    <tbody className="divide-y divide-gray-100">
+                      {report.denominations.filter((d) => d.count > 0).map((d) => (
+                        <tr key={d.value}>
+                          <td className="py-1 text-gray-600">{d.value} × {d.count}</td>
+                          <td className="py-1 text-right">{formatCurrency(d.total)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </div>
+          </div>
+
+          {report.cashMovements?.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Cash Movements</h3>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <tbody className="divide-y divide-gray-200">
+                  {report.cashMovements.map((movement, index) => (
+                    <tr key={index}>
+                      <td className="px-4 py-2 text-gray-500">{formatDateTime(movement.createdAt)}</td>
+                      <td className="px-4 py-2 text-gray-900">{MOVEMENT_TYPES[movement.type]}</td>
+                      <td className="px-4 py-2 text-gray-500">{[movement.reason, movement.reference].filter(Boolean).join(' · ')}</td>
+                      <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(movement.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ZReportLoader = ({ sessionId, onClose }) => {
+  const { data, isLoading, error } = useGetTillZReportQuery({ id: sessionId });
+
+  if (isLoading || error) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+        <div className="bg-white rounded-lg max-w-md w-full p-6">
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : (
+            <div className="flex items-center justify-between">
+              <p className="text-red-600">{errorMessage(error, 'Failed to load Z report')}</p>
+              <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+  return <TillReportModal report={data.data} onClose={onClose} />;
+};
+
+const OpenTillForm = () => {
+  const [formData, setFormData] = useState({ openingAmount: '', notesOpen: '' });
+  const [openTill, { isLoading }] = useOpenTillMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    openTill({
+      openingAmount: parseFloat(formData.openingAmount) || 0,
+      notesOpen: formData.notesOpen || undefined
+    })
+      .unwrap()
+      .then(() => toast.success('Till opened'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to open till')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900">Open Till</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Opening Float</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={formData.openingAmount}
+            onChange={(e) => setFormData({ ...formData, openingAmount: e.target.value })}
+            className="input"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+          <input
+            type="text"
+            value={formData.notesOpen}
+            onChange={(e) => setFormData({ ...formData, notesOpen: e.target.value })}
+            className="input"
+          />
+        </div>
+      </div>
+      <div className="flex justify-end">
+        <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+          {isLoading ? 'Opening...' : 'Open Till'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CashMovementForm = () => {
+  const [formData, setFormData] = useState({ type: 'drop', amount: '', reason: '', reference: '' });
+  const [recordMovement, { isLoading }] = useRecordTillCashMovementMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    recordMovement({
+      type: formData.type,
+      amount: parseFloat(formData.amount),
+      reason: formData.reason || undefined,
+      reference: formData.reference || undefined
+    })
+      .unwrap()
+      .then(() => {
+        toast.success(`${MOVEMENT_TYPES[formData.type]} recorded`);
+        setFormData({ ...formData, amount: '', reason: '', reference: '' });
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to record cash movement')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">Cash Movement</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <select
+          value={formData.type}
+          onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+          className="input"
+        >
+          {Object.entries(MOVEMENT_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0.01"
+          step="0.01"
+          value={formData.amount}
+          onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+          className="input"
+          placeholder="Amount"
+          required
+        />
+        <input
+          type="text"
+          value={formData.reason}
+          onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+          className="input"
+          placeholder={formData.type === 'payout' ? 'Reason (required)' : 'Reason'}
+          required={formData.type === 'payout'}
+        />
+        <input
+          type="text"
+          value={formData.reference}
+          onChange={(e) => setFormData({ ...formData, reference: e.target.value })}
+          className="input"
+          placeholder="Reference"
+        />
+      </div>
+      <div className="flex justify-end">
+        <button type="submit" disabled={isLoading} className="btn btn-secondary btn-md">
+          {isLoading ? 'Saving...' : 'Record'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CloseTillForm = ({ expectedAmount, onClosed }) => {
+  const [counts, setCounts] = useState({});
+  const [notesClose, setNotesClose] = useState('');
+  const [closeTill, { isLoading }] = useCloseTillMutation();
+
+  const counted = DENOMINATIONS.reduce((sum, value) => sum + value * (parseInt(counts[value], 10) || 0), 0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Close the till with ${formatCurrency(counted)} counted? This cannot be undone.`)) return;
+    closeTill({
+      denominations: DENOMINATIONS.map((value) => ({ value, count: parseInt(counts[value], 10) || 0 })),
+      notesClose: notesClose || undefined
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success('Till closed');
+        if (res?.zReport) onClosed(res.zReport);
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to close till')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">Close Till</h3>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        {DENOMINATIONS.map((value) => (
+          <div key={value}>
+            <label className="block text-xs font-medium text-gray-500 mb-1">{value}</label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={counts[value] || ''}
+              onChange={(e) => setCounts({ ...counts, [value]: e.target.value })}
+              className="input"
+            />
+          </div>
+        ))}
+      </div>
+      <input
+        type="text"
+        value={notesClose}
+        onChange={(e) => setNotesClose(e.target.value)}
+        className="input"
+        placeholder="Closing notes"
+      />
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-600">
+          Counted <span className="font-semibold text-gray-900">{formatCurrency(counted)}</span>
+          {' · '}Expected {formatCurrency(expectedAmount)}
+        </span>
+        <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+          {isLoading ? 'Closing...' : 'Close Till'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export const Till = () => {
+  const { hasPermission } = useAuth();
+  const [report, setReport] = useState(null);
+  const [zReportId, setZReportId] = useState(null);
+
+  const { data: currentData, isLoading, error: currentError } = useGetCurrentTillQuery(undefined, {
+    refetchOnMountOrArgChange: true
+  });
+  const { data: sessionsData, isLoading: sessionsLoading } = useGetTillSessionsQuery({ limit: 20 });
+  const [getXReport, { isFetching: loadingXReport }] = useLazyGetTillXReportQuery();
+
+  // The current-till endpoint answers 400 when the user has no open till
+  const noOpenTill = currentError?.status === 400;
+  const current = currentData?.data;
+  const sessions = sessionsData?.data || [];
+
+  const handleXReport = () => {
+    getXReport({})
+      .unwrap()
+      .then((res) => setReport(res.data))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to load X report')));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <Calculator className="h-6 w-6 mr-2" />
+          Till
+        </h1>
+        <p className="text-gray-600">Open and close your cash drawer, record drops and pay-outs, and print X and Z reports</p>
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : noOpenTill ? (
+        hasPermission('open_till') ? (
+          <OpenTillForm />
+        ) : (
+          <p className="bg-white rounded-lg shadow p-6 text-center text-gray-500">You have no open till.</p>
+        )
+      ) : currentError || !current ? (
+        <p className="bg-white rounded-lg shadow p-6 text-center text-red-600">{errorMessage(currentError, 'Failed to load till')}</p>
+      ) : (
+        <div className="bg-white rounded-lg shadow p-6 space-y-6">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Till Open</h2>
+              <p className="text-sm text-gray-500">
+                Since {formatDateTime(current.session.openedAt)}
+                {current.session.notesOpen && ` · ${current.session.notesOpen}`}
+              </p>
+            </div>
+            <button onClick={handleXReport} disabled={loadingXReport} className="btn btn-secondary btn-md">
+              {loadingXReport ? 'Loading...' : 'X Report'}
+            </button>
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <CashBreakdown breakdown={current.expectedBreakdown} expectedAmount={current.expectedAmount} />
+            {(hasPermission('open_till') || hasPermission('close_till')) && <CashMovementForm />}
+          </div>
+          {hasPermission('close_till') && (
+            <div className="border-t border-gray-200 pt-4">
+              <CloseTillForm expectedAmount={current.expectedAmount} onClosed={setReport} />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Recent Sessions</h2>
+        </div>
+        {sessionsLoading ? (
+          <LoadingSpinner />
+        ) : sessions.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No till sessions yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Z Report</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Declared</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Variance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sessions.map((session) => (
+                <tr key={session._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDateTime(session.openedAt)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {session.status === 'closed' ? formatDate(session.closedAt) : 'Open'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {session.status === 'closed' ? (
+                      <button onClick={() => setZReportId(session._id)} className="text-blue-600 hover:text-blue-800">
+                        {session.zReportNumber || 'View'}
+                      </button>
+                    ) : '-'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">
+                    {session.status === 'closed' ? formatCurrency(session.expectedAmount) : '-'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                    {session.status === 'closed' ? formatCurrency(session.closingDeclaredAmount) : '-'}
+                  </td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${VARIANCE_STYLES[session.varianceType] || ''}`}>
+                    {session.status === 'closed' ? formatCurrency(session.varianceAmount) : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {report && <TillReportModal report={report} onClose={() => setReport(null)} />}
+      {zReportId && <ZReportLoader sessionId={zReportId} onClose={() => setZReportId(null)} />}
+    </div>
+  );
+};
+
+export default Till;
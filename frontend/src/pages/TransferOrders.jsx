@@ -0,0 +1,811 @@
+import React, { useState } from 'react';
+import { ArrowRightLeft, FileDown, Plus, Search, Trash2, Truck, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan } from '../utils/dateUtils';
+import { useGetWarehousesQuery } from '../store/services/warehousesApi';
+import { useGetProductsQuery } from '../store/services/productsApi';
+import {
+  useGetTransferOrdersQuery,
+  useGetTransferOrderQuery,
+  useGetInTransitStockQuery,
+  useCreateTransferOrderMutation,
+  useDispatchTransferOrderMutation,
+  useMarkTransferInTransitMutation,
+  useReceiveTransferOrderMutation,
+  useCancelTransferOrderMutation,
+  useDownloadGatePassMutation,
+  useDeleteTransferOrderMutation,
+} from '../store/services/transferOrdersApi';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  dispatched: 'Dispatched',
+  in_transit: 'In Transit',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  dispatched: 'bg-blue-100 text-blue-800',
+  in_transit: 'bg-indigo-100 text-indigo-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const DISCREPANCY_REASONS = ['short', 'damaged', 'lost', 'excess', 'other'];
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const warehouseLabel = (warehouse) =>
+  warehouse?.code ? `${warehouse.name} (${warehouse.code})` : warehouse?.name || '';
+
+const outstandingQuantity = (item) =>
+  (item.dispatchedQuantity || 0) - (item.receivedQuantity || 0) - (item.discrepancyQuantity || 0);
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status] || STATUS_STYLES.draft}`}>
+    {STATUS_LABELS[status] || status}
+  </span>
+);
+
+const ProductPicker = ({ onSelect }) => {
+  const [search, setSearch] = useState('');
+  const { data, isFetching } = useGetProductsQuery({ search, limit: 50 }, { skip: search.trim().length < 2 });
+  const products = data?.data?.products || data?.products || [];
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input pl-10"
+          placeholder="Search products to transfer..."
+        />
+      </div>
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {isFetching ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+          ) : products.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">No products found.</p>
+          ) : (
+            products.map((product) => (
+              <button
+                key={product._id}
+                type="button"
+                onClick={() => {
+                  onSelect(product);
+                  setSearch('');
+                }}
+                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-900">{product.name}</span>
+                {product.sku && <span className="ml-2 text-gray-500">{product.sku}</span>}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CreateTransferModal = ({ warehouses, onClose }) => {
+  const [formData, setFormData] = useState({
+    fromWarehouse: '',
+    toWarehouse: '',
+    transferDate: getCurrentDatePakistan(),
+    expectedArrival: '',
+    notes: ''
+  });
+  const [items, setItems] = useState([]);
+  const [createTransfer, { isLoading }] = useCreateTransferOrderMutation();
+
+  const addItem = (product) => {
+    if (items.some((item) => item.product === product._id)) {
+      toast.error(`${product.name} is already on this transfer`);
+      return;
+    }
+    setItems([...items, { product: product._id, productName: product.name, productSku: product.sku, quantity: '1' }]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.fromWarehouse || !formData.toWarehouse) {
+      toast.error('Select the source and destination warehouses');
+      return;
+    }
+    if (formData.fromWarehouse === formData.toWarehouse) {
+      toast.error('Source and destination warehouses must differ');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+
+    createTransfer({
+      fromWarehouse: formData.fromWarehouse,
+      toWarehouse: formData.toWarehouse,
+      transferDate: formData.transferDate || undefined,
+      expectedArrival: formData.expectedArrival || undefined,
+      notes: formData.notes || undefined,
+      items: items.map((item) => ({ product: item.product, quantity: parseFloat(item.quantity) }))
+    })
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Transfer order created');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to create transfer order')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">New Transfer Order</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              ['fromWarehouse', 'From Warehouse'],
+              ['toWarehouse', 'To Warehouse']
+            ].map(([field, label]) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                <select
+                  value={formData[field]}
+                  onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+                  className="input"
+                  required
+                >
+                  <option value="">Select warehouse</option>
+                  {warehouses.map((warehouse) => (
+                    <option key={warehouse._id} value={warehouse._id}>{warehouseLabel(warehouse)}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Transfer Date</label>
+              <input
+                type="date"
+                value={formData.transferDate}
+                onChange={(e) => setFormData({ ...formData, transferDate: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Expected Arrival</label>
+              <input
+                type="date"
+                value={formData.expectedArrival}
+                onChange={(e) => setFormData({ ...formData, expectedArrival: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Products</label>
+            <ProductPicker onSelect={addItem} />
+            {items.length > 0 && (
+              <table className="min-w-full divide-y divide-gray-200 text-sm mt-3">
+                <tbody className="divide-y divide-gray-200">
+                  {items.map((item, index) => (
+                    <tr key={item.product}>
+                      <td className="py-2 text-gray-900">
+                        {item.productName}
+                        {item.productSku && <span className="ml-2 text-gray-500">{item.productSku}</span>}
+                      </td>
+                      <td className="py-2 w-32">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={item.quantity}
+                          onChange={(e) => setItems(items.map((row, i) => (i === index ? { ...row, quantity: e.target.value } : row)))}
+                          className="input"
+                          required
+                        />
+                      </td>
+                      <td className="py-2 w-10 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setItems(items.filter((_, i) => i !== index))}
+                          className="p-1 text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              className="input"
+              rows={2}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-md">Cancel</button>
+            <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+              {isLoading ? 'Saving...' : 'Create Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const DispatchForm = ({ transferOrder }) => {
+  const [formData, setFormData] = useState({
+    gatePassNumber: transferOrder.gatePassNumber || '',
+    expectedArrival: transferOrder.expectedArrival ? transferOrder.expectedArrival.slice(0, 10) : '',
+    vehicleNumber: transferOrder.transport?.vehicleNumber || '',
+    driverName: transferOrder.transport?.driverName || '',
+    driverPhone: transferOrder.transport?.driverPhone || '',
+    carrier: transferOrder.transport?.carrier || ''
+  });
+  const [dispatchTransfer, { isLoading }] = useDispatchTransferOrderMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatchTransfer({
+      id: transferOrder._id,
+      gatePassNumber: formData.gatePassNumber || undefined,
+      expectedArrival: formData.expectedArrival || undefined,
+      transport: {
+        vehicleNumber: formData.vehicleNumber,
+        driverName: formData.driverName,
+        driverPhone: formData.driverPhone,
+        carrier: formData.carrier
+      }
+    })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Transfer order dispatched'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to dispatch transfer order')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 space-y-4">
+      <h3 className="text-sm font-semibold text-gray-900">Dispatch &amp; Gate Pass</h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {[
+          ['gatePassNumber', 'Gate Pass No.', 'Generated if left blank'],
+          ['vehicleNumber', 'Vehicle No.', ''],
+          ['carrier', 'Carrier', ''],
+          ['driverName', 'Driver', ''],
+          ['driverPhone', 'Driver Phone', '']
+        ].map(([field, label, placeholder]) => (
+          <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+            <input
+              type="text"
+              value={formData[field]}
+              onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+              className="input"
+              placeholder={placeholder}
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Expected Arrival</label>
+          <input
+            type="date"
+            value={formData.expectedArrival}
+            onChange={(e) => setFormData({ ...formData, expectedArrival: e.target.value })}
+            className="input"
+          />
+        </div>
+      </div>
+      <div className="flex justify-end">
+        <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+          <Truck className="h-4 w-4 mr-2" />
+          {isLoading ? 'Dispatching...' : 'Dispatch'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ReceiveForm = ({ transferOrder }) => {
+  const openItems = transferOrder.items.filter((item) => outstandingQuantity(item) > 0);
+  const [lines, setLines] = useState(Object.fromEntries(
+    openItems.map((item) => [item._id, { receivedQuantity: String(outstandingQuantity(item)), discrepancyReason: '', discrepancyNotes: '' }])
+  ));
+  const [closeTransfer, setCloseTransfer] = useState(false);
+  const [receiveTransfer, { isLoading }] = useReceiveTransferOrderMutation();
+
+  const updateLine = (itemId, field, value) => setLines({ ...lines, [itemId]: { ...lines[itemId], [field]: value } });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    receiveTransfer({
+      id: transferOrder._id,
+      closeTransfer,
+      items: openItems.map((item) => ({
+        itemId: item._id,
+        receivedQuantity: parseFloat(lines[item._id].receivedQuantity) || 0,
+        discrepancyReason: lines[item._id].discrepancyReason || undefined,
+        discrepancyNotes: lines[item._id].discrepancyNotes || undefined
+      }))
+    })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Transfer order received'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to receive transfer order')));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 space-y-4">
+      <h3 className="text-sm font-semibold text-gray-900">Receive at {warehouseLabel(transferOrder.toWarehouse)}</h3>
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discrepancy</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {openItems.map((item) => (
+            <tr key={item._id}>
+              <td className="px-4 py-2 text-gray-900">{item.productName || item.product?.name}</td>
+              <td className="px-4 py-2 text-right text-gray-500">{outstandingQuantity(item)}</td>
+              <td className="px-4 py-2 w-28">
+                <input
+                  type="number"
+                  min="0"
+                  max={outstandingQuantity(item)}
+                  step="1"
+                  value={lines[item._id].receivedQuantity}
+                  onChange={(e) => updateLine(item._id, 'receivedQuantity', e.target.value)}
+                  className="input"
+                />
+              </td>
+              <td className="px-4 py-2">
+                <div className="flex gap-2">
+                  <select
+                    value={lines[item._id].discrepancyReason}
+                    onChange={(e) => updateLine(item._id, 'discrepancyReason', e.target.value)}
+                    className="input w-32"
+                  >
+                    <option value="">None</option>
+                    {DISCREPANCY_REASONS.map((reason) => (
+                      <option key={reason} value={reason} className="capitalize">{reason}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={lines[item._id].discrepancyNotes}
+                    onChange={(e) => updateLine(item._id, 'discrepancyNotes', e.target.value)}
+                    className="input"
+                    placeholder="Notes"
+                  />
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={closeTransfer}
+            onChange={(e) => setCloseTransfer(e.target.checked)}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+          />
+          Close the transfer and record any shortfall as a discrepancy
+        </label>
+        <button type="submit" disabled={isLoading} className="btn btn-primary btn-md">
+          {isLoading ? 'Receiving...' : 'Receive'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const TransferDetailModal = ({ transferId, canManage, onClose }) => {
+  const { data, isLoading } = useGetTransferOrderQuery(transferId, { refetchOnMountOrArgChange: true });
+  const [markInTransit, { isLoading: markingInTransit }] = useMarkTransferInTransitMutation();
+  const [cancelTransfer, { isLoading: cancelling }] = useCancelTransferOrderMutation();
+  const [deleteTransfer] = useDeleteTransferOrderMutation();
+  const [downloadGatePass, { isLoading: downloading }] = useDownloadGatePassMutation();
+  const transferOrder = data?.data;
+
+  const handleInTransit = () => {
+    markInTransit(transferId)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Transfer order marked as in transit'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to update transfer order')));
+  };
+
+  const handleCancel = () => {
+    const reason = window.prompt(
+      transferOrder.status === 'draft'
+        ? 'Reason for cancelling this transfer?'
+        : 'Cancelling returns the outstanding stock to the source warehouse. Reason?'
+    );
+    if (reason === null) return;
+    cancelTransfer({ id: transferId, reason: reason || undefined })
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Transfer order cancelled'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to cancel transfer order')));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete draft transfer ${transferOrder.transferNumber}?`)) return;
+    deleteTransfer(transferId)
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Transfer order deleted');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete transfer order')));
+  };
+
+  const handleGatePass = async () => {
+    try {
+      const response = await downloadGatePass(transferId).unwrap();
+      const blob = response instanceof Blob ? response : new Blob([response], { type: 'application/pdf' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `gate-pass-${transferOrder.transferNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to download gate pass'));
+    }
+  };
+
+  const status = transferOrder?.status;
+  const canReceive = ['dispatched', 'in_transit', 'partially_received'].includes(status);
+  const canCancel = ['draft', 'dispatched', 'in_transit', 'partially_received'].includes(status);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {transferOrder ? `Transfer ${transferOrder.transferNumber}` : 'Transfer Order'}
+            </h2>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          {isLoading || !transferOrder ? (
+            <LoadingSpinner />
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <StatusBadge status={status} />
+                <span>{warehouseLabel(transferOrder.fromWarehouse)} → {warehouseLabel(transferOrder.toWarehouse)}</span>
+                <span>· {formatDate(transferOrder.transferDate)}</span>
+                {transferOrder.gatePassNumber && <span>· Gate pass {transferOrder.gatePassNumber}</span>}
+                {transferOrder.transport?.vehicleNumber && <span>· Vehicle {transferOrder.transport.vehicleNumber}</span>}
+                {transferOrder.expectedArrival && <span>· Expected {formatDate(transferOrder.expectedArrival)}</span>}
+              </div>
+
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ordered</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Dispatched</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Discrepancy</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {transferOrder.items.map((item) => (
+                    <tr key={item._id}>
+                      <td className="px-4 py-2 text-gray-900">
+                        {item.productName || item.product?.name}
+                        {item.batches?.length > 0 && (
+                          <span className="block text-xs text-gray-500">
+                            {item.batches.map((batch) => `${batch.batchNumber} × ${batch.quantity}`).join(', ')}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-500">{item.quantity}</td>
+                      <td className="px-4 py-2 text-right text-gray-500">{item.dispatchedQuantity}</td>
+                      <td className="px-4 py-2 text-right text-gray-900">{item.receivedQuantity}</td>
+                      <td className="px-4 py-2 text-right text-gray-500">
+                        {item.discrepancyQuantity > 0
+                          ? `${item.discrepancyQuantity}${item.discrepancyReason ? ` (${item.discrepancyReason})` : ''}`
+                          : ''}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-500">
+                        {formatCurrency((item.dispatchedQuantity || item.quantity) * (item.unitCost || 0))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {transferOrder.notes && <p className="text-sm text-gray-600">{transferOrder.notes}</p>}
+
+              <div className="flex flex-wrap justify-end gap-3">
+                {status !== 'draft' && status !== 'cancelled' && (
+                  <button onClick={handleGatePass} disabled={downloading} className="btn btn-secondary btn-md">
+                    <FileDown className="h-4 w-4 mr-2" />
+                    Gate Pass
+                  </button>
+                )}
+                {canManage && status === 'dispatched' && (
+                  <button onClick={handleInTransit} disabled={markingInTransit} className="btn btn-secondary btn-md">
+                    Mark In Transit
+                  </button>
+                )}
+                {canManage && canCancel && (
+                  <button onClick={handleCancel} disabled={cancelling} className="btn btn-secondary btn-md text-red-600">
+                    Cancel Transfer
+                  </button>
+                )}
+                {canManage && status === 'draft' && (
+                  <button onClick={handleDelete} className="btn btn-secondary btn-md text-red-600">
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Delete
+                  </button>
+                )}
+              </div>
+
+              {canManage && status === 'draft' && <DispatchForm transferOrder={transferOrder} />}
+              {canManage && canReceive && <ReceiveForm key={transferOrder.updatedAt} transferOrder={transferOrder} />}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const InTransitTab = ({ warehouses }) => {
+  const [warehouse, setWarehouse] = useState('');
+  const { data, isLoading, error } = useGetInTransitStockQuery(
+    { warehouse: warehouse || undefined },
+    { refetchOnMountOrArgChange: true }
+  );
+  const rows = data?.data || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4">
+        <select value={warehouse} onChange={(e) => setWarehouse(e.target.value)} className="input sm:w-64">
+          <option value="">All Destinations</option>
+          {warehouses.map((row) => (
+            <option key={row._id} value={row._id}>{warehouseLabel(row)}</option>
+          ))}
+        </select>
+      </div>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load stock in transit')}</p>
+        ) : rows.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No stock is in transit.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Destination</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transfers</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.map((row) => (
+                <tr key={`${row.product}_${row.toWarehouse?._id}`}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {row.productName}
+                    {row.productSku && <span className="ml-2 text-gray-500">{row.productSku}</span>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{warehouseLabel(row.toWarehouse)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {row.transfers.map((transfer) => `${transfer.transferNumber} (${transfer.quantity})`).join(', ')}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-right text-gray-900">{row.quantity}</td>
+                  <td className="px-6 py-4 text-sm text-right text-gray-900">{formatCurrency(row.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const TransfersTab = ({ warehouses, canManage }) => {
+  const [filters, setFilters] = useState({ status: '', warehouse: '', search: '' });
+  const [page, setPage] = useState(1);
+  const [showCreate, setShowCreate] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const { data, isLoading, error } = useGetTransferOrdersQuery(
+    {
+      status: filters.status || undefined,
+      warehouse: filters.warehouse || undefined,
+      search: filters.search || undefined,
+      page
+    },
+    { refetchOnMountOrArgChange: true }
+  );
+  const transferOrders = data?.data?.transferOrders || [];
+  const pagination = data?.data?.pagination || {};
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={updateFilter('search')}
+            className="input pl-10"
+            placeholder="Search by transfer, gate pass or product..."
+          />
+        </div>
+        <select value={filters.status} onChange={updateFilter('status')} className="input sm:w-48">
+          <option value="">All Statuses</option>
+          {Object.entries(STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.warehouse} onChange={updateFilter('warehouse')} className="input sm:w-56">
+          <option value="">All Warehouses</option>
+          {warehouses.map((warehouse) => (
+            <option key={warehouse._id} value={warehouse._id}>{warehouseLabel(warehouse)}</option>
+          ))}
+        </select>
+        {canManage && (
+          <button onClick={() => setShowCreate(true)} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            New Transfer
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load transfer orders')}</p>
+        ) : transferOrders.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No transfer orders found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transfer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gate Pass</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transferOrders.map((transferOrder) => (
+                  <tr
+                    key={transferOrder._id}
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => setSelectedId(transferOrder._id)}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{transferOrder.transferNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(transferOrder.transferDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{warehouseLabel(transferOrder.fromWarehouse)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{warehouseLabel(transferOrder.toWarehouse)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transferOrder.gatePassNumber || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">{transferOrder.items?.length || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm"><StatusBadge status={transferOrder.status} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {pagination.pages > 1 && (
+              <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                <span>Page {pagination.current} of {pagination.pages}</span>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <button className="btn btn-secondary btn-sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {showCreate && <CreateTransferModal warehouses={warehouses} onClose={() => setShowCreate(false)} />}
+      {selectedId && (
+        <TransferDetailModal transferId={selectedId} canManage={canManage} onClose={() => setSelectedId(null)} />
+      )}
+    </div>
+  );
+};
+
+export const TransferOrders = () => {
+  const { hasPermission } = useAuth();
+  const [activeTab, setActiveTab] = useState('transfers');
+
+  const { data: warehousesData } = useGetWarehousesQuery({ isActive: 'true', limit: 100 });
+  const warehouses = warehousesData?.data?.warehouses || warehousesData?.warehouses || [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ArrowRightLeft className="h-6 w-6 mr-2" />
+          Transfer Orders
+        </h1>
+        <p className="text-gray-600">Move stock between warehouses with a gate pass and track what is still on the road</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['transfers', 'Transfers'],
+            ['in_transit', 'Stock In Transit']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'transfers' && (
+        <TransfersTab warehouses={warehouses} canManage={hasPermission('update_inventory')} />
+      )}
+      {activeTab === 'in_transit' && <InTransitTab warehouses={warehouses} />}
+    </div>
+  );
+};
+
+export default TransferOrders;
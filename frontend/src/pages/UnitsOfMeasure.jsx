@@ -0,0 +1,552 @@
+import React, { useEffect, useState } from 'react';
+import { Edit, Plus, Ruler, Search, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency } from '../utils/formatters';
+import { useGetProductsQuery, useGetProductQuery, useUpdateProductMutation } from '../store/services/productsApi';
+import {
+  useGetUnitsOfMeasureQuery,
+  useConvertUnitQuantityMutation,
+  useCreateUnitOfMeasureMutation,
+  useUpdateUnitOfMeasureMutation,
+  useDeleteUnitOfMeasureMutation,
+} from '../store/services/unitsOfMeasureApi';
+
+const CUSTOMER_TYPES = ['retail', 'wholesale', 'distributor'];
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const emptyAlternate = { unit: '', conversionFactor: '', barcode: '', retail: '', wholesale: '', distributor: '', isDefaultSalesUnit: false, isDefaultPurchaseUnit: false };
+
+const UnitModal = ({ unit, onClose }) => {
+  const [formData, setFormData] = useState({
+    code: unit?.code || '',
+    name: unit?.name || '',
+    allowsFraction: unit?.allowsFraction ?? false,
+    decimalPlaces: String(unit?.decimalPlaces ?? 0),
+    isActive: unit?.isActive ?? true
+  });
+  const [createUnit, { isLoading: creating }] = useCreateUnitOfMeasureMutation();
+  const [updateUnit, { isLoading: updating }] = useUpdateUnitOfMeasureMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      allowsFraction: formData.allowsFraction,
+      decimalPlaces: formData.allowsFraction ? parseInt(formData.decimalPlaces, 10) || 0 : 0,
+      isActive: formData.isActive
+    };
+    const request = unit ? updateUnit({ id: unit._id, ...payload }) : createUnit({ code: formData.code, ...payload });
+    request
+      .unwrap()
+      .then((res) => {
+        toast.success(res?.message || 'Unit of measure saved');
+        onClose();
+      })
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save unit of measure')));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">{unit ? `Edit ${unit.code}` : 'New Unit of Measure'}</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Code</label>
+            <input
+              type="text"
+              value={formData.code}
+              onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+              className="input"
+              placeholder="e.g. ctn"
+              disabled={Boolean(unit)}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="input"
+              placeholder="e.g. Carton"
+              required
+            />
+          </div>
+          <div className="flex items-center gap-6">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.allowsFraction}
+                onChange={(e) => setFormData({ ...formData, allowsFraction: e.target.checked })}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+              />
+              Allows fractions
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.isActive}
+                onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+              />
+              Active
+            </label>
+          </div>
+          {formData.allowsFraction && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Decimal Places</label>
+              <input
+                type="number"
+                min="0"
+                max="6"
+                value={formData.decimalPlaces}
+                onChange={(e) => setFormData({ ...formData, decimalPlaces: e.target.value })}
+                className="input"
+              />
+            </div>
+          )}
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-md">Cancel</button>
+            <button type="submit" disabled={creating || updating} className="btn btn-primary btn-md">
+              {creating || updating ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const UnitsTab = ({ units, isLoading, canEdit }) => {
+  const [editing, setEditing] = useState(null);
+  const [deleteUnit] = useDeleteUnitOfMeasureMutation();
+
+  const handleDelete = (unit) => {
+    if (!window.confirm(`Delete unit ${unit.code}?`)) return;
+    deleteUnit(unit._id)
+      .unwrap()
+      .then((res) => toast.success(res?.message || 'Unit of measure deleted'))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to delete unit of measure')));
+  };
+
+  return (
+    <div className="space-y-4">
+      {canEdit && (
+        <div className="flex justify-end">
+          <button onClick={() => setEditing({})} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            New Unit
+          </button>
+        </div>
+      )}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : units.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">No units of measure yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantities</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                {canEdit && <th className="px-6 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {units.map((unit) => (
+                <tr key={unit._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{unit.code}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{unit.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {unit.allowsFraction ? `Fractions to ${unit.decimalPlaces} decimal(s)` : 'Whole numbers'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${unit.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {unit.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  {canEdit && (
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <button onClick={() => setEditing(unit)} className="p-1 text-blue-600 hover:text-blue-800">
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => handleDelete(unit)} className="p-1 ml-2 text-red-600 hover:text-red-800">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {editing && <UnitModal unit={editing._id ? editing : null} onClose={() => setEditing(null)} />}
+    </div>
+  );
+};
+
+const ProductPicker = ({ onSelect }) => {
+  const [search, setSearch] = useState('');
+  const { data, isFetching } = useGetProductsQuery({ search, limit: 50 }, { skip: search.trim().length < 2 });
+  const products = data?.data?.products || data?.products || [];
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input pl-10"
+          placeholder="Search for a product to set up its units..."
+        />
+      </div>
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {isFetching ? (
+            <p className="px-4 py-2 text-sm text-gray-500">Searching...</p>
+          ) : products.length === 0 ? (
+            <p className="px-4 py-2 text-sm text-gray-500">No products found.</p>
+          ) : (
+            products.map((product) => (
+              <button
+                key={product._id}
+                type="button"
+                onClick={() => {
+                  onSelect(product._id);
+                  setSearch('');
+                }}
+                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-900">{product.name}</span>
+                {product.sku && <span className="ml-2 text-gray-500">{product.sku}</span>}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const UnitConverter = ({ product, units }) => {
+  const [formData, setFormData] = useState({ quantity: '1', unit: '', customerType: 'retail' });
+  const [result, setResult] = useState(null);
+  const [convert, { isLoading }] = useConvertUnitQuantityMutation();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    convert({
+      product: product._id,
+      quantity: parseFloat(formData.quantity),
+      unit: formData.unit || undefined,
+      customerType: formData.customerType
+    })
+      .unwrap()
+      .then((res) => setResult(res?.data))
+      .catch((err) => {
+        setResult(null);
+        toast.error(errorMessage(err, 'Failed to convert quantity'));
+      });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 space-y-3">
+      <h3 className="text-sm font-semibold text-gray-900">Quote a Quantity</h3>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={formData.quantity}
+          onChange={(e) => setFormData({ ...formData, quantity: e.target.value })}
+          className="input sm:w-32"
+          required
+        />
+        <select
+          value={formData.unit}
+          onChange={(e) => setFormData({ ...formData, unit: e.target.value })}
+          className="input sm:w-40"
+        >
+          <option value="">{product.baseUnit || 'pcs'} (base)</option>
+          {units.filter((row) => row.unit).map((row) => (
+            <option key={row.unit} value={row.unit}>{row.unit}</option>
+          ))}
+        </select>
+        <select
+          value={formData.customerType}
+          onChange={(e) => setFormData({ ...formData, customerType: e.target.value })}
+          className="input sm:w-40 capitalize"
+        >
+          {CUSTOMER_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <button type="submit" disabled={isLoading} className="btn btn-secondary btn-md">Convert</button>
+      </div>
+      {result && (
+        <p className="text-sm text-gray-700">
+          {result.unitQuantity} {result.unit} = {result.quantity} {result.baseUnit}
+          {' '}· {formatCurrency(result.pricePerUnit)} per {result.unit} ({formatCurrency(result.pricePerBaseUnit)} per {result.baseUnit})
+        </p>
+      )}
+    </form>
+  );
+};
+
+const ProductUnitsTab = ({ units, canEdit }) => {
+  const [productId, setProductId] = useState(null);
+  const [baseUnit, setBaseUnit] = useState('pcs');
+  const [alternates, setAlternates] = useState([]);
+  const { data, isFetching } = useGetProductQuery(productId, { skip: !productId, refetchOnMountOrArgChange: true });
+  const [updateProduct, { isLoading: saving }] = useUpdateProductMutation();
+  const product = productId ? data?.product || data?.data : null;
+  const activeUnits = units.filter((unit) => unit.isActive);
+
+  // Edit a copy of the product's units each time a product is loaded
+  useEffect(() => {
+    if (!product) return;
+    setBaseUnit(product.baseUnit || 'pcs');
+    setAlternates((product.alternateUnits || []).map((row) => ({
+      unit: row.unit,
+      conversionFactor: String(row.conversionFactor),
+      barcode: row.barcode || '',
+      retail: row.pricing?.retail ?? '',
+      wholesale: row.pricing?.wholesale ?? '',
+      distributor: row.pricing?.distributor ?? '',
+      isDefaultSalesUnit: Boolean(row.isDefaultSalesUnit),
+      isDefaultPurchaseUnit: Boolean(row.isDefaultPurchaseUnit)
+    })));
+  }, [product]);
+
+  const updateAlternate = (index, field, value) => {
+    setAlternates(alternates.map((row, i) => {
+      if (i === index) return { ...row, [field]: value };
+      // Only one default sales and one default purchase unit
+      if (value === true && (field === 'isDefaultSalesUnit' || field === 'isDefaultPurchaseUnit')) return { ...row, [field]: false };
+      return row;
+    }));
+  };
+
+  const priceOrNull = (value) => (value === '' || value === null ? null : parseFloat(value));
+
+  const handleSave = () => {
+    updateProduct({
+      id: product._id,
+      baseUnit,
+      alternateUnits: alternates.map((row) => ({
+        unit: row.unit,
+        conversionFactor: parseFloat(row.conversionFactor),
+        barcode: row.barcode || undefined,
+        pricing: { retail: priceOrNull(row.retail), wholesale: priceOrNull(row.wholesale), distributor: priceOrNull(row.distributor) },
+        isDefaultSalesUnit: row.isDefaultSalesUnit,
+        isDefaultPurchaseUnit: row.isDefaultPurchaseUnit
+      }))
+    })
+      .unwrap()
+      .then(() => toast.success(`Units saved for ${product.name}`))
+      .catch((err) => toast.error(errorMessage(err, 'Failed to save product units')));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <ProductPicker onSelect={setProductId} />
+      {isFetching && <LoadingSpinner />}
+      {!isFetching && product && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div className="flex-1">
+              <p className="text-lg font-semibold text-gray-900">{product.name}</p>
+              <p className="text-sm text-gray-500">Stock, costs and prices are held in the base unit.</p>
+            </div>
+            <div className="sm:w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Base Unit</label>
+              <select value={baseUnit} onChange={(e) => setBaseUnit(e.target.value)} className="input" disabled={!canEdit}>
+                {activeUnits.map((unit) => (
+                  <option key={unit._id} value={unit.code}>{unit.code} - {unit.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{baseUnit} per Unit</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Barcode</th>
+                  {CUSTOMER_TYPES.map((type) => (
+                    <th key={type} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{type}</th>
+                  ))}
+                  <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Sell</th>
+                  <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Buy</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {alternates.map((row, index) => (
+                  <tr key={index}>
+                    <td className="px-3 py-2 w-32">
+                      <select
+                        value={row.unit}
+                        onChange={(e) => updateAlternate(index, 'unit', e.target.value)}
+                        className="input"
+                        disabled={!canEdit}
+                      >
+                        <option value="">Select</option>
+                        {activeUnits.filter((unit) => unit.code !== baseUnit).map((unit) => (
+                          <option key={unit._id} value={unit.code}>{unit.code}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2 w-28">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={row.conversionFactor}
+                        onChange={(e) => updateAlternate(index, 'conversionFactor', e.target.value)}
+                        className="input"
+                        disabled={!canEdit}
+                      />
+                    </td>
+                    <td className="px-3 py-2 w-36">
+                      <input
+                        type="text"
+                        value={row.barcode}
+                        onChange={(e) => updateAlternate(index, 'barcode', e.target.value)}
+                        className="input"
+                        disabled={!canEdit}
+                      />
+                    </td>
+                    {CUSTOMER_TYPES.map((type) => (
+                      <td key={type} className="px-3 py-2 w-28">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={row[type]}
+                          onChange={(e) => updateAlternate(index, type, e.target.value)}
+                          className="input"
+                          placeholder="Auto"
+                          disabled={!canEdit}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={row.isDefaultSalesUnit}
+                        onChange={(e) => updateAlternate(index, 'isDefaultSalesUnit', e.target.checked)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        disabled={!canEdit}
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={row.isDefaultPurchaseUnit}
+                        onChange={(e) => updateAlternate(index, 'isDefaultPurchaseUnit', e.target.checked)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        disabled={!canEdit}
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {canEdit && (
+                        <button
+                          type="button"
+                          onClick={() => setAlternates(alternates.filter((_, i) => i !== index))}
+                          className="p-1 text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {alternates.length === 0 && (
+              <p className="py-4 text-center text-sm text-gray-500">Sold and bought in {baseUnit} only.</p>
+            )}
+          </div>
+
+          {canEdit && (
+            <div className="flex justify-between">
+              <button type="button" onClick={() => setAlternates([...alternates, { ...emptyAlternate }])} className="btn btn-secondary btn-md">
+                <Plus className="h-4 w-4 mr-2" />
+                Add Unit
+              </button>
+              <button type="button" onClick={handleSave} disabled={saving} className="btn btn-primary btn-md">
+                {saving ? 'Saving...' : 'Save Units'}
+              </button>
+            </div>
+          )}
+
+          <UnitConverter product={product} units={product.alternateUnits || []} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export const UnitsOfMeasure = () => {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission('edit_products');
+  const [activeTab, setActiveTab] = useState('products');
+  const { data, isLoading } = useGetUnitsOfMeasureQuery();
+  const units = data?.data || [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <Ruler className="h-6 w-6 mr-2" />
+          Units of Measure
+        </h1>
+        <p className="text-gray-600">Sell and buy products in packs, cartons or weights while stock stays in the base unit</p>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            ['products', 'Product Units'],
+            ['units', 'Units']
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setActiveTab(key)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === key
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'products' && <ProductUnitsTab units={units} canEdit={canEdit} />}
+      {activeTab === 'units' && <UnitsTab units={units} isLoading={isLoading} canEdit={canEdit} />}
+    </div>
+  );
+};
+
+export default UnitsOfMeasure;
@@ -0,0 +1,310 @@
+import React, { useState } from 'react';
+import { Search, Download, Calculator } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getCurrentDatePakistan, getStartOfMonth } from '../utils/dateUtils';
+import { useGetSuppliersQuery } from '../store/services/suppliersApi';
+import { useGetCustomersQuery } from '../store/services/customersApi';
+import {
+  useGetWithholdingTransactionTypesQuery,
+  useLazyCalculateWithholdingQuery,
+  useGetWithholdingSummaryQuery,
+  useDownloadWithholdingCertificateMutation,
+} from '../store/services/withholdingTaxApi';
+
+const VOUCHER_LABELS = {
+  cash_payment: 'Cash Payment',
+  bank_payment: 'Bank Payment',
+  cash_receipt: 'Cash Receipt',
+  bank_receipt: 'Bank Receipt'
+};
+
+const errorMessage = (err, fallback) => err?.data?.message || err?.data?.errors?.[0]?.msg || fallback;
+
+const formatRate = (rate) => `${Math.round((rate || 0) * 10000) / 100}%`;
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+const WithholdingSide = ({ title, partyLabel, side, onDownload, downloading }) => (
+  <div className="bg-white rounded-lg shadow">
+    <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+      <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+      <p className="text-sm text-gray-600">
+        {formatCurrency(side.totalWithheld)} on {formatCurrency(side.totalGross)} gross
+      </p>
+    </div>
+    {side.vouchers.length === 0 ? (
+      <p className="p-6 text-center text-gray-500">No tax withheld in this period.</p>
+    ) : (
+      <>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 p-4 border-b border-gray-200">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 uppercase">
+                <th className="py-2 text-left font-medium">Transaction Type</th>
+                <th className="py-2 text-right font-medium">Count</th>
+                <th className="py-2 text-right font-medium">Gross</th>
+                <th className="py-2 text-right font-medium">Withheld</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {side.byTransactionType.map((row) => (
+                <tr key={row.transactionType}>
+                  <td className="py-2 text-gray-900">{capitalize(row.transactionType)}</td>
+                  <td className="py-2 text-right text-gray-500">{row.count}</td>
+                  <td className="py-2 text-right text-gray-900">{formatCurrency(row.grossAmount)}</td>
+                  <td className="py-2 text-right text-gray-900">{formatCurrency(row.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 uppercase">
+                <th className="py-2 text-left font-medium">{partyLabel}</th>
+                <th className="py-2 text-right font-medium">Count</th>
+                <th className="py-2 text-right font-medium">Withheld</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {side.byParty.map((row) => (
+                <tr key={row.party || 'none'}>
+                  <td className="py-2 text-gray-900">
+                    {row.partyName || '-'}
+                    {row.partyTaxNumber && <span className="block text-xs text-gray-500">{row.partyTaxNumber}</span>}
+                  </td>
+                  <td className="py-2 text-right text-gray-500">{row.count}</td>
+                  <td className="py-2 text-right text-gray-900">{formatCurrency(row.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voucher</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{partyLabel}</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Gross</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Withheld</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Certificate</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {side.vouchers.map((voucher) => (
+                <tr key={voucher.voucher}>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                    {voucher.voucherCode}
+                    <span className="block text-xs text-gray-500">
+                      {VOUCHER_LABELS[voucher.voucherType]} · {formatDate(voucher.date)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{voucher.partyName}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {capitalize(voucher.transactionType)}
+                    <span className="block text-xs">{voucher.taxCode ? `${voucher.taxCode} · ` : ''}{formatRate(voucher.rate)}</span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(voucher.grossAmount)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{formatCurrency(voucher.amount)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-500">{formatCurrency(voucher.netAmount)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    <button
+                      onClick={() => onDownload(voucher)}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                      disabled={downloading}
+                      title="Download certificate"
+                    >
+                      <Download className="h-4 w-4 mr-1" />
+                      {voucher.certificateNumber || 'PDF'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </>
+    )}
+  </div>
+);
+
+const WithholdingCalculator = () => {
+  const [params, setParams] = useState({ partyType: 'supplier', party: '', amount: '', transactionType: '', date: getCurrentDatePakistan() });
+  const { data: typesData } = useGetWithholdingTransactionTypesQuery();
+  const { data: suppliersData } = useGetSuppliersQuery({ search: '', limit: 100 });
+  const { data: customersData } = useGetCustomersQuery({ search: '', limit: 100 });
+  const [calculate, { data, isFetching, error }] = useLazyCalculateWithholdingQuery();
+  const transactionTypes = typesData?.data || [];
+  const parties = params.partyType === 'supplier'
+    ? (suppliersData?.data?.suppliers || suppliersData?.suppliers || []).map((supplier) => ({ _id: supplier._id, name: supplier.companyName || supplier.name }))
+    : (customersData?.data?.customers || customersData?.customers || []).map((customer) => ({ _id: customer._id, name: customer.displayName || customer.businessName || customer.name }));
+  const result = data?.data;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!params.party) {
+      toast.error(`Select a ${params.partyType}`);
+      return;
+    }
+    calculate({ ...params, transactionType: params.transactionType || undefined });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4">
+      <h2 className="text-lg font-semibold text-gray-900 mb-3">Withholding Calculator</h2>
+      <div className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+        <select
+          value={params.partyType}
+          onChange={(e) => setParams({ ...params, partyType: e.target.value, party: '' })}
+          className="input"
+        >
+          <option value="supplier">Paying a supplier</option>
+          <option value="customer">Receiving from a customer</option>
+        </select>
+        <select value={params.party} onChange={(e) => setParams({ ...params, party: e.target.value })} className="input">
+          <option value="">Select {params.partyType}</option>
+          {parties.map((party) => (
+            <option key={party._id} value={party._id}>{party.name}</option>
+          ))}
+        </select>
+        <select value={params.transactionType} onChange={(e) => setParams({ ...params, transactionType: e.target.value })} className="input">
+          <option value="">Party's default type</option>
+          {transactionTypes.map((type) => (
+            <option key={type} value={type}>{capitalize(type)}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          value={params.amount}
+          onChange={(e) => setParams({ ...params, amount: e.target.value })}
+          className="input"
+          placeholder="Gross amount"
+          required
+        />
+        <input type="date" value={params.date} onChange={(e) => setParams({ ...params, date: e.target.value })} className="input" />
+        <button type="submit" className="btn btn-secondary btn-md" disabled={isFetching}>
+          <Calculator className="h-4 w-4 mr-2" />
+          Calculate
+        </button>
+      </div>
+      {error && <p className="mt-3 text-sm text-red-600">{errorMessage(error, 'Failed to calculate withholding')}</p>}
+      {result && !error && (
+        <p className="mt-3 text-sm text-gray-700">
+          {result.exempt ? (
+            <span>Exempt under a valid exemption certificate; nothing is withheld.</span>
+          ) : (
+            <span>
+              Withhold {formatCurrency(result.amount)} ({capitalize(result.transactionType)} at {formatRate(result.rate)}
+              {result.taxCode ? `, ${result.taxCode}` : ''}) and settle {formatCurrency(result.netAmount)} of {formatCurrency(result.grossAmount)}.
+            </span>
+          )}
+          {!result.applicable && !result.exempt && (
+            <span className="block text-yellow-700">This party is not set up for withholding, so vouchers won't apply it automatically.</span>
+          )}
+        </p>
+      )}
+    </form>
+  );
+};
+
+export const WithholdingTax = () => {
+  const [filters, setFilters] = useState({ startDate: getStartOfMonth(), endDate: getCurrentDatePakistan() });
+  const [submitted, setSubmitted] = useState(filters);
+  const { data, isFetching, error } = useGetWithholdingSummaryQuery(submitted, { refetchOnMountOrArgChange: true });
+  const [downloadCertificate, { isLoading: downloading }] = useDownloadWithholdingCertificateMutation();
+  const summary = data?.data;
+
+  const handleDownload = async (voucher) => {
+    try {
+      const result = await downloadCertificate({ voucherType: voucher.voucherType, id: voucher.voucher }).unwrap();
+      const blob = result instanceof Blob ? result : new Blob([result], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `WHT_Certificate_${voucher.certificateNumber || voucher.voucherCode}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to download certificate'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Withholding Tax</h1>
+        <p className="text-gray-600">Tax withheld from supplier payments and by customers, with certificates for each voucher</p>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setSubmitted({ ...filters });
+        }}
+        className="bg-white rounded-lg shadow p-4 flex flex-col sm:flex-row gap-4 sm:items-end"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+          <input type="date" value={filters.startDate} onChange={(e) => setFilters({ ...filters, startDate: e.target.value })} className="input" required />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+          <input type="date" value={filters.endDate} onChange={(e) => setFilters({ ...filters, endDate: e.target.value })} className="input" required />
+        </div>
+        <button type="submit" className="btn btn-primary btn-md">
+          <Search className="h-4 w-4 mr-2" />
+          Show Summary
+        </button>
+      </form>
+
+      {isFetching ? (
+        <LoadingSpinner />
+      ) : error || !summary ? (
+        <p className="p-6 text-center text-red-600">{errorMessage(error, 'Failed to load withholding summary')}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              ['Withheld from suppliers', summary.withheldFromSuppliers.totalWithheld],
+              ['Withheld by customers', summary.withheldByCustomers.totalWithheld],
+              [`Payable to authority (${summary.ledger.payableAccount})`, summary.ledger.payableBalance],
+              [`Recoverable (${summary.ledger.receivableAccount})`, summary.ledger.receivableBalance]
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-lg shadow p-4">
+                <p className="text-xs text-gray-500 uppercase">{label}</p>
+                <p className="text-lg font-bold text-gray-900">{formatCurrency(value)}</p>
+              </div>
+            ))}
+          </div>
+
+          <WithholdingSide
+            title="Withheld from Suppliers"
+            partyLabel="Supplier"
+            side={summary.withheldFromSuppliers}
+            onDownload={handleDownload}
+            downloading={downloading}
+          />
+          <WithholdingSide
+            title="Withheld by Customers"
+            partyLabel="Customer"
+            side={summary.withheldByCustomers}
+            onDownload={handleDownload}
+            downloading={downloading}
+          />
+        </>
+      )}
+
+      <WithholdingCalculator />
+    </div>
+  );
+};
+
+export default WithholdingTax;
@@ -32,6 +32,27 @@ export const api = createApi({
     'CashReceipts',
     'CashPayments',
     'Warehouses',
+    'TransferOrders',
+    'Batches',
+    'Recalls',
+    'UnitsOfMeasure',
+    'Budgets',
+    'Tills',
+    'Notifications',
+    'ScheduledReports',
+    'BankStatements',
+    'Cheques',
+    'FixedAssets',
+    'Payables',
+    'CustomerStatements',
+    'Currencies',
+    'FiscalYears',
+    'Tax',
+    'WithholdingTax',
+    'PriceLists',
+    'Loyalty',
+    'StoredValue',
+    'Quotations',
     'RecurringExpenses',
     'Returns',
     'Discounts',
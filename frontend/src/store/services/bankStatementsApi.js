@@ -0,0 +1,158 @@
+import { api } from '../api';
+
+// Matching changes which vouchers are cleared, so voucher lists are refreshed too
+const voucherTags = [
+  { type: 'BankReceipts', id: 'LIST' },
+  { type: 'BankPayments', id: 'LIST' },
+];
+
+const statementTags = (id) => [
+  { type: 'BankStatements', id },
+  { type: 'BankStatements', id: `REPORT_${id}` },
+  { type: 'BankStatements', id: `CANDIDATES_${id}` },
+  ...voucherTags,
+];
+
+export const bankStatementsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getBankStatements: builder.query({
+      query: (params) => ({
+        url: 'bank-statements',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.statements
+          ? [
+              ...result.data.statements.map(({ _id }) => ({ type: 'BankStatements', id: _id })),
+              { type: 'BankStatements', id: 'LIST' },
+            ]
+          : [{ type: 'BankStatements', id: 'LIST' }],
+    }),
+    getBankStatement: builder.query({
+      query: (id) => ({
+        url: `bank-statements/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'BankStatements', id }],
+    }),
+    getBankReconciliationReport: builder.query({
+      query: (id) => ({
+        url: `bank-statements/${id}/report`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'BankStatements', id: `REPORT_${id}` }],
+    }),
+    getStatementLineCandidates: builder.query({
+      query: ({ id, lineId, ...params }) => ({
+        url: `bank-statements/${id}/lines/${lineId}/candidates`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'BankStatements', id: `CANDIDATES_${id}` }],
+    }),
+    importBankStatement: builder.mutation({
+      query: ({ file, ...fields }) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        Object.entries(fields).forEach(([key, value]) => {
+          if (value === undefined || value === null || value === '') return;
+          formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+        });
+        return {
+          url: 'bank-statements/import',
+          method: 'post',
+          data: formData,
+        };
+      },
+      invalidatesTags: [{ type: 'BankStatements', id: 'LIST' }, ...voucherTags],
+    }),
+    autoMatchBankStatement: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `bank-statements/${id}/auto-match`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => statementTags(id),
+    }),
+    matchStatementLine: builder.mutation({
+      query: ({ id, lineId, vouchers }) => ({
+        url: `bank-statements/${id}/lines/${lineId}/match`,
+        method: 'post',
+        data: { vouchers },
+      }),
+      invalidatesTags: (_r, _e, { id }) => statementTags(id),
+    }),
+    unmatchStatementLine: builder.mutation({
+      query: ({ id, lineId }) => ({
+        url: `bank-statements/${id}/lines/${lineId}/unmatch`,
+        method: 'post',
+      }),
+      invalidatesTags: (_r, _e, { id }) => statementTags(id),
+    }),
+    ignoreStatementLine: builder.mutation({
+      query: ({ id, lineId, notes }) => ({
+        url: `bank-statements/${id}/lines/${lineId}/ignore`,
+        method: 'post',
+        data: { notes },
+      }),
+      invalidatesTags: (_r, _e, { id }) => statementTags(id),
+    }),
+    splitStatementLine: builder.mutation({
+      query: ({ id, lineId, amounts }) => ({
+        url: `bank-statements/${id}/lines/${lineId}/split`,
+        method: 'post',
+        data: { amounts },
+      }),
+      invalidatesTags: (_r, _e, { id }) => statementTags(id),
+    }),
+    createVoucherFromStatementLine: builder.mutation({
+      query: ({ id, lineId, ...data }) => ({
+        url: `bank-statements/${id}/lines/${lineId}/create-voucher`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => statementTags(id),
+    }),
+    completeBankReconciliation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `bank-statements/${id}/complete`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [...statementTags(id), { type: 'BankStatements', id: 'LIST' }],
+    }),
+    reopenBankStatement: builder.mutation({
+      query: (id) => ({
+        url: `bank-statements/${id}/reopen`,
+        method: 'post',
+      }),
+      invalidatesTags: (_r, _e, id) => [...statementTags(id), { type: 'BankStatements', id: 'LIST' }],
+    }),
+    deleteBankStatement: builder.mutation({
+      query: (id) => ({
+        url: `bank-statements/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'BankStatements', id: 'LIST' }, ...voucherTags],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetBankStatementsQuery,
+  useGetBankStatementQuery,
+  useGetBankReconciliationReportQuery,
+  useGetStatementLineCandidatesQuery,
+  useImportBankStatementMutation,
+  useAutoMatchBankStatementMutation,
+  useMatchStatementLineMutation,
+  useUnmatchStatementLineMutation,
+  useIgnoreStatementLineMutation,
+  useSplitStatementLineMutation,
+  useCreateVoucherFromStatementLineMutation,
+  useCompleteBankReconciliationMutation,
+  useReopenBankStatementMutation,
+  useDeleteBankStatementMutation,
+} = bankStatementsApi;
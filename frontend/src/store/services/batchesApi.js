@@ -0,0 +1,99 @@
+import { api } from '../api';
+
+export const batchesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getBatches: builder.query({
+      query: (params) => ({
+        url: 'batches',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.batches
+          ? [
+              ...result.data.batches.map(({ _id, id }) => ({
+                type: 'Batches',
+                id: _id || id,
+              })),
+              { type: 'Batches', id: 'LIST' },
+            ]
+          : [{ type: 'Batches', id: 'LIST' }],
+    }),
+    getBatch: builder.query({
+      query: (id) => ({
+        url: `batches/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Batches', id }],
+    }),
+    getBatchTrace: builder.query({
+      query: (id) => ({
+        url: `batches/${id}/trace`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Batches', id: `TRACE_${id}` }],
+    }),
+    getFEFOAllocation: builder.query({
+      query: (params) => ({
+        url: 'batches/fefo',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Batches', id: 'FEFO' }],
+    }),
+    createBatch: builder.mutation({
+      query: (data) => ({
+        url: 'batches',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Batches', id: 'LIST' }],
+    }),
+    updateBatch: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `batches/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Batches', id },
+        { type: 'Batches', id: `TRACE_${id}` },
+        { type: 'Batches', id: 'LIST' },
+        { type: 'Batches', id: 'FEFO' },
+      ],
+    }),
+    recordBatchQualityCheck: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `batches/${id}/quality-check`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Batches', id },
+        { type: 'Batches', id: `TRACE_${id}` },
+        { type: 'Batches', id: 'LIST' },
+        { type: 'Batches', id: 'FEFO' },
+      ],
+    }),
+    deleteBatch: builder.mutation({
+      query: (id) => ({
+        url: `batches/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'Batches', id: 'LIST' }],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetBatchesQuery,
+  useGetBatchQuery,
+  useGetBatchTraceQuery,
+  useGetFEFOAllocationQuery,
+  useLazyGetFEFOAllocationQuery,
+  useCreateBatchMutation,
+  useUpdateBatchMutation,
+  useRecordBatchQualityCheckMutation,
+  useDeleteBatchMutation,
+} = batchesApi;
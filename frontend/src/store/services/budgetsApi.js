@@ -0,0 +1,132 @@
+import { api } from '../api';
+
+export const budgetsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getBudgets: builder.query({
+      query: (params) => ({
+        url: 'budgets',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.budgets
+          ? [
+              ...result.data.budgets.map(({ _id, id }) => ({
+                type: 'Budgets',
+                id: _id || id,
+              })),
+              { type: 'Budgets', id: 'LIST' },
+            ]
+          : [{ type: 'Budgets', id: 'LIST' }],
+    }),
+    getBudget: builder.query({
+      query: (id) => ({
+        url: `budgets/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Budgets', id }],
+    }),
+    getBudgetVersions: builder.query({
+      query: (id) => ({
+        url: `budgets/${id}/versions`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Budgets', id: `VERSIONS_${id}` }],
+    }),
+    getBudgetVsActual: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `budgets/${id}/vs-actual`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'Budgets', id: `REPORT_${id}` }],
+    }),
+    checkBudget: builder.query({
+      query: (params) => ({
+        url: 'budgets/check',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Budgets', id: 'CHECK' }],
+    }),
+    createBudget: builder.mutation({
+      query: (data) => ({
+        url: 'budgets',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Budgets', id: 'LIST' }],
+    }),
+    updateBudget: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `budgets/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Budgets', id },
+        { type: 'Budgets', id: `REPORT_${id}` },
+        { type: 'Budgets', id: 'LIST' },
+      ],
+    }),
+    approveBudget: builder.mutation({
+      query: (id) => ({
+        url: `budgets/${id}/approve`,
+        method: 'post',
+        data: {},
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'Budgets', id },
+        { type: 'Budgets', id: `VERSIONS_${id}` },
+        { type: 'Budgets', id: `REPORT_${id}` },
+        { type: 'Budgets', id: 'LIST' },
+        { type: 'Budgets', id: 'CHECK' },
+      ],
+    }),
+    reviseBudget: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `budgets/${id}/revise`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Budgets', id: `VERSIONS_${id}` },
+        { type: 'Budgets', id: 'LIST' },
+      ],
+    }),
+    copyBudget: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `budgets/${id}/copy`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Budgets', id: 'LIST' }],
+    }),
+    deleteBudget: builder.mutation({
+      query: (id) => ({
+        url: `budgets/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'Budgets', id },
+        { type: 'Budgets', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetBudgetsQuery,
+  useGetBudgetQuery,
+  useGetBudgetVersionsQuery,
+  useGetBudgetVsActualQuery,
+  useCheckBudgetQuery,
+  useLazyCheckBudgetQuery,
+  useCreateBudgetMutation,
+  useUpdateBudgetMutation,
+  useApproveBudgetMutation,
+  useReviseBudgetMutation,
+  useCopyBudgetMutation,
+  useDeleteBudgetMutation,
+} = budgetsApi;
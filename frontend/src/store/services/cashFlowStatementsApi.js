@@ -0,0 +1,85 @@
+import { api } from '../api';
+
+export const cashFlowStatementsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    generateCashFlowStatement: builder.mutation({
+      query: (data) => ({
+        url: 'cash-flow-statements/generate',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Reports', id: 'CASH_FLOW_STATEMENTS' }],
+    }),
+    getCashFlowStatements: builder.query({
+      query: (params) => ({
+        url: 'cash-flow-statements',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.statements
+          ? [
+              ...result.statements.map(({ _id, id }) => ({
+                type: 'Reports',
+                id: _id || id,
+              })),
+              { type: 'Reports', id: 'CASH_FLOW_STATEMENTS' },
+            ]
+          : [{ type: 'Reports', id: 'CASH_FLOW_STATEMENTS' }],
+    }),
+    getCashFlowStatement: builder.query({
+      query: (id) => ({
+        url: `cash-flow-statements/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Reports', id }],
+    }),
+    updateCashFlowStatementStatus: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `cash-flow-statements/${id}/status`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Reports', id },
+        { type: 'Reports', id: 'CASH_FLOW_STATEMENTS' },
+      ],
+    }),
+    deleteCashFlowStatement: builder.mutation({
+      query: (id) => ({
+        url: `cash-flow-statements/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'Reports', id },
+        { type: 'Reports', id: 'CASH_FLOW_STATEMENTS' },
+      ],
+    }),
+    exportCashFlowStatement: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `cash-flow-statements/${id}/export`,
+        method: 'post',
+        data,
+      }),
+    }),
+    downloadCashFlowStatement: builder.mutation({
+      query: ({ id, format = 'pdf' }) => ({
+        url: `cash-flow-statements/${id}/download`,
+        method: 'get',
+        params: { format },
+        responseType: 'blob',
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGenerateCashFlowStatementMutation,
+  useGetCashFlowStatementsQuery,
+  useGetCashFlowStatementQuery,
+  useUpdateCashFlowStatementStatusMutation,
+  useDeleteCashFlowStatementMutation,
+  useExportCashFlowStatementMutation,
+  useDownloadCashFlowStatementMutation,
+} = cashFlowStatementsApi;
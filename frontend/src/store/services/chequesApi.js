@@ -0,0 +1,106 @@
+import { api } from '../api';
+
+// Status changes move the cheque between dashboard buckets and may create bank vouchers
+const chequeTags = (id) => [
+  { type: 'Cheques', id },
+  { type: 'Cheques', id: 'LIST' },
+  { type: 'Cheques', id: 'DASHBOARD' },
+];
+
+const statusChange = (action) => ({
+  query: ({ id, ...data }) => ({
+    url: `cheques/${id}/${action}`,
+    method: 'post',
+    data,
+  }),
+  invalidatesTags: (_r, _e, { id }) => [
+    ...chequeTags(id),
+    { type: 'BankReceipts', id: 'LIST' },
+    { type: 'BankPayments', id: 'LIST' },
+    { type: 'Customers', id: 'LIST' },
+  ],
+});
+
+export const chequesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getCheques: builder.query({
+      query: (params) => ({
+        url: 'cheques',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.cheques
+          ? [
+              ...result.data.cheques.map(({ _id }) => ({ type: 'Cheques', id: _id })),
+              { type: 'Cheques', id: 'LIST' },
+            ]
+          : [{ type: 'Cheques', id: 'LIST' }],
+    }),
+    getChequeDashboard: builder.query({
+      query: (params) => ({
+        url: 'cheques/dashboard',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Cheques', id: 'DASHBOARD' }],
+    }),
+    getCheque: builder.query({
+      query: (id) => ({
+        url: `cheques/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Cheques', id }],
+    }),
+    createCheque: builder.mutation({
+      query: (data) => ({
+        url: 'cheques',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Cheques', id: 'LIST' },
+        { type: 'Cheques', id: 'DASHBOARD' },
+        { type: 'Customers', id: 'LIST' },
+      ],
+    }),
+    updateCheque: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `cheques/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => chequeTags(id),
+    }),
+    depositCheque: builder.mutation(statusChange('deposit')),
+    clearCheque: builder.mutation(statusChange('clear')),
+    bounceCheque: builder.mutation(statusChange('bounce')),
+    returnCheque: builder.mutation(statusChange('return')),
+    cancelCheque: builder.mutation(statusChange('cancel')),
+    deleteCheque: builder.mutation({
+      query: (id) => ({
+        url: `cheques/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [
+        { type: 'Cheques', id: 'LIST' },
+        { type: 'Cheques', id: 'DASHBOARD' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetChequesQuery,
+  useGetChequeDashboardQuery,
+  useGetChequeQuery,
+  useCreateChequeMutation,
+  useUpdateChequeMutation,
+  useDepositChequeMutation,
+  useClearChequeMutation,
+  useBounceChequeMutation,
+  useReturnChequeMutation,
+  useCancelChequeMutation,
+  useDeleteChequeMutation,
+} = chequesApi;
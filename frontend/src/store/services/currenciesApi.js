@@ -0,0 +1,139 @@
+import { api } from '../api';
+
+export const currenciesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getCurrencies: builder.query({
+      query: (params) => ({
+        url: 'currencies',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Currencies', id: 'LIST' }],
+    }),
+    createCurrency: builder.mutation({
+      query: (data) => ({
+        url: 'currencies',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Currencies', id: 'LIST' }],
+    }),
+    updateCurrency: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `currencies/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Currencies', id: 'LIST' }],
+    }),
+    getExchangeRates: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `currencies/${id}/rates`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'Currencies', id: `RATES-${id}` }],
+    }),
+    setExchangeRate: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `currencies/${id}/rates`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Currencies', id: `RATES-${id}` },
+        { type: 'Currencies', id: 'LIST' },
+      ],
+    }),
+    deleteExchangeRate: builder.mutation({
+      query: ({ id, rateId }) => ({
+        url: `currencies/${id}/rates/${rateId}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Currencies', id: `RATES-${id}` },
+        { type: 'Currencies', id: 'LIST' },
+      ],
+    }),
+    convertCurrency: builder.query({
+      query: (params) => ({
+        url: 'currencies/convert',
+        method: 'get',
+        params,
+      }),
+    }),
+    getSupplierCurrencyLedger: builder.query({
+      query: ({ supplierId, ...params }) => ({
+        url: `currencies/suppliers/${supplierId}/ledger`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { supplierId }) => [{ type: 'Currencies', id: `LEDGER-${supplierId}` }],
+    }),
+    getRevaluations: builder.query({
+      query: (params) => ({
+        url: 'currencies/revaluations',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Currencies', id: 'REVALUATIONS' }],
+    }),
+    getRevaluationPreview: builder.query({
+      query: (params) => ({
+        url: 'currencies/revaluations/preview',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Currencies', id: 'REVALUATION_PREVIEW' }],
+    }),
+    getRevaluation: builder.query({
+      query: (id) => ({
+        url: `currencies/revaluations/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Currencies', id }],
+    }),
+    // Posts journal vouchers, so ledger views are refreshed too
+    runRevaluation: builder.mutation({
+      query: (data) => ({
+        url: 'currencies/revaluations',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Currencies', id: 'REVALUATIONS' },
+        { type: 'Currencies', id: 'REVALUATION_PREVIEW' },
+        { type: 'JournalVouchers', id: 'LIST' },
+      ],
+    }),
+    reverseRevaluation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `currencies/revaluations/${id}/reverse`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Currencies', id },
+        { type: 'Currencies', id: 'REVALUATIONS' },
+        { type: 'JournalVouchers', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetCurrenciesQuery,
+  useCreateCurrencyMutation,
+  useUpdateCurrencyMutation,
+  useGetExchangeRatesQuery,
+  useSetExchangeRateMutation,
+  useDeleteExchangeRateMutation,
+  useLazyConvertCurrencyQuery,
+  useGetSupplierCurrencyLedgerQuery,
+  useGetRevaluationsQuery,
+  useGetRevaluationPreviewQuery,
+  useGetRevaluationQuery,
+  useRunRevaluationMutation,
+  useReverseRevaluationMutation,
+} = currenciesApi;
@@ -0,0 +1,79 @@
+import { api } from '../api';
+
+export const customerStatementsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getCustomerStatement: builder.query({
+      query: ({ customerId, ...params }) => ({
+        url: `customer-statements/${customerId}`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { customerId }) => [{ type: 'CustomerStatements', id: customerId }],
+    }),
+    downloadCustomerStatement: builder.mutation({
+      query: ({ customerId, ...params }) => ({
+        url: `customer-statements/${customerId}/pdf`,
+        method: 'get',
+        params,
+        responseType: 'blob',
+      }),
+    }),
+    emailCustomerStatement: builder.mutation({
+      query: ({ customerId, ...data }) => ({
+        url: `customer-statements/${customerId}/email`,
+        method: 'post',
+        data,
+      }),
+    }),
+    getStatementBatches: builder.query({
+      query: (params) => ({
+        url: 'customer-statements/bulk',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.batches
+          ? [
+              ...result.data.batches.map(({ _id }) => ({ type: 'CustomerStatements', id: _id })),
+              { type: 'CustomerStatements', id: 'BATCHES' },
+            ]
+          : [{ type: 'CustomerStatements', id: 'BATCHES' }],
+    }),
+    getStatementBatch: builder.query({
+      query: (id) => ({
+        url: `customer-statements/bulk/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'CustomerStatements', id }],
+    }),
+    // Runs in the background; poll getStatementBatch until it is completed
+    runStatementBatch: builder.mutation({
+      query: (data) => ({
+        url: 'customer-statements/bulk',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'CustomerStatements', id: 'BATCHES' }],
+    }),
+    downloadStatementBatch: builder.mutation({
+      query: ({ id, customerId }) => ({
+        url: customerId
+          ? `customer-statements/bulk/${id}/customers/${customerId}/download`
+          : `customer-statements/bulk/${id}/download`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetCustomerStatementQuery,
+  useDownloadCustomerStatementMutation,
+  useEmailCustomerStatementMutation,
+  useGetStatementBatchesQuery,
+  useGetStatementBatchQuery,
+  useRunStatementBatchMutation,
+  useDownloadStatementBatchMutation,
+} = customerStatementsApi;
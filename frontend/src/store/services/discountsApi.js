@@ -88,6 +88,14 @@ export const discountsApi = api.injectEndpoints({
         data,
       }),
     }),
+    // Promotions the till cart qualifies for, with the reason each did or didn't apply
+    previewPromotions: builder.mutation({
+      query: (data) => ({
+        url: 'discounts/promotions/preview',
+        method: 'post',
+        data,
+      }),
+    }),
     getDiscountByCode: builder.query({
       query: (code) => ({
         url: `discounts/code/${code}`,
@@ -137,6 +145,7 @@ export const {
   useApplyDiscountMutation,
   useRemoveDiscountMutation,
   useCheckApplicableDiscountsMutation,
+  usePreviewPromotionsMutation,
   useGetDiscountByCodeQuery,
   useCheckCodeAvailabilityQuery,
   useGenerateCodeSuggestionsMutation,
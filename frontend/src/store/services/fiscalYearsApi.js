@@ -0,0 +1,75 @@
+import { api } from '../api';
+
+export const fiscalYearsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getFiscalYearCloses: builder.query({
+      query: (params) => ({
+        url: 'fiscal-years/closes',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FiscalYears', id: 'LIST' }],
+    }),
+    getFiscalYearClosePreview: builder.query({
+      query: (params) => ({
+        url: 'fiscal-years/closes/preview',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FiscalYears', id: 'PREVIEW' }],
+    }),
+    getFiscalYearClose: builder.query({
+      query: (id) => ({
+        url: `fiscal-years/closes/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'FiscalYears', id }],
+    }),
+    getOpeningBalances: builder.query({
+      query: (params) => ({
+        url: 'fiscal-years/opening-balances',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FiscalYears', id: 'OPENING_BALANCES' }],
+    }),
+    // Posts journal vouchers and locks accounting periods, so ledger views are refreshed too
+    closeFiscalYear: builder.mutation({
+      query: (data) => ({
+        url: 'fiscal-years/closes',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'FiscalYears', id: 'LIST' },
+        { type: 'FiscalYears', id: 'PREVIEW' },
+        { type: 'FiscalYears', id: 'OPENING_BALANCES' },
+        { type: 'JournalVouchers', id: 'LIST' },
+      ],
+    }),
+    reverseFiscalYearClose: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `fiscal-years/closes/${id}/reverse`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'FiscalYears', id },
+        { type: 'FiscalYears', id: 'LIST' },
+        { type: 'FiscalYears', id: 'PREVIEW' },
+        { type: 'FiscalYears', id: 'OPENING_BALANCES' },
+        { type: 'JournalVouchers', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetFiscalYearClosesQuery,
+  useGetFiscalYearClosePreviewQuery,
+  useGetFiscalYearCloseQuery,
+  useGetOpeningBalancesQuery,
+  useCloseFiscalYearMutation,
+  useReverseFiscalYearCloseMutation,
+} = fiscalYearsApi;
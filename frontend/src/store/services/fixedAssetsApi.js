@@ -0,0 +1,132 @@
+import { api } from '../api';
+
+// Runs, disposals and acquisitions all move the schedule and post journal vouchers
+const registerTags = [
+  { type: 'FixedAssets', id: 'LIST' },
+  { type: 'FixedAssets', id: 'SCHEDULE' },
+  { type: 'JournalVouchers', id: 'LIST' },
+];
+
+export const fixedAssetsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getFixedAssets: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.assets
+          ? [
+              ...result.data.assets.map(({ _id }) => ({ type: 'FixedAssets', id: _id })),
+              { type: 'FixedAssets', id: 'LIST' },
+            ]
+          : [{ type: 'FixedAssets', id: 'LIST' }],
+    }),
+    getFixedAsset: builder.query({
+      query: (id) => ({
+        url: `fixed-assets/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'FixedAssets', id }],
+    }),
+    getAssetSchedule: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets/schedule',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'SCHEDULE' }],
+    }),
+    createFixedAsset: builder.mutation({
+      query: (data) => ({
+        url: 'fixed-assets',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: registerTags,
+    }),
+    updateFixedAsset: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `fixed-assets/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [{ type: 'FixedAssets', id }, ...registerTags],
+    }),
+    disposeFixedAsset: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `fixed-assets/${id}/dispose`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [{ type: 'FixedAssets', id }, ...registerTags],
+    }),
+    deleteFixedAsset: builder.mutation({
+      query: (id) => ({
+        url: `fixed-assets/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [{ type: 'FixedAssets', id }, ...registerTags],
+    }),
+    getDepreciationRuns: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets/depreciation-runs',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'RUNS' }],
+    }),
+    getDepreciationRun: builder.query({
+      query: (id) => ({
+        url: `fixed-assets/depreciation-runs/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'FixedAssets', id: `RUN-${id}` }],
+    }),
+    previewDepreciation: builder.query({
+      query: (params) => ({
+        url: 'fixed-assets/depreciation-runs/preview',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'FixedAssets', id: 'RUNS' }],
+    }),
+    runDepreciation: builder.mutation({
+      query: (data) => ({
+        url: 'fixed-assets/depreciation-runs',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'FixedAssets', id: 'RUNS' }, ...registerTags],
+    }),
+    reverseDepreciationRun: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `fixed-assets/depreciation-runs/${id}/reverse`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'FixedAssets', id: `RUN-${id}` },
+        { type: 'FixedAssets', id: 'RUNS' },
+        ...registerTags,
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetFixedAssetsQuery,
+  useGetFixedAssetQuery,
+  useGetAssetScheduleQuery,
+  useCreateFixedAssetMutation,
+  useUpdateFixedAssetMutation,
+  useDisposeFixedAssetMutation,
+  useDeleteFixedAssetMutation,
+  useGetDepreciationRunsQuery,
+  useGetDepreciationRunQuery,
+  usePreviewDepreciationQuery,
+  useRunDepreciationMutation,
+  useReverseDepreciationRunMutation,
+} = fixedAssetsApi;
@@ -22,9 +22,10 @@ export const inventoryAlertsApi = api.injectEndpoints({
       providesTags: [{ type: 'Inventory', id: 'LOW_STOCK_ALERTS' }],
     }),
     getAlertSummary: builder.query({
-      query: () => ({
+      query: (params) => ({
         url: 'inventory-alerts/summary',
         method: 'get',
+        params,
       }),
       providesTags: [{ type: 'Inventory', id: 'ALERT_SUMMARY' }],
     }),
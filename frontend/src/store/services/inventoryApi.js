@@ -35,9 +35,10 @@ export const inventoryApi = api.injectEndpoints({
       providesTags: [{ type: 'Inventory', id: 'SUMMARY' }],
     }),
     getLowStockItems: builder.query({
-      query: () => ({
+      query: (params) => ({
         url: 'inventory/low-stock',
         method: 'get',
+        params,
       }),
       providesTags: [{ type: 'Inventory', id: 'LOW_STOCK' }],
     }),
@@ -78,9 +79,10 @@ export const inventoryApi = api.injectEndpoints({
       providesTags: [{ type: 'Inventory', id: 'ALERTS' }],
     }),
     getAlertSummary: builder.query({
-      query: () => ({
+      query: (params) => ({
         url: 'inventory-alerts/summary',
         method: 'get',
+        params,
       }),
       providesTags: [{ type: 'Inventory', id: 'ALERTS_SUMMARY' }],
     }),
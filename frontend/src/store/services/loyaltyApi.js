@@ -0,0 +1,75 @@
+import { api } from '../api';
+
+export const loyaltyApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getLoyaltyProgram: builder.query({
+      query: () => ({
+        url: 'loyalty/program',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Loyalty', id: 'PROGRAM' }],
+    }),
+    updateLoyaltyProgram: builder.mutation({
+      query: (data) => ({
+        url: 'loyalty/program',
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Loyalty', id: 'PROGRAM' }],
+    }),
+    // Points, their value and next-tier progress, shown at checkout
+    getCustomerLoyalty: builder.query({
+      query: (customerId) => ({
+        url: `loyalty/customers/${customerId}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, customerId) => [{ type: 'Loyalty', id: customerId }],
+    }),
+    getLoyaltyStatement: builder.query({
+      query: ({ customerId, ...params }) => ({
+        url: `loyalty/customers/${customerId}/statement`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { customerId }) => [{ type: 'Loyalty', id: customerId }],
+    }),
+    adjustLoyaltyPoints: builder.mutation({
+      query: ({ customerId, ...data }) => ({
+        url: `loyalty/customers/${customerId}/adjust`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { customerId }) => [
+        { type: 'Loyalty', id: customerId },
+        { type: 'Customers', id: customerId },
+      ],
+    }),
+    expireLoyaltyPoints: builder.mutation({
+      query: (data = {}) => ({
+        url: 'loyalty/expire',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['Loyalty', { type: 'Customers', id: 'LIST' }],
+    }),
+    reviewCustomerTiers: builder.mutation({
+      query: (data = {}) => ({
+        url: 'loyalty/tiers/review',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['Loyalty', { type: 'Customers', id: 'LIST' }],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetLoyaltyProgramQuery,
+  useUpdateLoyaltyProgramMutation,
+  useGetCustomerLoyaltyQuery,
+  useGetLoyaltyStatementQuery,
+  useAdjustLoyaltyPointsMutation,
+  useExpireLoyaltyPointsMutation,
+  useReviewCustomerTiersMutation,
+} = loyaltyApi;
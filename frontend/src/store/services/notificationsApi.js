@@ -0,0 +1,80 @@
+import { api } from '../api';
+
+export const notificationsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getNotifications: builder.query({
+      query: (params) => ({
+        url: 'notifications',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Notifications', id: 'LIST' }],
+    }),
+    getUnreadNotificationCount: builder.query({
+      query: () => ({
+        url: 'notifications/unread-count',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Notifications', id: 'UNREAD' }],
+    }),
+    markNotificationRead: builder.mutation({
+      query: ({ id, read = true }) => ({
+        url: `notifications/${id}/read`,
+        method: 'put',
+        data: { read },
+      }),
+      invalidatesTags: [
+        { type: 'Notifications', id: 'LIST' },
+        { type: 'Notifications', id: 'UNREAD' },
+      ],
+    }),
+    markAllNotificationsRead: builder.mutation({
+      query: (data) => ({
+        url: 'notifications/read-all',
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Notifications', id: 'LIST' },
+        { type: 'Notifications', id: 'UNREAD' },
+      ],
+    }),
+    archiveNotification: builder.mutation({
+      query: ({ id, archived = true }) => ({
+        url: `notifications/${id}/archive`,
+        method: 'put',
+        data: { archived },
+      }),
+      invalidatesTags: [
+        { type: 'Notifications', id: 'LIST' },
+        { type: 'Notifications', id: 'UNREAD' },
+      ],
+    }),
+    getNotificationPreferences: builder.query({
+      query: () => ({
+        url: 'notifications/preferences',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Notifications', id: 'PREFERENCES' }],
+    }),
+    updateNotificationPreferences: builder.mutation({
+      query: (data) => ({
+        url: 'notifications/preferences',
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Notifications', id: 'PREFERENCES' }],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetNotificationsQuery,
+  useGetUnreadNotificationCountQuery,
+  useMarkNotificationReadMutation,
+  useMarkAllNotificationsReadMutation,
+  useArchiveNotificationMutation,
+  useGetNotificationPreferencesQuery,
+  useUpdateNotificationPreferencesMutation,
+} = notificationsApi;
@@ -0,0 +1,69 @@
+import { api } from '../api';
+
+export const payablesApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getSupplierAging: builder.query({
+      query: (params) => ({
+        url: 'payables/aging',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Payables', id: 'AGING' }],
+    }),
+    getPaymentProposal: builder.query({
+      query: (params) => ({
+        url: 'payables/proposal',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Payables', id: 'PROPOSAL' }],
+    }),
+    getPayablesRuns: builder.query({
+      query: (params) => ({
+        url: 'payables/runs',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.runs
+          ? [
+              ...result.data.runs.map(({ _id }) => ({ type: 'Payables', id: _id })),
+              { type: 'Payables', id: 'RUNS' },
+            ]
+          : [{ type: 'Payables', id: 'RUNS' }],
+    }),
+    getPayablesRun: builder.query({
+      query: (id) => ({
+        url: `payables/runs/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Payables', id }],
+    }),
+    // Creates payment vouchers and settles invoices, so aging and balances change too
+    createPayablesRun: builder.mutation({
+      query: (data) => ({
+        url: 'payables/runs',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Payables', id: 'AGING' },
+        { type: 'Payables', id: 'PROPOSAL' },
+        { type: 'Payables', id: 'RUNS' },
+        { type: 'PurchaseInvoices', id: 'LIST' },
+        { type: 'CashPayments', id: 'LIST' },
+        { type: 'BankPayments', id: 'LIST' },
+        { type: 'Suppliers', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetSupplierAgingQuery,
+  useGetPaymentProposalQuery,
+  useGetPayablesRunsQuery,
+  useGetPayablesRunQuery,
+  useCreatePayablesRunMutation,
+} = payablesApi;
@@ -0,0 +1,93 @@
+import { api } from '../api';
+
+export const priceListsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getPriceLists: builder.query({
+      query: (params) => ({
+        url: 'price-lists',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'PriceLists', id: 'LIST' }],
+    }),
+    getPriceList: builder.query({
+      query: (id) => ({
+        url: `price-lists/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'PriceLists', id }],
+    }),
+    createPriceList: builder.mutation({
+      query: (data) => ({
+        url: 'price-lists',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'PriceLists', id: 'LIST' }],
+    }),
+    updatePriceList: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `price-lists/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'PriceLists', id },
+        { type: 'PriceLists', id: 'LIST' },
+      ],
+    }),
+    deletePriceList: builder.mutation({
+      query: (id) => ({
+        url: `price-lists/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'PriceLists', id },
+        { type: 'PriceLists', id: 'LIST' },
+      ],
+    }),
+    // Prices a customer's lines from their price lists, as sales and sales orders charge them
+    getPriceQuote: builder.mutation({
+      query: (data) => ({
+        url: 'price-lists/quote',
+        method: 'post',
+        data,
+      }),
+    }),
+    exportPriceList: builder.mutation({
+      query: (id) => ({
+        url: `price-lists/${id}/export`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+    importPriceList: builder.mutation({
+      query: ({ id, file, replace = false }) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('replace', replace);
+        return {
+          url: `price-lists/${id}/import`,
+          method: 'post',
+          data: formData,
+        };
+      },
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'PriceLists', id },
+        { type: 'PriceLists', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetPriceListsQuery,
+  useGetPriceListQuery,
+  useCreatePriceListMutation,
+  useUpdatePriceListMutation,
+  useDeletePriceListMutation,
+  useGetPriceQuoteMutation,
+  useExportPriceListMutation,
+  useImportPriceListMutation,
+} = priceListsApi;
@@ -40,6 +40,14 @@ export const productsApi = api.injectEndpoints({
       }),
       providesTags: (_res, _err, id) => [{ type: 'Products', id }],
     }),
+    getProductByBarcode: builder.query({
+      query: (barcode) => ({
+        url: `products/barcode/${encodeURIComponent(barcode)}`,
+        method: 'get',
+      }),
+      providesTags: (result) =>
+        result?.product?._id ? [{ type: 'Products', id: result.product._id }] : [],
+    }),
     createProduct: builder.mutation({
       query: (data) => ({
         url: 'products',
@@ -183,6 +191,8 @@ export const productsApi = api.injectEndpoints({
 export const {
   useGetProductsQuery,
   useGetProductQuery,
+  useGetProductByBarcodeQuery,
+  useLazyGetProductByBarcodeQuery,
   useCreateProductMutation,
   useUpdateProductMutation,
   useDeleteProductMutation,
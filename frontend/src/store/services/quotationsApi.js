@@ -0,0 +1,98 @@
+import { api } from '../api';
+
+export const quotationsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getQuotations: builder.query({
+      query: (params) => ({
+        url: 'quotations',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Quotations', id: 'LIST' }],
+    }),
+    getQuotation: builder.query({
+      query: (id) => ({
+        url: `quotations/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Quotations', id }],
+    }),
+    getQuotationConversionReport: builder.query({
+      query: (params) => ({
+        url: 'quotations/reports/conversion',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Quotations', id: 'REPORT' }],
+    }),
+    createQuotation: builder.mutation({
+      query: (data) => ({
+        url: 'quotations',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['Quotations'],
+    }),
+    updateQuotation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: ['Quotations'],
+    }),
+    reviseQuotation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}/revise`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['Quotations'],
+    }),
+    // action is one of send, accept, reject or cancel
+    updateQuotationStatus: builder.mutation({
+      query: ({ id, action, ...data }) => ({
+        url: `quotations/${id}/${action}`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['Quotations'],
+    }),
+    expireQuotations: builder.mutation({
+      query: () => ({
+        url: 'quotations/expire',
+        method: 'post',
+      }),
+      invalidatesTags: ['Quotations'],
+    }),
+    convertQuotation: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `quotations/${id}/convert`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['Quotations', { type: 'Orders', id: 'LIST' }],
+    }),
+    downloadQuotationPdf: builder.mutation({
+      query: (id) => ({
+        url: `quotations/${id}/pdf`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetQuotationsQuery,
+  useGetQuotationQuery,
+  useGetQuotationConversionReportQuery,
+  useCreateQuotationMutation,
+  useUpdateQuotationMutation,
+  useReviseQuotationMutation,
+  useUpdateQuotationStatusMutation,
+  useExpireQuotationsMutation,
+  useConvertQuotationMutation,
+  useDownloadQuotationPdfMutation,
+} = quotationsApi;
@@ -0,0 +1,101 @@
+import { api } from '../api';
+
+export const recallsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getRecalls: builder.query({
+      query: (params) => ({
+        url: 'recalls',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.recalls
+          ? [
+              ...result.data.recalls.map(({ _id, id }) => ({
+                type: 'Recalls',
+                id: _id || id,
+              })),
+              { type: 'Recalls', id: 'LIST' },
+            ]
+          : [{ type: 'Recalls', id: 'LIST' }],
+    }),
+    getRecall: builder.query({
+      query: (id) => ({
+        url: `recalls/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Recalls', id }],
+    }),
+    getRecallReport: builder.query({
+      query: (id) => ({
+        url: `recalls/${id}/report`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Recalls', id: `REPORT_${id}` }],
+    }),
+    openRecall: builder.mutation({
+      query: (data) => ({
+        url: 'recalls',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Recalls', id: 'LIST' },
+        { type: 'Batches', id: 'LIST' },
+        { type: 'Batches', id: 'FEFO' },
+      ],
+    }),
+    generateRecallReturns: builder.mutation({
+      query: (id) => ({
+        url: `recalls/${id}/generate-returns`,
+        method: 'post',
+        data: {},
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'Recalls', id },
+        { type: 'Recalls', id: `REPORT_${id}` },
+        { type: 'Recalls', id: 'LIST' },
+        { type: 'Returns', id: 'LIST' },
+      ],
+    }),
+    closeRecall: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `recalls/${id}/close`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Recalls', id },
+        { type: 'Recalls', id: `REPORT_${id}` },
+        { type: 'Recalls', id: 'LIST' },
+        { type: 'Batches', id: 'LIST' },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    cancelRecall: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `recalls/${id}/cancel`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Recalls', id },
+        { type: 'Recalls', id: `REPORT_${id}` },
+        { type: 'Recalls', id: 'LIST' },
+        { type: 'Batches', id: 'LIST' },
+        { type: 'Batches', id: 'FEFO' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetRecallsQuery,
+  useGetRecallQuery,
+  useGetRecallReportQuery,
+  useOpenRecallMutation,
+  useGenerateRecallReturnsMutation,
+  useCloseRecallMutation,
+  useCancelRecallMutation,
+} = recallsApi;
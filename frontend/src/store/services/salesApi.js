@@ -33,6 +33,8 @@ export const salesApi = api.injectEndpoints({
         { type: 'Accounting', id: 'LEDGER_SUMMARY' },
         { type: 'Accounting', id: 'LEDGER_ENTRIES' },
         { type: 'ChartOfAccounts', id: 'LIST' },
+        'Loyalty', // Points earned and redeemed on the sale
+        'StoredValue', // Gift cards and store credit redeemed on the sale
       ],
     }),
     getOrders: builder.query({
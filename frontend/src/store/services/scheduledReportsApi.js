@@ -0,0 +1,98 @@
+import { api } from '../api';
+
+export const scheduledReportsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getScheduledReportTypes: builder.query({
+      query: () => ({
+        url: 'scheduled-reports/types',
+        method: 'get',
+      }),
+    }),
+    getScheduledReports: builder.query({
+      query: (params) => ({
+        url: 'scheduled-reports',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.reports
+          ? [
+              ...result.data.reports.map(({ _id }) => ({ type: 'ScheduledReports', id: _id })),
+              { type: 'ScheduledReports', id: 'LIST' },
+            ]
+          : [{ type: 'ScheduledReports', id: 'LIST' }],
+    }),
+    getScheduledReport: builder.query({
+      query: (id) => ({
+        url: `scheduled-reports/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'ScheduledReports', id }],
+    }),
+    getScheduledReportRuns: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `scheduled-reports/${id}/runs`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'ScheduledReports', id: `RUNS_${id}` }],
+    }),
+    createScheduledReport: builder.mutation({
+      query: (data) => ({
+        url: 'scheduled-reports',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'ScheduledReports', id: 'LIST' }],
+    }),
+    updateScheduledReport: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `scheduled-reports/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'ScheduledReports', id },
+        { type: 'ScheduledReports', id: 'LIST' },
+      ],
+    }),
+    runScheduledReport: builder.mutation({
+      query: (id) => ({
+        url: `scheduled-reports/${id}/run`,
+        method: 'post',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'ScheduledReports', id },
+        { type: 'ScheduledReports', id: `RUNS_${id}` },
+        { type: 'ScheduledReports', id: 'LIST' },
+      ],
+    }),
+    deleteScheduledReport: builder.mutation({
+      query: (id) => ({
+        url: `scheduled-reports/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: [{ type: 'ScheduledReports', id: 'LIST' }],
+    }),
+    downloadReportRun: builder.mutation({
+      query: (runId) => ({
+        url: `scheduled-reports/runs/${runId}/download`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetScheduledReportTypesQuery,
+  useGetScheduledReportsQuery,
+  useGetScheduledReportQuery,
+  useGetScheduledReportRunsQuery,
+  useCreateScheduledReportMutation,
+  useUpdateScheduledReportMutation,
+  useRunScheduledReportMutation,
+  useDeleteScheduledReportMutation,
+  useDownloadReportRunMutation,
+} = scheduledReportsApi;
@@ -0,0 +1,83 @@
+import { api } from '../api';
+
+export const storedValueApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getStoredValueCards: builder.query({
+      query: (params) => ({
+        url: 'stored-value',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'StoredValue', id: 'LIST' }],
+    }),
+    getStoredValueCard: builder.query({
+      query: (id) => ({
+        url: `stored-value/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'StoredValue', id }],
+    }),
+    // Balance lookup by code or barcode, as checkout and the lookup screen use it
+    lookupStoredValueCard: builder.query({
+      query: (code) => ({
+        url: `stored-value/lookup/${encodeURIComponent(code)}`,
+        method: 'get',
+      }),
+      providesTags: (result) => [
+        { type: 'StoredValue', id: result?.data?._id || 'LOOKUP' },
+      ],
+    }),
+    getCustomerWallet: builder.query({
+      query: (customerId) => ({
+        url: `stored-value/customers/${customerId}/wallet`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, customerId) => [{ type: 'StoredValue', id: `WALLET-${customerId}` }],
+    }),
+    issueGiftCard: builder.mutation({
+      query: (data) => ({
+        url: 'stored-value/gift-cards',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['StoredValue'],
+    }),
+    issueCreditNote: builder.mutation({
+      query: (data) => ({
+        url: 'stored-value/credit-notes',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['StoredValue'],
+    }),
+    expireStoredValueCards: builder.mutation({
+      query: (data) => ({
+        url: 'stored-value/expire',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['StoredValue'],
+    }),
+    cancelStoredValueCard: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `stored-value/${id}/cancel`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: ['StoredValue'],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetStoredValueCardsQuery,
+  useGetStoredValueCardQuery,
+  useLookupStoredValueCardQuery,
+  useLazyLookupStoredValueCardQuery,
+  useGetCustomerWalletQuery,
+  useIssueGiftCardMutation,
+  useIssueCreditNoteMutation,
+  useExpireStoredValueCardsMutation,
+  useCancelStoredValueCardMutation,
+} = storedValueApi;
@@ -0,0 +1,106 @@
+import { api } from '../api';
+
+export const taxApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getTaxCodes: builder.query({
+      query: (params) => ({
+        url: 'tax/codes',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Tax', id: 'CODES' }],
+    }),
+    createTaxCode: builder.mutation({
+      query: (data) => ({
+        url: 'tax/codes',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Tax', id: 'CODES' }],
+    }),
+    updateTaxCode: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `tax/codes/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Tax', id: 'CODES' }],
+    }),
+    getTaxReturnPreview: builder.query({
+      query: (params) => ({
+        url: 'tax/returns/preview',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Tax', id: 'PREVIEW' }],
+    }),
+    getTaxReturns: builder.query({
+      query: (params) => ({
+        url: 'tax/returns',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Tax', id: 'RETURNS' }],
+    }),
+    getTaxReturn: builder.query({
+      query: (id) => ({
+        url: `tax/returns/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'Tax', id }],
+    }),
+    createTaxReturn: builder.mutation({
+      query: (data) => ({
+        url: 'tax/returns',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'Tax', id: 'RETURNS' }],
+    }),
+    exportTaxReturn: builder.mutation({
+      query: ({ id, format = 'excel' }) => ({
+        url: `tax/returns/${id}/export`,
+        method: 'get',
+        params: { format },
+        responseType: 'blob',
+      }),
+    }),
+    // Posts a journal voucher clearing the tax accounts, so ledger views are refreshed too
+    postTaxReturn: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `tax/returns/${id}/post`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'Tax', id },
+        { type: 'Tax', id: 'RETURNS' },
+        { type: 'JournalVouchers', id: 'LIST' },
+      ],
+    }),
+    deleteTaxReturn: builder.mutation({
+      query: (id) => ({
+        url: `tax/returns/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'Tax', id },
+        { type: 'Tax', id: 'RETURNS' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetTaxCodesQuery,
+  useCreateTaxCodeMutation,
+  useUpdateTaxCodeMutation,
+  useGetTaxReturnPreviewQuery,
+  useGetTaxReturnsQuery,
+  useGetTaxReturnQuery,
+  useCreateTaxReturnMutation,
+  useExportTaxReturnMutation,
+  usePostTaxReturnMutation,
+  useDeleteTaxReturnMutation,
+} = taxApi;
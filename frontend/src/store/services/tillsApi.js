@@ -0,0 +1,92 @@
+import { api } from '../api';
+
+export const tillsApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getCurrentTill: builder.query({
+      query: () => ({
+        url: 'tills/current',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'Tills', id: 'CURRENT' }],
+    }),
+    getTillSessions: builder.query({
+      query: (params) => ({
+        url: 'tills/variance',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Tills', id: 'LIST' }],
+    }),
+    getTillXReport: builder.query({
+      query: (params) => ({
+        url: 'tills/current/x-report',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'Tills', id: 'X_REPORT' }],
+    }),
+    getTillZReport: builder.query({
+      query: ({ id, ...params }) => ({
+        url: `tills/${id}/z-report`,
+        method: 'get',
+        params,
+      }),
+      providesTags: (_r, _e, { id }) => [{ type: 'Tills', id }],
+    }),
+    downloadTillReport: builder.query({
+      query: (filename) => ({
+        url: `tills/download/${filename}`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+    openTill: builder.mutation({
+      query: (data) => ({
+        url: 'tills/open',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Tills', id: 'CURRENT' },
+        { type: 'Tills', id: 'LIST' },
+      ],
+    }),
+    recordTillCashMovement: builder.mutation({
+      query: (data) => ({
+        url: 'tills/movements',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Tills', id: 'CURRENT' },
+        { type: 'Tills', id: 'X_REPORT' },
+      ],
+    }),
+    closeTill: builder.mutation({
+      query: (data) => ({
+        url: 'tills/close',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [
+        { type: 'Tills', id: 'CURRENT' },
+        { type: 'Tills', id: 'X_REPORT' },
+        { type: 'Tills', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetCurrentTillQuery,
+  useGetTillSessionsQuery,
+  useGetTillXReportQuery,
+  useLazyGetTillXReportQuery,
+  useGetTillZReportQuery,
+  useLazyGetTillZReportQuery,
+  useLazyDownloadTillReportQuery,
+  useOpenTillMutation,
+  useRecordTillCashMovementMutation,
+  useCloseTillMutation,
+} = tillsApi;
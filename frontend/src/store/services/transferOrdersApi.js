@@ -0,0 +1,138 @@
+import { api } from '../api';
+
+export const transferOrdersApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getTransferOrders: builder.query({
+      query: (params) => ({
+        url: 'transfer-orders',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data?.transferOrders
+          ? [
+              ...result.data.transferOrders.map(({ _id, id }) => ({
+                type: 'TransferOrders',
+                id: _id || id,
+              })),
+              { type: 'TransferOrders', id: 'LIST' },
+            ]
+          : [{ type: 'TransferOrders', id: 'LIST' }],
+    }),
+    getTransferOrder: builder.query({
+      query: (id) => ({
+        url: `transfer-orders/${id}`,
+        method: 'get',
+      }),
+      providesTags: (_r, _e, id) => [{ type: 'TransferOrders', id }],
+    }),
+    getInTransitStock: builder.query({
+      query: (params) => ({
+        url: 'transfer-orders/in-transit',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'TransferOrders', id: 'IN_TRANSIT' }],
+    }),
+    createTransferOrder: builder.mutation({
+      query: (data) => ({
+        url: 'transfer-orders',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'TransferOrders', id: 'LIST' }],
+    }),
+    updateTransferOrder: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `transfer-orders/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'TransferOrders', id },
+        { type: 'TransferOrders', id: 'LIST' },
+      ],
+    }),
+    dispatchTransferOrder: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `transfer-orders/${id}/dispatch`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'TransferOrders', id },
+        { type: 'TransferOrders', id: 'LIST' },
+        { type: 'TransferOrders', id: 'IN_TRANSIT' },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    markTransferInTransit: builder.mutation({
+      query: (id) => ({
+        url: `transfer-orders/${id}/in-transit`,
+        method: 'post',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'TransferOrders', id },
+        { type: 'TransferOrders', id: 'LIST' },
+      ],
+    }),
+    receiveTransferOrder: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `transfer-orders/${id}/receive`,
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'TransferOrders', id },
+        { type: 'TransferOrders', id: 'LIST' },
+        { type: 'TransferOrders', id: 'IN_TRANSIT' },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    cancelTransferOrder: builder.mutation({
+      query: ({ id, reason }) => ({
+        url: `transfer-orders/${id}/cancel`,
+        method: 'post',
+        data: { reason },
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'TransferOrders', id },
+        { type: 'TransferOrders', id: 'LIST' },
+        { type: 'TransferOrders', id: 'IN_TRANSIT' },
+        { type: 'Inventory', id: 'LIST' },
+      ],
+    }),
+    downloadGatePass: builder.mutation({
+      query: (id) => ({
+        url: `transfer-orders/${id}/gate-pass`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+    deleteTransferOrder: builder.mutation({
+      query: (id) => ({
+        url: `transfer-orders/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'TransferOrders', id },
+        { type: 'TransferOrders', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetTransferOrdersQuery,
+  useGetTransferOrderQuery,
+  useGetInTransitStockQuery,
+  useCreateTransferOrderMutation,
+  useUpdateTransferOrderMutation,
+  useDispatchTransferOrderMutation,
+  useMarkTransferInTransitMutation,
+  useReceiveTransferOrderMutation,
+  useCancelTransferOrderMutation,
+  useDownloadGatePassMutation,
+  useDeleteTransferOrderMutation,
+} = transferOrdersApi;
@@ -0,0 +1,68 @@
+import { api } from '../api';
+
+export const unitsOfMeasureApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getUnitsOfMeasure: builder.query({
+      query: (params) => ({
+        url: 'units-of-measure',
+        method: 'get',
+        params,
+      }),
+      providesTags: (result) =>
+        result?.data
+          ? [
+              ...result.data.map(({ _id, id }) => ({
+                type: 'UnitsOfMeasure',
+                id: _id || id,
+              })),
+              { type: 'UnitsOfMeasure', id: 'LIST' },
+            ]
+          : [{ type: 'UnitsOfMeasure', id: 'LIST' }],
+    }),
+    convertUnitQuantity: builder.mutation({
+      query: (data) => ({
+        url: 'units-of-measure/convert',
+        method: 'post',
+        data,
+      }),
+    }),
+    createUnitOfMeasure: builder.mutation({
+      query: (data) => ({
+        url: 'units-of-measure',
+        method: 'post',
+        data,
+      }),
+      invalidatesTags: [{ type: 'UnitsOfMeasure', id: 'LIST' }],
+    }),
+    updateUnitOfMeasure: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `units-of-measure/${id}`,
+        method: 'put',
+        data,
+      }),
+      invalidatesTags: (_r, _e, { id }) => [
+        { type: 'UnitsOfMeasure', id },
+        { type: 'UnitsOfMeasure', id: 'LIST' },
+      ],
+    }),
+    deleteUnitOfMeasure: builder.mutation({
+      query: (id) => ({
+        url: `units-of-measure/${id}`,
+        method: 'delete',
+      }),
+      invalidatesTags: (_r, _e, id) => [
+        { type: 'UnitsOfMeasure', id },
+        { type: 'UnitsOfMeasure', id: 'LIST' },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetUnitsOfMeasureQuery,
+  useConvertUnitQuantityMutation,
+  useCreateUnitOfMeasureMutation,
+  useUpdateUnitOfMeasureMutation,
+  useDeleteUnitOfMeasureMutation,
+} = unitsOfMeasureApi;
@@ -0,0 +1,44 @@
+import { api } from '../api';
+
+export const withholdingTaxApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getWithholdingTransactionTypes: builder.query({
+      query: () => ({
+        url: 'withholding-tax/transaction-types',
+        method: 'get',
+      }),
+      providesTags: [{ type: 'WithholdingTax', id: 'TRANSACTION_TYPES' }],
+    }),
+    calculateWithholding: builder.query({
+      query: (params) => ({
+        url: 'withholding-tax/calculate',
+        method: 'get',
+        params,
+      }),
+    }),
+    getWithholdingSummary: builder.query({
+      query: (params) => ({
+        url: 'withholding-tax/summary',
+        method: 'get',
+        params,
+      }),
+      providesTags: [{ type: 'WithholdingTax', id: 'SUMMARY' }],
+    }),
+    downloadWithholdingCertificate: builder.mutation({
+      query: ({ voucherType, id }) => ({
+        url: `withholding-tax/certificates/${voucherType}/${id}`,
+        method: 'get',
+        responseType: 'blob',
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetWithholdingTransactionTypesQuery,
+  useCalculateWithholdingQuery,
+  useLazyCalculateWithholdingQuery,
+  useGetWithholdingSummaryQuery,
+  useDownloadWithholdingCertificateMutation,
+} = withholdingTaxApi;
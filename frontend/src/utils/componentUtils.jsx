@@ -15,6 +15,11 @@ export const componentRegistry = {
     allowMultiple: true,
     component: () => import('../pages/Sales').then(m => m.default || m.Sales)
   },
+  '/till': {
+    title: 'Till',
+    icon: 'Calculator',
+    component: () => import('../pages/Till').then(m => m.default || m.Till)
+  },
   '/purchase': {
     title: 'Purchase',
     icon: 'Truck',
@@ -36,6 +41,11 @@ export const componentRegistry = {
     icon: 'BarChart3',
     component: () => import('../pages/CustomerAnalytics').then(m => m.default || m.CustomerAnalytics)
   },
+  '/customer-statements': {
+    title: 'Customer Statements',
+    icon: 'ScrollText',
+    component: () => import('../pages/CustomerStatements').then(m => m.default || m.CustomerStatements)
+  },
   '/anomaly-detection': {
     title: 'Anomaly Detection',
     icon: 'AlertTriangle',
@@ -82,6 +92,21 @@ export const componentRegistry = {
     icon: 'ArrowUpDown',
     component: () => import('../pages/StockMovements').then(m => m.default || m.StockMovements)
   },
+  '/transfer-orders': {
+    title: 'Transfer Orders',
+    icon: 'ArrowRightLeft',
+    component: () => import('../pages/TransferOrders').then(m => m.default || m.TransferOrders)
+  },
+  '/batches': {
+    title: 'Batches',
+    icon: 'Layers',
+    component: () => import('../pages/Batches').then(m => m.default || m.Batches)
+  },
+  '/recalls': {
+    title: 'Recalls',
+    icon: 'AlertOctagon',
+    component: () => import('../pages/Recalls').then(m => m.default || m.Recalls)
+  },
   '/stock-ledger': {
     title: 'Stock Ledger',
     icon: 'FileText',
@@ -102,6 +127,11 @@ export const componentRegistry = {
     icon: 'RotateCcw',
     component: () => import('../pages/PurchaseReturns').then(m => m.default || m.PurchaseReturns)
   },
+  '/quotations': {
+    title: 'Quotations',
+    icon: 'ClipboardList',
+    component: () => import('../pages/Quotations').then(m => m.default || m.Quotations)
+  },
   '/sales-orders': {
     title: 'Sales Orders',
     icon: 'FileText',
@@ -124,6 +154,11 @@ export const componentRegistry = {
     icon: 'BarChart3',
     component: () => import('../pages/Reports').then(m => m.default || m.Reports)
   },
+  '/scheduled-reports': {
+    title: 'Scheduled Reports',
+    icon: 'CalendarClock',
+    component: () => import('../pages/ScheduledReports').then(m => m.default || m.ScheduledReports)
+  },
   '/backdate-report': {
     title: 'Backdate Report',
     icon: 'Clock',
@@ -139,11 +174,31 @@ export const componentRegistry = {
     icon: 'FileText',
     component: () => import('../pages/BalanceSheets').then(m => m.default || m.BalanceSheets)
   },
+  '/cash-flow-statements': {
+    title: 'Cash Flow Statements',
+    icon: 'Waves',
+    component: () => import('../pages/CashFlowStatements').then(m => m.default || m.CashFlowStatements)
+  },
   '/discounts': {
     title: 'Discounts',
     icon: 'Tag',
     component: () => import('../pages/Discounts').then(m => m.default || m.Discounts)
   },
+  '/price-lists': {
+    title: 'Price Lists',
+    icon: 'Tags',
+    component: () => import('../pages/PriceLists').then(m => m.default || m.PriceLists)
+  },
+  '/gift-cards': {
+    title: 'Gift Cards',
+    icon: 'Gift',
+    component: () => import('../pages/GiftCards').then(m => m.default || m.GiftCards)
+  },
+  '/loyalty': {
+    title: 'Loyalty',
+    icon: 'Award',
+    component: () => import('../pages/Loyalty').then(m => m.default || m.Loyalty)
+  },
   '/sales-performance': {
     title: 'Sales Performance',
     icon: 'TrendingUp',
@@ -165,12 +220,32 @@ export const componentRegistry = {
     icon: 'Wallet',
     component: () => import('../pages/Expenses').then(m => m.default || m.Expenses)
   },
+  '/budgets': {
+    title: 'Budgets',
+    icon: 'PiggyBank',
+    component: () => import('../pages/Budgets').then(m => m.default || m.Budgets)
+  },
   '/bank-payments': {
     title: 'Bank Payments',
     icon: 'CreditCard',
     allowMultiple: true,
     component: () => import('../pages/BankPayments').then(m => m.default || m.BankPayments)
   },
+  '/bank-reconciliation': {
+    title: 'Bank Reconciliation',
+    icon: 'Scale',
+    component: () => import('../pages/BankReconciliation').then(m => m.default || m.BankReconciliation)
+  },
+  '/cheques': {
+    title: 'Cheques',
+    icon: 'Banknote',
+    component: () => import('../pages/Cheques').then(m => m.default || m.Cheques)
+  },
+  '/payment-proposals': {
+    title: 'Payment Proposals',
+    icon: 'ListChecks',
+    component: () => import('../pages/PaymentProposals').then(m => m.default || m.PaymentProposals)
+  },
   '/cash-receipts': {
     title: 'Cash Receipts',
     icon: 'Receipt',
@@ -220,6 +295,31 @@ export const componentRegistry = {
     allowMultiple: true,
     component: () => import('../pages/AccountLedgerSummary').then(m => m.default || m.AccountLedgerSummary)
   },
+  '/fixed-assets': {
+    title: 'Fixed Assets',
+    icon: 'Landmark',
+    component: () => import('../pages/FixedAssets').then(m => m.default || m.FixedAssets)
+  },
+  '/currencies': {
+    title: 'Currencies',
+    icon: 'Coins',
+    component: () => import('../pages/Currencies').then(m => m.default || m.Currencies)
+  },
+  '/fiscal-year-close': {
+    title: 'Year-End Close',
+    icon: 'CalendarCheck',
+    component: () => import('../pages/FiscalYearClose').then(m => m.default || m.FiscalYearClose)
+  },
+  '/tax-returns': {
+    title: 'Sales Tax',
+    icon: 'Percent',
+    component: () => import('../pages/TaxReturns').then(m => m.default || m.TaxReturns)
+  },
+  '/withholding-tax': {
+    title: 'Withholding Tax',
+    icon: 'FileCheck',
+    component: () => import('../pages/WithholdingTax').then(m => m.default || m.WithholdingTax)
+  },
   '/journal-vouchers': {
     title: 'Journal Vouchers',
     icon: 'FileText',
@@ -243,6 +343,11 @@ export const componentRegistry = {
     allowMultiple: true,
     component: () => import('../pages/ProductTransformations').then(m => m.default || m.ProductTransformations)
   },
+  '/units-of-measure': {
+    title: 'Units of Measure',
+    icon: 'Ruler',
+    component: () => import('../pages/UnitsOfMeasure').then(m => m.default || m.UnitsOfMeasure)
+  },
   '/drop-shipping': {
     title: 'Drop Shipping',
     icon: 'ArrowRight',